@@ -10,6 +10,8 @@
  *   node setup.js --fix         Same as default — download and rebuild all data files
  *   node setup.js --local       Use previously downloaded files in data/ (skip SFTP)
  *   node setup.js --backfill    Replay historical log events into activity_log DB table only
+ *   node setup.js --list-backups               List database snapshots (see DB_BACKUP_* settings)
+ *   node setup.js --restore-backup <id>/<file> Restore a database snapshot — stop the bot first
  *
  * Auto-discovery: On first run, the bot connects via SFTP and searches for
  * HMZLog.log, PlayerConnectedLog.txt, PlayerIDMapped.txt, and the save file.
@@ -95,6 +97,8 @@ const MODE_FIND = args.includes('--find');
 const MODE_VALIDATE = args.includes('--validate');
 const MODE_LOCAL = args.includes('--local');
 const MODE_BACKFILL = args.includes('--backfill');
+const MODE_LIST_BACKUPS = args.includes('--list-backups');
+const MODE_RESTORE_BACKUP = args.includes('--restore-backup');
 
 // ── Shared Helpers ────────────────────────────────────────────
 
@@ -1599,8 +1603,63 @@ async function main() {
   }
 }
 
-// --backfill standalone mode: just replay logs into activity_log
-if (MODE_BACKFILL && require.main === module) {
+// ── Database snapshots (--list-backups / --restore-backup) ────
+
+function dbBackupDir() {
+  return process.env.DB_BACKUP_DIR ? path.resolve(process.env.DB_BACKUP_DIR) : path.join(DATA_DIR, 'db-backups');
+}
+
+function printBackups(listBackups, backupDir) {
+  const backups = listBackups(backupDir);
+  if (backups.length === 0) {
+    console.log(`No database snapshots in ${backupDir}`);
+    return;
+  }
+  console.log(`Database snapshots in ${backupDir} (newest first):\n`);
+  for (const b of backups) {
+    const kb = Math.round(b.bytes / 1024);
+    console.log(`  ${`${b.dbId}/${b.name}`.padEnd(48)} ${b.createdAt.toISOString()}  ${String(kb).padStart(8)} KiB`);
+  }
+}
+
+/**
+ * Restore a snapshot over its database.  The bot must be stopped — the live
+ * database file is replaced (the old one is kept as humanitz.db.pre-restore).
+ * @param {string} [spec] - '<dbId>/<file>' or just '<file>' for the primary database
+ */
+async function restoreBackupCli(spec) {
+  const { listBackups, findBackup, restoreDatabase, databasePath, PRIMARY_DB_ID } = require('./src/db/db-backup');
+  const backupDir = dbBackupDir();
+  if (!spec || spec.startsWith('--')) {
+    printBackups(listBackups, backupDir);
+    console.log('\nUsage: node setup.js --restore-backup <id>/<file>');
+    return;
+  }
+  const [dbId, name] = spec.includes('/') ? spec.split('/', 2) : [PRIMARY_DB_ID, spec];
+  const backup = findBackup(backupDir, dbId, name);
+  if (!backup) {
+    console.error(`Snapshot ${dbId}/${name} not found in ${backupDir}`);
+    process.exit(1);
+  }
+  const target = databasePath(DATA_DIR, dbId);
+  console.log(`Restoring ${dbId} from ${backup.name} (${backup.createdAt.toISOString()})`);
+  console.log(`  → ${target}`);
+  console.log('  Make sure the bot is stopped — a running bot keeps writing to the old database.\n');
+  const { previous } = await restoreDatabase(backup, target);
+  if (previous) console.log(`Previous database kept as ${previous}`);
+  console.log('Restore complete. Start the bot with: npm start');
+}
+
+if (MODE_LIST_BACKUPS && require.main === module) {
+  const { listBackups } = require('./src/db/db-backup');
+  printBackups(listBackups, dbBackupDir());
+} else if (MODE_RESTORE_BACKUP && require.main === module) {
+  restoreBackupCli(args[args.indexOf('--restore-backup') + 1]).catch((err) => {
+    console.error('Restore failed:', err.message);
+    process.exit(1);
+  });
+} else if (MODE_BACKFILL && require.main === module) {
+  // --backfill standalone mode: just replay logs into activity_log
   (async () => {
     console.log('=== Activity Log Backfill ===\n');
     if (!fs.existsSync(DATA_DIR)) {
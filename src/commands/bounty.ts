@@ -0,0 +1,178 @@
+/**
+ * /bounty — Bounty board: place, list and cancel bounties.
+ *
+ * Listing is open to everyone.  Players place bounties from their linked
+ * character's credits (see /link) and can cancel their own for a refund.
+ * Server-funded bounties and cancelling anyone's bounty require admin view
+ * permissions.
+ */
+
+import { SlashCommandBuilder, EmbedBuilder, MessageFlags, type GuildMember } from 'discord.js';
+import bountyBoard, { type BountyErrorCode } from '../modules/bounty-board.js';
+import accountLinker from '../modules/account-linker.js';
+import { t, getLocalizations, fmtNumber } from '../i18n/index.js';
+import config from '../config/index.js';
+import { errMsg } from '../utils/error.js';
+
+export const data = new SlashCommandBuilder()
+  .setName('bounty')
+  .setNameLocalizations(getLocalizations('commands:bounty.name'))
+  .setDescription(t('commands:bounty.description', 'en'))
+  .setDescriptionLocalizations(getLocalizations('commands:bounty.description'))
+  .addSubcommand((sub) =>
+    sub
+      .setName('list')
+      .setDescription(t('commands:bounty.list.description', 'en'))
+      .setDescriptionLocalizations(getLocalizations('commands:bounty.list.description')),
+  )
+  .addSubcommand((sub) =>
+    sub
+      .setName('place')
+      .setDescription(t('commands:bounty.place.description', 'en'))
+      .setDescriptionLocalizations(getLocalizations('commands:bounty.place.description'))
+      .addStringOption((opt) =>
+        opt
+          .setName('player')
+          .setDescription(t('commands:bounty.place.options.player', 'en'))
+          .setDescriptionLocalizations(getLocalizations('commands:bounty.place.options.player'))
+          .setRequired(true),
+      )
+      .addIntegerOption((opt) =>
+        opt
+          .setName('amount')
+          .setDescription(t('commands:bounty.place.options.amount', 'en'))
+          .setDescriptionLocalizations(getLocalizations('commands:bounty.place.options.amount'))
+          .setMinValue(1)
+          .setRequired(true),
+      )
+      .addBooleanOption((opt) =>
+        opt
+          .setName('server')
+          .setDescription(t('commands:bounty.place.options.server', 'en'))
+          .setDescriptionLocalizations(getLocalizations('commands:bounty.place.options.server')),
+      ),
+  )
+  .addSubcommand((sub) =>
+    sub
+      .setName('cancel')
+      .setDescription(t('commands:bounty.cancel.description', 'en'))
+      .setDescriptionLocalizations(getLocalizations('commands:bounty.cancel.description'))
+      .addIntegerOption((opt) =>
+        opt
+          .setName('id')
+          .setDescription(t('commands:bounty.cancel.options.id', 'en'))
+          .setDescriptionLocalizations(getLocalizations('commands:bounty.cancel.options.id'))
+          .setMinValue(1)
+          .setRequired(true),
+      ),
+  );
+
+function _errorReply(code: BountyErrorCode, locale: string): string {
+  return t(`commands:bounty.errors.${code}`, locale, { min: config.bountyMinAmount });
+}
+
+export async function execute(interaction: import('discord.js').ChatInputCommandInteraction): Promise<void> {
+  const locale = interaction.locale;
+  const sub = interaction.options.getSubcommand();
+
+  if (!bountyBoard.isActive()) {
+    await interaction.reply({ content: _errorReply('disabled', locale), flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  // Player-funded placing and cancelling your own bounty go through the linked SteamID
+  const isAdmin = config.isAdminView(interaction.member as GuildMember | null);
+  const serverFunded = sub === 'place' && interaction.options.getBoolean('server') === true;
+  if (serverFunded && !isAdmin) {
+    await interaction.reply({ content: t('commands:bounty.reply.admin_only', locale), flags: MessageFlags.Ephemeral });
+    return;
+  }
+  const link = sub === 'list' || serverFunded ? null : accountLinker.getLink(interaction.user.id);
+  if ((sub === 'place' && !serverFunded && !link) || (sub === 'cancel' && !isAdmin && !link)) {
+    const key = accountLinker.isActive() ? 'commands:link.errors.not_linked' : 'commands:link.errors.disabled';
+    await interaction.reply({ content: t(key, locale), flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  await interaction.deferReply({ flags: sub === 'list' ? undefined : MessageFlags.Ephemeral });
+
+  try {
+    if (sub === 'place') {
+      const result = bountyBoard.place({
+        target: interaction.options.getString('player', true),
+        amount: interaction.options.getInteger('amount', true),
+        placedBy: link?.steam_id ?? null,
+        placedByName: link?.player_name ?? interaction.user.username,
+      });
+      if (!result.ok) {
+        await interaction.editReply(_errorReply(result.code, locale));
+        return;
+      }
+      await interaction.editReply(
+        t('commands:bounty.reply.placed', locale, {
+          id: result.value.id,
+          target: result.value.target_name,
+          reward: fmtNumber(result.value.reward_credits, locale),
+        }),
+      );
+      return;
+    }
+
+    if (sub === 'cancel') {
+      const result = bountyBoard.cancel(interaction.options.getInteger('id', true), {
+        requestedBy: link?.steam_id ?? null,
+        isAdmin,
+      });
+      if (!result.ok) {
+        await interaction.editReply(_errorReply(result.code, locale));
+        return;
+      }
+      await interaction.editReply(
+        t('commands:bounty.reply.cancelled', locale, { id: result.value.id, target: result.value.target_name }),
+      );
+      return;
+    }
+
+    // list
+    const bounties = bountyBoard.getActiveBounties(20);
+    const embed = new EmbedBuilder()
+      .setTitle(t('commands:bounty.embeds.board_title', locale))
+      .setColor(0xe67e22)
+      .setTimestamp();
+
+    if (bounties.length === 0) {
+      embed.setDescription(t('commands:bounty.reply.no_bounties', locale));
+    } else {
+      const lines = bounties.map((b) =>
+        t('commands:bounty.reply.list_line', locale, {
+          id: b.id,
+          target: b.target_name || b.target_steam_id,
+          reward: fmtNumber(b.reward_credits, locale),
+          reason: t(`commands:bounty.reasons.${b.reason === 'kill_streak' ? 'kill_streak' : 'placed'}`, locale),
+        }),
+      );
+      embed.setDescription(lines.join('\n'));
+    }
+
+    const claims = bountyBoard.getRecentClaims(5);
+    if (claims.length > 0) {
+      embed.addFields({
+        name: t('commands:bounty.embeds.recent_claims', locale),
+        value: claims
+          .map((c) =>
+            t('commands:bounty.reply.claim_line', locale, {
+              killer: c.claimed_by_name,
+              target: c.target_name,
+              reward: fmtNumber(c.reward_credits, locale),
+            }),
+          )
+          .join('\n'),
+      });
+    }
+
+    await interaction.editReply({ embeds: [embed] });
+  } catch (err: unknown) {
+    console.error('[CMD:bounty]', errMsg(err));
+    await interaction.editReply(t('commands:bounty.reply.failed', locale));
+  }
+}
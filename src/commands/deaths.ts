@@ -0,0 +1,124 @@
+/**
+ * /deaths — Page through a player's deaths: what killed them, the damage
+ * breakdown and, for your own character, where the backpack dropped.
+ *
+ * Backpack positions and contents are only shown for the caller's linked
+ * character (or to admins) so the command can't be used to find loot.
+ */
+
+import {
+  SlashCommandBuilder,
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  ComponentType,
+  MessageFlags,
+  type ButtonInteraction,
+  type GuildMember,
+} from 'discord.js';
+import deathRecaps, { buildDeathRecapEmbed, type DeathHistoryPage } from '../modules/death-recap.js';
+import accountLinker from '../modules/account-linker.js';
+import config from '../config/index.js';
+import { t, getLocalizations } from '../i18n/index.js';
+import { errMsg } from '../utils/error.js';
+
+export const data = new SlashCommandBuilder()
+  .setName('deaths')
+  .setNameLocalizations(getLocalizations('commands:deaths.name'))
+  .setDescription(t('commands:deaths.description', 'en'))
+  .setDescriptionLocalizations(getLocalizations('commands:deaths.description'))
+  .addStringOption((opt) =>
+    opt
+      .setName('player')
+      .setDescription(t('commands:deaths.options.player', 'en'))
+      .setDescriptionLocalizations(getLocalizations('commands:deaths.options.player')),
+  );
+
+function _buttons(page: DeathHistoryPage, locale: string, disabled = false): ActionRowBuilder<ButtonBuilder> {
+  return new ActionRowBuilder<ButtonBuilder>().addComponents(
+    new ButtonBuilder()
+      .setCustomId('deaths_newer')
+      .setLabel(t('commands:deaths.buttons.newer', locale))
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(disabled || page.page === 0),
+    new ButtonBuilder()
+      .setCustomId('deaths_older')
+      .setLabel(t('commands:deaths.buttons.older', locale))
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(disabled || page.page >= page.total - 1),
+  );
+}
+
+function _embed(page: DeathHistoryPage, locale: string, showBody: boolean) {
+  return buildDeathRecapEmbed(page.recap, locale, { showBody, mapBaseUrl: config.webMapPublicUrl }).setFooter({
+    text: t('commands:deaths.embeds.page_footer', locale, {
+      id: page.recap.id,
+      page: page.page + 1,
+      total: page.total,
+    }),
+  });
+}
+
+export async function execute(interaction: import('discord.js').ChatInputCommandInteraction): Promise<void> {
+  const locale = interaction.locale;
+
+  if (!deathRecaps.isActive()) {
+    await interaction.reply({ content: t('commands:deaths.errors.disabled', locale), flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+  try {
+    const link = accountLinker.getLink(interaction.user.id);
+    const player = interaction.options.getString('player')?.trim() || link?.steam_id || '';
+    if (!player) {
+      await interaction.editReply({ content: t('commands:deaths.reply.need_player', locale) });
+      return;
+    }
+
+    const first = deathRecaps.getHistory(player, 0);
+    if (!first.ok) {
+      const shown = link && link.steam_id === player ? link.player_name : player;
+      await interaction.editReply({ content: t(`commands:deaths.errors.${first.code}`, locale, { player: shown }) });
+      return;
+    }
+
+    let page = first.value;
+    const isAdmin = config.isAdminView(interaction.member as GuildMember | null);
+    const showBody = isAdmin || (!!link && link.steam_id === page.recap.steamId);
+    const response = await interaction.editReply({
+      embeds: [_embed(page, locale, showBody)],
+      components: page.total > 1 ? [_buttons(page, locale)] : [],
+    });
+    if (page.total <= 1) return;
+
+    const collector = response.createMessageComponentCollector({
+      componentType: ComponentType.Button,
+      time: 120_000,
+    });
+    collector.on('collect', (button: ButtonInteraction) => {
+      void (async () => {
+        try {
+          const next = deathRecaps.getHistory(player, page.page + (button.customId === 'deaths_older' ? 1 : -1));
+          if (next.ok) page = next.value;
+          await button.update({ embeds: [_embed(page, locale, showBody)], components: [_buttons(page, locale)] });
+        } catch (err) {
+          const code = (err as { code?: number }).code;
+          if (![10062, 10008, 40060].includes(code ?? -1)) {
+            console.error('[CMD:deaths] Page button error:', errMsg(err));
+          }
+        }
+      })();
+    });
+    collector.on('end', () => {
+      interaction.editReply({ components: [_buttons(page, locale, true)] }).catch(() => {
+        /* ignore */
+      });
+    });
+  } catch (err: unknown) {
+    console.error('[CMD:deaths]', errMsg(err));
+    await interaction.editReply({ content: t('commands:deaths.reply.failed', locale) }).catch(() => {
+      /* ignore */
+    });
+  }
+}
@@ -0,0 +1,211 @@
+/**
+ * /faction — Faction standings, rosters and membership management.
+ *
+ * Standings and rosters are open to everyone.  Players join and leave with
+ * their linked character (see /link); naming another player moves them and
+ * requires admin view permissions.
+ */
+
+import { SlashCommandBuilder, EmbedBuilder, MessageFlags, type GuildMember } from 'discord.js';
+import factionManager, { type FactionErrorCode } from '../modules/faction-manager.js';
+import accountLinker from '../modules/account-linker.js';
+import { FACTION_IDS } from '../db/repositories/faction-repository.js';
+import { t, getLocalizations, fmtNumber } from '../i18n/index.js';
+import config from '../config/index.js';
+import { errMsg } from '../utils/error.js';
+
+const FACTION_CHOICES = FACTION_IDS.map((id) => ({ name: id, value: id }));
+
+export const data = new SlashCommandBuilder()
+  .setName('faction')
+  .setNameLocalizations(getLocalizations('commands:faction.name'))
+  .setDescription(t('commands:faction.description', 'en'))
+  .setDescriptionLocalizations(getLocalizations('commands:faction.description'))
+  .addSubcommand((sub) =>
+    sub
+      .setName('list')
+      .setDescription(t('commands:faction.list.description', 'en'))
+      .setDescriptionLocalizations(getLocalizations('commands:faction.list.description')),
+  )
+  .addSubcommand((sub) =>
+    sub
+      .setName('members')
+      .setDescription(t('commands:faction.members.description', 'en'))
+      .setDescriptionLocalizations(getLocalizations('commands:faction.members.description'))
+      .addStringOption((opt) =>
+        opt
+          .setName('faction')
+          .setDescription(t('commands:faction.options.faction', 'en'))
+          .setDescriptionLocalizations(getLocalizations('commands:faction.options.faction'))
+          .addChoices(...FACTION_CHOICES)
+          .setRequired(true),
+      ),
+  )
+  .addSubcommand((sub) =>
+    sub
+      .setName('join')
+      .setDescription(t('commands:faction.join.description', 'en'))
+      .setDescriptionLocalizations(getLocalizations('commands:faction.join.description'))
+      .addStringOption((opt) =>
+        opt
+          .setName('faction')
+          .setDescription(t('commands:faction.options.faction', 'en'))
+          .setDescriptionLocalizations(getLocalizations('commands:faction.options.faction'))
+          .addChoices(...FACTION_CHOICES)
+          .setRequired(true),
+      )
+      .addStringOption((opt) =>
+        opt
+          .setName('player')
+          .setDescription(t('commands:faction.options.player', 'en'))
+          .setDescriptionLocalizations(getLocalizations('commands:faction.options.player')),
+      ),
+  )
+  .addSubcommand((sub) =>
+    sub
+      .setName('leave')
+      .setDescription(t('commands:faction.leave.description', 'en'))
+      .setDescriptionLocalizations(getLocalizations('commands:faction.leave.description'))
+      .addStringOption((opt) =>
+        opt
+          .setName('player')
+          .setDescription(t('commands:faction.options.player', 'en'))
+          .setDescriptionLocalizations(getLocalizations('commands:faction.options.player')),
+      ),
+  );
+
+function _errorReply(code: FactionErrorCode, locale: string): string {
+  return t(`commands:faction.errors.${code}`, locale);
+}
+
+export async function execute(interaction: import('discord.js').ChatInputCommandInteraction): Promise<void> {
+  const locale = interaction.locale;
+  const sub = interaction.options.getSubcommand();
+
+  if (!factionManager.isActive()) {
+    await interaction.reply({ content: _errorReply('disabled', locale), flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  // Without a player, join/leave act on the caller's linked character; naming one is an admin move
+  const isManage = sub === 'join' || sub === 'leave';
+  const named = isManage ? interaction.options.getString('player') : null;
+  if (named && !config.isAdminView(interaction.member as GuildMember | null)) {
+    await interaction.reply({ content: t('commands:faction.reply.admin_only', locale), flags: MessageFlags.Ephemeral });
+    return;
+  }
+  const player = named ?? (isManage ? accountLinker.getSteamId(interaction.user.id) : null);
+  if (isManage && !player) {
+    const key = accountLinker.isActive() ? 'commands:link.errors.not_linked' : 'commands:link.errors.disabled';
+    await interaction.reply({ content: t(key, locale), flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  await interaction.deferReply({ flags: isManage ? MessageFlags.Ephemeral : undefined });
+
+  try {
+    if (sub === 'join') {
+      const result = factionManager.join(player ?? '', interaction.options.getString('faction', true));
+      if (!result.ok) {
+        await interaction.editReply(_errorReply(result.code, locale));
+        return;
+      }
+      await interaction.editReply(
+        t('commands:faction.reply.joined', locale, {
+          player: result.value.name,
+          faction: factionManager.resolveFaction(result.value.factionId)?.name ?? result.value.factionId,
+        }),
+      );
+      return;
+    }
+
+    if (sub === 'leave') {
+      const result = factionManager.leave(player ?? '');
+      if (!result.ok) {
+        await interaction.editReply(_errorReply(result.code, locale));
+        return;
+      }
+      const previous = result.value.previousFactionId ?? '';
+      await interaction.editReply(
+        t('commands:faction.reply.left', locale, {
+          player: result.value.name,
+          faction: factionManager.resolveFaction(previous)?.name ?? previous,
+        }),
+      );
+      return;
+    }
+
+    if (sub === 'members') {
+      const faction = factionManager.resolveFaction(interaction.options.getString('faction', true));
+      if (!faction) {
+        await interaction.editReply(_errorReply('unknown_faction', locale));
+        return;
+      }
+      const members = factionManager.getMembers(faction.id);
+      const embed = new EmbedBuilder()
+        .setTitle(t('commands:faction.embeds.members_title', locale, { faction: `${faction.icon} ${faction.name}` }))
+        .setColor(/^#[0-9a-f]{6}$/i.test(faction.color) ? parseInt(faction.color.slice(1), 16) : 0x95a5a6)
+        .setDescription(
+          members.length === 0
+            ? t('commands:faction.reply.no_members', locale)
+            : members
+                .slice(0, 40)
+                .map((m) =>
+                  t('commands:faction.reply.member_line', locale, {
+                    name: m.name || m.steam_id,
+                    kills: fmtNumber(m.pvp_kills_faction, locale),
+                    captures: fmtNumber(m.territories_captured, locale),
+                  }),
+                )
+                .join('\n'),
+        )
+        .setTimestamp();
+      await interaction.editReply({ embeds: [embed] });
+      return;
+    }
+
+    // list
+    const standings = factionManager.getStandings();
+    const territories = factionManager.getTerritories().filter((tr) => tr.active);
+    const embed = new EmbedBuilder()
+      .setTitle(t('commands:faction.embeds.standings_title', locale))
+      .setColor(0x8e44ad)
+      .setDescription(
+        standings
+          .map((f, i) =>
+            t('commands:faction.reply.standing_line', locale, {
+              rank: i + 1,
+              faction: `${f.icon} ${f.name}`,
+              members: fmtNumber(f.member_count, locale),
+              territories: fmtNumber(f.territories_held, locale),
+              kills: fmtNumber(f.total_kills, locale),
+              deaths: fmtNumber(f.total_deaths, locale),
+            }),
+          )
+          .join('\n'),
+      )
+      .setTimestamp();
+
+    if (territories.length > 0) {
+      embed.addFields({
+        name: t('commands:faction.embeds.territories', locale),
+        value: territories
+          .slice(0, 20)
+          .map((tr) =>
+            t('commands:faction.reply.territory_line', locale, {
+              territory: tr.name,
+              holder: tr.controlling_faction
+                ? (factionManager.resolveFaction(tr.controlling_faction)?.name ?? tr.controlling_faction)
+                : t('commands:faction.reply.neutral', locale),
+            }),
+          )
+          .join('\n'),
+      });
+    }
+
+    await interaction.editReply({ embeds: [embed] });
+  } catch (err: unknown) {
+    console.error('[CMD:faction]', errMsg(err));
+    await interaction.editReply(t('commands:faction.reply.failed', locale));
+  }
+}
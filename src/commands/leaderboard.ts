@@ -0,0 +1,71 @@
+/**
+ * /leaderboard — Server leaderboards outside the player-stats channel.
+ *
+ * Subcommands:
+ *   credits — richest players by current credit balance
+ */
+
+import { SlashCommandBuilder, EmbedBuilder, MessageFlags } from 'discord.js';
+import economy from '../modules/economy.js';
+import { t, getLocalizations, fmtNumber } from '../i18n/index.js';
+import { errMsg } from '../utils/error.js';
+
+const BOARD_SIZE = 10;
+const MEDALS = ['🥇', '🥈', '🥉'];
+
+export const data = new SlashCommandBuilder()
+  .setName('leaderboard')
+  .setNameLocalizations(getLocalizations('commands:leaderboard.name'))
+  .setDescription(t('commands:leaderboard.description', 'en'))
+  .setDescriptionLocalizations(getLocalizations('commands:leaderboard.description'))
+  .addSubcommand((sub) =>
+    sub
+      .setName('credits')
+      .setDescription(t('commands:leaderboard.credits.description', 'en'))
+      .setDescriptionLocalizations(getLocalizations('commands:leaderboard.credits.description')),
+  );
+
+export async function execute(interaction: import('discord.js').ChatInputCommandInteraction): Promise<void> {
+  const locale = interaction.locale;
+
+  if (!economy.isActive()) {
+    await interaction.reply({ content: t('commands:economy.errors.disabled', locale), flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  try {
+    const rows = economy.getLeaderboard(BOARD_SIZE);
+    const totals = economy.getTotals();
+    const embed = new EmbedBuilder()
+      .setTitle(t('commands:leaderboard.credits.title', locale))
+      .setColor(0xf1c40f)
+      .setFooter({
+        text: t('commands:leaderboard.credits.footer', locale, {
+          circulating: fmtNumber(totals.circulating, locale),
+          accounts: fmtNumber(totals.accounts, locale),
+        }),
+      })
+      .setTimestamp();
+
+    if (rows.length === 0) {
+      embed.setDescription(t('commands:leaderboard.credits.empty', locale));
+    } else {
+      embed.setDescription(
+        rows
+          .map((r, i) =>
+            t('commands:leaderboard.credits.line', locale, {
+              rank: MEDALS[i] ?? `**${String(i + 1)}.**`,
+              name: r.name,
+              credits: fmtNumber(r.credits, locale),
+            }),
+          )
+          .join('\n'),
+      );
+    }
+
+    await interaction.reply({ embeds: [embed] });
+  } catch (err: unknown) {
+    console.error('[CMD:leaderboard]', errMsg(err));
+    await interaction.reply({ content: t('commands:economy.errors.failed', locale), flags: MessageFlags.Ephemeral });
+  }
+}
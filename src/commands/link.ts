@@ -0,0 +1,52 @@
+/**
+ * /link — Link your Discord account to your in-game character.
+ *
+ * Replies (ephemeral) with a one-time code to type in game chat; ChatRelay
+ * picks it up from fetchchat and AccountLinker stores the link.  The linked
+ * SteamID is what /me, /wallet, /pay, /bounty and /faction act on.
+ */
+
+import { SlashCommandBuilder, MessageFlags } from 'discord.js';
+import accountLinker from '../modules/account-linker.js';
+import { t, getLocalizations } from '../i18n/index.js';
+import { errMsg } from '../utils/error.js';
+
+export const data = new SlashCommandBuilder()
+  .setName('link')
+  .setNameLocalizations(getLocalizations('commands:link.name'))
+  .setDescription(t('commands:link.description', 'en'))
+  .setDescriptionLocalizations(getLocalizations('commands:link.description'));
+
+export async function execute(interaction: import('discord.js').ChatInputCommandInteraction): Promise<void> {
+  const locale = interaction.locale;
+
+  if (!accountLinker.isActive()) {
+    await interaction.reply({ content: t('commands:link.errors.disabled', locale), flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  try {
+    const result = accountLinker.createCode(interaction.user.id, interaction.user.username);
+    if (!result.ok) {
+      await interaction.reply({
+        content: t(`commands:link.errors.${result.code}`, locale),
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+
+    const existing = accountLinker.getLink(interaction.user.id);
+    const lines = [
+      t('commands:link.reply.code', locale, {
+        code: result.value.code,
+        expires: `<t:${String(Math.floor(result.value.expiresAt.getTime() / 1000))}:R>`,
+      }),
+    ];
+    if (existing) lines.push(t('commands:link.reply.relink', locale, { name: existing.player_name }));
+    else lines.push(t('commands:link.reply.unlocks', locale));
+    await interaction.reply({ content: lines.join('\n\n'), flags: MessageFlags.Ephemeral });
+  } catch (err: unknown) {
+    console.error('[CMD:link]', errMsg(err));
+    await interaction.reply({ content: t('commands:link.errors.failed', locale), flags: MessageFlags.Ephemeral });
+  }
+}
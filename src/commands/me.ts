@@ -0,0 +1,65 @@
+/**
+ * /me — Your own character's stats, via your linked SteamID.
+ *
+ * Same log-based embed as /playerstats, plus your credit balance when the
+ * economy is enabled.  Unlinked users are pointed at /link.
+ */
+
+import { SlashCommandBuilder, EmbedBuilder, MessageFlags, type GuildMember } from 'discord.js';
+import accountLinker from '../modules/account-linker.js';
+import economy from '../modules/economy.js';
+import playerStats from '../tracking/player-stats.js';
+import config from '../config/index.js';
+import { buildPlayerEmbed } from '../modules/player-embed.js';
+import { t, getLocalizations, fmtNumber } from '../i18n/index.js';
+import { errMsg } from '../utils/error.js';
+
+export const data = new SlashCommandBuilder()
+  .setName('me')
+  .setNameLocalizations(getLocalizations('commands:me.name'))
+  .setDescription(t('commands:me.description', 'en'))
+  .setDescriptionLocalizations(getLocalizations('commands:me.description'));
+
+export async function execute(interaction: import('discord.js').ChatInputCommandInteraction): Promise<void> {
+  const locale = interaction.locale;
+
+  if (!accountLinker.isActive()) {
+    await interaction.reply({ content: t('commands:link.errors.disabled', locale), flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  try {
+    const link = accountLinker.getLink(interaction.user.id);
+    if (!link) {
+      await interaction.reply({ content: t('commands:me.reply.not_linked', locale), flags: MessageFlags.Ephemeral });
+      return;
+    }
+
+    const stats = playerStats.getStats(link.steam_id);
+    const embed = stats
+      ? buildPlayerEmbed(stats as Parameters<typeof buildPlayerEmbed>[0], {
+          isAdmin: config.isAdminView(interaction.member as GuildMember | null),
+        })
+      : new EmbedBuilder()
+          .setTitle(link.player_name)
+          .setDescription(t('commands:me.reply.no_stats', locale))
+          .setColor(0x5865f2);
+
+    if (economy.isActive()) {
+      const wallet = economy.getWallet(link.steam_id, 0);
+      if (wallet.ok) {
+        embed.addFields({
+          name: t('commands:me.embeds.balance', locale),
+          value: fmtNumber(wallet.value.balance, locale),
+          inline: true,
+        });
+      }
+    }
+    embed.setFooter({ text: t('commands:me.embeds.footer', locale, { steam_id: link.steam_id }) });
+
+    await interaction.reply({ embeds: [embed] });
+  } catch (err: unknown) {
+    console.error('[CMD:me]', errMsg(err));
+    await interaction.reply({ content: t('commands:link.errors.failed', locale), flags: MessageFlags.Ephemeral });
+  }
+}
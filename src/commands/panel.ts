@@ -3,6 +3,7 @@ import { t, getLocalizations, fmtDate, fmtTime } from '../i18n/index.js';
 import { formatBytes, formatUptime } from '../server/server-resources.js';
 import _panelApi from '../server/panel-api.js';
 import { errMsg } from '../utils/error.js';
+import adminAudit from '../modules/admin-audit.js';
 import config from '../config/index.js';
 import { parseDbTimestampUtc } from '../db/timestamp.js';
 
@@ -311,6 +312,7 @@ async function _power(interaction: import('discord.js').ChatInputCommandInteract
 
   try {
     await panelApi.sendPowerAction(signal);
+    adminAudit.recordInteraction(interaction, 'power', { action: signal }, 'ok');
 
     const embed = new EmbedBuilder()
       .setTitle(t('commands:qspanel.embeds.power_action_title', locale, { emoji: l.emoji, verb: l.verb }))
@@ -322,6 +324,7 @@ async function _power(interaction: import('discord.js').ChatInputCommandInteract
     await interaction.editReply({ embeds: [embed] });
   } catch (err) {
     console.error(`[CMD:panel:${signal}]`, errMsg(err));
+    adminAudit.recordInteraction(interaction, 'power', { action: signal }, 'error', errMsg(err));
     await interaction.editReply({
       content: t('commands:qspanel.reply.power_action_failed', locale, { signal, error: errMsg(err) }),
     });
@@ -336,6 +339,7 @@ async function _console(interaction: import('discord.js').ChatInputCommandIntera
 
   try {
     await panelApi.sendCommand(command);
+    adminAudit.recordInteraction(interaction, 'panel_console', { command }, 'ok');
 
     const embed = new EmbedBuilder()
       .setTitle(t('commands:qspanel.embeds.console_title', locale))
@@ -352,6 +356,7 @@ async function _console(interaction: import('discord.js').ChatInputCommandIntera
     await interaction.editReply({ embeds: [embed] });
   } catch (err) {
     console.error('[CMD:panel:console]', errMsg(err));
+    adminAudit.recordInteraction(interaction, 'panel_console', { command }, 'error', errMsg(err));
     await interaction.editReply({
       content: t('commands:qspanel.reply.console_command_failed', locale, { error: errMsg(err) }),
     });
@@ -409,6 +414,7 @@ async function _backupCreate(interaction: import('discord.js').ChatInputCommandI
 
   try {
     const backup = await panelApi.createBackup(name);
+    adminAudit.recordInteraction(interaction, 'backup_create', { name }, 'ok');
 
     const embed = new EmbedBuilder()
       .setTitle(t('commands:qspanel.embeds.backup_created_title', locale))
@@ -425,6 +431,7 @@ async function _backupCreate(interaction: import('discord.js').ChatInputCommandI
     await interaction.editReply({ embeds: [embed] });
   } catch (err) {
     console.error('[CMD:panel:backup-create]', errMsg(err));
+    adminAudit.recordInteraction(interaction, 'backup_create', { name }, 'error', errMsg(err));
     const msg =
       errMsg(err).includes('409') || errMsg(err).includes('limit')
         ? t('commands:qspanel.reply.backup_limit_reached', locale)
@@ -441,9 +448,11 @@ async function _backupDelete(interaction: import('discord.js').ChatInputCommandI
 
   try {
     await panelApi.deleteBackup(uuid);
+    adminAudit.recordInteraction(interaction, 'backup_delete', { uuid }, 'ok');
     await interaction.editReply({ content: t('commands:qspanel.reply.backup_deleted', locale, { uuid }) });
   } catch (err) {
     console.error('[CMD:panel:backup-delete]', errMsg(err));
+    adminAudit.recordInteraction(interaction, 'backup_delete', { uuid }, 'error', errMsg(err));
     await interaction.editReply({
       content: t('commands:qspanel.reply.backup_delete_failed', locale, { error: errMsg(err) }),
     });
@@ -0,0 +1,84 @@
+/**
+ * /pay — Send credits from your own character to another player.
+ *
+ * The sender is the caller's linked SteamID (see /link); unlinked users are
+ * pointed at /link.  In game the same transfer is `!pay <player> <amount>`.
+ */
+
+import { SlashCommandBuilder, MessageFlags } from 'discord.js';
+import economy from '../modules/economy.js';
+import accountLinker from '../modules/account-linker.js';
+import { t, getLocalizations, fmtNumber } from '../i18n/index.js';
+import config from '../config/index.js';
+import { errMsg } from '../utils/error.js';
+
+export const data = new SlashCommandBuilder()
+  .setName('pay')
+  .setNameLocalizations(getLocalizations('commands:pay.name'))
+  .setDescription(t('commands:pay.description', 'en'))
+  .setDescriptionLocalizations(getLocalizations('commands:pay.description'))
+  .addStringOption((opt) =>
+    opt
+      .setName('player')
+      .setDescription(t('commands:pay.options.player', 'en'))
+      .setDescriptionLocalizations(getLocalizations('commands:pay.options.player'))
+      .setRequired(true),
+  )
+  .addIntegerOption((opt) =>
+    opt
+      .setName('amount')
+      .setDescription(t('commands:pay.options.amount', 'en'))
+      .setDescriptionLocalizations(getLocalizations('commands:pay.options.amount'))
+      .setMinValue(1)
+      .setRequired(true),
+  );
+
+export async function execute(interaction: import('discord.js').ChatInputCommandInteraction): Promise<void> {
+  const locale = interaction.locale;
+
+  if (!economy.isActive()) {
+    await interaction.reply({ content: t('commands:economy.errors.disabled', locale), flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  if (!accountLinker.isActive()) {
+    await interaction.reply({ content: t('commands:link.errors.disabled', locale), flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  const from = accountLinker.getSteamId(interaction.user.id);
+  if (!from) {
+    await interaction.reply({ content: t('commands:link.errors.not_linked', locale), flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  try {
+    const result = economy.pay(
+      from,
+      interaction.options.getString('player', true),
+      interaction.options.getInteger('amount', true),
+      `discord:${interaction.user.username}`,
+    );
+    if (!result.ok) {
+      await interaction.reply({
+        content: t(`commands:economy.errors.${result.code}`, locale, {
+          max: fmtNumber(config.economyMaxTransfer, locale),
+        }),
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+    await interaction.reply({
+      content: t('commands:pay.reply.paid', locale, {
+        from: result.value.from.name,
+        to: result.value.to.name,
+        amount: fmtNumber(result.value.amount, locale),
+        balance: fmtNumber(result.value.from.balance, locale),
+      }),
+      flags: MessageFlags.Ephemeral,
+    });
+  } catch (err: unknown) {
+    console.error('[CMD:pay]', errMsg(err));
+    await interaction.reply({ content: t('commands:economy.errors.failed', locale), flags: MessageFlags.Ephemeral });
+  }
+}
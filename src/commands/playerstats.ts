@@ -3,6 +3,7 @@
  *
  * Uses the lightweight player-embed.js (log-only data).
  * The full save-enriched view is available via the #player-stats channel select menu.
+ * `scope: lifetime` / `scope: season` read archived season stats from SeasonManager.
  */
 
 import {
@@ -15,21 +16,189 @@ import {
 } from 'discord.js';
 import playerStats from '../tracking/player-stats.js';
 import playtime from '../tracking/playtime-tracker.js';
-import { t, getLocalizations } from '../i18n/index.js';
+import { t, getLocalizations, fmtNumber, fmtDate } from '../i18n/index.js';
 import config from '../config/index.js';
 import { buildPlayerEmbed } from '../modules/player-embed.js';
+import seasonManager, { type SeasonStats } from '../modules/season-manager.js';
+import type { SeasonStatsRow } from '../db/repositories/season-repository.js';
 import { errMsg } from '../utils/error.js';
 
 export const data = new SlashCommandBuilder()
   .setName('playerstats')
   .setNameLocalizations(getLocalizations('commands:playerstats.name'))
   .setDescription(t('commands:playerstats.description', 'en'))
-  .setDescriptionLocalizations(getLocalizations('commands:playerstats.description'));
+  .setDescriptionLocalizations(getLocalizations('commands:playerstats.description'))
+  .addStringOption((opt) =>
+    opt
+      .setName('scope')
+      .setDescription(t('commands:playerstats.options.scope', 'en'))
+      .setDescriptionLocalizations(getLocalizations('commands:playerstats.options.scope'))
+      .addChoices(
+        { name: t('commands:playerstats.choices.current', 'en'), value: 'current' },
+        { name: t('commands:playerstats.choices.season', 'en'), value: 'season' },
+        { name: t('commands:playerstats.choices.lifetime', 'en'), value: 'lifetime' },
+      ),
+  )
+  .addStringOption((opt) =>
+    opt
+      .setName('season')
+      .setDescription(t('commands:playerstats.options.season', 'en'))
+      .setDescriptionLocalizations(getLocalizations('commands:playerstats.options.season')),
+  );
+
+function _fmtHours(seconds: number, locale: string): string {
+  return t('commands:playerstats.reply.hours', locale, { hours: fmtNumber(Math.round(seconds / 360) / 10, locale) });
+}
+
+function _buildSeasonPlayerEmbed(row: SeasonStatsRow, title: string, locale: string): EmbedBuilder {
+  const field = (key: string, value: number | string) => ({
+    name: t(`commands:playerstats.embeds.${key}`, locale),
+    value: typeof value === 'number' ? fmtNumber(value, locale) : value,
+    inline: true,
+  });
+  return new EmbedBuilder()
+    .setTitle(row.name || row.steam_id)
+    .setDescription(title)
+    .setColor(0x5865f2)
+    .addFields(
+      field('kills', row.kills),
+      field('headshots', row.headshots),
+      field('days_survived', row.days_survived),
+      field('deaths', row.deaths),
+      field('pvp', `${fmtNumber(row.pvp_kills, locale)} / ${fmtNumber(row.pvp_deaths, locale)}`),
+      field('builds', row.builds),
+      field('looted', row.loots),
+      field('fish', row.fish_caught),
+      field('playtime', _fmtHours(row.playtime_seconds, locale)),
+    )
+    .setFooter({ text: row.steam_id });
+}
+
+/** Lifetime or archived-season view — same overview + select flow, fed from season_player_stats. */
+async function _executeArchive(
+  interaction: import('discord.js').ChatInputCommandInteraction,
+  scope: 'season' | 'lifetime',
+  locale: string,
+): Promise<void> {
+  let stats: SeasonStats;
+  if (scope === 'lifetime') {
+    const result = seasonManager.getStats('lifetime');
+    if (!result.ok) {
+      await interaction.editReply(t('commands:playerstats.reply.seasons_unavailable', locale));
+      return;
+    }
+    stats = result.value;
+  } else {
+    const requested = interaction.options.getString('season');
+    const season = requested ? seasonManager.resolveSeason(requested) : seasonManager.getPreviousSeason();
+    if (!season || season.current) {
+      const previous = seasonManager.listSeasons().filter((s) => !s.current);
+      await interaction.editReply(
+        previous.length === 0
+          ? t('commands:playerstats.reply.no_previous_seasons', locale)
+          : t('commands:playerstats.reply.season_not_found', locale, {
+              seasons: previous.map((s) => s.name).join(', '),
+            }),
+      );
+      return;
+    }
+    const result = seasonManager.getStats(season.id);
+    if (!result.ok) {
+      await interaction.editReply(t('commands:playerstats.reply.seasons_unavailable', locale));
+      return;
+    }
+    stats = result.value;
+  }
+
+  const players = stats.players
+    .filter((p) => p.playtime_seconds > 0 || p.kills > 0 || p.deaths > 0)
+    .sort((a, b) => b.playtime_seconds - a.playtime_seconds);
+  const season = stats.season;
+  const title = season
+    ? t('commands:playerstats.embeds.season_title', locale, {
+        season: season.name,
+        from: fmtDate(season.startedAt, locale),
+        to: season.endedAt ? fmtDate(season.endedAt, locale) : '—',
+      })
+    : t('commands:playerstats.embeds.lifetime_title', locale);
+
+  if (players.length === 0) {
+    await interaction.editReply(t('commands:playerstats.reply.no_data', locale));
+    return;
+  }
+
+  const sum = (key: 'kills' | 'deaths' | 'builds' | 'playtime_seconds') => players.reduce((s, p) => s + p[key], 0);
+  const embed = new EmbedBuilder()
+    .setTitle(title)
+    .setDescription(t('commands:playerstats.embeds.tracked_survivors', locale, { count: players.length }))
+    .setColor(0x5865f2)
+    .addFields(
+      { name: t('commands:playerstats.embeds.kills', locale), value: fmtNumber(sum('kills'), locale), inline: true },
+      { name: t('commands:playerstats.embeds.deaths', locale), value: fmtNumber(sum('deaths'), locale), inline: true },
+      { name: t('commands:playerstats.embeds.builds', locale), value: fmtNumber(sum('builds'), locale), inline: true },
+      {
+        name: t('commands:playerstats.embeds.most_active', locale),
+        value: players
+          .slice(0, 5)
+          .map((p, i) => `**${String(i + 1)}.** ${p.name || p.steam_id} — ${_fmtHours(p.playtime_seconds, locale)}`)
+          .join('\n'),
+      },
+    )
+    .setTimestamp();
+
+  const selectMenu = new StringSelectMenuBuilder()
+    .setCustomId('playerstats_season_select')
+    .setPlaceholder(t('commands:playerstats.menus.player_placeholder', locale))
+    .addOptions(
+      players.slice(0, 25).map((p) => ({
+        label: (p.name || p.steam_id).substring(0, 100),
+        description: t('commands:playerstats.menus.season_option_description', locale, {
+          kills: fmtNumber(p.kills, locale),
+          playtime: _fmtHours(p.playtime_seconds, locale),
+        }).substring(0, 100),
+        value: p.steam_id,
+      })),
+    );
+  const row = new ActionRowBuilder<StringSelectMenuBuilder>().addComponents(selectMenu);
+  const response = await interaction.editReply({ embeds: [embed], components: [row] });
+
+  const collector = response.createMessageComponentCollector({
+    componentType: ComponentType.StringSelect,
+    time: 120_000,
+  });
+  collector.on('collect', (selectInteraction: StringSelectMenuInteraction) => {
+    void (async () => {
+      try {
+        const player = players.find((p) => p.steam_id === selectInteraction.values[0]);
+        if (!player) return;
+        await selectInteraction.update({ embeds: [_buildSeasonPlayerEmbed(player, title, locale)], components: [row] });
+      } catch (err) {
+        const code = (err as { code?: number }).code;
+        if (![10062, 10008, 40060].includes(code ?? -1)) {
+          console.error('[CMD:playerstats] Season select error:', errMsg(err));
+        }
+      }
+    })();
+  });
+  collector.on('end', () => {
+    selectMenu.setDisabled(true);
+    const disabledRow = new ActionRowBuilder<StringSelectMenuBuilder>().addComponents(selectMenu);
+    interaction.editReply({ components: [disabledRow] }).catch(() => {
+      /* ignore */
+    });
+  });
+}
 
 export async function execute(interaction: import('discord.js').ChatInputCommandInteraction): Promise<void> {
   await interaction.deferReply();
   const locale = interaction.locale;
 
+  const scope = interaction.options.getString('scope') ?? (interaction.options.getString('season') ? 'season' : null);
+  if (scope === 'season' || scope === 'lifetime') {
+    await _executeArchive(interaction, scope, locale);
+    return;
+  }
+
   const allPlayers = playerStats.getAllPlayers();
 
   if (allPlayers.length === 0) {
@@ -0,0 +1,290 @@
+/**
+ * /pvp — PvP stats, head-to-head rivalries and recent fights.
+ *
+ * Reads the fight records LogWatcher writes to `pvp_fights` (requires the
+ * PvP kill feed to be enabled for new fights to be recorded).
+ */
+
+import { SlashCommandBuilder, EmbedBuilder, MessageFlags } from 'discord.js';
+import pvpAnalytics, { MAX_PVP_DAYS, type PvpErrorCode } from '../modules/pvp-analytics.js';
+import { t, getLocalizations, fmtNumber } from '../i18n/index.js';
+import { parseDbTimestampUtc } from '../db/timestamp.js';
+import { errMsg } from '../utils/error.js';
+
+const DEFAULT_DAYS = 30;
+
+export const data = new SlashCommandBuilder()
+  .setName('pvp')
+  .setNameLocalizations(getLocalizations('commands:pvp.name'))
+  .setDescription(t('commands:pvp.description', 'en'))
+  .setDescriptionLocalizations(getLocalizations('commands:pvp.description'))
+  .addSubcommand((sub) =>
+    sub
+      .setName('stats')
+      .setDescription(t('commands:pvp.stats.description', 'en'))
+      .setDescriptionLocalizations(getLocalizations('commands:pvp.stats.description'))
+      .addStringOption((opt) =>
+        opt
+          .setName('player')
+          .setDescription(t('commands:pvp.options.player', 'en'))
+          .setDescriptionLocalizations(getLocalizations('commands:pvp.options.player'))
+          .setRequired(true),
+      )
+      .addIntegerOption((opt) =>
+        opt
+          .setName('days')
+          .setDescription(t('commands:pvp.options.days', 'en'))
+          .setDescriptionLocalizations(getLocalizations('commands:pvp.options.days'))
+          .setMinValue(1)
+          .setMaxValue(MAX_PVP_DAYS),
+      ),
+  )
+  .addSubcommand((sub) =>
+    sub
+      .setName('rivals')
+      .setDescription(t('commands:pvp.rivals.description', 'en'))
+      .setDescriptionLocalizations(getLocalizations('commands:pvp.rivals.description'))
+      .addStringOption((opt) =>
+        opt
+          .setName('player')
+          .setDescription(t('commands:pvp.rivals.options.player', 'en'))
+          .setDescriptionLocalizations(getLocalizations('commands:pvp.rivals.options.player')),
+      )
+      .addIntegerOption((opt) =>
+        opt
+          .setName('days')
+          .setDescription(t('commands:pvp.options.days', 'en'))
+          .setDescriptionLocalizations(getLocalizations('commands:pvp.options.days'))
+          .setMinValue(1)
+          .setMaxValue(MAX_PVP_DAYS),
+      ),
+  )
+  .addSubcommand((sub) =>
+    sub
+      .setName('fights')
+      .setDescription(t('commands:pvp.fights.description', 'en'))
+      .setDescriptionLocalizations(getLocalizations('commands:pvp.fights.description')),
+  );
+
+function _errorReply(code: PvpErrorCode, locale: string): string {
+  return t(`commands:pvp.errors.${code}`, locale);
+}
+
+function _fmtDuration(seconds: number, locale: string): string {
+  const total = Math.round(seconds);
+  if (total < 60) return t('commands:pvp.reply.duration_seconds', locale, { s: total });
+  return t('commands:pvp.reply.duration_minutes', locale, { m: Math.floor(total / 60), s: total % 60 });
+}
+
+function _relativeTime(dbTimestamp: string): string {
+  const date = parseDbTimestampUtc(dbTimestamp);
+  return date ? `<t:${String(Math.floor(date.getTime() / 1000))}:R>` : dbTimestamp;
+}
+
+async function _replyStats(
+  interaction: import('discord.js').ChatInputCommandInteraction,
+  locale: string,
+  days: number,
+): Promise<void> {
+  const result = pvpAnalytics.playerReport(interaction.options.getString('player', true), days);
+  if (!result.ok) {
+    await interaction.editReply(_errorReply(result.code, locale));
+    return;
+  }
+  const report = result.value;
+  const totals = report.totals;
+  const num = (n: number) => fmtNumber(Math.round(n), locale);
+  const field = (key: string, value: string, inline = true) => ({
+    name: t(`commands:pvp.embeds.${key}`, locale),
+    value,
+    inline,
+  });
+
+  const embed = new EmbedBuilder()
+    .setTitle(t('commands:pvp.embeds.stats_title', locale, { player: report.player.name || report.player.steamId }))
+    .setDescription(t('commands:pvp.embeds.window', locale, { days: report.days }))
+    .setColor(0xe74c3c)
+    .addFields(
+      field('kills', num(totals.kills)),
+      field('deaths', num(totals.deaths)),
+      field('kd', fmtNumber(totals.kd, locale)),
+      field('assists', num(totals.assists)),
+      field('damage_dealt', num(totals.damage_dealt)),
+      field('damage_taken', num(totals.damage_taken)),
+      field('fights', num(totals.fights)),
+      field('avg_fight', _fmtDuration(totals.avg_duration_sec, locale)),
+      field('longest_fight', _fmtDuration(totals.longest_fight_sec, locale)),
+    )
+    .setFooter({ text: report.player.steamId || t('commands:pvp.embeds.unlinked', locale) })
+    .setTimestamp();
+
+  if (report.nemesis) {
+    embed.addFields(
+      field(
+        'nemesis',
+        t('commands:pvp.reply.opponent_line', locale, {
+          name: report.nemesis.opponent_name,
+          kills: report.nemesis.kills,
+          deaths: report.nemesis.deaths,
+        }),
+      ),
+    );
+  }
+  if (report.favouriteVictim) {
+    embed.addFields(
+      field(
+        'favourite_victim',
+        t('commands:pvp.reply.opponent_line', locale, {
+          name: report.favouriteVictim.opponent_name,
+          kills: report.favouriteVictim.kills,
+          deaths: report.favouriteVictim.deaths,
+        }),
+      ),
+    );
+  }
+  if (report.weapons.length > 0) {
+    embed.addFields(
+      field('weapons', report.weapons.map((w) => `${w.weapon} × ${fmtNumber(w.kills, locale)}`).join('\n')),
+    );
+  }
+
+  // K/D over time — the most recent active days
+  const active = report.series.filter((p) => p.kills > 0 || p.deaths > 0).slice(-7);
+  if (active.length > 0) {
+    embed.addFields(
+      field(
+        'trend',
+        active
+          .map((p) =>
+            t('commands:pvp.reply.trend_line', locale, {
+              day: p.day,
+              kills: p.kills,
+              deaths: p.deaths,
+              kd: fmtNumber(p.kd, locale),
+            }),
+          )
+          .join('\n'),
+        false,
+      ),
+    );
+  }
+  await interaction.editReply({ embeds: [embed] });
+}
+
+async function _replyRivals(
+  interaction: import('discord.js').ChatInputCommandInteraction,
+  locale: string,
+  days: number,
+): Promise<void> {
+  const playerName = interaction.options.getString('player');
+  const embed = new EmbedBuilder().setColor(0xe67e22).setTimestamp();
+
+  if (playerName) {
+    const result = pvpAnalytics.playerReport(playerName, days);
+    if (!result.ok) {
+      await interaction.editReply(_errorReply(result.code, locale));
+      return;
+    }
+    const report = result.value;
+    embed
+      .setTitle(t('commands:pvp.embeds.rivals_player_title', locale, { player: report.player.name || playerName }))
+      .setDescription(
+        report.opponents.length === 0
+          ? t('commands:pvp.reply.no_fights', locale)
+          : report.opponents
+              .map((o) =>
+                t('commands:pvp.reply.head_to_head_line', locale, {
+                  name: o.opponent_name,
+                  kills: o.kills,
+                  deaths: o.deaths,
+                  kd: fmtNumber(o.kd, locale),
+                }),
+              )
+              .join('\n'),
+      );
+  } else {
+    const result = pvpAnalytics.rivalries(days, 10);
+    if (!result.ok) {
+      await interaction.editReply(_errorReply(result.code, locale));
+      return;
+    }
+    embed.setTitle(t('commands:pvp.embeds.rivals_title', locale)).setDescription(
+      result.value.length === 0
+        ? t('commands:pvp.reply.no_rivalries', locale)
+        : result.value
+            .map((r) =>
+              t('commands:pvp.reply.rivalry_line', locale, {
+                a: r.player_a,
+                b: r.player_b,
+                aKills: r.a_kills,
+                bKills: r.b_kills,
+              }),
+            )
+            .join('\n'),
+    );
+  }
+  embed.setFooter({ text: t('commands:pvp.embeds.window', locale, { days }) });
+  await interaction.editReply({ embeds: [embed] });
+}
+
+async function _replyFights(
+  interaction: import('discord.js').ChatInputCommandInteraction,
+  locale: string,
+): Promise<void> {
+  const result = pvpAnalytics.recentFights(10, 7);
+  if (!result.ok) {
+    await interaction.editReply(_errorReply(result.code, locale));
+    return;
+  }
+  const lines = result.value.fights.map((f) => {
+    const assists = f.participants.filter((p) => p.role === 'assist').map((p) => p.attacker_name);
+    const attackers = f.participants.map((p) => p.attacker_name);
+    const vars = {
+      time: _relativeTime(f.ended_at),
+      killer: f.killer_name,
+      victim: f.victim_name,
+      attackers: attackers.join(', '),
+      damage: fmtNumber(Math.round(f.total_damage), locale),
+      duration: _fmtDuration(f.duration_sec, locale),
+    };
+    if (f.outcome !== 'kill') return t('commands:pvp.reply.fight_disengaged', locale, vars);
+    const line = t('commands:pvp.reply.fight_kill', locale, vars);
+    return assists.length > 0
+      ? `${line} ${t('commands:pvp.reply.fight_assists', locale, { names: assists.join(', ') })}`
+      : line;
+  });
+  const embed = new EmbedBuilder()
+    .setTitle(t('commands:pvp.embeds.fights_title', locale))
+    .setDescription(lines.length > 0 ? lines.join('\n') : t('commands:pvp.reply.no_fights', locale))
+    .setColor(0x992d22)
+    .setTimestamp();
+  await interaction.editReply({ embeds: [embed] });
+}
+
+export async function execute(interaction: import('discord.js').ChatInputCommandInteraction): Promise<void> {
+  const locale = interaction.locale;
+  const sub = interaction.options.getSubcommand();
+
+  if (!pvpAnalytics.isActive()) {
+    await interaction.reply({ content: _errorReply('disabled', locale), flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  await interaction.deferReply();
+  const days = interaction.options.getInteger('days') ?? DEFAULT_DAYS;
+
+  try {
+    if (sub === 'stats') {
+      await _replyStats(interaction, locale, days);
+      return;
+    }
+    if (sub === 'rivals') {
+      await _replyRivals(interaction, locale, days);
+      return;
+    }
+    await _replyFights(interaction, locale);
+  } catch (err: unknown) {
+    console.error('[CMD:pvp]', errMsg(err));
+    await interaction.editReply(t('commands:pvp.reply.failed', locale));
+  }
+}
@@ -0,0 +1,136 @@
+/**
+ * /raidalerts — Opt in or out of raid DMs and read past raid reports.
+ *
+ * Alerts go to the Discord account linked to a base owner (and their clan
+ * when RAID_ALERT_CLAN is on), so unlinked users are pointed at /link.
+ */
+
+import { SlashCommandBuilder, EmbedBuilder, MessageFlags } from 'discord.js';
+import raidAlerts, { buildRaidReportEmbed, type RaidAlertErrorCode } from '../modules/raid-alerts.js';
+import accountLinker from '../modules/account-linker.js';
+import { t, getLocalizations, fmtNumber } from '../i18n/index.js';
+import { parseDbTimestampUtc } from '../db/timestamp.js';
+import { errMsg } from '../utils/error.js';
+
+const REPORT_LIST_SIZE = 5;
+
+export const data = new SlashCommandBuilder()
+  .setName('raidalerts')
+  .setNameLocalizations(getLocalizations('commands:raidalerts.name'))
+  .setDescription(t('commands:raidalerts.description', 'en'))
+  .setDescriptionLocalizations(getLocalizations('commands:raidalerts.description'))
+  .addSubcommand((sub) =>
+    sub
+      .setName('on')
+      .setDescription(t('commands:raidalerts.on.description', 'en'))
+      .setDescriptionLocalizations(getLocalizations('commands:raidalerts.on.description')),
+  )
+  .addSubcommand((sub) =>
+    sub
+      .setName('off')
+      .setDescription(t('commands:raidalerts.off.description', 'en'))
+      .setDescriptionLocalizations(getLocalizations('commands:raidalerts.off.description')),
+  )
+  .addSubcommand((sub) =>
+    sub
+      .setName('status')
+      .setDescription(t('commands:raidalerts.status.description', 'en'))
+      .setDescriptionLocalizations(getLocalizations('commands:raidalerts.status.description')),
+  )
+  .addSubcommand((sub) =>
+    sub
+      .setName('reports')
+      .setDescription(t('commands:raidalerts.reports.description', 'en'))
+      .setDescriptionLocalizations(getLocalizations('commands:raidalerts.reports.description'))
+      .addIntegerOption((opt) =>
+        opt
+          .setName('id')
+          .setDescription(t('commands:raidalerts.reports.options.id', 'en'))
+          .setDescriptionLocalizations(getLocalizations('commands:raidalerts.reports.options.id'))
+          .setMinValue(1),
+      ),
+  );
+
+function _errorReply(code: RaidAlertErrorCode, locale: string): string {
+  return t(`commands:raidalerts.errors.${code}`, locale);
+}
+
+async function _replyReports(
+  interaction: import('discord.js').ChatInputCommandInteraction,
+  locale: string,
+): Promise<void> {
+  const id = interaction.options.getInteger('id');
+  if (id !== null) {
+    const result = raidAlerts.getReportFor(interaction.user.id, id);
+    if (!result.ok) {
+      await interaction.reply({ content: _errorReply(result.code, locale), flags: MessageFlags.Ephemeral });
+      return;
+    }
+    await interaction.reply({ embeds: [buildRaidReportEmbed(result.value, locale)], flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  const result = raidAlerts.getReportsFor(interaction.user.id, REPORT_LIST_SIZE);
+  if (!result.ok) {
+    await interaction.reply({ content: _errorReply(result.code, locale), flags: MessageFlags.Ephemeral });
+    return;
+  }
+  const lines = result.value.map((r) => {
+    const ended = parseDbTimestampUtc(r.ended_at);
+    return t('commands:raidalerts.reply.report_line', locale, {
+      id: r.id,
+      time: ended ? `<t:${String(Math.floor(ended.getTime() / 1000))}:R>` : r.ended_at,
+      hits: fmtNumber(r.hits, locale),
+      destroyed: fmtNumber(r.destroyed, locale),
+      attackers: r.attackers.map((a) => a.name).join(', '),
+    });
+  });
+  const embed = new EmbedBuilder()
+    .setTitle(t('commands:raidalerts.embeds.reports_title', locale))
+    .setDescription(lines.length > 0 ? lines.join('\n') : t('commands:raidalerts.reply.no_reports', locale))
+    .setColor(0xe67e22);
+  if (lines.length > 0) embed.setFooter({ text: t('commands:raidalerts.embeds.reports_footer', locale) });
+  await interaction.reply({ embeds: [embed], flags: MessageFlags.Ephemeral });
+}
+
+export async function execute(interaction: import('discord.js').ChatInputCommandInteraction): Promise<void> {
+  const locale = interaction.locale;
+  const sub = interaction.options.getSubcommand();
+
+  if (!raidAlerts.isActive()) {
+    await interaction.reply({ content: _errorReply('disabled', locale), flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  try {
+    if (sub === 'reports') {
+      await _replyReports(interaction, locale);
+      return;
+    }
+
+    const link = accountLinker.getLink(interaction.user.id);
+    if (sub === 'on' || sub === 'off') {
+      const result = raidAlerts.setOptOut(interaction.user.id, sub === 'off');
+      if (!result.ok) {
+        await interaction.reply({ content: _errorReply(result.code, locale), flags: MessageFlags.Ephemeral });
+        return;
+      }
+      const key = sub === 'off' ? 'opted_out' : link ? 'opted_in' : 'opted_in_unlinked';
+      await interaction.reply({
+        content: t(`commands:raidalerts.reply.${key}`, locale),
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+
+    // status
+    const optedOut = raidAlerts.isOptedOut(interaction.user.id);
+    const content = !link
+      ? t('commands:raidalerts.reply.status_unlinked', locale)
+      : t(`commands:raidalerts.reply.${optedOut ? 'status_off' : 'status_on'}`, locale, { player: link.player_name });
+    await interaction.reply({ content, flags: MessageFlags.Ephemeral });
+  } catch (err: unknown) {
+    console.error('[CMD:raidalerts]', errMsg(err));
+    await interaction.reply({ content: t('commands:raidalerts.reply.failed', locale), flags: MessageFlags.Ephemeral });
+  }
+}
@@ -2,6 +2,7 @@ import { SlashCommandBuilder, PermissionFlagsBits, MessageFlags } from 'discord.
 import rcon from '../rcon/rcon.js';
 import { t, getLocalizations } from '../i18n/index.js';
 import { errMsg } from '../utils/error.js';
+import adminAudit from '../modules/admin-audit.js';
 
 // Commands that could disrupt the server — blocked from Discord execution
 // Keep in sync with web panel blocklist in src/web-map/server.js
@@ -40,6 +41,7 @@ export async function execute(interaction: import('discord.js').ChatInputCommand
 
   const cmdWord = command.trim().toLowerCase().split(/\s+/)[0] ?? '';
   if (BLOCKED_COMMANDS.has(cmdWord)) {
+    adminAudit.recordInteraction(interaction, 'rcon', { command }, 'denied', 'blocked');
     await interaction.editReply({
       content: t('commands:rcon.reply.blocked', locale, { command: cmdWord }),
     });
@@ -48,6 +50,7 @@ export async function execute(interaction: import('discord.js').ChatInputCommand
 
   try {
     const response = await rcon.send(command);
+    adminAudit.recordInteraction(interaction, 'rcon', { command }, 'ok');
 
     const output =
       response && response.trim()
@@ -62,6 +65,7 @@ export async function execute(interaction: import('discord.js').ChatInputCommand
     });
   } catch (err) {
     console.error('[CMD:rcon]', errMsg(err));
+    adminAudit.recordInteraction(interaction, 'rcon', { command }, 'error', errMsg(err));
     await interaction.editReply({
       content: t('commands:rcon.reply.failed', locale, { error: errMsg(err) }),
     });
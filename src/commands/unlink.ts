@@ -0,0 +1,36 @@
+/**
+ * /unlink — Remove the link between your Discord account and your character.
+ */
+
+import { SlashCommandBuilder, MessageFlags } from 'discord.js';
+import accountLinker from '../modules/account-linker.js';
+import { t, getLocalizations } from '../i18n/index.js';
+import { errMsg } from '../utils/error.js';
+
+export const data = new SlashCommandBuilder()
+  .setName('unlink')
+  .setNameLocalizations(getLocalizations('commands:unlink.name'))
+  .setDescription(t('commands:unlink.description', 'en'))
+  .setDescriptionLocalizations(getLocalizations('commands:unlink.description'));
+
+export async function execute(interaction: import('discord.js').ChatInputCommandInteraction): Promise<void> {
+  const locale = interaction.locale;
+
+  if (!accountLinker.isActive()) {
+    await interaction.reply({ content: t('commands:link.errors.disabled', locale), flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  try {
+    const result = await accountLinker.unlink(interaction.user.id);
+    await interaction.reply({
+      content: result.ok
+        ? t('commands:unlink.reply.unlinked', locale, { name: result.value.player_name })
+        : t(`commands:link.errors.${result.code}`, locale),
+      flags: MessageFlags.Ephemeral,
+    });
+  } catch (err: unknown) {
+    console.error('[CMD:unlink]', errMsg(err));
+    await interaction.reply({ content: t('commands:link.errors.failed', locale), flags: MessageFlags.Ephemeral });
+  }
+}
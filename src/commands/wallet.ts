@@ -0,0 +1,81 @@
+/**
+ * /wallet — A player's credit balance, lifetime earnings and recent ledger.
+ * Without a player, shows the caller's own wallet via their linked SteamID.
+ */
+
+import { SlashCommandBuilder, EmbedBuilder, MessageFlags } from 'discord.js';
+import economy from '../modules/economy.js';
+import accountLinker from '../modules/account-linker.js';
+import { t, getLocalizations, fmtNumber } from '../i18n/index.js';
+import { errMsg } from '../utils/error.js';
+
+const HISTORY_SIZE = 8;
+
+export const data = new SlashCommandBuilder()
+  .setName('wallet')
+  .setNameLocalizations(getLocalizations('commands:wallet.name'))
+  .setDescription(t('commands:wallet.description', 'en'))
+  .setDescriptionLocalizations(getLocalizations('commands:wallet.description'))
+  .addStringOption((opt) =>
+    opt
+      .setName('player')
+      .setDescription(t('commands:wallet.options.player', 'en'))
+      .setDescriptionLocalizations(getLocalizations('commands:wallet.options.player')),
+  );
+
+export async function execute(interaction: import('discord.js').ChatInputCommandInteraction): Promise<void> {
+  const locale = interaction.locale;
+
+  if (!economy.isActive()) {
+    await interaction.reply({ content: t('commands:economy.errors.disabled', locale), flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  const player = interaction.options.getString('player') ?? accountLinker.getSteamId(interaction.user.id);
+  if (!player) {
+    await interaction.reply({ content: t('commands:wallet.reply.not_linked', locale), flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  try {
+    const result = economy.getWallet(player, HISTORY_SIZE);
+    if (!result.ok) {
+      await interaction.reply({
+        content: t(`commands:economy.errors.${result.code}`, locale),
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+
+    const wallet = result.value;
+    const embed = new EmbedBuilder()
+      .setTitle(t('commands:wallet.embeds.title', locale, { name: wallet.name }))
+      .setColor(0xf1c40f)
+      .addFields(
+        { name: t('commands:wallet.embeds.balance', locale), value: fmtNumber(wallet.balance, locale), inline: true },
+        { name: t('commands:wallet.embeds.lifetime', locale), value: fmtNumber(wallet.lifetime, locale), inline: true },
+      )
+      .setTimestamp();
+
+    if (wallet.transactions.length > 0) {
+      embed.addFields({
+        name: t('commands:wallet.embeds.history', locale),
+        value: wallet.transactions
+          .map((tx) =>
+            t('commands:wallet.reply.history_line', locale, {
+              amount: (tx.amount > 0 ? '+' : '') + fmtNumber(tx.amount, locale),
+              type: t(`commands:economy.types.${tx.type}`, locale, { defaultValue: tx.type }),
+              description: tx.description || '—',
+            }),
+          )
+          .join('\n')
+          .slice(0, 1024),
+      });
+    }
+
+    await interaction.reply({ embeds: [embed] });
+  } catch (err: unknown) {
+    console.error('[CMD:wallet]', errMsg(err));
+    await interaction.reply({ content: t('commands:economy.errors.failed', locale), flags: MessageFlags.Ephemeral });
+  }
+}
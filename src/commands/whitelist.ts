@@ -0,0 +1,282 @@
+/**
+ * /whitelist — Apply for the server whitelist and manage members.
+ *
+ * `apply` opens a modal (SteamID + WHITELIST_QUESTIONS) and `status` shows
+ * your latest application.  `add`, `remove` and `sync` need admin view
+ * permissions.  The modal submit and the Approve / Trial / Deny buttons on
+ * review messages are routed here from index.ts.
+ */
+
+import {
+  SlashCommandBuilder,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle,
+  LabelBuilder,
+  MessageFlags,
+  type ButtonInteraction,
+  type GuildMember,
+  type ModalSubmitInteraction,
+} from 'discord.js';
+import whitelistManager, { type WhitelistErrorCode, type WhitelistActor } from '../modules/whitelist-manager.js';
+import accountLinker from '../modules/account-linker.js';
+import { t, getLocalizations } from '../i18n/index.js';
+import config from '../config/index.js';
+import { errMsg } from '../utils/error.js';
+
+export const APPLY_MODAL_ID = 'whitelist_apply';
+export const REVIEW_BUTTON_PREFIX = 'whitelist_review:';
+
+export const data = new SlashCommandBuilder()
+  .setName('whitelist')
+  .setNameLocalizations(getLocalizations('commands:whitelist.name'))
+  .setDescription(t('commands:whitelist.description', 'en'))
+  .setDescriptionLocalizations(getLocalizations('commands:whitelist.description'))
+  .addSubcommand((sub) =>
+    sub
+      .setName('apply')
+      .setDescription(t('commands:whitelist.apply.description', 'en'))
+      .setDescriptionLocalizations(getLocalizations('commands:whitelist.apply.description')),
+  )
+  .addSubcommand((sub) =>
+    sub
+      .setName('status')
+      .setDescription(t('commands:whitelist.status.description', 'en'))
+      .setDescriptionLocalizations(getLocalizations('commands:whitelist.status.description')),
+  )
+  .addSubcommand((sub) =>
+    sub
+      .setName('add')
+      .setDescription(t('commands:whitelist.add.description', 'en'))
+      .setDescriptionLocalizations(getLocalizations('commands:whitelist.add.description'))
+      .addStringOption((opt) =>
+        opt
+          .setName('player')
+          .setDescription(t('commands:whitelist.options.player', 'en'))
+          .setDescriptionLocalizations(getLocalizations('commands:whitelist.options.player'))
+          .setRequired(true),
+      )
+      .addIntegerOption((opt) =>
+        opt
+          .setName('trial_days')
+          .setDescription(t('commands:whitelist.options.trial_days', 'en'))
+          .setDescriptionLocalizations(getLocalizations('commands:whitelist.options.trial_days'))
+          .setMinValue(1)
+          .setMaxValue(365),
+      ),
+  )
+  .addSubcommand((sub) =>
+    sub
+      .setName('remove')
+      .setDescription(t('commands:whitelist.remove.description', 'en'))
+      .setDescriptionLocalizations(getLocalizations('commands:whitelist.remove.description'))
+      .addStringOption((opt) =>
+        opt
+          .setName('player')
+          .setDescription(t('commands:whitelist.options.player', 'en'))
+          .setDescriptionLocalizations(getLocalizations('commands:whitelist.options.player'))
+          .setRequired(true),
+      ),
+  )
+  .addSubcommand((sub) =>
+    sub
+      .setName('sync')
+      .setDescription(t('commands:whitelist.sync.description', 'en'))
+      .setDescriptionLocalizations(getLocalizations('commands:whitelist.sync.description')),
+  );
+
+function _errorReply(code: WhitelistErrorCode, locale: string): string {
+  return t(`commands:whitelist.errors.${code}`, locale);
+}
+
+function _actor(user: { id: string; username: string }): WhitelistActor {
+  return { id: user.id, name: user.username };
+}
+
+function _isMod(member: unknown): boolean {
+  return config.isAdminView(member as GuildMember | null);
+}
+
+/** Reply suffix naming the servers that did not take the RCON command. */
+function _failedSuffix(pushes: Array<{ serverId: string; ok: boolean }>, locale: string): string {
+  const failed = pushes.filter((p) => !p.ok).map((p) => p.serverId);
+  return failed.length > 0
+    ? '\n' + t('commands:whitelist.reply.push_failed', locale, { servers: failed.join(', ') })
+    : '';
+}
+
+function _buildApplyModal(locale: string, steamId: string | null): ModalBuilder {
+  const steamInput = new TextInputBuilder()
+    .setCustomId('steam_id')
+    .setPlaceholder('76561198000000000')
+    .setStyle(TextInputStyle.Short)
+    .setMinLength(17)
+    .setMaxLength(17)
+    .setRequired(true);
+  if (steamId) steamInput.setValue(steamId);
+  const modal = new ModalBuilder()
+    .setCustomId(APPLY_MODAL_ID)
+    .setTitle(t('commands:whitelist.modal.title', locale))
+    .addLabelComponents(
+      new LabelBuilder().setLabel(t('commands:whitelist.modal.steam_id', locale)).setTextInputComponent(steamInput),
+    );
+  config.whitelistQuestions.forEach((question, i) => {
+    modal.addLabelComponents(
+      new LabelBuilder().setLabel(question.slice(0, 45)).setTextInputComponent(
+        new TextInputBuilder()
+          .setCustomId(`q${String(i)}`)
+          .setStyle(TextInputStyle.Paragraph)
+          .setMaxLength(1000)
+          .setRequired(true),
+      ),
+    );
+  });
+  return modal;
+}
+
+export async function execute(interaction: import('discord.js').ChatInputCommandInteraction): Promise<void> {
+  const locale = interaction.locale;
+  const sub = interaction.options.getSubcommand();
+
+  if (!whitelistManager.isActive()) {
+    await interaction.reply({ content: _errorReply('disabled', locale), flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  if (sub === 'apply') {
+    await interaction.showModal(_buildApplyModal(locale, accountLinker.getSteamId(interaction.user.id)));
+    return;
+  }
+
+  if (sub === 'status') {
+    const app = whitelistManager.getLatestForDiscordId(interaction.user.id);
+    const content = app
+      ? t(`commands:whitelist.reply.status_${app.status}`, locale, { id: app.id, steam_id: app.steam_id })
+      : t('commands:whitelist.reply.no_application', locale);
+    await interaction.reply({ content, flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  if (!_isMod(interaction.member)) {
+    await interaction.reply({ content: t('commands:whitelist.reply.mod_only', locale), flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+  try {
+    if (sub === 'add') {
+      const trialDays = interaction.options.getInteger('trial_days');
+      const result = await whitelistManager.addMember(
+        interaction.options.getString('player', true),
+        _actor(interaction.user),
+        { trialDays },
+      );
+      if (!result.ok) {
+        await interaction.editReply(_errorReply(result.code, locale));
+        return;
+      }
+      const key = trialDays ? 'commands:whitelist.reply.added_trial' : 'commands:whitelist.reply.added';
+      await interaction.editReply(
+        t(key, locale, { name: result.value.member.player_name, days: trialDays ?? 0 }) +
+          _failedSuffix(result.value.pushes, locale),
+      );
+      return;
+    }
+
+    if (sub === 'remove') {
+      const result = await whitelistManager.removeMember(
+        interaction.options.getString('player', true),
+        _actor(interaction.user),
+      );
+      if (!result.ok) {
+        await interaction.editReply(_errorReply(result.code, locale));
+        return;
+      }
+      await interaction.editReply(
+        t('commands:whitelist.reply.removed', locale, { name: result.value.member.player_name }) +
+          _failedSuffix(result.value.pushes, locale),
+      );
+      return;
+    }
+
+    // sync
+    const summary = await whitelistManager.reconcile();
+    const lines = [t('commands:whitelist.reply.synced', locale, { ...summary })];
+    if (summary.failed.length > 0) {
+      lines.push(t('commands:whitelist.reply.push_failed', locale, { servers: summary.failed.join(', ') }));
+    }
+    await interaction.editReply(lines.join('\n'));
+  } catch (err: unknown) {
+    console.error('[CMD:whitelist]', errMsg(err));
+    await interaction.editReply(t('commands:whitelist.errors.failed', locale));
+  }
+}
+
+/** Modal submit from `/whitelist apply`. */
+export async function handleApplyModal(interaction: ModalSubmitInteraction): Promise<void> {
+  const locale = interaction.locale;
+  await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+  try {
+    const answers = config.whitelistQuestions.map((question, i) => {
+      let answer = '';
+      try {
+        answer = interaction.fields.getTextInputValue(`q${String(i)}`);
+      } catch {
+        /* question list changed since the modal was opened */
+      }
+      return { question, answer };
+    });
+    const result = await whitelistManager.apply({
+      discordId: interaction.user.id,
+      discordName: interaction.user.username,
+      steamId: interaction.fields.getTextInputValue('steam_id'),
+      answers,
+    });
+    if (!result.ok) {
+      await interaction.editReply(_errorReply(result.code, locale));
+      return;
+    }
+    await interaction.editReply(t('commands:whitelist.reply.applied', locale, { id: result.value.id }));
+  } catch (err: unknown) {
+    console.error('[CMD:whitelist] apply:', errMsg(err));
+    await interaction.editReply(t('commands:whitelist.errors.failed', locale));
+  }
+}
+
+/** Approve / Trial / Deny buttons on a review message (`whitelist_review:<action>:<id>`). */
+export async function handleReviewButton(interaction: ButtonInteraction): Promise<void> {
+  const locale = interaction.locale;
+  if (!_isMod(interaction.member)) {
+    await interaction.reply({ content: t('commands:whitelist.reply.mod_only', locale), flags: MessageFlags.Ephemeral });
+    return;
+  }
+  const [, action = '', rawId = ''] = interaction.customId.split(':');
+  const id = parseInt(rawId, 10);
+
+  await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+  try {
+    const reviewer = _actor(interaction.user);
+    if (action === 'deny') {
+      const result = await whitelistManager.deny(id, reviewer);
+      await interaction.editReply(
+        result.ok ? t('commands:whitelist.reply.denied', locale, { id }) : _errorReply(result.code, locale),
+      );
+      return;
+    }
+
+    const trialDays = action === 'trial' ? config.whitelistTrialDays : null;
+    const result = await whitelistManager.approve(id, reviewer, { trialDays });
+    if (!result.ok) {
+      await interaction.editReply(_errorReply(result.code, locale));
+      return;
+    }
+    const key = trialDays ? 'commands:whitelist.reply.approved_trial' : 'commands:whitelist.reply.approved';
+    await interaction.editReply(
+      t(key, locale, { id, name: result.value.member.player_name, days: trialDays ?? 0 }) +
+        _failedSuffix(result.value.pushes, locale),
+    );
+  } catch (err: unknown) {
+    console.error('[CMD:whitelist] review:', errMsg(err));
+    await interaction.editReply(t('commands:whitelist.errors.failed', locale));
+  }
+}
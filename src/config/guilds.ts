@@ -0,0 +1,192 @@
+/**
+ * Guild-scoped configuration — one bot process serving several Discord servers.
+ *
+ * The primary guild is DISCORD_GUILD_ID, configured by .env as before.
+ * Further guilds, or per-guild overrides for the primary one, are listed in
+ * data/guilds.json:
+ *
+ *   [{
+ *     "id": "123456789012345678",                  Discord guild ID
+ *     "name": "CN community",
+ *     "locale": "zh-CN",                           default locale for posts in this guild
+ *     "servers": ["primary", "srv_abc"],           game servers it follows (omit for all)
+ *     "channels": { "chat": "…", "log": "…", "serverStatus": "…" },
+ *     "serverChannels": { "srv_abc": { "chat": "…" } },   per-server channel overrides
+ *     "roles": { "admin": ["…"], "mod": [], "survivor": [] }
+ *   }]
+ *
+ * Channels listed here get a copy of what the followed game servers post
+ * (see modules/guild-mirror.ts).  Role lists map members of that guild to
+ * web panel tiers on the servers it follows; for the primary guild they
+ * default to the .env roles.
+ *
+ * Deliberately free of the main config import so deploy-commands.ts can use
+ * it without a full .env.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { getDirname } from '../utils/paths.js';
+import { errMsg } from '../utils/error.js';
+
+const __dirname = getDirname(import.meta.url);
+
+// ── Types ───────────────────────────────────────────────────────────────────
+
+/** What a game server posts to Discord, by destination. */
+export const GUILD_FEEDS = ['chat', 'log', 'serverStatus'] as const;
+export type GuildFeed = (typeof GUILD_FEEDS)[number];
+
+export type GuildChannels = Partial<Record<GuildFeed, string>>;
+
+export interface GuildRoles {
+  admin: string[];
+  mod: string[];
+  survivor: string[];
+}
+
+export interface GuildDef {
+  id: string;
+  name: string;
+  /** Default locale for posts in this guild ('' = the server's / BOT_LOCALE). */
+  locale: string;
+  /** Game server IDs ('primary', 'srv_…') this guild follows; null = all. */
+  servers: string[] | null;
+  channels: GuildChannels;
+  serverChannels: Record<string, GuildChannels>;
+  /** Tier role IDs; null when the file sets none (the primary guild then uses .env). */
+  roles: GuildRoles | null;
+}
+
+/** A channel in some guild that one game server's feed is copied to. */
+export interface GuildTarget {
+  guildId: string;
+  channelId: string;
+  locale: string;
+}
+
+// ── Loading ─────────────────────────────────────────────────────────────────
+
+export const GUILDS_FILE = path.join(__dirname, '..', '..', 'data', 'guilds.json');
+
+const SNOWFLAKE_RE = /^\d{17,20}$/;
+
+let _guilds: GuildDef[] | null = null;
+
+function _ids(value: unknown): string[] {
+  return Array.isArray(value) ? value.filter((v): v is string => typeof v === 'string' && SNOWFLAKE_RE.test(v)) : [];
+}
+
+function _channels(value: unknown): GuildChannels {
+  const out: GuildChannels = {};
+  if (!value || typeof value !== 'object') return out;
+  const raw = value as Record<string, unknown>;
+  for (const feed of GUILD_FEEDS) {
+    const id = raw[feed];
+    if (typeof id === 'string' && SNOWFLAKE_RE.test(id)) out[feed] = id;
+  }
+  return out;
+}
+
+/** Validate one guilds.json entry, dropping malformed IDs. */
+export function normalizeGuildDef(raw: unknown): { ok: true; value: GuildDef } | { ok: false; reason: string } {
+  if (!raw || typeof raw !== 'object') return { ok: false, reason: 'not an object' };
+  const def = raw as Record<string, unknown>;
+  const id = def['id'];
+  if (typeof id !== 'string' || !SNOWFLAKE_RE.test(id)) return { ok: false, reason: 'missing or invalid id' };
+
+  const serverChannels: Record<string, GuildChannels> = {};
+  const rawServerChannels = def['serverChannels'];
+  if (rawServerChannels && typeof rawServerChannels === 'object') {
+    for (const [serverId, channels] of Object.entries(rawServerChannels as Record<string, unknown>)) {
+      serverChannels[serverId] = _channels(channels);
+    }
+  }
+  const servers = def['servers'];
+  const roles = def['roles'] && typeof def['roles'] === 'object' ? (def['roles'] as Record<string, unknown>) : null;
+
+  return {
+    ok: true,
+    value: {
+      id,
+      name: typeof def['name'] === 'string' ? def['name'] : '',
+      locale: typeof def['locale'] === 'string' ? def['locale'].trim() : '',
+      servers: Array.isArray(servers) ? servers.filter((s): s is string => typeof s === 'string' && s !== '') : null,
+      channels: _channels(def['channels']),
+      serverChannels,
+      roles: roles ? { admin: _ids(roles['admin']), mod: _ids(roles['mod']), survivor: _ids(roles['survivor']) } : null,
+    },
+  };
+}
+
+/** Read guild definitions from `file`; bad entries are skipped with a warning. */
+export function loadGuilds(file = GUILDS_FILE): GuildDef[] {
+  if (!fs.existsSync(file)) return [];
+  let raw: unknown;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err: unknown) {
+    console.error('[GUILDS] Failed to load guilds.json:', errMsg(err));
+    return [];
+  }
+  if (!Array.isArray(raw)) {
+    console.error('[GUILDS] guilds.json must be an array of guild definitions');
+    return [];
+  }
+  const guilds: GuildDef[] = [];
+  for (const [i, entry] of (raw as unknown[]).entries()) {
+    const result = normalizeGuildDef(entry);
+    if (!result.ok) {
+      console.warn(`[GUILDS] Skipping guilds.json entry ${String(i)}: ${result.reason}`);
+      continue;
+    }
+    if (guilds.some((g) => g.id === result.value.id)) {
+      console.warn(`[GUILDS] Skipping duplicate guild ${result.value.id}`);
+      continue;
+    }
+    guilds.push(result.value);
+  }
+  return guilds;
+}
+
+/** Guild definitions (loaded once; see reloadGuilds()). */
+export function getGuilds(): GuildDef[] {
+  _guilds ??= loadGuilds();
+  return _guilds;
+}
+
+/** Re-read guilds.json, or install `guilds` directly (tests). */
+export function reloadGuilds(guilds?: GuildDef[]): GuildDef[] {
+  _guilds = guilds ?? loadGuilds();
+  return _guilds;
+}
+
+export function getGuild(guildId: string | null | undefined): GuildDef | null {
+  if (!guildId) return null;
+  return getGuilds().find((g) => g.id === guildId) ?? null;
+}
+
+// ── Queries ─────────────────────────────────────────────────────────────────
+
+/** Every guild the bot serves: the primary first, then guilds.json order. */
+export function guildIds(primaryId: string | null | undefined): string[] {
+  const ids = primaryId ? [primaryId] : [];
+  for (const g of getGuilds()) if (!ids.includes(g.id)) ids.push(g.id);
+  return ids;
+}
+
+export function followsServer(guild: GuildDef, serverId: string): boolean {
+  return guild.servers === null || guild.servers.includes(serverId) || guild.servers.includes('*');
+}
+
+/** Channels that `feed` of game server `serverId` is copied to, one per following guild. */
+export function guildTargets(serverId: string, feed: GuildFeed): GuildTarget[] {
+  const targets: GuildTarget[] = [];
+  for (const g of getGuilds()) {
+    if (!followsServer(g, serverId)) continue;
+    const channelId = g.serverChannels[serverId]?.[feed] ?? g.channels[feed];
+    if (!channelId || targets.some((t) => t.channelId === channelId)) continue;
+    targets.push({ guildId: g.id, channelId, locale: g.locale });
+  }
+  return targets;
+}
@@ -50,6 +50,23 @@ function envTrimmed(key: string, fallback: string): string {
   return trimmed || fallback;
 }
 
+/** WEB_MAP_PUBLIC_URL, else the origin of WEB_MAP_CALLBACK_URL — '' when neither is usable. */
+function _panelPublicUrl(): string {
+  const explicit = envTrimmed('WEB_MAP_PUBLIC_URL', '');
+  if (explicit) return explicit.replace(/\/+$/, '');
+  try {
+    return new URL(process.env.WEB_MAP_CALLBACK_URL ?? '').origin;
+  } catch {
+    return '';
+  }
+}
+
+/** Integer env value where 0 is meaningful (e.g. "disabled"); negatives and junk fall back. */
+function envNonNegativeInt(key: string, fallback: number): number {
+  const value = parseInt(process.env[key] ?? '', 10);
+  return Number.isNaN(value) || value < 0 ? fallback : value;
+}
+
 // ── Deprecation: ENABLE_AUTO_MESSAGES → individual sub-toggles ──
 // If the old master toggle is explicitly set to 'false', cascade to sub-toggles
 // unless they have been explicitly set by the user.
@@ -85,6 +102,7 @@ interface Config {
   adminUserIds: string[];
   adminRoleIds: string[];
   adminAlertChannelIds: string[];
+  auditChannelId: string | undefined;
   adminViewPermissions: string[];
 
   // RCON
@@ -140,6 +158,7 @@ interface Config {
   sshPort: number;
 
   webMapTrustProxy: string;
+  webMapPublicUrl: string;
   sessionStore: string;
   sessionTtl: number;
   sessionRedisUrl: string;
@@ -178,6 +197,114 @@ interface Config {
   anticheatAnalyzeInterval: number;
   anticheatBaselineInterval: number;
 
+  // Bounties
+  enableBounties: boolean;
+  bountyMinAmount: number;
+  bountyExpiryHours: number;
+  bountyStreakThreshold: number;
+  bountyStreakReward: number;
+
+  // Factions
+  enableFactions: boolean;
+  factionCapturePoints: number;
+  factionCaptureThreshold: number;
+  factionWarKillPoints: number;
+  factionWarCapturePoints: number;
+
+  // Economy
+  enableEconomy: boolean;
+  economyKillReward: number;
+  economySurvivalDayReward: number;
+  economyPlaytimeMilestoneReward: number;
+  economyQuestReward: number;
+  economyMaxTransfer: number;
+
+  // Community events
+  enableEvents: boolean;
+  eventDefaultDuration: number;
+  eventDefaultRewards: number[];
+
+  // Account linking
+  enableAccountLinking: boolean;
+  linkCodeTtl: number;
+  linkedRoleId: string;
+
+  // Whitelist applications
+  enableWhitelist: boolean;
+  whitelistChannelId: string;
+  whitelistServers: string[];
+  whitelistQuestions: string[];
+  whitelistTrialDays: number;
+  whitelistReconcileInterval: number;
+
+  // Ban registry
+  enableBans: boolean;
+  banPropagate: boolean;
+  banSyncInterval: number;
+
+  // Outbound webhooks
+  enableWebhooks: boolean;
+  webhookMaxAttempts: number;
+  webhookTimeout: number;
+
+  // Raid alerts
+  enableRaidAlerts: boolean;
+  raidAlertClan: boolean;
+  raidAlertCooldown: number;
+  raidReportDelay: number;
+  enableOfflineRaidProtection: boolean;
+  offlineRaidGrace: number;
+  offlineRaidWarn: boolean;
+  offlineRaidKickAfter: number;
+  offlineRaidBanAfter: number;
+  offlineRaidBanDuration: number;
+  offlineRaidStrikeDays: number;
+
+  // Death recaps
+  enableDeathRecap: boolean;
+  deathRecapMode: string;
+  deathRecapWait: number;
+
+  // Database backups
+  enableDbBackups: boolean;
+  dbBackupInterval: number;
+  dbBackupKeepHourly: number;
+  dbBackupKeepDaily: number;
+  dbBackupKeepWeekly: number;
+  dbBackupCompress: boolean;
+  dbBackupDir: string;
+
+  // Data retention
+  enableDataRetention: boolean;
+  dataRetention: string;
+  dataArchiveDir: string;
+
+  // Bot plugins
+  enablePlugins: boolean;
+  pluginsDir: string;
+  disabledPlugins: string;
+
+  // Bot logging (transports, levels, rotation)
+  logLevel: string;
+  logCategoryLevels: string;
+  logTransports: string;
+  logDir: string;
+  logRotateInterval: string;
+  logRotateSizeMb: number;
+  logRetentionDays: number;
+  logMaxFiles: number;
+  logCompress: boolean;
+  logSyslogHost: string;
+  logSyslogPort: number;
+  logSyslogProtocol: string;
+  logSyslogFacility: string;
+  logSyslogLevel: string;
+  logHttpUrl: string;
+  logHttpToken: string;
+  logHttpBatchSize: number;
+  logHttpFlushInterval: number;
+  logHttpLevel: string;
+
   // Howyagarn
   enableDidYouKnow: boolean;
   enablePlayerCards: boolean;
@@ -249,6 +376,15 @@ interface Config {
   enableWelcomeFile: boolean;
   welcomeFileLines: string[];
 
+  // In-game chat commands
+  enableChatCommands: boolean;
+  chatCommandPrefix: string;
+  chatCommandCooldown: number;
+  chatCommandAdminIds: string[];
+  serverRules: string[];
+  /** Custom text commands edited from the panel Settings tab — validated by ChatCommandRouter. */
+  chatCustomCommands: unknown[];
+
   // Player stats embed sections
   showRaidStats: boolean;
   showPvpKills: boolean;
@@ -397,6 +533,8 @@ const config = {
     .split(',')
     .map((s) => s.trim())
     .filter(Boolean),
+  // Mirror every admin audit entry to this channel (empty = database only)
+  auditChannelId: process.env.AUDIT_CHANNEL_ID || undefined,
 
   // Discord permissions that grant "admin view" for admin-only embed sections.
   // Comma-separated permission names from Discord.js PermissionFlagsBits.
@@ -489,6 +627,8 @@ const config = {
   // Set to a CIDR (e.g. '172.16.0.0/12') for specific Docker subnets.
   // See: https://expressjs.com/en/guide/behind-proxies.html
   webMapTrustProxy: process.env.WEB_MAP_TRUST_PROXY || 'loopback',
+  // Public address of the panel for links posted to Discord (defaults to the OAuth callback's origin)
+  webMapPublicUrl: _panelPublicUrl(),
 
   // Session store for the web panel (memory | sqlite | redis)
   sessionStore: (process.env.SESSION_STORE || 'sqlite').toLowerCase(),
@@ -557,6 +697,110 @@ const config = {
   enableAnticheat: envBool('ENABLE_ANTICHEAT', false),
   anticheatAnalyzeInterval: parseInt(process.env.ANTICHEAT_ANALYZE_INTERVAL ?? '', 10) || 60_000,
   anticheatBaselineInterval: parseInt(process.env.ANTICHEAT_BASELINE_INTERVAL ?? '', 10) || 900_000,
+  enableBounties: envBool('ENABLE_BOUNTIES', false),
+  bountyMinAmount: parseInt(process.env.BOUNTY_MIN_AMOUNT ?? '', 10) || 50, // smallest bounty a player can place
+  bountyExpiryHours: ((): number => {
+    const v = parseInt(process.env.BOUNTY_EXPIRY_HOURS ?? '', 10);
+    return isNaN(v) ? 72 : v;
+  })(), // unclaimed bounties are refunded after this many hours (0 = never expire)
+  bountyStreakThreshold: parseInt(process.env.BOUNTY_STREAK_THRESHOLD ?? '', 10) || 5, // PvP kills without dying before an auto bounty
+  bountyStreakReward: parseInt(process.env.BOUNTY_STREAK_REWARD ?? '', 10) || 100, // credits per streak step
+  enableFactions: envBool('ENABLE_FACTIONS', false),
+  factionCapturePoints: parseInt(process.env.FACTION_CAPTURE_POINTS ?? '', 10) || 10, // control points per member inside a zone per snapshot
+  factionCaptureThreshold: parseInt(process.env.FACTION_CAPTURE_THRESHOLD ?? '', 10) || 100, // control points needed to take a territory
+  factionWarKillPoints: parseInt(process.env.FACTION_WAR_KILL_POINTS ?? '', 10) || 10, // war score per cross-faction PvP kill
+  factionWarCapturePoints: parseInt(process.env.FACTION_WAR_CAPTURE_POINTS ?? '', 10) || 50, // war score per territory capture
+  enableEconomy: envBool('ENABLE_ECONOMY', false),
+  economyKillReward: envNonNegativeInt('ECONOMY_KILL_REWARD', 1), // credits per zombie kill (0 = off)
+  economySurvivalDayReward: envNonNegativeInt('ECONOMY_SURVIVAL_DAY_REWARD', 10), // credits per in-game day survived
+  economyPlaytimeMilestoneReward: envNonNegativeInt('ECONOMY_PLAYTIME_MILESTONE_REWARD', 100), // credits per playtime milestone
+  economyQuestReward: envNonNegativeInt('ECONOMY_QUEST_REWARD', 50), // credits per completed quest
+  economyMaxTransfer: envNonNegativeInt('ECONOMY_MAX_TRANSFER', 10000), // largest single /pay (0 = no limit)
+  enableEvents: envBool('ENABLE_EVENTS', false),
+  eventDefaultDuration: parseInt(process.env.EVENT_DEFAULT_DURATION ?? '', 10) || 60, // minutes an event runs when not set per event
+  eventDefaultRewards: (process.env.EVENT_DEFAULT_REWARDS || '500,250,100') // credits for 1st, 2nd, 3rd ...
+    .split(',')
+    .map((s: string) => parseInt(s.trim(), 10))
+    .filter((n: number) => Number.isFinite(n) && n >= 0),
+  enableAccountLinking: envBool('ENABLE_ACCOUNT_LINKING', false),
+  linkCodeTtl: parseInt(process.env.LINK_CODE_TTL ?? '', 10) || 10, // minutes a /link code stays valid
+  linkedRoleId: process.env.LINKED_ROLE_ID || '', // role granted to members with a linked SteamID (empty = no role sync)
+  enableWhitelist: envBool('ENABLE_WHITELIST', false),
+  whitelistChannelId: process.env.WHITELIST_CHANNEL_ID || '', // where applications are posted for review
+  whitelistServers: (process.env.WHITELIST_SERVERS || '') // server ids ('primary' = this server); empty = every server
+    .split(',')
+    .map((s: string) => s.trim())
+    .filter(Boolean),
+  whitelistQuestions: (process.env.WHITELIST_QUESTIONS || 'How did you find us?|Have you read the rules?') // '|'-separated, max 4
+    .split('|')
+    .map((s: string) => s.trim())
+    .filter(Boolean)
+    .slice(0, 4),
+  whitelistTrialDays: envNonNegativeInt('WHITELIST_TRIAL_DAYS', 7), // length of a trial approval
+  whitelistReconcileInterval: envNonNegativeInt('WHITELIST_RECONCILE_INTERVAL', 15), // minutes between fetchwhitelist checks (0 = off)
+  enableBans: envBool('ENABLE_BANS', false),
+  banPropagate: envBool('BAN_PROPAGATE', false), // new bans go to every managed server by default
+  banSyncInterval: envNonNegativeInt('BAN_SYNC_INTERVAL', 15), // minutes between fetchbanned checks (0 = off)
+  enableWebhooks: envBool('ENABLE_WEBHOOKS', false),
+  webhookMaxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS ?? '', 10) || 8, // attempts before a delivery is marked failed
+  webhookTimeout: parseInt(process.env.WEBHOOK_TIMEOUT ?? '', 10) || 10, // seconds to wait for an endpoint to respond
+  enableRaidAlerts: envBool('ENABLE_RAID_ALERTS', false),
+  raidAlertClan: envBool('RAID_ALERT_CLAN', true), // DM the owner's whole clan, not just the owner
+  raidAlertCooldown: envNonNegativeInt('RAID_ALERT_COOLDOWN', 10), // minutes between "under attack" DMs per user
+  raidReportDelay: envNonNegativeInt('RAID_REPORT_DELAY', 10), // quiet minutes before a raid is reported
+  enableOfflineRaidProtection: envBool('ENABLE_OFFLINE_RAID_PROTECTION', false),
+  offlineRaidGrace: envNonNegativeInt('OFFLINE_RAID_GRACE', 15), // minutes after the last owner logs out that still count as online
+  offlineRaidWarn: envBool('OFFLINE_RAID_WARN', true), // in-game warning naming the raider
+  offlineRaidKickAfter: envNonNegativeInt('OFFLINE_RAID_KICK_AFTER', 2), // strikes before a kick (0 = never)
+  offlineRaidBanAfter: envNonNegativeInt('OFFLINE_RAID_BAN_AFTER', 0), // strikes before a ban (0 = never)
+  offlineRaidBanDuration: envNonNegativeInt('OFFLINE_RAID_BAN_DURATION', 1440), // ban minutes (0 = permanent)
+  offlineRaidStrikeDays: envNonNegativeInt('OFFLINE_RAID_STRIKE_DAYS', 30), // strikes older than this are forgotten (0 = never)
+  enableDeathRecap: envBool('ENABLE_DEATH_RECAP', false),
+  deathRecapMode: envTrimmed('DEATH_RECAP_MODE', 'dm').toLowerCase(), // dm | thread | both — where the recap is posted
+  deathRecapWait: parseInt(process.env.DEATH_RECAP_WAIT ?? '', 10) || 10, // minutes to wait for a save that shows the backpack
+  enableDbBackups: envBool('ENABLE_DB_BACKUPS', true),
+  dbBackupInterval: envNonNegativeInt('DB_BACKUP_INTERVAL', 60), // minutes between snapshots (0 = manual only)
+  dbBackupKeepHourly: envNonNegativeInt('DB_BACKUP_KEEP_HOURLY', 24), // newest snapshot of each of the last N hours
+  dbBackupKeepDaily: envNonNegativeInt('DB_BACKUP_KEEP_DAILY', 7), // ... of each of the last N days
+  dbBackupKeepWeekly: envNonNegativeInt('DB_BACKUP_KEEP_WEEKLY', 4), // ... of each of the last N weeks
+  dbBackupCompress: envBool('DB_BACKUP_COMPRESS', true), // gzip snapshots
+  dbBackupDir: process.env.DB_BACKUP_DIR || '', // empty = <bot>/data/db-backups
+
+  // ── Data retention ─────────────────────────────────────────
+  enableDataRetention: envBool('ENABLE_DATA_RETENTION', false),
+  // family=mode:days — families: timeline, activity, chat, item_movements, fingerprint_events, anticheat_flags;
+  // modes: archive, delete, downsample (timeline only)
+  dataRetention:
+    process.env.DATA_RETENTION ||
+    'timeline=downsample:14, activity=archive:30, chat=archive:90, item_movements=archive:30, ' +
+      'fingerprint_events=archive:90, anticheat_flags=archive:180',
+  dataArchiveDir: process.env.DATA_ARCHIVE_DIR || '', // empty = <bot>/data/archive
+
+  // ── Bot plugins ────────────────────────────────────────────
+  enablePlugins: envBool('ENABLE_PLUGINS', true),
+  pluginsDir: process.env.PLUGINS_DIR || '', // empty = <bot>/plugins
+  disabledPlugins: process.env.DISABLED_PLUGINS || '', // comma-separated plugin names
+
+  // Bot logging — see src/logger/config.ts
+  logLevel: envTrimmed('LOG_LEVEL', 'info'),
+  logCategoryLevels: process.env.LOG_CATEGORY_LEVELS || '', // e.g. "RCON=warn, DB*=debug"
+  logTransports: envTrimmed('LOG_TRANSPORTS', 'console,file'), // console, file, jsonl, syslog, http
+  logDir: process.env.LOG_DIR || '', // empty = <bot>/logs
+  logRotateInterval: envTrimmed('LOG_ROTATE_INTERVAL', 'daily'), // daily, hourly or none
+  logRotateSizeMb: envNonNegativeInt('LOG_ROTATE_SIZE_MB', 50), // 0 = no size limit
+  logRetentionDays: envNonNegativeInt('LOG_RETENTION_DAYS', 30), // 0 = keep forever
+  logMaxFiles: envNonNegativeInt('LOG_MAX_FILES', 0), // 0 = unlimited
+  logCompress: envBool('LOG_COMPRESS', true),
+  logSyslogHost: process.env.LOG_SYSLOG_HOST || '',
+  logSyslogPort: parseInt(process.env.LOG_SYSLOG_PORT ?? '', 10) || 514,
+  logSyslogProtocol: envTrimmed('LOG_SYSLOG_PROTOCOL', 'udp'), // udp or tcp
+  logSyslogFacility: envTrimmed('LOG_SYSLOG_FACILITY', 'local0'),
+  logSyslogLevel: process.env.LOG_SYSLOG_LEVEL || '', // empty = same as LOG_LEVEL
+  logHttpUrl: process.env.LOG_HTTP_URL || '',
+  logHttpToken: process.env.LOG_HTTP_TOKEN || '', // sent as a Bearer token
+  logHttpBatchSize: parseInt(process.env.LOG_HTTP_BATCH_SIZE ?? '', 10) || 100,
+  logHttpFlushInterval: parseInt(process.env.LOG_HTTP_FLUSH_INTERVAL ?? '', 10) || 5, // seconds
+  logHttpLevel: process.env.LOG_HTTP_LEVEL || '',
 
   // Howyagarn — dev-only feature incubator (all default off)
   enableDidYouKnow: envBool('ENABLE_DID_YOU_KNOW', false),
@@ -699,6 +943,20 @@ const config = {
     .map((s) => s.trim())
     .filter(Boolean),
 
+  // In-game chat commands (!stats, !pvp, …) answered via RCON admin messages
+  enableChatCommands: envBool('ENABLE_CHAT_COMMANDS', true),
+  chatCommandPrefix: envTrimmed('CHAT_COMMAND_PREFIX', '!'),
+  chatCommandCooldown: Math.max(parseInt(process.env.CHAT_COMMAND_COOLDOWN ?? '', 10) || 30, 1), // seconds per player per command
+  chatCommandAdminIds: (process.env.CHAT_COMMAND_ADMIN_IDS || '') // SteamID64s allowed to run admin-only commands
+    .split(',')
+    .map((s) => s.trim())
+    .filter(Boolean),
+  serverRules: (process.env.SERVER_RULES || '')
+    .split('|')
+    .map((s) => s.trim())
+    .filter(Boolean),
+  chatCustomCommands: [] as unknown[], // hydrated from the app config document (Settings → Chat Commands)
+
   // Feature toggles — player stats embed sections
   showRaidStats: envBool('SHOW_RAID_STATS', false), // default: off (PVE)
   showPvpKills: envBool('SHOW_PVP_KILLS', false), // "Last 10 PvP Kills" on overview embed
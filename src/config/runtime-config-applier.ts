@@ -228,6 +228,11 @@ class RuntimeConfigApplier {
     return { applied, errors };
   }
 
+  /** The registry behind `ownerId` cleanups — shared with the plugin loader. */
+  get lifecycle(): RuntimeModuleRegistry {
+    return this._lifecycle;
+  }
+
   cleanupOwner(ownerId: string): Promise<void> {
     return this._lifecycle.cleanupOwner(ownerId);
   }
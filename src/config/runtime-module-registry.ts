@@ -51,6 +51,15 @@ class RuntimeModuleRegistry {
     this._modules.set(id, { module, running: false });
   }
 
+  /** Stop a module and forget it, so the id can be registered again. */
+  async unregisterModule(id: string): Promise<void> {
+    try {
+      await this.stop(id);
+    } finally {
+      this._modules.delete(id);
+    }
+  }
+
   hasModule(id: string): boolean {
     return this._modules.has(id);
   }
@@ -109,6 +109,21 @@ const FALLBACK_MIGRATION_ENTRIES: Record<string, MigrationEntry> = {
   ENABLE_MILESTONES: { cfgKey: 'enableMilestones', scope: 'app', type: 'bool' },
   ENABLE_RECAPS: { cfgKey: 'enableRecaps', scope: 'app', type: 'bool' },
   ENABLE_ANTICHEAT: { cfgKey: 'enableAnticheat', scope: 'app', type: 'bool' },
+  ENABLE_BOUNTIES: { cfgKey: 'enableBounties', scope: 'app', type: 'bool' },
+  ENABLE_ECONOMY: { cfgKey: 'enableEconomy', scope: 'app', type: 'bool' },
+  ENABLE_CHAT_COMMANDS: { cfgKey: 'enableChatCommands', scope: 'app', type: 'bool' },
+  ENABLE_FACTIONS: { cfgKey: 'enableFactions', scope: 'app', type: 'bool' },
+  ENABLE_EVENTS: { cfgKey: 'enableEvents', scope: 'app', type: 'bool' },
+  ENABLE_ACCOUNT_LINKING: { cfgKey: 'enableAccountLinking', scope: 'app', type: 'bool' },
+  ENABLE_WHITELIST: { cfgKey: 'enableWhitelist', scope: 'app', type: 'bool' },
+  ENABLE_BANS: { cfgKey: 'enableBans', scope: 'app', type: 'bool' },
+  ENABLE_WEBHOOKS: { cfgKey: 'enableWebhooks', scope: 'app', type: 'bool' },
+  ENABLE_RAID_ALERTS: { cfgKey: 'enableRaidAlerts', scope: 'app', type: 'bool' },
+  ENABLE_OFFLINE_RAID_PROTECTION: { cfgKey: 'enableOfflineRaidProtection', scope: 'app', type: 'bool' },
+  ENABLE_DEATH_RECAP: { cfgKey: 'enableDeathRecap', scope: 'app', type: 'bool' },
+  ENABLE_DB_BACKUPS: { cfgKey: 'enableDbBackups', scope: 'app', type: 'bool' },
+  ENABLE_DATA_RETENTION: { cfgKey: 'enableDataRetention', scope: 'app', type: 'bool' },
+  ENABLE_PLUGINS: { cfgKey: 'enablePlugins', scope: 'app', type: 'bool' },
   ENABLE_SERVER_SCHEDULER: { cfgKey: 'enableServerScheduler', scope: 'app', type: 'bool' },
   ENABLE_CHALLENGE_FEED: { cfgKey: 'enableChallengeFeed', scope: 'app', type: 'bool' },
   ENABLE_DID_YOU_KNOW: { cfgKey: 'enableDidYouKnow', scope: 'app', type: 'bool' },
@@ -231,6 +231,7 @@ const ENV_KEY_VALIDATORS: Record<string, KeyValidatorDef> = {
   ADMIN_USER_IDS: { type: 'snowflake' },
   ADMIN_ROLE_IDS: { type: 'snowflake' },
   ADMIN_ALERT_CHANNEL_IDS: { type: 'snowflake' },
+  AUDIT_CHANNEL_ID: { type: 'snowflake' },
   ADMIN_CHANNEL_ID: { type: 'snowflake' },
   CHAT_CHANNEL_ID: { type: 'snowflake' },
   LOG_CHANNEL_ID: { type: 'snowflake' },
@@ -259,6 +260,7 @@ const ENV_KEY_VALIDATORS: Record<string, KeyValidatorDef> = {
   SFTP_WELCOME_PATH: { type: 'path' },
   AGENT_NODE_PATH: { type: 'path' },
   SFTP_PRIVATE_KEY_PATH: { type: 'path' },
+  PLUGINS_DIR: { type: 'path' },
 
   // Intervals (with min values matching config.js Math.max() clamping)
   CHAT_POLL_INTERVAL: { type: 'interval', min: 5000 },
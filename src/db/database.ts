@@ -36,6 +36,20 @@ import { AntiCheatRepository } from './repositories/anti-cheat-repository.js';
 import { TimelineRepository } from './repositories/timeline-repository.js';
 import { GameDataRepository } from './repositories/game-data-repository.js';
 import { QuestRepository } from './repositories/quest-repository.js';
+import { EconomyRepository } from './repositories/economy-repository.js';
+import { BountyRepository } from './repositories/bounty-repository.js';
+import { FactionRepository } from './repositories/faction-repository.js';
+import { SeasonRepository } from './repositories/season-repository.js';
+import { EventRepository } from './repositories/event-repository.js';
+import { AccountLinkRepository } from './repositories/account-link-repository.js';
+import { WhitelistRepository } from './repositories/whitelist-repository.js';
+import { BanRepository } from './repositories/ban-repository.js';
+import { WebhookRepository } from './repositories/webhook-repository.js';
+import { HeatmapRepository } from './repositories/heatmap-repository.js';
+import { PvpRepository } from './repositories/pvp-repository.js';
+import { RaidRepository } from './repositories/raid-repository.js';
+import { RetentionRepository } from './repositories/retention-repository.js';
+import { AuditRepository } from './repositories/audit-repository.js';
 import { MetaRepository } from './repositories/meta-repository.js';
 import { WorldStateRepository } from './repositories/world-state-repository.js';
 import { BotStateRepository } from './repositories/bot-state-repository.js';
@@ -84,6 +98,20 @@ class HumanitZDB {
   private _timelineRepo: TimelineRepository | null = null;
   private _gameDataRepo: GameDataRepository | null = null;
   private _questRepo: QuestRepository | null = null;
+  private _economyRepo: EconomyRepository | null = null;
+  private _bountyRepo: BountyRepository | null = null;
+  private _factionRepo: FactionRepository | null = null;
+  private _seasonRepo: SeasonRepository | null = null;
+  private _eventRepo: EventRepository | null = null;
+  private _accountLinkRepo: AccountLinkRepository | null = null;
+  private _whitelistRepo: WhitelistRepository | null = null;
+  private _banRepo: BanRepository | null = null;
+  private _webhookRepo: WebhookRepository | null = null;
+  private _heatmapRepo: HeatmapRepository | null = null;
+  private _pvpRepo: PvpRepository | null = null;
+  private _raidRepo: RaidRepository | null = null;
+  private _retentionRepo: RetentionRepository | null = null;
+  private _auditRepo: AuditRepository | null = null;
 
   constructor(options: { dbPath?: string; memory?: boolean; label?: string } = {}) {
     this._dbPath = options.dbPath ?? DEFAULT_DB_PATH;
@@ -159,6 +187,90 @@ class HumanitZDB {
     return this._questRepo;
   }
 
+  /** EconomyRepository — credit balances and transaction ledger. */
+  get economy(): EconomyRepository {
+    if (!this._economyRepo) throw new Error('Database not initialized — call init() first');
+    return this._economyRepo;
+  }
+
+  /** BountyRepository — player bounties. */
+  get bounty(): BountyRepository {
+    if (!this._bountyRepo) throw new Error('Database not initialized — call init() first');
+    return this._bountyRepo;
+  }
+
+  /** FactionRepository — faction membership, territories and war scores. */
+  get faction(): FactionRepository {
+    if (!this._factionRepo) throw new Error('Database not initialized — call init() first');
+    return this._factionRepo;
+  }
+
+  /** SeasonRepository — wipe seasons, archived per-player stats and lifetime totals. */
+  get season(): SeasonRepository {
+    if (!this._seasonRepo) throw new Error('Database not initialized — call init() first');
+    return this._seasonRepo;
+  }
+
+  /** EventRepository — scheduled community events and per-event scores. */
+  get events(): EventRepository {
+    if (!this._eventRepo) throw new Error('Database not initialized — call init() first');
+    return this._eventRepo;
+  }
+
+  /** AccountLinkRepository — Discord user ↔ SteamID links. */
+  get accountLinks(): AccountLinkRepository {
+    if (!this._accountLinkRepo) throw new Error('Database not initialized — call init() first');
+    return this._accountLinkRepo;
+  }
+
+  /** WhitelistRepository — applications, members and review history. */
+  get whitelist(): WhitelistRepository {
+    if (!this._whitelistRepo) throw new Error('Database not initialized — call init() first');
+    return this._whitelistRepo;
+  }
+
+  /** BanRepository — ban registry with expiry, notes and evidence. */
+  get bans(): BanRepository {
+    if (!this._banRepo) throw new Error('Database not initialized — call init() first');
+    return this._banRepo;
+  }
+
+  /** WebhookRepository — outbound webhook endpoints and the delivery queue. */
+  get webhooks(): WebhookRepository {
+    if (!this._webhookRepo) throw new Error('Database not initialized — call init() first');
+    return this._webhookRepo;
+  }
+
+  /** HeatmapRepository — grid aggregation over timeline, death and activity positions. */
+  get heatmap(): HeatmapRepository {
+    if (!this._heatmapRepo) throw new Error('Database not initialized — call init() first');
+    return this._heatmapRepo;
+  }
+
+  /** PvpRepository — PvP fight records, per-attacker damage and head-to-head stats. */
+  get pvp(): PvpRepository {
+    if (!this._pvpRepo) throw new Error('Database not initialized — call init() first');
+    return this._pvpRepo;
+  }
+
+  /** RaidRepository — post-raid reports and raid alert opt-outs. */
+  get raids(): RaidRepository {
+    if (!this._raidRepo) throw new Error('Database not initialized — call init() first');
+    return this._raidRepo;
+  }
+
+  /** RetentionRepository — table sizes and expiring old rows per table family. */
+  get retention(): RetentionRepository {
+    if (!this._retentionRepo) throw new Error('Database not initialized — call init() first');
+    return this._retentionRepo;
+  }
+
+  /** AuditRepository — hash-chained log of privileged admin actions. */
+  get audit(): AuditRepository {
+    if (!this._auditRepo) throw new Error('Database not initialized — call init() first');
+    return this._auditRepo;
+  }
+
   /** MetaRepository — schema metadata key-value store. */
   get meta(): MetaRepository {
     if (!this._metaRepo) throw new Error('Database not initialized — call init() first');
@@ -344,6 +456,20 @@ class HumanitZDB {
     this._timelineRepo = new TimelineRepository(this._handle, this._log.label);
     this._gameDataRepo = new GameDataRepository(this._handle, this._log.label);
     this._questRepo = new QuestRepository(this._handle, this._log.label);
+    this._economyRepo = new EconomyRepository(this._handle, this._log.label);
+    this._bountyRepo = new BountyRepository(this._handle, this._log.label);
+    this._factionRepo = new FactionRepository(this._handle, this._log.label);
+    this._seasonRepo = new SeasonRepository(this._handle, this._log.label);
+    this._eventRepo = new EventRepository(this._handle, this._log.label);
+    this._accountLinkRepo = new AccountLinkRepository(this._handle, this._log.label);
+    this._whitelistRepo = new WhitelistRepository(this._handle, this._log.label);
+    this._banRepo = new BanRepository(this._handle, this._log.label);
+    this._webhookRepo = new WebhookRepository(this._handle, this._log.label);
+    this._heatmapRepo = new HeatmapRepository(this._handle, this._log.label);
+    this._pvpRepo = new PvpRepository(this._handle, this._log.label);
+    this._raidRepo = new RaidRepository(this._handle, this._log.label);
+    this._retentionRepo = new RetentionRepository(this._handle, this._log.label);
+    this._auditRepo = new AuditRepository(this._handle, this._log.label);
     this._metaRepo = new MetaRepository(this._handle, this._log.label);
     this._worldStateRepo = new WorldStateRepository(this._handle, this._log.label);
     this._botStateRepo = new BotStateRepository(this._handle, this._log.label);
@@ -368,6 +494,20 @@ class HumanitZDB {
       this._timelineRepo = null;
       this._gameDataRepo = null;
       this._questRepo = null;
+      this._economyRepo = null;
+      this._bountyRepo = null;
+      this._factionRepo = null;
+      this._seasonRepo = null;
+      this._eventRepo = null;
+      this._accountLinkRepo = null;
+      this._whitelistRepo = null;
+      this._banRepo = null;
+      this._webhookRepo = null;
+      this._heatmapRepo = null;
+      this._pvpRepo = null;
+      this._raidRepo = null;
+      this._retentionRepo = null;
+      this._auditRepo = null;
       this._metaRepo = null;
       this._worldStateRepo = null;
       this._botStateRepo = null;
@@ -1379,6 +1519,323 @@ class HumanitZDB {
         this._log.info(`Migration v22→v23: normalized ${String(normalized)} legacy ISO playtime timestamps`);
       }
 
+      // v23 → v24: territory polygons for faction capture zones
+      if (fromVersion < 24) {
+        try {
+          this._handle.exec('ALTER TABLE hmz_territories ADD COLUMN polygon TEXT');
+        } catch {
+          /* already exists */
+        }
+        this._log.info('Migration v23→v24: added hmz_territories.polygon');
+      }
+
+      if (fromVersion < 25) {
+        try {
+          this._handle.exec('ALTER TABLE hmz_wipes ADD COLUMN summary TEXT');
+        } catch {
+          /* already exists */
+        }
+        this._handle.exec(`
+          CREATE TABLE IF NOT EXISTS season_player_stats (
+            wipe_id          TEXT NOT NULL,
+            steam_id         TEXT NOT NULL,
+            name             TEXT DEFAULT '',
+            kills            INTEGER DEFAULT 0,
+            headshots        INTEGER DEFAULT 0,
+            melee_kills      INTEGER DEFAULT 0,
+            gun_kills        INTEGER DEFAULT 0,
+            blast_kills      INTEGER DEFAULT 0,
+            fist_kills       INTEGER DEFAULT 0,
+            takedown_kills   INTEGER DEFAULT 0,
+            vehicle_kills    INTEGER DEFAULT 0,
+            days_survived    INTEGER DEFAULT 0,
+            times_bitten     INTEGER DEFAULT 0,
+            fish_caught      INTEGER DEFAULT 0,
+            fish_caught_pike INTEGER DEFAULT 0,
+            deaths           INTEGER DEFAULT 0,
+            pvp_kills        INTEGER DEFAULT 0,
+            pvp_deaths       INTEGER DEFAULT 0,
+            builds           INTEGER DEFAULT 0,
+            loots            INTEGER DEFAULT 0,
+            raids_out        INTEGER DEFAULT 0,
+            raids_in         INTEGER DEFAULT 0,
+            damage_taken     INTEGER DEFAULT 0,
+            connects         INTEGER DEFAULT 0,
+            playtime_seconds INTEGER DEFAULT 0,
+            session_count    INTEGER DEFAULT 0,
+            killed_by        TEXT DEFAULT '{}',
+            kill_tracker     TEXT DEFAULT '{}',
+            archived_at      TEXT DEFAULT (datetime('now')),
+            PRIMARY KEY (wipe_id, steam_id)
+          );
+          CREATE INDEX IF NOT EXISTS idx_sps_steam ON season_player_stats(steam_id);
+        `);
+        this._log.info('Migration v24→v25: added hmz_wipes.summary + season_player_stats');
+      }
+
+      // v25 → v26: record who initiated each credit transaction (admin audit trail)
+      if (fromVersion < 26) {
+        try {
+          this._handle.exec("ALTER TABLE hmz_transactions ADD COLUMN actor TEXT DEFAULT ''");
+        } catch {
+          /* already exists */
+        }
+        this._log.info('Migration v25→v26: added hmz_transactions.actor');
+      }
+
+      // v26 → v27: Discord ↔ SteamID account links
+      if (fromVersion < 27) {
+        this._handle.exec(`
+          CREATE TABLE IF NOT EXISTS account_links (
+            discord_id   TEXT PRIMARY KEY,
+            steam_id     TEXT NOT NULL UNIQUE,
+            discord_name TEXT DEFAULT '',
+            linked_at    TEXT DEFAULT (datetime('now'))
+          );
+        `);
+        this._log.info('Migration v26→v27: added account_links');
+      }
+
+      // v27 → v28: whitelist applications, members and review history
+      if (fromVersion < 28) {
+        this._handle.exec(`
+          CREATE TABLE IF NOT EXISTS whitelist_applications (
+            id               INTEGER PRIMARY KEY AUTOINCREMENT,
+            discord_id       TEXT NOT NULL,
+            discord_name     TEXT DEFAULT '',
+            steam_id         TEXT NOT NULL,
+            answers          TEXT DEFAULT '[]',
+            status           TEXT DEFAULT 'pending',
+            reviewed_by      TEXT DEFAULT '',
+            reviewed_by_name TEXT DEFAULT '',
+            review_note      TEXT DEFAULT '',
+            message_id       TEXT DEFAULT '',
+            created_at       TEXT DEFAULT (datetime('now')),
+            reviewed_at      TEXT
+          );
+          CREATE INDEX IF NOT EXISTS idx_wla_status ON whitelist_applications(status);
+          CREATE INDEX IF NOT EXISTS idx_wla_steam  ON whitelist_applications(steam_id);
+          CREATE TABLE IF NOT EXISTS whitelist_members (
+            steam_id       TEXT PRIMARY KEY,
+            discord_id     TEXT DEFAULT '',
+            servers        TEXT DEFAULT '[]',
+            application_id INTEGER,
+            added_by       TEXT DEFAULT '',
+            added_by_name  TEXT DEFAULT '',
+            added_at       TEXT DEFAULT (datetime('now')),
+            expires_at     TEXT
+          );
+          CREATE INDEX IF NOT EXISTS idx_wlm_expires ON whitelist_members(expires_at);
+          CREATE TABLE IF NOT EXISTS whitelist_history (
+            id         INTEGER PRIMARY KEY AUTOINCREMENT,
+            steam_id   TEXT NOT NULL,
+            action     TEXT NOT NULL,
+            actor      TEXT DEFAULT '',
+            actor_name TEXT DEFAULT '',
+            server_id  TEXT DEFAULT '',
+            details    TEXT DEFAULT '',
+            created_at TEXT DEFAULT (datetime('now'))
+          );
+          CREATE INDEX IF NOT EXISTS idx_wlh_steam ON whitelist_history(steam_id);
+        `);
+        this._log.info('Migration v27→v28: added whitelist tables');
+      }
+
+      // v28 → v29: ban registry
+      if (fromVersion < 29) {
+        this._handle.exec(`
+          CREATE TABLE IF NOT EXISTS bans (
+            id             INTEGER PRIMARY KEY AUTOINCREMENT,
+            steam_id       TEXT NOT NULL,
+            reason         TEXT DEFAULT '',
+            notes          TEXT DEFAULT '',
+            evidence       TEXT DEFAULT '[]',
+            servers        TEXT DEFAULT '[]',
+            status         TEXT DEFAULT 'active',
+            banned_by      TEXT DEFAULT '',
+            banned_by_name TEXT DEFAULT '',
+            created_at     TEXT DEFAULT (datetime('now')),
+            expires_at     TEXT,
+            lifted_by      TEXT DEFAULT '',
+            lifted_by_name TEXT DEFAULT '',
+            lift_reason    TEXT DEFAULT '',
+            lifted_at      TEXT
+          );
+          CREATE INDEX IF NOT EXISTS idx_bans_steam  ON bans(steam_id);
+          CREATE INDEX IF NOT EXISTS idx_bans_status ON bans(status, expires_at);
+        `);
+        this._log.info('Migration v28→v29: added bans');
+      }
+
+      // v29 → v30: outbound webhooks and their delivery queue
+      if (fromVersion < 30) {
+        this._handle.exec(`
+          CREATE TABLE IF NOT EXISTS webhooks (
+            id          INTEGER PRIMARY KEY AUTOINCREMENT,
+            url         TEXT NOT NULL,
+            secret      TEXT NOT NULL,
+            events      TEXT DEFAULT '[]',
+            description TEXT DEFAULT '',
+            enabled     INTEGER DEFAULT 1,
+            created_by  TEXT DEFAULT '',
+            created_at  TEXT DEFAULT (datetime('now'))
+          );
+          CREATE TABLE IF NOT EXISTS webhook_deliveries (
+            id              INTEGER PRIMARY KEY AUTOINCREMENT,
+            webhook_id      INTEGER NOT NULL,
+            event           TEXT NOT NULL,
+            payload         TEXT NOT NULL,
+            status          TEXT DEFAULT 'pending',
+            attempts        INTEGER DEFAULT 0,
+            next_attempt_at TEXT DEFAULT (datetime('now')),
+            last_error      TEXT DEFAULT '',
+            response_status INTEGER,
+            created_at      TEXT DEFAULT (datetime('now')),
+            delivered_at    TEXT
+          );
+          CREATE INDEX IF NOT EXISTS idx_whd_due     ON webhook_deliveries(status, next_attempt_at);
+          CREATE INDEX IF NOT EXISTS idx_whd_webhook ON webhook_deliveries(webhook_id, id);
+        `);
+        this._log.info('Migration v29→v30: added webhooks');
+      }
+
+      if (fromVersion < 31) {
+        this._handle.exec(`
+          CREATE TABLE IF NOT EXISTS pvp_fights (
+            id              INTEGER PRIMARY KEY AUTOINCREMENT,
+            victim_name     TEXT NOT NULL,
+            victim_steam_id TEXT DEFAULT '',
+            killer_name     TEXT DEFAULT '',
+            killer_steam_id TEXT DEFAULT '',
+            outcome         TEXT NOT NULL,
+            started_at      TEXT NOT NULL,
+            ended_at        TEXT NOT NULL,
+            duration_sec    INTEGER DEFAULT 0,
+            total_damage    REAL DEFAULT 0,
+            hits            INTEGER DEFAULT 0,
+            weapon          TEXT DEFAULT '',
+            pos_x           REAL,
+            pos_y           REAL,
+            created_at      TEXT DEFAULT (datetime('now'))
+          );
+          CREATE INDEX IF NOT EXISTS idx_pvpf_ended  ON pvp_fights(ended_at);
+          CREATE INDEX IF NOT EXISTS idx_pvpf_victim ON pvp_fights(victim_steam_id, ended_at);
+          CREATE INDEX IF NOT EXISTS idx_pvpf_killer ON pvp_fights(killer_steam_id, ended_at);
+          CREATE TABLE IF NOT EXISTS pvp_fight_participants (
+            fight_id          INTEGER NOT NULL,
+            attacker_name     TEXT NOT NULL,
+            attacker_steam_id TEXT DEFAULT '',
+            role              TEXT NOT NULL,
+            damage            REAL DEFAULT 0,
+            hits              INTEGER DEFAULT 0,
+            weapon            TEXT DEFAULT '',
+            first_hit_at      TEXT NOT NULL,
+            last_hit_at       TEXT NOT NULL,
+            PRIMARY KEY (fight_id, attacker_name)
+          );
+          CREATE INDEX IF NOT EXISTS idx_pvpp_attacker ON pvp_fight_participants(attacker_steam_id);
+        `);
+        this._log.info('Migration v30→v31: added pvp_fights');
+      }
+
+      if (fromVersion < 32) {
+        this._handle.exec(`
+          CREATE TABLE IF NOT EXISTS raid_reports (
+            id              INTEGER PRIMARY KEY AUTOINCREMENT,
+            owner_steam_id  TEXT NOT NULL,
+            owner_name      TEXT DEFAULT '',
+            clan_name       TEXT DEFAULT '',
+            started_at      TEXT NOT NULL,
+            ended_at        TEXT NOT NULL,
+            hits            INTEGER DEFAULT 0,
+            destroyed       INTEGER DEFAULT 0,
+            structures      TEXT DEFAULT '[]',
+            attackers       TEXT DEFAULT '[]',
+            items_lost      TEXT DEFAULT '[]',
+            pos_x           REAL,
+            pos_y           REAL,
+            snippet         TEXT DEFAULT '',
+            notified        INTEGER DEFAULT 0,
+            created_at      TEXT DEFAULT (datetime('now'))
+          );
+          CREATE INDEX IF NOT EXISTS idx_raidr_owner ON raid_reports(owner_steam_id, ended_at);
+          CREATE INDEX IF NOT EXISTS idx_raidr_clan  ON raid_reports(clan_name, ended_at);
+          CREATE TABLE IF NOT EXISTS raid_alert_optouts (
+            discord_id      TEXT PRIMARY KEY,
+            created_at      TEXT DEFAULT (datetime('now'))
+          );
+        `);
+        this._log.info('Migration v31→v32: added raid_reports');
+      }
+
+      if (fromVersion < 33) {
+        try {
+          this._handle.exec("ALTER TABLE death_causes ADD COLUMN damage_breakdown TEXT DEFAULT '[]'");
+        } catch {
+          /* already exists */
+        }
+        this._handle.exec(`
+          CREATE TABLE IF NOT EXISTS death_recaps (
+            death_id        INTEGER PRIMARY KEY,
+            steam_id        TEXT DEFAULT '',
+            last_x          REAL,
+            last_y          REAL,
+            body_x          REAL,
+            body_y          REAL,
+            body_z          REAL,
+            items           TEXT DEFAULT '[]',
+            located         INTEGER DEFAULT 0,
+            notified        INTEGER DEFAULT 0,
+            created_at      TEXT DEFAULT (datetime('now'))
+          );
+          CREATE INDEX IF NOT EXISTS idx_deathr_steam ON death_recaps(steam_id);
+        `);
+        this._log.info('Migration v32→v33: added death_causes.damage_breakdown and death_recaps');
+      }
+
+      // v33 → v34: timeline keyframe tiers — backfill the first snapshot of each hour/day
+      if (fromVersion < 34) {
+        try {
+          this._handle.exec('ALTER TABLE timeline_snapshots ADD COLUMN tier INTEGER DEFAULT 0');
+        } catch {
+          /* already exists */
+        }
+        this._handle.exec(`
+          UPDATE timeline_snapshots SET tier = CASE
+            WHEN id IN (SELECT MIN(id) FROM timeline_snapshots GROUP BY substr(created_at, 1, 10)) THEN 2
+            WHEN id IN (SELECT MIN(id) FROM timeline_snapshots GROUP BY substr(created_at, 1, 13)) THEN 1
+            ELSE 0
+          END;
+          CREATE INDEX IF NOT EXISTS idx_tl_snap_tier ON timeline_snapshots(tier, created_at);
+        `);
+        this._log.info('Migration v33→v34: added timeline_snapshots.tier');
+      }
+
+      if (fromVersion < 35) {
+        this._handle.exec(`
+          CREATE TABLE IF NOT EXISTS admin_audit (
+            id              INTEGER PRIMARY KEY AUTOINCREMENT,
+            source          TEXT NOT NULL DEFAULT 'panel',
+            actor_id        TEXT DEFAULT '',
+            actor_name      TEXT DEFAULT '',
+            session         TEXT DEFAULT '',
+            tier            TEXT DEFAULT '',
+            server_id       TEXT DEFAULT 'primary',
+            action          TEXT NOT NULL,
+            params          TEXT DEFAULT '{}',
+            result          TEXT NOT NULL,
+            detail          TEXT DEFAULT '',
+            prev_hash       TEXT NOT NULL,
+            hash            TEXT NOT NULL,
+            created_at      TEXT NOT NULL
+          );
+          CREATE INDEX IF NOT EXISTS idx_audit_created ON admin_audit(created_at);
+          CREATE INDEX IF NOT EXISTS idx_audit_actor   ON admin_audit(actor_id, id);
+          CREATE INDEX IF NOT EXISTS idx_audit_action  ON admin_audit(action, id);
+        `);
+        this._log.info('Migration v34→v35: added admin_audit');
+      }
+
       this._ensureItemMovementsInstanceIdNullable();
       this._setMeta('schema_version', String(SCHEMA_VERSION));
       this._handle.exec('COMMIT');
@@ -0,0 +1,381 @@
+/**
+ * db-backup.ts — snapshots of the bot's SQLite databases.
+ *
+ * Snapshots are taken with SQLite's online backup API (safe while the bot is
+ * writing), integrity-checked, optionally gzipped and stored per database:
+ *
+ *   <backupDir>/primary/humanitz-20260301-120000.db.gz
+ *   <backupDir>/<serverId>/humanitz-20260301-120000.db.gz
+ *
+ * `primary` is data/humanitz.db; every other id is a MultiServerManager
+ * database under data/servers/<id>/.
+ *
+ * A live database is never overwritten.  Restores are queued in
+ * `<backupDir>/restore-pending.json` and applied by `applyPendingRestore()` at
+ * the next startup, before any database is opened.  The replaced database is
+ * kept next to it as `humanitz.db.pre-restore`.
+ *
+ * Used by the DbBackups module (schedule + panel) and `setup.js --restore-backup`.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import zlib from 'node:zlib';
+import { createRequire } from 'node:module';
+import { Worker } from 'node:worker_threads';
+import { pipeline } from 'node:stream/promises';
+import Database from 'better-sqlite3';
+
+export const PRIMARY_DB_ID = 'primary';
+const DB_FILE = 'humanitz.db';
+const PENDING_FILE = 'restore-pending.json';
+const BACKUP_RE = /^humanitz-(\d{4})(\d{2})(\d{2})-(\d{2})(\d{2})(\d{2})\.db(\.gz)?$/;
+const DB_ID_RE = /^[A-Za-z0-9_-]+$/;
+
+export interface BackupTarget {
+  /** 'primary' or the MultiServerManager server id. */
+  id: string;
+  path: string;
+}
+
+export interface BackupFile {
+  dbId: string;
+  /** File name inside the database's backup folder. */
+  name: string;
+  path: string;
+  /** When the snapshot was taken (from the file name, UTC). */
+  createdAt: Date;
+  bytes: number;
+  compressed: boolean;
+}
+
+export interface RetentionPolicy {
+  hourly: number;
+  daily: number;
+  weekly: number;
+}
+
+/**
+ * 'quick' runs `PRAGMA quick_check` (skips index cross-checks, much cheaper
+ * on large files) — used for scheduled snapshots.  'full' runs
+ * `PRAGMA integrity_check` — used for manual snapshots, verify and restore.
+ */
+export type IntegrityMode = 'quick' | 'full';
+
+export interface PendingRestore {
+  dbId: string;
+  name: string;
+  requestedBy: string;
+  requestedAt: string;
+}
+
+// ── Locations ───────────────────────────────────────────────────────────────
+
+/** Path of a database by id — `primary` or a per-server id. */
+export function databasePath(dataDir: string, dbId: string): string {
+  if (dbId === PRIMARY_DB_ID) return path.join(dataDir, DB_FILE);
+  return path.join(dataDir, 'servers', dbId, DB_FILE);
+}
+
+/** The primary database plus every per-server database that exists on disk. */
+export function discoverDatabases(dataDir: string): BackupTarget[] {
+  const targets: BackupTarget[] = [];
+  const primary = databasePath(dataDir, PRIMARY_DB_ID);
+  if (fs.existsSync(primary)) targets.push({ id: PRIMARY_DB_ID, path: primary });
+  const serversDir = path.join(dataDir, 'servers');
+  if (!fs.existsSync(serversDir)) return targets;
+  for (const entry of fs.readdirSync(serversDir, { withFileTypes: true })) {
+    if (!entry.isDirectory() || !DB_ID_RE.test(entry.name) || entry.name === PRIMARY_DB_ID) continue;
+    const dbPath = databasePath(dataDir, entry.name);
+    if (fs.existsSync(dbPath)) targets.push({ id: entry.name, path: dbPath });
+  }
+  return targets;
+}
+
+function _stamp(date: Date): string {
+  const p = (n: number) => String(n).padStart(2, '0');
+  return (
+    `${String(date.getUTCFullYear())}${p(date.getUTCMonth() + 1)}${p(date.getUTCDate())}-` +
+    `${p(date.getUTCHours())}${p(date.getUTCMinutes())}${p(date.getUTCSeconds())}`
+  );
+}
+
+function _parseName(name: string): { createdAt: Date; compressed: boolean } | null {
+  const m = BACKUP_RE.exec(name);
+  if (!m) return null;
+  const [, y, mo, d, h, mi, s, gz] = m;
+  const createdAt = new Date(`${y}-${mo}-${d}T${h}:${mi}:${s}Z`);
+  return Number.isNaN(createdAt.getTime()) ? null : { createdAt, compressed: !!gz };
+}
+
+/** Every snapshot in `backupDir`, newest first.  Pass `dbId` for one database only. */
+export function listBackups(backupDir: string, dbId?: string): BackupFile[] {
+  if (!fs.existsSync(backupDir)) return [];
+  const ids = dbId
+    ? [dbId]
+    : fs
+        .readdirSync(backupDir, { withFileTypes: true })
+        .filter((e) => e.isDirectory())
+        .map((e) => e.name);
+  const files: BackupFile[] = [];
+  for (const id of ids) {
+    if (!DB_ID_RE.test(id)) continue;
+    const dir = path.join(backupDir, id);
+    if (!fs.existsSync(dir)) continue;
+    for (const name of fs.readdirSync(dir)) {
+      const parsed = _parseName(name);
+      if (!parsed) continue;
+      const filePath = path.join(dir, name);
+      files.push({ dbId: id, name, path: filePath, bytes: fs.statSync(filePath).size, ...parsed });
+    }
+  }
+  return files.sort((a, b) => b.createdAt.getTime() - a.createdAt.getTime() || a.dbId.localeCompare(b.dbId));
+}
+
+/** Look a snapshot up by database id and file name (never a caller-supplied path). */
+export function findBackup(backupDir: string, dbId: string, name: string): BackupFile | null {
+  if (!DB_ID_RE.test(dbId)) return null;
+  return listBackups(backupDir, dbId).find((b) => b.name === name) ?? null;
+}
+
+// ── Snapshot / verify ───────────────────────────────────────────────────────
+
+/**
+ * Worker body for `checkIntegrity`.  Plain CommonJS so it runs the same under
+ * tsx and a compiled build; better-sqlite3 is resolved by the parent.
+ */
+const INTEGRITY_WORKER = `
+const { parentPort, workerData } = require('node:worker_threads');
+const Database = require(workerData.sqlite);
+const handle = new Database(workerData.dbPath, { readonly: true, fileMustExist: true });
+try {
+  parentPort.postMessage(String(handle.pragma(workerData.pragma, { simple: true })));
+} finally {
+  handle.close();
+}
+`;
+
+/**
+ * `PRAGMA integrity_check` (or `quick_check`) on an uncompressed database
+ * file.  Runs in a worker thread — a full check of a large file takes seconds
+ * and would otherwise block the event loop, like the gzip step would.
+ */
+export function checkIntegrity(dbPath: string, mode: IntegrityMode = 'full'): Promise<{ ok: boolean; result: string }> {
+  const sqlite = createRequire(import.meta.url).resolve('better-sqlite3');
+  const pragma = mode === 'quick' ? 'quick_check' : 'integrity_check';
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(INTEGRITY_WORKER, { eval: true, workerData: { dbPath, pragma, sqlite } });
+    let result: string | null = null;
+    worker.once('message', (msg: string) => {
+      result = msg;
+    });
+    worker.once('error', reject);
+    worker.once('exit', (code) => {
+      if (result !== null) resolve({ ok: result === 'ok', result });
+      else reject(new Error(`integrity check worker exited with code ${String(code)}`));
+    });
+  });
+}
+
+/**
+ * Snapshot one database into `<backupDir>/<id>/`.  The copy is integrity
+ * checked (`opts.integrity`, full by default) before it is kept; a corrupt
+ * copy is deleted and the call throws.
+ */
+export async function backupDatabase(
+  target: BackupTarget,
+  backupDir: string,
+  opts: { compress?: boolean; now?: Date; integrity?: IntegrityMode } = {},
+): Promise<BackupFile> {
+  const dir = path.join(backupDir, target.id);
+  fs.mkdirSync(dir, { recursive: true });
+  const createdAt = new Date(Math.floor((opts.now ?? new Date()).getTime() / 1000) * 1000);
+  const name = `humanitz-${_stamp(createdAt)}.db${opts.compress ? '.gz' : ''}`;
+  const finalPath = path.join(dir, name);
+  const tmpPath = path.join(dir, `.${name}.tmp`);
+
+  const source = new Database(target.path, { fileMustExist: true });
+  try {
+    source.pragma('busy_timeout = 5000');
+    await source.backup(tmpPath);
+  } finally {
+    source.close();
+  }
+
+  try {
+    const integrity = await checkIntegrity(tmpPath, opts.integrity);
+    if (!integrity.ok) throw new Error(`integrity check failed: ${integrity.result}`);
+    if (opts.compress) {
+      await pipeline(fs.createReadStream(tmpPath), zlib.createGzip(), fs.createWriteStream(finalPath));
+      fs.rmSync(tmpPath, { force: true });
+    } else {
+      fs.renameSync(tmpPath, finalPath);
+    }
+  } catch (err) {
+    fs.rmSync(tmpPath, { force: true });
+    fs.rmSync(finalPath, { force: true });
+    throw err;
+  }
+  return {
+    dbId: target.id,
+    name,
+    path: finalPath,
+    createdAt,
+    bytes: fs.statSync(finalPath).size,
+    compressed: !!opts.compress,
+  };
+}
+
+/** Write a snapshot out as a plain database file at `destPath`. */
+async function _extract(backup: BackupFile, destPath: string): Promise<void> {
+  if (backup.compressed) {
+    await pipeline(fs.createReadStream(backup.path), zlib.createGunzip(), fs.createWriteStream(destPath));
+  } else {
+    await fs.promises.copyFile(backup.path, destPath);
+  }
+}
+
+/** Unpack a snapshot to a temp file and integrity-check it. */
+export async function verifyBackup(backup: BackupFile): Promise<{ ok: boolean; result: string }> {
+  const tmpPath = `${backup.path}.verify.tmp`;
+  try {
+    await _extract(backup, tmpPath);
+    return await checkIntegrity(tmpPath);
+  } catch (err) {
+    return { ok: false, result: err instanceof Error ? err.message : String(err) };
+  } finally {
+    fs.rmSync(tmpPath, { force: true });
+  }
+}
+
+// ── Retention ───────────────────────────────────────────────────────────────
+
+/** Monday (UTC) of the date's week — the weekly bucket key. */
+function _weekKey(date: Date): string {
+  const monday = new Date(date.getTime() - ((date.getUTCDay() + 6) % 7) * 86_400_000);
+  return monday.toISOString().slice(0, 10);
+}
+
+const BUCKETS: Array<[keyof RetentionPolicy, (d: Date) => string]> = [
+  ['hourly', (d) => d.toISOString().slice(0, 13)],
+  ['daily', (d) => d.toISOString().slice(0, 10)],
+  ['weekly', _weekKey],
+];
+
+/**
+ * Grandfather-father-son selection for one database's snapshots: the newest
+ * snapshot of each of the last `hourly` hours, `daily` days and `weekly`
+ * weeks that have one.  The newest snapshot is always kept.
+ */
+export function selectRetained(backups: BackupFile[], policy: RetentionPolicy): Set<string> {
+  const sorted = [...backups].sort((a, b) => b.createdAt.getTime() - a.createdAt.getTime());
+  const keep = new Set<string>();
+  const newest = sorted.at(0);
+  if (newest) keep.add(newest.path);
+  for (const [tier, bucketOf] of BUCKETS) {
+    const limit = Math.max(0, policy[tier]);
+    const seen = new Set<string>();
+    for (const backup of sorted) {
+      if (seen.size >= limit) break;
+      const bucket = bucketOf(backup.createdAt);
+      if (seen.has(bucket)) continue;
+      seen.add(bucket);
+      keep.add(backup.path);
+    }
+  }
+  return keep;
+}
+
+/** Delete the snapshots the policy no longer keeps.  Returns the deleted files. */
+export function pruneBackups(backupDir: string, policy: RetentionPolicy): BackupFile[] {
+  const byDb = new Map<string, BackupFile[]>();
+  for (const backup of listBackups(backupDir)) {
+    const list = byDb.get(backup.dbId) ?? [];
+    list.push(backup);
+    byDb.set(backup.dbId, list);
+  }
+  const deleted: BackupFile[] = [];
+  for (const list of byDb.values()) {
+    const keep = selectRetained(list, policy);
+    for (const backup of list) {
+      if (keep.has(backup.path)) continue;
+      fs.rmSync(backup.path, { force: true });
+      deleted.push(backup);
+    }
+  }
+  return deleted;
+}
+
+// ── Restore ─────────────────────────────────────────────────────────────────
+
+/**
+ * Replace a database file with a snapshot.  The database must not be open —
+ * call this before startup (or from setup.js with the bot stopped).  The
+ * snapshot is integrity-checked first; the old file is kept as `.pre-restore`.
+ */
+export async function restoreDatabase(backup: BackupFile, dbPath: string): Promise<{ previous: string | null }> {
+  fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+  const tmpPath = `${dbPath}.restore.tmp`;
+  try {
+    await _extract(backup, tmpPath);
+    const integrity = await checkIntegrity(tmpPath);
+    if (!integrity.ok) throw new Error(`integrity check failed: ${integrity.result}`);
+  } catch (err) {
+    fs.rmSync(tmpPath, { force: true });
+    throw err;
+  }
+
+  let previous: string | null = null;
+  if (fs.existsSync(dbPath)) {
+    previous = `${dbPath}.pre-restore`;
+    fs.rmSync(`${previous}-wal`, { force: true });
+    fs.renameSync(dbPath, previous);
+    // The WAL travels with the old file so the kept copy opens complete
+    if (fs.existsSync(`${dbPath}-wal`)) fs.renameSync(`${dbPath}-wal`, `${previous}-wal`);
+  }
+  fs.rmSync(`${dbPath}-wal`, { force: true });
+  fs.rmSync(`${dbPath}-shm`, { force: true });
+  fs.renameSync(tmpPath, dbPath);
+  return { previous };
+}
+
+/** Queue a restore for the next startup.  Replaces any restore already queued. */
+export function requestRestore(backupDir: string, restore: PendingRestore): void {
+  fs.mkdirSync(backupDir, { recursive: true });
+  fs.writeFileSync(path.join(backupDir, PENDING_FILE), JSON.stringify(restore, null, 2));
+}
+
+export function getPendingRestore(backupDir: string): PendingRestore | null {
+  const file = path.join(backupDir, PENDING_FILE);
+  if (!fs.existsSync(file)) return null;
+  try {
+    const parsed = JSON.parse(fs.readFileSync(file, 'utf8')) as Partial<PendingRestore>;
+    if (typeof parsed.dbId !== 'string' || typeof parsed.name !== 'string') return null;
+    return {
+      dbId: parsed.dbId,
+      name: parsed.name,
+      requestedBy: typeof parsed.requestedBy === 'string' ? parsed.requestedBy : 'unknown',
+      requestedAt: typeof parsed.requestedAt === 'string' ? parsed.requestedAt : '',
+    };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Apply a queued restore, if any.  Runs once at startup before the databases
+ * are opened.  The queue entry is removed whether or not the restore worked,
+ * so a bad snapshot cannot put the bot in a restart loop.
+ */
+export async function applyPendingRestore(
+  dataDir: string,
+  backupDir: string,
+): Promise<{ restore: PendingRestore; backup: BackupFile; previous: string | null } | null> {
+  const restore = getPendingRestore(backupDir);
+  fs.rmSync(path.join(backupDir, PENDING_FILE), { force: true });
+  if (!restore) return null;
+  const backup = findBackup(backupDir, restore.dbId, restore.name);
+  if (!backup) throw new Error(`snapshot ${restore.dbId}/${restore.name} not found`);
+  const { previous } = await restoreDatabase(backup, databasePath(dataDir, restore.dbId));
+  return { restore, backup, previous };
+}
@@ -0,0 +1,85 @@
+import type Database from 'better-sqlite3';
+import { BaseRepository } from './base-repository.js';
+
+/** Row shape of account_links, joined with the best-known player name. */
+export interface AccountLinkRow {
+  discord_id: string;
+  steam_id: string;
+  discord_name: string;
+  linked_at: string;
+  player_name: string;
+}
+
+export class AccountLinkRepository extends BaseRepository {
+  declare private _stmts: {
+    getByDiscordId: Database.Statement;
+    getBySteamId: Database.Statement;
+    getAll: Database.Statement;
+    count: Database.Statement;
+    deleteByDiscordId: Database.Statement;
+    deleteBySteamId: Database.Statement;
+    insert: Database.Statement;
+  };
+
+  protected _prepareStatements(): void {
+    const select = `
+      SELECT l.discord_id, l.steam_id, l.discord_name, l.linked_at,
+        COALESCE(
+          p.name,
+          (SELECT a.name FROM player_aliases a WHERE a.steam_id = l.steam_id
+           ORDER BY a.is_current DESC, a.last_seen DESC LIMIT 1),
+          l.steam_id
+        ) AS player_name
+      FROM account_links l
+      LEFT JOIN players p ON p.steam_id = l.steam_id
+    `;
+    this._stmts = {
+      getByDiscordId: this._handle.prepare(`${select} WHERE l.discord_id = ?`),
+      getBySteamId: this._handle.prepare(`${select} WHERE l.steam_id = ?`),
+      getAll: this._handle.prepare(`${select} ORDER BY l.linked_at DESC`),
+      count: this._handle.prepare('SELECT COUNT(*) AS n FROM account_links'),
+      deleteByDiscordId: this._handle.prepare('DELETE FROM account_links WHERE discord_id = ?'),
+      deleteBySteamId: this._handle.prepare('DELETE FROM account_links WHERE steam_id = ?'),
+      insert: this._handle.prepare('INSERT INTO account_links (discord_id, steam_id, discord_name) VALUES (?, ?, ?)'),
+    };
+  }
+
+  getByDiscordId(discordId: string): AccountLinkRow | null {
+    return (this._stmts.getByDiscordId.get(discordId) as AccountLinkRow | undefined) ?? null;
+  }
+
+  getBySteamId(steamId: string): AccountLinkRow | null {
+    return (this._stmts.getBySteamId.get(steamId) as AccountLinkRow | undefined) ?? null;
+  }
+
+  /** All links, most recent first. */
+  getAll(): AccountLinkRow[] {
+    return this._stmts.getAll.all() as AccountLinkRow[];
+  }
+
+  count(): number {
+    return (this._stmts.count.get() as { n: number }).n;
+  }
+
+  /**
+   * Bind a Discord user to a SteamID. Any previous link on either side is
+   * replaced, so both columns stay one-to-one.
+   */
+  link(discordId: string, steamId: string, discordName = ''): void {
+    this._handle.transaction(() => {
+      this._stmts.deleteByDiscordId.run(discordId);
+      this._stmts.deleteBySteamId.run(steamId);
+      this._stmts.insert.run(discordId, steamId, discordName);
+    })();
+  }
+
+  /** Remove a Discord user's link. Returns false if there was none. */
+  unlink(discordId: string): boolean {
+    return this._stmts.deleteByDiscordId.run(discordId).changes > 0;
+  }
+
+  /** Remove whichever Discord account is linked to a SteamID. */
+  unlinkSteamId(steamId: string): boolean {
+    return this._stmts.deleteBySteamId.run(steamId).changes > 0;
+  }
+}
@@ -216,6 +216,7 @@ export class ActivityLogRepository extends BaseRepository {
     getActivitySinceBySource: Database.Statement;
     countActivitySince: Database.Statement;
     hasRecentActivity: Database.Statement;
+    getRaidEventIds: Database.Statement;
     purgeOldActivity: Database.Statement;
     countActivity: Database.Statement;
     countActivityBySource: Database.Statement;
@@ -278,6 +279,15 @@ export class ActivityLogRepository extends BaseRepository {
         ORDER BY created_at DESC, id DESC
         LIMIT 1
       `),
+      getRaidEventIds: this._handle.prepare(`
+        SELECT id FROM activity_log
+        WHERE type = 'raid_damage'
+          AND steam_id = ?
+          AND target_steam_id IN (SELECT value FROM json_each(?))
+          AND created_at >= ? AND created_at <= ?
+        ORDER BY created_at ASC, id ASC
+        LIMIT ?
+      `),
       purgeOldActivity: this._handle.prepare("DELETE FROM activity_log WHERE created_at < datetime('now', ?)"),
       countActivity: this._handle.prepare('SELECT COUNT(*) as count FROM activity_log'),
       countActivityBySource: this._handle.prepare('SELECT source, COUNT(*) as count FROM activity_log GROUP BY source'),
@@ -676,6 +686,24 @@ export class ActivityLogRepository extends BaseRepository {
     );
   }
 
+  /** Ids of one attacker's raid hits on the given owners' structures between two timestamps, oldest first. */
+  getRaidEventIds(
+    attackerSteamId: string,
+    ownerSteamIds: readonly string[],
+    from: Date,
+    to: Date,
+    limit = 100,
+  ): number[] {
+    const rows = this._stmts.getRaidEventIds.all(
+      attackerSteamId,
+      JSON.stringify(ownerSteamIds),
+      formatDbTimestampUtc(from),
+      formatDbTimestampUtc(to),
+      limit,
+    ) as Array<{ id: number }>;
+    return rows.map((r) => r.id);
+  }
+
   /** Purge old activity entries (e.g. '-30 days'). */
   purgeOldActivity(olderThan: string) {
     return this._stmts.purgeOldActivity.run(olderThan);
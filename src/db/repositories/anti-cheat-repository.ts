@@ -76,6 +76,8 @@ export class AntiCheatRepository extends BaseRepository {
     countAllAcFlags: Database.Statement;
     updateAcFlagStatus: Database.Statement;
     escalateAcFlag: Database.Statement;
+    updateAcFlagDetails: Database.Statement;
+    countActiveAcFlagsSince: Database.Statement;
     // Risk scores
     upsertRiskScore: Database.Statement;
     getRiskScore: Database.Statement;
@@ -116,6 +118,11 @@ export class AntiCheatRepository extends BaseRepository {
         "UPDATE anticheat_flags SET status = ?, reviewed_by = ?, reviewed_at = datetime('now'), review_notes = ? WHERE id = ?",
       ),
       escalateAcFlag: this._handle.prepare('UPDATE anticheat_flags SET severity = ?, auto_escalated = 1 WHERE id = ?'),
+      updateAcFlagDetails: this._handle.prepare('UPDATE anticheat_flags SET details = ?, evidence = ? WHERE id = ?'),
+      countActiveAcFlagsSince: this._handle.prepare(`
+        SELECT COUNT(*) as count FROM anticheat_flags
+        WHERE steam_id = ? AND detector = ? AND status IN ('open', 'confirmed') AND created_at >= ?
+      `),
 
       // ── Anticheat: risk scores ───────────────────────────────────────────────
       upsertRiskScore: this._handle.prepare(`
@@ -226,6 +233,17 @@ export class AntiCheatRepository extends BaseRepository {
     this._stmts.escalateAcFlag.run(newSeverity, flagId);
   }
 
+  /** Replace a flag's evidence while it is still being collected (e.g. an ongoing offline raid). */
+  updateAcFlagDetails(flagId: number, details: unknown, evidence: unknown[]): void {
+    this._stmts.updateAcFlagDetails.run(JSON.stringify(details ?? {}), JSON.stringify(evidence), flagId);
+  }
+
+  /** Count a player's open or confirmed flags from one detector since a timestamp — dismissed flags don't count. */
+  countActiveAcFlagsSince(steamId: string, detector: string, since: string): number {
+    const row = this._stmts.countActiveAcFlagsSince.get(steamId, detector, since) as DbRow | undefined;
+    return (row?.count as number | undefined) ?? 0;
+  }
+
   /**
    * Upsert a player risk score.
    * @param {object} data - { steam_id, risk_score, open_flags, confirmed_flags, dismissed_flags, last_flag_at, baseline_data }
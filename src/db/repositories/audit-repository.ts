@@ -0,0 +1,192 @@
+import { createHash } from 'node:crypto';
+import type Database from 'better-sqlite3';
+import { BaseRepository } from './base-repository.js';
+import { formatDbTimestampUtc } from '../timestamp.js';
+
+/** prev_hash of the first row in the chain. */
+export const AUDIT_GENESIS = '0'.repeat(64);
+
+export type AuditSource = 'panel' | 'discord';
+export type AuditResult = 'ok' | 'error' | 'denied';
+
+/** Row shape of admin_audit (params still JSON-encoded). */
+export interface AuditRow {
+  id: number;
+  source: AuditSource;
+  actor_id: string;
+  actor_name: string;
+  session: string;
+  tier: string;
+  server_id: string;
+  action: string;
+  params: string;
+  result: AuditResult;
+  detail: string;
+  prev_hash: string;
+  hash: string;
+  created_at: string;
+}
+
+export interface NewAuditEntry {
+  source: AuditSource;
+  actorId?: string;
+  actorName?: string;
+  session?: string;
+  tier?: string;
+  serverId?: string;
+  action: string;
+  /** Already redacted — stored as JSON. */
+  params?: Record<string, unknown>;
+  result: AuditResult;
+  detail?: string;
+  /** Defaults to now. */
+  createdAt?: Date;
+}
+
+export interface AuditFilter {
+  actor?: string;
+  action?: string;
+  serverId?: string;
+  result?: AuditResult;
+  /** DB timestamps (UTC), inclusive. */
+  from?: string;
+  to?: string;
+  /** Page backwards: only rows with a smaller id. */
+  beforeId?: number;
+  limit?: number;
+}
+
+export interface AuditVerification {
+  ok: boolean;
+  checked: number;
+  /** First row whose hash or link doesn't match, or null when intact. */
+  brokenAt: number | null;
+  reason: 'hash' | 'link' | null;
+}
+
+type HashedFields = Omit<AuditRow, 'id' | 'prev_hash' | 'hash'>;
+
+/** SHA-256 over the previous hash and every stored column of the row. */
+export function auditHash(prevHash: string, row: HashedFields): string {
+  const body = JSON.stringify([
+    row.created_at,
+    row.source,
+    row.actor_id,
+    row.actor_name,
+    row.session,
+    row.tier,
+    row.server_id,
+    row.action,
+    row.params,
+    row.result,
+    row.detail,
+  ]);
+  return createHash('sha256').update(`${prevHash}\n${body}`).digest('hex');
+}
+
+const VERIFY_BATCH = 1000;
+
+export class AuditRepository extends BaseRepository {
+  declare private _stmts: {
+    lastHash: Database.Statement;
+    insert: Database.Statement;
+    actions: Database.Statement;
+    verifyBatch: Database.Statement;
+  };
+
+  protected _prepareStatements(): void {
+    this._stmts = {
+      lastHash: this._handle.prepare('SELECT hash FROM admin_audit ORDER BY id DESC LIMIT 1'),
+      insert: this._handle.prepare(`
+        INSERT INTO admin_audit (source, actor_id, actor_name, session, tier, server_id, action, params, result, detail, prev_hash, hash, created_at)
+        VALUES (@source, @actor_id, @actor_name, @session, @tier, @server_id, @action, @params, @result, @detail, @prev_hash, @hash, @created_at)
+      `),
+      actions: this._handle.prepare('SELECT DISTINCT action FROM admin_audit ORDER BY action'),
+      verifyBatch: this._handle.prepare('SELECT * FROM admin_audit WHERE id > ? ORDER BY id LIMIT ?'),
+    };
+  }
+
+  /** Append an entry to the end of the chain and return the stored row. */
+  append(entry: NewAuditEntry): AuditRow {
+    const fields: HashedFields = {
+      source: entry.source,
+      actor_id: entry.actorId ?? '',
+      actor_name: entry.actorName ?? '',
+      session: entry.session ?? '',
+      tier: entry.tier ?? '',
+      server_id: entry.serverId ?? 'primary',
+      action: entry.action,
+      params: JSON.stringify(entry.params ?? {}),
+      result: entry.result,
+      detail: entry.detail ?? '',
+      created_at: formatDbTimestampUtc(entry.createdAt),
+    };
+    // Read-then-insert in one transaction so concurrent writers can't fork the chain
+    return this._handle.transaction(() => {
+      const last = this._stmts.lastHash.get() as { hash: string } | undefined;
+      const prev_hash = last?.hash ?? AUDIT_GENESIS;
+      const row = { ...fields, prev_hash, hash: auditHash(prev_hash, fields) };
+      const id = Number(this._stmts.insert.run(row).lastInsertRowid);
+      return { id, ...row };
+    })();
+  }
+
+  /** Newest entries first. */
+  list(filter: AuditFilter = {}): AuditRow[] {
+    const where: string[] = [];
+    const args: Array<string | number> = [];
+    if (filter.actor) {
+      where.push('(actor_id = ? OR actor_name LIKE ?)');
+      args.push(filter.actor, `%${filter.actor}%`);
+    }
+    if (filter.action) {
+      where.push('action = ?');
+      args.push(filter.action);
+    }
+    if (filter.serverId) {
+      where.push('server_id = ?');
+      args.push(filter.serverId);
+    }
+    if (filter.result) {
+      where.push('result = ?');
+      args.push(filter.result);
+    }
+    if (filter.from) {
+      where.push('created_at >= ?');
+      args.push(filter.from);
+    }
+    if (filter.to) {
+      where.push('created_at <= ?');
+      args.push(filter.to);
+    }
+    if (filter.beforeId) {
+      where.push('id < ?');
+      args.push(filter.beforeId);
+    }
+    const sql = `SELECT * FROM admin_audit ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''} ORDER BY id DESC LIMIT ?`;
+    return this._handle.prepare(sql).all(...args, filter.limit ?? 100) as AuditRow[];
+  }
+
+  /** Every action name recorded so far, for the panel's filter. */
+  actions(): string[] {
+    return (this._stmts.actions.all() as Array<{ action: string }>).map((r) => r.action);
+  }
+
+  /** Walk the chain from the first row and recompute every hash. */
+  verify(): AuditVerification {
+    let prev = AUDIT_GENESIS;
+    let afterId = 0;
+    let checked = 0;
+    for (;;) {
+      const rows = this._stmts.verifyBatch.all(afterId, VERIFY_BATCH) as AuditRow[];
+      for (const row of rows) {
+        if (row.prev_hash !== prev) return { ok: false, checked, brokenAt: row.id, reason: 'link' };
+        if (auditHash(row.prev_hash, row) !== row.hash) return { ok: false, checked, brokenAt: row.id, reason: 'hash' };
+        prev = row.hash;
+        checked++;
+      }
+      if (rows.length < VERIFY_BATCH) return { ok: true, checked, brokenAt: null, reason: null };
+      afterId = rows[rows.length - 1]?.id ?? afterId;
+    }
+  }
+}
@@ -0,0 +1,154 @@
+import type Database from 'better-sqlite3';
+import { BaseRepository } from './base-repository.js';
+
+export type BanStatus = 'active' | 'lifted' | 'expired';
+
+/** Row shape of bans, joined with the best-known player name. */
+export interface BanRow {
+  id: number;
+  steam_id: string;
+  player_name: string;
+  reason: string;
+  notes: string;
+  evidence: string;
+  servers: string;
+  status: BanStatus;
+  banned_by: string;
+  banned_by_name: string;
+  created_at: string;
+  expires_at: string | null;
+  lifted_by: string;
+  lifted_by_name: string;
+  lift_reason: string;
+  lifted_at: string | null;
+}
+
+export interface NewBan {
+  steamId: string;
+  reason?: string;
+  notes?: string;
+  evidence?: number[];
+  servers: string[];
+  bannedBy?: string;
+  bannedByName?: string;
+  /** DB timestamp (UTC) — null for a permanent ban. */
+  expiresAt?: string | null;
+}
+
+const SELECT = `
+  SELECT b.*,
+    COALESCE(
+      (SELECT p.name FROM players p WHERE p.steam_id = b.steam_id),
+      (SELECT a.name FROM player_aliases a WHERE a.steam_id = b.steam_id
+       ORDER BY a.is_current DESC, a.last_seen DESC LIMIT 1),
+      b.steam_id
+    ) AS player_name
+  FROM bans b
+`;
+
+export class BanRepository extends BaseRepository {
+  declare private _stmts: {
+    insert: Database.Statement;
+    getById: Database.Statement;
+    getActiveForSteamId: Database.Statement;
+    getActive: Database.Statement;
+    getRecent: Database.Statement;
+    getForSteamId: Database.Statement;
+    getExpired: Database.Statement;
+    lift: Database.Statement;
+    updateNotes: Database.Statement;
+    setServers: Database.Statement;
+  };
+
+  protected _prepareStatements(): void {
+    this._stmts = {
+      insert: this._handle.prepare(`
+        INSERT INTO bans (steam_id, reason, notes, evidence, servers, banned_by, banned_by_name, created_at, expires_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `),
+      getById: this._handle.prepare(`${SELECT} WHERE b.id = ?`),
+      getActiveForSteamId: this._handle.prepare(
+        `${SELECT} WHERE b.steam_id = ? AND b.status = 'active' ORDER BY b.id DESC LIMIT 1`,
+      ),
+      getActive: this._handle.prepare(`${SELECT} WHERE b.status = 'active' ORDER BY b.created_at DESC, b.id DESC`),
+      getRecent: this._handle.prepare(
+        `${SELECT} WHERE b.status != 'active' ORDER BY b.lifted_at DESC, b.id DESC LIMIT ?`,
+      ),
+      getForSteamId: this._handle.prepare(`${SELECT} WHERE b.steam_id = ? ORDER BY b.id DESC LIMIT ?`),
+      getExpired: this._handle.prepare(
+        `${SELECT} WHERE b.status = 'active' AND b.expires_at IS NOT NULL AND b.expires_at <= ? ORDER BY b.expires_at`,
+      ),
+      lift: this._handle.prepare(`
+        UPDATE bans SET status = ?, lifted_by = ?, lifted_by_name = ?, lift_reason = ?, lifted_at = ?
+        WHERE id = ? AND status = 'active'
+      `),
+      updateNotes: this._handle.prepare('UPDATE bans SET notes = ?, evidence = ? WHERE id = ?'),
+      setServers: this._handle.prepare('UPDATE bans SET servers = ? WHERE id = ?'),
+    };
+  }
+
+  /** Record a new active ban. Returns its id. */
+  createBan(ban: NewBan, createdAt: string): number {
+    const info = this._stmts.insert.run(
+      ban.steamId,
+      ban.reason ?? '',
+      ban.notes ?? '',
+      JSON.stringify(ban.evidence ?? []),
+      JSON.stringify(ban.servers),
+      ban.bannedBy ?? '',
+      ban.bannedByName ?? '',
+      createdAt,
+      ban.expiresAt ?? null,
+    );
+    return Number(info.lastInsertRowid);
+  }
+
+  getBan(id: number): BanRow | null {
+    return (this._stmts.getById.get(id) as BanRow | undefined) ?? null;
+  }
+
+  /** The player's current ban, or null when they are not banned. */
+  getActiveForSteamId(steamId: string): BanRow | null {
+    return (this._stmts.getActiveForSteamId.get(steamId) as BanRow | undefined) ?? null;
+  }
+
+  /** Every active ban, newest first. */
+  getActive(): BanRow[] {
+    return this._stmts.getActive.all() as BanRow[];
+  }
+
+  /** Lifted and expired bans, most recently ended first. */
+  getRecent(limit = 50): BanRow[] {
+    return this._stmts.getRecent.all(limit) as BanRow[];
+  }
+
+  /** A player's full ban history, newest first. */
+  getForSteamId(steamId: string, limit = 50): BanRow[] {
+    return this._stmts.getForSteamId.all(steamId, limit) as BanRow[];
+  }
+
+  /** Active temporary bans whose expiry is at or before `now` (DB timestamp). */
+  getExpired(now: string): BanRow[] {
+    return this._stmts.getExpired.all(now) as BanRow[];
+  }
+
+  /** active → lifted/expired. Returns false if the ban was no longer active. */
+  liftBan(
+    id: number,
+    status: Exclude<BanStatus, 'active'>,
+    actor: { id: string; name: string },
+    reason: string,
+    liftedAt: string,
+  ): boolean {
+    return this._stmts.lift.run(status, actor.id, actor.name, reason, liftedAt, id).changes > 0;
+  }
+
+  /** Replace a ban's moderator notes and evidence links. */
+  updateNotes(id: number, notes: string, evidence: number[]): boolean {
+    return this._stmts.updateNotes.run(notes, JSON.stringify(evidence), id).changes > 0;
+  }
+
+  setServers(id: number, servers: string[]): void {
+    this._stmts.setServers.run(JSON.stringify(servers), id);
+  }
+}
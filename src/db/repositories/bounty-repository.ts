@@ -0,0 +1,126 @@
+import type Database from 'better-sqlite3';
+import { BaseRepository } from './base-repository.js';
+
+/** Row shape of hmz_bounties. */
+export interface BountyRow {
+  id: number;
+  target_steam_id: string;
+  target_name: string;
+  placed_by: string | null;
+  placed_by_name: string;
+  reward_credits: number;
+  reason: string;
+  status: 'active' | 'claimed' | 'expired' | 'cancelled';
+  claimed_by: string | null;
+  claimed_by_name: string;
+  created_at: string;
+  claimed_at: string | null;
+  expires_at: string | null;
+}
+
+export interface NewBounty {
+  targetSteamId: string;
+  targetName?: string;
+  placedBy?: string | null;
+  placedByName?: string;
+  rewardCredits: number;
+  reason?: string;
+  expiresAt?: string | null;
+}
+
+export class BountyRepository extends BaseRepository {
+  declare private _stmts: {
+    insertBounty: Database.Statement;
+    getBounty: Database.Statement;
+    getActiveBounties: Database.Statement;
+    getActiveBountiesForTarget: Database.Statement;
+    getRecentClaims: Database.Statement;
+    getExpiredActive: Database.Statement;
+    markClaimed: Database.Statement;
+    setStatus: Database.Statement;
+    incrementClaimCount: Database.Statement;
+  };
+
+  protected _prepareStatements(): void {
+    this._stmts = {
+      insertBounty: this._handle.prepare(`
+        INSERT INTO hmz_bounties (target_steam_id, target_name, placed_by, placed_by_name, reward_credits, reason, expires_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `),
+      getBounty: this._handle.prepare('SELECT * FROM hmz_bounties WHERE id = ?'),
+      getActiveBounties: this._handle.prepare(
+        "SELECT * FROM hmz_bounties WHERE status = 'active' ORDER BY reward_credits DESC, id ASC LIMIT ?",
+      ),
+      getActiveBountiesForTarget: this._handle.prepare(
+        "SELECT * FROM hmz_bounties WHERE status = 'active' AND target_steam_id = ? ORDER BY id ASC",
+      ),
+      getRecentClaims: this._handle.prepare(
+        "SELECT * FROM hmz_bounties WHERE status = 'claimed' ORDER BY claimed_at DESC, id DESC LIMIT ?",
+      ),
+      getExpiredActive: this._handle.prepare(
+        "SELECT * FROM hmz_bounties WHERE status = 'active' AND expires_at IS NOT NULL AND expires_at <= ?",
+      ),
+      markClaimed: this._handle.prepare(`
+        UPDATE hmz_bounties
+        SET status = 'claimed', claimed_by = ?, claimed_by_name = ?, claimed_at = datetime('now')
+        WHERE id = ? AND status = 'active'
+      `),
+      setStatus: this._handle.prepare("UPDATE hmz_bounties SET status = ? WHERE id = ? AND status = 'active'"),
+      incrementClaimCount: this._handle.prepare(
+        'UPDATE hmz_players SET bounties_claimed = bounties_claimed + 1 WHERE steam_id = ?',
+      ),
+    };
+  }
+
+  /** Insert a new active bounty. Returns its id. */
+  placeBounty(bounty: NewBounty): number {
+    const info = this._stmts.insertBounty.run(
+      bounty.targetSteamId,
+      bounty.targetName ?? '',
+      bounty.placedBy ?? null,
+      bounty.placedByName ?? '',
+      Math.trunc(bounty.rewardCredits),
+      bounty.reason ?? 'player',
+      bounty.expiresAt ?? null,
+    );
+    return Number(info.lastInsertRowid);
+  }
+
+  getBounty(id: number): BountyRow | null {
+    return (this._stmts.getBounty.get(id) as BountyRow | undefined) ?? null;
+  }
+
+  /** Active bounties, highest reward first. */
+  getActiveBounties(limit = 50): BountyRow[] {
+    return this._stmts.getActiveBounties.all(limit) as BountyRow[];
+  }
+
+  getActiveBountiesForTarget(steamId: string): BountyRow[] {
+    return this._stmts.getActiveBountiesForTarget.all(steamId) as BountyRow[];
+  }
+
+  /** Most recently claimed bounties. */
+  getRecentClaims(limit = 20): BountyRow[] {
+    return this._stmts.getRecentClaims.all(limit) as BountyRow[];
+  }
+
+  /**
+   * Active bounties whose expiry has passed.
+   * @param {string} now - ISO / SQLite datetime to compare expires_at against
+   */
+  getExpiredActive(now: string): BountyRow[] {
+    return this._stmts.getExpiredActive.all(now) as BountyRow[];
+  }
+
+  /** Mark an active bounty claimed. Returns false if it was no longer active. */
+  markClaimed(id: number, claimerSteamId: string, claimerName: string): boolean {
+    const changed = this._stmts.markClaimed.run(claimerSteamId, claimerName, id).changes > 0;
+    if (changed) this._stmts.incrementClaimCount.run(claimerSteamId);
+    return changed;
+  }
+
+  /** Move an active bounty to 'cancelled' or 'expired'. Returns false if it was no longer active. */
+  closeBounty(id: number, status: 'cancelled' | 'expired'): boolean {
+    return this._stmts.setStatus.run(status, id).changes > 0;
+  }
+}
@@ -73,6 +73,15 @@ export class ClanRepository extends BaseRepository {
     return [...clansMap.values()];
   }
 
+  /**
+   * Members of a clan, highest rank first.
+   * @param {string} clanName
+   * @returns {DbRow[]}
+   */
+  getClanMembers(clanName: string) {
+    return this._stmts.getClanMembers.all(clanName) as DbRow[];
+  }
+
   /**
    * Check if two steam IDs are in the same clan.
    * @param {string} steamId1
@@ -1,6 +1,44 @@
 import type Database from 'better-sqlite3';
 import { BaseRepository } from './base-repository.js';
 
+/** One damage source in the kill window before a death. */
+export interface DeathDamageEntry {
+  /** Classified name ('Runner', 'Wolf', 'PlayerX'). */
+  source: string;
+  type: string;
+  damage: number;
+  hits: number;
+}
+
+/** A death_causes row joined with its death_recaps row (recap columns NULL when there is none). */
+export interface DeathHistoryRow {
+  id: number;
+  victim_name: string;
+  victim_steam_id: string;
+  cause_type: string;
+  cause_name: string;
+  damage_total: number;
+  damage_breakdown: string;
+  created_at: string;
+  last_x: number | null;
+  last_y: number | null;
+  body_x: number | null;
+  body_y: number | null;
+  body_z: number | null;
+  items: string | null;
+  located: number | null;
+  notified: number | null;
+}
+
+export interface NewDeathRecap {
+  deathId: number;
+  steamId: string;
+  lastX?: number | null;
+  lastY?: number | null;
+  /** Carried at the last save, replaced by the backpack's contents once it is located. */
+  items: Array<{ item: string; amount: number }>;
+}
+
 export class DeathCauseRepository extends BaseRepository {
   declare private _stmts: {
     insertDeathCause: Database.Statement;
@@ -8,17 +46,23 @@ export class DeathCauseRepository extends BaseRepository {
     getDeathCausesByPlayer: Database.Statement;
     getDeathCauseStats: Database.Statement;
     getDeathCausesSince: Database.Statement;
+    insertRecap: Database.Statement;
+    locateRecap: Database.Statement;
+    markRecapNotified: Database.Statement;
+    getDeath: Database.Statement;
+    getDeathHistory: Database.Statement;
+    countDeathHistory: Database.Statement;
   };
 
   protected _prepareStatements(): void {
     this._stmts = {
       insertDeathCause: this._handle.prepare(`
-      INSERT INTO death_causes (victim_name, victim_steam_id, cause_type, cause_name, cause_raw, damage_total, pos_x, pos_y, pos_z)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      INSERT INTO death_causes (victim_name, victim_steam_id, cause_type, cause_name, cause_raw, damage_total, damage_breakdown, pos_x, pos_y, pos_z)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `),
       getDeathCauses: this._handle.prepare('SELECT * FROM death_causes ORDER BY created_at DESC LIMIT ?'),
       getDeathCausesByPlayer: this._handle.prepare(
-        'SELECT * FROM death_causes WHERE victim_name = ? OR victim_steam_id = ? ORDER BY created_at DESC LIMIT ?',
+        'SELECT * FROM death_causes WHERE victim_name = ? OR victim_steam_id = ? ORDER BY created_at DESC, id DESC LIMIT ?',
       ),
       getDeathCauseStats: this._handle.prepare(
         'SELECT cause_type, cause_name, COUNT(*) as count FROM death_causes GROUP BY cause_type, cause_name ORDER BY count DESC',
@@ -26,6 +70,32 @@ export class DeathCauseRepository extends BaseRepository {
       getDeathCausesSince: this._handle.prepare(
         'SELECT * FROM death_causes WHERE created_at >= ? ORDER BY created_at ASC',
       ),
+      insertRecap: this._handle.prepare(
+        'INSERT OR REPLACE INTO death_recaps (death_id, steam_id, last_x, last_y, items) VALUES (?, ?, ?, ?, ?)',
+      ),
+      locateRecap: this._handle.prepare(
+        'UPDATE death_recaps SET body_x = ?, body_y = ?, body_z = ?, items = ?, located = 1 WHERE death_id = ?',
+      ),
+      markRecapNotified: this._handle.prepare('UPDATE death_recaps SET notified = ? WHERE death_id = ?'),
+      getDeath: this._handle.prepare(`
+        SELECT dc.id, dc.victim_name, dc.victim_steam_id, dc.cause_type, dc.cause_name, dc.damage_total,
+               dc.damage_breakdown, dc.created_at, dr.last_x, dr.last_y, dr.body_x, dr.body_y, dr.body_z,
+               dr.items, dr.located, dr.notified
+        FROM death_causes dc LEFT JOIN death_recaps dr ON dr.death_id = dc.id
+        WHERE dc.id = ?
+      `),
+      getDeathHistory: this._handle.prepare(`
+        SELECT dc.id, dc.victim_name, dc.victim_steam_id, dc.cause_type, dc.cause_name, dc.damage_total,
+               dc.damage_breakdown, dc.created_at, dr.last_x, dr.last_y, dr.body_x, dr.body_y, dr.body_z,
+               dr.items, dr.located, dr.notified
+        FROM death_causes dc LEFT JOIN death_recaps dr ON dr.death_id = dc.id
+        WHERE (@steamId != '' AND dc.victim_steam_id = @steamId) OR dc.victim_name = @name COLLATE NOCASE
+        ORDER BY dc.created_at DESC, dc.id DESC LIMIT @limit OFFSET @offset
+      `),
+      countDeathHistory: this._handle.prepare(`
+        SELECT COUNT(*) AS count FROM death_causes
+        WHERE (@steamId != '' AND victim_steam_id = @steamId) OR victim_name = @name COLLATE NOCASE
+      `),
     };
   }
 
@@ -38,22 +108,26 @@ export class DeathCauseRepository extends BaseRepository {
    * @param {string} data.causeName   - classified name ('Runner', 'Wolf', 'PlayerX')
    * @param {string} [data.causeRaw]  - raw BP_ blueprint name
    * @param {number} [data.damageTotal]
+   * @param {DeathDamageEntry[]} [data.damageBreakdown] - per-source damage in the kill window
    * @param {number} [data.x]
    * @param {number} [data.y]
    * @param {number} [data.z]
+   * @returns {number} the new row id
    */
-  insertDeathCause(data: Record<string, unknown>): void {
-    this._stmts.insertDeathCause.run(
+  insertDeathCause(data: Record<string, unknown>): number {
+    const info = this._stmts.insertDeathCause.run(
       data.victimName,
       data.victimSteamId || '',
       data.causeType,
       data.causeName || '',
       data.causeRaw || '',
       data.damageTotal || 0,
+      JSON.stringify(Array.isArray(data.damageBreakdown) ? data.damageBreakdown : []),
       data.x ?? null,
       data.y ?? null,
       data.z ?? null,
     );
+    return Number(info.lastInsertRowid);
   }
 
   /** Get recent death causes. */
@@ -75,4 +149,43 @@ export class DeathCauseRepository extends BaseRepository {
   getDeathCausesSince(since: string) {
     return this._stmts.getDeathCausesSince.all(since);
   }
+
+  // ── Death recaps ──────────────────────────────────────────────────────────
+
+  /** Attach a recap (last position, carried items) to a recorded death. */
+  insertRecap(recap: NewDeathRecap): void {
+    this._stmts.insertRecap.run(
+      recap.deathId,
+      recap.steamId,
+      recap.lastX ?? null,
+      recap.lastY ?? null,
+      JSON.stringify(recap.items),
+    );
+  }
+
+  /** Record where the death's backpack turned up and what was in it. */
+  locateRecap(
+    deathId: number,
+    body: { x: number; y: number; z: number | null; items: Array<{ item: string; amount: number }> },
+  ): void {
+    this._stmts.locateRecap.run(body.x, body.y, body.z, JSON.stringify(body.items), deathId);
+  }
+
+  markRecapNotified(deathId: number, count: number): void {
+    this._stmts.markRecapNotified.run(count, deathId);
+  }
+
+  /** One death with its recap. */
+  getDeath(id: number): DeathHistoryRow | null {
+    return (this._stmts.getDeath.get(id) as DeathHistoryRow | undefined) ?? null;
+  }
+
+  /** A player's deaths with their recaps, newest first.  Matches the SteamID or (case-insensitively) the name. */
+  getDeathHistory(steamId: string, name: string, limit: number, offset = 0): DeathHistoryRow[] {
+    return this._stmts.getDeathHistory.all({ steamId, name, limit, offset }) as DeathHistoryRow[];
+  }
+
+  countDeathHistory(steamId: string, name: string): number {
+    return (this._stmts.countDeathHistory.get({ steamId, name }) as { count: number }).count;
+  }
 }
@@ -0,0 +1,232 @@
+import type Database from 'better-sqlite3';
+import { BaseRepository } from './base-repository.js';
+import type { DbRow } from './db-utils.js';
+
+/** Result of a credit adjustment — the ledger row id and the new balance. */
+export interface CreditAdjustment {
+  transactionId: number;
+  balanceAfter: number;
+}
+
+/** Both legs of a player-to-player transfer. */
+export interface CreditTransfer {
+  from: CreditAdjustment;
+  to: CreditAdjustment;
+}
+
+export interface WalletRow {
+  steam_id: string;
+  name: string;
+  credits: number;
+  lifetime_credits: number;
+}
+
+/** Ledger row joined with the player's current name. */
+export interface TransactionRow {
+  id: number;
+  steam_id: string;
+  name: string;
+  type: string;
+  amount: number;
+  balance_after: number;
+  description: string;
+  related_id: string | null;
+  actor: string;
+  created_at: string;
+}
+
+export interface TransactionFilter {
+  steamId?: string | null;
+  type?: string | null;
+  /** Only rows older than this ledger id (for paging). */
+  beforeId?: number | null;
+  limit?: number;
+}
+
+export interface EconomyTotals {
+  accounts: number;
+  circulating: number;
+  lifetime: number;
+}
+
+/**
+ * EconomyRepository — player credit balances (hmz_players) and the
+ * transaction ledger (hmz_transactions).
+ *
+ * Every balance change goes through adjustCredits() so the ledger row and
+ * the balance update are written atomically, with balance_after snapshotted.
+ */
+export class EconomyRepository extends BaseRepository {
+  declare private _stmts: {
+    ensureAccount: Database.Statement;
+    getBalance: Database.Statement;
+    addCredits: Database.Statement;
+    insertTransaction: Database.Statement;
+    getTransactions: Database.Statement;
+    listTransactions: Database.Statement;
+    getWallet: Database.Statement;
+    getTopBalances: Database.Statement;
+    getTotals: Database.Statement;
+    addQuestsCompleted: Database.Statement;
+  };
+
+  protected _prepareStatements(): void {
+    this._stmts = {
+      // faction_id is NOT NULL — players outside a faction hold an empty id
+      ensureAccount: this._handle.prepare("INSERT OR IGNORE INTO hmz_players (steam_id, faction_id) VALUES (?, '')"),
+      getBalance: this._handle.prepare('SELECT credits FROM hmz_players WHERE steam_id = ?'),
+      addCredits: this._handle.prepare(`
+        UPDATE hmz_players
+        SET credits = credits + ?,
+            lifetime_credits = lifetime_credits + MAX(?, 0),
+            last_active = datetime('now')
+        WHERE steam_id = ?
+      `),
+      insertTransaction: this._handle.prepare(`
+        INSERT INTO hmz_transactions (steam_id, type, amount, balance_after, description, related_id, actor)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `),
+      getTransactions: this._handle.prepare(
+        'SELECT * FROM hmz_transactions WHERE steam_id = ? ORDER BY id DESC LIMIT ?',
+      ),
+      listTransactions: this._handle.prepare(`
+        SELECT t.*, COALESCE(p.name, t.steam_id) AS name
+        FROM hmz_transactions t
+        LEFT JOIN players p ON p.steam_id = t.steam_id
+        WHERE (@steamId IS NULL OR t.steam_id = @steamId)
+          AND (@type IS NULL OR t.type = @type)
+          AND (@beforeId IS NULL OR t.id < @beforeId)
+        ORDER BY t.id DESC
+        LIMIT @limit
+      `),
+      getWallet: this._handle.prepare(`
+        SELECT h.steam_id, COALESCE(p.name, h.steam_id) AS name, h.credits, h.lifetime_credits
+        FROM hmz_players h
+        LEFT JOIN players p ON p.steam_id = h.steam_id
+        WHERE h.steam_id = ?
+      `),
+      getTopBalances: this._handle.prepare(`
+        SELECT h.steam_id, COALESCE(p.name, h.steam_id) AS name, h.credits, h.lifetime_credits
+        FROM hmz_players h
+        LEFT JOIN players p ON p.steam_id = h.steam_id
+        WHERE h.credits > 0
+        ORDER BY h.credits DESC, h.lifetime_credits DESC
+        LIMIT ?
+      `),
+      getTotals: this._handle.prepare(`
+        SELECT COUNT(*) AS accounts,
+               COALESCE(SUM(credits), 0) AS circulating,
+               COALESCE(SUM(lifetime_credits), 0) AS lifetime
+        FROM hmz_players
+        WHERE credits > 0 OR lifetime_credits > 0
+      `),
+      addQuestsCompleted: this._handle.prepare(
+        'UPDATE hmz_players SET quests_completed = quests_completed + ? WHERE steam_id = ?',
+      ),
+    };
+  }
+
+  /** Current credit balance for a player (0 when they have no account yet). */
+  getBalance(steamId: string): number {
+    const row = this._stmts.getBalance.get(steamId) as { credits: number } | undefined;
+    return row?.credits ?? 0;
+  }
+
+  /**
+   * Apply a credit delta and record it in the ledger.
+   *
+   * Returns null (and writes nothing) when a debit would take the balance
+   * below zero. Safe to call inside an outer transaction.
+   *
+   * @param {string} steamId
+   * @param {number} amount       - positive = earned, negative = spent
+   * @param {string} type         - ledger type ('bounty_reward', 'bounty_place', 'admin_grant', ...)
+   * @param {string} [description]
+   * @param {string|number|null} [relatedId] - bounty id, quest id, etc.
+   * @param {string} [actor]      - who initiated it, for the admin audit trail
+   */
+  adjustCredits(
+    steamId: string,
+    amount: number,
+    type: string,
+    description = '',
+    relatedId: string | number | null = null,
+    actor = '',
+  ): CreditAdjustment | null {
+    const delta = Math.trunc(amount);
+    return this._handle.transaction((): CreditAdjustment | null => {
+      this._stmts.ensureAccount.run(steamId);
+      const balance = this.getBalance(steamId);
+      if (balance + delta < 0) return null;
+      this._stmts.addCredits.run(delta, delta, steamId);
+      const balanceAfter = balance + delta;
+      const info = this._stmts.insertTransaction.run(
+        steamId,
+        type,
+        delta,
+        balanceAfter,
+        description,
+        relatedId == null ? null : String(relatedId),
+        actor,
+      );
+      return { transactionId: Number(info.lastInsertRowid), balanceAfter };
+    })();
+  }
+
+  /**
+   * Move credits between two players. Each side gets a 'transfer' ledger row
+   * pointing at the other. Returns null (and writes nothing) when the sender
+   * cannot cover the amount.
+   */
+  transfer(
+    fromSteamId: string,
+    toSteamId: string,
+    amount: number,
+    description = '',
+    actor = '',
+  ): CreditTransfer | null {
+    const value = Math.trunc(amount);
+    return this._handle.transaction((): CreditTransfer | null => {
+      const from = this.adjustCredits(fromSteamId, -value, 'transfer', description, toSteamId, actor);
+      if (!from) return null;
+      const to = this.adjustCredits(toSteamId, value, 'transfer', description, fromSteamId, actor);
+      if (!to) throw new Error('Transfer credit leg failed');
+      return { from, to };
+    })();
+  }
+
+  /** Most recent ledger entries for a player, newest first. */
+  getTransactions(steamId: string, limit = 25): DbRow[] {
+    return this._stmts.getTransactions.all(steamId, limit) as DbRow[];
+  }
+
+  /** Ledger across all players (or filtered), newest first, with player names. */
+  listTransactions(filter: TransactionFilter = {}): TransactionRow[] {
+    return this._stmts.listTransactions.all({
+      steamId: filter.steamId || null,
+      type: filter.type || null,
+      beforeId: filter.beforeId ?? null,
+      limit: filter.limit ?? 50,
+    }) as TransactionRow[];
+  }
+
+  /** Balance and lifetime earnings, or null when the player has no account. */
+  getWallet(steamId: string): WalletRow | null {
+    return (this._stmts.getWallet.get(steamId) as WalletRow | undefined) ?? null;
+  }
+
+  /** Richest players by current balance. */
+  getTopBalances(limit = 10): WalletRow[] {
+    return this._stmts.getTopBalances.all(limit) as WalletRow[];
+  }
+
+  getTotals(): EconomyTotals {
+    return this._stmts.getTotals.get() as EconomyTotals;
+  }
+
+  /** Bump the per-player quest counter, opening an account if needed. */
+  addQuestsCompleted(steamId: string, count: number): void {
+    this._stmts.ensureAccount.run(steamId);
+    this._stmts.addQuestsCompleted.run(count, steamId);
+  }
+}
@@ -0,0 +1,230 @@
+import type Database from 'better-sqlite3';
+import { BaseRepository } from './base-repository.js';
+
+export const EVENT_TYPES = [
+  'supply_drop',
+  'horde_night',
+  'territory_war',
+  'assassination',
+  'world_boss',
+  'custom',
+] as const;
+export type EventType = (typeof EVENT_TYPES)[number];
+
+export function isEventType(type: unknown): type is EventType {
+  return typeof type === 'string' && (EVENT_TYPES as readonly string[]).includes(type);
+}
+
+export type EventStatus = 'scheduled' | 'active' | 'completed' | 'cancelled';
+
+/** Row shape of hmz_events. */
+export interface EventRow {
+  id: number;
+  type: string;
+  name: string;
+  description: string;
+  status: EventStatus;
+  territory_id: string | null;
+  target_steam_id: string | null;
+  params: string;
+  rewards: string;
+  winner_faction: string | null;
+  scheduled_at: string | null;
+  started_at: string | null;
+  ended_at: string | null;
+  created_at: string;
+}
+
+/** Row shape of hmz_event_scores, joined with the best-known player name. */
+export interface EventScoreRow {
+  steam_id: string;
+  name: string;
+  faction_id: string;
+  score: number;
+  kills: number;
+  deaths: number;
+  captures: number;
+}
+
+export interface NewEvent {
+  type: string;
+  name: string;
+  description?: string;
+  territoryId?: string | null;
+  targetSteamId?: string | null;
+  params?: Record<string, unknown>;
+  rewards?: Record<string, unknown>;
+  /** DB timestamp (UTC) the event starts at. */
+  scheduledAt: string;
+}
+
+export interface EventScoreDelta {
+  score?: number;
+  kills?: number;
+  deaths?: number;
+  captures?: number;
+}
+
+export class EventRepository extends BaseRepository {
+  declare private _stmts: {
+    insertEvent: Database.Statement;
+    getEvent: Database.Statement;
+    getUpcoming: Database.Statement;
+    getActive: Database.Statement;
+    getActiveOfType: Database.Statement;
+    getRecent: Database.Statement;
+    getDue: Database.Statement;
+    markStarted: Database.Statement;
+    markCompleted: Database.Statement;
+    markCancelled: Database.Statement;
+    getScore: Database.Statement;
+    insertScore: Database.Statement;
+    updateScore: Database.Statement;
+    getScores: Database.Statement;
+  };
+
+  protected _prepareStatements(): void {
+    this._stmts = {
+      insertEvent: this._handle.prepare(`
+        INSERT INTO hmz_events (type, name, description, territory_id, target_steam_id, params, rewards, scheduled_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `),
+      getEvent: this._handle.prepare('SELECT * FROM hmz_events WHERE id = ?'),
+      getUpcoming: this._handle.prepare(
+        "SELECT * FROM hmz_events WHERE status = 'scheduled' ORDER BY scheduled_at ASC, id ASC LIMIT ?",
+      ),
+      getActive: this._handle.prepare("SELECT * FROM hmz_events WHERE status = 'active' ORDER BY started_at, id"),
+      getActiveOfType: this._handle.prepare(
+        "SELECT * FROM hmz_events WHERE type = ? AND status = 'active' ORDER BY started_at DESC, id DESC LIMIT 1",
+      ),
+      getRecent: this._handle.prepare(`
+        SELECT * FROM hmz_events WHERE status IN ('completed', 'cancelled')
+        ORDER BY ended_at DESC, id DESC LIMIT ?
+      `),
+      getDue: this._handle.prepare(
+        "SELECT * FROM hmz_events WHERE status = 'scheduled' AND scheduled_at IS NOT NULL AND scheduled_at <= ? ORDER BY scheduled_at, id",
+      ),
+      markStarted: this._handle.prepare(
+        "UPDATE hmz_events SET status = 'active', started_at = ? WHERE id = ? AND status = 'scheduled'",
+      ),
+      markCompleted: this._handle.prepare(`
+        UPDATE hmz_events SET status = 'completed', ended_at = ?, rewards = ?, winner_faction = ?
+        WHERE id = ? AND status = 'active'
+      `),
+      markCancelled: this._handle.prepare(`
+        UPDATE hmz_events SET status = 'cancelled', ended_at = datetime('now')
+        WHERE id = ? AND status IN ('scheduled', 'active')
+      `),
+      getScore: this._handle.prepare('SELECT id FROM hmz_event_scores WHERE event_id = ? AND steam_id = ?'),
+      insertScore: this._handle.prepare(`
+        INSERT INTO hmz_event_scores (event_id, steam_id, faction_id, score, kills, deaths, captures)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `),
+      updateScore: this._handle.prepare(`
+        UPDATE hmz_event_scores
+        SET score = score + ?, kills = kills + ?, deaths = deaths + ?, captures = captures + ?, faction_id = ?
+        WHERE id = ?
+      `),
+      getScores: this._handle.prepare(`
+        SELECT s.steam_id, COALESCE(p.name, s.steam_id) AS name, s.faction_id,
+               s.score, s.kills, s.deaths, s.captures
+        FROM hmz_event_scores s
+        LEFT JOIN players p ON p.steam_id = s.steam_id
+        WHERE s.event_id = ?
+        ORDER BY s.score DESC, s.kills DESC, s.id ASC
+        LIMIT ?
+      `),
+    };
+  }
+
+  // ── Events ────────────────────────────────────────────────
+
+  /** Insert a scheduled event. Returns its id. */
+  createEvent(event: NewEvent): number {
+    const info = this._stmts.insertEvent.run(
+      event.type,
+      event.name,
+      event.description ?? '',
+      event.territoryId ?? null,
+      event.targetSteamId ?? null,
+      JSON.stringify(event.params ?? {}),
+      JSON.stringify(event.rewards ?? {}),
+      event.scheduledAt,
+    );
+    return Number(info.lastInsertRowid);
+  }
+
+  getEvent(id: number): EventRow | null {
+    return (this._stmts.getEvent.get(id) as EventRow | undefined) ?? null;
+  }
+
+  /** Scheduled events, soonest first. */
+  getUpcoming(limit = 25): EventRow[] {
+    return this._stmts.getUpcoming.all(limit) as EventRow[];
+  }
+
+  getActiveEvents(): EventRow[] {
+    return this._stmts.getActive.all() as EventRow[];
+  }
+
+  /** The currently active event of a type (e.g. 'territory_war'), or null. */
+  getActiveEvent(type: string): EventRow | null {
+    return (this._stmts.getActiveOfType.get(type) as EventRow | undefined) ?? null;
+  }
+
+  /** Completed and cancelled events, most recent first. */
+  getRecent(limit = 20): EventRow[] {
+    return this._stmts.getRecent.all(limit) as EventRow[];
+  }
+
+  /** Scheduled events whose start time is at or before `now` (DB timestamp). */
+  getDue(now: string): EventRow[] {
+    return this._stmts.getDue.all(now) as EventRow[];
+  }
+
+  /** scheduled → active at `startedAt` (DB timestamp). Returns false if the event was not scheduled. */
+  markStarted(id: number, startedAt: string): boolean {
+    return this._stmts.markStarted.run(startedAt, id).changes > 0;
+  }
+
+  /** active → completed, recording the distributed rewards and winning faction. */
+  markCompleted(
+    id: number,
+    endedAt: string,
+    rewards: Record<string, unknown>,
+    winnerFaction: string | null = null,
+  ): boolean {
+    return this._stmts.markCompleted.run(endedAt, JSON.stringify(rewards), winnerFaction, id).changes > 0;
+  }
+
+  /** Cancel a scheduled or running event. */
+  markCancelled(id: number): boolean {
+    return this._stmts.markCancelled.run(id).changes > 0;
+  }
+
+  // ── Scores ────────────────────────────────────────────────
+
+  /**
+   * Add to a player's contribution row for an event, creating it on first
+   * score. faction_id is NOT NULL — unaffiliated players score under ''.
+   */
+  addScore(eventId: number, steamId: string, factionId: string, delta: EventScoreDelta): void {
+    const score = Math.trunc(delta.score ?? 0);
+    const kills = Math.trunc(delta.kills ?? 0);
+    const deaths = Math.trunc(delta.deaths ?? 0);
+    const captures = Math.trunc(delta.captures ?? 0);
+    this._handle.transaction(() => {
+      const existing = this._stmts.getScore.get(eventId, steamId) as { id: number } | undefined;
+      if (existing) {
+        this._stmts.updateScore.run(score, kills, deaths, captures, factionId, existing.id);
+      } else {
+        this._stmts.insertScore.run(eventId, steamId, factionId, score, kills, deaths, captures);
+      }
+    })();
+  }
+
+  /** Contribution rows for an event, highest score first. */
+  getScores(eventId: number, limit = 50): EventScoreRow[] {
+    return this._stmts.getScores.all(eventId, limit) as EventScoreRow[];
+  }
+}
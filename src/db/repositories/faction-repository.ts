@@ -0,0 +1,298 @@
+import type Database from 'better-sqlite3';
+import { BaseRepository } from './base-repository.js';
+
+/**
+ * Faction ids with a dedicated control_score_* column on hmz_territories.
+ * Factions are admin-editable (name, colour, icon) but the ids are fixed.
+ */
+export const FACTION_IDS = ['reapers', 'wardens', 'drifters'] as const;
+export type FactionId = (typeof FACTION_IDS)[number];
+
+export function isFactionId(id: unknown): id is FactionId {
+  return typeof id === 'string' && (FACTION_IDS as readonly string[]).includes(id);
+}
+
+/** Row shape of hmz_factions. */
+export interface FactionRow {
+  id: string;
+  name: string;
+  theme: string;
+  color: string;
+  icon: string;
+  strength_desc: string;
+  weakness_desc: string;
+  member_count: number;
+  total_kills: number;
+  total_deaths: number;
+  total_playtime: number;
+  territories_held: number;
+  created_at: string;
+}
+
+/** Faction member — hmz_players joined with the best-known player name. */
+export interface FactionMemberRow {
+  steam_id: string;
+  name: string;
+  faction_id: string;
+  faction_rank: number;
+  territories_captured: number;
+  pvp_kills_faction: number;
+  deaths_faction: number;
+  joined_at: string;
+}
+
+/** Row shape of hmz_territories. */
+export interface TerritoryRow {
+  id: string;
+  name: string;
+  description: string;
+  center_x: number;
+  center_y: number;
+  radius: number;
+  polygon: string | null;
+  controlling_faction: string | null;
+  control_score_reapers: number;
+  control_score_wardens: number;
+  control_score_drifters: number;
+  last_contested: string | null;
+  bonus_type: string;
+  bonus_value: number;
+  tier: number;
+  active: number;
+}
+
+export interface TerritoryInput {
+  id: string;
+  name: string;
+  description?: string;
+  centerX: number;
+  centerY: number;
+  radius?: number;
+  /** [[x, y], ...] in UE4 world coords; null/empty falls back to the radius. */
+  polygon?: Array<[number, number]> | null;
+  tier?: number;
+  active?: boolean;
+}
+
+export interface FactionSeed {
+  id: FactionId;
+  name: string;
+  theme?: string;
+  color?: string;
+  icon?: string;
+}
+
+export class FactionRepository extends BaseRepository {
+  declare private _stmts: {
+    getFactions: Database.Statement;
+    getFaction: Database.Statement;
+    seedFaction: Database.Statement;
+    getMembership: Database.Statement;
+    getMembers: Database.Statement;
+    setMembership: Database.Statement;
+    clearMembership: Database.Statement;
+    refreshMemberCounts: Database.Statement;
+    addFactionTotals: Database.Statement;
+    addPlayerPvp: Database.Statement;
+    addPlayerCaptures: Database.Statement;
+    getTerritories: Database.Statement;
+    getActiveTerritories: Database.Statement;
+    getTerritory: Database.Statement;
+    upsertTerritory: Database.Statement;
+    deleteTerritory: Database.Statement;
+    setTerritoryScores: Database.Statement;
+    setController: Database.Statement;
+    refreshTerritoriesHeld: Database.Statement;
+  };
+
+  protected _prepareStatements(): void {
+    this._stmts = {
+      getFactions: this._handle.prepare('SELECT * FROM hmz_factions ORDER BY id'),
+      getFaction: this._handle.prepare('SELECT * FROM hmz_factions WHERE id = ?'),
+      seedFaction: this._handle.prepare(`
+        INSERT OR IGNORE INTO hmz_factions (id, name, theme, color, icon) VALUES (?, ?, ?, ?, ?)
+      `),
+      getMembership: this._handle.prepare("SELECT * FROM hmz_players WHERE steam_id = ? AND faction_id != ''"),
+      getMembers: this._handle.prepare(`
+        SELECT hp.steam_id, COALESCE(p.name, '') AS name, hp.faction_id, hp.faction_rank,
+               hp.territories_captured, hp.pvp_kills_faction, hp.deaths_faction, hp.joined_at
+        FROM hmz_players hp
+        LEFT JOIN players p ON p.steam_id = hp.steam_id
+        WHERE hp.faction_id = ?
+        ORDER BY hp.faction_rank DESC, hp.joined_at ASC
+      `),
+      // faction_id is NOT NULL — unaffiliated players hold an empty id
+      setMembership: this._handle.prepare(`
+        INSERT INTO hmz_players (steam_id, faction_id, joined_at, last_active)
+        VALUES (?, ?, datetime('now'), datetime('now'))
+        ON CONFLICT(steam_id) DO UPDATE SET
+          faction_id = excluded.faction_id,
+          joined_at = excluded.joined_at,
+          last_active = excluded.last_active
+      `),
+      clearMembership: this._handle.prepare("UPDATE hmz_players SET faction_id = '' WHERE steam_id = ?"),
+      refreshMemberCounts: this._handle.prepare(`
+        UPDATE hmz_factions
+        SET member_count = (SELECT COUNT(*) FROM hmz_players WHERE faction_id = hmz_factions.id)
+      `),
+      addFactionTotals: this._handle.prepare(`
+        UPDATE hmz_factions SET total_kills = total_kills + ?, total_deaths = total_deaths + ? WHERE id = ?
+      `),
+      addPlayerPvp: this._handle.prepare(`
+        UPDATE hmz_players
+        SET pvp_kills_faction = pvp_kills_faction + ?, deaths_faction = deaths_faction + ?, last_active = datetime('now')
+        WHERE steam_id = ?
+      `),
+      addPlayerCaptures: this._handle.prepare(
+        'UPDATE hmz_players SET territories_captured = territories_captured + 1 WHERE steam_id = ?',
+      ),
+      getTerritories: this._handle.prepare('SELECT * FROM hmz_territories ORDER BY tier DESC, name'),
+      getActiveTerritories: this._handle.prepare('SELECT * FROM hmz_territories WHERE active = 1'),
+      getTerritory: this._handle.prepare('SELECT * FROM hmz_territories WHERE id = ?'),
+      upsertTerritory: this._handle.prepare(`
+        INSERT INTO hmz_territories (id, name, description, center_x, center_y, radius, polygon, tier, active)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(id) DO UPDATE SET
+          name = excluded.name,
+          description = excluded.description,
+          center_x = excluded.center_x,
+          center_y = excluded.center_y,
+          radius = excluded.radius,
+          polygon = excluded.polygon,
+          tier = excluded.tier,
+          active = excluded.active
+      `),
+      deleteTerritory: this._handle.prepare('DELETE FROM hmz_territories WHERE id = ?'),
+      setTerritoryScores: this._handle.prepare(`
+        UPDATE hmz_territories
+        SET control_score_reapers = ?, control_score_wardens = ?, control_score_drifters = ?
+        WHERE id = ?
+      `),
+      setController: this._handle.prepare(`
+        UPDATE hmz_territories SET controlling_faction = ?, last_contested = datetime('now') WHERE id = ?
+      `),
+      refreshTerritoriesHeld: this._handle.prepare(`
+        UPDATE hmz_factions
+        SET territories_held = (
+          SELECT COUNT(*) FROM hmz_territories WHERE controlling_faction = hmz_factions.id AND active = 1
+        )
+      `),
+    };
+  }
+
+  // ── Factions ──────────────────────────────────────────────
+
+  getFactions(): FactionRow[] {
+    return this._stmts.getFactions.all() as FactionRow[];
+  }
+
+  getFaction(id: string): FactionRow | null {
+    return (this._stmts.getFaction.get(id) as FactionRow | undefined) ?? null;
+  }
+
+  /** Insert factions that don't exist yet. Existing rows (admin edits) are left alone. */
+  seedFactions(factions: FactionSeed[]): void {
+    this._handle.transaction(() => {
+      for (const f of factions) {
+        this._stmts.seedFaction.run(f.id, f.name, f.theme ?? '', f.color ?? '#ffffff', f.icon ?? '');
+      }
+    })();
+  }
+
+  /** Add kill/death counts to a faction's aggregate totals. */
+  addFactionTotals(factionId: string, kills: number, deaths: number): void {
+    this._stmts.addFactionTotals.run(Math.trunc(kills), Math.trunc(deaths), factionId);
+  }
+
+  // ── Membership ────────────────────────────────────────────
+
+  /** The player's faction id, or null when unaffiliated. */
+  getPlayerFaction(steamId: string): string | null {
+    const row = this._stmts.getMembership.get(steamId) as { faction_id: string } | undefined;
+    return row?.faction_id ?? null;
+  }
+
+  getMembers(factionId: string): FactionMemberRow[] {
+    return this._stmts.getMembers.all(factionId) as FactionMemberRow[];
+  }
+
+  /** Put a player in a faction (creating their hmz_players row if needed). */
+  setMembership(steamId: string, factionId: string): void {
+    this._handle.transaction(() => {
+      this._stmts.setMembership.run(steamId, factionId);
+      this._stmts.refreshMemberCounts.run();
+    })();
+  }
+
+  /** Remove a player from their faction. Returns false if they weren't in one. */
+  clearMembership(steamId: string): boolean {
+    return this._handle.transaction((): boolean => {
+      const changed = this._stmts.clearMembership.run(steamId).changes > 0;
+      this._stmts.refreshMemberCounts.run();
+      return changed;
+    })();
+  }
+
+  /** Record a cross-faction PvP kill on both players' rows. */
+  recordFactionPvp(killerSteamId: string, victimSteamId: string): void {
+    this._handle.transaction(() => {
+      this._stmts.addPlayerPvp.run(1, 0, killerSteamId);
+      this._stmts.addPlayerPvp.run(0, 1, victimSteamId);
+    })();
+  }
+
+  addPlayerCapture(steamId: string): void {
+    this._stmts.addPlayerCaptures.run(steamId);
+  }
+
+  // ── Territories ───────────────────────────────────────────
+
+  getTerritories(): TerritoryRow[] {
+    return this._stmts.getTerritories.all() as TerritoryRow[];
+  }
+
+  getActiveTerritories(): TerritoryRow[] {
+    return this._stmts.getActiveTerritories.all() as TerritoryRow[];
+  }
+
+  getTerritory(id: string): TerritoryRow | null {
+    return (this._stmts.getTerritory.get(id) as TerritoryRow | undefined) ?? null;
+  }
+
+  /** Create or update a territory. Control state is preserved on update. */
+  upsertTerritory(t: TerritoryInput): void {
+    const polygon = t.polygon && t.polygon.length >= 3 ? JSON.stringify(t.polygon) : null;
+    this._stmts.upsertTerritory.run(
+      t.id,
+      t.name,
+      t.description ?? '',
+      t.centerX,
+      t.centerY,
+      t.radius ?? 15000,
+      polygon,
+      t.tier ?? 1,
+      t.active === false ? 0 : 1,
+    );
+  }
+
+  deleteTerritory(id: string): boolean {
+    return this._handle.transaction((): boolean => {
+      const changed = this._stmts.deleteTerritory.run(id).changes > 0;
+      this._stmts.refreshTerritoriesHeld.run();
+      return changed;
+    })();
+  }
+
+  /** Overwrite the per-faction control scores of a territory. */
+  setTerritoryScores(id: string, scores: Record<FactionId, number>): void {
+    this._stmts.setTerritoryScores.run(scores.reapers, scores.wardens, scores.drifters, id);
+  }
+
+  /** Change (or clear) the controlling faction and refresh territories_held. */
+  setController(id: string, factionId: string | null): void {
+    this._handle.transaction(() => {
+      this._stmts.setController.run(factionId, id);
+      this._stmts.refreshTerritoriesHeld.run();
+    })();
+  }
+}
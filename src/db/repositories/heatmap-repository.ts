@@ -0,0 +1,127 @@
+import type Database from 'better-sqlite3';
+import { BaseRepository } from './base-repository.js';
+
+/** World-space grid a heatmap is binned into. Cell (gx, gy) covers `[xMin + gx·cellX, xMin + (gx+1)·cellX)`. */
+export interface HeatmapGrid {
+  xMin: number;
+  yMin: number;
+  cellX: number;
+  cellY: number;
+}
+
+/** One aggregated grid cell. */
+export interface HeatmapCellRow {
+  gx: number;
+  gy: number;
+  weight: number;
+}
+
+/** An event that may need its position resolved from the timeline. */
+export interface HeatmapEventRow {
+  steam_id: string;
+  kind: string;
+  pos_x: number | null;
+  pos_y: number | null;
+  created_at: string;
+}
+
+/**
+ * Read-only aggregation over timeline_players, timeline_ai, death_causes and
+ * activity_log for the map heatmap layers.  Dense sources are binned in SQL;
+ * event sources return raw rows so positions can be resolved per event.
+ */
+export class HeatmapRepository extends BaseRepository {
+  declare private _stmts: {
+    countSnapshots: Database.Statement;
+    presenceCells: Database.Statement;
+    aiCells: Database.Statement;
+    deaths: Database.Statement;
+    activity: Database.Statement;
+    playerPositionNear: Database.Statement;
+  };
+
+  protected _prepareStatements(): void {
+    // Positions at exactly (0, 0) are unset actors in the save, not real locations
+    const cell = (alias: string) => `
+        CAST((${alias}.pos_x - @xMin) / @cellX AS INTEGER) AS gx,
+        CAST((${alias}.pos_y - @yMin) / @cellY AS INTEGER) AS gy`;
+    const hasPos = (alias: string) =>
+      `${alias}.pos_x IS NOT NULL AND ${alias}.pos_y IS NOT NULL AND NOT (${alias}.pos_x = 0 AND ${alias}.pos_y = 0)`;
+    const inGrid = (alias: string) => `${hasPos(alias)} AND ${alias}.pos_x >= @xMin AND ${alias}.pos_y >= @yMin`;
+
+    this._stmts = {
+      countSnapshots: this._handle.prepare(
+        'SELECT COUNT(*) AS n FROM timeline_snapshots WHERE created_at BETWEEN ? AND ?',
+      ),
+      presenceCells: this._handle.prepare(`
+        SELECT ${cell('tp')}, COUNT(*) AS weight
+        FROM timeline_snapshots ts
+        JOIN timeline_players tp ON tp.snapshot_id = ts.id
+        WHERE ts.created_at BETWEEN @from AND @to AND tp.online = 1 AND ${inGrid('tp')}
+        GROUP BY gx, gy
+      `),
+      aiCells: this._handle.prepare(`
+        SELECT ${cell('ta')}, COUNT(*) AS weight
+        FROM timeline_snapshots ts
+        JOIN timeline_ai ta ON ta.snapshot_id = ts.id
+        WHERE ts.created_at BETWEEN @from AND @to AND ta.category = @category AND ${inGrid('ta')}
+        GROUP BY gx, gy
+      `),
+      deaths: this._handle.prepare(`
+        SELECT victim_steam_id AS steam_id, cause_type AS kind, pos_x, pos_y, created_at
+        FROM death_causes
+        WHERE created_at BETWEEN @from AND @to AND (@cause IS NULL OR cause_type = @cause)
+        ORDER BY created_at DESC LIMIT @limit
+      `),
+      activity: this._handle.prepare(`
+        SELECT steam_id, type AS kind, pos_x, pos_y, created_at
+        FROM activity_log
+        WHERE created_at BETWEEN @from AND @to AND type IN (SELECT value FROM json_each(@types))
+        ORDER BY created_at DESC LIMIT @limit
+      `),
+      playerPositionNear: this._handle.prepare(`
+        SELECT tp.pos_x, tp.pos_y
+        FROM timeline_snapshots ts
+        JOIN timeline_players tp ON tp.snapshot_id = ts.id AND tp.steam_id = @steamId
+        WHERE ts.created_at BETWEEN datetime(@at, @before) AND datetime(@at, @after) AND ${hasPos('tp')}
+        ORDER BY ABS(julianday(ts.created_at) - julianday(@at)) LIMIT 1
+      `),
+    };
+  }
+
+  /** Number of timeline snapshots between `from` and `to` (DB timestamps, inclusive). */
+  countSnapshots(from: string, to: string): number {
+    return (this._stmts.countSnapshots.get(from, to) as { n: number }).n;
+  }
+
+  /** Online player samples per cell. */
+  getPresenceCells(from: string, to: string, grid: HeatmapGrid): HeatmapCellRow[] {
+    return this._stmts.presenceCells.all({ from, to, ...grid }) as HeatmapCellRow[];
+  }
+
+  /** AI samples of one category ('zombie', 'animal', 'bandit') per cell, summed over all snapshots. */
+  getAiCells(from: string, to: string, category: string, grid: HeatmapGrid): HeatmapCellRow[] {
+    return this._stmts.aiCells.all({ from, to, category, ...grid }) as HeatmapCellRow[];
+  }
+
+  /** Deaths in the window, newest first — `kind` is the classified cause type. */
+  getDeaths(from: string, to: string, causeType: string | null, limit: number): HeatmapEventRow[] {
+    return this._stmts.deaths.all({ from, to, cause: causeType, limit }) as HeatmapEventRow[];
+  }
+
+  /** Activity rows of the given types in the window, newest first — `kind` is the activity type. */
+  getActivity(from: string, to: string, types: readonly string[], limit: number): HeatmapEventRow[] {
+    return this._stmts.activity.all({ from, to, types: JSON.stringify(types), limit }) as HeatmapEventRow[];
+  }
+
+  /** A player's recorded position closest to `at`, within ±`toleranceMinutes`. */
+  findPlayerPosition(steamId: string, at: string, toleranceMinutes: number): { pos_x: number; pos_y: number } | null {
+    const row = this._stmts.playerPositionNear.get({
+      steamId,
+      at,
+      before: `-${String(toleranceMinutes)} minutes`,
+      after: `+${String(toleranceMinutes)} minutes`,
+    }) as { pos_x: number; pos_y: number } | undefined;
+    return row ?? null;
+  }
+}
@@ -1,19 +1,33 @@
 /** Re-export all repository classes for convenient imports. */
 
 export { BaseRepository } from './base-repository.js';
+export { AccountLinkRepository } from './account-link-repository.js';
 export { ActivityLogRepository } from './activity-log-repository.js';
 export { AntiCheatRepository } from './anti-cheat-repository.js';
+export { BanRepository } from './ban-repository.js';
 export { BotStateRepository } from './bot-state-repository.js';
+export { BountyRepository } from './bounty-repository.js';
 export { ChatLogRepository } from './chat-log-repository.js';
 export { ClanRepository } from './clan-repository.js';
 export { DeathCauseRepository } from './death-cause-repository.js';
+export { EconomyRepository } from './economy-repository.js';
+export { EventRepository } from './event-repository.js';
+export { FactionRepository } from './faction-repository.js';
 export { GameDataRepository } from './game-data-repository.js';
+export { HeatmapRepository } from './heatmap-repository.js';
 export { ItemRepository } from './item-repository.js';
 export { LeaderboardRepository } from './leaderboard-repository.js';
 export { MetaRepository } from './meta-repository.js';
 export { PlayerRepository } from './player-repository.js';
+export { PvpRepository } from './pvp-repository.js';
 export { QuestRepository } from './quest-repository.js';
+export { RaidRepository } from './raid-repository.js';
+export { RetentionRepository } from './retention-repository.js';
+export { AuditRepository } from './audit-repository.js';
+export { SeasonRepository } from './season-repository.js';
 export { TimelineRepository } from './timeline-repository.js';
+export { WebhookRepository } from './webhook-repository.js';
+export { WhitelistRepository } from './whitelist-repository.js';
 export { WorldObjectRepository } from './world-object-repository.js';
 export { WorldStateRepository } from './world-state-repository.js';
 export { type DbRow, _json } from './db-utils.js';
@@ -5,7 +5,8 @@ import { type DbRow, _json } from './db-utils.js';
 interface ItemTrackerPurgeOptions {
   lostItemsAge?: string;
   lostGroupsAge?: string;
-  movementsAge?: string;
+  /** null keeps every movement (DataRetention expires them). */
+  movementsAge?: string | null;
 }
 
 interface ItemTrackerPurgeResult {
@@ -103,6 +104,10 @@ export class ItemRepository extends BaseRepository {
     getItemMovementsByPlayer: Database.Statement;
     getItemMovementsByLocation: Database.Statement;
     purgeOldMovements: Database.Statement;
+    // Point-in-time player holdings (inventory rollback)
+    getPlayerInstancesAt: Database.Statement;
+    getPlayerGroupsAt: Database.Statement;
+    getPlayerGroupTransfersSince: Database.Statement;
   };
 
   protected _prepareStatements(): void {
@@ -346,6 +351,31 @@ export class ItemRepository extends BaseRepository {
         'SELECT * FROM item_movements WHERE (from_type = ? AND from_id = ?) OR (to_type = ? AND to_id = ?) ORDER BY created_at DESC LIMIT ?',
       ),
       purgeOldMovements: this._handle.prepare("DELETE FROM item_movements WHERE created_at < datetime('now', ?)"),
+
+      // Point-in-time player holdings (inventory rollback)
+      getPlayerInstancesAt: this._handle.prepare(`
+      SELECT * FROM item_instances i
+      WHERE i.group_id IS NULL AND i.first_seen <= ? AND (i.lost = 0 OR i.lost_at > ?)
+        AND (
+          (i.location_type = 'player' AND i.location_id = ?)
+          OR EXISTS (
+            SELECT 1 FROM item_movements m
+            WHERE m.instance_id = i.id
+              AND ((m.from_type = 'player' AND m.from_id = ?) OR (m.to_type = 'player' AND m.to_id = ?))
+          )
+        )
+    `),
+      getPlayerGroupsAt: this._handle.prepare(`
+      SELECT * FROM item_groups
+      WHERE location_type = 'player' AND location_id = ? AND first_seen <= ? AND (lost = 0 OR lost_at > ?)
+    `),
+      getPlayerGroupTransfersSince: this._handle.prepare(`
+      SELECT m.group_id, m.from_type, m.from_id, m.from_slot, m.to_type, m.to_id, m.to_slot, m.amount, m.created_at, g.fingerprint
+      FROM item_movements m
+      JOIN item_groups g ON g.id = m.group_id
+      WHERE m.move_type = 'group_transfer' AND m.created_at > ?
+        AND ((m.from_type = 'player' AND m.from_id = ?) OR (m.to_type = 'player' AND m.to_id = ?))
+    `),
     };
   }
 
@@ -723,6 +753,29 @@ export class ItemRepository extends BaseRepository {
     return this._stmts.purgeOldMovements.run(age);
   }
 
+  // ═══════════════════════════════════════════════════════════════════════════
+  //  Point-in-time player holdings (inventory rollback)
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Unique item instances that existed at `at` and were held by the player
+   * at some point (now, or in any recorded movement).  Where each one was
+   * at `at` is resolved from its movements.
+   */
+  getPlayerInstancesAt(steamId: string, at: string): DbRow[] {
+    return this._stmts.getPlayerInstancesAt.all(at, at, steamId, steamId, steamId) as DbRow[];
+  }
+
+  /** Fungible groups in the player's slots that existed at `at` (quantity is the latest known). */
+  getPlayerGroupsAt(steamId: string, at: string): DbRow[] {
+    return this._stmts.getPlayerGroupsAt.all(steamId, at, at) as DbRow[];
+  }
+
+  /** Group transfers into or out of the player's slots after `since`, with the group's fingerprint. */
+  getPlayerGroupTransfersSince(steamId: string, since: string): DbRow[] {
+    return this._stmts.getPlayerGroupTransfersSince.all(since, steamId, steamId) as DbRow[];
+  }
+
   /**
    * Purge item-tracker history in FK-safe order.
    *
@@ -733,7 +786,8 @@ export class ItemRepository extends BaseRepository {
    */
   purgeOldItemTrackerData(options: ItemTrackerPurgeOptions = {}): ItemTrackerPurgeResult {
     const tx = this._handle.transaction(() => {
-      const movements = this.purgeOldMovements(options.movementsAge ?? '-30 days');
+      const movements =
+        options.movementsAge === null ? { changes: 0 } : this.purgeOldMovements(options.movementsAge ?? '-30 days');
       const items = this.purgeOldLostItems(options.lostItemsAge ?? '-7 days');
       const groups = this.purgeOldLostGroups(options.lostGroupsAge ?? '-7 days');
       return {
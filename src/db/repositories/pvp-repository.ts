@@ -0,0 +1,350 @@
+import type Database from 'better-sqlite3';
+import { BaseRepository } from './base-repository.js';
+
+export type PvpFightOutcome = 'kill' | 'disengaged';
+export type PvpParticipantRole = 'killer' | 'assist' | 'attacker';
+
+/** Row shape of pvp_fights. */
+export interface PvpFightRow {
+  id: number;
+  victim_name: string;
+  victim_steam_id: string;
+  killer_name: string;
+  killer_steam_id: string;
+  outcome: PvpFightOutcome;
+  started_at: string;
+  ended_at: string;
+  duration_sec: number;
+  total_damage: number;
+  hits: number;
+  weapon: string;
+  pos_x: number | null;
+  pos_y: number | null;
+  created_at: string;
+}
+
+/** Row shape of pvp_fight_participants. */
+export interface PvpParticipantRow {
+  fight_id: number;
+  attacker_name: string;
+  attacker_steam_id: string;
+  role: PvpParticipantRole;
+  damage: number;
+  hits: number;
+  weapon: string;
+  first_hit_at: string;
+  last_hit_at: string;
+}
+
+export interface NewPvpParticipant {
+  attackerName: string;
+  attackerSteamId?: string;
+  role: PvpParticipantRole;
+  damage: number;
+  hits: number;
+  weapon?: string;
+  /** DB timestamps (UTC). */
+  firstHitAt: string;
+  lastHitAt: string;
+}
+
+export interface NewPvpFight {
+  victimName: string;
+  victimSteamId?: string;
+  killerName?: string;
+  killerSteamId?: string;
+  outcome: PvpFightOutcome;
+  /** DB timestamps (UTC). */
+  startedAt: string;
+  endedAt: string;
+  durationSec: number;
+  totalDamage: number;
+  hits: number;
+  weapon?: string;
+  posX?: number | null;
+  posY?: number | null;
+  participants: NewPvpParticipant[];
+}
+
+/**
+ * A player filter. Rows match on SteamID when one is known, or on the name
+ * (case-insensitive) — fights logged before the player's ID was resolved
+ * only carry the name.
+ */
+export interface PvpPlayerKey {
+  steamId: string;
+  name: string;
+}
+
+export interface PvpTotalsRow {
+  kills: number;
+  deaths: number;
+  assists: number;
+  fights: number;
+  damage_dealt: number;
+  damage_taken: number;
+  avg_duration_sec: number;
+  longest_fight_sec: number;
+}
+
+/** One opponent of a player, from that player's side. */
+export interface PvpOpponentRow {
+  opponent_name: string;
+  opponent_steam_id: string;
+  kills: number;
+  deaths: number;
+}
+
+/** One head-to-head pair across the server. `a_kills` = times A killed B. */
+export interface PvpRivalryRow {
+  player_a: string;
+  player_b: string;
+  a_kills: number;
+  b_kills: number;
+  total: number;
+}
+
+export interface PvpDailyRow {
+  day: string;
+  kills: number;
+  deaths: number;
+}
+
+export interface PvpWeaponRow {
+  weapon: string;
+  kills: number;
+}
+
+const matches = (sid: string, name: string) =>
+  `((@steamId != '' AND ${sid} = @steamId) OR ${name} = @name COLLATE NOCASE)`;
+
+/** Fights the player took part in, as victim or attacker. */
+const INVOLVED = `(
+  ${matches('f.victim_steam_id', 'f.victim_name')}
+  OR EXISTS (SELECT 1 FROM pvp_fight_participants p
+             WHERE p.fight_id = f.id AND ${matches('p.attacker_steam_id', 'p.attacker_name')})
+)`;
+
+export class PvpRepository extends BaseRepository {
+  declare private _stmts: {
+    insertFight: Database.Statement;
+    insertParticipant: Database.Statement;
+    getFight: Database.Statement;
+    getFights: Database.Statement;
+    getPlayerFights: Database.Statement;
+    countFights: Database.Statement;
+    countPlayerFights: Database.Statement;
+    getParticipants: Database.Statement;
+    getTotals: Database.Statement;
+    getOpponents: Database.Statement;
+    getRivalries: Database.Statement;
+    getDaily: Database.Statement;
+    getWeapons: Database.Statement;
+  };
+
+  protected _prepareStatements(): void {
+    this._stmts = {
+      insertFight: this._handle.prepare(`
+        INSERT INTO pvp_fights (victim_name, victim_steam_id, killer_name, killer_steam_id, outcome, started_at, ended_at,
+                                duration_sec, total_damage, hits, weapon, pos_x, pos_y)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `),
+      insertParticipant: this._handle.prepare(`
+        INSERT INTO pvp_fight_participants (fight_id, attacker_name, attacker_steam_id, role, damage, hits, weapon,
+                                            first_hit_at, last_hit_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `),
+      getFight: this._handle.prepare('SELECT * FROM pvp_fights WHERE id = ?'),
+      getFights: this._handle.prepare(`
+        SELECT * FROM pvp_fights f
+        WHERE f.ended_at >= @from AND (@outcome IS NULL OR f.outcome = @outcome)
+        ORDER BY f.ended_at DESC, f.id DESC LIMIT @limit OFFSET @offset
+      `),
+      getPlayerFights: this._handle.prepare(`
+        SELECT * FROM pvp_fights f
+        WHERE f.ended_at >= @from AND (@outcome IS NULL OR f.outcome = @outcome) AND ${INVOLVED}
+        ORDER BY f.ended_at DESC, f.id DESC LIMIT @limit OFFSET @offset
+      `),
+      countFights: this._handle.prepare(`
+        SELECT COUNT(*) AS n FROM pvp_fights f
+        WHERE f.ended_at >= @from AND (@outcome IS NULL OR f.outcome = @outcome)
+      `),
+      countPlayerFights: this._handle.prepare(`
+        SELECT COUNT(*) AS n FROM pvp_fights f
+        WHERE f.ended_at >= @from AND (@outcome IS NULL OR f.outcome = @outcome) AND ${INVOLVED}
+      `),
+      getParticipants: this._handle.prepare(`
+        SELECT * FROM pvp_fight_participants
+        WHERE fight_id IN (SELECT value FROM json_each(?))
+        ORDER BY fight_id, damage DESC
+      `),
+      getTotals: this._handle.prepare(`
+        SELECT
+          (SELECT COUNT(*) FROM pvp_fights f
+            WHERE f.ended_at >= @from AND f.outcome = 'kill'
+              AND ${matches('f.killer_steam_id', 'f.killer_name')}) AS kills,
+          (SELECT COUNT(*) FROM pvp_fights f
+            WHERE f.ended_at >= @from AND f.outcome = 'kill'
+              AND ${matches('f.victim_steam_id', 'f.victim_name')}) AS deaths,
+          (SELECT COUNT(*) FROM pvp_fight_participants p JOIN pvp_fights f ON f.id = p.fight_id
+            WHERE f.ended_at >= @from AND p.role = 'assist'
+              AND ${matches('p.attacker_steam_id', 'p.attacker_name')}) AS assists,
+          (SELECT COALESCE(SUM(p.damage), 0) FROM pvp_fight_participants p JOIN pvp_fights f ON f.id = p.fight_id
+            WHERE f.ended_at >= @from AND ${matches('p.attacker_steam_id', 'p.attacker_name')}) AS damage_dealt,
+          (SELECT COALESCE(SUM(f.total_damage), 0) FROM pvp_fights f
+            WHERE f.ended_at >= @from AND ${matches('f.victim_steam_id', 'f.victim_name')}) AS damage_taken,
+          COUNT(*) AS fights,
+          COALESCE(AVG(f.duration_sec), 0) AS avg_duration_sec,
+          COALESCE(MAX(f.duration_sec), 0) AS longest_fight_sec
+        FROM pvp_fights f
+        WHERE f.ended_at >= @from AND ${INVOLVED}
+      `),
+      getOpponents: this._handle.prepare(`
+        SELECT opponent_name, MAX(opponent_steam_id) AS opponent_steam_id, SUM(kills) AS kills, SUM(deaths) AS deaths
+        FROM (
+          SELECT f.victim_name AS opponent_name, f.victim_steam_id AS opponent_steam_id, 1 AS kills, 0 AS deaths
+          FROM pvp_fights f
+          WHERE f.ended_at >= @from AND f.outcome = 'kill' AND ${matches('f.killer_steam_id', 'f.killer_name')}
+          UNION ALL
+          SELECT f.killer_name, f.killer_steam_id, 0, 1
+          FROM pvp_fights f
+          WHERE f.ended_at >= @from AND f.outcome = 'kill' AND ${matches('f.victim_steam_id', 'f.victim_name')}
+        )
+        GROUP BY lower(opponent_name)
+        ORDER BY kills + deaths DESC, kills DESC
+        LIMIT @limit
+      `),
+      // Pairs are keyed by the lower-cased names in sorted order so A→B and B→A land in the same group
+      getRivalries: this._handle.prepare(`
+        SELECT
+          CASE WHEN lower(killer_name) < lower(victim_name) THEN killer_name ELSE victim_name END AS player_a,
+          CASE WHEN lower(killer_name) < lower(victim_name) THEN victim_name ELSE killer_name END AS player_b,
+          SUM(CASE WHEN lower(killer_name) < lower(victim_name) THEN 1 ELSE 0 END) AS a_kills,
+          SUM(CASE WHEN lower(killer_name) < lower(victim_name) THEN 0 ELSE 1 END) AS b_kills,
+          COUNT(*) AS total
+        FROM pvp_fights
+        WHERE ended_at >= @from AND outcome = 'kill' AND killer_name != ''
+          AND lower(killer_name) != lower(victim_name)
+        GROUP BY lower(player_a), lower(player_b)
+        HAVING a_kills > 0 AND b_kills > 0
+        ORDER BY total DESC, MIN(a_kills, b_kills) DESC
+        LIMIT @limit
+      `),
+      getDaily: this._handle.prepare(`
+        SELECT substr(f.ended_at, 1, 10) AS day,
+          SUM(CASE WHEN ${matches('f.killer_steam_id', 'f.killer_name')} THEN 1 ELSE 0 END) AS kills,
+          SUM(CASE WHEN ${matches('f.victim_steam_id', 'f.victim_name')} THEN 1 ELSE 0 END) AS deaths
+        FROM pvp_fights f
+        WHERE f.ended_at >= @from AND f.outcome = 'kill'
+          AND (${matches('f.killer_steam_id', 'f.killer_name')} OR ${matches('f.victim_steam_id', 'f.victim_name')})
+        GROUP BY day
+        ORDER BY day
+      `),
+      getWeapons: this._handle.prepare(`
+        SELECT f.weapon, COUNT(*) AS kills
+        FROM pvp_fights f
+        WHERE f.ended_at >= @from AND f.outcome = 'kill' AND f.weapon != ''
+          AND ${matches('f.killer_steam_id', 'f.killer_name')}
+        GROUP BY f.weapon
+        ORDER BY kills DESC
+        LIMIT @limit
+      `),
+    };
+  }
+
+  /** Record a finished fight and its attackers. Returns the fight id. */
+  insertFight(fight: NewPvpFight): number {
+    const insert = this._handle.transaction((f: NewPvpFight) => {
+      const info = this._stmts.insertFight.run(
+        f.victimName,
+        f.victimSteamId ?? '',
+        f.killerName ?? '',
+        f.killerSteamId ?? '',
+        f.outcome,
+        f.startedAt,
+        f.endedAt,
+        Math.max(0, Math.round(f.durationSec)),
+        f.totalDamage,
+        f.hits,
+        f.weapon ?? '',
+        f.posX ?? null,
+        f.posY ?? null,
+      );
+      const id = Number(info.lastInsertRowid);
+      for (const p of f.participants) {
+        this._stmts.insertParticipant.run(
+          id,
+          p.attackerName,
+          p.attackerSteamId ?? '',
+          p.role,
+          p.damage,
+          p.hits,
+          p.weapon ?? '',
+          p.firstHitAt,
+          p.lastHitAt,
+        );
+      }
+      return id;
+    });
+    return insert(fight);
+  }
+
+  getFight(id: number): PvpFightRow | null {
+    return (this._stmts.getFight.get(id) as PvpFightRow | undefined) ?? null;
+  }
+
+  /** Fights ended at or after `from` (DB timestamp), newest first — optionally only those `player` took part in. */
+  getFights(opts: {
+    from: string;
+    player?: PvpPlayerKey | null;
+    outcome?: PvpFightOutcome | null;
+    limit: number;
+    offset?: number;
+  }): PvpFightRow[] {
+    const params = { from: opts.from, outcome: opts.outcome ?? null, limit: opts.limit, offset: opts.offset ?? 0 };
+    return (
+      opts.player ? this._stmts.getPlayerFights.all({ ...params, ...opts.player }) : this._stmts.getFights.all(params)
+    ) as PvpFightRow[];
+  }
+
+  countFights(opts: { from: string; player?: PvpPlayerKey | null; outcome?: PvpFightOutcome | null }): number {
+    const params = { from: opts.from, outcome: opts.outcome ?? null };
+    const row = (
+      opts.player
+        ? this._stmts.countPlayerFights.get({ ...params, ...opts.player })
+        : this._stmts.countFights.get(params)
+    ) as { n: number };
+    return row.n;
+  }
+
+  /** Attackers of the given fights, highest damage first within each fight. */
+  getParticipants(fightIds: readonly number[]): PvpParticipantRow[] {
+    if (fightIds.length === 0) return [];
+    return this._stmts.getParticipants.all(JSON.stringify(fightIds)) as PvpParticipantRow[];
+  }
+
+  /** Kill / death / assist / damage totals for a player since `from`. */
+  getTotals(player: PvpPlayerKey, from: string): PvpTotalsRow {
+    return this._stmts.getTotals.get({ ...player, from }) as PvpTotalsRow;
+  }
+
+  /** The player's opponents with kills and deaths against each, most contested first. */
+  getOpponents(player: PvpPlayerKey, from: string, limit: number): PvpOpponentRow[] {
+    return this._stmts.getOpponents.all({ ...player, from, limit }) as PvpOpponentRow[];
+  }
+
+  /** Server-wide pairs that have killed each other at least once each, most kills first. */
+  getRivalries(from: string, limit: number): PvpRivalryRow[] {
+    return this._stmts.getRivalries.all({ from, limit }) as PvpRivalryRow[];
+  }
+
+  /** Kills and deaths per UTC day (days without either are omitted). */
+  getDaily(player: PvpPlayerKey, from: string): PvpDailyRow[] {
+    return this._stmts.getDaily.all({ ...player, from }) as PvpDailyRow[];
+  }
+
+  /** Weapons the player's kills were logged with, most used first. */
+  getWeapons(player: PvpPlayerKey, from: string, limit: number): PvpWeaponRow[] {
+    return this._stmts.getWeapons.all({ ...player, from, limit }) as PvpWeaponRow[];
+  }
+}
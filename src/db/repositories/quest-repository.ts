@@ -1,10 +1,18 @@
 import type Database from 'better-sqlite3';
 import { BaseRepository } from './base-repository.js';
 
+/** Per-player quest completion count from the last save sync. */
+export interface PlayerQuestProgress {
+  steamId: string;
+  name: string;
+  completed: number;
+}
+
 export class QuestRepository extends BaseRepository {
   declare private _stmts: {
     clearQuests: Database.Statement;
     insertQuest: Database.Statement;
+    getPlayerQuestProgress: Database.Statement;
   };
 
   protected _prepareStatements(): void {
@@ -13,6 +21,9 @@ export class QuestRepository extends BaseRepository {
       insertQuest: this._handle.prepare(
         "INSERT INTO quests (id, type, state, data, updated_at) VALUES (?, ?, ?, ?, datetime('now'))",
       ),
+      getPlayerQuestProgress: this._handle.prepare(
+        "SELECT steam_id, name, quest_spawner_done FROM players WHERE quest_spawner_done NOT IN ('', '[]')",
+      ),
     };
   }
 
@@ -30,4 +41,31 @@ export class QuestRepository extends BaseRepository {
       this._stmts.insertQuest.run(q.id, q.type, q.state, JSON.stringify(q.data));
     }
   }
+
+  /**
+   * Completed quest count per player, from the quest-spawner flags stored on
+   * `players` by the save sync. Players with no flags are omitted.
+   */
+  getPlayerQuestProgress(): PlayerQuestProgress[] {
+    const rows = this._stmts.getPlayerQuestProgress.all() as Array<{
+      steam_id: string;
+      name: string | null;
+      quest_spawner_done: string | null;
+    }>;
+    return rows.map((r) => ({
+      steamId: r.steam_id,
+      name: r.name || r.steam_id,
+      completed: _countDone(r.quest_spawner_done),
+    }));
+  }
+}
+
+function _countDone(raw: string | null): number {
+  if (!raw) return 0;
+  try {
+    const parsed: unknown = JSON.parse(raw);
+    return Array.isArray(parsed) ? parsed.filter(Boolean).length : 0;
+  } catch {
+    return 0;
+  }
 }
@@ -0,0 +1,181 @@
+import type Database from 'better-sqlite3';
+import { BaseRepository } from './base-repository.js';
+
+/** Row shape of raid_reports (JSON columns still encoded). */
+export interface RaidReportRow {
+  id: number;
+  owner_steam_id: string;
+  owner_name: string;
+  clan_name: string;
+  started_at: string;
+  ended_at: string;
+  hits: number;
+  destroyed: number;
+  structures: string;
+  attackers: string;
+  items_lost: string;
+  pos_x: number | null;
+  pos_y: number | null;
+  snippet: string;
+  notified: number;
+  created_at: string;
+}
+
+export interface RaidStructureEntry {
+  name: string;
+  damaged: number;
+  destroyed: number;
+}
+
+export interface RaidAttackerEntry {
+  name: string;
+  steamId: string;
+  hits: number;
+  destroyed: number;
+}
+
+export interface RaidItemLoss {
+  item: string;
+  amount: number;
+  /** Who the item tracker attributed the move to ('' when unknown). */
+  takenBy: string;
+}
+
+export interface NewRaidReport {
+  ownerSteamId: string;
+  ownerName?: string;
+  clanName?: string;
+  /** DB timestamps (UTC). */
+  startedAt: string;
+  endedAt: string;
+  hits: number;
+  destroyed: number;
+  structures: RaidStructureEntry[];
+  attackers: RaidAttackerEntry[];
+  itemsLost: RaidItemLoss[];
+  posX?: number | null;
+  posY?: number | null;
+  snippet?: string;
+}
+
+/** Container / storage withdrawals that look like raid losses. */
+export interface RaidLossQuery {
+  /** DB timestamps (UTC), inclusive. */
+  from: string;
+  to: string;
+  /** Raider SteamIDs — anything they took counts wherever it happened. */
+  attackers: readonly string[];
+  /** Owner and clanmates — their own withdrawals never count. */
+  members: readonly string[];
+  /** Around the base: withdrawals by anyone else inside the box count too. */
+  box?: { xMin: number; xMax: number; yMin: number; yMax: number } | null;
+  limit: number;
+}
+
+export class RaidRepository extends BaseRepository {
+  declare private _stmts: {
+    insertReport: Database.Statement;
+    markNotified: Database.Statement;
+    getReport: Database.Statement;
+    getReports: Database.Statement;
+    getLosses: Database.Statement;
+    getOptOut: Database.Statement;
+    insertOptOut: Database.Statement;
+    deleteOptOut: Database.Statement;
+  };
+
+  protected _prepareStatements(): void {
+    this._stmts = {
+      insertReport: this._handle.prepare(`
+        INSERT INTO raid_reports (owner_steam_id, owner_name, clan_name, started_at, ended_at, hits, destroyed,
+                                  structures, attackers, items_lost, pos_x, pos_y, snippet)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `),
+      markNotified: this._handle.prepare('UPDATE raid_reports SET notified = ? WHERE id = ?'),
+      getReport: this._handle.prepare('SELECT * FROM raid_reports WHERE id = ?'),
+      getReports: this._handle.prepare(`
+        SELECT * FROM raid_reports
+        WHERE owner_steam_id = @steamId OR (@clan != '' AND clan_name = @clan)
+        ORDER BY ended_at DESC, id DESC LIMIT @limit
+      `),
+      getLosses: this._handle.prepare(`
+        SELECT item, SUM(amount) AS amount, MAX(attributed_name) AS taken_by
+        FROM item_movements
+        WHERE from_type IN ('container', 'structure')
+          AND created_at >= @from AND created_at <= @to
+          AND attributed_steam_id NOT IN (SELECT value FROM json_each(@members))
+          AND (
+            (attributed_steam_id != '' AND attributed_steam_id IN (SELECT value FROM json_each(@attackers)))
+            OR (@hasBox = 1 AND pos_x BETWEEN @xMin AND @xMax AND pos_y BETWEEN @yMin AND @yMax)
+          )
+        GROUP BY item, attributed_steam_id
+        ORDER BY amount DESC, item
+        LIMIT @limit
+      `),
+      getOptOut: this._handle.prepare('SELECT 1 FROM raid_alert_optouts WHERE discord_id = ?'),
+      insertOptOut: this._handle.prepare('INSERT OR IGNORE INTO raid_alert_optouts (discord_id) VALUES (?)'),
+      deleteOptOut: this._handle.prepare('DELETE FROM raid_alert_optouts WHERE discord_id = ?'),
+    };
+  }
+
+  /** Store a finished raid. Returns the report id. */
+  insertReport(report: NewRaidReport): number {
+    const info = this._stmts.insertReport.run(
+      report.ownerSteamId,
+      report.ownerName ?? '',
+      report.clanName ?? '',
+      report.startedAt,
+      report.endedAt,
+      report.hits,
+      report.destroyed,
+      JSON.stringify(report.structures),
+      JSON.stringify(report.attackers),
+      JSON.stringify(report.itemsLost),
+      report.posX ?? null,
+      report.posY ?? null,
+      report.snippet ?? '',
+    );
+    return Number(info.lastInsertRowid);
+  }
+
+  markNotified(id: number, count: number): void {
+    this._stmts.markNotified.run(count, id);
+  }
+
+  getReport(id: number): RaidReportRow | null {
+    return (this._stmts.getReport.get(id) as RaidReportRow | undefined) ?? null;
+  }
+
+  /** Reports for a player's own structures or their clan's, newest first. */
+  getReports(steamId: string, clanName: string, limit: number): RaidReportRow[] {
+    return this._stmts.getReports.all({ steamId, clan: clanName, limit }) as RaidReportRow[];
+  }
+
+  /** Items taken from containers and storage during a raid, largest amounts first. */
+  getContainerLosses(query: RaidLossQuery): RaidItemLoss[] {
+    const box = query.box ?? null;
+    const rows = this._stmts.getLosses.all({
+      from: query.from,
+      to: query.to,
+      attackers: JSON.stringify(query.attackers),
+      members: JSON.stringify(query.members),
+      hasBox: box ? 1 : 0,
+      xMin: box?.xMin ?? 0,
+      xMax: box?.xMax ?? 0,
+      yMin: box?.yMin ?? 0,
+      yMax: box?.yMax ?? 0,
+      limit: query.limit,
+    }) as Array<{ item: string; amount: number; taken_by: string | null }>;
+    return rows.map((r) => ({ item: r.item, amount: r.amount, takenBy: r.taken_by ?? '' }));
+  }
+
+  isOptedOut(discordId: string): boolean {
+    return !!this._stmts.getOptOut.get(discordId);
+  }
+
+  /** Opt a Discord user out of (or back into) raid DMs. Returns whether anything changed. */
+  setOptOut(discordId: string, optedOut: boolean): boolean {
+    const info = optedOut ? this._stmts.insertOptOut.run(discordId) : this._stmts.deleteOptOut.run(discordId);
+    return info.changes > 0;
+  }
+}
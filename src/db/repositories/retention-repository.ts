@@ -0,0 +1,174 @@
+import type Database from 'better-sqlite3';
+import { BaseRepository } from './base-repository.js';
+import type { DbRow } from './db-utils.js';
+
+/** Table families the retention manager can expire. */
+export type RetentionFamily =
+  | 'timeline'
+  | 'activity'
+  | 'chat'
+  | 'item_movements'
+  | 'fingerprint_events'
+  | 'anticheat_flags';
+
+interface FamilyDef {
+  /** Parent table — its created_at decides the age of a row. */
+  table: string;
+  /** Child tables removed with the parent by ON DELETE CASCADE (archived alongside it). */
+  children: readonly string[];
+  /** Extra predicate for rows that may expire at all. */
+  expirable: string;
+  /** Whether old rows can be thinned to hourly keyframes instead of removed. */
+  downsample: boolean;
+}
+
+export const RETENTION_FAMILIES: Readonly<Record<RetentionFamily, FamilyDef>> = {
+  timeline: {
+    table: 'timeline_snapshots',
+    children: [
+      'timeline_players',
+      'timeline_ai',
+      'timeline_vehicles',
+      'timeline_structures',
+      'timeline_houses',
+      'timeline_companions',
+      'timeline_backpacks',
+    ],
+    expirable: '1',
+    downsample: true,
+  },
+  activity: { table: 'activity_log', children: [], expirable: '1', downsample: false },
+  chat: { table: 'chat_log', children: [], expirable: '1', downsample: false },
+  item_movements: { table: 'item_movements', children: [], expirable: '1', downsample: false },
+  fingerprint_events: { table: 'fingerprint_events', children: [], expirable: '1', downsample: false },
+  // Unreviewed flags never expire
+  anticheat_flags: { table: 'anticheat_flags', children: [], expirable: "status <> 'open'", downsample: false },
+};
+
+export function isRetentionFamily(value: string): value is RetentionFamily {
+  return Object.hasOwn(RETENTION_FAMILIES, value);
+}
+
+/** On-disk size of one table, its indexes included. */
+export interface TableSize {
+  table: string;
+  bytes: number;
+}
+
+/** An expired parent row; timeline rows carry their child rows keyed by table. */
+export type ArchivedRow = DbRow & { children?: Record<string, DbRow[]> };
+
+export class RetentionRepository extends BaseRepository {
+  declare private _stmts: {
+    tableSizes: Database.Statement;
+    pageCount: Database.Statement;
+  };
+
+  protected _prepareStatements(): void {
+    this._stmts = {
+      tableSizes: this._handle.prepare(`
+        SELECT COALESCE(m.tbl_name, s.name) AS tbl, SUM(s.pgsize) AS bytes
+        FROM dbstat s LEFT JOIN sqlite_master m ON m.name = s.name
+        GROUP BY tbl ORDER BY bytes DESC
+      `),
+      pageCount: this._handle.prepare(
+        'SELECT page_count * page_size AS bytes FROM pragma_page_count(), pragma_page_size()',
+      ),
+    };
+  }
+
+  /** Bytes used by every table (indexes folded into their table), largest first. */
+  tableSizes(): TableSize[] {
+    return (this._stmts.tableSizes.all() as Array<{ tbl: string; bytes: number }>).map((r) => ({
+      table: r.tbl,
+      bytes: r.bytes,
+    }));
+  }
+
+  /** Size of the main database file. */
+  fileBytes(): number {
+    return (this._stmts.pageCount.get() as { bytes: number }).bytes;
+  }
+
+  countRows(family: RetentionFamily): number {
+    const { table } = RETENTION_FAMILIES[family];
+    return (this._handle.prepare(`SELECT COUNT(*) AS c FROM ${table}`).get() as { c: number }).c;
+  }
+
+  /** Oldest created_at in the family, or null when empty. */
+  oldest(family: RetentionFamily): string | null {
+    const { table } = RETENTION_FAMILIES[family];
+    const row = this._handle.prepare(`SELECT MIN(created_at) AS t FROM ${table}`).get() as { t: string | null };
+    return row.t;
+  }
+
+  /** Rows created before `cutoff` (DB timestamp) that may expire. */
+  countExpired(family: RetentionFamily, cutoff: string): number {
+    const { table, expirable } = RETENTION_FAMILIES[family];
+    return (
+      this._handle.prepare(`SELECT COUNT(*) AS c FROM ${table} WHERE created_at < ? AND ${expirable}`).get(cutoff) as {
+        c: number;
+      }
+    ).c;
+  }
+
+  /** Expired rows after `afterId`, oldest id first — timeline rows include their children. */
+  expiredBatch(family: RetentionFamily, cutoff: string, afterId: number, limit: number): ArchivedRow[] {
+    const { table, children, expirable } = RETENTION_FAMILIES[family];
+    const rows = this._handle
+      .prepare(`SELECT * FROM ${table} WHERE created_at < ? AND ${expirable} AND id > ? ORDER BY id LIMIT ?`)
+      .all(cutoff, afterId, limit) as ArchivedRow[];
+    if (children.length === 0 || rows.length === 0) return rows;
+
+    const ids = rows.map((r) => r.id as number);
+    const byId = new Map<number, ArchivedRow>();
+    for (const row of rows) {
+      row.children = {};
+      byId.set(row.id as number, row);
+    }
+    const placeholders = ids.map(() => '?').join(',');
+    for (const child of children) {
+      const childRows = this._handle
+        .prepare(`SELECT * FROM ${child} WHERE snapshot_id IN (${placeholders}) ORDER BY id`)
+        .all(...ids) as DbRow[];
+      for (const c of childRows) {
+        const parent = byId.get(c.snapshot_id as number);
+        if (!parent?.children) continue;
+        (parent.children[child] ??= []).push(c);
+      }
+    }
+    return rows;
+  }
+
+  /** Delete up to `limit` expired rows with id ≤ `maxId`.  Call until it returns 0. */
+  deleteExpired(family: RetentionFamily, cutoff: string, maxId: number, limit: number): number {
+    const { table, expirable } = RETENTION_FAMILIES[family];
+    return this._handle
+      .prepare(
+        `DELETE FROM ${table} WHERE id IN (
+           SELECT id FROM ${table} WHERE created_at < ? AND ${expirable} AND id <= ? LIMIT ?
+         )`,
+      )
+      .run(cutoff, maxId, limit).changes;
+  }
+
+  /** Timeline snapshots before `cutoff` that thinning would remove (everything below an hourly keyframe). */
+  countDownsample(cutoff: string): number {
+    return (
+      this._handle
+        .prepare('SELECT COUNT(*) AS c FROM timeline_snapshots WHERE tier = 0 AND created_at < ?')
+        .get(cutoff) as { c: number }
+    ).c;
+  }
+
+  /** Delete up to `limit` full-resolution timeline snapshots before `cutoff`.  Call until it returns 0. */
+  downsampleTimeline(cutoff: string, limit: number): number {
+    return this._handle
+      .prepare(
+        `DELETE FROM timeline_snapshots WHERE id IN (
+           SELECT id FROM timeline_snapshots WHERE tier = 0 AND created_at < ? LIMIT ?
+         )`,
+      )
+      .run(cutoff, limit).changes;
+  }
+}
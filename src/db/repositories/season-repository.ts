@@ -0,0 +1,215 @@
+import type Database from 'better-sqlite3';
+import { BaseRepository } from './base-repository.js';
+
+/**
+ * Per-season stat columns → the `players` column they are archived from.
+ *
+ * Save-derived columns (kills, survival, fish, bites) follow the game save and
+ * restart at zero after a world wipe; bot-tracked columns (log_*, playtime)
+ * are zeroed by resetPlayerCounters() when a season ends.
+ */
+const STAT_COLUMNS = [
+  ['kills', 'lifetime_kills'],
+  ['headshots', 'lifetime_headshots'],
+  ['melee_kills', 'lifetime_melee_kills'],
+  ['gun_kills', 'lifetime_gun_kills'],
+  ['blast_kills', 'lifetime_blast_kills'],
+  ['fist_kills', 'lifetime_fist_kills'],
+  ['takedown_kills', 'lifetime_takedown_kills'],
+  ['vehicle_kills', 'lifetime_vehicle_kills'],
+  ['days_survived', 'lifetime_days_survived'],
+  ['times_bitten', 'times_bitten'],
+  ['fish_caught', 'fish_caught'],
+  ['fish_caught_pike', 'fish_caught_pike'],
+  ['deaths', 'log_deaths'],
+  ['pvp_kills', 'log_pvp_kills'],
+  ['pvp_deaths', 'log_pvp_deaths'],
+  ['builds', 'log_builds'],
+  ['loots', 'log_loots'],
+  ['raids_out', 'log_raids_out'],
+  ['raids_in', 'log_raids_in'],
+  ['damage_taken', 'log_damage_taken'],
+  ['connects', 'log_connects'],
+  ['playtime_seconds', 'playtime_seconds'],
+  ['session_count', 'session_count'],
+] as const;
+
+export type SeasonStatKey = (typeof STAT_COLUMNS)[number][0];
+export const SEASON_STAT_KEYS: readonly SeasonStatKey[] = STAT_COLUMNS.map(([col]) => col);
+
+/** Row shape of hmz_wipes. */
+export interface SeasonRow {
+  id: string;
+  name: string;
+  started_at: string;
+  ended_at: string | null;
+  config: string;
+  summary: string | null;
+}
+
+/** One player's stats for a season (or summed across seasons for lifetime). */
+export type SeasonStatsRow = { steam_id: string; name: string } & Record<SeasonStatKey, number>;
+
+/** Archived season row as stored in season_player_stats. */
+export type ArchivedSeasonStatsRow = SeasonStatsRow & {
+  wipe_id: string;
+  killed_by: string;
+  kill_tracker: string;
+  archived_at: string;
+};
+
+/** A player's archived row joined with its season name, for per-player history. */
+export type PlayerSeasonHistoryRow = ArchivedSeasonStatsRow & {
+  season_name: string;
+  started_at: string;
+  ended_at: string | null;
+};
+
+const _seasonCols = STAT_COLUMNS.map(([col]) => col).join(', ');
+const _playerCols = STAT_COLUMNS.map(([col, src]) => `${src} AS ${col}`).join(', ');
+const _sumCols = STAT_COLUMNS.map(([col]) => `SUM(s.${col}) AS ${col}`).join(', ');
+const _anyActivity = STAT_COLUMNS.map(([, src]) => src).join(' + ');
+
+export class SeasonRepository extends BaseRepository {
+  declare private _stmts: {
+    getCurrent: Database.Statement;
+    getSeasons: Database.Statement;
+    getSeason: Database.Statement;
+    createSeason: Database.Statement;
+    endSeason: Database.Statement;
+    archivePlayers: Database.Statement;
+    setArchivedKillTracker: Database.Statement;
+    resetPlayerCounters: Database.Statement;
+    getCurrentStats: Database.Statement;
+    getArchivedStats: Database.Statement;
+    getLifetimeStats: Database.Statement;
+    getPlayerHistory: Database.Statement;
+    countArchivedPlayers: Database.Statement;
+  };
+
+  protected _prepareStatements(): void {
+    this._stmts = {
+      getCurrent: this._handle.prepare(
+        'SELECT * FROM hmz_wipes WHERE ended_at IS NULL ORDER BY started_at DESC, rowid DESC LIMIT 1',
+      ),
+      getSeasons: this._handle.prepare('SELECT * FROM hmz_wipes ORDER BY started_at DESC, rowid DESC'),
+      getSeason: this._handle.prepare('SELECT * FROM hmz_wipes WHERE id = ?'),
+      createSeason: this._handle.prepare(
+        "INSERT INTO hmz_wipes (id, name, started_at) VALUES (?, ?, COALESCE(?, datetime('now')))",
+      ),
+      endSeason: this._handle.prepare(
+        "UPDATE hmz_wipes SET ended_at = COALESCE(?, datetime('now')), summary = ? WHERE id = ?",
+      ),
+      archivePlayers: this._handle.prepare(`
+        INSERT OR REPLACE INTO season_player_stats (wipe_id, steam_id, name, ${_seasonCols}, killed_by)
+        SELECT ?, steam_id, name, ${STAT_COLUMNS.map(([, src]) => src).join(', ')}, COALESCE(log_killed_by, '{}')
+        FROM players
+        WHERE (${_anyActivity}) > 0
+      `),
+      setArchivedKillTracker: this._handle.prepare(
+        'UPDATE season_player_stats SET kill_tracker = ? WHERE wipe_id = ? AND steam_id = ?',
+      ),
+      // Identity (name, aliases, first_seen) and moderation data (log_cheat_flags) are kept
+      resetPlayerCounters: this._handle.prepare(`
+        UPDATE players SET
+          ${STAT_COLUMNS.map(([, src]) => `${src} = 0`).join(', ')},
+          zeeks_killed = 0, headshots = 0, melee_kills = 0, gun_kills = 0, blast_kills = 0,
+          fist_kills = 0, takedown_kills = 0, vehicle_kills = 0, days_survived = 0,
+          log_disconnects = 0, log_admin_access = 0, log_destroyed_out = 0, log_destroyed_in = 0,
+          log_build_items = '{}', log_killed_by = '{}', log_damage_detail = '{}',
+          kill_tracker = '{}', updated_at = datetime('now')
+      `),
+      getCurrentStats: this._handle.prepare(`SELECT steam_id, name, ${_playerCols} FROM players`),
+      getArchivedStats: this._handle.prepare(
+        'SELECT * FROM season_player_stats WHERE wipe_id = ? ORDER BY playtime_seconds DESC',
+      ),
+      getLifetimeStats: this._handle.prepare(`
+        SELECT s.steam_id, COALESCE(NULLIF(p.name, ''), MAX(s.name), s.steam_id) AS name, ${_sumCols}
+        FROM (
+          SELECT steam_id, name, ${_seasonCols} FROM season_player_stats
+          UNION ALL
+          SELECT steam_id, name, ${_playerCols} FROM players
+        ) s
+        LEFT JOIN players p ON p.steam_id = s.steam_id
+        GROUP BY s.steam_id
+      `),
+      getPlayerHistory: this._handle.prepare(`
+        SELECT sps.*, w.name AS season_name, w.started_at, w.ended_at
+        FROM season_player_stats sps
+        JOIN hmz_wipes w ON w.id = sps.wipe_id
+        WHERE sps.steam_id = ?
+        ORDER BY w.started_at DESC
+      `),
+      countArchivedPlayers: this._handle.prepare(
+        'SELECT wipe_id, COUNT(*) AS players FROM season_player_stats GROUP BY wipe_id',
+      ),
+    };
+  }
+
+  // ── Season records ─────────────────────────────────────────
+
+  getCurrent(): SeasonRow | null {
+    return (this._stmts.getCurrent.get() as SeasonRow | undefined) ?? null;
+  }
+
+  /** All seasons, newest first. */
+  getSeasons(): SeasonRow[] {
+    return this._stmts.getSeasons.all() as SeasonRow[];
+  }
+
+  getSeason(id: string): SeasonRow | null {
+    return (this._stmts.getSeason.get(id) as SeasonRow | undefined) ?? null;
+  }
+
+  createSeason(id: string, name: string, startedAt: string | null = null): void {
+    this._stmts.createSeason.run(id, name, startedAt);
+  }
+
+  /** Freeze a season: stamp ended_at and store the summary JSON. */
+  endSeason(id: string, summary: unknown, endedAt: string | null = null): void {
+    this._stmts.endSeason.run(endedAt, JSON.stringify(summary), id);
+  }
+
+  /** Archived player count per season id. */
+  countArchivedPlayers(): Record<string, number> {
+    const rows = this._stmts.countArchivedPlayers.all() as Array<{ wipe_id: string; players: number }>;
+    const out: Record<string, number> = {};
+    for (const r of rows) out[r.wipe_id] = r.players;
+    return out;
+  }
+
+  // ── Archive + reset ────────────────────────────────────────
+
+  /** Copy every player with any recorded activity into season_player_stats. Returns rows written. */
+  archivePlayers(wipeId: string): number {
+    return this._stmts.archivePlayers.run(wipeId).changes;
+  }
+
+  setArchivedKillTracker(wipeId: string, steamId: string, record: unknown): void {
+    this._stmts.setArchivedKillTracker.run(JSON.stringify(record ?? {}), wipeId, steamId);
+  }
+
+  /** Zero the per-season counters on `players`. Returns rows touched. */
+  resetPlayerCounters(): number {
+    return this._stmts.resetPlayerCounters.run().changes;
+  }
+
+  // ── Stat views ─────────────────────────────────────────────
+
+  getCurrentStats(): SeasonStatsRow[] {
+    return this._stmts.getCurrentStats.all() as SeasonStatsRow[];
+  }
+
+  getArchivedStats(wipeId: string): ArchivedSeasonStatsRow[] {
+    return this._stmts.getArchivedStats.all(wipeId) as ArchivedSeasonStatsRow[];
+  }
+
+  /** Every archived season plus the current one, summed per player. */
+  getLifetimeStats(): SeasonStatsRow[] {
+    return this._stmts.getLifetimeStats.all() as SeasonStatsRow[];
+  }
+
+  getPlayerHistory(steamId: string): PlayerSeasonHistoryRow[] {
+    return this._stmts.getPlayerHistory.all(steamId) as PlayerSeasonHistoryRow[];
+  }
+}
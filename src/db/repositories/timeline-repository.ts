@@ -2,15 +2,39 @@ import type Database from 'better-sqlite3';
 import { BaseRepository } from './base-repository.js';
 import { type DbRow } from './db-utils.js';
 
+/**
+ * Snapshot resolution tiers.  Every snapshot is tier 0; the first one of each
+ * UTC hour is stored as tier 1 and the first one of each UTC day as tier 2, so
+ * `tier >= n` selects a keyframe series and thinning never touches coarser tiers.
+ */
+export const TIMELINE_TIERS = { full: 0, hourly: 1, daily: 2 } as const;
+
+export type TimelineTier = (typeof TIMELINE_TIERS)[keyof typeof TIMELINE_TIERS];
+
+export function isTimelineTier(value: number): value is TimelineTier {
+  return value === 0 || value === 1 || value === 2;
+}
+
+/** Tier matching a playback span — full resolution up to two days, hourly up to two months, daily beyond. */
+export function tierForSpan(spanMs: number): TimelineTier {
+  const day = 24 * 60 * 60_000;
+  if (spanMs <= 2 * day) return TIMELINE_TIERS.full;
+  if (spanMs <= 60 * day) return TIMELINE_TIERS.hourly;
+  return TIMELINE_TIERS.daily;
+}
+
 export class TimelineRepository extends BaseRepository {
   declare private _stmts: {
     insertTimelineSnapshot: Database.Statement;
     getTimelineSnapshots: Database.Statement;
     getTimelineSnapshotRange: Database.Statement;
+    countTimelineSnapshotRange: Database.Statement;
     getTimelineSnapshotById: Database.Statement;
     getLatestTimelineSnapshotId: Database.Statement;
     getTimelineSnapshotCount: Database.Statement;
     purgeOldTimeline: Database.Statement;
+    thinTimeline: Database.Statement;
+    nextTimelineTier: Database.Statement;
     getTimelineSnapshotBounds: Database.Statement;
     insertTimelinePlayer: Database.Statement;
     insertTimelineAI: Database.Statement;
@@ -28,6 +52,7 @@ export class TimelineRepository extends BaseRepository {
     getTimelineCompanions: Database.Statement;
     getTimelineBackpacks: Database.Statement;
     getPlayerPositionHistory: Database.Statement;
+    getPlayerTimelineSnapshots: Database.Statement;
     getAIPopulationHistory: Database.Statement;
   };
 
@@ -37,12 +62,23 @@ export class TimelineRepository extends BaseRepository {
       insertTimelineSnapshot: this._handle.prepare(`
         INSERT INTO timeline_snapshots (game_day, game_time, player_count, online_count,
           ai_count, structure_count, vehicle_count, container_count, world_item_count,
-          weather_type, season, airdrop_active, airdrop_x, airdrop_y, airdrop_ai_alive, summary)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+          weather_type, season, airdrop_active, airdrop_x, airdrop_y, airdrop_ai_alive, summary, tier)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `),
+      // First snapshot of the UTC day → daily keyframe, first of the hour → hourly keyframe
+      nextTimelineTier: this._handle.prepare(`
+        SELECT CASE
+          WHEN NOT EXISTS (SELECT 1 FROM timeline_snapshots WHERE created_at >= strftime('%Y-%m-%d 00:00:00', 'now')) THEN 2
+          WHEN NOT EXISTS (SELECT 1 FROM timeline_snapshots WHERE created_at >= strftime('%Y-%m-%d %H:00:00', 'now')) THEN 1
+          ELSE 0
+        END AS tier
       `),
       getTimelineSnapshots: this._handle.prepare('SELECT * FROM timeline_snapshots ORDER BY created_at DESC LIMIT ?'),
       getTimelineSnapshotRange: this._handle.prepare(
-        'SELECT * FROM timeline_snapshots WHERE created_at BETWEEN ? AND ? ORDER BY created_at ASC',
+        'SELECT * FROM timeline_snapshots WHERE created_at BETWEEN ? AND ? AND tier >= ? ORDER BY created_at ASC',
+      ),
+      countTimelineSnapshotRange: this._handle.prepare(
+        'SELECT COUNT(*) as count FROM timeline_snapshots WHERE created_at BETWEEN ? AND ? AND tier >= ?',
       ),
       getTimelineSnapshotById: this._handle.prepare('SELECT * FROM timeline_snapshots WHERE id = ?'),
       getLatestTimelineSnapshotId: this._handle.prepare(
@@ -50,6 +86,13 @@ export class TimelineRepository extends BaseRepository {
       ),
       getTimelineSnapshotCount: this._handle.prepare('SELECT COUNT(*) as count FROM timeline_snapshots'),
       purgeOldTimeline: this._handle.prepare("DELETE FROM timeline_snapshots WHERE created_at < datetime('now', ?)"),
+      thinTimeline: this._handle.prepare(`
+        DELETE FROM timeline_snapshots WHERE id IN (
+          SELECT id FROM timeline_snapshots
+          WHERE (tier = 0 AND created_at < datetime('now', ?)) OR (tier = 1 AND created_at < datetime('now', ?))
+          LIMIT ?
+        )
+      `),
       getTimelineSnapshotBounds: this._handle.prepare(
         'SELECT MIN(created_at) as earliest, MAX(created_at) as latest, COUNT(*) as count FROM timeline_snapshots',
       ),
@@ -105,6 +148,14 @@ export class TimelineRepository extends BaseRepository {
         WHERE tp.steam_id = ? AND ts.created_at BETWEEN ? AND ?
         ORDER BY ts.created_at ASC
       `),
+      getPlayerTimelineSnapshots: this._handle.prepare(`
+        SELECT ts.id, ts.created_at, ts.game_day, ts.tier, tp.online
+        FROM timeline_players tp
+        JOIN timeline_snapshots ts ON tp.snapshot_id = ts.id
+        WHERE tp.steam_id = ? AND ts.tier >= ?
+        ORDER BY ts.created_at DESC
+        LIMIT ?
+      `),
 
       // AI population summary over time
       getAIPopulationHistory: this._handle.prepare(`
@@ -154,6 +205,7 @@ export class TimelineRepository extends BaseRepository {
         s.airdropY ?? null,
         s.airdropAiAlive || 0,
         JSON.stringify(s.summary || {}),
+        (this._stmts.nextTimelineTier.get() as { tier: TimelineTier }).tier,
       );
       const snapId = result.lastInsertRowid;
 
@@ -308,9 +360,9 @@ export class TimelineRepository extends BaseRepository {
     });
   }
 
-  /** Get timeline snapshots in a date range. */
-  getTimelineSnapshotRange(from: string, to: string): DbRow[] {
-    return (this._stmts.getTimelineSnapshotRange.all(from, to) as DbRow[]).map((r) => {
+  /** Get timeline snapshots in a date range, limited to keyframes of `minTier` or coarser. */
+  getTimelineSnapshotRange(from: string, to: string, minTier: TimelineTier = TIMELINE_TIERS.full): DbRow[] {
+    return (this._stmts.getTimelineSnapshotRange.all(from, to, minTier) as DbRow[]).map((r) => {
       if (r.summary && typeof r.summary === 'string')
         try {
           r.summary = JSON.parse(r.summary) as unknown;
@@ -321,6 +373,19 @@ export class TimelineRepository extends BaseRepository {
     });
   }
 
+  /** Number of snapshots a range query with the same arguments would return. */
+  countTimelineSnapshotRange(from: string, to: string, minTier: TimelineTier = TIMELINE_TIERS.full): number {
+    return (this._stmts.countTimelineSnapshotRange.get(from, to, minTier) as { count: number }).count;
+  }
+
+  /** Full data (all entities) for every snapshot in a range — the frames of a playback clip. */
+  getTimelineClip(from: string, to: string, minTier: TimelineTier = TIMELINE_TIERS.full) {
+    return this.getTimelineSnapshotRange(from, to, minTier).flatMap((r) => {
+      const full = this.getTimelineSnapshotFull(r.id as number);
+      return full ? [full] : [];
+    });
+  }
+
   /** Get full snapshot data by ID (all entities). */
   getTimelineSnapshotFull(snapshotId: number) {
     const snap = this._stmts.getTimelineSnapshotById.get(snapshotId) as DbRow | undefined;
@@ -371,6 +436,16 @@ export class TimelineRepository extends BaseRepository {
     return this._stmts.getPlayerPositionHistory.all(steamId, from, to);
   }
 
+  /** Snapshot metadata by ID, without its entities. */
+  getTimelineSnapshot(snapshotId: number): DbRow | null {
+    return (this._stmts.getTimelineSnapshotById.get(snapshotId) as DbRow | undefined) ?? null;
+  }
+
+  /** Snapshots a player appears in, newest first — the restore points offered for an inventory rollback. */
+  getPlayerTimelineSnapshots(steamId: string, limit = 100, minTier: TimelineTier = TIMELINE_TIERS.full): DbRow[] {
+    return this._stmts.getPlayerTimelineSnapshots.all(steamId, minTier, limit) as DbRow[];
+  }
+
   /** Get AI population history for charts. */
   getAIPopulationHistory(from: string, to: string) {
     return this._stmts.getAIPopulationHistory.all(from, to);
@@ -380,4 +455,16 @@ export class TimelineRepository extends BaseRepository {
   purgeOldTimeline(olderThan: string = '-7 days') {
     return this._stmts.purgeOldTimeline.run(olderThan);
   }
+
+  /**
+   * Drop full-resolution snapshots older than `fullHours` and hourly keyframes
+   * older than `hourlyDays` — daily keyframes are kept.  `fullHours` null
+   * leaves full-resolution snapshots alone.  Deletes at most `limit` rows
+   * (-1 = all) so callers can batch and yield between runs.
+   */
+  thinTimeline(fullHours: number | null = 24, hourlyDays = 30, limit = -1) {
+    // datetime('now', NULL) is NULL, so tier 0 never matches without fullHours
+    const fullCutoff = fullHours === null ? null : `-${String(fullHours)} hours`;
+    return this._stmts.thinTimeline.run(fullCutoff, `-${String(hourlyDays)} days`, limit);
+  }
 }
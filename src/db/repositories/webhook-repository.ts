@@ -0,0 +1,210 @@
+import type Database from 'better-sqlite3';
+import { BaseRepository } from './base-repository.js';
+
+export type WebhookDeliveryStatus = 'pending' | 'delivered' | 'failed';
+
+/** Row shape of webhooks. */
+export interface WebhookRow {
+  id: number;
+  url: string;
+  secret: string;
+  events: string;
+  description: string;
+  enabled: number;
+  created_by: string;
+  created_at: string;
+}
+
+/** Row shape of webhook_deliveries. */
+export interface WebhookDeliveryRow {
+  id: number;
+  webhook_id: number;
+  event: string;
+  payload: string;
+  status: WebhookDeliveryStatus;
+  attempts: number;
+  next_attempt_at: string;
+  last_error: string;
+  response_status: number | null;
+  created_at: string;
+  delivered_at: string | null;
+}
+
+/** A due delivery with the endpoint it goes to. */
+export interface WebhookDueRow extends WebhookDeliveryRow {
+  url: string;
+  secret: string;
+}
+
+export interface NewWebhook {
+  url: string;
+  secret: string;
+  events: string[];
+  description?: string;
+  createdBy?: string;
+}
+
+export class WebhookRepository extends BaseRepository {
+  declare private _stmts: {
+    insert: Database.Statement;
+    getById: Database.Statement;
+    getAll: Database.Statement;
+    update: Database.Statement;
+    remove: Database.Statement;
+    removeDeliveries: Database.Statement;
+    enqueue: Database.Statement;
+    getDelivery: Database.Statement;
+    getDue: Database.Statement;
+    getDeliveries: Database.Statement;
+    markDelivered: Database.Statement;
+    markRetry: Database.Statement;
+    markFailed: Database.Statement;
+    requeue: Database.Statement;
+    countPending: Database.Statement;
+    purge: Database.Statement;
+  };
+
+  protected _prepareStatements(): void {
+    this._stmts = {
+      insert: this._handle.prepare(`
+        INSERT INTO webhooks (url, secret, events, description, created_by, created_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `),
+      getById: this._handle.prepare('SELECT * FROM webhooks WHERE id = ?'),
+      getAll: this._handle.prepare('SELECT * FROM webhooks ORDER BY id'),
+      update: this._handle.prepare(
+        'UPDATE webhooks SET url = ?, events = ?, description = ?, enabled = ? WHERE id = ?',
+      ),
+      remove: this._handle.prepare('DELETE FROM webhooks WHERE id = ?'),
+      removeDeliveries: this._handle.prepare('DELETE FROM webhook_deliveries WHERE webhook_id = ?'),
+      enqueue: this._handle.prepare(`
+        INSERT INTO webhook_deliveries (webhook_id, event, payload, next_attempt_at, created_at)
+        VALUES (?, ?, ?, ?, ?)
+      `),
+      getDelivery: this._handle.prepare('SELECT * FROM webhook_deliveries WHERE id = ?'),
+      getDue: this._handle.prepare(`
+        SELECT * FROM (
+          SELECT d.*, w.url, w.secret,
+                 ROW_NUMBER() OVER (PARTITION BY d.webhook_id ORDER BY d.next_attempt_at, d.id) AS endpoint_rank
+          FROM webhook_deliveries d
+          JOIN webhooks w ON w.id = d.webhook_id AND w.enabled = 1
+          WHERE d.status = 'pending' AND d.next_attempt_at <= ?
+        )
+        WHERE endpoint_rank <= ?
+        ORDER BY next_attempt_at, id
+      `),
+      getDeliveries: this._handle.prepare(
+        'SELECT * FROM webhook_deliveries WHERE webhook_id = ? ORDER BY id DESC LIMIT ?',
+      ),
+      markDelivered: this._handle.prepare(`
+        UPDATE webhook_deliveries
+        SET status = 'delivered', attempts = attempts + 1, response_status = ?, last_error = '', delivered_at = ?
+        WHERE id = ?
+      `),
+      markRetry: this._handle.prepare(`
+        UPDATE webhook_deliveries
+        SET attempts = attempts + 1, response_status = ?, last_error = ?, next_attempt_at = ?
+        WHERE id = ?
+      `),
+      markFailed: this._handle.prepare(`
+        UPDATE webhook_deliveries
+        SET status = 'failed', attempts = attempts + 1, response_status = ?, last_error = ?
+        WHERE id = ?
+      `),
+      requeue: this._handle.prepare(`
+        UPDATE webhook_deliveries SET status = 'pending', attempts = 0, next_attempt_at = ?
+        WHERE id = ? AND status = 'failed'
+      `),
+      countPending: this._handle.prepare("SELECT COUNT(*) AS n FROM webhook_deliveries WHERE status = 'pending'"),
+      purge: this._handle.prepare("DELETE FROM webhook_deliveries WHERE status != 'pending' AND created_at < ?"),
+    };
+  }
+
+  /** Register an endpoint. Returns its id. */
+  createWebhook(hook: NewWebhook, createdAt: string): number {
+    const info = this._stmts.insert.run(
+      hook.url,
+      hook.secret,
+      JSON.stringify(hook.events),
+      hook.description ?? '',
+      hook.createdBy ?? '',
+      createdAt,
+    );
+    return Number(info.lastInsertRowid);
+  }
+
+  getWebhook(id: number): WebhookRow | null {
+    return (this._stmts.getById.get(id) as WebhookRow | undefined) ?? null;
+  }
+
+  getWebhooks(): WebhookRow[] {
+    return this._stmts.getAll.all() as WebhookRow[];
+  }
+
+  updateWebhook(id: number, fields: { url: string; events: string[]; description: string; enabled: boolean }): boolean {
+    return (
+      this._stmts.update.run(fields.url, JSON.stringify(fields.events), fields.description, fields.enabled ? 1 : 0, id)
+        .changes > 0
+    );
+  }
+
+  /** Delete an endpoint together with its delivery history. */
+  deleteWebhook(id: number): boolean {
+    return this._handle.transaction(() => {
+      this._stmts.removeDeliveries.run(id);
+      return this._stmts.remove.run(id).changes > 0;
+    })();
+  }
+
+  /** Queue one delivery. Returns its id. */
+  enqueue(webhookId: number, event: string, payload: string, now: string): number {
+    return Number(this._stmts.enqueue.run(webhookId, event, payload, now, now).lastInsertRowid);
+  }
+
+  getDelivery(id: number): WebhookDeliveryRow | null {
+    return (this._stmts.getDelivery.get(id) as WebhookDeliveryRow | undefined) ?? null;
+  }
+
+  /**
+   * Pending deliveries whose next attempt is at or before `now` (DB timestamp),
+   * oldest first, at most `perEndpoint` per webhook so one endpoint's backlog
+   * cannot crowd out the others.  Deliveries of disabled webhooks wait until
+   * they are re-enabled.
+   */
+  getDue(now: string, perEndpoint = 10): WebhookDueRow[] {
+    return this._stmts.getDue.all(now, perEndpoint) as WebhookDueRow[];
+  }
+
+  /** A webhook's most recent deliveries, newest first. */
+  getDeliveries(webhookId: number, limit = 50): WebhookDeliveryRow[] {
+    return this._stmts.getDeliveries.all(webhookId, limit) as WebhookDeliveryRow[];
+  }
+
+  markDelivered(id: number, responseStatus: number, deliveredAt: string): void {
+    this._stmts.markDelivered.run(responseStatus, deliveredAt, id);
+  }
+
+  /** Record a failed attempt and schedule the next one. */
+  markRetry(id: number, responseStatus: number | null, error: string, nextAttemptAt: string): void {
+    this._stmts.markRetry.run(responseStatus, error, nextAttemptAt, id);
+  }
+
+  /** Record the final failed attempt — the delivery is not retried again. */
+  markFailed(id: number, responseStatus: number | null, error: string): void {
+    this._stmts.markFailed.run(responseStatus, error, id);
+  }
+
+  /** failed → pending with a fresh attempt budget. Returns false if the delivery had not failed. */
+  requeue(id: number, now: string): boolean {
+    return this._stmts.requeue.run(now, id).changes > 0;
+  }
+
+  countPending(): number {
+    return (this._stmts.countPending.get() as { n: number }).n;
+  }
+
+  /** Delete finished deliveries created before `before` (DB timestamp). Returns the number removed. */
+  purgeFinished(before: string): number {
+    return this._stmts.purge.run(before).changes;
+  }
+}
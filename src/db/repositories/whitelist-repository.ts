@@ -0,0 +1,279 @@
+import type Database from 'better-sqlite3';
+import { BaseRepository } from './base-repository.js';
+
+export type WhitelistApplicationStatus = 'pending' | 'approved' | 'denied';
+
+export type WhitelistAction =
+  | 'applied'
+  | 'approved'
+  | 'denied'
+  | 'added'
+  | 'removed'
+  | 'expired'
+  | 'imported'
+  | 'repaired';
+
+/** Row shape of whitelist_applications, joined with the best-known player name. */
+export interface WhitelistApplicationRow {
+  id: number;
+  discord_id: string;
+  discord_name: string;
+  steam_id: string;
+  player_name: string;
+  answers: string;
+  status: WhitelistApplicationStatus;
+  reviewed_by: string;
+  reviewed_by_name: string;
+  review_note: string;
+  message_id: string;
+  created_at: string;
+  reviewed_at: string | null;
+}
+
+/** Row shape of whitelist_members, joined with the best-known player name. */
+export interface WhitelistMemberRow {
+  steam_id: string;
+  player_name: string;
+  discord_id: string;
+  servers: string;
+  application_id: number | null;
+  added_by: string;
+  added_by_name: string;
+  added_at: string;
+  expires_at: string | null;
+}
+
+export interface WhitelistHistoryRow {
+  id: number;
+  steam_id: string;
+  player_name: string;
+  action: WhitelistAction;
+  actor: string;
+  actor_name: string;
+  server_id: string;
+  details: string;
+  created_at: string;
+}
+
+export interface NewWhitelistMember {
+  steamId: string;
+  discordId?: string;
+  servers: string[];
+  applicationId?: number | null;
+  addedBy?: string;
+  addedByName?: string;
+  /** DB timestamp (UTC) — null for permanent members. */
+  expiresAt?: string | null;
+}
+
+export interface NewWhitelistHistory {
+  steamId: string;
+  action: WhitelistAction;
+  actor?: string;
+  actorName?: string;
+  serverId?: string;
+  details?: string;
+}
+
+/** Best-known display name for `<alias>.steam_id`: save name, then current alias, then the ID itself. */
+function _playerName(alias: string): string {
+  return `COALESCE(
+    (SELECT p.name FROM players p WHERE p.steam_id = ${alias}.steam_id),
+    (SELECT a.name FROM player_aliases a WHERE a.steam_id = ${alias}.steam_id
+     ORDER BY a.is_current DESC, a.last_seen DESC LIMIT 1),
+    ${alias}.steam_id
+  )`;
+}
+
+export class WhitelistRepository extends BaseRepository {
+  declare private _stmts: {
+    insertApplication: Database.Statement;
+    getApplication: Database.Statement;
+    getPendingForSteamId: Database.Statement;
+    getLatestForDiscordId: Database.Statement;
+    getPending: Database.Statement;
+    getRecentApplications: Database.Statement;
+    reviewApplication: Database.Statement;
+    setMessageId: Database.Statement;
+    upsertMember: Database.Statement;
+    getMember: Database.Statement;
+    getMembers: Database.Statement;
+    getExpired: Database.Statement;
+    deleteMember: Database.Statement;
+    insertHistory: Database.Statement;
+    getHistory: Database.Statement;
+    getHistoryForSteamId: Database.Statement;
+    getLastAction: Database.Statement;
+  };
+
+  protected _prepareStatements(): void {
+    this._stmts = {
+      insertApplication: this._handle.prepare(`
+        INSERT INTO whitelist_applications (discord_id, discord_name, steam_id, answers) VALUES (?, ?, ?, ?)
+      `),
+      getApplication: this._handle.prepare(
+        `SELECT w.*, ${_playerName('w')} AS player_name FROM whitelist_applications w WHERE w.id = ?`,
+      ),
+      getPendingForSteamId: this._handle.prepare(
+        `SELECT w.*, ${_playerName('w')} AS player_name FROM whitelist_applications w
+         WHERE w.steam_id = ? AND w.status = 'pending' ORDER BY w.id DESC LIMIT 1`,
+      ),
+      getLatestForDiscordId: this._handle.prepare(
+        `SELECT w.*, ${_playerName('w')} AS player_name FROM whitelist_applications w
+         WHERE w.discord_id = ? ORDER BY w.id DESC LIMIT 1`,
+      ),
+      getPending: this._handle.prepare(
+        `SELECT w.*, ${_playerName('w')} AS player_name FROM whitelist_applications w
+         WHERE w.status = 'pending' ORDER BY w.created_at ASC, w.id ASC LIMIT ?`,
+      ),
+      getRecentApplications: this._handle.prepare(
+        `SELECT w.*, ${_playerName('w')} AS player_name FROM whitelist_applications w
+         WHERE w.status != 'pending' ORDER BY w.reviewed_at DESC, w.id DESC LIMIT ?`,
+      ),
+      reviewApplication: this._handle.prepare(`
+        UPDATE whitelist_applications
+        SET status = ?, reviewed_by = ?, reviewed_by_name = ?, review_note = ?, reviewed_at = ?
+        WHERE id = ? AND status = 'pending'
+      `),
+      setMessageId: this._handle.prepare('UPDATE whitelist_applications SET message_id = ? WHERE id = ?'),
+      upsertMember: this._handle.prepare(`
+        INSERT INTO whitelist_members (steam_id, discord_id, servers, application_id, added_by, added_by_name, expires_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(steam_id) DO UPDATE SET
+          discord_id = excluded.discord_id, servers = excluded.servers, application_id = excluded.application_id,
+          added_by = excluded.added_by, added_by_name = excluded.added_by_name,
+          added_at = datetime('now'), expires_at = excluded.expires_at
+      `),
+      getMember: this._handle.prepare(
+        `SELECT m.*, ${_playerName('m')} AS player_name FROM whitelist_members m WHERE m.steam_id = ?`,
+      ),
+      getMembers: this._handle.prepare(
+        `SELECT m.*, ${_playerName('m')} AS player_name FROM whitelist_members m ORDER BY m.added_at DESC`,
+      ),
+      getExpired: this._handle.prepare(
+        `SELECT m.*, ${_playerName('m')} AS player_name FROM whitelist_members m
+         WHERE m.expires_at IS NOT NULL AND m.expires_at <= ? ORDER BY m.expires_at`,
+      ),
+      deleteMember: this._handle.prepare('DELETE FROM whitelist_members WHERE steam_id = ?'),
+      insertHistory: this._handle.prepare(`
+        INSERT INTO whitelist_history (steam_id, action, actor, actor_name, server_id, details)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `),
+      getHistory: this._handle.prepare(
+        `SELECT h.*, ${_playerName('h')} AS player_name FROM whitelist_history h ORDER BY h.id DESC LIMIT ?`,
+      ),
+      getHistoryForSteamId: this._handle.prepare(
+        `SELECT h.*, ${_playerName('h')} AS player_name FROM whitelist_history h
+         WHERE h.steam_id = ? ORDER BY h.id DESC LIMIT ?`,
+      ),
+      getLastAction: this._handle.prepare(
+        "SELECT action FROM whitelist_history WHERE steam_id = ? AND server_id IN ('', ?) ORDER BY id DESC LIMIT 1",
+      ),
+    };
+  }
+
+  // ── Applications ──────────────────────────────────────────
+
+  /** Insert a pending application. Returns its id. */
+  createApplication(discordId: string, discordName: string, steamId: string, answers: unknown[]): number {
+    const info = this._stmts.insertApplication.run(discordId, discordName, steamId, JSON.stringify(answers));
+    return Number(info.lastInsertRowid);
+  }
+
+  getApplication(id: number): WhitelistApplicationRow | null {
+    return (this._stmts.getApplication.get(id) as WhitelistApplicationRow | undefined) ?? null;
+  }
+
+  getPendingForSteamId(steamId: string): WhitelistApplicationRow | null {
+    return (this._stmts.getPendingForSteamId.get(steamId) as WhitelistApplicationRow | undefined) ?? null;
+  }
+
+  /** A Discord user's newest application, whatever its status. */
+  getLatestForDiscordId(discordId: string): WhitelistApplicationRow | null {
+    return (this._stmts.getLatestForDiscordId.get(discordId) as WhitelistApplicationRow | undefined) ?? null;
+  }
+
+  /** Pending applications, oldest first. */
+  getPending(limit = 50): WhitelistApplicationRow[] {
+    return this._stmts.getPending.all(limit) as WhitelistApplicationRow[];
+  }
+
+  /** Reviewed applications, most recent first. */
+  getRecentApplications(limit = 25): WhitelistApplicationRow[] {
+    return this._stmts.getRecentApplications.all(limit) as WhitelistApplicationRow[];
+  }
+
+  /** pending → approved/denied. Returns false if the application was already reviewed. */
+  reviewApplication(
+    id: number,
+    status: Exclude<WhitelistApplicationStatus, 'pending'>,
+    reviewer: { id: string; name: string },
+    note: string,
+    reviewedAt: string,
+  ): boolean {
+    return this._stmts.reviewApplication.run(status, reviewer.id, reviewer.name, note, reviewedAt, id).changes > 0;
+  }
+
+  setMessageId(id: number, messageId: string): void {
+    this._stmts.setMessageId.run(messageId, id);
+  }
+
+  // ── Members ───────────────────────────────────────────────
+
+  /** Add a member or replace their entry (servers, expiry, who added them). */
+  upsertMember(member: NewWhitelistMember): void {
+    this._stmts.upsertMember.run(
+      member.steamId,
+      member.discordId ?? '',
+      JSON.stringify(member.servers),
+      member.applicationId ?? null,
+      member.addedBy ?? '',
+      member.addedByName ?? '',
+      member.expiresAt ?? null,
+    );
+  }
+
+  getMember(steamId: string): WhitelistMemberRow | null {
+    return (this._stmts.getMember.get(steamId) as WhitelistMemberRow | undefined) ?? null;
+  }
+
+  /** All members, most recently added first. */
+  getMembers(): WhitelistMemberRow[] {
+    return this._stmts.getMembers.all() as WhitelistMemberRow[];
+  }
+
+  /** Trial members whose expiry is at or before `now` (DB timestamp). */
+  getExpired(now: string): WhitelistMemberRow[] {
+    return this._stmts.getExpired.all(now) as WhitelistMemberRow[];
+  }
+
+  removeMember(steamId: string): boolean {
+    return this._stmts.deleteMember.run(steamId).changes > 0;
+  }
+
+  // ── History ───────────────────────────────────────────────
+
+  addHistory(entry: NewWhitelistHistory): void {
+    this._stmts.insertHistory.run(
+      entry.steamId,
+      entry.action,
+      entry.actor ?? '',
+      entry.actorName ?? '',
+      entry.serverId ?? '',
+      entry.details ?? '',
+    );
+  }
+
+  /** Most recent history entries, optionally for one SteamID. */
+  getHistory(limit = 50, steamId: string | null = null): WhitelistHistoryRow[] {
+    return (
+      steamId ? this._stmts.getHistoryForSteamId.all(steamId, limit) : this._stmts.getHistory.all(limit)
+    ) as WhitelistHistoryRow[];
+  }
+
+  /** Latest global or `serverId`-specific action recorded for a SteamID, or null. */
+  getLastAction(steamId: string, serverId = ''): WhitelistAction | null {
+    const row = this._stmts.getLastAction.get(steamId, serverId) as { action: WhitelistAction } | undefined;
+    return row?.action ?? null;
+  }
+}
@@ -9,7 +9,7 @@
  * Schema is applied via database.js on first run and auto-migrated on updates.
  */
 
-const SCHEMA_VERSION = 23;
+const SCHEMA_VERSION = 35;
 
 // ─── Player data ────────────────────────────────────────────────────────────
 
@@ -997,9 +997,11 @@ CREATE TABLE IF NOT EXISTS timeline_snapshots (
   airdrop_y       REAL,
   airdrop_ai_alive INTEGER DEFAULT 0,
   summary         TEXT DEFAULT '{}',           -- JSON: game difficulty, misc world state
+  tier            INTEGER DEFAULT 0,           -- 0 full, 1 first of its hour, 2 first of its day
   created_at      TEXT DEFAULT (datetime('now'))
 );
 CREATE INDEX IF NOT EXISTS idx_tl_snap_created ON timeline_snapshots(created_at);
+CREATE INDEX IF NOT EXISTS idx_tl_snap_tier ON timeline_snapshots(tier, created_at);
 CREATE INDEX IF NOT EXISTS idx_tl_snap_day ON timeline_snapshots(game_day);
 `;
 
@@ -1158,6 +1160,7 @@ CREATE TABLE IF NOT EXISTS death_causes (
   cause_name      TEXT DEFAULT '',              -- classified name: 'Runner', 'Wolf', 'PlayerX'
   cause_raw       TEXT DEFAULT '',              -- raw BP_ name from log
   damage_total    REAL DEFAULT 0,
+  damage_breakdown TEXT DEFAULT '[]',           -- JSON: [{source, type, damage, hits}] in the kill window
   pos_x           REAL,
   pos_y           REAL,
   pos_z           REAL,
@@ -1167,6 +1170,21 @@ CREATE INDEX IF NOT EXISTS idx_death_cause_victim ON death_causes(victim_name);
 CREATE INDEX IF NOT EXISTS idx_death_cause_type ON death_causes(cause_type);
 CREATE INDEX IF NOT EXISTS idx_death_cause_created ON death_causes(created_at);
 CREATE INDEX IF NOT EXISTS idx_death_cause_steam ON death_causes(victim_steam_id);
+
+CREATE TABLE IF NOT EXISTS death_recaps (
+  death_id        INTEGER PRIMARY KEY,          -- death_causes.id
+  steam_id        TEXT DEFAULT '',
+  last_x          REAL,                         -- last saved position before the death
+  last_y          REAL,
+  body_x          REAL,                         -- dropped backpack (NULL until a save shows it)
+  body_y          REAL,
+  body_z          REAL,
+  items           TEXT DEFAULT '[]',            -- JSON: [{item, amount}] in the backpack, or carried at the last save
+  located         INTEGER DEFAULT 0,            -- 1 = backpack found on a save sync
+  notified        INTEGER DEFAULT 0,            -- recap posts delivered
+  created_at      TEXT DEFAULT (datetime('now'))
+);
+CREATE INDEX IF NOT EXISTS idx_deathr_steam ON death_recaps(steam_id);
 `;
 
 // ─── Meta ───────────────────────────────────────────────────────────────────
@@ -1343,6 +1361,7 @@ CREATE TABLE IF NOT EXISTS hmz_territories (
   center_x        REAL NOT NULL,                -- UE4 world X
   center_y        REAL NOT NULL,                -- UE4 world Y
   radius          REAL DEFAULT 15000,           -- capture radius in UE4 units (~150m)
+  polygon         TEXT,                         -- JSON [[x, y], ...] in UE4 world coords (NULL = use radius)
   controlling_faction TEXT,                     -- FK to hmz_factions.id (NULL = contested)
   control_score_reapers  INTEGER DEFAULT 0,     -- scoring points per faction
   control_score_wardens  INTEGER DEFAULT 0,
@@ -1434,12 +1453,15 @@ CREATE TABLE IF NOT EXISTS hmz_transactions (
   id              INTEGER PRIMARY KEY AUTOINCREMENT,
   steam_id        TEXT NOT NULL,
   type            TEXT NOT NULL,                -- 'quest_reward', 'bounty_reward', 'bounty_place',
-                                                -- 'territory_bonus', 'kill_reward', 'war_fund',
-                                                -- 'trade', 'admin_grant', 'admin_deduct', 'season_reward'
+                                                -- 'territory_bonus', 'kill_reward', 'survival_reward',
+                                                -- 'milestone_reward', 'war_fund', 'trade', 'transfer',
+                                                -- 'admin_grant', 'admin_deduct', 'season_reward',
+                                                -- 'event_reward'
   amount          INTEGER NOT NULL,             -- positive = earned, negative = spent
   balance_after   INTEGER DEFAULT 0,            -- snapshot of credits after this transaction
   description     TEXT DEFAULT '',              -- human-readable reason
   related_id      TEXT,                         -- quest_id, bounty_id, territory_id, etc.
+  actor           TEXT DEFAULT '',              -- who initiated it (panel user, Discord user, SteamID)
   created_at      TEXT DEFAULT (datetime('now'))
 );
 CREATE INDEX IF NOT EXISTS idx_hmztx_steam  ON hmz_transactions(steam_id);
@@ -1499,8 +1521,252 @@ CREATE TABLE IF NOT EXISTS hmz_wipes (
   name            TEXT DEFAULT '',              -- 'Season 1'
   started_at      TEXT DEFAULT (datetime('now')),
   ended_at        TEXT,                         -- NULL = current wipe
-  config          TEXT DEFAULT '{}'             -- JSON: wipe-specific config overrides
+  config          TEXT DEFAULT '{}',            -- JSON: wipe-specific config overrides
+  summary         TEXT                          -- JSON: frozen leaderboards + totals (set when the season ends)
+);
+`;
+
+// ─── Archived per-player season stats (frozen at season end) ────────────────
+
+const SEASON_PLAYER_STATS = `
+CREATE TABLE IF NOT EXISTS season_player_stats (
+  wipe_id          TEXT NOT NULL,               -- FK to hmz_wipes.id
+  steam_id         TEXT NOT NULL,
+  name             TEXT DEFAULT '',
+  kills            INTEGER DEFAULT 0,
+  headshots        INTEGER DEFAULT 0,
+  melee_kills      INTEGER DEFAULT 0,
+  gun_kills        INTEGER DEFAULT 0,
+  blast_kills      INTEGER DEFAULT 0,
+  fist_kills       INTEGER DEFAULT 0,
+  takedown_kills   INTEGER DEFAULT 0,
+  vehicle_kills    INTEGER DEFAULT 0,
+  days_survived    INTEGER DEFAULT 0,
+  times_bitten     INTEGER DEFAULT 0,
+  fish_caught      INTEGER DEFAULT 0,
+  fish_caught_pike INTEGER DEFAULT 0,
+  deaths           INTEGER DEFAULT 0,
+  pvp_kills        INTEGER DEFAULT 0,
+  pvp_deaths       INTEGER DEFAULT 0,
+  builds           INTEGER DEFAULT 0,
+  loots            INTEGER DEFAULT 0,
+  raids_out        INTEGER DEFAULT 0,
+  raids_in         INTEGER DEFAULT 0,
+  damage_taken     INTEGER DEFAULT 0,
+  connects         INTEGER DEFAULT 0,
+  playtime_seconds INTEGER DEFAULT 0,
+  session_count    INTEGER DEFAULT 0,
+  killed_by        TEXT DEFAULT '{}',           -- JSON: { cause: count }
+  kill_tracker     TEXT DEFAULT '{}',           -- JSON: KillTracker record at season end
+  archived_at      TEXT DEFAULT (datetime('now')),
+  PRIMARY KEY (wipe_id, steam_id)
+);
+CREATE INDEX IF NOT EXISTS idx_sps_steam ON season_player_stats(steam_id);
+`;
+
+// ─── Discord ↔ SteamID account links ────────────────────────────────────────
+
+const ACCOUNT_LINKS = `
+CREATE TABLE IF NOT EXISTS account_links (
+  discord_id      TEXT PRIMARY KEY,             -- Discord user ID
+  steam_id        TEXT NOT NULL UNIQUE,         -- one Discord account per SteamID
+  discord_name    TEXT DEFAULT '',              -- Discord username at link time
+  linked_at       TEXT DEFAULT (datetime('now'))
+);
+`;
+
+// ─── Whitelist applications, members and review history ─────────────────────
+
+const WHITELIST = `
+CREATE TABLE IF NOT EXISTS whitelist_applications (
+  id              INTEGER PRIMARY KEY AUTOINCREMENT,
+  discord_id      TEXT NOT NULL,                -- applicant
+  discord_name    TEXT DEFAULT '',
+  steam_id        TEXT NOT NULL,
+  answers         TEXT DEFAULT '[]',            -- JSON: [{ question, answer }]
+  status          TEXT DEFAULT 'pending',       -- 'pending', 'approved', 'denied'
+  reviewed_by     TEXT DEFAULT '',              -- Discord ID (or panel user) of the reviewer
+  reviewed_by_name TEXT DEFAULT '',
+  review_note     TEXT DEFAULT '',
+  message_id      TEXT DEFAULT '',              -- review message in WHITELIST_CHANNEL_ID
+  created_at      TEXT DEFAULT (datetime('now')),
+  reviewed_at     TEXT
+);
+CREATE INDEX IF NOT EXISTS idx_wla_status ON whitelist_applications(status);
+CREATE INDEX IF NOT EXISTS idx_wla_steam  ON whitelist_applications(steam_id);
+
+CREATE TABLE IF NOT EXISTS whitelist_members (
+  steam_id        TEXT PRIMARY KEY,
+  discord_id      TEXT DEFAULT '',
+  servers         TEXT DEFAULT '[]',            -- JSON: server ids ('primary' = this bot's own server)
+  application_id  INTEGER,                      -- FK to whitelist_applications.id (NULL = added by hand)
+  added_by        TEXT DEFAULT '',
+  added_by_name   TEXT DEFAULT '',
+  added_at        TEXT DEFAULT (datetime('now')),
+  expires_at      TEXT                          -- trial members only; NULL = permanent
+);
+CREATE INDEX IF NOT EXISTS idx_wlm_expires ON whitelist_members(expires_at);
+
+CREATE TABLE IF NOT EXISTS whitelist_history (
+  id              INTEGER PRIMARY KEY AUTOINCREMENT,
+  steam_id        TEXT NOT NULL,
+  action          TEXT NOT NULL,                -- 'applied', 'approved', 'denied', 'added', 'removed',
+                                                -- 'expired', 'imported', 'repaired'
+  actor           TEXT DEFAULT '',              -- Discord ID / panel user; 'system' for the reconciler
+  actor_name      TEXT DEFAULT '',
+  server_id       TEXT DEFAULT '',              -- set for per-server repairs
+  details         TEXT DEFAULT '',
+  created_at      TEXT DEFAULT (datetime('now'))
+);
+CREATE INDEX IF NOT EXISTS idx_wlh_steam ON whitelist_history(steam_id);
+`;
+
+// ─── Ban registry ───────────────────────────────────────────────────────────
+
+const BANS = `
+CREATE TABLE IF NOT EXISTS bans (
+  id              INTEGER PRIMARY KEY AUTOINCREMENT,
+  steam_id        TEXT NOT NULL,
+  reason          TEXT DEFAULT '',
+  notes           TEXT DEFAULT '',              -- moderator-only notes
+  evidence        TEXT DEFAULT '[]',            -- JSON: anticheat_flags ids
+  servers         TEXT DEFAULT '[]',            -- JSON: server ids the ban was pushed to ('primary' = this server)
+  status          TEXT DEFAULT 'active',        -- 'active', 'lifted', 'expired'
+  banned_by       TEXT DEFAULT '',              -- Discord ID (or panel user) of the moderator
+  banned_by_name  TEXT DEFAULT '',
+  created_at      TEXT DEFAULT (datetime('now')),
+  expires_at      TEXT,                         -- NULL = permanent
+  lifted_by       TEXT DEFAULT '',
+  lifted_by_name  TEXT DEFAULT '',
+  lift_reason     TEXT DEFAULT '',
+  lifted_at       TEXT
+);
+CREATE INDEX IF NOT EXISTS idx_bans_steam   ON bans(steam_id);
+CREATE INDEX IF NOT EXISTS idx_bans_status  ON bans(status, expires_at);
+`;
+
+// ─── Outbound webhooks ──────────────────────────────────────────────────────
+
+const WEBHOOKS = `
+CREATE TABLE IF NOT EXISTS webhooks (
+  id              INTEGER PRIMARY KEY AUTOINCREMENT,
+  url             TEXT NOT NULL,
+  secret          TEXT NOT NULL,                -- HMAC-SHA256 signing key
+  events          TEXT DEFAULT '[]',            -- JSON: subscribed event types ('*' = all)
+  description     TEXT DEFAULT '',
+  enabled         INTEGER DEFAULT 1,
+  created_by      TEXT DEFAULT '',
+  created_at      TEXT DEFAULT (datetime('now'))
+);
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id              INTEGER PRIMARY KEY AUTOINCREMENT,
+  webhook_id      INTEGER NOT NULL,
+  event           TEXT NOT NULL,
+  payload         TEXT NOT NULL,                -- JSON body, signed as sent
+  status          TEXT DEFAULT 'pending',       -- 'pending', 'delivered', 'failed'
+  attempts        INTEGER DEFAULT 0,
+  next_attempt_at TEXT DEFAULT (datetime('now')),
+  last_error      TEXT DEFAULT '',
+  response_status INTEGER,
+  created_at      TEXT DEFAULT (datetime('now')),
+  delivered_at    TEXT
+);
+CREATE INDEX IF NOT EXISTS idx_whd_due     ON webhook_deliveries(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_whd_webhook ON webhook_deliveries(webhook_id, id);
+`;
+
+// ─── PvP engagements ────────────────────────────────────────────────────────
+
+const PVP_FIGHTS = `
+CREATE TABLE IF NOT EXISTS pvp_fights (
+  id              INTEGER PRIMARY KEY AUTOINCREMENT,
+  victim_name     TEXT NOT NULL,
+  victim_steam_id TEXT DEFAULT '',
+  killer_name     TEXT DEFAULT '',              -- empty when the fight ended without a kill
+  killer_steam_id TEXT DEFAULT '',
+  outcome         TEXT NOT NULL,                -- 'kill', 'disengaged'
+  started_at      TEXT NOT NULL,                -- first hit
+  ended_at        TEXT NOT NULL,                -- death, or last hit when disengaged
+  duration_sec    INTEGER DEFAULT 0,
+  total_damage    REAL DEFAULT 0,
+  hits            INTEGER DEFAULT 0,
+  weapon          TEXT DEFAULT '',              -- killer's weapon when the log names one
+  pos_x           REAL,                         -- victim position from the timeline (NULL = unknown)
+  pos_y           REAL,
+  created_at      TEXT DEFAULT (datetime('now'))
 );
+CREATE INDEX IF NOT EXISTS idx_pvpf_ended  ON pvp_fights(ended_at);
+CREATE INDEX IF NOT EXISTS idx_pvpf_victim ON pvp_fights(victim_steam_id, ended_at);
+CREATE INDEX IF NOT EXISTS idx_pvpf_killer ON pvp_fights(killer_steam_id, ended_at);
+
+CREATE TABLE IF NOT EXISTS pvp_fight_participants (
+  fight_id        INTEGER NOT NULL,
+  attacker_name   TEXT NOT NULL,
+  attacker_steam_id TEXT DEFAULT '',
+  role            TEXT NOT NULL,                -- 'killer', 'assist', 'attacker'
+  damage          REAL DEFAULT 0,
+  hits            INTEGER DEFAULT 0,
+  weapon          TEXT DEFAULT '',
+  first_hit_at    TEXT NOT NULL,
+  last_hit_at     TEXT NOT NULL,
+  PRIMARY KEY (fight_id, attacker_name)
+);
+CREATE INDEX IF NOT EXISTS idx_pvpp_attacker ON pvp_fight_participants(attacker_steam_id);
+`;
+
+// ─── Raid alerts ────────────────────────────────────────────────────────────
+
+const RAID_REPORTS = `
+CREATE TABLE IF NOT EXISTS raid_reports (
+  id              INTEGER PRIMARY KEY AUTOINCREMENT,
+  owner_steam_id  TEXT NOT NULL,                -- owner of the first structure hit
+  owner_name      TEXT DEFAULT '',
+  clan_name       TEXT DEFAULT '',              -- set when the raid was grouped by clan
+  started_at      TEXT NOT NULL,                -- first hit
+  ended_at        TEXT NOT NULL,                -- last hit
+  hits            INTEGER DEFAULT 0,
+  destroyed       INTEGER DEFAULT 0,
+  structures      TEXT DEFAULT '[]',            -- JSON: [{name, damaged, destroyed}]
+  attackers       TEXT DEFAULT '[]',            -- JSON: [{name, steamId, hits, destroyed}]
+  items_lost      TEXT DEFAULT '[]',            -- JSON: [{item, amount, takenBy}]
+  pos_x           REAL,                         -- base position (NULL = unknown)
+  pos_y           REAL,
+  snippet         TEXT DEFAULT '',              -- emoji map around the base
+  notified        INTEGER DEFAULT 0,            -- report DMs delivered
+  created_at      TEXT DEFAULT (datetime('now'))
+);
+CREATE INDEX IF NOT EXISTS idx_raidr_owner ON raid_reports(owner_steam_id, ended_at);
+CREATE INDEX IF NOT EXISTS idx_raidr_clan  ON raid_reports(clan_name, ended_at);
+
+CREATE TABLE IF NOT EXISTS raid_alert_optouts (
+  discord_id      TEXT PRIMARY KEY,
+  created_at      TEXT DEFAULT (datetime('now'))
+);
+`;
+
+// ─── Admin audit log (hash-chained) ─────────────────────────────────────────
+
+const ADMIN_AUDIT = `
+CREATE TABLE IF NOT EXISTS admin_audit (
+  id              INTEGER PRIMARY KEY AUTOINCREMENT,
+  source          TEXT NOT NULL DEFAULT 'panel',  -- panel | discord
+  actor_id        TEXT DEFAULT '',                -- Discord user ID
+  actor_name      TEXT DEFAULT '',
+  session         TEXT DEFAULT '',                -- hash prefix of the panel session ID
+  tier            TEXT DEFAULT '',                -- access tier at the time of the action
+  server_id       TEXT DEFAULT 'primary',
+  action          TEXT NOT NULL,
+  params          TEXT DEFAULT '{}',              -- JSON, secrets redacted
+  result          TEXT NOT NULL,                  -- ok | error | denied
+  detail          TEXT DEFAULT '',                -- HTTP status / error code
+  prev_hash       TEXT NOT NULL,
+  hash            TEXT NOT NULL,                  -- SHA-256 over prev_hash and this row
+  created_at      TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_audit_created ON admin_audit(created_at);
+CREATE INDEX IF NOT EXISTS idx_audit_actor   ON admin_audit(actor_id, id);
+CREATE INDEX IF NOT EXISTS idx_audit_action  ON admin_audit(action, id);
 `;
 
 // ─── Indexes ────────────────────────────────────────────────────────────────
@@ -1593,6 +1859,14 @@ const ALL_TABLES = [
   HMZ_EVENTS,
   HMZ_EVENT_SCORES,
   HMZ_WIPES,
+  SEASON_PLAYER_STATS,
+  ACCOUNT_LINKS,
+  WHITELIST,
+  BANS,
+  WEBHOOKS,
+  PVP_FIGHTS,
+  RAID_REPORTS,
+  ADMIN_AUDIT,
   INDEXES,
   CONFIG_DOCUMENTS,
 ];
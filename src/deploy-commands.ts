@@ -4,20 +4,24 @@ import { REST, Routes } from 'discord.js';
 import fs from 'node:fs';
 import path from 'node:path';
 import { getDirname } from './utils/paths.js';
+import { guildIds } from './config/guilds.js';
+import { discoverPlugins, parsePluginList, resolvePluginsDir } from './plugins/plugin-discovery.js';
 
 const __dirname = getDirname(import.meta.url);
 
 // Only need Discord credentials for deploying commands — skip full config validation
 const token = process.env['DISCORD_TOKEN'];
 const clientId = process.env['DISCORD_CLIENT_ID'];
-const guildId = process.env['DISCORD_GUILD_ID'];
+// DISCORD_GUILD_ID plus any further guilds listed in data/guilds.json
+const guilds = guildIds(process.env['DISCORD_GUILD_ID']);
 
-if (!token || !clientId || !guildId) {
+if (!token || !clientId || guilds.length === 0) {
   console.error('[DEPLOY] Missing DISCORD_TOKEN, DISCORD_CLIENT_ID, or DISCORD_GUILD_ID in .env');
   process.exit(1);
 }
 
 const commands: unknown[] = [];
+const names = new Set<string>();
 const commandsPath = path.join(__dirname, 'commands');
 const commandFiles = fs
   .readdirSync(commandsPath)
@@ -31,15 +35,38 @@ void (async () => {
       const command = (await import(path.join(commandsPath, file))) as { data?: { name: string; toJSON(): unknown } };
       if (command.data) {
         commands.push(command.data.toJSON());
+        names.add(command.data.name);
         console.log(`[DEPLOY] Loaded command: /${command.data.name}`);
       }
     }
 
-    console.log(`[DEPLOY] Registering ${String(commands.length)} slash commands...`);
+    // Plugin commands — built-in names win, as they do in the running bot
+    if (process.env['ENABLE_PLUGINS'] !== 'false') {
+      const plugins = await discoverPlugins(resolvePluginsDir(process.env['PLUGINS_DIR'] ?? ''), {
+        disabled: parsePluginList(process.env['DISABLED_PLUGINS'] ?? ''),
+      });
+      for (const found of plugins) {
+        for (const command of found.plugin?.commands ?? []) {
+          if (names.has(command.data.name)) continue;
+          commands.push(command.data.toJSON());
+          names.add(command.data.name);
+          console.log(`[DEPLOY] Loaded command: /${command.data.name} (plugin ${found.name})`);
+        }
+      }
+    }
 
-    await rest.put(Routes.applicationGuildCommands(clientId, guildId), { body: commands });
+    let failed = 0;
+    for (const guildId of guilds) {
+      console.log(`[DEPLOY] Registering ${String(commands.length)} slash commands with guild ${guildId}...`);
+      try {
+        await rest.put(Routes.applicationGuildCommands(clientId, guildId), { body: commands });
+      } catch (err) {
+        failed++;
+        console.error(`[DEPLOY] Failed for guild ${guildId}:`, err);
+      }
+    }
 
-    console.log('[DEPLOY] Successfully registered all commands!');
+    if (failed === 0) console.log('[DEPLOY] Successfully registered all commands!');
   } catch (err) {
     console.error('[DEPLOY] Failed:', err);
   }
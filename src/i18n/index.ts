@@ -2,6 +2,7 @@ import i18next from 'i18next';
 import path from 'node:path';
 import fs from 'node:fs';
 import config from '../config/index.js';
+import { getGuild } from '../config/guilds.js';
 import { getDirname } from '../utils/paths.js';
 
 const __dirname = getDirname(import.meta.url);
@@ -55,6 +56,8 @@ void initI18n();
 
 interface LocaleContext {
   locale?: string;
+  /** Discord guild the text is for — its guilds.json locale beats the server's. */
+  guildId?: string | null;
   serverConfig?: { locale?: string; botLocale?: string };
 }
 
@@ -74,6 +77,9 @@ export function getLocale(context: LocaleContext = {}): string {
   const explicitLocale = normalizeSupportedLocale(context.locale);
   if (explicitLocale) return explicitLocale;
 
+  const guildLocale = normalizeSupportedLocale(getGuild(context.guildId)?.locale);
+  if (guildLocale) return guildLocale;
+
   const serverLocale = normalizeSupportedLocale(context.serverConfig?.locale);
   if (serverLocale) return serverLocale;
 
@@ -164,4 +170,22 @@ export function getLocalizations(key: string): Record<string, string> {
   return result;
 }
 
+/**
+ * Register an extra namespace (used by bot plugins) from `<dir>/<lng>.json`.
+ * Missing or unreadable files are skipped; returns the languages loaded.
+ */
+export function addNamespace(ns: string, dir: string): SupportedLang[] {
+  const loaded: SupportedLang[] = [];
+  for (const lng of SUPPORTED_LANGS) {
+    try {
+      const content = fs.readFileSync(path.join(dir, `${lng}.json`), 'utf8');
+      i18next.addResourceBundle(lng, ns, JSON.parse(content) as Record<string, unknown>, true, true);
+      loaded.push(lng);
+    } catch {
+      // No translation for this language — fallbackLng covers it
+    }
+  }
+  return loaded;
+}
+
 export { i18next };
@@ -8,18 +8,21 @@ import { getDirname } from './utils/paths.js';
 const __dirname = getDirname(import.meta.url);
 
 // ── Structured logging system ──────────────────────────────
-// Initializes the global logger with console (human-readable) + file (JSON) transports.
-// All modules using createLogger() automatically write to both outputs.
-import { initLogger, shutdownLogger } from './logger/logger.js';
+// Builds the global logger's transports (console, rotated files, syslog, HTTP…)
+// from the LOG_* settings. All modules using createLogger() write through them.
+import { initLogger, shutdownLogger, flushLogger } from './logger/logger.js';
+import { buildLoggerConfig } from './logger/config.js';
 import { createLogger } from './utils/log.js';
 import { errMsg } from './utils/error.js';
-initLogger();
 
 import config from './config/index.js';
+initLogger(buildLoggerConfig(config));
 import { isAdminView as _isAdminViewRaw, setConfigValue } from './config/index.js';
+import { guildIds, guildTargets } from './config/guilds.js';
 import rcon from './rcon/rcon.js';
-import { getServerInfo, getPlayerList, sendAdminMessage } from './rcon/server-info.js';
+import { getServerInfo, getPlayerList, sendAdminMessage, type RconTarget } from './rcon/server-info.js';
 import ChatRelay from './modules/chat-relay.js';
+import ChatCommandRouter from './modules/chat-commands.js';
 import StatusChannels from './modules/status-channels.js';
 import ServerStatus from './modules/server-status.js';
 import PlayerPresenceTracker from './modules/player-presence.js';
@@ -37,6 +40,31 @@ import { postAdminAlert } from './utils/admin-alert.js';
 import ActivityLog from './modules/activity-log.js';
 import MilestoneTracker from './modules/milestone-tracker.js';
 import RecapService from './modules/recap-service.js';
+import bountyBoard from './modules/bounty-board.js';
+import pvpAnalytics from './modules/pvp-analytics.js';
+import factionManager from './modules/faction-manager.js';
+import economy from './modules/economy.js';
+import eventScheduler from './modules/event-scheduler.js';
+import accountLinker from './modules/account-linker.js';
+import whitelistManager from './modules/whitelist-manager.js';
+import banManager from './modules/ban-manager.js';
+import webhookDispatcher from './modules/webhook-dispatcher.js';
+import raidAlerts from './modules/raid-alerts.js';
+import offlineRaidGuard from './modules/offline-raid-guard.js';
+import deathRecaps from './modules/death-recap.js';
+import dbBackups, { DATA_DIR, resolveBackupDir } from './modules/db-backups.js';
+import { applyPendingRestore } from './db/db-backup.js';
+import dataRetention, { resolveArchiveDir, type RetentionTarget } from './modules/data-retention.js';
+import adminAudit from './modules/admin-audit.js';
+import pluginLoader from './plugins/plugin-loader.js';
+import liveEvents from './web-map/live-events.js';
+import {
+  APPLY_MODAL_ID as WHITELIST_APPLY_MODAL_ID,
+  REVIEW_BUTTON_PREFIX as WHITELIST_REVIEW_PREFIX,
+  handleApplyModal as handleWhitelistApply,
+  handleReviewButton as handleWhitelistReview,
+} from './commands/whitelist.js';
+import seasonManager from './modules/season-manager.js';
 import HumanitZDB from './db/database.js';
 import SaveService from './parsers/save-service.js';
 import { seed as seedGameReference } from './parsers/game-reference.js';
@@ -312,6 +340,21 @@ client.on(Events.InteractionCreate, (interaction) => {
       return;
     }
 
+    // ── Whitelist application modal + review buttons ──
+    if (
+      (interaction.isModalSubmit() && interaction.customId === WHITELIST_APPLY_MODAL_ID) ||
+      (interaction.isButton() && interaction.customId.startsWith(WHITELIST_REVIEW_PREFIX))
+    ) {
+      try {
+        if (interaction.isModalSubmit()) await handleWhitelistApply(interaction);
+        else if (interaction.isButton()) await handleWhitelistReview(interaction);
+      } catch (err: unknown) {
+        // Interaction token expired or already acknowledged
+        console.warn('[BOT] Whitelist interaction failed:', errMsg(err));
+      }
+      return;
+    }
+
     // ── Slash commands ──
     if (!interaction.isChatInputCommand()) return;
 
@@ -380,6 +423,7 @@ const moduleStatus: Record<string, string> = {};
 
 function setStatus(name: string, status: string): void {
   moduleStatus[name] = status;
+  liveEvents.publishModuleStatus('primary', name, status);
   if (botStatusManager) botStatusManager.refreshNow().catch(() => {});
 }
 
@@ -484,7 +528,7 @@ async function startServerStatusModule(readyClient: Client): Promise<void> {
   if (serverStatusStartPromise) return serverStatusStartPromise;
 
   serverStatusStartPromise = (async () => {
-    if (!config.serverStatusChannelId) {
+    if (!config.serverStatusChannelId && !guildTargets('primary', 'serverStatus').length) {
       setStatus('Server Status', '🟡 Skipped (SERVER_STATUS_CHANNEL_ID not set)');
       console.log('[BOT] Server status skipped — SERVER_STATUS_CHANNEL_ID not configured');
       return;
@@ -545,6 +589,11 @@ async function startPlayerStatsModule(readyClient: Client): Promise<void> {
     const nextPlayerStatsChannel = new PlayerStatsChannel(readyClient, logWatcher, {
       db,
       panelApi: panelApi.available ? panelApi : null,
+      onAccumulate: (result) => {
+        factionManager.onKillDeltas(result);
+        economy.onKillDeltas(result);
+        eventScheduler.onKillDeltas(result);
+      },
     });
     playerStatsChannel = nextPlayerStatsChannel;
     try {
@@ -667,10 +716,24 @@ function _findMultiServerPlayerStatsChannelById(serverId: string): InstanceType<
   return instance.getPlayerStatsChannel();
 }
 
+/** Every game server the bot can send RCON to: the primary server plus running managed instances. */
+function _rconTargets(): RconTarget[] {
+  const targets: RconTarget[] = [
+    { id: 'primary', name: config.serverName || 'Primary Server', send: (command) => rcon.send(command) },
+  ];
+  if (multiServerManager) {
+    for (const [id, instance] of multiServerManager.getInstances()) {
+      if (!instance.running) continue;
+      targets.push({ id, name: instance.name || id, send: (command) => instance.rcon.send(command) });
+    }
+  }
+  return targets;
+}
+
 client.once(Events.ClientReady, (readyClient) => {
   void (async () => {
     console.log(`[BOT] Logged in as ${readyClient.user.tag}`);
-    console.log(`[BOT] Serving guild: ${config.guildId}`);
+    console.log(`[BOT] Serving guild: ${guildIds(config.guildId).join(', ')}`);
 
     // Auto-sync .env with .env.example on startup
     try {
@@ -690,16 +753,16 @@ client.once(Events.ClientReady, (readyClient) => {
       console.error('[BOT] .env auto-sync failed:', errMsg(err));
     }
 
-    // Auto-deploy slash commands on startup
-    try {
-      const rest = new REST({ version: '10' }).setToken(config.discordToken ?? '');
-      const commandData = [...slashCommands.values()].map((c) => c.data.toJSON());
-      await rest.put(Routes.applicationGuildCommands(config.clientId ?? '', config.guildId ?? ''), {
-        body: commandData,
-      });
-      console.log(`[BOT] Registered ${commandData.length} slash commands with Discord`);
-    } catch (err: unknown) {
-      console.error('[BOT] Failed to register slash commands:', errMsg(err));
+    // Auto-deploy slash commands on startup, to every guild served (data/guilds.json)
+    const rest = new REST({ version: '10' }).setToken(config.discordToken ?? '');
+    const commandData = [...slashCommands.values()].map((c) => c.data.toJSON());
+    for (const guildId of guildIds(config.guildId)) {
+      try {
+        await rest.put(Routes.applicationGuildCommands(config.clientId ?? '', guildId), { body: commandData });
+        console.log(`[BOT] Registered ${commandData.length} slash commands with guild ${guildId}`);
+      } catch (err: unknown) {
+        console.error(`[BOT] Failed to register slash commands with guild ${guildId}:`, errMsg(err));
+      }
     }
 
     console.log('[BOT] Ready!');
@@ -716,6 +779,9 @@ client.once(Events.ClientReady, (readyClient) => {
     // Stage 4: TTL cleanup — remove backup rows older than 7 days
     cleanupBackupKeys(db);
 
+    // Admin audit log — always on; the chain lives in the primary database
+    adminAudit.start({ db, client: readyClient, config });
+
     // ── One-time config migration (.env + servers.json → config_documents) ──
     configRepo = new ConfigRepository(db);
 
@@ -758,6 +824,8 @@ client.once(Events.ClientReady, (readyClient) => {
     backupCriticalBotStateKeys(db);
 
     config.hydrate(configRepo);
+    // LOG_* settings saved from the panel live in the DB — rebuild the transports from them
+    initLogger(buildLoggerConfig(config));
     config.loadDisplayOverrides(db); // Legacy no-op — kept for backward compat
     panelApi.invalidateConfig();
     runtimeConfigApplier.registerConnectionReconnect('PANEL_SERVER_URL', ({ cfgKey, value }) => {
@@ -780,6 +848,36 @@ client.once(Events.ClientReady, (readyClient) => {
       const nextTtl = serverResources.reconfigure({ resourceCacheTtl: value });
       if (nextTtl !== null) setConfigValue(config, cfgKey, nextTtl);
     });
+    // Logging settings rebuild the transports in place
+    for (const envKey of [
+      'LOG_TRANSPORTS',
+      'LOG_LEVEL',
+      'LOG_CATEGORY_LEVELS',
+      'LOG_ROTATE_SIZE_MB',
+      'LOG_RETENTION_DAYS',
+      'LOG_SYSLOG_HOST',
+      'LOG_SYSLOG_PORT',
+      'LOG_SYSLOG_PROTOCOL',
+      'LOG_HTTP_URL',
+      'LOG_HTTP_TOKEN',
+    ]) {
+      runtimeConfigApplier.registerModuleReconfigure(envKey, ({ cfgKey, value }) => {
+        const current = (config as unknown as Record<string, unknown>)[cfgKey];
+        const parsed = typeof value === 'number' ? value : parseInt(typeof value === 'string' ? value : '', 10);
+        setConfigValue(
+          config,
+          cfgKey,
+          typeof current === 'number'
+            ? Number.isFinite(parsed)
+              ? parsed
+              : current
+            : typeof value === 'string'
+              ? value
+              : '',
+        );
+        initLogger(buildLoggerConfig(config));
+      });
+    }
     unregisterCoreConnectionRuntimeHandlers = registerCoreConnectionRuntimeHandlers({
       runtimeConfigApplier,
       config,
@@ -802,6 +900,21 @@ client.once(Events.ClientReady, (readyClient) => {
 
     console.log('[BOT] SQLite database initialised');
 
+    // Seasons — a rollover scheduled before the last restart must run before
+    // the playtime / player-stats caches load, or they would write the old
+    // season's counters straight back.
+    try {
+      seasonManager.init(db);
+      const rolled = seasonManager.applyPendingRollover();
+      if (rolled) {
+        console.log(
+          `[BOT] Season rollover: archived ${rolled.archived.name} (${rolled.players} players), started ${rolled.current.name}`,
+        );
+      }
+    } catch (err: unknown) {
+      console.error('[BOT] Season init failed:', errMsg(err));
+    }
+
     // Initialize playtime tracker (must be before AutoMessages)
     if (config.enablePlaytime) {
       playtime.init();
@@ -1032,7 +1145,7 @@ client.once(Events.ClientReady, (readyClient) => {
       if (!hasSftp()) {
         setStatus('Log Watcher', '🟡 Skipped (SFTP credentials not set)');
         console.log('[BOT] Log watcher skipped — SFTP_HOST/SFTP_USER/SFTP_PASSWORD not configured');
-      } else if (!config.logChannelId) {
+      } else if (!config.logChannelId && !guildTargets('primary', 'log').length) {
         setStatus('Log Watcher', '🟡 Skipped (LOG_CHANNEL_ID not set)');
         console.log('[BOT] Log watcher skipped — LOG_CHANNEL_ID not configured');
       } else {
@@ -1070,13 +1183,64 @@ client.once(Events.ClientReady, (readyClient) => {
       console.log('[BOT] Log watcher disabled via ENABLE_LOG_WATCHER=false');
     }
 
+    // Account Linking — /link codes typed in-game bind Discord users to SteamIDs
+    if (config.enableAccountLinking) {
+      const _logWatcher = logWatcher;
+      accountLinker.start({
+        db,
+        client: readyClient,
+        config,
+        sendAdminMessage,
+        resolveSteamId: _logWatcher ? (name) => _logWatcher.resolveSteamId(name) : null,
+      });
+      if (config.linkedRoleId) {
+        void accountLinker.syncRoles().catch((err: unknown) => {
+          console.warn('[BOT] Linked role sync failed:', errMsg(err));
+        });
+      }
+      setStatus(
+        'Account Linking',
+        config.enableChatRelay ? '🟢 Active' : '🟡 Active (chat relay off — link codes cannot be redeemed)',
+      );
+    } else {
+      setStatus('Account Linking', '⚫ Disabled');
+    }
+
     // Chat Relay — bidirectional chat bridge
     if (config.enableChatRelay) {
-      if (!config.adminChannelId && !config.chatChannelId) {
+      if (!config.adminChannelId && !config.chatChannelId && !guildTargets('primary', 'chat').length) {
         setStatus('Chat Relay', '🟡 Skipped (CHAT_CHANNEL_ID / ADMIN_CHANNEL_ID not set)');
         console.log('[BOT] Chat relay skipped — neither CHAT_CHANNEL_ID nor ADMIN_CHANNEL_ID configured');
       } else {
-        chatRelay = new ChatRelay(readyClient, { db });
+        // In-game !commands — schedulers start later, so resolve them at call time
+        const commands = new ChatCommandRouter({
+          db,
+          getPvpScheduler: () => pvpScheduler,
+          getServerScheduler: () => serverScheduler,
+        });
+        if (config.enableEconomy) {
+          for (const command of economy.chatCommands()) commands.register(command);
+        }
+        chatRelay = new ChatRelay(readyClient, {
+          db,
+          commands,
+          linker: config.enableAccountLinking ? accountLinker : null,
+          onChat: (entry) => {
+            liveEvents.publish('primary', 'chat', entry);
+            pluginLoader.emit('chat', {
+              type: entry.type,
+              playerName: entry.playerName,
+              message: entry.message,
+              isAdmin: entry.isAdmin,
+            });
+            if (!config.enableWebhooks || entry.type !== 'player') return;
+            webhookDispatcher.emit('chat.message', {
+              player: entry.playerName ?? '',
+              message: entry.message,
+              isAdmin: entry.isAdmin,
+            });
+          },
+        });
         const _chatRelay = chatRelay;
         if (config.nukeBot) _chatRelay.setNukeActive(true);
         // If LogWatcher handles activity threads, coordinate day-rollover ordering
@@ -1188,6 +1352,25 @@ client.once(Events.ClientReady, (readyClient) => {
       setStatus('PvP Kill Feed', '⚫ Disabled');
     }
 
+    // ── Data retention — before the save service so legacy purges stand down ──
+    if (config.enableDataRetention) {
+      dataRetention.start({
+        config,
+        archiveDir: resolveArchiveDir(config.dataArchiveDir),
+        getTargets: () => {
+          const targets: RetentionTarget[] = db ? [{ id: 'primary', db }] : [];
+          for (const [id, instance] of multiServerManager?.getInstances() ?? []) {
+            if (instance.running) targets.push({ id, db: instance.db });
+          }
+          return targets;
+        },
+      });
+      const families = dataRetention.policies.map((p) => p.family).join(', ');
+      setStatus('Data Retention', families ? `🟢 Active (${families})` : '🟡 Active (no valid policies)');
+    } else {
+      setStatus('Data Retention', '⚫ Disabled');
+    }
+
     // Save Service — save-file polling → SQLite sync (SFTP, Panel API, or agent)
     if (hasSftp() || panelApi.available) {
       saveService = new SaveService(db, {
@@ -1203,6 +1386,7 @@ client.once(Events.ClientReady, (readyClient) => {
         agentTimeout: config.agentTimeout,
         agentTrigger: config.agentTrigger as 'auto' | 'ssh' | 'rcon' | 'panel' | 'none' | undefined,
         agentPanelCommand: config.agentPanelCommand,
+        retentionManaged: (family) => dataRetention.manages(family),
         agentPanelDelay: config.agentPanelDelay,
 
         panelApi: panelApi.available ? panelApi : undefined,
@@ -1229,10 +1413,13 @@ client.once(Events.ClientReady, (readyClient) => {
 
       // ── Snapshot Service — timeline recording on every save sync ──
       snapshotService = new SnapshotService(db, {
-        retentionDays: parseInt(process.env['TIMELINE_RETENTION_DAYS'] ?? '', 10) || 14,
+        retentionDays: parseInt(process.env['TIMELINE_RETENTION_DAYS'] ?? '', 10) || 0,
+        fullResolutionHours: parseInt(process.env['TIMELINE_FULL_HOURS'] ?? '', 10) || 24,
+        hourlyKeyframeDays: parseInt(process.env['TIMELINE_HOURLY_DAYS'] ?? '', 10) || 30,
         trackStructures: process.env['TIMELINE_TRACK_STRUCTURES'] !== 'false',
         trackHouses: process.env['TIMELINE_TRACK_HOUSES'] !== 'false',
         trackBackpacks: process.env['TIMELINE_TRACK_BACKPACKS'] !== 'false',
+        retentionManaged: () => dataRetention.manages('timeline'),
       });
       saveService.on('sync', (result: SaveSyncResult) => {
         void (async () => {
@@ -1298,7 +1485,12 @@ client.once(Events.ClientReady, (readyClient) => {
 
     // Milestone Tracker — player achievement announcements
     if (config.enableMilestones) {
-      milestoneTracker = new MilestoneTracker(readyClient, { db, logWatcher, config });
+      milestoneTracker = new MilestoneTracker(readyClient, {
+        db,
+        logWatcher,
+        config,
+        onMilestone: (event) => economy.onMilestone(event),
+      });
       const _milestone = milestoneTracker;
       // Check milestones on every save sync
       if (saveService) {
@@ -1322,6 +1514,99 @@ client.once(Events.ClientReady, (readyClient) => {
       console.log('[BOT] Milestones disabled via ENABLE_MILESTONES=false');
     }
 
+    // Bounty Board — PvP bounties paid out through the credit ledger
+    if (config.enableBounties) {
+      bountyBoard.start({ db, logWatcher: logWatcher ?? null, config, sendAdminMessage });
+      if (logWatcher) {
+        // LogWatcher logs PvP kills with the victim as actor and the killer as target
+        logWatcher.wrapLogEvent((orig) => (entry: LogEventEntry) => {
+          orig(entry);
+          if (entry.type !== 'player_death_pvp' || !entry.actorName || !entry.targetName) return;
+          try {
+            bountyBoard.onPvpKill(entry.targetName, entry.actorName);
+          } catch (err: unknown) {
+            console.error('[BOT] Bounty PvP kill error:', errMsg(err));
+          }
+        });
+        logWatcher.wrapOnDeath((orig) => (playerName, timestamp) => {
+          orig(playerName, timestamp);
+          const steamId = playerStats.getSteamId(playerName);
+          if (steamId) bountyBoard.onPlayerDeath(steamId);
+        });
+      }
+      setStatus('Bounties', '🟢 Active');
+    } else {
+      setStatus('Bounties', '⚫ Disabled');
+    }
+
+    // PvP analytics — /pvp stats over the fights LogWatcher records (needs the kill feed)
+    pvpAnalytics.start({ db });
+    setStatus('PvP Stats', config.enablePvpKillFeed ? '🟢 Active' : '🟡 Active (kill feed off — no new fights)');
+
+    // Economy — credit rewards from kills, survival, playtime milestones and quests
+    if (config.enableEconomy) {
+      economy.start({ db, config });
+      if (saveService) {
+        saveService.on('sync', () => {
+          economy.onSaveSync();
+        });
+      }
+      setStatus('Economy', saveService ? '🟢 Active' : '🟡 Active (no save sync — quest rewards paused)');
+    } else {
+      setStatus('Economy', '⚫ Disabled');
+    }
+
+    // Factions — membership, territory capture from timeline positions, war scoring
+    if (config.enableFactions) {
+      factionManager.start({ db, logWatcher: logWatcher ?? null, config, sendAdminMessage });
+      if (snapshotService) {
+        snapshotService.onSnapshot(({ players }) => {
+          factionManager.onSnapshot(players);
+        });
+      }
+      if (logWatcher) {
+        logWatcher.wrapLogEvent((orig) => (entry: LogEventEntry) => {
+          orig(entry);
+          if (entry.type !== 'player_death_pvp' || !entry.actorName || !entry.targetName) return;
+          try {
+            factionManager.onPvpKill(entry.targetName, entry.actorName);
+          } catch (err: unknown) {
+            console.error('[BOT] Faction PvP kill error:', errMsg(err));
+          }
+        });
+        logWatcher.wrapOnDeath((orig) => (playerName, timestamp) => {
+          orig(playerName, timestamp);
+          const steamId = playerStats.getSteamId(playerName);
+          if (steamId) factionManager.onPlayerDeath(steamId);
+        });
+      }
+      setStatus('Factions', snapshotService ? '🟢 Active' : '🟡 Active (no timeline — territory capture paused)');
+    } else {
+      setStatus('Factions', '⚫ Disabled');
+    }
+
+    // Community Events — scheduled supply drops, horde nights and territory wars
+    if (config.enableEvents) {
+      eventScheduler.start({ db, logWatcher: logWatcher ?? null, config, sendAdminMessage });
+      if (logWatcher) {
+        logWatcher.wrapLogEvent((orig) => (entry: LogEventEntry) => {
+          orig(entry);
+          if (entry.type !== 'player_death_pvp' || !entry.actorName || !entry.targetName) return;
+          try {
+            eventScheduler.onPvpKill(entry.targetName, entry.actorName);
+          } catch (err: unknown) {
+            console.error('[BOT] Event PvP kill error:', errMsg(err));
+          }
+        });
+      }
+      setStatus(
+        'Events',
+        logWatcher ? '🟢 Active' : '🟡 Active (no Log Watcher — PvP scoring and announcements paused)',
+      );
+    } else {
+      setStatus('Events', '⚫ Disabled');
+    }
+
     // Recap Service — daily/weekly summary embeds
     if (config.enableRecaps) {
       recapService = new RecapService(readyClient, { db, logWatcher, config, playtime });
@@ -1517,8 +1802,219 @@ client.once(Events.ClientReady, (readyClient) => {
       }
     }
 
+    // ── Whitelist — applications, approvals and fetchwhitelist drift repair ──
+    if (config.enableWhitelist) {
+      whitelistManager.start({ db, client: readyClient, config, getTargets: _rconTargets });
+      setStatus(
+        'Whitelist',
+        config.whitelistChannelId
+          ? '🟢 Active'
+          : '🟡 Active (WHITELIST_CHANNEL_ID not set — review from the panel only)',
+      );
+    } else {
+      setStatus('Whitelist', '⚫ Disabled');
+    }
+
+    // ── Ban registry — expiry, cross-server propagation and fetchbanned sync ──
+    if (config.enableBans) {
+      banManager.start({ db, config, getTargets: _rconTargets });
+      setStatus('Bans', config.banPropagate ? '🟢 Active (propagating to every server)' : '🟢 Active');
+    } else {
+      setStatus('Bans', '⚫ Disabled');
+    }
+
+    // ── Webhooks — signed outbound deliveries from a persistent retry queue ──
+    if (config.enableWebhooks) {
+      webhookDispatcher.start({ db, config });
+      if (logWatcher) {
+        logWatcher.wrapLogEvent((orig) => (entry: LogEventEntry) => {
+          orig(entry);
+          webhookDispatcher.onLogEvent(entry);
+        });
+      }
+      presenceTracker.on('playerJoined', ({ name, steamId }: { name: string; steamId: string | null }) => {
+        webhookDispatcher.emit('player.join', { player: name, steamId });
+      });
+      presenceTracker.on('playerLeft', ({ name, steamId }: { name: string; steamId: string | null }) => {
+        webhookDispatcher.emit('player.leave', { player: name, steamId });
+      });
+      rcon.on('reconnect', ({ downtime }: { downtime?: number }) => {
+        webhookDispatcher.emit('server.restart', { downtimeMs: downtime ?? null });
+      });
+      setStatus(
+        'Webhooks',
+        logWatcher ? '🟢 Active' : '🟡 Active (no Log Watcher — only join/leave, chat and restart events)',
+      );
+    } else {
+      setStatus('Webhooks', '⚫ Disabled');
+    }
+
+    // ── Raid alerts — DM base owners (and their clan) on raids, then a post-raid report ──
+    if (config.enableRaidAlerts) {
+      raidAlerts.start({ db, client: readyClient, config });
+      if (logWatcher) {
+        logWatcher.wrapLogEvent((orig) => (entry: LogEventEntry) => {
+          orig(entry);
+          raidAlerts.onLogEvent(entry);
+        });
+      }
+      if (saveService) {
+        saveService.on('sync', (result: SaveSyncResult) => {
+          raidAlerts.onSaveSync(result.diffEvents);
+        });
+      }
+      if (!logWatcher) {
+        setStatus('Raid Alerts', '🟡 Idle (Log Watcher disabled — raids are not detected)');
+      } else {
+        setStatus(
+          'Raid Alerts',
+          config.enableAccountLinking ? '🟢 Active' : '🟡 Active (account linking off — nobody can be DMed)',
+        );
+      }
+    } else {
+      setStatus('Raid Alerts', '⚫ Disabled');
+    }
+
+    // ── Offline raid protection — open a case, warn and escalate when a base is hit with its owners offline ──
+    if (config.enableOfflineRaidProtection) {
+      offlineRaidGuard.start({
+        db,
+        client: readyClient,
+        config,
+        presence: presenceTracker,
+        sendCommand: (command) => rcon.send(command),
+        sendAdminMessage,
+        bans: banManager,
+      });
+      presenceTracker.on('playerLeft', ({ steamId }: { name: string; steamId: string | null }) => {
+        offlineRaidGuard.onPlayerLeft(steamId);
+      });
+      if (logWatcher) {
+        logWatcher.wrapLogEvent((orig) => (entry: LogEventEntry) => {
+          orig(entry);
+          offlineRaidGuard.onLogEvent(entry);
+        });
+        setStatus('Offline Raids', '🟢 Active');
+      } else {
+        setStatus('Offline Raids', '🟡 Idle (Log Watcher disabled — raids are not detected)');
+      }
+    } else {
+      setStatus('Offline Raids', '⚫ Disabled');
+    }
+
+    // ── Death recaps — DM (or thread-post) the cause, damage breakdown and backpack location after a death ──
+    if (config.enableDeathRecap) {
+      deathRecaps.start({
+        db,
+        client: readyClient,
+        config,
+        postToThread: chatRelay
+          ? async (embed) => {
+              const thread = (await chatRelay?.getOrCreateChatThread()) as {
+                send(o: unknown): Promise<unknown>;
+              } | null;
+              if (thread) await thread.send({ embeds: [embed] });
+            }
+          : null,
+        resolveSteamId: (name) => playerStats.getSteamId(name),
+      });
+      if (saveService) {
+        saveService.on('sync', () => {
+          void deathRecaps.onSaveSync();
+        });
+      }
+      if (logWatcher) {
+        logWatcher.wrapOnDeath((orig) => (playerName, timestamp) => {
+          orig(playerName, timestamp);
+          deathRecaps.onDeath(playerName);
+        });
+        setStatus('Death Recaps', saveService ? '🟢 Active' : '🟡 Active (no save sync — backpacks are not located)');
+      } else {
+        setStatus('Death Recaps', '🟡 Idle (Log Watcher disabled — deaths are not detected)');
+      }
+    } else {
+      setStatus('Death Recaps', '⚫ Disabled');
+    }
+
+    // ── Database backups — scheduled snapshots of the primary and per-server databases ──
+    if (config.enableDbBackups) {
+      dbBackups.start({ client: readyClient, config, backupDir: resolveBackupDir(config.dbBackupDir) });
+      setStatus(
+        'DB Backups',
+        config.dbBackupInterval > 0
+          ? `🟢 Active (every ${String(config.dbBackupInterval)} min)`
+          : '🟡 Active (manual snapshots only)',
+      );
+    } else {
+      setStatus('DB Backups', '⚫ Disabled');
+    }
+
+    // ── Bot plugins — migrations, config and setup once the database and web panel exist ──
+    if (config.enablePlugins) {
+      await pluginLoader.start({ db, webServer: webMapServer, registry: runtimeConfigApplier.lifecycle });
+      setStatus('Plugins', pluginLoader.summary());
+      if (logWatcher) {
+        logWatcher.wrapLogEvent((orig) => (entry: LogEventEntry) => {
+          orig(entry);
+          pluginLoader.emit('log', entry);
+        });
+      }
+      if (saveService) {
+        saveService.on('sync', (result: SaveSyncResult) => {
+          pluginLoader.emit('save-sync', {
+            playerCount: result.playerCount,
+            structureCount: result.structureCount,
+            steamIds: result.steamIds,
+            elapsed: result.elapsed,
+          });
+        });
+      }
+    } else {
+      setStatus('Plugins', '⚫ Disabled');
+    }
+
+    // ── Live panel events — push join/leave, positions and activity to open panel streams ──
+    if (logWatcher) {
+      logWatcher.wrapLogEvent((orig) => (entry: LogEventEntry) => {
+        orig(entry);
+        liveEvents.publish('primary', 'activity', entry);
+      });
+    }
+    presenceTracker.on('playerJoined', ({ name, steamId }: { name: string; steamId: string | null }) => {
+      liveEvents.publish('primary', 'players', { event: 'join', name, steamId });
+    });
+    presenceTracker.on('playerLeft', ({ name, steamId }: { name: string; steamId: string | null }) => {
+      liveEvents.publish('primary', 'players', { event: 'leave', name, steamId });
+    });
+    if (snapshotService) {
+      snapshotService.onSnapshot(({ players }) => {
+        liveEvents.publish(
+          'primary',
+          'positions',
+          players
+            .filter((p) => p.online && p.x != null && p.y != null)
+            .map((p) => ({ steamId: p.steamId, name: p.name, x: p.x, y: p.y, z: p.z })),
+        );
+      });
+    }
+
     // ── BotControlService (used by both Panel and Web) ───────
-    const botControl = new BotControlService({ exit: (code: number) => process.exit(code) });
+    const botControl = new BotControlService({
+      exit: (code: number) => process.exit(code),
+      scheduleSeasonRollover: (opts) => {
+        const scheduled = seasonManager.scheduleRollover(opts);
+        if (!scheduled.ok) throw new Error(`Season rollover rejected: ${scheduled.code}`);
+      },
+      scheduleRestore: ({ dbId, name, requestedBy }) => {
+        const queued = dbBackups.requestRestore(dbId, name, requestedBy);
+        if (!queued.ok) {
+          throw Object.assign(new Error(`Database restore rejected: ${queued.code}`), {
+            code: 'DB_BACKUP_REJECTED',
+            reason: queued.code,
+          });
+        }
+      },
+    });
     if (webMapServer) webMapServer.setBotControl(botControl);
     if (webMapServer) webMapServer.setModuleStatus(moduleStatus);
 
@@ -1723,6 +2219,7 @@ async function shutdown(reason = 'Manual shutdown'): Promise<void> {
   if (playerStatsChannel) playerStatsChannel.stop();
   if (activityLog) activityLog.stop();
   if (anticheatIntegration) await anticheatIntegration.stop();
+  await pluginLoader.stop();
   if (howyagarnManager) howyagarnManager.shutdown();
   if (displayRefreshTimer) {
     clearTimeout(displayRefreshTimer);
@@ -1749,6 +2246,21 @@ async function shutdown(reason = 'Manual shutdown'): Promise<void> {
   if (stdinConsole) stdinConsole.stop();
   if (botStatusManager) botStatusManager.stop();
   playerStats.stop();
+  bountyBoard.stop();
+  pvpAnalytics.stop();
+  factionManager.stop();
+  economy.stop();
+  eventScheduler.stop();
+  accountLinker.stop();
+  whitelistManager.stop();
+  banManager.stop();
+  webhookDispatcher.stop();
+  raidAlerts.stop();
+  offlineRaidGuard.stop();
+  deathRecaps.stop();
+  dbBackups.stop();
+  dataRetention.stop();
+  adminAudit.stop();
   if (playtimeFlushTimer) clearInterval(playtimeFlushTimer);
   playtime.stop();
 
@@ -1792,6 +2304,7 @@ async function shutdown(reason = 'Manual shutdown'): Promise<void> {
   }
 
   rcon.disconnect();
+  await Promise.race([flushLogger(), new Promise<void>((resolve) => setTimeout(resolve, 3000))]);
   shutdownLogger();
   void client.destroy();
   process.exit(0);
@@ -1921,6 +2434,27 @@ void (async () => {
   await loadOptionalModules();
   await loadCommands();
 
+  // Bot plugins are imported before login so their slash commands deploy with the built-in ones
+  if (config.enablePlugins) {
+    await pluginLoader.discover({ config });
+    for (const command of pluginLoader.commands(new Set(slashCommands.keys()))) {
+      slashCommands.set(command.data.name, command);
+    }
+  }
+
+  // A database restore queued from the panel is applied before anything opens the database
+  try {
+    const restored = await applyPendingRestore(DATA_DIR, resolveBackupDir(config.dbBackupDir));
+    if (restored) {
+      console.log(
+        `[DB BACKUP] Restored ${restored.restore.dbId} from ${restored.backup.name} (requested by ${restored.restore.requestedBy})` +
+          (restored.previous ? ` — previous database kept as ${path.basename(restored.previous)}` : ''),
+      );
+    }
+  } catch (err: unknown) {
+    console.error('[DB BACKUP] Queued restore failed — starting with the current database:', errMsg(err));
+  }
+
   // NUKE_BOT implies FIRST_RUN — wipe local data files first, then re-import
   // Log raw .env value for debugging — track unexpected NUKE_BOT=true
   const _nukeLog = createLogger(null, 'NUKE-AUDIT');
@@ -0,0 +1,115 @@
+/**
+ * Translate the LOG_* bot settings into a LoggerConfig.
+ *
+ *   LOG_TRANSPORTS        comma list of registered transport types (console,file,jsonl,syslog,http)
+ *   LOG_LEVEL             global minimum level
+ *   LOG_CATEGORY_LEVELS   per-category overrides, e.g. "RCON=warn, DB*=debug"
+ *   LOG_ROTATE_*          rotation / retention for the file-based transports
+ *   LOG_SYSLOG_* / LOG_HTTP_*  sink settings
+ */
+
+import type { LoggerConfig, LogLevel, TransportSpec } from './types.js';
+import { isLogLevel } from './registry.js';
+
+/** The subset of the bot config the logger reads. */
+export interface LoggingSettings {
+  logLevel: string;
+  logCategoryLevels: string;
+  logTransports: string;
+  logDir: string;
+  logRotateInterval: string;
+  logRotateSizeMb: number;
+  logRetentionDays: number;
+  logMaxFiles: number;
+  logCompress: boolean;
+  logSyslogHost: string;
+  logSyslogPort: number;
+  logSyslogProtocol: string;
+  logSyslogFacility: string;
+  logSyslogLevel: string;
+  logHttpUrl: string;
+  logHttpToken: string;
+  logHttpBatchSize: number;
+  logHttpFlushInterval: number;
+  logHttpLevel: string;
+}
+
+/** Parse "CATEGORY=level, PREFIX*=level" — malformed pairs are ignored. */
+export function parseCategoryLevels(raw: string): Record<string, LogLevel> {
+  const out: Record<string, LogLevel> = {};
+  for (const pair of raw.split(',')) {
+    const eq = pair.lastIndexOf('=');
+    if (eq <= 0) continue;
+    const category = pair.slice(0, eq).trim();
+    const level = pair
+      .slice(eq + 1)
+      .trim()
+      .toLowerCase();
+    if (category && isLogLevel(level)) out[category] = level;
+  }
+  return out;
+}
+
+function _level(raw: string): LogLevel | undefined {
+  const level = raw.trim().toLowerCase();
+  return isLogLevel(level) ? level : undefined;
+}
+
+/** Build the logger configuration from bot settings. */
+export function buildLoggerConfig(cfg: LoggingSettings): LoggerConfig {
+  const rotation = {
+    interval: cfg.logRotateInterval.trim().toLowerCase(),
+    maxSizeBytes: Math.max(0, cfg.logRotateSizeMb) * 1024 * 1024,
+    retentionDays: cfg.logRetentionDays,
+    maxFiles: cfg.logMaxFiles,
+    compress: cfg.logCompress,
+  };
+  const types = [
+    ...new Set(
+      cfg.logTransports
+        .split(',')
+        .map((t) => t.trim().toLowerCase())
+        .filter(Boolean),
+    ),
+  ];
+
+  const transports: TransportSpec[] = types.map((type) => {
+    switch (type) {
+      case 'file':
+      case 'jsonl':
+        return { type, options: rotation };
+      case 'syslog':
+        return {
+          type,
+          level: _level(cfg.logSyslogLevel),
+          options: {
+            host: cfg.logSyslogHost,
+            port: cfg.logSyslogPort,
+            protocol: cfg.logSyslogProtocol.trim().toLowerCase(),
+            facility: cfg.logSyslogFacility,
+          },
+        };
+      case 'http':
+        return {
+          type,
+          level: _level(cfg.logHttpLevel),
+          options: {
+            url: cfg.logHttpUrl,
+            token: cfg.logHttpToken,
+            batchSize: cfg.logHttpBatchSize,
+            flushIntervalMs: cfg.logHttpFlushInterval * 1000,
+          },
+        };
+      default:
+        // console, or a type registered by an extension
+        return { type };
+    }
+  });
+
+  return {
+    level: _level(cfg.logLevel) ?? 'info',
+    categoryLevels: parseCategoryLevels(cfg.logCategoryLevels),
+    transports,
+    ...(cfg.logDir.trim() ? { logDir: cfg.logDir.trim() } : {}),
+  };
+}
@@ -0,0 +1,150 @@
+import type { LogEntry, Transport } from './types.js';
+import { safeStringify } from './rotating-file.js';
+
+export interface HttpSinkOptions {
+  url: string;
+  /** Extra request headers (e.g. Authorization). */
+  headers?: Record<string, string>;
+  /** `ndjson` (one entry per line, default) or `json` (a JSON array). */
+  format?: 'ndjson' | 'json';
+  /** Send as soon as this many entries are buffered. */
+  batchSize?: number;
+  /** Send whatever is buffered at least this often. */
+  flushIntervalMs?: number;
+  /** Oldest entries are dropped past this many buffered entries. */
+  maxBuffer?: number;
+  /** Per-request timeout. */
+  timeoutMs?: number;
+  /** Upper bound for the exponential retry delay. */
+  maxBackoffMs?: number;
+  /** Injectable for tests. */
+  fetchImpl?: typeof fetch;
+}
+
+const BASE_BACKOFF_MS = 1000;
+
+/**
+ * Batched HTTP sink. Entries are buffered and POSTed in batches; failed
+ * batches go back to the front of the buffer and are retried with
+ * exponential backoff. 4xx responses other than 408/429 drop the batch,
+ * since resending the same payload cannot succeed.
+ */
+export class HttpTransport implements Transport {
+  private readonly url: string;
+  private readonly headers: Record<string, string>;
+  private readonly format: 'ndjson' | 'json';
+  private readonly batchSize: number;
+  private readonly maxBuffer: number;
+  private readonly timeoutMs: number;
+  private readonly maxBackoffMs: number;
+  private readonly fetchImpl: typeof fetch;
+
+  private buffer: LogEntry[] = [];
+  private inflight: Promise<void> | null = null;
+  private failures = 0;
+  private retryAt = 0;
+  private dropped = 0;
+  private readonly timer: ReturnType<typeof setInterval>;
+
+  constructor(opts: HttpSinkOptions) {
+    this.url = opts.url;
+    this.headers = opts.headers ?? {};
+    this.format = opts.format === 'json' ? 'json' : 'ndjson';
+    this.batchSize = Math.max(1, opts.batchSize ?? 100);
+    this.maxBuffer = Math.max(this.batchSize, opts.maxBuffer ?? 5000);
+    this.timeoutMs = opts.timeoutMs ?? 10_000;
+    this.maxBackoffMs = opts.maxBackoffMs ?? 60_000;
+    this.fetchImpl = opts.fetchImpl ?? fetch;
+    this.timer = setInterval(
+      () => {
+        void this.send();
+      },
+      Math.max(100, opts.flushIntervalMs ?? 5000),
+    );
+    this.timer.unref();
+  }
+
+  write(entry: LogEntry): void {
+    this.buffer.push(entry);
+    if (this.buffer.length > this.maxBuffer) {
+      const excess = this.buffer.length - this.maxBuffer;
+      this.buffer.splice(0, excess);
+      if (this.dropped === 0) process.stderr.write('[LOGGER] HTTP sink buffer full — dropping oldest entries\n');
+      this.dropped += excess;
+    }
+    if (this.buffer.length >= this.batchSize) void this.send();
+  }
+
+  close(): void {
+    clearInterval(this.timer);
+  }
+
+  /** Send everything buffered now, ignoring backoff (one attempt per batch). */
+  async flush(): Promise<void> {
+    if (this.inflight) await this.inflight;
+    while (this.buffer.length > 0) {
+      const failures = this.failures;
+      this.retryAt = 0;
+      await this.send();
+      // A failed batch is put back — stop instead of spinning on a dead endpoint
+      if (this.failures > failures) break;
+    }
+  }
+
+  /** Entries dropped since the last successful send. */
+  get droppedCount(): number {
+    return this.dropped;
+  }
+
+  private send(): Promise<void> {
+    if (this.inflight) return this.inflight;
+    if (this.buffer.length === 0 || Date.now() < this.retryAt) return Promise.resolve();
+    const batch = this.buffer.splice(0, this.batchSize);
+    this.inflight = this.post(batch).finally(() => {
+      this.inflight = null;
+    });
+    return this.inflight;
+  }
+
+  private async post(batch: LogEntry[]): Promise<void> {
+    const body = this.format === 'json' ? safeStringify(batch) : batch.map((e) => safeStringify(e)).join('\n') + '\n';
+    let retry: boolean;
+    try {
+      const res = await this.fetchImpl(this.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': this.format === 'json' ? 'application/json' : 'application/x-ndjson',
+          ...this.headers,
+        },
+        body,
+        signal: AbortSignal.timeout(this.timeoutMs),
+      });
+      if (res.ok) {
+        this.failures = 0;
+        this.retryAt = 0;
+        if (this.dropped > 0) {
+          process.stderr.write(`[LOGGER] HTTP sink recovered — ${String(this.dropped)} entries were dropped\n`);
+          this.dropped = 0;
+        }
+        return;
+      }
+      retry = res.status >= 500 || res.status === 408 || res.status === 429;
+      process.stderr.write(
+        `[LOGGER] HTTP sink got ${String(res.status)}${retry ? ', will retry' : ', batch dropped'}\n`,
+      );
+    } catch (err) {
+      retry = true;
+      if (this.failures === 0) process.stderr.write(`[LOGGER] HTTP sink error: ${(err as Error).message}\n`);
+    }
+    if (!retry) return;
+    this.buffer.unshift(...batch);
+    if (this.buffer.length > this.maxBuffer) {
+      // Keep the newest entries when the endpoint stays down
+      const excess = this.buffer.length - this.maxBuffer;
+      this.buffer.splice(0, excess);
+      this.dropped += excess;
+    }
+    this.failures++;
+    this.retryAt = Date.now() + Math.min(BASE_BACKOFF_MS * 2 ** (this.failures - 1), this.maxBackoffMs);
+  }
+}
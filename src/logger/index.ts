@@ -1,2 +1,15 @@
-export { createStructuredLogger, initLogger, shutdownLogger } from './logger.js';
-export type { LogEntry, LogLevel, LoggerOptions, Transport } from './types.js';
+export { createStructuredLogger, flushLogger, initLogger, shutdownLogger } from './logger.js';
+export { buildLoggerConfig, parseCategoryLevels, type LoggingSettings } from './config.js';
+export {
+  createTransport,
+  listTransportTypes,
+  registerTransport,
+  unregisterTransport,
+  type TransportContext,
+  type TransportFactory,
+} from './registry.js';
+export { ConsoleTransport, FileTransport } from './transports.js';
+export { RotatingFileTransport, type RotatingFileOptions, type RotationInterval } from './rotating-file.js';
+export { SyslogTransport, formatRfc5424, type SyslogOptions } from './syslog.js';
+export { HttpTransport, type HttpSinkOptions } from './http-sink.js';
+export type { LogEntry, LogLevel, LoggerConfig, LoggerOptions, Transport, TransportSpec } from './types.js';
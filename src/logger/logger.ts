@@ -1,5 +1,5 @@
-import type { LogEntry, LogLevel, Transport } from './types.js';
-import { ConsoleTransport, FileTransport } from './transports.js';
+import type { LogEntry, LoggerConfig, LogLevel, Transport, TransportSpec } from './types.js';
+import { createTransport } from './registry.js';
 import { getDirname } from '../utils/paths.js';
 import path from 'node:path';
 
@@ -12,22 +12,49 @@ const LOG_LEVELS: Record<LogLevel, number> = {
 
 const defaultLogDir = path.join(getDirname(import.meta.url), '..', '..', 'logs');
 
+interface CategoryRule {
+  /** Lower-cased category, or prefix when `prefix` is set. */
+  match: string;
+  prefix: boolean;
+  level: number;
+}
+
 let globalTransports: Transport[] = [];
 let globalMinLevel: LogLevel = 'info';
+let categoryRules: CategoryRule[] = [];
+const categoryLevelCache = new Map<string, number>();
 let initialized = false;
 
-/** Initialize the global logging system. Call once at startup. */
-export function initLogger(opts: { logDir?: string; level?: LogLevel; console?: boolean; file?: boolean } = {}): void {
-  if (initialized) return;
+/**
+ * Initialize the global logging system. Call once at startup — calling again
+ * (e.g. once the bot config has loaded) closes and replaces the transports.
+ *
+ * Without `transports`, the legacy `console` / `file` switches pick the
+ * built-in console and daily JSON-lines file transports.
+ */
+export function initLogger(opts: LoggerConfig & { console?: boolean; file?: boolean } = {}): void {
+  if (initialized) shutdownLogger();
   const logDir = opts.logDir ?? defaultLogDir;
 
-  if (opts.console !== false) {
-    globalTransports.push(new ConsoleTransport());
-  }
-  if (opts.file !== false) {
-    globalTransports.push(new FileTransport(logDir));
+  const specs: TransportSpec[] = opts.transports ?? [
+    ...(opts.console !== false ? [{ type: 'console' }] : []),
+    ...(opts.file !== false ? [{ type: 'file' }] : []),
+  ];
+  for (const spec of specs) {
+    try {
+      globalTransports.push(createTransport(spec, { logDir }));
+    } catch (err) {
+      process.stderr.write(`[LOGGER] Skipping ${spec.type} transport: ${(err as Error).message}\n`);
+    }
   }
+
   globalMinLevel = opts.level ?? 'info';
+  categoryRules = Object.entries(opts.categoryLevels ?? {}).map(([key, level]) => {
+    const k = key.trim().toLowerCase();
+    const prefix = k.endsWith('*');
+    return { match: prefix ? k.slice(0, -1) : k, prefix, level: LOG_LEVELS[level] };
+  });
+  categoryLevelCache.clear();
   initialized = true;
 }
 
@@ -40,16 +67,43 @@ export function shutdownLogger(): void {
   initialized = false;
 }
 
+/** Wait for buffered entries (HTTP batches, pending compression) to settle. */
+export async function flushLogger(): Promise<void> {
+  await Promise.all(globalTransports.map((t) => (t.flush ? t.flush().catch(() => undefined) : Promise.resolve())));
+}
+
+/** Minimum level for a category: exact override, else the longest matching prefix, else the global level. */
+function minLevelFor(category: string): number {
+  const cached = categoryLevelCache.get(category);
+  if (cached !== undefined) return cached;
+  const lower = category.toLowerCase();
+  let best: CategoryRule | null = null;
+  for (const rule of categoryRules) {
+    const hit = rule.prefix ? lower.startsWith(rule.match) : lower === rule.match;
+    if (!hit) continue;
+    if (
+      !best ||
+      (!rule.prefix && best.prefix) ||
+      (rule.prefix === best.prefix && rule.match.length > best.match.length)
+    ) {
+      best = rule;
+    }
+  }
+  const level = best ? best.level : LOG_LEVELS[globalMinLevel];
+  categoryLevelCache.set(category, level);
+  return level;
+}
+
 /** Create a category-scoped logger instance. */
 export function createStructuredLogger(category: string) {
   function log(level: LogLevel, message: string, data?: Record<string, unknown>): void {
-    if (LOG_LEVELS[level] < LOG_LEVELS[globalMinLevel]) return;
-
     // Lazy-init with defaults if not explicitly initialized
     if (!initialized) {
       initLogger();
     }
 
+    if (LOG_LEVELS[level] < minLevelFor(category)) return;
+
     const entry: LogEntry = {
       timestamp: new Date().toISOString(),
       level,
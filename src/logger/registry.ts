@@ -0,0 +1,146 @@
+/**
+ * Transport registry — maps a transport type name to a factory, so the
+ * logger can be assembled from config and extensions can add their own sinks.
+ */
+
+import os from 'node:os';
+import type { LogEntry, LogLevel, Transport, TransportSpec } from './types.js';
+import { ConsoleTransport, FileTransport } from './transports.js';
+import { RotatingFileTransport, safeStringify, type RotationInterval } from './rotating-file.js';
+import { SyslogTransport } from './syslog.js';
+import { HttpTransport } from './http-sink.js';
+
+export interface TransportContext {
+  /** Default directory for file-based transports. */
+  logDir: string;
+}
+
+export type TransportFactory = (options: Record<string, unknown>, ctx: TransportContext) => Transport;
+
+const LEVELS: Record<LogLevel, number> = { debug: 0, info: 1, warn: 2, error: 3 };
+
+const _factories = new Map<string, TransportFactory>();
+
+function _str(v: unknown): string | undefined {
+  return typeof v === 'string' && v.trim() ? v.trim() : undefined;
+}
+
+function _num(v: unknown): number | undefined {
+  const n = typeof v === 'number' ? v : typeof v === 'string' ? Number(v) : NaN;
+  return Number.isFinite(n) && n >= 0 ? n : undefined;
+}
+
+function _bool(v: unknown): boolean | undefined {
+  return typeof v === 'boolean' ? v : undefined;
+}
+
+function _interval(v: unknown): RotationInterval | undefined {
+  return v === 'daily' || v === 'hourly' || v === 'none' ? v : undefined;
+}
+
+/** Rotation options shared by the file-based transports. */
+function _rotation(options: Record<string, unknown>) {
+  return {
+    interval: _interval(options.interval),
+    maxSizeBytes: _num(options.maxSizeBytes),
+    retentionDays: _num(options.retentionDays),
+    maxFiles: _num(options.maxFiles),
+    compress: _bool(options.compress),
+  };
+}
+
+export function isLogLevel(value: unknown): value is LogLevel {
+  return typeof value === 'string' && Object.hasOwn(LEVELS, value);
+}
+
+/** Register (or replace) a transport type. */
+export function registerTransport(type: string, factory: TransportFactory): void {
+  _factories.set(type.trim().toLowerCase(), factory);
+}
+
+/** Remove a transport type. Built-ins can be removed too. */
+export function unregisterTransport(type: string): boolean {
+  return _factories.delete(type.trim().toLowerCase());
+}
+
+/** Registered transport type names. */
+export function listTransportTypes(): string[] {
+  return [..._factories.keys()];
+}
+
+/** Drops entries below `level` before they reach the wrapped transport. */
+class LevelFilter implements Transport {
+  constructor(
+    private readonly inner: Transport,
+    private readonly min: number,
+  ) {}
+
+  write(entry: LogEntry): void {
+    if (LEVELS[entry.level] >= this.min) this.inner.write(entry);
+  }
+
+  close(): void {
+    this.inner.close?.();
+  }
+
+  flush(): Promise<void> {
+    return this.inner.flush?.() ?? Promise.resolve();
+  }
+}
+
+/**
+ * Build a transport from its spec. Throws on an unknown type or when the
+ * factory rejects its options — initLogger reports and skips those.
+ */
+export function createTransport(spec: TransportSpec, ctx: TransportContext): Transport {
+  const factory = _factories.get(spec.type.trim().toLowerCase());
+  if (!factory) throw new Error(`unknown log transport "${spec.type}"`);
+  const transport = factory(spec.options ?? {}, ctx);
+  return spec.level && spec.level !== 'debug' ? new LevelFilter(transport, LEVELS[spec.level]) : transport;
+}
+
+// ── Built-in transports ─────────────────────────────────────
+
+registerTransport('console', () => new ConsoleTransport());
+
+// Daily JSON-lines files in the log directory (the historical default)
+registerTransport('file', (options, ctx) => new FileTransport(_str(options.dir) ?? ctx.logDir, _rotation(options)));
+
+// One fixed-name JSON-lines file for log shippers (Filebeat, Promtail, Vector…)
+registerTransport('jsonl', (options, ctx) => {
+  const host = os.hostname();
+  return new RotatingFileTransport({
+    ..._rotation(options),
+    dir: _str(options.dir) ?? ctx.logDir,
+    fileName: _str(options.fileName) ?? 'bot.jsonl',
+    format: (entry) => safeStringify({ ...entry, host, pid: process.pid }),
+  });
+});
+
+registerTransport('syslog', (options) => {
+  const host = _str(options.host);
+  if (!host) throw new Error('syslog transport needs a host');
+  return new SyslogTransport({
+    host,
+    port: _num(options.port),
+    protocol: options.protocol === 'tcp' ? 'tcp' : 'udp',
+    facility: _str(options.facility) ?? _num(options.facility),
+    appName: _str(options.appName),
+  });
+});
+
+registerTransport('http', (options) => {
+  const url = _str(options.url);
+  if (!url) throw new Error('http transport needs a url');
+  const headers: Record<string, string> = {};
+  const token = _str(options.token);
+  if (token) headers.Authorization = `Bearer ${token}`;
+  return new HttpTransport({
+    url,
+    headers,
+    format: options.format === 'json' ? 'json' : 'ndjson',
+    batchSize: _num(options.batchSize),
+    flushIntervalMs: _num(options.flushIntervalMs),
+    maxBuffer: _num(options.maxBuffer),
+  });
+});
@@ -0,0 +1,247 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import zlib from 'node:zlib';
+import { pipeline } from 'node:stream/promises';
+import type { LogEntry, Transport } from './types.js';
+
+export type RotationInterval = 'daily' | 'hourly' | 'none';
+
+export interface RotatingFileOptions {
+  dir: string;
+  /**
+   * Active file name. `%DATE%` is replaced by the current period, so each
+   * period gets its own file; without it the name is fixed and finished
+   * files are renamed to `<name>-<period>.<n><ext>`.
+   */
+  fileName: string;
+  /** Start a new file when the period changes (default daily). */
+  interval?: RotationInterval;
+  /** Start a new file once the active one reaches this size (0 = no size limit). */
+  maxSizeBytes?: number;
+  /** Delete rotated files older than this (0 = keep forever). */
+  retentionDays?: number;
+  /** Keep at most this many rotated files, newest first (0 = unlimited). */
+  maxFiles?: number;
+  /** Gzip rotated files. */
+  compress?: boolean;
+  /** Line formatter — JSON by default. */
+  format?: (entry: LogEntry) => string;
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** JSON.stringify that never throws — shared by every transport. */
+export function safeStringify(obj: unknown): string {
+  try {
+    return JSON.stringify(obj);
+  } catch {
+    return '[Circular or non-serializable]';
+  }
+}
+
+function _escapeRegex(s: string): string {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/** The rotation period an ISO timestamp falls in. */
+export function periodOf(timestamp: string, interval: RotationInterval): string {
+  if (interval === 'hourly') return `${timestamp.slice(0, 10)}-${timestamp.slice(11, 13)}`;
+  if (interval === 'daily') return timestamp.slice(0, 10);
+  return '';
+}
+
+/**
+ * File transport with time and size rotation, retention and gzip compression.
+ * Writes are synchronous so the size bookkeeping is exact and nothing is lost
+ * on a crash; compression and pruning run in the background.
+ */
+export class RotatingFileTransport implements Transport {
+  private readonly dir: string;
+  private readonly fileName: string;
+  private readonly interval: RotationInterval;
+  private readonly maxSizeBytes: number;
+  private readonly retentionDays: number;
+  private readonly maxFiles: number;
+  private readonly compress: boolean;
+  private readonly format: (entry: LogEntry) => string;
+  private readonly dated: boolean;
+  /** Matches the active file and every rotated sibling of this transport. */
+  private readonly familyPattern: RegExp;
+
+  private fd: number | null = null;
+  private activePath = '';
+  private period: string | null = null;
+  private size = 0;
+  private readonly pending = new Set<Promise<void>>();
+
+  constructor(opts: RotatingFileOptions) {
+    this.dir = opts.dir;
+    this.fileName = opts.fileName;
+    this.interval = opts.interval ?? 'daily';
+    this.maxSizeBytes = opts.maxSizeBytes ?? 0;
+    this.retentionDays = opts.retentionDays ?? 0;
+    this.maxFiles = opts.maxFiles ?? 0;
+    this.compress = opts.compress ?? false;
+    this.format = opts.format ?? ((entry) => safeStringify(entry));
+    this.dated = this.fileName.includes('%DATE%');
+
+    const ext = path.extname(this.fileName);
+    const stem = this.fileName.slice(0, this.fileName.length - ext.length);
+    const datePart = '\\d{4}-\\d{2}-\\d{2}(?:-\\d{2})?';
+    const stemPattern = stem.split('%DATE%').map(_escapeRegex).join(datePart);
+    this.familyPattern = new RegExp(`^${stemPattern}(?:-${datePart})?(?:\\.\\d+)?${_escapeRegex(ext)}(?:\\.gz)?$`);
+
+    if (!fs.existsSync(this.dir)) {
+      fs.mkdirSync(this.dir, { recursive: true });
+    }
+    this.track(this.prune());
+  }
+
+  write(entry: LogEntry): void {
+    const period = periodOf(entry.timestamp, this.interval);
+    if (this.fd === null || period !== this.period) {
+      this.open(period);
+    } else if (this.maxSizeBytes > 0 && this.size >= this.maxSizeBytes) {
+      this.rollOver();
+    }
+    if (this.fd === null) return;
+    const line = this.format(entry) + '\n';
+    try {
+      this.size += fs.writeSync(this.fd, line);
+    } catch (err) {
+      process.stderr.write(`[LOGGER] File transport error: ${(err as Error).message}\n`);
+    }
+  }
+
+  close(): void {
+    if (this.fd !== null) {
+      try {
+        fs.closeSync(this.fd);
+      } catch {
+        // already closed
+      }
+      this.fd = null;
+    }
+  }
+
+  async flush(): Promise<void> {
+    while (this.pending.size > 0) {
+      await Promise.all([...this.pending]);
+    }
+  }
+
+  /** Path of the file currently written to ('' before the first write). */
+  get currentPath(): string {
+    return this.activePath;
+  }
+
+  private open(period: string): void {
+    const previous = this.period;
+    if (this.fd !== null && previous !== null) {
+      if (this.dated) {
+        // Dated files are already unique — only compress the finished one
+        const finished = this.activePath;
+        this.close();
+        this.archive(finished, finished);
+      } else {
+        this.rollOver(previous);
+      }
+    }
+    this.period = period;
+    this.activePath = path.join(this.dir, this.fileName.replace('%DATE%', period));
+    if (!this.dated && previous === null) this.rotateStale(period);
+    this.openActive();
+  }
+
+  private openActive(): void {
+    this.close();
+    try {
+      this.fd = fs.openSync(this.activePath, 'a');
+      this.size = fs.fstatSync(this.fd).size;
+    } catch (err) {
+      this.fd = null;
+      process.stderr.write(`[LOGGER] Cannot open ${this.activePath}: ${(err as Error).message}\n`);
+    }
+  }
+
+  /** A fixed-name file left over from an earlier period — rotate it before appending. */
+  private rotateStale(period: string): void {
+    try {
+      const stat = fs.statSync(this.activePath);
+      const stalePeriod = periodOf(stat.mtime.toISOString(), this.interval);
+      if (stat.size > 0 && stalePeriod !== period) {
+        this.archive(this.activePath, this.archiveName(stalePeriod));
+      }
+    } catch {
+      // no previous file
+    }
+  }
+
+  /** Size limit hit (or period change for fixed names): move the active file aside and reopen. */
+  private rollOver(period: string | null = this.period): void {
+    const finished = this.activePath;
+    this.close();
+    this.archive(finished, this.archiveName(period ?? ''));
+    this.openActive();
+  }
+
+  private archiveName(period: string): string {
+    const ext = path.extname(this.activePath);
+    const stem = this.activePath.slice(0, this.activePath.length - ext.length);
+    const base = this.dated || !period ? stem : `${stem}-${period}`;
+    for (let n = 1; ; n++) {
+      const candidate = `${base}.${String(n)}${ext}`;
+      if (!fs.existsSync(candidate) && !fs.existsSync(candidate + '.gz')) return candidate;
+    }
+  }
+
+  private archive(from: string, to: string): void {
+    try {
+      if (from !== to) fs.renameSync(from, to);
+    } catch (err) {
+      process.stderr.write(`[LOGGER] Log rotation failed: ${(err as Error).message}\n`);
+      return;
+    }
+    this.track((this.compress ? this.gzip(to) : Promise.resolve()).then(() => this.prune()));
+  }
+
+  private async gzip(file: string): Promise<void> {
+    try {
+      await pipeline(fs.createReadStream(file), zlib.createGzip(), fs.createWriteStream(file + '.gz'));
+      await fs.promises.unlink(file);
+    } catch (err) {
+      process.stderr.write(`[LOGGER] Log compression failed: ${(err as Error).message}\n`);
+    }
+  }
+
+  /** Apply retention to rotated files (never the active one). */
+  private async prune(): Promise<void> {
+    if (this.retentionDays <= 0 && this.maxFiles <= 0) return;
+    try {
+      const names = await fs.promises.readdir(this.dir);
+      const files: Array<{ file: string; mtime: number }> = [];
+      for (const name of names) {
+        const file = path.join(this.dir, name);
+        if (file === this.activePath || !this.familyPattern.test(name)) continue;
+        // A file being compressed still has its uncompressed twin — leave both alone
+        if (!name.endsWith('.gz') && this.compress && names.includes(name + '.gz')) continue;
+        const stat = await fs.promises.stat(file);
+        files.push({ file, mtime: stat.mtimeMs });
+      }
+      files.sort((a, b) => b.mtime - a.mtime);
+      const cutoff = Date.now() - this.retentionDays * DAY_MS;
+      for (const [i, f] of files.entries()) {
+        const expired = this.retentionDays > 0 && f.mtime < cutoff;
+        const excess = this.maxFiles > 0 && i >= this.maxFiles;
+        if (expired || excess) await fs.promises.unlink(f.file).catch(() => undefined);
+      }
+    } catch (err) {
+      process.stderr.write(`[LOGGER] Log retention failed: ${(err as Error).message}\n`);
+    }
+  }
+
+  private track(work: Promise<void>): void {
+    this.pending.add(work);
+    void work.finally(() => this.pending.delete(work));
+  }
+}
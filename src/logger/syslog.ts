@@ -0,0 +1,189 @@
+import dgram from 'node:dgram';
+import net from 'node:net';
+import os from 'node:os';
+import type { LogEntry, LogLevel, Transport } from './types.js';
+import { safeStringify } from './rotating-file.js';
+
+export type SyslogProtocol = 'udp' | 'tcp';
+
+export interface SyslogOptions {
+  host: string;
+  port?: number;
+  protocol?: SyslogProtocol;
+  /** Facility name ('user', 'daemon', 'local0'–'local7') or number. Default local0. */
+  facility?: string | number;
+  appName?: string;
+  hostname?: string;
+}
+
+const FACILITIES: Record<string, number> = {
+  kern: 0,
+  user: 1,
+  daemon: 3,
+  auth: 4,
+  syslog: 5,
+  local0: 16,
+  local1: 17,
+  local2: 18,
+  local3: 19,
+  local4: 20,
+  local5: 21,
+  local6: 22,
+  local7: 23,
+};
+
+const LOCAL0 = 16;
+
+const SEVERITY: Record<LogLevel, number> = {
+  error: 3,
+  warn: 4,
+  info: 6,
+  debug: 7,
+};
+
+/** Entries held while a TCP connection is (re)established. */
+const MAX_TCP_QUEUE = 1000;
+const MAX_RECONNECT_MS = 30_000;
+
+/** Resolve a facility name or number to its code (unknown → local0). */
+export function facilityCode(facility: string | number | undefined): number {
+  if (typeof facility === 'number' && Number.isInteger(facility) && facility >= 0 && facility <= 23) return facility;
+  if (typeof facility === 'string') return FACILITIES[facility.trim().toLowerCase()] ?? LOCAL0;
+  return LOCAL0;
+}
+
+/** RFC 5424 header fields: printable US-ASCII, no spaces, bounded length, '-' when empty. */
+function _headerField(value: string, max: number): string {
+  const clean = value.replace(/[^\x21-\x7e]/g, '').slice(0, max);
+  return clean || '-';
+}
+
+/**
+ * Format one entry as an RFC 5424 message. The category becomes MSGID and
+ * structured data is appended to the message as JSON.
+ */
+export function formatRfc5424(
+  entry: LogEntry,
+  opts: { facility: number; hostname: string; appName: string; pid?: number },
+): string {
+  const pri = opts.facility * 8 + SEVERITY[entry.level];
+  const msg = entry.data ? `${entry.message} ${safeStringify(entry.data)}` : entry.message;
+  return [
+    `<${String(pri)}>1`,
+    entry.timestamp,
+    _headerField(opts.hostname, 255),
+    _headerField(opts.appName, 48),
+    _headerField(String(opts.pid ?? process.pid), 128),
+    _headerField(entry.category, 32),
+    '-',
+    msg,
+  ].join(' ');
+}
+
+/**
+ * Syslog transport (RFC 5424). UDP sends one datagram per entry; TCP uses
+ * octet-counting framing (RFC 6587) and reconnects with backoff, queueing a
+ * bounded number of entries meanwhile.
+ */
+export class SyslogTransport implements Transport {
+  private readonly host: string;
+  private readonly port: number;
+  private readonly protocol: SyslogProtocol;
+  private readonly header: { facility: number; hostname: string; appName: string };
+
+  private udp: dgram.Socket | null = null;
+  private tcp: net.Socket | null = null;
+  private tcpReady = false;
+  private queue: string[] = [];
+  private reconnectTimer: ReturnType<typeof setTimeout> | null = null;
+  private reconnectDelay = 1000;
+  private closed = false;
+
+  constructor(opts: SyslogOptions) {
+    this.host = opts.host;
+    this.port = opts.port ?? 514;
+    this.protocol = opts.protocol === 'tcp' ? 'tcp' : 'udp';
+    this.header = {
+      facility: facilityCode(opts.facility),
+      hostname: opts.hostname ?? os.hostname(),
+      appName: opts.appName ?? 'humanitz-bot',
+    };
+  }
+
+  write(entry: LogEntry): void {
+    if (this.closed) return;
+    const msg = formatRfc5424(entry, this.header);
+    if (this.protocol === 'udp') this.sendUdp(msg);
+    else this.sendTcp(msg);
+  }
+
+  close(): void {
+    this.closed = true;
+    if (this.reconnectTimer) clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.udp?.close();
+    this.udp = null;
+    this.tcp?.end();
+    this.tcp = null;
+    this.tcpReady = false;
+  }
+
+  flush(): Promise<void> {
+    if (!this.tcp || !this.tcpReady || this.tcp.writableLength === 0) return Promise.resolve();
+    const socket = this.tcp;
+    return new Promise((resolve) => {
+      socket.once('drain', resolve);
+      socket.once('close', resolve);
+    });
+  }
+
+  private sendUdp(msg: string): void {
+    if (!this.udp) {
+      this.udp = dgram.createSocket(this.host.includes(':') ? 'udp6' : 'udp4');
+      this.udp.on('error', (err) => {
+        process.stderr.write(`[LOGGER] Syslog UDP error: ${err.message}\n`);
+      });
+      this.udp.unref();
+    }
+    this.udp.send(Buffer.from(msg, 'utf8'), this.port, this.host);
+  }
+
+  private sendTcp(msg: string): void {
+    const frame = `${String(Buffer.byteLength(msg, 'utf8'))} ${msg}`;
+    if (this.tcp && this.tcpReady) {
+      this.tcp.write(frame);
+      return;
+    }
+    if (this.queue.length >= MAX_TCP_QUEUE) this.queue.shift();
+    this.queue.push(frame);
+    if (!this.tcp && !this.reconnectTimer) this.connectTcp();
+  }
+
+  private connectTcp(): void {
+    const socket = net.connect({ host: this.host, port: this.port });
+    this.tcp = socket;
+    socket.unref();
+    socket.on('connect', () => {
+      this.tcpReady = true;
+      this.reconnectDelay = 1000;
+      const queued = this.queue;
+      this.queue = [];
+      for (const frame of queued) socket.write(frame);
+    });
+    socket.on('error', (err) => {
+      process.stderr.write(`[LOGGER] Syslog TCP error: ${err.message}\n`);
+    });
+    socket.on('close', () => {
+      if (this.tcp !== socket) return;
+      this.tcp = null;
+      this.tcpReady = false;
+      if (this.closed) return;
+      this.reconnectTimer = setTimeout(() => {
+        this.reconnectTimer = null;
+        if (!this.closed) this.connectTcp();
+      }, this.reconnectDelay);
+      this.reconnectTimer.unref();
+      this.reconnectDelay = Math.min(this.reconnectDelay * 2, MAX_RECONNECT_MS);
+    });
+  }
+}
@@ -1,14 +1,5 @@
-import fs from 'node:fs';
-import path from 'node:path';
 import type { LogEntry, Transport } from './types.js';
-
-function safeStringify(obj: unknown): string {
-  try {
-    return JSON.stringify(obj);
-  } catch {
-    return '[Circular or non-serializable]';
-  }
-}
+import { RotatingFileTransport, safeStringify, type RotatingFileOptions } from './rotating-file.js';
 
 /** Console transport — human-readable format with timestamps. */
 export class ConsoleTransport implements Transport {
@@ -26,41 +17,12 @@ export class ConsoleTransport implements Transport {
   }
 }
 
-/** File transport — writes JSON lines to daily-rotated log files. */
-export class FileTransport implements Transport {
-  private readonly dir: string;
-  private currentDate = '';
-  private stream: fs.WriteStream | null = null;
-
-  constructor(logDir: string) {
-    this.dir = logDir;
-    if (!fs.existsSync(this.dir)) {
-      fs.mkdirSync(this.dir, { recursive: true });
-    }
-  }
-
-  write(entry: LogEntry): void {
-    const date = entry.timestamp.slice(0, 10); // YYYY-MM-DD
-    if (date !== this.currentDate) {
-      this.rotateStream(date);
-    }
-    this.stream?.write(safeStringify(entry) + '\n');
-  }
-
-  close(): void {
-    if (this.stream) {
-      this.stream.end();
-      this.stream = null;
-    }
-  }
-
-  private rotateStream(date: string): void {
-    this.close();
-    this.currentDate = date;
-    const filePath = path.join(this.dir, `${date}.jsonl`);
-    this.stream = fs.createWriteStream(filePath, { flags: 'a' });
-    this.stream.on('error', (err) => {
-      process.stderr.write(`[LOGGER] File transport error: ${err.message}\n`);
-    });
+/**
+ * File transport — JSON lines in one file per day (`logs/YYYY-MM-DD.jsonl`).
+ * Pass rotation options to also cap file size, expire old days and gzip them.
+ */
+export class FileTransport extends RotatingFileTransport {
+  constructor(logDir: string, opts: Omit<RotatingFileOptions, 'dir' | 'fileName'> = {}) {
+    super({ ...opts, dir: logDir, fileName: '%DATE%.jsonl' });
   }
 }
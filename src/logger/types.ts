@@ -16,4 +16,24 @@ export interface LoggerOptions {
 export interface Transport {
   write(entry: LogEntry): void;
   close?(): void;
+  /** Resolve once buffered entries and background work (compression, HTTP batches) have settled. */
+  flush?(): Promise<void>;
+}
+
+/** One configured transport — `type` is a name in the transport registry. */
+export interface TransportSpec {
+  type: string;
+  /** Minimum level for this transport only (defaults to everything that passes the logger). */
+  level?: LogLevel;
+  options?: Record<string, unknown>;
+}
+
+/** Full logger configuration, usually built from the bot config by `buildLoggerConfig()`. */
+export interface LoggerConfig {
+  level?: LogLevel;
+  /** Per-category minimum levels. Keys match a category exactly or by prefix with a trailing `*`. */
+  categoryLevels?: Record<string, LogLevel>;
+  transports?: TransportSpec[];
+  /** Default directory for file-based transports. */
+  logDir?: string;
 }
@@ -0,0 +1,287 @@
+/**
+ * Account Linker — binds Discord users to in-game SteamIDs.
+ *
+ * `/link` issues a short one-time code.  The player types it in-game (either
+ * bare or as `!link CODE`); ChatRelay hands every player chat line from
+ * `fetchchat` to onChat(), which resolves the speaker through LogWatcher's
+ * SteamID lookup and stores the pair in account_links.  Codes live in memory
+ * only and expire after LINK_CODE_TTL minutes.
+ *
+ * Linked accounts back `/me`, the LINKED_ROLE_ID role sync and the web
+ * panel's "my character" view (auth.ts keeps the SteamID on the session).
+ */
+
+import crypto from 'node:crypto';
+import { t, getLocale } from '../i18n/index.js';
+import { createLogger, type Logger } from '../utils/log.js';
+import { errMsg } from '../utils/error.js';
+import _defaultConfig from '../config/index.js';
+import { sendAdminMessage as _defaultSendAdminMessage } from '../rcon/server-info.js';
+import { _sanitizeRcon } from './chat-relay-parser.js';
+import type { HumanitZDB } from '../db/database.js';
+import type { AccountLinkRow } from '../db/repositories/account-link-repository.js';
+
+// ── Types ───────────────────────────────────────────────────────────────────
+
+type LinkConfig = Pick<typeof _defaultConfig, 'linkCodeTtl' | 'linkedRoleId' | 'guildId' | 'locale'>;
+
+/** Minimal discord.js surface used for role sync. */
+interface LinkMember {
+  id: string;
+  roles: {
+    cache: { has(roleId: string): boolean };
+    add(roleId: string, reason?: string): Promise<unknown>;
+    remove(roleId: string, reason?: string): Promise<unknown>;
+  };
+}
+
+interface LinkGuild {
+  members: { fetch(userId: string): Promise<LinkMember> };
+  roles: { cache: { get(roleId: string): { members: Map<string, LinkMember> } | undefined } };
+}
+
+interface LinkClient {
+  guilds: { cache: { get(guildId: string): LinkGuild | undefined } };
+}
+
+export type LinkErrorCode = 'disabled' | 'not_linked' | 'unknown_player';
+
+export type LinkResult<T> = { ok: true; value: T } | { ok: false; code: LinkErrorCode };
+
+export interface LinkCode {
+  code: string;
+  expiresAt: Date;
+}
+
+interface PendingCode {
+  discordId: string;
+  discordName: string;
+  expiresAt: number;
+}
+
+/** Unambiguous characters only — no 0/O or 1/I/L to misread in chat. */
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 6;
+const CODE_RE = new RegExp(`^(?:!link\\s+)?([${CODE_ALPHABET}]{${String(CODE_LENGTH)}})$`, 'i');
+const STEAM_ID_RE = /^\d{17}$/;
+
+function _randomCode(): string {
+  return Array.from({ length: CODE_LENGTH }, () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]).join('');
+}
+
+// ── AccountLinker class ─────────────────────────────────────────────────────
+
+class AccountLinker {
+  private _db: HumanitZDB | null = null;
+  private _client: LinkClient | null = null;
+  private _config: LinkConfig = _defaultConfig;
+  private _sendAdminMessage: (message: string) => Promise<unknown> = _defaultSendAdminMessage;
+  private _resolveSteamId: ((name: string) => string) | null = null;
+  private _log: Logger;
+  /** Pending code → who asked for it. */
+  private _codes = new Map<string, PendingCode>();
+  private _active = false;
+
+  constructor(opts: { label?: string } = {}) {
+    this._log = createLogger(opts.label, 'ACCOUNT LINK');
+  }
+
+  // ── Lifecycle ──────────────────────────────────────────────
+
+  start(
+    opts: {
+      db?: HumanitZDB | null;
+      client?: LinkClient | null;
+      config?: LinkConfig;
+      sendAdminMessage?: (message: string) => Promise<unknown>;
+      /** LogWatcher's name → SteamID lookup; falls back to the alias table. */
+      resolveSteamId?: ((name: string) => string) | null;
+    } = {},
+  ): void {
+    this._db = opts.db ?? null;
+    this._client = opts.client ?? null;
+    if (opts.config) this._config = opts.config;
+    if (opts.sendAdminMessage) this._sendAdminMessage = opts.sendAdminMessage;
+    this._resolveSteamId = opts.resolveSteamId ?? null;
+    this._codes.clear();
+    this._active = !!this._db;
+  }
+
+  stop(): void {
+    this._codes.clear();
+    this._active = false;
+  }
+
+  /** Whether linking is running (ENABLE_ACCOUNT_LINKING on and a DB attached). */
+  isActive(): boolean {
+    return this._active;
+  }
+
+  // ── Queries ────────────────────────────────────────────────
+
+  getLink(discordId: string): AccountLinkRow | null {
+    if (!this._db || !discordId) return null;
+    return this._db.accountLinks.getByDiscordId(discordId);
+  }
+
+  getLinkBySteamId(steamId: string): AccountLinkRow | null {
+    if (!this._db || !steamId) return null;
+    return this._db.accountLinks.getBySteamId(steamId);
+  }
+
+  getSteamId(discordId: string): string | null {
+    return this.getLink(discordId)?.steam_id ?? null;
+  }
+
+  // ── Linking flow ───────────────────────────────────────────
+
+  /**
+   * Issue a one-time code for a Discord user, replacing any code they were
+   * already holding.  Relinking an already linked account is allowed.
+   */
+  createCode(discordId: string, discordName = '', now: Date = new Date()): LinkResult<LinkCode> {
+    if (!this._db || !this._active) return { ok: false, code: 'disabled' };
+    this._prune(now.getTime());
+    for (const [code, pending] of this._codes) {
+      if (pending.discordId === discordId) this._codes.delete(code);
+    }
+
+    let code = _randomCode();
+    while (this._codes.has(code)) code = _randomCode();
+
+    const expiresAt = now.getTime() + Math.max(1, this._config.linkCodeTtl) * 60_000;
+    this._codes.set(code, { discordId, discordName, expiresAt });
+    return { ok: true, value: { code, expiresAt: new Date(expiresAt) } };
+  }
+
+  /**
+   * Check a player chat line for a pending code.  Returns true when the line
+   * was a link code (so callers can skip other handling).
+   */
+  async onChat(playerName: string, text: string, now: Date = new Date()): Promise<boolean> {
+    if (!this._db || !this._active) return false;
+    const match = CODE_RE.exec(text.trim());
+    if (!match) return false;
+    this._prune(now.getTime());
+    const code = (match[1] ?? '').toUpperCase();
+    const pending = this._codes.get(code);
+    if (!pending) return false;
+
+    const steamId = this._lookupSteamId(playerName);
+    if (!steamId) {
+      // Keep the code — the player may just not be in the ID map yet
+      this._reply(playerName, t('discord:account_linker.unknown_player', this._locale()));
+      return true;
+    }
+    this._codes.delete(code);
+
+    const previous = this._db.accountLinks.getBySteamId(steamId);
+    this._db.accountLinks.link(pending.discordId, steamId, pending.discordName);
+    this._log.info(`Linked ${pending.discordName || pending.discordId} → ${playerName} (${steamId})`);
+    this._reply(
+      playerName,
+      t('discord:account_linker.linked', this._locale(), { discord: pending.discordName || pending.discordId }),
+    );
+
+    if (previous && previous.discord_id !== pending.discordId) await this._setRole(previous.discord_id, false);
+    await this._setRole(pending.discordId, true);
+    return true;
+  }
+
+  /** Remove a Discord user's link and their linked role. */
+  async unlink(discordId: string): Promise<LinkResult<AccountLinkRow>> {
+    if (!this._db || !this._active) return { ok: false, code: 'disabled' };
+    const link = this._db.accountLinks.getByDiscordId(discordId);
+    if (!link || !this._db.accountLinks.unlink(discordId)) return { ok: false, code: 'not_linked' };
+    this._log.info(`Unlinked ${link.discord_name || discordId} from ${link.steam_id}`);
+    await this._setRole(discordId, false);
+    return { ok: true, value: link };
+  }
+
+  // ── Role sync ──────────────────────────────────────────────
+
+  /**
+   * Reconcile LINKED_ROLE_ID with account_links: grant it to every linked
+   * member and take it from cached holders who are no longer linked.
+   */
+  async syncRoles(): Promise<{ added: number; removed: number }> {
+    const result = { added: 0, removed: 0 };
+    const guild = this._guild();
+    const roleId = this._config.linkedRoleId;
+    if (!this._db || !guild || !roleId) return result;
+
+    const linked = new Set(this._db.accountLinks.getAll().map((l) => l.discord_id));
+    for (const discordId of linked) {
+      if (await this._setRole(discordId, true)) result.added++;
+    }
+    const holders = guild.roles.cache.get(roleId)?.members;
+    if (holders) {
+      for (const member of holders.values()) {
+        if (!linked.has(member.id) && (await this._setRole(member.id, false))) result.removed++;
+      }
+    }
+    if (result.added > 0 || result.removed > 0) {
+      this._log.info(`Role sync: +${String(result.added)} / -${String(result.removed)}`);
+    }
+    return result;
+  }
+
+  // ── Internals ──────────────────────────────────────────────
+
+  private _lookupSteamId(name: string): string | null {
+    if (!this._db || !name) return null;
+    try {
+      const fromLog = this._resolveSteamId?.(name);
+      if (fromLog && STEAM_ID_RE.test(fromLog)) return fromLog;
+      const hit = this._db.player.resolveNameToSteamId(name);
+      const steamId = typeof hit?.steamId === 'string' ? hit.steamId : '';
+      return STEAM_ID_RE.test(steamId) ? steamId : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /** Add or remove the linked role.  Returns true if the member's roles changed. */
+  private async _setRole(discordId: string, grant: boolean): Promise<boolean> {
+    const guild = this._guild();
+    const roleId = this._config.linkedRoleId;
+    if (!guild || !roleId) return false;
+    try {
+      const member = await guild.members.fetch(discordId);
+      if (member.roles.cache.has(roleId) === grant) return false;
+      if (grant) await member.roles.add(roleId, 'Linked SteamID');
+      else await member.roles.remove(roleId, 'SteamID unlinked');
+      return true;
+    } catch (err: unknown) {
+      this._log.warn(`Role ${grant ? 'grant' : 'removal'} failed for ${discordId}:`, errMsg(err));
+      return false;
+    }
+  }
+
+  private _guild(): LinkGuild | null {
+    if (!this._client || !this._config.guildId) return null;
+    return this._client.guilds.cache.get(this._config.guildId) ?? null;
+  }
+
+  private _prune(now: number): void {
+    for (const [code, pending] of this._codes) {
+      if (pending.expiresAt <= now) this._codes.delete(code);
+    }
+  }
+
+  /** In-game reply addressed to the player — name white, rest gray. */
+  private _reply(playerName: string, text: string): void {
+    this._sendAdminMessage(`${_sanitizeRcon(playerName)}<FO>, ${_sanitizeRcon(text)}</>`).catch((err: unknown) => {
+      this._log.warn('In-game reply failed:', errMsg(err));
+    });
+  }
+
+  private _locale(): string {
+    return getLocale({ serverConfig: this._config });
+  }
+}
+
+// Singleton — shared by index.ts wiring, slash commands and the web panel
+const _singleton = new AccountLinker();
+export default _singleton;
+export { AccountLinker };
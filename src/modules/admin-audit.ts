@@ -0,0 +1,184 @@
+/**
+ * Admin Audit — tamper-evident record of every privileged action.
+ *
+ * Panel writes (kicks, bans, RCON, power, settings, bot config, raw SQL,
+ * anticheat reviews …) are recorded by the web server's audit middleware
+ * (web-map/audit-trail.ts); Discord admin commands call
+ * `recordInteraction()` themselves.  Each entry stores the actor, their tier,
+ * the server, the action, redacted parameters and the outcome in the primary
+ * database's admin_audit table.  Rows are hash-chained (see
+ * db/repositories/audit-repository.ts) so `verify()` detects any row that
+ * was edited or removed after the fact.
+ *
+ * With AUDIT_CHANNEL_ID set, every entry is also mirrored to that Discord
+ * channel — a copy outside the database that a DB admin can't rewrite.
+ */
+
+import { createHash } from 'node:crypto';
+import { EmbedBuilder, type ChatInputCommandInteraction, type Client } from 'discord.js';
+import { t, getLocale } from '../i18n/index.js';
+import { createLogger, type Logger } from '../utils/log.js';
+import { errMsg } from '../utils/error.js';
+import { postAdminAlert } from '../utils/admin-alert.js';
+import _defaultConfig from '../config/index.js';
+import { parseDbTimestampUtc } from '../db/timestamp.js';
+import type { HumanitZDB } from '../db/database.js';
+import type {
+  AuditFilter,
+  AuditResult,
+  AuditRow,
+  AuditVerification,
+  NewAuditEntry,
+} from '../db/repositories/audit-repository.js';
+
+// ── Types ───────────────────────────────────────────────────────────────────
+
+type AdminAuditConfig = Pick<typeof _defaultConfig, 'auditChannelId' | 'locale'>;
+
+export type AdminAuditErrorCode = 'disabled' | 'failed';
+
+export type AdminAuditResult<T> = { ok: true; value: T } | { ok: false; code: AdminAuditErrorCode };
+
+const REDACTED = '[redacted]';
+const SENSITIVE_KEY = /passw(or)?d|secret|token|api_?key|private_?key|credential/i;
+const MAX_STRING = 500;
+const MAX_ITEMS = 50;
+const MAX_DEPTH = 4;
+
+const RESULT_COLORS: Record<AuditResult, number> = { ok: 0x3498db, error: 0xe67e22, denied: 0xe74c3c };
+
+// ── Helpers ─────────────────────────────────────────────────────────────────
+
+/** Copy of `value` with secret-looking keys masked and long strings / lists cut short. */
+export function redactParams(value: unknown, depth = 0): unknown {
+  if (typeof value === 'string') return value.length > MAX_STRING ? `${value.slice(0, MAX_STRING)}…` : value;
+  if (value === null || typeof value !== 'object') return value;
+  if (depth >= MAX_DEPTH) return '…';
+  if (Array.isArray(value)) return value.slice(0, MAX_ITEMS).map((v) => redactParams(v, depth + 1));
+  const out: Record<string, unknown> = {};
+  for (const [key, v] of Object.entries(value as Record<string, unknown>).slice(0, MAX_ITEMS)) {
+    out[key] = SENSITIVE_KEY.test(key) ? REDACTED : redactParams(v, depth + 1);
+  }
+  return out;
+}
+
+/** Short, stable fingerprint of a session ID — enough to group one login's actions, useless for hijacking it. */
+export function sessionFingerprint(sessionId: string | undefined): string {
+  return sessionId ? createHash('sha256').update(sessionId).digest('hex').slice(0, 12) : '';
+}
+
+// ── AdminAudit class ────────────────────────────────────────────────────────
+
+class AdminAudit {
+  private _db: HumanitZDB | null = null;
+  private _client: Client | null = null;
+  private _config: AdminAuditConfig = _defaultConfig;
+  private _log: Logger;
+
+  constructor(opts: { label?: string } = {}) {
+    this._log = createLogger(opts.label, 'AUDIT');
+  }
+
+  // ── Lifecycle ──────────────────────────────────────────────
+
+  /** Attach the primary database (where the chain lives) and the optional Discord mirror. */
+  start(opts: { db: HumanitZDB; client?: Client | null; config?: AdminAuditConfig }): void {
+    this._db = opts.db;
+    this._client = opts.client ?? null;
+    if (opts.config) this._config = opts.config;
+  }
+
+  stop(): void {
+    this._db = null;
+    this._client = null;
+  }
+
+  isActive(): boolean {
+    return this._db !== null;
+  }
+
+  // ── Recording ──────────────────────────────────────────────
+
+  /** Append an entry (params are redacted here) and mirror it.  Never throws. */
+  record(entry: NewAuditEntry): AdminAuditResult<AuditRow> {
+    if (!this._db) return { ok: false, code: 'disabled' };
+    let row: AuditRow;
+    try {
+      row = this._db.audit.append({ ...entry, params: redactParams(entry.params ?? {}) as Record<string, unknown> });
+    } catch (err: unknown) {
+      this._log.error(`Could not record ${entry.action} by ${entry.actorName ?? entry.actorId ?? '?'}:`, errMsg(err));
+      return { ok: false, code: 'failed' };
+    }
+    void this._mirror(row);
+    return { ok: true, value: row };
+  }
+
+  /** Record a Discord slash command run by an admin. */
+  recordInteraction(
+    interaction: Pick<ChatInputCommandInteraction, 'user'>,
+    action: string,
+    params: Record<string, unknown>,
+    result: AuditResult,
+    detail = '',
+  ): AdminAuditResult<AuditRow> {
+    return this.record({
+      source: 'discord',
+      actorId: interaction.user.id,
+      actorName: interaction.user.username,
+      tier: 'admin',
+      action,
+      params,
+      result,
+      detail,
+    });
+  }
+
+  // ── Panel ──────────────────────────────────────────────────
+
+  list(filter: AuditFilter = {}): AdminAuditResult<AuditRow[]> {
+    if (!this._db) return { ok: false, code: 'disabled' };
+    return { ok: true, value: this._db.audit.list(filter) };
+  }
+
+  actions(): AdminAuditResult<string[]> {
+    if (!this._db) return { ok: false, code: 'disabled' };
+    return { ok: true, value: this._db.audit.actions() };
+  }
+
+  verify(): AdminAuditResult<AuditVerification> {
+    if (!this._db) return { ok: false, code: 'disabled' };
+    const result = this._db.audit.verify();
+    if (!result.ok)
+      this._log.warn(`Audit chain broken at entry #${String(result.brokenAt)} (${String(result.reason)})`);
+    return { ok: true, value: result };
+  }
+
+  // ── Internals ──────────────────────────────────────────────
+
+  private async _mirror(row: AuditRow): Promise<void> {
+    if (!this._client || !this._config.auditChannelId) return;
+    const locale = getLocale({ serverConfig: this._config });
+    const params = row.params === '{}' ? '' : `\n\`\`\`json\n${row.params.slice(0, 1000)}\n\`\`\``;
+    const embed = new EmbedBuilder()
+      .setTitle(t('discord:admin_audit.title', locale, { action: row.action }))
+      .setDescription(
+        t('discord:admin_audit.line', locale, {
+          actor: row.actor_name || row.actor_id || '?',
+          source: t(`discord:admin_audit.sources.${row.source}`, locale),
+          server: row.server_id,
+          result: t(`discord:admin_audit.results.${row.result}`, locale),
+        }) +
+          (row.detail ? `\n${row.detail}` : '') +
+          params,
+      )
+      .setColor(RESULT_COLORS[row.result])
+      .setFooter({ text: t('discord:admin_audit.footer', locale, { id: row.id, hash: row.hash.slice(0, 12) }) })
+      .setTimestamp(parseDbTimestampUtc(row.created_at));
+    await postAdminAlert(this._client, embed, { adminAlertChannelIds: [this._config.auditChannelId] });
+  }
+}
+
+// Singleton — shared by index.ts wiring, the web panel and admin commands
+const _singleton = new AdminAudit();
+export default _singleton;
+export { AdminAudit };
@@ -0,0 +1,469 @@
+/**
+ * Ban Manager — ban registry on top of the game's native ban list
+ * (`ban` / `unban` / `fetchbanned`).
+ *
+ * Every ban is recorded in the bans table with a reason, moderator notes,
+ * evidence links (anticheat flag ids), who issued it and an optional expiry.
+ * A ban is pushed to the servers picked when it is issued — the primary
+ * server alone, or every MultiServerManager instance too when propagation is
+ * chosen (BAN_PROPAGATE sets the default).  Unbans go to the same servers.
+ *
+ * A 60s tick lifts temporary bans whose expiry has passed.  Every
+ * BAN_SYNC_INTERVAL minutes each server's `fetchbanned` output is compared
+ * with the registry:
+ *
+ *   - active bans missing from a server are pushed again
+ *   - players the bot unbanned who reappear are unbanned again
+ *   - anything else was banned by hand in the console and is imported
+ */
+
+import _defaultConfig from '../config/index.js';
+import { createLogger, type Logger } from '../utils/log.js';
+import { errMsg } from '../utils/error.js';
+import { COMMANDS, type RconTarget } from '../rcon/server-info.js';
+import { formatDbTimestampUtc } from '../db/timestamp.js';
+import type { HumanitZDB } from '../db/database.js';
+import type { BanRow } from '../db/repositories/ban-repository.js';
+
+// ── Types ───────────────────────────────────────────────────────────────────
+
+type BanConfig = Pick<typeof _defaultConfig, 'banPropagate' | 'banSyncInterval'>;
+
+export interface BanActor {
+  id: string;
+  name: string;
+}
+
+export type BanErrorCode =
+  | 'disabled'
+  | 'invalid_steam_id'
+  | 'unknown_player'
+  | 'already_banned'
+  | 'not_banned'
+  | 'not_found'
+  | 'invalid_evidence'
+  | 'no_servers';
+
+export type BanResult<T> = { ok: true; value: T } | { ok: false; code: BanErrorCode };
+
+/** An anticheat flag linked as evidence. */
+export interface BanEvidence {
+  id: number;
+  detector: string;
+  severity: string;
+  status: string;
+  created_at: string;
+}
+
+/** bans row with evidence and servers decoded. */
+export interface Ban extends Omit<BanRow, 'evidence' | 'servers'> {
+  evidence: BanEvidence[];
+  servers: string[];
+}
+
+/** Outcome of one RCON push. */
+export interface BanPush {
+  serverId: string;
+  ok: boolean;
+  error?: string;
+}
+
+export interface BanOptions {
+  reason?: string;
+  notes?: string;
+  /** anticheat_flags ids — must belong to the banned player. */
+  evidence?: number[];
+  /** Minutes until the ban is lifted automatically — omit (or 0) for a permanent ban. */
+  durationMinutes?: number | null;
+  /** Server ids to ban on. Defaults to every server with BAN_PROPAGATE, else the primary server. */
+  servers?: string[];
+}
+
+export interface BanSyncSummary {
+  checked: number;
+  added: number;
+  removed: number;
+  imported: number;
+  failed: string[];
+}
+
+const TICK_INTERVAL_MS = 60_000;
+const STEAM_ID_RE = /^\d{17}$/;
+const STEAM_ID_SCAN_RE = /\b\d{17}\b/g;
+const MAX_REASON_LENGTH = 200;
+const MAX_NOTES_LENGTH = 2000;
+/** Actor recorded for expiry and sync changes. */
+const SYSTEM_ACTOR: BanActor = { id: 'system', name: 'Ban Sync' };
+
+function _parseList(raw: string | null): unknown[] {
+  if (!raw) return [];
+  try {
+    const parsed: unknown = JSON.parse(raw);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+/** SteamIDs listed in `fetchbanned` output — the format varies by build, so just scan for IDs. */
+export function parseBanList(raw: string | null | undefined): Set<string> {
+  return new Set((raw ?? '').match(STEAM_ID_SCAN_RE) ?? []);
+}
+
+// ── BanManager class ────────────────────────────────────────────────────────
+
+class BanManager {
+  private _db: HumanitZDB | null = null;
+  private _config: BanConfig = _defaultConfig;
+  private _getTargets: () => RconTarget[] = () => [];
+  private _log: Logger;
+  private _interval: ReturnType<typeof setInterval> | null = null;
+  private _lastSync = 0;
+  private _syncing = false;
+  private _active = false;
+
+  constructor(opts: { label?: string } = {}) {
+    this._log = createLogger(opts.label, 'BANS');
+  }
+
+  // ── Lifecycle ──────────────────────────────────────────────
+
+  /** Attach dependencies and start the expiry / sync tick. */
+  start(
+    opts: {
+      db?: HumanitZDB | null;
+      config?: BanConfig;
+      /** Every server the bot can reach — resolved per call so late-starting instances are included. */
+      getTargets?: () => RconTarget[];
+      /** Disable the interval (tests drive tick() directly). */
+      autoTick?: boolean;
+    } = {},
+  ): void {
+    this._db = opts.db ?? null;
+    if (opts.config) this._config = opts.config;
+    if (opts.getTargets) this._getTargets = opts.getTargets;
+    this._lastSync = 0;
+    this._active = !!this._db;
+    if (this._active && opts.autoTick !== false && !this._interval) {
+      this._interval = setInterval(() => {
+        void this.tick();
+      }, TICK_INTERVAL_MS);
+      this._interval.unref();
+      void this.tick();
+    }
+  }
+
+  stop(): void {
+    if (this._interval) {
+      clearInterval(this._interval);
+      this._interval = null;
+    }
+    this._active = false;
+  }
+
+  /** Whether the registry is running (ENABLE_BANS on and a DB attached). */
+  isActive(): boolean {
+    return this._active;
+  }
+
+  /** Lift expired bans, then sync if BAN_SYNC_INTERVAL has passed. */
+  async tick(now: Date = new Date()): Promise<void> {
+    if (!this._active) return;
+    try {
+      await this.liftExpired(now);
+      const interval = this._config.banSyncInterval * 60_000;
+      if (interval > 0 && now.getTime() - this._lastSync >= interval) {
+        this._lastSync = now.getTime();
+        await this.sync();
+      }
+    } catch (err: unknown) {
+      this._log.error('Tick failed:', errMsg(err));
+    }
+  }
+
+  // ── Queries ────────────────────────────────────────────────
+
+  getBan(id: number): Ban | null {
+    const row = this._db?.bans.getBan(id);
+    return row ? this._decode(row) : null;
+  }
+
+  getActive(): Ban[] {
+    if (!this._db) return [];
+    return this._db.bans.getActive().map((row) => this._decode(row));
+  }
+
+  /** Lifted and expired bans, most recently ended first. */
+  getRecent(limit = 50): Ban[] {
+    if (!this._db) return [];
+    return this._db.bans.getRecent(limit).map((row) => this._decode(row));
+  }
+
+  /** A player's full ban history. */
+  getHistory(steamId: string, limit = 50): Ban[] {
+    if (!this._db) return [];
+    return this._db.bans.getForSteamId(steamId, limit).map((row) => this._decode(row));
+  }
+
+  /** The player's current ban, or null. */
+  getActiveBan(steamId: string): Ban | null {
+    const row = this._db?.bans.getActiveForSteamId(steamId);
+    return row ? this._decode(row) : null;
+  }
+
+  /** Every server the bot can reach, with the ones a new ban goes to by default. */
+  getServers(): Array<{ id: string; name: string; default: boolean }> {
+    const defaults = new Set(this._selectedTargets().map((target) => target.id));
+    return this._getTargets().map((target) => ({ id: target.id, name: target.name, default: defaults.has(target.id) }));
+  }
+
+  // ── Ban / unban ────────────────────────────────────────────
+
+  /** Ban a player on the selected servers. */
+  async ban(
+    nameOrId: string,
+    actor: BanActor,
+    opts: BanOptions = {},
+    now: Date = new Date(),
+  ): Promise<BanResult<{ ban: Ban; pushes: BanPush[] }>> {
+    if (!this._db || !this._active) return { ok: false, code: 'disabled' };
+    const steamId = this._resolveSteamId(nameOrId);
+    if (!steamId) return { ok: false, code: /^\d+$/.test(nameOrId.trim()) ? 'invalid_steam_id' : 'unknown_player' };
+    if (this._db.bans.getActiveForSteamId(steamId)) return { ok: false, code: 'already_banned' };
+    const evidence = this._checkEvidence(steamId, opts.evidence ?? []);
+    if (!evidence) return { ok: false, code: 'invalid_evidence' };
+    const targets = this._selectedTargets(opts.servers);
+    if (targets.length === 0) return { ok: false, code: 'no_servers' };
+
+    const minutes = Math.max(0, Math.floor(opts.durationMinutes ?? 0));
+    const expiresAt = minutes > 0 ? formatDbTimestampUtc(new Date(now.getTime() + minutes * 60_000)) : null;
+    const id = this._db.bans.createBan(
+      {
+        steamId,
+        reason: (opts.reason ?? '').trim().slice(0, MAX_REASON_LENGTH),
+        notes: (opts.notes ?? '').trim().slice(0, MAX_NOTES_LENGTH),
+        evidence,
+        servers: targets.map((target) => target.id),
+        bannedBy: actor.id,
+        bannedByName: actor.name,
+        expiresAt,
+      },
+      formatDbTimestampUtc(now),
+    );
+    const pushes = await this._push(`${COMMANDS.BAN} ${steamId}`, targets);
+    this._log.info(
+      `Ban #${String(id)}: ${steamId} by ${actor.name} on ${targets.map((t) => t.id).join(', ')}` +
+        (expiresAt ? ` until ${expiresAt}` : ''),
+    );
+
+    const ban = this.getBan(id);
+    return ban ? { ok: true, value: { ban, pushes } } : { ok: false, code: 'not_found' };
+  }
+
+  /** Lift a player's active ban on every server it was pushed to. */
+  async unban(
+    nameOrId: string,
+    actor: BanActor,
+    reason = '',
+    now: Date = new Date(),
+    status: 'lifted' | 'expired' = 'lifted',
+  ): Promise<BanResult<{ ban: Ban; pushes: BanPush[] }>> {
+    if (!this._db || !this._active) return { ok: false, code: 'disabled' };
+    const steamId = this._resolveSteamId(nameOrId);
+    const row = steamId ? this._db.bans.getActiveForSteamId(steamId) : null;
+    if (!row) return { ok: false, code: 'not_banned' };
+    const servers = this._decode(row).servers;
+
+    if (
+      !this._db.bans.liftBan(
+        row.id,
+        status,
+        actor,
+        reason.trim().slice(0, MAX_REASON_LENGTH),
+        formatDbTimestampUtc(now),
+      )
+    ) {
+      return { ok: false, code: 'not_banned' };
+    }
+    const targets = this._getTargets().filter((target) => servers.includes(target.id));
+    const pushes = await this._push(`${COMMANDS.UNBAN} ${row.steam_id}`, targets);
+    this._log.info(`Ban #${String(row.id)} on ${row.steam_id} ${status} by ${actor.name}`);
+
+    const ban = this.getBan(row.id);
+    return ban ? { ok: true, value: { ban, pushes } } : { ok: false, code: 'not_found' };
+  }
+
+  /** Replace a ban's moderator notes and evidence links. */
+  updateNotes(id: number, notes: string, evidence: number[]): BanResult<Ban> {
+    if (!this._db || !this._active) return { ok: false, code: 'disabled' };
+    const row = this._db.bans.getBan(id);
+    if (!row) return { ok: false, code: 'not_found' };
+    const checked = this._checkEvidence(row.steam_id, evidence);
+    if (!checked) return { ok: false, code: 'invalid_evidence' };
+    this._db.bans.updateNotes(id, notes.trim().slice(0, MAX_NOTES_LENGTH), checked);
+    const ban = this.getBan(id);
+    return ban ? { ok: true, value: ban } : { ok: false, code: 'not_found' };
+  }
+
+  /** Lift temporary bans whose expiry has passed. Returns how many were lifted. */
+  async liftExpired(now: Date = new Date()): Promise<number> {
+    if (!this._db || !this._active) return 0;
+    let lifted = 0;
+    for (const row of this._db.bans.getExpired(formatDbTimestampUtc(now))) {
+      const res = await this.unban(row.steam_id, SYSTEM_ACTOR, '', now, 'expired');
+      if (res.ok) lifted++;
+    }
+    return lifted;
+  }
+
+  // ── Sync ───────────────────────────────────────────────────
+
+  /** Compare each server's `fetchbanned` with the registry and repair drift. */
+  async sync(): Promise<BanSyncSummary> {
+    const summary: BanSyncSummary = { checked: 0, added: 0, removed: 0, imported: 0, failed: [] };
+    if (!this._db || !this._active || this._syncing) return summary;
+    this._syncing = true;
+    try {
+      for (const target of this._getTargets()) {
+        let listed: Set<string>;
+        try {
+          listed = parseBanList(await target.send(COMMANDS.FETCH_BANNED));
+        } catch (err: unknown) {
+          this._log.warn(`fetchbanned failed on ${target.name}:`, errMsg(err));
+          summary.failed.push(target.id);
+          continue;
+        }
+        summary.checked++;
+        await this._syncTarget(target, listed, summary);
+      }
+      if (summary.added > 0 || summary.removed > 0 || summary.imported > 0) {
+        this._log.info(
+          `Synced: +${String(summary.added)} / -${String(summary.removed)} / ${String(summary.imported)} imported`,
+        );
+      }
+    } finally {
+      this._syncing = false;
+    }
+    return summary;
+  }
+
+  // ── Internals ──────────────────────────────────────────────
+
+  private async _syncTarget(target: RconTarget, listed: Set<string>, summary: BanSyncSummary) {
+    if (!this._db) return;
+    const active = this.getActive();
+    const wanted = new Set(active.filter((b) => b.servers.includes(target.id)).map((b) => b.steam_id));
+
+    for (const steamId of wanted) {
+      if (listed.has(steamId)) continue;
+      const [push] = await this._push(`${COMMANDS.BAN} ${steamId}`, [target]);
+      if (push?.ok) summary.added++;
+    }
+
+    for (const steamId of listed) {
+      if (wanted.has(steamId)) continue;
+      const current = active.find((b) => b.steam_id === steamId);
+      if (current) {
+        // Banned by hand on a server the registry ban did not cover — extend it
+        this._db.bans.setServers(current.id, [...current.servers, target.id]);
+        summary.imported++;
+        continue;
+      }
+      const last = this._db.bans.getForSteamId(steamId, 1)[0];
+      if (last && this._decode(last).servers.includes(target.id)) {
+        const [push] = await this._push(`${COMMANDS.UNBAN} ${steamId}`, [target]);
+        if (push?.ok) summary.removed++;
+        continue;
+      }
+      this._db.bans.createBan(
+        {
+          steamId,
+          notes: `Imported from fetchbanned on ${target.name}`,
+          servers: [target.id],
+          bannedBy: SYSTEM_ACTOR.id,
+          bannedByName: SYSTEM_ACTOR.name,
+        },
+        formatDbTimestampUtc(new Date()),
+      );
+      summary.imported++;
+    }
+  }
+
+  /** Send one command to each target; failures are collected, never thrown. */
+  private async _push(command: string, targets: RconTarget[]): Promise<BanPush[]> {
+    const pushes: BanPush[] = [];
+    for (const target of targets) {
+      try {
+        await target.send(command);
+        pushes.push({ serverId: target.id, ok: true });
+      } catch (err: unknown) {
+        this._log.warn(`"${command}" failed on ${target.name}:`, errMsg(err));
+        pushes.push({ serverId: target.id, ok: false, error: errMsg(err) });
+      }
+    }
+    return pushes;
+  }
+
+  /** Targets limited to `servers`; empty selection = every server with BAN_PROPAGATE, else the primary. */
+  private _selectedTargets(servers?: string[]): RconTarget[] {
+    const all = this._getTargets();
+    if (servers && servers.length > 0) return all.filter((target) => servers.includes(target.id));
+    return this._config.banPropagate ? all : all.filter((target) => target.id === 'primary');
+  }
+
+  /** Deduplicated flag ids if every one is an anticheat flag on this player, else null. */
+  private _checkEvidence(steamId: string, ids: number[]): number[] | null {
+    const unique = [...new Set(ids.map(Number))];
+    if (unique.length === 0) return [];
+    if (!this._db || unique.some((id) => !Number.isInteger(id) || id <= 0)) return null;
+    const own = new Set(this._flagsFor(steamId).map((f) => f.id));
+    return unique.every((id) => own.has(id)) ? unique : null;
+  }
+
+  private _flagsFor(steamId: string): BanEvidence[] {
+    if (!this._db) return [];
+    try {
+      return this._db.antiCheat
+        .getAcFlagsBySteam(steamId, 500)
+        .filter((f): f is NonNullable<typeof f> => !!f)
+        .map((f) => ({
+          id: Number(f.id),
+          detector: typeof f.detector === 'string' ? f.detector : '',
+          severity: typeof f.severity === 'string' ? f.severity : '',
+          status: typeof f.status === 'string' ? f.status : '',
+          created_at: typeof f.created_at === 'string' ? f.created_at : '',
+        }));
+    } catch {
+      return [];
+    }
+  }
+
+  private _resolveSteamId(nameOrId: string): string | null {
+    if (!this._db || !nameOrId) return null;
+    const query = nameOrId.trim();
+    if (STEAM_ID_RE.test(query)) return query;
+    if (/^\d+$/.test(query)) return null;
+    try {
+      const hit = this._db.player.resolveNameToSteamId(query);
+      const steamId = typeof hit?.steamId === 'string' ? hit.steamId : '';
+      return STEAM_ID_RE.test(steamId) ? steamId : null;
+    } catch {
+      return null;
+    }
+  }
+
+  private _decode(row: BanRow): Ban {
+    const ids = _parseList(row.evidence).filter((id): id is number => typeof id === 'number');
+    const flags = ids.length > 0 ? this._flagsFor(row.steam_id) : [];
+    const evidence = ids.map(
+      (id) => flags.find((f) => f.id === id) ?? { id, detector: '', severity: '', status: '', created_at: '' },
+    );
+    const servers = _parseList(row.servers).filter((s): s is string => typeof s === 'string');
+    return { ...row, evidence, servers };
+  }
+}
+
+// Singleton — shared by index.ts wiring and the web panel
+const _singleton = new BanManager();
+export default _singleton;
+export { BanManager };
@@ -0,0 +1,444 @@
+/**
+ * Bounty Board — player-placed and automatic kill-streak bounties.
+ *
+ * Players (or admins) put credits on a target; the next player to kill the
+ * target in PvP claims every active bounty on them.  Kill streaks raise an
+ * automatic server-funded bounty once a killer reaches the configured
+ * threshold.  Claims are driven by LogWatcher's PvP attribution
+ * (`player_death_pvp` log events), payouts go through the credit ledger.
+ *
+ * Announcements are posted in-game via admin RCON and to the LogWatcher
+ * daily thread.
+ *
+ * Streak counters persist in `bot_state` (key: 'bounty_streaks').
+ */
+
+import { EmbedBuilder } from 'discord.js';
+import { t, getLocale, fmtNumber } from '../i18n/index.js';
+import { createLogger, type Logger } from '../utils/log.js';
+import { errMsg } from '../utils/error.js';
+import _defaultConfig from '../config/index.js';
+import { sendAdminMessage as _defaultSendAdminMessage } from '../rcon/server-info.js';
+import { formatDbTimestampUtc } from '../db/timestamp.js';
+import type { HumanitZDB } from '../db/database.js';
+import type { BountyRow } from '../db/repositories/bounty-repository.js';
+
+// ── Types ───────────────────────────────────────────────────────────────────
+
+/** Minimal LogWatcher surface for posting bounty embeds. */
+interface BountyLogWatcher {
+  sendToThread(embed: EmbedBuilder): Promise<unknown>;
+}
+
+type BountyConfig = Pick<
+  typeof _defaultConfig,
+  'bountyMinAmount' | 'bountyExpiryHours' | 'bountyStreakThreshold' | 'bountyStreakReward' | 'locale'
+>;
+
+export type BountyErrorCode =
+  | 'disabled'
+  | 'unknown_target'
+  | 'self_target'
+  | 'min_amount'
+  | 'insufficient_funds'
+  | 'not_found'
+  | 'not_owner';
+
+export type BountyResult<T> = { ok: true; value: T } | { ok: false; code: BountyErrorCode };
+
+export interface PlaceBountyRequest {
+  target: string;
+  amount: number;
+  /** SteamID of the funding player. Omit for server-funded (admin) bounties. */
+  placedBy?: string | null;
+  placedByName?: string;
+  reason?: string;
+}
+
+export interface BountyClaim {
+  bounty: BountyRow;
+  payout: number;
+}
+
+const STATE_KEY = 'bounty_streaks';
+const SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+const STEAM_ID_RE = /^\d{17}$/;
+
+// ── BountyBoard class ───────────────────────────────────────────────────────
+
+class BountyBoard {
+  private _db: HumanitZDB | null = null;
+  private _logWatcher: BountyLogWatcher | null = null;
+  private _config: BountyConfig = _defaultConfig;
+  private _sendAdminMessage: (message: string) => Promise<unknown> = _defaultSendAdminMessage;
+  private _log: Logger;
+  private _streaks = new Map<string, number>();
+  private _sweepTimer: ReturnType<typeof setInterval> | null = null;
+  private _active = false;
+
+  constructor(opts: { label?: string } = {}) {
+    this._log = createLogger(opts.label, 'BOUNTY');
+  }
+
+  // ── Lifecycle ──────────────────────────────────────────────
+
+  /** Attach dependencies and start the expiry sweep. */
+  start(
+    opts: {
+      db?: HumanitZDB | null;
+      logWatcher?: BountyLogWatcher | null;
+      config?: BountyConfig;
+      sendAdminMessage?: (message: string) => Promise<unknown>;
+    } = {},
+  ): void {
+    this._db = opts.db ?? null;
+    this._logWatcher = opts.logWatcher ?? null;
+    if (opts.config) this._config = opts.config;
+    if (opts.sendAdminMessage) this._sendAdminMessage = opts.sendAdminMessage;
+    this._loadStreaks();
+    this._active = !!this._db;
+    if (this._active && !this._sweepTimer) {
+      this._sweepTimer = setInterval(() => {
+        this.expireBounties();
+      }, SWEEP_INTERVAL_MS);
+      this._sweepTimer.unref();
+    }
+  }
+
+  stop(): void {
+    if (this._sweepTimer) {
+      clearInterval(this._sweepTimer);
+      this._sweepTimer = null;
+    }
+    this._active = false;
+  }
+
+  /** Whether the board is running (ENABLE_BOUNTIES on and a DB attached). */
+  isActive(): boolean {
+    return this._active;
+  }
+
+  // ── Queries ────────────────────────────────────────────────
+
+  getActiveBounties(limit = 50): BountyRow[] {
+    if (!this._db) return [];
+    return this._db.bounty.getActiveBounties(limit);
+  }
+
+  getRecentClaims(limit = 20): BountyRow[] {
+    if (!this._db) return [];
+    return this._db.bounty.getRecentClaims(limit);
+  }
+
+  /** Current PvP kill streak for a player. */
+  getStreak(steamId: string): number {
+    return this._streaks.get(steamId) ?? 0;
+  }
+
+  // ── Placing & cancelling ───────────────────────────────────
+
+  /**
+   * Place a bounty on a player. Player-funded bounties debit the placer's
+   * credits up front; server-funded bounties (no placedBy) cost nothing.
+   */
+  place(req: PlaceBountyRequest): BountyResult<BountyRow> {
+    const db = this._db;
+    if (!db || !this._active) return { ok: false, code: 'disabled' };
+
+    const target = this._resolvePlayer(req.target);
+    if (!target) return { ok: false, code: 'unknown_target' };
+    if (req.placedBy && req.placedBy === target.steamId) return { ok: false, code: 'self_target' };
+
+    const amount = Math.trunc(req.amount);
+    if (!Number.isFinite(amount) || amount < this._config.bountyMinAmount) return { ok: false, code: 'min_amount' };
+
+    const expiresAt =
+      this._config.bountyExpiryHours > 0
+        ? formatDbTimestampUtc(new Date(Date.now() + this._config.bountyExpiryHours * 3600000))
+        : null;
+
+    const placedBy = req.placedBy ?? null;
+    const placedByName = req.placedByName ?? '';
+    let bounty: BountyRow | null;
+    try {
+      bounty = db.transaction((): BountyRow | null => {
+        const id = db.bounty.placeBounty({
+          targetSteamId: target.steamId,
+          targetName: target.name,
+          placedBy,
+          placedByName,
+          rewardCredits: amount,
+          reason: req.reason ?? (placedBy ? 'player' : 'admin'),
+          expiresAt,
+        });
+        if (placedBy) {
+          const debit = db.economy.adjustCredits(placedBy, -amount, 'bounty_place', `Bounty on ${target.name}`, id);
+          // Throwing rolls back the insert — an unfunded bounty never exists
+          if (!debit) throw new InsufficientFundsError();
+        }
+        return db.bounty.getBounty(id);
+      });
+    } catch (err: unknown) {
+      if (err instanceof InsufficientFundsError) return { ok: false, code: 'insufficient_funds' };
+      throw err;
+    }
+    if (!bounty) return { ok: false, code: 'not_found' };
+
+    this._announcePlaced(bounty);
+    return { ok: true, value: bounty };
+  }
+
+  /**
+   * Cancel an active bounty. Only the placer (or an admin) may cancel;
+   * player-funded bounties are refunded.
+   */
+  cancel(id: number, opts: { requestedBy?: string | null; isAdmin?: boolean } = {}): BountyResult<BountyRow> {
+    const db = this._db;
+    if (!db || !this._active) return { ok: false, code: 'disabled' };
+    const bounty = db.bounty.getBounty(id);
+    if (!bounty || bounty.status !== 'active') return { ok: false, code: 'not_found' };
+    if (!opts.isAdmin && (!opts.requestedBy || opts.requestedBy !== bounty.placed_by)) {
+      return { ok: false, code: 'not_owner' };
+    }
+    if (!this._closeAndRefund(bounty, 'cancelled')) return { ok: false, code: 'not_found' };
+    this._log.info(`Bounty #${String(id)} on ${bounty.target_name} cancelled`);
+    return { ok: true, value: { ...bounty, status: 'cancelled' } };
+  }
+
+  /** Expire overdue bounties and refund their placers. Returns the number expired. */
+  expireBounties(now: Date = new Date()): number {
+    const db = this._db;
+    if (!db) return 0;
+    let count = 0;
+    try {
+      for (const bounty of db.bounty.getExpiredActive(formatDbTimestampUtc(now))) {
+        if (this._closeAndRefund(bounty, 'expired')) count++;
+      }
+      if (count > 0) this._log.info(`Expired ${String(count)} bounty(ies)`);
+    } catch (err: unknown) {
+      this._log.error('Expiry sweep failed:', errMsg(err));
+    }
+    return count;
+  }
+
+  // ── Event hooks ────────────────────────────────────────────
+
+  /**
+   * Handle a confirmed PvP kill: claim bounties on the victim, bump the
+   * killer's streak and raise a streak bounty when the threshold is hit.
+   */
+  onPvpKill(killerName: string, victimName: string): BountyClaim[] {
+    if (!this._db || !this._active) return [];
+    const killer = this._resolvePlayer(killerName);
+    const victim = this._resolvePlayer(victimName);
+    if (!killer || !victim || killer.steamId === victim.steamId) return [];
+
+    let claims: BountyClaim[] = [];
+    try {
+      claims = this._claim(killer, victim);
+    } catch (err: unknown) {
+      this._log.error('Bounty claim failed:', errMsg(err));
+    }
+
+    const streak = this.getStreak(killer.steamId) + 1;
+    this._streaks.set(killer.steamId, streak);
+    this._streaks.delete(victim.steamId);
+    this._saveStreaks();
+    this._checkStreakBounty(killer, streak);
+
+    return claims;
+  }
+
+  /** Any death ends the victim's kill streak. */
+  onPlayerDeath(steamId: string): void {
+    if (this._streaks.delete(steamId)) this._saveStreaks();
+  }
+
+  // ── Internals ──────────────────────────────────────────────
+
+  private _claim(killer: ResolvedPlayer, victim: ResolvedPlayer): BountyClaim[] {
+    const db = this._db;
+    if (!db) return [];
+    const bounties = db.bounty.getActiveBountiesForTarget(victim.steamId);
+    if (bounties.length === 0) return [];
+
+    // Clanmates can't cash in on each other — stops bounty farming
+    if (db.clan.areClanmates(killer.steamId, victim.steamId)) return [];
+
+    const claims = db.transaction((): BountyClaim[] => {
+      const out: BountyClaim[] = [];
+      for (const bounty of bounties) {
+        // Placers can't collect their own bounty
+        if (bounty.placed_by === killer.steamId) continue;
+        if (!db.bounty.markClaimed(bounty.id, killer.steamId, killer.name)) continue;
+        db.economy.adjustCredits(
+          killer.steamId,
+          bounty.reward_credits,
+          'bounty_reward',
+          `Claimed bounty on ${victim.name}`,
+          bounty.id,
+        );
+        out.push({ bounty, payout: bounty.reward_credits });
+      }
+      return out;
+    });
+
+    if (claims.length > 0) this._announceClaimed(killer, victim, claims);
+    return claims;
+  }
+
+  private _checkStreakBounty(killer: ResolvedPlayer, streak: number): void {
+    const threshold = this._config.bountyStreakThreshold;
+    if (threshold <= 0 || streak < threshold || streak % threshold !== 0) return;
+    const reward = this._config.bountyStreakReward * (streak / threshold);
+    if (reward <= 0) return;
+    const result = this.place({
+      target: killer.steamId,
+      amount: Math.max(reward, this._config.bountyMinAmount),
+      placedBy: null,
+      reason: 'kill_streak',
+    });
+    if (!result.ok) this._log.warn(`Streak bounty on ${killer.name} not placed: ${result.code}`);
+  }
+
+  private _closeAndRefund(bounty: BountyRow, status: 'cancelled' | 'expired'): boolean {
+    const db = this._db;
+    if (!db) return false;
+    return db.transaction((): boolean => {
+      if (!db.bounty.closeBounty(bounty.id, status)) return false;
+      if (bounty.placed_by) {
+        db.economy.adjustCredits(
+          bounty.placed_by,
+          bounty.reward_credits,
+          'bounty_refund',
+          `Bounty on ${bounty.target_name} ${status}`,
+          bounty.id,
+        );
+      }
+      return true;
+    });
+  }
+
+  private _resolvePlayer(nameOrId: string): ResolvedPlayer | null {
+    if (!this._db || !nameOrId) return null;
+    try {
+      if (STEAM_ID_RE.test(nameOrId)) {
+        return { steamId: nameOrId, name: this._db.player.resolveSteamIdToName(nameOrId) };
+      }
+      const hit = this._db.player.resolveNameToSteamId(nameOrId);
+      const steamId = typeof hit?.steamId === 'string' ? hit.steamId : '';
+      if (!steamId) return null;
+      return { steamId, name: typeof hit?.name === 'string' ? hit.name : nameOrId };
+    } catch {
+      return null;
+    }
+  }
+
+  private _loadStreaks(): void {
+    this._streaks.clear();
+    if (!this._db) return;
+    try {
+      const raw = this._db.botState.getStateJSON(STATE_KEY, {}) as Record<string, unknown> | null;
+      for (const [steamId, value] of Object.entries(raw ?? {})) {
+        if (typeof value === 'number' && value > 0) this._streaks.set(steamId, value);
+      }
+    } catch (err: unknown) {
+      this._log.warn('Failed to load streaks:', errMsg(err));
+    }
+  }
+
+  private _saveStreaks(): void {
+    if (!this._db) return;
+    try {
+      this._db.botState.setStateJSON(STATE_KEY, Object.fromEntries(this._streaks));
+    } catch (err: unknown) {
+      this._log.error('Failed to save streaks:', errMsg(err));
+    }
+  }
+
+  // ── Announcements ──────────────────────────────────────────
+
+  private _announcePlaced(bounty: BountyRow): void {
+    const locale = getLocale({ serverConfig: this._config });
+    const reward = fmtNumber(bounty.reward_credits, locale);
+    const isStreak = bounty.reason === 'kill_streak';
+    const streak = this.getStreak(bounty.target_steam_id);
+    this._broadcast(
+      isStreak
+        ? `<SP>BOUNTY: </>${bounty.target_name}<FO> is on a ${String(streak)}-kill streak! </><PR>${reward} credits</><FO> to whoever ends it.`
+        : `<SP>BOUNTY: </><PR>${reward} credits</><FO> placed on </>${bounty.target_name}`,
+    );
+    const embed = new EmbedBuilder()
+      .setAuthor({ name: t('discord:bounty_board.placed_title', locale) })
+      .setDescription(
+        isStreak
+          ? t('discord:bounty_board.streak_description', locale, {
+              target: bounty.target_name,
+              streak,
+              reward,
+            })
+          : t('discord:bounty_board.placed_description', locale, {
+              target: bounty.target_name,
+              reward,
+              placer: bounty.placed_by_name || t('discord:bounty_board.server', locale),
+            }),
+      )
+      .setColor(0xe67e22)
+      .setTimestamp();
+    this._postEmbed(embed);
+  }
+
+  private _announceClaimed(killer: ResolvedPlayer, victim: ResolvedPlayer, claims: BountyClaim[]): void {
+    const locale = getLocale({ serverConfig: this._config });
+    const total = claims.reduce((sum, c) => sum + c.payout, 0);
+    const reward = fmtNumber(total, locale);
+    this._broadcast(
+      `<SP>BOUNTY CLAIMED: </>${killer.name}<FO> collected </><PR>${reward} credits</><FO> for </>${victim.name}`,
+    );
+    const embed = new EmbedBuilder()
+      .setAuthor({ name: t('discord:bounty_board.claimed_title', locale) })
+      .setDescription(
+        t('discord:bounty_board.claimed_description', locale, {
+          killer: killer.name,
+          target: victim.name,
+          reward,
+          count: claims.length,
+        }),
+      )
+      .setColor(0x2ecc71)
+      .setTimestamp();
+    this._postEmbed(embed);
+  }
+
+  private _broadcast(message: string): void {
+    this._sendAdminMessage(message).catch((err: unknown) => {
+      this._log.warn('In-game announcement failed:', errMsg(err));
+    });
+  }
+
+  private _postEmbed(embed: EmbedBuilder): void {
+    if (!this._logWatcher) return;
+    this._logWatcher.sendToThread(embed).catch((err: unknown) => {
+      this._log.warn('Thread post failed:', errMsg(err));
+    });
+  }
+
+  static STATE_KEY = STATE_KEY;
+}
+
+interface ResolvedPlayer {
+  steamId: string;
+  name: string;
+}
+
+/** Thrown inside the placement transaction to roll back an unfunded bounty. */
+class InsufficientFundsError extends Error {
+  constructor() {
+    super('Insufficient credits');
+  }
+}
+
+// Singleton — shared by index.ts wiring, /bounty and the web panel
+const _singleton = new BountyBoard();
+export default _singleton;
+export { BountyBoard };
@@ -0,0 +1,498 @@
+/**
+ * Chat Commands — in-game `!command` router.
+ *
+ * ChatRelay hands every player chat line from `fetchchat` to handle().  Lines
+ * starting with the configured prefix are matched against registered commands
+ * (built-ins plus anything registered at runtime) and then against the custom
+ * text commands admins edit in the panel Settings tab.  Replies go back
+ * in-game as RCON `admin` messages addressed to the player.
+ *
+ * Permissions are SteamID-based: the speaker's name is resolved through the
+ * online player list (falling back to the alias table) and admin-only commands
+ * require the SteamID to be listed in CHAT_COMMAND_ADMIN_IDS.  Cooldowns are
+ * per player per command; admins bypass them.
+ *
+ * `!admin` is reserved — ChatRelay._checkAdminCall owns it.
+ */
+
+import _defaultConfig from '../config/index.js';
+import _defaultRcon from '../rcon/rcon.js';
+import _defaultPlaytime, { type PlaytimeTracker } from '../tracking/playtime-tracker.js';
+import { getPlayerList } from '../rcon/server-info.js';
+import { t, getLocale } from '../i18n/index.js';
+import { createLogger, type Logger } from '../utils/log.js';
+import { errMsg } from '../utils/error.js';
+import { _sanitizeRcon } from './chat-relay-parser.js';
+import type { HumanitZDB } from '../db/database.js';
+
+type ConfigType = typeof _defaultConfig;
+type RconType = typeof _defaultRcon;
+
+// ── Types ───────────────────────────────────────────────────────────────────
+
+export type ChatCommandPermission = 'everyone' | 'admin';
+
+export interface ChatCommandContext {
+  /** In-game name as it appeared in chat. */
+  name: string;
+  steamId: string | null;
+  args: string[];
+  isAdmin: boolean;
+}
+
+/** A reply line, several lines, or null to stay silent. */
+export type ChatCommandReply = string | string[] | null;
+
+export interface ChatCommand {
+  name: string;
+  aliases?: string[];
+  permission?: ChatCommandPermission;
+  /** Per-player cooldown in seconds; defaults to CHAT_COMMAND_COOLDOWN. */
+  cooldown?: number;
+  run(ctx: ChatCommandContext): ChatCommandReply | Promise<ChatCommandReply>;
+}
+
+/** Admin-defined text command as stored in config.chatCustomCommands. */
+export interface CustomChatCommand {
+  name: string;
+  response: string;
+  permission: ChatCommandPermission;
+  cooldown: number | null;
+}
+
+export type CustomCommandErrorCode = 'invalid' | 'invalid_name' | 'reserved' | 'duplicate' | 'invalid_response';
+
+export type CustomCommandResult =
+  | { ok: true; value: CustomChatCommand[] }
+  | { ok: false; code: CustomCommandErrorCode; index: number };
+
+interface PvpScheduleSource {
+  _minutesUntilNextTransition(): { minutesUntil: number; targetPvp: boolean };
+}
+
+interface RestartScheduleSource {
+  getStatus(): Record<string, unknown>;
+}
+
+export interface ChatCommandDeps {
+  config?: ConfigType;
+  rcon?: RconType;
+  db?: HumanitZDB | null;
+  playtime?: PlaytimeTracker;
+  getPvpScheduler?: () => PvpScheduleSource | null | undefined;
+  getServerScheduler?: () => RestartScheduleSource | null | undefined;
+  label?: string;
+}
+
+export const BUILTIN_COMMANDS = [
+  'help',
+  'stats',
+  'playtime',
+  'top',
+  'online',
+  'discord',
+  'rules',
+  'pvp',
+  'restart',
+] as const;
+export const MAX_CUSTOM_COMMANDS = 50;
+const RESERVED = new Set<string>(['admin']);
+const NAME_RE = /^[a-z0-9_-]{1,24}$/;
+const MAX_RESPONSE_LENGTH = 400;
+/** Longest multi-line reply (e.g. !rules) sent in one go. */
+const MAX_REPLY_LINES = 8;
+const TOP_SIZE = 5;
+const ONLINE_NAMES = 15;
+
+const TOP_CATEGORIES = {
+  kills: { query: 'topKillers', column: 'lifetime_kills' },
+  playtime: { query: 'topPlaytime', column: 'playtime_seconds' },
+  pvp: { query: 'topPvp', column: 'log_pvp_kills' },
+  days: { query: 'topSurvival', column: 'lifetime_days_survived' },
+} as const;
+type TopCategory = keyof typeof TOP_CATEGORIES;
+
+// ── Helpers ─────────────────────────────────────────────────────────────────
+
+function _num(value: unknown): number {
+  return typeof value === 'number' ? value : Number(value) || 0;
+}
+
+/** Config list values arrive as arrays from .env and as raw strings after a DB live-apply. */
+function _list(value: unknown, sep: string): string[] {
+  const items: unknown[] = Array.isArray(value) ? value : typeof value === 'string' ? value.split(sep) : [];
+  return items.map((s) => (typeof s === 'string' ? s.trim() : '')).filter(Boolean);
+}
+
+function _formatMinutes(minutes: number): string {
+  const total = Math.max(0, Math.round(minutes));
+  const d = Math.floor(total / 1440);
+  const h = Math.floor((total % 1440) / 60);
+  const m = total % 60;
+  if (d > 0) return `${String(d)}d ${String(h)}h`;
+  if (h > 0) return `${String(h)}h ${String(m).padStart(2, '0')}m`;
+  return `${String(m)}m`;
+}
+
+/**
+ * Validate the custom command list posted from the Settings tab (or loaded
+ * from the config document).  Names are lowercased and stripped of a leading
+ * prefix; built-in and reserved names are rejected.
+ */
+export function parseCustomCommands(raw: unknown): CustomCommandResult {
+  if (!Array.isArray(raw) || raw.length > MAX_CUSTOM_COMMANDS) return { ok: false, code: 'invalid', index: -1 };
+  const seen = new Set<string>();
+  const value: CustomChatCommand[] = [];
+  for (const [index, entry] of (raw as unknown[]).entries()) {
+    if (!entry || typeof entry !== 'object') return { ok: false, code: 'invalid', index };
+    const e = entry as Record<string, unknown>;
+    const name =
+      typeof e.name === 'string'
+        ? e.name
+            .trim()
+            .replace(/^[!/.#]/, '')
+            .toLowerCase()
+        : '';
+    if (!NAME_RE.test(name)) return { ok: false, code: 'invalid_name', index };
+    if (RESERVED.has(name) || (BUILTIN_COMMANDS as readonly string[]).includes(name)) {
+      return { ok: false, code: 'reserved', index };
+    }
+    if (seen.has(name)) return { ok: false, code: 'duplicate', index };
+    const response = typeof e.response === 'string' ? _sanitizeRcon(e.response).trim() : '';
+    if (!response || response.length > MAX_RESPONSE_LENGTH) return { ok: false, code: 'invalid_response', index };
+    const cooldown =
+      typeof e.cooldown === 'number' ? e.cooldown : typeof e.cooldown === 'string' ? parseInt(e.cooldown, 10) : NaN;
+    seen.add(name);
+    value.push({
+      name,
+      response,
+      permission: e.permission === 'admin' ? 'admin' : 'everyone',
+      cooldown: Number.isFinite(cooldown) && cooldown >= 0 ? Math.floor(cooldown) : null,
+    });
+  }
+  return { ok: true, value };
+}
+
+// ── Router ──────────────────────────────────────────────────────────────────
+
+class ChatCommandRouter {
+  private _config: ConfigType;
+  private _rcon: RconType;
+  private _db: HumanitZDB | null;
+  private _playtime: PlaytimeTracker;
+  private _getPvpScheduler: () => PvpScheduleSource | null | undefined;
+  private _getServerScheduler: () => RestartScheduleSource | null | undefined;
+  private _log: Logger;
+  private _locale: string;
+  /** Lowercased name or alias → command. */
+  private _commands = new Map<string, ChatCommand>();
+  /** `${command}:${player}` → last use (ms). */
+  private _lastUsed = new Map<string, number>();
+
+  constructor(deps: ChatCommandDeps = {}) {
+    this._config = deps.config ?? _defaultConfig;
+    this._rcon = deps.rcon ?? _defaultRcon;
+    this._db = deps.db ?? null;
+    this._playtime = deps.playtime ?? _defaultPlaytime;
+    this._getPvpScheduler = deps.getPvpScheduler ?? (() => null);
+    this._getServerScheduler = deps.getServerScheduler ?? (() => null);
+    this._log = createLogger(deps.label, 'CHAT CMD');
+    this._locale = getLocale({ serverConfig: this._config });
+    this._registerBuiltins();
+  }
+
+  // ── Registry ──────────────────────────────────────────────
+
+  /** Register a command (and its aliases). A later registration replaces an earlier one. */
+  register(command: ChatCommand): void {
+    const names = [command.name, ...(command.aliases ?? [])].map((n) => n.toLowerCase());
+    for (const name of names) {
+      if (RESERVED.has(name)) throw new Error(`Chat command name "${name}" is reserved`);
+    }
+    this.unregister(command.name);
+    for (const name of names) this._commands.set(name, command);
+  }
+
+  /** Remove a command and all of its aliases. Returns false if it was not registered. */
+  unregister(name: string): boolean {
+    const command = this._commands.get(name.toLowerCase());
+    if (!command) return false;
+    for (const [key, value] of this._commands) {
+      if (value === command) this._commands.delete(key);
+    }
+    return true;
+  }
+
+  /** Primary names of every registered and custom command, optionally filtered to what a player may run. */
+  listCommands(isAdmin = true): string[] {
+    const names = new Set<string>();
+    for (const command of this._commands.values()) {
+      if (isAdmin || command.permission !== 'admin') names.add(command.name);
+    }
+    for (const custom of this._customCommands()) {
+      if (isAdmin || custom.permission !== 'admin') names.add(custom.name);
+    }
+    return [...names];
+  }
+
+  // ── Dispatch ──────────────────────────────────────────────
+
+  /**
+   * Handle one player chat message.  Returns true when it was a known command
+   * (whether or not it replied), false for ordinary chat.
+   */
+  async handle(playerName: string, text: string): Promise<boolean> {
+    if (!this._config.enableChatCommands) return false;
+    const prefix = typeof this._config.chatCommandPrefix === 'string' ? this._config.chatCommandPrefix : '!';
+    if (!prefix || !text.startsWith(prefix)) return false;
+
+    const [rawName = '', ...args] = text.slice(prefix.length).trim().split(/\s+/);
+    const commandName = rawName.toLowerCase();
+    if (!commandName || RESERVED.has(commandName)) return false;
+
+    const command = this._resolve(commandName);
+    if (!command) return false;
+
+    const steamId = await this._resolveSteamId(playerName);
+    const isAdmin = steamId !== null && _list(this._config.chatCommandAdminIds, ',').includes(steamId);
+    const ctx: ChatCommandContext = { name: playerName, steamId, args, isAdmin };
+
+    if (command.permission === 'admin' && !isAdmin) {
+      await this._reply(
+        playerName,
+        t('discord:chat_commands.no_permission', this._locale, { command: prefix + command.name }),
+      );
+      return true;
+    }
+    if (!isAdmin && this._onCooldown(command, steamId ?? playerName.toLowerCase())) return true;
+
+    try {
+      const reply = await command.run(ctx);
+      if (reply !== null) await this._reply(playerName, reply);
+      this._log.info(`${prefix}${command.name} from ${playerName}`);
+    } catch (err: unknown) {
+      this._log.error(`${prefix}${command.name} failed:`, errMsg(err));
+    }
+    return true;
+  }
+
+  // ── Internal ──────────────────────────────────────────────
+
+  private _resolve(name: string): ChatCommand | null {
+    const registered = this._commands.get(name);
+    if (registered) return registered;
+    const custom = this._customCommands().find((c) => c.name === name);
+    if (!custom) return null;
+    return {
+      name: custom.name,
+      permission: custom.permission,
+      ...(custom.cooldown !== null ? { cooldown: custom.cooldown } : {}),
+      run: (ctx) => this._fillPlaceholders(custom.response, ctx),
+    };
+  }
+
+  private _customCommands(): CustomChatCommand[] {
+    const parsed = parseCustomCommands(this._config.chatCustomCommands);
+    return parsed.ok ? parsed.value : [];
+  }
+
+  /** True (and no update) while the player is still cooling down for this command. */
+  private _onCooldown(command: ChatCommand, playerKey: string): boolean {
+    const seconds = command.cooldown ?? _num(this._config.chatCommandCooldown);
+    if (seconds <= 0) return false;
+    const key = `${command.name}:${playerKey}`;
+    const now = Date.now();
+    const last = this._lastUsed.get(key);
+    if (last !== undefined && now - last < seconds * 1000) return true;
+    this._lastUsed.set(key, now);
+    // Keep the map from growing without bound on long-running servers
+    if (this._lastUsed.size > 1000) {
+      for (const [k, ts] of this._lastUsed) {
+        if (now - ts > 3_600_000) this._lastUsed.delete(k);
+      }
+    }
+    return false;
+  }
+
+  /** Online player list first (in-game name, case-insensitive), then the alias table. */
+  private async _resolveSteamId(name: string): Promise<string | null> {
+    try {
+      const list = await getPlayerList(this._rcon);
+      const lower = name.toLowerCase();
+      const online = list.players.find((p) => p.name.toLowerCase() === lower && /^\d{17}$/.test(p.steamId));
+      if (online) return online.steamId;
+    } catch (_: unknown) {
+      /* RCON hiccup — fall back to aliases */
+    }
+    try {
+      const resolved = this._db?.player.resolveNameToSteamId(name);
+      return resolved && /^\d{17}$/.test(String(resolved.steamId)) ? String(resolved.steamId) : null;
+    } catch (_: unknown) {
+      return null;
+    }
+  }
+
+  private async _reply(playerName: string, reply: string | string[]): Promise<void> {
+    const lines = (Array.isArray(reply) ? reply : [reply])
+      .map((l) => _sanitizeRcon(l).trim())
+      .filter(Boolean)
+      .slice(0, MAX_REPLY_LINES);
+    for (const [i, line] of lines.entries()) {
+      // Address the first line to the player — name white, rest gray
+      await this._rcon.send(i === 0 ? `admin </>${playerName}<FO>, ${line}` : `admin <FO>${line}`);
+    }
+  }
+
+  private _fillPlaceholders(text: string, ctx: ChatCommandContext): string {
+    return text
+      .replace(/\{player\}/gi, ctx.name)
+      .replace(/\{discord\}/gi, this._config.discordInviteLink || '')
+      .replace(/\{server\}/gi, this._config.serverName || '');
+  }
+
+  /** Target player for !stats / !playtime: the argument if given, otherwise the speaker. */
+  private async _target(ctx: ChatCommandContext): Promise<{ steamId: string | null; name: string }> {
+    const query = ctx.args.join(' ').trim();
+    if (!query) return { steamId: ctx.steamId, name: ctx.name };
+    return { steamId: await this._resolveSteamId(query), name: query };
+  }
+
+  // ── Built-in commands ─────────────────────────────────────
+
+  private _registerBuiltins(): void {
+    const loc = () => this._locale;
+    const prefix = () => (typeof this._config.chatCommandPrefix === 'string' ? this._config.chatCommandPrefix : '!');
+
+    this.register({
+      name: 'help',
+      aliases: ['commands'],
+      run: (ctx) =>
+        t('discord:chat_commands.help', loc(), {
+          commands: this.listCommands(ctx.isAdmin)
+            .map((n) => prefix() + n)
+            .join(', '),
+        }),
+    });
+
+    this.register({
+      name: 'stats',
+      run: async (ctx) => {
+        const target = await this._target(ctx);
+        const row = target.steamId ? this._db?.player.getPlayer(target.steamId) : null;
+        if (!row) return t('discord:chat_commands.player_not_found', loc(), { name: target.name });
+        return t('discord:chat_commands.stats', loc(), {
+          name: typeof row.name === 'string' && row.name ? row.name : target.name,
+          kills: _num(row.lifetime_kills),
+          deaths: _num(row.log_deaths),
+          pvp_kills: _num(row.log_pvp_kills),
+          days: _num(row.lifetime_days_survived),
+        });
+      },
+    });
+
+    this.register({
+      name: 'playtime',
+      aliases: ['pt'],
+      run: async (ctx) => {
+        const target = await this._target(ctx);
+        const pt = target.steamId ? this._playtime.getPlaytime(target.steamId) : null;
+        if (!pt) return t('discord:chat_commands.player_not_found', loc(), { name: target.name });
+        return t('discord:chat_commands.playtime', loc(), {
+          name: pt.name || target.name,
+          playtime: pt.totalFormatted,
+          sessions: pt.sessions,
+        });
+      },
+    });
+
+    this.register({
+      name: 'top',
+      run: (ctx) => {
+        const arg = (ctx.args[0] ?? 'kills').toLowerCase();
+        if (!(arg in TOP_CATEGORIES)) {
+          return t('discord:chat_commands.top_usage', loc(), {
+            command: `${prefix()}top`,
+            categories: Object.keys(TOP_CATEGORIES).join('|'),
+          });
+        }
+        const category = arg as TopCategory;
+        const { query, column } = TOP_CATEGORIES[category];
+        const rows = (this._db?.leaderboard[query](TOP_SIZE) ?? []) as Array<Record<string, unknown>>;
+        const entries = rows
+          .filter((r) => _num(r[column]) > 0)
+          .map((r, i) => {
+            const value = category === 'playtime' ? `${String(Math.round(_num(r[column]) / 3600))}h` : _num(r[column]);
+            return `${String(i + 1)}. ${typeof r.name === 'string' ? r.name : String(r.steam_id)} (${String(value)})`;
+          });
+        if (entries.length === 0) return t('discord:chat_commands.top_empty', loc());
+        return t('discord:chat_commands.top', loc(), {
+          category: t(`discord:chat_commands.top_categories.${category}`, loc()),
+          entries: entries.join('  '),
+        });
+      },
+    });
+
+    this.register({
+      name: 'online',
+      aliases: ['players'],
+      run: async () => {
+        const list = await getPlayerList(this._rcon);
+        if (list.count === 0) return t('discord:chat_commands.online_empty', loc());
+        const names = list.players.map((p) => p.name).filter(Boolean);
+        const more = names.length > ONLINE_NAMES ? ` +${String(names.length - ONLINE_NAMES)}` : '';
+        return t('discord:chat_commands.online', loc(), {
+          count: list.count,
+          names: names.slice(0, ONLINE_NAMES).join(', ') + more,
+        });
+      },
+    });
+
+    this.register({
+      name: 'discord',
+      run: () =>
+        this._config.discordInviteLink
+          ? t('discord:chat_commands.discord', loc(), { link: this._config.discordInviteLink })
+          : t('discord:chat_commands.not_configured', loc()),
+    });
+
+    this.register({
+      name: 'rules',
+      run: () => {
+        const rules = _list(this._config.serverRules, '|');
+        if (rules.length === 0) return t('discord:chat_commands.not_configured', loc());
+        return [t('discord:chat_commands.rules_heading', loc()), ...rules.map((r, i) => `${String(i + 1)}. ${r}`)];
+      },
+    });
+
+    this.register({
+      name: 'pvp',
+      run: () => {
+        const scheduler = this._getPvpScheduler();
+        if (!scheduler) return t('discord:chat_commands.pvp_not_scheduled', loc());
+        const { minutesUntil, targetPvp } = scheduler._minutesUntilNextTransition();
+        if (!Number.isFinite(minutesUntil)) return t('discord:chat_commands.pvp_not_scheduled', loc());
+        const key = targetPvp ? 'pvp_starts_in' : 'pvp_ends_in';
+        return t(`discord:chat_commands.${key}`, loc(), { duration: _formatMinutes(minutesUntil) });
+      },
+    });
+
+    this.register({
+      name: 'restart',
+      run: () => {
+        const status = this._getServerScheduler()?.getStatus();
+        const minutes = status?.minutesUntilRestart;
+        if (!status?.active || typeof minutes !== 'number' || typeof status.nextRestart !== 'string') {
+          return t('discord:chat_commands.restart_not_scheduled', loc());
+        }
+        return t('discord:chat_commands.restart', loc(), {
+          time: status.nextRestart,
+          timezone: typeof status.timezone === 'string' ? status.timezone : 'UTC',
+          duration: _formatMinutes(minutes),
+        });
+      },
+    });
+  }
+}
+
+export default ChatCommandRouter;
+export { ChatCommandRouter, _formatMinutes };
@@ -4,6 +4,7 @@ import _defaultRcon from '../rcon/rcon.js';
 import { t, getLocale } from '../i18n/index.js';
 import { createLogger, type Logger } from '../utils/log.js';
 import { errMsg } from '../utils/error.js';
+import { createGuildMirror, type GuildMirror } from './guild-mirror.js';
 
 // Data-layer parser: regexes, line parsing, diffing, sanitisation
 import * as chatParser from './chat-relay-parser.js';
@@ -41,10 +42,26 @@ interface ThreadLike {
   setArchived?(archived: boolean): Promise<unknown>;
 }
 
+/** In-game command router (see chat-commands.ts). */
+interface ChatCommandHandler {
+  handle(playerName: string, text: string): Promise<boolean>;
+}
+
+/** Discord ↔ SteamID link-code listener (see account-linker.ts). */
+interface AccountLinkHandler {
+  onChat(playerName: string, text: string): Promise<boolean>;
+}
+
 interface ChatRelayDeps {
   config?: ConfigType;
   rcon?: RconType;
   db?: ChatRelayDB | null;
+  commands?: ChatCommandHandler | null;
+  linker?: AccountLinkHandler | null;
+  /** Called for every relayed in-game chat line (e.g. outbound webhooks). */
+  onChat?: ((entry: ChatEntry) => void) | null;
+  /** Game server ID ('primary' or a managed server) — selects the guilds mirroring its chat. */
+  serverId?: string;
   label?: string;
 }
 
@@ -59,7 +76,11 @@ class ChatRelay {
   private _config: ConfigType;
   private _rcon: RconType;
   private _db: ChatRelayDB | null;
+  private _commands: ChatCommandHandler | null;
+  private _linker: AccountLinkHandler | null;
+  private _onChat: ((entry: ChatEntry) => void) | null;
   private _log: Logger;
+  private _mirror: GuildMirror | null;
   private adminChannel: ThreadLike | null;
   _lastLines: string[];
   private _pollTimer: ReturnType<typeof setInterval> | null;
@@ -88,6 +109,9 @@ class ChatRelay {
     this._config = deps.config ?? _defaultConfig;
     this._rcon = deps.rcon ?? _defaultRcon;
     this._db = deps.db ?? null;
+    this._commands = deps.commands ?? null;
+    this._linker = deps.linker ?? null;
+    this._onChat = deps.onChat ?? null;
     this._log = createLogger(deps.label, 'CHAT RELAY');
     this.adminChannel = null;
     this._lastLines = []; // snapshot for diff
@@ -104,6 +128,21 @@ class ChatRelay {
     this._logChatWarned = false;
     this._polling = false;
     this._awaitActivityThread = false;
+    this._mirror = createGuildMirror(client, deps.serverId ?? 'primary', 'chat', {
+      serverConfig: this._config,
+      label: deps.label,
+      threads: this._config.useChatThreads
+        ? {
+            getToday: () => this._config.getToday(),
+            name: (locale) =>
+              t('discord:chat_relay.chat_log_title', locale, {
+                date_label: this._config.getDateLabel(),
+                server_suffix: this._config.serverName ? ` [${this._config.serverName}]` : '',
+              }),
+            description: (locale) => t('discord:chat_relay.chat_log_description', locale),
+          }
+        : null,
+    });
   }
 
   /** Whether the chat relay started successfully. */
@@ -121,6 +160,9 @@ class ChatRelay {
         this._headless = true;
         this._log.info('No CHAT_CHANNEL_ID — running in headless mode (DB-only, no Discord posting)');
       }
+      if (this._mirror) {
+        this._log.info(`Chat mirrored to ${String(this._mirror.size)} channel(s) in other guilds`);
+      }
 
       if (!this._headless) {
         this.adminChannel = (await this.client.channels.fetch(chatId as string)) as ThreadLike | null;
@@ -144,8 +186,10 @@ class ChatRelay {
         if (!this._config.nukeBot) {
           await this._getOrCreateChatThread();
         }
+      }
 
-        // Listen for outbound admin messages
+      // Listen for outbound admin messages (own channel and mirror channels)
+      if (!this._headless || this._mirror) {
         this._boundOnMessage = (message: Message) => {
           void this._onMessage(message);
         };
@@ -241,6 +285,16 @@ class ChatRelay {
     this._nukeActive = active;
   }
 
+  /** Attach the in-game `!command` router (null to detach). */
+  setCommandRouter(router: ChatCommandHandler | null): void {
+    this._commands = router;
+  }
+
+  /** Attach the account-link code listener (null to detach). */
+  setAccountLinker(linker: AccountLinkHandler | null): void {
+    this._linker = linker;
+  }
+
   /** @internal Configure whether rollover waits for LogWatcher activity thread creation. */
   setAwaitActivityThread(active: boolean): void {
     this._awaitActivityThread = active;
@@ -418,16 +472,45 @@ class ChatRelay {
 
       for (const line of newLines) {
         const parsed = this._parseLine(line);
+
+        // Link codes are consumed before relaying so they never reach the chat log
+        if (this._linker && parsed?.entry.type === 'player' && parsed.entry.playerName) {
+          try {
+            if (await this._linker.onChat(parsed.entry.playerName, parsed.entry.message)) continue;
+          } catch (err: unknown) {
+            this._log.error('Account link error:', errMsg(err));
+          }
+        }
+
         if (parsed) {
           // DB first — insert before posting to Discord
           this._logChat(parsed.entry);
+          if (this._onChat) {
+            try {
+              this._onChat(parsed.entry);
+            } catch (err: unknown) {
+              this._log.error('Chat listener error:', errMsg(err));
+            }
+          }
           if (parsed.formatted && thread) {
             await thread.send(parsed.formatted);
           }
+          if (parsed.formatted && this._mirror) {
+            await this._mirror.send(parsed.formatted);
+          }
         }
 
         // Check for !admin command (posts to main channel, not thread)
         if (!this._headless) await this._checkAdminCall(line);
+
+        // In-game commands reply over RCON, so they also work headless
+        if (this._commands && parsed?.entry.type === 'player' && parsed.entry.playerName) {
+          try {
+            await this._commands.handle(parsed.entry.playerName, parsed.entry.message);
+          } catch (err: unknown) {
+            this._log.error('Chat command error:', errMsg(err));
+          }
+        }
       }
     } catch (err: unknown) {
       // Don't spam on RCON issues — the RCON module already logs
@@ -530,11 +613,14 @@ class ChatRelay {
 
   async _onMessage(message: Message) {
     if (message.author.bot) return;
-    // Accept messages in the admin channel OR any of its threads (e.g. the chat thread)
-    const isInChannel = message.channelId === this.adminChannel?.id;
+    // Accept messages in the admin channel OR any of its threads (e.g. the chat thread),
+    // and the same in every guild mirroring this server's chat
+    const isInChannel = !!this.adminChannel && message.channelId === this.adminChannel.id;
     const msgChannel = message.channel as { isThread?: () => boolean; parentId?: string };
-    const isInThread = msgChannel.isThread?.() === true && msgChannel.parentId === this.adminChannel?.id;
-    if (!isInChannel && !isInThread) return;
+    const parentId = msgChannel.isThread?.() === true ? msgChannel.parentId : null;
+    const isInThread = !!parentId && parentId === this.adminChannel?.id;
+    const isInMirror = !!this._mirror && this._mirror.owns(message.channelId, parentId);
+    if (!isInChannel && !isInThread && !isInMirror) return;
     if (!message.content || message.content.trim() === '') return;
 
     try {
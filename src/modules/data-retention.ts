@@ -0,0 +1,354 @@
+/**
+ * Data Retention — per-family age limits for the high-volume history tables.
+ *
+ * DATA_RETENTION lists one policy per table family as `family=mode:days`,
+ * e.g. "timeline=downsample:14, activity=archive:30, chat=delete:90".
+ * Rows older than `days` are handled by `mode`:
+ *
+ *   archive    — written to DATA_ARCHIVE_DIR (default data/archive) as
+ *                <server>/<family>/<family>-YYYYMMDD-HHMMSS.jsonl.gz, then deleted
+ *   delete     — deleted
+ *   downsample — timeline only: thinned to its hourly keyframes (TIMELINE_TIERS)
+ *
+ * Policies run once a day over the primary database and every managed
+ * server's database.  A family with a policy is no longer purged by its old
+ * ad-hoc caller (SnapshotService's age cap and full-resolution thinning, the
+ * save-sync maintenance purge) — see `manages()`.  SnapshotService still thins
+ * old hourly keyframes to daily ones, which no policy does.  The panel shows
+ * per-table sizes and a dry-run preview.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import zlib from 'node:zlib';
+import { Readable } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+import { createLogger, type Logger } from '../utils/log.js';
+import { errMsg } from '../utils/error.js';
+import { yieldToEventLoop } from '../utils/async.js';
+import { formatDbTimestampUtc } from '../db/timestamp.js';
+import { getDirname } from '../utils/paths.js';
+import _defaultConfig from '../config/index.js';
+import type HumanitZDB from '../db/database.js';
+import {
+  RETENTION_FAMILIES,
+  isRetentionFamily,
+  type RetentionFamily,
+  type TableSize,
+} from '../db/repositories/retention-repository.js';
+
+const __dirname = getDirname(import.meta.url);
+
+/** DATA_ARCHIVE_DIR, or data/archive when unset. */
+export function resolveArchiveDir(configured: string): string {
+  return configured ? path.resolve(configured) : path.join(__dirname, '..', '..', 'data', 'archive');
+}
+
+// ── Types ───────────────────────────────────────────────────────────────────
+
+type DataRetentionConfig = Pick<typeof _defaultConfig, 'dataRetention'>;
+
+export type RetentionMode = 'archive' | 'delete' | 'downsample';
+
+export interface RetentionPolicy {
+  family: RetentionFamily;
+  mode: RetentionMode;
+  days: number;
+}
+
+/** A database the schedule covers — 'primary' or a managed server id. */
+export interface RetentionTarget {
+  id: string;
+  db: HumanitZDB;
+}
+
+export interface RetentionFamilyPlan extends RetentionPolicy {
+  table: string;
+  /** DB timestamp — rows created before it are affected. */
+  cutoff: string;
+  rows: number;
+  oldest: string | null;
+  /** Rows the policy removes (after archiving, for 'archive'). */
+  affected: number;
+}
+
+export interface RetentionFamilyResult extends RetentionFamilyPlan {
+  /** Archive file written, when rows were archived. */
+  archive: string | null;
+  error: string | null;
+}
+
+export interface RetentionRun {
+  serverId: string;
+  startedAt: string;
+  families: RetentionFamilyResult[];
+}
+
+export interface StorageReport {
+  fileBytes: number;
+  tables: TableSize[];
+}
+
+export type DataRetentionErrorCode = 'disabled' | 'busy';
+
+export type DataRetentionResult<T> = { ok: true; value: T } | { ok: false; code: DataRetentionErrorCode };
+
+const MODES: readonly RetentionMode[] = ['archive', 'delete', 'downsample'];
+const DAY_MS = 24 * 60 * 60_000;
+const RUN_EVERY_MS = DAY_MS;
+const TICK_INTERVAL_MS = 60 * 60_000;
+const ARCHIVE_BATCH = 2000;
+const DELETE_BATCH = 5000;
+
+/**
+ * Parse "family=mode:days, …".  Unknown families, unknown modes, downsampling
+ * a family that cannot be thinned and days ≤ 0 are ignored; the last policy
+ * for a family wins.
+ */
+export function parseRetentionPolicies(raw: string): RetentionPolicy[] {
+  const out = new Map<RetentionFamily, RetentionPolicy>();
+  for (const entry of raw.split(',')) {
+    const m = /^\s*([a-z_]+)\s*=\s*([a-z]+)\s*:\s*(\d+)\s*$/i.exec(entry);
+    if (!m) continue;
+    const family = (m[1] ?? '').toLowerCase();
+    const mode = (m[2] ?? '').toLowerCase() as RetentionMode;
+    const days = parseInt(m[3] ?? '', 10);
+    if (!isRetentionFamily(family) || !MODES.includes(mode) || !(days > 0)) continue;
+    if (mode === 'downsample' && !RETENTION_FAMILIES[family].downsample) continue;
+    out.set(family, { family, mode, days });
+  }
+  return [...out.values()];
+}
+
+function _stamp(date: Date): string {
+  return date.toISOString().slice(0, 19).replace(/[-:]/g, '').replace('T', '-');
+}
+
+// ── DataRetention class ─────────────────────────────────────────────────────
+
+class DataRetention {
+  private _config: DataRetentionConfig = _defaultConfig;
+  private _policies: RetentionPolicy[] = [];
+  private _getTargets: () => RetentionTarget[] = () => [];
+  private _archiveDir = resolveArchiveDir('');
+  private _log: Logger;
+  private _interval: ReturnType<typeof setInterval> | null = null;
+  private _running = false;
+  private _lastRunAt = 0;
+  private _lastRuns: RetentionRun[] = [];
+  private _active = false;
+
+  constructor(opts: { label?: string } = {}) {
+    this._log = createLogger(opts.label, 'RETENTION');
+  }
+
+  // ── Lifecycle ──────────────────────────────────────────────
+
+  /** Attach dependencies and start the daily schedule. */
+  start(
+    opts: {
+      config?: DataRetentionConfig;
+      /** Databases the schedule covers — the primary plus managed servers. */
+      getTargets?: () => RetentionTarget[];
+      archiveDir?: string;
+      /** Disable the interval (tests drive tick() directly). */
+      autoTick?: boolean;
+    } = {},
+  ): void {
+    if (opts.config) this._config = opts.config;
+    if (opts.getTargets) this._getTargets = opts.getTargets;
+    if (opts.archiveDir) this._archiveDir = opts.archiveDir;
+    this._policies = parseRetentionPolicies(this._config.dataRetention);
+    this._lastRunAt = 0;
+    this._lastRuns = [];
+    this._active = true;
+    if (opts.autoTick !== false && !this._interval) {
+      this._interval = setInterval(() => {
+        void this.tick();
+      }, TICK_INTERVAL_MS);
+      this._interval.unref();
+    }
+  }
+
+  stop(): void {
+    if (this._interval) {
+      clearInterval(this._interval);
+      this._interval = null;
+    }
+    this._active = false;
+  }
+
+  isActive(): boolean {
+    return this._active;
+  }
+
+  get policies(): RetentionPolicy[] {
+    return this._policies;
+  }
+
+  get archiveDir(): string {
+    return this._archiveDir;
+  }
+
+  /** Latest run per database. */
+  get lastRuns(): RetentionRun[] {
+    return this._lastRuns;
+  }
+
+  /** Whether a family's old rows are handled here rather than by its legacy purge. */
+  manages(family: RetentionFamily): boolean {
+    return this._active && this._policies.some((p) => p.family === family);
+  }
+
+  // ── Schedule ───────────────────────────────────────────────
+
+  /** Apply the policies to every database once a day.  Resolves to the runs, or null when not due. */
+  async tick(now: Date = new Date()): Promise<RetentionRun[] | null> {
+    if (!this._active || this._running || this._policies.length === 0) return null;
+    if (now.getTime() - this._lastRunAt < RUN_EVERY_MS) return null;
+    this._lastRunAt = now.getTime();
+    const runs: RetentionRun[] = [];
+    for (const target of this._getTargets()) {
+      try {
+        const run = await this.apply(target.id, target.db, now);
+        if (run.ok) runs.push(run.value);
+      } catch (err: unknown) {
+        this._log.error(`[${target.id}] Retention run failed:`, errMsg(err));
+      }
+    }
+    return runs;
+  }
+
+  // ── Panel ──────────────────────────────────────────────────
+
+  /** Database file size and per-table usage. */
+  report(db: HumanitZDB): StorageReport {
+    return { fileBytes: db.retention.fileBytes(), tables: db.retention.tableSizes() };
+  }
+
+  /** Dry run — what each policy would do right now. */
+  preview(db: HumanitZDB, now: Date = new Date()): DataRetentionResult<RetentionFamilyPlan[]> {
+    if (!this._active) return { ok: false, code: 'disabled' };
+    return { ok: true, value: this._policies.map((policy) => this._plan(db, policy, now)) };
+  }
+
+  /** Apply every policy to one database. */
+  async apply(serverId: string, db: HumanitZDB, now: Date = new Date()): Promise<DataRetentionResult<RetentionRun>> {
+    if (!this._active) return { ok: false, code: 'disabled' };
+    if (this._running) return { ok: false, code: 'busy' };
+    this._running = true;
+    try {
+      const run: RetentionRun = { serverId, startedAt: now.toISOString(), families: [] };
+      for (const policy of this._policies) {
+        const plan = this._plan(db, policy, now);
+        const result: RetentionFamilyResult = { ...plan, affected: 0, archive: null, error: null };
+        if (plan.affected > 0) {
+          try {
+            if (policy.mode === 'downsample') {
+              result.affected = await this._downsample(db, plan.cutoff);
+            } else if (policy.mode === 'archive') {
+              // Only rows that made it into the archive are deleted
+              const archive = await this._archive(serverId, db, policy.family, plan.cutoff, now);
+              if (archive) {
+                result.archive = archive.file;
+                result.affected = await this._delete(db, policy.family, plan.cutoff, archive.maxId);
+              }
+            } else {
+              result.affected = await this._delete(db, policy.family, plan.cutoff, Number.MAX_SAFE_INTEGER);
+            }
+          } catch (err: unknown) {
+            result.error = errMsg(err);
+            this._log.error(`[${serverId}] ${policy.family} ${policy.mode} failed:`, result.error);
+          }
+        }
+        run.families.push(result);
+      }
+      const touched = run.families.filter((f) => f.affected > 0);
+      if (touched.length > 0) {
+        this._log.info(
+          `[${serverId}] ` + touched.map((f) => `${f.family}: ${String(f.affected)} row(s) ${f.mode}d`).join(', '),
+        );
+      }
+      this._lastRuns = [...this._lastRuns.filter((r) => r.serverId !== serverId), run];
+      return { ok: true, value: run };
+    } finally {
+      this._running = false;
+    }
+  }
+
+  // ── Internals ──────────────────────────────────────────────
+
+  private _plan(db: HumanitZDB, policy: RetentionPolicy, now: Date): RetentionFamilyPlan {
+    const cutoff = formatDbTimestampUtc(new Date(now.getTime() - policy.days * DAY_MS));
+    const repo = db.retention;
+    return {
+      ...policy,
+      table: RETENTION_FAMILIES[policy.family].table,
+      cutoff,
+      rows: repo.countRows(policy.family),
+      oldest: repo.oldest(policy.family),
+      affected: policy.mode === 'downsample' ? repo.countDownsample(cutoff) : repo.countExpired(policy.family, cutoff),
+    };
+  }
+
+  /** Stream expired rows to a gzipped JSON-lines file.  Returns the file and the last archived id. */
+  private async _archive(
+    serverId: string,
+    db: HumanitZDB,
+    family: RetentionFamily,
+    cutoff: string,
+    now: Date,
+  ): Promise<{ file: string; maxId: number } | null> {
+    const dir = path.join(this._archiveDir, serverId, family);
+    fs.mkdirSync(dir, { recursive: true });
+    const file = path.join(dir, `${family}-${_stamp(now)}.jsonl.gz`);
+    const tmp = `${file}.tmp`;
+    let maxId = 0;
+    async function* lines(): AsyncGenerator<string> {
+      for (;;) {
+        const rows = db.retention.expiredBatch(family, cutoff, maxId, ARCHIVE_BATCH);
+        if (rows.length === 0) return;
+        maxId = rows[rows.length - 1]?.id as number;
+        yield rows.map((r) => JSON.stringify(r)).join('\n') + '\n';
+        await yieldToEventLoop();
+      }
+    }
+    try {
+      await pipeline(Readable.from(lines()), zlib.createGzip(), fs.createWriteStream(tmp));
+      if (maxId === 0) {
+        fs.rmSync(tmp, { force: true });
+        return null;
+      }
+      fs.renameSync(tmp, file);
+      return { file, maxId };
+    } catch (err) {
+      fs.rmSync(tmp, { force: true });
+      throw err;
+    }
+  }
+
+  private async _delete(db: HumanitZDB, family: RetentionFamily, cutoff: string, maxId: number): Promise<number> {
+    let total = 0;
+    for (;;) {
+      const n = db.retention.deleteExpired(family, cutoff, maxId, DELETE_BATCH);
+      total += n;
+      if (n < DELETE_BATCH) return total;
+      await yieldToEventLoop();
+    }
+  }
+
+  private async _downsample(db: HumanitZDB, cutoff: string): Promise<number> {
+    let total = 0;
+    for (;;) {
+      const n = db.retention.downsampleTimeline(cutoff, DELETE_BATCH);
+      total += n;
+      if (n < DELETE_BATCH) return total;
+      await yieldToEventLoop();
+    }
+  }
+}
+
+// Singleton — shared by index.ts wiring and the panel API
+const _singleton = new DataRetention();
+export default _singleton;
+export { DataRetention };
@@ -0,0 +1,258 @@
+/**
+ * DB Backups — scheduled snapshots of the bot's own SQLite databases.
+ *
+ * Every DB_BACKUP_INTERVAL minutes the primary database and each per-server
+ * database (data/servers/<id>/humanitz.db) is snapshotted with the online
+ * backup API, integrity-checked and — with DB_BACKUP_COMPRESS — gzipped into
+ * DB_BACKUP_DIR (default data/db-backups).  After each run the snapshots are
+ * thinned to the newest one per hour / day / week for the last
+ * DB_BACKUP_KEEP_HOURLY / _DAILY / _WEEKLY periods.  A failed snapshot posts
+ * an admin alert.
+ *
+ * Restores never touch an open database: the panel's bot actions queue one
+ * and restart the bot, and `applyPendingRestore()` swaps the file in at the
+ * next startup.  `setup.js --restore-backup` restores with the bot stopped.
+ * See db/db-backup.ts for the file layout.
+ */
+
+import path from 'node:path';
+import { EmbedBuilder, type Client } from 'discord.js';
+import { t, getLocale } from '../i18n/index.js';
+import { createLogger, type Logger } from '../utils/log.js';
+import { errMsg } from '../utils/error.js';
+import { getDirname } from '../utils/paths.js';
+import { postAdminAlert } from '../utils/admin-alert.js';
+import _defaultConfig from '../config/index.js';
+import {
+  backupDatabase,
+  discoverDatabases,
+  findBackup,
+  getPendingRestore,
+  listBackups,
+  pruneBackups,
+  requestRestore,
+  verifyBackup,
+  type BackupFile,
+  type PendingRestore,
+} from '../db/db-backup.js';
+
+const __dirname = getDirname(import.meta.url);
+
+/** The bot's data/ directory. */
+export const DATA_DIR = path.join(__dirname, '..', '..', 'data');
+
+/** DB_BACKUP_DIR, or data/db-backups when unset. */
+export function resolveBackupDir(configured: string): string {
+  return configured ? path.resolve(configured) : path.join(DATA_DIR, 'db-backups');
+}
+
+// ── Types ───────────────────────────────────────────────────────────────────
+
+type DbBackupConfig = Pick<
+  typeof _defaultConfig,
+  | 'dbBackupInterval'
+  | 'dbBackupKeepHourly'
+  | 'dbBackupKeepDaily'
+  | 'dbBackupKeepWeekly'
+  | 'dbBackupCompress'
+  | 'adminAlertChannelIds'
+  | 'adminChannelId'
+  | 'locale'
+>;
+
+export interface DbBackupRun {
+  startedAt: string;
+  trigger: 'schedule' | 'manual';
+  created: BackupFile[];
+  failed: Array<{ dbId: string; error: string }>;
+  pruned: number;
+}
+
+export type DbBackupErrorCode = 'disabled' | 'busy' | 'not_found';
+
+export type DbBackupResult<T> = { ok: true; value: T } | { ok: false; code: DbBackupErrorCode };
+
+const TICK_INTERVAL_MS = 60_000;
+
+// ── DbBackups class ─────────────────────────────────────────────────────────
+
+class DbBackups {
+  private _client: Client | null = null;
+  private _config: DbBackupConfig = _defaultConfig;
+  private _dataDir = DATA_DIR;
+  private _backupDir = resolveBackupDir('');
+  private _log: Logger;
+  private _interval: ReturnType<typeof setInterval> | null = null;
+  private _running: Promise<DbBackupRun> | null = null;
+  private _lastRun: DbBackupRun | null = null;
+  private _active = false;
+
+  constructor(opts: { label?: string } = {}) {
+    this._log = createLogger(opts.label, 'DB BACKUP');
+  }
+
+  // ── Lifecycle ──────────────────────────────────────────────
+
+  /** Attach dependencies and start the schedule. */
+  start(
+    opts: {
+      client?: Client | null;
+      config?: DbBackupConfig;
+      dataDir?: string;
+      backupDir?: string;
+      /** Disable the interval (tests drive tick() directly). */
+      autoTick?: boolean;
+    } = {},
+  ): void {
+    this._client = opts.client ?? null;
+    if (opts.config) this._config = opts.config;
+    if (opts.dataDir) this._dataDir = opts.dataDir;
+    if (opts.backupDir) this._backupDir = opts.backupDir;
+    this._lastRun = null;
+    this._active = true;
+    if (opts.autoTick !== false && this._config.dbBackupInterval > 0 && !this._interval) {
+      this._interval = setInterval(() => {
+        void this.tick();
+      }, TICK_INTERVAL_MS);
+      this._interval.unref();
+    }
+  }
+
+  /** Stop the schedule — a snapshot already running still finishes. */
+  stop(): void {
+    if (this._interval) {
+      clearInterval(this._interval);
+      this._interval = null;
+    }
+    this._active = false;
+  }
+
+  isActive(): boolean {
+    return this._active;
+  }
+
+  get backupDir(): string {
+    return this._backupDir;
+  }
+
+  get lastRun(): DbBackupRun | null {
+    return this._lastRun;
+  }
+
+  // ── Schedule ───────────────────────────────────────────────
+
+  /** Snapshot when the newest snapshot on disk is an interval old.  Resolves to the run, or null when not due. */
+  async tick(now: Date = new Date()): Promise<DbBackupRun | null> {
+    if (!this._active || this._running || this._config.dbBackupInterval <= 0) return null;
+    const newest = listBackups(this._backupDir).at(0);
+    if (newest && now.getTime() - newest.createdAt.getTime() < this._config.dbBackupInterval * 60_000) return null;
+    const run = await this.runBackup('schedule', now);
+    return run.ok ? run.value : null;
+  }
+
+  /** Snapshot every database now, then apply the retention policy. */
+  async runBackup(
+    trigger: DbBackupRun['trigger'] = 'manual',
+    now: Date = new Date(),
+  ): Promise<DbBackupResult<DbBackupRun>> {
+    if (!this._active) return { ok: false, code: 'disabled' };
+    if (this._running) return { ok: false, code: 'busy' };
+    this._running = this._run(trigger, now);
+    try {
+      const run = await this._running;
+      this._lastRun = run;
+      return { ok: true, value: run };
+    } finally {
+      this._running = null;
+    }
+  }
+
+  // ── Panel ──────────────────────────────────────────────────
+
+  list(): DbBackupResult<BackupFile[]> {
+    if (!this._active) return { ok: false, code: 'disabled' };
+    return { ok: true, value: listBackups(this._backupDir) };
+  }
+
+  async verify(dbId: string, name: string): Promise<DbBackupResult<{ ok: boolean; result: string }>> {
+    if (!this._active) return { ok: false, code: 'disabled' };
+    const backup = findBackup(this._backupDir, dbId, name);
+    if (!backup) return { ok: false, code: 'not_found' };
+    return { ok: true, value: await verifyBackup(backup) };
+  }
+
+  /** Queue a snapshot to replace its database at the next startup. */
+  requestRestore(dbId: string, name: string, requestedBy: string): DbBackupResult<PendingRestore> {
+    if (!this._active) return { ok: false, code: 'disabled' };
+    if (!findBackup(this._backupDir, dbId, name)) return { ok: false, code: 'not_found' };
+    const restore = { dbId, name, requestedBy, requestedAt: new Date().toISOString() };
+    requestRestore(this._backupDir, restore);
+    this._log.warn(`Restore of ${dbId}/${name} queued by ${requestedBy} — applied on the next start`);
+    return { ok: true, value: restore };
+  }
+
+  get pendingRestore(): PendingRestore | null {
+    return getPendingRestore(this._backupDir);
+  }
+
+  // ── Internals ──────────────────────────────────────────────
+
+  private async _run(trigger: DbBackupRun['trigger'], now: Date): Promise<DbBackupRun> {
+    const run: DbBackupRun = { startedAt: now.toISOString(), trigger, created: [], failed: [], pruned: 0 };
+    for (const target of discoverDatabases(this._dataDir)) {
+      try {
+        // Scheduled runs only quick_check the copy; manual snapshots, verify and restore do the full check
+        const file = await backupDatabase(target, this._backupDir, {
+          compress: this._config.dbBackupCompress,
+          now,
+          integrity: trigger === 'schedule' ? 'quick' : 'full',
+        });
+        run.created.push(file);
+      } catch (err: unknown) {
+        run.failed.push({ dbId: target.id, error: errMsg(err) });
+        this._log.error(`Snapshot of ${target.id} failed:`, errMsg(err));
+      }
+    }
+    try {
+      run.pruned = pruneBackups(this._backupDir, {
+        hourly: this._config.dbBackupKeepHourly,
+        daily: this._config.dbBackupKeepDaily,
+        weekly: this._config.dbBackupKeepWeekly,
+      }).length;
+    } catch (err: unknown) {
+      this._log.error('Pruning old snapshots failed:', errMsg(err));
+    }
+    const bytes = run.created.reduce((sum, f) => sum + f.bytes, 0);
+    this._log.info(
+      `${trigger === 'manual' ? 'Manual' : 'Scheduled'} snapshot: ${String(run.created.length)} database(s), ` +
+        `${String(Math.round(bytes / 1024))} KiB, ${String(run.pruned)} old snapshot(s) removed`,
+    );
+    if (run.failed.length > 0) await this._alert(run);
+    return run;
+  }
+
+  private async _alert(run: DbBackupRun): Promise<void> {
+    if (!this._client) return;
+    const locale = getLocale({ serverConfig: this._config });
+    const embed = new EmbedBuilder()
+      .setTitle(t('discord:db_backup.failed_title', locale))
+      .setDescription(
+        run.failed
+          .map((f) => t('discord:db_backup.failed_line', locale, { db: f.dbId, error: f.error }))
+          .join('\n')
+          .slice(0, 4000),
+      )
+      .setColor(0xe74c3c)
+      .setFooter({ text: t('discord:db_backup.failed_footer', locale) })
+      .setTimestamp(new Date(run.startedAt));
+    await postAdminAlert(this._client, embed, {
+      adminAlertChannelIds: this._config.adminAlertChannelIds,
+      fallbackChannelId: this._config.adminChannelId,
+    });
+  }
+}
+
+// Singleton — shared by index.ts wiring and the panel API
+const _singleton = new DbBackups();
+export default _singleton;
+export { DbBackups };
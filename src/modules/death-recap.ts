@@ -0,0 +1,480 @@
+/**
+ * Death Recaps — tells a player what killed them and where their backpack is.
+ *
+ * LogWatcher records every death in death_causes, now with a per-source
+ * damage breakdown of the kill window.  Right after `_onDeath` this module
+ * attaches a recap: the player's last saved position and what they carried
+ * at that save.  The backpack they drop only shows up in the next save, so
+ * the recap waits for save syncs: the first backpack that was not in
+ * world_drops at the time of death, holding the player's items or lying near
+ * their last position, is taken to be theirs.  After DEATH_RECAP_WAIT minutes
+ * without one the recap goes out with the last known position instead.
+ *
+ * DEATH_RECAP_MODE picks the channel — a DM to the linked Discord account,
+ * a post in the daily chat thread (public), or both.  The recap links to the
+ * panel map focused on the body (WEB_MAP_PUBLIC_URL).  `/deaths` pages
+ * through the same recaps.
+ */
+
+import { EmbedBuilder, type Client } from 'discord.js';
+import { t, getLocale, fmtNumber } from '../i18n/index.js';
+import { createLogger, type Logger } from '../utils/log.js';
+import { errMsg } from '../utils/error.js';
+import _defaultConfig from '../config/index.js';
+import { parseDbTimestampUtc } from '../db/timestamp.js';
+import { normalizeInventory } from '../db/item-fingerprint.js';
+import { cleanItemName } from '../parsers/ue4-names.js';
+import type { HumanitZDB } from '../db/database.js';
+import type { DeathDamageEntry, DeathHistoryRow } from '../db/repositories/death-cause-repository.js';
+
+// ── Types ───────────────────────────────────────────────────────────────────
+
+type DeathRecapConfig = Pick<typeof _defaultConfig, 'deathRecapMode' | 'deathRecapWait' | 'webMapPublicUrl' | 'locale'>;
+
+export interface DeathItem {
+  item: string;
+  amount: number;
+}
+
+/** A death with its damage breakdown and recap, JSON columns decoded. */
+export interface DeathRecap {
+  id: number;
+  victimName: string;
+  steamId: string;
+  diedAt: string;
+  causeType: string;
+  causeName: string;
+  damageTotal: number;
+  damage: DeathDamageEntry[];
+  /** Last saved position before the death (null = unknown or no recap). */
+  last: { x: number; y: number } | null;
+  /** The dropped backpack, once a save showed it. */
+  body: { x: number; y: number; z: number | null } | null;
+  /** Backpack contents when located, else what was carried at the last save. */
+  items: DeathItem[];
+  /** Whether a recap was recorded for this death at all. */
+  hasRecap: boolean;
+}
+
+export interface DeathHistoryPage {
+  recap: DeathRecap;
+  page: number;
+  total: number;
+}
+
+export type DeathRecapErrorCode = 'disabled' | 'not_found';
+
+export type DeathRecapResult<T> = { ok: true; value: T } | { ok: false; code: DeathRecapErrorCode };
+
+interface PendingRecap {
+  deathId: number;
+  steamId: string;
+  name: string;
+  deadline: number;
+  last: { x: number; y: number } | null;
+  carried: Set<string>;
+  /** Backpacks already on the ground when the player died. */
+  baseline: Set<string>;
+}
+
+interface BackpackDrop {
+  key: string;
+  x: number;
+  y: number;
+  z: number | null;
+  items: DeathItem[];
+}
+
+const TICK_INTERVAL_MS = 30_000;
+/** World units (cm) from the last saved position a backpack may lie — 100 m. */
+export const LOCATE_RADIUS = 10_000;
+/** Death loops: at most one recap per player in this window. */
+const NOTIFY_COOLDOWN_MS = 60_000;
+const DAMAGE_LIMIT = 5;
+const ITEM_LIMIT = 15;
+
+// ── Helpers ─────────────────────────────────────────────────────────────────
+
+function _num(value: unknown): number | null {
+  const n = typeof value === 'number' ? value : typeof value === 'string' ? parseFloat(value) : NaN;
+  return Number.isFinite(n) ? n : null;
+}
+
+function _parseList<T>(raw: string | null): T[] {
+  if (!raw) return [];
+  try {
+    const parsed: unknown = JSON.parse(raw);
+    return Array.isArray(parsed) ? (parsed as T[]) : [];
+  } catch {
+    return [];
+  }
+}
+
+function _backpackKey(x: number, y: number, z: number | null): string {
+  return `${String(Math.round(x))}_${String(Math.round(y))}_${String(Math.round(z ?? 0))}`;
+}
+
+/** Merge raw inventory slots (save-parser or clean format) into item totals, largest stack first. */
+export function summariseItems(...inventories: unknown[]): DeathItem[] {
+  const totals = new Map<string, number>();
+  for (const inv of inventories) {
+    if (!Array.isArray(inv)) continue;
+    for (const slot of normalizeInventory(inv)) {
+      const name = cleanItemName(slot.item) || slot.item;
+      totals.set(name, (totals.get(name) ?? 0) + Math.max(1, slot.amount));
+    }
+  }
+  return [...totals.entries()]
+    .map(([item, amount]) => ({ item, amount }))
+    .sort((a, b) => b.amount - a.amount || a.item.localeCompare(b.item));
+}
+
+/** Panel link that opens the map focused on a world position ('' without a public panel URL). */
+export function deathMapUrl(baseUrl: string, x: number, y: number, label: string): string {
+  if (!baseUrl) return '';
+  const params = new URLSearchParams({ focus: `${String(Math.round(x))},${String(Math.round(y))}`, label });
+  return `${baseUrl}/?${params.toString()}`;
+}
+
+/** The recap as an embed — shared by the DM, the thread post and `/deaths`. */
+export function buildDeathRecapEmbed(
+  recap: DeathRecap,
+  locale: string,
+  opts: { showBody?: boolean; mapBaseUrl?: string } = {},
+): EmbedBuilder {
+  const died = parseDbTimestampUtc(recap.diedAt);
+  const cause =
+    recap.causeName && recap.causeName !== 'Unknown'
+      ? t('discord:death_recap.cause', locale, { cause: recap.causeName })
+      : t('discord:death_recap.cause_unknown', locale);
+  const embed = new EmbedBuilder()
+    .setTitle(t('discord:death_recap.title', locale, { player: recap.victimName }))
+    .setDescription(cause)
+    .setColor(recap.causeType === 'player' ? 0xe74c3c : 0x992d22)
+    .setFooter({ text: t('discord:death_recap.footer', locale, { id: recap.id }) });
+  if (died) embed.setTimestamp(died);
+
+  const damage = recap.damage.slice(0, DAMAGE_LIMIT).map((d) =>
+    t('discord:death_recap.damage_line', locale, {
+      source: d.source,
+      damage: fmtNumber(Math.round(d.damage), locale),
+      hits: d.hits,
+    }),
+  );
+  embed.addFields({
+    name: t('discord:death_recap.damage', locale),
+    value: damage.length > 0 ? damage.join('\n') : t('discord:death_recap.no_damage', locale),
+  });
+
+  if (!opts.showBody || !recap.hasRecap) return embed;
+
+  const spot = recap.body ?? recap.last;
+  if (spot) {
+    const where = t(recap.body ? 'discord:death_recap.body_found' : 'discord:death_recap.body_last_seen', locale, {
+      x: Math.round(spot.x / 100),
+      y: Math.round(spot.y / 100),
+    });
+    const url = deathMapUrl(opts.mapBaseUrl ?? '', spot.x, spot.y, recap.victimName);
+    embed.addFields({
+      name: t('discord:death_recap.body', locale),
+      value: url ? `${where}\n${t('discord:death_recap.map_link', locale, { url })}` : where,
+    });
+  } else {
+    embed.addFields({
+      name: t('discord:death_recap.body', locale),
+      value: t('discord:death_recap.body_unknown', locale),
+    });
+  }
+
+  const items = recap.items
+    .slice(0, ITEM_LIMIT)
+    .map((i) => t('discord:death_recap.item_line', locale, { item: i.item, amount: i.amount }));
+  const more = recap.items.length - items.length;
+  embed.addFields({
+    name: t(recap.body ? 'discord:death_recap.items_backpack' : 'discord:death_recap.items_carried', locale),
+    value:
+      items.length > 0
+        ? items.join('\n') + (more > 0 ? `\n${t('discord:death_recap.and_more', locale, { count: more })}` : '')
+        : t('discord:death_recap.no_items', locale),
+  });
+  return embed;
+}
+
+// ── DeathRecaps class ───────────────────────────────────────────────────────
+
+class DeathRecaps {
+  private _db: HumanitZDB | null = null;
+  private _client: Client | null = null;
+  private _config: DeathRecapConfig = _defaultConfig;
+  private _postToThread: ((embed: EmbedBuilder) => Promise<unknown>) | null = null;
+  private _resolveSteamId: ((name: string) => string | null) | null = null;
+  private _log: Logger;
+  private _interval: ReturnType<typeof setInterval> | null = null;
+  private _pending = new Map<number, PendingRecap>();
+  /** SteamID (or lowercased name) → last recap sent (epoch ms). */
+  private _lastSent = new Map<string, number>();
+  private _active = false;
+
+  constructor(opts: { label?: string } = {}) {
+    this._log = createLogger(opts.label, 'DEATH RECAP');
+  }
+
+  // ── Lifecycle ──────────────────────────────────────────────
+
+  /** Attach dependencies and start the wait tick. */
+  start(
+    opts: {
+      db?: HumanitZDB | null;
+      client?: Client | null;
+      config?: DeathRecapConfig;
+      /** Post to the daily chat thread (DEATH_RECAP_MODE thread/both). */
+      postToThread?: ((embed: EmbedBuilder) => Promise<unknown>) | null;
+      /** Name → SteamID from the log's player stats, for deaths logged without one. */
+      resolveSteamId?: ((name: string) => string | null) | null;
+      /** Disable the interval (tests drive tick() directly). */
+      autoTick?: boolean;
+    } = {},
+  ): void {
+    this._db = opts.db ?? null;
+    this._client = opts.client ?? null;
+    if (opts.config) this._config = opts.config;
+    this._postToThread = opts.postToThread ?? null;
+    this._resolveSteamId = opts.resolveSteamId ?? null;
+    this._pending.clear();
+    this._lastSent.clear();
+    this._active = !!this._db;
+    if (this._active && opts.autoTick !== false && !this._interval) {
+      this._interval = setInterval(() => {
+        void this.tick();
+      }, TICK_INTERVAL_MS);
+      this._interval.unref();
+    }
+  }
+
+  /** Stop the tick — waiting recaps stay stored, unlocated and unsent. */
+  stop(): void {
+    if (this._interval) {
+      clearInterval(this._interval);
+      this._interval = null;
+    }
+    this._pending.clear();
+    this._active = false;
+  }
+
+  /** Whether recaps are running (ENABLE_DEATH_RECAP on and a DB attached). */
+  isActive(): boolean {
+    return this._active;
+  }
+
+  /** Recaps still waiting for a save that shows the backpack. */
+  get pendingRecaps(): number {
+    return this._pending.size;
+  }
+
+  // ── Events ─────────────────────────────────────────────────
+
+  /**
+   * Called after LogWatcher's `_onDeath` has recorded the death.  Stores the
+   * recap and starts waiting for the backpack.  Returns the death id.
+   */
+  onDeath(playerName: string, now: Date = new Date()): number | null {
+    if (!this._db || !this._active) return null;
+    try {
+      const latest = this._db.deathCause.getDeathCausesByPlayer(playerName, 1)[0] as
+        | { id: number; victim_steam_id: string }
+        | undefined;
+      if (!latest || this._pending.has(latest.id)) return null;
+      // Already recapped — a duplicate death line for the same row
+      if (this._db.deathCause.getDeath(latest.id)?.items !== null) return null;
+
+      const hit = this._db.player.resolveNameToSteamId(playerName);
+      const steamId =
+        latest.victim_steam_id ||
+        this._resolveSteamId?.(playerName) ||
+        (typeof hit?.steamId === 'string' ? hit.steamId : '');
+      const player = steamId ? this._db.player.getPlayer(steamId) : null;
+      const x = _num(player?.pos_x);
+      const y = _num(player?.pos_y);
+      const last = x !== null && y !== null && (x !== 0 || y !== 0) ? { x, y } : null;
+      const carried = player
+        ? summariseItems(player.inventory, player.equipment, player.quick_slots, player.backpack_items)
+        : [];
+
+      this._db.deathCause.insertRecap({ deathId: latest.id, steamId, lastX: last?.x, lastY: last?.y, items: carried });
+      this._pending.set(latest.id, {
+        deathId: latest.id,
+        steamId,
+        name: playerName,
+        deadline: now.getTime() + Math.max(1, this._config.deathRecapWait) * 60_000,
+        last,
+        carried: new Set(carried.map((i) => i.item)),
+        baseline: new Set(this._backpacks().map((b) => b.key)),
+      });
+      return latest.id;
+    } catch (err: unknown) {
+      this._log.error('Could not record death recap:', errMsg(err));
+      return null;
+    }
+  }
+
+  /** Look for the backpacks of waiting recaps in the freshly synced world drops. Resolves to the recaps sent. */
+  async onSaveSync(): Promise<number> {
+    if (!this._db || !this._active || this._pending.size === 0) return 0;
+    const drops = this._backpacks();
+    let sent = 0;
+    for (const pending of [...this._pending.values()]) {
+      const backpack = this._match(pending, drops);
+      if (!backpack) continue;
+      this._pending.delete(pending.deathId);
+      // A backpack belongs to one death only
+      for (const other of this._pending.values()) other.baseline.add(backpack.key);
+      this._db.deathCause.locateRecap(pending.deathId, backpack);
+      if (await this._notify(pending)) sent++;
+    }
+    return sent;
+  }
+
+  /** Send every recap whose wait ran out with the last known position. Resolves to the recaps sent. */
+  async tick(now: Date = new Date()): Promise<number> {
+    if (!this._active) return 0;
+    const due = [...this._pending.values()].filter((p) => now.getTime() >= p.deadline);
+    let sent = 0;
+    for (const pending of due) {
+      this._pending.delete(pending.deathId);
+      if (await this._notify(pending, now)) sent++;
+    }
+    return sent;
+  }
+
+  // ── History ────────────────────────────────────────────────
+
+  /** One page (one death) of a player's history, newest first.  `player` is a name or SteamID. */
+  getHistory(player: string, page = 0): DeathRecapResult<DeathHistoryPage> {
+    if (!this._db || !this._active) return { ok: false, code: 'disabled' };
+    const query = player.trim();
+    if (!query) return { ok: false, code: 'not_found' };
+    const resolved = this._db.player.resolveNameToSteamId(query);
+    const steamId = typeof resolved?.steamId === 'string' ? resolved.steamId : '';
+    const name = typeof resolved?.name === 'string' && resolved.name !== steamId ? resolved.name : query;
+    const total = this._db.deathCause.countDeathHistory(steamId, name);
+    if (total === 0) return { ok: false, code: 'not_found' };
+    const clamped = Math.min(Math.max(0, page), total - 1);
+    const row = this._db.deathCause.getDeathHistory(steamId, name, 1, clamped)[0];
+    if (!row) return { ok: false, code: 'not_found' };
+    return { ok: true, value: { recap: this._decode(row), page: clamped, total } };
+  }
+
+  getRecap(deathId: number): DeathRecap | null {
+    const row = this._db?.deathCause.getDeath(deathId);
+    return row ? this._decode(row) : null;
+  }
+
+  // ── Internals ──────────────────────────────────────────────
+
+  private _backpacks(): BackpackDrop[] {
+    if (!this._db) return [];
+    const rows = this._db.worldObject.getWorldDropsByType('backpack') as Array<{
+      pos_x: unknown;
+      pos_y: unknown;
+      pos_z: unknown;
+      items: string | null;
+    }>;
+    const drops: BackpackDrop[] = [];
+    for (const row of rows) {
+      const x = _num(row.pos_x);
+      const y = _num(row.pos_y);
+      if (x === null || y === null) continue;
+      const z = _num(row.pos_z);
+      drops.push({ key: _backpackKey(x, y, z), x, y, z, items: summariseItems(_parseList(row.items)) });
+    }
+    return drops;
+  }
+
+  /** The new backpack sharing the most items with what was carried, nearest the last position on a tie. */
+  private _match(pending: PendingRecap, drops: BackpackDrop[]): BackpackDrop | null {
+    let best: { drop: BackpackDrop; shared: number; distance: number } | null = null;
+    for (const drop of drops) {
+      if (pending.baseline.has(drop.key)) continue;
+      const shared = drop.items.filter((i) => pending.carried.has(i.item)).length;
+      const distance = pending.last
+        ? Math.hypot(drop.x - pending.last.x, drop.y - pending.last.y)
+        : Number.POSITIVE_INFINITY;
+      if (shared === 0 && distance > LOCATE_RADIUS) continue;
+      if (!best || shared > best.shared || (shared === best.shared && distance < best.distance)) {
+        best = { drop, shared, distance };
+      }
+    }
+    return best?.drop ?? null;
+  }
+
+  private async _notify(pending: PendingRecap, now: Date = new Date()): Promise<boolean> {
+    const recap = this.getRecap(pending.deathId);
+    if (!recap || !this._db) return false;
+    const key = pending.steamId || pending.name.toLowerCase();
+    const last = this._lastSent.get(key);
+    if (last !== undefined && now.getTime() - last < NOTIFY_COOLDOWN_MS) return false;
+
+    const locale = this._locale();
+    const embed = buildDeathRecapEmbed(recap, locale, { showBody: true, mapBaseUrl: this._config.webMapPublicUrl });
+    const mode = this._config.deathRecapMode;
+    let sent = 0;
+    if (mode !== 'thread' && pending.steamId) {
+      const link = this._db.accountLinks.getBySteamId(pending.steamId);
+      if (link && (await this._dm(link.discord_id, embed))) sent++;
+    }
+    if ((mode === 'thread' || mode === 'both') && this._postToThread) {
+      try {
+        await this._postToThread(embed);
+        sent++;
+      } catch (err: unknown) {
+        this._log.warn('Could not post death recap to the chat thread:', errMsg(err));
+      }
+    }
+    this._db.deathCause.markRecapNotified(pending.deathId, sent);
+    if (sent > 0) this._lastSent.set(key, now.getTime());
+    return sent > 0;
+  }
+
+  /** Best-effort DM — closed DMs are common and not an error. */
+  private async _dm(discordId: string, embed: EmbedBuilder): Promise<boolean> {
+    if (!this._client) return false;
+    try {
+      const user = await this._client.users.fetch(discordId);
+      await user.send({ embeds: [embed] });
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  private _decode(row: DeathHistoryRow): DeathRecap {
+    const hasRecap = row.items !== null;
+    const lastX = _num(row.last_x);
+    const lastY = _num(row.last_y);
+    const bodyX = _num(row.body_x);
+    const bodyY = _num(row.body_y);
+    return {
+      id: row.id,
+      victimName: row.victim_name,
+      steamId: row.victim_steam_id,
+      diedAt: row.created_at,
+      causeType: row.cause_type,
+      causeName: row.cause_name,
+      damageTotal: row.damage_total,
+      damage: _parseList<DeathDamageEntry>(row.damage_breakdown),
+      last: lastX !== null && lastY !== null ? { x: lastX, y: lastY } : null,
+      body: row.located && bodyX !== null && bodyY !== null ? { x: bodyX, y: bodyY, z: _num(row.body_z) } : null,
+      items: _parseList<DeathItem>(row.items),
+      hasRecap,
+    };
+  }
+
+  private _locale(): string {
+    return getLocale({ serverConfig: this._config });
+  }
+}
+
+// Singleton — shared by index.ts wiring and /deaths
+const _singleton = new DeathRecaps();
+export default _singleton;
+export { DeathRecaps };
@@ -0,0 +1,394 @@
+/**
+ * Economy — credit rewards, wallets and transfers on top of the ledger.
+ *
+ * Balances live on hmz_players.credits; every change goes through
+ * EconomyRepository.adjustCredits() so hmz_transactions keeps a complete,
+ * balance_after-stamped history.  Credits are earned from:
+ *
+ *   - zombie kills and days survived — KillTracker.accumulate() deltas
+ *   - playtime milestones            — MilestoneTracker onMilestone events
+ *   - quest completions              — quest-spawner flags after each save sync
+ *
+ * Players move credits with `!pay` in game (SteamID-verified) or `/pay` in
+ * Discord (from their linked SteamID), and admins grant/deduct from the web
+ * panel.  Every manual change
+ * records its actor on the ledger row — that is the audit trail.
+ *
+ * Quest progress already rewarded is tracked in `bot_state`
+ * (key: 'economy_quest_progress').  The first sync after enabling only records
+ * a baseline, so quests finished before the economy existed pay nothing.
+ */
+
+import { t, getLocale, fmtNumber } from '../i18n/index.js';
+import { createLogger, type Logger } from '../utils/log.js';
+import { errMsg } from '../utils/error.js';
+import _defaultConfig from '../config/index.js';
+import type { HumanitZDB } from '../db/database.js';
+import type {
+  CreditAdjustment,
+  EconomyTotals,
+  TransactionFilter,
+  TransactionRow,
+  WalletRow,
+} from '../db/repositories/economy-repository.js';
+import type { AccumulateResult } from '../tracking/kill-tracker.js';
+import type { MilestoneEvent } from './milestone-tracker.js';
+import type { ChatCommand } from './chat-commands.js';
+
+// ── Types ───────────────────────────────────────────────────────────────────
+
+type EconomyConfig = Pick<
+  typeof _defaultConfig,
+  | 'economyKillReward'
+  | 'economySurvivalDayReward'
+  | 'economyPlaytimeMilestoneReward'
+  | 'economyQuestReward'
+  | 'economyMaxTransfer'
+  | 'locale'
+>;
+
+export type EconomyErrorCode =
+  | 'disabled'
+  | 'unknown_player'
+  | 'self_transfer'
+  | 'invalid_amount'
+  | 'max_transfer'
+  | 'insufficient_funds'
+  | 'reason_required';
+
+export type EconomyResult<T> = { ok: true; value: T } | { ok: false; code: EconomyErrorCode };
+
+export interface Wallet {
+  steamId: string;
+  name: string;
+  balance: number;
+  lifetime: number;
+  transactions: TransactionRow[];
+}
+
+export interface TransferResult {
+  from: { steamId: string; name: string; balance: number };
+  to: { steamId: string; name: string; balance: number };
+  amount: number;
+}
+
+export interface AdjustRequest {
+  /** Player name or SteamID. */
+  target: string;
+  /** Signed amount — positive grants, negative deducts. */
+  amount: number;
+  reason: string;
+  /** Who made the change (panel username, Discord tag). */
+  actor: string;
+}
+
+export interface AdjustResult {
+  steamId: string;
+  name: string;
+  amount: number;
+  balance: number;
+  transactionId: number;
+}
+
+const QUEST_STATE_KEY = 'economy_quest_progress';
+const STEAM_ID_RE = /^\d{17}$/;
+const MAX_REASON_LENGTH = 200;
+
+// ── Economy class ───────────────────────────────────────────────────────────
+
+class Economy {
+  private _db: HumanitZDB | null = null;
+  private _config: EconomyConfig = _defaultConfig;
+  private _log: Logger;
+  private _active = false;
+
+  constructor(opts: { label?: string } = {}) {
+    this._log = createLogger(opts.label, 'ECONOMY');
+  }
+
+  // ── Lifecycle ──────────────────────────────────────────────
+
+  start(opts: { db?: HumanitZDB | null; config?: EconomyConfig } = {}): void {
+    this._db = opts.db ?? null;
+    if (opts.config) this._config = opts.config;
+    this._active = !!this._db;
+  }
+
+  stop(): void {
+    this._active = false;
+  }
+
+  /** Whether the economy is running (ENABLE_ECONOMY on and a DB attached). */
+  isActive(): boolean {
+    return this._active;
+  }
+
+  // ── Queries ────────────────────────────────────────────────
+
+  /** Balance, lifetime earnings and recent ledger rows for a player name or SteamID. */
+  getWallet(query: string, historyLimit = 5): EconomyResult<Wallet> {
+    const db = this._db;
+    if (!db || !this._active) return { ok: false, code: 'disabled' };
+    const player = this._resolvePlayer(query);
+    if (!player) return { ok: false, code: 'unknown_player' };
+    const row = db.economy.getWallet(player.steamId);
+    return {
+      ok: true,
+      value: {
+        steamId: player.steamId,
+        name: player.name,
+        balance: row?.credits ?? 0,
+        lifetime: row?.lifetime_credits ?? 0,
+        transactions: db.economy.listTransactions({ steamId: player.steamId, limit: historyLimit }),
+      },
+    };
+  }
+
+  getLeaderboard(limit = 10): WalletRow[] {
+    if (!this._db) return [];
+    return this._db.economy.getTopBalances(limit);
+  }
+
+  getTotals(): EconomyTotals {
+    if (!this._db) return { accounts: 0, circulating: 0, lifetime: 0 };
+    return this._db.economy.getTotals();
+  }
+
+  listTransactions(filter: TransactionFilter = {}): TransactionRow[] {
+    if (!this._db) return [];
+    return this._db.economy.listTransactions(filter);
+  }
+
+  // ── Transfers & admin adjustments ──────────────────────────
+
+  /**
+   * Move credits from one player to another.  The sender must be a verified
+   * SteamID (in-game speaker or linked account); the recipient is looked up
+   * by name or SteamID.
+   */
+  pay(fromSteamId: string, target: string, amount: number, actor = ''): EconomyResult<TransferResult> {
+    const db = this._db;
+    if (!db || !this._active) return { ok: false, code: 'disabled' };
+    const from = this._resolvePlayer(fromSteamId);
+    const to = this._resolvePlayer(target);
+    if (!from || !to) return { ok: false, code: 'unknown_player' };
+    if (from.steamId === to.steamId) return { ok: false, code: 'self_transfer' };
+
+    const value = Math.trunc(amount);
+    if (!Number.isFinite(value) || value <= 0) return { ok: false, code: 'invalid_amount' };
+    const max = this._config.economyMaxTransfer;
+    if (max > 0 && value > max) return { ok: false, code: 'max_transfer' };
+
+    const transfer = db.economy.transfer(
+      from.steamId,
+      to.steamId,
+      value,
+      `${from.name} → ${to.name}`,
+      actor || from.steamId,
+    );
+    if (!transfer) return { ok: false, code: 'insufficient_funds' };
+
+    this._log.info(`${from.name} paid ${to.name} ${String(value)} credit(s)`);
+    return {
+      ok: true,
+      value: {
+        from: { ...from, balance: transfer.from.balanceAfter },
+        to: { ...to, balance: transfer.to.balanceAfter },
+        amount: value,
+      },
+    };
+  }
+
+  /** Admin grant (positive amount) or deduct (negative amount). A reason is mandatory for the audit trail. */
+  adjust(req: AdjustRequest): EconomyResult<AdjustResult> {
+    const db = this._db;
+    if (!db || !this._active) return { ok: false, code: 'disabled' };
+    const player = this._resolvePlayer(req.target);
+    if (!player) return { ok: false, code: 'unknown_player' };
+    const amount = Math.trunc(req.amount);
+    if (!Number.isFinite(amount) || amount === 0) return { ok: false, code: 'invalid_amount' };
+    const reason = req.reason.trim().slice(0, MAX_REASON_LENGTH);
+    if (!reason) return { ok: false, code: 'reason_required' };
+
+    const type = amount > 0 ? 'admin_grant' : 'admin_deduct';
+    const result = db.economy.adjustCredits(player.steamId, amount, type, reason, null, req.actor || 'admin');
+    if (!result) return { ok: false, code: 'insufficient_funds' };
+
+    this._log.info(
+      `${req.actor || 'admin'} ${type === 'admin_grant' ? 'granted' : 'deducted'} ${String(Math.abs(amount))} credit(s) — ${player.name}: ${reason}`,
+    );
+    return {
+      ok: true,
+      value: { ...player, amount, balance: result.balanceAfter, transactionId: result.transactionId },
+    };
+  }
+
+  // ── Earning hooks ──────────────────────────────────────────
+
+  /** Pay zombie-kill and survival-day rewards from a KillTracker.accumulate() result. */
+  onKillDeltas(result: AccumulateResult): void {
+    const db = this._db;
+    if (!db || !this._active) return;
+    const killReward = this._config.economyKillReward;
+    const dayReward = this._config.economySurvivalDayReward;
+    if (killReward <= 0 && dayReward <= 0) return;
+
+    try {
+      db.transaction(() => {
+        if (killReward > 0) {
+          for (const kd of result.deltas.killDeltas) {
+            const kills = kd.delta.zeeksKilled ?? 0;
+            if (kills <= 0) continue;
+            db.economy.adjustCredits(
+              kd.steamId,
+              kills * killReward,
+              'kill_reward',
+              `${String(kills)} zombie kill(s)`,
+              result.targetDate,
+            );
+          }
+        }
+        if (dayReward > 0) {
+          for (const sd of result.deltas.survivalDeltas) {
+            const days = sd.delta.daysSurvived ?? 0;
+            if (days <= 0) continue;
+            db.economy.adjustCredits(
+              sd.steamId,
+              days * dayReward,
+              'survival_reward',
+              `${String(days)} day(s) survived`,
+              result.targetDate,
+            );
+          }
+        }
+      });
+    } catch (err: unknown) {
+      this._log.error('Kill/survival rewards failed:', errMsg(err));
+    }
+  }
+
+  /** Pay the playtime-milestone reward. Other milestone kinds are already covered by per-kill/per-day rewards. */
+  onMilestone(event: MilestoneEvent): CreditAdjustment | null {
+    const db = this._db;
+    const reward = this._config.economyPlaytimeMilestoneReward;
+    if (!db || !this._active || event.kind !== 'playtime' || reward <= 0) return null;
+    const hours = Math.floor(event.threshold / 3600000);
+    return db.economy.adjustCredits(
+      event.steamId,
+      reward,
+      'milestone_reward',
+      `${String(hours)}h playtime milestone`,
+      `playtime_${String(hours)}h`,
+    );
+  }
+
+  /**
+   * Pay for quests completed since the last save sync.  Counts that drop
+   * (new character, wipe) just lower the baseline.  Returns credits paid.
+   */
+  onSaveSync(): number {
+    const db = this._db;
+    if (!db || !this._active) return 0;
+
+    try {
+      const raw = db.botState.getStateJSON(QUEST_STATE_KEY, null) as Record<string, unknown> | null;
+      const firstRun = !raw || typeof raw !== 'object';
+      const seen: Record<string, number> = {};
+      if (!firstRun) {
+        for (const [steamId, value] of Object.entries(raw)) {
+          if (typeof value === 'number') seen[steamId] = value;
+        }
+      }
+
+      const reward = this._config.economyQuestReward;
+      let paid = 0;
+      let changed = firstRun;
+      db.transaction(() => {
+        for (const p of db.quest.getPlayerQuestProgress()) {
+          const previous = seen[p.steamId] ?? 0;
+          if (p.completed === previous) continue;
+          seen[p.steamId] = p.completed;
+          changed = true;
+          const gained = p.completed - previous;
+          if (firstRun || gained <= 0) continue;
+          db.economy.addQuestsCompleted(p.steamId, gained);
+          if (reward <= 0) continue;
+          db.economy.adjustCredits(p.steamId, gained * reward, 'quest_reward', `${String(gained)} quest(s) completed`);
+          paid += gained * reward;
+        }
+        if (changed) db.botState.setStateJSON(QUEST_STATE_KEY, seen);
+      });
+
+      if (firstRun) this._log.info('Quest rewards baselined — earlier completions are not paid');
+      return paid;
+    } catch (err: unknown) {
+      this._log.error('Quest rewards failed:', errMsg(err));
+      return 0;
+    }
+  }
+
+  // ── In-game commands ───────────────────────────────────────
+
+  /** `!wallet` and `!pay` for the ChatCommandRouter. */
+  chatCommands(): ChatCommand[] {
+    const loc = () => getLocale({ serverConfig: this._config });
+    return [
+      {
+        name: 'wallet',
+        aliases: ['balance', 'credits'],
+        run: (ctx) => {
+          const query = ctx.args.join(' ').trim() || ctx.steamId || ctx.name;
+          const result = this.getWallet(query, 0);
+          if (!result.ok) return t(`discord:economy.chat.${result.code}`, loc(), { name: query });
+          return t('discord:economy.chat.wallet', loc(), {
+            name: result.value.name,
+            balance: fmtNumber(result.value.balance, loc()),
+          });
+        },
+      },
+      {
+        name: 'pay',
+        run: (ctx) => {
+          const amount = parseInt(ctx.args.at(-1) ?? '', 10);
+          const target = ctx.args.slice(0, -1).join(' ').trim();
+          if (!target || Number.isNaN(amount)) return t('discord:economy.chat.pay_usage', loc());
+          if (!ctx.steamId) return t('discord:economy.chat.unknown_player', loc(), { name: ctx.name });
+          const result = this.pay(ctx.steamId, target, amount);
+          if (!result.ok) {
+            return t(`discord:economy.chat.${result.code}`, loc(), {
+              name: target,
+              max: fmtNumber(this._config.economyMaxTransfer, loc()),
+            });
+          }
+          return t('discord:economy.chat.paid', loc(), {
+            amount: fmtNumber(result.value.amount, loc()),
+            name: result.value.to.name,
+            balance: fmtNumber(result.value.from.balance, loc()),
+          });
+        },
+      },
+    ];
+  }
+
+  // ── Internals ──────────────────────────────────────────────
+
+  private _resolvePlayer(nameOrId: string): { steamId: string; name: string } | null {
+    if (!this._db || !nameOrId) return null;
+    try {
+      if (STEAM_ID_RE.test(nameOrId)) {
+        return { steamId: nameOrId, name: this._db.player.resolveSteamIdToName(nameOrId) };
+      }
+      const hit = this._db.player.resolveNameToSteamId(nameOrId);
+      const steamId = typeof hit?.steamId === 'string' ? hit.steamId : '';
+      if (!steamId) return null;
+      return { steamId, name: typeof hit?.name === 'string' ? hit.name : nameOrId };
+    } catch {
+      return null;
+    }
+  }
+}
+
+// Singleton — shared by index.ts wiring, /wallet, /pay, /leaderboard and the web panel
+const _singleton = new Economy();
+export default _singleton;
+export { Economy };
@@ -0,0 +1,659 @@
+/**
+ * Event Scheduler — scheduled community events (supply drops, horde nights,
+ * territory wars, ...) on top of hmz_events / hmz_event_scores.
+ *
+ * Runs alongside ServerScheduler and reuses its countdown ladder: every
+ * scheduled event is announced in-game (admin RCON) and in the LogWatcher
+ * daily thread at 10, 5, 3, 2 and 1 minutes before it starts.  A 30-second
+ * tick moves events scheduled → active → completed.
+ *
+ * Scoring depends on the event type (overridable with `params.scoring`):
+ *
+ *   - zombie_kills  — KillTracker accumulate() deltas      (horde_night, world_boss)
+ *   - pvp_kills     — LogWatcher `player_death_pvp` events (supply_drop)
+ *   - assassination — first kill of `target_steam_id` wins and ends the event
+ *   - faction       — FactionManager writes war scores     (territory_war)
+ *   - none          — no automatic scoring                 (custom)
+ *
+ * When an event ends the top scorers are paid `rewards.places` credits
+ * through the ledger and a results embed is posted.
+ */
+
+import { EmbedBuilder } from 'discord.js';
+import { t, getLocale, fmtNumber } from '../i18n/index.js';
+import { createLogger, type Logger } from '../utils/log.js';
+import { errMsg } from '../utils/error.js';
+import _defaultConfig from '../config/index.js';
+import { sendAdminMessage as _defaultSendAdminMessage } from '../rcon/server-info.js';
+import { formatDbTimestampUtc, parseDbTimestampUtc } from '../db/timestamp.js';
+import { WARNINGS } from './server-scheduler.js';
+import type { HumanitZDB } from '../db/database.js';
+import { isEventType, type EventRow, type EventScoreRow } from '../db/repositories/event-repository.js';
+import type { AccumulateResult } from '../tracking/kill-tracker.js';
+
+// ── Types ───────────────────────────────────────────────────────────────────
+
+/** Minimal LogWatcher surface for posting event embeds. */
+interface EventLogWatcher {
+  sendToThread(embed: EmbedBuilder): Promise<unknown>;
+}
+
+type EventConfig = Pick<typeof _defaultConfig, 'eventDefaultDuration' | 'eventDefaultRewards' | 'locale'>;
+
+export type EventScoring = 'zombie_kills' | 'pvp_kills' | 'assassination' | 'faction' | 'none';
+
+export type EventErrorCode =
+  | 'disabled'
+  | 'invalid_type'
+  | 'invalid_name'
+  | 'invalid_time'
+  | 'invalid_duration'
+  | 'invalid_rewards'
+  | 'unknown_target'
+  | 'not_found'
+  | 'wrong_status';
+
+export type EventResult<T> = { ok: true; value: T } | { ok: false; code: EventErrorCode };
+
+export interface ScheduleEventRequest {
+  type: string;
+  name: string;
+  description?: string;
+  /** Start time — Date, ISO string or DB timestamp (UTC). */
+  scheduledAt: Date | string;
+  /** Minutes the event runs. Defaults to EVENT_DEFAULT_DURATION. */
+  durationMinutes?: number;
+  /** Credits per finishing place. Defaults to EVENT_DEFAULT_REWARDS. */
+  rewards?: number[];
+  scoring?: EventScoring;
+  territoryId?: string | null;
+  /** Player name or SteamID — required for assassination events. */
+  target?: string | null;
+}
+
+/** hmz_events row with params/rewards decoded. */
+export interface CommunityEvent extends Omit<EventRow, 'params' | 'rewards'> {
+  params: EventParams;
+  rewards: EventRewards;
+  scoring: EventScoring;
+  durationMinutes: number;
+}
+
+export interface EventParams {
+  durationMinutes?: number;
+  scoring?: EventScoring;
+  [key: string]: unknown;
+}
+
+export interface EventPayout {
+  place: number;
+  steamId: string;
+  name: string;
+  score: number;
+  credits: number;
+}
+
+export interface EventRewards {
+  places: number[];
+  paid?: EventPayout[];
+}
+
+export interface EventResults {
+  event: CommunityEvent;
+  winners: EventPayout[];
+  winnerFaction: string | null;
+}
+
+const TICK_INTERVAL_MS = 30_000;
+const STEAM_ID_RE = /^\d{17}$/;
+const MAX_DURATION_MINUTES = 7 * 24 * 60;
+const SCORING_MODES: readonly EventScoring[] = ['zombie_kills', 'pvp_kills', 'assassination', 'faction', 'none'];
+
+const DEFAULT_SCORING: Record<string, EventScoring> = {
+  supply_drop: 'pvp_kills',
+  horde_night: 'zombie_kills',
+  territory_war: 'faction',
+  assassination: 'assassination',
+  world_boss: 'zombie_kills',
+  custom: 'none',
+};
+
+function _parseJson(raw: string | null): Record<string, unknown> {
+  if (!raw) return {};
+  try {
+    const parsed: unknown = JSON.parse(raw);
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? (parsed as Record<string, unknown>) : {};
+  } catch {
+    return {};
+  }
+}
+
+// ── EventScheduler class ────────────────────────────────────────────────────
+
+class EventScheduler {
+  private _db: HumanitZDB | null = null;
+  private _logWatcher: EventLogWatcher | null = null;
+  private _config: EventConfig = _defaultConfig;
+  private _sendAdminMessage: (message: string) => Promise<unknown> = _defaultSendAdminMessage;
+  private _log: Logger;
+  private _interval: ReturnType<typeof setInterval> | null = null;
+  /** Event id → lowest countdown step already announced. */
+  private _warned = new Map<number, number>();
+  private _active = false;
+
+  constructor(opts: { label?: string } = {}) {
+    this._log = createLogger(opts.label, 'EVENTS');
+  }
+
+  // ── Lifecycle ──────────────────────────────────────────────
+
+  /** Attach dependencies and start the 30-second schedule tick. */
+  start(
+    opts: {
+      db?: HumanitZDB | null;
+      logWatcher?: EventLogWatcher | null;
+      config?: EventConfig;
+      sendAdminMessage?: (message: string) => Promise<unknown>;
+      /** Disable the interval (tests drive tick() directly). */
+      autoTick?: boolean;
+    } = {},
+  ): void {
+    this._db = opts.db ?? null;
+    this._logWatcher = opts.logWatcher ?? null;
+    if (opts.config) this._config = opts.config;
+    if (opts.sendAdminMessage) this._sendAdminMessage = opts.sendAdminMessage;
+    this._warned.clear();
+    this._active = !!this._db;
+    if (this._active && opts.autoTick !== false && !this._interval) {
+      this._interval = setInterval(() => {
+        this.tick();
+      }, TICK_INTERVAL_MS);
+      this._interval.unref();
+      this.tick();
+    }
+  }
+
+  stop(): void {
+    if (this._interval) {
+      clearInterval(this._interval);
+      this._interval = null;
+    }
+    this._active = false;
+  }
+
+  /** Whether the scheduler is running (ENABLE_EVENTS on and a DB attached). */
+  isActive(): boolean {
+    return this._active;
+  }
+
+  // ── Queries ────────────────────────────────────────────────
+
+  getUpcoming(limit = 25): CommunityEvent[] {
+    if (!this._db) return [];
+    return this._db.events.getUpcoming(limit).map((row) => this._decode(row));
+  }
+
+  getRunning(): CommunityEvent[] {
+    if (!this._db) return [];
+    return this._db.events.getActiveEvents().map((row) => this._decode(row));
+  }
+
+  getRecent(limit = 20): CommunityEvent[] {
+    if (!this._db) return [];
+    return this._db.events.getRecent(limit).map((row) => this._decode(row));
+  }
+
+  getEvent(id: number): CommunityEvent | null {
+    const row = this._db?.events.getEvent(id);
+    return row ? this._decode(row) : null;
+  }
+
+  getScores(id: number, limit = 50): EventScoreRow[] {
+    if (!this._db) return [];
+    return this._db.events.getScores(id, limit);
+  }
+
+  // ── Admin actions ──────────────────────────────────────────
+
+  /** Validate and schedule a new event. */
+  schedule(req: ScheduleEventRequest, now: Date = new Date()): EventResult<CommunityEvent> {
+    const db = this._db;
+    if (!db || !this._active) return { ok: false, code: 'disabled' };
+    if (!isEventType(req.type)) return { ok: false, code: 'invalid_type' };
+    const name = typeof req.name === 'string' ? req.name.trim().slice(0, 100) : '';
+    if (!name) return { ok: false, code: 'invalid_name' };
+
+    const start = req.scheduledAt instanceof Date ? req.scheduledAt : parseDbTimestampUtc(req.scheduledAt);
+    // A minute of slack so "now" from a browser clock isn't rejected
+    if (!start || Number.isNaN(start.getTime()) || start.getTime() < now.getTime() - 60_000) {
+      return { ok: false, code: 'invalid_time' };
+    }
+
+    const duration = Math.trunc(req.durationMinutes ?? this._config.eventDefaultDuration);
+    if (!Number.isFinite(duration) || duration < 1 || duration > MAX_DURATION_MINUTES) {
+      return { ok: false, code: 'invalid_duration' };
+    }
+
+    const places = (req.rewards ?? this._config.eventDefaultRewards).map((n) => Math.trunc(n));
+    if (places.length > 10 || !places.every((n) => Number.isFinite(n) && n >= 0)) {
+      return { ok: false, code: 'invalid_rewards' };
+    }
+
+    let targetSteamId: string | null = null;
+    if (req.type === 'assassination' || req.target) {
+      const target = req.target ? this._resolvePlayer(req.target) : null;
+      if (!target) return { ok: false, code: 'unknown_target' };
+      targetSteamId = target.steamId;
+    }
+
+    const params: EventParams = { durationMinutes: duration };
+    if (req.scoring && SCORING_MODES.includes(req.scoring)) params.scoring = req.scoring;
+
+    const id = db.events.createEvent({
+      type: req.type,
+      name,
+      description: (req.description ?? '').trim().slice(0, 500),
+      territoryId: req.territoryId || null,
+      targetSteamId,
+      params,
+      rewards: { places },
+      scheduledAt: formatDbTimestampUtc(start),
+    });
+    const event = this.getEvent(id);
+    if (!event) return { ok: false, code: 'not_found' };
+
+    this._log.info(`Scheduled #${String(id)} ${event.type} "${event.name}" at ${event.scheduled_at ?? '?'}`);
+    this._announceScheduled(event);
+    return { ok: true, value: event };
+  }
+
+  /** Start a scheduled event immediately, skipping the rest of its countdown. */
+  startNow(id: number, now: Date = new Date()): EventResult<CommunityEvent> {
+    if (!this._db || !this._active) return { ok: false, code: 'disabled' };
+    const event = this.getEvent(id);
+    if (!event) return { ok: false, code: 'not_found' };
+    if (event.status !== 'scheduled') return { ok: false, code: 'wrong_status' };
+    return this._start(event, now)
+      ? { ok: true, value: this.getEvent(id) ?? event }
+      : { ok: false, code: 'wrong_status' };
+  }
+
+  /** End a running event now and pay out its results. */
+  end(id: number, now: Date = new Date()): EventResult<EventResults> {
+    if (!this._db || !this._active) return { ok: false, code: 'disabled' };
+    const event = this.getEvent(id);
+    if (!event) return { ok: false, code: 'not_found' };
+    if (event.status !== 'active') return { ok: false, code: 'wrong_status' };
+    const results = this._complete(event, now);
+    return results ? { ok: true, value: results } : { ok: false, code: 'wrong_status' };
+  }
+
+  /** Cancel a scheduled or running event. No rewards are paid. */
+  cancel(id: number): EventResult<CommunityEvent> {
+    const db = this._db;
+    if (!db || !this._active) return { ok: false, code: 'disabled' };
+    const event = this.getEvent(id);
+    if (!event) return { ok: false, code: 'not_found' };
+    if (!db.events.markCancelled(id)) return { ok: false, code: 'wrong_status' };
+    this._log.info(`Cancelled #${String(id)} "${event.name}"`);
+    // Only tell players about events they have already heard about
+    if (event.status === 'active' || this._warned.has(id)) {
+      this._broadcast(`<SP>EVENT: </><PR>${event.name}</><FO> has been cancelled</>`);
+    }
+    this._warned.delete(id);
+    this._postEmbed(
+      new EmbedBuilder()
+        .setAuthor({ name: t('discord:event_scheduler.cancelled_title', this._locale()) })
+        .setDescription(t('discord:event_scheduler.cancelled_description', this._locale(), { name: event.name }))
+        .setColor(0x95a5a6)
+        .setTimestamp(),
+    );
+    return { ok: true, value: { ...event, status: 'cancelled' } };
+  }
+
+  // ── Schedule tick ──────────────────────────────────────────
+
+  /** Announce countdowns, start due events and finish expired ones. */
+  tick(now: Date = new Date()): void {
+    const db = this._db;
+    if (!db || !this._active) return;
+    try {
+      for (const event of this.getUpcoming(100)) {
+        if (this._minutesUntil(event, now) <= 0) {
+          this._start(event, now);
+        } else {
+          this._countdown(event, now);
+        }
+      }
+      for (const event of this.getRunning()) {
+        const started = parseDbTimestampUtc(event.started_at);
+        if (started && now.getTime() >= started.getTime() + event.durationMinutes * 60_000) {
+          this._complete(event, now);
+        }
+      }
+    } catch (err: unknown) {
+      this._log.error('Event tick failed:', errMsg(err));
+    }
+  }
+
+  // ── Scoring hooks ──────────────────────────────────────────
+
+  /** Zombie kills from KillTracker deltas score for `zombie_kills` events. */
+  onKillDeltas(result: AccumulateResult): void {
+    const db = this._db;
+    if (!db || !this._active) return;
+    const events = this.getRunning().filter((e) => e.scoring === 'zombie_kills');
+    if (events.length === 0) return;
+    db.transaction(() => {
+      for (const kd of result.deltas.killDeltas) {
+        const kills = kd.delta.zeeksKilled ?? 0;
+        if (kills <= 0) continue;
+        const factionId = db.faction.getPlayerFaction(kd.steamId) ?? '';
+        for (const event of events) db.events.addScore(event.id, kd.steamId, factionId, { score: kills, kills });
+      }
+    });
+  }
+
+  /**
+   * Handle a PvP kill: scores `pvp_kills` events and resolves assassination
+   * contracts (which end as soon as their target falls).
+   */
+  onPvpKill(killerName: string, victimName: string, now: Date = new Date()): void {
+    const db = this._db;
+    if (!db || !this._active) return;
+    const killer = this._resolvePlayer(killerName);
+    const victim = this._resolvePlayer(victimName);
+    if (!killer || !victim || killer.steamId === victim.steamId) return;
+
+    for (const event of this.getRunning()) {
+      if (event.scoring === 'pvp_kills') {
+        db.transaction(() => {
+          db.events.addScore(event.id, killer.steamId, db.faction.getPlayerFaction(killer.steamId) ?? '', {
+            score: 1,
+            kills: 1,
+          });
+          db.events.addScore(event.id, victim.steamId, db.faction.getPlayerFaction(victim.steamId) ?? '', {
+            deaths: 1,
+          });
+        });
+      } else if (event.scoring === 'assassination' && event.target_steam_id === victim.steamId) {
+        db.events.addScore(event.id, killer.steamId, db.faction.getPlayerFaction(killer.steamId) ?? '', {
+          score: 1,
+          kills: 1,
+        });
+        this._complete(event, now);
+      }
+    }
+  }
+
+  // ── Internals ──────────────────────────────────────────────
+
+  private _decode(row: EventRow): CommunityEvent {
+    const params = _parseJson(row.params) as EventParams;
+    const rewards = _parseJson(row.rewards);
+    const places = Array.isArray(rewards.places)
+      ? rewards.places.filter((n): n is number => typeof n === 'number')
+      : [];
+    const paid = Array.isArray(rewards.paid) ? (rewards.paid as EventPayout[]) : undefined;
+    const scoring =
+      params.scoring && SCORING_MODES.includes(params.scoring) ? params.scoring : (DEFAULT_SCORING[row.type] ?? 'none');
+    const duration =
+      typeof params.durationMinutes === 'number' && params.durationMinutes > 0
+        ? params.durationMinutes
+        : this._config.eventDefaultDuration;
+    return {
+      ...row,
+      params,
+      rewards: paid ? { places, paid } : { places },
+      scoring,
+      durationMinutes: duration,
+    };
+  }
+
+  private _minutesUntil(event: CommunityEvent, now: Date): number {
+    const start = parseDbTimestampUtc(event.scheduled_at);
+    if (!start) return 0;
+    return Math.ceil((start.getTime() - now.getTime()) / 60_000);
+  }
+
+  /** Announce the latest countdown step reached since the previous tick. */
+  private _countdown(event: CommunityEvent, now: Date): void {
+    const minutesLeft = this._minutesUntil(event, now);
+    const reached = WARNINGS.filter((m) => m >= minutesLeft);
+    if (reached.length === 0) return;
+    const step = Math.min(...reached);
+    const last = this._warned.get(event.id);
+    if (last !== undefined && last <= step) return;
+    this._warned.set(event.id, step);
+
+    const plural = minutesLeft > 1 ? 's' : '';
+    this._broadcast(
+      `<SP>EVENT: </><PR>${event.name}</><FO> starts in ${String(minutesLeft)} minute${plural}${this._hint(event)}</>`,
+    );
+    this._postEmbed(
+      new EmbedBuilder()
+        .setAuthor({ name: t('discord:event_scheduler.countdown_title', this._locale()) })
+        .setDescription(
+          t('discord:event_scheduler.countdown_description', this._locale(), {
+            name: event.name,
+            type: t(`discord:event_scheduler.types.${event.type}`, this._locale()),
+            minutes: minutesLeft,
+          }),
+        )
+        .setColor(0xf39c12)
+        .setTimestamp(),
+    );
+  }
+
+  private _start(event: CommunityEvent, now: Date): boolean {
+    const db = this._db;
+    if (!db || !db.events.markStarted(event.id, formatDbTimestampUtc(now))) return false;
+    this._warned.delete(event.id);
+    this._log.info(`Started #${String(event.id)} "${event.name}" (${String(event.durationMinutes)} min)`);
+    this._broadcast(
+      `<SP>EVENT STARTED: </><PR>${event.name}</><FO> — ${String(event.durationMinutes)} minutes${this._hint(event)}</>`,
+    );
+    const locale = this._locale();
+    const embed = new EmbedBuilder()
+      .setAuthor({ name: t('discord:event_scheduler.started_title', locale) })
+      .setTitle(event.name)
+      .setDescription(
+        [
+          event.description,
+          t('discord:event_scheduler.started_description', locale, {
+            type: t(`discord:event_scheduler.types.${event.type}`, locale),
+            minutes: event.durationMinutes,
+          }),
+        ]
+          .filter(Boolean)
+          .join('\n\n'),
+      )
+      .setColor(0x3498db)
+      .setTimestamp();
+    if (event.rewards.places.length > 0) {
+      embed.addFields({ name: t('discord:event_scheduler.rewards', locale), value: this._formatPlaces(event) });
+    }
+    this._postEmbed(embed);
+    return true;
+  }
+
+  /** Rank scores, pay the places and mark the event completed. */
+  private _complete(event: CommunityEvent, now: Date): EventResults | null {
+    const db = this._db;
+    if (!db) return null;
+    const places = event.rewards.places;
+    const scores = db.events.getScores(event.id, Math.max(places.length, 10));
+    const winnerFaction = event.scoring === 'faction' ? this._winningFaction(event.id) : null;
+
+    let winners: EventPayout[] = [];
+    const completed = db.transaction((): boolean => {
+      const ranked = scores.filter((s) => s.score > 0);
+      winners = ranked.slice(0, Math.max(places.length, 3)).map((s, i) => ({
+        place: i + 1,
+        steamId: s.steam_id,
+        // Players without a save row yet only have an alias
+        name: s.name !== s.steam_id ? s.name : db.player.resolveSteamIdToName(s.steam_id),
+        score: s.score,
+        credits: places[i] ?? 0,
+      }));
+      for (const w of winners) {
+        if (w.credits <= 0) continue;
+        db.economy.adjustCredits(w.steamId, w.credits, 'event_reward', `${event.name} — #${String(w.place)}`, event.id);
+      }
+      return db.events.markCompleted(event.id, formatDbTimestampUtc(now), { places, paid: winners }, winnerFaction);
+    });
+    if (!completed) return null;
+
+    this._warned.delete(event.id);
+    const finished = this.getEvent(event.id) ?? event;
+    this._log.info(
+      `Completed #${String(event.id)} "${event.name}" — ${winners.length > 0 ? `winner ${winners[0]?.name ?? '?'}` : 'no scores'}`,
+    );
+    this._announceResults(finished, winners, winnerFaction);
+    return { event: finished, winners, winnerFaction };
+  }
+
+  /** Faction with the highest summed score for a territory war. */
+  private _winningFaction(eventId: number): string | null {
+    const totals = new Map<string, number>();
+    for (const s of this.getScores(eventId, 1000)) {
+      if (!s.faction_id) continue;
+      totals.set(s.faction_id, (totals.get(s.faction_id) ?? 0) + s.score);
+    }
+    let best: string | null = null;
+    let bestScore = 0;
+    for (const [factionId, score] of totals) {
+      if (score > bestScore) {
+        best = factionId;
+        bestScore = score;
+      }
+    }
+    return best;
+  }
+
+  private _resolvePlayer(nameOrId: string): ResolvedPlayer | null {
+    if (!this._db || !nameOrId) return null;
+    try {
+      if (STEAM_ID_RE.test(nameOrId)) {
+        return { steamId: nameOrId, name: this._db.player.resolveSteamIdToName(nameOrId) };
+      }
+      const hit = this._db.player.resolveNameToSteamId(nameOrId);
+      const steamId = typeof hit?.steamId === 'string' ? hit.steamId : '';
+      if (!steamId) return null;
+      return { steamId, name: typeof hit?.name === 'string' ? hit.name : nameOrId };
+    } catch {
+      return null;
+    }
+  }
+
+  /** Short in-game hint of what counts for this event. */
+  private _hint(event: CommunityEvent): string {
+    switch (event.scoring) {
+      case 'zombie_kills':
+        return ' — most zombie kills wins';
+      case 'pvp_kills':
+        return ' — most player kills wins';
+      case 'assassination': {
+        const target = event.target_steam_id ? this._db?.player.resolveSteamIdToName(event.target_steam_id) : null;
+        return target ? ` — take down ${target}` : '';
+      }
+      default:
+        return '';
+    }
+  }
+
+  private _formatPlaces(event: CommunityEvent): string {
+    const locale = this._locale();
+    return event.rewards.places
+      .map((credits, i) =>
+        t('discord:event_scheduler.place_reward', locale, { place: i + 1, credits: fmtNumber(credits, locale) }),
+      )
+      .join('\n');
+  }
+
+  private _locale(): string {
+    return getLocale({ serverConfig: this._config });
+  }
+
+  // ── Announcements ──────────────────────────────────────────
+
+  private _announceScheduled(event: CommunityEvent): void {
+    const locale = this._locale();
+    const start = parseDbTimestampUtc(event.scheduled_at);
+    const embed = new EmbedBuilder()
+      .setAuthor({ name: t('discord:event_scheduler.scheduled_title', locale) })
+      .setTitle(event.name)
+      .setDescription(
+        [
+          event.description,
+          t('discord:event_scheduler.scheduled_description', locale, {
+            type: t(`discord:event_scheduler.types.${event.type}`, locale),
+            time: start ? `<t:${String(Math.floor(start.getTime() / 1000))}:F>` : '?',
+            minutes: event.durationMinutes,
+          }),
+        ]
+          .filter(Boolean)
+          .join('\n\n'),
+      )
+      .setColor(0x9b59b6)
+      .setTimestamp();
+    if (event.rewards.places.length > 0) {
+      embed.addFields({ name: t('discord:event_scheduler.rewards', locale), value: this._formatPlaces(event) });
+    }
+    this._postEmbed(embed);
+  }
+
+  private _announceResults(event: CommunityEvent, winners: EventPayout[], winnerFaction: string | null): void {
+    const locale = this._locale();
+    const top = winners[0];
+    this._broadcast(
+      top
+        ? `<SP>EVENT OVER: </><PR>${event.name}</><FO> — winner: </>${top.name}<FO> (${String(top.score)} pts)</>`
+        : `<SP>EVENT OVER: </><PR>${event.name}</><FO> — no winners this time</>`,
+    );
+
+    const factionName = winnerFaction ? (this._db?.faction.getFaction(winnerFaction)?.name ?? winnerFaction) : '';
+    const medals = ['🥇', '🥈', '🥉'];
+    const lines = winners.map((w) =>
+      t(`discord:event_scheduler.${w.credits > 0 ? 'result_line_paid' : 'result_line'}`, locale, {
+        medal: medals[w.place - 1] ?? `#${String(w.place)}`,
+        name: w.name,
+        score: fmtNumber(w.score, locale),
+        credits: fmtNumber(w.credits, locale),
+      }),
+    );
+    const embed = new EmbedBuilder()
+      .setAuthor({ name: t('discord:event_scheduler.results_title', locale) })
+      .setTitle(event.name)
+      .setDescription(lines.length > 0 ? lines.join('\n') : t('discord:event_scheduler.no_winners', locale))
+      .setColor(0x2ecc71)
+      .setTimestamp();
+    if (factionName) {
+      embed.addFields({ name: t('discord:event_scheduler.winning_faction', locale), value: factionName });
+    }
+    this._postEmbed(embed);
+  }
+
+  private _broadcast(message: string): void {
+    this._sendAdminMessage(message).catch((err: unknown) => {
+      this._log.warn('In-game announcement failed:', errMsg(err));
+    });
+  }
+
+  private _postEmbed(embed: EmbedBuilder): void {
+    if (!this._logWatcher) return;
+    this._logWatcher.sendToThread(embed).catch((err: unknown) => {
+      this._log.warn('Thread post failed:', errMsg(err));
+    });
+  }
+}
+
+interface ResolvedPlayer {
+  steamId: string;
+  name: string;
+}
+
+// Singleton — shared by index.ts wiring and the web panel
+const _singleton = new EventScheduler();
+export default _singleton;
+export { EventScheduler };
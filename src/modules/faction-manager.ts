@@ -0,0 +1,515 @@
+/**
+ * Faction Manager — faction membership, territory control and war scoring.
+ *
+ * Built on the HOWYAGARN tables: hmz_factions, hmz_players (membership),
+ * hmz_territories (capture zones) and hmz_events / hmz_event_scores (an
+ * active `territory_war` event collects kill and capture points).
+ *
+ * Territory control is fed by SnapshotService: on every recorded snapshot
+ * the online members standing inside a zone (polygon, or circle when no
+ * polygon is drawn) push their faction's control score up and drain every
+ * other faction's.  Zones with more than one faction present are contested
+ * and frozen.  A faction captures a zone once it reaches the threshold and
+ * no rival still holds points there.
+ *
+ * Kill/death aggregates: zombie kills come from KillTracker accumulate()
+ * deltas, PvP kills from LogWatcher's `player_death_pvp` attribution and
+ * deaths from LogWatcher's death handler.
+ */
+
+import { EmbedBuilder } from 'discord.js';
+import { t, getLocale } from '../i18n/index.js';
+import { createLogger, type Logger } from '../utils/log.js';
+import { errMsg } from '../utils/error.js';
+import _defaultConfig from '../config/index.js';
+import { sendAdminMessage as _defaultSendAdminMessage } from '../rcon/server-info.js';
+import type { HumanitZDB } from '../db/database.js';
+import {
+  FACTION_IDS,
+  isFactionId,
+  type FactionId,
+  type FactionMemberRow,
+  type FactionRow,
+  type FactionSeed,
+  type TerritoryInput,
+  type TerritoryRow,
+} from '../db/repositories/faction-repository.js';
+import type { AccumulateResult } from '../tracking/kill-tracker.js';
+
+// ── Types ───────────────────────────────────────────────────────────────────
+
+/** Minimal LogWatcher surface for posting faction embeds. */
+interface FactionLogWatcher {
+  sendToThread(embed: EmbedBuilder): Promise<unknown>;
+}
+
+type FactionConfig = Pick<
+  typeof _defaultConfig,
+  'factionCapturePoints' | 'factionCaptureThreshold' | 'factionWarKillPoints' | 'factionWarCapturePoints' | 'locale'
+>;
+
+export type FactionErrorCode =
+  | 'disabled'
+  | 'unknown_player'
+  | 'unknown_faction'
+  | 'already_member'
+  | 'not_member'
+  | 'invalid_territory'
+  | 'not_found';
+
+export type FactionResult<T> = { ok: true; value: T } | { ok: false; code: FactionErrorCode };
+
+/** Territory with its polygon decoded. */
+export interface Territory extends Omit<TerritoryRow, 'polygon'> {
+  polygon: Array<[number, number]> | null;
+}
+
+export interface MembershipChange {
+  steamId: string;
+  name: string;
+  factionId: string;
+  previousFactionId: string | null;
+}
+
+/** Minimal player position — matches SnapshotService's TimelinePlayer. */
+export interface FactionPositionSample {
+  steamId: string;
+  name: string;
+  online: number;
+  x: number | null;
+  y: number | null;
+}
+
+export interface CaptureEvent {
+  territoryId: string;
+  territoryName: string;
+  factionId: string | null;
+  previousFactionId: string | null;
+}
+
+const WAR_EVENT_TYPE = 'territory_war';
+const STEAM_ID_RE = /^\d{17}$/;
+const TERRITORY_ID_RE = /^[a-z0-9_-]{1,32}$/;
+
+/** Seeded on first start when hmz_factions is empty; existing rows are never overwritten. */
+const DEFAULT_FACTIONS: FactionSeed[] = [
+  { id: 'reapers', name: 'Reapers', theme: 'raiders', color: '#c0392b', icon: '💀' },
+  { id: 'wardens', name: 'Wardens', theme: 'defenders', color: '#2980b9', icon: '🛡️' },
+  { id: 'drifters', name: 'Drifters', theme: 'scavengers', color: '#27ae60', icon: '🧭' },
+];
+
+// ── Geometry ────────────────────────────────────────────────────────────────
+
+/** Ray-casting point-in-polygon test (world coordinates). */
+export function pointInPolygon(x: number, y: number, polygon: ReadonlyArray<readonly [number, number]>): boolean {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    if (!a || !b) continue;
+    const [xi, yi] = a;
+    const [xj, yj] = b;
+    if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+/** Whether a world position lies inside a territory (polygon first, radius fallback). */
+export function isInTerritory(x: number, y: number, territory: Territory): boolean {
+  if (territory.polygon && territory.polygon.length >= 3) return pointInPolygon(x, y, territory.polygon);
+  const dx = x - territory.center_x;
+  const dy = y - territory.center_y;
+  return dx * dx + dy * dy <= territory.radius * territory.radius;
+}
+
+function _parsePolygon(raw: string | null): Array<[number, number]> | null {
+  if (!raw) return null;
+  try {
+    const parsed: unknown = JSON.parse(raw);
+    if (!Array.isArray(parsed)) return null;
+    const points: Array<[number, number]> = [];
+    for (const p of parsed) {
+      if (!Array.isArray(p) || typeof p[0] !== 'number' || typeof p[1] !== 'number') return null;
+      points.push([p[0], p[1]]);
+    }
+    return points.length >= 3 ? points : null;
+  } catch {
+    return null;
+  }
+}
+
+// ── FactionManager class ────────────────────────────────────────────────────
+
+class FactionManager {
+  private _db: HumanitZDB | null = null;
+  private _logWatcher: FactionLogWatcher | null = null;
+  private _config: FactionConfig = _defaultConfig;
+  private _sendAdminMessage: (message: string) => Promise<unknown> = _defaultSendAdminMessage;
+  private _log: Logger;
+  private _active = false;
+
+  constructor(opts: { label?: string } = {}) {
+    this._log = createLogger(opts.label, 'FACTIONS');
+  }
+
+  // ── Lifecycle ──────────────────────────────────────────────
+
+  /** Attach dependencies and seed the default factions. */
+  start(
+    opts: {
+      db?: HumanitZDB | null;
+      logWatcher?: FactionLogWatcher | null;
+      config?: FactionConfig;
+      sendAdminMessage?: (message: string) => Promise<unknown>;
+    } = {},
+  ): void {
+    this._db = opts.db ?? null;
+    this._logWatcher = opts.logWatcher ?? null;
+    if (opts.config) this._config = opts.config;
+    if (opts.sendAdminMessage) this._sendAdminMessage = opts.sendAdminMessage;
+    this._active = !!this._db;
+    if (this._db && this._db.faction.getFactions().length === 0) {
+      this._db.faction.seedFactions(DEFAULT_FACTIONS);
+      this._log.info('Seeded default factions');
+    }
+  }
+
+  stop(): void {
+    this._active = false;
+  }
+
+  /** Whether factions are running (ENABLE_FACTIONS on and a DB attached). */
+  isActive(): boolean {
+    return this._active;
+  }
+
+  // ── Queries ────────────────────────────────────────────────
+
+  /** Factions ordered by territories held, then kills. */
+  getStandings(): FactionRow[] {
+    if (!this._db) return [];
+    return this._db.faction
+      .getFactions()
+      .sort((a, b) => b.territories_held - a.territories_held || b.total_kills - a.total_kills);
+  }
+
+  getMembers(factionId: string): FactionMemberRow[] {
+    if (!this._db) return [];
+    return this._db.faction.getMembers(factionId);
+  }
+
+  getTerritories(): Territory[] {
+    if (!this._db) return [];
+    return this._db.faction.getTerritories().map((row) => ({ ...row, polygon: _parsePolygon(row.polygon) }));
+  }
+
+  /** Resolve a faction by id or (case-insensitive) display name. */
+  resolveFaction(idOrName: string): FactionRow | null {
+    if (!this._db || !idOrName) return null;
+    const needle = idOrName.trim().toLowerCase();
+    return this._db.faction.getFactions().find((f) => f.id === needle || f.name.toLowerCase() === needle) ?? null;
+  }
+
+  // ── Membership ─────────────────────────────────────────────
+
+  /** Put a player into a faction, moving them out of any previous one. */
+  join(player: string, faction: string): FactionResult<MembershipChange> {
+    const db = this._db;
+    if (!db || !this._active) return { ok: false, code: 'disabled' };
+    const target = this._resolvePlayer(player);
+    if (!target) return { ok: false, code: 'unknown_player' };
+    const row = this.resolveFaction(faction);
+    if (!row) return { ok: false, code: 'unknown_faction' };
+
+    const previous = db.faction.getPlayerFaction(target.steamId);
+    if (previous === row.id) return { ok: false, code: 'already_member' };
+    db.faction.setMembership(target.steamId, row.id);
+    this._log.info(`${target.name} joined ${row.name}${previous ? ` (was ${previous})` : ''}`);
+    this._broadcast(`<SP>FACTION: </>${target.name}<FO> joined the </><PR>${row.name}</>`);
+    return {
+      ok: true,
+      value: { steamId: target.steamId, name: target.name, factionId: row.id, previousFactionId: previous },
+    };
+  }
+
+  /** Remove a player from their faction. */
+  leave(player: string): FactionResult<MembershipChange> {
+    const db = this._db;
+    if (!db || !this._active) return { ok: false, code: 'disabled' };
+    const target = this._resolvePlayer(player);
+    if (!target) return { ok: false, code: 'unknown_player' };
+    const previous = db.faction.getPlayerFaction(target.steamId);
+    if (!previous || !db.faction.clearMembership(target.steamId)) return { ok: false, code: 'not_member' };
+    this._log.info(`${target.name} left ${previous}`);
+    return {
+      ok: true,
+      value: { steamId: target.steamId, name: target.name, factionId: '', previousFactionId: previous },
+    };
+  }
+
+  // ── Territory admin ────────────────────────────────────────
+
+  /** Create or update a territory. Control state survives edits. */
+  saveTerritory(input: TerritoryInput): FactionResult<Territory> {
+    const db = this._db;
+    if (!db || !this._active) return { ok: false, code: 'disabled' };
+    if (!TERRITORY_ID_RE.test(input.id) || !input.name.trim()) return { ok: false, code: 'invalid_territory' };
+    if (!Number.isFinite(input.centerX) || !Number.isFinite(input.centerY)) {
+      return { ok: false, code: 'invalid_territory' };
+    }
+    if (input.radius !== undefined && !(Number.isFinite(input.radius) && input.radius > 0)) {
+      return { ok: false, code: 'invalid_territory' };
+    }
+    if (input.polygon && !input.polygon.every((p) => Number.isFinite(p[0]) && Number.isFinite(p[1]))) {
+      return { ok: false, code: 'invalid_territory' };
+    }
+    db.faction.upsertTerritory({ ...input, name: input.name.trim() });
+    const territory = this.getTerritories().find((tr) => tr.id === input.id);
+    if (!territory) return { ok: false, code: 'not_found' };
+    return { ok: true, value: territory };
+  }
+
+  deleteTerritory(id: string): FactionResult<string> {
+    const db = this._db;
+    if (!db || !this._active) return { ok: false, code: 'disabled' };
+    if (!db.faction.deleteTerritory(id)) return { ok: false, code: 'not_found' };
+    return { ok: true, value: id };
+  }
+
+  // ── Event hooks ────────────────────────────────────────────
+
+  /**
+   * Advance territory control from a snapshot's player positions.
+   * Returns the captures/neutralisations that happened on this tick.
+   */
+  onSnapshot(players: readonly FactionPositionSample[]): CaptureEvent[] {
+    const db = this._db;
+    if (!db || !this._active) return [];
+
+    // Online faction members with a known position
+    const positioned: Array<{ steamId: string; factionId: FactionId; x: number; y: number }> = [];
+    for (const p of players) {
+      if (!p.online || p.x === null || p.y === null || !p.steamId) continue;
+      const factionId = db.faction.getPlayerFaction(p.steamId);
+      if (!isFactionId(factionId)) continue;
+      positioned.push({ steamId: p.steamId, factionId, x: p.x, y: p.y });
+    }
+    if (positioned.length === 0) return [];
+
+    const events: CaptureEvent[] = [];
+    for (const territory of this.getTerritories()) {
+      if (!territory.active) continue;
+      try {
+        const event = this._tickTerritory(
+          territory,
+          positioned.filter((p) => isInTerritory(p.x, p.y, territory)),
+        );
+        if (event) events.push(event);
+      } catch (err: unknown) {
+        this._log.error(`Territory tick failed for ${territory.id}:`, errMsg(err));
+      }
+    }
+    return events;
+  }
+
+  /**
+   * Handle a PvP kill: faction kill/death totals plus, for cross-faction
+   * kills, the players' faction counters and the active war score.
+   * Returns true when the kill was between two different factions.
+   */
+  onPvpKill(killerName: string, victimName: string): boolean {
+    const db = this._db;
+    if (!db || !this._active) return false;
+    const killer = this._resolvePlayer(killerName);
+    const victim = this._resolvePlayer(victimName);
+    if (!killer || !victim || killer.steamId === victim.steamId) return false;
+
+    const killerFaction = db.faction.getPlayerFaction(killer.steamId);
+    const victimFaction = db.faction.getPlayerFaction(victim.steamId);
+    if (killerFaction) db.faction.addFactionTotals(killerFaction, 1, 0);
+    if (!killerFaction || !victimFaction || killerFaction === victimFaction) return false;
+
+    db.faction.recordFactionPvp(killer.steamId, victim.steamId);
+    const war = db.events.getActiveEvent(WAR_EVENT_TYPE);
+    if (war) {
+      db.transaction(() => {
+        db.events.addScore(war.id, killer.steamId, killerFaction, {
+          score: this._config.factionWarKillPoints,
+          kills: 1,
+        });
+        db.events.addScore(war.id, victim.steamId, victimFaction, { deaths: 1 });
+      });
+    }
+    return true;
+  }
+
+  /** Any death counts against the victim's faction. */
+  onPlayerDeath(steamId: string): void {
+    const db = this._db;
+    if (!db || !this._active) return;
+    const factionId = db.faction.getPlayerFaction(steamId);
+    if (factionId) db.faction.addFactionTotals(factionId, 0, 1);
+  }
+
+  /** Fold KillTracker zombie-kill deltas into faction kill totals. */
+  onKillDeltas(result: AccumulateResult): void {
+    const db = this._db;
+    if (!db || !this._active) return;
+    const totals = new Map<string, number>();
+    for (const kd of result.deltas.killDeltas) {
+      const kills = kd.delta.zeeksKilled ?? 0;
+      if (kills <= 0) continue;
+      const factionId = db.faction.getPlayerFaction(kd.steamId);
+      if (factionId) totals.set(factionId, (totals.get(factionId) ?? 0) + kills);
+    }
+    if (totals.size === 0) return;
+    db.transaction(() => {
+      for (const [factionId, kills] of totals) db.faction.addFactionTotals(factionId, kills, 0);
+    });
+  }
+
+  // ── Internals ──────────────────────────────────────────────
+
+  private _tickTerritory(
+    territory: Territory,
+    inside: Array<{ steamId: string; factionId: FactionId }>,
+  ): CaptureEvent | null {
+    const db = this._db;
+    if (!db) return null;
+
+    const counts = new Map<FactionId, number>();
+    for (const p of inside) counts.set(p.factionId, (counts.get(p.factionId) ?? 0) + 1);
+    // Empty or contested zones hold their current state
+    if (counts.size !== 1) return null;
+    const [[present, count]] = [...counts] as [[FactionId, number]];
+
+    const threshold = Math.max(this._config.factionCaptureThreshold, 1);
+    const step = this._config.factionCapturePoints * count;
+    const scores: Record<FactionId, number> = {
+      reapers: territory.control_score_reapers,
+      wardens: territory.control_score_wardens,
+      drifters: territory.control_score_drifters,
+    };
+    for (const id of FACTION_IDS) {
+      scores[id] = id === present ? Math.min(threshold, scores[id] + step) : Math.max(0, scores[id] - step);
+    }
+    db.faction.setTerritoryScores(territory.id, scores);
+
+    const controller = territory.controlling_faction;
+    if (controller === present) return null;
+
+    // A rival still holding points has to be drained before the zone flips
+    const rivalsHold = FACTION_IDS.some((id) => id !== present && scores[id] > 0);
+    if (scores[present] >= threshold && !rivalsHold) {
+      db.transaction(() => {
+        db.faction.setController(territory.id, present);
+        const war = db.events.getActiveEvent(WAR_EVENT_TYPE);
+        for (const p of inside) {
+          db.faction.addPlayerCapture(p.steamId);
+          if (war) {
+            db.events.addScore(war.id, p.steamId, present, {
+              score: this._config.factionWarCapturePoints,
+              captures: 1,
+            });
+          }
+        }
+      });
+      const event = {
+        territoryId: territory.id,
+        territoryName: territory.name,
+        factionId: present,
+        previousFactionId: controller,
+      };
+      this._announceCapture(event);
+      return event;
+    }
+
+    if (controller && isFactionId(controller) && scores[controller] === 0) {
+      db.faction.setController(territory.id, null);
+      const event = {
+        territoryId: territory.id,
+        territoryName: territory.name,
+        factionId: null,
+        previousFactionId: controller,
+      };
+      this._announceCapture(event);
+      return event;
+    }
+    return null;
+  }
+
+  private _resolvePlayer(nameOrId: string): ResolvedPlayer | null {
+    if (!this._db || !nameOrId) return null;
+    try {
+      if (STEAM_ID_RE.test(nameOrId)) {
+        return { steamId: nameOrId, name: this._db.player.resolveSteamIdToName(nameOrId) };
+      }
+      const hit = this._db.player.resolveNameToSteamId(nameOrId);
+      const steamId = typeof hit?.steamId === 'string' ? hit.steamId : '';
+      if (!steamId) return null;
+      return { steamId, name: typeof hit?.name === 'string' ? hit.name : nameOrId };
+    } catch {
+      return null;
+    }
+  }
+
+  private _factionName(id: string | null): string {
+    if (!id || !this._db) return '';
+    return this._db.faction.getFaction(id)?.name ?? id;
+  }
+
+  // ── Announcements ──────────────────────────────────────────
+
+  private _announceCapture(event: CaptureEvent): void {
+    const locale = getLocale({ serverConfig: this._config });
+    const faction = this._factionName(event.factionId);
+    const previous = this._factionName(event.previousFactionId);
+    this._log.info(
+      event.factionId
+        ? `${faction} captured ${event.territoryName}${previous ? ` from ${previous}` : ''}`
+        : `${event.territoryName} lost by ${previous}, now neutral`,
+    );
+    this._broadcast(
+      event.factionId
+        ? `<SP>TERRITORY: </><PR>${faction}</><FO> captured </>${event.territoryName}`
+        : `<SP>TERRITORY: </>${event.territoryName}<FO> is neutral again</>`,
+    );
+
+    if (!this._logWatcher) return;
+    const color = event.factionId ? (this._db?.faction.getFaction(event.factionId)?.color ?? '') : '';
+    const embed = new EmbedBuilder()
+      .setAuthor({ name: t('discord:faction_board.territory_title', locale) })
+      .setDescription(
+        event.factionId
+          ? t(`discord:faction_board.${previous ? 'captured_from' : 'captured'}`, locale, {
+              faction,
+              territory: event.territoryName,
+              previous,
+            })
+          : t('discord:faction_board.neutralised', locale, { territory: event.territoryName, previous }),
+      )
+      .setColor(/^#[0-9a-f]{6}$/i.test(color) ? parseInt(color.slice(1), 16) : 0x95a5a6)
+      .setTimestamp();
+    this._logWatcher.sendToThread(embed).catch((err: unknown) => {
+      this._log.warn('Thread post failed:', errMsg(err));
+    });
+  }
+
+  private _broadcast(message: string): void {
+    this._sendAdminMessage(message).catch((err: unknown) => {
+      this._log.warn('In-game announcement failed:', errMsg(err));
+    });
+  }
+
+  static WAR_EVENT_TYPE = WAR_EVENT_TYPE;
+}
+
+interface ResolvedPlayer {
+  steamId: string;
+  name: string;
+}
+
+// Singleton — shared by index.ts wiring, /faction and the web panel
+const _singleton = new FactionManager();
+export default _singleton;
+export { FactionManager };
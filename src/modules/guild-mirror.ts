@@ -0,0 +1,185 @@
+/**
+ * Guild Mirror — copies what one game server's module posts to the channels
+ * other Discord guilds follow it in (data/guilds.json, see config/guilds.ts).
+ *
+ * Owned by the posting module (ChatRelay, LogWatcher, ServerStatus), which
+ * keeps its own channel as before and hands each post to send() as well.
+ * Payloads can be built per target so every guild reads them in its own
+ * locale, and daily threads are kept per target channel when the module
+ * uses them.
+ */
+
+import { EmbedBuilder, type Message } from 'discord.js';
+import { getLocale } from '../i18n/index.js';
+import { guildTargets, type GuildFeed, type GuildTarget } from '../config/guilds.js';
+import { createLogger, type Logger } from '../utils/log.js';
+import { errMsg } from '../utils/error.js';
+
+// ── Types ───────────────────────────────────────────────────────────────────
+
+/** Channel or thread — the loose shape the posting modules already use. */
+export interface MirrorChannel {
+  id?: string;
+  name?: string;
+  send(options: unknown): Promise<Message>;
+  threads?: {
+    fetchActive(): Promise<{ threads: Map<string, MirrorChannel> }>;
+    fetchArchived(opts: { limit: number }): Promise<{ threads: Map<string, MirrorChannel> }>;
+  };
+  setArchived?(archived: boolean): Promise<unknown>;
+}
+
+interface MirrorClient {
+  channels: { fetch(id: string): Promise<unknown> };
+}
+
+/** Daily thread naming for modules that post into one thread per day. */
+export interface MirrorThreads {
+  /** Server-local 'YYYY-MM-DD' — a new thread is used whenever it changes. */
+  getToday(): string;
+  /** Thread name, also the starter embed title. */
+  name(locale: string): string;
+  /** Starter embed description. */
+  description(locale: string): string;
+}
+
+export interface GuildMirrorOptions {
+  /** The game server's config — its locale is the fallback for guilds without one. */
+  serverConfig?: { locale?: string; botLocale?: string };
+  threads?: MirrorThreads | null;
+  label?: string;
+}
+
+// ── GuildMirror class ───────────────────────────────────────────────────────
+
+class GuildMirror {
+  readonly targets: readonly GuildTarget[];
+  private _client: MirrorClient;
+  private _opts: GuildMirrorOptions;
+  private _log: Logger;
+  private _channels = new Map<string, MirrorChannel>();
+  private _threads = new Map<string, { date: string; thread: MirrorChannel }>();
+
+  constructor(client: MirrorClient, targets: GuildTarget[], opts: GuildMirrorOptions = {}) {
+    this._client = client;
+    this.targets = targets;
+    this._opts = opts;
+    this._log = createLogger(opts.label, 'GUILD MIRROR');
+  }
+
+  get size(): number {
+    return this.targets.length;
+  }
+
+  localeFor(target: GuildTarget): string {
+    return getLocale({ guildId: target.guildId, serverConfig: this._opts.serverConfig });
+  }
+
+  /** Whether a message in `channelId` (a thread of `parentId`) was posted in a mirrored channel. */
+  owns(channelId: string, parentId?: string | null): boolean {
+    return this.targets.some((t) => t.channelId === channelId || (!!parentId && t.channelId === parentId));
+  }
+
+  /** The target's channel itself (cached), or null when the bot cannot see it. */
+  async channel(target: GuildTarget): Promise<MirrorChannel | null> {
+    const cached = this._channels.get(target.channelId);
+    if (cached) return cached;
+    try {
+      const channel = (await this._client.channels.fetch(target.channelId)) as MirrorChannel | null;
+      if (channel) this._channels.set(target.channelId, channel);
+      return channel;
+    } catch (err: unknown) {
+      this._log.warn(`Channel ${target.channelId} (guild ${target.guildId}) unavailable:`, errMsg(err));
+      return null;
+    }
+  }
+
+  /**
+   * Post to every target — today's thread when threads are on.  `payload`
+   * may be a function of the target's locale.  Failures are logged per
+   * target and never thrown.
+   */
+  async send(payload: unknown): Promise<Message[]> {
+    const sent: Message[] = [];
+    for (const target of this.targets) {
+      const destination = await this._destination(target);
+      if (!destination) continue;
+      const body =
+        typeof payload === 'function' ? (payload as (locale: string) => unknown)(this.localeFor(target)) : payload;
+      try {
+        sent.push(await destination.send(body));
+      } catch (err: unknown) {
+        // Thread deleted or channel gone — look both up again next time
+        this._threads.delete(target.channelId);
+        this._channels.delete(target.channelId);
+        this._log.warn(`Post to ${target.channelId} (guild ${target.guildId}) failed:`, errMsg(err));
+      }
+    }
+    return sent;
+  }
+
+  /** Forget cached threads so the next send looks them up again (day rollover, nuke rebuild). */
+  resetThreads(): void {
+    this._threads.clear();
+  }
+
+  // ── Internals ──────────────────────────────────────────────
+
+  private async _destination(target: GuildTarget): Promise<MirrorChannel | null> {
+    const channel = await this.channel(target);
+    const threads = this._opts.threads;
+    if (!channel || !threads || !channel.threads) return channel;
+
+    const today = threads.getToday();
+    const cached = this._threads.get(target.channelId);
+    if (cached?.date === today) return cached.thread;
+
+    const locale = this.localeFor(target);
+    const name = threads.name(locale);
+    try {
+      const active = await channel.threads.fetchActive();
+      let thread = [...active.threads.values()].find((th) => th.name === name);
+      if (!thread) {
+        const archived = await channel.threads.fetchArchived({ limit: 5 });
+        thread = [...archived.threads.values()].find((th) => th.name === name);
+        if (thread?.setArchived) await thread.setArchived(false);
+      }
+      if (!thread) {
+        const starter = await channel.send({
+          embeds: [
+            new EmbedBuilder()
+              .setTitle(name)
+              .setDescription(threads.description(locale))
+              .setColor(0x3498db)
+              .setTimestamp(),
+          ],
+        });
+        thread = await starter.startThread({ name, autoArchiveDuration: 1440 });
+        this._log.info(`Created daily thread in guild ${target.guildId}: ${name}`);
+      }
+      this._threads.set(target.channelId, { date: today, thread });
+      return thread;
+    } catch (err: unknown) {
+      // Post to the channel itself rather than drop the message
+      this._log.warn(`Could not get daily thread in ${target.channelId}:`, errMsg(err));
+      return channel;
+    }
+  }
+}
+
+/**
+ * Mirror for `feed` of game server `serverId` ('primary' or a managed
+ * server ID), or null when no other guild follows it there.
+ */
+function createGuildMirror(
+  client: MirrorClient,
+  serverId: string,
+  feed: GuildFeed,
+  opts: GuildMirrorOptions = {},
+): GuildMirror | null {
+  const targets = guildTargets(serverId, feed);
+  return targets.length ? new GuildMirror(client, targets, opts) : null;
+}
+
+export default GuildMirror;
+export { GuildMirror, createGuildMirror };
@@ -9,6 +9,7 @@
 import { EmbedBuilder } from 'discord.js';
 import { t, getLocale, fmtNumber } from '../i18n/index.js';
 import { errMsg } from '../utils/error.js';
+import type { DeathDamageEntry } from '../db/repositories/death-cause-repository.js';
 
 // ── LogWatcher context type for mixin methods ───────────────────────────────
 
@@ -49,7 +50,9 @@ interface LogWatcherThis {
   _incDayCount(key: string): void;
   _logEvent(data: Record<string, unknown>): void;
   _checkPvpKill(victim: string, ts: Date): PvpKillResult | null;
+  _finishPvpFight(victim: string, ts: Date, killer: string | null): void;
   _checkDeathCause(victim: string, ts: Date): DeathCause | null;
+  _takeDamageBreakdown(victim: string, ts: Date): DeathDamageEntry[];
   _formatTime(ts: Date): string;
   _sendToThread(embed: EmbedBuilder): void;
   _buildBatch: Record<string, BuildBatchEntry>;
@@ -88,6 +91,7 @@ interface DeathCauseRecord extends Record<string, unknown> {
   causeName: string;
   causeRaw: string;
   damageTotal: number;
+  damageBreakdown: DeathDamageEntry[];
 }
 
 interface PvpKillEntry {
@@ -195,9 +199,11 @@ function _onDeath(this: LogWatcherThis, playerName: string, timestamp: Date) {
 
   // Check for death cause attribution (ALL damage sources)
   const deathCause = this._checkDeathCause(playerName, timestamp);
+  const damageBreakdown = this._takeDamageBreakdown(playerName, timestamp);
 
   // Check for PvP kill attribution
   const pvpKill = this._config.enablePvpKillFeed ? this._checkPvpKill(playerName, timestamp) : null;
+  this._finishPvpFight(playerName, timestamp, pvpKill?.attacker ?? null);
 
   // Record death cause to DB (regardless of PvP or PvE)
   if (this._db) {
@@ -209,6 +215,7 @@ function _onDeath(this: LogWatcherThis, playerName: string, timestamp: Date) {
       causeName: pvpKill ? pvpKill.attacker : (deathCause?.name ?? ''),
       causeRaw: deathCause?.raw ?? '',
       damageTotal: pvpKill ? pvpKill.totalDamage : (deathCause?.totalDamage ?? 0),
+      damageBreakdown,
     });
   }
 
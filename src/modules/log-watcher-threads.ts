@@ -10,6 +10,7 @@
 import { EmbedBuilder, type Message, type Guild } from 'discord.js';
 import { cleanName } from '../parsers/ue4-names.js';
 import { errMsg } from '../utils/error.js';
+import type { GuildMirror } from './guild-mirror.js';
 
 // ── LogWatcher context type for mixin methods ───────────────────────────────
 
@@ -86,6 +87,7 @@ interface LogWatcherThis {
   };
   logChannel: ThreadLike | null;
   _headless: boolean;
+  _mirror: GuildMirror | null;
   _nukeActive: boolean;
   _dailyThread: ThreadLike | null;
   _dailyDate: string | null;
@@ -404,6 +406,7 @@ async function _postDailySummary(this: LogWatcherThis) {
   } catch (err: unknown) {
     this._log.error('Failed to post daily summary:', errMsg(err));
   }
+  if (this._mirror) await this._mirror.send({ embeds: [embed] });
 }
 
 // ═════════════════════════════════════════════════════════════════════
@@ -498,6 +501,8 @@ function resetThreadCache(this: LogWatcherThis) {
 }
 
 async function _sendToThread(this: LogWatcherThis, embed: EmbedBuilder): Promise<Message | undefined> {
+  // Guilds mirroring this server get a copy, even when it has no log channel of its own
+  if (this._mirror) await this._mirror.send({ embeds: [embed] });
   if (this._headless) return; // headless mode — no Discord posting
   const thread = await this._getOrCreateDailyThread();
   if (!thread) return; // safety — no thread available
@@ -5,11 +5,15 @@ import { cleanName } from '../parsers/ue4-names.js';
 import _defaultPlaytime, { type PlaytimeTracker } from '../tracking/playtime-tracker.js';
 import _defaultPlayerStats, { type PlayerStats } from '../tracking/player-stats.js';
 import { classifyDamageSource, isNpcDamageSource } from '../tracking/damage-classifier.js';
+import { PvpEngagementTracker, type FinishedFight } from '../tracking/pvp-engagements.js';
+import { formatDbTimestampUtc } from '../db/timestamp.js';
 import { createLogger, type Logger } from '../utils/log.js';
 import { errMsg } from '../utils/error.js';
 import { logRejection } from '../utils/log-rejection.js';
 import type { HumanitZDB } from '../db/database.js';
+import type { DeathDamageEntry } from '../db/repositories/death-cause-repository.js';
 import type { PanelApi } from '../server/panel-api.js';
+import { createGuildMirror, type GuildMirror } from './guild-mirror.js';
 import * as logWatcherThreads from './log-watcher-threads.js';
 import * as logWatcherEvents from './log-watcher-events.js';
 
@@ -32,6 +36,8 @@ interface LogWatcherDeps {
   label?: string;
   dataDir?: string | null;
   panelApi?: PanelApi | null;
+  /** Game server ID ('primary' or a managed server) — selects the guilds mirroring its log. */
+  serverId?: string;
 }
 
 interface PvpDamageEntry {
@@ -47,6 +53,12 @@ interface DeathCauseEntry {
   totalDamage: number;
 }
 
+interface RecentDamageHit {
+  sourceRaw: string;
+  damage: number;
+  timestamp: number;
+}
+
 interface PvpKillEntry {
   killer: string;
   victim: string;
@@ -200,6 +212,7 @@ class LogWatcher {
   client: Client;
   logChannel: TextChannel | null;
   _headless: boolean;
+  _mirror: GuildMirror | null;
   interval: ReturnType<typeof setInterval> | null;
   lastSize: number;
   partialLine: string;
@@ -227,9 +240,11 @@ class LogWatcher {
   _pvpDamageTracker: Map<string, PvpDamageEntry>;
   _pvpKills: PvpKillEntry[];
   _pvpKillsDirty: boolean;
+  _pvpEngagements: PvpEngagementTracker;
   _deathLoopTracker: Map<string, DeathLoopEntry>;
   _recentContainerAccess: Map<string, ContainerAccessEntry>;
   _deathCauseTracker: Map<string, DeathCauseEntry>;
+  _recentDamageTracker: Map<string, RecentDamageHit[]>;
   _midnightCheckInterval?: ReturnType<typeof setInterval> | null;
   _polling: boolean;
 
@@ -246,6 +261,20 @@ class LogWatcher {
     this.client = client;
     this.logChannel = null;
     this._headless = false; // true when running without a Discord channel (web-panel-only data collection)
+    this._mirror = createGuildMirror(client, deps.serverId ?? 'primary', 'log', {
+      serverConfig: this._config,
+      label: deps.label,
+      threads: this._config.useActivityThreads
+        ? {
+            getToday: () => this._config.getToday(),
+            name: () => {
+              const serverLabel = this._getServerLabel();
+              return `Daily Summary — ${this._config.getDateLabel()}${serverLabel ? ` [${serverLabel}]` : ''}`;
+            },
+            description: () => 'Server activity, kills, building, and container changes for today.',
+          }
+        : null,
+    });
     this.interval = null;
     this._polling = false;
 
@@ -311,6 +340,10 @@ class LogWatcher {
     this._pvpKillsDirty = false;
     this._loadPvpKills();
 
+    // PvP engagements: every attacker's damage per fight, persisted to pvp_fights
+    // when the fight ends (kill, gap longer than the kill window, or idle)
+    this._pvpEngagements = new PvpEngagementTracker(() => this._config.pvpKillWindow);
+
     // Death loop detection: Map<playerNameLower, { count, firstTimestamp, lastTimestamp, timer }>
     this._deathLoopTracker = new Map();
 
@@ -323,6 +356,10 @@ class LogWatcher {
     // for death attribution. Same pattern as _pvpDamageTracker but covers everything.
     // Map<victimNameLower, { source, sourceRaw, timestamp, totalDamage }>
     this._deathCauseTracker = new Map();
+
+    // Every hit per victim inside the kill window, for the death recap's damage breakdown.
+    // Map<victimNameLower, [{ sourceRaw, damage, timestamp }]>
+    this._recentDamageTracker = new Map();
   }
 
   // ── Damage source classification (delegated to shared damage-classifier.js) ──
@@ -436,8 +473,75 @@ class LogWatcher {
     return isNpcDamageSource(source);
   }
 
+  /**
+   * Split a PvP damage source into attacker and weapon. Only a trailing
+   * "(Weapon)" on a source that is not itself a known player counts — player
+   * names may contain parentheses too.
+   */
+  _splitPvpSource(source: string): { attacker: string; weapon: string } {
+    const m = source.match(/^(.+?)\s*\(([^()]+)\)$/);
+    if (m?.[1] && m[2] && !this._playerStats.getSteamId(source) && this._playerStats.getSteamId(m[1])) {
+      return { attacker: m[1], weapon: m[2].trim() };
+    }
+    return { attacker: source, weapon: '' };
+  }
+
+  _recordPvpHit(victim: string, source: string, damage: number, timestamp: Date) {
+    const { attacker, weapon } = this._splitPvpSource(source);
+    this._recordPvpDamage(victim, attacker, damage, timestamp);
+    const closed = this._pvpEngagements.recordHit(victim, attacker, damage, timestamp, weapon);
+    if (closed) this._persistPvpFight(closed);
+  }
+
+  /** End the victim's open fight on death — a kill when `killer` is set. */
+  _finishPvpFight(victim: string, timestamp: Date, killer: string | null) {
+    const fight = this._pvpEngagements.finish(victim, timestamp, killer);
+    if (fight) this._persistPvpFight(fight);
+  }
+
+  _persistPvpFight(fight: FinishedFight) {
+    if (!this._db) return;
+    try {
+      const steamId = (name: string | null) => (name ? (this._playerStats.getSteamId(name) ?? '') : '');
+      const victimSteamId = steamId(fight.victim);
+      const endedAt = formatDbTimestampUtc(new Date(fight.endedAt));
+      // Log lines carry no coordinates — use the victim's nearest timeline sample
+      const pos = victimSteamId ? this._db.heatmap.findPlayerPosition(victimSteamId, endedAt, 10) : null;
+      this._db.pvp.insertFight({
+        victimName: fight.victim,
+        victimSteamId,
+        killerName: fight.killer ?? '',
+        killerSteamId: steamId(fight.killer),
+        outcome: fight.outcome,
+        startedAt: formatDbTimestampUtc(new Date(fight.startedAt)),
+        endedAt,
+        durationSec: (fight.endedAt - fight.startedAt) / 1000,
+        totalDamage: fight.totalDamage,
+        hits: fight.hits,
+        weapon: fight.weapon,
+        posX: pos?.pos_x ?? null,
+        posY: pos?.pos_y ?? null,
+        participants: fight.attackers.map((a) => ({
+          attackerName: a.name,
+          attackerSteamId: steamId(a.name),
+          role: a.role,
+          damage: a.damage,
+          hits: a.hits,
+          weapon: a.weapon,
+          firstHitAt: formatDbTimestampUtc(new Date(a.firstHit)),
+          lastHitAt: formatDbTimestampUtc(new Date(a.lastHit)),
+        })),
+      });
+    } catch (err: unknown) {
+      this._log.warn('PVP: Could not record fight:', errMsg(err));
+    }
+  }
+
   _prunePvpTracker() {
     const now = Date.now();
+    for (const fight of this._pvpEngagements.expireBefore(now - this._config.pvpKillWindow * 2)) {
+      this._persistPvpFight(fight);
+    }
     for (const [key, entry] of this._pvpDamageTracker) {
       if (now - entry.timestamp > this._config.pvpKillWindow * 2) {
         this._pvpDamageTracker.delete(key);
@@ -449,6 +553,11 @@ class LogWatcher {
         this._deathCauseTracker.delete(key);
       }
     }
+    for (const [key, hits] of this._recentDamageTracker) {
+      const kept = hits.filter((h) => now - h.timestamp <= this._config.pvpKillWindow * 2);
+      if (kept.length > 0) this._recentDamageTracker.set(key, kept);
+      else this._recentDamageTracker.delete(key);
+    }
   }
 
   /**
@@ -472,6 +581,37 @@ class LogWatcher {
         totalDamage: damage,
       });
     }
+
+    const hits = this._recentDamageTracker.get(key) ?? [];
+    hits.push({ sourceRaw: source, damage, timestamp: ts });
+    this._recentDamageTracker.set(key, hits);
+  }
+
+  /**
+   * Damage a victim took in the kill window before dying, grouped by source
+   * and heaviest first.  Clears the victim's hits so the next life starts fresh.
+   */
+  _takeDamageBreakdown(victim: string, deathTimestamp: Date): DeathDamageEntry[] {
+    const key = victim.toLowerCase();
+    const hits = this._recentDamageTracker.get(key) ?? [];
+    this._recentDamageTracker.delete(key);
+    const death = deathTimestamp.getTime();
+    const bySource = new Map<string, DeathDamageEntry>();
+    for (const hit of hits) {
+      const elapsed = death - hit.timestamp;
+      if (elapsed < 0 || elapsed > this._config.pvpKillWindow) continue;
+      let entry = bySource.get(hit.sourceRaw);
+      if (!entry) {
+        const classified = this._classifyDamageSource(hit.sourceRaw);
+        entry = { source: classified.name, type: classified.type, damage: 0, hits: 0 };
+        bySource.set(hit.sourceRaw, entry);
+      }
+      entry.damage += hit.damage;
+      entry.hits++;
+    }
+    return [...bySource.values()]
+      .map((e) => ({ ...e, damage: Math.round(e.damage * 10) / 10 }))
+      .sort((a, b) => b.damage - a.damage);
   }
 
   /**
@@ -547,6 +687,9 @@ class LogWatcher {
       this._headless = true;
       this._log.info('No LOG_CHANNEL_ID — running in headless mode (DB-only, no Discord posting)');
     }
+    if (this._mirror) {
+      this._log.info(`Events mirrored to ${String(this._mirror.size)} channel(s) in other guilds`);
+    }
 
     if (!this._headless) {
       try {
@@ -628,6 +771,7 @@ class LogWatcher {
     this._flushLootBatch();
     this._flushBuildBatch();
     this._flushRaidBatch();
+    for (const fight of this._pvpEngagements.expireBefore(Infinity)) this._persistPvpFight(fight);
     this._savePvpKills();
   }
 
@@ -1331,7 +1475,7 @@ class LogWatcher {
         // start-of-string anchors (^) and underscores to avoid false positives on
         // player names that happen to contain words like "Human" or "Bear".
         if (this._config.enablePvpKillFeed && !dmgSource.startsWith('BP_') && !this._isNpcDamageSource(dmgSource)) {
-          this._recordPvpDamage(dmgVictim, dmgSource, dmgAmount, timestamp);
+          this._recordPvpHit(dmgVictim, dmgSource, dmgAmount, timestamp);
         }
 
         // Track ALL damage for death cause attribution (PvE, PvP, everything)
@@ -1821,6 +1965,15 @@ class LogWatcher {
     }
   }
 
+  /**
+   * Resolve an in-game name to a SteamID the same way activity-log entries
+   * are attributed (live PlayerStats first, then the alias table).
+   * Returns '' when the name is unknown.
+   */
+  resolveSteamId(name: string): string {
+    return this._resolveLogSteamId(name, undefined);
+  }
+
   wrapLogEvent(wrapper: (handler: LogEventHandler) => LogEventHandler): void {
     const original = this._logEvent.bind(this);
     this._logEvent = wrapper(original);
@@ -69,6 +69,15 @@ interface MilestoneState {
   clans: Record<string, number[]>;
 }
 
+/** A newly reached threshold, reported to `onMilestone` listeners (economy rewards). */
+export interface MilestoneEvent {
+  kind: 'kills' | 'playtime' | 'survival';
+  steamId: string;
+  name: string;
+  /** Kills, playtime in ms, or days — matches the threshold tables below. */
+  threshold: number;
+}
+
 interface ChallengeEntry {
   name?: string;
   id?: string;
@@ -150,6 +159,7 @@ class MilestoneTracker {
   private _needsBackfill: boolean;
   private _pendingEmbeds: EmbedBuilder[];
   private _lastCheckCount: number;
+  private _onMilestone: ((event: MilestoneEvent) => void) | null;
 
   /**
    * @param client - Discord.js Client
@@ -162,6 +172,8 @@ class MilestoneTracker {
       logWatcher?: unknown;
       config?: typeof _defaultConfig;
       label?: string;
+      /** Called for each kill/playtime/survival threshold reached (never during first-run backfill). */
+      onMilestone?: ((event: MilestoneEvent) => void) | null;
     } = {},
   ) {
     this._client = client;
@@ -183,6 +195,8 @@ class MilestoneTracker {
 
     // Count of embeds queued in the last check() cycle (for testing)
     this._lastCheckCount = 0;
+
+    this._onMilestone = opts.onMilestone ?? null;
   }
 
   // ── Lifecycle ──────────────────────────────────────────────
@@ -274,6 +288,7 @@ class MilestoneTracker {
           0x3fb950,
           `${fmtNumber(kills, this._locale)} total kills`,
         );
+        this._emitMilestone('kills', steamId, name, threshold);
         changed = true;
       }
     }
@@ -299,6 +314,7 @@ class MilestoneTracker {
           0x5865f2,
           `${_fmtHours(playtimeMs, this._locale)} hours total`,
         );
+        this._emitMilestone('playtime', steamId, name, threshold);
         changed = true;
       }
     }
@@ -322,6 +338,7 @@ class MilestoneTracker {
           0xf59e0b,
           `Day ${daysSurvived}`,
         );
+        this._emitMilestone('survival', steamId, name, threshold);
         changed = true;
       }
     }
@@ -454,6 +471,18 @@ class MilestoneTracker {
     }
   }
 
+  // ── Listeners ──────────────────────────────────────────────
+
+  /** Report a reached threshold. Backfilled (pre-existing) milestones are not reported. */
+  _emitMilestone(kind: MilestoneEvent['kind'], steamId: string, name: string, threshold: number): void {
+    if (!this._onMilestone || this._needsBackfill) return;
+    try {
+      this._onMilestone({ kind, steamId, name, threshold });
+    } catch (err: unknown) {
+      this._log.error('onMilestone listener failed:', errMsg(err));
+    }
+  }
+
   // ── Embed queueing & posting ───────────────────────────────
 
   _queueEmbed(description: string, color: number, footer: string | null): void {
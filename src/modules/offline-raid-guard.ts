@@ -0,0 +1,500 @@
+/**
+ * Offline Raid Guard — enforces "no offline raiding" on PvP servers.
+ *
+ * Every `raid_damage` event from LogWatcher is checked against the presence
+ * tracker: when the structure's owner and all of their clanmates are offline,
+ * and the last of them left more than OFFLINE_RAID_GRACE minutes ago, the hit
+ * is an offline raid.  Logout times are only known for players who left while
+ * the bot was running, so the bot's start time stands in for older logouts.
+ *
+ * The first offline hit by an attacker on a base opens a case — an anticheat
+ * flag with detector `offline_raid`, reviewed in the panel's Anticheat tab
+ * like any other flag.  Further hits within CASE_WINDOW_MS add to the same
+ * case, and its evidence (the raid_damage activity rows) is refreshed on the
+ * 30s tick.  Dismissed flags don't count as strikes.
+ *
+ * Opening a case warns the attacker in-game and alerts the admin channels.
+ * Strikes within OFFLINE_RAID_STRIKE_DAYS escalate: OFFLINE_RAID_KICK_AFTER
+ * kicks, OFFLINE_RAID_BAN_AFTER bans — through the ban registry when it is
+ * running (the open cases become the ban's evidence), else via plain RCON.
+ */
+
+import { EmbedBuilder, type Client } from 'discord.js';
+import { t, getLocale, fmtNumber } from '../i18n/index.js';
+import { createLogger, type Logger } from '../utils/log.js';
+import { errMsg } from '../utils/error.js';
+import { postAdminAlert } from '../utils/admin-alert.js';
+import _defaultConfig from '../config/index.js';
+import { COMMANDS, sendAdminMessage as _defaultSendAdminMessage } from '../rcon/server-info.js';
+import { formatDbTimestampUtc } from '../db/timestamp.js';
+import { _sanitizeRcon } from './chat-relay-parser.js';
+import type { HumanitZDB } from '../db/database.js';
+import type { LogEventEntry } from './log-watcher.js';
+import type { RaidHit } from './raid-alerts.js';
+import type { BanManager } from './ban-manager.js';
+
+// ── Types ───────────────────────────────────────────────────────────────────
+
+type OfflineRaidConfig = Pick<
+  typeof _defaultConfig,
+  | 'offlineRaidGrace'
+  | 'offlineRaidWarn'
+  | 'offlineRaidKickAfter'
+  | 'offlineRaidBanAfter'
+  | 'offlineRaidBanDuration'
+  | 'offlineRaidStrikeDays'
+  | 'adminAlertChannelIds'
+  | 'adminChannelId'
+  | 'locale'
+>;
+
+/** What the presence tracker exposes — who is online right now. */
+export interface PresenceView {
+  readonly onlinePlayers: ReadonlySet<string>;
+  readonly initialised: boolean;
+}
+
+export type OfflineRaidAction = 'warned' | 'kicked' | 'banned';
+
+/** An owner or clanmate and when they were last seen online (ISO, null = before the bot started). */
+export interface OfflineRaidMember {
+  steamId: string;
+  name: string;
+  lastOnline: string | null;
+}
+
+/** One offline raid case, stored in the flag's details. */
+export interface OfflineRaidCase {
+  flagId: number;
+  attacker: string;
+  attackerSteamId: string;
+  ownerSteamId: string;
+  ownerName: string;
+  clanName: string;
+  members: OfflineRaidMember[];
+  firstHit: number;
+  lastHit: number;
+  hits: number;
+  destroyed: number;
+  buildings: Record<string, number>;
+  strike: number;
+  actions: OfflineRaidAction[];
+}
+
+interface OpenCase extends OfflineRaidCase {
+  key: string;
+  dirty: boolean;
+}
+
+export const OFFLINE_RAID_DETECTOR = 'offline_raid';
+/** Hits closer together than this belong to the same case. */
+const CASE_WINDOW_MS = 15 * 60_000;
+/** Hits older than this when they reach us (log backlog) can't be judged against current presence. */
+const STALE_HIT_MS = 10 * 60_000;
+const TICK_INTERVAL_MS = 30_000;
+const EVIDENCE_LIMIT = 100;
+const SYSTEM_ACTOR = { id: 'system', name: 'Offline Raid Protection' };
+const SEVERITY: Record<OfflineRaidAction, string> = { warned: 'medium', kicked: 'high', banned: 'critical' };
+
+// ── OfflineRaidGuard class ──────────────────────────────────────────────────
+
+class OfflineRaidGuard {
+  private _db: HumanitZDB | null = null;
+  private _client: Client | null = null;
+  private _config: OfflineRaidConfig = _defaultConfig;
+  private _presence: PresenceView | null = null;
+  private _sendCommand: ((command: string) => Promise<unknown>) | null = null;
+  private _sendAdminMessage: (message: string) => Promise<unknown> = _defaultSendAdminMessage;
+  private _bans: Pick<BanManager, 'isActive' | 'ban'> | null = null;
+  private _log: Logger;
+  private _interval: ReturnType<typeof setInterval> | null = null;
+  private _cases = new Map<string, OpenCase>();
+  /** SteamID → when the player was last seen leaving (epoch ms). */
+  private _lastLeft = new Map<string, number>();
+  private _startedAt = 0;
+  private _active = false;
+
+  constructor(opts: { label?: string } = {}) {
+    this._log = createLogger(opts.label, 'OFFLINE RAID');
+  }
+
+  // ── Lifecycle ──────────────────────────────────────────────
+
+  /** Attach dependencies and start the case flush tick. */
+  start(
+    opts: {
+      db?: HumanitZDB | null;
+      client?: Client | null;
+      config?: OfflineRaidConfig;
+      presence?: PresenceView | null;
+      /** Raw RCON for kicks (and bans when the ban registry is off). */
+      sendCommand?: ((command: string) => Promise<unknown>) | null;
+      sendAdminMessage?: (message: string) => Promise<unknown>;
+      bans?: Pick<BanManager, 'isActive' | 'ban'> | null;
+      /** Disable the interval (tests drive tick() directly). */
+      autoTick?: boolean;
+      now?: Date;
+    } = {},
+  ): void {
+    this._db = opts.db ?? null;
+    this._client = opts.client ?? null;
+    if (opts.config) this._config = opts.config;
+    this._presence = opts.presence ?? null;
+    this._sendCommand = opts.sendCommand ?? null;
+    if (opts.sendAdminMessage) this._sendAdminMessage = opts.sendAdminMessage;
+    this._bans = opts.bans ?? null;
+    this._cases.clear();
+    this._lastLeft.clear();
+    this._startedAt = (opts.now ?? new Date()).getTime();
+    this._active = !!this._db && !!this._presence;
+    if (this._active && opts.autoTick !== false && !this._interval) {
+      this._interval = setInterval(() => {
+        this.tick();
+      }, TICK_INTERVAL_MS);
+      this._interval.unref();
+    }
+  }
+
+  /** Stop the tick and write out every open case. */
+  stop(): void {
+    if (this._interval) {
+      clearInterval(this._interval);
+      this._interval = null;
+    }
+    for (const c of this._cases.values()) this._flush(c);
+    this._cases.clear();
+    this._active = false;
+  }
+
+  /** Whether protection is running (enabled, with a DB and presence tracking). */
+  isActive(): boolean {
+    return this._active;
+  }
+
+  /** Cases still collecting hits. */
+  get openCases(): number {
+    return this._cases.size;
+  }
+
+  // ── Events ─────────────────────────────────────────────────
+
+  /** Feed a LogWatcher event — only `raid_damage` is used. */
+  onLogEvent(entry: LogEventEntry): void {
+    if (entry.type !== 'raid_damage' || !entry.targetSteamId || !entry.steamId) return;
+    const timestamp = entry.timestamp instanceof Date ? entry.timestamp : new Date(entry.timestamp ?? Date.now());
+    void this.recordHit({
+      attacker: entry.actorName ?? '',
+      attackerSteamId: entry.steamId,
+      ownerSteamId: entry.targetSteamId,
+      building: entry.item ?? '',
+      destroyed: entry.details?.['destroyed'] === true,
+      timestamp: Number.isNaN(timestamp.getTime()) ? new Date() : timestamp,
+    }).catch((err: unknown) => {
+      this._log.error('Offline raid check failed:', errMsg(err));
+    });
+  }
+
+  /** Presence `playerLeft` — starts that player's grace window. */
+  onPlayerLeft(steamId: string | null, at: Date = new Date()): void {
+    if (steamId) this._lastLeft.set(steamId, at.getTime());
+  }
+
+  /**
+   * Check one hit. Resolves to the case when this hit opened one, else null
+   * (online base, unknown presence, or a hit added to an open case).
+   */
+  async recordHit(hit: RaidHit, now: Date = new Date()): Promise<OfflineRaidCase | null> {
+    if (!this._db || !this._active) return null;
+    const { attackerSteamId, ownerSteamId } = hit;
+    if (!attackerSteamId || !ownerSteamId || attackerSteamId === ownerSteamId) return null;
+    const ts = hit.timestamp.getTime();
+
+    const clanName = this._clanOf(ownerSteamId);
+    const key = `${attackerSteamId}|${clanName ? `clan:${clanName.toLowerCase()}` : ownerSteamId}`;
+    const open = this._cases.get(key);
+    if (open && ts - open.lastHit <= CASE_WINDOW_MS) {
+      this._addHit(open, hit);
+      return null;
+    }
+    if (open) {
+      this._flush(open);
+      this._cases.delete(key);
+    }
+
+    if (now.getTime() - ts > STALE_HIT_MS) return null;
+    const memberIds = this._membersOf(ownerSteamId, clanName);
+    if (memberIds.includes(attackerSteamId) || !this._allOffline(memberIds, now)) return null;
+
+    const c: OpenCase = {
+      key,
+      flagId: 0,
+      attacker: hit.attacker || attackerSteamId,
+      attackerSteamId,
+      ownerSteamId,
+      ownerName: this._db.player.resolveSteamIdToName(ownerSteamId),
+      clanName,
+      members: memberIds.map((steamId) => {
+        const left = this._lastLeft.get(steamId);
+        return {
+          steamId,
+          name: this._db?.player.resolveSteamIdToName(steamId) ?? steamId,
+          lastOnline: left !== undefined ? new Date(left).toISOString() : null,
+        };
+      }),
+      firstHit: ts,
+      lastHit: ts,
+      hits: 0,
+      destroyed: 0,
+      buildings: {},
+      strike: this._priorStrikes(attackerSteamId, now) + 1,
+      actions: [],
+      dirty: false,
+    };
+    this._addHit(c, hit);
+    const action = this._actionFor(c.strike);
+    c.flagId = Number(
+      this._db.antiCheat.insertAcFlag({
+        steam_id: attackerSteamId,
+        player_name: c.attacker,
+        detector: OFFLINE_RAID_DETECTOR,
+        severity: SEVERITY[action],
+        score: 1,
+        details: this._details(c),
+        evidence: [],
+      }),
+    );
+    this._cases.set(key, c);
+    this._log.info(
+      `Case #${String(c.flagId)}: ${c.attacker} raiding ${clanName || c.ownerName} while offline (strike ${String(c.strike)})`,
+    );
+
+    await this._enforce(c, action, now);
+    this._flush(c);
+    await this._alertAdmins(c);
+    return this._public(c);
+  }
+
+  /** Write out changed cases and close the ones that went quiet. */
+  tick(now: Date = new Date()): void {
+    if (!this._active) return;
+    for (const [key, c] of this._cases) {
+      const closed = now.getTime() - c.lastHit > CASE_WINDOW_MS;
+      if (c.dirty || closed) this._flush(c);
+      if (closed) this._cases.delete(key);
+    }
+  }
+
+  // ── Internals ──────────────────────────────────────────────
+
+  private _clanOf(steamId: string): string {
+    const clan = this._db?.clan.getClanForSteamId(steamId);
+    return typeof clan === 'string' ? clan : '';
+  }
+
+  private _membersOf(ownerSteamId: string, clanName: string): string[] {
+    const ids = new Set([ownerSteamId]);
+    if (clanName && this._db) {
+      for (const m of this._db.clan.getClanMembers(clanName)) {
+        if (typeof m.steam_id === 'string' && m.steam_id) ids.add(m.steam_id);
+      }
+    }
+    return [...ids];
+  }
+
+  /** Nobody online, and nobody left within the grace window. */
+  private _allOffline(memberIds: readonly string[], now: Date): boolean {
+    if (!this._presence?.initialised) return false;
+    const grace = this._config.offlineRaidGrace * 60_000;
+    for (const steamId of memberIds) {
+      if (this._presence.onlinePlayers.has(steamId)) return false;
+      const left = this._lastLeft.get(steamId) ?? this._startedAt;
+      if (now.getTime() - left < grace) return false;
+    }
+    return true;
+  }
+
+  private _strikeSince(now: Date): string {
+    const days = this._config.offlineRaidStrikeDays;
+    return days > 0 ? formatDbTimestampUtc(new Date(now.getTime() - days * 86_400_000)) : '';
+  }
+
+  private _priorStrikes(steamId: string, now: Date): number {
+    return this._db?.antiCheat.countActiveAcFlagsSince(steamId, OFFLINE_RAID_DETECTOR, this._strikeSince(now)) ?? 0;
+  }
+
+  private _actionFor(strike: number): OfflineRaidAction {
+    const { offlineRaidBanAfter: banAfter, offlineRaidKickAfter: kickAfter } = this._config;
+    if (banAfter > 0 && strike >= banAfter) return 'banned';
+    if (kickAfter > 0 && strike >= kickAfter) return 'kicked';
+    return 'warned';
+  }
+
+  private _addHit(c: OpenCase, hit: RaidHit): void {
+    const ts = hit.timestamp.getTime();
+    c.firstHit = Math.min(c.firstHit, ts);
+    c.lastHit = Math.max(c.lastHit, ts);
+    c.hits++;
+    if (hit.destroyed) c.destroyed++;
+    const building = hit.building || '?';
+    c.buildings[building] = (c.buildings[building] ?? 0) + 1;
+    c.dirty = true;
+  }
+
+  /** Warn, then kick or ban as the strike count demands. Records what actually happened. */
+  private async _enforce(c: OpenCase, action: OfflineRaidAction, now: Date): Promise<void> {
+    if (this._config.offlineRaidWarn) {
+      const consequence =
+        action === 'banned'
+          ? 'You are banned.'
+          : action === 'kicked'
+            ? 'You are kicked.'
+            : 'Further raids are punished.';
+      try {
+        await this._sendAdminMessage(
+          `<SP>OFFLINE RAID: </>${_sanitizeRcon(c.attacker)}<FO>, raiding offline bases is against the rules ` +
+            `(strike ${String(c.strike)}). ${consequence}</>`,
+        );
+        c.actions.push('warned');
+      } catch (err: unknown) {
+        this._log.warn('In-game warning failed:', errMsg(err));
+      }
+    }
+
+    if (action === 'banned') {
+      if (await this._ban(c, now)) c.actions.push('banned');
+    } else if (action === 'kicked' && this._sendCommand) {
+      try {
+        await this._sendCommand(`${COMMANDS.KICK} ${c.attackerSteamId}`);
+        c.actions.push('kicked');
+        this._log.info(`Kicked ${c.attacker} (case #${String(c.flagId)})`);
+      } catch (err: unknown) {
+        this._log.warn(`Kick of ${c.attackerSteamId} failed:`, errMsg(err));
+      }
+    }
+  }
+
+  private async _ban(c: OpenCase, now: Date): Promise<boolean> {
+    const minutes = this._config.offlineRaidBanDuration;
+    const reason = `Offline raiding (strike ${String(c.strike)})`;
+    try {
+      if (this._bans?.isActive() && this._db) {
+        const since = this._strikeSince(now);
+        const evidence = (
+          this._db.antiCheat.getAcFlagsSince(c.attackerSteamId, since) as Array<Record<string, unknown>>
+        )
+          .filter(
+            (f) => f['detector'] === OFFLINE_RAID_DETECTOR && (f['status'] === 'open' || f['status'] === 'confirmed'),
+          )
+          .map((f) => Number(f['id']));
+        const res = await this._bans.ban(c.attackerSteamId, SYSTEM_ACTOR, {
+          reason,
+          evidence,
+          durationMinutes: minutes,
+        });
+        if (!res.ok && res.code !== 'already_banned') {
+          this._log.warn(`Ban of ${c.attackerSteamId} failed: ${res.code}`);
+          return false;
+        }
+      } else if (this._sendCommand) {
+        await this._sendCommand(`${COMMANDS.BAN} ${c.attackerSteamId}`);
+      } else {
+        return false;
+      }
+      this._log.info(`Banned ${c.attacker} (case #${String(c.flagId)}): ${reason}`);
+      return true;
+    } catch (err: unknown) {
+      this._log.warn(`Ban of ${c.attackerSteamId} failed:`, errMsg(err));
+      return false;
+    }
+  }
+
+  private _details(c: OpenCase): Record<string, unknown> {
+    return {
+      target_steam_id: c.ownerSteamId,
+      target_name: c.ownerName,
+      clan: c.clanName,
+      members: c.members.map((m) => ({ steam_id: m.steamId, name: m.name, last_online: m.lastOnline })),
+      grace_minutes: this._config.offlineRaidGrace,
+      first_hit: new Date(c.firstHit).toISOString(),
+      last_hit: new Date(c.lastHit).toISOString(),
+      hits: c.hits,
+      destroyed: c.destroyed,
+      buildings: c.buildings,
+      strike: c.strike,
+      actions: c.actions,
+    };
+  }
+
+  /** Write the case's details and raid_damage evidence to its flag. */
+  private _flush(c: OpenCase): void {
+    if (!this._db || !c.flagId) return;
+    try {
+      const ids = this._db.activityLog.getRaidEventIds(
+        c.attackerSteamId,
+        c.members.map((m) => m.steamId),
+        new Date(c.firstHit),
+        new Date(c.lastHit),
+        EVIDENCE_LIMIT,
+      );
+      this._db.antiCheat.updateAcFlagDetails(
+        c.flagId,
+        this._details(c),
+        ids.map((id) => ({ table: 'activity_log', id })),
+      );
+      c.dirty = false;
+    } catch (err: unknown) {
+      this._log.error(`Could not update case #${String(c.flagId)}:`, errMsg(err));
+    }
+  }
+
+  private async _alertAdmins(c: OpenCase): Promise<void> {
+    if (!this._client) return;
+    const locale = getLocale({ serverConfig: this._config });
+    const members = c.members.map((m) =>
+      t('discord:offline_raid.member_line', locale, {
+        name: m.name,
+        last: m.lastOnline
+          ? `<t:${String(Math.floor(Date.parse(m.lastOnline) / 1000))}:R>`
+          : t('discord:offline_raid.before_start', locale),
+      }),
+    );
+    const actions = c.actions.map((a) => t(`discord:offline_raid.action_${a}`, locale));
+    const embed = new EmbedBuilder()
+      .setTitle(t('discord:offline_raid.title', locale, { id: c.flagId }))
+      .setDescription(
+        t('discord:offline_raid.description', locale, {
+          attacker: c.attacker,
+          steamId: c.attackerSteamId,
+          target: c.clanName || c.ownerName,
+          building: Object.keys(c.buildings)[0] ?? '?',
+          grace: fmtNumber(this._config.offlineRaidGrace, locale),
+        }),
+      )
+      .addFields(
+        { name: t('discord:offline_raid.owners', locale), value: members.join('\n').slice(0, 1024) || '-' },
+        { name: t('discord:offline_raid.strike', locale), value: fmtNumber(c.strike, locale), inline: true },
+        {
+          name: t('discord:offline_raid.actions', locale),
+          value: actions.join(', ') || t('discord:offline_raid.action_none', locale),
+          inline: true,
+        },
+      )
+      .setColor(c.actions.includes('banned') ? 0x992d22 : c.actions.includes('kicked') ? 0xe74c3c : 0xe67e22)
+      .setFooter({ text: t('discord:offline_raid.footer', locale) })
+      .setTimestamp(new Date(c.firstHit));
+    await postAdminAlert(this._client, embed, {
+      adminAlertChannelIds: this._config.adminAlertChannelIds,
+      fallbackChannelId: this._config.adminChannelId,
+    });
+  }
+
+  private _public(c: OpenCase): OfflineRaidCase {
+    const { key: _key, dirty: _dirty, ...rest } = c;
+    return { ...rest, members: [...rest.members], buildings: { ...rest.buildings }, actions: [...rest.actions] };
+  }
+}
+
+// Singleton — shared by index.ts wiring
+const _singleton = new OfflineRaidGuard();
+export default _singleton;
+export { OfflineRaidGuard };
@@ -58,13 +58,14 @@ const ENV_CATEGORIES = [
     label: 'Admin Settings',
     emoji: '🛡️',
     group: 1,
-    description: 'Admin users, roles, and alert channels (restart)',
+    description: 'Admin users, roles, alert and audit channels (restart)',
     restart: true,
     reloadStrategy: 'module-reconfigure',
     fields: [
       { env: 'ADMIN_USER_IDS', label: 'Admin User IDs (comma-sep)', cfg: 'adminUserIds' },
       { env: 'ADMIN_ROLE_IDS', label: 'Admin Role IDs (comma-sep)', cfg: 'adminRoleIds' },
       { env: 'ADMIN_ALERT_CHANNEL_IDS', label: 'Alert Channel IDs (comma-sep)', cfg: 'adminAlertChannelIds' },
+      { env: 'AUDIT_CHANNEL_ID', label: 'Audit Log Channel ID', cfg: 'auditChannelId' },
       { env: 'ADMIN_VIEW_PERMISSIONS', label: 'Admin View Perms (e.g. Administrator)', cfg: 'adminViewPermissions' },
     ],
   },
@@ -162,6 +163,7 @@ const ENV_CATEGORIES = [
       },
       { env: 'ENABLE_SERVER_STATUS', label: 'Server Status (true/false)', cfg: 'enableServerStatus', type: 'bool' },
       { env: 'ENABLE_CHAT_RELAY', label: 'Chat Relay (true/false)', cfg: 'enableChatRelay', type: 'bool' },
+      { env: 'ENABLE_CHAT_COMMANDS', label: 'Chat Commands (true/false)', cfg: 'enableChatCommands', type: 'bool' },
       { env: 'ENABLE_LOG_WATCHER', label: 'Log Watcher (true/false)', cfg: 'enableLogWatcher', type: 'bool' },
       { env: 'ENABLE_PLAYER_STATS', label: 'Player Stats (true/false)', cfg: 'enablePlayerStats', type: 'bool' },
       { env: 'ENABLE_PLAYTIME', label: 'Playtime (true/false)', cfg: 'enablePlaytime', type: 'bool' },
@@ -171,6 +173,49 @@ const ENV_CATEGORIES = [
       { env: 'ENABLE_MILESTONES', label: 'Milestones (true/false)', cfg: 'enableMilestones', type: 'bool' },
       { env: 'ENABLE_RECAPS', label: 'Recaps (true/false)', cfg: 'enableRecaps', type: 'bool' },
       { env: 'ENABLE_ANTICHEAT', label: 'Anticheat (true/false)', cfg: 'enableAnticheat', type: 'bool' },
+      { env: 'ENABLE_BOUNTIES', label: 'Bounties (true/false)', cfg: 'enableBounties', type: 'bool' },
+      { env: 'ENABLE_ECONOMY', label: 'Economy (true/false)', cfg: 'enableEconomy', type: 'bool' },
+      { env: 'ENABLE_EVENTS', label: 'Community Events (true/false)', cfg: 'enableEvents', type: 'bool' },
+      {
+        env: 'ENABLE_ACCOUNT_LINKING',
+        label: 'Discord ↔ Steam Account Linking (true/false)',
+        cfg: 'enableAccountLinking',
+        type: 'bool',
+      },
+      {
+        env: 'ENABLE_WHITELIST',
+        label: 'Whitelist Applications (true/false)',
+        cfg: 'enableWhitelist',
+        type: 'bool',
+      },
+      {
+        env: 'ENABLE_BANS',
+        label: 'Ban Registry (true/false)',
+        cfg: 'enableBans',
+        type: 'bool',
+      },
+      {
+        env: 'ENABLE_WEBHOOKS',
+        label: 'Outbound Webhooks (true/false)',
+        cfg: 'enableWebhooks',
+        type: 'bool',
+      },
+      {
+        env: 'ENABLE_RAID_ALERTS',
+        label: 'Raid Alert DMs (true/false)',
+        cfg: 'enableRaidAlerts',
+        type: 'bool',
+      },
+      {
+        env: 'ENABLE_OFFLINE_RAID_PROTECTION',
+        label: 'Offline Raid Protection (true/false)',
+        cfg: 'enableOfflineRaidProtection',
+        type: 'bool',
+      },
+      { env: 'ENABLE_DEATH_RECAP', label: 'Death Recaps (true/false)', cfg: 'enableDeathRecap', type: 'bool' },
+      { env: 'ENABLE_DB_BACKUPS', label: 'Database Backups (true/false)', cfg: 'enableDbBackups', type: 'bool' },
+      { env: 'ENABLE_DATA_RETENTION', label: 'Data Retention (true/false)', cfg: 'enableDataRetention', type: 'bool' },
+      { env: 'ENABLE_PLUGINS', label: 'Bot Plugins (true/false)', cfg: 'enablePlugins', type: 'bool' },
       {
         env: 'ENABLE_SERVER_SCHEDULER',
         label: 'Server Scheduler (true/false)',
@@ -203,6 +248,22 @@ const ENV_CATEGORIES = [
       { env: 'SFTP_WELCOME_PATH', label: 'Welcome File Path', cfg: 'sftpWelcomePath' },
     ],
   },
+  {
+    id: 'chat_commands',
+    label: 'Chat Commands',
+    emoji: '⌨️',
+    group: 1,
+    description:
+      'In-game !commands answered by the bot — custom commands live under Settings → Chat Commands (applies live)',
+    restart: false,
+    reloadStrategy: 'live',
+    fields: [
+      { env: 'CHAT_COMMAND_PREFIX', label: 'Command Prefix', cfg: 'chatCommandPrefix' },
+      { env: 'CHAT_COMMAND_COOLDOWN', label: 'Cooldown (seconds)', cfg: 'chatCommandCooldown', type: 'int' },
+      { env: 'CHAT_COMMAND_ADMIN_IDS', label: 'Admin SteamIDs (comma-sep)', cfg: 'chatCommandAdminIds' },
+      { env: 'SERVER_RULES', label: 'Server Rules (pipe-sep)', cfg: 'serverRules' },
+    ],
+  },
   {
     id: 'log_features',
     label: 'Log Features',
@@ -650,6 +711,302 @@ const ENV_CATEGORIES = [
       },
     ],
   },
+  {
+    id: 'bounties',
+    label: 'Bounties',
+    emoji: '🎯',
+    group: 1,
+    description: 'Bounty amounts, expiry and kill-streak bounties (applies live)',
+    restart: false,
+    reloadStrategy: 'live',
+    fields: [
+      { env: 'BOUNTY_MIN_AMOUNT', label: 'Minimum Bounty (credits)', cfg: 'bountyMinAmount', type: 'int' },
+      { env: 'BOUNTY_EXPIRY_HOURS', label: 'Expiry (hours, 0 = never)', cfg: 'bountyExpiryHours', type: 'int' },
+      { env: 'BOUNTY_STREAK_THRESHOLD', label: 'Streak Threshold (kills)', cfg: 'bountyStreakThreshold', type: 'int' },
+      { env: 'BOUNTY_STREAK_REWARD', label: 'Streak Reward (credits)', cfg: 'bountyStreakReward', type: 'int' },
+    ],
+  },
+  {
+    id: 'economy',
+    label: 'Economy',
+    emoji: '💰',
+    group: 1,
+    description: 'Credit rewards for kills, survival, playtime and quests, and transfer limits (applies live)',
+    restart: false,
+    reloadStrategy: 'live',
+    fields: [
+      { env: 'ECONOMY_KILL_REWARD', label: 'Per Zombie Kill (credits)', cfg: 'economyKillReward', type: 'int' },
+      {
+        env: 'ECONOMY_SURVIVAL_DAY_REWARD',
+        label: 'Per Day Survived (credits)',
+        cfg: 'economySurvivalDayReward',
+        type: 'int',
+      },
+      {
+        env: 'ECONOMY_PLAYTIME_MILESTONE_REWARD',
+        label: 'Per Playtime Milestone (credits)',
+        cfg: 'economyPlaytimeMilestoneReward',
+        type: 'int',
+      },
+      { env: 'ECONOMY_QUEST_REWARD', label: 'Per Quest Completed (credits)', cfg: 'economyQuestReward', type: 'int' },
+      {
+        env: 'ECONOMY_MAX_TRANSFER',
+        label: 'Max Transfer (credits, 0 = no limit)',
+        cfg: 'economyMaxTransfer',
+        type: 'int',
+      },
+    ],
+  },
+  {
+    id: 'account_links',
+    label: 'Account Linking',
+    emoji: '🔗',
+    group: 1,
+    description: 'One-time /link codes and the role granted to linked members (applies live)',
+    restart: false,
+    reloadStrategy: 'live',
+    fields: [
+      { env: 'LINK_CODE_TTL', label: 'Link Code Lifetime (minutes)', cfg: 'linkCodeTtl', type: 'int' },
+      { env: 'LINKED_ROLE_ID', label: 'Linked Member Role ID', cfg: 'linkedRoleId' },
+    ],
+  },
+  {
+    id: 'whitelist',
+    label: 'Whitelist',
+    emoji: '📋',
+    group: 1,
+    description: 'Application review channel, target servers, trial length and drift repair (restart required)',
+    restart: true,
+    reloadStrategy: 'module-restart',
+    fields: [
+      { env: 'WHITELIST_CHANNEL_ID', label: 'Review Channel', cfg: 'whitelistChannelId' },
+      {
+        env: 'WHITELIST_SERVERS',
+        label: "Servers (comma-sep ids, 'primary' = this server, empty = all)",
+        cfg: 'whitelistServers',
+      },
+      { env: 'WHITELIST_QUESTIONS', label: "Application Questions ('|'-separated, max 4)", cfg: 'whitelistQuestions' },
+      { env: 'WHITELIST_TRIAL_DAYS', label: 'Trial Length (days)', cfg: 'whitelistTrialDays', type: 'int' },
+      {
+        env: 'WHITELIST_RECONCILE_INTERVAL',
+        label: 'Reconcile Interval (minutes, 0 = off)',
+        cfg: 'whitelistReconcileInterval',
+        type: 'int',
+      },
+    ],
+  },
+  {
+    id: 'bans',
+    label: 'Ban Registry',
+    emoji: '🔨',
+    group: 1,
+    description: 'Cross-server propagation default and fetchbanned drift repair (restart required)',
+    restart: true,
+    reloadStrategy: 'module-restart',
+    fields: [
+      { env: 'BAN_PROPAGATE', label: 'Ban On Every Server By Default (true/false)', cfg: 'banPropagate', type: 'bool' },
+      { env: 'BAN_SYNC_INTERVAL', label: 'Sync Interval (minutes, 0 = off)', cfg: 'banSyncInterval', type: 'int' },
+    ],
+  },
+  {
+    id: 'webhooks',
+    label: 'Webhooks',
+    emoji: '🪝',
+    group: 1,
+    description: 'Retry budget and timeout for outbound webhook deliveries (restart required)',
+    restart: true,
+    reloadStrategy: 'module-restart',
+    fields: [
+      { env: 'WEBHOOK_MAX_ATTEMPTS', label: 'Max Delivery Attempts', cfg: 'webhookMaxAttempts', type: 'int' },
+      { env: 'WEBHOOK_TIMEOUT', label: 'Request Timeout (seconds)', cfg: 'webhookTimeout', type: 'int' },
+    ],
+  },
+  {
+    id: 'raid_alerts',
+    label: 'Raid Alerts',
+    emoji: '🚨',
+    group: 1,
+    description:
+      'Who is DMed when a base is hit, alert rate limit and when the post-raid report is sent (restart required)',
+    restart: true,
+    reloadStrategy: 'module-restart',
+    fields: [
+      { env: 'RAID_ALERT_CLAN', label: 'Alert The Whole Clan (true/false)', cfg: 'raidAlertClan', type: 'bool' },
+      { env: 'RAID_ALERT_COOLDOWN', label: 'Alert Cooldown Per User (minutes)', cfg: 'raidAlertCooldown', type: 'int' },
+      {
+        env: 'RAID_REPORT_DELAY',
+        label: 'Report After Quiet Period (minutes)',
+        cfg: 'raidReportDelay',
+        type: 'int',
+      },
+    ],
+  },
+  {
+    id: 'offline_raid',
+    label: 'Offline Raid Protection',
+    emoji: '🌙',
+    group: 1,
+    description:
+      'Grace period after logout, in-game warnings and the strikes before a kick or ban for offline raiding (restart required)',
+    restart: true,
+    reloadStrategy: 'module-restart',
+    fields: [
+      { env: 'OFFLINE_RAID_GRACE', label: 'Grace After Logout (minutes)', cfg: 'offlineRaidGrace', type: 'int' },
+      { env: 'OFFLINE_RAID_WARN', label: 'Warn The Raider In-Game (true/false)', cfg: 'offlineRaidWarn', type: 'bool' },
+      {
+        env: 'OFFLINE_RAID_KICK_AFTER',
+        label: 'Kick After Strikes (0 = never)',
+        cfg: 'offlineRaidKickAfter',
+        type: 'int',
+      },
+      {
+        env: 'OFFLINE_RAID_BAN_AFTER',
+        label: 'Ban After Strikes (0 = never)',
+        cfg: 'offlineRaidBanAfter',
+        type: 'int',
+      },
+      {
+        env: 'OFFLINE_RAID_BAN_DURATION',
+        label: 'Ban Duration (minutes, 0 = permanent)',
+        cfg: 'offlineRaidBanDuration',
+        type: 'int',
+      },
+      {
+        env: 'OFFLINE_RAID_STRIKE_DAYS',
+        label: 'Strikes Expire After (days, 0 = never)',
+        cfg: 'offlineRaidStrikeDays',
+        type: 'int',
+      },
+    ],
+  },
+  {
+    id: 'death_recap',
+    label: 'Death Recaps',
+    emoji: '🪦',
+    group: 1,
+    description:
+      'Where death recaps are posted, how long to wait for a save that shows the backpack and the panel address used in map links (restart required)',
+    restart: true,
+    reloadStrategy: 'module-restart',
+    fields: [
+      { env: 'DEATH_RECAP_MODE', label: 'Post To (dm/thread/both)', cfg: 'deathRecapMode' },
+      { env: 'DEATH_RECAP_WAIT', label: 'Wait For Backpack (minutes)', cfg: 'deathRecapWait', type: 'int' },
+      { env: 'WEB_MAP_PUBLIC_URL', label: 'Public Panel URL (map links)', cfg: 'webMapPublicUrl' },
+    ],
+  },
+  {
+    id: 'db_backup',
+    label: 'Database Backups',
+    emoji: '💾',
+    group: 1,
+    description:
+      'How often the bot database is snapshotted, how many snapshots to keep and where they are stored (restart required)',
+    restart: true,
+    reloadStrategy: 'module-restart',
+    fields: [
+      {
+        env: 'DB_BACKUP_INTERVAL',
+        label: 'Snapshot Every (minutes, 0 = manual only)',
+        cfg: 'dbBackupInterval',
+        type: 'int',
+      },
+      { env: 'DB_BACKUP_KEEP_HOURLY', label: 'Keep Hourly Snapshots', cfg: 'dbBackupKeepHourly', type: 'int' },
+      { env: 'DB_BACKUP_KEEP_DAILY', label: 'Keep Daily Snapshots', cfg: 'dbBackupKeepDaily', type: 'int' },
+      { env: 'DB_BACKUP_KEEP_WEEKLY', label: 'Keep Weekly Snapshots', cfg: 'dbBackupKeepWeekly', type: 'int' },
+      { env: 'DB_BACKUP_COMPRESS', label: 'Gzip Snapshots (true/false)', cfg: 'dbBackupCompress', type: 'bool' },
+      { env: 'DB_BACKUP_DIR', label: 'Backup Folder (empty = data/db-backups)', cfg: 'dbBackupDir' },
+    ],
+  },
+  {
+    id: 'data_retention',
+    label: 'Data Retention',
+    emoji: '🗄️',
+    group: 1,
+    description:
+      'How long history tables keep rows and whether old rows are archived, deleted or thinned (restart required)',
+    restart: true,
+    reloadStrategy: 'module-restart',
+    fields: [
+      {
+        env: 'DATA_RETENTION',
+        label: 'Policies (family=mode:days, comma-separated)',
+        cfg: 'dataRetention',
+      },
+      { env: 'DATA_ARCHIVE_DIR', label: 'Archive Folder (empty = data/archive)', cfg: 'dataArchiveDir' },
+    ],
+  },
+  {
+    id: 'plugins',
+    label: 'Bot Plugins',
+    emoji: '🧩',
+    group: 1,
+    description: 'Where plugin packages are loaded from and which ones to skip (restart required)',
+    restart: true,
+    reloadStrategy: 'module-restart',
+    fields: [
+      { env: 'PLUGINS_DIR', label: 'Plugins Folder (empty = plugins)', cfg: 'pluginsDir' },
+      { env: 'DISABLED_PLUGINS', label: 'Disabled Plugins (comma-separated)', cfg: 'disabledPlugins' },
+    ],
+  },
+  {
+    id: 'logging',
+    label: 'Bot Logging',
+    emoji: '📜',
+    group: 1,
+    description: 'Log transports, levels and file rotation (applies live)',
+    restart: true,
+    reloadStrategy: 'module-reconfigure',
+    fields: [
+      { env: 'LOG_TRANSPORTS', label: 'Transports (console,file,jsonl,syslog,http)', cfg: 'logTransports' },
+      { env: 'LOG_LEVEL', label: 'Level (debug/info/warn/error)', cfg: 'logLevel' },
+      { env: 'LOG_CATEGORY_LEVELS', label: 'Category Levels (e.g. RCON=warn, DB*=debug)', cfg: 'logCategoryLevels' },
+      { env: 'LOG_ROTATE_SIZE_MB', label: 'Rotate At Size (MB, 0 = off)', cfg: 'logRotateSizeMb', type: 'int' },
+      {
+        env: 'LOG_RETENTION_DAYS',
+        label: 'Keep Rotated Logs (days, 0 = forever)',
+        cfg: 'logRetentionDays',
+        type: 'int',
+      },
+    ],
+  },
+  {
+    id: 'log_sinks',
+    label: 'Log Shipping',
+    emoji: '📡',
+    group: 1,
+    description: 'Syslog and HTTP sink endpoints for the syslog / http transports (applies live)',
+    restart: true,
+    reloadStrategy: 'module-reconfigure',
+    fields: [
+      { env: 'LOG_SYSLOG_HOST', label: 'Syslog Host', cfg: 'logSyslogHost' },
+      { env: 'LOG_SYSLOG_PORT', label: 'Syslog Port', cfg: 'logSyslogPort', type: 'int' },
+      { env: 'LOG_SYSLOG_PROTOCOL', label: 'Syslog Protocol (udp/tcp)', cfg: 'logSyslogProtocol' },
+      { env: 'LOG_HTTP_URL', label: 'HTTP Sink URL', cfg: 'logHttpUrl' },
+      { env: 'LOG_HTTP_TOKEN', label: 'HTTP Sink Bearer Token', cfg: 'logHttpToken', sensitive: true },
+    ],
+  },
+  {
+    id: 'events',
+    label: 'Community Events',
+    emoji: '🎪',
+    group: 1,
+    description: 'Defaults for events created without a duration or reward list (applies live)',
+    restart: false,
+    reloadStrategy: 'live',
+    fields: [
+      {
+        env: 'EVENT_DEFAULT_DURATION',
+        label: 'Default Duration (minutes)',
+        cfg: 'eventDefaultDuration',
+        type: 'int',
+      },
+      {
+        env: 'EVENT_DEFAULT_REWARDS',
+        label: 'Default Rewards (credits per place, comma-sep)',
+        cfg: 'eventDefaultRewards',
+      },
+    ],
+  },
   {
     id: 'agent_advanced',
     label: 'Agent Advanced',
@@ -965,12 +1322,21 @@ const ENV_CATEGORY_GROUPS = [
   {
     id: 'features',
     icon: 'toggle-right',
-    categories: ['features', 'anticheat_config'],
+    categories: [
+      'features',
+      'anticheat_config',
+      'bounties',
+      'economy',
+      'account_links',
+      'whitelist',
+      'bans',
+      'webhooks',
+    ],
   },
   {
     id: 'automation',
     icon: 'calendar-clock',
-    categories: ['automsg', 'restart_schedule', 'pvp', 'pvp_hours'],
+    categories: ['automsg', 'chat_commands', 'restart_schedule', 'events', 'pvp', 'pvp_hours'],
   },
   {
     id: 'tracking',
@@ -9,7 +9,7 @@ import _defaultConfig from '../config/index.js';
 import { cleanOwnMessages, embedContentKey } from './discord-utils.js';
 import _defaultPlaytime from '../tracking/playtime-tracker.js';
 import _defaultPlayerStats from '../tracking/player-stats.js';
-import { KillTracker } from '../tracking/kill-tracker.js';
+import { KillTracker, type KillTrackerDeps } from '../tracking/kill-tracker.js';
 import { parseSave, parseClanData, PERK_MAP, PERK_INDEX_MAP } from '../parsers/save-parser.js';
 import * as gameData from '../parsers/game-data.js';
 import { cleanItemName as _sharedCleanItemName } from '../parsers/ue4-names.js';
@@ -153,6 +153,7 @@ interface PSCDeps {
   serverId?: string;
   dataDir?: string | null;
   panelApi?: PanelDownloadApi | null;
+  onAccumulate?: KillTrackerDeps['onAccumulate'];
   [key: string]: unknown;
 }
 
@@ -0,0 +1,223 @@
+/**
+ * PvP Analytics — player stats, head-to-head rivalries and fight history
+ * over the fights LogWatcher records in `pvp_fights`.
+ *
+ * The query helpers take the database explicitly so the web panel can serve
+ * any managed server; the singleton binds the primary database for /pvp.
+ *
+ * Players are matched by SteamID when the name resolves, and by name as well
+ * so fights logged before the ID was known still count.
+ */
+
+import { formatDbTimestampUtc } from '../db/timestamp.js';
+import type { HumanitZDB } from '../db/database.js';
+import type {
+  PvpFightOutcome,
+  PvpFightRow,
+  PvpOpponentRow,
+  PvpParticipantRow,
+  PvpPlayerKey,
+  PvpRivalryRow,
+  PvpTotalsRow,
+  PvpWeaponRow,
+} from '../db/repositories/pvp-repository.js';
+
+// ── Types ───────────────────────────────────────────────────────────────────
+
+export type PvpErrorCode = 'disabled' | 'unknown_player';
+
+export type PvpResult<T> = { ok: true; value: T } | { ok: false; code: PvpErrorCode };
+
+export interface PvpOpponent extends PvpOpponentRow {
+  kd: number;
+}
+
+export interface PvpDayPoint {
+  day: string;
+  kills: number;
+  deaths: number;
+  /** Cumulative K/D over the window up to and including this day. */
+  kd: number;
+}
+
+export interface PvpPlayerReport {
+  player: PvpPlayerKey;
+  days: number;
+  totals: PvpTotalsRow & { kd: number };
+  /** Most-fought opponents first. */
+  opponents: PvpOpponent[];
+  /** The opponent who killed this player most. */
+  nemesis: PvpOpponent | null;
+  /** The opponent this player killed most. */
+  favouriteVictim: PvpOpponent | null;
+  weapons: PvpWeaponRow[];
+  series: PvpDayPoint[];
+}
+
+export interface PvpFight extends PvpFightRow {
+  participants: PvpParticipantRow[];
+}
+
+export interface PvpFightPage {
+  fights: PvpFight[];
+  total: number;
+}
+
+/** Longest window a report covers. */
+export const MAX_PVP_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const STEAM_ID_RE = /^\d{17}$/;
+
+// ── Helpers ─────────────────────────────────────────────────────────────────
+
+/** K/D with deathless players reported as their kill count. */
+export function kdRatio(kills: number, deaths: number): number {
+  return Math.round((deaths > 0 ? kills / deaths : kills) * 100) / 100;
+}
+
+export function clampPvpDays(value: unknown, fallback = 30): number {
+  const n = typeof value === 'number' ? value : parseInt(typeof value === 'string' ? value : '', 10);
+  return Number.isFinite(n) && n > 0 ? Math.min(Math.floor(n), MAX_PVP_DAYS) : fallback;
+}
+
+function _since(days: number, now: Date): string {
+  return formatDbTimestampUtc(new Date(now.getTime() - days * DAY_MS));
+}
+
+/** Resolve a name or SteamID to the key fights are matched on. */
+export function resolvePvpPlayer(db: HumanitZDB, nameOrId: string): PvpPlayerKey | null {
+  const input = nameOrId.trim();
+  if (!input) return null;
+  if (STEAM_ID_RE.test(input)) return { steamId: input, name: db.player.resolveSteamIdToName(input) };
+  const hit = db.player.resolveNameToSteamId(input);
+  const steamId = typeof hit?.steamId === 'string' ? hit.steamId : '';
+  if (steamId) return { steamId, name: typeof hit?.name === 'string' ? hit.name : input };
+  // Never resolved to an ID — still known if the name shows up in a fight
+  const key = { steamId: '', name: input };
+  return db.pvp.countFights({ from: '', player: key }) > 0 ? key : null;
+}
+
+/** Daily kills/deaths with every day in the window present and a running K/D. */
+function _series(rows: Array<{ day: string; kills: number; deaths: number }>, days: number, now: Date): PvpDayPoint[] {
+  const byDay = new Map(rows.map((r) => [r.day, r]));
+  const points: PvpDayPoint[] = [];
+  let kills = 0;
+  let deaths = 0;
+  for (let i = days - 1; i >= 0; i--) {
+    const day = formatDbTimestampUtc(new Date(now.getTime() - i * DAY_MS)).slice(0, 10);
+    const row = byDay.get(day);
+    kills += row?.kills ?? 0;
+    deaths += row?.deaths ?? 0;
+    points.push({ day, kills: row?.kills ?? 0, deaths: row?.deaths ?? 0, kd: kdRatio(kills, deaths) });
+  }
+  return points;
+}
+
+// ── Queries ─────────────────────────────────────────────────────────────────
+
+export function buildPlayerReport(
+  db: HumanitZDB,
+  nameOrId: string,
+  opts: { days?: number; now?: Date } = {},
+): PvpResult<PvpPlayerReport> {
+  const player = resolvePvpPlayer(db, nameOrId);
+  if (!player) return { ok: false, code: 'unknown_player' };
+  const now = opts.now ?? new Date();
+  const days = clampPvpDays(opts.days);
+  const from = _since(days, now);
+
+  const totals = db.pvp.getTotals(player, from);
+  const opponents = db.pvp.getOpponents(player, from, 10).map((o) => ({ ...o, kd: kdRatio(o.kills, o.deaths) }));
+  const top = (key: 'kills' | 'deaths') =>
+    opponents.reduce<PvpOpponent | null>((best, o) => (o[key] > 0 && o[key] > (best?.[key] ?? 0) ? o : best), null);
+
+  return {
+    ok: true,
+    value: {
+      player,
+      days,
+      totals: { ...totals, kd: kdRatio(totals.kills, totals.deaths) },
+      opponents,
+      nemesis: top('deaths'),
+      favouriteVictim: top('kills'),
+      weapons: db.pvp.getWeapons(player, from, 5),
+      series: _series(db.pvp.getDaily(player, from), days, now),
+    },
+  };
+}
+
+export function buildRivalries(
+  db: HumanitZDB,
+  opts: { days?: number; limit?: number; now?: Date } = {},
+): PvpRivalryRow[] {
+  const days = clampPvpDays(opts.days);
+  return db.pvp.getRivalries(_since(days, opts.now ?? new Date()), Math.min(Math.max(opts.limit ?? 10, 1), 50));
+}
+
+/** A page of fights, newest first, each with its attackers. */
+export function listFights(
+  db: HumanitZDB,
+  opts: {
+    player?: PvpPlayerKey | null;
+    outcome?: PvpFightOutcome | null;
+    days?: number;
+    limit?: number;
+    offset?: number;
+    now?: Date;
+  } = {},
+): PvpFightPage {
+  const query = {
+    from: _since(clampPvpDays(opts.days), opts.now ?? new Date()),
+    player: opts.player ?? null,
+    outcome: opts.outcome ?? null,
+  };
+  const fights = db.pvp.getFights({
+    ...query,
+    limit: Math.min(Math.max(opts.limit ?? 25, 1), 100),
+    offset: Math.max(opts.offset ?? 0, 0),
+  });
+  const participants = db.pvp.getParticipants(fights.map((f) => f.id));
+  return {
+    fights: fights.map((f) => ({ ...f, participants: participants.filter((p) => p.fight_id === f.id) })),
+    total: db.pvp.countFights(query),
+  };
+}
+
+// ── PvpAnalytics class ──────────────────────────────────────────────────────
+
+class PvpAnalytics {
+  private _db: HumanitZDB | null = null;
+
+  start(opts: { db?: HumanitZDB | null } = {}): void {
+    this._db = opts.db ?? null;
+  }
+
+  stop(): void {
+    this._db = null;
+  }
+
+  /** Whether a database is attached. */
+  isActive(): boolean {
+    return !!this._db;
+  }
+
+  playerReport(nameOrId: string, days?: number): PvpResult<PvpPlayerReport> {
+    if (!this._db) return { ok: false, code: 'disabled' };
+    return buildPlayerReport(this._db, nameOrId, { days });
+  }
+
+  rivalries(days?: number, limit?: number): PvpResult<PvpRivalryRow[]> {
+    if (!this._db) return { ok: false, code: 'disabled' };
+    return { ok: true, value: buildRivalries(this._db, { days, limit }) };
+  }
+
+  recentFights(limit: number, days?: number): PvpResult<PvpFightPage> {
+    if (!this._db) return { ok: false, code: 'disabled' };
+    return { ok: true, value: listFights(this._db, { limit, days }) };
+  }
+}
+
+// Singleton — bound to the primary database for /pvp
+const _singleton = new PvpAnalytics();
+export default _singleton;
+export { PvpAnalytics };
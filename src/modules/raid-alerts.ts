@@ -0,0 +1,649 @@
+/**
+ * Raid Alerts — DMs base owners while their structures are being hit, and a
+ * post-raid report once the attack is over.
+ *
+ * LogWatcher's `raid_damage` events (clanmates hitting clan buildings are
+ * already filtered out) open a raid per owner — per clan when RAID_ALERT_CLAN
+ * is on, so a clan base is one raid however many members own its walls.  The
+ * first hit DMs every linked account of the owner (and clan) straight away;
+ * RAID_ALERT_COOLDOWN keeps a user from being pinged again by the next raid.
+ *
+ * A raid ends after RAID_REPORT_DELAY quiet minutes.  The report lists the
+ * damaged and destroyed structures, the attackers, what the item tracker saw
+ * leave the base's containers, and a small emoji map around the base.  Save
+ * diffs (`structure_damaged` / `structure_destroyed`) place the hits on the
+ * map; without them the owner's largest cluster of structures is used.
+ *
+ * Reports are stored in raid_reports for `/raidalerts reports`.  Users opt
+ * out with `/raidalerts off` — the report is still stored, just not sent.
+ */
+
+import { EmbedBuilder, type Client } from 'discord.js';
+import { t, getLocale, fmtNumber } from '../i18n/index.js';
+import { createLogger, type Logger } from '../utils/log.js';
+import { errMsg } from '../utils/error.js';
+import _defaultConfig from '../config/index.js';
+import { formatDbTimestampUtc, parseDbTimestampUtc } from '../db/timestamp.js';
+import type { HumanitZDB } from '../db/database.js';
+import type { LogEventEntry } from './log-watcher.js';
+import type {
+  RaidAttackerEntry,
+  RaidItemLoss,
+  RaidReportRow,
+  RaidStructureEntry,
+} from '../db/repositories/raid-repository.js';
+
+// ── Types ───────────────────────────────────────────────────────────────────
+
+type RaidAlertConfig = Pick<
+  typeof _defaultConfig,
+  'raidAlertClan' | 'raidAlertCooldown' | 'raidReportDelay' | 'locale'
+>;
+
+/** One building hit, as LogWatcher reports it. */
+export interface RaidHit {
+  attacker: string;
+  attackerSteamId: string;
+  ownerSteamId: string;
+  building: string;
+  destroyed: boolean;
+  timestamp: Date;
+}
+
+/** A save-diff structure event (see diff-engine `diffStructures`). */
+export interface RaidStructureEvent {
+  type: string;
+  steam_id?: string;
+  x?: unknown;
+  y?: unknown;
+}
+
+export type RaidMarkState = 'intact' | 'damaged' | 'destroyed';
+
+export interface RaidMark {
+  x: number;
+  y: number;
+  state: RaidMarkState;
+}
+
+/** raid_reports row with the JSON columns decoded. */
+export interface RaidReport extends Omit<RaidReportRow, 'structures' | 'attackers' | 'items_lost'> {
+  structures: RaidStructureEntry[];
+  attackers: RaidAttackerEntry[];
+  itemsLost: RaidItemLoss[];
+}
+
+export type RaidAlertErrorCode = 'disabled' | 'not_linked' | 'not_found';
+
+export type RaidAlertResult<T> = { ok: true; value: T } | { ok: false; code: RaidAlertErrorCode };
+
+interface OpenRaid {
+  key: string;
+  ownerSteamId: string;
+  clanName: string;
+  /** Owner plus clanmates — never counted as looters, all of them alerted. */
+  members: Set<string>;
+  startedAt: number;
+  lastHit: number;
+  /** Wall-clock time of the last hit, for the quiet-period check. */
+  lastSeen: number;
+  hits: number;
+  destroyed: number;
+  structures: Map<string, RaidStructureEntry>;
+  attackers: Map<string, RaidAttackerEntry>;
+  marks: RaidMark[];
+}
+
+const TICK_INTERVAL_MS = 30_000;
+/** World units (cm) around the base that count as "the base" — 50 m. */
+export const BASE_RADIUS = 5000;
+const SNIPPET_SIZE = 9;
+const LOSS_LIMIT = 15;
+/** Item moves are detected on the save sync, which can land just before the first logged hit. */
+const LOSS_LEAD_MS = 5 * 60_000;
+const LIST_LIMIT = 10;
+
+const SNIPPET_CELLS: Record<RaidMarkState | 'empty', string> = {
+  empty: '⬛',
+  intact: '🟫',
+  damaged: '🟧',
+  destroyed: '🟥',
+};
+const MARK_RANK: Record<RaidMarkState, number> = { intact: 1, damaged: 2, destroyed: 3 };
+
+// ── Helpers ─────────────────────────────────────────────────────────────────
+
+function _num(value: unknown): number | null {
+  const n = typeof value === 'number' ? value : typeof value === 'string' ? parseFloat(value) : NaN;
+  return Number.isFinite(n) ? n : null;
+}
+
+function _parseList<T>(raw: string): T[] {
+  try {
+    const parsed: unknown = JSON.parse(raw);
+    return Array.isArray(parsed) ? (parsed as T[]) : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * The structure with the most neighbours within `radius` — the middle of the
+ * owner's main base when they have several.
+ */
+export function baseCentre(points: ReadonlyArray<{ x: number; y: number }>, radius = BASE_RADIUS): RaidMark | null {
+  let best: { x: number; y: number } | null = null;
+  let bestCount = -1;
+  const r2 = radius * radius;
+  for (const p of points) {
+    let count = 0;
+    for (const q of points) {
+      if ((p.x - q.x) ** 2 + (p.y - q.y) ** 2 <= r2) count++;
+    }
+    if (count > bestCount) {
+      best = p;
+      bestCount = count;
+    }
+  }
+  return best ? { x: best.x, y: best.y, state: 'intact' } : null;
+}
+
+/**
+ * A square emoji map of `marks` around `centre`, north up like the panel map
+ * (world X runs bottom to top, Y left to right).  The worst state wins when
+ * several marks share a cell.
+ */
+export function renderRaidSnippet(
+  centre: { x: number; y: number },
+  marks: readonly RaidMark[],
+  radius = BASE_RADIUS,
+  size = SNIPPET_SIZE,
+): string {
+  const cell = (radius * 2) / size;
+  const grid: Array<Array<RaidMarkState | 'empty'>> = Array.from({ length: size }, () =>
+    Array.from({ length: size }, (): RaidMarkState | 'empty' => 'empty'),
+  );
+  for (const m of marks) {
+    const row = Math.floor((centre.x + radius - m.x) / cell);
+    const col = Math.floor((m.y - (centre.y - radius)) / cell);
+    if (row < 0 || col < 0 || row >= size || col >= size) continue;
+    const current = grid[row]?.[col] ?? 'empty';
+    if (current === 'empty' || MARK_RANK[m.state] > MARK_RANK[current]) {
+      const line = grid[row];
+      if (line) line[col] = m.state;
+    }
+  }
+  return grid.map((line) => line.map((c) => SNIPPET_CELLS[c]).join('')).join('\n');
+}
+
+function _fmtDuration(ms: number, locale: string): string {
+  const minutes = Math.max(1, Math.round(ms / 60_000));
+  return t('discord:raid_alerts.duration_minutes', locale, { m: fmtNumber(minutes, locale) });
+}
+
+function _clip(lines: string[], more: number, locale: string): string {
+  const text = lines.join('\n');
+  const suffix = more > 0 ? `\n${t('discord:raid_alerts.and_more', locale, { count: more })}` : '';
+  return (text.length > 1000 ? `${text.slice(0, 1000)}…` : text) + suffix;
+}
+
+/** The post-raid report as an embed — shared by the DM and `/raidalerts reports`. */
+export function buildRaidReportEmbed(report: RaidReport, locale: string): EmbedBuilder {
+  const started = parseDbTimestampUtc(report.started_at)?.getTime() ?? Date.now();
+  const ended = parseDbTimestampUtc(report.ended_at)?.getTime() ?? started;
+  const embed = new EmbedBuilder()
+    .setTitle(
+      t('discord:raid_alerts.report_title', locale, {
+        target: report.clan_name || report.owner_name || report.owner_steam_id,
+      }),
+    )
+    .setDescription(
+      t('discord:raid_alerts.report_summary', locale, {
+        start: `<t:${String(Math.floor(started / 1000))}:f>`,
+        duration: _fmtDuration(ended - started, locale),
+        hits: fmtNumber(report.hits, locale),
+        destroyed: fmtNumber(report.destroyed, locale),
+      }),
+    )
+    .setColor(report.destroyed > 0 ? 0xe74c3c : 0xe67e22)
+    .setFooter({ text: t('discord:raid_alerts.report_footer', locale, { id: report.id }) })
+    .setTimestamp(new Date(ended));
+
+  const structures = report.structures.slice(0, LIST_LIMIT).map((s) =>
+    s.destroyed > 0
+      ? t('discord:raid_alerts.structure_line_destroyed', locale, {
+          name: s.name,
+          hits: s.damaged + s.destroyed,
+          destroyed: s.destroyed,
+        })
+      : t('discord:raid_alerts.structure_line', locale, { name: s.name, hits: s.damaged }),
+  );
+  if (structures.length > 0) {
+    embed.addFields({
+      name: t('discord:raid_alerts.structures', locale),
+      value: _clip(structures, report.structures.length - structures.length, locale),
+    });
+  }
+
+  const attackers = report.attackers.slice(0, LIST_LIMIT).map((a) =>
+    t('discord:raid_alerts.attacker_line', locale, {
+      name: a.name,
+      hits: a.hits,
+      destroyed: a.destroyed,
+    }),
+  );
+  if (attackers.length > 0) {
+    embed.addFields({
+      name: t('discord:raid_alerts.attackers', locale),
+      value: _clip(attackers, report.attackers.length - attackers.length, locale),
+    });
+  }
+
+  embed.addFields({
+    name: t('discord:raid_alerts.items_lost', locale),
+    value:
+      report.itemsLost.length > 0
+        ? _clip(
+            report.itemsLost.map((i) =>
+              i.takenBy
+                ? t('discord:raid_alerts.item_line_by', locale, { item: i.item, amount: i.amount, player: i.takenBy })
+                : t('discord:raid_alerts.item_line', locale, { item: i.item, amount: i.amount }),
+            ),
+            0,
+            locale,
+          )
+        : t('discord:raid_alerts.no_items_lost', locale),
+  });
+
+  if (report.snippet && report.pos_x !== null && report.pos_y !== null) {
+    embed.addFields({
+      name: t('discord:raid_alerts.map', locale, {
+        x: Math.round(report.pos_x / 100),
+        y: Math.round(report.pos_y / 100),
+      }),
+      value: `${report.snippet}\n${t('discord:raid_alerts.map_legend', locale)}`,
+    });
+  }
+  return embed;
+}
+
+// ── RaidAlerts class ────────────────────────────────────────────────────────
+
+class RaidAlerts {
+  private _db: HumanitZDB | null = null;
+  private _client: Client | null = null;
+  private _config: RaidAlertConfig = _defaultConfig;
+  private _log: Logger;
+  private _interval: ReturnType<typeof setInterval> | null = null;
+  private _open = new Map<string, OpenRaid>();
+  /** Discord ID → last "under attack" DM (epoch ms). */
+  private _lastAlert = new Map<string, number>();
+  private _active = false;
+
+  constructor(opts: { label?: string } = {}) {
+    this._log = createLogger(opts.label, 'RAID ALERTS');
+  }
+
+  // ── Lifecycle ──────────────────────────────────────────────
+
+  /** Attach dependencies and start the quiet-period tick. */
+  start(
+    opts: {
+      db?: HumanitZDB | null;
+      client?: Client | null;
+      config?: RaidAlertConfig;
+      /** Disable the interval (tests drive tick() directly). */
+      autoTick?: boolean;
+    } = {},
+  ): void {
+    this._db = opts.db ?? null;
+    this._client = opts.client ?? null;
+    if (opts.config) this._config = opts.config;
+    this._open.clear();
+    this._lastAlert.clear();
+    this._active = !!this._db;
+    if (this._active && opts.autoTick !== false && !this._interval) {
+      this._interval = setInterval(() => {
+        void this.tick();
+      }, TICK_INTERVAL_MS);
+      this._interval.unref();
+    }
+  }
+
+  /** Stop the tick and store every open raid — no DMs on the way out. */
+  stop(): void {
+    if (this._interval) {
+      clearInterval(this._interval);
+      this._interval = null;
+    }
+    for (const raid of this._open.values()) this._store(raid, new Date());
+    this._open.clear();
+    this._active = false;
+  }
+
+  /** Whether alerts are running (ENABLE_RAID_ALERTS on and a DB attached). */
+  isActive(): boolean {
+    return this._active;
+  }
+
+  /** Raids still in progress. */
+  get openRaids(): number {
+    return this._open.size;
+  }
+
+  // ── Events ─────────────────────────────────────────────────
+
+  /** Feed a LogWatcher event — only `raid_damage` is used. */
+  onLogEvent(entry: LogEventEntry): void {
+    if (entry.type !== 'raid_damage' || !entry.targetSteamId) return;
+    const timestamp = entry.timestamp instanceof Date ? entry.timestamp : new Date(entry.timestamp ?? Date.now());
+    void this.recordHit({
+      attacker: entry.actorName ?? '',
+      attackerSteamId: entry.steamId ?? '',
+      ownerSteamId: entry.targetSteamId,
+      building: entry.item ?? '',
+      destroyed: entry.details?.['destroyed'] === true,
+      timestamp: Number.isNaN(timestamp.getTime()) ? new Date() : timestamp,
+    });
+  }
+
+  /**
+   * Add one hit to the owner's raid, opening it (and alerting) on the first.
+   * Resolves to the number of alert DMs sent.
+   */
+  async recordHit(hit: RaidHit, now: Date = new Date()): Promise<number> {
+    if (!this._db || !this._active || !hit.ownerSteamId) return 0;
+    const ts = hit.timestamp.getTime();
+    let raid = this._raidFor(hit.ownerSteamId);
+    if (raid && ts - raid.lastHit > this._delayMs()) {
+      this._open.delete(raid.key);
+      void this._finish(raid, now);
+      raid = null;
+    }
+    const opened = !raid;
+    if (!raid) {
+      raid = this._openRaid(hit.ownerSteamId, ts);
+      this._open.set(raid.key, raid);
+    }
+    raid.lastHit = Math.max(raid.lastHit, ts);
+    raid.startedAt = Math.min(raid.startedAt, ts);
+    raid.lastSeen = now.getTime();
+    raid.hits++;
+    if (hit.destroyed) raid.destroyed++;
+
+    const building = hit.building || '?';
+    const structure = raid.structures.get(building) ?? { name: building, damaged: 0, destroyed: 0 };
+    if (hit.destroyed) structure.destroyed++;
+    else structure.damaged++;
+    raid.structures.set(building, structure);
+
+    const attackerKey = hit.attackerSteamId || hit.attacker.toLowerCase();
+    const attacker = raid.attackers.get(attackerKey) ?? {
+      name: hit.attacker,
+      steamId: hit.attackerSteamId,
+      hits: 0,
+      destroyed: 0,
+    };
+    attacker.name = hit.attacker || attacker.name;
+    attacker.hits++;
+    if (hit.destroyed) attacker.destroyed++;
+    raid.attackers.set(attackerKey, attacker);
+
+    return opened ? this._alert(raid, hit, now) : 0;
+  }
+
+  /** Place save-diff structure damage on the map of the raid it belongs to. */
+  onSaveSync(events: readonly unknown[]): void {
+    if (!this._active || this._open.size === 0) return;
+    for (const raw of events) {
+      if (!raw || typeof raw !== 'object') continue;
+      const e = raw as RaidStructureEvent;
+      if (e.type !== 'structure_damaged' && e.type !== 'structure_destroyed') continue;
+      const x = _num(e.x);
+      const y = _num(e.y);
+      if (!e.steam_id || x === null || y === null) continue;
+      const raid = this._raidFor(e.steam_id);
+      if (raid) raid.marks.push({ x, y, state: e.type === 'structure_destroyed' ? 'destroyed' : 'damaged' });
+    }
+  }
+
+  /** Report every raid that has been quiet for RAID_REPORT_DELAY. Resolves to the reports sent. */
+  async tick(now: Date = new Date()): Promise<number> {
+    if (!this._active) return 0;
+    const due = [...this._open.values()].filter((r) => now.getTime() - r.lastSeen >= this._delayMs());
+    let reported = 0;
+    for (const raid of due) {
+      this._open.delete(raid.key);
+      if (await this._finish(raid, now)) reported++;
+    }
+    return reported;
+  }
+
+  // ── Opt-out ────────────────────────────────────────────────
+
+  /** Turn raid DMs off (or back on) for a Discord user. */
+  setOptOut(discordId: string, optedOut: boolean): RaidAlertResult<boolean> {
+    if (!this._db || !this._active) return { ok: false, code: 'disabled' };
+    this._db.raids.setOptOut(discordId, optedOut);
+    this._log.info(`${discordId} ${optedOut ? 'opted out of' : 'opted into'} raid alerts`);
+    return { ok: true, value: optedOut };
+  }
+
+  isOptedOut(discordId: string): boolean {
+    return !!this._db && this._db.raids.isOptedOut(discordId);
+  }
+
+  // ── Reports ────────────────────────────────────────────────
+
+  /** Recent reports for a linked user's structures (or clan's), newest first. */
+  getReportsFor(discordId: string, limit = 5): RaidAlertResult<RaidReport[]> {
+    if (!this._db || !this._active) return { ok: false, code: 'disabled' };
+    const link = this._db.accountLinks.getByDiscordId(discordId);
+    if (!link) return { ok: false, code: 'not_linked' };
+    const clan = this._db.clan.getClanForSteamId(link.steam_id);
+    const rows = this._db.raids.getReports(link.steam_id, typeof clan === 'string' ? clan : '', limit);
+    return { ok: true, value: rows.map((r) => this._decode(r)) };
+  }
+
+  /** One report, if it is about the linked user's structures or clan. */
+  getReportFor(discordId: string, id: number): RaidAlertResult<RaidReport> {
+    if (!this._db || !this._active) return { ok: false, code: 'disabled' };
+    const link = this._db.accountLinks.getByDiscordId(discordId);
+    if (!link) return { ok: false, code: 'not_linked' };
+    const report = this.getReport(id);
+    const clan = this._db.clan.getClanForSteamId(link.steam_id);
+    if (!report || (report.owner_steam_id !== link.steam_id && (!report.clan_name || report.clan_name !== clan))) {
+      return { ok: false, code: 'not_found' };
+    }
+    return { ok: true, value: report };
+  }
+
+  getReport(id: number): RaidReport | null {
+    const row = this._db?.raids.getReport(id);
+    return row ? this._decode(row) : null;
+  }
+
+  // ── Internals ──────────────────────────────────────────────
+
+  private _delayMs(): number {
+    return Math.max(1, this._config.raidReportDelay) * 60_000;
+  }
+
+  private _clanOf(steamId: string): string {
+    if (!this._db || !this._config.raidAlertClan) return '';
+    const clan = this._db.clan.getClanForSteamId(steamId);
+    return typeof clan === 'string' ? clan : '';
+  }
+
+  private _raidFor(ownerSteamId: string): OpenRaid | null {
+    const clan = this._clanOf(ownerSteamId);
+    return this._open.get(clan ? `clan:${clan.toLowerCase()}` : ownerSteamId) ?? null;
+  }
+
+  private _openRaid(ownerSteamId: string, ts: number): OpenRaid {
+    const clanName = this._clanOf(ownerSteamId);
+    const members = new Set([ownerSteamId]);
+    if (clanName && this._db) {
+      for (const m of this._db.clan.getClanMembers(clanName)) {
+        if (typeof m.steam_id === 'string' && m.steam_id) members.add(m.steam_id);
+      }
+    }
+    return {
+      key: clanName ? `clan:${clanName.toLowerCase()}` : ownerSteamId,
+      ownerSteamId,
+      clanName,
+      members,
+      startedAt: ts,
+      lastHit: ts,
+      lastSeen: ts,
+      hits: 0,
+      destroyed: 0,
+      structures: new Map(),
+      attackers: new Map(),
+      marks: [],
+    };
+  }
+
+  /** Linked Discord accounts of the raid's members, minus opt-outs. */
+  private _recipients(raid: OpenRaid): string[] {
+    if (!this._db) return [];
+    const ids: string[] = [];
+    for (const steamId of raid.members) {
+      const link = this._db.accountLinks.getBySteamId(steamId);
+      if (link && !this._db.raids.isOptedOut(link.discord_id)) ids.push(link.discord_id);
+    }
+    return ids;
+  }
+
+  private async _alert(raid: OpenRaid, hit: RaidHit, now: Date): Promise<number> {
+    const cooldown = this._config.raidAlertCooldown * 60_000;
+    const locale = this._locale();
+    const embed = new EmbedBuilder()
+      .setTitle(t('discord:raid_alerts.alert_title', locale))
+      .setDescription(
+        t('discord:raid_alerts.alert_description', locale, {
+          attacker: hit.attacker || t('discord:raid_alerts.unknown_attacker', locale),
+          building: hit.building || '?',
+          delay: this._delayMs() / 60_000,
+        }),
+      )
+      .setColor(0xe74c3c)
+      .setFooter({ text: t('discord:raid_alerts.opt_out_hint', locale) })
+      .setTimestamp(hit.timestamp);
+
+    let sent = 0;
+    for (const discordId of this._recipients(raid)) {
+      const last = this._lastAlert.get(discordId);
+      if (last !== undefined && now.getTime() - last < cooldown) continue;
+      this._lastAlert.set(discordId, now.getTime());
+      if (await this._dm(discordId, embed)) sent++;
+    }
+    return sent;
+  }
+
+  /** Where the raid happened and what the map around it looks like. */
+  private _locate(raid: OpenRaid): { centre: RaidMark | null; marks: RaidMark[] } {
+    const owned: RaidMark[] = [];
+    if (this._db) {
+      for (const steamId of raid.members) {
+        for (const s of this._db.worldObject.getStructuresByOwner(steamId) as Array<Record<string, unknown>>) {
+          const x = _num(s['pos_x']);
+          const y = _num(s['pos_y']);
+          if (x !== null && y !== null && !(x === 0 && y === 0)) owned.push({ x, y, state: 'intact' });
+        }
+      }
+    }
+    const centre = baseCentre(raid.marks.length > 0 ? raid.marks : owned);
+    return { centre, marks: [...owned, ...raid.marks] };
+  }
+
+  /** Persist the report. Returns it with the snippet, or null if the DB write failed. */
+  private _store(raid: OpenRaid, now: Date): RaidReport | null {
+    if (!this._db) return null;
+    try {
+      const { centre, marks } = this._locate(raid);
+      const itemsLost = this._db.raids.getContainerLosses({
+        from: formatDbTimestampUtc(new Date(raid.startedAt - LOSS_LEAD_MS)),
+        to: formatDbTimestampUtc(now),
+        attackers: [...raid.attackers.values()].map((a) => a.steamId).filter(Boolean),
+        members: [...raid.members],
+        box: centre
+          ? {
+              xMin: centre.x - BASE_RADIUS,
+              xMax: centre.x + BASE_RADIUS,
+              yMin: centre.y - BASE_RADIUS,
+              yMax: centre.y + BASE_RADIUS,
+            }
+          : null,
+        limit: LOSS_LIMIT,
+      });
+      const id = this._db.raids.insertReport({
+        ownerSteamId: raid.ownerSteamId,
+        ownerName: this._db.player.resolveSteamIdToName(raid.ownerSteamId),
+        clanName: raid.clanName,
+        startedAt: formatDbTimestampUtc(new Date(raid.startedAt)),
+        endedAt: formatDbTimestampUtc(new Date(raid.lastHit)),
+        hits: raid.hits,
+        destroyed: raid.destroyed,
+        structures: [...raid.structures.values()].sort(
+          (a, b) => b.destroyed - a.destroyed || b.damaged - a.damaged || a.name.localeCompare(b.name),
+        ),
+        attackers: [...raid.attackers.values()].sort((a, b) => b.hits - a.hits),
+        itemsLost,
+        posX: centre?.x ?? null,
+        posY: centre?.y ?? null,
+        snippet: centre ? renderRaidSnippet(centre, marks) : '',
+      });
+      this._log.info(
+        `Raid on ${raid.clanName || raid.ownerSteamId} over: ${String(raid.hits)} hits, ${String(raid.destroyed)} destroyed (report #${String(id)})`,
+      );
+      return this.getReport(id);
+    } catch (err: unknown) {
+      this._log.error('Could not store raid report:', errMsg(err));
+      return null;
+    }
+  }
+
+  private async _finish(raid: OpenRaid, now: Date): Promise<RaidReport | null> {
+    const report = this._store(raid, now);
+    if (!report || !this._db) return report;
+    const embed = buildRaidReportEmbed(report, this._locale());
+    let sent = 0;
+    for (const discordId of this._recipients(raid)) {
+      if (await this._dm(discordId, embed)) sent++;
+    }
+    if (sent > 0) this._db.raids.markNotified(report.id, sent);
+    return { ...report, notified: sent };
+  }
+
+  /** Best-effort DM — closed DMs are common and not an error. */
+  private async _dm(discordId: string, embed: EmbedBuilder): Promise<boolean> {
+    if (!this._client) return false;
+    try {
+      const user = await this._client.users.fetch(discordId);
+      await user.send({ embeds: [embed] });
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  private _decode(row: RaidReportRow): RaidReport {
+    const { structures, attackers, items_lost, ...rest } = row;
+    return {
+      ...rest,
+      structures: _parseList<RaidStructureEntry>(structures),
+      attackers: _parseList<RaidAttackerEntry>(attackers),
+      itemsLost: _parseList<RaidItemLoss>(items_lost),
+    };
+  }
+
+  private _locale(): string {
+    return getLocale({ serverConfig: this._config });
+  }
+}
+
+// Singleton — shared by index.ts wiring and /raidalerts
+const _singleton = new RaidAlerts();
+export default _singleton;
+export { RaidAlerts };
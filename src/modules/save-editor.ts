@@ -0,0 +1,289 @@
+/**
+ * Save Editor — downloads the game save, applies offline edits
+ * (parsers/save-edits.ts) and uploads the result over SFTP or the Panel
+ * File API, whichever the server is configured for (SFTP first, like
+ * SaveService).
+ *
+ *   summary()  what can be edited: players with their slots, structures, vehicles
+ *   preview()  dry run — the change list without writing anything
+ *   apply()    back up the current save, upload the edited one and read it back
+ *   restore()  upload a backup (the save it replaces is backed up first)
+ *
+ * Backups live in <dataDir>/save-edits/, newest BACKUPS_KEEP kept.  Writes
+ * are refused while the game server is not known to be offline unless the
+ * caller confirms — a running server rewrites the save from memory and
+ * would silently undo the edit.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { createLogger, type Logger } from '../utils/log.js';
+import { errMsg } from '../utils/error.js';
+import { importSftpClient } from '../utils/dynamic-imports.js';
+import type { PanelSaveFileApi } from '../server/panel-api.js';
+import type _defaultConfig from '../config/index.js';
+import { parseGvasDocument } from '../parsers/gvas-writer.js';
+import {
+  applySaveEdits,
+  summarizeSave,
+  type SaveChange,
+  type SaveEdit,
+  type SaveEditError,
+  type SaveSummary,
+} from '../parsers/save-edits.js';
+
+// ── Types ───────────────────────────────────────────────────────────────────
+
+type SaveEditorConfig = Pick<typeof _defaultConfig, 'sftpHost' | 'sftpUser' | 'sftpSavePath' | 'sftpConnectConfig'>;
+
+/** Where the save is read from and written to. */
+export interface SaveTransport {
+  kind: 'sftp' | 'panel';
+  path: string;
+  download(): Promise<Buffer>;
+  upload(buf: Buffer): Promise<void>;
+  /** Game server power state ('offline', 'running' …) when a panel can tell, else null. */
+  serverState(): Promise<string | null>;
+}
+
+export type SaveEditorError =
+  | SaveEditError
+  | 'busy'
+  | 'server_running'
+  | 'download_failed'
+  | 'upload_failed'
+  | 'upload_mismatch'
+  | 'backup_not_found';
+
+export type SaveEditorResult<T> = { ok: true; value: T } | { ok: false; code: SaveEditorError; detail?: string };
+
+export interface SaveBackup {
+  name: string;
+  bytes: number;
+  createdAt: string;
+}
+
+export interface SaveWriteResult {
+  changes: SaveChange[];
+  /** Backup of the save that was replaced. */
+  backup: string;
+  bytes: number;
+}
+
+export interface SaveWriteOptions {
+  backupDir: string;
+  /** Write even though the game server is not known to be offline. */
+  confirmRunning?: boolean;
+}
+
+// ── Helpers ─────────────────────────────────────────────────────────────────
+
+export const BACKUPS_KEEP = 20;
+const BACKUP_RE = /^save-[0-9TZ-]+-(edit|restore)\.sav$/;
+
+/** Backup folder for a server's data dir. */
+export function saveEditBackupDir(dataDir: string): string {
+  return path.join(dataDir, 'save-edits');
+}
+
+/** Transport for a server context — SFTP when configured, else the Panel File API, else null. */
+export function createSaveTransport(srv: {
+  config: SaveEditorConfig;
+  panelApi: PanelSaveFileApi | null;
+}): SaveTransport | null {
+  const { config, panelApi } = srv;
+  const savePath = config.sftpSavePath;
+  if (!savePath) return null;
+  const serverState = async () => {
+    if (!panelApi?.available) return null;
+    try {
+      return (await panelApi.getResources()).state;
+    } catch {
+      return null;
+    }
+  };
+
+  if (config.sftpHost && config.sftpUser) {
+    const withSftp = async <T>(
+      fn: (sftp: InstanceType<Awaited<ReturnType<typeof importSftpClient>>>) => Promise<T>,
+    ) => {
+      const SFTPClient = await importSftpClient();
+      const sftp = new SFTPClient();
+      await sftp.connect(config.sftpConnectConfig());
+      try {
+        return await fn(sftp);
+      } finally {
+        await sftp.end();
+      }
+    };
+    return {
+      kind: 'sftp',
+      path: savePath,
+      download: () => withSftp(async (sftp) => (await sftp.get(savePath)) as Buffer),
+      upload: (buf) =>
+        withSftp(async (sftp) => {
+          await sftp.put(buf, savePath);
+        }),
+      serverState,
+    };
+  }
+  if (panelApi?.available) {
+    return {
+      kind: 'panel',
+      path: savePath,
+      download: () => panelApi.downloadFile(savePath),
+      upload: (buf) => panelApi.uploadFile(savePath, buf),
+      serverState,
+    };
+  }
+  return null;
+}
+
+// ── SaveEditor class ────────────────────────────────────────────────────────
+
+class SaveEditor {
+  private _busy = false;
+  private _log: Logger;
+
+  constructor(opts: { label?: string } = {}) {
+    this._log = createLogger(opts.label, 'SAVE EDIT');
+  }
+
+  get busy(): boolean {
+    return this._busy;
+  }
+
+  async summary(transport: SaveTransport): Promise<SaveEditorResult<SaveSummary & { bytes: number }>> {
+    const buf = await this._download(transport);
+    if (!buf.ok) return buf;
+    const summary = summarizeSave(buf.value);
+    return summary.ok ? { ok: true, value: { ...summary.value, bytes: buf.value.length } } : summary;
+  }
+
+  /** Dry run: the changes `edits` would make to the current save. */
+  async preview(
+    transport: SaveTransport,
+    edits: SaveEdit[],
+  ): Promise<SaveEditorResult<{ changes: SaveChange[]; bytes: number }>> {
+    const buf = await this._download(transport);
+    if (!buf.ok) return buf;
+    const result = applySaveEdits(buf.value, edits);
+    if (!result.ok) return result;
+    return { ok: true, value: { changes: result.value.changes, bytes: result.value.buffer.length } };
+  }
+
+  async apply(
+    transport: SaveTransport,
+    edits: SaveEdit[],
+    opts: SaveWriteOptions,
+  ): Promise<SaveEditorResult<SaveWriteResult>> {
+    return this._write(transport, opts, 'edit', (current) => {
+      const result = applySaveEdits(current, edits);
+      return result.ok ? { ok: true, value: result.value } : result;
+    });
+  }
+
+  /** Upload a backup from listBackups() over the current save. */
+  async restore(
+    transport: SaveTransport,
+    name: string,
+    opts: SaveWriteOptions,
+  ): Promise<SaveEditorResult<SaveWriteResult>> {
+    const file = path.join(opts.backupDir, name);
+    if (!BACKUP_RE.test(name) || !fs.existsSync(file)) return { ok: false, code: 'backup_not_found' };
+    return this._write(transport, opts, 'restore', () => {
+      const buffer = fs.readFileSync(file);
+      try {
+        parseGvasDocument(buffer);
+      } catch (err: unknown) {
+        return { ok: false, code: 'unsupported_save', detail: errMsg(err) };
+      }
+      return { ok: true, value: { buffer, changes: [] } };
+    });
+  }
+
+  /** Backups in `backupDir`, newest first. */
+  listBackups(backupDir: string): SaveBackup[] {
+    if (!fs.existsSync(backupDir)) return [];
+    return fs
+      .readdirSync(backupDir)
+      .filter((name) => BACKUP_RE.test(name))
+      .map((name) => {
+        const stat = fs.statSync(path.join(backupDir, name));
+        return { name, bytes: stat.size, createdAt: stat.mtime.toISOString() };
+      })
+      .sort((a, b) => b.name.localeCompare(a.name));
+  }
+
+  // ── Internals ──────────────────────────────────────────────
+
+  private async _download(transport: SaveTransport): Promise<SaveEditorResult<Buffer>> {
+    try {
+      return { ok: true, value: await transport.download() };
+    } catch (err: unknown) {
+      return { ok: false, code: 'download_failed', detail: errMsg(err) };
+    }
+  }
+
+  /**
+   * Shared write path: refuse while running, back up the current save,
+   * upload what `build` produces from it and read it back to confirm.
+   */
+  private async _write(
+    transport: SaveTransport,
+    opts: SaveWriteOptions,
+    reason: 'edit' | 'restore',
+    build: (current: Buffer) => SaveEditorResult<{ buffer: Buffer; changes: SaveChange[] }>,
+  ): Promise<SaveEditorResult<SaveWriteResult>> {
+    if (this._busy) return { ok: false, code: 'busy' };
+    this._busy = true;
+    try {
+      const state = await transport.serverState();
+      if (state !== 'offline' && !opts.confirmRunning) {
+        return { ok: false, code: 'server_running', detail: state ?? 'unknown' };
+      }
+      const current = await this._download(transport);
+      if (!current.ok) return current;
+      const next = build(current.value);
+      if (!next.ok) return next;
+
+      const backup = this._backup(opts.backupDir, current.value, reason);
+      try {
+        await transport.upload(next.value.buffer);
+      } catch (err: unknown) {
+        return { ok: false, code: 'upload_failed', detail: errMsg(err) };
+      }
+      const written = await this._download(transport);
+      if (!written.ok) return written;
+      if (!written.value.equals(next.value.buffer)) {
+        this._log.error(`Uploaded save does not match (${transport.kind} ${transport.path}) — restore ${backup}`);
+        return { ok: false, code: 'upload_mismatch', detail: backup };
+      }
+      this._log.info(
+        `${reason === 'edit' ? `Applied ${String(next.value.changes.length)} change(s)` : 'Restored a backup'} via ${transport.kind} — previous save kept as ${backup}`,
+      );
+      return { ok: true, value: { changes: next.value.changes, backup, bytes: next.value.buffer.length } };
+    } finally {
+      this._busy = false;
+    }
+  }
+
+  private _backup(dir: string, buf: Buffer, reason: 'edit' | 'restore'): string {
+    fs.mkdirSync(dir, { recursive: true });
+    const name = `save-${new Date().toISOString().replace(/[:.]/g, '-')}-${reason}.sav`;
+    fs.writeFileSync(path.join(dir, name), buf);
+    for (const old of this.listBackups(dir).slice(BACKUPS_KEEP)) {
+      try {
+        fs.unlinkSync(path.join(dir, old.name));
+      } catch (err: unknown) {
+        this._log.warn(`Could not prune ${old.name}:`, errMsg(err));
+      }
+    }
+    return name;
+  }
+}
+
+// Singleton — one edit at a time across every managed server
+const _singleton = new SaveEditor();
+export default _singleton;
+export { SaveEditor };
@@ -0,0 +1,302 @@
+/**
+ * Season Manager — wipe seasons on top of hmz_wipes.
+ *
+ * A season is the span between two server wipes.  When a season ends its
+ * per-player stats, leaderboards, KillTracker state and playtime are frozen
+ * into season_player_stats / hmz_wipes.summary, the per-season counters on
+ * `players` are zeroed and a new season row is opened.  Identity (names,
+ * aliases, first seen) and lifetime totals survive — lifetime is the sum of
+ * every archived season plus the current one.
+ *
+ * Rollovers are two-phase: scheduleRollover() stores a pending marker in
+ * bot_state and BotControlService restarts the bot; applyPendingRollover()
+ * then runs at startup before PlaytimeTracker / PlayerStats load their
+ * caches, so no in-memory state can write stale counters back.
+ */
+
+import { createLogger, type Logger } from '../utils/log.js';
+import { errMsg } from '../utils/error.js';
+import type { HumanitZDB } from '../db/database.js';
+import type { SeasonRow, SeasonStatsRow } from '../db/repositories/season-repository.js';
+
+// ── Types ───────────────────────────────────────────────────────────────────
+
+export type SeasonErrorCode = 'not_ready' | 'already_pending' | 'invalid_name' | 'not_found';
+
+export type SeasonResult<T> = { ok: true; value: T } | { ok: false; code: SeasonErrorCode };
+
+/** 'current', 'lifetime' or an archived season id. */
+export type SeasonScope = string;
+
+export interface PendingRollover {
+  name: string | null;
+  requestedBy: string;
+  requestedAt: string;
+}
+
+export interface SeasonInfo {
+  id: string;
+  name: string;
+  startedAt: string;
+  endedAt: string | null;
+  current: boolean;
+  players: number;
+}
+
+export interface SeasonStats {
+  scope: 'current' | 'lifetime' | 'season';
+  season: SeasonInfo | null;
+  players: SeasonStatsRow[];
+}
+
+export interface RolloverResult {
+  archived: SeasonInfo;
+  current: SeasonInfo;
+  players: number;
+}
+
+/** Frozen at season end in hmz_wipes.summary. */
+export interface SeasonSummary {
+  totals: unknown;
+  peaks: unknown;
+  leaderboards: Record<string, unknown[]>;
+}
+
+const PENDING_KEY = 'season_rollover_pending';
+/** bot_state keys holding per-season KillTracker progress; archived per player, then cleared. */
+const SEASON_STATE_KEYS = ['kill_tracker', 'weekly_baseline'] as const;
+const LEADERBOARD_SIZE = 10;
+const MAX_NAME_LENGTH = 64;
+
+// ── Manager ─────────────────────────────────────────────────────────────────
+
+class SeasonManager {
+  private _db: HumanitZDB | null = null;
+  private _log: Logger;
+
+  constructor() {
+    this._log = createLogger(null, 'SEASONS');
+  }
+
+  /** Attach the database and make sure a current season exists. */
+  init(db: HumanitZDB): void {
+    this._db = db;
+    this.ensureCurrent();
+  }
+
+  isReady(): boolean {
+    return this._db !== null;
+  }
+
+  // ── Queries ───────────────────────────────────────────────
+
+  /** The open season, creating "Season 1" on first use. */
+  ensureCurrent(): SeasonRow | null {
+    if (!this._db) return null;
+    const current = this._db.season.getCurrent();
+    if (current) return current;
+    const name = `Season ${String(this._db.season.getSeasons().length + 1)}`;
+    const id = this._nextSeasonId();
+    this._db.season.createSeason(id, name);
+    this._log.info(`Opened ${name} (${id})`);
+    return this._db.season.getSeason(id);
+  }
+
+  listSeasons(): SeasonInfo[] {
+    if (!this._db) return [];
+    const counts = this._db.season.countArchivedPlayers();
+    return this._db.season.getSeasons().map((row) => this._toInfo(row, counts[row.id] ?? 0));
+  }
+
+  /** Resolve a season by id or (case-insensitive) name. */
+  resolveSeason(idOrName: string): SeasonInfo | null {
+    const needle = idOrName.trim().toLowerCase();
+    if (!needle) return null;
+    return this.listSeasons().find((s) => s.id.toLowerCase() === needle || s.name.toLowerCase() === needle) ?? null;
+  }
+
+  /** Most recently ended season, if any. */
+  getPreviousSeason(): SeasonInfo | null {
+    return this.listSeasons().find((s) => !s.current) ?? null;
+  }
+
+  getSummary(seasonId: string): SeasonSummary | null {
+    const row = this._db?.season.getSeason(seasonId);
+    if (!row?.summary) return null;
+    try {
+      return JSON.parse(row.summary) as SeasonSummary;
+    } catch {
+      return null;
+    }
+  }
+
+  /** Per-player stats for the current season, lifetime, or an archived season id/name. */
+  getStats(scope: SeasonScope = 'current'): SeasonResult<SeasonStats> {
+    if (!this._db) return { ok: false, code: 'not_ready' };
+
+    if (scope === 'lifetime') {
+      return { ok: true, value: { scope: 'lifetime', season: null, players: this._db.season.getLifetimeStats() } };
+    }
+
+    const current = this.ensureCurrent();
+    if (scope === 'current' || (current && scope === current.id)) {
+      const players = this._db.season.getCurrentStats();
+      return {
+        ok: true,
+        value: { scope: 'current', season: current ? this._toInfo(current, players.length) : null, players },
+      };
+    }
+
+    const season = this.resolveSeason(scope);
+    if (!season || season.current) return { ok: false, code: 'not_found' };
+    return { ok: true, value: { scope: 'season', season, players: this._db.season.getArchivedStats(season.id) } };
+  }
+
+  /** One player's stats in a scope, or null when they have none there. */
+  getPlayerStats(steamId: string, scope: SeasonScope = 'current'): SeasonStatsRow | null {
+    const result = this.getStats(scope);
+    if (!result.ok) return null;
+    return result.value.players.find((p) => p.steam_id === steamId) ?? null;
+  }
+
+  // ── Rollover ──────────────────────────────────────────────
+
+  getPendingRollover(): PendingRollover | null {
+    if (!this._db) return null;
+    const raw = this._db.botState.getStateJSON(PENDING_KEY, null) as PendingRollover | null;
+    return raw && typeof raw === 'object' ? raw : null;
+  }
+
+  /** Queue a rollover for the next startup. `name` is the next season's name. */
+  scheduleRollover(opts: { name?: string | null; requestedBy?: string } = {}): SeasonResult<PendingRollover> {
+    if (!this._db) return { ok: false, code: 'not_ready' };
+    if (this.getPendingRollover()) return { ok: false, code: 'already_pending' };
+    const name = (opts.name ?? '').trim();
+    if (name.length > MAX_NAME_LENGTH) return { ok: false, code: 'invalid_name' };
+
+    const pending: PendingRollover = {
+      name: name || null,
+      requestedBy: opts.requestedBy || 'unknown',
+      requestedAt: new Date().toISOString(),
+    };
+    this._db.botState.setStateJSON(PENDING_KEY, pending);
+    this._log.info(`Season rollover scheduled by ${pending.requestedBy}`);
+    return { ok: true, value: pending };
+  }
+
+  cancelPendingRollover(): boolean {
+    if (!this._db || !this.getPendingRollover()) return false;
+    this._db.botState.deleteState(PENDING_KEY);
+    return true;
+  }
+
+  /**
+   * Run a scheduled rollover, if any.  Must be called before the playtime /
+   * player-stats caches are loaded.  The marker is cleared even on failure so
+   * a bad rollover cannot block every restart; the transaction leaves the DB
+   * untouched in that case.
+   */
+  applyPendingRollover(): RolloverResult | null {
+    const pending = this.getPendingRollover();
+    if (!pending || !this._db) return null;
+    try {
+      return this.rollover(pending.name);
+    } catch (err) {
+      this._log.error('Season rollover failed:', errMsg(err));
+      return null;
+    } finally {
+      this._db.botState.deleteState(PENDING_KEY);
+    }
+  }
+
+  /** End the current season and open the next one. Runs in a single transaction. */
+  rollover(nextName: string | null = null): RolloverResult {
+    const db = this._db;
+    if (!db) throw new Error('SeasonManager not initialised');
+
+    const result = db.transaction(() => {
+      const ending = this.ensureCurrent();
+      if (!ending) throw new Error('No current season');
+
+      const summary = this._buildSummary(db);
+      const players = db.season.archivePlayers(ending.id);
+      this._archiveKillTracker(db, ending.id);
+      db.season.endSeason(ending.id, summary);
+
+      db.season.resetPlayerCounters();
+      for (const key of SEASON_STATE_KEYS) db.botState.deleteState(key);
+
+      const id = this._nextSeasonId();
+      const name = nextName || `Season ${String(db.season.getSeasons().length + 1)}`;
+      db.season.createSeason(id, name);
+
+      const archivedRow = db.season.getSeason(ending.id);
+      const currentRow = db.season.getSeason(id);
+      if (!archivedRow || !currentRow) throw new Error('Season rows missing after rollover');
+      return {
+        archived: this._toInfo(archivedRow, players),
+        current: this._toInfo(currentRow, 0),
+        players,
+      };
+    });
+
+    this._log.info(
+      `Archived ${result.archived.name} (${String(result.players)} player(s)); ${result.current.name} has begun`,
+    );
+    return result;
+  }
+
+  // ── Internal ──────────────────────────────────────────────
+
+  private _buildSummary(db: HumanitZDB): SeasonSummary {
+    const lb = db.leaderboard;
+    return {
+      totals: lb.getServerTotals(),
+      peaks: db.player.getAllServerPeaks(),
+      leaderboards: {
+        kills: lb.topKillers(LEADERBOARD_SIZE),
+        playtime: lb.topPlaytime(LEADERBOARD_SIZE),
+        survival: lb.topSurvival(LEADERBOARD_SIZE),
+        pvp: lb.topPvp(LEADERBOARD_SIZE),
+        builders: lb.topBuilders(LEADERBOARD_SIZE),
+        deaths: lb.topDeaths(LEADERBOARD_SIZE),
+        looters: lb.topLooters(LEADERBOARD_SIZE),
+        fish: lb.topFish(LEADERBOARD_SIZE),
+        bitten: lb.topBitten(LEADERBOARD_SIZE),
+      },
+    };
+  }
+
+  /** Copy each player's KillTracker record onto their archived season row. */
+  private _archiveKillTracker(db: HumanitZDB, wipeId: string): void {
+    const state = db.botState.getStateJSON('kill_tracker', null) as { players?: unknown } | null;
+    const players = state?.players;
+    if (!players || typeof players !== 'object' || Array.isArray(players)) return;
+    for (const [steamId, record] of Object.entries(players as Record<string, unknown>)) {
+      db.season.setArchivedKillTracker(wipeId, steamId, record);
+    }
+  }
+
+  /** `wipe_YYYY_MM_DD`, suffixed when several seasons start on the same day. */
+  private _nextSeasonId(): string {
+    const base = `wipe_${new Date().toISOString().slice(0, 10).replace(/-/g, '_')}`;
+    let id = base;
+    for (let n = 2; this._db?.season.getSeason(id); n++) id = `${base}_${String(n)}`;
+    return id;
+  }
+
+  private _toInfo(row: SeasonRow, players: number): SeasonInfo {
+    return {
+      id: row.id,
+      name: row.name || row.id,
+      startedAt: row.started_at,
+      endedAt: row.ended_at,
+      current: row.ended_at === null,
+      players,
+    };
+  }
+}
+
+const _singleton = new SeasonManager();
+export default _singleton;
+export { SeasonManager };
@@ -754,4 +754,4 @@ class ServerScheduler {
 }
 
 export default ServerScheduler;
-export { ServerScheduler };
+export { ServerScheduler, WARNINGS };
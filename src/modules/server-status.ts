@@ -1,4 +1,4 @@
-import type { Client, Message, EmbedBuilder } from 'discord.js';
+import type { Client, Message, EmbedBuilder, TextBasedChannel } from 'discord.js';
 import _defaultConfig from '../config/index.js';
 import { cleanOwnMessages, embedContentKey, safeEditMessage } from './discord-utils.js';
 import _defaultPlaytime, { type PlaytimeTracker } from '../tracking/playtime-tracker.js';
@@ -12,6 +12,7 @@ import {
   type PlayerList,
 } from '../rcon/server-info.js';
 import { createLogger, type Logger } from '../utils/log.js';
+import { createGuildMirror, type GuildMirror } from './guild-mirror.js';
 import type { HumanitZDB } from '../db/database.js';
 import {
   isServerStatusCacheFresh,
@@ -37,6 +38,8 @@ interface ServerStatusDeps {
   getPlayerList?: typeof _defaultGetPlayerList;
   sendAdminMessage?: typeof _defaultSendAdminMessage;
   db?: HumanitZDB | null;
+  /** Game server ID ('primary' or a managed server) — selects the guilds mirroring its status. */
+  serverId?: string;
   label?: string;
 }
 
@@ -62,6 +65,9 @@ class ServerStatus {
   _lastInfo: ServerInfo | null;
   _lastPlayerList: PlayerList | null;
   _lastEmbedKey: string | null;
+  _mirror: GuildMirror | null;
+  /** Status message per mirror channel, with the content key it last showed. */
+  _mirrorMessages: Map<string, { message: Message; key: string | null }>;
 
   // Embed builder methods mixed in via Object.assign (see bottom of file)
   declare _buildEmbed: (info: ServerInfo | null, playerList: PlayerList | null, resources?: unknown) => EmbedBuilder;
@@ -96,6 +102,13 @@ class ServerStatus {
     this._lastPlayerList = null;
     this._lastEmbedKey = null;
 
+    // Other guilds following this server get their own status message, in their locale
+    this._mirror = createGuildMirror(client, deps.serverId ?? 'primary', 'serverStatus', {
+      serverConfig: this._config,
+      label: deps.label,
+    });
+    this._mirrorMessages = new Map();
+
     // Load persisted state (uptime, cached info) so data survives bot restarts
     this._loadState();
   }
@@ -104,27 +117,31 @@ class ServerStatus {
     this._log.info('Module starting...');
     this._log.info(`Channel ID from config: "${this._config.serverStatusChannelId}"`);
     try {
-      if (!this._config.serverStatusChannelId) {
+      if (!this._config.serverStatusChannelId && !this._mirror) {
         this._log.info('No SERVER_STATUS_CHANNEL_ID set, skipping.');
         return;
       }
 
-      this._log.info(`Fetching channel ${this._config.serverStatusChannelId}...`);
-      this.channel = (await this.client.channels.fetch(this._config.serverStatusChannelId)) as DiscordChannel | null;
-      if (!this.channel) {
-        this._log.error('Channel not found! Check SERVER_STATUS_CHANNEL_ID.');
-        return;
-      }
+      if (this._config.serverStatusChannelId) {
+        this._log.info(`Fetching channel ${this._config.serverStatusChannelId}...`);
+        this.channel = (await this.client.channels.fetch(this._config.serverStatusChannelId)) as DiscordChannel | null;
+        if (!this.channel) {
+          this._log.error('Channel not found! Check SERVER_STATUS_CHANNEL_ID.');
+          return;
+        }
+
+        this._log.info(`Posting live status in #${this.channel.name} (every ${this.updateIntervalMs / 1000}s)`);
 
-      this._log.info(`Posting live status in #${this.channel.name} (every ${this.updateIntervalMs / 1000}s)`);
+        // Delete previous own message (by saved ID), not all bot messages
+        await this._cleanOwnMessage();
 
-      // Delete previous own message (by saved ID), not all bot messages
-      await this._cleanOwnMessage();
+        // Post the initial embed
+        const embed = this._buildEmbed(null, null);
+        this.statusMessage = await this.channel.send({ embeds: [embed] });
+        this._saveMessageId();
+      }
 
-      // Post the initial embed
-      const embed = this._buildEmbed(null, null);
-      this.statusMessage = await this.channel.send({ embeds: [embed] });
-      this._saveMessageId();
+      await this._startMirrors();
 
       // First real update
       await this._update();
@@ -196,6 +213,84 @@ class ServerStatus {
     } catch {}
   }
 
+  /** Replace the previous status message in every mirror channel with a fresh one. */
+  async _startMirrors() {
+    if (!this._mirror) return;
+    const saved = this._loadMirrorMessageIds();
+    for (const target of this._mirror.targets) {
+      const channel = (await this._mirror.channel(target)) as DiscordChannel | null;
+      if (!channel) continue;
+      try {
+        await cleanOwnMessages(channel, this.client, { savedIds: saved[target.channelId], label: this._label });
+        const embed = this._inLocale(this._mirror.localeFor(target))._buildEmbed(null, null);
+        this._mirrorMessages.set(target.channelId, { message: await channel.send({ embeds: [embed] }), key: null });
+      } catch (err: unknown) {
+        const msg = err instanceof Error ? err.message : String(err);
+        this._log.warn(`Could not post status in mirror channel ${target.channelId}:`, msg);
+      }
+    }
+    this._saveMirrorMessageIds();
+    if (this._mirrorMessages.size) {
+      this._log.info(`Live status mirrored to ${String(this._mirrorMessages.size)} channel(s) in other guilds`);
+    }
+  }
+
+  /** Edit each mirror channel's message with the embed `build` makes in that guild's locale. */
+  async _updateMirrors(build: (view: this) => EmbedBuilder | Promise<EmbedBuilder>) {
+    if (!this._mirror) return;
+    for (const target of this._mirror.targets) {
+      const entry = this._mirrorMessages.get(target.channelId);
+      const channel = await this._mirror.channel(target);
+      if (!entry || !channel) continue;
+      try {
+        const embed = await build(this._inLocale(this._mirror.localeFor(target)));
+        const contentKey = embedContentKey(embed);
+        if (contentKey === entry.key) continue;
+        entry.key = contentKey;
+        entry.message = await safeEditMessage(
+          entry.message,
+          channel as unknown as TextBasedChannel,
+          { embeds: [embed] },
+          {
+            label: this._label,
+            onRecreate: (msg: Message) => {
+              entry.message = msg;
+              this._saveMirrorMessageIds();
+            },
+          },
+        );
+      } catch (err: unknown) {
+        const msg = err instanceof Error ? err.message : String(err);
+        this._log.warn(`Could not update status in mirror channel ${target.channelId}:`, msg);
+      }
+    }
+  }
+
+  /** This instance seen through a config whose locale is `locale` — for the embed builders. */
+  _inLocale(locale: string): this {
+    const config = Object.create(this._config, { locale: { value: locale } }) as ConfigType;
+    return Object.create(this, { _config: { value: config } }) as this;
+  }
+
+  _loadMirrorMessageIds(): Record<string, string> {
+    try {
+      if (this._db) {
+        return this._db.botState.getStateJSON('msg_id_server_status_mirrors', {}) as Record<string, string>;
+      }
+    } catch {}
+    return {};
+  }
+
+  _saveMirrorMessageIds() {
+    try {
+      if (this._db) {
+        const ids: Record<string, string> = {};
+        for (const [channelId, entry] of this._mirrorMessages) ids[channelId] = entry.message.id;
+        this._db.botState.setStateJSON('msg_id_server_status_mirrors', ids);
+      }
+    } catch {}
+  }
+
   async _update() {
     try {
       const [info, playerList] = await Promise.all([this._getServerInfo(), this._getPlayerList()]);
@@ -229,22 +324,24 @@ class ServerStatus {
       if (this.statusMessage) {
         // Skip Discord API call if embed content hasn't changed
         const contentKey = embedContentKey(embed);
-        if (contentKey === this._lastEmbedKey) return;
-        this._lastEmbedKey = contentKey;
-
-        this.statusMessage = await safeEditMessage(
-          this.statusMessage,
-          this.channel as import('discord.js').TextBasedChannel,
-          { embeds: [embed] },
-          {
-            label: this._label,
-            onRecreate: (msg: Message) => {
-              this.statusMessage = msg;
-              this._saveMessageId();
+        if (contentKey !== this._lastEmbedKey) {
+          this._lastEmbedKey = contentKey;
+
+          this.statusMessage = await safeEditMessage(
+            this.statusMessage,
+            this.channel as import('discord.js').TextBasedChannel,
+            { embeds: [embed] },
+            {
+              label: this._label,
+              onRecreate: (msg: Message) => {
+                this.statusMessage = msg;
+                this._saveMessageId();
+              },
             },
-          },
-        );
+          );
+        }
       }
+      await this._updateMirrors((view) => view._buildEmbed(info, playerList, resources));
     } catch (err: unknown) {
       const errMsg = err instanceof Error ? err.message : String(err);
       if (errMsg.includes('RCON not connected')) {
@@ -278,6 +375,7 @@ class ServerStatus {
             }
           }
         }
+        await this._updateMirrors((view) => view._buildOfflineEmbed());
       } else {
         this._log.error('Update error:', errMsg);
       }
@@ -0,0 +1,462 @@
+/**
+ * Webhook Dispatcher — outbound HTTP webhooks for third-party integrations.
+ *
+ * Admins register endpoints and subscribe them to event types (player
+ * join/leave, deaths, PvP kills, raids, builds, chat, anticheat flags and
+ * server restarts).  emit() writes one row per subscribed endpoint into the
+ * webhook_deliveries queue, so nothing is lost when the bot restarts or an
+ * endpoint is down.
+ *
+ * Each delivery is a JSON POST signed with the endpoint's secret:
+ *
+ *   X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>">
+ *   X-Webhook-Timestamp: <unix seconds>
+ *
+ * Non-2xx responses and network errors are retried with exponential backoff
+ * (30s, 1m, 2m … capped at 6h) until WEBHOOK_MAX_ATTEMPTS is reached; the
+ * delivery is then marked failed and can be retried by hand from the panel.
+ */
+
+import crypto from 'node:crypto';
+import _defaultConfig from '../config/index.js';
+import { createLogger, type Logger } from '../utils/log.js';
+import { errMsg } from '../utils/error.js';
+import { formatDbTimestampUtc } from '../db/timestamp.js';
+import type { HumanitZDB } from '../db/database.js';
+import type { LogEventEntry } from './log-watcher.js';
+import type { WebhookRow, WebhookDeliveryRow, WebhookDueRow } from '../db/repositories/webhook-repository.js';
+
+// ── Types ───────────────────────────────────────────────────────────────────
+
+type WebhookConfig = Pick<typeof _defaultConfig, 'webhookMaxAttempts' | 'webhookTimeout'>;
+
+/** Event types an endpoint can subscribe to. */
+export const WEBHOOK_EVENTS = [
+  'player.join',
+  'player.leave',
+  'player.death',
+  'player.pvp_kill',
+  'player.build',
+  'base.raid',
+  'chat.message',
+  'anticheat.flag',
+  'server.restart',
+] as const;
+
+export type WebhookEvent = (typeof WEBHOOK_EVENTS)[number];
+
+/** Sent only by sendTest(), regardless of subscriptions. */
+const TEST_EVENT = 'webhook.test';
+
+export type WebhookErrorCode = 'disabled' | 'invalid_url' | 'invalid_events' | 'not_found' | 'not_failed';
+
+export type WebhookResult<T> = { ok: true; value: T } | { ok: false; code: WebhookErrorCode };
+
+/** webhooks row with events decoded and the secret reduced to a hint. */
+export interface Webhook extends Omit<WebhookRow, 'events' | 'enabled' | 'secret'> {
+  events: string[];
+  enabled: boolean;
+  secret_hint: string;
+}
+
+export interface WebhookInput {
+  url?: string;
+  events?: string[];
+  description?: string;
+  enabled?: boolean;
+}
+
+type FetchLike = (url: string, init: RequestInit) => Promise<{ ok: boolean; status: number }>;
+
+const TICK_INTERVAL_MS = 15_000;
+/** Due deliveries fetched per endpoint each tick. */
+const ENDPOINT_BATCH_SIZE = 10;
+const BASE_DELAY_MS = 30_000;
+const MAX_DELAY_MS = 6 * 60 * 60_000;
+const RETENTION_MS = 7 * 24 * 60 * 60_000;
+const PURGE_INTERVAL_MS = 60 * 60_000;
+const MAX_URL_LENGTH = 500;
+const MAX_DESCRIPTION_LENGTH = 200;
+const MAX_ERROR_LENGTH = 300;
+
+/** Signature header value for a body sent at `timestamp` (unix seconds). */
+export function signPayload(secret: string, timestamp: number, body: string): string {
+  return (
+    'sha256=' +
+    crypto
+      .createHmac('sha256', secret)
+      .update(`${String(timestamp)}.${body}`)
+      .digest('hex')
+  );
+}
+
+/** Delay before attempt `attempts + 1`, given `attempts` have failed. */
+export function retryDelayMs(attempts: number): number {
+  return Math.min(BASE_DELAY_MS * 2 ** Math.max(0, attempts - 1), MAX_DELAY_MS);
+}
+
+/** Map a LogWatcher event to a webhook event and its payload, or null if it is not forwarded. */
+export function fromLogEvent(entry: LogEventEntry): { event: WebhookEvent; data: Record<string, unknown> } | null {
+  const details = entry.details ?? {};
+  switch (entry.type) {
+    case 'player_death':
+      return {
+        event: 'player.death',
+        data: { player: entry.actorName ?? '', steamId: entry.steamId ?? null, cause: entry.item ?? '', details },
+      };
+    case 'player_death_pvp':
+      // LogWatcher logs PvP kills with the victim as actor and the killer as target
+      return {
+        event: 'player.pvp_kill',
+        data: { killer: entry.targetName ?? '', victim: entry.actorName ?? '', damage: details['damage'] ?? 0 },
+      };
+    case 'player_build':
+      return {
+        event: 'player.build',
+        data: { player: entry.actorName ?? '', steamId: entry.steamId ?? null, item: entry.item ?? '' },
+      };
+    case 'raid_damage':
+      return {
+        event: 'base.raid',
+        data: {
+          attacker: entry.actorName ?? '',
+          attackerSteamId: entry.steamId ?? null,
+          ownerSteamId: entry.targetSteamId ?? null,
+          building: entry.item ?? '',
+          destroyed: details['destroyed'] === true,
+        },
+      };
+    case 'anticheat_flag':
+      return {
+        event: 'anticheat.flag',
+        data: { player: entry.actorName ?? '', steamId: entry.steamId ?? null, detection: entry.item ?? '' },
+      };
+    default:
+      return null;
+  }
+}
+
+function _parseEvents(raw: string): string[] {
+  try {
+    const parsed: unknown = JSON.parse(raw);
+    return Array.isArray(parsed) ? parsed.filter((e): e is string => typeof e === 'string') : [];
+  } catch {
+    return [];
+  }
+}
+
+// ── WebhookDispatcher class ─────────────────────────────────────────────────
+
+class WebhookDispatcher {
+  private _db: HumanitZDB | null = null;
+  private _config: WebhookConfig = _defaultConfig;
+  private _fetch: FetchLike = (url, init) => fetch(url, init);
+  private _log: Logger;
+  private _interval: ReturnType<typeof setInterval> | null = null;
+  private _autoTick = false;
+  private _kickPending = false;
+  private _lastPurge = 0;
+  private _ticking = false;
+  private _active = false;
+
+  constructor(opts: { label?: string } = {}) {
+    this._log = createLogger(opts.label, 'WEBHOOKS');
+  }
+
+  // ── Lifecycle ──────────────────────────────────────────────
+
+  /** Attach dependencies and start the delivery tick. */
+  start(
+    opts: {
+      db?: HumanitZDB | null;
+      config?: WebhookConfig;
+      /** HTTP client — tests pass a fake. */
+      fetch?: FetchLike;
+      /** Disable the interval and the post-emit kick (tests drive tick() directly). */
+      autoTick?: boolean;
+    } = {},
+  ): void {
+    this._db = opts.db ?? null;
+    if (opts.config) this._config = opts.config;
+    if (opts.fetch) this._fetch = opts.fetch;
+    this._active = !!this._db;
+    this._autoTick = opts.autoTick !== false;
+    if (this._active && this._autoTick && !this._interval) {
+      this._interval = setInterval(() => {
+        void this.tick();
+      }, TICK_INTERVAL_MS);
+      this._interval.unref();
+      void this.tick();
+    }
+  }
+
+  stop(): void {
+    if (this._interval) {
+      clearInterval(this._interval);
+      this._interval = null;
+    }
+    this._active = false;
+  }
+
+  /** Whether webhooks are running (ENABLE_WEBHOOKS on and a DB attached). */
+  isActive(): boolean {
+    return this._active;
+  }
+
+  /**
+   * Deliver everything that is due, then purge old finished deliveries once an
+   * hour.  Each endpoint gets its own capped batch and they are delivered to
+   * concurrently, one request in flight per endpoint, so a slow or dead
+   * endpoint only holds up its own queue.
+   */
+  async tick(now: Date = new Date()): Promise<number> {
+    if (!this._db || !this._active || this._ticking) return 0;
+    this._ticking = true;
+    let sent = 0;
+    try {
+      const byEndpoint = new Map<number, WebhookDueRow[]>();
+      for (const row of this._db.webhooks.getDue(formatDbTimestampUtc(now), ENDPOINT_BATCH_SIZE)) {
+        const queue = byEndpoint.get(row.webhook_id);
+        if (queue) queue.push(row);
+        else byEndpoint.set(row.webhook_id, [row]);
+      }
+      const counts = await Promise.all([...byEndpoint.values()].map((rows) => this._deliverQueue(rows, now)));
+      for (const n of counts) sent += n;
+      if (now.getTime() - this._lastPurge >= PURGE_INTERVAL_MS) {
+        this._lastPurge = now.getTime();
+        const purged = this._db.webhooks.purgeFinished(formatDbTimestampUtc(new Date(now.getTime() - RETENTION_MS)));
+        if (purged > 0) this._log.info(`Purged ${String(purged)} old deliveries`);
+      }
+    } catch (err: unknown) {
+      this._log.error('Tick failed:', errMsg(err));
+    } finally {
+      this._ticking = false;
+    }
+    return sent;
+  }
+
+  // ── Events ─────────────────────────────────────────────────
+
+  /** Queue `event` for every enabled endpoint subscribed to it. Returns how many deliveries were queued. */
+  emit(event: WebhookEvent, data: Record<string, unknown>, now: Date = new Date()): number {
+    if (!this._db || !this._active) return 0;
+    let queued = 0;
+    try {
+      for (const row of this._db.webhooks.getWebhooks()) {
+        if (!row.enabled) continue;
+        const events = _parseEvents(row.events);
+        if (!events.includes('*') && !events.includes(event)) continue;
+        this._enqueue(row.id, event, data, now);
+        queued++;
+      }
+    } catch (err: unknown) {
+      this._log.error(`Queueing ${event} failed:`, errMsg(err));
+    }
+    if (queued > 0) this._kick();
+    return queued;
+  }
+
+  /** Forward a LogWatcher event if it maps to a webhook event. */
+  onLogEvent(entry: LogEventEntry): void {
+    const mapped = fromLogEvent(entry);
+    if (mapped) this.emit(mapped.event, mapped.data);
+  }
+
+  // ── Endpoints ──────────────────────────────────────────────
+
+  getWebhooks(): Webhook[] {
+    if (!this._db) return [];
+    return this._db.webhooks.getWebhooks().map((row) => this._decode(row));
+  }
+
+  getWebhook(id: number): Webhook | null {
+    const row = this._db?.webhooks.getWebhook(id);
+    return row ? this._decode(row) : null;
+  }
+
+  /** A webhook's most recent deliveries, newest first. */
+  getDeliveries(webhookId: number, limit = 50): WebhookDeliveryRow[] {
+    if (!this._db) return [];
+    return this._db.webhooks.getDeliveries(webhookId, limit);
+  }
+
+  /** Register an endpoint. The generated secret is only returned here. */
+  createWebhook(
+    input: WebhookInput,
+    createdBy: string,
+    now: Date = new Date(),
+  ): WebhookResult<{ webhook: Webhook; secret: string }> {
+    if (!this._db || !this._active) return { ok: false, code: 'disabled' };
+    const url = this._checkUrl(input.url ?? '');
+    if (!url) return { ok: false, code: 'invalid_url' };
+    const events = this._checkEvents(input.events ?? []);
+    if (!events) return { ok: false, code: 'invalid_events' };
+
+    const secret = crypto.randomBytes(24).toString('hex');
+    const id = this._db.webhooks.createWebhook(
+      {
+        url,
+        secret,
+        events,
+        description: (input.description ?? '').trim().slice(0, MAX_DESCRIPTION_LENGTH),
+        createdBy,
+      },
+      formatDbTimestampUtc(now),
+    );
+    this._log.info(`Webhook #${String(id)} registered by ${createdBy}: ${url} (${events.join(', ')})`);
+    const webhook = this.getWebhook(id);
+    return webhook ? { ok: true, value: { webhook, secret } } : { ok: false, code: 'not_found' };
+  }
+
+  /** Change an endpoint's URL, subscriptions, description or enabled flag. */
+  updateWebhook(id: number, input: WebhookInput): WebhookResult<Webhook> {
+    if (!this._db || !this._active) return { ok: false, code: 'disabled' };
+    const current = this.getWebhook(id);
+    if (!current) return { ok: false, code: 'not_found' };
+    const url = input.url === undefined ? current.url : this._checkUrl(input.url);
+    if (!url) return { ok: false, code: 'invalid_url' };
+    const events = input.events === undefined ? current.events : this._checkEvents(input.events);
+    if (!events) return { ok: false, code: 'invalid_events' };
+
+    this._db.webhooks.updateWebhook(id, {
+      url,
+      events,
+      description:
+        input.description === undefined
+          ? current.description
+          : input.description.trim().slice(0, MAX_DESCRIPTION_LENGTH),
+      enabled: input.enabled ?? current.enabled,
+    });
+    const webhook = this.getWebhook(id);
+    return webhook ? { ok: true, value: webhook } : { ok: false, code: 'not_found' };
+  }
+
+  /** Remove an endpoint and its delivery history. */
+  deleteWebhook(id: number): WebhookResult<{ id: number }> {
+    if (!this._db || !this._active) return { ok: false, code: 'disabled' };
+    if (!this._db.webhooks.deleteWebhook(id)) return { ok: false, code: 'not_found' };
+    this._log.info(`Webhook #${String(id)} deleted`);
+    return { ok: true, value: { id } };
+  }
+
+  /** Queue a `webhook.test` ping for one endpoint. Returns the delivery id. */
+  sendTest(id: number, now: Date = new Date()): WebhookResult<{ deliveryId: number }> {
+    if (!this._db || !this._active) return { ok: false, code: 'disabled' };
+    if (!this._db.webhooks.getWebhook(id)) return { ok: false, code: 'not_found' };
+    const deliveryId = this._enqueue(id, TEST_EVENT, { message: 'Test delivery' }, now);
+    this._kick();
+    return { ok: true, value: { deliveryId } };
+  }
+
+  /** Put a failed delivery back in the queue with a fresh attempt budget. */
+  retryDelivery(deliveryId: number, now: Date = new Date()): WebhookResult<WebhookDeliveryRow> {
+    if (!this._db || !this._active) return { ok: false, code: 'disabled' };
+    if (!this._db.webhooks.getDelivery(deliveryId)) return { ok: false, code: 'not_found' };
+    if (!this._db.webhooks.requeue(deliveryId, formatDbTimestampUtc(now))) return { ok: false, code: 'not_failed' };
+    this._kick();
+    const row = this._db.webhooks.getDelivery(deliveryId);
+    return row ? { ok: true, value: row } : { ok: false, code: 'not_found' };
+  }
+
+  // ── Internals ──────────────────────────────────────────────
+
+  private _enqueue(webhookId: number, event: string, data: Record<string, unknown>, now: Date): number {
+    if (!this._db) return 0;
+    const body = JSON.stringify({ id: crypto.randomUUID(), event, timestamp: now.toISOString(), data });
+    return this._db.webhooks.enqueue(webhookId, event, body, formatDbTimestampUtc(now));
+  }
+
+  /** Deliver soon after an emit instead of waiting for the next interval. */
+  private _kick(): void {
+    if (!this._autoTick || this._kickPending) return;
+    this._kickPending = true;
+    setImmediate(() => {
+      this._kickPending = false;
+      void this.tick();
+    });
+  }
+
+  /**
+   * Deliver one endpoint's due rows in order.  Stops at the first failure —
+   * the rest stay pending for the next tick instead of each waiting out the
+   * timeout.  Returns how many were delivered.
+   */
+  private async _deliverQueue(rows: WebhookDueRow[], now: Date): Promise<number> {
+    let sent = 0;
+    for (const row of rows) {
+      if (!(await this._deliver(row, now))) break;
+      sent++;
+    }
+    return sent;
+  }
+
+  /** POST one delivery and record the outcome. Returns true on a 2xx response. */
+  private async _deliver(row: WebhookDueRow, now: Date): Promise<boolean> {
+    if (!this._db) return false;
+    const timestamp = Math.floor(now.getTime() / 1000);
+    let status: number | null = null;
+    let error: string;
+    try {
+      const res = await this._fetch(row.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'HumanitZ-Bot-Webhooks',
+          'X-Webhook-Event': row.event,
+          'X-Webhook-Delivery': String(row.id),
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': signPayload(row.secret, timestamp, row.payload),
+        },
+        body: row.payload,
+        signal: AbortSignal.timeout(this._config.webhookTimeout * 1000),
+      });
+      status = res.status;
+      if (res.ok) {
+        this._db.webhooks.markDelivered(row.id, res.status, formatDbTimestampUtc(now));
+        return true;
+      }
+      error = `HTTP ${String(res.status)}`;
+    } catch (err: unknown) {
+      error = errMsg(err).slice(0, MAX_ERROR_LENGTH);
+    }
+
+    const attempts = row.attempts + 1;
+    if (attempts >= this._config.webhookMaxAttempts) {
+      this._db.webhooks.markFailed(row.id, status, error);
+      this._log.warn(`Delivery #${String(row.id)} (${row.event}) to ${row.url} failed for good: ${error}`);
+    } else {
+      const next = new Date(now.getTime() + retryDelayMs(attempts));
+      this._db.webhooks.markRetry(row.id, status, error, formatDbTimestampUtc(next));
+    }
+    return false;
+  }
+
+  private _checkUrl(raw: string): string | null {
+    const url = raw.trim();
+    if (!url || url.length > MAX_URL_LENGTH) return null;
+    try {
+      const parsed = new URL(url);
+      return parsed.protocol === 'https:' || parsed.protocol === 'http:' ? url : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /** Deduplicated subscriptions if every entry is a known event (or '*'), else null. */
+  private _checkEvents(events: string[]): string[] | null {
+    const unique = [...new Set(events.map((e) => e.trim()))];
+    if (unique.length === 0) return null;
+    const known = new Set<string>(['*', ...WEBHOOK_EVENTS]);
+    return unique.every((e) => known.has(e)) ? unique : null;
+  }
+
+  private _decode(row: WebhookRow): Webhook {
+    const { secret, events, enabled, ...rest } = row;
+    return { ...rest, events: _parseEvents(events), enabled: enabled === 1, secret_hint: `…${secret.slice(-4)}` };
+  }
+}
+
+// Singleton — shared by index.ts wiring and the web panel
+const _singleton = new WebhookDispatcher();
+export default _singleton;
+export { WebhookDispatcher };
@@ -0,0 +1,715 @@
+/**
+ * Whitelist Manager — application and approval workflow on top of the game's
+ * native whitelist (`whitelist` / `removewhitelist` / `fetchwhitelist`).
+ *
+ * Players apply with `/whitelist apply` (a modal asking for their SteamID and
+ * the WHITELIST_QUESTIONS).  Each application is posted to
+ * WHITELIST_CHANNEL_ID with Approve / Trial / Deny buttons; mods can also
+ * review from the panel's Players tab.  Approvals push `whitelist <steamId>`
+ * to every selected server (WHITELIST_SERVERS — the primary server and the
+ * MultiServerManager instances, all of them when empty).
+ *
+ * whitelist_members is the source of truth.  Every
+ * WHITELIST_RECONCILE_INTERVAL minutes each server's `fetchwhitelist` output
+ * is compared with it and drift is repaired:
+ *
+ *   - members missing from a server are whitelisted again
+ *   - entries the bot took away (removed, expired) are removed again
+ *   - anything else was added by hand in the console and is imported
+ *
+ * Trial approvals expire after WHITELIST_TRIAL_DAYS.  Every change is written
+ * to whitelist_history together with who made it.
+ */
+
+import { ActionRowBuilder, ButtonBuilder, ButtonStyle, EmbedBuilder, type Client, type TextChannel } from 'discord.js';
+import { t, getLocale } from '../i18n/index.js';
+import { createLogger, type Logger } from '../utils/log.js';
+import { errMsg } from '../utils/error.js';
+import _defaultConfig from '../config/index.js';
+import { COMMANDS, type RconTarget } from '../rcon/server-info.js';
+import { formatDbTimestampUtc, parseDbTimestampUtc } from '../db/timestamp.js';
+import type { HumanitZDB } from '../db/database.js';
+import type {
+  WhitelistAction,
+  WhitelistApplicationRow,
+  WhitelistMemberRow,
+} from '../db/repositories/whitelist-repository.js';
+
+// ── Types ───────────────────────────────────────────────────────────────────
+
+type WhitelistConfig = Pick<
+  typeof _defaultConfig,
+  | 'whitelistChannelId'
+  | 'whitelistServers'
+  | 'whitelistQuestions'
+  | 'whitelistTrialDays'
+  | 'whitelistReconcileInterval'
+  | 'locale'
+>;
+
+/** A game server the whitelist is pushed to. */
+export type WhitelistTarget = RconTarget;
+
+export interface WhitelistActor {
+  id: string;
+  name: string;
+}
+
+export type WhitelistErrorCode =
+  | 'disabled'
+  | 'invalid_steam_id'
+  | 'unknown_player'
+  | 'already_pending'
+  | 'already_whitelisted'
+  | 'not_found'
+  | 'wrong_status'
+  | 'not_member'
+  | 'no_servers';
+
+export type WhitelistResult<T> = { ok: true; value: T } | { ok: false; code: WhitelistErrorCode };
+
+export interface WhitelistAnswer {
+  question: string;
+  answer: string;
+}
+
+/** whitelist_applications row with answers decoded. */
+export interface WhitelistApplication extends Omit<WhitelistApplicationRow, 'answers'> {
+  answers: WhitelistAnswer[];
+}
+
+/** whitelist_members row with servers decoded. */
+export interface WhitelistMember extends Omit<WhitelistMemberRow, 'servers'> {
+  servers: string[];
+}
+
+/** Outcome of one RCON push. */
+export interface WhitelistPush {
+  serverId: string;
+  ok: boolean;
+  error?: string;
+}
+
+export interface ApplyRequest {
+  discordId: string;
+  discordName?: string;
+  steamId: string;
+  answers?: WhitelistAnswer[];
+}
+
+export interface ApproveOptions {
+  /** Days until the approval expires — omit (or 0) for a permanent member. */
+  trialDays?: number | null;
+  /** Server ids to whitelist on. Defaults to WHITELIST_SERVERS. */
+  servers?: string[];
+  note?: string;
+}
+
+export interface ReconcileSummary {
+  checked: number;
+  added: number;
+  removed: number;
+  imported: number;
+  failed: string[];
+}
+
+const TICK_INTERVAL_MS = 60_000;
+const STEAM_ID_RE = /^\d{17}$/;
+const STEAM_ID_SCAN_RE = /\b\d{17}\b/g;
+const MAX_ANSWER_LENGTH = 1000;
+const MAX_TRIAL_DAYS = 365;
+/** Actions after which an entry on a server is drift to be removed again. */
+const REMOVED_ACTIONS: readonly WhitelistAction[] = ['removed', 'expired'];
+/** Actor recorded for reconciler and expiry changes. */
+const SYSTEM_ACTOR: WhitelistActor = { id: 'system', name: 'Reconciler' };
+
+function _parseList(raw: string | null): unknown[] {
+  if (!raw) return [];
+  try {
+    const parsed: unknown = JSON.parse(raw);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+/** SteamIDs listed in `fetchwhitelist` output — the format varies by build, so just scan for IDs. */
+export function parseWhitelist(raw: string | null | undefined): Set<string> {
+  return new Set((raw ?? '').match(STEAM_ID_SCAN_RE) ?? []);
+}
+
+// ── WhitelistManager class ──────────────────────────────────────────────────
+
+class WhitelistManager {
+  private _db: HumanitZDB | null = null;
+  private _client: Client | null = null;
+  private _config: WhitelistConfig = _defaultConfig;
+  private _getTargets: () => WhitelistTarget[] = () => [];
+  private _log: Logger;
+  private _interval: ReturnType<typeof setInterval> | null = null;
+  private _lastReconcile = 0;
+  private _reconciling = false;
+  private _active = false;
+
+  constructor(opts: { label?: string } = {}) {
+    this._log = createLogger(opts.label, 'WHITELIST');
+  }
+
+  // ── Lifecycle ──────────────────────────────────────────────
+
+  /** Attach dependencies and start the expiry / reconcile tick. */
+  start(
+    opts: {
+      db?: HumanitZDB | null;
+      client?: Client | null;
+      config?: WhitelistConfig;
+      /** Every server the bot can reach — resolved per call so late-starting instances are included. */
+      getTargets?: () => WhitelistTarget[];
+      /** Disable the interval (tests drive tick() directly). */
+      autoTick?: boolean;
+    } = {},
+  ): void {
+    this._db = opts.db ?? null;
+    this._client = opts.client ?? null;
+    if (opts.config) this._config = opts.config;
+    if (opts.getTargets) this._getTargets = opts.getTargets;
+    this._lastReconcile = 0;
+    this._active = !!this._db;
+    if (this._active && opts.autoTick !== false && !this._interval) {
+      this._interval = setInterval(() => {
+        void this.tick();
+      }, TICK_INTERVAL_MS);
+      this._interval.unref();
+      void this.tick();
+    }
+  }
+
+  stop(): void {
+    if (this._interval) {
+      clearInterval(this._interval);
+      this._interval = null;
+    }
+    this._active = false;
+  }
+
+  /** Whether the workflow is running (ENABLE_WHITELIST on and a DB attached). */
+  isActive(): boolean {
+    return this._active;
+  }
+
+  /** Expire trial members, then reconcile if WHITELIST_RECONCILE_INTERVAL has passed. */
+  async tick(now: Date = new Date()): Promise<void> {
+    if (!this._active) return;
+    try {
+      await this.expireDue(now);
+      const interval = this._config.whitelistReconcileInterval * 60_000;
+      if (interval > 0 && now.getTime() - this._lastReconcile >= interval) {
+        this._lastReconcile = now.getTime();
+        await this.reconcile();
+      }
+    } catch (err: unknown) {
+      this._log.error('Tick failed:', errMsg(err));
+    }
+  }
+
+  // ── Queries ────────────────────────────────────────────────
+
+  getApplication(id: number): WhitelistApplication | null {
+    const row = this._db?.whitelist.getApplication(id);
+    return row ? this._decodeApplication(row) : null;
+  }
+
+  getPending(limit = 50): WhitelistApplication[] {
+    if (!this._db) return [];
+    return this._db.whitelist.getPending(limit).map((row) => this._decodeApplication(row));
+  }
+
+  getRecentApplications(limit = 25): WhitelistApplication[] {
+    if (!this._db) return [];
+    return this._db.whitelist.getRecentApplications(limit).map((row) => this._decodeApplication(row));
+  }
+
+  getMember(steamId: string): WhitelistMember | null {
+    const row = this._db?.whitelist.getMember(steamId);
+    return row ? this._decodeMember(row) : null;
+  }
+
+  getMembers(): WhitelistMember[] {
+    if (!this._db) return [];
+    return this._db.whitelist.getMembers().map((row) => this._decodeMember(row));
+  }
+
+  getHistory(limit = 50, steamId: string | null = null) {
+    if (!this._db) return [];
+    return this._db.whitelist.getHistory(limit, steamId);
+  }
+
+  /** The server ids approvals go to by default, with display names. */
+  getServers(): Array<{ id: string; name: string }> {
+    return this._selectedTargets().map((target) => ({ id: target.id, name: target.name }));
+  }
+
+  /** The newest application by a Discord user, or null. */
+  getLatestForDiscordId(discordId: string): WhitelistApplication | null {
+    if (!this._db) return null;
+    const row = this._db.whitelist.getLatestForDiscordId(discordId);
+    return row ? this._decodeApplication(row) : null;
+  }
+
+  // ── Applications ───────────────────────────────────────────
+
+  /** File an application and post it to the review channel. */
+  async apply(req: ApplyRequest): Promise<WhitelistResult<WhitelistApplication>> {
+    if (!this._db || !this._active) return { ok: false, code: 'disabled' };
+    const steamId = req.steamId.trim();
+    if (!STEAM_ID_RE.test(steamId)) return { ok: false, code: 'invalid_steam_id' };
+    if (this._db.whitelist.getPendingForSteamId(steamId)) return { ok: false, code: 'already_pending' };
+    if (this._db.whitelist.getMember(steamId)) return { ok: false, code: 'already_whitelisted' };
+
+    const answers = (req.answers ?? []).map((a) => ({
+      question: a.question.slice(0, 100),
+      answer: a.answer.trim().slice(0, MAX_ANSWER_LENGTH),
+    }));
+    const id = this._db.whitelist.createApplication(req.discordId, req.discordName ?? '', steamId, answers);
+    this._db.whitelist.addHistory({
+      steamId,
+      action: 'applied',
+      actor: req.discordId,
+      actorName: req.discordName ?? '',
+    });
+    this._log.info(`Application #${String(id)} from ${req.discordName || req.discordId} (${steamId})`);
+
+    await this._postReview(id);
+    const app = this.getApplication(id);
+    return app ? { ok: true, value: app } : { ok: false, code: 'not_found' };
+  }
+
+  /** Approve a pending application and whitelist the player on the selected servers. */
+  async approve(
+    id: number,
+    reviewer: WhitelistActor,
+    opts: ApproveOptions = {},
+    now: Date = new Date(),
+  ): Promise<WhitelistResult<{ application: WhitelistApplication; member: WhitelistMember; pushes: WhitelistPush[] }>> {
+    if (!this._db || !this._active) return { ok: false, code: 'disabled' };
+    const app = this._db.whitelist.getApplication(id);
+    if (!app) return { ok: false, code: 'not_found' };
+    if (app.status !== 'pending') return { ok: false, code: 'wrong_status' };
+    const targets = this._selectedTargets(opts.servers);
+    if (targets.length === 0) return { ok: false, code: 'no_servers' };
+
+    const expiresAt = this._expiry(opts.trialDays, now);
+    const db = this._db;
+    const reviewed = db.transaction(() => {
+      if (!db.whitelist.reviewApplication(id, 'approved', reviewer, opts.note ?? '', formatDbTimestampUtc(now))) {
+        return false;
+      }
+      db.whitelist.upsertMember({
+        steamId: app.steam_id,
+        discordId: app.discord_id,
+        servers: targets.map((target) => target.id),
+        applicationId: id,
+        addedBy: reviewer.id,
+        addedByName: reviewer.name,
+        expiresAt,
+      });
+      return true;
+    });
+    if (!reviewed) return { ok: false, code: 'wrong_status' };
+
+    const pushes = await this._push(`${COMMANDS.WHITELIST} ${app.steam_id}`, targets);
+    db.whitelist.addHistory({
+      steamId: app.steam_id,
+      action: 'approved',
+      actor: reviewer.id,
+      actorName: reviewer.name,
+      details: this._describe(`#${String(id)}`, expiresAt, pushes),
+    });
+    this._log.info(
+      `Application #${String(id)} approved by ${reviewer.name}${expiresAt ? ` (trial until ${expiresAt})` : ''}`,
+    );
+
+    await this._updateReview(id);
+    const days = expiresAt ? this._trialDays(opts.trialDays) : 0;
+    await this._dm(
+      app.discord_id,
+      days
+        ? t('discord:whitelist.dm_trial', this._locale(), { days })
+        : t('discord:whitelist.dm_approved', this._locale()),
+    );
+
+    const application = this.getApplication(id);
+    const member = this.getMember(app.steam_id);
+    if (!application || !member) return { ok: false, code: 'not_found' };
+    return { ok: true, value: { application, member, pushes } };
+  }
+
+  /** Deny a pending application. */
+  async deny(
+    id: number,
+    reviewer: WhitelistActor,
+    note = '',
+    now: Date = new Date(),
+  ): Promise<WhitelistResult<WhitelistApplication>> {
+    if (!this._db || !this._active) return { ok: false, code: 'disabled' };
+    const app = this._db.whitelist.getApplication(id);
+    if (!app) return { ok: false, code: 'not_found' };
+    if (!this._db.whitelist.reviewApplication(id, 'denied', reviewer, note, formatDbTimestampUtc(now))) {
+      return { ok: false, code: 'wrong_status' };
+    }
+    this._db.whitelist.addHistory({
+      steamId: app.steam_id,
+      action: 'denied',
+      actor: reviewer.id,
+      actorName: reviewer.name,
+      details: note ? `#${String(id)} — ${note}` : `#${String(id)}`,
+    });
+    this._log.info(`Application #${String(id)} denied by ${reviewer.name}`);
+
+    await this._updateReview(id);
+    await this._dm(
+      app.discord_id,
+      note
+        ? t('discord:whitelist.dm_denied_note', this._locale(), { note })
+        : t('discord:whitelist.dm_denied', this._locale()),
+    );
+    const application = this.getApplication(id);
+    return application ? { ok: true, value: application } : { ok: false, code: 'not_found' };
+  }
+
+  // ── Members ────────────────────────────────────────────────
+
+  /** Whitelist a player directly (no application). Replaces an existing entry's servers and expiry. */
+  async addMember(
+    nameOrId: string,
+    actor: WhitelistActor,
+    opts: ApproveOptions = {},
+    now: Date = new Date(),
+  ): Promise<WhitelistResult<{ member: WhitelistMember; pushes: WhitelistPush[] }>> {
+    if (!this._db || !this._active) return { ok: false, code: 'disabled' };
+    const steamId = this._resolveSteamId(nameOrId);
+    if (!steamId) return { ok: false, code: STEAM_ID_RE.test(nameOrId) ? 'invalid_steam_id' : 'unknown_player' };
+    const targets = this._selectedTargets(opts.servers);
+    if (targets.length === 0) return { ok: false, code: 'no_servers' };
+
+    const expiresAt = this._expiry(opts.trialDays, now);
+    const existing = this._db.whitelist.getMember(steamId);
+    this._db.whitelist.upsertMember({
+      steamId,
+      discordId: existing?.discord_id ?? '',
+      servers: targets.map((target) => target.id),
+      applicationId: existing?.application_id ?? null,
+      addedBy: actor.id,
+      addedByName: actor.name,
+      expiresAt,
+    });
+    const pushes = await this._push(`${COMMANDS.WHITELIST} ${steamId}`, targets);
+    this._db.whitelist.addHistory({
+      steamId,
+      action: 'added',
+      actor: actor.id,
+      actorName: actor.name,
+      details: this._describe(opts.note ?? '', expiresAt, pushes),
+    });
+    this._log.info(`${steamId} whitelisted by ${actor.name}`);
+
+    const member = this.getMember(steamId);
+    return member ? { ok: true, value: { member, pushes } } : { ok: false, code: 'not_found' };
+  }
+
+  /** Take a member off the whitelist on every server they were pushed to. */
+  async removeMember(
+    nameOrId: string,
+    actor: WhitelistActor,
+    action: 'removed' | 'expired' = 'removed',
+  ): Promise<WhitelistResult<{ member: WhitelistMember; pushes: WhitelistPush[] }>> {
+    if (!this._db || !this._active) return { ok: false, code: 'disabled' };
+    const steamId = this._resolveSteamId(nameOrId);
+    const row = steamId ? this._db.whitelist.getMember(steamId) : null;
+    if (!row) return { ok: false, code: 'not_member' };
+    const member = this._decodeMember(row);
+
+    this._db.whitelist.removeMember(member.steam_id);
+    const targets = this._getTargets().filter((target) => member.servers.includes(target.id));
+    const pushes = await this._push(`${COMMANDS.REMOVE_WHITELIST} ${member.steam_id}`, targets);
+    this._db.whitelist.addHistory({
+      steamId: member.steam_id,
+      action,
+      actor: actor.id,
+      actorName: actor.name,
+      details: this._describe('', null, pushes),
+    });
+    this._log.info(`${member.player_name} (${member.steam_id}) ${action} by ${actor.name}`);
+    if (action === 'expired' && member.discord_id) {
+      await this._dm(member.discord_id, t('discord:whitelist.dm_expired', this._locale()));
+    }
+    return { ok: true, value: { member, pushes } };
+  }
+
+  /** Remove trial members whose expiry has passed. Returns how many expired. */
+  async expireDue(now: Date = new Date()): Promise<number> {
+    if (!this._db || !this._active) return 0;
+    let expired = 0;
+    for (const row of this._db.whitelist.getExpired(formatDbTimestampUtc(now))) {
+      const res = await this.removeMember(row.steam_id, SYSTEM_ACTOR, 'expired');
+      if (res.ok) expired++;
+    }
+    return expired;
+  }
+
+  // ── Reconciler ─────────────────────────────────────────────
+
+  /** Compare each server's `fetchwhitelist` with whitelist_members and repair drift. */
+  async reconcile(): Promise<ReconcileSummary> {
+    const summary: ReconcileSummary = { checked: 0, added: 0, removed: 0, imported: 0, failed: [] };
+    if (!this._db || !this._active || this._reconciling) return summary;
+    this._reconciling = true;
+    try {
+      for (const target of this._selectedTargets()) {
+        let listed: Set<string>;
+        try {
+          listed = parseWhitelist(await target.send(COMMANDS.FETCH_WHITELIST));
+        } catch (err: unknown) {
+          this._log.warn(`fetchwhitelist failed on ${target.name}:`, errMsg(err));
+          summary.failed.push(target.id);
+          continue;
+        }
+        summary.checked++;
+        await this._reconcileTarget(target, listed, summary);
+      }
+      if (summary.added > 0 || summary.removed > 0 || summary.imported > 0) {
+        this._log.info(
+          `Reconciled: +${String(summary.added)} / -${String(summary.removed)} / ${String(summary.imported)} imported`,
+        );
+      }
+    } finally {
+      this._reconciling = false;
+    }
+    return summary;
+  }
+
+  // ── Discord review messages ────────────────────────────────
+
+  /** Review embed + buttons for an application (buttons only while pending). */
+  buildReviewMessage(app: WhitelistApplication): {
+    embeds: EmbedBuilder[];
+    components: ActionRowBuilder<ButtonBuilder>[];
+  } {
+    const locale = this._locale();
+    const color = app.status === 'approved' ? 0x2ecc71 : app.status === 'denied' ? 0xe74c3c : 0xf1c40f;
+    const embed = new EmbedBuilder()
+      .setTitle(t('discord:whitelist.review_title', locale, { id: app.id }))
+      .setColor(color)
+      .addFields(
+        { name: t('discord:whitelist.applicant', locale), value: `<@${app.discord_id}>`, inline: true },
+        { name: t('discord:whitelist.steam_id', locale), value: `\`${app.steam_id}\``, inline: true },
+      )
+      .setTimestamp(parseDbTimestampUtc(app.created_at) ?? new Date());
+    if (app.player_name && app.player_name !== app.steam_id) {
+      embed.addFields({ name: t('discord:whitelist.known_as', locale), value: app.player_name, inline: true });
+    }
+    for (const a of app.answers) {
+      embed.addFields({ name: a.question.slice(0, 256), value: a.answer.slice(0, 1024) || '—' });
+    }
+    if (app.status !== 'pending') {
+      const status = t(`discord:whitelist.status_${app.status}`, locale, { reviewer: app.reviewed_by_name || '?' });
+      embed.addFields({ name: t('discord:whitelist.status', locale), value: status });
+      if (app.review_note) embed.addFields({ name: t('discord:whitelist.note', locale), value: app.review_note });
+      return { embeds: [embed], components: [] };
+    }
+
+    const row = new ActionRowBuilder<ButtonBuilder>().addComponents(
+      new ButtonBuilder()
+        .setCustomId(`whitelist_review:approve:${String(app.id)}`)
+        .setLabel(t('discord:whitelist.approve', locale))
+        .setStyle(ButtonStyle.Success),
+      new ButtonBuilder()
+        .setCustomId(`whitelist_review:trial:${String(app.id)}`)
+        .setLabel(t('discord:whitelist.trial', locale, { days: this._config.whitelistTrialDays }))
+        .setStyle(ButtonStyle.Primary)
+        .setDisabled(this._config.whitelistTrialDays <= 0),
+      new ButtonBuilder()
+        .setCustomId(`whitelist_review:deny:${String(app.id)}`)
+        .setLabel(t('discord:whitelist.deny', locale))
+        .setStyle(ButtonStyle.Danger),
+    );
+    return { embeds: [embed], components: [row] };
+  }
+
+  // ── Internals ──────────────────────────────────────────────
+
+  private async _reconcileTarget(target: WhitelistTarget, listed: Set<string>, summary: ReconcileSummary) {
+    if (!this._db) return;
+    const members = this.getMembers();
+    const wanted = new Set(members.filter((m) => m.servers.includes(target.id)).map((m) => m.steam_id));
+
+    for (const steamId of wanted) {
+      if (listed.has(steamId)) continue;
+      const [push] = await this._push(`${COMMANDS.WHITELIST} ${steamId}`, [target]);
+      if (!push?.ok) continue;
+      summary.added++;
+      this._repairHistory(steamId, target, 'repaired', 'added back');
+    }
+
+    for (const steamId of listed) {
+      if (wanted.has(steamId)) continue;
+      const member = members.find((m) => m.steam_id === steamId);
+      const last = this._db.whitelist.getLastAction(steamId, target.id);
+      if (!member && last && REMOVED_ACTIONS.includes(last)) {
+        const [push] = await this._push(`${COMMANDS.REMOVE_WHITELIST} ${steamId}`, [target]);
+        if (!push?.ok) continue;
+        summary.removed++;
+        this._repairHistory(steamId, target, 'repaired', 'removed again');
+        continue;
+      }
+      // Added by hand in the console — adopt it so the DB matches the server
+      this._db.whitelist.upsertMember({
+        steamId,
+        discordId: member?.discord_id ?? '',
+        servers: [...(member?.servers ?? []), target.id],
+        applicationId: member?.application_id ?? null,
+        addedBy: member?.added_by ?? SYSTEM_ACTOR.id,
+        addedByName: member?.added_by_name ?? SYSTEM_ACTOR.name,
+        expiresAt: member?.expires_at ?? null,
+      });
+      summary.imported++;
+      this._repairHistory(steamId, target, 'imported', 'found in fetchwhitelist');
+    }
+  }
+
+  private _repairHistory(steamId: string, target: WhitelistTarget, action: WhitelistAction, details: string) {
+    this._db?.whitelist.addHistory({
+      steamId,
+      action,
+      actor: SYSTEM_ACTOR.id,
+      actorName: SYSTEM_ACTOR.name,
+      serverId: target.id,
+      details,
+    });
+  }
+
+  /** Send one command to each target; failures are collected, never thrown. */
+  private async _push(command: string, targets: WhitelistTarget[]): Promise<WhitelistPush[]> {
+    const pushes: WhitelistPush[] = [];
+    for (const target of targets) {
+      try {
+        await target.send(command);
+        pushes.push({ serverId: target.id, ok: true });
+      } catch (err: unknown) {
+        this._log.warn(`"${command}" failed on ${target.name}:`, errMsg(err));
+        pushes.push({ serverId: target.id, ok: false, error: errMsg(err) });
+      }
+    }
+    return pushes;
+  }
+
+  /** Targets limited to `servers` (or WHITELIST_SERVERS); empty selection = every server. */
+  private _selectedTargets(servers?: string[]): WhitelistTarget[] {
+    const all = this._getTargets();
+    const wanted = servers && servers.length > 0 ? servers : this._config.whitelistServers;
+    if (wanted.length === 0) return all;
+    return all.filter((target) => wanted.includes(target.id));
+  }
+
+  private _trialDays(days: number | null | undefined): number {
+    return Math.min(MAX_TRIAL_DAYS, Math.max(0, Math.floor(days ?? 0)));
+  }
+
+  private _expiry(trialDays: number | null | undefined, now: Date): string | null {
+    const days = this._trialDays(trialDays);
+    return days > 0 ? formatDbTimestampUtc(new Date(now.getTime() + days * 86_400_000)) : null;
+  }
+
+  /** History details: a prefix, the trial expiry and any servers the push failed on. */
+  private _describe(prefix: string, expiresAt: string | null, pushes: WhitelistPush[]): string {
+    const parts = prefix ? [prefix] : [];
+    if (expiresAt) parts.push(`trial until ${expiresAt}`);
+    const failed = pushes.filter((p) => !p.ok).map((p) => p.serverId);
+    if (failed.length > 0) parts.push(`failed on ${failed.join(', ')}`);
+    return parts.join(' · ');
+  }
+
+  private _resolveSteamId(nameOrId: string): string | null {
+    if (!this._db || !nameOrId) return null;
+    const query = nameOrId.trim();
+    if (STEAM_ID_RE.test(query)) return query;
+    try {
+      const hit = this._db.player.resolveNameToSteamId(query);
+      const steamId = typeof hit?.steamId === 'string' ? hit.steamId : '';
+      return STEAM_ID_RE.test(steamId) ? steamId : null;
+    } catch {
+      return null;
+    }
+  }
+
+  private async _postReview(id: number): Promise<void> {
+    const app = this.getApplication(id);
+    const channel = await this._reviewChannel();
+    if (!app || !channel || !this._db) return;
+    try {
+      const msg = await channel.send(this.buildReviewMessage(app));
+      this._db.whitelist.setMessageId(id, msg.id);
+    } catch (err: unknown) {
+      this._log.warn(`Could not post application #${String(id)}:`, errMsg(err));
+    }
+  }
+
+  /** Re-render the review message after a decision (buttons removed). */
+  private async _updateReview(id: number): Promise<void> {
+    const app = this.getApplication(id);
+    if (!app?.message_id) return;
+    const channel = await this._reviewChannel();
+    if (!channel) return;
+    try {
+      const msg = await channel.messages.fetch(app.message_id);
+      await msg.edit(this.buildReviewMessage(app));
+    } catch (err: unknown) {
+      this._log.warn(`Could not update review message for #${String(id)}:`, errMsg(err));
+    }
+  }
+
+  private async _reviewChannel(): Promise<TextChannel | null> {
+    if (!this._client || !this._config.whitelistChannelId) return null;
+    try {
+      return (await this._client.channels.fetch(this._config.whitelistChannelId)) as TextChannel | null;
+    } catch (err: unknown) {
+      this._log.warn('Review channel unavailable:', errMsg(err));
+      return null;
+    }
+  }
+
+  /** Best-effort DM to an applicant — closed DMs are common and not an error. */
+  private async _dm(discordId: string, content: string): Promise<void> {
+    if (!this._client || !discordId) return;
+    try {
+      const user = await this._client.users.fetch(discordId);
+      await user.send(content);
+    } catch {
+      /* DMs closed */
+    }
+  }
+
+  private _decodeApplication(row: WhitelistApplicationRow): WhitelistApplication {
+    const answers = _parseList(row.answers)
+      .filter((a): a is Record<string, unknown> => !!a && typeof a === 'object')
+      .map((a) => ({
+        question: typeof a.question === 'string' ? a.question : '',
+        answer: typeof a.answer === 'string' ? a.answer : '',
+      }));
+    return { ...row, answers };
+  }
+
+  private _decodeMember(row: WhitelistMemberRow): WhitelistMember {
+    const servers = _parseList(row.servers).filter((s): s is string => typeof s === 'string');
+    return { ...row, servers };
+  }
+
+  private _locale(): string {
+    return getLocale({ serverConfig: this._config });
+  }
+}
+
+// Singleton — shared by index.ts wiring, /whitelist and the web panel
+const _singleton = new WhitelistManager();
+export default _singleton;
+export { WhitelistManager };
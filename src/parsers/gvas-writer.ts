@@ -0,0 +1,490 @@
+/**
+ * Lossless GVAS document model — the write side of gvas-reader.ts.
+ *
+ *   parseGvasDocument(buf)      split a save into a tree of property nodes
+ *                               that keep their original bytes
+ *   serializeGvasDocument(doc)  write it back, recomputing every size field
+ *   getValue / setValue         read and replace scalar, string and vector values
+ *   removeArrayElement          drop one entry from an array property
+ *
+ * Only the containers an edit has to reach into are expanded: structs whose
+ * payload is a property list, and struct arrays.  Everything else (maps,
+ * sets, text, primitive arrays, inline structs such as Vector) stays an
+ * opaque byte range, so properties the bot does not understand are written
+ * back byte-for-byte and an unedited document serializes to its exact input.
+ * A container is only expanded when its payload parses to exactly its
+ * declared size — anything ambiguous is left raw.
+ *
+ * Nodes reference the input buffer (no copies); setters always swap in new
+ * buffers, so the input itself is never modified.
+ */
+
+import { createReader, cleanName, parseHeader, type GvasReader } from './gvas-reader.js';
+
+// ─── Types ──────────────────────────────────────────────────────────────────
+
+/** Expanded payload of an ArrayProperty of StructProperty. */
+export interface GvasStructArray {
+  structType: string;
+  /** Element name and type FStrings between the count and the inner size. */
+  prefix: Buffer;
+  /** Struct type, guid and flag after the inner size. */
+  suffix: Buffer;
+  /** Property list per element, or the raw bytes of inline structs (Vector, Quat …). */
+  items: Array<GvasNode[] | Buffer>;
+}
+
+export interface GvasNode {
+  /** Name without the UE4 GUID suffix (see cleanName). */
+  name: string;
+  type: string;
+  /** Name and type FStrings exactly as read. */
+  head: Buffer;
+  /** Type-specific tag between the size and the payload (BoolProperty keeps its value here). */
+  tag: Buffer;
+  structType?: string;
+  innerType?: string;
+  /** Payload, unless expanded into `children` or `array`. */
+  data: Buffer;
+  children?: GvasNode[];
+  array?: GvasStructArray;
+}
+
+export interface GvasDocument {
+  /** Everything up to the first property (see parseHeader). */
+  header: Buffer;
+  properties: GvasNode[];
+  /** Bytes after the top-level None terminator. */
+  trailer: Buffer;
+}
+
+export type GvasVector = { x: number; y: number; z: number };
+export type GvasQuat = GvasVector & { w: number };
+export type GvasValue = number | boolean | string | GvasVector | GvasQuat;
+
+// ─── Constants ──────────────────────────────────────────────────────────────
+
+const EMPTY = Buffer.alloc(0);
+
+/** Struct types serialized as fixed-width values instead of property lists. */
+const INLINE_STRUCT_SIZES: Readonly<Record<string, number>> = {
+  Vector: 12,
+  Rotator: 12,
+  IntVector: 12,
+  Quat: 16,
+  LinearColor: 16,
+  Guid: 16,
+  Vector4: 16,
+  Plane: 16,
+  DateTime: 8,
+  Timespan: 8,
+  Vector2D: 8,
+  IntPoint: 8,
+  Color: 4,
+  Box: 25,
+};
+
+/** Struct types with a custom (non property list) layout — never expanded. */
+const LEAF_STRUCTS = new Set([
+  ...Object.keys(INLINE_STRUCT_SIZES),
+  'GameplayTagContainer',
+  'TimerHandle',
+  'SoftClassPath',
+  'SoftObjectPath',
+]);
+
+/** Element widths of primitive arrays. */
+const FIXED_WIDTHS: Readonly<Record<string, number>> = {
+  IntProperty: 4,
+  UInt32Property: 4,
+  FloatProperty: 4,
+  Int64Property: 8,
+  DoubleProperty: 8,
+  BoolProperty: 1,
+  ByteProperty: 1,
+};
+
+const STRING_TYPES = new Set(['StrProperty', 'NameProperty', 'ObjectProperty', 'SoftObjectProperty', 'EnumProperty']);
+
+// ─── FString / integer encoding ─────────────────────────────────────────────
+
+/** Encode a UE4 FString — ASCII as UTF-8, anything else as UTF-16LE, '' as length 0. */
+export function encodeFString(value: string): Buffer {
+  if (value === '') return Buffer.alloc(4);
+  if (Buffer.byteLength(value, 'utf8') === value.length) {
+    const out = Buffer.alloc(4 + value.length + 1);
+    out.writeInt32LE(value.length + 1, 0);
+    out.write(value, 4, 'latin1');
+    return out;
+  }
+  const out = Buffer.alloc(4 + (value.length + 1) * 2);
+  out.writeInt32LE(-(value.length + 1), 0);
+  out.write(value, 4, 'utf16le');
+  return out;
+}
+
+const NONE = encodeFString('None');
+
+function i64(value: number): Buffer {
+  const out = Buffer.alloc(8);
+  out.writeBigInt64LE(BigInt(value));
+  return out;
+}
+
+function i32(value: number): Buffer {
+  const out = Buffer.alloc(4);
+  out.writeInt32LE(value);
+  return out;
+}
+
+// ─── Parsing ────────────────────────────────────────────────────────────────
+
+/**
+ * Read one property.  Returns null at a None terminator; throws when the
+ * bytes are not a property or its size overruns `end`.
+ */
+function readNode(r: GvasReader, end: number): GvasNode | null {
+  const start = r.getOffset();
+  const rawName = r.readFString();
+  if (rawName === 'None') return null;
+  if (rawName === '') throw new Error(`Empty property name at offset ${String(start)}`);
+  const type = r.readFString();
+  const headEnd = r.getOffset();
+  const size = r.readI64();
+  const tagStart = r.getOffset();
+
+  let structType: string | undefined;
+  let innerType: string | undefined;
+  switch (type) {
+    case 'BoolProperty':
+      r.readU8(); // value
+      break;
+    case 'StructProperty':
+      structType = r.readFString();
+      r.skip(16); // struct guid
+      break;
+    case 'ArrayProperty':
+    case 'SetProperty':
+      innerType = r.readFString();
+      break;
+    case 'MapProperty':
+      r.readFString(); // key type
+      r.readFString(); // value type
+      break;
+    case 'ByteProperty':
+    case 'EnumProperty':
+      r.readFString(); // enum name
+      break;
+    default:
+      break;
+  }
+  if (r.readU8() !== 0) r.skip(16); // property guid
+  const dataStart = r.getOffset();
+  const dataEnd = dataStart + size;
+  if (size < 0 || dataEnd > end) {
+    throw new Error(`Property ${rawName} overruns its container at offset ${String(start)}`);
+  }
+
+  const buf = r.buf;
+  const node: GvasNode = {
+    name: cleanName(rawName),
+    type,
+    head: buf.subarray(start, headEnd),
+    tag: buf.subarray(tagStart, dataStart),
+    data: buf.subarray(dataStart, dataEnd),
+  };
+  if (structType !== undefined) node.structType = structType;
+  if (innerType !== undefined) node.innerType = innerType;
+
+  if (structType !== undefined && !LEAF_STRUCTS.has(structType)) {
+    const children = tryList(r, dataEnd);
+    if (children) {
+      node.children = children;
+      node.data = EMPTY;
+    }
+  } else if (innerType === 'StructProperty') {
+    const array = tryStructArray(r, dataEnd);
+    if (array) {
+      node.array = array;
+      node.data = EMPTY;
+    }
+  }
+  r.setOffset(dataEnd);
+  return node;
+}
+
+/**
+ * Property list closed by a standard None, else null.  With `exact` it must
+ * also end at `end` (a struct payload); array elements just stop at their None.
+ */
+function tryList(r: GvasReader, end: number, exact = true): GvasNode[] | null {
+  try {
+    const nodes: GvasNode[] = [];
+    for (;;) {
+      const start = r.getOffset();
+      const node = readNode(r, end);
+      if (node) {
+        nodes.push(node);
+        continue;
+      }
+      if (!r.buf.subarray(start, r.getOffset()).equals(NONE)) return null;
+      return exact && r.getOffset() !== end ? null : nodes;
+    }
+  } catch {
+    return null;
+  }
+}
+
+function tryStructArray(r: GvasReader, end: number): GvasStructArray | null {
+  try {
+    const count = r.readI32();
+    const prefixStart = r.getOffset();
+    r.readFString(); // element name
+    if (r.readFString() !== 'StructProperty') return null;
+    const prefixEnd = r.getOffset();
+    const innerSize = r.readI64();
+    const suffixStart = r.getOffset();
+    const structType = r.readFString();
+    r.skip(16);
+    if (r.readU8() !== 0) r.skip(16);
+    const itemsStart = r.getOffset();
+    if (count < 0 || itemsStart + innerSize !== end) return null;
+
+    const buf = r.buf;
+    const items: Array<GvasNode[] | Buffer> = [];
+    const width = INLINE_STRUCT_SIZES[structType];
+    if (width !== undefined) {
+      if (count * width !== innerSize) return null;
+      for (let i = 0; i < count; i++) items.push(buf.subarray(itemsStart + i * width, itemsStart + (i + 1) * width));
+    } else {
+      if (LEAF_STRUCTS.has(structType)) return null;
+      for (let i = 0; i < count; i++) {
+        const item = tryList(r, end, false);
+        if (!item) return null;
+        items.push(item);
+      }
+      if (r.getOffset() !== end) return null;
+    }
+    return {
+      structType,
+      prefix: buf.subarray(prefixStart, prefixEnd),
+      suffix: buf.subarray(suffixStart, itemsStart),
+      items,
+    };
+  } catch {
+    return null;
+  }
+}
+
+/** Split a save into header, top-level properties and trailer.  Throws on anything that is not GVAS. */
+export function parseGvasDocument(buf: Buffer): GvasDocument {
+  const r = createReader(buf);
+  parseHeader(r);
+  const header = buf.subarray(0, r.getOffset());
+  const properties: GvasNode[] = [];
+  let node: GvasNode | null;
+  while ((node = readNode(r, buf.length)) !== null) properties.push(node);
+  return { header, properties, trailer: buf.subarray(r.getOffset()) };
+}
+
+// ─── Serialization ──────────────────────────────────────────────────────────
+
+function listSize(nodes: GvasNode[]): number {
+  let size = NONE.length;
+  for (const node of nodes) size += node.head.length + 8 + node.tag.length + payloadSize(node);
+  return size;
+}
+
+function itemsSize(array: GvasStructArray): number {
+  let size = 0;
+  for (const item of array.items) size += Buffer.isBuffer(item) ? item.length : listSize(item);
+  return size;
+}
+
+function payloadSize(node: GvasNode): number {
+  if (node.children) return listSize(node.children);
+  if (node.array) return 4 + node.array.prefix.length + 8 + node.array.suffix.length + itemsSize(node.array);
+  return node.data.length;
+}
+
+function writeList(nodes: GvasNode[], out: Buffer[]): void {
+  for (const node of nodes) {
+    out.push(node.head, i64(payloadSize(node)), node.tag);
+    if (node.children) {
+      writeList(node.children, out);
+    } else if (node.array) {
+      const a = node.array;
+      out.push(i32(a.items.length), a.prefix, i64(itemsSize(a)), a.suffix);
+      for (const item of a.items) {
+        if (Buffer.isBuffer(item)) out.push(item);
+        else writeList(item, out);
+      }
+    } else {
+      out.push(node.data);
+    }
+  }
+  out.push(NONE);
+}
+
+export function serializeGvasDocument(doc: GvasDocument): Buffer {
+  const out: Buffer[] = [doc.header];
+  writeList(doc.properties, out);
+  out.push(doc.trailer);
+  return Buffer.concat(out);
+}
+
+// ─── Navigation ─────────────────────────────────────────────────────────────
+
+/** First property named `name` (GUID suffix ignored) in a list. */
+export function findChild(nodes: readonly GvasNode[] | undefined, name: string): GvasNode | undefined {
+  return nodes?.find((n) => n.name === name);
+}
+
+// ─── Values ─────────────────────────────────────────────────────────────────
+
+/** Scalar, string or vector value of a node; null for types this model keeps opaque. */
+export function getValue(node: GvasNode): GvasValue | null {
+  const d = node.data;
+  switch (node.type) {
+    case 'BoolProperty':
+      return node.tag[0] !== 0;
+    case 'IntProperty':
+      return d.length === 4 ? d.readInt32LE(0) : null;
+    case 'UInt32Property':
+      return d.length === 4 ? d.readUInt32LE(0) : null;
+    case 'Int64Property':
+      return d.length === 8 ? Number(d.readBigInt64LE(0)) : null;
+    case 'FloatProperty':
+      return d.length === 4 ? d.readFloatLE(0) : null;
+    case 'DoubleProperty':
+      return d.length === 8 ? d.readDoubleLE(0) : null;
+    case 'StructProperty':
+      if ((node.structType === 'Vector' || node.structType === 'Rotator') && d.length === 12) {
+        return { x: d.readFloatLE(0), y: d.readFloatLE(4), z: d.readFloatLE(8) };
+      }
+      if (node.structType === 'Quat' && d.length === 16) {
+        return { x: d.readFloatLE(0), y: d.readFloatLE(4), z: d.readFloatLE(8), w: d.readFloatLE(12) };
+      }
+      return null;
+    default:
+      return STRING_TYPES.has(node.type) ? createReader(d).readFString() : null;
+  }
+}
+
+/** Replace a node's value.  Throws when the type or value shape is not supported. */
+export function setValue(node: GvasNode, value: GvasValue): void {
+  const fail = () => new Error(`Cannot set ${node.type}${node.structType ? ` (${node.structType})` : ''} ${node.name}`);
+  if (node.type === 'BoolProperty') {
+    if (typeof value !== 'boolean') throw fail();
+    const tag = Buffer.from(node.tag);
+    tag[0] = value ? 1 : 0;
+    node.tag = tag;
+    return;
+  }
+  if (STRING_TYPES.has(node.type)) {
+    if (typeof value !== 'string') throw fail();
+    node.data = encodeFString(value);
+    return;
+  }
+  if (node.type === 'StructProperty') {
+    if (typeof value !== 'object') throw fail();
+    const fields =
+      node.structType === 'Quat' && 'w' in value
+        ? [value.x, value.y, value.z, value.w]
+        : node.structType === 'Vector' || node.structType === 'Rotator'
+          ? [value.x, value.y, value.z]
+          : null;
+    if (!fields) throw fail();
+    const data = Buffer.alloc(fields.length * 4);
+    fields.forEach((f, i) => data.writeFloatLE(f, i * 4));
+    node.data = data;
+    return;
+  }
+  if (typeof value !== 'number' || !Number.isFinite(value)) throw fail();
+  const width = FIXED_WIDTHS[node.type];
+  if (width === undefined || node.type === 'ByteProperty' || node.data.length !== width) throw fail();
+  const data = Buffer.alloc(width);
+  if (node.type === 'IntProperty') data.writeInt32LE(Math.trunc(value));
+  else if (node.type === 'UInt32Property') data.writeUInt32LE(Math.trunc(value));
+  else if (node.type === 'Int64Property') data.writeBigInt64LE(BigInt(Math.trunc(value)));
+  else if (node.type === 'FloatProperty') data.writeFloatLE(value);
+  else data.writeDoubleLE(value);
+  node.data = data;
+}
+
+// ─── Arrays ─────────────────────────────────────────────────────────────────
+
+/** Byte ranges of each element of a raw primitive array, or null when its layout is not known. */
+function elementRanges(node: GvasNode): Array<[number, number]> | null {
+  if (node.type !== 'ArrayProperty' || node.array || node.data.length < 4) return null;
+  const count = node.data.readInt32LE(0);
+  if (count < 0) return null;
+  const ranges: Array<[number, number]> = [];
+  const width = node.innerType ? FIXED_WIDTHS[node.innerType] : undefined;
+  if (width !== undefined) {
+    if (node.data.length !== 4 + count * width) return null;
+    for (let i = 0; i < count; i++) ranges.push([4 + i * width, 4 + (i + 1) * width]);
+    return ranges;
+  }
+  if (!node.innerType || !STRING_TYPES.has(node.innerType)) return null;
+  const r = createReader(node.data);
+  r.setOffset(4);
+  try {
+    for (let i = 0; i < count; i++) {
+      const start = r.getOffset();
+      r.readFString();
+      ranges.push([start, r.getOffset()]);
+    }
+  } catch {
+    return null;
+  }
+  return r.getOffset() === node.data.length ? ranges : null;
+}
+
+/** Element count of an array property, or -1 when it is not an array. */
+export function arrayLength(node: GvasNode): number {
+  if (node.array) return node.array.items.length;
+  if (node.type !== 'ArrayProperty' || node.data.length < 4) return -1;
+  return node.data.readInt32LE(0);
+}
+
+/** Values of a primitive (number, bool or string) array; null for other arrays. */
+export function arrayValues(node: GvasNode): Array<number | boolean | string> | null {
+  const ranges = elementRanges(node);
+  if (!ranges) return null;
+  const d = node.data;
+  return ranges.map(([start, end]) => {
+    switch (node.innerType) {
+      case 'IntProperty':
+        return d.readInt32LE(start);
+      case 'UInt32Property':
+        return d.readUInt32LE(start);
+      case 'Int64Property':
+        return Number(d.readBigInt64LE(start));
+      case 'FloatProperty':
+        return d.readFloatLE(start);
+      case 'DoubleProperty':
+        return d.readDoubleLE(start);
+      case 'BoolProperty':
+        return d[start] !== 0;
+      case 'ByteProperty':
+        return d[start] ?? 0;
+      default:
+        return createReader(d.subarray(start, end)).readFString();
+    }
+  });
+}
+
+/** Remove element `index`.  Returns false when the array's layout is not supported or the index is out of range. */
+export function removeArrayElement(node: GvasNode, index: number): boolean {
+  if (node.array) {
+    if (index < 0 || index >= node.array.items.length) return false;
+    node.array.items.splice(index, 1);
+    return true;
+  }
+  const ranges = elementRanges(node);
+  const range = ranges?.[index];
+  if (!ranges || !range) return false;
+  node.data = Buffer.concat([i32(ranges.length - 1), node.data.subarray(4, range[0]), node.data.subarray(range[1])]);
+  return true;
+}
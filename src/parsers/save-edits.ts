@@ -0,0 +1,545 @@
+/**
+ * Offline save edits — player and world fixes applied to a GVAS save through
+ * the lossless document model in gvas-writer.ts.
+ *
+ *   teleport_player   move a player (stuck under the map, inside a wall …)
+ *   set_player_slot   replace one inventory / equipment / quickslot / backpack slot
+ *   remove_structure  delete a building piece from every parallel BuildActor* array
+ *   reset_vehicle     restore a vehicle's health (optionally fuel and position)
+ *
+ * Structures and vehicles are addressed by index plus their actor class, so
+ * an edit prepared against an older copy of the save is refused
+ * (`stale_target`) instead of hitting whatever now sits at that index.
+ *
+ * applySaveEdits() never returns a buffer it has not validated: the result
+ * must round-trip through the document parser byte-for-byte and parseSave()
+ * must still see the same players and vehicles and exactly the expected
+ * structures, with teleported players where they were sent.
+ */
+
+import { errMsg } from '../utils/error.js';
+import { parseSave } from './save-parser.js';
+import {
+  arrayLength,
+  arrayValues,
+  findChild,
+  getValue,
+  parseGvasDocument,
+  removeArrayElement,
+  serializeGvasDocument,
+  setValue,
+  type GvasDocument,
+  type GvasNode,
+  type GvasVector,
+} from './gvas-writer.js';
+
+// ─── Types ──────────────────────────────────────────────────────────────────
+
+export const SLOT_CONTAINERS = ['inventory', 'equipment', 'quickslots', 'backpack'] as const;
+export type SlotContainer = (typeof SLOT_CONTAINERS)[number];
+
+export type SaveEdit =
+  | { op: 'teleport_player'; steamId: string; x: number; y: number; z: number }
+  | {
+      op: 'set_player_slot';
+      steamId: string;
+      container: SlotContainer;
+      slot: number;
+      item: string;
+      amount: number;
+      durability?: number;
+    }
+  | { op: 'remove_structure'; index: number; actorClass: string }
+  | { op: 'reset_vehicle'; index: number; actorClass: string; fuel?: number; x?: number; y?: number; z?: number };
+
+export type SaveEditOp = SaveEdit['op'];
+
+export interface SaveChange {
+  op: SaveEditOp;
+  /** What was edited, e.g. "76561198000000001" or "structure #12". */
+  target: string;
+  field: string;
+  before: unknown;
+  after: unknown;
+}
+
+export type SaveEditError =
+  | 'invalid_edit'
+  | 'unsupported_save'
+  | 'player_not_found'
+  | 'not_found'
+  | 'stale_target'
+  | 'unsupported_property'
+  | 'validation_failed';
+
+export type SaveEditResult =
+  | { ok: true; value: { buffer: Buffer; changes: SaveChange[] } }
+  | { ok: false; code: SaveEditError; detail?: string };
+
+export interface SaveSlot {
+  slot: number;
+  item: string;
+  amount: number;
+  durability: number;
+}
+
+export interface SaveSummary {
+  players: Array<{
+    steamId: string;
+    x: number | null;
+    y: number | null;
+    z: number | null;
+    slots: Record<SlotContainer, SaveSlot[]>;
+  }>;
+  structures: Array<{
+    index: number;
+    actorClass: string;
+    displayName: string;
+    ownerSteamId: string;
+    x: number | null;
+    y: number | null;
+    z: number | null;
+    health: number;
+    maxHealth: number;
+  }>;
+  vehicles: Array<{
+    index: number;
+    actorClass: string;
+    displayName: string;
+    x: number | null;
+    y: number | null;
+    z: number | null;
+    health: number;
+    maxHealth: number;
+    fuel: number;
+  }>;
+}
+
+class SaveEditFailure extends Error {
+  constructor(
+    readonly code: SaveEditError,
+    detail: string,
+  ) {
+    super(detail);
+  }
+}
+
+// ─── Constants ──────────────────────────────────────────────────────────────
+
+const MAX_EDITS = 50;
+const MAX_COORD = 10_000_000;
+const MAX_AMOUNT = 1_000_000;
+/** RowNames accepted for slot edits — also safe to put in an RCON command line. */
+export const ITEM_RE = /^[A-Za-z0-9_]{1,128}$/;
+
+const SLOT_ARRAYS: Record<SlotContainer, (name: string) => boolean> = {
+  inventory: (n) => n === 'PlayerInventory',
+  equipment: (n) => n === 'PlayerEquipment',
+  quickslots: (n) => n === 'PlayerQuickSlots',
+  backpack: (n) => n === 'BackpackInventory' || n.startsWith('BackpackInventory_'),
+};
+
+/** Top-level arrays indexed like BuildActorClass — one entry per placed structure. */
+const STRUCTURE_ARRAYS = [
+  'BuildActorClass',
+  'BuildActorTransform',
+  'BuildingCurrentHealth',
+  'BuildingMaxHealth',
+  'BuildingUpgradeLv',
+  'AttachedToTrailer',
+  'BuildingStr',
+  'BuildActorData',
+  'BuildActorInventory',
+  'BuildingDecay',
+];
+
+// ─── Input validation ───────────────────────────────────────────────────────
+
+function _int(value: unknown, min: number, max: number): number | null {
+  return typeof value === 'number' && Number.isInteger(value) && value >= min && value <= max ? value : null;
+}
+
+function _coord(value: unknown): number | null {
+  return typeof value === 'number' && Number.isFinite(value) && Math.abs(value) <= MAX_COORD ? value : null;
+}
+
+function _steamId(value: unknown): string | null {
+  return typeof value === 'string' && /^7656\d{13}$/.test(value) ? value : null;
+}
+
+function _parseEdit(raw: unknown): SaveEdit | null {
+  if (!raw || typeof raw !== 'object') return null;
+  const e = raw as Record<string, unknown>;
+  switch (e['op']) {
+    case 'teleport_player': {
+      const steamId = _steamId(e['steamId']);
+      const [x, y, z] = [_coord(e['x']), _coord(e['y']), _coord(e['z'])];
+      if (!steamId || x === null || y === null || z === null) return null;
+      return { op: 'teleport_player', steamId, x, y, z };
+    }
+    case 'set_player_slot': {
+      const steamId = _steamId(e['steamId']);
+      const container = SLOT_CONTAINERS.find((c) => c === e['container']);
+      const slot = _int(e['slot'], 0, 1000);
+      const item = typeof e['item'] === 'string' && ITEM_RE.test(e['item']) ? e['item'] : null;
+      const amount = _int(e['amount'], 0, MAX_AMOUNT);
+      if (!steamId || !container || slot === null || !item || amount === null) return null;
+      const edit: SaveEdit = { op: 'set_player_slot', steamId, container, slot, item, amount };
+      if (e['durability'] !== undefined) {
+        const durability = e['durability'];
+        if (typeof durability !== 'number' || !Number.isFinite(durability) || durability < 0) return null;
+        edit.durability = durability;
+      }
+      return edit;
+    }
+    case 'remove_structure':
+    case 'reset_vehicle': {
+      const index = _int(e['index'], 0, 10_000_000);
+      const actorClass = typeof e['actorClass'] === 'string' && e['actorClass'] ? e['actorClass'] : null;
+      if (index === null || !actorClass) return null;
+      if (e['op'] === 'remove_structure') return { op: 'remove_structure', index, actorClass };
+      const edit: SaveEdit = { op: 'reset_vehicle', index, actorClass };
+      if (e['fuel'] !== undefined) {
+        const fuel = e['fuel'];
+        if (typeof fuel !== 'number' || !Number.isFinite(fuel) || fuel < 0) return null;
+        edit.fuel = fuel;
+      }
+      if (e['x'] !== undefined || e['y'] !== undefined || e['z'] !== undefined) {
+        const [x, y, z] = [_coord(e['x']), _coord(e['y']), _coord(e['z'])];
+        if (x === null || y === null || z === null) return null;
+        Object.assign(edit, { x, y, z });
+      }
+      return edit;
+    }
+    default:
+      return null;
+  }
+}
+
+/** Validate a request body's `edits` list. */
+export function parseSaveEdits(
+  raw: unknown,
+): { ok: true; value: SaveEdit[] } | { ok: false; code: 'invalid_edit'; detail: string } {
+  if (!Array.isArray(raw) || raw.length === 0)
+    return { ok: false, code: 'invalid_edit', detail: 'edits must be a non-empty list' };
+  if (raw.length > MAX_EDITS)
+    return { ok: false, code: 'invalid_edit', detail: `at most ${String(MAX_EDITS)} edits per change` };
+  const edits: SaveEdit[] = [];
+  for (let i = 0; i < raw.length; i++) {
+    const edit = _parseEdit(raw[i]);
+    if (!edit) return { ok: false, code: 'invalid_edit', detail: `edit #${String(i + 1)} is invalid` };
+    edits.push(edit);
+  }
+  return { ok: true, value: edits };
+}
+
+// ─── Document navigation ────────────────────────────────────────────────────
+
+function _steamIdOf(node: GvasNode): string | null {
+  if (node.name !== 'SteamID' || node.type !== 'StrProperty') return null;
+  const value = getValue(node);
+  return typeof value === 'string' ? (/(7656\d+)/.exec(value)?.[1] ?? null) : null;
+}
+
+/**
+ * Properties belonging to each player, attributed the way parseSave() does:
+ * a SteamID applies to the properties after it, and to the whole struct or
+ * array element it appears in.
+ */
+function _playerScopes(doc: GvasDocument): Map<string, GvasNode[]> {
+  const scopes = new Map<string, GvasNode[]>();
+  let current: string | null = null;
+  const enter = (nodes: GvasNode[]) => {
+    for (const n of nodes) {
+      const id = _steamIdOf(n);
+      if (id) {
+        current = id;
+        return;
+      }
+    }
+  };
+  const visit = (node: GvasNode) => {
+    current = _steamIdOf(node) ?? current;
+    if (current) {
+      let scope = scopes.get(current);
+      if (!scope) scopes.set(current, (scope = []));
+      scope.push(node);
+    }
+    if (node.children) {
+      enter(node.children);
+      node.children.forEach(visit);
+    }
+    if (node.array) {
+      for (const item of node.array.items) {
+        if (Buffer.isBuffer(item)) continue;
+        enter(item);
+        item.forEach(visit);
+      }
+      if (node.name === 'DropInSaves') current = null;
+    }
+  };
+  doc.properties.forEach(visit);
+  return scopes;
+}
+
+function _slotOf(item: GvasNode[] | Buffer, slot: number): SaveSlot | null {
+  if (Buffer.isBuffer(item)) return null;
+  const row = findChild(findChild(item, 'Item')?.children, 'RowName');
+  const amount = findChild(item, 'Amount');
+  const durability = findChild(item, 'Durability');
+  const name = row ? getValue(row) : null;
+  const amountValue = amount ? getValue(amount) : null;
+  const durabilityValue = durability ? getValue(durability) : null;
+  return {
+    slot,
+    item: typeof name === 'string' ? name : '',
+    amount: typeof amountValue === 'number' ? amountValue : 0,
+    durability: typeof durabilityValue === 'number' ? Math.round(durabilityValue * 100) / 100 : 0,
+  };
+}
+
+function _slotArray(scope: GvasNode[], container: SlotContainer): GvasNode | undefined {
+  return scope.find((n) => n.array && SLOT_ARRAYS[container](n.name));
+}
+
+function _vector(node: GvasNode | undefined): GvasVector | null {
+  const value = node ? getValue(node) : null;
+  return value && typeof value === 'object' ? { x: value.x, y: value.y, z: value.z } : null;
+}
+
+function _need<T>(value: T | null | undefined, code: SaveEditError, detail: string): T {
+  if (value === null || value === undefined) throw new SaveEditFailure(code, detail);
+  return value;
+}
+
+// ─── Operations ─────────────────────────────────────────────────────────────
+
+function _teleport(scopes: Map<string, GvasNode[]>, edit: Extract<SaveEdit, { op: 'teleport_player' }>): SaveChange {
+  const scope = _need(scopes.get(edit.steamId), 'player_not_found', edit.steamId);
+  const transform = scope.find((n) => n.name === 'PlayerTransform' && n.structType === 'Transform');
+  const translation = _need(
+    findChild(transform?.children, 'Translation'),
+    'unsupported_property',
+    `${edit.steamId} PlayerTransform`,
+  );
+  const before = _vector(translation);
+  setValue(translation, { x: edit.x, y: edit.y, z: edit.z });
+  return {
+    op: edit.op,
+    target: edit.steamId,
+    field: 'PlayerTransform.Translation',
+    before,
+    after: { x: edit.x, y: edit.y, z: edit.z },
+  };
+}
+
+function _setSlot(scopes: Map<string, GvasNode[]>, edit: Extract<SaveEdit, { op: 'set_player_slot' }>): SaveChange {
+  const scope = _need(scopes.get(edit.steamId), 'player_not_found', edit.steamId);
+  const array = _need(_slotArray(scope, edit.container)?.array, 'not_found', `${edit.steamId} ${edit.container}`);
+  const item = _need(array.items[edit.slot], 'not_found', `${edit.container} slot ${String(edit.slot)}`);
+  const before = _need(_slotOf(item, edit.slot), 'unsupported_property', `${edit.container} slot`);
+  const slotProps = item as GvasNode[];
+  const row = _need(
+    findChild(findChild(slotProps, 'Item')?.children, 'RowName'),
+    'unsupported_property',
+    'Item.RowName',
+  );
+  const amount = _need(findChild(slotProps, 'Amount'), 'unsupported_property', 'Amount');
+  setValue(row, edit.item);
+  setValue(amount, edit.amount);
+  if (edit.durability !== undefined)
+    setValue(_need(findChild(slotProps, 'Durability'), 'unsupported_property', 'Durability'), edit.durability);
+  const after = _slotOf(item, edit.slot);
+  return {
+    op: edit.op,
+    target: edit.steamId,
+    field: `${edit.container}[${String(edit.slot)}]`,
+    before: { item: before.item, amount: before.amount, durability: before.durability },
+    after: after && { item: after.item, amount: after.amount, durability: after.durability },
+  };
+}
+
+function _removeStructure(doc: GvasDocument, edit: Extract<SaveEdit, { op: 'remove_structure' }>): SaveChange {
+  const classes = _need(findChild(doc.properties, 'BuildActorClass'), 'not_found', 'BuildActorClass');
+  const values = _need(arrayValues(classes), 'unsupported_property', 'BuildActorClass');
+  const current = _need(values[edit.index], 'not_found', `structure #${String(edit.index)}`);
+  if (current !== edit.actorClass) {
+    throw new SaveEditFailure('stale_target', `structure #${String(edit.index)} is now ${String(current)}`);
+  }
+  const count = values.length;
+  const touched: string[] = [];
+  for (const node of doc.properties) {
+    if (!STRUCTURE_ARRAYS.includes(node.name) || arrayLength(node) !== count) continue;
+    if (!removeArrayElement(node, edit.index)) throw new SaveEditFailure('unsupported_property', node.name);
+    touched.push(node.name);
+  }
+  return {
+    op: edit.op,
+    target: `structure #${String(edit.index)}`,
+    field: touched.join(', '),
+    before: current,
+    after: null,
+  };
+}
+
+function _resetVehicle(doc: GvasDocument, edit: Extract<SaveEdit, { op: 'reset_vehicle' }>): SaveChange[] {
+  const cars = _need(findChild(doc.properties, 'Cars')?.array, 'not_found', 'Cars');
+  const item = _need(cars.items[edit.index], 'not_found', `vehicle #${String(edit.index)}`);
+  if (Buffer.isBuffer(item)) throw new SaveEditFailure('unsupported_property', 'Cars');
+  const cls = findChild(item, 'Class');
+  const value = cls ? getValue(cls) : null;
+  const current = typeof value === 'string' ? value : '';
+  if (current !== edit.actorClass) {
+    throw new SaveEditFailure('stale_target', `vehicle #${String(edit.index)} is now ${current || 'unknown'}`);
+  }
+  const target = `vehicle #${String(edit.index)}`;
+  const changes: SaveChange[] = [];
+  const set = (node: GvasNode | undefined, field: string, value: number | GvasVector) => {
+    const prop = _need(node, 'unsupported_property', `${target} ${field}`);
+    const before = typeof value === 'number' ? getValue(prop) : _vector(prop);
+    setValue(prop, value);
+    changes.push({ op: edit.op, target, field, before, after: value });
+  };
+
+  const max = findChild(item, 'MaxHealth');
+  const maxHealth = max ? getValue(max) : null;
+  set(
+    findChild(item, 'Health'),
+    'Health',
+    _need(typeof maxHealth === 'number' ? maxHealth : null, 'unsupported_property', `${target} MaxHealth`),
+  );
+  if (edit.fuel !== undefined) set(findChild(item, 'Fuel'), 'Fuel', edit.fuel);
+  if (edit.x !== undefined && edit.y !== undefined && edit.z !== undefined) {
+    const translation = findChild(findChild(item, 'Transform')?.children, 'Translation');
+    set(translation, 'Transform.Translation', { x: edit.x, y: edit.y, z: edit.z });
+  }
+  return changes;
+}
+
+// ─── Validation ─────────────────────────────────────────────────────────────
+
+function _validate(
+  original: ReturnType<typeof parseSave>,
+  buffer: Buffer,
+  edits: SaveEdit[],
+  removed: number,
+): string | null {
+  let reread: ReturnType<typeof parseSave>;
+  try {
+    if (!serializeGvasDocument(parseGvasDocument(buffer)).equals(buffer)) return 'edited save does not round-trip';
+    reread = parseSave(buffer);
+  } catch (err: unknown) {
+    return `edited save does not parse: ${errMsg(err)}`;
+  }
+  const before = [...original.players.keys()].sort().join(',');
+  if ([...reread.players.keys()].sort().join(',') !== before) return 'player list changed';
+  if (reread.structures.length !== original.structures.length - removed) {
+    return `expected ${String(original.structures.length - removed)} structures, found ${String(reread.structures.length)}`;
+  }
+  if (reread.vehicles.length !== original.vehicles.length) return 'vehicle count changed';
+  for (const edit of edits) {
+    if (edit.op !== 'teleport_player') continue;
+    const p = reread.players.get(edit.steamId);
+    const moved =
+      p &&
+      [p.x, p.y, p.z].every(
+        (v, i) => typeof v === 'number' && Math.abs(v - Math.fround([edit.x, edit.y, edit.z][i] ?? 0)) < 0.01,
+      );
+    if (!moved) return `${edit.steamId} is not at the requested position`;
+  }
+  return null;
+}
+
+// ─── Public API ─────────────────────────────────────────────────────────────
+
+/** Parse a save into the editor model, refusing saves it cannot write back unchanged. */
+function _openDocument(buf: Buffer): GvasDocument {
+  let doc: GvasDocument;
+  try {
+    doc = parseGvasDocument(buf);
+  } catch (err: unknown) {
+    throw new SaveEditFailure('unsupported_save', errMsg(err));
+  }
+  if (!serializeGvasDocument(doc).equals(buf))
+    throw new SaveEditFailure('unsupported_save', 'save does not round-trip');
+  return doc;
+}
+
+/**
+ * Apply `edits` to a copy of `buf` (which is never modified).  Structure
+ * removals run last, highest index first, so every edit's index refers to
+ * the save as it was read.
+ */
+export function applySaveEdits(buf: Buffer, edits: SaveEdit[]): SaveEditResult {
+  try {
+    const original = parseSave(buf);
+    const doc = _openDocument(buf);
+    const scopes = _playerScopes(doc);
+    const changes: SaveChange[] = [];
+    const removals: Array<Extract<SaveEdit, { op: 'remove_structure' }>> = [];
+
+    for (const edit of edits) {
+      if (edit.op === 'teleport_player') changes.push(_teleport(scopes, edit));
+      else if (edit.op === 'set_player_slot') changes.push(_setSlot(scopes, edit));
+      else if (edit.op === 'reset_vehicle') changes.push(..._resetVehicle(doc, edit));
+      else removals.push(edit);
+    }
+    const indexes = new Set(removals.map((e) => e.index));
+    if (indexes.size !== removals.length) throw new SaveEditFailure('invalid_edit', 'a structure is removed twice');
+    for (const edit of removals.sort((a, b) => b.index - a.index)) changes.push(_removeStructure(doc, edit));
+
+    const buffer = serializeGvasDocument(doc);
+    const problem = _validate(original, buffer, edits, removals.length);
+    if (problem) return { ok: false, code: 'validation_failed', detail: problem };
+    return { ok: true, value: { buffer, changes } };
+  } catch (err: unknown) {
+    if (err instanceof SaveEditFailure) return { ok: false, code: err.code, detail: err.message };
+    return { ok: false, code: 'unsupported_save', detail: errMsg(err) };
+  }
+}
+
+/** What the editor can target in a save: players with their slots, structures and vehicles by index. */
+export function summarizeSave(
+  buf: Buffer,
+): { ok: true; value: SaveSummary } | { ok: false; code: SaveEditError; detail?: string } {
+  try {
+    const parsed = parseSave(buf);
+    const doc = _openDocument(buf);
+    const scopes = _playerScopes(doc);
+    const players = [...parsed.players.entries()].map(([steamId, p]) => {
+      const scope = scopes.get(steamId) ?? [];
+      const slots = {} as Record<SlotContainer, SaveSlot[]>;
+      for (const container of SLOT_CONTAINERS) {
+        const items = _slotArray(scope, container)?.array?.items ?? [];
+        slots[container] = items.map((item, i) => _slotOf(item, i)).filter((s): s is SaveSlot => s !== null);
+      }
+      return { steamId, x: p.x, y: p.y, z: p.z, slots };
+    });
+    const structures = parsed.structures.map((s, index) => ({
+      index,
+      actorClass: s.actorClass,
+      displayName: s.displayName,
+      ownerSteamId: s.ownerSteamId,
+      x: s.x,
+      y: s.y,
+      z: s.z,
+      health: s.currentHealth,
+      maxHealth: s.maxHealth,
+    }));
+    const vehicles = parsed.vehicles.map((v, index) => ({
+      index,
+      actorClass: v.class,
+      displayName: v.displayName,
+      x: v.x,
+      y: v.y,
+      z: v.z,
+      health: v.health,
+      maxHealth: v.maxHealth,
+      fuel: v.fuel,
+    }));
+    return { ok: true, value: { players, structures, vehicles } };
+  } catch (err: unknown) {
+    if (err instanceof SaveEditFailure) return { ok: false, code: err.code, detail: err.message };
+    return { ok: false, code: 'unsupported_save', detail: errMsg(err) };
+  }
+}
@@ -23,6 +23,7 @@ import { importSftpClient, importSsh2Client, importBuildAgentScript } from '../u
 import type { HumanitZDB } from '../db/database.js';
 import { SaveSyncPipeline, type SaveParsedDataInput, type SaveSyncResult } from './save-sync-pipeline.js';
 import type { SaveReadResult } from './save-reader-types.js';
+import type { RetentionFamily } from '../db/repositories/retention-repository.js';
 
 // Shell-safe single-quote escaping for SSH exec arguments
 function shQuote(v: unknown): string {
@@ -82,6 +83,8 @@ interface SaveServiceOptions {
   agentPanelDelay?: number;
   panelApi?: PanelFileApi;
   dataDir?: string;
+  /** True when DataRetention expires a family — its maintenance purge is skipped. */
+  retentionManaged?: (family: RetentionFamily) => boolean;
 }
 
 interface SaveServiceReconfigureOptions {
@@ -202,6 +205,7 @@ class SaveService extends EventEmitter {
       },
       shouldFetchClanData: () => !!this._clanSavePath,
       fetchClanData: () => this._fetchClanData(),
+      isRetentionManaged: options.retentionManaged ?? (() => false),
     });
   }
 
@@ -116,6 +116,8 @@ export interface SaveSyncPipelineDeps {
   emitSync: (result: SaveSyncResult) => void;
   shouldFetchClanData: () => boolean;
   fetchClanData: () => Promise<unknown[]>;
+  /** True when DataRetention expires the family — the maintenance purge then skips it. */
+  isRetentionManaged: (family: 'activity' | 'item_movements') => boolean;
 }
 
 export class SaveSyncPipeline {
@@ -397,7 +399,7 @@ export class SaveSyncPipeline {
         const purgeResult = this._deps.db.item.purgeOldItemTrackerData({
           lostItemsAge: '-7 days',
           lostGroupsAge: '-7 days',
-          movementsAge: '-30 days',
+          movementsAge: this._deps.isRetentionManaged('item_movements') ? null : '-30 days',
         });
         purgeMs = this._elapsedSince(purgeStart);
         this._deps.log.info(
@@ -427,6 +429,7 @@ export class SaveSyncPipeline {
   }
 
   private _purgeOldActivity(): void {
+    if (this._deps.isRetentionManaged('activity')) return;
     try {
       this._deps.db.activityLog.purgeOldActivity('-30 days');
     } catch (err: unknown) {
@@ -0,0 +1,140 @@
+/**
+ * Bot plugin API — the contract between the bot and packages loaded from
+ * PLUGINS_DIR (default <bot>/plugins).
+ *
+ * A plugin is a folder with a package.json whose `humanitzPlugin` field
+ * names the API version it was written against (and optionally its entry
+ * file, otherwise `main` / index.js).  The entry's default export is a
+ * BotPlugin:
+ *
+ *   plugins/greeter/package.json   { "type": "module", "humanitzPlugin": { "apiVersion": 1 } }
+ *   plugins/greeter/index.js       export default definePlugin({ name: 'greeter', apiVersion: 1, setup(host) { … } })
+ *   plugins/greeter/locales/en.json  (optional — served as the plugin's i18n namespace)
+ *
+ * PLUGIN_API_VERSION only changes when this contract breaks; a plugin built
+ * for another version is reported as incompatible instead of being loaded.
+ */
+
+import type Database from 'better-sqlite3';
+import type { ChatInputCommandInteraction } from 'discord.js';
+import type { HumanitZDB } from '../db/database.js';
+import type { LogEventEntry } from '../modules/log-watcher.js';
+import type { Logger } from '../utils/log.js';
+
+export const PLUGIN_API_VERSION = 1;
+
+// ── Declarations ────────────────────────────────────────────────────────────
+
+/** Config value types — the panel's basic types plus the bot's field validators. */
+export type PluginConfigType =
+  | 'string'
+  | 'int'
+  | 'bool'
+  | 'port'
+  | 'timezone'
+  | 'enum'
+  | 'snowflake'
+  | 'time'
+  | 'json'
+  | 'interval'
+  | 'url'
+  | 'host'
+  | 'path';
+
+/** One env key the plugin reads, e.g. GREETER_MESSAGE. */
+export interface PluginConfigKey {
+  type: PluginConfigType;
+  /** Used when the key is unset. */
+  default?: unknown;
+  /** Refuse to start the plugin when the key is unset and has no default. */
+  required?: boolean;
+  /** Allowed values for `enum`. */
+  options?: string[];
+  /** Lower bound for `interval`. */
+  min?: number;
+}
+
+/** A schema step, applied once in order of `version` inside a transaction. */
+export interface PluginMigration {
+  version: number;
+  up(db: Database.Database): void;
+}
+
+export interface PluginSlashCommand {
+  data: { name: string; toJSON: () => unknown };
+  execute: (interaction: ChatInputCommandInteraction) => Promise<void>;
+}
+
+export interface BotPlugin {
+  name: string;
+  version?: string;
+  /** Must equal PLUGIN_API_VERSION. */
+  apiVersion: number;
+  config?: Record<string, PluginConfigKey>;
+  migrations?: PluginMigration[];
+  /** Registered with Discord alongside the built-in commands. */
+  commands?: PluginSlashCommand[];
+  setup(host: PluginHost): void | Promise<void>;
+  teardown?(): void | Promise<void>;
+}
+
+// ── Host API ────────────────────────────────────────────────────────────────
+
+/** Chat line relayed from the game (see ChatRelay). */
+export interface PluginChatEvent {
+  type: string;
+  playerName: string | undefined;
+  message: string;
+  isAdmin: boolean;
+}
+
+/** Summary of a finished save poll (see SaveService). */
+export interface PluginSaveSyncEvent {
+  playerCount: number;
+  structureCount: number;
+  /** Players present in the save. */
+  steamIds: string[];
+  /** Milliseconds the poll took. */
+  elapsed: number;
+}
+
+export interface PluginEvents {
+  /** Every parsed game log event (connects, deaths, PvP kills, building, looting …). */
+  log: LogEventEntry;
+  chat: PluginChatEvent;
+  'save-sync': PluginSaveSyncEvent;
+}
+
+export type PluginEventName = keyof PluginEvents;
+
+/** A long-running part of a plugin, started and stopped with the bot. */
+export interface PluginModule {
+  start?: () => void | Promise<void>;
+  stop?: () => void | Promise<void>;
+}
+
+/** Panel extension — see WebMapServer.registerPlugin. */
+export type PluginWebExtension = Record<string, unknown> & { name: string };
+
+export interface PluginHost {
+  readonly apiVersion: typeof PLUGIN_API_VERSION;
+  readonly name: string;
+  readonly log: Logger;
+  /** The primary database — use its repositories; raw SQL only for the plugin's own tables. */
+  readonly db: HumanitZDB;
+  /** Validated values of the keys declared in `config`. */
+  readonly config: Readonly<Record<string, unknown>>;
+  /** Subscribe to a bot event; returns an unsubscribe function.  Errors thrown by the handler are counted, not rethrown. */
+  on<E extends PluginEventName>(event: E, handler: (payload: PluginEvents[E]) => void | Promise<void>): () => void;
+  /** Translate a key from the plugin's own locales/<lang>.json. */
+  t(key: string, locale: string, vars?: Record<string, unknown>): string;
+  /** Start a module now and stop it at shutdown.  Registered in the bot's module registry as `plugin:<name>:<id>`. */
+  registerModule(id: string, module: PluginModule): Promise<void>;
+  /** Add routes / assets to the web panel (no-op when the panel is off). */
+  registerWeb(extension: PluginWebExtension): void;
+}
+
+/** Identity helper that gives plugin authors type checking on their definition. */
+export function definePlugin(plugin: BotPlugin): BotPlugin {
+  return plugin;
+}
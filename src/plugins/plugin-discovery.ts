@@ -0,0 +1,148 @@
+/**
+ * Plugin discovery — finds plugin packages in PLUGINS_DIR and imports them.
+ *
+ * Kept free of config / i18n imports so deploy-commands.ts can register
+ * plugin slash commands without booting the rest of the bot.  Lifecycle
+ * (migrations, config, setup) lives in plugin-loader.ts.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { getDirname } from '../utils/paths.js';
+import { errMsg } from '../utils/error.js';
+import { PLUGIN_API_VERSION, type BotPlugin } from './plugin-api.js';
+
+const __dirname = getDirname(import.meta.url);
+
+export const DEFAULT_PLUGINS_DIR = path.join(__dirname, '..', '..', 'plugins');
+
+export type PluginState = 'loaded' | 'active' | 'failed' | 'incompatible' | 'disabled';
+
+export interface DiscoveredPlugin {
+  /** Plugin name (package name until the entry is imported). */
+  name: string;
+  dir: string;
+  version: string;
+  state: PluginState;
+  error: string;
+  plugin: BotPlugin | null;
+}
+
+interface PluginPackageJson {
+  name?: unknown;
+  version?: unknown;
+  main?: unknown;
+  humanitzPlugin?: { apiVersion?: unknown; entry?: unknown };
+}
+
+/** Absolute plugins folder for a PLUGINS_DIR value (empty = <bot>/plugins). */
+export function resolvePluginsDir(configured: string): string {
+  return configured ? path.resolve(configured) : DEFAULT_PLUGINS_DIR;
+}
+
+/** DISABLED_PLUGINS — comma-separated plugin or folder names. */
+export function parsePluginList(raw: string): Set<string> {
+  return new Set(
+    raw
+      .split(',')
+      .map((s) => s.trim())
+      .filter(Boolean),
+  );
+}
+
+function isBotPlugin(value: unknown): value is BotPlugin {
+  if (!value || typeof value !== 'object') return false;
+  const p = value as Partial<BotPlugin>;
+  return typeof p.name === 'string' && p.name !== '' && typeof p.setup === 'function';
+}
+
+async function importPlugin(dir: string, disabled: Set<string>): Promise<DiscoveredPlugin | null> {
+  const pkgPath = path.join(dir, 'package.json');
+  if (!fs.existsSync(pkgPath)) return null;
+
+  const folder = path.basename(dir);
+  const found: DiscoveredPlugin = { name: folder, dir, version: '', state: 'failed', error: '', plugin: null };
+  let pkg: PluginPackageJson;
+  try {
+    pkg = JSON.parse(fs.readFileSync(pkgPath, 'utf8')) as PluginPackageJson;
+  } catch (err: unknown) {
+    found.error = `Invalid package.json: ${errMsg(err)}`;
+    return found;
+  }
+  if (typeof pkg.name === 'string' && pkg.name) found.name = pkg.name;
+  if (typeof pkg.version === 'string') found.version = pkg.version;
+
+  const manifest = pkg.humanitzPlugin;
+  if (!manifest) return null; // Not a plugin — e.g. a shared helper package
+
+  if (disabled.has(folder) || disabled.has(found.name)) {
+    found.state = 'disabled';
+    return found;
+  }
+  // Refuse before importing: an incompatible plugin's top-level code may already break
+  if (manifest.apiVersion !== PLUGIN_API_VERSION) {
+    found.state = 'incompatible';
+    found.error = `Built for plugin API ${JSON.stringify(manifest.apiVersion ?? null)}, bot provides ${String(PLUGIN_API_VERSION)}`;
+    return found;
+  }
+
+  const entry =
+    typeof manifest.entry === 'string' ? manifest.entry : typeof pkg.main === 'string' ? pkg.main : 'index.js';
+  let mod: { default?: unknown };
+  try {
+    mod = (await import(pathToFileURL(path.join(dir, entry)).href)) as { default?: unknown };
+  } catch (err: unknown) {
+    found.error = `Import failed: ${errMsg(err)}`;
+    return found;
+  }
+
+  const plugin = mod.default;
+  if (!isBotPlugin(plugin)) {
+    found.error = 'Default export is not a plugin (needs name and setup())';
+    return found;
+  }
+  found.name = plugin.name;
+  if (plugin.version) found.version = plugin.version;
+  if (disabled.has(plugin.name)) {
+    found.state = 'disabled';
+    return found;
+  }
+  if (plugin.apiVersion !== PLUGIN_API_VERSION) {
+    found.state = 'incompatible';
+    found.error = `Built for plugin API ${String(plugin.apiVersion)}, bot provides ${String(PLUGIN_API_VERSION)}`;
+    return found;
+  }
+  found.plugin = plugin;
+  found.state = 'loaded';
+  return found;
+}
+
+/**
+ * Import every plugin package directly under `dir`, in folder-name order.
+ * A missing folder is not an error.  Later duplicates of a name are refused.
+ */
+export async function discoverPlugins(dir: string, opts: { disabled?: Set<string> } = {}): Promise<DiscoveredPlugin[]> {
+  if (!fs.existsSync(dir)) return [];
+  const disabled = opts.disabled ?? new Set<string>();
+  const folders = fs
+    .readdirSync(dir, { withFileTypes: true })
+    .filter((e) => e.isDirectory() && !e.name.startsWith('.'))
+    .map((e) => e.name)
+    .sort();
+
+  const found: DiscoveredPlugin[] = [];
+  const names = new Set<string>();
+  for (const folder of folders) {
+    const result = await importPlugin(path.join(dir, folder), disabled);
+    if (!result) continue;
+    if (names.has(result.name)) {
+      result.state = 'failed';
+      result.error = `Another plugin is already named ${result.name}`;
+      result.plugin = null;
+    }
+    names.add(result.name);
+    found.push(result);
+  }
+  return found;
+}
@@ -0,0 +1,358 @@
+/**
+ * Plugin Loader — runs bot plugins (see plugin-api.ts) next to the built-in
+ * modules.
+ *
+ *   discover()  before login: import packages from PLUGINS_DIR so their slash
+ *               commands are registered with the built-in ones
+ *   start()     once the database is open: apply each plugin's migrations,
+ *               validate its config keys, load its locales and call setup()
+ *   emit()      fed by index.ts from LogWatcher, ChatRelay and SaveService
+ *   stop()      teardown() plus removal of every listener / module the
+ *               plugin registered (tracked under the owner id `plugin:<name>`
+ *               in the bot's shared RuntimeModuleRegistry)
+ *
+ * A plugin that throws is isolated: setup failures mark it `failed`, handler
+ * and command errors are counted, and `health()` reports both in
+ * /api/status/modules.
+ */
+
+import { EventEmitter } from 'node:events';
+import path from 'node:path';
+import { createLogger, type Logger } from '../utils/log.js';
+import { errMsg } from '../utils/error.js';
+import { addNamespace, t } from '../i18n/index.js';
+import _defaultConfig from '../config/index.js';
+import RuntimeModuleRegistry from '../config/runtime-module-registry.js';
+import { FIELD_VALIDATORS, validateField } from '../db/config-validation.js';
+import type { HumanitZDB } from '../db/database.js';
+import {
+  PLUGIN_API_VERSION,
+  type PluginConfigKey,
+  type PluginEventName,
+  type PluginEvents,
+  type PluginHost,
+  type PluginModule,
+  type PluginSlashCommand,
+  type PluginWebExtension,
+} from './plugin-api.js';
+import {
+  discoverPlugins,
+  parsePluginList,
+  resolvePluginsDir,
+  type DiscoveredPlugin,
+  type PluginState,
+} from './plugin-discovery.js';
+
+// ── Types ───────────────────────────────────────────────────────────────────
+
+type PluginLoaderConfig = Pick<typeof _defaultConfig, 'pluginsDir' | 'disabledPlugins'>;
+
+interface PluginWebHost {
+  registerPlugin(plugin: Record<string, unknown>): void;
+}
+
+interface PluginEntry extends DiscoveredPlugin {
+  errors: number;
+  commands: string[];
+  modules: string[];
+}
+
+export interface PluginHealth {
+  name: string;
+  version: string;
+  state: PluginState;
+  /** Why the plugin is not running, or the last handler / command error. */
+  error: string;
+  /** Handler and command errors since start. */
+  errors: number;
+  commands: string[];
+  modules: string[];
+}
+
+export type PluginConfigResult =
+  | { ok: true; value: Record<string, unknown>; warnings: string[] }
+  | { ok: false; error: string };
+
+// ── Helpers ─────────────────────────────────────────────────────────────────
+
+/** Meta key holding the last migration version applied for a plugin. */
+export function pluginSchemaKey(name: string): string {
+  return `plugin_schema:${name}`;
+}
+
+/** i18n namespace serving a plugin's locales/<lang>.json. */
+export function pluginNamespace(name: string): string {
+  return `plugin-${name}`;
+}
+
+/** Read and validate the env keys a plugin declares — same validators as the bot's own settings. */
+export function resolvePluginConfig(
+  declared: Record<string, PluginConfigKey>,
+  env: NodeJS.ProcessEnv = process.env,
+): PluginConfigResult {
+  const value: Record<string, unknown> = {};
+  const warnings: string[] = [];
+  for (const [key, def] of Object.entries(declared)) {
+    const raw = env[key];
+    if (raw === undefined || raw === '') {
+      if (def.default !== undefined) value[key] = def.default;
+      else if (def.required) return { ok: false, error: `${key} is required` };
+      continue;
+    }
+    const validator = FIELD_VALIDATORS[def.type];
+    const arg = def.type === 'enum' ? def.options : def.type === 'interval' ? def.min : undefined;
+    const result = validator ? validator(raw, arg) : validateField(key, raw, { type: def.type });
+    if (!result.valid) return { ok: false, error: `${key}: ${result.error}` };
+    if (result.warning) warnings.push(`${key}: ${result.warning}`);
+    value[key] = result.value;
+  }
+  return { ok: true, value, warnings };
+}
+
+// ── PluginLoader class ──────────────────────────────────────────────────────
+
+class PluginLoader {
+  private _config: PluginLoaderConfig = _defaultConfig;
+  private _entries: PluginEntry[] = [];
+  private _events = new EventEmitter();
+  private _registry = new RuntimeModuleRegistry();
+  private _db: HumanitZDB | null = null;
+  private _log: Logger;
+
+  constructor(opts: { label?: string } = {}) {
+    this._log = createLogger(opts.label, 'PLUGINS');
+    this._events.setMaxListeners(0);
+  }
+
+  // ── Discovery ──────────────────────────────────────────────
+
+  /** Import plugin packages.  Returns how many are ready to start. */
+  async discover(opts: { config?: PluginLoaderConfig; dir?: string } = {}): Promise<number> {
+    if (opts.config) this._config = opts.config;
+    const dir = opts.dir ?? resolvePluginsDir(this._config.pluginsDir);
+    const found = await discoverPlugins(dir, { disabled: parsePluginList(this._config.disabledPlugins) });
+    this._entries = found.map((p) => ({ ...p, errors: 0, commands: [], modules: [] }));
+    for (const entry of this._entries) {
+      if (entry.state === 'loaded') this._log.info(`Found ${entry.name}${entry.version ? ` v${entry.version}` : ''}`);
+      else if (entry.state === 'disabled') this._log.info(`${entry.name} is disabled`);
+      else this._log.warn(`${entry.name} not loaded (${entry.state}): ${entry.error}`);
+    }
+    return this._entries.filter((e) => e.state === 'loaded').length;
+  }
+
+  /**
+   * Slash commands of the discovered plugins, skipping names in `reserved`
+   * (built-in commands win).  Each command is wrapped so it refuses to run
+   * while its plugin is stopped and its errors show up in health().
+   */
+  commands(reserved: ReadonlySet<string>): PluginSlashCommand[] {
+    const taken = new Set(reserved);
+    const out: PluginSlashCommand[] = [];
+    for (const entry of this._entries) {
+      for (const command of entry.plugin?.commands ?? []) {
+        const name = command.data.name;
+        if (taken.has(name)) {
+          this._log.warn(`${entry.name}: /${name} is already registered — skipped`);
+          continue;
+        }
+        taken.add(name);
+        entry.commands.push(name);
+        out.push({
+          data: command.data,
+          execute: async (interaction) => {
+            if (entry.state !== 'active') throw new Error(`Plugin ${entry.name} is not running`);
+            try {
+              await command.execute(interaction);
+            } catch (err: unknown) {
+              this._fail(entry, `/${name}`, err);
+              throw err;
+            }
+          },
+        });
+      }
+    }
+    return out;
+  }
+
+  // ── Lifecycle ──────────────────────────────────────────────
+
+  /**
+   * Migrate, configure and set up every discovered plugin.  Failures stay per
+   * plugin.  Pass the bot's shared `registry` so plugin modules and cleanups
+   * live next to the built-in ones; without it the loader keeps its own.
+   */
+  async start(opts: {
+    db: HumanitZDB;
+    webServer?: PluginWebHost | null;
+    registry?: RuntimeModuleRegistry;
+  }): Promise<void> {
+    this._db = opts.db;
+    if (opts.registry) this._registry = opts.registry;
+    for (const entry of this._entries) {
+      if (entry.state !== 'loaded') continue;
+      await this._startPlugin(entry, opts.db, opts.webServer ?? null);
+    }
+  }
+
+  async stop(): Promise<void> {
+    for (const entry of [...this._entries].reverse()) {
+      if (entry.state !== 'active') continue;
+      try {
+        await entry.plugin?.teardown?.();
+      } catch (err: unknown) {
+        this._log.error(`${entry.name} teardown failed:`, errMsg(err));
+      }
+      try {
+        await this._registry.cleanupOwner(this._ownerId(entry));
+      } catch (err: unknown) {
+        this._log.error(`${entry.name} cleanup failed:`, errMsg(err));
+      }
+      entry.state = 'loaded';
+      entry.modules = [];
+    }
+    this._db = null;
+  }
+
+  isActive(): boolean {
+    return this._db !== null;
+  }
+
+  // ── Events ─────────────────────────────────────────────────
+
+  /** Deliver a bot event to every subscribed plugin. */
+  emit<E extends PluginEventName>(event: E, payload: PluginEvents[E]): void {
+    this._events.emit(event, payload);
+  }
+
+  // ── Status ─────────────────────────────────────────────────
+
+  health(): PluginHealth[] {
+    return this._entries.map((e) => ({
+      name: e.name,
+      version: e.version,
+      state: e.state,
+      error: e.error,
+      errors: e.errors,
+      commands: [...e.commands],
+      modules: [...e.modules],
+    }));
+  }
+
+  /** One-line summary for the bot's module status list. */
+  summary(): string {
+    if (!this._entries.length) return '🟡 Enabled (no plugins installed)';
+    const active = this._entries.filter((e) => e.state === 'active').length;
+    const failed = this._entries.filter((e) => e.state === 'failed' || e.state === 'incompatible').length;
+    return `🟢 ${String(active)} active${failed ? `, ⚠️ ${String(failed)} failed` : ''}`;
+  }
+
+  // ── Internals ──────────────────────────────────────────────
+
+  private _ownerId(entry: PluginEntry): string {
+    return `plugin:${entry.name}`;
+  }
+
+  private _fail(entry: PluginEntry, where: string, err: unknown): void {
+    entry.errors++;
+    entry.error = `${where}: ${errMsg(err)}`;
+    this._log.error(`${entry.name} ${where} failed:`, errMsg(err));
+  }
+
+  private async _startPlugin(entry: PluginEntry, db: HumanitZDB, webServer: PluginWebHost | null): Promise<void> {
+    const plugin = entry.plugin;
+    if (!plugin) return;
+    const ownerId = this._ownerId(entry);
+
+    const config = resolvePluginConfig(plugin.config ?? {});
+    if (!config.ok) {
+      entry.state = 'failed';
+      entry.error = `Config: ${config.error}`;
+      this._log.warn(`${entry.name} not started — ${config.error}`);
+      return;
+    }
+    for (const warning of config.warnings) this._log.warn(`${entry.name} config ${warning}`);
+
+    try {
+      this._migrate(entry, db);
+    } catch (err: unknown) {
+      entry.state = 'failed';
+      entry.error = `Migration: ${errMsg(err)}`;
+      this._log.error(`${entry.name} migration failed:`, errMsg(err));
+      return;
+    }
+
+    addNamespace(pluginNamespace(entry.name), path.join(entry.dir, 'locales'));
+
+    const host: PluginHost = {
+      apiVersion: PLUGIN_API_VERSION,
+      name: entry.name,
+      log: createLogger(`PLUGIN ${entry.name}`, 'PLUGIN'),
+      db,
+      config: Object.freeze(config.value),
+      on: (event, handler) => {
+        const listener = (payload: unknown) => {
+          try {
+            const result = (handler as (p: unknown) => unknown)(payload);
+            if (result instanceof Promise) {
+              result.catch((err: unknown) => {
+                this._fail(entry, `${event} handler`, err);
+              });
+            }
+          } catch (err: unknown) {
+            this._fail(entry, `${event} handler`, err);
+          }
+        };
+        return this._registry.trackListener(ownerId, this._events, event, listener);
+      },
+      t: (key, locale, vars) => t(`${pluginNamespace(entry.name)}:${key}`, locale, vars),
+      registerModule: async (id: string, module: PluginModule) => {
+        const moduleId = `${ownerId}:${id}`;
+        this._registry.registerModule(moduleId, module);
+        this._registry.trackCleanup(ownerId, () => this._registry.unregisterModule(moduleId));
+        await this._registry.start(moduleId);
+        entry.modules.push(id);
+      },
+      registerWeb: (extension: PluginWebExtension) => {
+        webServer?.registerPlugin({ ...extension });
+      },
+    };
+
+    try {
+      await plugin.setup(host);
+      entry.state = 'active';
+      entry.error = '';
+      this._log.info(`Started ${entry.name}`);
+    } catch (err: unknown) {
+      entry.state = 'failed';
+      entry.error = `Setup: ${errMsg(err)}`;
+      this._log.error(`${entry.name} setup failed:`, errMsg(err));
+      // Undo whatever setup registered before it threw
+      await this._registry.cleanupOwner(ownerId).catch(() => {});
+      entry.modules = [];
+    }
+  }
+
+  /** Apply migrations newer than the recorded version, each in its own transaction. */
+  private _migrate(entry: PluginEntry, db: HumanitZDB): void {
+    const migrations = [...(entry.plugin?.migrations ?? [])].sort((a, b) => a.version - b.version);
+    if (!migrations.length) return;
+    const handle = db.db;
+    if (!handle) throw new Error('Database is not open');
+
+    const key = pluginSchemaKey(entry.name);
+    const current = parseInt(db.meta.getMeta(key) ?? '0', 10) || 0;
+    for (const migration of migrations) {
+      if (migration.version <= current) continue;
+      handle.transaction(() => {
+        migration.up(handle);
+        db.meta.setMeta(key, String(migration.version));
+      })();
+      this._log.info(`${entry.name} schema migrated to v${String(migration.version)}`);
+    }
+  }
+}
+
+// Singleton — discovered before login, started once the database is ready
+const _singleton = new PluginLoader();
+export default _singleton;
+export { PluginLoader };
@@ -8,8 +8,12 @@ export const COMMANDS = {
   BAN: 'ban',
   UNBAN: 'unban',
   FETCH_BANNED: 'fetchbanned',
+  WHITELIST: 'whitelist',
+  REMOVE_WHITELIST: 'removewhitelist',
+  FETCH_WHITELIST: 'fetchwhitelist',
   TELEPORT: 'teleport',
   UNSTUCK: 'unstuck',
+  GIVE_ITEM: 'giveitem',
   SEASON: 'season',
   WEATHER: 'weather',
   RESTART: 'restart',
@@ -19,6 +23,13 @@ export const COMMANDS = {
   SHUTDOWN: 'shutdown',
 } as const;
 
+/** A game server the bot can send RCON to. `id` is 'primary' or a MultiServerManager instance id. */
+export interface RconTarget {
+  id: string;
+  name: string;
+  send(command: string): Promise<string>;
+}
+
 interface RconLike {
   sendCached(command: string, ttl: number): Promise<string>;
   send(command: string): Promise<string>;
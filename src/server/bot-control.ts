@@ -1,9 +1,10 @@
 /**
  * BotControlService — shared bot lifecycle actions.
  *
- * Centralizes restart / reimport / factory-reset / env-sync logic so that
- * both the Discord Panel and the Web Dashboard can trigger them through the
- * same service.  Dependency-injected `exit` keeps the class unit-testable.
+ * Centralizes restart / reimport / factory-reset / season-reset / env-sync /
+ * database-restore logic so that both the Discord Panel and the Web Dashboard can trigger them
+ * through the same service.  Dependency-injected `exit` keeps the class
+ * unit-testable.
  */
 
 import { writeEnvValues } from '../utils/env-writer.js';
@@ -28,13 +29,31 @@ interface EnvSyncResult {
   deprecated?: number;
 }
 
+interface SeasonResetOptions {
+  /** Name for the season that starts after the reset. */
+  name?: string | null;
+}
+
+interface RestoreBackupOptions {
+  /** 'primary' or a per-server database id. */
+  dbId: string;
+  /** Snapshot file name (see db/db-backup.ts). */
+  name: string;
+}
+
 interface BotControlDeps {
   exit?: (code: number) => void;
+  /** Queues the season rollover that runs on the next startup (see SeasonManager). */
+  scheduleSeasonRollover?: (opts: { name?: string | null; requestedBy: string }) => void;
+  /** Queues a database snapshot restore for the next startup (see DbBackups). */
+  scheduleRestore?: (opts: RestoreBackupOptions & { requestedBy: string }) => void;
 }
 
 class BotControlService {
   private _exit: (code: number) => void;
   private _pendingAction: string | null;
+  private _scheduleSeasonRollover: BotControlDeps['scheduleSeasonRollover'] | null;
+  private _scheduleRestore: BotControlDeps['scheduleRestore'] | null;
 
   constructor(deps: BotControlDeps = {}) {
     this._exit =
@@ -43,6 +62,8 @@ class BotControlService {
         process.exit(code);
       });
     this._pendingAction = null;
+    this._scheduleSeasonRollover = deps.scheduleSeasonRollover ?? null;
+    this._scheduleRestore = deps.scheduleRestore ?? null;
   }
 
   // ── Actions ────────────────────────────────────────────────
@@ -57,6 +78,39 @@ class BotControlService {
     });
   }
 
+  /**
+   * Graceful per-season reset: archives the current season and zeroes
+   * per-season counters on the next startup, keeping lifetime stats and
+   * everything else that factoryReset() would wipe.
+   */
+  seasonReset(meta: ActionMeta = {}, opts: SeasonResetOptions = {}): ExitActionResult {
+    const schedule = this._scheduleSeasonRollover;
+    if (!schedule) {
+      const err = new Error('Season reset is not available') as Error & { code: string };
+      err.code = 'SEASON_RESET_UNAVAILABLE';
+      throw err;
+    }
+    return this._doExitAction('season_reset', meta, () => {
+      schedule({ name: opts.name ?? null, requestedBy: meta.user || meta.source || 'unknown' });
+    });
+  }
+
+  /**
+   * Restore a database snapshot: the restore is queued and applied on the
+   * next startup, before the database is opened.
+   */
+  restoreBackup(meta: ActionMeta = {}, opts: RestoreBackupOptions): ExitActionResult {
+    const schedule = this._scheduleRestore;
+    if (!schedule) {
+      const err = new Error('Database restore is not available') as Error & { code: string };
+      err.code = 'RESTORE_UNAVAILABLE';
+      throw err;
+    }
+    return this._doExitAction('restore_backup', meta, () => {
+      schedule({ ...opts, requestedBy: meta.user || meta.source || 'unknown' });
+    });
+  }
+
   reimport(meta: ActionMeta = {}): ExitActionResult {
     return this._doExitAction('reimport', meta, () => {
       writeEnvValues({ FIRST_RUN: 'true' });
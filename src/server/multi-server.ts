@@ -17,6 +17,7 @@ import path from 'path';
 import type { Client } from 'discord.js';
 import SftpClient from 'ssh2-sftp-client';
 import _defaultConfig from '../config/index.js';
+import { guildTargets } from '../config/guilds.js';
 import { RconManager } from '../rcon/rcon.js';
 import { PanelRcon } from '../rcon/panel-rcon.js';
 import { createPanelApi, type PanelApi } from './panel-api.js';
@@ -43,6 +44,8 @@ import PlayerStatsChannel from '../modules/player-stats-channel.js';
 import PvpScheduler from '../modules/pvp-scheduler.js';
 import ServerScheduler from '../modules/server-scheduler.js';
 import ActivityLog from '../modules/activity-log.js';
+import liveEvents from '../web-map/live-events.js';
+import dataRetention from '../modules/data-retention.js';
 import type { ConfigRepository } from '../db/config-repository.js';
 
 type ConfigType = typeof _defaultConfig;
@@ -721,6 +724,7 @@ class ServerInstance {
           agentIdMapPath: this.config.sftpIdMapPath,
           panelApi: this.panelApi ?? undefined,
           dataDir: this.dataDir,
+          retentionManaged: (family) => dataRetention.manages(family),
           label: 'SAVE:' + this._log.label,
         });
         this.saveService.on(
@@ -747,8 +751,8 @@ class ServerInstance {
       }
     }
 
-    // Server Status
-    if (this.config.serverStatusChannelId && this.config.rconHost) {
+    // Server Status (own channel and/or channels other guilds follow this server in)
+    if ((this.config.serverStatusChannelId || guildTargets(this.id, 'serverStatus').length) && this.config.rconHost) {
       try {
         const mod = new ServerStatus(this.client, deps as unknown as ConstructorParameters<typeof ServerStatus>[1]); // SAFETY: deps satisfies ServerStatus ctor param shape at runtime
         await mod.start();
@@ -764,6 +768,10 @@ class ServerInstance {
       try {
         const mod = new LogWatcher(this.client, deps);
         if (_defaultConfig.nukeBot) mod.setNukeActive(true);
+        mod.wrapLogEvent((orig) => (entry) => {
+          orig(entry);
+          liveEvents.publish(this.id, 'activity', entry);
+        });
         await mod.start();
         this._modules.logWatcher = mod;
         this._log.info('LogWatcher active');
@@ -775,7 +783,12 @@ class ServerInstance {
     // Chat Relay (needs RCON — can run headless without Discord channel for DB-only data collection)
     if (this.config.rconHost) {
       try {
-        const mod = new ChatRelay(this.client, deps as ConstructorParameters<typeof ChatRelay>[1]);
+        const mod = new ChatRelay(this.client, {
+          ...deps,
+          onChat: (entry) => {
+            liveEvents.publish(this.id, 'chat', entry);
+          },
+        } as ConstructorParameters<typeof ChatRelay>[1]);
         if (_defaultConfig.nukeBot) mod.setNukeActive(true);
         // Coordinate thread ordering with LogWatcher if both are active
         const logWatcher = this._modules.logWatcher;
@@ -831,6 +844,12 @@ class ServerInstance {
           getPlayerList: deps.getPlayerList,
           label: 'PRESENCE:' + this._log.label,
         });
+        mod.on('playerJoined', ({ name, steamId }: { name: string; steamId: string | null }) => {
+          liveEvents.publish(this.id, 'players', { event: 'join', name, steamId });
+        });
+        mod.on('playerLeft', ({ name, steamId }: { name: string; steamId: string | null }) => {
+          liveEvents.publish(this.id, 'players', { event: 'leave', name, steamId });
+        });
         await mod.start();
         this._modules.presenceTracker = mod;
         this._log.info('PresenceTracker active');
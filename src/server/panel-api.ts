@@ -124,6 +124,7 @@ export interface PanelWebsocketAuth {
 export type PanelFileApi = Pick<PanelApi, 'available' | 'sendCommand' | 'listFiles' | 'downloadFile' | 'readFile'>;
 export type PanelWebsocketApi = Pick<PanelApi, 'available' | 'getWebsocketAuth'>;
 export type PanelDownloadApi = Pick<PanelApi, 'available' | 'downloadFile'>;
+export type PanelSaveFileApi = Pick<PanelApi, 'available' | 'downloadFile' | 'uploadFile' | 'getResources'>;
 
 // ── PanelApi class ──────────────────────────────────────────
 
@@ -147,6 +148,7 @@ class PanelApi {
   declare listFiles: (dir?: string) => Promise<PanelFileEntry[]>;
   declare readFile: (filePath: string) => Promise<string>;
   declare writeFile: (filePath: string, content: string) => Promise<void>;
+  declare uploadFile: (filePath: string, content: Buffer) => Promise<void>;
   declare getFileDownloadUrl: (filePath: string) => Promise<string | null>;
   declare downloadFile: (filePath: string) => Promise<Buffer>;
   declare getWebsocketAuth: () => Promise<PanelWebsocketAuth>;
@@ -397,6 +399,28 @@ Object.assign(PanelApi.prototype, {
     }
   },
 
+  /** Binary counterpart of writeFile — files/write stores the raw request body. */
+  async uploadFile(this: PanelApi, filePath: string, content: Buffer) {
+    this._ensureParsed();
+    if (!this._baseUrl || !this._serverId || !this._apiKey) {
+      throw new Error('Panel API not configured');
+    }
+
+    const url = `${this._baseUrl}/api/client/servers/${this._serverId}/files/write?file=${encodeURIComponent(filePath)}`;
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${this._apiKey}`,
+        'Content-Type': 'application/octet-stream',
+      },
+      body: new Uint8Array(content),
+    });
+
+    if (!res.ok) {
+      throw new Error(`Panel file upload ${String(res.status)}: ${res.statusText}`);
+    }
+  },
+
   async getFileDownloadUrl(this: PanelApi, filePath: string): Promise<string | null> {
     const data = _rec(await this._request(`files/download?file=${encodeURIComponent(filePath)}`));
     const attrs = _rec(data['attributes']);
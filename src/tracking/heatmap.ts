@@ -0,0 +1,239 @@
+/**
+ * Heatmap analytics — aggregates stored positions over a time window into a
+ * grid of weighted cells for the Live Map and Timeline heatmap layers.
+ *
+ * Layers and their sources:
+ *   presence — online player samples (timeline_players)
+ *   zombies  — zombie spawns per snapshot, averaged over the window (timeline_ai)
+ *   deaths   — death_causes, optionally one cause type from classifyDamageSource()
+ *   pvp      — death_causes with cause type 'player' (victim location)
+ *   raids    — raid_damage / building_destroyed activity
+ *   builds   — player_build activity
+ *   loot     — container looting and container item changes
+ *
+ * Log-based events carry no coordinates, so an event without a position is
+ * placed at its player's timeline sample closest in time (±10 minutes).
+ * Events that still cannot be placed are counted as `unresolved`.
+ *
+ * Cells are returned in Leaflet CRS.Simple space (0–4096 on both axes), the
+ * same space `_worldToLeaflet()` maps the calibrated world bounds to.
+ */
+
+import { formatDbTimestampUtc } from '../db/timestamp.js';
+import type { HumanitZDB } from '../db/database.js';
+import type { HeatmapCellRow, HeatmapEventRow, HeatmapGrid } from '../db/repositories/heatmap-repository.js';
+
+// ── Types ───────────────────────────────────────────────────────────────────
+
+export const HEATMAP_LAYERS = ['presence', 'deaths', 'zombies', 'pvp', 'raids', 'builds', 'loot'] as const;
+export type HeatmapLayer = (typeof HEATMAP_LAYERS)[number];
+
+/** death_causes.cause_type values written by the log watcher. */
+export const DEATH_CAUSE_TYPES = ['zombie', 'bandit', 'animal', 'player', 'environment', 'unknown'] as const;
+
+export type HeatmapErrorCode = 'invalid_layer' | 'invalid_window' | 'invalid_cause';
+
+export type HeatmapResult<T> = { ok: true; value: T } | { ok: false; code: HeatmapErrorCode };
+
+/** Calibrated world bounds (UE4 units) — X maps to lat, Y to lng. */
+export interface WorldBounds {
+  xMin: number;
+  xMax: number;
+  yMin: number;
+  yMax: number;
+}
+
+export interface HeatmapOptions {
+  from: Date;
+  to: Date;
+  bounds: WorldBounds;
+  /** Cells per axis (16–256, default 64). */
+  grid?: number;
+  /** deaths layer only — restrict to one cause type. */
+  cause?: string | null;
+}
+
+/** One cell, centred at (lat, lng) in Leaflet space. */
+export interface HeatmapCell {
+  lat: number;
+  lng: number;
+  weight: number;
+}
+
+export interface Heatmap {
+  layer: HeatmapLayer;
+  from: string;
+  to: string;
+  grid: number;
+  /** Cell edge length in Leaflet units. */
+  cellSize: number;
+  cells: HeatmapCell[];
+  /** Largest cell weight — for colour scaling. */
+  max: number;
+  /** Sum of all cell weights. */
+  total: number;
+  /** Events in the window that had no position and no nearby timeline sample. */
+  unresolved: number;
+  /** Timeline snapshots in the window. */
+  snapshots: number;
+  /** deaths layer only — placed deaths per cause type. */
+  causes?: Record<string, number>;
+}
+
+// ── Constants ───────────────────────────────────────────────────────────────
+
+export const HEATMAP_DEFAULT_GRID = 64;
+const MIN_GRID = 16;
+const MAX_GRID = 256;
+const MAP_SIZE = 4096;
+/** Newest events considered per request — keeps month-long windows bounded. */
+const MAX_EVENTS = 20_000;
+const POSITION_TOLERANCE_MINUTES = 10;
+
+const ACTIVITY_LAYER_TYPES: Partial<Record<HeatmapLayer, readonly string[]>> = {
+  raids: ['raid_damage', 'building_destroyed'],
+  builds: ['player_build'],
+  loot: ['container_loot', 'container_item_added', 'container_item_removed'],
+};
+
+// ── Helpers ─────────────────────────────────────────────────────────────────
+
+export function isHeatmapLayer(value: unknown): value is HeatmapLayer {
+  return typeof value === 'string' && (HEATMAP_LAYERS as readonly string[]).includes(value);
+}
+
+/** Clamp a requested grid size, falling back to the default for junk input. */
+export function clampGrid(value: unknown): number {
+  const n = typeof value === 'number' ? value : parseInt(typeof value === 'string' ? value : '', 10);
+  if (!Number.isFinite(n) || n <= 0) return HEATMAP_DEFAULT_GRID;
+  return Math.min(MAX_GRID, Math.max(MIN_GRID, Math.round(n)));
+}
+
+/** The world-space grid matching `grid` cells per axis over `bounds`. */
+export function worldGrid(bounds: WorldBounds, grid: number): HeatmapGrid {
+  return {
+    xMin: bounds.xMin,
+    yMin: bounds.yMin,
+    cellX: (bounds.xMax - bounds.xMin) / grid,
+    cellY: (bounds.yMax - bounds.yMin) / grid,
+  };
+}
+
+/** Grid cell of a world position, or null when it falls outside the bounds. */
+export function cellOf(x: number, y: number, grid: HeatmapGrid, size: number): { gx: number; gy: number } | null {
+  const gx = Math.floor((x - grid.xMin) / grid.cellX);
+  const gy = Math.floor((y - grid.yMin) / grid.cellY);
+  if (gx < 0 || gy < 0 || gx >= size || gy >= size) return null;
+  return { gx, gy };
+}
+
+function _hasPos(x: number | null, y: number | null): x is number {
+  return x != null && y != null && !(x === 0 && y === 0);
+}
+
+/** Convert grid rows to Leaflet cells, dropping anything outside the grid. */
+function _toCells(rows: readonly HeatmapCellRow[], size: number, scale = 1): HeatmapCell[] {
+  const cellSize = MAP_SIZE / size;
+  const cells: HeatmapCell[] = [];
+  for (const r of rows) {
+    if (r.gx < 0 || r.gy < 0 || r.gx >= size || r.gy >= size) continue;
+    const weight = Math.round(r.weight * scale * 100) / 100;
+    if (weight <= 0) continue;
+    cells.push({ lat: (r.gx + 0.5) * cellSize, lng: (r.gy + 0.5) * cellSize, weight });
+  }
+  return cells;
+}
+
+/** Bin events by position, resolving missing positions from the player's timeline. */
+function _binEvents(
+  db: HumanitZDB,
+  events: readonly HeatmapEventRow[],
+  grid: HeatmapGrid,
+  size: number,
+): { rows: HeatmapCellRow[]; unresolved: number; kinds: Record<string, number> } {
+  const bins = new Map<string, HeatmapCellRow>();
+  const kinds: Record<string, number> = {};
+  let unresolved = 0;
+  for (const e of events) {
+    let x = e.pos_x;
+    let y = e.pos_y;
+    if (!_hasPos(x, y) && e.steam_id) {
+      const near = db.heatmap.findPlayerPosition(e.steam_id, e.created_at, POSITION_TOLERANCE_MINUTES);
+      if (near) {
+        x = near.pos_x;
+        y = near.pos_y;
+      }
+    }
+    const cell = _hasPos(x, y) && y != null ? cellOf(x, y, grid, size) : null;
+    if (!cell) {
+      unresolved++;
+      continue;
+    }
+    const key = `${String(cell.gx)}:${String(cell.gy)}`;
+    const bin = bins.get(key);
+    if (bin) bin.weight++;
+    else bins.set(key, { ...cell, weight: 1 });
+    kinds[e.kind] = (kinds[e.kind] ?? 0) + 1;
+  }
+  return { rows: [...bins.values()], unresolved, kinds };
+}
+
+// ── Public API ──────────────────────────────────────────────────────────────
+
+/** Aggregate one heatmap layer over `[from, to]`. */
+export function buildHeatmap(db: HumanitZDB, layer: string, opts: HeatmapOptions): HeatmapResult<Heatmap> {
+  if (!isHeatmapLayer(layer)) return { ok: false, code: 'invalid_layer' };
+  if (Number.isNaN(opts.from.getTime()) || Number.isNaN(opts.to.getTime()) || opts.from > opts.to) {
+    return { ok: false, code: 'invalid_window' };
+  }
+  const cause = opts.cause || null;
+  if (cause && (layer !== 'deaths' || !(DEATH_CAUSE_TYPES as readonly string[]).includes(cause))) {
+    return { ok: false, code: 'invalid_cause' };
+  }
+
+  const size = clampGrid(opts.grid);
+  const grid = worldGrid(opts.bounds, size);
+  const from = formatDbTimestampUtc(opts.from);
+  const to = formatDbTimestampUtc(opts.to);
+  const snapshots = db.heatmap.countSnapshots(from, to);
+
+  let cells: HeatmapCell[];
+  let unresolved = 0;
+  let causes: Record<string, number> | undefined;
+  if (layer === 'presence') {
+    cells = _toCells(db.heatmap.getPresenceCells(from, to, grid), size);
+  } else if (layer === 'zombies') {
+    // Average zombies per snapshot, so longer windows don't just look hotter
+    cells = _toCells(db.heatmap.getAiCells(from, to, 'zombie', grid), size, snapshots > 0 ? 1 / snapshots : 0);
+  } else {
+    const events =
+      layer === 'deaths' || layer === 'pvp'
+        ? db.heatmap.getDeaths(from, to, layer === 'pvp' ? 'player' : cause, MAX_EVENTS)
+        : db.heatmap.getActivity(from, to, ACTIVITY_LAYER_TYPES[layer] ?? [], MAX_EVENTS);
+    const binned = _binEvents(db, events, grid, size);
+    cells = _toCells(binned.rows, size);
+    unresolved = binned.unresolved;
+    if (layer === 'deaths') causes = binned.kinds;
+  }
+
+  let max = 0;
+  let total = 0;
+  for (const c of cells) {
+    if (c.weight > max) max = c.weight;
+    total += c.weight;
+  }
+  const heatmap: Heatmap = {
+    layer,
+    from,
+    to,
+    grid: size,
+    cellSize: MAP_SIZE / size,
+    cells,
+    max,
+    total: Math.round(total * 100) / 100,
+    unresolved,
+    snapshots,
+  };
+  if (causes) heatmap.causes = causes;
+  return { ok: true, value: heatmap };
+}
@@ -0,0 +1,333 @@
+/**
+ * Inventory rollback — what a player held at a timeline snapshot compared
+ * with what they hold now, and how to give the difference back.
+ *
+ * Holdings come from the item tracker (db/item-tracker.ts), not from the
+ * timeline (which stores no inventories):
+ *   unique items  — item_instances alive at the snapshot, placed by their
+ *                   item_movements custody chain
+ *   fungible items — item_groups in the player's slots at the snapshot, with
+ *                   group transfers since then undone
+ *
+ * Partial stack changes the tracker could not match to a transfer (eating
+ * half a stack of food) are not recorded, so for fungible items the past
+ * quantity is a lower bound.  Lost items purged by retention are gone.
+ *
+ * The difference can be restored two ways:
+ *   rollbackCommands()  RCON giveitem lines — the player must be online
+ *   rollbackSaveEdits() set_player_slot edits for the save editor, filling
+ *                       free inventory then backpack slots — server offline
+ *
+ * The item tracker only sees restored items after the next save sync, so
+ * until then the plan still lists them as missing.  recordRollback() notes
+ * each applied restore and pendingRollback() reports it until a sync has run,
+ * so the panel can refuse to give the same items twice.
+ */
+
+import { formatDbTimestampUtc } from '../db/timestamp.js';
+import type { HumanitZDB } from '../db/database.js';
+import type { DbRow } from '../db/repositories/db-utils.js';
+import { ITEM_RE, type SaveEdit, type SaveSlot, type SlotContainer } from '../parsers/save-edits.js';
+import { COMMANDS } from '../rcon/server-info.js';
+
+// ── Types ───────────────────────────────────────────────────────────────────
+
+export type RollbackErrorCode = 'snapshot_not_found' | 'invalid_items' | 'nothing_to_restore';
+
+export type RollbackResult<T> = { ok: true; value: T } | { ok: false; code: RollbackErrorCode; detail?: string };
+
+/** One stack in a player's slots — a unique instance or one member of a fungible group. */
+export interface HeldStack {
+  item: string;
+  amount: number;
+  durability: number;
+  /** Item tracker slot: inventory, equipment, quick_slots or backpack. */
+  slot: string;
+}
+
+export interface RollbackLine {
+  item: string;
+  /** Units held at the snapshot. */
+  before: number;
+  /** Units held now. */
+  now: number;
+  /** before − now when positive, else 0. */
+  missing: number;
+  /** Whether the RowName can be given back (RCON and save edits accept [A-Za-z0-9_] only). */
+  restorable: boolean;
+  /** Stacks as they were at the snapshot, covering `missing` units. */
+  stacks: Array<{ amount: number; durability: number }>;
+}
+
+export interface RollbackPlan {
+  steamId: string;
+  snapshot: { id: number; createdAt: string; gameDay: number };
+  /** Every item whose count changed, most missing first. */
+  lines: RollbackLine[];
+}
+
+/** A restore that was applied — see pendingRollback(). */
+export interface AppliedRollback {
+  snapshotId: number;
+  mode: 'rcon' | 'save';
+  /** ISO timestamp, compared with the `last_save_sync` meta key. */
+  at: string;
+  by: string;
+}
+
+/** Restore request entry — up to `missing` units of one line. */
+export interface RollbackSelection {
+  item: string;
+  amount: number;
+}
+
+// ── Constants ───────────────────────────────────────────────────────────────
+
+/** Console command that gives an item to an online player. */
+export const GIVE_COMMAND = COMMANDS.GIVE_ITEM;
+
+/** Save-editor containers restored items are placed in, in order. */
+const RESTORE_CONTAINERS: readonly SlotContainer[] = ['inventory', 'backpack'];
+
+// ── Helpers ─────────────────────────────────────────────────────────────────
+
+function _str(value: unknown): string {
+  return typeof value === 'string' ? value : '';
+}
+
+function _num(value: unknown): number {
+  return typeof value === 'number' && Number.isFinite(value) ? value : 0;
+}
+
+interface Location {
+  type: string;
+  id: string;
+  slot: string;
+}
+
+/** Where an instance was at `at`: the last move before it, else the origin of the first move after it. */
+function _locationAt(row: DbRow, moves: DbRow[], at: string): Location {
+  const sorted = [...moves].sort(
+    (a, b) => _str(a['created_at']).localeCompare(_str(b['created_at'])) || _num(a['id']) - _num(b['id']),
+  );
+  let location: Location | null = null;
+  for (const m of sorted) {
+    if (_str(m['created_at']) <= at) {
+      location = { type: _str(m['to_type']), id: _str(m['to_id']), slot: _str(m['to_slot']) };
+    } else {
+      location ??= { type: _str(m['from_type']), id: _str(m['from_id']), slot: _str(m['from_slot']) };
+      break;
+    }
+  }
+  return (
+    location ?? { type: _str(row['location_type']), id: _str(row['location_id']), slot: _str(row['location_slot']) }
+  );
+}
+
+/** Stacks a player held at `at` (a DB timestamp), per the item tracker. */
+export function holdingsAt(db: HumanitZDB, steamId: string, at: string): HeldStack[] {
+  const stacks: HeldStack[] = [];
+
+  for (const row of db.item.getPlayerInstancesAt(steamId, at)) {
+    const moves = db.item.getItemMovements(_num(row['id'])) as DbRow[];
+    const where = _locationAt(row, moves, at);
+    if (where.type !== 'player' || where.id !== steamId) continue;
+    stacks.push({
+      item: _str(row['item']),
+      amount: Math.max(1, _num(row['amount'])),
+      durability: _num(row['durability']),
+      slot: where.slot,
+    });
+  }
+
+  // Undo transfers made since `at`: what left the slot comes back, what arrived goes away.
+  // A group that left entirely is marked lost with its quantity untouched, so the
+  // transfers recorded when it was lost are already part of that quantity.
+  const transfers = db.item.getPlayerGroupTransfersSince(steamId, at);
+  for (const group of db.item.getPlayerGroupsAt(steamId, at)) {
+    const id = _num(group['id']);
+    const fingerprint = _str(group['fingerprint']);
+    const slot = _str(group['location_slot']);
+    const lostAt = group['lost'] ? _str(group['lost_at']) : '';
+    let quantity = _num(group['quantity']);
+    for (const t of transfers) {
+      if (_num(t['group_id']) === id) quantity -= _num(t['amount']);
+      else if (
+        _str(t['fingerprint']) === fingerprint &&
+        _str(t['from_type']) === 'player' &&
+        _str(t['from_id']) === steamId &&
+        _str(t['from_slot']) === slot &&
+        !(lostAt && _str(t['created_at']) >= lostAt)
+      ) {
+        quantity += _num(t['amount']);
+      }
+    }
+    for (let i = 0; i < quantity; i++) {
+      stacks.push({
+        item: _str(group['item']),
+        amount: Math.max(1, _num(group['stack_size'])),
+        durability: _num(group['durability']),
+        slot,
+      });
+    }
+  }
+  return stacks;
+}
+
+function _totals(stacks: HeldStack[]): Map<string, number> {
+  const totals = new Map<string, number>();
+  for (const s of stacks) totals.set(s.item, (totals.get(s.item) ?? 0) + s.amount);
+  return totals;
+}
+
+/** The first stacks (best durability first) adding up to `units`, the last one cut to fit. */
+function _takeStacks(stacks: Array<{ amount: number; durability: number }>, units: number) {
+  const out: Array<{ amount: number; durability: number }> = [];
+  let left = units;
+  for (const s of [...stacks].sort((a, b) => b.durability - a.durability || b.amount - a.amount)) {
+    if (left <= 0) break;
+    const amount = Math.min(s.amount, left);
+    out.push({ amount, durability: s.durability });
+    left -= amount;
+  }
+  return out;
+}
+
+// ── Public API ──────────────────────────────────────────────────────────────
+
+/** Compare a player's holdings at timeline snapshot `snapshotId` with now. */
+export function planRollback(db: HumanitZDB, steamId: string, snapshotId: number): RollbackResult<RollbackPlan> {
+  const snapshot = db.timeline.getTimelineSnapshot(snapshotId);
+  if (!snapshot) return { ok: false, code: 'snapshot_not_found' };
+  const createdAt = _str(snapshot['created_at']);
+
+  const before = holdingsAt(db, steamId, createdAt);
+  const now = holdingsAt(db, steamId, formatDbTimestampUtc());
+  const beforeTotals = _totals(before);
+  const nowTotals = _totals(now);
+
+  const lines: RollbackLine[] = [];
+  for (const item of new Set([...beforeTotals.keys(), ...nowTotals.keys()])) {
+    const b = beforeTotals.get(item) ?? 0;
+    const n = nowTotals.get(item) ?? 0;
+    if (b === n) continue;
+    const missing = Math.max(0, b - n);
+    lines.push({
+      item,
+      before: b,
+      now: n,
+      missing,
+      restorable: ITEM_RE.test(item),
+      stacks: _takeStacks(
+        before.filter((s) => s.item === item),
+        missing,
+      ),
+    });
+  }
+  lines.sort((a, b) => b.missing - a.missing || a.item.localeCompare(b.item));
+
+  return {
+    ok: true,
+    value: {
+      steamId,
+      snapshot: { id: snapshotId, createdAt, gameDay: _num(snapshot['game_day']) },
+      lines,
+    },
+  };
+}
+
+/**
+ * The lines to restore: every restorable missing item, or the reviewed
+ * subset in `raw` (a request body's `items`), each capped at what is missing.
+ */
+export function selectRollbackLines(plan: RollbackPlan, raw: unknown): RollbackResult<RollbackLine[]> {
+  const candidates = plan.lines.filter((l) => l.missing > 0 && l.restorable);
+  let selected: RollbackLine[];
+  if (raw === undefined || raw === null) {
+    selected = candidates;
+  } else {
+    if (!Array.isArray(raw)) return { ok: false, code: 'invalid_items', detail: 'items must be a list' };
+    selected = [];
+    const seen = new Set<string>();
+    for (const entry of raw as unknown[]) {
+      const e = (entry ?? {}) as Partial<RollbackSelection>;
+      const line = candidates.find((l) => l.item === e.item);
+      const amount = e.amount;
+      if (!line || seen.has(line.item) || typeof amount !== 'number' || !Number.isInteger(amount)) {
+        return { ok: false, code: 'invalid_items', detail: String(e.item) };
+      }
+      if (amount < 1 || amount > line.missing) {
+        return { ok: false, code: 'invalid_items', detail: `${line.item}: 1–${String(line.missing)}` };
+      }
+      seen.add(line.item);
+      selected.push({ ...line, missing: amount, stacks: _takeStacks(line.stacks, amount) });
+    }
+  }
+  return selected.length ? { ok: true, value: selected } : { ok: false, code: 'nothing_to_restore' };
+}
+
+/** RCON lines giving `lines` back to an online player. */
+export function rollbackCommands(steamId: string, lines: RollbackLine[]): string[] {
+  return lines.map((l) => `${GIVE_COMMAND} ${steamId} ${l.item} ${String(l.missing)}`);
+}
+
+/**
+ * Save edits placing the restored stacks in the player's free slots
+ * (`slots` from summarizeSave()).  Stacks that do not fit are returned as
+ * `unplaced` so the admin can hand them out another way.
+ */
+export function rollbackSaveEdits(
+  steamId: string,
+  slots: Record<SlotContainer, SaveSlot[]>,
+  lines: RollbackLine[],
+): { edits: SaveEdit[]; unplaced: RollbackSelection[] } {
+  const free = RESTORE_CONTAINERS.flatMap((container) =>
+    slots[container]
+      .filter((s) => !s.item || s.item === 'None' || s.amount <= 0)
+      .map((s) => ({ container, slot: s.slot })),
+  );
+  const edits: SaveEdit[] = [];
+  const unplaced = new Map<string, number>();
+  for (const line of lines) {
+    for (const stack of line.stacks) {
+      const target = free.shift();
+      if (!target) {
+        unplaced.set(line.item, (unplaced.get(line.item) ?? 0) + stack.amount);
+        continue;
+      }
+      const edit: SaveEdit = { op: 'set_player_slot', steamId, ...target, item: line.item, amount: stack.amount };
+      if (stack.durability > 0) edit.durability = stack.durability;
+      edits.push(edit);
+    }
+  }
+  return { edits, unplaced: [...unplaced].map(([item, amount]) => ({ item, amount })) };
+}
+
+// ── Applied restores ────────────────────────────────────────────────────────
+
+function _appliedKey(steamId: string): string {
+  return `rollback_applied:${steamId}`;
+}
+
+/**
+ * The player's last applied restore while no save sync has run since it —
+ * the plan does not include the given items yet, so restoring again would
+ * duplicate them.  Null once a sync has caught up.
+ */
+export function pendingRollback(db: HumanitZDB, steamId: string): AppliedRollback | null {
+  const raw = db.meta.getMeta(_appliedKey(steamId));
+  if (!raw) return null;
+  let applied: AppliedRollback;
+  try {
+    applied = JSON.parse(raw) as AppliedRollback;
+  } catch {
+    return null;
+  }
+  const lastSync = db.meta.getMeta('last_save_sync');
+  return lastSync && lastSync > applied.at ? null : applied;
+}
+
+/** Note an applied restore for pendingRollback(), or clear it (`applied` null) when nothing was given. */
+export function recordRollback(db: HumanitZDB, steamId: string, applied: AppliedRollback | null): void {
+  db.meta.setMeta(_appliedKey(steamId), applied ? JSON.stringify(applied) : null);
+}
@@ -91,7 +91,7 @@ interface TrackerData {
   lastPollDate?: string | null;
 }
 
-interface KillDelta {
+export interface KillDelta {
   steamId: string;
   name: string;
   delta: Partial<KillObj>;
@@ -154,7 +154,7 @@ interface ChallengeDelta {
   completed: { key: string; name: string; desc: string }[];
 }
 
-interface AccumulateResult {
+export interface AccumulateResult {
   deltas: {
     killDeltas: KillDelta[];
     survivalDeltas: SurvivalDelta[];
@@ -210,6 +210,8 @@ export interface KillTrackerDeps {
   playerStats?: PlayerStatsType;
   db?: HumanitZDB | null;
   label?: string;
+  /** Called with every accumulate() result after it is saved (factions, economy, …). */
+  onAccumulate?: ((result: AccumulateResult) => void) | null;
 }
 
 // ═══════════════════════════════════════════════════════════════════════════
@@ -321,6 +323,7 @@ export class KillTracker {
   private _playtime: PlaytimeType;
   private _playerStats: PlayerStatsType;
   private _db: HumanitZDB | null;
+  private _onAccumulate: ((result: AccumulateResult) => void) | null;
   private _log: Logger;
   private _data: TrackerData;
   private _dirty: boolean;
@@ -330,6 +333,7 @@ export class KillTracker {
     this._playtime = deps.playtime ?? playtimeSingleton;
     this._playerStats = deps.playerStats ?? playerStatsSingleton;
     this._db = deps.db ?? null;
+    this._onAccumulate = deps.onAccumulate ?? null;
     this._log = createLogger(deps.label, 'KillTracker');
 
     // { players: { steamId: { cumulative, lastSnapshot, survivalCumulative, ... } } }
@@ -779,7 +783,7 @@ export class KillTracker {
 
     this.save();
 
-    return {
+    const result: AccumulateResult = {
       deltas: {
         killDeltas,
         survivalDeltas,
@@ -794,6 +798,14 @@ export class KillTracker {
       },
       targetDate,
     };
+    if (this._onAccumulate) {
+      try {
+        this._onAccumulate(result);
+      } catch (err) {
+        this._log.error('onAccumulate listener failed:', errMsg(err));
+      }
+    }
+    return result;
   }
 
   // ═══════════════════════════════════════════════════════════════════════════
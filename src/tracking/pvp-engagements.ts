@@ -0,0 +1,157 @@
+/**
+ * PvP engagement tracker — groups player-on-player damage into fights.
+ *
+ * A fight is every hit a victim takes from other players with no gap longer
+ * than the PvP kill window between consecutive hits.  It ends when the victim
+ * dies (`finish()`), when a hit arrives after a longer gap (the old fight is
+ * closed and a new one starts), or when it goes idle (`expireBefore()`).
+ *
+ * Roles on a kill: the attributed killer, assists for every other attacker
+ * who hit within the window before the death, plain attackers for the rest.
+ * Fights that end without a kill are 'disengaged' and have no killer.
+ *
+ * Log timestamps are minute-precision, so durations are approximate.
+ *
+ * Zero runtime dependencies. In-memory only — LogWatcher persists the
+ * finished fights.
+ */
+
+export type FightRole = 'killer' | 'assist' | 'attacker';
+
+export interface FightAttacker {
+  name: string;
+  role: FightRole;
+  damage: number;
+  hits: number;
+  /** Last weapon this attacker was logged with ('' when the log names none). */
+  weapon: string;
+  firstHit: number;
+  lastHit: number;
+}
+
+export interface FinishedFight {
+  victim: string;
+  outcome: 'kill' | 'disengaged';
+  killer: string | null;
+  startedAt: number;
+  /** Death time for a kill, last hit otherwise. */
+  endedAt: number;
+  totalDamage: number;
+  hits: number;
+  /** The killer's weapon, if logged. */
+  weapon: string;
+  /** Highest damage first. */
+  attackers: FightAttacker[];
+}
+
+interface Engagement {
+  victim: string;
+  startedAt: number;
+  lastHit: number;
+  attackers: Map<string, Omit<FightAttacker, 'role'>>;
+}
+
+export class PvpEngagementTracker {
+  private readonly _window: () => number;
+  private readonly _open = new Map<string, Engagement>();
+
+  /** `window` returns the PvP kill window in ms — read per call so runtime changes apply. */
+  constructor(window: () => number) {
+    this._window = window;
+  }
+
+  /** Open fights. */
+  get size(): number {
+    return this._open.size;
+  }
+
+  /**
+   * Record one hit. Returns the victim's previous fight when this hit came
+   * too long after it and therefore starts a new one.
+   */
+  recordHit(victim: string, attacker: string, damage: number, timestamp: Date, weapon = ''): FinishedFight | null {
+    const key = victim.toLowerCase();
+    const ts = timestamp.getTime();
+    let closed: FinishedFight | null = null;
+    let fight = this._open.get(key);
+
+    if (fight && ts - fight.lastHit > this._window()) {
+      closed = this._close(fight, null, fight.lastHit);
+      fight = undefined;
+    }
+    if (!fight) {
+      fight = { victim, startedAt: ts, lastHit: ts, attackers: new Map() };
+      this._open.set(key, fight);
+    }
+    fight.victim = victim;
+    fight.startedAt = Math.min(fight.startedAt, ts);
+    fight.lastHit = Math.max(fight.lastHit, ts);
+
+    const attackerKey = attacker.toLowerCase();
+    const entry = fight.attackers.get(attackerKey);
+    if (entry) {
+      entry.name = attacker; // keep most recent casing
+      entry.damage += damage;
+      entry.hits++;
+      entry.firstHit = Math.min(entry.firstHit, ts);
+      entry.lastHit = Math.max(entry.lastHit, ts);
+      if (weapon) entry.weapon = weapon;
+    } else {
+      fight.attackers.set(attackerKey, { name: attacker, damage, hits: 1, weapon, firstHit: ts, lastHit: ts });
+    }
+    return closed;
+  }
+
+  /**
+   * The victim died. With a `killer` the fight ends as a kill; without one
+   * (death from another cause) an open fight is closed as disengaged.
+   */
+  finish(victim: string, deathTimestamp: Date, killer: string | null): FinishedFight | null {
+    const key = victim.toLowerCase();
+    const fight = this._open.get(key);
+    if (!fight) return null;
+    this._open.delete(key);
+    const ts = deathTimestamp.getTime();
+    if (!killer || ts - fight.lastHit > this._window()) return this._close(fight, null, fight.lastHit);
+    return this._close(fight, killer, Math.max(ts, fight.lastHit));
+  }
+
+  /** Close every fight whose last hit is older than `cutoff` (epoch ms). */
+  expireBefore(cutoff: number): FinishedFight[] {
+    const closed: FinishedFight[] = [];
+    for (const [key, fight] of this._open) {
+      if (fight.lastHit < cutoff) {
+        this._open.delete(key);
+        closed.push(this._close(fight, null, fight.lastHit));
+      }
+    }
+    return closed;
+  }
+
+  private _close(fight: Engagement, killer: string | null, endedAt: number): FinishedFight {
+    const killerKey = killer?.toLowerCase() ?? null;
+    const assistFrom = endedAt - this._window();
+    const attackers: FightAttacker[] = [...fight.attackers].map(([key, a]) => {
+      let role: FightRole = 'attacker';
+      if (killerKey !== null) {
+        if (key === killerKey) role = 'killer';
+        else if (a.lastHit >= assistFrom) role = 'assist';
+      }
+      return { ...a, role };
+    });
+    attackers.sort((a, b) => b.damage - a.damage);
+
+    const killerEntry = attackers.find((a) => a.role === 'killer');
+    return {
+      victim: fight.victim,
+      outcome: killer ? 'kill' : 'disengaged',
+      killer: killerEntry?.name ?? killer,
+      startedAt: fight.startedAt,
+      endedAt,
+      totalDamage: attackers.reduce((sum, a) => sum + a.damage, 0),
+      hits: attackers.reduce((sum, a) => sum + a.hits, 0),
+      weapon: killerEntry?.weapon ?? '',
+      attackers,
+    };
+  }
+}
@@ -15,9 +15,13 @@ import { cleanName } from '../parsers/ue4-names.js';
 import { createLogger, type Logger } from '../utils/log.js';
 import { createStructuredLogger } from '../logger/logger.js';
 import { errMsg } from '../utils/error.js';
+import { yieldToEventLoop } from '../utils/async.js';
 import config from '../config/index.js';
 import type { HumanitZDB } from '../db/database.js';
 
+/** Rows deleted per thinning batch before yielding to the event loop. */
+const THIN_BATCH = 5000;
+
 // ── AI type → display name mapping ──────────────────────────
 
 const AI_DISPLAY_NAMES: Record<string, string> = {
@@ -86,7 +90,7 @@ interface SnapshotHeader {
   summary: Record<string, unknown>;
 }
 
-interface TimelinePlayer {
+export interface TimelinePlayer {
   steamId: string;
   name: string;
   online: number;
@@ -199,13 +203,25 @@ interface RecordSnapshotOptions {
   force?: boolean;
 }
 
+/** Payload handed to `onSnapshot` listeners after a snapshot is written. */
+export interface SnapshotEvent {
+  snapshotId: number;
+  players: readonly TimelinePlayer[];
+}
+
+export type SnapshotListener = (event: SnapshotEvent) => void;
+
 export interface SnapshotServiceOptions {
   label?: string;
   retentionDays?: number;
+  fullResolutionHours?: number;
+  hourlyKeyframeDays?: number;
   trackStructures?: boolean;
   trackHouses?: boolean;
   trackBackpacks?: boolean;
   minIntervalSeconds?: number;
+  /** True while DataRetention owns the timeline — the built-in age cap then stands down. */
+  retentionManaged?: () => boolean;
 }
 
 export class SnapshotService {
@@ -213,25 +229,33 @@ export class SnapshotService {
   private _log: Logger;
   private _debugLog: ReturnType<typeof createStructuredLogger>;
   private _retentionDays: number;
+  private _fullResolutionHours: number;
+  private _hourlyKeyframeDays: number;
   private _trackStructures: boolean;
   private _trackHouses: boolean;
   private _trackBackpacks: boolean;
   private _minIntervalMs: number;
+  private _retentionManaged: () => boolean;
   private _lastSnapshotId: number | null = null;
   private _lastSnapshotAt: number | null = null;
   private _snapshotCount: number = 0;
   private _pruneCounter: number = 0;
+  private _listeners: SnapshotListener[] = [];
 
   /**
    * @param db - HumanitZDB instance
    * @param options
    * @param options.label - Log prefix
-   * @param options.retentionDays - How many days to keep timeline data (default: 14)
+   * @param options.retentionDays - Delete everything older than this many days; 0 keeps the
+   *   daily keyframes for the whole server lifetime (default: 0)
+   * @param options.fullResolutionHours - Keep every snapshot this long (default: 24)
+   * @param options.hourlyKeyframeDays - Keep hourly keyframes this long (default: 30)
    * @param options.trackStructures - Track structures in timeline (can be large, default: true)
    * @param options.trackHouses - Track house state in timeline (default: true)
    * @param options.trackBackpacks - Track dropped backpacks (default: true)
    * @param options.minIntervalSeconds - Minimum seconds between recorded snapshots;
    *   0 records on every save sync (default: config.timelineSnapshotMinInterval)
+   * @param options.retentionManaged - Skip the age cap while this returns true
    */
   constructor(db: HumanitZDB, options: SnapshotServiceOptions = {}) {
     this._db = db;
@@ -239,11 +263,22 @@ export class SnapshotService {
     // The Logger wrapper has no debug level — throttle skips go straight to the
     // structured logger so they stay hidden at the default 'info' min level.
     this._debugLog = createStructuredLogger(this._log.label);
-    this._retentionDays = options.retentionDays ?? 14;
+    this._retentionDays = options.retentionDays ?? 0;
+    this._fullResolutionHours = options.fullResolutionHours ?? 24;
+    this._hourlyKeyframeDays = options.hourlyKeyframeDays ?? 30;
     this._trackStructures = options.trackStructures !== false;
     this._trackHouses = options.trackHouses !== false;
     this._trackBackpacks = options.trackBackpacks !== false;
     this._minIntervalMs = Math.max(options.minIntervalSeconds ?? config.timelineSnapshotMinInterval, 0) * 1000;
+    this._retentionManaged = options.retentionManaged ?? (() => false);
+  }
+
+  /**
+   * Register a listener called after each recorded snapshot (not on throttled
+   * polls). Listener errors are logged and never abort the snapshot.
+   */
+  onSnapshot(listener: SnapshotListener): void {
+    this._listeners.push(listener);
   }
 
   /**
@@ -488,7 +523,7 @@ export class SnapshotService {
       this._pruneCounter++;
       if (this._pruneCounter >= 12) {
         this._pruneCounter = 0;
-        this._pruneOldData();
+        void this._pruneOldData();
       }
 
       const entityCount =
@@ -503,6 +538,14 @@ export class SnapshotService {
         `Snapshot #${String(this._snapshotCount)} recorded (${String(entityCount)} entities, id=${String(snapId)})`,
       );
 
+      for (const listener of this._listeners) {
+        try {
+          listener({ snapshotId: snapId, players: timelinePlayers });
+        } catch (err) {
+          this._log.error('Snapshot listener failed:', errMsg(err));
+        }
+      }
+
       return snapId;
     } catch (err) {
       this._log.error('Failed to record snapshot:', errMsg(err));
@@ -583,9 +626,30 @@ export class SnapshotService {
     return ['Spring', 'Summer', 'Autumn', 'Winter'][seasonIdx] ?? 'Unknown';
   }
 
-  /** Prune old timeline data beyond retention period. */
-  private _pruneOldData(): void {
+  /**
+   * Thin old snapshots down to hourly, then daily keyframes, and apply the
+   * optional age cap.  While DataRetention owns the timeline it handles
+   * full-resolution snapshots and the age cap, so only hourly keyframes are
+   * thinned to daily here.  Thinning deletes in batches, yielding between them.
+   */
+  private async _pruneOldData(): Promise<void> {
+    const managed = this._retentionManaged();
     try {
+      let thinned = 0;
+      for (;;) {
+        const n = this._db.timeline.thinTimeline(
+          managed ? null : this._fullResolutionHours,
+          this._hourlyKeyframeDays,
+          THIN_BATCH,
+        ).changes;
+        thinned += n;
+        if (n < THIN_BATCH) break;
+        await yieldToEventLoop();
+      }
+      if (thinned > 0) {
+        this._log.info(`Thinned ${String(thinned)} timeline snapshots to keyframes`);
+      }
+      if (this._retentionDays <= 0 || managed) return;
       const result = this._db.timeline.purgeOldTimeline(`-${String(this._retentionDays)} days`);
       if (result.changes > 0) {
         this._log.info(`Pruned ${String(result.changes)} old timeline snapshots (>${String(this._retentionDays)}d)`);
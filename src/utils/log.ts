@@ -1,9 +1,10 @@
 /**
- * Shared logger helper — creates category-scoped loggers that output to both
- * the console (human-readable) and structured JSON log files (daily rotation).
+ * Shared logger helper — creates category-scoped loggers that write through
+ * the configured log transports (console and rotated JSON log files by default).
  *
- * Delegates to the structured logger system (src/logger/) for file output
- * while preserving the simple createLogger() API used throughout the codebase.
+ * Delegates to the structured logger system (src/logger/) for output and
+ * per-category levels while preserving the simple createLogger() API used
+ * throughout the codebase.
  *
  * Labels are sanitized to prevent log injection (CWE-117).
  */
@@ -34,7 +35,7 @@ export function sanitizeLabel(raw: unknown, fallback?: string): string {
 
 /**
  * Create a logger instance with a fixed label prefix.
- * Writes to both console (human-readable) and structured JSON log files.
+ * Writes through every configured transport (see src/logger/registry.ts).
  */
 export function createLogger(rawLabel: unknown, fallback?: string): Logger {
   const label = sanitizeLabel(rawLabel, fallback);
@@ -58,6 +58,7 @@ const API_ERRORS = {
   INVALID_SNAPSHOT_ID: 'INVALID_SNAPSHOT_ID',
   SNAPSHOT_NOT_FOUND: 'SNAPSHOT_NOT_FOUND',
   FROM_AND_TO_REQUIRED: 'FROM_AND_TO_REQUIRED',
+  TIMELINE_CLIP_TOO_LARGE: 'TIMELINE_CLIP_TOO_LARGE',
   INTERNAL_SERVER_ERROR: 'INTERNAL_SERVER_ERROR',
   MISSING_SERVER_NAME: 'MISSING_SERVER_NAME',
   MISSING_RCON_CONFIG: 'MISSING_RCON_CONFIG',
@@ -75,7 +76,40 @@ const API_ERRORS = {
   INVALID_BOT_ACTION: 'INVALID_BOT_ACTION',
   BOT_CONTROL_NOT_AVAILABLE: 'BOT_CONTROL_NOT_AVAILABLE',
   CONFIRM_NUKE_REQUIRED: 'CONFIRM_NUKE_REQUIRED',
+  CONFIRM_SEASON_RESET_REQUIRED: 'CONFIRM_SEASON_RESET_REQUIRED',
+  SEASON_RESET_UNAVAILABLE: 'SEASON_RESET_UNAVAILABLE',
+  CONFIRM_RESTORE_REQUIRED: 'CONFIRM_RESTORE_REQUIRED',
+  RESTORE_UNAVAILABLE: 'RESTORE_UNAVAILABLE',
+  DB_BACKUPS_DISABLED: 'DB_BACKUPS_DISABLED',
+  DB_BACKUP_REJECTED: 'DB_BACKUP_REJECTED',
+  DATA_RETENTION_DISABLED: 'DATA_RETENTION_DISABLED',
+  DATA_RETENTION_BUSY: 'DATA_RETENTION_BUSY',
+  AUDIT_LOG_UNAVAILABLE: 'AUDIT_LOG_UNAVAILABLE',
+  SAVE_EDITOR_UNAVAILABLE: 'SAVE_EDITOR_UNAVAILABLE',
+  SAVE_EDIT_REJECTED: 'SAVE_EDIT_REJECTED',
+  ROLLBACK_REJECTED: 'ROLLBACK_REJECTED',
   BOT_ACTION_PENDING: 'BOT_ACTION_PENDING',
+  BOUNTIES_DISABLED: 'BOUNTIES_DISABLED',
+  BOUNTY_REJECTED: 'BOUNTY_REJECTED',
+  ECONOMY_DISABLED: 'ECONOMY_DISABLED',
+  ECONOMY_REJECTED: 'ECONOMY_REJECTED',
+  FACTIONS_DISABLED: 'FACTIONS_DISABLED',
+  FACTION_REJECTED: 'FACTION_REJECTED',
+  ACCOUNT_NOT_LINKED: 'ACCOUNT_NOT_LINKED',
+  EVENTS_DISABLED: 'EVENTS_DISABLED',
+  EVENT_REJECTED: 'EVENT_REJECTED',
+  WHITELIST_DISABLED: 'WHITELIST_DISABLED',
+  WHITELIST_REJECTED: 'WHITELIST_REJECTED',
+  BANS_DISABLED: 'BANS_DISABLED',
+  BAN_REJECTED: 'BAN_REJECTED',
+  WEBHOOKS_DISABLED: 'WEBHOOKS_DISABLED',
+  WEBHOOK_REJECTED: 'WEBHOOK_REJECTED',
+  NO_LIVE_TOPICS: 'NO_LIVE_TOPICS',
+  HEATMAP_REJECTED: 'HEATMAP_REJECTED',
+  SEASONS_UNAVAILABLE: 'SEASONS_UNAVAILABLE',
+  SEASON_NOT_FOUND: 'SEASON_NOT_FOUND',
+  CHAT_COMMANDS_UNAVAILABLE: 'CHAT_COMMANDS_UNAVAILABLE',
+  INVALID_CHAT_COMMANDS: 'INVALID_CHAT_COMMANDS',
 } as const;
 
 const EN_MESSAGES: Record<string, string> = {
@@ -136,6 +170,8 @@ const EN_MESSAGES: Record<string, string> = {
   [API_ERRORS.INVALID_SNAPSHOT_ID]: 'Invalid snapshot ID',
   [API_ERRORS.SNAPSHOT_NOT_FOUND]: 'Snapshot not found',
   [API_ERRORS.FROM_AND_TO_REQUIRED]: 'from and to are required',
+  [API_ERRORS.TIMELINE_CLIP_TOO_LARGE]:
+    'The clip has {count} snapshots (max {max}) — pick a shorter range or a coarser tier',
   [API_ERRORS.INTERNAL_SERVER_ERROR]: 'Internal server error',
   [API_ERRORS.MISSING_SERVER_NAME]: 'Server name is required',
   [API_ERRORS.MISSING_RCON_CONFIG]: 'RCON configuration is required (host, port, password)',
@@ -150,10 +186,46 @@ const EN_MESSAGES: Record<string, string> = {
   [API_ERRORS.MISSING_CONNECTION_CONFIG]: 'At least one of rcon or sftp configuration is required',
   [API_ERRORS.MAX_CONCURRENT_DISCOVERIES]: 'Too many concurrent discovery jobs (max 3)',
   [API_ERRORS.DISCOVERY_JOB_NOT_FOUND]: 'Discovery job not found or expired',
-  [API_ERRORS.INVALID_BOT_ACTION]: 'Invalid action. Must be restart, reimport, factory_reset, or env_sync',
+  [API_ERRORS.INVALID_BOT_ACTION]:
+    'Invalid action. Must be restart, reimport, factory_reset, season_reset, restore_backup, or env_sync',
   [API_ERRORS.BOT_CONTROL_NOT_AVAILABLE]: 'Bot control service is not available',
   [API_ERRORS.CONFIRM_NUKE_REQUIRED]: 'Confirmation required \u2014 send { "confirm": "NUKE" } in request body',
+  [API_ERRORS.CONFIRM_SEASON_RESET_REQUIRED]:
+    'Confirmation required \u2014 send { "confirm": "RESET" } in request body',
+  [API_ERRORS.SEASON_RESET_UNAVAILABLE]: 'Season reset is not available',
+  [API_ERRORS.CONFIRM_RESTORE_REQUIRED]:
+    'Confirmation required \u2014 send { "confirm": "RESTORE", "dbId": "...", "name": "..." } in request body',
+  [API_ERRORS.RESTORE_UNAVAILABLE]: 'Database restore is not available',
+  [API_ERRORS.DB_BACKUPS_DISABLED]: 'Database backups are not enabled',
+  [API_ERRORS.DB_BACKUP_REJECTED]: 'Database backup action rejected: {reason}',
+  [API_ERRORS.DATA_RETENTION_DISABLED]: 'Data retention is not enabled',
+  [API_ERRORS.DATA_RETENTION_BUSY]: 'A retention run is already in progress',
+  [API_ERRORS.AUDIT_LOG_UNAVAILABLE]: 'The admin audit log is not available',
+  [API_ERRORS.SAVE_EDITOR_UNAVAILABLE]: 'Save editing needs SFTP or the Panel File API and a save path',
+  [API_ERRORS.SAVE_EDIT_REJECTED]: 'Save edit rejected: {reason}',
+  [API_ERRORS.ROLLBACK_REJECTED]: 'Inventory rollback rejected: {reason}',
   [API_ERRORS.BOT_ACTION_PENDING]: 'Another bot action is already in progress',
+  [API_ERRORS.BOUNTIES_DISABLED]: 'The bounty board is not enabled for this server',
+  [API_ERRORS.BOUNTY_REJECTED]: 'Bounty rejected: {reason}',
+  [API_ERRORS.ECONOMY_DISABLED]: 'The credit economy is not enabled for this server',
+  [API_ERRORS.ECONOMY_REJECTED]: 'Credit adjustment rejected: {reason}',
+  [API_ERRORS.FACTIONS_DISABLED]: 'Factions are not enabled for this server',
+  [API_ERRORS.FACTION_REJECTED]: 'Faction update rejected: {reason}',
+  [API_ERRORS.ACCOUNT_NOT_LINKED]: 'Link your Discord account to a character first (/link)',
+  [API_ERRORS.EVENTS_DISABLED]: 'Community events are not enabled for this server',
+  [API_ERRORS.EVENT_REJECTED]: 'Event action rejected: {reason}',
+  [API_ERRORS.WHITELIST_DISABLED]: 'The whitelist workflow is not enabled',
+  [API_ERRORS.WHITELIST_REJECTED]: 'Whitelist action rejected: {reason}',
+  [API_ERRORS.BANS_DISABLED]: 'The ban registry is not enabled',
+  [API_ERRORS.BAN_REJECTED]: 'Ban action rejected: {reason}',
+  [API_ERRORS.WEBHOOKS_DISABLED]: 'Outbound webhooks are not enabled',
+  [API_ERRORS.WEBHOOK_REJECTED]: 'Webhook action rejected: {reason}',
+  [API_ERRORS.NO_LIVE_TOPICS]: 'None of the requested live topics are available to you',
+  [API_ERRORS.HEATMAP_REJECTED]: 'Heatmap request rejected: {reason}',
+  [API_ERRORS.SEASONS_UNAVAILABLE]: 'Season history is only tracked for the primary server',
+  [API_ERRORS.SEASON_NOT_FOUND]: 'Season not found',
+  [API_ERRORS.CHAT_COMMANDS_UNAVAILABLE]: 'Chat commands are only configurable for the primary server',
+  [API_ERRORS.INVALID_CHAT_COMMANDS]: 'Invalid custom command: {reason}',
 };
 
 function sendError(res: Response, code: string, status = 400, details?: Record<string, unknown> | string): void {
@@ -0,0 +1,95 @@
+/**
+ * Audit trail middleware — records every state-changing panel API request
+ * made by a signed-in user in the admin audit log (modules/admin-audit.ts).
+ *
+ * Mounted on /api after the auth middleware.  The entry is written once the
+ * response has finished so it carries the real outcome: 401/403 are
+ * `denied`, any other 4xx/5xx (or an `ok: false` body) is `error`, and the
+ * error code the handler sent becomes the detail.
+ */
+
+import type { Request, Response, NextFunction, RequestHandler } from 'express';
+import type { AuditResult, NewAuditEntry } from '../db/repositories/audit-repository.js';
+import { sessionFingerprint } from '../modules/admin-audit.js';
+import type { HmzRequest } from './auth.js';
+
+const MUTATING_METHODS = new Set(['POST', 'PUT', 'PATCH', 'DELETE']);
+
+/** Readable action names for the routes moderators ask about most; others fall back to `METHOD /route`. */
+export const AUDIT_ACTIONS: Readonly<Record<string, string>> = {
+  'POST /api/admin/kick': 'kick',
+  'POST /api/admin/ban': 'ban',
+  'POST /api/admin/message': 'message',
+  'POST /api/panel/rcon': 'rcon',
+  'POST /api/panel/power': 'power',
+  'POST /api/panel/settings': 'settings',
+  'POST /api/panel/bot-config': 'bot_config',
+  'POST /api/panel/db/query': 'db_query',
+  'POST /api/panel/anticheat/flags/:id/review': 'anticheat_review',
+  'POST /api/panel/bans': 'ban_create',
+  'POST /api/panel/bans/:steamId/unban': 'unban',
+  'POST /api/panel/economy/adjust': 'economy_adjust',
+  'POST /api/panel/bot-actions/:action': 'bot_action',
+  'POST /api/panel/servers/:id/actions/:action': 'server_action',
+  'POST /api/panel/save-editor/apply': 'save_edit',
+  'POST /api/panel/save-editor/restore': 'save_restore',
+  'POST /api/panel/players/:steamId/rollback': 'inventory_rollback',
+};
+
+/** Action name for a matched route (or the raw path when nothing matched). */
+export function auditAction(method: string, routePath: string): string {
+  const key = `${method} ${routePath}`;
+  return AUDIT_ACTIONS[key] ?? key;
+}
+
+function resultFor(status: number, body: unknown): AuditResult {
+  if (status === 401 || status === 403) return 'denied';
+  if (status >= 400) return 'error';
+  if (body && typeof body === 'object' && (body as { ok?: unknown }).ok === false) return 'error';
+  return 'ok';
+}
+
+function detailFor(status: number, body: unknown): string {
+  const code = body && typeof body === 'object' ? (body as { code?: unknown }).code : undefined;
+  if (typeof code === 'string') return code;
+  return status >= 400 ? `HTTP ${String(status)}` : '';
+}
+
+/** Express middleware that hands one audit entry per privileged request to `record`. */
+export function auditTrail(record: (entry: NewAuditEntry) => unknown): RequestHandler {
+  return (req: Request, res: Response, next: NextFunction) => {
+    const user = (req as HmzRequest).session.user;
+    if (!MUTATING_METHODS.has(req.method) || !user) {
+      next();
+      return;
+    }
+
+    // Keep the JSON body so the outcome and error code can be recorded
+    let body: unknown;
+    const originalJson = res.json.bind(res);
+    res.json = ((payload: unknown) => {
+      body = payload;
+      return originalJson(payload);
+    }) as typeof res.json;
+
+    res.on('finish', () => {
+      const routePath = (req.route as { path?: unknown } | undefined)?.path;
+      const path = typeof routePath === 'string' ? routePath : req.originalUrl.split('?')[0];
+      const { server: _server, ...fields } = (req.body ?? {}) as Record<string, unknown>;
+      record({
+        source: 'panel',
+        actorId: user.userId,
+        actorName: user.displayName || user.username,
+        session: sessionFingerprint((req as HmzRequest).sessionID),
+        // requireTier scopes the tier to the guilds following this server
+        tier: (req as HmzRequest).tier ?? user.tier,
+        serverId: req.srv.serverId,
+        action: auditAction(req.method, path ?? ''),
+        params: { ...req.params, ...fields },
+        result: resultFor(res.statusCode, body),
+        detail: detailFor(res.statusCode, body),
+      });
+    });
+    next();
+  };
+}
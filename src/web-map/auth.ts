@@ -8,6 +8,7 @@ import expressSession from 'express-session';
 import { doubleCsrf } from 'csrf-csrf';
 import cookieParser from 'cookie-parser';
 import _defaultConfig from '../config/index.js';
+import { followsServer, getGuild, guildIds } from '../config/guilds.js';
 import { createSessionStore } from './session-store-factory.js';
 
 import type { Express, Request, Response, NextFunction } from 'express';
@@ -23,7 +24,11 @@ interface SessionUser {
   tier: string;
   tierLevel: number | undefined;
   inGuild: boolean;
+  /** Tier per guild checked at sign-in — panel routes use only guilds following the selected server. */
+  guildTiers?: Record<string, string>;
   lastRoleCheck: number;
+  // SteamID linked to this Discord account via /link (null = not linked).
+  steamId?: string | null;
   // Marks sessions created via /auth/test-login so audit logs can filter them out.
   isTestSession?: boolean;
 }
@@ -90,6 +95,14 @@ function getSessionSecret(): string {
   return _cachedSessionSecret;
 }
 
+/** Tier role mapping for one guild whose members may sign in. */
+interface GuildAuth {
+  guildId: string;
+  survivorRoles: string[];
+  modRoles: string[];
+  adminRoles: string[];
+}
+
 interface AuthConfig {
   clientId: string;
   clientSecret: string;
@@ -100,19 +113,13 @@ interface AuthConfig {
   survivorRoles: string[];
   modRoles: string[];
   adminRoles: string[];
+  /** Every guild checked at sign-in — the primary first (see authGuilds()). */
+  guilds: GuildAuth[];
 }
 
 function getAuthConfig(): AuthConfig {
-  return {
-    clientId: _defaultConfig.clientId ?? '',
-    clientSecret: process.env.DISCORD_OAUTH_SECRET || '',
+  const primary: GuildAuth = {
     guildId: _defaultConfig.guildId ?? '',
-    callbackUrl: process.env.WEB_MAP_CALLBACK_URL || '',
-    sessionSecret: getSessionSecret(),
-    allowedRoles: (process.env.WEB_MAP_ALLOWED_ROLES || '')
-      .split(',')
-      .map((s) => s.trim())
-      .filter(Boolean),
     survivorRoles: (process.env.WEB_PANEL_SURVIVOR_ROLES || '')
       .split(',')
       .map((s) => s.trim())
@@ -126,6 +133,30 @@ function getAuthConfig(): AuthConfig {
       .map((s) => s.trim())
       .filter(Boolean),
   };
+  return {
+    clientId: _defaultConfig.clientId ?? '',
+    clientSecret: process.env.DISCORD_OAUTH_SECRET || '',
+    callbackUrl: process.env.WEB_MAP_CALLBACK_URL || '',
+    sessionSecret: getSessionSecret(),
+    allowedRoles: (process.env.WEB_MAP_ALLOWED_ROLES || '')
+      .split(',')
+      .map((s) => s.trim())
+      .filter(Boolean),
+    ...primary,
+    guilds: authGuilds(primary),
+  };
+}
+
+/**
+ * The primary guild (.env roles unless data/guilds.json sets some) followed
+ * by every other guild in guilds.json, with the roles it maps to tiers.
+ */
+function authGuilds(primary: GuildAuth): GuildAuth[] {
+  return guildIds(primary.guildId).map((guildId) => {
+    const roles = getGuild(guildId)?.roles;
+    if (roles) return { guildId, survivorRoles: roles.survivor, modRoles: roles.mod, adminRoles: roles.admin };
+    return guildId === primary.guildId ? primary : { guildId, survivorRoles: [], modRoles: [], adminRoles: [] };
+  });
 }
 
 // ── Discord API helpers ──────────────────────────────────────────────────────
@@ -192,7 +223,10 @@ async function getGuildMember(accessToken: string, guildId: string): Promise<Gui
 
 // ── Tier Resolution ──────────────────────────────────────────────────────────
 
-function resolveTier(member: GuildMember | null, authCfg: AuthConfig): string {
+function resolveTier(
+  member: GuildMember | null,
+  authCfg: Pick<AuthConfig, 'survivorRoles' | 'modRoles' | 'adminRoles'>,
+): string {
   if (!member) return 'public';
 
   const memberRoles: string[] = member.roles;
@@ -216,6 +250,58 @@ function resolveTier(member: GuildMember | null, authCfg: AuthConfig): string {
   return 'survivor';
 }
 
+function highestTier(tiers: Iterable<string>): string {
+  let tier = 'public';
+  for (const t of tiers) if ((TIER[t] ?? 0) > (TIER[tier] ?? 0)) tier = t;
+  return tier;
+}
+
+/** A user's tier in each guild checked, and the highest of them. */
+function resolveGuildsTier(memberships: Array<{ guild: GuildAuth; member: GuildMember | null }>): {
+  tier: string;
+  inGuild: boolean;
+  roles: string[];
+  guildTiers: Record<string, string>;
+} {
+  const roles: string[] = [];
+  const guildTiers: Record<string, string> = {};
+  for (const { guild, member } of memberships) {
+    guildTiers[guild.guildId] = resolveTier(member, guild);
+    if (member) roles.push(...member.roles);
+  }
+  return {
+    tier: highestTier(Object.values(guildTiers)),
+    inGuild: memberships.some((m) => m.member),
+    roles,
+    guildTiers,
+  };
+}
+
+/**
+ * A user's tier on game server `serverId`: the highest among the guilds that
+ * follow it (data/guilds.json `servers`), so a guild's roles only reach its
+ * own servers.  Guilds without a guilds.json entry follow every server.
+ */
+function tierForServer(guildTiers: Record<string, string>, serverId: string): string {
+  return highestTier(
+    Object.entries(guildTiers)
+      .filter(([guildId]) => {
+        const guild = getGuild(guildId);
+        return !guild || followsServer(guild, serverId);
+      })
+      .map(([, tier]) => tier),
+  );
+}
+
+/** Fold freshly checked guilds into a session (guilds the bot could not check keep their tier). */
+function applyGuildsTier(user: SessionUser, result: ReturnType<typeof resolveGuildsTier>): void {
+  user.guildTiers = { ...user.guildTiers, ...result.guildTiers };
+  user.tier = highestTier(Object.values(user.guildTiers));
+  user.tierLevel = TIER[user.tier];
+  user.inGuild = result.inGuild;
+  if (result.inGuild) user.roles = result.roles;
+}
+
 function isAuthorised(member: GuildMember | null, allowedRoles: string[]): boolean {
   if (!member) return false;
   if (allowedRoles.length > 0) {
@@ -262,13 +348,29 @@ interface DiscordGuildMember {
   };
 }
 
+function memberData(member: DiscordGuildMember): GuildMember {
+  return {
+    roles: member.roles.cache.map((r: { id: string }) => r.id),
+    permissions: member.permissions.bitfield.toString(),
+  };
+}
+
 function setupAuth(
   app: Express,
   client: DiscordClient | null,
-  opts: { db?: unknown } = {},
+  opts: { db?: unknown; getLinkedSteamId?: (discordId: string) => string | null } = {},
 ): (req: Request, res: Response, next: NextFunction) => void {
   const authCfg = getAuthConfig();
 
+  // Account links drive the panel's "my character" view — never fail a login over them
+  const linkedSteamId = (discordId: string): string | null => {
+    try {
+      return opts.getLinkedSteamId?.(discordId) ?? null;
+    } catch {
+      return null;
+    }
+  };
+
   if (!authCfg.clientSecret || !authCfg.callbackUrl) {
     // Per-request stub session so route handlers that call req.session.* don't crash.
     app.use((_req: Request, _res: Response, next: NextFunction) => {
@@ -417,6 +519,9 @@ function setupAuth(
   if (authCfg.modRoles.length > 0) console.log(`[AUTH] Mod roles: ${authCfg.modRoles.join(', ')}`);
   if (authCfg.survivorRoles.length > 0) console.log(`[AUTH] Survivor roles: ${authCfg.survivorRoles.join(', ')}`);
   else console.log(`[AUTH] No survivor roles set — any guild member gets survivor access`);
+  if (authCfg.guilds.length > 1) {
+    console.log(`[AUTH] Tiers resolved across guilds: ${authCfg.guilds.map((g) => g.guildId).join(', ')}`);
+  }
 
   // ── Test login (E2E / AI automation) ──
   // Registered only when WEB_PANEL_TEST_AUTH_TOKEN is set, token length >= 32,
@@ -519,20 +624,25 @@ function setupAuth(
       const tokenData = await exchangeCode(code as string, authCfg);
       const accessToken = tokenData.access_token;
       const user = await getUser(accessToken);
-      const member = await getGuildMember(accessToken, authCfg.guildId);
+      const memberships: Array<{ guild: GuildAuth; member: GuildMember | null }> = [];
+      for (const guild of authCfg.guilds) {
+        memberships.push({ guild, member: await getGuildMember(accessToken, guild.guildId) });
+      }
 
-      const tier = resolveTier(member, authCfg);
+      const { tier, inGuild, roles, guildTiers } = resolveGuildsTier(memberships);
 
       hmzReq.session.user = {
         userId: user.id,
         username: user.username,
         displayName: user.global_name || user.username,
         avatar: user.avatar ? `https://cdn.discordapp.com/avatars/${user.id}/${user.avatar}.png` : null,
-        roles: member?.roles || [],
+        roles,
         tier,
         tierLevel: TIER[tier],
-        inGuild: !!member,
+        inGuild,
+        guildTiers,
         lastRoleCheck: Date.now(),
+        steamId: linkedSteamId(user.id),
       };
 
       hmzReq.session.save((err: Error | null) => {
@@ -573,6 +683,7 @@ function setupAuth(
       tier: user.tier,
       tierLevel: user.tierLevel,
       inGuild: user.inGuild,
+      steamId: user.steamId ?? null,
       csrfToken: hmzReq.csrfToken?.(),
     });
   });
@@ -583,26 +694,18 @@ function setupAuth(
     if (!user) {
       return res.json({ authenticated: false, tier: 'public', tierLevel: 0, csrfToken: hmzReq.csrfToken?.() });
     }
-    if (client && authCfg.guildId && user.userId) {
+    if (client && authCfg.guilds.length > 0 && user.userId) {
       try {
-        const guild = client.guilds?.cache?.get(authCfg.guildId);
-        if (guild) {
-          const member = await guild.members.fetch(user.userId).catch(() => null);
-          if (member) {
-            const memberData: GuildMember = {
-              roles: member.roles.cache.map((r: { id: string }) => r.id),
-              permissions: member.permissions.bitfield.toString(),
-            };
-            const newTier = resolveTier(memberData, authCfg);
-            user.tier = newTier;
-            user.tierLevel = TIER[newTier];
-            user.inGuild = true;
-            user.roles = memberData.roles;
-          } else {
-            user.tier = 'public';
-            user.tierLevel = TIER['public'];
-            user.inGuild = false;
-          }
+        // Only guilds the bot is in can be checked — the rest keep the tier from sign-in
+        const memberships: Array<{ guild: GuildAuth; member: GuildMember | null }> = [];
+        for (const guild of authCfg.guilds) {
+          const cached = client.guilds?.cache?.get(guild.guildId);
+          if (!cached) continue;
+          const member = await cached.members.fetch(user.userId).catch(() => null);
+          memberships.push({ guild, member: member ? memberData(member) : null });
+        }
+        if (memberships.length > 0) {
+          applyGuildsTier(user, resolveGuildsTier(memberships));
           user.lastRoleCheck = Date.now();
           hmzReq.session.save((err: Error | null) => {
             if (err) console.error('[AUTH] Session save error after refresh:', err.message);
@@ -613,6 +716,8 @@ function setupAuth(
         console.warn('[AUTH] Refresh guild check failed:', msg);
       }
     }
+    // Pick up /link or /unlink done since login (express-session persists the change)
+    user.steamId = linkedSteamId(user.userId);
     res.json({
       authenticated: true,
       userId: user.userId,
@@ -622,6 +727,7 @@ function setupAuth(
       tier: user.tier,
       tierLevel: user.tierLevel,
       inGuild: user.inGuild,
+      steamId: user.steamId ?? null,
       csrfToken: hmzReq.csrfToken?.(),
     });
   });
@@ -636,25 +742,25 @@ function setupAuth(
     const hmzReq = req as HmzRequest;
     const user = hmzReq.session.user;
     if (user) {
-      if (client && authCfg.guildId && user.userId && Date.now() - (user.lastRoleCheck || 0) > ROLE_REFRESH_INTERVAL) {
-        const guild = client.guilds?.cache?.get(authCfg.guildId);
-        const member = guild?.members.cache.get(user.userId);
-        if (member) {
-          const memberData: GuildMember = {
-            roles: member.roles.cache.map((r: { id: string }) => r.id),
-            permissions: member.permissions.bitfield.toString(),
-          };
-          const newTier = resolveTier(memberData, authCfg);
-          if (newTier !== user.tier) {
-            console.log(`[AUTH] Role change detected for ${user.username}: ${user.tier} → ${newTier}`);
+      if (
+        client &&
+        authCfg.guilds.length > 0 &&
+        user.userId &&
+        Date.now() - (user.lastRoleCheck || 0) > ROLE_REFRESH_INTERVAL
+      ) {
+        const memberships: Array<{ guild: GuildAuth; member: GuildMember | null }> = [];
+        for (const guild of authCfg.guilds) {
+          const cached = client.guilds?.cache?.get(guild.guildId);
+          if (!cached) continue;
+          const member = cached.members.cache.get(user.userId);
+          memberships.push({ guild, member: member ? memberData(member) : null });
+        }
+        if (memberships.length > 0) {
+          const previousTier = user.tier;
+          applyGuildsTier(user, resolveGuildsTier(memberships));
+          if (user.tier !== previousTier) {
+            console.log(`[AUTH] Role change detected for ${user.username}: ${previousTier} → ${user.tier}`);
           }
-          user.tier = newTier;
-          user.tierLevel = TIER[newTier];
-          user.roles = memberData.roles;
-        } else if (guild) {
-          user.tier = 'public';
-          user.tierLevel = TIER['public'];
-          user.inGuild = false;
         }
         user.lastRoleCheck = Date.now();
         hmzReq.session.save((err: Error | null) => {
@@ -675,13 +781,20 @@ function requireTier(minTier: string): (req: Request, res: Response, next: NextF
   const minLevel = TIER[minTier] || 0;
   return (req: Request, res: Response, next: NextFunction) => {
     const hmzReq = req as HmzRequest;
+    // API routes act on one game server — only guilds following it count
+    const user = (hmzReq.session as HmzSession | undefined)?.user;
+    const serverId = (req as { srv?: { serverId?: string } }).srv?.serverId;
+    if (user?.guildTiers && serverId) {
+      hmzReq.tier = tierForServer(user.guildTiers, serverId);
+      hmzReq.tierLevel = TIER[hmzReq.tier];
+    }
     const level = hmzReq.tierLevel || 0;
     if (level >= minLevel) {
       next();
       return;
     }
 
-    if (hmzReq.tier === 'public') {
+    if (hmzReq.tier === 'public' && !user?.inGuild) {
       if (req.path.startsWith('/api/')) {
         return res.status(401).json({ error: 'Authentication required', login: '/auth/login' });
       }
@@ -710,7 +823,7 @@ function _parseCookies(header: string | undefined): Record<string, string> {
   return cookies;
 }
 
-export { setupAuth, requireTier, isEnabled, isAuthorised, resolveTier, TIER };
+export { setupAuth, requireTier, isEnabled, isAuthorised, resolveTier, resolveGuildsTier, tierForServer, TIER };
 export type { HmzRequest, SessionUser, DiscordClient };
 
 // Exported for testing
@@ -0,0 +1,142 @@
+/**
+ * Live panel events — in-process pub/sub hub behind the panel's server-push
+ * stream (`GET /api/panel/stream`, Server-Sent Events).
+ *
+ * Producers (index.ts for the primary server, MultiServerManager for the
+ * managed instances) publish per-server topic events as they happen; each
+ * open stream forwards the events for its server and topics, filtered by
+ * the viewer's tier, so panel tabs can refresh without polling.
+ */
+
+import { EventEmitter } from 'node:events';
+import { TIER } from './auth.js';
+
+export const LIVE_TOPICS = ['players', 'positions', 'activity', 'chat', 'status'] as const;
+export type LiveTopic = (typeof LIVE_TOPICS)[number];
+
+/**
+ * Minimum tier per topic — mirrors the REST endpoint / panel tab each topic
+ * replaces (positions feed the mod-only Live Map, module status is admin-only).
+ */
+export const LIVE_TOPIC_TIERS: Record<LiveTopic, number> = {
+  players: TIER['survivor'] ?? 1,
+  positions: TIER['mod'] ?? 2,
+  activity: TIER['survivor'] ?? 1,
+  chat: TIER['survivor'] ?? 1,
+  status: TIER['survivor'] ?? 1,
+};
+
+export interface LiveEvent {
+  id: number;
+  serverId: string;
+  topic: LiveTopic;
+  data: unknown;
+  ts: string;
+  /** Overrides the topic's minimum tier for this one event (e.g. admin-only module status). */
+  minTier?: number;
+}
+
+export interface LiveEventMap {
+  event: [LiveEvent];
+}
+
+export interface LiveSubscription {
+  serverId: string;
+  topics: readonly LiveTopic[];
+  tierLevel: number;
+}
+
+/** The subset of an HTTP response an SSE stream writes to. */
+export interface SseResponse {
+  writeHead(status: number, headers: Record<string, string>): unknown;
+  write(chunk: string): unknown;
+  flushHeaders?(): void;
+}
+
+const DEFAULT_HEARTBEAT_MS = 25_000;
+
+/** Topics from a `?topics=a,b` query value the viewer may see — all permitted topics when empty. */
+export function parseTopics(raw: unknown, tierLevel: number): LiveTopic[] {
+  const wanted =
+    typeof raw === 'string' && raw.trim() ? raw.split(',').map((t) => t.trim()) : (LIVE_TOPICS as readonly string[]);
+  return LIVE_TOPICS.filter((t) => wanted.includes(t) && tierLevel >= LIVE_TOPIC_TIERS[t]);
+}
+
+/** Serialise one event in the text/event-stream wire format. */
+export function formatSse(event: LiveEvent): string {
+  const payload = JSON.stringify({ serverId: event.serverId, data: event.data, ts: event.ts });
+  return `id: ${String(event.id)}\nevent: ${event.topic}\ndata: ${payload}\n\n`;
+}
+
+export class LiveEvents extends EventEmitter<LiveEventMap> {
+  private _seq = 0;
+
+  constructor() {
+    super();
+    // Every open panel tab holds one listener
+    this.setMaxListeners(0);
+  }
+
+  /** Publish an event to every stream subscribed to `topic` on `serverId`. */
+  publish(serverId: string, topic: LiveTopic, data: unknown, opts: { minTier?: number } = {}): void {
+    if (this.listenerCount('event') === 0) return;
+    const event: LiveEvent = { id: ++this._seq, serverId, topic, data, ts: new Date().toISOString() };
+    if (opts.minTier != null) event.minTier = opts.minTier;
+    this.emit('event', event);
+  }
+
+  /** Publish a bot module status change — admin-only, like `/api/status/modules`. */
+  publishModuleStatus(serverId: string, module: string, status: string): void {
+    this.publish(serverId, 'status', { module, status }, { minTier: TIER['admin'] ?? 3 });
+  }
+
+  /** Call `fn` for each matching event. Returns the unsubscribe function. */
+  subscribe(sub: LiveSubscription, fn: (event: LiveEvent) => void): () => void {
+    const listener = (event: LiveEvent) => {
+      if (event.serverId !== sub.serverId || !sub.topics.includes(event.topic)) return;
+      if (sub.tierLevel < (event.minTier ?? LIVE_TOPIC_TIERS[event.topic])) return;
+      fn(event);
+    };
+    this.on('event', listener);
+    return () => {
+      this.off('event', listener);
+    };
+  }
+
+  /** Number of open subscriptions (streams). */
+  subscriberCount(): number {
+    return this.listenerCount('event');
+  }
+
+  /**
+   * Turn `res` into an SSE stream for `sub`: writes the headers and a `ready`
+   * event listing the granted topics, then forwards matching events and a
+   * comment heartbeat so proxies keep the connection open.  Returns the
+   * cleanup function — call it when the client disconnects.
+   */
+  openStream(res: SseResponse, sub: LiveSubscription, heartbeatMs = DEFAULT_HEARTBEAT_MS): () => void {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      // Disable nginx response buffering for this stream
+      'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders?.();
+    res.write(`retry: 5000\nevent: ready\ndata: ${JSON.stringify({ serverId: sub.serverId, topics: sub.topics })}\n\n`);
+
+    const unsubscribe = this.subscribe(sub, (event) => res.write(formatSse(event)));
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), heartbeatMs);
+    heartbeat.unref();
+    let closed = false;
+    return () => {
+      if (closed) return;
+      closed = true;
+      clearInterval(heartbeat);
+      unsubscribe();
+    };
+  }
+}
+
+const liveEvents = new LiveEvents();
+export default liveEvents;
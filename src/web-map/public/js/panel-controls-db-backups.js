@@ -0,0 +1,194 @@
+/**
+ * Controls tab: Database Backups section — snapshot the bot's SQLite databases
+ * on demand, verify a snapshot and queue a restore (admin only).
+ * @namespace Panel.tabs.controls.dbBackups
+ */
+window.Panel = window.Panel || {};
+Panel.tabs = Panel.tabs || {};
+
+(function () {
+  'use strict';
+
+  const S = Panel.core.S;
+  const $ = Panel.core.$;
+  const esc = Panel.core.esc;
+  const apiFetch = Panel.core.apiFetch;
+  const fmtDateTime = Panel.core.utils.fmtDateTime;
+
+  let _inited = false;
+
+  function init() {
+    if (_inited) return;
+    _inited = true;
+
+    const btn = $('#btn-db-backup-now');
+    if (btn) btn.addEventListener('click', backupNow);
+
+    const list = $('#db-backups-list');
+    if (list) {
+      list.addEventListener('click', function (e) {
+        const target = e.target.closest('[data-db-backup-action]');
+        if (!target) return;
+        const dbId = target.dataset.dbId;
+        const name = target.dataset.name;
+        if (target.dataset.dbBackupAction === 'verify') verifyBackup(dbId, name);
+        else if (target.dataset.dbBackupAction === 'restore') restoreBackup(dbId, name);
+      });
+    }
+  }
+
+  function renderStatus(data) {
+    const el = $('#db-backups-status');
+    if (!el) return;
+    let html = '';
+    const run = data.lastRun;
+    if (run) {
+      html +=
+        '<div>' +
+        esc(
+          i18next.t('web:db_backups.last_run', {
+            time: fmtDateTime(run.startedAt),
+            count: run.created.length,
+            failed: run.failed.length,
+            pruned: run.pruned,
+          }),
+        ) +
+        '</div>';
+    }
+    if (data.pendingRestore) {
+      html +=
+        '<div class="text-amber-400">' +
+        esc(
+          i18next.t('web:db_backups.pending_restore', {
+            db: data.pendingRestore.dbId,
+            name: data.pendingRestore.name,
+          }),
+        ) +
+        '</div>';
+    }
+    el.innerHTML = html;
+  }
+
+  function renderList(backups) {
+    const el = $('#db-backups-list');
+    if (!el) return;
+    if (backups.length === 0) {
+      el.innerHTML = '<div class="feed-empty">' + i18next.t('web:db_backups.no_backups') + '</div>';
+      return;
+    }
+    const formatBytes = Panel.tabs.controls.formatBytes;
+    let html = '<table class="db-table"><thead><tr>';
+    html += '<th>' + i18next.t('web:db_backups.database') + '</th>';
+    html += '<th>' + i18next.t('web:db_backups.taken') + '</th>';
+    html += '<th>' + i18next.t('web:db_backups.size') + '</th>';
+    html += '<th></th>';
+    html += '</tr></thead><tbody>';
+    for (let i = 0; i < backups.length; i++) {
+      const b = backups[i];
+      html += '<tr>';
+      html += '<td class="text-xs font-mono">' + esc(b.dbId) + '</td>';
+      html += '<td class="text-xs" title="' + esc(b.name) + '">' + fmtDateTime(b.createdAt) + '</td>';
+      html += '<td class="text-xs font-mono">' + esc(formatBytes(b.bytes)) + '</td>';
+      html += '<td class="whitespace-nowrap">';
+      html += actionButton('verify', b, i18next.t('web:db_backups.verify'));
+      html += actionButton('restore', b, i18next.t('web:db_backups.restore'));
+      html += '</td></tr>';
+    }
+    html += '</tbody></table>';
+    el.innerHTML = html;
+  }
+
+  function actionButton(action, backup, label) {
+    return (
+      '<button class="btn-secondary text-xs px-2 py-1 mr-1" data-db-backup-action="' +
+      action +
+      '" data-db-id="' +
+      esc(backup.dbId) +
+      '" data-name="' +
+      esc(backup.name) +
+      '">' +
+      esc(label) +
+      '</button>'
+    );
+  }
+
+  async function loadDbBackups() {
+    const section = $('#db-backups-section');
+    if (!section) return;
+    if (S.tier < 3) {
+      section.classList.add('hidden');
+      return;
+    }
+    init();
+
+    let data = { enabled: false };
+    try {
+      const r = await apiFetch('/api/panel/db-backups');
+      if (r.ok) data = await r.json();
+    } catch (_e) {}
+
+    section.classList.toggle('hidden', !data.enabled);
+    if (!data.enabled) return;
+    renderStatus(data);
+    renderList(data.backups || []);
+  }
+
+  async function send(url, body) {
+    try {
+      const r = await apiFetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body || {}),
+      });
+      let data = {};
+      try {
+        data = await r.json();
+      } catch (_e) {}
+      if (!r.ok || !data.ok) {
+        alert(i18next.t('web:db_backups.action_failed', { error: data.error || r.statusText }));
+        return null;
+      }
+      return data;
+    } catch (e) {
+      alert(i18next.t('web:db_backups.action_failed', { error: e.message }));
+      return null;
+    }
+  }
+
+  async function backupNow() {
+    const btn = $('#btn-db-backup-now');
+    if (btn) {
+      btn.disabled = true;
+      btn.textContent = i18next.t('web:db_backups.backing_up');
+    }
+    await send('/api/panel/db-backups');
+    if (btn) {
+      btn.disabled = false;
+      btn.textContent = i18next.t('web:db_backups.backup_now');
+    }
+    loadDbBackups();
+  }
+
+  async function verifyBackup(dbId, name) {
+    const res = await send('/api/panel/db-backups/verify', { dbId: dbId, name: name });
+    if (!res) return;
+    alert(
+      res.result.ok
+        ? i18next.t('web:db_backups.verify_ok', { name: name })
+        : i18next.t('web:db_backups.verify_failed', { name: name, result: res.result.result }),
+    );
+  }
+
+  async function restoreBackup(dbId, name) {
+    const input = prompt(i18next.t('web:db_backups.restore_prompt', { db: dbId, name: name }));
+    if (!input || input.toUpperCase() !== 'RESTORE') return;
+    const res = await send('/api/panel/bot-actions/restore_backup', { confirm: 'RESTORE', dbId: dbId, name: name });
+    if (res) alert(i18next.t('web:db_backups.restore_queued'));
+  }
+
+  function reset() {
+    _inited = false;
+  }
+
+  Panel.tabs.controls.dbBackups = { load: loadDbBackups, reset: reset };
+})();
@@ -0,0 +1,290 @@
+/**
+ * Controls tab: Webhooks section — register outbound endpoints, pick their
+ * events, send test pings and inspect / retry deliveries (admin only).
+ * @namespace Panel.tabs.controls.webhooks
+ */
+window.Panel = window.Panel || {};
+Panel.tabs = Panel.tabs || {};
+
+(function () {
+  'use strict';
+
+  const S = Panel.core.S;
+  const $ = Panel.core.$;
+  const esc = Panel.core.esc;
+  const apiFetch = Panel.core.apiFetch;
+  const fmtDateTime = Panel.core.utils.fmtDateTime;
+
+  let _inited = false;
+  let _webhooks = [];
+  let _openDeliveries = null;
+
+  function init() {
+    if (_inited) return;
+    _inited = true;
+
+    const form = $('#webhooks-form');
+    if (form) {
+      form.addEventListener('submit', function (e) {
+        e.preventDefault();
+        submitWebhook();
+      });
+    }
+
+    const section = $('#webhooks-section');
+    if (section) {
+      section.addEventListener('click', function (e) {
+        const btn = e.target.closest('[data-webhook-action]');
+        if (!btn) return;
+        const id = btn.dataset.webhookId;
+        const action = btn.dataset.webhookAction;
+        if (action === 'test') sendTest(id);
+        else if (action === 'deliveries') loadDeliveries(id);
+        else if (action === 'toggle') toggleWebhook(id);
+        else if (action === 'delete') deleteWebhook(id);
+        else if (action === 'retry') retryDelivery(btn.dataset.deliveryId);
+      });
+    }
+  }
+
+  function renderEvents(events) {
+    const el = $('#webhooks-events');
+    if (!el) return;
+    let html = '<span class="text-muted">' + i18next.t('web:webhooks.events') + ':</span>';
+    html +=
+      '<label class="flex items-center gap-1"><input type="checkbox" class="webhooks-event" value="*"> ' +
+      esc(i18next.t('web:webhooks.all_events')) +
+      '</label>';
+    for (let i = 0; i < events.length; i++) {
+      html +=
+        '<label class="flex items-center gap-1"><input type="checkbox" class="webhooks-event" value="' +
+        esc(events[i]) +
+        '"> <span class="font-mono">' +
+        esc(events[i]) +
+        '</span></label>';
+    }
+    el.innerHTML = html;
+  }
+
+  function renderList() {
+    const el = $('#webhooks-list');
+    if (!el) return;
+    if (_webhooks.length === 0) {
+      el.innerHTML = '<div class="feed-empty">' + i18next.t('web:webhooks.no_webhooks') + '</div>';
+      return;
+    }
+    let html = '<table class="db-table"><thead><tr>';
+    html += '<th>' + i18next.t('web:webhooks.endpoint') + '</th>';
+    html += '<th>' + i18next.t('web:webhooks.events') + '</th>';
+    html += '<th>' + i18next.t('web:webhooks.secret') + '</th>';
+    html += '<th>' + i18next.t('web:webhooks.status') + '</th>';
+    html += '<th></th>';
+    html += '</tr></thead><tbody>';
+    for (let i = 0; i < _webhooks.length; i++) {
+      const w = _webhooks[i];
+      html += '<tr>';
+      html += '<td class="text-xs"><span class="font-mono break-all">' + esc(w.url) + '</span>';
+      if (w.description) html += '<div class="text-muted">' + esc(w.description) + '</div>';
+      html += '</td>';
+      html +=
+        '<td class="text-xs font-mono">' +
+        esc(w.events.indexOf('*') >= 0 ? i18next.t('web:webhooks.all_events') : w.events.join(', ')) +
+        '</td>';
+      html += '<td class="text-xs font-mono">' + esc(w.secret_hint) + '</td>';
+      html +=
+        '<td class="text-xs">' +
+        esc(w.enabled ? i18next.t('web:webhooks.enabled') : i18next.t('web:webhooks.disabled')) +
+        '</td>';
+      html += '<td class="whitespace-nowrap">';
+      html += actionButton('test', w.id, i18next.t('web:webhooks.test'));
+      html += actionButton('deliveries', w.id, i18next.t('web:webhooks.deliveries'));
+      html += actionButton(
+        'toggle',
+        w.id,
+        w.enabled ? i18next.t('web:webhooks.disable') : i18next.t('web:webhooks.enable'),
+      );
+      html += actionButton('delete', w.id, i18next.t('web:webhooks.delete'));
+      html += '</td></tr>';
+    }
+    html += '</tbody></table>';
+    el.innerHTML = html;
+  }
+
+  function actionButton(action, id, label) {
+    return (
+      '<button class="btn-secondary text-xs px-2 py-1 mr-1" data-webhook-action="' +
+      action +
+      '" data-webhook-id="' +
+      esc(String(id)) +
+      '">' +
+      esc(label) +
+      '</button>'
+    );
+  }
+
+  function renderDeliveries(id, deliveries) {
+    const el = $('#webhooks-deliveries');
+    if (!el) return;
+    el.classList.remove('hidden');
+    let html =
+      '<div class="text-[10px] text-muted uppercase tracking-wider mb-1">' +
+      esc(i18next.t('web:webhooks.deliveries_title', { id: id })) +
+      '</div>';
+    if (deliveries.length === 0) {
+      el.innerHTML = html + '<div class="feed-empty">' + i18next.t('web:webhooks.no_deliveries') + '</div>';
+      return;
+    }
+    html += '<table class="db-table"><thead><tr>';
+    html += '<th>#</th>';
+    html += '<th>' + i18next.t('web:webhooks.event') + '</th>';
+    html += '<th>' + i18next.t('web:webhooks.status') + '</th>';
+    html += '<th>' + i18next.t('web:webhooks.attempts') + '</th>';
+    html += '<th>' + i18next.t('web:webhooks.result') + '</th>';
+    html += '<th>' + i18next.t('web:webhooks.created') + '</th>';
+    html += '<th>' + i18next.t('web:webhooks.next_attempt') + '</th>';
+    html += '<th></th>';
+    html += '</tr></thead><tbody>';
+    for (let i = 0; i < deliveries.length; i++) {
+      const d = deliveries[i];
+      const result = d.last_error || (d.response_status ? 'HTTP ' + d.response_status : '');
+      html += '<tr>';
+      html += '<td class="text-xs font-mono">' + d.id + '</td>';
+      html += '<td class="text-xs font-mono">' + esc(d.event) + '</td>';
+      html += '<td class="text-xs">' + esc(i18next.t('web:webhooks.status_' + d.status)) + '</td>';
+      html += '<td class="text-xs">' + d.attempts + '</td>';
+      html += '<td class="text-xs">' + esc(result) + '</td>';
+      html += '<td class="text-xs">' + (d.created_at ? fmtDateTime(d.created_at) : '') + '</td>';
+      html +=
+        '<td class="text-xs">' +
+        (d.status === 'pending' && d.next_attempt_at ? fmtDateTime(d.next_attempt_at) : '') +
+        '</td>';
+      html += '<td>';
+      if (d.status === 'failed') {
+        html +=
+          '<button class="btn-secondary text-xs px-2 py-1" data-webhook-action="retry" data-delivery-id="' +
+          d.id +
+          '">' +
+          esc(i18next.t('web:webhooks.retry')) +
+          '</button>';
+      }
+      html += '</td></tr>';
+    }
+    html += '</tbody></table>';
+    el.innerHTML = html;
+  }
+
+  async function loadWebhooks() {
+    const section = $('#webhooks-section');
+    if (!section) return;
+    if (S.tier < 3) {
+      section.classList.add('hidden');
+      return;
+    }
+    init();
+
+    let data = { enabled: false };
+    try {
+      const r = await apiFetch('/api/panel/webhooks');
+      if (r.ok) data = await r.json();
+    } catch (_e) {}
+
+    section.classList.toggle('hidden', !data.enabled);
+    if (!data.enabled) return;
+    _webhooks = data.webhooks || [];
+    renderEvents(data.events || []);
+    renderList();
+    if (_openDeliveries) loadDeliveries(_openDeliveries);
+  }
+
+  async function loadDeliveries(id) {
+    _openDeliveries = id;
+    try {
+      const r = await apiFetch('/api/panel/webhooks/' + encodeURIComponent(id) + '/deliveries');
+      if (!r.ok) return;
+      const data = await r.json();
+      renderDeliveries(id, data.deliveries || []);
+    } catch (_e) {}
+  }
+
+  async function send(method, url, body) {
+    try {
+      const r = await apiFetch(url, {
+        method: method,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body || {}),
+      });
+      if (!r.ok) {
+        let err = {};
+        try {
+          err = await r.json();
+        } catch (_e) {}
+        alert(i18next.t('web:webhooks.action_failed', { error: err.error || r.statusText }));
+        return null;
+      }
+      return await r.json();
+    } catch (e) {
+      alert(i18next.t('web:webhooks.action_failed', { error: e.message }));
+      return null;
+    }
+  }
+
+  async function submitWebhook() {
+    const url = $('#webhooks-url').value.trim();
+    if (!url) return;
+    const events = Array.prototype.map.call(document.querySelectorAll('.webhooks-event:checked'), function (cb) {
+      return cb.value;
+    });
+    if (events.length === 0) {
+      alert(i18next.t('web:webhooks.pick_event'));
+      return;
+    }
+    const res = await send('POST', '/api/panel/webhooks', {
+      url: url,
+      events: events,
+      description: $('#webhooks-description').value.trim(),
+    });
+    if (!res) return;
+    $('#webhooks-form').reset();
+    prompt(i18next.t('web:webhooks.created_secret'), res.result.secret);
+    loadWebhooks();
+  }
+
+  async function sendTest(id) {
+    const res = await send('POST', '/api/panel/webhooks/' + encodeURIComponent(id) + '/test');
+    if (!res) return;
+    alert(i18next.t('web:webhooks.test_queued', { id: res.result.deliveryId }));
+    loadDeliveries(id);
+  }
+
+  async function toggleWebhook(id) {
+    const hook = _webhooks.find(function (w) {
+      return String(w.id) === String(id);
+    });
+    if (!hook) return;
+    const res = await send('PATCH', '/api/panel/webhooks/' + encodeURIComponent(id), { enabled: !hook.enabled });
+    if (res) loadWebhooks();
+  }
+
+  async function deleteWebhook(id) {
+    if (!confirm(i18next.t('web:webhooks.delete_confirm', { id: id }))) return;
+    const res = await send('DELETE', '/api/panel/webhooks/' + encodeURIComponent(id));
+    if (!res) return;
+    if (String(_openDeliveries) === String(id)) {
+      _openDeliveries = null;
+      $('#webhooks-deliveries').classList.add('hidden');
+    }
+    loadWebhooks();
+  }
+
+  async function retryDelivery(deliveryId) {
+    const res = await send('POST', '/api/panel/webhooks/deliveries/' + encodeURIComponent(deliveryId) + '/retry');
+    if (res && _openDeliveries) loadDeliveries(_openDeliveries);
+  }
+
+  function reset() {
+    _inited = false;
+    _openDeliveries = null;
+  }
+
+  Panel.tabs.controls.webhooks = { load: loadWebhooks, reset: reset };
+})();
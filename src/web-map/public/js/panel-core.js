@@ -41,6 +41,8 @@ window.Panel = window.Panel || {};
     sparkCharts: {},
     dbLastResult: null,
     activityCategory: '',
+    activityView: '',
+    activityFightsOffset: 0,
     activitySearchMode: '',
     activitySearchSteamId: '',
     activityRangePreset: 'today',
@@ -246,10 +248,29 @@ window.Panel = window.Panel || {};
     'ENABLE_STATUS_CHANNELS',
     'ENABLE_SERVER_STATUS',
     'ENABLE_CHAT_RELAY',
+    'ENABLE_CHAT_COMMANDS',
     'ENABLE_PLAYTIME',
     'ENABLE_LOG_WATCHER',
     'ENABLE_PLAYER_STATS',
     'ENABLE_MILESTONES',
+    'ENABLE_BOUNTIES',
+    'ENABLE_ECONOMY',
+    'ENABLE_FACTIONS',
+    'ENABLE_EVENTS',
+    'ENABLE_ACCOUNT_LINKING',
+    'ENABLE_WHITELIST',
+    'ENABLE_BANS',
+    'BAN_PROPAGATE',
+    'ENABLE_WEBHOOKS',
+    'ENABLE_RAID_ALERTS',
+    'RAID_ALERT_CLAN',
+    'ENABLE_OFFLINE_RAID_PROTECTION',
+    'OFFLINE_RAID_WARN',
+    'ENABLE_DEATH_RECAP',
+    'ENABLE_DB_BACKUPS',
+    'DB_BACKUP_COMPRESS',
+    'ENABLE_DATA_RETENTION',
+    'ENABLE_PLUGINS',
     'ENABLE_RECAPS',
     'ENABLE_ANTICHEAT',
     'ENABLE_KILL_FEED',
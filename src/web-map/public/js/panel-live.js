@@ -0,0 +1,123 @@
+/**
+ * Panel Live — server-push channel over Server-Sent Events (/api/panel/stream).
+ * Refreshes the visible tab when the bot reports joins/leaves, positions,
+ * activity, chat or status changes; the per-tab polling in panel-nav stays
+ * as a slow fallback and is skipped while the stream is connected.
+ *
+ * @namespace Panel.live
+ */
+window.Panel = window.Panel || {};
+
+(function () {
+  'use strict';
+
+  const S = Panel.core.S;
+
+  /** Tab → topics that should refresh it. */
+  const TAB_TOPICS = {
+    dashboard: ['players', 'activity', 'status'],
+    map: ['players', 'positions'],
+    activity: ['activity'],
+    chat: ['chat'],
+  };
+
+  /** Coalesce bursts (e.g. a save sync logging dozens of rows) into one reload. */
+  const REFRESH_DEBOUNCE_MS = 1500;
+
+  let _source = null;
+  let _connected = false;
+  let _refreshTimer = null;
+  const _listeners = {};
+
+  function topicsForTier() {
+    const topics = ['players', 'activity', 'chat', 'status'];
+    if (S.tier >= 2) topics.push('positions');
+    return topics;
+  }
+
+  function connect() {
+    disconnect();
+    if (typeof EventSource === 'undefined' || S.currentServer === 'all' || S.tier < 1) return;
+    const topics = topicsForTier();
+    _source = new EventSource(Panel.core.apiUrl('/api/panel/stream?topics=' + topics.join(',')));
+    _source.addEventListener('ready', function () {
+      _connected = true;
+    });
+    _source.onerror = function () {
+      // EventSource reconnects on its own — fall back to polling meanwhile
+      _connected = false;
+    };
+    topics.forEach(function (topic) {
+      _source.addEventListener(topic, function (e) {
+        let msg;
+        try {
+          msg = JSON.parse(e.data);
+        } catch (_e) {
+          return;
+        }
+        if (!msg || msg.serverId !== S.currentServer) return;
+        dispatch(topic, msg.data);
+      });
+    });
+  }
+
+  function disconnect() {
+    if (_source) _source.close();
+    _source = null;
+    _connected = false;
+    if (_refreshTimer) {
+      clearTimeout(_refreshTimer);
+      _refreshTimer = null;
+    }
+  }
+
+  function dispatch(topic, data) {
+    (_listeners[topic] || []).forEach(function (fn) {
+      try {
+        fn(data);
+      } catch (err) {
+        console.error('[Panel] Live "' + topic + '" listener failed:', err);
+      }
+    });
+    const topics = TAB_TOPICS[S.currentTab];
+    if (topics && topics.indexOf(topic) >= 0) scheduleRefresh(S.currentTab);
+  }
+
+  function scheduleRefresh(tab) {
+    if (_refreshTimer || document.hidden) return;
+    _refreshTimer = setTimeout(function () {
+      _refreshTimer = null;
+      if (S.currentTab !== tab) return;
+      refreshTab(tab);
+    }, REFRESH_DEBOUNCE_MS);
+  }
+
+  function refreshTab(tab) {
+    const handler = Panel.tabs && Panel.tabs[tab];
+    if (!handler) return;
+    if (tab === 'activity') {
+      // Only the newest page is live — don't collapse "Load More" pages the user is reading
+      const paging = Panel.shared && Panel.shared.activityFeed;
+      if (paging && paging.getOffset && paging.getOffset() > paging.getPageSize()) return;
+      if (handler.loadActivity) handler.loadActivity();
+      return;
+    }
+    if (handler.load) handler.load();
+  }
+
+  /** Subscribe to a live topic. Returns the unsubscribe function. */
+  function on(topic, fn) {
+    (_listeners[topic] = _listeners[topic] || []).push(fn);
+    return function () {
+      _listeners[topic] = (_listeners[topic] || []).filter(function (f) {
+        return f !== fn;
+      });
+    };
+  }
+
+  function isConnected() {
+    return _connected;
+  }
+
+  Panel.live = { connect: connect, disconnect: disconnect, on: on, isConnected: isConnected };
+})();
@@ -583,6 +583,8 @@ window.Panel = window.Panel || {};
 
     // Activity tab — reset charts flag so they reload for new server
     S.activityCategory = '';
+    S.activityView = '';
+    S.activityFightsOffset = 0;
     S.activitySearchMode = '';
     S.activitySearchSteamId = '';
     S.activityChartsLoaded = false;
@@ -612,6 +614,7 @@ window.Panel = window.Panel || {};
 
     // Timeline — stop playback and reset state
     if (Panel.tabs.timeline && Panel.tabs.timeline.reset) Panel.tabs.timeline.reset();
+    if (Panel.tabs.saveeditor && Panel.tabs.saveeditor.reset) Panel.tabs.saveeditor.reset();
 
     // Dashboard cards — hide all so they don't carry between servers
     const hideDash = ['schedule-card', 'resources-card', 'hzmod-card', 'dashboard-connect'];
@@ -620,6 +623,9 @@ window.Panel = window.Panel || {};
       if (elem) elem.classList.add('hidden');
     });
 
+    // Re-subscribe the live stream to the new server
+    if (Panel.live) Panel.live.connect();
+
     // Reload current tab
     loadPlayersInBackground();
     switchTab(S.currentTab);
@@ -686,6 +692,8 @@ window.Panel = window.Panel || {};
         if (Panel.tabs.settings) Panel.tabs.settings.loadScheduleEditor();
       } else if (S.settingsMode === 'welcome') {
         if (Panel.tabs.settings) Panel.tabs.settings.loadWelcomeEditor();
+      } else if (S.settingsMode === 'commands') {
+        if (Panel.tabs.settings) Panel.tabs.settings.loadChatCommandsEditor();
       } else if (Object.keys(S.settingsOriginal || {}).length) {
         if (Panel.tabs.settings) Panel.tabs.settings.loadSettings(settingsContainer, S.settingsOriginal);
       }
@@ -697,7 +705,13 @@ window.Panel = window.Panel || {};
         activity: Panel.tabs.activity ? Panel.tabs.activity.loadActivity : null,
         chat: Panel.tabs.chat ? Panel.tabs.chat.load : null,
         clans: Panel.tabs.clans ? Panel.tabs.clans.load : null,
+        bounties: Panel.tabs.bounties ? Panel.tabs.bounties.load : null,
+        factions: Panel.tabs.factions ? Panel.tabs.factions.load : null,
+        economy: Panel.tabs.economy ? Panel.tabs.economy.load : null,
+        events: Panel.tabs.events ? Panel.tabs.events.load : null,
         servers: Panel.tabs.servers ? Panel.tabs.servers.load : null,
+        audit: Panel.tabs.audit ? Panel.tabs.audit.load : null,
+        saveeditor: Panel.tabs.saveeditor ? Panel.tabs.saveeditor.load : null,
       };
       if (tabLoaders[S.currentTab]) tabLoaders[S.currentTab]();
     }
@@ -761,6 +775,11 @@ window.Panel = window.Panel || {};
           location.reload();
           return;
         }
+        if (d.steamId !== S.user.steamId) {
+          S.user.steamId = d.steamId;
+          const link = $('#user-profile-link');
+          if (link) link.classList.toggle('hidden', !d.steamId);
+        }
         if (d.tierLevel !== S.tier) {
           S.user = d;
           S.tier = d.tierLevel;
@@ -770,11 +789,16 @@ window.Panel = window.Panel || {};
             const min = parseInt(elem.dataset.minTier, 10);
             elem.classList.toggle('tier-hidden', S.tier < min);
           });
+          // Topics are granted per tier — reconnect for the new set
+          if (Panel.live) Panel.live.connect();
         }
       } catch (_e) {
         /* ignore */
       }
     }, 120000); // every 2 minutes
+
+    // Server-push updates for the visible tab (polling remains as fallback)
+    if (Panel.live) Panel.live.connect();
     const skyBg = $('#skyline-bg');
     if (skyBg) skyBg.classList.add('panel-active');
 
@@ -798,6 +822,17 @@ window.Panel = window.Panel || {};
     const userBlock = $('#user-block');
     if (userBlock && S.tier >= 3) userBlock.addEventListener('click', toggleViewMode);
 
+    // Linked accounts (/link in Discord) get a shortcut to their own character
+    const profileLink = $('#user-profile-link');
+    if (profileLink) {
+      profileLink.classList.toggle('hidden', !S.user.steamId);
+      profileLink.addEventListener('click', function () {
+        if (!S.user.steamId) return;
+        switchTab('players');
+        Panel.tabs.players.showPlayerDetails(S.user.steamId);
+      });
+    }
+
     $$('.nav-link').forEach(function (link) {
       link.addEventListener('click', function (e) {
         e.preventDefault();
@@ -982,7 +1017,7 @@ window.Panel = window.Panel || {};
         }
       });
 
-    ['structures', 'vehicles', 'containers', 'companions'].forEach(function (layer) {
+    ['structures', 'vehicles', 'containers', 'companions', 'territories'].forEach(function (layer) {
       const cb = $('#map-layer-' + layer);
       if (cb)
         cb.addEventListener('change', function () {
@@ -1053,6 +1088,12 @@ window.Panel = window.Panel || {};
         }
       });
 
+    // Fights view toggle
+    const actFightsToggle = $('#activity-toggle-fights');
+    if (actFightsToggle)
+      actFightsToggle.addEventListener('click', function () {
+        if (Panel.tabs.activity) Panel.tabs.activity.setView(S.activityView === 'fights' ? '' : 'fights');
+      });
     // Fingerprint tracker controls
     const fpClose = $('#fp-close');
     if (fpClose)
@@ -1135,7 +1176,7 @@ window.Panel = window.Panel || {};
         if (e.target === sdModal) sdModal.classList.add('hidden');
       });
 
-    // Settings mode toggle (Game Server / Bot Config / Schedule / Welcome File)
+    // Settings mode toggle (Game Server / Bot Config / Schedule / Welcome File / Chat Commands)
     $$('.settings-mode-btn').forEach(function (btn) {
       btn.addEventListener('click', function () {
         const mode = btn.dataset.mode;
@@ -1153,7 +1194,7 @@ window.Panel = window.Panel || {};
         const resetBtn = $('#settings-reset-btn');
         const changeCount = $('#settings-change-count');
         const settingsCount = $('#settings-count');
-        const hideToolbar = mode === 'schedule' || mode === 'welcome';
+        const hideToolbar = mode === 'schedule' || mode === 'welcome' || mode === 'commands';
         if (saveBtn) saveBtn.classList.toggle('hidden', hideToolbar);
         if (resetBtn) resetBtn.classList.toggle('hidden', hideToolbar);
         if (changeCount) changeCount.classList.toggle('hidden', hideToolbar);
@@ -1166,6 +1207,8 @@ window.Panel = window.Panel || {};
             Panel.tabs.settings.loadScheduleEditor();
           } else if (mode === 'welcome') {
             Panel.tabs.settings.loadWelcomeEditor();
+          } else if (mode === 'commands') {
+            Panel.tabs.settings.loadChatCommandsEditor();
           } else {
             Panel.tabs.settings.loadBotConfig();
           }
@@ -1291,7 +1334,11 @@ window.Panel = window.Panel || {};
     loadPlayersInBackground();
     loadServerList();
 
-    switchTab('dashboard');
+    // Death recap links (?focus=x,y) open the map — when this tier can see it
+    const mapNav = $('.nav-link[data-tab="map"]');
+    const openMap =
+      Panel.tabs.map && Panel.tabs.map.hasUrlFocus() && mapNav && S.tier >= parseInt(mapNav.dataset.minTier || '0', 10);
+    switchTab(openMap ? 'map' : 'dashboard');
   }
 
   // ══════════════════════════════════════════════════
@@ -22,6 +22,10 @@ window.Panel = window.Panel || {};
       timeline: i18next.t('web:tabs.timeline'),
       players: i18next.t('web:tabs.players'),
       clans: i18next.t('web:tabs.clans'),
+      bounties: i18next.t('web:tabs.bounties'),
+      factions: i18next.t('web:tabs.factions'),
+      economy: i18next.t('web:tabs.economy'),
+      events: i18next.t('web:tabs.events'),
       activity: i18next.t('web:tabs.activity'),
       chat: i18next.t('web:tabs.chat'),
       items: i18next.t('web:tabs.items'),
@@ -30,6 +34,8 @@ window.Panel = window.Panel || {};
       controls: i18next.t('web:tabs.controls'),
       database: i18next.t('web:tabs.database'),
       anticheat: i18next.t('web:tabs.anticheat'),
+      audit: i18next.t('web:tabs.audit'),
+      saveeditor: i18next.t('web:tabs.saveeditor'),
       servers: i18next.t('web:servers.tab'),
     };
   }
@@ -118,11 +124,12 @@ window.Panel = window.Panel || {};
       }
     }
 
-    // Set up polling where needed
+    // Set up polling where needed — skipped while the live stream pushes updates
     switch (tab) {
       case 'dashboard':
         S.pollTimers.push(
           setInterval(function () {
+            if (Panel.live && Panel.live.isConnected()) return;
             if (Panel.tabs.dashboard) Panel.tabs.dashboard.load();
           }, 30000),
         );
@@ -130,6 +137,7 @@ window.Panel = window.Panel || {};
       case 'map':
         S.pollTimers.push(
           setInterval(function () {
+            if (Panel.live && Panel.live.isConnected()) return;
             if (Panel.tabs.map) Panel.tabs.map.load();
           }, 15000),
         );
@@ -137,6 +145,7 @@ window.Panel = window.Panel || {};
       case 'chat':
         S.pollTimers.push(
           setInterval(function () {
+            if (Panel.live && Panel.live.isConnected()) return;
             if (Panel.tabs.chat) Panel.tabs.chat.load();
           }, 8000),
         );
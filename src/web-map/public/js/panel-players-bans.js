@@ -0,0 +1,318 @@
+/**
+ * Players tab: Bans section — active bans with evidence and notes, the ban
+ * form (admin) and lifted/expired history (mod and above).
+ * @namespace Panel.tabs.players.bans
+ */
+window.Panel = window.Panel || {};
+Panel.tabs = Panel.tabs || {};
+
+(function () {
+  'use strict';
+
+  const S = Panel.core.S;
+  const $ = Panel.core.$;
+  const esc = Panel.core.esc;
+  const apiFetch = Panel.core.apiFetch;
+  const fmtDateTime = Panel.core.utils.fmtDateTime;
+
+  let _inited = false;
+  let _servers = [];
+  let _active = [];
+
+  function init() {
+    if (_inited) return;
+    _inited = true;
+
+    const form = $('#bans-form');
+    if (form) {
+      form.addEventListener('submit', function (e) {
+        e.preventDefault();
+        submitBan();
+      });
+    }
+
+    const syncBtn = $('#bans-sync');
+    if (syncBtn) syncBtn.addEventListener('click', syncBans);
+
+    const section = $('#bans-section');
+    if (section) {
+      section.addEventListener('click', function (e) {
+        const btn = e.target.closest('[data-ban-action]');
+        if (!btn) return;
+        if (btn.dataset.banAction === 'unban') unban(btn.dataset.steamId);
+        else if (btn.dataset.banAction === 'notes') editNotes(btn.dataset.banId);
+      });
+    }
+  }
+
+  /** "12, 15 #20" → [12, 15, 20] */
+  function parseIds(text) {
+    return (text.match(/\d+/g) || []).map(Number);
+  }
+
+  function playerCell(steamId, name) {
+    return (
+      '<span class="player-link" data-steam-id="' +
+      esc(steamId) +
+      '">' +
+      esc(name && name !== steamId ? name : steamId) +
+      '</span>'
+    );
+  }
+
+  function serverNames(ids) {
+    return ids
+      .map(function (id) {
+        for (let i = 0; i < _servers.length; i++) {
+          if (_servers[i].id === id) return _servers[i].name;
+        }
+        return id;
+      })
+      .join(', ');
+  }
+
+  function evidenceChips(evidence) {
+    if (!evidence || evidence.length === 0) return '';
+    return evidence
+      .map(function (f) {
+        const title = f.detector ? f.detector + ' · ' + f.severity + ' · ' + f.status : '';
+        return (
+          '<span class="inline-block font-mono text-[11px] px-1.5 py-0.5 mr-1 rounded bg-surface-300/60" title="' +
+          esc(title) +
+          '">#' +
+          f.id +
+          '</span>'
+        );
+      })
+      .join('');
+  }
+
+  function renderServers() {
+    const el = $('#bans-servers');
+    if (!el) return;
+    let html = '<span class="text-muted">' + i18next.t('web:bans.servers') + ':</span>';
+    for (let i = 0; i < _servers.length; i++) {
+      const srv = _servers[i];
+      html +=
+        '<label class="flex items-center gap-1"><input type="checkbox" class="bans-server" value="' +
+        esc(srv.id) +
+        '"' +
+        (srv.default ? ' checked' : '') +
+        '> ' +
+        esc(srv.name) +
+        '</label>';
+    }
+    el.innerHTML = html;
+  }
+
+  function renderActive(bans) {
+    const el = $('#bans-active');
+    if (!el) return;
+    if (bans.length === 0) {
+      el.innerHTML = '<div class="feed-empty">' + i18next.t('web:bans.no_active') + '</div>';
+      return;
+    }
+    let html = '<table class="db-table"><thead><tr>';
+    html += '<th>' + i18next.t('web:bans.player') + '</th>';
+    html += '<th>' + i18next.t('web:bans.reason') + '</th>';
+    html += '<th>' + i18next.t('web:bans.evidence') + '</th>';
+    html += '<th>' + i18next.t('web:bans.servers') + '</th>';
+    html += '<th>' + i18next.t('web:bans.banned_by') + '</th>';
+    html += '<th>' + i18next.t('web:bans.expires') + '</th>';
+    html += '<th></th>';
+    html += '</tr></thead><tbody>';
+    for (let i = 0; i < bans.length; i++) {
+      const b = bans[i];
+      html += '<tr>';
+      html += '<td>' + playerCell(b.steam_id, b.player_name) + '</td>';
+      html += '<td class="text-xs">' + esc(b.reason);
+      if (b.notes) html += '<div class="text-muted whitespace-pre-wrap">' + esc(b.notes) + '</div>';
+      html += '</td>';
+      html += '<td>' + evidenceChips(b.evidence) + '</td>';
+      html += '<td class="text-xs">' + esc(serverNames(b.servers)) + '</td>';
+      html +=
+        '<td class="text-xs">' +
+        esc(b.banned_by_name || b.banned_by) +
+        '<div class="text-[11px] text-muted">' +
+        (b.created_at ? fmtDateTime(b.created_at) : '') +
+        '</div></td>';
+      html +=
+        '<td class="text-xs">' + (b.expires_at ? fmtDateTime(b.expires_at) : i18next.t('web:bans.permanent')) + '</td>';
+      html += '<td class="whitespace-nowrap">';
+      html +=
+        '<button class="btn-secondary text-xs px-2 py-1" data-ban-action="notes" data-ban-id="' +
+        b.id +
+        '">' +
+        esc(i18next.t('web:bans.edit_notes')) +
+        '</button> ';
+      if (S.tier >= 3) {
+        html +=
+          '<button class="btn-secondary text-xs px-2 py-1" data-ban-action="unban" data-steam-id="' +
+          esc(b.steam_id) +
+          '">' +
+          esc(i18next.t('web:bans.unban')) +
+          '</button>';
+      }
+      html += '</td></tr>';
+    }
+    html += '</tbody></table>';
+    el.innerHTML = html;
+  }
+
+  function renderRecent(bans) {
+    const el = $('#bans-recent');
+    if (!el) return;
+    if (bans.length === 0) {
+      el.innerHTML = '<div class="feed-empty">' + i18next.t('web:bans.no_history') + '</div>';
+      return;
+    }
+    let html = '<table class="db-table"><thead><tr>';
+    html += '<th>' + i18next.t('web:bans.player') + '</th>';
+    html += '<th>' + i18next.t('web:bans.reason') + '</th>';
+    html += '<th>' + i18next.t('web:bans.banned_by') + '</th>';
+    html += '<th>' + i18next.t('web:bans.ended') + '</th>';
+    html += '</tr></thead><tbody>';
+    for (let i = 0; i < bans.length; i++) {
+      const b = bans[i];
+      const ended =
+        b.status === 'expired'
+          ? i18next.t('web:bans.status_expired')
+          : i18next.t('web:bans.status_lifted', { name: b.lifted_by_name || b.lifted_by });
+      html += '<tr>';
+      html += '<td>' + playerCell(b.steam_id, b.player_name) + '</td>';
+      html += '<td class="text-xs">' + esc(b.reason) + ' ' + evidenceChips(b.evidence) + '</td>';
+      html +=
+        '<td class="text-xs">' +
+        esc(b.banned_by_name || b.banned_by) +
+        '<div class="text-[11px] text-muted">' +
+        (b.created_at ? fmtDateTime(b.created_at) : '') +
+        '</div></td>';
+      html += '<td class="text-xs">' + esc(ended);
+      if (b.lift_reason) html += '<div class="text-muted">' + esc(b.lift_reason) + '</div>';
+      html += '<div class="text-[11px] text-muted">' + (b.lifted_at ? fmtDateTime(b.lifted_at) : '') + '</div>';
+      html += '</td></tr>';
+    }
+    html += '</tbody></table>';
+    el.innerHTML = html;
+  }
+
+  async function loadBans() {
+    const section = $('#bans-section');
+    if (!section) return;
+    if (S.tier < 2) {
+      section.classList.add('hidden');
+      return;
+    }
+    init();
+
+    let data = { enabled: false };
+    try {
+      const r = await apiFetch('/api/panel/bans');
+      if (r.ok) data = await r.json();
+    } catch (_e) {}
+
+    section.classList.toggle('hidden', !data.enabled);
+    if (!data.enabled) return;
+    _servers = data.servers || [];
+    _active = data.active || [];
+    renderServers();
+    renderActive(_active);
+    renderRecent(data.recent || []);
+  }
+
+  async function post(url, body) {
+    try {
+      const r = await apiFetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body || {}),
+      });
+      if (!r.ok) {
+        let err = {};
+        try {
+          err = await r.json();
+        } catch (_e) {}
+        alert(i18next.t('web:bans.action_failed', { error: err.error || r.statusText }));
+        return null;
+      }
+      return await r.json();
+    } catch (e) {
+      alert(i18next.t('web:bans.action_failed', { error: e.message }));
+      return null;
+    }
+  }
+
+  async function submitBan() {
+    const player = $('#bans-player').value.trim();
+    if (!player) return;
+    const servers = Array.prototype.map.call(document.querySelectorAll('.bans-server:checked'), function (cb) {
+      return cb.value;
+    });
+    if (servers.length === 0) {
+      alert(i18next.t('web:bans.pick_server'));
+      return;
+    }
+    const res = await post('/api/panel/bans', {
+      player: player,
+      reason: $('#bans-reason').value.trim(),
+      notes: $('#bans-notes').value.trim(),
+      evidence: parseIds($('#bans-evidence').value),
+      durationMinutes: parseInt($('#bans-duration').value, 10) || 0,
+      servers: servers,
+    });
+    if (!res) return;
+    $('#bans-form').reset();
+    loadBans();
+  }
+
+  async function unban(steamId) {
+    const reason = prompt(i18next.t('web:bans.unban_prompt', { steamId: steamId }));
+    if (reason === null) return;
+    const res = await post('/api/panel/bans/' + encodeURIComponent(steamId) + '/unban', { reason: reason });
+    if (res) loadBans();
+  }
+
+  async function editNotes(id) {
+    const ban = _active.find(function (b) {
+      return String(b.id) === String(id);
+    });
+    if (!ban) return;
+    const notes = prompt(i18next.t('web:bans.notes_prompt'), ban.notes || '');
+    if (notes === null) return;
+    const evidence = prompt(
+      i18next.t('web:bans.evidence_prompt'),
+      (ban.evidence || [])
+        .map(function (f) {
+          return f.id;
+        })
+        .join(', '),
+    );
+    if (evidence === null) return;
+    const res = await post('/api/panel/bans/' + encodeURIComponent(id) + '/notes', {
+      notes: notes,
+      evidence: parseIds(evidence),
+    });
+    if (res) loadBans();
+  }
+
+  async function syncBans() {
+    const res = await post('/api/panel/bans/sync');
+    if (!res) return;
+    const s = res.summary || {};
+    alert(
+      i18next.t('web:bans.synced', {
+        checked: s.checked || 0,
+        added: s.added || 0,
+        removed: s.removed || 0,
+        imported: s.imported || 0,
+      }),
+    );
+    loadBans();
+  }
+
+  function reset() {
+    _inited = false;
+  }
+
+  Panel.tabs.players.bans = { load: loadBans, reset: reset };
+})();
@@ -0,0 +1,272 @@
+/**
+ * Players tab: Whitelist section — pending applications, whitelisted
+ * players and the review history (mod and above).
+ * @namespace Panel.tabs.players.whitelist
+ */
+window.Panel = window.Panel || {};
+Panel.tabs = Panel.tabs || {};
+
+(function () {
+  'use strict';
+
+  const S = Panel.core.S;
+  const $ = Panel.core.$;
+  const esc = Panel.core.esc;
+  const apiFetch = Panel.core.apiFetch;
+  const fmtDateTime = Panel.core.utils.fmtDateTime;
+
+  let _inited = false;
+  let _trialDays = 0;
+
+  function init() {
+    if (_inited) return;
+    _inited = true;
+
+    const form = $('#whitelist-add-form');
+    if (form) {
+      form.addEventListener('submit', function (e) {
+        e.preventDefault();
+        addMember();
+      });
+    }
+
+    const reconcileBtn = $('#whitelist-reconcile');
+    if (reconcileBtn) reconcileBtn.addEventListener('click', reconcile);
+
+    const section = $('#whitelist-section');
+    if (section) {
+      section.addEventListener('click', function (e) {
+        const btn = e.target.closest('[data-wl-action]');
+        if (!btn) return;
+        if (btn.dataset.wlAction === 'remove') removeMember(btn.dataset.steamId);
+        else review(btn.dataset.appId, btn.dataset.wlAction);
+      });
+    }
+  }
+
+  function playerCell(steamId, name) {
+    return (
+      '<span class="player-link" data-steam-id="' +
+      esc(steamId) +
+      '">' +
+      esc(name && name !== steamId ? name : steamId) +
+      '</span>'
+    );
+  }
+
+  function actionButton(attrs, label) {
+    return '<button class="btn-secondary text-xs px-3 py-1" ' + attrs + '>' + esc(label) + '</button>';
+  }
+
+  function renderPending(pending) {
+    const el = $('#whitelist-pending');
+    if (!el) return;
+    if (pending.length === 0) {
+      el.innerHTML = '<div class="feed-empty">' + i18next.t('web:whitelist.no_pending') + '</div>';
+      return;
+    }
+    let html = '<div class="space-y-3">';
+    for (let i = 0; i < pending.length; i++) {
+      const app = pending[i];
+      const idAttr = 'data-app-id="' + app.id + '"';
+      html += '<div class="border border-border rounded-lg p-3 space-y-2">';
+      html += '<div class="flex items-center gap-2 flex-wrap">';
+      html += '<span class="font-mono text-xs text-muted">#' + app.id + '</span>';
+      html += playerCell(app.steam_id, app.player_name);
+      html += '<span class="font-mono text-xs text-muted">' + esc(app.steam_id) + '</span>';
+      html += '<span class="text-xs text-muted">' + esc(app.discord_name || app.discord_id) + '</span>';
+      html += '<span class="text-[11px] text-muted">' + (app.created_at ? fmtDateTime(app.created_at) : '') + '</span>';
+      html += '<span class="flex-1"></span>';
+      html += actionButton('data-wl-action="approve" ' + idAttr, i18next.t('web:whitelist.approve'));
+      if (_trialDays > 0) {
+        html += actionButton(
+          'data-wl-action="trial" ' + idAttr,
+          i18next.t('web:whitelist.trial', { days: _trialDays }),
+        );
+      }
+      html += actionButton('data-wl-action="deny" ' + idAttr, i18next.t('web:whitelist.deny'));
+      html += '</div>';
+      const answers = app.answers || [];
+      for (let j = 0; j < answers.length; j++) {
+        html += '<div class="text-xs"><div class="text-muted">' + esc(answers[j].question) + '</div>';
+        html += '<div class="whitespace-pre-wrap">' + esc(answers[j].answer) + '</div></div>';
+      }
+      html += '</div>';
+    }
+    html += '</div>';
+    el.innerHTML = html;
+  }
+
+  function renderMembers(members, servers) {
+    const el = $('#whitelist-members');
+    if (!el) return;
+    if (members.length === 0) {
+      el.innerHTML = '<div class="feed-empty">' + i18next.t('web:whitelist.no_members') + '</div>';
+      return;
+    }
+    const serverNames = {};
+    for (let s = 0; s < servers.length; s++) serverNames[servers[s].id] = servers[s].name;
+    let html = '<table class="db-table"><thead><tr>';
+    html += '<th>' + i18next.t('web:whitelist.player') + '</th>';
+    html += '<th>' + i18next.t('web:whitelist.servers') + '</th>';
+    html += '<th>' + i18next.t('web:whitelist.added_by') + '</th>';
+    html += '<th>' + i18next.t('web:whitelist.added_at') + '</th>';
+    html += '<th>' + i18next.t('web:whitelist.expires') + '</th>';
+    html += '<th></th>';
+    html += '</tr></thead><tbody>';
+    for (let i = 0; i < members.length; i++) {
+      const m = members[i];
+      const names = (m.servers || []).map(function (id) {
+        return serverNames[id] || id;
+      });
+      html += '<tr>';
+      html += '<td>' + playerCell(m.steam_id, m.player_name) + '</td>';
+      html += '<td class="text-xs">' + esc(names.join(', ')) + '</td>';
+      html += '<td class="text-xs">' + esc(m.added_by_name || m.added_by) + '</td>';
+      html += '<td class="text-xs text-muted">' + (m.added_at ? fmtDateTime(m.added_at) : '') + '</td>';
+      html +=
+        '<td class="text-xs">' +
+        (m.expires_at ? fmtDateTime(m.expires_at) : i18next.t('web:whitelist.permanent')) +
+        '</td>';
+      html +=
+        '<td>' +
+        actionButton(
+          'data-wl-action="remove" data-steam-id="' + esc(m.steam_id) + '"',
+          i18next.t('web:whitelist.remove'),
+        ) +
+        '</td>';
+      html += '</tr>';
+    }
+    html += '</tbody></table>';
+    el.innerHTML = html;
+  }
+
+  function renderHistory(history) {
+    const el = $('#whitelist-history');
+    if (!el) return;
+    if (history.length === 0) {
+      el.innerHTML = '<div class="feed-empty">' + i18next.t('web:whitelist.no_history') + '</div>';
+      return;
+    }
+    let html = '<div class="space-y-1">';
+    for (let i = 0; i < history.length; i++) {
+      const h = history[i];
+      html += '<div class="flex items-center gap-2 py-1 px-2 rounded hover:bg-surface-300/50 text-sm">';
+      html +=
+        '<span class="text-xs font-medium w-20 shrink-0">' +
+        esc(i18next.t('web:whitelist.actions.' + h.action, { defaultValue: h.action })) +
+        '</span>';
+      html += playerCell(h.steam_id, h.player_name);
+      html += '<span class="text-xs text-muted">' + esc(h.actor_name || h.actor) + '</span>';
+      if (h.server_id) html += '<span class="text-xs text-muted font-mono">' + esc(h.server_id) + '</span>';
+      html += '<span class="flex-1 truncate text-xs text-muted">' + esc(h.details) + '</span>';
+      html +=
+        '<span class="text-[11px] text-muted shrink-0">' + (h.created_at ? fmtDateTime(h.created_at) : '') + '</span>';
+      html += '</div>';
+    }
+    html += '</div>';
+    el.innerHTML = html;
+  }
+
+  async function loadWhitelist() {
+    const section = $('#whitelist-section');
+    if (!section) return;
+    if (S.tier < 2) {
+      section.classList.add('hidden');
+      return;
+    }
+    init();
+
+    let data = { enabled: false };
+    try {
+      const r = await apiFetch('/api/panel/whitelist');
+      if (r.ok) data = await r.json();
+    } catch (_e) {}
+
+    section.classList.toggle('hidden', !data.enabled);
+    if (!data.enabled) return;
+    _trialDays = data.trialDays || 0;
+    renderPending(data.pending || []);
+    renderMembers(data.members || [], data.servers || []);
+    renderHistory(data.history || []);
+  }
+
+  async function post(url, body) {
+    try {
+      const r = await apiFetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body || {}),
+      });
+      if (!r.ok) {
+        let err = {};
+        try {
+          err = await r.json();
+        } catch (_e) {}
+        alert(i18next.t('web:whitelist.action_failed', { error: err.error || r.statusText }));
+        return null;
+      }
+      return await r.json();
+    } catch (e) {
+      alert(i18next.t('web:whitelist.action_failed', { error: e.message }));
+      return null;
+    }
+  }
+
+  async function review(id, action) {
+    let body = {};
+    if (action === 'deny') {
+      const note = prompt(i18next.t('web:whitelist.deny_prompt', { id: id }));
+      if (note === null) return;
+      body = { note: note };
+    } else if (action === 'trial') {
+      body = { trialDays: _trialDays };
+    }
+    const res = await post(
+      '/api/panel/whitelist/applications/' + encodeURIComponent(id) + '/' + (action === 'deny' ? 'deny' : 'approve'),
+      body,
+    );
+    if (res) loadWhitelist();
+  }
+
+  async function addMember() {
+    const playerInput = $('#whitelist-add-player');
+    const trialInput = $('#whitelist-add-trial');
+    const player = playerInput ? playerInput.value.trim() : '';
+    if (!player) return;
+    const res = await post('/api/panel/whitelist/members', {
+      player: player,
+      trialDays: trialInput ? parseInt(trialInput.value, 10) || null : null,
+    });
+    if (!res) return;
+    $('#whitelist-add-form').reset();
+    loadWhitelist();
+  }
+
+  async function removeMember(steamId) {
+    if (!confirm(i18next.t('web:whitelist.confirm_remove', { steamId: steamId }))) return;
+    const res = await post('/api/panel/whitelist/members/' + encodeURIComponent(steamId) + '/remove');
+    if (res) loadWhitelist();
+  }
+
+  async function reconcile() {
+    const res = await post('/api/panel/whitelist/reconcile');
+    if (!res) return;
+    const s = res.summary || {};
+    alert(
+      i18next.t('web:whitelist.reconciled', {
+        checked: s.checked || 0,
+        added: s.added || 0,
+        removed: s.removed || 0,
+        imported: s.imported || 0,
+      }),
+    );
+    loadWhitelist();
+  }
+
+  function reset() {
+    _inited = false;
+  }
+
+  Panel.tabs.players.whitelist = { load: loadWhitelist, reset: reset };
+})();
@@ -0,0 +1,378 @@
+/**
+ * Save Editor tab: Inventory rollback — what a player held at a timeline
+ * snapshot compared with now, given back over RCON (player online) or as a
+ * staged save edit (server offline).
+ * @namespace Panel.tabs.saveeditor.rollback
+ */
+window.Panel = window.Panel || {};
+Panel.tabs = Panel.tabs || {};
+
+(function () {
+  'use strict';
+
+  const S = Panel.core.S;
+  const $ = Panel.core.$;
+  const esc = Panel.core.esc;
+  const apiFetch = Panel.core.apiFetch;
+  const fmtDateTime = Panel.core.utils.fmtDateTime;
+  const showToast = Panel.core.utils.showToast;
+
+  let _inited = false;
+  let _steamId = '';
+  let _giveCommand = '';
+  let _plan = null;
+  let _pending = null;
+
+  function init() {
+    if (_inited) return;
+    _inited = true;
+    const player = $('#rollback-player');
+    if (player) player.addEventListener('change', loadSnapshots);
+    const snapshot = $('#rollback-snapshot');
+    if (snapshot) snapshot.addEventListener('change', loadPlan);
+    const section = $('#rollback-section');
+    if (section) section.addEventListener('click', onAction);
+  }
+
+  async function load() {
+    init();
+    const list = $('#rollback-players');
+    if (!list) return;
+    list.innerHTML = S.players
+      .map(function (p) {
+        return '<option value="' + esc(p.steamId) + '">' + esc(p.name || '') + '</option>';
+      })
+      .join('');
+  }
+
+  function errorText(data, r) {
+    const detail = data.details && data.details.detail ? ' (' + data.details.detail + ')' : '';
+    return (data.error || r.statusText) + detail;
+  }
+
+  async function post(url, body) {
+    const r = await apiFetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    let data = {};
+    try {
+      data = await r.json();
+    } catch (_e) {}
+    return { r: r, data: data };
+  }
+
+  function url(suffix, query) {
+    return '/api/panel/players/' + encodeURIComponent(_steamId) + '/rollback' + (suffix || '') + (query || '');
+  }
+
+  // ══════════════════════════════════════════════════
+  //  SNAPSHOTS AND PLAN
+  // ══════════════════════════════════════════════════
+
+  async function loadSnapshots() {
+    const input = $('#rollback-player');
+    const select = $('#rollback-snapshot');
+    _steamId = input ? input.value.trim() : '';
+    _plan = null;
+    _pending = null;
+    renderPlan();
+    if (!select) return;
+    select.innerHTML = '';
+    if (!/^\d{17}$/.test(_steamId)) return;
+    try {
+      const r = await apiFetch(url());
+      const data = await r.json();
+      if (!r.ok) throw new Error(errorText(data, r));
+      _giveCommand = data.giveCommand;
+      select.innerHTML =
+        '<option value="">' +
+        esc(i18next.t('web:save_editor.rollback.pick_snapshot', { count: data.snapshots.length })) +
+        '</option>' +
+        data.snapshots
+          .map(function (s) {
+            return (
+              '<option value="' +
+              s.id +
+              '">' +
+              esc(
+                fmtDateTime(s.created_at) +
+                  ' · ' +
+                  i18next.t('web:save_editor.rollback.game_day', { day: s.game_day }) +
+                  (s.online ? '' : ' · ' + i18next.t('web:save_editor.rollback.was_offline')),
+              ) +
+              '</option>'
+            );
+          })
+          .join('');
+    } catch (e) {
+      showToast(i18next.t('web:save_editor.action_failed', { error: e.message }));
+    }
+  }
+
+  async function loadPlan() {
+    const select = $('#rollback-snapshot');
+    _plan = null;
+    _pending = null;
+    if (!select || !select.value) {
+      renderPlan();
+      return;
+    }
+    try {
+      const r = await apiFetch(url('', '?snapshot=' + encodeURIComponent(select.value)));
+      const data = await r.json();
+      if (!r.ok) throw new Error(errorText(data, r));
+      _plan = data.plan;
+      _pending = data.pending || null;
+      renderPlan();
+    } catch (e) {
+      showToast(i18next.t('web:save_editor.action_failed', { error: e.message }));
+      renderPlan();
+    }
+  }
+
+  function renderPlan() {
+    const el = $('#rollback-plan');
+    const actions = $('#rollback-actions');
+    const output = $('#rollback-output');
+    if (output) output.innerHTML = '';
+    if (actions) actions.classList.toggle('hidden', !_plan);
+    if (!el) return;
+    if (!_plan) {
+      el.innerHTML = '';
+      return;
+    }
+    // A restore given since the last save sync still shows as missing here
+    const pending = _pending
+      ? '<div class="p-3 text-xs text-amber-400">' +
+        esc(i18next.t('web:save_editor.rollback.pending', { at: fmtDateTime(_pending.at) })) +
+        '</div>'
+      : '';
+    if (!_plan.lines.length) {
+      el.innerHTML =
+        pending + '<div class="p-3 text-xs text-muted">' + i18next.t('web:save_editor.rollback.no_changes') + '</div>';
+      return;
+    }
+    el.innerHTML =
+      pending +
+      '<table class="db-table"><thead><tr><th></th><th>' +
+      i18next.t('web:save_editor.col_item') +
+      '</th><th>' +
+      i18next.t('web:save_editor.rollback.col_before') +
+      '</th><th>' +
+      i18next.t('web:save_editor.rollback.col_now') +
+      '</th><th>' +
+      i18next.t('web:save_editor.rollback.col_restore') +
+      '</th></tr></thead><tbody>' +
+      _plan.lines
+        .map(function (l) {
+          const can = l.missing > 0 && l.restorable;
+          return (
+            '<tr data-item="' +
+            esc(l.item) +
+            '"><td><input type="checkbox" class="rollback-pick"' +
+            (can ? ' checked' : ' disabled') +
+            '></td><td class="text-xs font-mono">' +
+            esc(l.item) +
+            (l.restorable
+              ? ''
+              : ' <span class="text-amber-400">' + i18next.t('web:save_editor.rollback.not_restorable') + '</span>') +
+            '</td><td class="text-xs">' +
+            l.before +
+            '</td><td class="text-xs ' +
+            (l.now < l.before ? 'text-red-400' : 'text-green-400') +
+            '">' +
+            l.now +
+            '</td><td>' +
+            (can
+              ? '<input type="number" class="input-field w-20 text-xs rollback-amount" min="1" max="' +
+                l.missing +
+                '" value="' +
+                l.missing +
+                '">'
+              : '<span class="text-xs text-muted">-</span>') +
+            '</td></tr>'
+          );
+        })
+        .join('') +
+      '</tbody></table>';
+  }
+
+  /** The reviewed lines as the API's `items` list. */
+  function selection() {
+    const rows = document.querySelectorAll('#rollback-plan tr[data-item]');
+    const items = [];
+    rows.forEach(function (row) {
+      const pick = row.querySelector('.rollback-pick');
+      const amount = row.querySelector('.rollback-amount');
+      if (!pick || !pick.checked || !amount) return;
+      items.push({ item: row.dataset.item, amount: Math.round(Number(amount.value) || 0) });
+    });
+    return items;
+  }
+
+  function requestBody(extra) {
+    return Object.assign({ snapshotId: _plan.snapshot.id, items: selection() }, extra || {});
+  }
+
+  // ══════════════════════════════════════════════════
+  //  ACTIONS
+  // ══════════════════════════════════════════════════
+
+  function onAction(e) {
+    const btn = e.target.closest('[data-rollback-action]');
+    if (!btn || !_plan) return;
+    const action = btn.dataset.rollbackAction;
+    if (!selection().length) {
+      showToast(i18next.t('web:save_editor.rollback.nothing_selected'));
+      return;
+    }
+    if (action === 'script') showScript();
+    else if (action === 'rcon') giveOverRcon(btn);
+    else if (action === 'stage') stageSaveEdit();
+    else if (action === 'apply') applySaveEdit(btn, false);
+  }
+
+  function renderOutput(html) {
+    const el = $('#rollback-output');
+    if (el) el.innerHTML = html;
+  }
+
+  function showScript() {
+    const lines = selection().map(function (s) {
+      return _giveCommand + ' ' + _steamId + ' ' + s.item + ' ' + s.amount;
+    });
+    renderOutput(
+      '<pre class="p-3 text-xs font-mono whitespace-pre-wrap select-all">' + esc(lines.join('\n')) + '</pre>',
+    );
+    if (navigator.clipboard) {
+      navigator.clipboard.writeText(lines.join('\n')).then(
+        function () {
+          showToast(i18next.t('web:save_editor.rollback.script_copied'));
+        },
+        function () {
+          /* the script stays selectable above */
+        },
+      );
+    }
+  }
+
+  async function giveOverRcon(btn) {
+    if (!confirm(i18next.t('web:save_editor.rollback.rcon_confirm', { count: selection().length }))) return;
+    btn.disabled = true;
+    try {
+      const res = await post(url(), requestBody({ mode: 'rcon' }));
+      const sent = res.r.ok ? res.data.result.sent : (res.data.details && res.data.details.sent) || [];
+      renderOutput(
+        '<pre class="p-3 text-xs font-mono whitespace-pre-wrap">' +
+          esc(
+            sent
+              .map(function (s) {
+                return '> ' + s.command + (s.response ? '\n' + s.response : '');
+              })
+              .join('\n'),
+          ) +
+          '</pre>',
+      );
+      if (!res.r.ok) throw new Error(errorText(res.data, res.r));
+      showToast(i18next.t('web:save_editor.rollback.given', { count: sent.length }));
+      await loadPlan();
+    } catch (e) {
+      showToast(i18next.t('web:save_editor.action_failed', { error: e.message }));
+    } finally {
+      btn.disabled = false;
+    }
+  }
+
+  function renderUnplaced(unplaced) {
+    if (!unplaced.length) return '';
+    return (
+      '<div class="p-3 text-xs text-amber-400">' +
+      esc(
+        i18next.t('web:save_editor.rollback.unplaced', {
+          items: unplaced
+            .map(function (u) {
+              return u.item + ' ×' + u.amount;
+            })
+            .join(', '),
+        }),
+      ) +
+      '</div>'
+    );
+  }
+
+  async function stageSaveEdit() {
+    try {
+      const res = await post(url('/stage'), requestBody());
+      if (!res.r.ok) throw new Error(errorText(res.data, res.r));
+      const staged = res.data.staged;
+      renderOutput(
+        '<table class="db-table"><thead><tr><th>' +
+          i18next.t('web:save_editor.col_target') +
+          '</th><th>' +
+          i18next.t('web:save_editor.col_field') +
+          '</th><th>' +
+          i18next.t('web:save_editor.col_before') +
+          '</th><th>' +
+          i18next.t('web:save_editor.col_after') +
+          '</th></tr></thead><tbody>' +
+          staged.changes
+            .map(function (c) {
+              return (
+                '<tr><td class="text-xs">' +
+                esc(c.target) +
+                '</td><td class="text-xs font-mono">' +
+                esc(c.field) +
+                '</td><td class="text-xs text-red-400">' +
+                esc(c.before == null ? '-' : String(c.before)) +
+                '</td><td class="text-xs text-green-400">' +
+                esc(c.after == null ? '-' : String(c.after)) +
+                '</td></tr>'
+              );
+            })
+            .join('') +
+          '</tbody></table>' +
+          renderUnplaced(staged.unplaced),
+      );
+    } catch (e) {
+      showToast(i18next.t('web:save_editor.action_failed', { error: e.message }));
+    }
+  }
+
+  async function applySaveEdit(btn, confirmRunning) {
+    if (!confirmRunning && !confirm(i18next.t('web:save_editor.rollback.save_confirm', { count: selection().length })))
+      return;
+    btn.disabled = true;
+    try {
+      const res = await post(url(), requestBody({ mode: 'save', confirmRunning: confirmRunning }));
+      const reason = res.data.details && res.data.details.reason;
+      if (reason === 'server_running' && !confirmRunning) {
+        btn.disabled = false;
+        if (confirm(i18next.t('web:save_editor.running_confirm'))) await applySaveEdit(btn, true);
+        return;
+      }
+      if (!res.r.ok) throw new Error(errorText(res.data, res.r));
+      showToast(i18next.t('web:save_editor.applied', { backup: res.data.result.backup }));
+      renderOutput(renderUnplaced(res.data.result.unplaced));
+    } catch (e) {
+      showToast(i18next.t('web:save_editor.action_failed', { error: e.message }));
+    } finally {
+      btn.disabled = false;
+    }
+  }
+
+  /** Forget the player and plan — they belong to the server they were loaded from. */
+  function reset() {
+    _steamId = '';
+    _plan = null;
+    _pending = null;
+    const input = $('#rollback-player');
+    if (input) input.value = '';
+    const select = $('#rollback-snapshot');
+    if (select) select.innerHTML = '';
+    renderPlan();
+  }
+
+  Panel.tabs.saveeditor.rollback = { load: load, reset: reset };
+})();
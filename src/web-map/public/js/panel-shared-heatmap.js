@@ -0,0 +1,140 @@
+/**
+ * Panel Shared: Heatmap — fetches aggregated heatmap cells from
+ * /api/timeline/heatmap/:layer and draws them as shaded grid squares.
+ * Used by the Map and Timeline tabs.
+ * @namespace Panel.shared.heatmap
+ */
+window.Panel = window.Panel || {};
+Panel.shared = Panel.shared || {};
+
+(function () {
+  'use strict';
+
+  const $ = Panel.core.$;
+  const esc = Panel.core.esc;
+  const apiFetch = Panel.core.apiFetch;
+
+  const LAYERS = ['presence', 'deaths', 'zombies', 'pvp', 'raids', 'builds', 'loot'];
+  const CAUSES = ['zombie', 'bandit', 'animal', 'player', 'environment', 'unknown'];
+  const WINDOWS = [6, 24, 168, 720];
+
+  /** Fill the layer / cause / window selects of a heatmap control group (ids share a prefix). */
+  function initControls(prefix, onChange) {
+    const layerSel = $('#' + prefix);
+    const causeSel = $('#' + prefix + '-cause');
+    const windowSel = $('#' + prefix + '-window');
+    if (!layerSel) return;
+
+    let html = '<option value="">' + esc(i18next.t('web:heatmap.off')) + '</option>';
+    LAYERS.forEach(function (l) {
+      html += '<option value="' + l + '">' + esc(i18next.t('web:heatmap.layers.' + l)) + '</option>';
+    });
+    layerSel.innerHTML = html;
+
+    if (causeSel) {
+      html = '<option value="">' + esc(i18next.t('web:heatmap.all_causes')) + '</option>';
+      CAUSES.forEach(function (c) {
+        html += '<option value="' + c + '">' + esc(i18next.t('web:heatmap.causes.' + c)) + '</option>';
+      });
+      causeSel.innerHTML = html;
+    }
+    if (windowSel) {
+      html = '';
+      WINDOWS.forEach(function (h) {
+        html +=
+          '<option value="' +
+          h +
+          '"' +
+          (h === 24 ? ' selected' : '') +
+          '>' +
+          esc(i18next.t('web:heatmap.windows.' + h)) +
+          '</option>';
+      });
+      windowSel.innerHTML = html;
+    }
+
+    function changed() {
+      if (causeSel) causeSel.classList.toggle('hidden', layerSel.value !== 'deaths');
+      if (windowSel) windowSel.classList.toggle('hidden', !layerSel.value);
+      onChange();
+    }
+    [layerSel, causeSel, windowSel].forEach(function (sel) {
+      if (sel) sel.addEventListener('change', changed);
+    });
+    changed();
+  }
+
+  /** Current selection of a control group — null when the heatmap is off. */
+  function selection(prefix) {
+    const layerSel = $('#' + prefix);
+    if (!layerSel || !layerSel.value) return null;
+    const causeSel = $('#' + prefix + '-cause');
+    const windowSel = $('#' + prefix + '-window');
+    return {
+      layer: layerSel.value,
+      cause: layerSel.value === 'deaths' && causeSel ? causeSel.value : '',
+      hours: windowSel ? parseInt(windowSel.value, 10) || 24 : 24,
+    };
+  }
+
+  /**
+   * Fetch one layer. `sel` is { layer, cause, hours }; pass `to` (DB timestamp)
+   * to end the window there instead of now. Resolves null on failure.
+   */
+  async function load(sel, to) {
+    const params = new URLSearchParams({ hours: String(sel.hours) });
+    if (sel.cause) params.set('cause', sel.cause);
+    if (to) params.set('to', to);
+    try {
+      const r = await apiFetch('/api/timeline/heatmap/' + encodeURIComponent(sel.layer) + '?' + params);
+      if (!r.ok) return null;
+      return await r.json();
+    } catch (_e) {
+      return null;
+    }
+  }
+
+  /** Yellow → red ramp by intensity (0..1). */
+  function color(t) {
+    const hue = Math.round(55 - 55 * t);
+    return 'hsl(' + hue + ', 95%, 50%)';
+  }
+
+  /** Draw `data` into an L.layerGroup, replacing what was there. */
+  function render(group, data) {
+    group.clearLayers();
+    if (!data || !data.cells || !data.max) return;
+    const half = data.cellSize / 2;
+    data.cells.forEach(function (c) {
+      // sqrt keeps sparse cells visible next to a single hot spot
+      const t = Math.sqrt(c.weight / data.max);
+      L.rectangle(
+        [
+          [c.lat - half, c.lng - half],
+          [c.lat + half, c.lng + half],
+        ],
+        { stroke: false, fillColor: color(t), fillOpacity: 0.15 + 0.55 * t, interactive: true },
+      )
+        .bindTooltip(String(c.weight), { direction: 'top', className: 'leaflet-tooltip-dark' })
+        .addTo(group);
+    });
+  }
+
+  /** One-line summary for the legend next to the controls. */
+  function summary(data) {
+    if (!data) return i18next.t('web:heatmap.failed');
+    let text = i18next.t('web:heatmap.summary', { total: data.total, cells: data.cells.length, max: data.max });
+    if (data.unresolved) text += ' · ' + i18next.t('web:heatmap.unresolved', { count: data.unresolved });
+    return text;
+  }
+
+  Panel.shared.heatmap = {
+    LAYERS: LAYERS,
+    CAUSES: CAUSES,
+    initControls: initControls,
+    selection: selection,
+    load: load,
+    render: render,
+    summary: summary,
+  };
+})();
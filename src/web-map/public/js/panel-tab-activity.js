@@ -1,5 +1,5 @@
 /**
- * Panel Tab: Activity — event feed with category filtering, charts, and fingerprint tracker.
+ * Panel Tab: Activity — event feed with category filtering, charts, fingerprint tracker and PvP fights view.
  * @namespace Panel.tabs.activity
  */
 window.Panel = window.Panel || {};
@@ -14,9 +14,11 @@ Panel.tabs = Panel.tabs || {};
   const esc = Panel.core.esc;
   const apiFetch = Panel.core.apiFetch;
   const fmtNum = Panel.core.utils.fmtNum;
+  const fmtDateTime = Panel.core.utils.fmtDateTime;
   const renderActivityFeed = Panel.shared.activityFeed.render;
 
   let _inited = false;
+  let _fightsSeq = 0;
 
   function init() {
     if (_inited) return;
@@ -93,6 +95,7 @@ Panel.tabs = Panel.tabs || {};
   async function loadActivity(append) {
     Panel.core.utils.setTabUnavailable('tab-activity', S.currentServer === 'all');
     if (S.currentServer === 'all') return;
+    if (S.activityView === 'fights') return loadFights(append);
     const container = $('#activity-feed');
     if (!container) return;
     const category = S.activityCategory || '';
@@ -156,6 +159,329 @@ Panel.tabs = Panel.tabs || {};
     loadActivity(true);
   };
 
+  // ── PvP Fights View ─────────────────────────────────────────────
+
+  // The fights API takes a day window — map the activity range presets onto it
+  const FIGHT_RANGE_DAYS = { today: 1, yesterday: 2, '7d': 7, '30d': 30, all: 365 };
+  const FIGHT_PAGE_SIZE = 50;
+
+  function fightsWindowDays() {
+    const preset = activityRangePreset();
+    if (preset === 'custom') {
+      const from = $('#activity-date-from') ? $('#activity-date-from').value : '';
+      const start = from ? Date.parse(from + 'T00:00:00Z') : NaN;
+      if (isNaN(start)) return 30;
+      return Math.min(365, Math.max(1, Math.ceil((Date.now() - start) / 86400000)));
+    }
+    return FIGHT_RANGE_DAYS[preset] || 30;
+  }
+
+  /** Player filter from the search box — a picked player, or free text (fingerprint searches don't apply). */
+  function fightsPlayer() {
+    if (S.activitySearchMode === 'player' && S.activitySearchSteamId) return S.activitySearchSteamId;
+    const raw = $('#activity-search') ? $('#activity-search').value.trim() : '';
+    return raw.indexOf('#') === -1 ? raw : '';
+  }
+
+  function applyView() {
+    const fights = S.activityView === 'fights';
+    const toggle = $('#activity-toggle-fights');
+    if (toggle) {
+      toggle.classList.toggle('active', fights);
+      toggle.setAttribute('aria-pressed', fights ? 'true' : 'false');
+    }
+    ['#activity-feed', '#activity-category-pills'].forEach(function (sel) {
+      const el = $(sel);
+      if (el) el.classList.toggle('hidden', fights);
+    });
+    const panel = $('#activity-fights-panel');
+    if (panel) panel.classList.toggle('hidden', !fights);
+    if (fights) hideFingerprintTracker();
+  }
+
+  function setView(view) {
+    S.activityView = view === 'fights' ? 'fights' : '';
+    S.activityFightsOffset = 0;
+    applyView();
+    loadActivity();
+  }
+
+  function playerLink(name, steamId) {
+    return (
+      '<span class="player-link cursor-pointer hover:underline" data-steam-id="' +
+      esc(steamId || '') +
+      '">' +
+      esc(name || steamId || '?') +
+      '</span>'
+    );
+  }
+
+  function fmtFightDuration(seconds) {
+    const total = Math.round(seconds || 0);
+    if (total < 60) return i18next.t('web:activity.pvp.duration_seconds', { s: total });
+    return i18next.t('web:activity.pvp.duration_minutes', { m: Math.floor(total / 60), s: total % 60 });
+  }
+
+  function renderFight(f) {
+    const kill = f.outcome === 'kill';
+    const participants = f.participants || [];
+    const assists = participants.filter(function (p) {
+      return p.role === 'assist';
+    });
+    const headline = kill
+      ? i18next.t('web:activity.pvp.killed', {
+          killer: playerLink(f.killer_name, f.killer_steam_id),
+          victim: playerLink(f.victim_name, f.victim_steam_id),
+        })
+      : i18next.t('web:activity.pvp.survived', {
+          victim: playerLink(f.victim_name, f.victim_steam_id),
+          attackers: participants
+            .map(function (p) {
+              return playerLink(p.attacker_name, p.attacker_steam_id);
+            })
+            .join(', '),
+        });
+
+    let html = '<div class="activity-item flex items-start gap-2 py-1.5 px-2 rounded hover:bg-surface-300/50 text-sm">';
+    html +=
+      '<i data-lucide="' +
+      (kill ? 'swords' : 'shield') +
+      '" class="w-3.5 h-3.5 mt-0.5 shrink-0 ' +
+      (kill ? 'text-red-400' : 'text-muted') +
+      '"></i>';
+    html += '<div class="flex-1 min-w-0">';
+    html += '<div class="truncate">' + headline + '</div>';
+    html += '<div class="text-[11px] text-muted flex flex-wrap gap-x-3">';
+    html +=
+      '<span>' +
+      i18next.t('web:activity.pvp.damage', { damage: fmtNum(Math.round(f.total_damage || 0)), hits: f.hits || 0 }) +
+      '</span>';
+    html += '<span>' + fmtFightDuration(f.duration_sec) + '</span>';
+    if (assists.length) {
+      html +=
+        '<span>' +
+        i18next.t('web:activity.pvp.assists', {
+          names: assists
+            .map(function (p) {
+              return playerLink(p.attacker_name, p.attacker_steam_id);
+            })
+            .join(', '),
+        }) +
+        '</span>';
+    }
+    if (f.weapon) html += '<span>' + esc(f.weapon) + '</span>';
+    if (f.pos_x != null && f.pos_y != null) {
+      html +=
+        '<span title="' +
+        esc(i18next.t('web:activity.pvp.location_title')) +
+        '"><i data-lucide="map-pin" class="w-3 h-3 inline"></i> ' +
+        Math.round(f.pos_x / 100) +
+        ', ' +
+        Math.round(f.pos_y / 100) +
+        '</span>';
+    }
+    html += '</div></div>';
+    html += '<span class="text-[11px] text-muted shrink-0">' + fmtDateTime(f.ended_at, S.activityTimeZone) + '</span>';
+    html += '</div>';
+    return html;
+  }
+
+  async function loadFights(append) {
+    const list = $('#pvp-fights');
+    if (!list) return;
+    const player = fightsPlayer();
+    const days = fightsWindowDays();
+    const offset = append ? S.activityFightsOffset || 0 : 0;
+    const params = new URLSearchParams({ limit: String(FIGHT_PAGE_SIZE), offset: String(offset), days: String(days) });
+    if (player) params.set('player', player);
+    const seq = ++_fightsSeq;
+    const more = $('#activity-load-more');
+
+    if (!append) {
+      loadRivalries(days);
+      loadPvpPlayer(player, days);
+    }
+    try {
+      const r = await apiFetch('/api/panel/pvp/fights?' + params);
+      if (seq !== _fightsSeq) return;
+      if (r.status === 404 && player) {
+        list.innerHTML = '<div class="feed-empty">' + i18next.t('web:activity.pvp.unknown_player') + '</div>';
+        if (more) more.classList.add('hidden');
+        return;
+      }
+      if (!r.ok) throw new Error('HTTP ' + r.status);
+      const d = await r.json();
+      const fights = d.fights || [];
+      S.activityFightsOffset = offset + fights.length;
+      const html = fights.map(renderFight).join('');
+      if (append) list.insertAdjacentHTML('beforeend', html);
+      else list.innerHTML = html || '<div class="feed-empty">' + i18next.t('web:activity.pvp.no_fights') + '</div>';
+      if (more) more.classList.toggle('hidden', S.activityFightsOffset >= (d.total || 0));
+      if (window.lucide) lucide.createIcons({ nodes: [list] });
+    } catch (err) {
+      if (seq !== _fightsSeq) return;
+      console.error('[Activity] failed to load PvP fights:', err);
+      if (!append) list.innerHTML = '<div class="feed-empty">' + i18next.t('web:activity.pvp.failed') + '</div>';
+    }
+  }
+
+  async function loadRivalries(days) {
+    const el = $('#pvp-rivalries');
+    if (!el) return;
+    try {
+      const r = await apiFetch('/api/panel/pvp/rivalries?' + new URLSearchParams({ days: String(days), limit: '8' }));
+      if (!r.ok) throw new Error('HTTP ' + r.status);
+      const rivalries = (await r.json()).rivalries || [];
+      el.innerHTML = rivalries.length
+        ? rivalries
+            .map(function (rv) {
+              return (
+                '<span class="px-2 py-1 rounded bg-surface-300/60">' +
+                playerLink(rv.player_a) +
+                ' <span class="font-mono text-accent">' +
+                rv.a_kills +
+                ' \u2013 ' +
+                rv.b_kills +
+                '</span> ' +
+                playerLink(rv.player_b) +
+                '</span>'
+              );
+            })
+            .join('')
+        : '<span class="text-muted">' + i18next.t('web:activity.pvp.no_rivalries') + '</span>';
+    } catch (_err) {
+      el.innerHTML = '<span class="text-muted">' + i18next.t('web:activity.pvp.failed') + '</span>';
+    }
+  }
+
+  /** Stat cards, opponents and the K/D-over-time chart for the searched player. */
+  async function loadPvpPlayer(player, days) {
+    const card = $('#pvp-player-card');
+    if (!card) return;
+    if (!player) {
+      card.classList.add('hidden');
+      destroyChart('pvpKd');
+      return;
+    }
+    try {
+      const r = await apiFetch(
+        '/api/panel/pvp/player/' + encodeURIComponent(player) + '?' + new URLSearchParams({ days: String(days) }),
+      );
+      if (!r.ok) {
+        card.classList.add('hidden');
+        return;
+      }
+      const d = await r.json();
+      const t = d.totals || {};
+      card.classList.remove('hidden');
+      const titleEl = $('#pvp-player-title');
+      if (titleEl) titleEl.textContent = (d.player && (d.player.name || d.player.steamId)) || player;
+      const windowEl = $('#pvp-player-window');
+      if (windowEl) windowEl.textContent = i18next.t('web:activity.pvp.window', { days: d.days });
+
+      const stat = function (key, value) {
+        return (
+          '<div class="fp-info-badge"><div class="fp-info-label">' +
+          i18next.t('web:activity.pvp.' + key) +
+          '</div><div class="fp-info-value">' +
+          value +
+          '</div></div>'
+        );
+      };
+      const statsEl = $('#pvp-player-stats');
+      if (statsEl) {
+        statsEl.innerHTML =
+          stat('kills', fmtNum(t.kills || 0)) +
+          stat('deaths', fmtNum(t.deaths || 0)) +
+          stat('kd', t.kd || 0) +
+          stat('assist_count', fmtNum(t.assists || 0)) +
+          stat('damage_dealt', fmtNum(Math.round(t.damage_dealt || 0))) +
+          stat('damage_taken', fmtNum(Math.round(t.damage_taken || 0))) +
+          stat('fights', fmtNum(t.fights || 0)) +
+          stat('avg_fight', fmtFightDuration(t.avg_duration_sec));
+      }
+      const oppEl = $('#pvp-player-opponents');
+      if (oppEl) {
+        const opponents = d.opponents || [];
+        oppEl.innerHTML = opponents.length
+          ? '<div class="text-[10px] text-muted font-medium mb-1">' +
+            i18next.t('web:activity.pvp.head_to_head') +
+            '</div>' +
+            opponents
+              .map(function (o) {
+                return (
+                  '<span class="inline-block mr-3">' +
+                  playerLink(o.opponent_name, o.opponent_steam_id) +
+                  ' <span class="font-mono text-muted">' +
+                  o.kills +
+                  '\u2013' +
+                  o.deaths +
+                  '</span></span>'
+                );
+              })
+              .join('')
+          : '';
+      }
+      renderKdChart(d.series || []);
+    } catch (_err) {
+      card.classList.add('hidden');
+    }
+  }
+
+  function renderKdChart(series) {
+    const canvas = $('#chart-pvp-kd');
+    if (!canvas || typeof Chart === 'undefined') return;
+    destroyChart('pvpKd');
+    const opts = chartDefaults();
+    opts.plugins.legend = { display: true, labels: { color: '#94a3b8', font: { size: 10 }, boxWidth: 10 } };
+    opts.scales.kd = {
+      position: 'right',
+      beginAtZero: true,
+      grid: { display: false },
+      ticks: { color: '#64748b', font: { size: 10 } },
+    };
+    S.activityCharts.pvpKd = new Chart(canvas, {
+      data: {
+        labels: series.map(function (p) {
+          return p.day.slice(5);
+        }),
+        datasets: [
+          {
+            type: 'bar',
+            label: i18next.t('web:activity.pvp.kills'),
+            data: series.map(function (p) {
+              return p.kills;
+            }),
+            backgroundColor: 'rgba(52,211,153,0.5)',
+            borderRadius: 2,
+          },
+          {
+            type: 'bar',
+            label: i18next.t('web:activity.pvp.deaths'),
+            data: series.map(function (p) {
+              return p.deaths;
+            }),
+            backgroundColor: 'rgba(248,113,113,0.5)',
+            borderRadius: 2,
+          },
+          {
+            type: 'line',
+            label: i18next.t('web:activity.pvp.kd'),
+            yAxisID: 'kd',
+            data: series.map(function (p) {
+              return p.kd;
+            }),
+            borderColor: '#fbbf24',
+            borderWidth: 2,
+            pointRadius: 0,
+            tension: 0.3,
+          },
+        ],
+      },
+      options: opts,
+    });
+  }
+
   // ── Fingerprint Tracker ─────────────────────────────────────────
 
   function hideFingerprintTracker() {
@@ -708,12 +1034,16 @@ Panel.tabs = Panel.tabs || {};
 
   function reset() {
     _inited = false;
+    _fightsSeq++;
+    S.activityView = '';
+    S.activityFightsOffset = 0;
   }
 
   Panel.tabs.activity = {
     init: init,
     load: function () {
       updateRangeControls();
+      applyView();
       loadActivity();
       loadActivityStats();
       S.activityChartsLoaded = true;
@@ -725,5 +1055,6 @@ Panel.tabs = Panel.tabs || {};
     resetPaging: Panel.shared.activityFeed.resetPaging,
     showFingerprintTracker: showFingerprintTracker,
     hideFingerprintTracker: hideFingerprintTracker,
+    setView: setView,
   };
 })();
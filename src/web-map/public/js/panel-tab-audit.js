@@ -0,0 +1,264 @@
+/**
+ * Panel Tab: Audit — admin action log with filters, chain verification and export.
+ * @namespace Panel.tabs.audit
+ */
+window.Panel = window.Panel || {};
+Panel.tabs = Panel.tabs || {};
+
+(function () {
+  'use strict';
+
+  const S = Panel.core.S;
+  const $ = Panel.core.$;
+  const esc = Panel.core.esc;
+  const apiFetch = Panel.core.apiFetch;
+  const fmtDateTime = Panel.core.utils.fmtDateTime;
+  const showToast = Panel.core.utils.showToast;
+
+  const PAGE_SIZE = 100;
+
+  const RESULT_COLORS = {
+    ok: 'bg-green-500/20 text-green-400',
+    error: 'bg-amber-500/20 text-amber-400',
+    denied: 'bg-red-500/20 text-red-400',
+  };
+
+  let _inited = false;
+  let _entries = [];
+
+  function init() {
+    if (_inited) return;
+    _inited = true;
+    ['#audit-action', '#audit-result', '#audit-from', '#audit-to'].forEach(function (sel) {
+      const el = $(sel);
+      if (el)
+        el.addEventListener('change', function () {
+          if (S.currentTab === 'audit') loadAudit();
+        });
+    });
+    const actor = $('#audit-actor');
+    if (actor)
+      actor.addEventListener('keydown', function (e) {
+        if (e.key === 'Enter' && S.currentTab === 'audit') loadAudit();
+      });
+    const rb = $('#audit-refresh');
+    if (rb) rb.addEventListener('click', loadAudit);
+    const more = $('#audit-more');
+    if (more) more.addEventListener('click', loadOlder);
+    const verify = $('#audit-verify');
+    if (verify) verify.addEventListener('click', verifyChain);
+    const json = $('#audit-export-json');
+    if (json)
+      json.addEventListener('click', function () {
+        exportAudit('json');
+      });
+    const csv = $('#audit-export-csv');
+    if (csv)
+      csv.addEventListener('click', function () {
+        exportAudit('csv');
+      });
+  }
+
+  // ══════════════════════════════════════════════════
+  //  AUDIT LOG
+  // ══════════════════════════════════════════════════
+
+  /** Current filters as query params — dates are whole UTC days. */
+  function filterParams() {
+    const params = new URLSearchParams();
+    const val = function (sel) {
+      const el = $(sel);
+      return el ? el.value.trim() : '';
+    };
+    if (val('#audit-actor')) params.set('actor', val('#audit-actor'));
+    if (val('#audit-action')) params.set('action', val('#audit-action'));
+    if (val('#audit-result')) params.set('result', val('#audit-result'));
+    if (val('#audit-from')) params.set('from', val('#audit-from') + ' 00:00:00');
+    if (val('#audit-to')) params.set('to', val('#audit-to') + ' 23:59:59');
+    return params;
+  }
+
+  async function fetchPage(beforeId) {
+    const params = filterParams();
+    params.set('limit', String(PAGE_SIZE));
+    if (beforeId) params.set('before', String(beforeId));
+    const r = await apiFetch('/api/panel/audit?' + params);
+    const data = await r.json();
+    if (!r.ok) throw new Error(data.error || r.statusText);
+    return data;
+  }
+
+  async function loadAudit() {
+    const container = $('#audit-table');
+    if (!container) return;
+    container.innerHTML = '<div class="feed-empty">' + i18next.t('web:audit.loading') + '</div>';
+    try {
+      const data = await fetchPage(null);
+      _entries = data.entries;
+      renderActions(data.actions);
+      renderEntries(container, data.entries.length === PAGE_SIZE);
+    } catch (e) {
+      _entries = [];
+      container.innerHTML =
+        '<div class="feed-empty">' + esc(i18next.t('web:audit.load_failed', { error: e.message })) + '</div>';
+    }
+  }
+
+  async function loadOlder() {
+    const last = _entries[_entries.length - 1];
+    if (!last) return;
+    try {
+      const data = await fetchPage(last.id);
+      _entries = _entries.concat(data.entries);
+      renderEntries($('#audit-table'), data.entries.length === PAGE_SIZE);
+    } catch (e) {
+      showToast(i18next.t('web:audit.load_failed', { error: e.message }), 'error');
+    }
+  }
+
+  /** Keep the action filter in sync with what has been recorded, preserving the selection. */
+  function renderActions(actions) {
+    const select = $('#audit-action');
+    if (!select) return;
+    const current = select.value;
+    select.innerHTML =
+      '<option value="">' +
+      esc(i18next.t('web:audit.all_actions')) +
+      '</option>' +
+      actions
+        .map(function (a) {
+          return '<option value="' + esc(a) + '"' + (a === current ? ' selected' : '') + '>' + esc(a) + '</option>';
+        })
+        .join('');
+  }
+
+  function renderEntries(container, hasMore) {
+    const count = $('#audit-count');
+    if (count) count.textContent = i18next.t('web:audit.count', { count: _entries.length });
+    const more = $('#audit-more');
+    if (more) more.classList.toggle('hidden', !hasMore);
+
+    if (!_entries.length) {
+      container.innerHTML = '<div class="feed-empty">' + i18next.t('web:audit.empty') + '</div>';
+      return;
+    }
+
+    let html =
+      '<table class="db-table"><thead><tr>' +
+      '<th>' +
+      i18next.t('web:audit.col_time') +
+      '</th><th>' +
+      i18next.t('web:audit.col_actor') +
+      '</th><th>' +
+      i18next.t('web:audit.col_action') +
+      '</th><th>' +
+      i18next.t('web:audit.col_server') +
+      '</th><th>' +
+      i18next.t('web:audit.col_params') +
+      '</th><th>' +
+      i18next.t('web:audit.col_result') +
+      '</th><th>#</th>' +
+      '</tr></thead><tbody>';
+
+    for (let i = 0; i < _entries.length; i++) {
+      const e = _entries[i];
+      const params = e.params === '{}' ? '' : e.params;
+      const paramsTrunc = params.length > 80 ? params.slice(0, 80) + '...' : params;
+      html +=
+        '<tr>' +
+        '<td class="text-xs text-muted whitespace-nowrap">' +
+        fmtDateTime(e.created_at) +
+        '</td>' +
+        '<td title="' +
+        esc(e.actor_id + (e.session ? ' · ' + e.session : '')) +
+        '">' +
+        esc(e.actor_name || e.actor_id || '-') +
+        ' <span class="text-[10px] text-muted">' +
+        esc(e.source === 'discord' ? 'Discord' : e.tier) +
+        '</span></td>' +
+        '<td class="text-xs font-mono">' +
+        esc(e.action) +
+        '</td>' +
+        '<td class="text-xs">' +
+        esc(e.server_id) +
+        '</td>' +
+        '<td class="text-xs font-mono text-muted" title="' +
+        esc(params) +
+        '">' +
+        esc(paramsTrunc) +
+        '</td>' +
+        '<td><span class="px-1.5 py-0.5 rounded text-xs font-medium ' +
+        (RESULT_COLORS[e.result] || '') +
+        '" title="' +
+        esc(e.detail) +
+        '">' +
+        esc(i18next.t('web:audit.results.' + e.result, { defaultValue: e.result })) +
+        '</span></td>' +
+        '<td class="text-xs font-mono text-muted" title="' +
+        esc(e.hash) +
+        '">' +
+        e.id +
+        '</td>' +
+        '</tr>';
+    }
+    html += '</tbody></table>';
+    container.innerHTML = html;
+  }
+
+  async function verifyChain() {
+    const badge = $('#audit-chain');
+    if (!badge) return;
+    badge.className = 'text-xs text-muted';
+    badge.textContent = i18next.t('web:audit.verifying');
+    try {
+      const r = await apiFetch('/api/panel/audit/verify');
+      const data = await r.json();
+      if (!r.ok) throw new Error(data.error || r.statusText);
+      if (data.ok) {
+        badge.className = 'text-xs text-green-400';
+        badge.textContent = i18next.t('web:audit.chain_ok', { count: data.checked });
+      } else {
+        badge.className = 'text-xs text-red-400';
+        badge.textContent = i18next.t('web:audit.chain_broken', { id: data.brokenAt });
+      }
+    } catch (e) {
+      badge.className = 'text-xs text-red-400';
+      badge.textContent = i18next.t('web:audit.load_failed', { error: e.message });
+    }
+  }
+
+  async function exportAudit(format) {
+    const params = filterParams();
+    params.set('format', format);
+    try {
+      const r = await apiFetch('/api/panel/audit/export?' + params);
+      if (!r.ok) {
+        let err = {};
+        try {
+          err = await r.json();
+        } catch (_e) {}
+        showToast(i18next.t('web:audit.export_failed', { error: err.error || r.statusText }), 'error');
+        return;
+      }
+      const body = await r.text();
+      const blob = new Blob([body], { type: format === 'csv' ? 'text/csv' : 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = 'admin-audit-' + new Date().toISOString().slice(0, 10) + '.' + format;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+    } catch (e) {
+      showToast(i18next.t('web:audit.export_failed', { error: e.message }), 'error');
+    }
+  }
+
+  function reset() {
+    _inited = false;
+    _entries = [];
+  }
+
+  Panel.tabs.audit = { init: init, load: loadAudit, reset: reset };
+})();
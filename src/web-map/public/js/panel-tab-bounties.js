@@ -0,0 +1,191 @@
+/**
+ * Panel Tab: Bounties — active bounty board, recent claims, admin placement.
+ * @namespace Panel.tabs.bounties
+ */
+window.Panel = window.Panel || {};
+Panel.tabs = Panel.tabs || {};
+
+(function () {
+  'use strict';
+
+  const S = Panel.core.S;
+  const $ = Panel.core.$;
+  const esc = Panel.core.esc;
+  const apiFetch = Panel.core.apiFetch;
+  const fmtDateTime = Panel.core.utils.fmtDateTime;
+
+  let _inited = false;
+
+  function init() {
+    if (_inited) return;
+    _inited = true;
+
+    const form = $('#bounty-place-form');
+    if (form) {
+      form.addEventListener('submit', function (e) {
+        e.preventDefault();
+        placeBounty();
+      });
+    }
+
+    const list = $('#bounty-active-list');
+    if (list) {
+      list.addEventListener('click', function (e) {
+        const btn = e.target.closest('[data-bounty-cancel]');
+        if (btn) cancelBounty(btn.dataset.bountyCancel);
+      });
+    }
+  }
+
+  async function loadBounties() {
+    const activeEl = $('#bounty-active-list');
+    const claimsEl = $('#bounty-claims-list');
+    if (!activeEl || !claimsEl) return;
+
+    let data = { enabled: false, active: [], claims: [] };
+    try {
+      const r = await apiFetch('/api/panel/bounties');
+      if (r.ok) data = await r.json();
+    } catch (_e) {}
+
+    const active = data.active || [];
+    const claims = data.claims || [];
+    let pool = 0;
+    for (let i = 0; i < active.length; i++) pool += active[i].reward_credits || 0;
+
+    const disabledEl = $('#bounty-disabled');
+    if (disabledEl) disabledEl.classList.toggle('hidden', !!data.enabled);
+    const formCard = $('#bounty-place-card');
+    if (formCard) formCard.classList.toggle('hidden', !data.enabled);
+    const countEl = $('#bounty-active-count');
+    if (countEl) countEl.textContent = active.length;
+    const poolEl = $('#bounty-pool');
+    if (poolEl) poolEl.textContent = pool.toLocaleString();
+    const claimedEl = $('#bounty-claimed-count');
+    if (claimedEl) claimedEl.textContent = claims.length;
+
+    if (active.length === 0) {
+      activeEl.innerHTML = '<div class="feed-empty">' + i18next.t('web:bounties.no_active') + '</div>';
+    } else {
+      const canCancel = data.enabled && S.tier >= 3;
+      let html = '<table class="db-table"><thead><tr>';
+      html += '<th>#</th>';
+      html += '<th>' + i18next.t('web:bounties.target') + '</th>';
+      html += '<th>' + i18next.t('web:bounties.reward') + '</th>';
+      html += '<th>' + i18next.t('web:bounties.placed_by') + '</th>';
+      html += '<th>' + i18next.t('web:bounties.expires') + '</th>';
+      if (canCancel) html += '<th></th>';
+      html += '</tr></thead><tbody>';
+      for (let ai = 0; ai < active.length; ai++) {
+        const b = active[ai];
+        const placer =
+          b.reason === 'kill_streak'
+            ? i18next.t('web:bounties.kill_streak')
+            : b.placed_by_name || i18next.t('web:bounties.server');
+        html += '<tr>';
+        html += '<td class="font-mono text-xs text-muted">' + b.id + '</td>';
+        html +=
+          '<td><span class="player-link" data-steam-id="' +
+          esc(b.target_steam_id) +
+          '">' +
+          esc(b.target_name || b.target_steam_id) +
+          '</span></td>';
+        html += '<td class="font-mono text-xs text-accent">' + (b.reward_credits || 0).toLocaleString() + '</td>';
+        html += '<td class="text-xs">' + esc(placer) + '</td>';
+        html +=
+          '<td class="text-xs text-muted">' +
+          (b.expires_at ? fmtDateTime(b.expires_at) : i18next.t('web:bounties.never')) +
+          '</td>';
+        if (canCancel) {
+          html +=
+            '<td><button class="btn-secondary text-xs px-3 py-1" data-bounty-cancel="' +
+            b.id +
+            '">' +
+            i18next.t('web:bounties.cancel') +
+            '</button></td>';
+        }
+        html += '</tr>';
+      }
+      html += '</tbody></table>';
+      activeEl.innerHTML = html;
+    }
+
+    if (claims.length === 0) {
+      claimsEl.innerHTML = '<div class="feed-empty">' + i18next.t('web:bounties.no_claims') + '</div>';
+    } else {
+      let chtml = '<div class="space-y-1">';
+      for (let ci = 0; ci < claims.length; ci++) {
+        const c = claims[ci];
+        chtml += '<div class="flex items-center gap-2 py-1 px-2 rounded hover:bg-surface-300/50 text-sm">';
+        chtml +=
+          '<span class="flex-1 truncate">' +
+          i18next.t('web:bounties.claim_line', {
+            killer: esc(c.claimed_by_name || c.claimed_by || '?'),
+            target: esc(c.target_name || c.target_steam_id),
+            reward: (c.reward_credits || 0).toLocaleString(),
+          }) +
+          '</span>';
+        chtml +=
+          '<span class="text-[11px] text-muted shrink-0">' +
+          (c.claimed_at ? fmtDateTime(c.claimed_at) : '') +
+          '</span>';
+        chtml += '</div>';
+      }
+      chtml += '</div>';
+      claimsEl.innerHTML = chtml;
+    }
+  }
+
+  async function placeBounty() {
+    const targetInput = $('#bounty-target');
+    const amountInput = $('#bounty-amount');
+    if (!targetInput || !amountInput) return;
+    const target = targetInput.value.trim();
+    const amount = parseInt(amountInput.value, 10);
+    if (!target || !amount) return;
+    try {
+      const r = await apiFetch('/api/panel/bounties', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ target: target, amount: amount }),
+      });
+      if (!r.ok) {
+        let err = {};
+        try {
+          err = await r.json();
+        } catch (_e) {}
+        alert(i18next.t('web:bounties.action_failed', { error: err.error || r.statusText }));
+        return;
+      }
+      targetInput.value = '';
+      amountInput.value = '';
+      loadBounties();
+    } catch (e) {
+      alert(i18next.t('web:bounties.action_failed', { error: e.message }));
+    }
+  }
+
+  async function cancelBounty(id) {
+    if (!confirm(i18next.t('web:bounties.confirm_cancel', { id: id }))) return;
+    try {
+      const r = await apiFetch('/api/panel/bounties/' + encodeURIComponent(id) + '/cancel', { method: 'POST' });
+      if (!r.ok) {
+        let err = {};
+        try {
+          err = await r.json();
+        } catch (_e) {}
+        alert(i18next.t('web:bounties.action_failed', { error: err.error || r.statusText }));
+        return;
+      }
+      loadBounties();
+    } catch (e) {
+      alert(i18next.t('web:bounties.action_failed', { error: e.message }));
+    }
+  }
+
+  function reset() {
+    _inited = false;
+  }
+
+  Panel.tabs.bounties = { init: init, load: loadBounties, reset: reset };
+})();
@@ -1,5 +1,5 @@
 /**
- * Panel Tab: Controls — server power controls, bot management, and backup management.
+ * Panel Tab: Controls — server power controls, bot management, backup management, database backups and webhooks.
  * @namespace Panel.tabs.controls
  */
 window.Panel = window.Panel || {};
@@ -23,6 +23,7 @@ Panel.tabs = Panel.tabs || {};
     const btnRestart = $('#btn-bot-restart');
     const btnReimport = $('#btn-bot-reimport');
     const btnEnvSync = $('#btn-bot-env-sync');
+    const btnSeasonReset = $('#btn-bot-season-reset');
     const btnFactoryReset = $('#btn-bot-factory-reset');
 
     if (btnRestart)
@@ -34,6 +35,13 @@ Panel.tabs = Panel.tabs || {};
         if (confirm(i18next.t('web:controls.confirm_bot_reimport'))) doBotAction('reimport');
       });
     if (btnEnvSync) btnEnvSync.addEventListener('click', () => doBotAction('env_sync'));
+    if (btnSeasonReset)
+      btnSeasonReset.addEventListener('click', () => {
+        const input = prompt(i18next.t('web:controls.confirm_season_reset_prompt'));
+        if (!input || input.toUpperCase() !== 'RESET') return;
+        const name = prompt(i18next.t('web:controls.season_name_prompt'), '');
+        doBotAction('season_reset', { confirm: 'RESET', name: name || '' });
+      });
     if (btnFactoryReset)
       btnFactoryReset.addEventListener('click', () => {
         const input = prompt(i18next.t('web:controls.confirm_factory_reset_prompt'));
@@ -140,11 +148,19 @@ Panel.tabs = Panel.tabs || {};
     return (bytes / 1073741824).toFixed(2) + ' GB';
   }
 
+  function load() {
+    loadBackupList();
+    if (Panel.tabs.controls.webhooks) Panel.tabs.controls.webhooks.load();
+    if (Panel.tabs.controls.dbBackups) Panel.tabs.controls.dbBackups.load();
+  }
+
   function reset() {
     _inited = false;
+    if (Panel.tabs.controls.webhooks) Panel.tabs.controls.webhooks.reset();
+    if (Panel.tabs.controls.dbBackups) Panel.tabs.controls.dbBackups.reset();
   }
 
-  Panel.tabs.controls = { init: init, load: loadBackupList, reset: reset };
+  Panel.tabs.controls = { init: init, load: load, reset: reset, formatBytes: formatBytes };
 
   // Expose doPowerAction for inline onclick handlers in panel.html
   Panel._internal = Panel._internal || {};
@@ -1,5 +1,5 @@
 /**
- * Panel Tab: Dashboard — server overview, resource cards, world stats, quick actions.
+ * Panel Tab: Dashboard — server overview, resource cards, world stats, storage, quick actions.
  *
  * @namespace Panel.tabs.dashboard
  */
@@ -15,6 +15,7 @@ Panel.tabs = Panel.tabs || {};
   const esc = Panel.core.esc;
   const apiFetch = Panel.core.apiFetch;
   const fmtNum = Panel.core.utils.fmtNum;
+  const fmtDateTime = Panel.core.utils.fmtDateTime;
   var getCssColor = Panel.core.getCssColor;
 
   // ── Sparkline Charts ──────────────────────────────
@@ -286,6 +287,11 @@ Panel.tabs = Panel.tabs || {};
           if (modRes.ok) {
             const modData = await modRes.json();
             const modules = modData.modules || {};
+            // Bot plugins are listed after the built-in modules
+            const plugins = modData.plugins || [];
+            for (let pi = 0; pi < plugins.length; pi++) {
+              modules['🧩 ' + plugins[pi].name] = _pluginStatus(plugins[pi]);
+            }
             const keys = Object.keys(modules);
             if (keys.length && mc) {
               mc.classList.remove('hidden');
@@ -302,11 +308,194 @@ Panel.tabs = Panel.tabs || {};
       } else if (mc) {
         mc.classList.add('hidden');
       }
+
+      // Storage card — admin only
+      if (S.tier >= 3 && S.viewMode === 'admin') {
+        await loadStorage();
+      } else {
+        const stc = $('#storage-card');
+        if (stc) stc.classList.add('hidden');
+      }
     } catch (e) {
       console.error('Dashboard error:', e);
     }
   }
 
+  // ═══════════════════════════════════════════════════
+  // Storage — per-table size and data retention
+  // ═══════════════════════════════════════════════════
+
+  var STORAGE_TOP_TABLES = 8;
+
+  function _bytes(n) {
+    return Panel.tabs.controls.formatBytes(n);
+  }
+
+  async function loadStorage() {
+    var card = $('#storage-card');
+    if (!card) return;
+    try {
+      var r = await apiFetch('/api/panel/storage');
+      if (!r.ok) {
+        card.classList.add('hidden');
+        return;
+      }
+      var data = await r.json();
+      card.classList.remove('hidden');
+      renderStorage($('#storage-info'), data);
+      renderRetention($('#storage-retention'), data.retention);
+    } catch (_e) {
+      card.classList.add('hidden');
+    }
+  }
+
+  function renderStorage(container, data) {
+    if (!container) return;
+    container.innerHTML = '';
+    var total = el('div', 'text-xs text-muted mb-1');
+    total.textContent = i18next.t('web:storage.file_size', { size: _bytes(data.fileBytes) });
+    container.appendChild(total);
+
+    var tables = data.tables || [];
+    var max = tables.length ? tables[0].bytes : 0;
+    for (var i = 0; i < Math.min(tables.length, STORAGE_TOP_TABLES); i++) {
+      var t = tables[i];
+      var row = el('div', 'flex items-center gap-2 text-xs');
+      var name = el('span', 'font-mono w-40 shrink-0 truncate');
+      name.textContent = t.table;
+      var bar = el('div', 'flex-1 h-1.5 rounded bg-surface-300 overflow-hidden');
+      var fill = el('div', 'h-full bg-accent/60');
+      fill.style.width = (max > 0 ? Math.max(1, Math.round((t.bytes / max) * 100)) : 0) + '%';
+      bar.appendChild(fill);
+      var size = el('span', 'text-muted w-16 text-right shrink-0');
+      size.textContent = _bytes(t.bytes);
+      row.appendChild(name);
+      row.appendChild(bar);
+      row.appendChild(size);
+      container.appendChild(row);
+    }
+    if (tables.length > STORAGE_TOP_TABLES) {
+      var rest = tables.slice(STORAGE_TOP_TABLES).reduce(function (sum, t) {
+        return sum + t.bytes;
+      }, 0);
+      var more = el('div', 'text-[11px] text-muted');
+      more.textContent = i18next.t('web:storage.other_tables', {
+        count: tables.length - STORAGE_TOP_TABLES,
+        size: _bytes(rest),
+      });
+      container.appendChild(more);
+    }
+  }
+
+  function renderRetention(container, retention) {
+    if (!container) return;
+    container.innerHTML = '';
+    var title = el('div', 'text-xs font-medium text-text');
+    title.textContent = i18next.t('web:storage.retention');
+    container.appendChild(title);
+
+    if (!retention || !retention.enabled) {
+      var off = el('div', 'text-[11px] text-muted');
+      off.textContent = i18next.t('web:storage.retention_disabled');
+      container.appendChild(off);
+      return;
+    }
+
+    var list = el('div', 'space-y-0.5');
+    for (var i = 0; i < retention.policies.length; i++) {
+      var p = retention.policies[i];
+      var line = el('div', 'text-[11px] text-muted');
+      line.textContent = i18next.t('web:storage.policy', {
+        family: p.family,
+        mode: i18next.t('web:storage.mode_' + p.mode),
+        days: p.days,
+      });
+      list.appendChild(line);
+    }
+    container.appendChild(list);
+
+    if (retention.lastRun) {
+      var last = el('div', 'text-[11px] text-muted');
+      last.textContent = i18next.t('web:storage.last_run', {
+        time: fmtDateTime(retention.lastRun.startedAt),
+        count: retention.lastRun.families.reduce(function (sum, f) {
+          return sum + f.affected;
+        }, 0),
+      });
+      container.appendChild(last);
+    }
+
+    var actions = el('div', 'flex gap-2');
+    var previewBtn = el('button', 'btn-secondary text-xs px-2 py-1');
+    previewBtn.textContent = i18next.t('web:storage.preview');
+    var runBtn = el('button', 'btn-secondary text-xs px-2 py-1');
+    runBtn.textContent = i18next.t('web:storage.run_now');
+    actions.appendChild(previewBtn);
+    actions.appendChild(runBtn);
+    container.appendChild(actions);
+
+    var result = el('div', '');
+    container.appendChild(result);
+
+    previewBtn.addEventListener('click', async function () {
+      var data = await _retentionRequest('/api/panel/data-retention/preview');
+      if (data) renderRetentionPlan(result, data.plan);
+    });
+    runBtn.addEventListener('click', async function () {
+      if (!confirm(i18next.t('web:storage.run_confirm'))) return;
+      runBtn.disabled = true;
+      runBtn.textContent = i18next.t('web:storage.running');
+      var data = await _retentionRequest('/api/panel/data-retention/run', { method: 'POST' });
+      runBtn.disabled = false;
+      runBtn.textContent = i18next.t('web:storage.run_now');
+      if (data) {
+        await loadStorage();
+        renderRetentionPlan($('#storage-retention').lastChild, data.run.families);
+      }
+    });
+  }
+
+  async function _retentionRequest(url, opts) {
+    try {
+      var r = await apiFetch(url, opts);
+      var data = {};
+      try {
+        data = await r.json();
+      } catch (_e) {}
+      if (!r.ok) {
+        alert(i18next.t('web:storage.action_failed', { error: data.error || r.statusText }));
+        return null;
+      }
+      return data;
+    } catch (e) {
+      alert(i18next.t('web:storage.action_failed', { error: e.message }));
+      return null;
+    }
+  }
+
+  /** Rows per family and how many the policy affects (a preview or a finished run). */
+  function renderRetentionPlan(container, families) {
+    if (!container) return;
+    var html = '<table class="db-table text-[11px]"><thead><tr>';
+    html += '<th>' + esc(i18next.t('web:storage.family')) + '</th>';
+    html += '<th>' + esc(i18next.t('web:storage.rows')) + '</th>';
+    html += '<th>' + esc(i18next.t('web:storage.affected')) + '</th>';
+    html += '<th>' + esc(i18next.t('web:storage.oldest')) + '</th>';
+    html += '</tr></thead><tbody>';
+    for (var i = 0; i < families.length; i++) {
+      var f = families[i];
+      html += '<tr>';
+      html += '<td class="font-mono">' + esc(f.family) + '</td>';
+      html += '<td>' + fmtNum(f.rows) + '</td>';
+      html += '<td' + (f.error ? ' class="text-red-400" title="' + esc(f.error) + '"' : '') + '>';
+      html += fmtNum(f.affected) + ' ' + esc(i18next.t('web:storage.mode_' + f.mode)) + '</td>';
+      html += '<td>' + (f.oldest ? fmtDateTime(f.oldest) : '—') + '</td>';
+      html += '</tr>';
+    }
+    html += '</tbody></table>';
+    container.innerHTML = html;
+  }
+
   // ═══════════════════════════════════════════════════
   // Server Info Panel — dynamic info for landing cards
   // ═══════════════════════════════════════════════════
@@ -695,6 +884,16 @@ Panel.tabs = Panel.tabs || {};
     return result;
   }
 
+  /** Module-status line for a plugin from /api/status/modules. */
+  function _pluginStatus(p) {
+    var dot = p.state === 'active' ? '🟢' : p.state === 'failed' || p.state === 'incompatible' ? '⚠️' : '⚫';
+    var text = i18next.t('web:dashboard.plugin_states.' + p.state, { defaultValue: p.state });
+    if (p.version) text += ' · v' + p.version;
+    if (p.errors) text += ' · ' + i18next.t('web:dashboard.plugin_errors', { count: p.errors });
+    if (p.error && p.state !== 'active') text += ' — ' + p.error;
+    return dot + ' ' + text;
+  }
+
   function renderModuleStatus(container, modules) {
     if (!container) return;
     container.innerHTML = '';
@@ -0,0 +1,261 @@
+/**
+ * Panel Tab: Economy — credit totals, richest players, admin grant/deduct
+ * and the ledger audit trail.
+ * @namespace Panel.tabs.economy
+ */
+window.Panel = window.Panel || {};
+Panel.tabs = Panel.tabs || {};
+
+(function () {
+  'use strict';
+
+  const S = Panel.core.S;
+  const $ = Panel.core.$;
+  const esc = Panel.core.esc;
+  const apiFetch = Panel.core.apiFetch;
+  const fmtDateTime = Panel.core.utils.fmtDateTime;
+
+  const AUDIT_PAGE = 50;
+  const TX_TYPES = [
+    'admin_grant',
+    'admin_deduct',
+    'transfer',
+    'kill_reward',
+    'survival_reward',
+    'milestone_reward',
+    'quest_reward',
+    'bounty_reward',
+    'bounty_place',
+    'bounty_refund',
+    'event_reward',
+  ];
+
+  let _inited = false;
+  let _enabled = false;
+  let _auditRows = [];
+
+  function init() {
+    if (_inited) return;
+    _inited = true;
+
+    const typeSelect = $('#economy-audit-type');
+    if (typeSelect) {
+      let opts = '<option value="">' + esc(i18next.t('web:economy.all_types')) + '</option>';
+      for (let i = 0; i < TX_TYPES.length; i++) {
+        opts += '<option value="' + TX_TYPES[i] + '">' + esc(typeLabel(TX_TYPES[i])) + '</option>';
+      }
+      typeSelect.innerHTML = opts;
+    }
+
+    const form = $('#economy-adjust-form');
+    if (form) {
+      form.addEventListener('submit', function (e) {
+        e.preventDefault();
+        adjustCredits();
+      });
+    }
+
+    const filter = $('#economy-audit-filter');
+    if (filter) {
+      filter.addEventListener('submit', function (e) {
+        e.preventDefault();
+        loadAudit(false);
+      });
+    }
+
+    const more = $('#economy-audit-more');
+    if (more) {
+      more.addEventListener('click', function () {
+        loadAudit(true);
+      });
+    }
+
+    const list = $('#economy-audit-list');
+    if (list) {
+      list.addEventListener('click', function (e) {
+        const link = e.target.closest('[data-economy-player]');
+        if (!link) return;
+        const input = $('#economy-audit-player');
+        if (input) input.value = link.dataset.economyPlayer;
+        loadAudit(false);
+      });
+    }
+  }
+
+  function typeLabel(type) {
+    return i18next.t('web:economy.types.' + type, { defaultValue: type });
+  }
+
+  async function loadEconomy() {
+    const boardEl = $('#economy-leaderboard');
+    if (!boardEl) return;
+
+    let data = { enabled: false, totals: null, leaderboard: [] };
+    try {
+      const r = await apiFetch('/api/panel/economy');
+      if (r.ok) data = await r.json();
+    } catch (_e) {}
+
+    _enabled = !!data.enabled;
+    const totals = data.totals || { accounts: 0, circulating: 0, lifetime: 0 };
+    const disabledEl = $('#economy-disabled');
+    if (disabledEl) disabledEl.classList.toggle('hidden', _enabled);
+    const adjustCard = $('#economy-adjust-card');
+    if (adjustCard) adjustCard.classList.toggle('hidden', !_enabled);
+    const auditCard = $('#economy-audit-card');
+    if (auditCard) auditCard.classList.toggle('hidden', !_enabled);
+    const accountsEl = $('#economy-accounts');
+    if (accountsEl) accountsEl.textContent = (totals.accounts || 0).toLocaleString();
+    const circEl = $('#economy-circulating');
+    if (circEl) circEl.textContent = (totals.circulating || 0).toLocaleString();
+    const lifeEl = $('#economy-lifetime');
+    if (lifeEl) lifeEl.textContent = (totals.lifetime || 0).toLocaleString();
+
+    const rows = data.leaderboard || [];
+    if (rows.length === 0) {
+      boardEl.innerHTML = '<div class="feed-empty">' + i18next.t('web:economy.no_balances') + '</div>';
+    } else {
+      let html = '<table class="db-table"><thead><tr>';
+      html += '<th>#</th>';
+      html += '<th>' + i18next.t('web:economy.player') + '</th>';
+      html += '<th>' + i18next.t('web:economy.balance') + '</th>';
+      html += '<th>' + i18next.t('web:economy.lifetime') + '</th>';
+      html += '</tr></thead><tbody>';
+      for (let i = 0; i < rows.length; i++) {
+        const p = rows[i];
+        html += '<tr>';
+        html += '<td class="font-mono text-xs text-muted">' + (i + 1) + '</td>';
+        html +=
+          '<td><span class="player-link" data-steam-id="' +
+          esc(p.steam_id) +
+          '">' +
+          esc(p.name || p.steam_id) +
+          '</span></td>';
+        html += '<td class="font-mono text-xs text-accent">' + (p.credits || 0).toLocaleString() + '</td>';
+        html += '<td class="font-mono text-xs text-muted">' + (p.lifetime_credits || 0).toLocaleString() + '</td>';
+        html += '</tr>';
+      }
+      html += '</tbody></table>';
+      boardEl.innerHTML = html;
+    }
+
+    if (_enabled && S.tier >= 3) loadAudit(false);
+  }
+
+  async function loadAudit(append) {
+    const listEl = $('#economy-audit-list');
+    if (!listEl) return;
+    if (!append) _auditRows = [];
+
+    const params = new URLSearchParams({ limit: String(AUDIT_PAGE) });
+    const playerInput = $('#economy-audit-player');
+    const typeSelect = $('#economy-audit-type');
+    if (playerInput && playerInput.value.trim()) params.set('steamId', playerInput.value.trim());
+    if (typeSelect && typeSelect.value) params.set('type', typeSelect.value);
+    if (append && _auditRows.length > 0) params.set('before', String(_auditRows[_auditRows.length - 1].id));
+
+    let page = [];
+    try {
+      const r = await apiFetch('/api/panel/economy/transactions?' + params.toString());
+      if (r.ok) page = (await r.json()).transactions || [];
+    } catch (_e) {}
+    _auditRows = _auditRows.concat(page);
+
+    const more = $('#economy-audit-more');
+    if (more) more.classList.toggle('hidden', page.length < AUDIT_PAGE);
+
+    if (_auditRows.length === 0) {
+      listEl.innerHTML = '<div class="feed-empty">' + i18next.t('web:economy.no_transactions') + '</div>';
+      return;
+    }
+
+    let html = '<table class="db-table"><thead><tr>';
+    html += '<th>#</th>';
+    html += '<th>' + i18next.t('web:economy.time') + '</th>';
+    html += '<th>' + i18next.t('web:economy.player') + '</th>';
+    html += '<th>' + i18next.t('web:economy.type') + '</th>';
+    html += '<th>' + i18next.t('web:economy.amount') + '</th>';
+    html += '<th>' + i18next.t('web:economy.balance_after') + '</th>';
+    html += '<th>' + i18next.t('web:economy.description') + '</th>';
+    html += '<th>' + i18next.t('web:economy.actor') + '</th>';
+    html += '</tr></thead><tbody>';
+    for (let i = 0; i < _auditRows.length; i++) {
+      const tx = _auditRows[i];
+      const amountCls = tx.amount < 0 ? 'text-red-400' : 'text-green-400';
+      html += '<tr>';
+      html += '<td class="font-mono text-xs text-muted">' + tx.id + '</td>';
+      html += '<td class="text-xs text-muted">' + (tx.created_at ? fmtDateTime(tx.created_at) : '') + '</td>';
+      html +=
+        '<td><a href="#" class="text-xs hover:underline" data-economy-player="' +
+        esc(tx.steam_id) +
+        '">' +
+        esc(tx.name || tx.steam_id) +
+        '</a></td>';
+      html += '<td class="text-xs">' + esc(typeLabel(tx.type)) + '</td>';
+      html +=
+        '<td class="font-mono text-xs ' +
+        amountCls +
+        '">' +
+        (tx.amount > 0 ? '+' : '') +
+        tx.amount.toLocaleString() +
+        '</td>';
+      html += '<td class="font-mono text-xs">' + (tx.balance_after || 0).toLocaleString() + '</td>';
+      html += '<td class="text-xs">' + esc(tx.description || '') + '</td>';
+      html += '<td class="text-xs text-muted">' + esc(tx.actor || '') + '</td>';
+      html += '</tr>';
+    }
+    html += '</tbody></table>';
+    listEl.innerHTML = html;
+  }
+
+  async function adjustCredits() {
+    const playerInput = $('#economy-adjust-player');
+    const modeSelect = $('#economy-adjust-mode');
+    const amountInput = $('#economy-adjust-amount');
+    const reasonInput = $('#economy-adjust-reason');
+    if (!playerInput || !modeSelect || !amountInput || !reasonInput) return;
+    const target = playerInput.value.trim();
+    const amount = parseInt(amountInput.value, 10);
+    const reason = reasonInput.value.trim();
+    if (!target || !amount || amount < 1) return;
+    if (!reason) {
+      alert(i18next.t('web:economy.reason_required'));
+      return;
+    }
+    const signed = modeSelect.value === 'deduct' ? -amount : amount;
+    try {
+      const r = await apiFetch('/api/panel/economy/adjust', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ target: target, amount: signed, reason: reason }),
+      });
+      if (!r.ok) {
+        let err = {};
+        try {
+          err = await r.json();
+        } catch (_e) {}
+        alert(i18next.t('web:economy.action_failed', { error: err.error || r.statusText }));
+        return;
+      }
+      const result = await r.json();
+      amountInput.value = '';
+      reasonInput.value = '';
+      alert(
+        i18next.t('web:economy.adjusted', {
+          name: result.name,
+          balance: (result.balance || 0).toLocaleString(),
+        }),
+      );
+      loadEconomy();
+    } catch (e) {
+      alert(i18next.t('web:economy.action_failed', { error: e.message }));
+    }
+  }
+
+  function reset() {
+    _inited = false;
+    _auditRows = [];
+  }
+
+  Panel.tabs.economy = { init: init, load: loadEconomy, reset: reset };
+})();
@@ -0,0 +1,276 @@
+/**
+ * Panel Tab: Events — schedule community events, live scoreboards and
+ * recent results.
+ * @namespace Panel.tabs.events
+ */
+window.Panel = window.Panel || {};
+Panel.tabs = Panel.tabs || {};
+
+(function () {
+  'use strict';
+
+  const S = Panel.core.S;
+  const $ = Panel.core.$;
+  const esc = Panel.core.esc;
+  const apiFetch = Panel.core.apiFetch;
+  const fmtDateTime = Panel.core.utils.fmtDateTime;
+
+  let _inited = false;
+
+  function init() {
+    if (_inited) return;
+    _inited = true;
+
+    const form = $('#events-create-form');
+    if (form) {
+      form.addEventListener('submit', function (e) {
+        e.preventDefault();
+        scheduleEvent();
+      });
+    }
+
+    const tab = $('#tab-events');
+    if (tab) {
+      tab.addEventListener('click', function (e) {
+        const btn = e.target.closest('[data-event-action]');
+        if (btn) eventAction(btn.dataset.eventId, btn.dataset.eventAction);
+      });
+    }
+  }
+
+  function typeLabel(type) {
+    return i18next.t('web:events.types.' + type, { defaultValue: type });
+  }
+
+  function actionButton(id, action) {
+    return (
+      '<button class="btn-secondary text-xs px-3 py-1" data-event-id="' +
+      id +
+      '" data-event-action="' +
+      action +
+      '">' +
+      i18next.t('web:events.' + action) +
+      '</button>'
+    );
+  }
+
+  function renderScores(scores) {
+    if (!scores || scores.length === 0) {
+      return '<div class="text-xs text-muted">' + i18next.t('web:events.no_scores') + '</div>';
+    }
+    let html = '<table class="db-table"><thead><tr>';
+    html += '<th>#</th>';
+    html += '<th>' + i18next.t('web:events.player') + '</th>';
+    html += '<th>' + i18next.t('web:events.score') + '</th>';
+    html += '<th>' + i18next.t('web:events.kills') + '</th>';
+    html += '<th>' + i18next.t('web:events.deaths') + '</th>';
+    html += '</tr></thead><tbody>';
+    for (let i = 0; i < scores.length; i++) {
+      const s = scores[i];
+      html += '<tr>';
+      html += '<td class="font-mono text-xs text-muted">' + (i + 1) + '</td>';
+      html +=
+        '<td><span class="player-link" data-steam-id="' +
+        esc(s.steam_id) +
+        '">' +
+        esc(s.name || s.steam_id) +
+        '</span></td>';
+      html += '<td class="font-mono text-xs text-accent">' + (s.score || 0).toLocaleString() + '</td>';
+      html += '<td class="font-mono text-xs">' + (s.kills || 0) + '</td>';
+      html += '<td class="font-mono text-xs">' + (s.deaths || 0) + '</td>';
+      html += '</tr>';
+    }
+    html += '</tbody></table>';
+    return html;
+  }
+
+  async function loadEvents() {
+    const activeEl = $('#events-active-list');
+    const upcomingEl = $('#events-upcoming-list');
+    const recentEl = $('#events-recent-list');
+    if (!activeEl || !upcomingEl || !recentEl) return;
+
+    let data = { enabled: false, upcoming: [], active: [], recent: [] };
+    try {
+      const r = await apiFetch('/api/panel/events');
+      if (r.ok) data = await r.json();
+    } catch (_e) {}
+
+    const canManage = data.enabled && S.tier >= 3;
+    const disabledEl = $('#events-disabled');
+    if (disabledEl) disabledEl.classList.toggle('hidden', !!data.enabled);
+    const formCard = $('#events-create-card');
+    if (formCard) formCard.classList.toggle('hidden', !data.enabled);
+
+    const active = data.active || [];
+    if (active.length === 0) {
+      activeEl.innerHTML = '<div class="feed-empty">' + i18next.t('web:events.no_active') + '</div>';
+    } else {
+      let ahtml = '<div class="space-y-4">';
+      for (let ai = 0; ai < active.length; ai++) {
+        const ev = active[ai];
+        ahtml += '<div class="space-y-2">';
+        ahtml += '<div class="flex items-center gap-2 flex-wrap">';
+        ahtml += '<span class="font-medium text-text-bright">' + esc(ev.name) + '</span>';
+        ahtml += '<span class="text-xs text-muted">' + esc(typeLabel(ev.type)) + '</span>';
+        ahtml +=
+          '<span class="text-xs text-muted">' +
+          i18next.t('web:events.started_at', { time: fmtDateTime(ev.started_at), minutes: ev.durationMinutes }) +
+          '</span>';
+        if (canManage) {
+          ahtml += '<span class="flex-1"></span>' + actionButton(ev.id, 'end') + ' ' + actionButton(ev.id, 'cancel');
+        }
+        ahtml += '</div>';
+        ahtml += renderScores(ev.scores);
+        ahtml += '</div>';
+      }
+      ahtml += '</div>';
+      activeEl.innerHTML = ahtml;
+    }
+
+    const upcoming = data.upcoming || [];
+    if (upcoming.length === 0) {
+      upcomingEl.innerHTML = '<div class="feed-empty">' + i18next.t('web:events.no_upcoming') + '</div>';
+    } else {
+      let html = '<table class="db-table"><thead><tr>';
+      html += '<th>#</th>';
+      html += '<th>' + i18next.t('web:events.name') + '</th>';
+      html += '<th>' + i18next.t('web:events.type') + '</th>';
+      html += '<th>' + i18next.t('web:events.starts') + '</th>';
+      html += '<th>' + i18next.t('web:events.duration') + '</th>';
+      html += '<th>' + i18next.t('web:events.rewards') + '</th>';
+      if (canManage) html += '<th></th>';
+      html += '</tr></thead><tbody>';
+      for (let ui = 0; ui < upcoming.length; ui++) {
+        const ev = upcoming[ui];
+        const places = (ev.rewards && ev.rewards.places) || [];
+        html += '<tr>';
+        html += '<td class="font-mono text-xs text-muted">' + ev.id + '</td>';
+        html += '<td>' + esc(ev.name) + '</td>';
+        html += '<td class="text-xs">' + esc(typeLabel(ev.type)) + '</td>';
+        html += '<td class="text-xs text-muted">' + (ev.scheduled_at ? fmtDateTime(ev.scheduled_at) : '') + '</td>';
+        html += '<td class="text-xs">' + i18next.t('web:events.minutes', { minutes: ev.durationMinutes }) + '</td>';
+        html +=
+          '<td class="font-mono text-xs text-accent">' +
+          esc(
+            places
+              .map(function (n) {
+                return n.toLocaleString();
+              })
+              .join(' / '),
+          ) +
+          '</td>';
+        if (canManage)
+          html +=
+            '<td class="whitespace-nowrap">' +
+            actionButton(ev.id, 'start') +
+            ' ' +
+            actionButton(ev.id, 'cancel') +
+            '</td>';
+        html += '</tr>';
+      }
+      html += '</tbody></table>';
+      upcomingEl.innerHTML = html;
+    }
+
+    const recent = data.recent || [];
+    if (recent.length === 0) {
+      recentEl.innerHTML = '<div class="feed-empty">' + i18next.t('web:events.no_recent') + '</div>';
+    } else {
+      let rhtml = '<div class="space-y-1">';
+      for (let ri = 0; ri < recent.length; ri++) {
+        const ev = recent[ri];
+        const paid = (ev.rewards && ev.rewards.paid) || [];
+        let summary;
+        if (ev.status === 'cancelled') summary = i18next.t('web:events.cancelled');
+        else if (paid.length > 0) {
+          summary = i18next.t('web:events.winner_line', {
+            name: esc(paid[0].name || paid[0].steamId),
+            score: (paid[0].score || 0).toLocaleString(),
+          });
+        } else summary = i18next.t('web:events.no_winners');
+        rhtml += '<div class="flex items-center gap-2 py-1 px-2 rounded hover:bg-surface-300/50 text-sm">';
+        rhtml += '<span class="font-medium">' + esc(ev.name) + '</span>';
+        rhtml += '<span class="text-xs text-muted">' + esc(typeLabel(ev.type)) + '</span>';
+        rhtml += '<span class="flex-1 truncate">' + summary + '</span>';
+        rhtml +=
+          '<span class="text-[11px] text-muted shrink-0">' + (ev.ended_at ? fmtDateTime(ev.ended_at) : '') + '</span>';
+        rhtml += '</div>';
+      }
+      rhtml += '</div>';
+      recentEl.innerHTML = rhtml;
+    }
+  }
+
+  async function scheduleEvent() {
+    const nameInput = $('#events-name');
+    const startInput = $('#events-start');
+    if (!nameInput || !startInput) return;
+    const name = nameInput.value.trim();
+    if (!name || !startInput.value) return;
+
+    // datetime-local is browser-local time — send an absolute instant
+    const start = new Date(startInput.value);
+    if (isNaN(start.getTime())) return;
+    const body = {
+      type: $('#events-type').value,
+      name: name,
+      scheduledAt: start.toISOString(),
+      description: $('#events-description').value.trim(),
+      target: $('#events-target').value.trim(),
+      territoryId: $('#events-territory').value.trim(),
+    };
+    const duration = parseInt($('#events-duration').value, 10);
+    if (duration) body.durationMinutes = duration;
+    const rewards = $('#events-rewards').value.trim();
+    if (rewards) {
+      body.rewards = rewards.split(',').map(function (n) {
+        return parseInt(n.trim(), 10);
+      });
+    }
+
+    try {
+      const r = await apiFetch('/api/panel/events', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      });
+      if (!r.ok) {
+        let err = {};
+        try {
+          err = await r.json();
+        } catch (_e) {}
+        alert(i18next.t('web:events.action_failed', { error: err.error || r.statusText }));
+        return;
+      }
+      $('#events-create-form').reset();
+      loadEvents();
+    } catch (e) {
+      alert(i18next.t('web:events.action_failed', { error: e.message }));
+    }
+  }
+
+  async function eventAction(id, action) {
+    if (!confirm(i18next.t('web:events.confirm_' + action, { id: id }))) return;
+    try {
+      const r = await apiFetch('/api/panel/events/' + encodeURIComponent(id) + '/' + action, { method: 'POST' });
+      if (!r.ok) {
+        let err = {};
+        try {
+          err = await r.json();
+        } catch (_e) {}
+        alert(i18next.t('web:events.action_failed', { error: err.error || r.statusText }));
+        return;
+      }
+      loadEvents();
+    } catch (e) {
+      alert(i18next.t('web:events.action_failed', { error: e.message }));
+    }
+  }
+
+  function reset() {
+    _inited = false;
+  }
+
+  Panel.tabs.events = { init: init, load: loadEvents, reset: reset };
+})();
@@ -0,0 +1,370 @@
+/**
+ * Panel Tab: Factions — standings, territory control, rosters, joining with your
+ * linked character and admin membership.
+ * @namespace Panel.tabs.factions
+ */
+window.Panel = window.Panel || {};
+Panel.tabs = Panel.tabs || {};
+
+(function () {
+  'use strict';
+
+  const S = Panel.core.S;
+  const $ = Panel.core.$;
+  const esc = Panel.core.esc;
+  const apiFetch = Panel.core.apiFetch;
+  const fmtDateTime = Panel.core.utils.fmtDateTime;
+
+  let _inited = false;
+  let _factions = [];
+  let _territories = [];
+  let _selfFaction = null;
+
+  function init() {
+    if (_inited) return;
+    _inited = true;
+
+    const joinForm = $('#faction-join-form');
+    if (joinForm) {
+      joinForm.addEventListener('submit', function (e) {
+        e.preventDefault();
+        addMember();
+      });
+    }
+
+    const selfForm = $('#faction-self-form');
+    if (selfForm) {
+      selfForm.addEventListener('submit', function (e) {
+        e.preventDefault();
+        joinSelf();
+      });
+    }
+    const selfLeave = $('#faction-self-leave');
+    if (selfLeave) selfLeave.addEventListener('click', leaveSelf);
+
+    const territoryForm = $('#faction-territory-form');
+    if (territoryForm) {
+      territoryForm.addEventListener('submit', function (e) {
+        e.preventDefault();
+        saveTerritory();
+      });
+    }
+
+    const members = $('#faction-member-list');
+    if (members) {
+      members.addEventListener('click', function (e) {
+        const btn = e.target.closest('[data-faction-leave]');
+        if (btn) removeMember(btn.dataset.factionLeave, btn.dataset.name);
+      });
+    }
+
+    const territories = $('#faction-territory-list');
+    if (territories) {
+      territories.addEventListener('click', function (e) {
+        const del = e.target.closest('[data-territory-delete]');
+        if (del) {
+          deleteTerritory(del.dataset.territoryDelete);
+          return;
+        }
+        const edit = e.target.closest('[data-territory-edit]');
+        if (edit) editTerritory(edit.dataset.territoryEdit);
+      });
+    }
+  }
+
+  function factionName(id) {
+    for (let i = 0; i < _factions.length; i++) {
+      if (_factions[i].id === id) return _factions[i].name;
+    }
+    return id;
+  }
+
+  async function loadFactions() {
+    const standingsEl = $('#faction-standings');
+    const territoryEl = $('#faction-territory-list');
+    const membersEl = $('#faction-member-list');
+    if (!standingsEl || !territoryEl || !membersEl) return;
+
+    let data = { enabled: false, factions: [], territories: [], members: {} };
+    try {
+      const r = await apiFetch('/api/panel/factions');
+      if (r.ok) data = await r.json();
+    } catch (_e) {}
+
+    _factions = data.factions || [];
+    const territories = data.territories || [];
+    _territories = territories;
+    const members = data.members || {};
+    const isAdmin = data.enabled && S.tier >= 3;
+
+    const disabledEl = $('#faction-disabled');
+    if (disabledEl) disabledEl.classList.toggle('hidden', !!data.enabled);
+    const joinCard = $('#faction-join-card');
+    if (joinCard) joinCard.classList.toggle('hidden', !isAdmin);
+    const territoryCard = $('#faction-territory-card');
+    if (territoryCard) territoryCard.classList.toggle('hidden', !isAdmin);
+
+    const options = _factions
+      .map(function (f) {
+        return '<option value="' + esc(f.id) + '">' + esc(f.icon + ' ' + f.name) + '</option>';
+      })
+      .join('');
+    const select = $('#faction-join-faction');
+    if (select) select.innerHTML = options;
+
+    renderSelf(data.enabled, members, options);
+
+    // Standings
+    let shtml = '';
+    for (let fi = 0; fi < _factions.length; fi++) {
+      const f = _factions[fi];
+      shtml += '<div class="stat-card" style="border-left:3px solid ' + esc(f.color) + '">';
+      shtml += '<div class="stat-label">' + esc(f.icon + ' ' + f.name) + '</div>';
+      shtml +=
+        '<div class="stat-value">' +
+        i18next.t('web:factions.held_count', { count: f.territories_held || 0 }) +
+        '</div>';
+      shtml +=
+        '<div class="text-xs text-muted mt-1">' +
+        i18next.t('web:factions.standing_line', {
+          members: (f.member_count || 0).toLocaleString(),
+          kills: (f.total_kills || 0).toLocaleString(),
+          deaths: (f.total_deaths || 0).toLocaleString(),
+        }) +
+        '</div>';
+      shtml += '</div>';
+    }
+    standingsEl.innerHTML = shtml;
+
+    // Territories
+    if (territories.length === 0) {
+      territoryEl.innerHTML = '<div class="feed-empty">' + i18next.t('web:factions.no_territories') + '</div>';
+    } else {
+      let html = '<table class="db-table"><thead><tr>';
+      html += '<th>' + i18next.t('web:factions.territory_name') + '</th>';
+      html += '<th>' + i18next.t('web:factions.holder') + '</th>';
+      for (let hi = 0; hi < _factions.length; hi++) html += '<th>' + esc(_factions[hi].name) + '</th>';
+      html += '<th>' + i18next.t('web:factions.tier') + '</th>';
+      html += '<th>' + i18next.t('web:factions.last_contested') + '</th>';
+      if (isAdmin) html += '<th></th>';
+      html += '</tr></thead><tbody>';
+      for (let ti = 0; ti < territories.length; ti++) {
+        const t = territories[ti];
+        html += '<tr' + (t.active ? '' : ' class="opacity-50"') + '>';
+        html += '<td>' + esc(t.name) + ' <span class="font-mono text-[10px] text-muted">' + esc(t.id) + '</span></td>';
+        html +=
+          '<td class="text-xs">' +
+          esc(t.controlling_faction ? factionName(t.controlling_faction) : i18next.t('web:factions.neutral')) +
+          '</td>';
+        for (let ci = 0; ci < _factions.length; ci++) {
+          const score = t['control_score_' + _factions[ci].id];
+          html += '<td class="font-mono text-xs">' + (score || 0) + '</td>';
+        }
+        html += '<td class="text-xs">' + (t.tier || 1) + '</td>';
+        html += '<td class="text-xs text-muted">' + (t.last_contested ? fmtDateTime(t.last_contested) : '-') + '</td>';
+        if (isAdmin) {
+          html +=
+            '<td class="whitespace-nowrap"><button class="btn-secondary text-xs px-3 py-1" data-territory-edit="' +
+            esc(t.id) +
+            '">' +
+            i18next.t('web:factions.edit') +
+            '</button> <button class="btn-secondary text-xs px-3 py-1" data-territory-delete="' +
+            esc(t.id) +
+            '">' +
+            i18next.t('web:factions.delete') +
+            '</button></td>';
+        }
+        html += '</tr>';
+      }
+      html += '</tbody></table>';
+      territoryEl.innerHTML = html;
+    }
+
+    // Rosters
+    let total = 0;
+    let mhtml = '<table class="db-table"><thead><tr>';
+    mhtml += '<th>' + i18next.t('web:factions.player') + '</th>';
+    mhtml += '<th>' + i18next.t('web:factions.faction') + '</th>';
+    mhtml += '<th>' + i18next.t('web:factions.pvp_kills') + '</th>';
+    mhtml += '<th>' + i18next.t('web:factions.pvp_deaths') + '</th>';
+    mhtml += '<th>' + i18next.t('web:factions.captures') + '</th>';
+    mhtml += '<th>' + i18next.t('web:factions.joined') + '</th>';
+    if (isAdmin) mhtml += '<th></th>';
+    mhtml += '</tr></thead><tbody>';
+    for (let fi2 = 0; fi2 < _factions.length; fi2++) {
+      const f2 = _factions[fi2];
+      const list = members[f2.id] || [];
+      for (let mi = 0; mi < list.length; mi++) {
+        const m = list[mi];
+        total++;
+        mhtml += '<tr>';
+        mhtml +=
+          '<td><span class="player-link" data-steam-id="' +
+          esc(m.steam_id) +
+          '">' +
+          esc(m.name || m.steam_id) +
+          '</span></td>';
+        mhtml += '<td class="text-xs" style="color:' + esc(f2.color) + '">' + esc(f2.name) + '</td>';
+        mhtml += '<td class="font-mono text-xs">' + (m.pvp_kills_faction || 0) + '</td>';
+        mhtml += '<td class="font-mono text-xs">' + (m.deaths_faction || 0) + '</td>';
+        mhtml += '<td class="font-mono text-xs">' + (m.territories_captured || 0) + '</td>';
+        mhtml += '<td class="text-xs text-muted">' + (m.joined_at ? fmtDateTime(m.joined_at) : '-') + '</td>';
+        if (isAdmin) {
+          mhtml +=
+            '<td><button class="btn-secondary text-xs px-3 py-1" data-faction-leave="' +
+            esc(m.steam_id) +
+            '" data-name="' +
+            esc(m.name || m.steam_id) +
+            '">' +
+            i18next.t('web:factions.remove') +
+            '</button></td>';
+        }
+        mhtml += '</tr>';
+      }
+    }
+    mhtml += '</tbody></table>';
+    membersEl.innerHTML =
+      total === 0 ? '<div class="feed-empty">' + i18next.t('web:factions.no_members') + '</div>' : mhtml;
+  }
+
+  async function postJson(url, method, body) {
+    try {
+      const r = await apiFetch(url, {
+        method: method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined,
+      });
+      if (!r.ok) {
+        let err = {};
+        try {
+          err = await r.json();
+        } catch (_e) {}
+        alert(i18next.t('web:factions.action_failed', { error: err.error || r.statusText }));
+        return false;
+      }
+      return true;
+    } catch (e) {
+      alert(i18next.t('web:factions.action_failed', { error: e.message }));
+      return false;
+    }
+  }
+
+  /** The caller's own membership card — only shown when their Discord account is linked. */
+  function renderSelf(enabled, members, options) {
+    const card = $('#faction-self-card');
+    if (!card) return;
+    const steamId = S.user && S.user.steamId;
+    card.classList.toggle('hidden', !enabled || !steamId);
+    if (!enabled || !steamId) return;
+
+    let current = null;
+    for (const id in members) {
+      if (
+        members[id].some(function (m) {
+          return m.steam_id === steamId;
+        })
+      ) {
+        current = id;
+      }
+    }
+    _selfFaction = current;
+
+    const status = $('#faction-self-status');
+    if (status) {
+      status.textContent = current
+        ? i18next.t('web:factions.self_member', { faction: factionName(current) })
+        : i18next.t('web:factions.self_none');
+    }
+    const select = $('#faction-self-faction');
+    if (select) {
+      select.innerHTML = options;
+      select.classList.toggle('hidden', !!current);
+    }
+    const join = $('#faction-self-join');
+    if (join) join.classList.toggle('hidden', !!current);
+    const leave = $('#faction-self-leave');
+    if (leave) leave.classList.toggle('hidden', !current);
+  }
+
+  async function joinSelf() {
+    const select = $('#faction-self-faction');
+    if (!select || !select.value) return;
+    if (await postJson('/api/panel/factions/me', 'POST', { faction: select.value })) loadFactions();
+  }
+
+  async function leaveSelf() {
+    if (!_selfFaction) return;
+    if (!confirm(i18next.t('web:factions.confirm_leave', { faction: factionName(_selfFaction) }))) return;
+    if (await postJson('/api/panel/factions/me/leave', 'POST')) loadFactions();
+  }
+
+  async function addMember() {
+    const playerInput = $('#faction-join-player');
+    const select = $('#faction-join-faction');
+    if (!playerInput || !select) return;
+    const player = playerInput.value.trim();
+    if (!player || !select.value) return;
+    if (await postJson('/api/panel/factions/members', 'POST', { player: player, faction: select.value })) {
+      playerInput.value = '';
+      loadFactions();
+    }
+  }
+
+  async function removeMember(steamId, name) {
+    if (!confirm(i18next.t('web:factions.confirm_remove', { name: name }))) return;
+    if (await postJson('/api/panel/factions/members/' + encodeURIComponent(steamId) + '/leave', 'POST')) {
+      loadFactions();
+    }
+  }
+
+  function editTerritory(id) {
+    const t = _territories.find(function (x) {
+      return x.id === id;
+    });
+    if (!t) return;
+    $('#faction-territory-id').value = t.id;
+    $('#faction-territory-name').value = t.name;
+    $('#faction-territory-x').value = t.center_x;
+    $('#faction-territory-y').value = t.center_y;
+    $('#faction-territory-radius').value = t.radius;
+    $('#faction-territory-tier').value = t.tier || 1;
+    $('#faction-territory-polygon').value = t.polygon ? JSON.stringify(t.polygon) : '';
+  }
+
+  async function saveTerritory() {
+    let polygon = null;
+    const rawPolygon = $('#faction-territory-polygon').value.trim();
+    if (rawPolygon) {
+      try {
+        polygon = JSON.parse(rawPolygon);
+      } catch (_e) {
+        alert(i18next.t('web:factions.invalid_polygon'));
+        return;
+      }
+    }
+    const ok = await postJson('/api/panel/factions/territories', 'POST', {
+      id: $('#faction-territory-id').value.trim(),
+      name: $('#faction-territory-name').value.trim(),
+      centerX: parseFloat($('#faction-territory-x').value),
+      centerY: parseFloat($('#faction-territory-y').value),
+      radius: $('#faction-territory-radius').value,
+      tier: $('#faction-territory-tier').value,
+      polygon: polygon,
+    });
+    if (ok) {
+      $('#faction-territory-form').reset();
+      loadFactions();
+    }
+  }
+
+  async function deleteTerritory(id) {
+    if (!confirm(i18next.t('web:factions.confirm_delete', { id: id }))) return;
+    if (await postJson('/api/panel/factions/territories/' + encodeURIComponent(id), 'DELETE')) loadFactions();
+  }
+
+  function reset() {
+    _inited = false;
+  }
+
+  Panel.tabs.factions = { init: init, load: loadFactions, reset: reset };
+})();
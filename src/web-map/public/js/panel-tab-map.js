@@ -20,10 +20,27 @@ Panel.tabs = Panel.tabs || {};
   let _inited = false;
   let mapWorldLayers = {};
 
+  // Heatmap overlay — refetched on control changes, otherwise at most every 5 minutes
+  const HEATMAP_MAX_AGE_MS = 5 * 60 * 1000;
+  let _heatLayer = null;
+  let _heatLoadedAt = 0;
+  let _heatSeq = 0;
+  let _heatControls = false;
+
+  // Deep link from a Discord death recap (?focus=x,y&label=…) — shown once the map knows the world bounds
+  let _urlFocus = readUrlFocus();
+  let _focusMarker = null;
+
   function init() {
     if (_inited) return;
     _inited = true;
     initMap();
+    if (!_heatControls && Panel.shared.heatmap) {
+      _heatControls = true;
+      Panel.shared.heatmap.initControls('map-heatmap', function () {
+        loadHeatmap(true);
+      });
+    }
   }
 
   // ── Map Initialization ──────────────────────────────────────────
@@ -55,6 +72,7 @@ Panel.tabs = Panel.tabs || {};
     ];
     L.imageOverlay('/terrain.png', bounds, { className: 'map-terrain' }).addTo(S.map);
     S.map.fitBounds(bounds);
+    _heatLayer = L.layerGroup().addTo(S.map);
     S.mapReady = true;
   }
 
@@ -77,12 +95,15 @@ Panel.tabs = Panel.tabs || {};
       S.worldBounds = d.worldBounds || null;
       updateMapMarkers();
       updateMapSidebar();
+      applyUrlFocus();
 
       const wantLayers = [];
-      ['structures', 'vehicles', 'containers', 'companions', 'zombies', 'animals', 'bandits'].forEach(function (l) {
-        const cb = $('#map-layer-' + l);
-        if (cb && cb.checked) wantLayers.push(l);
-      });
+      ['structures', 'vehicles', 'containers', 'companions', 'zombies', 'animals', 'bandits', 'territories'].forEach(
+        function (l) {
+          const cb = $('#map-layer-' + l);
+          if (cb && cb.checked) wantLayers.push(l);
+        },
+      );
       if (wantLayers.length > 0) {
         try {
           const lr = await apiFetch('/api/panel/mapdata?layers=' + wantLayers.join(','));
@@ -94,11 +115,35 @@ Panel.tabs = Panel.tabs || {};
       } else {
         clearMapWorldLayers();
       }
+      loadHeatmap(false);
     } catch (e) {
       console.error('Map data error:', e);
     }
   }
 
+  // ── Heatmap ─────────────────────────────────────────────────────
+
+  async function loadHeatmap(force) {
+    const hm = Panel.shared.heatmap;
+    const legend = $('#map-heatmap-summary');
+    const sel = hm ? hm.selection('map-heatmap') : null;
+    if (!sel || !_heatLayer) {
+      _heatSeq++;
+      _heatLoadedAt = 0;
+      if (_heatLayer) _heatLayer.clearLayers();
+      if (legend) legend.textContent = '';
+      return;
+    }
+    if (!force && Date.now() - _heatLoadedAt < HEATMAP_MAX_AGE_MS) return;
+    _heatLoadedAt = Date.now();
+    const seq = ++_heatSeq;
+    const data = await hm.load(sel);
+    // A newer selection (or a server switch) superseded this request
+    if (seq !== _heatSeq || !_heatLayer) return;
+    hm.render(_heatLayer, data);
+    if (legend) legend.textContent = hm.summary(data);
+  }
+
   // ── World Layers ────────────────────────────────────────────────
 
   function clearMapWorldLayers() {
@@ -336,6 +381,34 @@ Panel.tabs = Panel.tabs || {};
       });
       mapWorldLayers.bandits.addTo(S.map);
     }
+
+    if (layers.indexOf('territories') !== -1 && data.territories) {
+      mapWorldLayers.territories = L.layerGroup();
+      data.territories.forEach(function (t) {
+        if (t.lat == null) return;
+        // Neutral zones are drawn muted; held zones take their faction colour
+        const color = t.color || palette.muted;
+        const style = { color: color, weight: 2, fillColor: color, fillOpacity: t.controller ? 0.2 : 0.08 };
+        const shape =
+          t.polygon && t.polygon.length >= 3
+            ? L.polygon(t.polygon, style)
+            : L.circle([t.lat, t.lng], Object.assign({ radius: t.radius }, style));
+        shape.bindTooltip(esc(t.name), { direction: 'center' });
+        shape.bindPopup(
+          '<div class="tl-popup" style="min-width:140px"><b>' +
+            esc(t.name) +
+            '</b><br>' +
+            esc(
+              t.controller
+                ? i18next.t('web:factions.held_by', { faction: t.controllerName || t.controller })
+                : i18next.t('web:factions.neutral'),
+            ) +
+            '</div>',
+        );
+        shape.addTo(mapWorldLayers.territories);
+      });
+      mapWorldLayers.territories.addTo(S.map);
+    }
   }
 
   // ── Player Markers ──────────────────────────────────────────────
@@ -434,6 +507,50 @@ Panel.tabs = Panel.tabs || {};
     });
   }
 
+  // ── Focus Link ──────────────────────────────────────────────────
+
+  function readUrlFocus() {
+    const params = new URLSearchParams(window.location.search);
+    const m = /^(-?\d+(?:\.\d+)?),(-?\d+(?:\.\d+)?)$/.exec(params.get('focus') || '');
+    if (!m) return null;
+    return { x: parseFloat(m[1]), y: parseFloat(m[2]), label: (params.get('label') || '').slice(0, 64) };
+  }
+
+  function hasUrlFocus() {
+    return !!_urlFocus;
+  }
+
+  function applyUrlFocus() {
+    if (!_urlFocus || !S.map || !S.worldBounds) return;
+    const b = S.worldBounds;
+    // Same projection as the server: world X runs bottom→top (lat), Y left→right (lng)
+    const lat = ((_urlFocus.x - b.xMin) / (b.xMax - b.xMin)) * 4096;
+    const lng = ((_urlFocus.y - b.yMin) / (b.yMax - b.yMin)) * 4096;
+    const icon = L.divIcon({
+      className: '',
+      html:
+        '<div style="width:14px;height:14px;border-radius:50%;background:' +
+        getCssColor('horde', '#c45a4a') +
+        ';border:2px solid #fff;box-shadow:0 0 8px ' +
+        getCssColor('horde', '#c45a4a') +
+        '"></div>',
+      iconSize: [14, 14],
+      iconAnchor: [7, 7],
+    });
+    if (_focusMarker) S.map.removeLayer(_focusMarker);
+    _focusMarker = L.marker([lat, lng], { icon: icon, zIndexOffset: 1000 }).addTo(S.map);
+    _focusMarker
+      .bindTooltip(esc(_urlFocus.label || i18next.t('web:map.focus_marker')), {
+        className: 'leaflet-tooltip-dark',
+        direction: 'top',
+        offset: [0, -8],
+        permanent: true,
+      })
+      .openTooltip();
+    S.map.setView([lat, lng], 1);
+    _urlFocus = null;
+  }
+
   // ── Snapshot Refresh ────────────────────────────────────────────
 
   async function refreshMapSnapshot() {
@@ -496,6 +613,10 @@ Panel.tabs = Panel.tabs || {};
   function reset() {
     _inited = false;
     clearMapWorldLayers();
+    _focusMarker = null;
+    _heatLayer = null;
+    _heatLoadedAt = 0;
+    _heatSeq++;
     if (S.map) {
       for (const id in S.mapMarkers) {
         S.map.removeLayer(S.mapMarkers[id]);
@@ -515,5 +636,6 @@ Panel.tabs = Panel.tabs || {};
     refreshSnapshot: refreshMapSnapshot,
     showPlayerDetail: showMapPlayerDetail,
     updateMarkers: updateMapMarkers,
+    hasUrlFocus: hasUrlFocus,
   };
 })();
@@ -30,10 +30,22 @@ Panel.tabs = Panel.tabs || {};
 
   let _inited = false;
   const _playerDetailCache = new Map();
+  // 'current' (live save data), 'lifetime' or an archived season id
+  let _scope = 'current';
+  let _seasonRows = [];
+  let _ownProfileShown = false;
 
   function init() {
     if (_inited) return;
     _inited = true;
+
+    const scopeSel = $('#player-scope');
+    if (scopeSel) {
+      scopeSel.addEventListener('change', function () {
+        _scope = scopeSel.value || 'current';
+        loadPlayers();
+      });
+    }
   }
 
   // ── Data Loading ────────────────────────────────────────────────
@@ -41,23 +53,144 @@ Panel.tabs = Panel.tabs || {};
   async function loadPlayers() {
     Panel.core.utils.setTabUnavailable('tab-players', S.currentServer === 'all');
     if (S.currentServer === 'all') return;
+    loadSeasons();
+    if (Panel.tabs.players.whitelist) Panel.tabs.players.whitelist.load();
+    if (Panel.tabs.players.bans) Panel.tabs.players.bans.load();
     try {
+      if (_scope !== 'current') {
+        const sr = await apiFetch('/api/panel/seasons/stats?scope=' + encodeURIComponent(_scope));
+        if (!sr.ok) {
+          _scope = 'current';
+          return loadPlayers();
+        }
+        const sd = await sr.json();
+        _seasonRows = sd.players || [];
+        renderPlayers();
+        return;
+      }
       const r = await apiFetch('/api/players');
       if (!r.ok) return;
       const d = await r.json();
       S.players = d.players || [];
       S.toggles = d.toggles || {};
       renderPlayers();
+      // Linked survivors land on their own character the first time the tab opens
+      if (!_ownProfileShown && S.user && S.user.steamId && S.tier < 2) {
+        _ownProfileShown = true;
+        showPlayerDetails(S.user.steamId);
+      }
     } catch (e) {
       console.error('Players error:', e);
     }
   }
 
+  /** Fill the scope picker: current season, lifetime, then every archived season. */
+  async function loadSeasons() {
+    const sel = $('#player-scope');
+    if (!sel) return;
+    let data = { enabled: false, seasons: [] };
+    try {
+      const r = await apiFetch('/api/panel/seasons');
+      if (r.ok) data = await r.json();
+    } catch (_e) {}
+
+    sel.classList.toggle('hidden', !data.enabled);
+    if (!data.enabled) {
+      _scope = 'current';
+      return;
+    }
+    let html =
+      '<option value="current">' +
+      esc(i18next.t('web:players.scope_current')) +
+      '</option><option value="lifetime">' +
+      esc(i18next.t('web:players.scope_lifetime')) +
+      '</option>';
+    const previous = (data.seasons || []).filter(function (s) {
+      return !s.current;
+    });
+    if (previous.length > 0) {
+      html += '<optgroup label="' + esc(i18next.t('web:players.scope_previous')) + '">';
+      for (let i = 0; i < previous.length; i++) {
+        html += '<option value="' + esc(previous[i].id) + '">' + esc(previous[i].name) + '</option>';
+      }
+      html += '</optgroup>';
+    }
+    sel.innerHTML = html;
+    sel.value = _scope;
+    if (sel.value !== _scope) sel.value = 'current';
+  }
+
   function renderPlayers() {
-    if (S.playerViewMode === 'cards') renderPlayerCards();
+    if (_scope !== 'current') renderSeasonTable();
+    else if (S.playerViewMode === 'cards') renderPlayerCards();
     else renderPlayerTable();
   }
 
+  // ── Season / Lifetime View ──────────────────────────────────────
+
+  function renderSeasonTable() {
+    const container = $('#player-list');
+    if (!container) return;
+
+    const query = ($('#player-search') ? $('#player-search').value : '').toLowerCase();
+    const sort = $('#player-sort') ? $('#player-sort').value : 'online';
+
+    let list = _seasonRows.filter(function (p) {
+      if (!query) return true;
+      return (p.name || '').toLowerCase().includes(query) || (p.steam_id || '').includes(query);
+    });
+    list.sort(function (a, b) {
+      switch (sort) {
+        case 'name':
+          return (a.name || '').localeCompare(b.name || '');
+        case 'kills':
+          return (b.kills || 0) - (a.kills || 0);
+        case 'daysSurvived':
+          return (b.days_survived || 0) - (a.days_survived || 0);
+        default:
+          return (b.playtime_seconds || 0) - (a.playtime_seconds || 0);
+      }
+    });
+
+    if (list.length === 0) {
+      container.innerHTML =
+        '<p class="text-muted text-center py-8">' + i18next.t('web:empty_states.no_players_found') + '</p>';
+      return;
+    }
+
+    const cols = [
+      ['kills', 'web:players.kills'],
+      ['days_survived', 'web:players.days_survived'],
+      ['deaths', 'web:players.season_deaths'],
+      ['pvp_kills', 'web:players.season_pvp_kills'],
+      ['pvp_deaths', 'web:players.season_pvp_deaths'],
+      ['builds', 'web:players.season_builds'],
+      ['loots', 'web:players.season_loots'],
+    ];
+    let html = '<table class="player-table"><thead><tr>';
+    html += '<th>' + i18next.t('web:players.name') + '</th>';
+    for (let ci = 0; ci < cols.length; ci++) html += '<th>' + i18next.t(cols[ci][1]) + '</th>';
+    html += '<th>' + i18next.t('web:players.playtime') + '</th>';
+    html += '<th>' + i18next.t('web:table.steam_id', { defaultValue: 'Steam ID' }) + '</th>';
+    html += '</tr></thead><tbody>';
+    for (let pi = 0; pi < list.length; pi++) {
+      const p = list[pi];
+      html += '<tr>';
+      html +=
+        '<td><span class="player-link" data-steam-id="' +
+        esc(p.steam_id) +
+        '">' +
+        esc(p.name || p.steam_id) +
+        '</span></td>';
+      for (let cj = 0; cj < cols.length; cj++) html += '<td>' + fmtNum(p[cols[cj][0]] || 0) + '</td>';
+      html += '<td class="text-muted">' + formatPlaytime(Math.floor((p.playtime_seconds || 0) / 60)) + '</td>';
+      html += '<td class="font-mono text-xs text-muted">' + esc(p.steam_id) + '</td>';
+      html += '</tr>';
+    }
+    html += '</tbody></table>';
+    container.innerHTML = html;
+  }
+
   // ── Table View ──────────────────────────────────────────────────
 
   function renderPlayerTable() {
@@ -985,6 +1118,8 @@ Panel.tabs = Panel.tabs || {};
 
   function reset() {
     _inited = false;
+    if (Panel.tabs.players.whitelist) Panel.tabs.players.whitelist.reset();
+    if (Panel.tabs.players.bans) Panel.tabs.players.bans.reset();
   }
 
   Panel.tabs.players = {
@@ -0,0 +1,572 @@
+/**
+ * Panel Tab: Save Editor — offline player and world fixes written to the game save.
+ * Edits are queued, previewed as a dry-run diff and applied in one upload.
+ * @namespace Panel.tabs.saveeditor
+ */
+window.Panel = window.Panel || {};
+Panel.tabs = Panel.tabs || {};
+
+(function () {
+  'use strict';
+
+  const $ = Panel.core.$;
+  const esc = Panel.core.esc;
+  const apiFetch = Panel.core.apiFetch;
+  const fmtDateTime = Panel.core.utils.fmtDateTime;
+  const showToast = Panel.core.utils.showToast;
+
+  const CONTAINERS = ['inventory', 'equipment', 'quickslots', 'backpack'];
+  const MAX_ROWS = 200;
+
+  let _inited = false;
+  let _save = null;
+  let _pending = [];
+
+  function init() {
+    if (_inited) return;
+    _inited = true;
+    const reload = $('#saveedit-reload');
+    if (reload) reload.addEventListener('click', load);
+    const player = $('#saveedit-player');
+    if (player) player.addEventListener('change', renderPlayer);
+    const filter = $('#saveedit-structure-filter');
+    if (filter) filter.addEventListener('input', renderStructures);
+    const preview = $('#saveedit-preview');
+    if (preview) preview.addEventListener('click', previewEdits);
+    const apply = $('#saveedit-apply');
+    if (apply)
+      apply.addEventListener('click', function () {
+        applyEdits(false);
+      });
+    const body = $('#saveedit-body');
+    if (body) body.addEventListener('click', onAction);
+  }
+
+  // ══════════════════════════════════════════════════
+  //  LOADING
+  // ══════════════════════════════════════════════════
+
+  function setStatus(text) {
+    const status = $('#saveedit-status');
+    const body = $('#saveedit-body');
+    if (status) {
+      status.textContent = text || '';
+      status.classList.toggle('hidden', !text);
+    }
+    if (body) body.classList.toggle('hidden', !!text);
+  }
+
+  async function load() {
+    if (Panel.tabs.saveeditor.rollback) Panel.tabs.saveeditor.rollback.load();
+    setStatus(i18next.t('web:save_editor.loading'));
+    try {
+      const r = await apiFetch('/api/panel/save-editor');
+      const data = await r.json();
+      if (!r.ok) throw new Error(errorText(data, r));
+      _save = data.save;
+      renderSource(data);
+      renderPlayers();
+      renderStructures();
+      renderVehicles();
+      renderBackups(data.backups);
+      renderPending();
+      setStatus('');
+    } catch (e) {
+      _save = null;
+      setStatus(i18next.t('web:save_editor.load_failed', { error: e.message }));
+    }
+  }
+
+  function errorText(data, r) {
+    const detail = data.details && data.details.detail ? ' (' + data.details.detail + ')' : '';
+    return (data.error || r.statusText) + detail;
+  }
+
+  function renderSource(data) {
+    const source = $('#saveedit-source');
+    if (source) source.textContent = (data.transport === 'sftp' ? 'SFTP' : 'Panel') + ' · ' + data.path;
+    const state = $('#saveedit-state');
+    if (state) {
+      const offline = data.serverState === 'offline';
+      state.className = 'text-xs ' + (offline ? 'text-green-400' : 'text-amber-400');
+      state.textContent = offline
+        ? i18next.t('web:save_editor.server_offline')
+        : i18next.t('web:save_editor.server_not_offline', { state: data.serverState || '?' });
+    }
+  }
+
+  // ══════════════════════════════════════════════════
+  //  PLAYERS
+  // ══════════════════════════════════════════════════
+
+  function fmtPos(o) {
+    return o.x == null ? '-' : Math.round(o.x) + ', ' + Math.round(o.y) + ', ' + Math.round(o.z);
+  }
+
+  function renderPlayers() {
+    const select = $('#saveedit-player');
+    if (!select) return;
+    const current = select.value;
+    select.innerHTML = _save.players
+      .map(function (p) {
+        const label = (p.name || p.steamId) + (p.name ? ' (' + p.steamId + ')' : '');
+        return (
+          '<option value="' +
+          esc(p.steamId) +
+          '"' +
+          (p.steamId === current ? ' selected' : '') +
+          '>' +
+          esc(label) +
+          '</option>'
+        );
+      })
+      .join('');
+    renderPlayer();
+  }
+
+  function selectedPlayer() {
+    const select = $('#saveedit-player');
+    if (!select || !_save) return null;
+    return (
+      _save.players.find(function (p) {
+        return p.steamId === select.value;
+      }) || null
+    );
+  }
+
+  function numInput(cls, value, width) {
+    return (
+      '<input type="number" step="any" class="input-field text-xs py-0.5 ' +
+      (width || 'w-24') +
+      ' ' +
+      cls +
+      '" value="' +
+      esc(value == null ? '' : String(Math.round(value * 100) / 100)) +
+      '">'
+    );
+  }
+
+  function renderPlayer() {
+    const el = $('#saveedit-player-detail');
+    if (!el) return;
+    const p = selectedPlayer();
+    if (!p) {
+      el.innerHTML = '<div class="feed-empty">' + i18next.t('web:save_editor.no_players') + '</div>';
+      return;
+    }
+    let html =
+      '<div class="flex items-center gap-2 flex-wrap text-xs">' +
+      '<span class="text-muted">' +
+      i18next.t('web:save_editor.position') +
+      '</span>' +
+      numInput('saveedit-tp-x', p.x) +
+      numInput('saveedit-tp-y', p.y) +
+      numInput('saveedit-tp-z', p.z) +
+      '<button class="btn-secondary text-xs" data-action="teleport">' +
+      i18next.t('web:save_editor.teleport') +
+      '</button></div>';
+
+    for (let c = 0; c < CONTAINERS.length; c++) {
+      const container = CONTAINERS[c];
+      const slots = p.slots[container] || [];
+      if (!slots.length) continue;
+      html +=
+        '<div><div class="text-xs font-medium text-text-bright mb-1">' +
+        i18next.t('web:save_editor.containers.' + container) +
+        '</div><table class="db-table"><thead><tr><th>#</th><th>' +
+        i18next.t('web:save_editor.col_item') +
+        '</th><th>' +
+        i18next.t('web:save_editor.col_amount') +
+        '</th><th>' +
+        i18next.t('web:save_editor.col_durability') +
+        '</th><th></th></tr></thead><tbody>';
+      for (let i = 0; i < slots.length; i++) {
+        const s = slots[i];
+        html +=
+          '<tr data-container="' +
+          container +
+          '" data-slot="' +
+          s.slot +
+          '"><td class="text-xs text-muted">' +
+          s.slot +
+          '</td><td><input type="text" class="input-field text-xs py-0.5 w-40 saveedit-item" value="' +
+          esc(s.item) +
+          '"></td><td>' +
+          numInput('saveedit-amount', s.amount, 'w-20') +
+          '</td><td>' +
+          numInput('saveedit-durability', s.durability, 'w-20') +
+          '</td><td><button class="btn-secondary text-xs" data-action="slot">' +
+          i18next.t('web:save_editor.queue') +
+          '</button></td></tr>';
+      }
+      html += '</tbody></table></div>';
+    }
+    el.innerHTML = html;
+  }
+
+  // ══════════════════════════════════════════════════
+  //  STRUCTURES / VEHICLES
+  // ══════════════════════════════════════════════════
+
+  function renderStructures() {
+    const el = $('#saveedit-structures');
+    if (!el || !_save) return;
+    const filterEl = $('#saveedit-structure-filter');
+    const q = filterEl ? filterEl.value.trim().toLowerCase() : '';
+    const rows = _save.structures.filter(function (s) {
+      return (
+        !q ||
+        s.displayName.toLowerCase().includes(q) ||
+        s.actorClass.toLowerCase().includes(q) ||
+        s.ownerSteamId.includes(q)
+      );
+    });
+    if (!rows.length) {
+      el.innerHTML = '<div class="feed-empty">' + i18next.t('web:save_editor.no_structures') + '</div>';
+      return;
+    }
+    let html =
+      '<table class="db-table"><thead><tr><th>#</th><th>' +
+      i18next.t('web:save_editor.col_structure') +
+      '</th><th>' +
+      i18next.t('web:save_editor.col_owner') +
+      '</th><th>' +
+      i18next.t('web:save_editor.col_position') +
+      '</th><th>' +
+      i18next.t('web:save_editor.col_health') +
+      '</th><th></th></tr></thead><tbody>';
+    const shown = rows.slice(0, MAX_ROWS);
+    for (let i = 0; i < shown.length; i++) {
+      const s = shown[i];
+      html +=
+        '<tr><td class="text-xs text-muted">' +
+        s.index +
+        '</td><td class="text-xs" title="' +
+        esc(s.actorClass) +
+        '">' +
+        esc(s.displayName) +
+        '</td><td class="text-xs font-mono">' +
+        esc(s.ownerSteamId || '-') +
+        '</td><td class="text-xs">' +
+        fmtPos(s) +
+        '</td><td class="text-xs">' +
+        Math.round(s.health) +
+        ' / ' +
+        Math.round(s.maxHealth) +
+        '</td><td><button class="btn-secondary text-xs text-red-400" data-action="remove-structure" data-index="' +
+        s.index +
+        '">' +
+        i18next.t('web:save_editor.remove') +
+        '</button></td></tr>';
+    }
+    html += '</tbody></table>';
+    if (rows.length > MAX_ROWS) {
+      html +=
+        '<div class="p-2 text-xs text-muted">' +
+        i18next.t('web:save_editor.more_rows', { count: rows.length - MAX_ROWS }) +
+        '</div>';
+    }
+    el.innerHTML = html;
+  }
+
+  function renderVehicles() {
+    const el = $('#saveedit-vehicles');
+    if (!el || !_save) return;
+    if (!_save.vehicles.length) {
+      el.innerHTML = '<div class="feed-empty">' + i18next.t('web:save_editor.no_vehicles') + '</div>';
+      return;
+    }
+    let html =
+      '<table class="db-table"><thead><tr><th>#</th><th>' +
+      i18next.t('web:save_editor.col_vehicle') +
+      '</th><th>' +
+      i18next.t('web:save_editor.col_position') +
+      '</th><th>' +
+      i18next.t('web:save_editor.col_health') +
+      '</th><th>' +
+      i18next.t('web:save_editor.col_fuel') +
+      '</th><th></th></tr></thead><tbody>';
+    for (let i = 0; i < _save.vehicles.length; i++) {
+      const v = _save.vehicles[i];
+      html +=
+        '<tr data-index="' +
+        v.index +
+        '"><td class="text-xs text-muted">' +
+        v.index +
+        '</td><td class="text-xs" title="' +
+        esc(v.actorClass) +
+        '">' +
+        esc(v.displayName) +
+        '</td><td class="text-xs">' +
+        fmtPos(v) +
+        '</td><td class="text-xs">' +
+        Math.round(v.health) +
+        ' / ' +
+        Math.round(v.maxHealth) +
+        '</td><td>' +
+        numInput('saveedit-fuel', v.fuel, 'w-20') +
+        '</td><td><button class="btn-secondary text-xs" data-action="reset-vehicle" data-index="' +
+        v.index +
+        '">' +
+        i18next.t('web:save_editor.repair') +
+        '</button></td></tr>';
+    }
+    el.innerHTML = html + '</tbody></table>';
+  }
+
+  function renderBackups(backups) {
+    const el = $('#saveedit-backups');
+    if (!el) return;
+    if (!backups || !backups.length) {
+      el.innerHTML = '<div class="feed-empty">' + i18next.t('web:save_editor.no_backups') + '</div>';
+      return;
+    }
+    el.innerHTML =
+      '<table class="db-table"><thead><tr><th>' +
+      i18next.t('web:save_editor.col_backup') +
+      '</th><th>' +
+      i18next.t('web:save_editor.col_created') +
+      '</th><th>' +
+      i18next.t('web:save_editor.col_size') +
+      '</th><th></th></tr></thead><tbody>' +
+      backups
+        .map(function (b) {
+          return (
+            '<tr><td class="text-xs font-mono">' +
+            esc(b.name) +
+            '</td><td class="text-xs text-muted">' +
+            fmtDateTime(b.createdAt) +
+            '</td><td class="text-xs">' +
+            (b.bytes / 1048576).toFixed(1) +
+            ' MB</td><td><button class="btn-secondary text-xs" data-action="restore" data-name="' +
+            esc(b.name) +
+            '">' +
+            i18next.t('web:save_editor.restore') +
+            '</button></td></tr>'
+          );
+        })
+        .join('') +
+      '</tbody></table>';
+  }
+
+  // ══════════════════════════════════════════════════
+  //  PENDING EDITS
+  // ══════════════════════════════════════════════════
+
+  function num(row, sel) {
+    const el = row.querySelector(sel);
+    return el && el.value !== '' ? Number(el.value) : null;
+  }
+
+  function queue(edit, label) {
+    _pending.push({ edit: edit, label: label });
+    renderPending();
+  }
+
+  function onAction(e) {
+    const btn = e.target.closest('[data-action]');
+    if (!btn || !_save) return;
+    const action = btn.dataset.action;
+    const p = selectedPlayer();
+    if (action === 'teleport' && p) {
+      const row = btn.parentElement;
+      const x = num(row, '.saveedit-tp-x');
+      const y = num(row, '.saveedit-tp-y');
+      const z = num(row, '.saveedit-tp-z');
+      if (x == null || y == null || z == null) return;
+      queue(
+        { op: 'teleport_player', steamId: p.steamId, x: x, y: y, z: z },
+        i18next.t('web:save_editor.ops.teleport_player', { player: p.name || p.steamId, x: x, y: y, z: z }),
+      );
+    } else if (action === 'slot' && p) {
+      const row = btn.closest('tr');
+      const edit = {
+        op: 'set_player_slot',
+        steamId: p.steamId,
+        container: row.dataset.container,
+        slot: Number(row.dataset.slot),
+        item: row.querySelector('.saveedit-item').value.trim() || 'None',
+        amount: Math.max(0, Math.round(num(row, '.saveedit-amount') || 0)),
+      };
+      const durability = num(row, '.saveedit-durability');
+      if (durability != null) edit.durability = durability;
+      queue(
+        edit,
+        i18next.t('web:save_editor.ops.set_player_slot', {
+          player: p.name || p.steamId,
+          container: i18next.t('web:save_editor.containers.' + edit.container),
+          slot: edit.slot,
+          item: edit.item,
+          amount: edit.amount,
+        }),
+      );
+    } else if (action === 'remove-structure') {
+      const s = _save.structures[Number(btn.dataset.index)];
+      if (!s) return;
+      queue(
+        { op: 'remove_structure', index: s.index, actorClass: s.actorClass },
+        i18next.t('web:save_editor.ops.remove_structure', { index: s.index, name: s.displayName }),
+      );
+    } else if (action === 'reset-vehicle') {
+      const v = _save.vehicles[Number(btn.dataset.index)];
+      if (!v) return;
+      const edit = { op: 'reset_vehicle', index: v.index, actorClass: v.actorClass };
+      const fuel = num(btn.closest('tr'), '.saveedit-fuel');
+      if (fuel != null && fuel >= 0) edit.fuel = fuel;
+      queue(edit, i18next.t('web:save_editor.ops.reset_vehicle', { index: v.index, name: v.displayName }));
+    } else if (action === 'unqueue') {
+      _pending.splice(Number(btn.dataset.index), 1);
+      renderPending();
+    } else if (action === 'restore') {
+      restoreBackup(btn.dataset.name);
+    }
+  }
+
+  function renderPending() {
+    const el = $('#saveedit-pending');
+    const diff = $('#saveedit-diff');
+    if (diff) diff.innerHTML = '';
+    if (!el) return;
+    if (!_pending.length) {
+      el.innerHTML = '<div class="text-xs text-muted">' + i18next.t('web:save_editor.no_pending') + '</div>';
+      return;
+    }
+    el.innerHTML = _pending
+      .map(function (p, i) {
+        return (
+          '<div class="flex items-center justify-between gap-2 text-xs py-0.5"><span>' +
+          esc(p.label) +
+          '</span><button class="text-muted hover:text-red-400" data-action="unqueue" data-index="' +
+          i +
+          '">✕</button></div>'
+        );
+      })
+      .join('');
+  }
+
+  function fmtValue(v) {
+    if (v == null) return '-';
+    if (typeof v === 'object') {
+      if ('x' in v) return fmtPos(v);
+      return Object.keys(v)
+        .map(function (k) {
+          return k + '=' + v[k];
+        })
+        .join(', ');
+    }
+    return typeof v === 'number' ? String(Math.round(v * 100) / 100) : String(v);
+  }
+
+  function renderDiff(changes) {
+    const el = $('#saveedit-diff');
+    if (!el) return;
+    el.innerHTML =
+      '<table class="db-table"><thead><tr><th>' +
+      i18next.t('web:save_editor.col_target') +
+      '</th><th>' +
+      i18next.t('web:save_editor.col_field') +
+      '</th><th>' +
+      i18next.t('web:save_editor.col_before') +
+      '</th><th>' +
+      i18next.t('web:save_editor.col_after') +
+      '</th></tr></thead><tbody>' +
+      changes
+        .map(function (c) {
+          return (
+            '<tr><td class="text-xs">' +
+            esc(c.target) +
+            '</td><td class="text-xs font-mono">' +
+            esc(c.field) +
+            '</td><td class="text-xs text-red-400">' +
+            esc(fmtValue(c.before)) +
+            '</td><td class="text-xs text-green-400">' +
+            esc(fmtValue(c.after)) +
+            '</td></tr>'
+          );
+        })
+        .join('') +
+      '</tbody></table>';
+  }
+
+  async function post(url, body) {
+    const r = await apiFetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    let data = {};
+    try {
+      data = await r.json();
+    } catch (_e) {}
+    return { r: r, data: data };
+  }
+
+  function edits() {
+    return _pending.map(function (p) {
+      return p.edit;
+    });
+  }
+
+  async function previewEdits() {
+    if (!_pending.length) return;
+    try {
+      const res = await post('/api/panel/save-editor/preview', { edits: edits() });
+      if (!res.r.ok) throw new Error(errorText(res.data, res.r));
+      renderDiff(res.data.preview.changes);
+    } catch (e) {
+      showToast(i18next.t('web:save_editor.action_failed', { error: e.message }));
+    }
+  }
+
+  async function applyEdits(confirmRunning) {
+    if (!_pending.length) return;
+    if (!confirmRunning && !confirm(i18next.t('web:save_editor.apply_confirm', { count: _pending.length }))) return;
+    const btn = $('#saveedit-apply');
+    if (btn) btn.disabled = true;
+    try {
+      const res = await post('/api/panel/save-editor/apply', { edits: edits(), confirmRunning: confirmRunning });
+      const reason = res.data.details && res.data.details.reason;
+      if (reason === 'server_running' && !confirmRunning) {
+        if (confirm(i18next.t('web:save_editor.running_confirm'))) await applyEdits(true);
+        return;
+      }
+      if (!res.r.ok) throw new Error(errorText(res.data, res.r));
+      showToast(i18next.t('web:save_editor.applied', { backup: res.data.result.backup }));
+      _pending = [];
+      await load();
+    } catch (e) {
+      showToast(i18next.t('web:save_editor.action_failed', { error: e.message }));
+    } finally {
+      if (btn) btn.disabled = false;
+    }
+  }
+
+  async function restoreBackup(name, confirmRunning) {
+    if (!confirmRunning) {
+      const input = prompt(i18next.t('web:save_editor.restore_prompt', { name: name }));
+      if (!input || input.toUpperCase() !== 'RESTORE') return;
+    }
+    try {
+      const res = await post('/api/panel/save-editor/restore', { name: name, confirmRunning: !!confirmRunning });
+      const reason = res.data.details && res.data.details.reason;
+      if (reason === 'server_running' && !confirmRunning) {
+        if (confirm(i18next.t('web:save_editor.running_confirm'))) await restoreBackup(name, true);
+        return;
+      }
+      if (!res.r.ok) throw new Error(errorText(res.data, res.r));
+      showToast(i18next.t('web:save_editor.restored', { backup: res.data.result.backup }));
+      await load();
+    } catch (e) {
+      showToast(i18next.t('web:save_editor.action_failed', { error: e.message }));
+    }
+  }
+
+  /** Drop queued edits — they belong to the save of the server they were made on. */
+  function reset() {
+    _save = null;
+    _pending = [];
+    if (Panel.tabs.saveeditor.rollback) Panel.tabs.saveeditor.rollback.reset();
+  }
+
+  Panel.tabs.saveeditor = { init: init, load: load, reset: reset };
+})();
@@ -1,5 +1,5 @@
 /**
- * Panel Tab: Settings — game settings, bot config (.env), schedule editor, and welcome file editor.
+ * Panel Tab: Settings — game settings, bot config (.env), schedule editor, welcome file and chat command editors.
  * @namespace Panel.tabs.settings
  */
 window.Panel = window.Panel || {};
@@ -2682,6 +2682,164 @@ Panel.tabs = Panel.tabs || {};
     }
   }
 
+  // ══════════════════════════════════════════════════
+  //  Chat command editor — custom in-game !commands
+  // ══════════════════════════════════════════════════
+
+  async function loadChatCommandsEditor() {
+    var container = $('#settings-grid');
+    if (!container) return;
+    container.innerHTML = '<div class="feed-empty">Loading...</div>';
+
+    try {
+      var r = await apiFetch('/api/panel/chat-commands');
+      if (!r.ok) throw new Error('Failed to load');
+      renderChatCommandsEditor(container, await r.json());
+    } catch (_err) {
+      container.innerHTML = '<div class="feed-empty">' + i18next.t('web:settings.chat_commands_load_failed') + '</div>';
+    }
+  }
+
+  function renderChatCommandsEditor(container, data) {
+    container.innerHTML = '';
+    var prefix = data.prefix || '!';
+    var builtins = (data.builtins || []).map(function (n) {
+      return prefix + n;
+    });
+
+    // ── Header ──
+    var header = el('div', 'mb-4');
+    header.innerHTML =
+      '<h3 class="card-title flex items-center gap-2"><i data-lucide="terminal" class="w-4 h-4 text-muted"></i> ' +
+      i18next.t('web:settings.chat_commands_title') +
+      '</h3>' +
+      '<p class="text-[10px] text-muted mt-1">' +
+      i18next.t('web:settings.chat_commands_desc', { builtins: esc(builtins.join(', ')), prefix: esc(prefix) }) +
+      '</p>' +
+      '<p class="text-[10px] text-muted mt-1">' +
+      i18next.t('web:settings.chat_commands_placeholders', { placeholders: esc((data.placeholders || []).join(' ')) }) +
+      '</p>' +
+      (data.enabled
+        ? ''
+        : '<p class="text-[10px] text-amber-400 mt-1">' + i18next.t('web:settings.chat_commands_disabled') + '</p>');
+    container.appendChild(header);
+
+    var list = el('div', 'space-y-2');
+    list.id = 'chat-commands-list';
+    container.appendChild(list);
+    var commands = data.commands || [];
+    for (var i = 0; i < commands.length; i++) list.appendChild(buildChatCommandRow(commands[i], prefix));
+
+    // ── Footer ──
+    var footer = el('div', 'welcome-footer');
+    var addBtn = el('button', 'btn-secondary text-xs px-3 py-1 flex items-center gap-1.5');
+    addBtn.innerHTML = '<i data-lucide="plus" class="w-3.5 h-3.5"></i> ' + i18next.t('web:settings.chat_commands_add');
+    footer.appendChild(addBtn);
+
+    var saveBtn = el('button', 'btn-primary flex items-center gap-1.5');
+    saveBtn.id = 'chat-commands-save-btn';
+    saveBtn.innerHTML =
+      '<i data-lucide="save" class="w-3.5 h-3.5"></i> ' + i18next.t('web:settings.chat_commands_save');
+    footer.appendChild(saveBtn);
+    container.appendChild(footer);
+
+    addBtn.addEventListener('click', function () {
+      if (list.children.length >= (data.maxCommands || 50)) return;
+      list.appendChild(buildChatCommandRow({ name: '', response: '', permission: 'everyone', cooldown: null }, prefix));
+      if (typeof lucide !== 'undefined') lucide.createIcons();
+    });
+    list.addEventListener('click', function (e) {
+      var btn = e.target.closest('[data-chat-command-remove]');
+      if (btn) btn.closest('.chat-command-row').remove();
+    });
+    saveBtn.addEventListener('click', function () {
+      saveChatCommands(list);
+    });
+
+    if (typeof lucide !== 'undefined') lucide.createIcons();
+  }
+
+  function buildChatCommandRow(cmd, prefix) {
+    var row = el('div', 'chat-command-row flex items-center gap-2 flex-wrap');
+    row.innerHTML =
+      '<span class="text-xs text-muted">' +
+      esc(prefix) +
+      '</span>' +
+      '<input type="text" maxlength="24" class="input-field text-xs py-1 px-2 w-32" data-field="name" placeholder="' +
+      attrEsc(i18next.t('web:settings.chat_commands_name')) +
+      '" value="' +
+      attrEsc(cmd.name || '') +
+      '">' +
+      '<input type="text" maxlength="400" class="input-field text-xs py-1 px-2 flex-1 min-w-[16rem]" data-field="response" placeholder="' +
+      attrEsc(i18next.t('web:settings.chat_commands_response')) +
+      '" value="' +
+      attrEsc(cmd.response || '') +
+      '">' +
+      '<select class="input-field text-xs py-1 px-2 w-28" data-field="permission">' +
+      '<option value="everyone"' +
+      (cmd.permission === 'admin' ? '' : ' selected') +
+      '>' +
+      esc(i18next.t('web:settings.chat_commands_everyone')) +
+      '</option>' +
+      '<option value="admin"' +
+      (cmd.permission === 'admin' ? ' selected' : '') +
+      '>' +
+      esc(i18next.t('web:settings.chat_commands_admin_only')) +
+      '</option>' +
+      '</select>' +
+      '<input type="number" min="0" class="input-field text-xs py-1 px-2 w-24" data-field="cooldown" placeholder="' +
+      attrEsc(i18next.t('web:settings.chat_commands_cooldown')) +
+      '" value="' +
+      (cmd.cooldown != null ? attrEsc(String(cmd.cooldown)) : '') +
+      '">' +
+      '<button class="btn-secondary text-xs px-2 py-1" data-chat-command-remove title="' +
+      attrEsc(i18next.t('web:settings.chat_commands_remove')) +
+      '"><i data-lucide="trash-2" class="w-3.5 h-3.5"></i></button>';
+    return row;
+  }
+
+  function readChatCommandRow(row) {
+    function field(name) {
+      return row.querySelector('[data-field="' + name + '"]').value.trim();
+    }
+    var cooldown = field('cooldown');
+    return {
+      name: field('name'),
+      response: field('response'),
+      permission: field('permission'),
+      cooldown: cooldown === '' ? null : parseInt(cooldown, 10),
+    };
+  }
+
+  async function saveChatCommands(list) {
+    var saveBtn = $('#chat-commands-save-btn');
+    if (!saveBtn) return;
+    var rows = list.querySelectorAll('.chat-command-row');
+    var commands = [];
+    for (var i = 0; i < rows.length; i++) {
+      var cmd = readChatCommandRow(rows[i]);
+      if (cmd.name || cmd.response) commands.push(cmd);
+    }
+
+    saveBtn.disabled = true;
+    try {
+      var r = await apiFetch('/api/panel/chat-commands', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ commands: commands }),
+      });
+      var d = await r.json().catch(function () {
+        return {};
+      });
+      if (!r.ok) throw new Error(d.error || 'Save failed');
+      showToast(i18next.t('web:settings.chat_commands_saved', { count: commands.length }));
+    } catch (err) {
+      showToast(i18next.t('web:settings.chat_commands_save_failed', { error: err.message }));
+    } finally {
+      saveBtn.disabled = false;
+    }
+  }
+
   function reset() {
     _inited = false;
   }
@@ -2698,6 +2856,7 @@ Panel.tabs = Panel.tabs || {};
       if (S.settingsMode === 'bot') loadBotConfig();
       else if (S.settingsMode === 'schedule') loadScheduleEditor();
       else if (S.settingsMode === 'welcome') loadWelcomeEditor();
+      else if (S.settingsMode === 'commands') loadChatCommandsEditor();
       else loadSettings();
     },
     reset: reset,
@@ -2713,6 +2872,7 @@ Panel.tabs = Panel.tabs || {};
     renderSchedule: renderSchedule,
     renderTomorrowSchedule: renderTomorrowSchedule,
     loadWelcomeEditor: loadWelcomeEditor,
+    loadChatCommandsEditor: loadChatCommandsEditor,
     _test: {
       attrEsc: attrEsc,
       buildTimezoneOption: buildTimezoneOption,
@@ -15,6 +15,8 @@ Panel.tabs = Panel.tabs || {};
   const esc = Panel.core.esc;
   const apiFetch = Panel.core.apiFetch;
   const fmtDateTime = Panel.core.utils.fmtDateTime;
+  const parseDbTimestamp = Panel.core.utils.parseDbTimestamp;
+  const showToast = Panel.core.utils.showToast;
   var getCssColor = Panel.core.getCssColor;
 
   // ── Timeline State (self-contained) ──
@@ -22,6 +24,9 @@ Panel.tabs = Panel.tabs || {};
     map: null,
     ready: false,
     snapshots: [], // metadata list
+    bounds: null, // { earliest, latest, count } over the whole server lifetime
+    range: 'day', // key of RANGE_SPANS, or 'custom'
+    window: null, // { from, to, tier } of the loaded range
     idx: -1, // current index in snapshots[]
     data: null, // full entity data for current snapshot
     playing: false,
@@ -41,8 +46,31 @@ Panel.tabs = Panel.tabs || {};
     },
     deathMarkers: null,
     nameMap: {},
+    heatTimer: null,
+    heatSeq: 0,
   };
 
+  /** Heatmap reloads wait for the slider / playback to settle on a snapshot. */
+  const HEATMAP_DEBOUNCE_MS = 800;
+
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  /** Preset playback ranges ending at the latest snapshot; null spans the whole server lifetime. */
+  const RANGE_SPANS = { day: DAY_MS, week: 7 * DAY_MS, month: 30 * DAY_MS, all: null };
+
+  const TIER_KEYS = ['full', 'hourly', 'daily'];
+
+  /** Keyframe tier for a playback span — mirrors tierForSpan() in timeline-repository.ts. */
+  function tlTierForSpan(ms) {
+    if (ms <= 2 * DAY_MS) return 0;
+    if (ms <= 60 * DAY_MS) return 1;
+    return 2;
+  }
+
+  function tlDbTime(d) {
+    return d.toISOString().slice(0, 19).replace('T', ' ');
+  }
+
   function tlIcon(color, size, shape, title) {
     const css =
       shape === 'diamond'
@@ -108,6 +136,8 @@ Panel.tabs = Panel.tabs || {};
         TL.layers[k] = L.layerGroup();
         if (TL.visible[k]) TL.layers[k].addTo(TL.map);
       });
+      TL.layers.heatmap = L.layerGroup().addTo(TL.map);
+      if (Panel.shared.heatmap) Panel.shared.heatmap.initControls('tl-heatmap', tlLoadHeatmap);
 
       // Wire controls
       const playBtn = $('#tl-play');
@@ -137,6 +167,22 @@ Panel.tabs = Panel.tabs || {};
           tlGoTo(parseInt(this.value, 10));
         });
 
+      // Range selector
+      const range = $('#tl-range');
+      if (range)
+        range.addEventListener('change', function () {
+          TL.range = this.value;
+          const custom = $('#tl-custom-range');
+          if (custom) custom.classList.toggle('hidden', TL.range !== 'custom');
+          if (TL.range !== 'custom') tlLoadRange();
+        });
+      ['#tl-from', '#tl-to'].forEach(function (id) {
+        const input = $(id);
+        if (input) input.addEventListener('change', tlLoadRange);
+      });
+      const exportBtn = $('#tl-export');
+      if (exportBtn) exportBtn.addEventListener('click', tlExport);
+
       // Speed buttons
       $$('.tl-speed').forEach(function (b) {
         b.addEventListener('click', function () {
@@ -215,22 +261,14 @@ Panel.tabs = Panel.tabs || {};
         $('#tl-info').textContent = i18next.t('web:timeline.no_snapshots', { interval: 5 });
         return;
       }
-      TL.snapshots = await apiFetch('/api/timeline/snapshots?from=' + bounds.earliest + '&to=' + bounds.latest).then(
-        function (r) {
-          return r.json();
-        },
-      );
-      if (!TL.snapshots.length) return;
-
-      const slider = $('#tl-slider');
-      if (slider) {
-        slider.min = 0;
-        slider.max = TL.snapshots.length - 1;
-        slider.value = TL.snapshots.length - 1;
-      }
-
-      // Load latest snapshot
-      tlGoTo(TL.snapshots.length - 1);
+      TL.bounds = bounds;
+      ['#tl-from', '#tl-to'].forEach(function (id) {
+        const input = $(id);
+        if (!input) return;
+        input.min = bounds.earliest.slice(0, 10);
+        input.max = bounds.latest.slice(0, 10);
+      });
+      await tlLoadRange();
       // Load death markers
       tlLoadDeaths();
     } catch (e) {
@@ -239,6 +277,93 @@ Panel.tabs = Panel.tabs || {};
     }
   }
 
+  /** Resolve the selected range to DB timestamps and the tier matching its span. */
+  function tlRangeWindow() {
+    const earliest = parseDbTimestamp(TL.bounds.earliest);
+    const latest = parseDbTimestamp(TL.bounds.latest);
+    let from = earliest;
+    let to = latest;
+    if (TL.range === 'custom') {
+      const f = $('#tl-from');
+      const t = $('#tl-to');
+      if (f && f.value) from = new Date(f.value + 'T00:00:00Z');
+      if (t && t.value) to = new Date(t.value + 'T23:59:59Z');
+    } else if (RANGE_SPANS[TL.range]) {
+      from = new Date(Math.max(earliest.getTime(), latest.getTime() - RANGE_SPANS[TL.range]));
+    }
+    return { from: tlDbTime(from), to: tlDbTime(to), tier: tlTierForSpan(Math.max(to - from, 0)) };
+  }
+
+  /** Load the snapshot list for the selected range at its tier and jump to the end. */
+  async function tlLoadRange() {
+    if (!TL.bounds) return;
+    tlStop();
+    const win = tlRangeWindow();
+    TL.window = win;
+    const tierEl = $('#tl-tier');
+    if (tierEl) tierEl.textContent = i18next.t('web:timeline.tier.' + TIER_KEYS[win.tier]);
+    try {
+      TL.snapshots = await apiFetch(
+        '/api/timeline/snapshots?from=' +
+          encodeURIComponent(win.from) +
+          '&to=' +
+          encodeURIComponent(win.to) +
+          '&tier=' +
+          win.tier,
+      ).then(function (r) {
+        return r.json();
+      });
+    } catch (e) {
+      console.warn('[TL] Range load error:', e);
+      TL.snapshots = [];
+    }
+    const slider = $('#tl-slider');
+    if (slider) {
+      slider.min = 0;
+      slider.max = Math.max(TL.snapshots.length - 1, 0);
+      slider.value = slider.max;
+    }
+    if (!TL.snapshots.length) {
+      TL.idx = -1;
+      tlUpdateInfo();
+      return;
+    }
+    // Load latest snapshot in the range
+    tlGoTo(TL.snapshots.length - 1);
+  }
+
+  /** Download the loaded range as a JSON clip bundle. */
+  async function tlExport() {
+    const win = TL.window;
+    if (!win || !TL.snapshots.length) return;
+    try {
+      const r = await apiFetch(
+        '/api/timeline/export?from=' +
+          encodeURIComponent(win.from) +
+          '&to=' +
+          encodeURIComponent(win.to) +
+          '&tier=' +
+          win.tier,
+      );
+      const data = await r.json();
+      if (!r.ok) {
+        showToast(i18next.t('web:timeline.export_failed', { error: data.error || r.statusText }), 'error');
+        return;
+      }
+      const blob = new Blob([JSON.stringify(data)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = 'timeline-' + win.from.slice(0, 10) + '_' + win.to.slice(0, 10) + '.json';
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+    } catch (e) {
+      showToast(i18next.t('web:timeline.export_failed', { error: e.message }), 'error');
+    }
+  }
+
   async function tlGoTo(idx) {
     if (idx < 0 || idx >= TL.snapshots.length) return;
     TL.idx = idx;
@@ -256,6 +381,36 @@ Panel.tabs = Panel.tabs || {};
     } catch (e) {
       console.warn('[TL] Snapshot load error:', e);
     }
+    tlScheduleHeatmap();
+  }
+
+  // ── Heatmap (window ending at the current snapshot) ──
+
+  function tlScheduleHeatmap() {
+    if (TL.heatTimer) clearTimeout(TL.heatTimer);
+    TL.heatTimer = setTimeout(function () {
+      TL.heatTimer = null;
+      tlLoadHeatmap();
+    }, HEATMAP_DEBOUNCE_MS);
+  }
+
+  async function tlLoadHeatmap() {
+    const hm = Panel.shared.heatmap;
+    const group = TL.layers.heatmap;
+    const legend = $('#tl-heatmap-summary');
+    const sel = hm ? hm.selection('tl-heatmap') : null;
+    const snap = TL.snapshots[TL.idx];
+    const seq = ++TL.heatSeq;
+    if (!group) return;
+    if (!sel || !snap) {
+      group.clearLayers();
+      if (legend) legend.textContent = '';
+      return;
+    }
+    const data = await hm.load(sel, snap.created_at);
+    if (seq !== TL.heatSeq) return;
+    hm.render(group, data);
+    if (legend) legend.textContent = hm.summary(data);
   }
 
   function tlUpdateInfo() {
@@ -550,9 +705,16 @@ Panel.tabs = Panel.tabs || {};
     TL.playing = false;
     TL.timer = null;
     TL.snapshots = [];
+    TL.bounds = null;
+    TL.window = null;
     TL.idx = -1;
     TL.data = null;
     TL.nameMap = {};
+    if (TL.heatTimer) clearTimeout(TL.heatTimer);
+    TL.heatTimer = null;
+    TL.heatSeq++;
+    const legend = $('#tl-heatmap-summary');
+    if (legend) legend.textContent = '';
     if (TL.map) {
       Object.keys(TL.layers).forEach(function (k) {
         TL.layers[k].clearLayers();
@@ -22,8 +22,52 @@ import { AFFLICTION_MAP } from '../parsers/game-data.js';
 import { cleanName as cleanActorName, cleanItemName, cleanItemArray } from '../parsers/ue4-names.js';
 import playerStats from '../tracking/player-stats.js';
 import playtime from '../tracking/playtime-tracker.js';
+import bountyBoard from '../modules/bounty-board.js';
+import factionManager from '../modules/faction-manager.js';
+import economy from '../modules/economy.js';
+import eventScheduler from '../modules/event-scheduler.js';
+import whitelistManager from '../modules/whitelist-manager.js';
+import banManager from '../modules/ban-manager.js';
+import webhookDispatcher, { WEBHOOK_EVENTS, type WebhookInput } from '../modules/webhook-dispatcher.js';
+import seasonManager from '../modules/season-manager.js';
+import dbBackups from '../modules/db-backups.js';
+import dataRetention from '../modules/data-retention.js';
+import adminAudit from '../modules/admin-audit.js';
+import pluginLoader from '../plugins/plugin-loader.js';
+import saveEditor, {
+  createSaveTransport,
+  saveEditBackupDir,
+  type SaveEditorError,
+  type SaveTransport,
+} from '../modules/save-editor.js';
+import { parseSaveEdits } from '../parsers/save-edits.js';
+import { buildHeatmap, clampGrid } from '../tracking/heatmap.js';
+import {
+  GIVE_COMMAND,
+  pendingRollback,
+  planRollback,
+  recordRollback,
+  rollbackCommands,
+  rollbackSaveEdits,
+  selectRollbackLines,
+  type AppliedRollback,
+  type RollbackLine,
+} from '../tracking/inventory-rollback.js';
+import {
+  buildPlayerReport,
+  buildRivalries,
+  clampPvpDays,
+  listFights,
+  resolvePvpPlayer,
+} from '../modules/pvp-analytics.js';
+import { normalizeDbTimestampUtc, parseDbTimestampUtc } from '../db/timestamp.js';
+import { isTimelineTier, TIMELINE_TIERS, type TimelineTier } from '../db/repositories/timeline-repository.js';
+import type { AuditFilter, AuditResult, AuditRow } from '../db/repositories/audit-repository.js';
+import { BUILTIN_COMMANDS, MAX_CUSTOM_COMMANDS, parseCustomCommands } from '../modules/chat-commands.js';
 import rcon from '../rcon/rcon.js';
-import { setupAuth, requireTier } from './auth.js';
+import { setupAuth, requireTier, type HmzRequest } from './auth.js';
+import liveEvents, { parseTopics } from './live-events.js';
+import { auditTrail } from './audit-trail.js';
 import { API_ERRORS, sendError, sendOk } from './api-errors.js';
 
 import type { HumanitZDB } from '../db/database.js';
@@ -106,6 +150,7 @@ declare module 'express-session' {
       tierLevel?: number;
       inGuild: boolean;
       lastRoleCheck: number;
+      steamId?: string | null;
     };
     username?: string;
     discordId?: string;
@@ -516,6 +561,58 @@ function sendErrorWithData(
   sendError(res, code, status, details);
 }
 
+const AUDIT_RESULTS: ReadonlySet<string> = new Set<AuditResult>(['ok', 'error', 'denied']);
+const AUDIT_EXPORT_LIMIT = 10_000;
+const AUDIT_CSV_COLUMNS = [
+  'id',
+  'created_at',
+  'source',
+  'actor_id',
+  'actor_name',
+  'session',
+  'tier',
+  'server_id',
+  'action',
+  'params',
+  'result',
+  'detail',
+  'prev_hash',
+  'hash',
+] as const;
+
+/** Audit log filters from the query string — unknown or malformed values are ignored. */
+function parseAuditFilter(query: Record<string, unknown>): AuditFilter {
+  const str = (v: unknown) => (typeof v === 'string' && v.trim() ? v.trim() : undefined);
+  const result = str(query.result);
+  return {
+    actor: str(query.actor),
+    action: str(query.action),
+    serverId: str(query.serverId),
+    result: result && AUDIT_RESULTS.has(result) ? (result as AuditResult) : undefined,
+    from: normalizeDbTimestampUtc(query.from) ?? undefined,
+    to: normalizeDbTimestampUtc(query.to) ?? undefined,
+  };
+}
+
+function auditCsv(rows: AuditRow[]): string {
+  const cell = (v: string | number) => {
+    const text = String(v);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [AUDIT_CSV_COLUMNS.join(','), ...rows.map((r) => AUDIT_CSV_COLUMNS.map((c) => cell(r[c])).join(','))].join(
+    '\n',
+  );
+}
+
+/** `?tier=` on timeline queries — 0 full, 1 hourly keyframes, 2 daily keyframes. */
+function parseTimelineTier(raw: unknown): TimelineTier {
+  const tier = parseInt(typeof raw === 'string' ? raw : '', 10);
+  return isTimelineTier(tier) ? tier : TIMELINE_TIERS.full;
+}
+
+/** Most frames a single clip export may contain. */
+const MAX_CLIP_FRAMES = 500;
+
 const DATA_DIR = path.join(__dirname, '..', '..', 'data');
 const SERVERS_DIR = path.join(DATA_DIR, 'servers');
 const SERVERS_FILE = path.join(DATA_DIR, 'servers.json');
@@ -1193,7 +1290,10 @@ class WebMapServer {
 
     // Discord OAuth2 authentication (must be registered before static/API routes)
     // Returns no-op middleware if DISCORD_OAUTH_SECRET / WEB_MAP_CALLBACK_URL are not set
-    const authMiddleware = setupAuth(app, this._client, { db: this._db?.db });
+    const authMiddleware = setupAuth(app, this._client, {
+      db: this._db?.db,
+      getLinkedSteamId: (discordId) => this._db?.accountLinks.getByDiscordId(discordId)?.steam_id ?? null,
+    });
     app.use(authMiddleware);
 
     // ── Root page → panel.html (must come before static middleware) ──
@@ -1251,6 +1351,12 @@ class WebMapServer {
       next();
     });
 
+    // Every privileged write lands in the admin audit log
+    app.use(
+      '/api',
+      auditTrail((entry) => adminAudit.record(entry)),
+    );
+
     // ── API: List available servers (multi-server support) ──
     app.get('/api/servers', requireTier('survivor'), (_req, res) => {
       const servers = [{ id: 'primary', name: config.serverName || 'Primary Server' }];
@@ -1736,6 +1842,21 @@ class WebMapServer {
         return;
       }
       try {
+        // Record it in the ban registry when it runs (bans issued here only hit the selected server)
+        if (banManager.isActive()) {
+          const { reason } = req.body as { reason?: unknown };
+          const banned = await banManager.ban(
+            steamId,
+            { id: req.session.discordId || '', name: req.session.username || 'panel' },
+            { reason: typeof reason === 'string' ? reason : '', servers: [req.srv.serverId] },
+          );
+          if (!banned.ok) {
+            sendError(res, API_ERRORS.BAN_REJECTED, 400, { reason: banned.code });
+            return;
+          }
+          res.json({ ok: true, result: banned.value });
+          return;
+        }
         const result = await req.srv.rcon.send(`ban ${steamId}`);
         res.json({ ok: true, result });
       } catch (err: unknown) {
@@ -1864,7 +1985,7 @@ class WebMapServer {
 
     // ── Status: Module status ──
     app.get('/api/status/modules', requireTier('admin'), (_req, res) => {
-      res.json({ modules: this._moduleStatus || {} });
+      res.json({ modules: this._moduleStatus || {}, plugins: pluginLoader.health() });
     });
 
     // ── Panel: Server status (RCON info + resources) — served from background cache ──
@@ -1893,6 +2014,19 @@ class WebMapServer {
       res.json({ serverState: 'unknown', onlineCount: 0, timezone: srv.config.botTimezone || 'UTC' });
     });
 
+    // ── Panel: Live push stream (SSE) — players, positions, activity, chat, status ──
+    app.get('/api/panel/stream', requireTier('survivor'), (req, res) => {
+      const tierLevel = (req as HmzRequest).tierLevel || 0;
+      const topics = parseTopics(req.query.topics, tierLevel);
+      if (topics.length === 0) {
+        sendError(res, API_ERRORS.NO_LIVE_TOPICS, 400);
+        return;
+      }
+      req.socket.setTimeout(0);
+      const close = liveEvents.openStream(res, { serverId: req.srv.serverId, topics, tierLevel });
+      req.on('close', close);
+    });
+
     // ── Panel: Quick stats — served from background cache ──
     app.get('/api/panel/stats', requireTier('survivor'), async (req, res) => {
       const srv = req.srv;
@@ -2149,6 +2283,73 @@ class WebMapServer {
       }
     });
 
+    // ── Panel: PvP fights, player stats and rivalries ──
+    /** GET /api/panel/pvp/fights?player=&outcome=kill|disengaged&days=&limit=&offset= — fight history, newest first */
+    app.get('/api/panel/pvp/fights', requireTier('survivor'), rateLimit(10000, 20), (req, res) => {
+      const srv = req.srv;
+      if (!srv.db) return res.json({ fights: [], total: 0 });
+
+      try {
+        const { player, outcome, days, limit, offset } = req.query;
+        let key = null;
+        if (typeof player === 'string' && player.trim()) {
+          key = resolvePvpPlayer(srv.db, player);
+          if (!key) {
+            sendError(res, API_ERRORS.PLAYER_NOT_FOUND, 404);
+            return;
+          }
+        }
+        res.json(
+          listFights(srv.db, {
+            player: key,
+            outcome: outcome === 'kill' || outcome === 'disengaged' ? outcome : null,
+            days: clampPvpDays(days),
+            limit: parseInt(typeof limit === 'string' ? limit : '', 10) || 25,
+            offset: parseInt(typeof offset === 'string' ? offset : '', 10) || 0,
+          }),
+        );
+      } catch (err: unknown) {
+        sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
+      }
+    });
+
+    /** GET /api/panel/pvp/player/:id?days= — K/D, assists, damage, opponents and daily K/D for one player */
+    app.get('/api/panel/pvp/player/:id', requireTier('survivor'), rateLimit(10000, 20), (req, res) => {
+      const srv = req.srv;
+      if (!srv.db) {
+        sendError(res, API_ERRORS.DATABASE_NOT_AVAILABLE, 404);
+        return;
+      }
+      try {
+        const result = buildPlayerReport(srv.db, req.params.id as string, { days: clampPvpDays(req.query.days) });
+        if (!result.ok) {
+          sendError(res, API_ERRORS.PLAYER_NOT_FOUND, 404);
+          return;
+        }
+        res.json(result.value);
+      } catch (err: unknown) {
+        sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
+      }
+    });
+
+    /** GET /api/panel/pvp/rivalries?days=&limit= — pairs that have killed each other, most kills first */
+    app.get('/api/panel/pvp/rivalries', requireTier('survivor'), rateLimit(10000, 15), (req, res) => {
+      const srv = req.srv;
+      if (!srv.db) return res.json({ rivalries: [] });
+
+      try {
+        const { days, limit } = req.query;
+        res.json({
+          rivalries: buildRivalries(srv.db, {
+            days: clampPvpDays(days),
+            limit: parseInt(typeof limit === 'string' ? limit : '', 10) || 10,
+          }),
+        });
+      } catch (err: unknown) {
+        sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
+      }
+    });
+
     // ── Panel: DB table list with row counts ──
     app.get('/api/panel/db/tables', requireTier('admin'), rateLimit(10000, 5), (req, res) => {
       const srv = req.srv;
@@ -2305,1171 +2506,1989 @@ class WebMapServer {
       }
     });
 
-    // ── Panel: Map world data (structures, vehicles, containers, companions, dead bodies) ──
-    app.get('/api/panel/mapdata', requireTier('survivor'), rateLimit(10000, 10), (req, res) => {
+    // ── Panel: Bounty board ──
+    app.get('/api/panel/bounties', requireTier('survivor'), rateLimit(10000, 15), (req, res) => {
       const srv = req.srv;
-      if (!srv.db) return res.json({ structures: [], vehicles: [], containers: [], companions: [], deadBodies: [] });
+      if (!srv.db) return res.json({ enabled: false, active: [], claims: [] });
 
-      const layers = ((req.query.layers as string) || 'all').split(',');
-      const showAll = layers.includes('all');
-      const result: Record<string, unknown> = {};
+      try {
+        res.json({
+          enabled: srv.isPrimary && bountyBoard.isActive(),
+          active: srv.db.bounty.getActiveBounties(50),
+          claims: srv.db.bounty.getRecentClaims(20),
+        });
+      } catch (err: unknown) {
+        sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
+      }
+    });
 
+    /** POST /api/panel/bounties — place a server-funded bounty */
+    app.post('/api/panel/bounties', requireTier('admin'), rateLimit(10000, 5), (req, res) => {
+      // The bounty board runs against the primary server's kill feed only
+      if (!req.srv.isPrimary || !bountyBoard.isActive()) {
+        sendError(res, API_ERRORS.BOUNTIES_DISABLED, 400);
+        return;
+      }
       try {
-        if (showAll || layers.includes('structures')) {
-          const rows = srv.db.worldObject.getPositionedStructures() as StructureRow[];
-          result.structures = rows.map((r: StructureRow) => {
-            const [lat, lng] = this._worldToLeaflet(r.pos_x, r.pos_y);
-            let itemCount = 0;
-            try {
-              const items = JSON.parse(r.inventory || '[]') as unknown[];
-              itemCount = items.filter((i: unknown) => i && i !== 'Empty' && i !== 'None').length;
-            } catch {}
-            return {
-              id: r.id,
-              name: r.display_name || cleanActorName(r.actor_class),
-              owner: r.owner_steam_id,
-              lat,
-              lng,
-              health: r.current_health,
-              maxHealth: r.max_health,
-              upgrade: r.upgrade_level,
-              itemCount,
-            };
-          });
+        const { target, amount } = req.body as { target?: string; amount?: number };
+        const result = bountyBoard.place({
+          target: typeof target === 'string' ? target.trim() : '',
+          amount: Number(amount),
+          placedByName: req.session.username || 'admin',
+        });
+        if (!result.ok) {
+          sendError(res, API_ERRORS.BOUNTY_REJECTED, 400, { reason: result.code });
+          return;
         }
+        sendOk(res, { bounty: result.value });
+      } catch (err: unknown) {
+        sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
+      }
+    });
 
-        if (showAll || layers.includes('vehicles')) {
-          const rows = srv.db.worldObject.getPositionedVehicles() as VehicleRow[];
-          result.vehicles = rows.map((r: VehicleRow) => {
-            const [lat, lng] = this._worldToLeaflet(r.pos_x, r.pos_y);
-            return {
-              id: r.id,
-              name: r.display_name || cleanActorName(r.class),
-              lat,
-              lng,
-              health: r.health,
-              maxHealth: r.max_health,
-              fuel: Math.round(r.fuel * 10) / 10,
-            };
-          });
+    /** POST /api/panel/bounties/:id/cancel — cancel an active bounty and refund its placer */
+    app.post('/api/panel/bounties/:id/cancel', requireTier('admin'), rateLimit(10000, 10), (req, res) => {
+      if (!req.srv.isPrimary || !bountyBoard.isActive()) {
+        sendError(res, API_ERRORS.BOUNTIES_DISABLED, 400);
+        return;
+      }
+      try {
+        const id = parseInt(req.params.id as string, 10);
+        const result = bountyBoard.cancel(id, { isAdmin: true });
+        if (!result.ok) {
+          sendError(res, API_ERRORS.BOUNTY_REJECTED, 400, { reason: result.code });
+          return;
         }
+        sendOk(res, { bounty: result.value });
+      } catch (err: unknown) {
+        sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
+      }
+    });
 
-        if (showAll || layers.includes('containers')) {
-          const rows = srv.db.worldObject.getPositionedContainers() as ContainerRow[];
-          result.containers = rows.map((r: ContainerRow) => {
-            const [lat, lng] = this._worldToLeaflet(r.pos_x, r.pos_y);
-            let itemCount = 0;
-            try {
-              const items = JSON.parse(r.items || '[]') as unknown[];
-              itemCount = items.filter(
-                (i: unknown) =>
-                  i &&
-                  typeof i === 'object' &&
-                  (i as Record<string, unknown>).item &&
-                  (i as Record<string, unknown>).item !== 'None' &&
-                  (i as Record<string, unknown>).item !== 'Empty',
-              ).length;
-            } catch {}
-            return { name: cleanActorName(r.actor_name), lat, lng, locked: !!r.locked, itemCount };
-          });
-        }
+    // ── Panel: Factions ──
+    app.get('/api/panel/factions', requireTier('survivor'), rateLimit(10000, 15), (req, res) => {
+      const srv = req.srv;
+      // Factions run against the primary server's kill feed and timeline only
+      if (!srv.isPrimary || !factionManager.isActive()) {
+        return res.json({ enabled: false, factions: [], territories: [], members: {} });
+      }
 
-        if (showAll || layers.includes('companions')) {
-          const rows = srv.db.worldObject.getPositionedCompanions() as CompanionRow[];
-          result.companions = rows.map((r: CompanionRow) => {
-            const [lat, lng] = this._worldToLeaflet(r.pos_x, r.pos_y);
-            return { id: r.id, type: r.type, owner: r.owner_steam_id, lat, lng, health: r.health };
-          });
+      try {
+        const factions = factionManager.getStandings();
+        const members: Record<string, unknown[]> = {};
+        for (const f of factions) members[f.id] = factionManager.getMembers(f.id);
+        res.json({ enabled: true, factions, territories: factionManager.getTerritories(), members });
+      } catch (err: unknown) {
+        sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
+      }
+    });
+
+    /** POST /api/panel/factions/members — put a player into a faction */
+    app.post('/api/panel/factions/members', requireTier('admin'), rateLimit(10000, 10), (req, res) => {
+      if (!req.srv.isPrimary || !factionManager.isActive()) {
+        sendError(res, API_ERRORS.FACTIONS_DISABLED, 400);
+        return;
+      }
+      try {
+        const { player, faction } = req.body as { player?: string; faction?: string };
+        const result = factionManager.join(
+          typeof player === 'string' ? player.trim() : '',
+          typeof faction === 'string' ? faction : '',
+        );
+        if (!result.ok) {
+          sendError(res, API_ERRORS.FACTION_REJECTED, 400, { reason: result.code });
+          return;
         }
+        sendOk(res, { member: result.value });
+      } catch (err: unknown) {
+        sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
+      }
+    });
 
-        if (showAll || layers.includes('deadBodies')) {
-          const rows = srv.db.worldObject.getPositionedDeadBodies() as DeadBodyRow[];
-          result.deadBodies = rows.map((r: DeadBodyRow) => {
-            const [lat, lng] = this._worldToLeaflet(r.pos_x, r.pos_y);
-            return { name: r.actor_name, lat, lng };
-          });
+    /** POST /api/panel/factions/members/:steamId/leave — remove a player from their faction */
+    app.post('/api/panel/factions/members/:steamId/leave', requireTier('admin'), rateLimit(10000, 10), (req, res) => {
+      if (!req.srv.isPrimary || !factionManager.isActive()) {
+        sendError(res, API_ERRORS.FACTIONS_DISABLED, 400);
+        return;
+      }
+      try {
+        const result = factionManager.leave(req.params.steamId as string);
+        if (!result.ok) {
+          sendError(res, API_ERRORS.FACTION_REJECTED, 400, { reason: result.code });
+          return;
         }
+        sendOk(res, { member: result.value });
+      } catch (err: unknown) {
+        sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
+      }
+    });
 
-        // AI layers from latest timeline snapshot
-        const wantAI =
-          showAll || layers.includes('zombies') || layers.includes('animals') || layers.includes('bandits');
-        if (wantAI) {
-          try {
-            const latestSnapId = srv.db.timeline.getLatestTimelineSnapshotId();
-            if (latestSnapId) {
-              const aiRows = srv.db.timeline.getTimelineAIForMap(latestSnapId) as Array<{
-                ai_type: string;
-                category: string;
-                display_name: string;
-                pos_x: number;
-                pos_y: number;
-              }>;
-              const zombies = [],
-                animals = [],
-                bandits = [];
-              for (const r of aiRows) {
-                if (r.pos_x === 0 && r.pos_y === 0) continue;
-                const [lat, lng] = this._worldToLeaflet(r.pos_x, r.pos_y);
-                const entry = { name: r.display_name || cleanActorName(r.ai_type), lat, lng, type: r.ai_type };
-                if (r.category === 'zombie') zombies.push(entry);
-                else if (r.category === 'animal') animals.push(entry);
-                else if (r.category === 'bandit') bandits.push(entry);
-              }
-              if (showAll || layers.includes('zombies')) result.zombies = zombies;
-              if (showAll || layers.includes('animals')) result.animals = animals;
-              if (showAll || layers.includes('bandits')) result.bandits = bandits;
-            }
-          } catch {
-            /* timeline_ai may not exist yet */
-          }
+    /** POST /api/panel/factions/me — put the caller's linked character into a faction */
+    app.post('/api/panel/factions/me', requireTier('survivor'), rateLimit(10000, 5), (req, res) => {
+      if (!req.srv.isPrimary || !factionManager.isActive()) {
+        sendError(res, API_ERRORS.FACTIONS_DISABLED, 400);
+        return;
+      }
+      const steamId = req.session.user?.steamId;
+      if (!steamId) {
+        sendError(res, API_ERRORS.ACCOUNT_NOT_LINKED, 400);
+        return;
+      }
+      try {
+        const { faction } = req.body as { faction?: string };
+        const result = factionManager.join(steamId, typeof faction === 'string' ? faction : '');
+        if (!result.ok) {
+          sendError(res, API_ERRORS.FACTION_REJECTED, 400, { reason: result.code });
+          return;
         }
+        sendOk(res, { member: result.value });
+      } catch (err: unknown) {
+        sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
+      }
+    });
 
-        // Build steam_id → name lookup for owner resolution
-        const nameMap: Record<string, string> = {};
-        const nameRows = srv.db.player.listAllPlayerNames();
-        for (const nr of nameRows) nameMap[nr.steam_id] = nr.name;
-        result.nameMap = nameMap;
+    /** POST /api/panel/factions/me/leave — take the caller's linked character out of their faction */
+    app.post('/api/panel/factions/me/leave', requireTier('survivor'), rateLimit(10000, 5), (req, res) => {
+      if (!req.srv.isPrimary || !factionManager.isActive()) {
+        sendError(res, API_ERRORS.FACTIONS_DISABLED, 400);
+        return;
+      }
+      const steamId = req.session.user?.steamId;
+      if (!steamId) {
+        sendError(res, API_ERRORS.ACCOUNT_NOT_LINKED, 400);
+        return;
+      }
+      try {
+        const result = factionManager.leave(steamId);
+        if (!result.ok) {
+          sendError(res, API_ERRORS.FACTION_REJECTED, 400, { reason: result.code });
+          return;
+        }
+        sendOk(res, { member: result.value });
+      } catch (err: unknown) {
+        sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
+      }
+    });
 
-        res.json(result);
+    /** POST /api/panel/factions/territories — create or update a territory (UE4 world coords) */
+    app.post('/api/panel/factions/territories', requireTier('admin'), rateLimit(10000, 10), (req, res) => {
+      if (!req.srv.isPrimary || !factionManager.isActive()) {
+        sendError(res, API_ERRORS.FACTIONS_DISABLED, 400);
+        return;
+      }
+      try {
+        const body = req.body as Record<string, unknown>;
+        const polygon = Array.isArray(body.polygon)
+          ? (body.polygon as unknown[]).map((p): [number, number] =>
+              Array.isArray(p) ? [Number(p[0]), Number(p[1])] : [NaN, NaN],
+            )
+          : null;
+        const result = factionManager.saveTerritory({
+          id: typeof body.id === 'string' ? body.id.trim().toLowerCase() : '',
+          name: typeof body.name === 'string' ? body.name : '',
+          description: typeof body.description === 'string' ? body.description : '',
+          centerX: Number(body.centerX),
+          centerY: Number(body.centerY),
+          ...(body.radius !== undefined && body.radius !== null && body.radius !== ''
+            ? { radius: Number(body.radius) }
+            : {}),
+          polygon,
+          tier: Math.trunc(Number(body.tier)) || 1,
+          active: body.active !== false,
+        });
+        if (!result.ok) {
+          sendError(res, API_ERRORS.FACTION_REJECTED, 400, { reason: result.code });
+          return;
+        }
+        sendOk(res, { territory: result.value });
       } catch (err: unknown) {
         sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
       }
     });
 
-    // ── Panel: Item Tracking API ──
+    /** DELETE /api/panel/factions/territories/:id — remove a territory */
+    app.delete('/api/panel/factions/territories/:id', requireTier('admin'), rateLimit(10000, 10), (req, res) => {
+      if (!req.srv.isPrimary || !factionManager.isActive()) {
+        sendError(res, API_ERRORS.FACTIONS_DISABLED, 400);
+        return;
+      }
+      try {
+        const result = factionManager.deleteTerritory(req.params.id as string);
+        if (!result.ok) {
+          sendError(res, API_ERRORS.FACTION_REJECTED, 400, { reason: result.code });
+          return;
+        }
+        sendOk(res, { id: result.value });
+      } catch (err: unknown) {
+        sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
+      }
+    });
 
-    // GET /api/panel/items — All tracked items (instances + groups), with filters
-    app.get('/api/panel/items', requireTier('admin'), rateLimit(10000, 15), (req, res) => {
-      const srv = req.srv;
-      const limit = _parseBoundedPositiveInt(req.query.limit, 100, 500);
-      const offset = _parseNonNegativeInt(req.query.offset);
-      if (!srv.db)
-        return res.json({
-          instances: [],
-          groups: [],
-          locations: [],
-          counts: { instances: 0, groups: 0 },
-          pagination: { limit, offset, nextOffset: offset, hasMoreInstances: false, hasMoreGroups: false },
-        });
+    // ── Panel: Seasons ──
+    /** GET /api/panel/seasons — season list (newest first) and any scheduled rollover */
+    app.get('/api/panel/seasons', requireTier('survivor'), rateLimit(10000, 15), (req, res) => {
+      // Seasons archive the primary server's player table only
+      if (!req.srv.isPrimary || !seasonManager.isReady()) {
+        return res.json({ enabled: false, seasons: [], pending: null });
+      }
       try {
-        const search = _queryString(req.query.search).trim();
-        const locationType = _queryString(req.query.locationType).trim();
-        const locationId = _queryString(req.query.locationId).trim();
-        const view = _parseItemListView(req.query.view);
-        const includeLocations = _queryString(req.query.includeLocations).toLowerCase() === 'true';
-        const pageOptions = {
-          limit: limit + 1,
-          offset,
-          search,
-          locationType,
-          locationId,
-        };
+        res.json({ enabled: true, seasons: seasonManager.listSeasons(), pending: seasonManager.getPendingRollover() });
+      } catch (err: unknown) {
+        sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
+      }
+    });
 
-        const instancePage =
-          view === 'groups' ? [] : (srv.db.item.getActiveItemInstancesPage(pageOptions) as ItemInstanceRow[]);
-        const groupPage =
-          view === 'instances' ? [] : (srv.db.item.getActiveItemGroupsPage(pageOptions) as ItemGroupRow[]);
-        const hasMoreInstances = instancePage.length > limit;
-        const hasMoreGroups = groupPage.length > limit;
-        const instances = instancePage.slice(0, limit);
-        const groups = groupPage.slice(0, limit);
-        const locations = includeLocations
-          ? (srv.db.item.getItemLocationSummaryPage({ limit, offset, search }) as ItemLocationSummaryRow[])
-          : [];
+    /** GET /api/panel/seasons/stats?scope=current|lifetime|<seasonId> — per-player stats for a scope */
+    app.get('/api/panel/seasons/stats', requireTier('survivor'), rateLimit(10000, 15), (req, res) => {
+      if (!req.srv.isPrimary || !seasonManager.isReady()) {
+        sendError(res, API_ERRORS.SEASONS_UNAVAILABLE, 400);
+        return;
+      }
+      try {
+        const scope = typeof req.query.scope === 'string' && req.query.scope ? req.query.scope : 'current';
+        const result = seasonManager.getStats(scope);
+        if (!result.ok) {
+          sendError(res, API_ERRORS.SEASON_NOT_FOUND, 404);
+          return;
+        }
+        res.json(result.value);
+      } catch (err: unknown) {
+        sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
+      }
+    });
 
-        res.json({
-          instances,
-          groups,
-          locations,
-          counts: {
-            instances: srv.db.item.getItemInstanceCount(),
-            groups: srv.db.item.getItemGroupCount(),
-          },
-          pagination: {
-            limit,
-            offset,
-            nextOffset: offset + limit,
-            hasMoreInstances,
-            hasMoreGroups,
-          },
+    // ── Panel: Economy ──
+    app.get('/api/panel/economy', requireTier('survivor'), rateLimit(10000, 15), (req, res) => {
+      // Credits are earned from the primary server's kill feed and save syncs only
+      if (!req.srv.isPrimary || !economy.isActive()) {
+        return res.json({ enabled: false, totals: null, leaderboard: [] });
+      }
+      try {
+        res.json({ enabled: true, totals: economy.getTotals(), leaderboard: economy.getLeaderboard(25) });
+      } catch (err: unknown) {
+        sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
+      }
+    });
+
+    /** GET /api/panel/economy/transactions — ledger audit trail, newest first */
+    app.get('/api/panel/economy/transactions', requireTier('admin'), rateLimit(10000, 20), (req, res) => {
+      if (!req.srv.isPrimary || !economy.isActive()) {
+        sendError(res, API_ERRORS.ECONOMY_DISABLED, 400);
+        return;
+      }
+      try {
+        const q = req.query as Record<string, string | undefined>;
+        const before = parseInt(q.before ?? '', 10);
+        const limit = parseInt(q.limit ?? '', 10);
+        const transactions = economy.listTransactions({
+          steamId: q.steamId?.trim() || null,
+          type: q.type?.trim() || null,
+          beforeId: Number.isNaN(before) ? null : before,
+          limit: Number.isNaN(limit) ? 50 : Math.min(Math.max(limit, 1), 200),
         });
+        res.json({ transactions });
       } catch (err: unknown) {
         sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
       }
     });
 
-    // GET /api/panel/items/locations — Lazy location summary for item filters
-    app.get('/api/panel/items/locations', requireTier('admin'), rateLimit(10000, 15), (req, res) => {
-      const srv = req.srv;
-      const limit = _parseBoundedPositiveInt(req.query.limit, 100, 500);
-      const offset = _parseNonNegativeInt(req.query.offset);
-      if (!srv.db)
-        return res.json({
-          locations: [],
-          pagination: { limit, offset, nextOffset: offset, hasMore: false },
+    /** POST /api/panel/economy/adjust — admin grant (amount > 0) or deduct (amount < 0) */
+    app.post('/api/panel/economy/adjust', requireTier('admin'), rateLimit(10000, 10), (req, res) => {
+      if (!req.srv.isPrimary || !economy.isActive()) {
+        sendError(res, API_ERRORS.ECONOMY_DISABLED, 400);
+        return;
+      }
+      try {
+        const { target, amount, reason } = req.body as { target?: unknown; amount?: unknown; reason?: unknown };
+        const result = economy.adjust({
+          target: typeof target === 'string' ? target.trim() : '',
+          amount: Number(amount),
+          reason: typeof reason === 'string' ? reason : '',
+          actor: `web:${req.session.username || req.session.discordId || 'admin'}`,
         });
+        if (!result.ok) {
+          sendError(res, API_ERRORS.ECONOMY_REJECTED, 400, { reason: result.code });
+          return;
+        }
+        sendOk(res, { ...result.value });
+      } catch (err: unknown) {
+        sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
+      }
+    });
+
+    // ── Panel: Community events ──
+    app.get('/api/panel/events', requireTier('survivor'), rateLimit(10000, 15), (req, res) => {
+      // Events score from the primary server's kill feed only
+      if (!req.srv.isPrimary || !eventScheduler.isActive()) {
+        return res.json({ enabled: false, upcoming: [], active: [], recent: [] });
+      }
       try {
-        const search = _queryString(req.query.search).trim();
-        const rows = srv.db.item.getItemLocationSummaryPage({
-          limit: limit + 1,
-          offset,
-          search,
-        }) as ItemLocationSummaryRow[];
-        const hasMore = rows.length > limit;
+        const active = eventScheduler.getRunning().map((e) => ({ ...e, scores: eventScheduler.getScores(e.id, 10) }));
         res.json({
-          locations: rows.slice(0, limit),
-          pagination: { limit, offset, nextOffset: offset + limit, hasMore },
+          enabled: true,
+          upcoming: eventScheduler.getUpcoming(25),
+          active,
+          recent: eventScheduler.getRecent(20),
         });
       } catch (err: unknown) {
         sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
       }
     });
 
-    // GET /api/panel/items/:id/movements — Movement history for an instance
-    app.get('/api/panel/items/:id/movements', requireTier('admin'), (req, res) => {
-      const srv = req.srv;
-      if (!srv.db) return res.json({ movements: [] });
+    /** GET /api/panel/events/:id — one event with its full scoreboard */
+    app.get('/api/panel/events/:id', requireTier('survivor'), rateLimit(10000, 20), (req, res) => {
+      if (!req.srv.isPrimary || !eventScheduler.isActive()) {
+        sendError(res, API_ERRORS.EVENTS_DISABLED, 400);
+        return;
+      }
       try {
-        const id = parseInt(req.params.id as string, 10);
-        const instance = srv.db.item.getItemInstance(id);
-        if (!instance) {
-          sendError(res, API_ERRORS.INSTANCE_NOT_FOUND, 404);
+        const event = eventScheduler.getEvent(parseInt(req.params.id as string, 10));
+        if (!event) {
+          sendError(res, API_ERRORS.EVENT_REJECTED, 404, { reason: 'not_found' });
           return;
         }
+        res.json({ event, scores: eventScheduler.getScores(event.id, 100) });
+      } catch (err: unknown) {
+        sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
+      }
+    });
 
-        const movements = srv.db.item.getItemMovements(id) as ItemMovementRow[];
-        res.json({ instance, movements });
+    /** POST /api/panel/events — schedule an event */
+    app.post('/api/panel/events', requireTier('admin'), rateLimit(10000, 10), (req, res) => {
+      if (!req.srv.isPrimary || !eventScheduler.isActive()) {
+        sendError(res, API_ERRORS.EVENTS_DISABLED, 400);
+        return;
+      }
+      try {
+        const body = req.body as Record<string, unknown>;
+        const rewards = Array.isArray(body.rewards) ? (body.rewards as unknown[]).map(Number) : undefined;
+        const duration = body.durationMinutes;
+        const result = eventScheduler.schedule({
+          type: typeof body.type === 'string' ? body.type : '',
+          name: typeof body.name === 'string' ? body.name : '',
+          description: typeof body.description === 'string' ? body.description : '',
+          scheduledAt: typeof body.scheduledAt === 'string' ? body.scheduledAt : '',
+          ...(duration !== undefined && duration !== null && duration !== ''
+            ? { durationMinutes: Number(duration) }
+            : {}),
+          ...(rewards ? { rewards } : {}),
+          territoryId: typeof body.territoryId === 'string' ? body.territoryId.trim() || null : null,
+          target: typeof body.target === 'string' ? body.target.trim() || null : null,
+        });
+        if (!result.ok) {
+          sendError(res, API_ERRORS.EVENT_REJECTED, 400, { reason: result.code });
+          return;
+        }
+        sendOk(res, { event: result.value });
       } catch (err: unknown) {
         sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
       }
     });
 
-    // GET /api/panel/groups/:id — Group detail with movement history
-    app.get('/api/panel/groups/:id', requireTier('admin'), (req, res) => {
-      const srv = req.srv;
-      if (!srv.db) return res.json({ group: null, movements: [] });
+    /** POST /api/panel/events/:id/:action — start now, end now or cancel */
+    app.post('/api/panel/events/:id/:action', requireTier('admin'), rateLimit(10000, 10), (req, res) => {
+      if (!req.srv.isPrimary || !eventScheduler.isActive()) {
+        sendError(res, API_ERRORS.EVENTS_DISABLED, 400);
+        return;
+      }
       try {
         const id = parseInt(req.params.id as string, 10);
-        const group = srv.db.item.getItemGroup(id) as ItemGroupRow | undefined;
-        if (!group) {
-          sendError(res, API_ERRORS.GROUP_NOT_FOUND, 404);
+        const action = req.params.action as string;
+        const result =
+          action === 'start'
+            ? eventScheduler.startNow(id)
+            : action === 'end'
+              ? eventScheduler.end(id)
+              : action === 'cancel'
+                ? eventScheduler.cancel(id)
+                : null;
+        if (!result) {
+          sendError(res, API_ERRORS.INVALID_ACTION, 400, { action });
           return;
         }
-        let groupAttachments: unknown = group.attachments;
-        try {
-          groupAttachments = JSON.parse(group.attachments as string);
-        } catch {
-          groupAttachments = [];
+        if (!result.ok) {
+          sendError(res, API_ERRORS.EVENT_REJECTED, 400, { reason: result.code });
+          return;
         }
-        const groupOut = { ...group, attachments: groupAttachments };
-
-        const movements = srv.db.item.getItemMovementsByGroup(id) as ItemMovementRow[];
-        res.json({ group: groupOut, movements });
+        sendOk(res, { result: result.value });
       } catch (err: unknown) {
         sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
       }
     });
 
-    // GET /api/panel/movements — Recent item movements across all items
-    app.get('/api/panel/movements', requireTier('admin'), (req, res) => {
-      const srv = req.srv;
-      if (!srv.db) return res.json({ movements: [] });
+    // ── Panel: Whitelist applications and members ──
+    // Whitelist state lives in the primary database and covers every server.
+    const whitelistReviewer = (req: express.Request) => ({
+      id: req.session.discordId || '',
+      name: req.session.username || 'panel',
+    });
+
+    app.get('/api/panel/whitelist', requireTier('mod'), rateLimit(10000, 15), (req, res) => {
+      if (!req.srv.isPrimary || !whitelistManager.isActive()) {
+        return res.json({ enabled: false, servers: [], pending: [], recent: [], members: [], history: [] });
+      }
       try {
-        const limit = Math.min(parseInt((req.query.limit as string) || '', 10) || 50, 500);
-        const steamId = (req.query.steamId as string) || '';
-        const locationType = (req.query.locationType as string) || '';
-        const locationId = (req.query.locationId as string) || '';
+        res.json({
+          enabled: true,
+          trialDays: config.whitelistTrialDays,
+          servers: whitelistManager.getServers(),
+          pending: whitelistManager.getPending(50),
+          recent: whitelistManager.getRecentApplications(25),
+          members: whitelistManager.getMembers(),
+          history: whitelistManager.getHistory(50),
+        });
+      } catch (err: unknown) {
+        sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
+      }
+    });
 
-        let movements;
-        if (steamId) {
-          movements = srv.db.item.getItemMovementsByPlayer(steamId, limit) as ItemMovementRow[];
-        } else if (locationType && locationId) {
-          movements = srv.db.item.getItemMovementsByLocation(locationType, locationId, limit) as ItemMovementRow[];
-        } else {
-          movements = srv.db.item.getRecentItemMovements(limit) as ItemMovementRow[];
+    /** POST /api/panel/whitelist/applications/:id/:action — approve or deny an application */
+    app.post(
+      '/api/panel/whitelist/applications/:id/:action',
+      requireTier('mod'),
+      rateLimit(5000, 10),
+      async (req, res) => {
+        if (!req.srv.isPrimary || !whitelistManager.isActive()) {
+          sendError(res, API_ERRORS.WHITELIST_DISABLED, 400);
+          return;
+        }
+        try {
+          const id = parseInt(req.params.id as string, 10);
+          const action = req.params.action as string;
+          const body = (req.body ?? {}) as { trialDays?: unknown; note?: unknown; servers?: unknown };
+          const note = typeof body.note === 'string' ? body.note.trim().slice(0, 500) : '';
+          if (action !== 'approve' && action !== 'deny') {
+            sendError(res, API_ERRORS.INVALID_ACTION, 400, { action });
+            return;
+          }
+          const result =
+            action === 'approve'
+              ? await whitelistManager.approve(id, whitelistReviewer(req), {
+                  trialDays: Number(body.trialDays) || null,
+                  ...(Array.isArray(body.servers) ? { servers: body.servers.map(String) } : {}),
+                  note,
+                })
+              : await whitelistManager.deny(id, whitelistReviewer(req), note);
+          if (!result.ok) {
+            sendError(res, API_ERRORS.WHITELIST_REJECTED, 400, { reason: result.code });
+            return;
+          }
+          sendOk(res, { result: result.value });
+        } catch (err: unknown) {
+          sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
         }
+      },
+    );
 
-        res.json({ movements });
+    /** POST /api/panel/whitelist/members — whitelist a player directly */
+    app.post('/api/panel/whitelist/members', requireTier('mod'), rateLimit(5000, 10), async (req, res) => {
+      if (!req.srv.isPrimary || !whitelistManager.isActive()) {
+        sendError(res, API_ERRORS.WHITELIST_DISABLED, 400);
+        return;
+      }
+      try {
+        const body = (req.body ?? {}) as { player?: unknown; trialDays?: unknown; servers?: unknown };
+        const result = await whitelistManager.addMember(
+          typeof body.player === 'string' ? body.player.trim() : '',
+          whitelistReviewer(req),
+          {
+            trialDays: Number(body.trialDays) || null,
+            ...(Array.isArray(body.servers) ? { servers: body.servers.map(String) } : {}),
+          },
+        );
+        if (!result.ok) {
+          sendError(res, API_ERRORS.WHITELIST_REJECTED, 400, { reason: result.code });
+          return;
+        }
+        sendOk(res, { result: result.value });
       } catch (err: unknown) {
         sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
       }
     });
 
-    // GET /api/panel/items/lookup — Look up item instance/group by name + fingerprint data
-    // Used by item popups across the entire UI to bridge save data → item tracking DB
-    app.get('/api/panel/items/lookup', requireTier('survivor'), (req, res) => {
-      const srv = req.srv;
-      if (!srv.db) return res.json({ match: null, movements: [] });
-      try {
-        const { fingerprint, item: itemName, steamId } = req.query;
-        if (!fingerprint && !itemName) {
-          sendError(res, API_ERRORS.NEED_FINGERPRINT_OR_ITEM_NAME, 400);
+    /** POST /api/panel/whitelist/members/:steamId/remove — take a player off every server */
+    app.post(
+      '/api/panel/whitelist/members/:steamId/remove',
+      requireTier('mod'),
+      rateLimit(5000, 10),
+      async (req, res) => {
+        if (!req.srv.isPrimary || !whitelistManager.isActive()) {
+          sendError(res, API_ERRORS.WHITELIST_DISABLED, 400);
           return;
         }
-
-        let match: ((ItemInstanceRow | ItemGroupRow) & { attachments?: unknown }) | null = null;
-        let movements: ItemMovementRow[] = [];
-        let matchType = null; // 'instance' or 'group'
-
-        // Try exact fingerprint match first
-        if (fingerprint) {
-          // Check instances
-          const instances = srv.db.item.findItemsByFingerprint(fingerprint as string) as ItemInstanceRow[];
-          if (instances.length > 0) {
-            // If steamId provided, prefer the instance at that player's location
-            const inst = steamId
-              ? (instances.find((i: ItemInstanceRow) => i.location_type === 'player' && i.location_id === steamId) ??
-                instances[0])
-              : instances[0];
-            match = inst ?? null;
-            matchType = 'instance';
-            if (match) {
-              try {
-                match.attachments = JSON.parse(match.attachments as string) as string[];
-              } catch {
-                match.attachments = [];
-              }
-              movements = srv.db.item.getItemMovements(match.id) as ItemMovementRow[];
-            }
-          }
-
-          // Check groups if no instance match
-          if (!match) {
-            const groups = srv.db.item.findActiveGroupsByFingerprint(fingerprint as string) as ItemGroupRow[];
-            if (groups.length > 0) {
-              const grp = steamId
-                ? (groups.find((g: ItemGroupRow) => g.location_type === 'player' && g.location_id === steamId) ??
-                  groups[0])
-                : groups[0];
-              match = grp ?? null;
-              matchType = 'group';
-              if (match) {
-                try {
-                  match.attachments = JSON.parse(match.attachments as string) as string[];
-                } catch {
-                  match.attachments = [];
-                }
-                movements = srv.db.item.getItemMovementsByGroup(match.id) as ItemMovementRow[];
-              }
-            }
+        try {
+          const result = await whitelistManager.removeMember(req.params.steamId as string, whitelistReviewer(req));
+          if (!result.ok) {
+            sendError(res, API_ERRORS.WHITELIST_REJECTED, 400, { reason: result.code });
+            return;
           }
+          sendOk(res, { result: result.value });
+        } catch (err: unknown) {
+          sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
         }
+      },
+    );
 
-        // Fall back to item name search if no fingerprint match
-        if (!match && itemName) {
-          const instances = srv.db.item.getItemInstancesByItem(itemName as string) as ItemInstanceRow[];
-          if (instances.length > 0) {
-            const inst = steamId
-              ? (instances.find((i: ItemInstanceRow) => i.location_type === 'player' && i.location_id === steamId) ??
-                instances[0])
-              : instances[0];
-            match = inst ?? null;
-            matchType = 'instance';
-            if (match) {
-              try {
-                match.attachments = JSON.parse(match.attachments as string) as string[];
-              } catch {
-                match.attachments = [];
-              }
-              movements = srv.db.item.getItemMovements(match.id) as ItemMovementRow[];
-            }
-          }
-        }
-
-        // Resolve player names in movements
-        const nameCache: Record<string, string> = {};
-        const resolveName = (sid: string) => {
-          if (!sid) return null;
-          if (nameCache[sid]) return nameCache[sid];
-          const name = this._resolveServerPlayerName(srv, sid) || sid;
-          nameCache[sid] = name;
-          return name;
-        };
-
-        // Enrich movement data with resolved names
-        const enrichedMovements = movements.map((m: ItemMovementRow) => ({
-          ...m,
-          from_name: m.from_type === 'player' ? resolveName(m.from_id) : null,
-          to_name: m.to_type === 'player' ? resolveName(m.to_id) : null,
-          attributed_name: m.attributed_name || resolveName(m.attributed_steam_id),
-        }));
+    /** POST /api/panel/whitelist/reconcile — compare fetchwhitelist with the DB now */
+    app.post('/api/panel/whitelist/reconcile', requireTier('mod'), rateLimit(30000, 2), async (req, res) => {
+      if (!req.srv.isPrimary || !whitelistManager.isActive()) {
+        sendError(res, API_ERRORS.WHITELIST_DISABLED, 400);
+        return;
+      }
+      try {
+        sendOk(res, { summary: await whitelistManager.reconcile() });
+      } catch (err: unknown) {
+        sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
+      }
+    });
 
-        // Build ownership chain — unique players who have held this item
-        const ownershipChain = [];
-        const seenOwners = new Set();
-        for (const m of movements) {
-          if (m.to_type === 'player' && m.to_id && !seenOwners.has(m.to_id)) {
-            seenOwners.add(m.to_id);
-            ownershipChain.push({ steamId: m.to_id, name: resolveName(m.to_id), at: m.created_at });
-          }
-        }
+    // ── Panel: Ban registry ──
+    // Bans live in the primary database and are pushed to the servers picked per ban.
+    const banActor = (req: express.Request) => ({
+      id: req.session.discordId || '',
+      name: req.session.username || 'panel',
+    });
+    const banEvidence = (raw: unknown): number[] =>
+      Array.isArray(raw) ? raw.map(Number).filter((n) => Number.isInteger(n) && n > 0) : [];
 
+    app.get('/api/panel/bans', requireTier('mod'), rateLimit(10000, 15), (req, res) => {
+      if (!req.srv.isPrimary || !banManager.isActive()) {
+        return res.json({ enabled: false, servers: [], active: [], recent: [] });
+      }
+      try {
         res.json({
-          match,
-          matchType,
-          movements: enrichedMovements,
-          ownershipChain,
-          totalMovements: movements.length,
+          enabled: true,
+          servers: banManager.getServers(),
+          active: banManager.getActive(),
+          recent: banManager.getRecent(50),
         });
       } catch (err: unknown) {
         sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
       }
     });
 
-    // ── Panel: Entity lookup (survivor+) — lightweight reference data for info popups ──
-    app.get('/api/panel/lookup/:type/:name', requireTier('survivor'), rateLimit(5000, 20), (req, res) => {
-      const srv = req.srv;
-      if (!srv.db) return res.json({ found: false });
-      const type = req.params.type as string;
-      const name = decodeURIComponent((req.params.name as string) || '');
-      if (!name) return res.json({ found: false });
-
-      const result: Record<string, unknown> = { found: false, type, name, data: {} };
+    /** GET /api/panel/bans/player/:steamId — one player's ban history */
+    app.get('/api/panel/bans/player/:steamId', requireTier('mod'), rateLimit(10000, 20), (req, res) => {
+      if (!req.srv.isPrimary || !banManager.isActive()) {
+        sendError(res, API_ERRORS.BANS_DISABLED, 400);
+        return;
+      }
+      try {
+        res.json({ bans: banManager.getHistory(req.params.steamId as string) });
+      } catch (err: unknown) {
+        sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
+      }
+    });
 
+    /** POST /api/panel/bans — ban a player on the chosen servers */
+    app.post('/api/panel/bans', requireTier('admin'), rateLimit(5000, 5), async (req, res) => {
+      if (!req.srv.isPrimary || !banManager.isActive()) {
+        sendError(res, API_ERRORS.BANS_DISABLED, 400);
+        return;
+      }
       try {
-        // Route by type to appropriate reference/world table
-        if (type === 'item') {
-          const row = srv.db.gameData.findByName('game_items', name);
-          if (row) {
-            result.found = true;
-            result.data = row;
-            result.refTable = 'game_items';
-          }
-        } else if (type === 'structure' || type === 'building') {
-          const row = srv.db.gameData.findByName('game_buildings', name);
-          if (row) {
-            result.found = true;
-            result.data = row;
-            result.refTable = 'game_buildings';
-          }
-          if (!result.found) {
-            const wRow = srv.db.worldObject.findStructureByName(name);
-            if (wRow) {
-              result.found = true;
-              result.data = wRow;
-              result.refTable = 'structures';
-            }
-          }
-        } else if (type === 'vehicle') {
-          const row = srv.db.gameData.findByName('game_vehicles_ref', name);
-          if (row) {
-            result.found = true;
-            result.data = row;
-            result.refTable = 'game_vehicles_ref';
-          }
-        } else if (type === 'animal') {
-          const row = srv.db.gameData.findByName('game_animals', name);
-          if (row) {
-            result.found = true;
-            result.data = row;
-            result.refTable = 'game_animals';
-          }
-        } else if (type === 'recipe') {
-          const row = srv.db.gameData.findByName('game_recipes', name);
-          if (row) {
-            result.found = true;
-            result.data = row;
-            result.refTable = 'game_recipes';
-          }
-        } else if (type === 'affliction') {
-          const row = srv.db.gameData.findByName('game_afflictions', name);
-          if (row) {
-            result.found = true;
-            result.data = row;
-            result.refTable = 'game_afflictions';
-          }
-        } else if (type === 'profession') {
-          const row = srv.db.gameData.findByName('game_professions', name);
-          if (row) {
-            result.found = true;
-            result.data = row;
-            result.refTable = 'game_professions';
-          }
-        } else if (type === 'skill') {
-          const row = srv.db.gameData.findByName('game_skills', name);
-          if (row) {
-            result.found = true;
-            result.data = row;
-            result.refTable = 'game_skills';
-          }
-        } else if (type === 'container') {
-          const row = srv.db.worldObject.findContainerByName(name);
-          if (row) {
-            result.found = true;
-            result.data = row;
-            result.refTable = 'containers';
-          }
+        const body = (req.body ?? {}) as {
+          player?: unknown;
+          reason?: unknown;
+          notes?: unknown;
+          evidence?: unknown;
+          durationMinutes?: unknown;
+          servers?: unknown;
+        };
+        const result = await banManager.ban(typeof body.player === 'string' ? body.player : '', banActor(req), {
+          reason: typeof body.reason === 'string' ? body.reason : '',
+          notes: typeof body.notes === 'string' ? body.notes : '',
+          evidence: banEvidence(body.evidence),
+          durationMinutes: Number(body.durationMinutes) || null,
+          ...(Array.isArray(body.servers) ? { servers: body.servers.map(String) } : {}),
+        });
+        if (!result.ok) {
+          sendError(res, API_ERRORS.BAN_REJECTED, 400, { reason: result.code });
+          return;
         }
+        sendOk(res, { result: result.value });
+      } catch (err: unknown) {
+        sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
+      }
+    });
 
-        // Fallback: try game_items for anything not found
-        if (!result.found) {
-          const fallback = srv.db.gameData.findByName('game_items', name);
-          if (fallback) {
-            result.found = true;
-            result.data = fallback;
-            result.refTable = 'game_items';
-          }
+    /** POST /api/panel/bans/:id/notes — edit moderator notes and evidence links */
+    app.post('/api/panel/bans/:id/notes', requireTier('mod'), rateLimit(5000, 10), (req, res) => {
+      if (!req.srv.isPrimary || !banManager.isActive()) {
+        sendError(res, API_ERRORS.BANS_DISABLED, 400);
+        return;
+      }
+      try {
+        const body = (req.body ?? {}) as { notes?: unknown; evidence?: unknown };
+        const result = banManager.updateNotes(
+          parseInt(req.params.id as string, 10),
+          typeof body.notes === 'string' ? body.notes : '',
+          banEvidence(body.evidence),
+        );
+        if (!result.ok) {
+          sendError(res, API_ERRORS.BAN_REJECTED, 400, { reason: result.code });
+          return;
         }
-
-        // Count activity log references
-        result.activityCount = srv.db.activityLog.countByTextSearch(`%${name}%`);
-
-        res.json(result);
+        sendOk(res, { result: result.value });
       } catch (err: unknown) {
         sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
       }
     });
 
-    // ── Panel: Comprehensive DB query (admin only) ──
-    app.get('/api/panel/db/:table', requireTier('admin'), rateLimit(10000, 15), (req, res) => {
-      const srv = req.srv;
-      if (!srv.db) return res.json({ rows: [], columns: [] });
-
-      const table = req.params.table as string;
-      // Defense-in-depth: validate table name is alphanumeric + underscores only
-      if (!/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(table)) {
-        sendError(res, API_ERRORS.INVALID_TABLE_NAME, 400);
+    /** POST /api/panel/bans/:steamId/unban — lift a ban on every server it was pushed to */
+    app.post('/api/panel/bans/:steamId/unban', requireTier('admin'), rateLimit(5000, 5), async (req, res) => {
+      if (!req.srv.isPrimary || !banManager.isActive()) {
+        sendError(res, API_ERRORS.BANS_DISABLED, 400);
         return;
       }
-      const limit = Math.min(parseInt((req.query.limit as string) || '', 10) || 50, 1000);
-      const search = (req.query.search as string) || '';
-
-      // Whitelist of queryable tables
-      const ALLOWED = new Set([
-        'activity_log',
-        'chat_log',
-        'players',
-        'player_aliases',
-        'clans',
-        'clan_members',
-        'world_state',
-        'structures',
-        'vehicles',
-        'companions',
-        'world_horses',
-        'dead_bodies',
-        'containers',
-        'loot_actors',
-        'quests',
-        'server_settings',
-        'snapshots',
-        // 'game_items',
-        'game_professions',
-        'game_afflictions',
-        'game_skills',
-        'game_challenges',
-        'game_recipes',
-        'item_instances',
-        'item_movements',
-        'item_groups',
-        'world_drops',
-        // v11 reference tables
-        'game_buildings',
-        'game_loot_pools',
-        'game_loot_pool_items',
-        'game_vehicles_ref',
-        'game_animals',
-        'game_crops',
-        'game_car_upgrades',
-        'game_ammo_types',
-        'game_repair_data',
-        'game_furniture',
-        'game_traps',
-        'game_sprays',
-        'game_quests',
-        'game_lore',
-        'game_loading_tips',
-        'game_spawn_locations',
-        'game_server_setting_defs',
-      ]);
+      try {
+        const { reason } = (req.body ?? {}) as { reason?: unknown };
+        const result = await banManager.unban(
+          req.params.steamId as string,
+          banActor(req),
+          typeof reason === 'string' ? reason : '',
+        );
+        if (!result.ok) {
+          sendError(res, API_ERRORS.BAN_REJECTED, 400, { reason: result.code });
+          return;
+        }
+        sendOk(res, { result: result.value });
+      } catch (err: unknown) {
+        sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
+      }
+    });
 
-      if (!ALLOWED.has(table)) {
-        sendError(res, API_ERRORS.TABLE_NOT_QUERYABLE, 400, table);
+    /** POST /api/panel/bans/sync — compare fetchbanned with the registry now */
+    app.post('/api/panel/bans/sync', requireTier('mod'), rateLimit(30000, 2), async (req, res) => {
+      if (!req.srv.isPrimary || !banManager.isActive()) {
+        sendError(res, API_ERRORS.BANS_DISABLED, 400);
         return;
       }
-      // Defense-in-depth: validate table name is a safe SQL identifier
-      if (!/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(table)) {
-        sendError(res, API_ERRORS.INVALID_TABLE_NAME, 400);
-        return;
+      try {
+        sendOk(res, { summary: await banManager.sync() });
+      } catch (err: unknown) {
+        sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
       }
+    });
 
-      try {
-        // Get column names
-        const pragma = srv.db.rawQuery(`PRAGMA table_info("${table}")`, [], {
-          ctx: 'admin:pragma',
-        }) as Array<{ name: string; type: string }>;
-        const columns = pragma.map((c) => c.name);
-
-        // Build query with optional search
-        let query = `SELECT * FROM "${table}"`;
-        const params = [];
-
-        if (search) {
-          // Search across text columns
-          const textCols = pragma.filter(
-            (c) => c.type.toUpperCase().includes('TEXT') || c.type === '' || c.type.toUpperCase().includes('VARCHAR'),
-          );
-          if (textCols.length > 0) {
-            const clauses = textCols.map((c) => `"${c.name}" LIKE ?`);
-            query += ` WHERE ${clauses.join(' OR ')}`;
-            for (let i = 0; i < textCols.length; i++) params.push(`%${search}%`);
-          }
-        }
-
-        // Order by most recent first if created_at or updated_at exists
-        if (columns.includes('created_at')) query += ' ORDER BY created_at DESC';
-        else if (columns.includes('updated_at')) query += ' ORDER BY updated_at DESC';
-        else if (columns.includes('id')) query += ' ORDER BY id DESC';
-
-        query += ` LIMIT ?`;
-        params.push(limit);
-
-        const rows = srv.db.rawQuery(query, params, { ctx: 'admin:run-query-params' }) as DbRow[];
-
-        // Resolve steam IDs in player-related tables
-        if (columns.includes('steam_id') || columns.includes('owner_steam_id')) {
-          for (const row of rows) {
-            const sid = (row.steam_id || row.owner_steam_id) as string;
-            const resolvedName = this._resolveServerPlayerName(srv, sid);
-            if (sid && resolvedName && !row.name && !row.actor_name && !row.player_name) {
-              row._resolved_name = resolvedName;
-            }
-          }
-        }
+    // ── Panel: Outbound webhooks ──
+    // Endpoints and the delivery queue live in the primary database.
+    const webhookInput = (raw: unknown): WebhookInput => {
+      const body = (raw ?? {}) as { url?: unknown; events?: unknown; description?: unknown; enabled?: unknown };
+      return {
+        ...(typeof body.url === 'string' ? { url: body.url } : {}),
+        ...(Array.isArray(body.events) ? { events: body.events.filter((e) => typeof e === 'string') } : {}),
+        ...(typeof body.description === 'string' ? { description: body.description } : {}),
+        ...(typeof body.enabled === 'boolean' ? { enabled: body.enabled } : {}),
+      };
+    };
 
-        res.json({ table, columns, rows, total: rows.length });
-      } catch (err: unknown) {
-        sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
+    app.get('/api/panel/webhooks', requireTier('admin'), rateLimit(10000, 15), (req, res) => {
+      if (!req.srv.isPrimary || !webhookDispatcher.isActive()) {
+        return res.json({ enabled: false, events: [], webhooks: [] });
       }
-    });
-
-    // ── Panel: Chat log from DB ──
-    app.get('/api/panel/chat', requireTier('survivor'), (req, res) => {
-      const srv = req.srv;
-      if (!srv.db) return res.json({ messages: [] });
-
-      const limit = Math.min(parseInt((req.query.limit as string) || '', 10) || 100, 1000);
-      const search = ((req.query.search as string) || '').trim();
-
       try {
-        let messages: ChatRow[];
-        if (search) {
-          messages = srv.db.chatLog.searchChat(search, limit) as ChatRow[];
-        } else {
-          messages = srv.db.chatLog.getRecentChat(limit) as ChatRow[];
-        }
-        res.json({ messages });
+        res.json({ enabled: true, events: WEBHOOK_EVENTS, webhooks: webhookDispatcher.getWebhooks() });
       } catch (err: unknown) {
         sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
       }
     });
 
-    // ── Panel: RCON command execution ──
-    app.post('/api/panel/rcon', requireTier('admin'), rateLimit(10000, 10), async (req, res) => {
-      const { command } = req.body as { command?: string };
-      if (!command || typeof command !== 'string') {
-        sendError(res, API_ERRORS.MISSING_COMMAND, 400);
-        return;
-      }
-      if (command.length > 500) {
-        sendError(res, API_ERRORS.COMMAND_TOO_LONG, 400);
+    /** GET /api/panel/webhooks/:id/deliveries — recent deliveries of one endpoint */
+    app.get('/api/panel/webhooks/:id/deliveries', requireTier('admin'), rateLimit(10000, 20), (req, res) => {
+      if (!req.srv.isPrimary || !webhookDispatcher.isActive()) {
+        sendError(res, API_ERRORS.WEBHOOKS_DISABLED, 400);
         return;
       }
-
-      // Sanitize: strip control chars and newlines to prevent RCON protocol injection
-      const sanitized = stripControlChars(command)
-        .replace(/[\r\n]+/g, ' ')
-        .trim();
-      if (!sanitized) {
-        sendError(res, API_ERRORS.COMMAND_EMPTY_AFTER_SANITIZATION, 400);
-        return;
+      try {
+        res.json({ deliveries: webhookDispatcher.getDeliveries(parseInt(req.params.id as string, 10), 50) });
+      } catch (err: unknown) {
+        sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
       }
+    });
 
-      // Safety: block dangerous commands by first word (consolidated blocklist)
-      const cmdWord = sanitized.toLowerCase().split(/\s+/)[0];
-      const BLOCKED_RCON = new Set([
-        'exit',
-        'quit',
-        'shutdown',
-        'destroyall',
-        'destroy_all',
-        'wipe',
-        'reset',
-        'restartnow',
-        'quickrestart',
-        'cancelrestart',
-      ]);
-      if (cmdWord && BLOCKED_RCON.has(cmdWord)) {
-        sendError(res, API_ERRORS.COMMAND_BLOCKED_FOR_SAFETY, 403, cmdWord);
+    /** POST /api/panel/webhooks — register an endpoint (the secret is only returned here) */
+    app.post('/api/panel/webhooks', requireTier('admin'), rateLimit(5000, 5), (req, res) => {
+      if (!req.srv.isPrimary || !webhookDispatcher.isActive()) {
+        sendError(res, API_ERRORS.WEBHOOKS_DISABLED, 400);
         return;
       }
-
       try {
-        const response = await req.srv.rcon.send(sanitized);
-        res.json({ ok: true, response });
+        const result = webhookDispatcher.createWebhook(
+          webhookInput(req.body),
+          req.session.username || req.session.discordId || 'panel',
+        );
+        if (!result.ok) {
+          sendError(res, API_ERRORS.WEBHOOK_REJECTED, 400, { reason: result.code });
+          return;
+        }
+        sendOk(res, { result: result.value });
       } catch (err: unknown) {
         sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
       }
     });
 
-    // POST /api/panel/refresh-snapshot — Force game save + re-poll save file + record fresh snapshot
-    app.post('/api/panel/refresh-snapshot', requireTier('mod'), rateLimit(30000, 2), async (req, res) => {
-      if (!this._saveService) {
-        sendError(res, API_ERRORS.SAVE_SERVICE_NOT_AVAILABLE, 503);
+    /** PATCH /api/panel/webhooks/:id — change URL, subscriptions, description or enabled flag */
+    app.patch('/api/panel/webhooks/:id', requireTier('admin'), rateLimit(5000, 10), (req, res) => {
+      if (!req.srv.isPrimary || !webhookDispatcher.isActive()) {
+        sendError(res, API_ERRORS.WEBHOOKS_DISABLED, 400);
         return;
       }
-
       try {
-        // Step 1: Tell the game server to save
-        try {
-          await req.srv.rcon.send('save');
-        } catch {
-          /* RCON may not be connected — continue anyway, save file may still be recent */
+        const result = webhookDispatcher.updateWebhook(parseInt(req.params.id as string, 10), webhookInput(req.body));
+        if (!result.ok) {
+          sendError(res, API_ERRORS.WEBHOOK_REJECTED, 400, { reason: result.code });
+          return;
         }
-
-        // Step 2: Wait briefly for the save to flush to disk
-        await new Promise((resolve) => setTimeout(resolve, 2000));
-
-        // Step 3: Force save service to re-poll (downloads .sav, parses, syncs DB, emits 'sync' → snapshot recorded)
-        await this._saveService._poll(true);
-
-        sendOk(res, { message: 'Snapshot refreshed' });
+        sendOk(res, { result: result.value });
       } catch (err: unknown) {
         sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
       }
     });
 
-    // ── Panel: Server power controls ──
-    // Supports Docker CLI (VPS), Pterodactyl API, or SSH-based controls
-    app.post('/api/panel/power', requireTier('admin'), rateLimit(30000, 3), async (req, res) => {
-      const { action } = req.body as { action?: string };
-      const valid = ['start', 'stop', 'restart', 'backup', 'kill'];
-      if (!action || !valid.includes(action)) {
-        sendError(res, API_ERRORS.INVALID_ACTION, 400, action);
+    /** DELETE /api/panel/webhooks/:id — remove an endpoint and its delivery history */
+    app.delete('/api/panel/webhooks/:id', requireTier('admin'), rateLimit(5000, 5), (req, res) => {
+      if (!req.srv.isPrimary || !webhookDispatcher.isActive()) {
+        sendError(res, API_ERRORS.WEBHOOKS_DISABLED, 400);
         return;
       }
-
-      // Try Pterodactyl API first (per-server or primary singleton)
-      const srvPanelApi = req.srv.panelApi;
-      if (srvPanelApi && srvPanelApi.available) {
-        try {
-          if (action === 'backup') {
-            await srvPanelApi.createBackup();
-            sendOk(res, { message: 'Backup initiated via panel API' });
-            return;
-          }
-          await srvPanelApi.sendPowerAction(action);
-          sendOk(res, { message: `Server ${action} sent via panel API` });
-          return;
-        } catch (err: unknown) {
-          sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
+      try {
+        const result = webhookDispatcher.deleteWebhook(parseInt(req.params.id as string, 10));
+        if (!result.ok) {
+          sendError(res, API_ERRORS.WEBHOOK_REJECTED, 400, { reason: result.code });
           return;
         }
+        sendOk(res, { result: result.value });
+      } catch (err: unknown) {
+        sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
       }
+    });
 
-      // Fall back to Docker CLI (VPS setup)
-      const { execFile } = await import('child_process');
-      // Use server-specific container name, fall back to env
-      const dockerContainer = (req.srv.config.dockerContainer || process.env.DOCKER_CONTAINER || 'hzserver').replace(
-        /[^a-zA-Z0-9_.-]/g,
-        '',
-      );
-
-      if (action === 'backup') {
-        const backupDir = path.join(req.srv.dataDir, 'backups', new Date().toISOString().replace(/[:.]/g, '-'));
-        execFile(
-          'docker',
-          ['cp', `${dockerContainer}:/home/steam/hzserver/serverfiles/HumanitZServer/Saved`, backupDir],
-          { timeout: 30000 },
-          (err: Error | null) => {
-            if (err) {
-              sendError(res, API_ERRORS.BACKUP_FAILED, 500);
-              return;
-            }
-            sendOk(res, { message: 'Backup created' });
-          },
-        );
+    /** POST /api/panel/webhooks/:id/test — queue a webhook.test ping */
+    app.post('/api/panel/webhooks/:id/test', requireTier('admin'), rateLimit(10000, 5), (req, res) => {
+      if (!req.srv.isPrimary || !webhookDispatcher.isActive()) {
+        sendError(res, API_ERRORS.WEBHOOKS_DISABLED, 400);
         return;
       }
-
-      execFile(
-        'docker',
-        [action, dockerContainer],
-        { timeout: 30000 },
-        (err: Error | null, _stdout: string, _stderr: string) => {
-          if (err) {
-            sendError(res, API_ERRORS.DOCKER_COMMAND_FAILED, 500);
-            return;
-          }
-          sendOk(res, { message: `Server ${action} executed` });
-        },
-      );
-    });
-
-    // ── Panel: List backups ──
-    app.get('/api/panel/backups', requireTier('admin'), rateLimit(10000, 5), async (req, res) => {
-      const backups = [];
-
-      // Try Pterodactyl API first (per-server or primary singleton)
       try {
-        const srvPanelApi = req.srv.panelApi;
-        if (srvPanelApi && srvPanelApi.available) {
-          const list = await srvPanelApi.listBackups();
-          if (list.length) {
-            for (const b of list) {
-              backups.push({
-                name: b.name || b.uuid,
-                uuid: b.uuid,
-                size: b.bytes || 0,
-                created: b.created_at || b.completed_at,
-                source: 'panel',
-              });
-            }
-            return res.json({ backups });
-          }
+        const result = webhookDispatcher.sendTest(parseInt(req.params.id as string, 10));
+        if (!result.ok) {
+          sendError(res, API_ERRORS.WEBHOOK_REJECTED, 400, { reason: result.code });
+          return;
         }
-      } catch (_e) {
-        /* panel API unavailable — fall through */
+        sendOk(res, { result: result.value });
+      } catch (err: unknown) {
+        sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
       }
+    });
 
-      // Fall back to local data/backups/ directory
-      const backupsDir = path.join(req.srv.dataDir, 'backups');
+    /** POST /api/panel/webhooks/deliveries/:id/retry — requeue a failed delivery */
+    app.post('/api/panel/webhooks/deliveries/:id/retry', requireTier('admin'), rateLimit(5000, 10), (req, res) => {
+      if (!req.srv.isPrimary || !webhookDispatcher.isActive()) {
+        sendError(res, API_ERRORS.WEBHOOKS_DISABLED, 400);
+        return;
+      }
       try {
-        if (fs.existsSync(backupsDir)) {
-          const entries = fs.readdirSync(backupsDir, { withFileTypes: true });
-          for (const entry of entries) {
-            if (!entry.isDirectory()) continue;
-            const stat = fs.statSync(path.join(backupsDir, entry.name));
-            backups.push({
-              name: entry.name,
-              uuid: entry.name,
-              size: 0,
-              created: stat.mtime.toISOString(),
-              source: 'local',
-            });
-          }
-          backups.sort(
-            (a: Record<string, unknown>, b: Record<string, unknown>) =>
-              new Date(b.created as string).getTime() - new Date(a.created as string).getTime(),
-          );
+        const result = webhookDispatcher.retryDelivery(parseInt(req.params.id as string, 10));
+        if (!result.ok) {
+          sendError(res, API_ERRORS.WEBHOOK_REJECTED, 400, { reason: result.code });
+          return;
         }
-      } catch (_e) {
-        /* directory not readable */
+        sendOk(res, { result: result.value });
+      } catch (err: unknown) {
+        sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
       }
-
-      res.json({ backups });
     });
 
-    // Sensitive keys that should never be exposed or written via API
-    const HIDDEN_SETTINGS = new Set(['AdminPass', 'RCONPass', 'Password', 'RConPort', 'RCONEnabled']);
-    function filterSettings(settings: Record<string, unknown>): Record<string, unknown> {
-      const filtered: Record<string, unknown> = {};
-      for (const [k, v] of Object.entries(settings)) {
-        if (!HIDDEN_SETTINGS.has(k) && !k.startsWith('_')) filtered[k] = v;
-      }
-      return filtered;
-    }
-
-    // ── Panel: Game server settings (read) ──
-    app.get('/api/panel/settings', requireTier('admin'), async (req, res) => {
+    // ── Panel: Map world data (structures, vehicles, containers, companions, dead bodies) ──
+    app.get('/api/panel/mapdata', requireTier('survivor'), rateLimit(10000, 10), (req, res) => {
       const srv = req.srv;
-      // Try loading from cached file first
-      const settingsFile = path.join(srv.dataDir, 'server-settings.json');
-      try {
-        if (fs.existsSync(settingsFile)) {
-          const data = JSON.parse(fs.readFileSync(settingsFile, 'utf8')) as Record<string, unknown>;
-          return res.json({ settings: filterSettings(data) });
-        }
-      } catch {
-        /* fall through to SFTP */
-      }
+      if (!srv.db) return res.json({ structures: [], vehicles: [], containers: [], companions: [], deadBodies: [] });
 
-      // Try reading via SFTP
-      if (srv.config.sftpHost && srv.config.sftpUser) {
-        try {
-          const SftpClient = (await import('ssh2-sftp-client')).default;
-          const sftp = new SftpClient();
-          await sftp.connect(srv.config.sftpConnectConfig());
-          const content = await sftp.get(srv.config.sftpSettingsPath);
-          await sftp.end();
+      const layers = ((req.query.layers as string) || 'all').split(',');
+      const showAll = layers.includes('all');
+      const result: Record<string, unknown> = {};
 
-          const settings: Record<string, string> = {};
-          const lines = (content as Buffer).toString().split('\n');
-          for (const line of lines) {
-            const trimmed = line.trim();
-            if (!trimmed || trimmed.startsWith('#') || trimmed.startsWith('[') || trimmed.startsWith(';')) continue;
-            const eq = trimmed.indexOf('=');
-            if (eq > 0) {
-              settings[trimmed.substring(0, eq).trim()] = trimmed.substring(eq + 1).trim();
-            }
-          }
-          // Cache for next time
-          fs.writeFileSync(settingsFile, JSON.stringify(settings, null, 2));
-          res.json({ settings: filterSettings(settings) });
-        } catch (err: unknown) {
-          sendError(res, API_ERRORS.FAILED_TO_READ_SETTINGS, 500, safeError(err));
+      try {
+        if (showAll || layers.includes('structures')) {
+          const rows = srv.db.worldObject.getPositionedStructures() as StructureRow[];
+          result.structures = rows.map((r: StructureRow) => {
+            const [lat, lng] = this._worldToLeaflet(r.pos_x, r.pos_y);
+            let itemCount = 0;
+            try {
+              const items = JSON.parse(r.inventory || '[]') as unknown[];
+              itemCount = items.filter((i: unknown) => i && i !== 'Empty' && i !== 'None').length;
+            } catch {}
+            return {
+              id: r.id,
+              name: r.display_name || cleanActorName(r.actor_class),
+              owner: r.owner_steam_id,
+              lat,
+              lng,
+              health: r.current_health,
+              maxHealth: r.max_health,
+              upgrade: r.upgrade_level,
+              itemCount,
+            };
+          });
         }
-      } else {
-        sendError(res, API_ERRORS.NO_SETTINGS_AVAILABLE_SFTP_NOT_CONFIGURED, 404);
-      }
-    });
-
-    // ── Panel: Game server settings (write) ──
-    app.post('/api/panel/settings', requireTier('admin'), rateLimit(30000, 5), async (req, res) => {
-      const { settings } = req.body as { settings?: Record<string, unknown> };
-      if (!settings || typeof settings !== 'object') {
-        sendError(res, API_ERRORS.MISSING_SETTINGS_OBJECT, 400);
-        return;
-      }
 
-      // Block writes to sensitive keys — same set filtered on read, enforced on write
-      const rejected = Object.keys(settings).filter((k) => HIDDEN_SETTINGS.has(k) || k.startsWith('_'));
-      if (rejected.length > 0) {
-        sendError(res, API_ERRORS.CANNOT_WRITE_PROTECTED_SETTINGS, 403, rejected.join(', '));
-        return;
-      }
-      // Validate values: no newlines, no INI section injection
-      for (const [key, value] of Object.entries(settings)) {
-        const v = String(value);
-        if (/[\r\n]/.test(v) || /^\[/.test(v.trim())) {
-          sendError(res, API_ERRORS.INVALID_VALUE_CONTAINS_ILLEGAL_CHARACTERS, 400, key);
-          return;
+        if (showAll || layers.includes('vehicles')) {
+          const rows = srv.db.worldObject.getPositionedVehicles() as VehicleRow[];
+          result.vehicles = rows.map((r: VehicleRow) => {
+            const [lat, lng] = this._worldToLeaflet(r.pos_x, r.pos_y);
+            return {
+              id: r.id,
+              name: r.display_name || cleanActorName(r.class),
+              lat,
+              lng,
+              health: r.health,
+              maxHealth: r.max_health,
+              fuel: Math.round(r.fuel * 10) / 10,
+            };
+          });
         }
-      }
 
-      if (!req.srv.config.sftpHost || !req.srv.config.sftpUser) {
-        sendError(res, API_ERRORS.SFTP_NOT_CONFIGURED, 400);
-        return;
-      }
+        if (showAll || layers.includes('containers')) {
+          const rows = srv.db.worldObject.getPositionedContainers() as ContainerRow[];
+          result.containers = rows.map((r: ContainerRow) => {
+            const [lat, lng] = this._worldToLeaflet(r.pos_x, r.pos_y);
+            let itemCount = 0;
+            try {
+              const items = JSON.parse(r.items || '[]') as unknown[];
+              itemCount = items.filter(
+                (i: unknown) =>
+                  i &&
+                  typeof i === 'object' &&
+                  (i as Record<string, unknown>).item &&
+                  (i as Record<string, unknown>).item !== 'None' &&
+                  (i as Record<string, unknown>).item !== 'Empty',
+              ).length;
+            } catch {}
+            return { name: cleanActorName(r.actor_name), lat, lng, locked: !!r.locked, itemCount };
+          });
+        }
 
-      try {
-        const SftpClient = (await import('ssh2-sftp-client')).default;
-        const sftp = new SftpClient();
-        await sftp.connect(req.srv.config.sftpConnectConfig());
+        if (showAll || layers.includes('companions')) {
+          const rows = srv.db.worldObject.getPositionedCompanions() as CompanionRow[];
+          result.companions = rows.map((r: CompanionRow) => {
+            const [lat, lng] = this._worldToLeaflet(r.pos_x, r.pos_y);
+            return { id: r.id, type: r.type, owner: r.owner_steam_id, lat, lng, health: r.health };
+          });
+        }
 
-        // Read current file
-        const content = ((await sftp.get(req.srv.config.sftpSettingsPath)) as Buffer).toString();
-        const lines = content.split('\n');
+        if (showAll || layers.includes('deadBodies')) {
+          const rows = srv.db.worldObject.getPositionedDeadBodies() as DeadBodyRow[];
+          result.deadBodies = rows.map((r: DeadBodyRow) => {
+            const [lat, lng] = this._worldToLeaflet(r.pos_x, r.pos_y);
+            return { name: r.actor_name, lat, lng };
+          });
+        }
 
-        // Update values in-place
-        const updated = new Set();
-        const newLines = lines.map((line: string) => {
-          const trimmed = line.trim();
-          if (!trimmed || trimmed.startsWith('#') || trimmed.startsWith('[') || trimmed.startsWith(';')) return line;
-          const eq = trimmed.indexOf('=');
-          if (eq <= 0) return line;
-          const key = trimmed.substring(0, eq).trim();
-          if (key in settings) {
-            updated.add(key);
-            return `${key}=${String(settings[key])}`;
+        // AI layers from latest timeline snapshot
+        const wantAI =
+          showAll || layers.includes('zombies') || layers.includes('animals') || layers.includes('bandits');
+        if (wantAI) {
+          try {
+            const latestSnapId = srv.db.timeline.getLatestTimelineSnapshotId();
+            if (latestSnapId) {
+              const aiRows = srv.db.timeline.getTimelineAIForMap(latestSnapId) as Array<{
+                ai_type: string;
+                category: string;
+                display_name: string;
+                pos_x: number;
+                pos_y: number;
+              }>;
+              const zombies = [],
+                animals = [],
+                bandits = [];
+              for (const r of aiRows) {
+                if (r.pos_x === 0 && r.pos_y === 0) continue;
+                const [lat, lng] = this._worldToLeaflet(r.pos_x, r.pos_y);
+                const entry = { name: r.display_name || cleanActorName(r.ai_type), lat, lng, type: r.ai_type };
+                if (r.category === 'zombie') zombies.push(entry);
+                else if (r.category === 'animal') animals.push(entry);
+                else if (r.category === 'bandit') bandits.push(entry);
+              }
+              if (showAll || layers.includes('zombies')) result.zombies = zombies;
+              if (showAll || layers.includes('animals')) result.animals = animals;
+              if (showAll || layers.includes('bandits')) result.bandits = bandits;
+            }
+          } catch {
+            /* timeline_ai may not exist yet */
           }
-          return line;
-        });
-
-        // Write back
-        await sftp.put(Buffer.from(newLines.join('\n')), req.srv.config.sftpSettingsPath);
-        await sftp.end();
+        }
 
-        // Update local cache
-        const settingsFile = path.join(req.srv.dataDir, 'server-settings.json');
-        try {
-          let cached: Record<string, string> = {};
-          if (fs.existsSync(settingsFile))
-            cached = JSON.parse(fs.readFileSync(settingsFile, 'utf8')) as Record<string, string>;
-          Object.assign(cached, settings);
-          fs.writeFileSync(settingsFile, JSON.stringify(cached, null, 2));
-        } catch {
-          /* cache update failed, not critical */
+        // Faction territories — polygons (or circles) converted to map space
+        if (layers.includes('territories') && srv.isPrimary && factionManager.isActive()) {
+          const b = this._worldBounds;
+          const factions = new Map(factionManager.getStandings().map((f) => [f.id, f]));
+          result.territories = factionManager
+            .getTerritories()
+            .filter((tr) => tr.active)
+            .map((tr) => {
+              const [lat, lng] = this._worldToLeaflet(tr.center_x, tr.center_y);
+              return {
+                id: tr.id,
+                name: tr.name,
+                lat,
+                lng,
+                // CRS.Simple circles take the radius in map units
+                radius: (tr.radius / (b.xMax - b.xMin)) * 4096,
+                polygon: tr.polygon ? tr.polygon.map(([x, y]) => this._worldToLeaflet(x, y)) : null,
+                controller: tr.controlling_faction,
+                controllerName: tr.controlling_faction ? (factions.get(tr.controlling_faction)?.name ?? null) : null,
+                color: tr.controlling_faction ? (factions.get(tr.controlling_faction)?.color ?? null) : null,
+              };
+            });
         }
 
-        res.json({ ok: true, updated: [...updated] });
-      } catch (err: unknown) {
-        sendError(res, API_ERRORS.FAILED_TO_SAVE_SETTINGS, 500, safeError(err));
-      }
-    });
+        // Build steam_id → name lookup for owner resolution
+        const nameMap: Record<string, string> = {};
+        const nameRows = srv.db.player.listAllPlayerNames();
+        for (const nr of nameRows) nameMap[nr.steam_id] = nr.name;
+        result.nameMap = nameMap;
 
-    // ── API: Server scheduler status ──
-    app.get('/api/panel/scheduler', requireTier('survivor'), (req, res) => {
-      // This will be populated by the bot when it passes the scheduler instance
-      if (req.srv.scheduler) {
-        res.json(req.srv.scheduler.getStatus());
-      } else {
-        res.json({ active: false });
+        res.json(result);
+      } catch (err: unknown) {
+        sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
       }
     });
 
-    // ── Schedule Editor: save restart times, profiles, and per-profile settings ──
-    app.post('/api/panel/scheduler', requireTier('admin'), rateLimit(30000, 3), (req, res) => {
-      const { restartTimes, profiles, profileSettings, rotateDaily, serverNameTemplate } = req.body as {
-        restartTimes?: string[];
-        profiles?: string[];
-        profileSettings?: Record<string, unknown>;
-        rotateDaily?: boolean;
-        serverNameTemplate?: string;
-      };
-      if (!restartTimes || !Array.isArray(restartTimes)) {
-        sendError(res, API_ERRORS.RESTART_TIMES_INVALID, 400);
-        return;
-      }
-      // Validate restart times format
-      for (const t of restartTimes) {
-        if (!/^\d{1,2}:\d{2}$/.test(t)) {
-          sendError(res, API_ERRORS.INVALID_TIME_FORMAT, 400, t);
-          return;
-        }
-      }
-      // Validate profiles
-      const profileList = Array.isArray(profiles)
-        ? profiles.filter((p: unknown): p is string => typeof p === 'string' && !!p.trim())
-        : [];
-      const settings: Record<string, Record<string, unknown>> = profileSettings && typeof profileSettings === 'object'
-        ? (profileSettings as Record<string, Record<string, unknown>>)
-        : {};
+    // ── Panel: Item Tracking API ──
 
-      // Validate profile settings are JSON-safe objects
-      for (const [name, val] of Object.entries(settings)) {
-        if (typeof val !== 'object' || Array.isArray(val)) {
-          sendError(res, API_ERRORS.PROFILE_SETTINGS_MUST_BE_OBJECT, 400, name);
-          return;
-        }
-        // Ensure all values are strings (game server INI format)
-        for (const [k, v] of Object.entries(val)) {
-          if (typeof v !== 'string' && typeof v !== 'number') {
-            sendError(res, API_ERRORS.INVALID_PROFILE_VALUE_TYPE, 400, `${name}.${k}`);
-            return;
-          }
-        }
+    // GET /api/panel/items — All tracked items (instances + groups), with filters
+    app.get('/api/panel/items', requireTier('admin'), rateLimit(10000, 15), (req, res) => {
+      const srv = req.srv;
+      const limit = _parseBoundedPositiveInt(req.query.limit, 100, 500);
+      const offset = _parseNonNegativeInt(req.query.offset);
+      if (!srv.db)
+        return res.json({
+          instances: [],
+          groups: [],
+          locations: [],
+          counts: { instances: 0, groups: 0 },
+          pagination: { limit, offset, nextOffset: offset, hasMoreInstances: false, hasMoreGroups: false },
+        });
+      try {
+        const search = _queryString(req.query.search).trim();
+        const locationType = _queryString(req.query.locationType).trim();
+        const locationId = _queryString(req.query.locationId).trim();
+        const view = _parseItemListView(req.query.view);
+        const includeLocations = _queryString(req.query.includeLocations).toLowerCase() === 'true';
+        const pageOptions = {
+          limit: limit + 1,
+          offset,
+          search,
+          locationType,
+          locationId,
+        };
+
+        const instancePage =
+          view === 'groups' ? [] : (srv.db.item.getActiveItemInstancesPage(pageOptions) as ItemInstanceRow[]);
+        const groupPage =
+          view === 'instances' ? [] : (srv.db.item.getActiveItemGroupsPage(pageOptions) as ItemGroupRow[]);
+        const hasMoreInstances = instancePage.length > limit;
+        const hasMoreGroups = groupPage.length > limit;
+        const instances = instancePage.slice(0, limit);
+        const groups = groupPage.slice(0, limit);
+        const locations = includeLocations
+          ? (srv.db.item.getItemLocationSummaryPage({ limit, offset, search }) as ItemLocationSummaryRow[])
+          : [];
+
+        res.json({
+          instances,
+          groups,
+          locations,
+          counts: {
+            instances: srv.db.item.getItemInstanceCount(),
+            groups: srv.db.item.getItemGroupCount(),
+          },
+          pagination: {
+            limit,
+            offset,
+            nextOffset: offset + limit,
+            hasMoreInstances,
+            hasMoreGroups,
+          },
+        });
+      } catch (err: unknown) {
+        sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
       }
+    });
 
-      const timesStr = restartTimes.join(',');
-      const profilesStr = profileList.map((p: string) => p.trim().toLowerCase()).join(',');
+    // GET /api/panel/items/locations — Lazy location summary for item filters
+    app.get('/api/panel/items/locations', requireTier('admin'), rateLimit(10000, 15), (req, res) => {
+      const srv = req.srv;
+      const limit = _parseBoundedPositiveInt(req.query.limit, 100, 500);
+      const offset = _parseNonNegativeInt(req.query.offset);
+      if (!srv.db)
+        return res.json({
+          locations: [],
+          pagination: { limit, offset, nextOffset: offset, hasMore: false },
+        });
+      try {
+        const search = _queryString(req.query.search).trim();
+        const rows = srv.db.item.getItemLocationSummaryPage({
+          limit: limit + 1,
+          offset,
+          search,
+        }) as ItemLocationSummaryRow[];
+        const hasMore = rows.length > limit;
+        res.json({
+          locations: rows.slice(0, limit),
+          pagination: { limit, offset, nextOffset: offset + limit, hasMore },
+        });
+      } catch (err: unknown) {
+        sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
+      }
+    });
 
-      // ── Non-primary: write to servers.json ──
-      if (!req.srv.isPrimary) {
-        try {
-          const serverId = req.srv.serverId;
-          const ok = _saveServerDef(serverId, (serverDef) => {
-            serverDef.restartTimes = timesStr;
-            serverDef.restartProfiles = profilesStr;
-            serverDef.enableServerScheduler = restartTimes.length > 0;
-            if (rotateDaily !== undefined) serverDef.restartRotateDaily = rotateDaily;
-            if (typeof serverNameTemplate === 'string') serverDef.serverNameTemplate = serverNameTemplate;
-            if (profileList.length > 0) {
-              (serverDef.restartProfileSettings as Record<string, unknown>) = {};
-              for (const name of profileList) {
-                const key = name.trim().toLowerCase();
-                if (settings[key]) (serverDef.restartProfileSettings as Record<string, unknown>)[key] = settings[key];
-              }
-            } else {
-              Reflect.deleteProperty(serverDef, 'restartProfileSettings');
-            }
-          });
-          if (!ok) {
-            sendError(res, API_ERRORS.SERVER_NOT_FOUND, 404);
-            return;
-          }
-          sendOk(res, {
-            restartRequired: true,
-            message: 'Schedule saved. Restart the bot for changes to take effect.',
-          });
-          return;
-        } catch (err: unknown) {
-          sendError(res, API_ERRORS.FAILED_TO_SAVE, 500, safeError(err));
+    // GET /api/panel/items/:id/movements — Movement history for an instance
+    app.get('/api/panel/items/:id/movements', requireTier('admin'), (req, res) => {
+      const srv = req.srv;
+      if (!srv.db) return res.json({ movements: [] });
+      try {
+        const id = parseInt(req.params.id as string, 10);
+        const instance = srv.db.item.getItemInstance(id);
+        if (!instance) {
+          sendError(res, API_ERRORS.INSTANCE_NOT_FOUND, 404);
           return;
         }
+
+        const movements = srv.db.item.getItemMovements(id) as ItemMovementRow[];
+        res.json({ instance, movements });
+      } catch (err: unknown) {
+        sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
       }
+    });
 
-      // ── Primary: write to .env ──
+    // GET /api/panel/groups/:id — Group detail with movement history
+    app.get('/api/panel/groups/:id', requireTier('admin'), (req, res) => {
+      const srv = req.srv;
+      if (!srv.db) return res.json({ group: null, movements: [] });
       try {
-        const envPath = path.join(__dirname, '..', '..', '.env');
-        if (!fs.existsSync(envPath)) {
-          sendError(res, API_ERRORS.ENV_FILE_NOT_FOUND, 404);
+        const id = parseInt(req.params.id as string, 10);
+        const group = srv.db.item.getItemGroup(id) as ItemGroupRow | undefined;
+        if (!group) {
+          sendError(res, API_ERRORS.GROUP_NOT_FOUND, 404);
           return;
         }
-
-        const content = fs.readFileSync(envPath, 'utf8');
-        const lines = content.split('\n');
-        const updated = new Set();
-
-        // Build the changes map
-        const changes: Record<string, string> = {
-          ENABLE_SERVER_SCHEDULER: restartTimes.length > 0 ? 'true' : 'false',
-          RESTART_TIMES: timesStr,
-          RESTART_PROFILES: profilesStr,
-        };
-        if (rotateDaily !== undefined) changes.RESTART_ROTATE_DAILY = rotateDaily ? 'true' : 'false';
-        if (typeof serverNameTemplate === 'string') changes.SERVER_NAME_TEMPLATE = serverNameTemplate;
-
-        // Add profile settings as RESTART_PROFILE_<NAME>=JSON
-        for (const name of profileList) {
-          const key = name.trim().toLowerCase();
-          const envKey = `RESTART_PROFILE_${key.toUpperCase()}`;
-          if (settings[key] && Object.keys(settings[key]).length > 0) {
-            changes[envKey] = JSON.stringify(settings[key]);
-          }
+        let groupAttachments: unknown = group.attachments;
+        try {
+          groupAttachments = JSON.parse(group.attachments as string);
+        } catch {
+          groupAttachments = [];
         }
+        const groupOut = { ...group, attachments: groupAttachments };
 
-        // Remove old RESTART_PROFILE_* that are no longer in the profile list
-        const activeProfileKeys = new Set(profileList.map((p: string) => `RESTART_PROFILE_${p.trim().toUpperCase()}`));
+        const movements = srv.db.item.getItemMovementsByGroup(id) as ItemMovementRow[];
+        res.json({ group: groupOut, movements });
+      } catch (err: unknown) {
+        sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
+      }
+    });
 
-        const newLines = lines.map((line: string) => {
-          const trimmed = line.trim();
-          const eq = trimmed.indexOf('=');
-          if (eq > 0 && !trimmed.startsWith('#') && !trimmed.startsWith(';')) {
-            const key = trimmed.substring(0, eq).trim();
-            if (key in changes) {
-              updated.add(key);
-              return `${key}=${String(changes[key])}`;
-            }
-            // Comment out old profile keys that are no longer active
-            if (key.startsWith('RESTART_PROFILE_') && !activeProfileKeys.has(key)) {
-              updated.add(key);
-              return `#${line}`;
-            }
-          }
-          // Uncomment if it's a key we want to set
-          if (trimmed.startsWith('#')) {
-            const m = trimmed.match(/^#\s*([A-Z][A-Z0-9_]*)=(.*)/);
-            if (m?.[1] && m[1] in changes) {
-              updated.add(m[1]);
-              return `${m[1]}=${String(changes[m[1]])}`;
-            }
-          }
-          return line;
-        });
+    // GET /api/panel/movements — Recent item movements across all items
+    app.get('/api/panel/movements', requireTier('admin'), (req, res) => {
+      const srv = req.srv;
+      if (!srv.db) return res.json({ movements: [] });
+      try {
+        const limit = Math.min(parseInt((req.query.limit as string) || '', 10) || 50, 500);
+        const steamId = (req.query.steamId as string) || '';
+        const locationType = (req.query.locationType as string) || '';
+        const locationId = (req.query.locationId as string) || '';
 
-        // Append any keys not found
-        for (const key of Object.keys(changes)) {
-          if (!updated.has(key) && String(changes[key]) !== '') {
-            newLines.push(`${key}=${changes[key]}`);
-            updated.add(key);
-          }
+        let movements;
+        if (steamId) {
+          movements = srv.db.item.getItemMovementsByPlayer(steamId, limit) as ItemMovementRow[];
+        } else if (locationType && locationId) {
+          movements = srv.db.item.getItemMovementsByLocation(locationType, locationId, limit) as ItemMovementRow[];
+        } else {
+          movements = srv.db.item.getRecentItemMovements(limit) as ItemMovementRow[];
         }
 
-        const tmpPath = envPath + '.tmp';
-        fs.writeFileSync(tmpPath, newLines.join('\n'));
-        fs.renameSync(tmpPath, envPath);
-
-        sendOk(res, {
-          updated: [...updated],
-          restartRequired: true,
-          message: `Schedule saved (${updated.size} keys). Restart the bot for changes to take effect.`,
-        });
+        res.json({ movements });
       } catch (err: unknown) {
-        sendError(res, API_ERRORS.FAILED_TO_SAVE_SCHEDULE, 500, safeError(err));
+        sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
       }
     });
 
-    // ══════════════════════════════════════════════════════════════════
-    //  Bot Configuration API — read/write .env file (primary) or
-    //  servers.json entry (non-primary / multi-server)
-    // ══════════════════════════════════════════════════════════════════
-
-    // Keys that contain credentials — values are NEVER sent to the client.
-    // Write is allowed (masked placeholder is replaced only if user provides a real value).
-    const ENV_SENSITIVE_KEYS = new Set([
-      'DISCORD_TOKEN',
-      'DISCORD_OAUTH_SECRET',
+    // GET /api/panel/items/lookup — Look up item instance/group by name + fingerprint data
+    // Used by item popups across the entire UI to bridge save data → item tracking DB
+    app.get('/api/panel/items/lookup', requireTier('survivor'), (req, res) => {
+      const srv = req.srv;
+      if (!srv.db) return res.json({ match: null, movements: [] });
+      try {
+        const { fingerprint, item: itemName, steamId } = req.query;
+        if (!fingerprint && !itemName) {
+          sendError(res, API_ERRORS.NEED_FINGERPRINT_OR_ITEM_NAME, 400);
+          return;
+        }
+
+        let match: ((ItemInstanceRow | ItemGroupRow) & { attachments?: unknown }) | null = null;
+        let movements: ItemMovementRow[] = [];
+        let matchType = null; // 'instance' or 'group'
+
+        // Try exact fingerprint match first
+        if (fingerprint) {
+          // Check instances
+          const instances = srv.db.item.findItemsByFingerprint(fingerprint as string) as ItemInstanceRow[];
+          if (instances.length > 0) {
+            // If steamId provided, prefer the instance at that player's location
+            const inst = steamId
+              ? (instances.find((i: ItemInstanceRow) => i.location_type === 'player' && i.location_id === steamId) ??
+                instances[0])
+              : instances[0];
+            match = inst ?? null;
+            matchType = 'instance';
+            if (match) {
+              try {
+                match.attachments = JSON.parse(match.attachments as string) as string[];
+              } catch {
+                match.attachments = [];
+              }
+              movements = srv.db.item.getItemMovements(match.id) as ItemMovementRow[];
+            }
+          }
+
+          // Check groups if no instance match
+          if (!match) {
+            const groups = srv.db.item.findActiveGroupsByFingerprint(fingerprint as string) as ItemGroupRow[];
+            if (groups.length > 0) {
+              const grp = steamId
+                ? (groups.find((g: ItemGroupRow) => g.location_type === 'player' && g.location_id === steamId) ??
+                  groups[0])
+                : groups[0];
+              match = grp ?? null;
+              matchType = 'group';
+              if (match) {
+                try {
+                  match.attachments = JSON.parse(match.attachments as string) as string[];
+                } catch {
+                  match.attachments = [];
+                }
+                movements = srv.db.item.getItemMovementsByGroup(match.id) as ItemMovementRow[];
+              }
+            }
+          }
+        }
+
+        // Fall back to item name search if no fingerprint match
+        if (!match && itemName) {
+          const instances = srv.db.item.getItemInstancesByItem(itemName as string) as ItemInstanceRow[];
+          if (instances.length > 0) {
+            const inst = steamId
+              ? (instances.find((i: ItemInstanceRow) => i.location_type === 'player' && i.location_id === steamId) ??
+                instances[0])
+              : instances[0];
+            match = inst ?? null;
+            matchType = 'instance';
+            if (match) {
+              try {
+                match.attachments = JSON.parse(match.attachments as string) as string[];
+              } catch {
+                match.attachments = [];
+              }
+              movements = srv.db.item.getItemMovements(match.id) as ItemMovementRow[];
+            }
+          }
+        }
+
+        // Resolve player names in movements
+        const nameCache: Record<string, string> = {};
+        const resolveName = (sid: string) => {
+          if (!sid) return null;
+          if (nameCache[sid]) return nameCache[sid];
+          const name = this._resolveServerPlayerName(srv, sid) || sid;
+          nameCache[sid] = name;
+          return name;
+        };
+
+        // Enrich movement data with resolved names
+        const enrichedMovements = movements.map((m: ItemMovementRow) => ({
+          ...m,
+          from_name: m.from_type === 'player' ? resolveName(m.from_id) : null,
+          to_name: m.to_type === 'player' ? resolveName(m.to_id) : null,
+          attributed_name: m.attributed_name || resolveName(m.attributed_steam_id),
+        }));
+
+        // Build ownership chain — unique players who have held this item
+        const ownershipChain = [];
+        const seenOwners = new Set();
+        for (const m of movements) {
+          if (m.to_type === 'player' && m.to_id && !seenOwners.has(m.to_id)) {
+            seenOwners.add(m.to_id);
+            ownershipChain.push({ steamId: m.to_id, name: resolveName(m.to_id), at: m.created_at });
+          }
+        }
+
+        res.json({
+          match,
+          matchType,
+          movements: enrichedMovements,
+          ownershipChain,
+          totalMovements: movements.length,
+        });
+      } catch (err: unknown) {
+        sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
+      }
+    });
+
+    // ── Panel: Entity lookup (survivor+) — lightweight reference data for info popups ──
+    app.get('/api/panel/lookup/:type/:name', requireTier('survivor'), rateLimit(5000, 20), (req, res) => {
+      const srv = req.srv;
+      if (!srv.db) return res.json({ found: false });
+      const type = req.params.type as string;
+      const name = decodeURIComponent((req.params.name as string) || '');
+      if (!name) return res.json({ found: false });
+
+      const result: Record<string, unknown> = { found: false, type, name, data: {} };
+
+      try {
+        // Route by type to appropriate reference/world table
+        if (type === 'item') {
+          const row = srv.db.gameData.findByName('game_items', name);
+          if (row) {
+            result.found = true;
+            result.data = row;
+            result.refTable = 'game_items';
+          }
+        } else if (type === 'structure' || type === 'building') {
+          const row = srv.db.gameData.findByName('game_buildings', name);
+          if (row) {
+            result.found = true;
+            result.data = row;
+            result.refTable = 'game_buildings';
+          }
+          if (!result.found) {
+            const wRow = srv.db.worldObject.findStructureByName(name);
+            if (wRow) {
+              result.found = true;
+              result.data = wRow;
+              result.refTable = 'structures';
+            }
+          }
+        } else if (type === 'vehicle') {
+          const row = srv.db.gameData.findByName('game_vehicles_ref', name);
+          if (row) {
+            result.found = true;
+            result.data = row;
+            result.refTable = 'game_vehicles_ref';
+          }
+        } else if (type === 'animal') {
+          const row = srv.db.gameData.findByName('game_animals', name);
+          if (row) {
+            result.found = true;
+            result.data = row;
+            result.refTable = 'game_animals';
+          }
+        } else if (type === 'recipe') {
+          const row = srv.db.gameData.findByName('game_recipes', name);
+          if (row) {
+            result.found = true;
+            result.data = row;
+            result.refTable = 'game_recipes';
+          }
+        } else if (type === 'affliction') {
+          const row = srv.db.gameData.findByName('game_afflictions', name);
+          if (row) {
+            result.found = true;
+            result.data = row;
+            result.refTable = 'game_afflictions';
+          }
+        } else if (type === 'profession') {
+          const row = srv.db.gameData.findByName('game_professions', name);
+          if (row) {
+            result.found = true;
+            result.data = row;
+            result.refTable = 'game_professions';
+          }
+        } else if (type === 'skill') {
+          const row = srv.db.gameData.findByName('game_skills', name);
+          if (row) {
+            result.found = true;
+            result.data = row;
+            result.refTable = 'game_skills';
+          }
+        } else if (type === 'container') {
+          const row = srv.db.worldObject.findContainerByName(name);
+          if (row) {
+            result.found = true;
+            result.data = row;
+            result.refTable = 'containers';
+          }
+        }
+
+        // Fallback: try game_items for anything not found
+        if (!result.found) {
+          const fallback = srv.db.gameData.findByName('game_items', name);
+          if (fallback) {
+            result.found = true;
+            result.data = fallback;
+            result.refTable = 'game_items';
+          }
+        }
+
+        // Count activity log references
+        result.activityCount = srv.db.activityLog.countByTextSearch(`%${name}%`);
+
+        res.json(result);
+      } catch (err: unknown) {
+        sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
+      }
+    });
+
+    // ── Panel: Comprehensive DB query (admin only) ──
+    app.get('/api/panel/db/:table', requireTier('admin'), rateLimit(10000, 15), (req, res) => {
+      const srv = req.srv;
+      if (!srv.db) return res.json({ rows: [], columns: [] });
+
+      const table = req.params.table as string;
+      // Defense-in-depth: validate table name is alphanumeric + underscores only
+      if (!/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(table)) {
+        sendError(res, API_ERRORS.INVALID_TABLE_NAME, 400);
+        return;
+      }
+      const limit = Math.min(parseInt((req.query.limit as string) || '', 10) || 50, 1000);
+      const search = (req.query.search as string) || '';
+
+      // Whitelist of queryable tables
+      const ALLOWED = new Set([
+        'activity_log',
+        'chat_log',
+        'players',
+        'player_aliases',
+        'clans',
+        'clan_members',
+        'world_state',
+        'structures',
+        'vehicles',
+        'companions',
+        'world_horses',
+        'dead_bodies',
+        'containers',
+        'loot_actors',
+        'quests',
+        'server_settings',
+        'snapshots',
+        // 'game_items',
+        'game_professions',
+        'game_afflictions',
+        'game_skills',
+        'game_challenges',
+        'game_recipes',
+        'item_instances',
+        'item_movements',
+        'item_groups',
+        'world_drops',
+        // v11 reference tables
+        'game_buildings',
+        'game_loot_pools',
+        'game_loot_pool_items',
+        'game_vehicles_ref',
+        'game_animals',
+        'game_crops',
+        'game_car_upgrades',
+        'game_ammo_types',
+        'game_repair_data',
+        'game_furniture',
+        'game_traps',
+        'game_sprays',
+        'game_quests',
+        'game_lore',
+        'game_loading_tips',
+        'game_spawn_locations',
+        'game_server_setting_defs',
+      ]);
+
+      if (!ALLOWED.has(table)) {
+        sendError(res, API_ERRORS.TABLE_NOT_QUERYABLE, 400, table);
+        return;
+      }
+      // Defense-in-depth: validate table name is a safe SQL identifier
+      if (!/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(table)) {
+        sendError(res, API_ERRORS.INVALID_TABLE_NAME, 400);
+        return;
+      }
+
+      try {
+        // Get column names
+        const pragma = srv.db.rawQuery(`PRAGMA table_info("${table}")`, [], {
+          ctx: 'admin:pragma',
+        }) as Array<{ name: string; type: string }>;
+        const columns = pragma.map((c) => c.name);
+
+        // Build query with optional search
+        let query = `SELECT * FROM "${table}"`;
+        const params = [];
+
+        if (search) {
+          // Search across text columns
+          const textCols = pragma.filter(
+            (c) => c.type.toUpperCase().includes('TEXT') || c.type === '' || c.type.toUpperCase().includes('VARCHAR'),
+          );
+          if (textCols.length > 0) {
+            const clauses = textCols.map((c) => `"${c.name}" LIKE ?`);
+            query += ` WHERE ${clauses.join(' OR ')}`;
+            for (let i = 0; i < textCols.length; i++) params.push(`%${search}%`);
+          }
+        }
+
+        // Order by most recent first if created_at or updated_at exists
+        if (columns.includes('created_at')) query += ' ORDER BY created_at DESC';
+        else if (columns.includes('updated_at')) query += ' ORDER BY updated_at DESC';
+        else if (columns.includes('id')) query += ' ORDER BY id DESC';
+
+        query += ` LIMIT ?`;
+        params.push(limit);
+
+        const rows = srv.db.rawQuery(query, params, { ctx: 'admin:run-query-params' }) as DbRow[];
+
+        // Resolve steam IDs in player-related tables
+        if (columns.includes('steam_id') || columns.includes('owner_steam_id')) {
+          for (const row of rows) {
+            const sid = (row.steam_id || row.owner_steam_id) as string;
+            const resolvedName = this._resolveServerPlayerName(srv, sid);
+            if (sid && resolvedName && !row.name && !row.actor_name && !row.player_name) {
+              row._resolved_name = resolvedName;
+            }
+          }
+        }
+
+        res.json({ table, columns, rows, total: rows.length });
+      } catch (err: unknown) {
+        sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
+      }
+    });
+
+    // ── Panel: Chat log from DB ──
+    app.get('/api/panel/chat', requireTier('survivor'), (req, res) => {
+      const srv = req.srv;
+      if (!srv.db) return res.json({ messages: [] });
+
+      const limit = Math.min(parseInt((req.query.limit as string) || '', 10) || 100, 1000);
+      const search = ((req.query.search as string) || '').trim();
+
+      try {
+        let messages: ChatRow[];
+        if (search) {
+          messages = srv.db.chatLog.searchChat(search, limit) as ChatRow[];
+        } else {
+          messages = srv.db.chatLog.getRecentChat(limit) as ChatRow[];
+        }
+        res.json({ messages });
+      } catch (err: unknown) {
+        sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
+      }
+    });
+
+    // ── Panel: RCON command execution ──
+    app.post('/api/panel/rcon', requireTier('admin'), rateLimit(10000, 10), async (req, res) => {
+      const { command } = req.body as { command?: string };
+      if (!command || typeof command !== 'string') {
+        sendError(res, API_ERRORS.MISSING_COMMAND, 400);
+        return;
+      }
+      if (command.length > 500) {
+        sendError(res, API_ERRORS.COMMAND_TOO_LONG, 400);
+        return;
+      }
+
+      // Sanitize: strip control chars and newlines to prevent RCON protocol injection
+      const sanitized = stripControlChars(command)
+        .replace(/[\r\n]+/g, ' ')
+        .trim();
+      if (!sanitized) {
+        sendError(res, API_ERRORS.COMMAND_EMPTY_AFTER_SANITIZATION, 400);
+        return;
+      }
+
+      // Safety: block dangerous commands by first word (consolidated blocklist)
+      const cmdWord = sanitized.toLowerCase().split(/\s+/)[0];
+      const BLOCKED_RCON = new Set([
+        'exit',
+        'quit',
+        'shutdown',
+        'destroyall',
+        'destroy_all',
+        'wipe',
+        'reset',
+        'restartnow',
+        'quickrestart',
+        'cancelrestart',
+      ]);
+      if (cmdWord && BLOCKED_RCON.has(cmdWord)) {
+        sendError(res, API_ERRORS.COMMAND_BLOCKED_FOR_SAFETY, 403, cmdWord);
+        return;
+      }
+
+      try {
+        const response = await req.srv.rcon.send(sanitized);
+        res.json({ ok: true, response });
+      } catch (err: unknown) {
+        sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
+      }
+    });
+
+    // POST /api/panel/refresh-snapshot — Force game save + re-poll save file + record fresh snapshot
+    app.post('/api/panel/refresh-snapshot', requireTier('mod'), rateLimit(30000, 2), async (req, res) => {
+      if (!this._saveService) {
+        sendError(res, API_ERRORS.SAVE_SERVICE_NOT_AVAILABLE, 503);
+        return;
+      }
+
+      try {
+        // Step 1: Tell the game server to save
+        try {
+          await req.srv.rcon.send('save');
+        } catch {
+          /* RCON may not be connected — continue anyway, save file may still be recent */
+        }
+
+        // Step 2: Wait briefly for the save to flush to disk
+        await new Promise((resolve) => setTimeout(resolve, 2000));
+
+        // Step 3: Force save service to re-poll (downloads .sav, parses, syncs DB, emits 'sync' → snapshot recorded)
+        await this._saveService._poll(true);
+
+        sendOk(res, { message: 'Snapshot refreshed' });
+      } catch (err: unknown) {
+        sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
+      }
+    });
+
+    // ── Panel: Server power controls ──
+    // Supports Docker CLI (VPS), Pterodactyl API, or SSH-based controls
+    app.post('/api/panel/power', requireTier('admin'), rateLimit(30000, 3), async (req, res) => {
+      const { action } = req.body as { action?: string };
+      const valid = ['start', 'stop', 'restart', 'backup', 'kill'];
+      if (!action || !valid.includes(action)) {
+        sendError(res, API_ERRORS.INVALID_ACTION, 400, action);
+        return;
+      }
+
+      // Try Pterodactyl API first (per-server or primary singleton)
+      const srvPanelApi = req.srv.panelApi;
+      if (srvPanelApi && srvPanelApi.available) {
+        try {
+          if (action === 'backup') {
+            await srvPanelApi.createBackup();
+            sendOk(res, { message: 'Backup initiated via panel API' });
+            return;
+          }
+          await srvPanelApi.sendPowerAction(action);
+          sendOk(res, { message: `Server ${action} sent via panel API` });
+          return;
+        } catch (err: unknown) {
+          sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
+          return;
+        }
+      }
+
+      // Fall back to Docker CLI (VPS setup)
+      const { execFile } = await import('child_process');
+      // Use server-specific container name, fall back to env
+      const dockerContainer = (req.srv.config.dockerContainer || process.env.DOCKER_CONTAINER || 'hzserver').replace(
+        /[^a-zA-Z0-9_.-]/g,
+        '',
+      );
+
+      if (action === 'backup') {
+        const backupDir = path.join(req.srv.dataDir, 'backups', new Date().toISOString().replace(/[:.]/g, '-'));
+        execFile(
+          'docker',
+          ['cp', `${dockerContainer}:/home/steam/hzserver/serverfiles/HumanitZServer/Saved`, backupDir],
+          { timeout: 30000 },
+          (err: Error | null) => {
+            if (err) {
+              sendError(res, API_ERRORS.BACKUP_FAILED, 500);
+              return;
+            }
+            sendOk(res, { message: 'Backup created' });
+          },
+        );
+        return;
+      }
+
+      execFile(
+        'docker',
+        [action, dockerContainer],
+        { timeout: 30000 },
+        (err: Error | null, _stdout: string, _stderr: string) => {
+          if (err) {
+            sendError(res, API_ERRORS.DOCKER_COMMAND_FAILED, 500);
+            return;
+          }
+          sendOk(res, { message: `Server ${action} executed` });
+        },
+      );
+    });
+
+    // ── Panel: List backups ──
+    app.get('/api/panel/backups', requireTier('admin'), rateLimit(10000, 5), async (req, res) => {
+      const backups = [];
+
+      // Try Pterodactyl API first (per-server or primary singleton)
+      try {
+        const srvPanelApi = req.srv.panelApi;
+        if (srvPanelApi && srvPanelApi.available) {
+          const list = await srvPanelApi.listBackups();
+          if (list.length) {
+            for (const b of list) {
+              backups.push({
+                name: b.name || b.uuid,
+                uuid: b.uuid,
+                size: b.bytes || 0,
+                created: b.created_at || b.completed_at,
+                source: 'panel',
+              });
+            }
+            return res.json({ backups });
+          }
+        }
+      } catch (_e) {
+        /* panel API unavailable — fall through */
+      }
+
+      // Fall back to local data/backups/ directory
+      const backupsDir = path.join(req.srv.dataDir, 'backups');
+      try {
+        if (fs.existsSync(backupsDir)) {
+          const entries = fs.readdirSync(backupsDir, { withFileTypes: true });
+          for (const entry of entries) {
+            if (!entry.isDirectory()) continue;
+            const stat = fs.statSync(path.join(backupsDir, entry.name));
+            backups.push({
+              name: entry.name,
+              uuid: entry.name,
+              size: 0,
+              created: stat.mtime.toISOString(),
+              source: 'local',
+            });
+          }
+          backups.sort(
+            (a: Record<string, unknown>, b: Record<string, unknown>) =>
+              new Date(b.created as string).getTime() - new Date(a.created as string).getTime(),
+          );
+        }
+      } catch (_e) {
+        /* directory not readable */
+      }
+
+      res.json({ backups });
+    });
+
+    // Sensitive keys that should never be exposed or written via API
+    const HIDDEN_SETTINGS = new Set(['AdminPass', 'RCONPass', 'Password', 'RConPort', 'RCONEnabled']);
+    function filterSettings(settings: Record<string, unknown>): Record<string, unknown> {
+      const filtered: Record<string, unknown> = {};
+      for (const [k, v] of Object.entries(settings)) {
+        if (!HIDDEN_SETTINGS.has(k) && !k.startsWith('_')) filtered[k] = v;
+      }
+      return filtered;
+    }
+
+    // ── Panel: Game server settings (read) ──
+    app.get('/api/panel/settings', requireTier('admin'), async (req, res) => {
+      const srv = req.srv;
+      // Try loading from cached file first
+      const settingsFile = path.join(srv.dataDir, 'server-settings.json');
+      try {
+        if (fs.existsSync(settingsFile)) {
+          const data = JSON.parse(fs.readFileSync(settingsFile, 'utf8')) as Record<string, unknown>;
+          return res.json({ settings: filterSettings(data) });
+        }
+      } catch {
+        /* fall through to SFTP */
+      }
+
+      // Try reading via SFTP
+      if (srv.config.sftpHost && srv.config.sftpUser) {
+        try {
+          const SftpClient = (await import('ssh2-sftp-client')).default;
+          const sftp = new SftpClient();
+          await sftp.connect(srv.config.sftpConnectConfig());
+          const content = await sftp.get(srv.config.sftpSettingsPath);
+          await sftp.end();
+
+          const settings: Record<string, string> = {};
+          const lines = (content as Buffer).toString().split('\n');
+          for (const line of lines) {
+            const trimmed = line.trim();
+            if (!trimmed || trimmed.startsWith('#') || trimmed.startsWith('[') || trimmed.startsWith(';')) continue;
+            const eq = trimmed.indexOf('=');
+            if (eq > 0) {
+              settings[trimmed.substring(0, eq).trim()] = trimmed.substring(eq + 1).trim();
+            }
+          }
+          // Cache for next time
+          fs.writeFileSync(settingsFile, JSON.stringify(settings, null, 2));
+          res.json({ settings: filterSettings(settings) });
+        } catch (err: unknown) {
+          sendError(res, API_ERRORS.FAILED_TO_READ_SETTINGS, 500, safeError(err));
+        }
+      } else {
+        sendError(res, API_ERRORS.NO_SETTINGS_AVAILABLE_SFTP_NOT_CONFIGURED, 404);
+      }
+    });
+
+    // ── Panel: Game server settings (write) ──
+    app.post('/api/panel/settings', requireTier('admin'), rateLimit(30000, 5), async (req, res) => {
+      const { settings } = req.body as { settings?: Record<string, unknown> };
+      if (!settings || typeof settings !== 'object') {
+        sendError(res, API_ERRORS.MISSING_SETTINGS_OBJECT, 400);
+        return;
+      }
+
+      // Block writes to sensitive keys — same set filtered on read, enforced on write
+      const rejected = Object.keys(settings).filter((k) => HIDDEN_SETTINGS.has(k) || k.startsWith('_'));
+      if (rejected.length > 0) {
+        sendError(res, API_ERRORS.CANNOT_WRITE_PROTECTED_SETTINGS, 403, rejected.join(', '));
+        return;
+      }
+      // Validate values: no newlines, no INI section injection
+      for (const [key, value] of Object.entries(settings)) {
+        const v = String(value);
+        if (/[\r\n]/.test(v) || /^\[/.test(v.trim())) {
+          sendError(res, API_ERRORS.INVALID_VALUE_CONTAINS_ILLEGAL_CHARACTERS, 400, key);
+          return;
+        }
+      }
+
+      if (!req.srv.config.sftpHost || !req.srv.config.sftpUser) {
+        sendError(res, API_ERRORS.SFTP_NOT_CONFIGURED, 400);
+        return;
+      }
+
+      try {
+        const SftpClient = (await import('ssh2-sftp-client')).default;
+        const sftp = new SftpClient();
+        await sftp.connect(req.srv.config.sftpConnectConfig());
+
+        // Read current file
+        const content = ((await sftp.get(req.srv.config.sftpSettingsPath)) as Buffer).toString();
+        const lines = content.split('\n');
+
+        // Update values in-place
+        const updated = new Set();
+        const newLines = lines.map((line: string) => {
+          const trimmed = line.trim();
+          if (!trimmed || trimmed.startsWith('#') || trimmed.startsWith('[') || trimmed.startsWith(';')) return line;
+          const eq = trimmed.indexOf('=');
+          if (eq <= 0) return line;
+          const key = trimmed.substring(0, eq).trim();
+          if (key in settings) {
+            updated.add(key);
+            return `${key}=${String(settings[key])}`;
+          }
+          return line;
+        });
+
+        // Write back
+        await sftp.put(Buffer.from(newLines.join('\n')), req.srv.config.sftpSettingsPath);
+        await sftp.end();
+
+        // Update local cache
+        const settingsFile = path.join(req.srv.dataDir, 'server-settings.json');
+        try {
+          let cached: Record<string, string> = {};
+          if (fs.existsSync(settingsFile))
+            cached = JSON.parse(fs.readFileSync(settingsFile, 'utf8')) as Record<string, string>;
+          Object.assign(cached, settings);
+          fs.writeFileSync(settingsFile, JSON.stringify(cached, null, 2));
+        } catch {
+          /* cache update failed, not critical */
+        }
+
+        res.json({ ok: true, updated: [...updated] });
+      } catch (err: unknown) {
+        sendError(res, API_ERRORS.FAILED_TO_SAVE_SETTINGS, 500, safeError(err));
+      }
+    });
+
+    // ── API: Server scheduler status ──
+    app.get('/api/panel/scheduler', requireTier('survivor'), (req, res) => {
+      // This will be populated by the bot when it passes the scheduler instance
+      if (req.srv.scheduler) {
+        res.json(req.srv.scheduler.getStatus());
+      } else {
+        res.json({ active: false });
+      }
+    });
+
+    // ── Schedule Editor: save restart times, profiles, and per-profile settings ──
+    app.post('/api/panel/scheduler', requireTier('admin'), rateLimit(30000, 3), (req, res) => {
+      const { restartTimes, profiles, profileSettings, rotateDaily, serverNameTemplate } = req.body as {
+        restartTimes?: string[];
+        profiles?: string[];
+        profileSettings?: Record<string, unknown>;
+        rotateDaily?: boolean;
+        serverNameTemplate?: string;
+      };
+      if (!restartTimes || !Array.isArray(restartTimes)) {
+        sendError(res, API_ERRORS.RESTART_TIMES_INVALID, 400);
+        return;
+      }
+      // Validate restart times format
+      for (const t of restartTimes) {
+        if (!/^\d{1,2}:\d{2}$/.test(t)) {
+          sendError(res, API_ERRORS.INVALID_TIME_FORMAT, 400, t);
+          return;
+        }
+      }
+      // Validate profiles
+      const profileList = Array.isArray(profiles)
+        ? profiles.filter((p: unknown): p is string => typeof p === 'string' && !!p.trim())
+        : [];
+      const settings: Record<string, Record<string, unknown>> = profileSettings && typeof profileSettings === 'object'
+        ? (profileSettings as Record<string, Record<string, unknown>>)
+        : {};
+
+      // Validate profile settings are JSON-safe objects
+      for (const [name, val] of Object.entries(settings)) {
+        if (typeof val !== 'object' || Array.isArray(val)) {
+          sendError(res, API_ERRORS.PROFILE_SETTINGS_MUST_BE_OBJECT, 400, name);
+          return;
+        }
+        // Ensure all values are strings (game server INI format)
+        for (const [k, v] of Object.entries(val)) {
+          if (typeof v !== 'string' && typeof v !== 'number') {
+            sendError(res, API_ERRORS.INVALID_PROFILE_VALUE_TYPE, 400, `${name}.${k}`);
+            return;
+          }
+        }
+      }
+
+      const timesStr = restartTimes.join(',');
+      const profilesStr = profileList.map((p: string) => p.trim().toLowerCase()).join(',');
+
+      // ── Non-primary: write to servers.json ──
+      if (!req.srv.isPrimary) {
+        try {
+          const serverId = req.srv.serverId;
+          const ok = _saveServerDef(serverId, (serverDef) => {
+            serverDef.restartTimes = timesStr;
+            serverDef.restartProfiles = profilesStr;
+            serverDef.enableServerScheduler = restartTimes.length > 0;
+            if (rotateDaily !== undefined) serverDef.restartRotateDaily = rotateDaily;
+            if (typeof serverNameTemplate === 'string') serverDef.serverNameTemplate = serverNameTemplate;
+            if (profileList.length > 0) {
+              (serverDef.restartProfileSettings as Record<string, unknown>) = {};
+              for (const name of profileList) {
+                const key = name.trim().toLowerCase();
+                if (settings[key]) (serverDef.restartProfileSettings as Record<string, unknown>)[key] = settings[key];
+              }
+            } else {
+              Reflect.deleteProperty(serverDef, 'restartProfileSettings');
+            }
+          });
+          if (!ok) {
+            sendError(res, API_ERRORS.SERVER_NOT_FOUND, 404);
+            return;
+          }
+          sendOk(res, {
+            restartRequired: true,
+            message: 'Schedule saved. Restart the bot for changes to take effect.',
+          });
+          return;
+        } catch (err: unknown) {
+          sendError(res, API_ERRORS.FAILED_TO_SAVE, 500, safeError(err));
+          return;
+        }
+      }
+
+      // ── Primary: write to .env ──
+      try {
+        const envPath = path.join(__dirname, '..', '..', '.env');
+        if (!fs.existsSync(envPath)) {
+          sendError(res, API_ERRORS.ENV_FILE_NOT_FOUND, 404);
+          return;
+        }
+
+        const content = fs.readFileSync(envPath, 'utf8');
+        const lines = content.split('\n');
+        const updated = new Set();
+
+        // Build the changes map
+        const changes: Record<string, string> = {
+          ENABLE_SERVER_SCHEDULER: restartTimes.length > 0 ? 'true' : 'false',
+          RESTART_TIMES: timesStr,
+          RESTART_PROFILES: profilesStr,
+        };
+        if (rotateDaily !== undefined) changes.RESTART_ROTATE_DAILY = rotateDaily ? 'true' : 'false';
+        if (typeof serverNameTemplate === 'string') changes.SERVER_NAME_TEMPLATE = serverNameTemplate;
+
+        // Add profile settings as RESTART_PROFILE_<NAME>=JSON
+        for (const name of profileList) {
+          const key = name.trim().toLowerCase();
+          const envKey = `RESTART_PROFILE_${key.toUpperCase()}`;
+          if (settings[key] && Object.keys(settings[key]).length > 0) {
+            changes[envKey] = JSON.stringify(settings[key]);
+          }
+        }
+
+        // Remove old RESTART_PROFILE_* that are no longer in the profile list
+        const activeProfileKeys = new Set(profileList.map((p: string) => `RESTART_PROFILE_${p.trim().toUpperCase()}`));
+
+        const newLines = lines.map((line: string) => {
+          const trimmed = line.trim();
+          const eq = trimmed.indexOf('=');
+          if (eq > 0 && !trimmed.startsWith('#') && !trimmed.startsWith(';')) {
+            const key = trimmed.substring(0, eq).trim();
+            if (key in changes) {
+              updated.add(key);
+              return `${key}=${String(changes[key])}`;
+            }
+            // Comment out old profile keys that are no longer active
+            if (key.startsWith('RESTART_PROFILE_') && !activeProfileKeys.has(key)) {
+              updated.add(key);
+              return `#${line}`;
+            }
+          }
+          // Uncomment if it's a key we want to set
+          if (trimmed.startsWith('#')) {
+            const m = trimmed.match(/^#\s*([A-Z][A-Z0-9_]*)=(.*)/);
+            if (m?.[1] && m[1] in changes) {
+              updated.add(m[1]);
+              return `${m[1]}=${String(changes[m[1]])}`;
+            }
+          }
+          return line;
+        });
+
+        // Append any keys not found
+        for (const key of Object.keys(changes)) {
+          if (!updated.has(key) && String(changes[key]) !== '') {
+            newLines.push(`${key}=${changes[key]}`);
+            updated.add(key);
+          }
+        }
+
+        const tmpPath = envPath + '.tmp';
+        fs.writeFileSync(tmpPath, newLines.join('\n'));
+        fs.renameSync(tmpPath, envPath);
+
+        sendOk(res, {
+          updated: [...updated],
+          restartRequired: true,
+          message: `Schedule saved (${updated.size} keys). Restart the bot for changes to take effect.`,
+        });
+      } catch (err: unknown) {
+        sendError(res, API_ERRORS.FAILED_TO_SAVE_SCHEDULE, 500, safeError(err));
+      }
+    });
+
+    // ══════════════════════════════════════════════════════════════════
+    //  Bot Configuration API — read/write .env file (primary) or
+    //  servers.json entry (non-primary / multi-server)
+    // ══════════════════════════════════════════════════════════════════
+
+    // Keys that contain credentials — values are NEVER sent to the client.
+    // Write is allowed (masked placeholder is replaced only if user provides a real value).
+    const ENV_SENSITIVE_KEYS = new Set([
+      'DISCORD_TOKEN',
+      'DISCORD_OAUTH_SECRET',
       'RCON_PASSWORD',
       'SFTP_PASSWORD',
       'SFTP_PRIVATE_KEY_PATH',
@@ -4226,1351 +5245,1904 @@ class WebMapServer {
             reason: 'Value is required',
           });
           return;
-        }
-        if (/[\r\n]/.test(v)) {
-          sendError(res, API_ERRORS.INVALID_VALUE_CONTAINS_NEWLINE, 400, key);
+        }
+        if (/[\r\n]/.test(v)) {
+          sendError(res, API_ERRORS.INVALID_VALUE_CONTAINS_NEWLINE, 400, key);
+          return;
+        }
+        if (v.length > 2000) {
+          sendError(res, API_ERRORS.VALUE_TOO_LONG, 400, key);
+          return;
+        }
+        if (ENV_KEY_VALIDATORS[key] || BOT_CONFIG_RUNTIME_VALIDATION_KEYS.has(key)) {
+          const mapping = validationMigrationMap[key];
+          const validation = validateField(key, value, mapping);
+          if (!validation.valid) {
+            sendError(res, API_ERRORS.INVALID_BOT_CONFIG_VALUE, 400, { key, reason: validation.error });
+            return;
+          }
+          try {
+            normalizedChanges[key] = _normalizeBotConfigTypedValue(key, validation.value);
+          } catch (err: unknown) {
+            sendError(res, API_ERRORS.INVALID_BOT_CONFIG_VALUE, 400, { key, reason: errMsg(err) });
+            return;
+          }
+        } else {
+          normalizedChanges[key] = value;
+        }
+      }
+
+      // ── Non-primary: write to serverDef via DB / servers.json ──
+      if (!req.srv.isPrimary) {
+        try {
+          const serverId = req.srv.serverId;
+          const updated = new Set<string>();
+          const ok = _saveServerDef(serverId, (serverDef) => {
+            for (const [envKey, value] of Object.entries(normalizedChanges)) {
+              const mapping = ENV_TO_SERVERDEF[envKey];
+              if (!mapping) continue; // ignore keys not in the mapping
+              const val =
+                value == null
+                  ? ''
+                  : typeof value === 'string'
+                    ? value
+                    : typeof value === 'number' || typeof value === 'boolean' || typeof value === 'bigint'
+                      ? String(value)
+                      : safeUnknownString(value);
+              // Convert booleans for boolean-like fields while preserving typed runtime fields.
+              let coerced: unknown = value;
+              if (!BOT_CONFIG_TYPED_RUNTIME_KEYS.has(envKey)) {
+                coerced = val;
+                if (val === 'true') coerced = true;
+                else if (val === 'false') coerced = false;
+                else if (
+                  /^\d+$/.test(val) &&
+                  !envKey.includes('ID') &&
+                  !envKey.includes('PATH') &&
+                  !envKey.includes('NAME') &&
+                  !envKey.includes('TEXT') &&
+                  !envKey.includes('HOST') &&
+                  !envKey.includes('USER') &&
+                  !envKey.includes('PASSWORD') &&
+                  !envKey.includes('KEY') &&
+                  !envKey.includes('LINK') &&
+                  !envKey.includes('URL') &&
+                  !envKey.includes('CONTAINER') &&
+                  !envKey.includes('TIMEZONE') &&
+                  !envKey.includes('OVERRIDES') &&
+                  !envKey.includes('PROFILES') &&
+                  !envKey.includes('TIMES')
+                ) {
+                  coerced = parseInt(val, 10);
+                }
+              }
+              // Empty/null/undefined → remove the key (so it falls through to primary defaults via prototype)
+              if (val === '') {
+                _deleteNestedValue(serverDef, mapping.jsonPath);
+                if (mapping.legacyJsonPath) _deleteNestedValue(serverDef, mapping.legacyJsonPath);
+              } else {
+                _setNestedValue(serverDef, mapping.jsonPath, coerced);
+                if (mapping.legacyJsonPath) _deleteNestedValue(serverDef, mapping.legacyJsonPath);
+              }
+              updated.add(envKey);
+            }
+          });
+
+          if (!ok) {
+            sendError(res, API_ERRORS.SERVER_NOT_FOUND_IN_SERVERS_JSON, 404);
+            return;
+          }
+
+          sendOk(res, {
+            updated: [...updated],
+            restartRequired: true,
+            message: `Updated ${updated.size} setting${updated.size !== 1 ? 's' : ''}. Restart the bot for changes to take effect.`,
+          });
+          return;
+        } catch (err: unknown) {
+          sendError(res, API_ERRORS.FAILED_TO_SAVE_SERVER_CONFIG, 500, safeError(err));
+          return;
+        }
+      }
+
+      // ── Primary: write to DB via configRepo ──
+      if (configRepo) {
+        try {
+          const migrationMap = buildMigrationMap();
+          const appPatch: Record<string, unknown> = {};
+          const serverPatch: Record<string, unknown> = {};
+          const updated = new Set<string>();
+          const runtimeConfigValues = new Map<string, { cfgKey: string; value: unknown }>();
+
+          for (const [envKey, rawValue] of Object.entries(normalizedChanges)) {
+            // Skip bootstrap keys — they live in .env and can't be changed via web panel
+            if (BOOTSTRAP_KEYS.has(envKey)) continue;
+
+            const mapping = migrationMap[envKey];
+            const targetKey = mapping?.cfgKey || envKey;
+            const type = mapping?.type || 'string';
+            const coerced = BOT_CONFIG_TYPED_RUNTIME_KEYS.has(envKey) ? rawValue : _coerce(String(rawValue), type);
+            const scope = mapping?.scope || (SERVER_SCOPED_KEYS.has(envKey) ? 'server:primary' : 'app');
+
+            if (scope === 'server:primary') {
+              serverPatch[targetKey] = coerced;
+            } else {
+              appPatch[targetKey] = coerced;
+            }
+
+            if (mapping?.cfgKey) runtimeConfigValues.set(envKey, { cfgKey: mapping.cfgKey, value: coerced });
+
+            updated.add(envKey);
+          }
+
+          if (Object.keys(appPatch).length > 0) configRepo.update('app', appPatch);
+          if (Object.keys(serverPatch).length > 0) configRepo.update('server:primary', serverPatch);
+
+          const applyResult = await summarizeConfigReloadApplyAsync(updated, {
+            applyLive(envKey) {
+              const liveConfigValue = runtimeConfigValues.get(envKey);
+              if (!liveConfigValue) throw new Error('No runtime config mapping for live setting');
+              setConfigValue(config, liveConfigValue.cfgKey, liveConfigValue.value);
+            },
+            applyModuleReconfigure: (envKey) => {
+              const runtimeConfigValue = runtimeConfigValues.get(envKey);
+              if (!runtimeConfigValue) {
+                if (this._runtimeConfigApplier?.hasModuleReconfigure(envKey)) {
+                  throw new Error('No runtime config mapping for module reconfigure setting');
+                }
+                return false;
+              }
+
+              return (
+                this._runtimeConfigApplier?.applyModuleReconfigure({
+                  envKey,
+                  cfgKey: runtimeConfigValue.cfgKey,
+                  value: runtimeConfigValue.value,
+                }) === true
+              );
+            },
+            applyModuleRestartAsync: async (envKey) => {
+              const runtimeConfigValue = runtimeConfigValues.get(envKey);
+              if (!runtimeConfigValue) {
+                if (this._runtimeConfigApplier?.hasModuleRestart(envKey)) {
+                  throw new Error('No runtime config mapping for module restart setting');
+                }
+                return false;
+              }
+
+              return (
+                (await this._runtimeConfigApplier?.applyModuleRestart({
+                  envKey,
+                  cfgKey: runtimeConfigValue.cfgKey,
+                  value: runtimeConfigValue.value,
+                })) === true
+              );
+            },
+            applyConnectionReconnect: (envKey) => {
+              const runtimeConfigValue = runtimeConfigValues.get(envKey);
+              if (!runtimeConfigValue) {
+                if (this._runtimeConfigApplier?.hasConnectionReconnect(envKey)) {
+                  throw new Error('No runtime config mapping for connection reconnect setting');
+                }
+                return false;
+              }
+
+              return (
+                this._runtimeConfigApplier?.applyConnectionReconnect({
+                  envKey,
+                  cfgKey: runtimeConfigValue.cfgKey,
+                  value: runtimeConfigValue.value,
+                }) === true
+              );
+            },
+            applyConnectionReconnectBatch: async (envKeys) => {
+              const contexts = envKeys.map((envKey) => {
+                const runtimeConfigValue = runtimeConfigValues.get(envKey);
+                if (!runtimeConfigValue) {
+                  if (this._runtimeConfigApplier?.hasConnectionReconnect(envKey)) {
+                    throw new Error('No runtime config mapping for connection reconnect setting');
+                  }
+                  return null;
+                }
+                return {
+                  envKey,
+                  cfgKey: runtimeConfigValue.cfgKey,
+                  value: runtimeConfigValue.value,
+                };
+              });
+
+              const applicableContexts = contexts.filter(
+                (context): context is NonNullable<typeof context> => context !== null,
+              );
+              const missingApplicableKeys = envKeys.filter((_envKey, index) => contexts[index] === null);
+              const applied = await this._runtimeConfigApplier?.applyConnectionReconnectBatch(applicableContexts);
+
+              return {
+                applied: applied?.applied ?? [],
+                errors: [
+                  ...(applied?.errors ?? []),
+                  ...missingApplicableKeys
+                    .filter((envKey) => this._runtimeConfigApplier?.hasConnectionReconnect(envKey))
+                    .map((envKey) => ({
+                      key: envKey,
+                      message: 'No runtime config mapping for connection reconnect setting',
+                    })),
+                ],
+              };
+            },
+          });
+
+          sendOk(res, {
+            ...applyResult,
+          });
+          return;
+        } catch (err: unknown) {
+          sendError(res, API_ERRORS.FAILED_TO_SAVE_BOT_CONFIG, 500, safeError(err));
           return;
         }
-        if (v.length > 2000) {
-          sendError(res, API_ERRORS.VALUE_TOO_LONG, 400, key);
+      }
+
+      // ── Legacy fallback: write to .env ──
+      try {
+        const envPath = path.join(__dirname, '..', '..', '.env');
+        if (!fs.existsSync(envPath)) {
+          sendError(res, API_ERRORS.ENV_FILE_NOT_FOUND, 404);
           return;
         }
-        if (ENV_KEY_VALIDATORS[key] || BOT_CONFIG_RUNTIME_VALIDATION_KEYS.has(key)) {
-          const mapping = validationMigrationMap[key];
-          const validation = validateField(key, value, mapping);
-          if (!validation.valid) {
-            sendError(res, API_ERRORS.INVALID_BOT_CONFIG_VALUE, 400, { key, reason: validation.error });
-            return;
+
+        const content = fs.readFileSync(envPath, 'utf8');
+        const lines = content.split('\n');
+        const updated = new Set();
+
+        const newLines = lines.map((line: string) => {
+          const trimmed = line.trim();
+
+          // Active key=value line
+          const eq = trimmed.indexOf('=');
+          if (eq > 0 && !trimmed.startsWith('#') && !trimmed.startsWith(';')) {
+            const key = trimmed.substring(0, eq).trim();
+            if (key in changes) {
+              updated.add(key);
+              return `${key}=${String(changes[key])}`;
+            }
           }
-          try {
-            normalizedChanges[key] = _normalizeBotConfigTypedValue(key, validation.value);
-          } catch (err: unknown) {
-            sendError(res, API_ERRORS.INVALID_BOT_CONFIG_VALUE, 400, { key, reason: errMsg(err) });
-            return;
+
+          // Commented-out key — uncomment it if user is setting a value
+          if (trimmed.startsWith('#')) {
+            const commentedMatch = trimmed.match(/^#\s*([A-Z][A-Z0-9_]*)=(.*)/);
+            if (commentedMatch?.[1] && commentedMatch[1] in changes) {
+              const key = commentedMatch[1];
+              updated.add(key);
+              const val = String(changes[key]);
+              // If setting to empty, re-comment it
+              if (val === '') return `#${key}=`;
+              return `${key}=${val}`;
+            }
+          }
+
+          return line;
+        });
+
+        // Any keys not found in the file — append them at the end
+        for (const key of Object.keys(changes)) {
+          if (!updated.has(key) && String(changes[key]) !== '') {
+            newLines.push(`${key}=${String(changes[key])}`);
+            updated.add(key);
           }
-        } else {
-          normalizedChanges[key] = value;
         }
+
+        // Write atomically — write to temp then rename
+        const tmpPath = envPath + '.tmp';
+        fs.writeFileSync(tmpPath, newLines.join('\n'));
+        fs.renameSync(tmpPath, envPath);
+
+        sendOk(res, {
+          updated: [...updated],
+          restartRequired: true,
+          message: `Updated ${updated.size} setting${updated.size !== 1 ? 's' : ''}. Restart the bot for changes to take effect.`,
+        });
+      } catch (err: unknown) {
+        sendError(res, API_ERRORS.FAILED_TO_SAVE_BOT_CONFIG, 500, safeError(err));
       }
+    });
 
-      // ── Non-primary: write to serverDef via DB / servers.json ──
-      if (!req.srv.isPrimary) {
-        try {
-          const serverId = req.srv.serverId;
-          const updated = new Set<string>();
-          const ok = _saveServerDef(serverId, (serverDef) => {
-            for (const [envKey, value] of Object.entries(normalizedChanges)) {
-              const mapping = ENV_TO_SERVERDEF[envKey];
-              if (!mapping) continue; // ignore keys not in the mapping
-              const val =
-                value == null
-                  ? ''
-                  : typeof value === 'string'
-                    ? value
-                    : typeof value === 'number' || typeof value === 'boolean' || typeof value === 'bigint'
-                      ? String(value)
-                      : safeUnknownString(value);
-              // Convert booleans for boolean-like fields while preserving typed runtime fields.
-              let coerced: unknown = value;
-              if (!BOT_CONFIG_TYPED_RUNTIME_KEYS.has(envKey)) {
-                coerced = val;
-                if (val === 'true') coerced = true;
-                else if (val === 'false') coerced = false;
-                else if (
-                  /^\d+$/.test(val) &&
-                  !envKey.includes('ID') &&
-                  !envKey.includes('PATH') &&
-                  !envKey.includes('NAME') &&
-                  !envKey.includes('TEXT') &&
-                  !envKey.includes('HOST') &&
-                  !envKey.includes('USER') &&
-                  !envKey.includes('PASSWORD') &&
-                  !envKey.includes('KEY') &&
-                  !envKey.includes('LINK') &&
-                  !envKey.includes('URL') &&
-                  !envKey.includes('CONTAINER') &&
-                  !envKey.includes('TIMEZONE') &&
-                  !envKey.includes('OVERRIDES') &&
-                  !envKey.includes('PROFILES') &&
-                  !envKey.includes('TIMES')
-                ) {
-                  coerced = parseInt(val, 10);
-                }
-              }
-              // Empty/null/undefined → remove the key (so it falls through to primary defaults via prototype)
-              if (val === '') {
-                _deleteNestedValue(serverDef, mapping.jsonPath);
-                if (mapping.legacyJsonPath) _deleteNestedValue(serverDef, mapping.legacyJsonPath);
-              } else {
-                _setNestedValue(serverDef, mapping.jsonPath, coerced);
-                if (mapping.legacyJsonPath) _deleteNestedValue(serverDef, mapping.legacyJsonPath);
-              }
-              updated.add(envKey);
-            }
-          });
+    // ══════════════════════════════════════════════════════════════════
+    //  Welcome File Editor
+    // ══════════════════════════════════════════════════════════════════
 
-          if (!ok) {
-            sendError(res, API_ERRORS.SERVER_NOT_FOUND_IN_SERVERS_JSON, 404);
+    /** GET /api/panel/welcome-file — read current welcome file from SFTP (fallback to config) */
+    app.get('/api/panel/welcome-file', requireTier('admin'), rateLimit(10000, 10), async (req, res) => {
+      const placeholders = [
+        '{server_name}',
+        '{day}',
+        '{season}',
+        '{weather}',
+        '{pvp_schedule}',
+        '{discord_link}',
+        '{discord}',
+      ];
+      try {
+        // Try reading the actual file from the game server via SFTP
+        const welcomePath = req.srv.config.sftpWelcomePath;
+        if (welcomePath) {
+          const SftpClient = (await import('ssh2-sftp-client')).default;
+          const sftp = new SftpClient();
+          try {
+            await sftp.connect(req.srv.config.sftpConnectConfig());
+            const buf = (await sftp.get(welcomePath)) as Buffer;
+            const content = buf.toString('utf8');
+            sendOk(res, { content, placeholders, source: 'sftp' });
             return;
+          } catch (sftpErr: unknown) {
+            console.warn('[WelcomeFile] SFTP read failed, falling back to config:', errMsg(sftpErr));
+          } finally {
+            await sftp.end().catch(() => {});
           }
+        }
 
-          sendOk(res, {
-            updated: [...updated],
-            restartRequired: true,
-            message: `Updated ${updated.size} setting${updated.size !== 1 ? 's' : ''}. Restart the bot for changes to take effect.`,
-          });
+        // Fallback: read from config (pipe-separated lines → newline-separated)
+        const lines = (req.srv.config.welcomeFileLines as string[] | undefined) ?? [];
+        const content = Array.isArray(lines) ? lines.join('\n') : String(lines);
+        sendOk(res, { content, placeholders, source: content ? 'config' : 'empty' });
+        return;
+      } catch (err: unknown) {
+        sendError(res, 'WELCOME_FILE_READ_FAILED', 500, safeError(err));
+        return;
+      }
+    });
+
+    /** POST /api/panel/welcome-file — save welcome file content + trigger SFTP upload */
+    app.post('/api/panel/welcome-file', requireTier('admin'), rateLimit(30000, 3), async (req, res) => {
+      try {
+        const { content } = req.body as { content?: unknown };
+        if (typeof content !== 'string') {
+          sendError(res, 'INVALID_CONTENT', 400);
           return;
-        } catch (err: unknown) {
-          sendError(res, API_ERRORS.FAILED_TO_SAVE_SERVER_CONFIG, 500, safeError(err));
+        }
+        if (content.length > 10000) {
+          sendError(res, 'CONTENT_TOO_LARGE', 400);
           return;
         }
-      }
 
-      // ── Primary: write to DB via configRepo ──
-      if (configRepo) {
-        try {
-          const migrationMap = buildMigrationMap();
-          const appPatch: Record<string, unknown> = {};
-          const serverPatch: Record<string, unknown> = {};
-          const updated = new Set<string>();
-          const runtimeConfigValues = new Map<string, { cfgKey: string; value: unknown }>();
+        // Convert newlines to pipe-separated array
+        const lines = content.split('\n');
 
-          for (const [envKey, rawValue] of Object.entries(normalizedChanges)) {
-            // Skip bootstrap keys — they live in .env and can't be changed via web panel
-            if (BOOTSTRAP_KEYS.has(envKey)) continue;
+        // Save to config
+        const config = req.srv.config;
+        config.welcomeFileLines = lines;
 
-            const mapping = migrationMap[envKey];
-            const targetKey = mapping?.cfgKey || envKey;
-            const type = mapping?.type || 'string';
-            const coerced = BOT_CONFIG_TYPED_RUNTIME_KEYS.has(envKey) ? rawValue : _coerce(String(rawValue), type);
-            const scope = mapping?.scope || (SERVER_SCOPED_KEYS.has(envKey) ? 'server:primary' : 'app');
+        if (configRepo) {
+          configRepo.update('app', { welcomeFileLines: lines });
+        } else {
+          // Legacy .env fallback
+          const envPath = path.join(__dirname, '..', '..', '.env');
+          if (fs.existsSync(envPath)) {
+            const envContent = fs.readFileSync(envPath, 'utf8');
+            const envLines = envContent.split('\n');
+            const pipeValue = lines.join('|');
+            const hasKey = envLines.some((l: string) => l.startsWith('WELCOME_FILE_LINES='));
+            const newEnvLines = envLines.map((l: string) => {
+              if (l.startsWith('WELCOME_FILE_LINES=')) {
+                return `WELCOME_FILE_LINES=${pipeValue}`;
+              }
+              return l;
+            });
+            if (!hasKey) newEnvLines.push(`WELCOME_FILE_LINES=${pipeValue}`);
+            fs.writeFileSync(envPath, newEnvLines.join('\n'));
+          }
+        }
+
+        // Upload directly via SFTP
+        const welcomePath = config.sftpWelcomePath;
+        if (welcomePath) {
+          try {
+            const SftpClient = (await import('ssh2-sftp-client')).default;
+            const sftp = new SftpClient();
+            await sftp.connect(config.sftpConnectConfig());
+            await sftp.put(Buffer.from(content, 'utf8'), welcomePath);
+            await sftp.end().catch(() => {});
+            console.log('[WelcomeFile] Uploaded WelcomeMessage.txt via panel editor');
+          } catch (sftpErr: unknown) {
+            console.error('[WelcomeFile] SFTP upload failed:', errMsg(sftpErr));
+            sendOk(res, {
+              message: 'Welcome file saved to config but SFTP upload failed: ' + errMsg(sftpErr),
+              lineCount: lines.length,
+              uploaded: false,
+            });
+            return;
+          }
+        }
+        sendOk(res, {
+          message: welcomePath
+            ? 'Welcome file saved and uploaded'
+            : 'Welcome file saved to config (no SFTP path configured)',
+          lineCount: lines.length,
+          uploaded: !!welcomePath,
+        });
+        return;
+      } catch (err: unknown) {
+        sendError(res, 'WELCOME_FILE_SAVE_FAILED', 500, safeError(err));
+        return;
+      }
+    });
 
-            if (scope === 'server:primary') {
-              serverPatch[targetKey] = coerced;
-            } else {
-              appPatch[targetKey] = coerced;
-            }
+    /** GET /api/panel/chat-commands — in-game command settings + admin-defined text commands */
+    app.get('/api/panel/chat-commands', requireTier('admin'), rateLimit(10000, 10), (req, res) => {
+      if (!req.srv.isPrimary) {
+        sendError(res, API_ERRORS.CHAT_COMMANDS_UNAVAILABLE, 400);
+        return;
+      }
+      const config = req.srv.config;
+      const parsed = parseCustomCommands(config.chatCustomCommands);
+      sendOk(res, {
+        enabled: config.enableChatCommands,
+        prefix: config.chatCommandPrefix,
+        cooldown: config.chatCommandCooldown,
+        builtins: BUILTIN_COMMANDS,
+        maxCommands: MAX_CUSTOM_COMMANDS,
+        placeholders: ['{player}', '{discord}', '{server}'],
+        commands: parsed.ok ? parsed.value : [],
+      });
+    });
 
-            if (mapping?.cfgKey) runtimeConfigValues.set(envKey, { cfgKey: mapping.cfgKey, value: coerced });
+    /** POST /api/panel/chat-commands — replace the custom text command list (applies live) */
+    app.post('/api/panel/chat-commands', requireTier('admin'), rateLimit(30000, 5), (req, res) => {
+      if (!req.srv.isPrimary) {
+        sendError(res, API_ERRORS.CHAT_COMMANDS_UNAVAILABLE, 400);
+        return;
+      }
+      const parsed = parseCustomCommands((req.body as { commands?: unknown }).commands);
+      if (!parsed.ok) {
+        const reason = parsed.index >= 0 ? `#${String(parsed.index + 1)} ${parsed.code}` : parsed.code;
+        sendError(res, API_ERRORS.INVALID_CHAT_COMMANDS, 400, { reason });
+        return;
+      }
+      try {
+        req.srv.config.chatCustomCommands = parsed.value;
+        if (configRepo) configRepo.update('app', { chatCustomCommands: parsed.value });
+        sendOk(res, { commands: parsed.value, persisted: !!configRepo });
+      } catch (err: unknown) {
+        sendError(res, 'CHAT_COMMANDS_SAVE_FAILED', 500, safeError(err));
+      }
+    });
 
-            updated.add(envKey);
-          }
+    // ══════════════════════════════════════════════════════════════════
+    //  Anticheat API — flag browser, risk scores, review
+    // ══════════════════════════════════════════════════════════════════
 
-          if (Object.keys(appPatch).length > 0) configRepo.update('app', appPatch);
-          if (Object.keys(serverPatch).length > 0) configRepo.update('server:primary', serverPatch);
+    /** GET /api/panel/anticheat/flags — list flags with optional filters */
+    app.get('/api/panel/anticheat/flags', requireTier('admin'), rateLimit(10000, 15), (req, res) => {
+      const srv = req.srv;
+      if (!srv.db) return res.json([]);
+      try {
+        const { status, severity, steam_id, detector, limit } = req.query;
+        const maxRows = Math.min(parseInt(limit as string, 10) || 100, 500);
+        let flags;
 
-          const applyResult = await summarizeConfigReloadApplyAsync(updated, {
-            applyLive(envKey) {
-              const liveConfigValue = runtimeConfigValues.get(envKey);
-              if (!liveConfigValue) throw new Error('No runtime config mapping for live setting');
-              setConfigValue(config, liveConfigValue.cfgKey, liveConfigValue.value);
-            },
-            applyModuleReconfigure: (envKey) => {
-              const runtimeConfigValue = runtimeConfigValues.get(envKey);
-              if (!runtimeConfigValue) {
-                if (this._runtimeConfigApplier?.hasModuleReconfigure(envKey)) {
-                  throw new Error('No runtime config mapping for module reconfigure setting');
-                }
-                return false;
-              }
+        if (steam_id) {
+          flags = srv.db.antiCheat.getAcFlagsBySteam(steam_id as string, maxRows);
+        } else if (detector) {
+          flags = srv.db.antiCheat.getAcFlagsByDetector(detector as string, (status || 'open') as string, maxRows);
+        } else if (status) {
+          flags = srv.db.antiCheat.getAcFlags(status as string, maxRows);
+        } else {
+          flags = srv.db.antiCheat.getAcFlags('open', maxRows);
+        }
 
-              return (
-                this._runtimeConfigApplier?.applyModuleReconfigure({
-                  envKey,
-                  cfgKey: runtimeConfigValue.cfgKey,
-                  value: runtimeConfigValue.value,
-                }) === true
-              );
-            },
-            applyModuleRestartAsync: async (envKey) => {
-              const runtimeConfigValue = runtimeConfigValues.get(envKey);
-              if (!runtimeConfigValue) {
-                if (this._runtimeConfigApplier?.hasModuleRestart(envKey)) {
-                  throw new Error('No runtime config mapping for module restart setting');
-                }
-                return false;
-              }
+        // Apply severity filter client-side if both status and severity are set
+        if (severity) {
+          flags = (flags as Record<string, unknown>[]).filter((f) => f.severity === severity);
+        }
 
-              return (
-                (await this._runtimeConfigApplier?.applyModuleRestart({
-                  envKey,
-                  cfgKey: runtimeConfigValue.cfgKey,
-                  value: runtimeConfigValue.value,
-                })) === true
-              );
-            },
-            applyConnectionReconnect: (envKey) => {
-              const runtimeConfigValue = runtimeConfigValues.get(envKey);
-              if (!runtimeConfigValue) {
-                if (this._runtimeConfigApplier?.hasConnectionReconnect(envKey)) {
-                  throw new Error('No runtime config mapping for connection reconnect setting');
-                }
-                return false;
-              }
+        // Resolve player names from players table
+        const nameMap: Record<string, string> = {};
+        try {
+          const rows = srv.db.player.listAllPlayerNames();
+          for (const r of rows) nameMap[r.steam_id] = r.name;
+        } catch {
+          /* */
+        }
 
-              return (
-                this._runtimeConfigApplier?.applyConnectionReconnect({
-                  envKey,
-                  cfgKey: runtimeConfigValue.cfgKey,
-                  value: runtimeConfigValue.value,
-                }) === true
-              );
-            },
-            applyConnectionReconnectBatch: async (envKeys) => {
-              const contexts = envKeys.map((envKey) => {
-                const runtimeConfigValue = runtimeConfigValues.get(envKey);
-                if (!runtimeConfigValue) {
-                  if (this._runtimeConfigApplier?.hasConnectionReconnect(envKey)) {
-                    throw new Error('No runtime config mapping for connection reconnect setting');
-                  }
-                  return null;
-                }
-                return {
-                  envKey,
-                  cfgKey: runtimeConfigValue.cfgKey,
-                  value: runtimeConfigValue.value,
-                };
-              });
+        flags = (flags as Record<string, unknown>[]).map((f) => ({
+          ...f,
+          player_name: (f.player_name as string | undefined) || nameMap[f.steam_id as string] || f.steam_id,
+        }));
 
-              const applicableContexts = contexts.filter(
-                (context): context is NonNullable<typeof context> => context !== null,
-              );
-              const missingApplicableKeys = envKeys.filter((_envKey, index) => contexts[index] === null);
-              const applied = await this._runtimeConfigApplier?.applyConnectionReconnectBatch(applicableContexts);
+        res.json(flags);
+      } catch (err: unknown) {
+        sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
+      }
+    });
 
-              return {
-                applied: applied?.applied ?? [],
-                errors: [
-                  ...(applied?.errors ?? []),
-                  ...missingApplicableKeys
-                    .filter((envKey) => this._runtimeConfigApplier?.hasConnectionReconnect(envKey))
-                    .map((envKey) => ({
-                      key: envKey,
-                      message: 'No runtime config mapping for connection reconnect setting',
-                    })),
-                ],
-              };
-            },
-          });
+    /** GET /api/panel/anticheat/risk-scores — all player risk scores */
+    app.get('/api/panel/anticheat/risk-scores', requireTier('admin'), rateLimit(10000, 10), (req, res) => {
+      if (!req.srv.db) return res.json([]);
+      try {
+        const scores = req.srv.db.antiCheat.getAllRiskScores();
+        res.json(scores);
+      } catch (err: unknown) {
+        sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
+      }
+    });
 
-          sendOk(res, {
-            ...applyResult,
-          });
-          return;
-        } catch (err: unknown) {
-          sendError(res, API_ERRORS.FAILED_TO_SAVE_BOT_CONFIG, 500, safeError(err));
+    /** POST /api/panel/anticheat/flags/:id/review — confirm, dismiss, or whitelist a flag */
+    app.post('/api/panel/anticheat/flags/:id/review', requireTier('admin'), rateLimit(10000, 10), (req, res) => {
+      if (!req.srv.db) {
+        sendError(res, API_ERRORS.DATABASE_NOT_AVAILABLE, 500);
+        return;
+      }
+      try {
+        const flagId = parseInt(req.params.id as string, 10);
+        if (isNaN(flagId)) {
+          sendError(res, API_ERRORS.INVALID_FLAG_ID, 400);
           return;
         }
-      }
 
-      // ── Legacy fallback: write to .env ──
-      try {
-        const envPath = path.join(__dirname, '..', '..', '.env');
-        if (!fs.existsSync(envPath)) {
-          sendError(res, API_ERRORS.ENV_FILE_NOT_FOUND, 404);
+        const { status, notes } = req.body as { status?: string; notes?: string };
+        if (!status || !['confirmed', 'dismissed', 'whitelisted'].includes(status)) {
+          sendError(res, API_ERRORS.INVALID_STATUS, 400);
           return;
         }
 
-        const content = fs.readFileSync(envPath, 'utf8');
-        const lines = content.split('\n');
-        const updated = new Set();
+        // Get reviewer identity from session
+        const reviewedBy = req.session.username || req.session.discordId || 'admin';
 
-        const newLines = lines.map((line: string) => {
-          const trimmed = line.trim();
+        req.srv.db.antiCheat.updateAcFlagStatus(flagId, status, reviewedBy, notes ?? '');
+        res.json({ ok: true, flagId, status });
+      } catch (err: unknown) {
+        sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
+      }
+    });
 
-          // Active key=value line
-          const eq = trimmed.indexOf('=');
-          if (eq > 0 && !trimmed.startsWith('#') && !trimmed.startsWith(';')) {
-            const key = trimmed.substring(0, eq).trim();
-            if (key in changes) {
-              updated.add(key);
-              return `${key}=${String(changes[key])}`;
-            }
+    /** GET /api/panel/anticheat/stats — summary counts for dashboard */
+    app.get('/api/panel/anticheat/stats', requireTier('admin'), rateLimit(10000, 10), (req, res) => {
+      if (!req.srv.db) return res.json({ open: 0, confirmed: 0, dismissed: 0, total: 0 });
+      try {
+        const srv = req.srv;
+        const countByStatus = (s: string | null) => {
+          try {
+            if (!srv.db) return 0;
+            if (s) return srv.db.antiCheat.countAcFlagsByStatus(s);
+            return srv.db.antiCheat.countAllAcFlags();
+          } catch {
+            return 0;
           }
+        };
+        const open = countByStatus('open');
+        const confirmed = countByStatus('confirmed');
+        const dismissed = countByStatus('dismissed');
+        const total = countByStatus(null);
+        res.json({ open, confirmed, dismissed, total });
+      } catch (err: unknown) {
+        sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
+      }
+    });
+
+    // ══════════════════════════════════════════════════════════════════
+    //  Multi-Server Management API — fleet-wide CRUD, lifecycle, discovery
+    // ══════════════════════════════════════════════════════════════════
+
+    /** Mask sensitive fields in a server definition for API responses. */
+    function _maskServerDef(def: Record<string, unknown>): Record<string, unknown> {
+      const masked = JSON.parse(JSON.stringify(def)) as Record<string, Record<string, unknown>>;
+      if (masked.rcon?.password != null) masked.rcon.password = { hasValue: !!masked.rcon.password };
+      if (masked.sftp?.password != null) masked.sftp.password = { hasValue: !!masked.sftp.password };
+      if (masked.sftp?.privateKeyPath != null) masked.sftp.privateKeyPath = { hasValue: !!masked.sftp.privateKeyPath };
+      if (masked.panel?.apiKey != null) masked.panel.apiKey = { hasValue: !!masked.panel.apiKey };
+      return masked;
+    }
 
-          // Commented-out key — uncomment it if user is setting a value
-          if (trimmed.startsWith('#')) {
-            const commentedMatch = trimmed.match(/^#\s*([A-Z][A-Z0-9_]*)=(.*)/);
-            if (commentedMatch?.[1] && commentedMatch[1] in changes) {
-              const key = commentedMatch[1];
-              updated.add(key);
-              const val = String(changes[key]);
-              // If setting to empty, re-comment it
-              if (val === '') return `#${key}=`;
-              return `${key}=${val}`;
+    /** Test RCON auth via raw Source RCON protocol. Resolves { ok, error? }. */
+    async function _testRconAuth(
+      host: string,
+      port: number | string,
+      password: string,
+      timeout = 10000,
+    ): Promise<{ ok: boolean; error?: string }> {
+      // Validate host: must be hostname or IP, no URL schemes/paths/spaces
+      if (typeof host !== 'string' || !/^[\w.:-]+$/.test(host) || host.includes('://')) {
+        return Promise.resolve({ ok: false, error: 'Invalid host format' });
+      }
+      const numPort = Number(port);
+      if (!Number.isInteger(numPort) || numPort < 1 || numPort > 65535) {
+        return Promise.resolve({ ok: false, error: 'Invalid port (must be 1-65535)' });
+      }
+      console.log('[WebMap] RCON test: %s:%d by admin', host, numPort);
+      const net = await import('net');
+      return new Promise((resolve) => {
+        const socket = new net.Socket();
+        let resolved = false;
+        let buf = Buffer.alloc(0);
+        const done = (result: { ok: boolean; error?: string }) => {
+          if (resolved) return;
+          resolved = true;
+          clearTimeout(timer);
+          try {
+            socket.destroy();
+          } catch (cleanupErr: unknown) {
+            console.warn('[WebMap] RCON test socket cleanup error:', errMsg(cleanupErr));
+          }
+          resolve(result);
+        };
+        const timer = setTimeout(() => {
+          done({ ok: false, error: 'Connection timed out' });
+        }, timeout);
+        socket.connect(port as number, host, () => {
+          const passLen = Buffer.byteLength(password, 'utf8');
+          const bodyLen = 4 + 4 + passLen + 1 + 1;
+          const pkt = Buffer.alloc(4 + bodyLen);
+          pkt.writeInt32LE(bodyLen, 0);
+          pkt.writeInt32LE(1, 4);
+          pkt.writeInt32LE(3, 8); // SERVERDATA_AUTH
+          pkt.write(password, 12, 'utf8');
+          socket.write(pkt);
+        });
+        socket.on('data', (chunk: Buffer) => {
+          buf = Buffer.concat([buf, chunk]);
+          while (buf.length >= 12) {
+            const pktSize = buf.readInt32LE(0);
+            if (pktSize < 10 || pktSize > 4096) {
+              done({ ok: false, error: 'Invalid RCON response' });
+              return;
+            }
+            if (buf.length < 4 + pktSize) break;
+            const id = buf.readInt32LE(4);
+            const type = buf.readInt32LE(8);
+            buf = buf.subarray(4 + pktSize);
+            if (type === 2) {
+              done(id === -1 ? { ok: false, error: 'Authentication failed' } : { ok: true });
+              return;
             }
           }
-
-          return line;
         });
+        socket.on('error', (err: NodeJS.ErrnoException | null) => {
+          done({ ok: false, error: errMsg(err) });
+        });
+        socket.setTimeout(timeout);
+        socket.on('timeout', () => {
+          done({ ok: false, error: 'Connection timed out' });
+        });
+      });
+    }
 
-        // Any keys not found in the file — append them at the end
-        for (const key of Object.keys(changes)) {
-          if (!updated.has(key) && String(changes[key]) !== '') {
-            newLines.push(`${key}=${String(changes[key])}`);
-            updated.add(key);
+    /** Test SFTP auth + directory listing. Resolves { ok, error? }. */
+    async function _testSftpAuth(
+      sftpCfg: Record<string, unknown>,
+      timeout = 10000,
+    ): Promise<{ ok: boolean; error?: string }> {
+      const SftpClient = (await import('ssh2-sftp-client')).default;
+      const client = new SftpClient();
+      try {
+        const opts: Record<string, unknown> = {
+          host: sftpCfg.host,
+          port: sftpCfg.port || 22,
+          username: sftpCfg.user,
+          readyTimeout: timeout,
+        };
+        if (sftpCfg.password) opts.password = sftpCfg.password;
+        if (sftpCfg.privateKeyPath) {
+          try {
+            opts.privateKey = readPrivateKey(sftpCfg.privateKeyPath as string);
+          } catch (keyErr: unknown) {
+            return { ok: false, error: 'Cannot read private key: ' + errMsg(keyErr) };
           }
         }
-
-        // Write atomically — write to temp then rename
-        const tmpPath = envPath + '.tmp';
-        fs.writeFileSync(tmpPath, newLines.join('\n'));
-        fs.renameSync(tmpPath, envPath);
-
-        sendOk(res, {
-          updated: [...updated],
-          restartRequired: true,
-          message: `Updated ${updated.size} setting${updated.size !== 1 ? 's' : ''}. Restart the bot for changes to take effect.`,
-        });
+        await client.connect(opts);
+        await client.list('/');
+        return { ok: true };
       } catch (err: unknown) {
-        sendError(res, API_ERRORS.FAILED_TO_SAVE_BOT_CONFIG, 500, safeError(err));
+        return { ok: false, error: (errMsg(err) || 'Connection failed').substring(0, 200) };
+      } finally {
+        try {
+          await client.end();
+        } catch (endErr: unknown) {
+          console.warn('[WebMap] SFTP test client cleanup error:', errMsg(endErr));
+        }
       }
-    });
-
-    // ══════════════════════════════════════════════════════════════════
-    //  Welcome File Editor
-    // ══════════════════════════════════════════════════════════════════
+    }
 
-    /** GET /api/panel/welcome-file — read current welcome file from SFTP (fallback to config) */
-    app.get('/api/panel/welcome-file', requireTier('admin'), rateLimit(10000, 10), async (req, res) => {
-      const placeholders = [
-        '{server_name}',
-        '{day}',
-        '{season}',
-        '{weather}',
-        '{pvp_schedule}',
-        '{discord_link}',
-        '{discord}',
-      ];
+    /** GET /api/panel/servers — List all servers with status */
+    app.get('/api/panel/servers', requireTier('admin'), rateLimit(10000, 10), (_req, res) => {
       try {
-        // Try reading the actual file from the game server via SFTP
-        const welcomePath = req.srv.config.sftpWelcomePath;
-        if (welcomePath) {
-          const SftpClient = (await import('ssh2-sftp-client')).default;
-          const sftp = new SftpClient();
-          try {
-            await sftp.connect(req.srv.config.sftpConnectConfig());
-            const buf = (await sftp.get(welcomePath)) as Buffer;
-            const content = buf.toString('utf8');
-            sendOk(res, { content, placeholders, source: 'sftp' });
-            return;
-          } catch (sftpErr: unknown) {
-            console.warn('[WelcomeFile] SFTP read failed, falling back to config:', errMsg(sftpErr));
-          } finally {
-            await sftp.end().catch(() => {});
+        const servers = [];
+
+        // ── Primary server ──
+        const primaryInfo = {
+          id: 'primary',
+          name: config.serverName || 'Primary Server',
+          isPrimary: true,
+          enabled: true,
+          status: rcon.connected ? 'running' : 'offline',
+          players: { current: 0, max: null },
+          rcon: { host: config.rconHost || null, port: config.rconPort || null, connected: rcon.connected },
+          sftp: { host: config.sftpHost || null, configured: !!(config.sftpHost && config.sftpUser) },
+          lastSync: (() => {
+            const ss = this._saveService;
+            if (!ss) return null;
+            const ssStats = ss.stats;
+            const t = ssStats.lastMtime as number | null;
+            return t ? new Date(t).toISOString() : (ssStats.syncCount as number) > 0 ? new Date().toISOString() : null;
+          })(),
+          modules: [],
+        };
+        const primaryStatusCache = this._getCached('status', 'primary', 30000) as Record<string, unknown> | null;
+        if (primaryStatusCache) {
+          primaryInfo.status = (primaryStatusCache.serverState as string) || 'unknown';
+          primaryInfo.players.current = (primaryStatusCache.onlineCount as number) || 0;
+          (primaryInfo as Record<string, unknown>).players = {
+            ...((primaryInfo as Record<string, unknown>).players as Record<string, unknown>),
+            max: (primaryStatusCache.maxPlayers as number) || null,
+          };
+        }
+        const primaryMods: string[] = [];
+        if (rcon.connected) primaryMods.push('rcon');
+        if (this._db) primaryMods.push('db');
+        if (this._saveService) primaryMods.push('sftp');
+        if (this._scheduler?.isActive()) primaryMods.push('schedule');
+        (primaryInfo as Record<string, unknown>).modules = primaryMods;
+        servers.push(primaryInfo);
+
+        // ── Managed servers ──
+        const managed = this._loadServerList();
+        const statuses: Record<string, unknown>[] = this._multiServerManager?.getStatuses() || [];
+        const statusMap = new Map(statuses.map((s) => [s.id as string, s]));
+
+        for (const def of managed) {
+          const st = statusMap.get(def.id);
+          const inst = this._multiServerManager?.getInstance(def.id);
+          const info: Record<string, unknown> = {
+            id: def.id,
+            name: def.name || def.id,
+            isPrimary: false,
+            enabled: def.enabled !== false,
+            status: st?.running ? 'running' : 'stopped',
+            players: { current: 0, max: null },
+            rcon: {
+              host: (def.rcon as Record<string, unknown> | undefined)?.host || null,
+              port: (def.rcon as Record<string, unknown> | undefined)?.port || null,
+              connected: !!(inst?.rcon && inst.rcon.connected),
+            },
+            sftp: {
+              host: (def.sftp as Record<string, unknown> | undefined)?.host || null,
+              configured: !!(
+                (def.sftp as Record<string, unknown> | undefined)?.host &&
+                (def.sftp as Record<string, unknown> | undefined)?.user
+              ),
+            },
+            lastSync: null,
+            modules: [] as string[],
+          };
+          const srvCache = this._getCached('status', def.id, 30000) as Record<string, unknown> | null;
+          if (srvCache) {
+            if (srvCache.serverState === 'running') info.status = 'running';
+            (info.players as Record<string, unknown>).current = srvCache.onlineCount || 0;
+            (info.players as Record<string, unknown>).max = srvCache.maxPlayers || null;
           }
+          const mods: string[] = [];
+          if (inst?.rcon && inst.rcon.connected) mods.push('rcon');
+          if (inst?.db) mods.push('db');
+          if (inst?.saveService || inst?.hasSftp) mods.push('sftp');
+          if (inst?.isModuleActive('serverScheduler')) mods.push('schedule');
+          if (inst?.hasModule('logWatcher')) mods.push('logs');
+          if (inst?.hasModule('chatRelay')) mods.push('chat');
+          info.modules = mods;
+          servers.push(info);
         }
 
-        // Fallback: read from config (pipe-separated lines → newline-separated)
-        const lines = (req.srv.config.welcomeFileLines as string[] | undefined) ?? [];
-        const content = Array.isArray(lines) ? lines.join('\n') : String(lines);
-        sendOk(res, { content, placeholders, source: content ? 'config' : 'empty' });
-        return;
+        sendOk(res, { servers });
       } catch (err: unknown) {
-        sendError(res, 'WELCOME_FILE_READ_FAILED', 500, safeError(err));
-        return;
+        sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
       }
     });
 
-    /** POST /api/panel/welcome-file — save welcome file content + trigger SFTP upload */
-    app.post('/api/panel/welcome-file', requireTier('admin'), rateLimit(30000, 3), async (req, res) => {
+    /** POST /api/panel/servers — Create a new managed server */
+    app.post('/api/panel/servers', requireTier('admin'), rateLimit(10000, 5), async (req, res) => {
       try {
-        const { content } = req.body as { content?: unknown };
-        if (typeof content !== 'string') {
-          sendError(res, 'INVALID_CONTENT', 400);
+        const {
+          name,
+          rcon: rconCfg,
+          sftp,
+          channels,
+          enabled,
+          startImmediately,
+        } = req.body as {
+          name?: string;
+          rcon?: { host: string; port: number; password: string };
+          sftp?: { host?: string; port?: number; user?: string; password?: string; privateKeyPath?: string };
+          channels?: unknown;
+          enabled?: boolean;
+          startImmediately?: boolean;
+        };
+        if (!name || typeof name !== 'string' || !name.trim()) {
+          sendError(res, API_ERRORS.MISSING_SERVER_NAME, 400);
           return;
         }
-        if (content.length > 10000) {
-          sendError(res, 'CONTENT_TOO_LARGE', 400);
+        if (!rconCfg || !rconCfg.host || !rconCfg.port || !rconCfg.password) {
+          sendError(res, API_ERRORS.MISSING_RCON_CONFIG, 400);
           return;
         }
 
-        // Convert newlines to pipe-separated array
-        const lines = content.split('\n');
-
-        // Save to config
-        const config = req.srv.config;
-        config.welcomeFileLines = lines;
+        // Check name uniqueness
+        const existing = this._loadServerList();
+        if (existing.some((s: { name?: string }) => s.name === name.trim())) {
+          sendError(res, API_ERRORS.SERVER_NAME_EXISTS, 409);
+          return;
+        }
 
-        if (configRepo) {
-          configRepo.update('app', { welcomeFileLines: lines });
-        } else {
-          // Legacy .env fallback
-          const envPath = path.join(__dirname, '..', '..', '.env');
-          if (fs.existsSync(envPath)) {
-            const envContent = fs.readFileSync(envPath, 'utf8');
-            const envLines = envContent.split('\n');
-            const pipeValue = lines.join('|');
-            const hasKey = envLines.some((l: string) => l.startsWith('WELCOME_FILE_LINES='));
-            const newEnvLines = envLines.map((l: string) => {
-              if (l.startsWith('WELCOME_FILE_LINES=')) {
-                return `WELCOME_FILE_LINES=${pipeValue}`;
-              }
-              return l;
-            });
-            if (!hasKey) newEnvLines.push(`WELCOME_FILE_LINES=${pipeValue}`);
-            fs.writeFileSync(envPath, newEnvLines.join('\n'));
-          }
+        const id = 'srv_' + Date.now().toString(36);
+        const serverDef: Record<string, unknown> = {
+          id,
+          name: name.trim(),
+          enabled: enabled !== false,
+          rcon: {
+            host: rconCfg.host,
+            port: rconCfg.port || 27015,
+            password: rconCfg.password,
+          },
+        };
+        if (sftp) {
+          serverDef.sftp = {
+            host: sftp.host || '',
+            port: Number(sftp.port) || 22,
+            user: sftp.user || '',
+            ...(sftp.password ? { password: sftp.password } : {}),
+            ...(sftp.privateKeyPath ? { privateKeyPath: sftp.privateKeyPath } : {}),
+          };
         }
+        if (channels && typeof channels === 'object') serverDef.channels = channels;
 
-        // Upload directly via SFTP
-        const welcomePath = config.sftpWelcomePath;
-        if (welcomePath) {
-          try {
-            const SftpClient = (await import('ssh2-sftp-client')).default;
-            const sftp = new SftpClient();
-            await sftp.connect(config.sftpConnectConfig());
-            await sftp.put(Buffer.from(content, 'utf8'), welcomePath);
-            await sftp.end().catch(() => {});
-            console.log('[WelcomeFile] Uploaded WelcomeMessage.txt via panel editor');
-          } catch (sftpErr: unknown) {
-            console.error('[WelcomeFile] SFTP upload failed:', errMsg(sftpErr));
-            sendOk(res, {
-              message: 'Welcome file saved to config but SFTP upload failed: ' + errMsg(sftpErr),
-              lineCount: lines.length,
-              uploaded: false,
-            });
-            return;
-          }
+        if (startImmediately && this._multiServerManager) {
+          await this._multiServerManager.addServer(
+            serverDef as Parameters<typeof this._multiServerManager.addServer>[0],
+          );
+        } else if (configRepo) {
+          configRepo.set(`server:${id}`, serverDef);
         }
-        sendOk(res, {
-          message: welcomePath
-            ? 'Welcome file saved and uploaded'
-            : 'Welcome file saved to config (no SFTP path configured)',
-          lineCount: lines.length,
-          uploaded: !!welcomePath,
-        });
-        return;
+
+        res.status(201).json({ ok: true, server: { id, name: serverDef.name, status: 'stopped' } });
       } catch (err: unknown) {
-        sendError(res, 'WELCOME_FILE_SAVE_FAILED', 500, safeError(err));
-        return;
+        sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
       }
     });
 
-    // ══════════════════════════════════════════════════════════════════
-    //  Anticheat API — flag browser, risk scores, review
-    // ══════════════════════════════════════════════════════════════════
-
-    /** GET /api/panel/anticheat/flags — list flags with optional filters */
-    app.get('/api/panel/anticheat/flags', requireTier('admin'), rateLimit(10000, 15), (req, res) => {
-      const srv = req.srv;
-      if (!srv.db) return res.json([]);
-      try {
-        const { status, severity, steam_id, detector, limit } = req.query;
-        const maxRows = Math.min(parseInt(limit as string, 10) || 100, 500);
-        let flags;
+    /** POST /api/panel/servers/discover — Start SFTP path discovery (202 + polling) */
+    app.post('/api/panel/servers/discover', requireTier('admin'), rateLimit(30000, 3), (req, res) => {
+      type SftpCfg = {
+        host?: string;
+        port?: number;
+        user?: string;
+        password?: string;
+        privateKeyPath?: string;
+        privateKey?: string;
+        passphrase?: string;
+      };
+      let sftpCfg = (req.body as { sftp?: SftpCfg; useCurrentConfig?: boolean }).sftp;
 
-        if (steam_id) {
-          flags = srv.db.antiCheat.getAcFlagsBySteam(steam_id as string, maxRows);
-        } else if (detector) {
-          flags = srv.db.antiCheat.getAcFlagsByDetector(detector as string, (status || 'open') as string, maxRows);
-        } else if (status) {
-          flags = srv.db.antiCheat.getAcFlags(status as string, maxRows);
-        } else {
-          flags = srv.db.antiCheat.getAcFlags('open', maxRows);
+      // Allow using the server's existing SFTP config (for settings page discover button)
+      // Use sftpConnectConfig() to get fully resolved connect options
+      // (reads private key from disk, handles passphrase fallback).
+      if ((req.body as { useCurrentConfig?: boolean }).useCurrentConfig) {
+        let connectOpts;
+        try {
+          const srvCfg = req.srv.config;
+          connectOpts = srvCfg.sftpConnectConfig.call(srvCfg);
+        } catch (err: unknown) {
+          console.error('[DISCOVER] Failed to build SFTP config:', errMsg(err));
+          sendError(res, API_ERRORS.MISSING_SFTP_CONFIG, 400);
+          return;
         }
+        sftpCfg = {
+          host: connectOpts.host,
+          port: connectOpts.port || 22,
+          user: connectOpts.username,
+          password: connectOpts.password,
+          privateKey: connectOpts.privateKey as string | undefined,
+          passphrase: connectOpts.passphrase,
+        };
+      }
 
-        // Apply severity filter client-side if both status and severity are set
-        if (severity) {
-          flags = (flags as Record<string, unknown>[]).filter((f) => f.severity === severity);
-        }
+      if (!sftpCfg || !sftpCfg.host || !sftpCfg.user) {
+        sendError(res, API_ERRORS.MISSING_SFTP_CONFIG, 400);
+        return;
+      }
+      if (!sftpCfg.password && !sftpCfg.privateKeyPath && !sftpCfg.privateKey) {
+        sendError(res, API_ERRORS.MISSING_SFTP_CONFIG, 400);
+        return;
+      }
 
-        // Resolve player names from players table
-        const nameMap: Record<string, string> = {};
-        try {
-          const rows = srv.db.player.listAllPlayerNames();
-          for (const r of rows) nameMap[r.steam_id] = r.name;
-        } catch {
-          /* */
+      // Max 3 concurrent jobs
+      let activeCount = 0;
+      for (const [, job] of _discoveryJobs) {
+        if (job.state === 'pending' || job.state === 'running') activeCount++;
+      }
+      if (activeCount >= 3) {
+        sendError(res, API_ERRORS.MAX_CONCURRENT_DISCOVERIES, 429);
+        return;
+      }
+
+      // Cleanup stale jobs (> 5 min)
+      const now = Date.now();
+      for (const [jid] of _discoveryJobs) {
+        const j = _discoveryJobs.get(jid);
+        if (j && now - j.startTime > 300000) _discoveryJobs.delete(jid);
+      }
+
+      const jobId = 'disc_' + Date.now().toString(36);
+      const job: {
+        state: string;
+        startTime: number;
+        result: unknown;
+        error: string | null;
+        currentStep: string | null;
+      } = { state: 'running', startTime: now, result: null, error: null, currentStep: 'connecting' };
+      _discoveryJobs.set(jobId, job);
+
+      // Run discovery in background
+      const timeoutHandle = setTimeout(() => {
+        if (job.state === 'running') {
+          job.state = 'failed';
+          job.error = 'Discovery timed out after 120 seconds';
+          job.currentStep = null;
         }
+      }, 120000);
 
-        flags = (flags as Record<string, unknown>[]).map((f) => ({
-          ...f,
-          player_name: (f.player_name as string | undefined) || nameMap[f.steam_id as string] || f.steam_id,
-        }));
+      _discoverPaths(
+        {
+          host: sftpCfg.host,
+          port: sftpCfg.port || 22,
+          user: sftpCfg.user,
+          password: sftpCfg.password,
+          privateKey: sftpCfg.privateKey,
+          privateKeyPath: sftpCfg.privateKeyPath,
+          passphrase: sftpCfg.passphrase,
+        },
+        'WEB_DISCOVER',
+      )
+        .then((result: unknown) => {
+          clearTimeout(timeoutHandle);
+          if (job.state !== 'running') return;
+          job.state = result ? 'completed' : 'failed';
+          job.result = result;
+          if (!result) job.error = 'No game files found';
+          job.currentStep = null;
+        })
+        .catch((err: unknown) => {
+          clearTimeout(timeoutHandle);
+          if (job.state !== 'running') return;
+          job.state = 'failed';
+          job.error = (errMsg(err) || 'Discovery failed').substring(0, 200);
+          job.currentStep = null;
+        });
 
-        res.json(flags);
-      } catch (err: unknown) {
-        sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
-      }
+      res.status(202).json({ ok: true, jobId });
     });
 
-    /** GET /api/panel/anticheat/risk-scores — all player risk scores */
-    app.get('/api/panel/anticheat/risk-scores', requireTier('admin'), rateLimit(10000, 10), (req, res) => {
-      if (!req.srv.db) return res.json([]);
-      try {
-        const scores = req.srv.db.antiCheat.getAllRiskScores();
-        res.json(scores);
-      } catch (err: unknown) {
-        sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
-      }
-    });
+    /** GET /api/panel/servers/discover/:jobId — Poll discovery job status */
 
-    /** POST /api/panel/anticheat/flags/:id/review — confirm, dismiss, or whitelist a flag */
-    app.post('/api/panel/anticheat/flags/:id/review', requireTier('admin'), rateLimit(10000, 10), (req, res) => {
-      if (!req.srv.db) {
-        sendError(res, API_ERRORS.DATABASE_NOT_AVAILABLE, 500);
+    app.get('/api/panel/servers/discover/:jobId', requireTier('admin'), rateLimit(5000, 20), (req, res) => {
+      const job = _discoveryJobs.get(req.params.jobId as string);
+      if (!job) {
+        sendError(res, API_ERRORS.DISCOVERY_JOB_NOT_FOUND, 404);
         return;
       }
+      sendOk(res, {
+        state: job.state,
+        elapsed: Date.now() - job.startTime,
+        ...(job.currentStep ? { currentStep: job.currentStep } : {}),
+        ...(job.result ? { result: job.result } : {}),
+        ...(job.error ? { error: job.error } : {}),
+      });
+    });
+
+    /** POST /api/panel/servers/test-connection — Stateless connection validation */
+    app.post('/api/panel/servers/test-connection', requireTier('admin'), rateLimit(10000, 5), async (req, res) => {
       try {
-        const flagId = parseInt(req.params.id as string, 10);
-        if (isNaN(flagId)) {
-          sendError(res, API_ERRORS.INVALID_FLAG_ID, 400);
+        const bodyConn = (req.body ?? {}) as {
+          rcon?: { host: string; port: number; password: string };
+          sftp?: Record<string, unknown>;
+        };
+        const rconCfg = bodyConn.rcon;
+        const sftpCfg = bodyConn.sftp;
+        if (!rconCfg && !sftpCfg) {
+          sendError(res, API_ERRORS.MISSING_CONNECTION_CONFIG, 400);
           return;
         }
 
-        const { status, notes } = req.body as { status?: string; notes?: string };
-        if (!status || !['confirmed', 'dismissed', 'whitelisted'].includes(status)) {
-          sendError(res, API_ERRORS.INVALID_STATUS, 400);
-          return;
-        }
+        const result: Record<string, unknown> = {};
+        const promises: Promise<void>[] = [];
 
-        // Get reviewer identity from session
-        const reviewedBy = req.session.username || req.session.discordId || 'admin';
+        if (rconCfg) {
+          promises.push(
+            _testRconAuth(rconCfg.host, rconCfg.port || 27015, rconCfg.password || '', 10000).then((r) => {
+              result.rcon = r;
+            }),
+          );
+        }
+        if (sftpCfg) {
+          promises.push(
+            _testSftpAuth(sftpCfg, 10000).then((r) => {
+              result.sftp = r;
+            }),
+          );
+        }
 
-        req.srv.db.antiCheat.updateAcFlagStatus(flagId, status, reviewedBy, notes ?? '');
-        res.json({ ok: true, flagId, status });
+        await Promise.all(promises);
+        sendOk(res, result);
       } catch (err: unknown) {
         sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
       }
     });
 
-    /** GET /api/panel/anticheat/stats — summary counts for dashboard */
-    app.get('/api/panel/anticheat/stats', requireTier('admin'), rateLimit(10000, 10), (req, res) => {
-      if (!req.srv.db) return res.json({ open: 0, confirmed: 0, dismissed: 0, total: 0 });
+    /** GET /api/panel/servers/:id — Get server detail (passwords masked) */
+    app.get('/api/panel/servers/:id', requireTier('admin'), rateLimit(10000, 10), (req, res) => {
       try {
-        const srv = req.srv;
-        const countByStatus = (s: string | null) => {
-          try {
-            if (!srv.db) return 0;
-            if (s) return srv.db.antiCheat.countAcFlagsByStatus(s);
-            return srv.db.antiCheat.countAllAcFlags();
-          } catch {
-            return 0;
-          }
-        };
-        const open = countByStatus('open');
-        const confirmed = countByStatus('confirmed');
-        const dismissed = countByStatus('dismissed');
-        const total = countByStatus(null);
-        res.json({ open, confirmed, dismissed, total });
-      } catch (err: unknown) {
-        sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
-      }
-    });
-
-    // ══════════════════════════════════════════════════════════════════
-    //  Multi-Server Management API — fleet-wide CRUD, lifecycle, discovery
-    // ══════════════════════════════════════════════════════════════════
-
-    /** Mask sensitive fields in a server definition for API responses. */
-    function _maskServerDef(def: Record<string, unknown>): Record<string, unknown> {
-      const masked = JSON.parse(JSON.stringify(def)) as Record<string, Record<string, unknown>>;
-      if (masked.rcon?.password != null) masked.rcon.password = { hasValue: !!masked.rcon.password };
-      if (masked.sftp?.password != null) masked.sftp.password = { hasValue: !!masked.sftp.password };
-      if (masked.sftp?.privateKeyPath != null) masked.sftp.privateKeyPath = { hasValue: !!masked.sftp.privateKeyPath };
-      if (masked.panel?.apiKey != null) masked.panel.apiKey = { hasValue: !!masked.panel.apiKey };
-      return masked;
-    }
+        const id = req.params.id as string;
 
-    /** Test RCON auth via raw Source RCON protocol. Resolves { ok, error? }. */
-    async function _testRconAuth(
-      host: string,
-      port: number | string,
-      password: string,
-      timeout = 10000,
-    ): Promise<{ ok: boolean; error?: string }> {
-      // Validate host: must be hostname or IP, no URL schemes/paths/spaces
-      if (typeof host !== 'string' || !/^[\w.:-]+$/.test(host) || host.includes('://')) {
-        return Promise.resolve({ ok: false, error: 'Invalid host format' });
-      }
-      const numPort = Number(port);
-      if (!Number.isInteger(numPort) || numPort < 1 || numPort > 65535) {
-        return Promise.resolve({ ok: false, error: 'Invalid port (must be 1-65535)' });
-      }
-      console.log('[WebMap] RCON test: %s:%d by admin', host, numPort);
-      const net = await import('net');
-      return new Promise((resolve) => {
-        const socket = new net.Socket();
-        let resolved = false;
-        let buf = Buffer.alloc(0);
-        const done = (result: { ok: boolean; error?: string }) => {
-          if (resolved) return;
-          resolved = true;
-          clearTimeout(timer);
-          try {
-            socket.destroy();
-          } catch (cleanupErr: unknown) {
-            console.warn('[WebMap] RCON test socket cleanup error:', errMsg(cleanupErr));
-          }
-          resolve(result);
-        };
-        const timer = setTimeout(() => {
-          done({ ok: false, error: 'Connection timed out' });
-        }, timeout);
-        socket.connect(port as number, host, () => {
-          const passLen = Buffer.byteLength(password, 'utf8');
-          const bodyLen = 4 + 4 + passLen + 1 + 1;
-          const pkt = Buffer.alloc(4 + bodyLen);
-          pkt.writeInt32LE(bodyLen, 0);
-          pkt.writeInt32LE(1, 4);
-          pkt.writeInt32LE(3, 8); // SERVERDATA_AUTH
-          pkt.write(password, 12, 'utf8');
-          socket.write(pkt);
-        });
-        socket.on('data', (chunk: Buffer) => {
-          buf = Buffer.concat([buf, chunk]);
-          while (buf.length >= 12) {
-            const pktSize = buf.readInt32LE(0);
-            if (pktSize < 10 || pktSize > 4096) {
-              done({ ok: false, error: 'Invalid RCON response' });
-              return;
-            }
-            if (buf.length < 4 + pktSize) break;
-            const id = buf.readInt32LE(4);
-            const type = buf.readInt32LE(8);
-            buf = buf.subarray(4 + pktSize);
-            if (type === 2) {
-              done(id === -1 ? { ok: false, error: 'Authentication failed' } : { ok: true });
-              return;
-            }
+        if (id === 'primary') {
+          const def: Record<string, unknown> = {
+            id: 'primary',
+            name: config.serverName || 'Primary Server',
+            isPrimary: true,
+            enabled: true,
+            rcon: {
+              host: config.rconHost || '',
+              port: config.rconPort || 27015,
+              password: { hasValue: !!config.rconPassword },
+            },
+            sftp: {
+              host: config.sftpHost || '',
+              port: config.sftpPort || 22,
+              user: config.sftpUser || '',
+              password: { hasValue: !!config.sftpPassword },
+              privateKeyPath: { hasValue: !!config.sftpPrivateKeyPath },
+            },
+            paths: {
+              logPath: config.sftpLogPath || '',
+              connectLogPath: config.sftpConnectLogPath || '',
+              idMapPath: config.sftpIdMapPath || '',
+              savePath: config.sftpSavePath || '',
+              settingsPath: config.sftpSettingsPath || '',
+              welcomePath: config.sftpWelcomePath || '',
+            },
+            botTimezone: config.botTimezone || 'UTC',
+            logTimezone: config.logTimezone || 'UTC',
+          };
+          const statusCache = this._getCached('status', 'primary', 30000) as Record<string, unknown> | null;
+          if (statusCache) {
+            def.status = statusCache.serverState || 'unknown';
+            def.players = { current: statusCache.onlineCount || 0, max: statusCache.maxPlayers || null };
+          } else {
+            def.status = rcon.connected ? 'running' : 'offline';
+            def.players = { current: 0, max: null };
           }
-        });
-        socket.on('error', (err: NodeJS.ErrnoException | null) => {
-          done({ ok: false, error: errMsg(err) });
-        });
-        socket.setTimeout(timeout);
-        socket.on('timeout', () => {
-          done({ ok: false, error: 'Connection timed out' });
-        });
-      });
-    }
+          sendOk(res, { server: def });
+          return;
+        }
 
-    /** Test SFTP auth + directory listing. Resolves { ok, error? }. */
-    async function _testSftpAuth(
-      sftpCfg: Record<string, unknown>,
-      timeout = 10000,
-    ): Promise<{ ok: boolean; error?: string }> {
-      const SftpClient = (await import('ssh2-sftp-client')).default;
-      const client = new SftpClient();
-      try {
-        const opts: Record<string, unknown> = {
-          host: sftpCfg.host,
-          port: sftpCfg.port || 22,
-          username: sftpCfg.user,
-          readyTimeout: timeout,
-        };
-        if (sftpCfg.password) opts.password = sftpCfg.password;
-        if (sftpCfg.privateKeyPath) {
-          try {
-            opts.privateKey = readPrivateKey(sftpCfg.privateKeyPath as string);
-          } catch (keyErr: unknown) {
-            return { ok: false, error: 'Cannot read private key: ' + errMsg(keyErr) };
-          }
+        // Managed server
+        const raw = configRepo?.get(`server:${id}`);
+        if (!raw) {
+          sendError(res, API_ERRORS.SERVER_NOT_FOUND, 404);
+          return;
+        }
+
+        const masked = _maskServerDef(raw);
+        const inst = this._multiServerManager?.getInstance(id);
+        masked.status = inst?.running ? 'running' : 'stopped';
+        const srvCache = this._getCached('status', id, 30000) as Record<string, unknown> | null;
+        if (srvCache) {
+          masked.players = { current: srvCache.onlineCount || 0, max: srvCache.maxPlayers || null };
+        } else {
+          masked.players = { current: 0, max: null };
         }
-        await client.connect(opts);
-        await client.list('/');
-        return { ok: true };
+
+        sendOk(res, { server: masked });
       } catch (err: unknown) {
-        return { ok: false, error: (errMsg(err) || 'Connection failed').substring(0, 200) };
-      } finally {
-        try {
-          await client.end();
-        } catch (endErr: unknown) {
-          console.warn('[WebMap] SFTP test client cleanup error:', errMsg(endErr));
-        }
+        sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
       }
-    }
+    });
 
-    /** GET /api/panel/servers — List all servers with status */
-    app.get('/api/panel/servers', requireTier('admin'), rateLimit(10000, 10), (_req, res) => {
+    /** PATCH /api/panel/servers/:id — Update server settings (partial) */
+    app.patch('/api/panel/servers/:id', requireTier('admin'), rateLimit(10000, 5), async (req, res) => {
       try {
-        const servers = [];
+        const id = req.params.id as string;
+        const updates = req.body as Record<string, unknown> | null;
+        if (!updates || typeof updates !== 'object' || Array.isArray(updates)) {
+          sendError(res, API_ERRORS.MISSING_CHANGES_OBJECT, 400);
+          return;
+        }
 
-        // ── Primary server ──
-        const primaryInfo = {
-          id: 'primary',
-          name: config.serverName || 'Primary Server',
-          isPrimary: true,
-          enabled: true,
-          status: rcon.connected ? 'running' : 'offline',
-          players: { current: 0, max: null },
-          rcon: { host: config.rconHost || null, port: config.rconPort || null, connected: rcon.connected },
-          sftp: { host: config.sftpHost || null, configured: !!(config.sftpHost && config.sftpUser) },
-          lastSync: (() => {
-            const ss = this._saveService;
-            if (!ss) return null;
-            const ssStats = ss.stats;
-            const t = ssStats.lastMtime as number | null;
-            return t ? new Date(t).toISOString() : (ssStats.syncCount as number) > 0 ? new Date().toISOString() : null;
-          })(),
-          modules: [],
-        };
-        const primaryStatusCache = this._getCached('status', 'primary', 30000) as Record<string, unknown> | null;
-        if (primaryStatusCache) {
-          primaryInfo.status = (primaryStatusCache.serverState as string) || 'unknown';
-          primaryInfo.players.current = (primaryStatusCache.onlineCount as number) || 0;
-          (primaryInfo as Record<string, unknown>).players = {
-            ...((primaryInfo as Record<string, unknown>).players as Record<string, unknown>),
-            max: (primaryStatusCache.maxPlayers as number) || null,
-          };
+        if (id === 'primary') {
+          if (configRepo) {
+            const patch: Record<string, unknown> = { ...updates };
+            // Empty-string sensitive fields = "keep existing"
+            if (patch.rcon) {
+              const rcon = { ...(patch.rcon as Record<string, unknown>) };
+              if (rcon.password === '') delete rcon.password;
+              patch.rcon = rcon;
+            }
+            if (patch.sftp) {
+              const sftp = { ...(patch.sftp as Record<string, unknown>) };
+              if (sftp.password === '') delete sftp.password;
+              if (sftp.privateKeyPath === '') delete sftp.privateKeyPath;
+              patch.sftp = sftp;
+            }
+            configRepo.update('server:primary', patch);
+          }
+          const restartRequired = !!(updates.rcon || updates.sftp || updates.paths);
+          sendOk(res, { restartRequired });
+          return;
         }
-        const primaryMods: string[] = [];
-        if (rcon.connected) primaryMods.push('rcon');
-        if (this._db) primaryMods.push('db');
-        if (this._saveService) primaryMods.push('sftp');
-        if (this._scheduler?.isActive()) primaryMods.push('schedule');
-        (primaryInfo as Record<string, unknown>).modules = primaryMods;
-        servers.push(primaryInfo);
 
-        // ── Managed servers ──
-        const managed = this._loadServerList();
-        const statuses: Record<string, unknown>[] = this._multiServerManager?.getStatuses() || [];
-        const statusMap = new Map(statuses.map((s) => [s.id as string, s]));
+        // Managed server
+        if (!configRepo) {
+          sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500);
+          return;
+        }
+        const existing: Record<string, unknown> = configRepo.get(`server:${id}`) ?? {};
+        if (!Object.keys(existing).length) {
+          sendError(res, API_ERRORS.SERVER_NOT_FOUND, 404);
+          return;
+        }
 
-        for (const def of managed) {
-          const st = statusMap.get(def.id);
-          const inst = this._multiServerManager?.getInstance(def.id);
-          const info: Record<string, unknown> = {
-            id: def.id,
-            name: def.name || def.id,
-            isPrimary: false,
-            enabled: def.enabled !== false,
-            status: st?.running ? 'running' : 'stopped',
-            players: { current: 0, max: null },
-            rcon: {
-              host: (def.rcon as Record<string, unknown> | undefined)?.host || null,
-              port: (def.rcon as Record<string, unknown> | undefined)?.port || null,
-              connected: !!(inst?.rcon && inst.rcon.connected),
-            },
-            sftp: {
-              host: (def.sftp as Record<string, unknown> | undefined)?.host || null,
-              configured: !!(
-                (def.sftp as Record<string, unknown> | undefined)?.host &&
-                (def.sftp as Record<string, unknown> | undefined)?.user
-              ),
-            },
-            lastSync: null,
-            modules: [] as string[],
+        // Deep-merge sub-objects; empty-string sensitive fields = keep existing
+        const patch: Record<string, unknown> = { ...updates };
+        if (patch.rcon) {
+          const existRcon = (existing.rcon as Record<string, unknown> | undefined) ?? {};
+          const rcon: Record<string, unknown> = { ...existRcon, ...(patch.rcon as Record<string, unknown>) };
+          if (rcon.password === '') rcon.password = existRcon.password ?? '';
+          patch.rcon = rcon;
+        }
+        if (patch.sftp) {
+          const existSftp = (existing.sftp as Record<string, unknown> | undefined) ?? {};
+          const sftp: Record<string, unknown> = { ...existSftp, ...(patch.sftp as Record<string, unknown>) };
+          if (sftp.password === '') sftp.password = existSftp.password ?? '';
+          if (sftp.privateKeyPath === '') sftp.privateKeyPath = existSftp.privateKeyPath ?? '';
+          patch.sftp = sftp;
+        }
+        if (patch.panel) {
+          const existPanel = (existing.panel as Record<string, unknown> | undefined) ?? {};
+          const panel: Record<string, unknown> = { ...existPanel, ...(patch.panel as Record<string, unknown>) };
+          if (panel.apiKey === '') panel.apiKey = existPanel.apiKey ?? '';
+          patch.panel = panel;
+        }
+        if (patch.channels) {
+          patch.channels = {
+            ...(existing.channels ?? {}),
+            ...(patch.channels as Record<string, unknown>),
           };
-          const srvCache = this._getCached('status', def.id, 30000) as Record<string, unknown> | null;
-          if (srvCache) {
-            if (srvCache.serverState === 'running') info.status = 'running';
-            (info.players as Record<string, unknown>).current = srvCache.onlineCount || 0;
-            (info.players as Record<string, unknown>).max = srvCache.maxPlayers || null;
+        }
+        if (patch.paths) {
+          patch.paths = {
+            ...(existing.paths ?? {}),
+            ...(patch.paths as Record<string, unknown>),
+          };
+        }
+
+        configRepo.update(`server:${id}`, patch);
+
+        // Hot-reload running instance if applicable
+        if (this._multiServerManager?.getInstance(id)?.running) {
+          try {
+            await this._multiServerManager.updateServer(id, patch);
+          } catch (hotReloadErr: unknown) {
+            console.warn(
+              '[WebMap] Hot-reload for server %s failed, will apply on next start:',
+              id,
+              errMsg(hotReloadErr),
+            );
           }
-          const mods: string[] = [];
-          if (inst?.rcon && inst.rcon.connected) mods.push('rcon');
-          if (inst?.db) mods.push('db');
-          if (inst?.saveService || inst?.hasSftp) mods.push('sftp');
-          if (inst?.isModuleActive('serverScheduler')) mods.push('schedule');
-          if (inst?.hasModule('logWatcher')) mods.push('logs');
-          if (inst?.hasModule('chatRelay')) mods.push('chat');
-          info.modules = mods;
-          servers.push(info);
         }
 
-        sendOk(res, { servers });
+        const restartRequired = !!(updates.rcon || updates.sftp || updates.paths);
+        sendOk(res, { restartRequired });
       } catch (err: unknown) {
         sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
       }
     });
 
-    /** POST /api/panel/servers — Create a new managed server */
-    app.post('/api/panel/servers', requireTier('admin'), rateLimit(10000, 5), async (req, res) => {
+    /** DELETE /api/panel/servers/:id — Remove a managed server */
+    app.delete('/api/panel/servers/:id', requireTier('admin'), rateLimit(10000, 3), async (req, res) => {
       try {
-        const {
-          name,
-          rcon: rconCfg,
-          sftp,
-          channels,
-          enabled,
-          startImmediately,
-        } = req.body as {
-          name?: string;
-          rcon?: { host: string; port: number; password: string };
-          sftp?: { host?: string; port?: number; user?: string; password?: string; privateKeyPath?: string };
-          channels?: unknown;
-          enabled?: boolean;
-          startImmediately?: boolean;
-        };
-        if (!name || typeof name !== 'string' || !name.trim()) {
-          sendError(res, API_ERRORS.MISSING_SERVER_NAME, 400);
+        const id = req.params.id as string;
+        if (id === 'primary') {
+          sendError(res, API_ERRORS.CANNOT_DELETE_PRIMARY, 403);
           return;
         }
-        if (!rconCfg || !rconCfg.host || !rconCfg.port || !rconCfg.password) {
-          sendError(res, API_ERRORS.MISSING_RCON_CONFIG, 400);
+        if (req.query.confirm !== 'true') {
+          sendError(res, API_ERRORS.CONFIRM_REQUIRED, 400);
           return;
         }
 
-        // Check name uniqueness
-        const existing = this._loadServerList();
-        if (existing.some((s: { name?: string }) => s.name === name.trim())) {
-          sendError(res, API_ERRORS.SERVER_NAME_EXISTS, 409);
-          return;
+        if (configRepo) {
+          const existing = configRepo.get(`server:${id}`);
+          if (!existing) {
+            sendError(res, API_ERRORS.SERVER_NOT_FOUND, 404);
+            return;
+          }
         }
 
-        const id = 'srv_' + Date.now().toString(36);
-        const serverDef: Record<string, unknown> = {
-          id,
-          name: name.trim(),
-          enabled: enabled !== false,
-          rcon: {
-            host: rconCfg.host,
-            port: rconCfg.port || 27015,
-            password: rconCfg.password,
-          },
-        };
-        if (sftp) {
-          serverDef.sftp = {
-            host: sftp.host || '',
-            port: Number(sftp.port) || 22,
-            user: sftp.user || '',
-            ...(sftp.password ? { password: sftp.password } : {}),
-            ...(sftp.privateKeyPath ? { privateKeyPath: sftp.privateKeyPath } : {}),
-          };
+        if (this._multiServerManager) {
+          try {
+            await this._multiServerManager.removeServer(id);
+          } catch (removeErr: unknown) {
+            console.warn('[WebMap] removeServer(%s) cleanup warning:', id, errMsg(removeErr));
+          }
         }
-        if (channels && typeof channels === 'object') serverDef.channels = channels;
-
-        if (startImmediately && this._multiServerManager) {
-          await this._multiServerManager.addServer(
-            serverDef as Parameters<typeof this._multiServerManager.addServer>[0],
-          );
-        } else if (configRepo) {
-          configRepo.set(`server:${id}`, serverDef);
+        if (configRepo) {
+          configRepo.delete(`server:${id}`);
         }
 
-        res.status(201).json({ ok: true, server: { id, name: serverDef.name, status: 'stopped' } });
+        sendOk(res);
       } catch (err: unknown) {
         sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
       }
     });
 
-    /** POST /api/panel/servers/discover — Start SFTP path discovery (202 + polling) */
-    app.post('/api/panel/servers/discover', requireTier('admin'), rateLimit(30000, 3), (req, res) => {
-      type SftpCfg = {
-        host?: string;
-        port?: number;
-        user?: string;
-        password?: string;
-        privateKeyPath?: string;
-        privateKey?: string;
-        passphrase?: string;
-      };
-      let sftpCfg = (req.body as { sftp?: SftpCfg; useCurrentConfig?: boolean }).sftp;
-
-      // Allow using the server's existing SFTP config (for settings page discover button)
-      // Use sftpConnectConfig() to get fully resolved connect options
-      // (reads private key from disk, handles passphrase fallback).
-      if ((req.body as { useCurrentConfig?: boolean }).useCurrentConfig) {
-        let connectOpts;
-        try {
-          const srvCfg = req.srv.config;
-          connectOpts = srvCfg.sftpConnectConfig.call(srvCfg);
-        } catch (err: unknown) {
-          console.error('[DISCOVER] Failed to build SFTP config:', errMsg(err));
-          sendError(res, API_ERRORS.MISSING_SFTP_CONFIG, 400);
+    /** POST /api/panel/servers/:id/actions/:action — Lifecycle control (start/stop/restart) */
+    app.post('/api/panel/servers/:id/actions/:action', requireTier('admin'), rateLimit(10000, 5), async (req, res) => {
+      try {
+        const id = req.params.id as string;
+        const action = req.params.action as string;
+        if (id === 'primary') {
+          sendError(res, API_ERRORS.CANNOT_CONTROL_PRIMARY, 400);
+          return;
+        }
+        if (!['start', 'stop', 'restart'].includes(action)) {
+          sendError(res, API_ERRORS.INVALID_LIFECYCLE_ACTION, 400);
+          return;
+        }
+        if (!this._multiServerManager) {
+          sendError(res, API_ERRORS.MULTI_SERVER_NOT_AVAILABLE, 500);
           return;
         }
-        sftpCfg = {
-          host: connectOpts.host,
-          port: connectOpts.port || 22,
-          user: connectOpts.username,
-          password: connectOpts.password,
-          privateKey: connectOpts.privateKey as string | undefined,
-          passphrase: connectOpts.passphrase,
-        };
-      }
-
-      if (!sftpCfg || !sftpCfg.host || !sftpCfg.user) {
-        sendError(res, API_ERRORS.MISSING_SFTP_CONFIG, 400);
-        return;
-      }
-      if (!sftpCfg.password && !sftpCfg.privateKeyPath && !sftpCfg.privateKey) {
-        sendError(res, API_ERRORS.MISSING_SFTP_CONFIG, 400);
-        return;
-      }
-
-      // Max 3 concurrent jobs
-      let activeCount = 0;
-      for (const [, job] of _discoveryJobs) {
-        if (job.state === 'pending' || job.state === 'running') activeCount++;
-      }
-      if (activeCount >= 3) {
-        sendError(res, API_ERRORS.MAX_CONCURRENT_DISCOVERIES, 429);
-        return;
-      }
 
-      // Cleanup stale jobs (> 5 min)
-      const now = Date.now();
-      for (const [jid] of _discoveryJobs) {
-        const j = _discoveryJobs.get(jid);
-        if (j && now - j.startTime > 300000) _discoveryJobs.delete(jid);
-      }
+        // Verify server definition exists
+        const def = configRepo?.get(`server:${id}`);
+        if (!def) {
+          sendError(res, API_ERRORS.SERVER_NOT_FOUND, 404);
+          return;
+        }
 
-      const jobId = 'disc_' + Date.now().toString(36);
-      const job: {
-        state: string;
-        startTime: number;
-        result: unknown;
-        error: string | null;
-        currentStep: string | null;
-      } = { state: 'running', startTime: now, result: null, error: null, currentStep: 'connecting' };
-      _discoveryJobs.set(jobId, job);
+        const inst = this._multiServerManager.getInstance(id);
 
-      // Run discovery in background
-      const timeoutHandle = setTimeout(() => {
-        if (job.state === 'running') {
-          job.state = 'failed';
-          job.error = 'Discovery timed out after 120 seconds';
-          job.currentStep = null;
+        if (action === 'start') {
+          if (inst?.running) {
+            sendError(res, API_ERRORS.SERVER_ALREADY_IN_STATE, 409);
+            return;
+          }
+          await this._multiServerManager.startServer(id);
+          sendOk(res, { status: 'running' });
+          return;
         }
-      }, 120000);
 
-      _discoverPaths(
-        {
-          host: sftpCfg.host,
-          port: sftpCfg.port || 22,
-          user: sftpCfg.user,
-          password: sftpCfg.password,
-          privateKey: sftpCfg.privateKey,
-          privateKeyPath: sftpCfg.privateKeyPath,
-          passphrase: sftpCfg.passphrase,
-        },
-        'WEB_DISCOVER',
-      )
-        .then((result: unknown) => {
-          clearTimeout(timeoutHandle);
-          if (job.state !== 'running') return;
-          job.state = result ? 'completed' : 'failed';
-          job.result = result;
-          if (!result) job.error = 'No game files found';
-          job.currentStep = null;
-        })
-        .catch((err: unknown) => {
-          clearTimeout(timeoutHandle);
-          if (job.state !== 'running') return;
-          job.state = 'failed';
-          job.error = (errMsg(err) || 'Discovery failed').substring(0, 200);
-          job.currentStep = null;
-        });
+        if (action === 'stop') {
+          if (!inst?.running) {
+            sendError(res, API_ERRORS.SERVER_ALREADY_IN_STATE, 409);
+            return;
+          }
+          await this._multiServerManager.stopServer(id);
+          sendOk(res, { status: 'stopped' });
+          return;
+        }
 
-      res.status(202).json({ ok: true, jobId });
+        // restart
+        if (inst?.running) {
+          await this._multiServerManager.stopServer(id);
+        }
+        await this._multiServerManager.startServer(id);
+        sendOk(res, { status: 'running' });
+      } catch (err: unknown) {
+        sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
+      }
     });
 
-    /** GET /api/panel/servers/discover/:jobId — Poll discovery job status */
+    // ── Panel: Settings Schema ──
+    /** GET /api/panel/settings-schema — Return game settings category definitions */
 
-    app.get('/api/panel/servers/discover/:jobId', requireTier('admin'), rateLimit(5000, 20), (req, res) => {
-      const job = _discoveryJobs.get(req.params.jobId as string);
-      if (!job) {
-        sendError(res, API_ERRORS.DISCOVERY_JOB_NOT_FOUND, 404);
-        return;
-      }
-      sendOk(res, {
-        state: job.state,
-        elapsed: Date.now() - job.startTime,
-        ...(job.currentStep ? { currentStep: job.currentStep } : {}),
-        ...(job.result ? { result: job.result } : {}),
-        ...(job.error ? { error: job.error } : {}),
-      });
+    app.get('/api/panel/settings-schema', requireTier('admin'), (_req, res) => {
+      res.json({ categories: GAME_SETTINGS_CATEGORIES });
     });
 
-    /** POST /api/panel/servers/test-connection — Stateless connection validation */
-    app.post('/api/panel/servers/test-connection', requireTier('admin'), rateLimit(10000, 5), async (req, res) => {
+    // ── Panel: Per-Server Auto-Messages ──
+    /** GET /api/panel/servers/:id/auto-messages — Read auto-messages config for a server */
+    app.get('/api/panel/servers/:id/auto-messages', requireTier('admin'), rateLimit(10000, 10), (req, res) => {
       try {
-        const bodyConn = (req.body ?? {}) as {
-          rcon?: { host: string; port: number; password: string };
-          sftp?: Record<string, unknown>;
+        const id = req.params.id as string;
+        const defaults = {
+          enableWelcomeMsg: true,
+          enableWelcomeFile: false,
+          enableAutoMsgLink: true,
+          enableAutoMsgPromo: true,
+          linkText: '',
+          promoText: '',
+          discordLink: '',
         };
-        const rconCfg = bodyConn.rcon;
-        const sftpCfg = bodyConn.sftp;
-        if (!rconCfg && !sftpCfg) {
-          sendError(res, API_ERRORS.MISSING_CONNECTION_CONFIG, 400);
+        if (!configRepo) {
+          sendError(res, API_ERRORS.NO_DATABASE, 503, 'Config database not available');
+          return;
+        }
+        const scope = `server:${id}`;
+        if (id !== 'primary' && !configRepo.get(scope)) {
+          sendError(res, API_ERRORS.SERVER_NOT_FOUND, 404);
           return;
         }
+        const serverData = configRepo.get(scope) || {};
+        const stored = serverData.autoMessages || null;
+        const data = Object.assign({}, defaults, stored || {});
+        sendOk(res, data);
+      } catch (err: unknown) {
+        sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
+      }
+    });
 
-        const result: Record<string, unknown> = {};
-        const promises: Promise<void>[] = [];
+    /** POST /api/panel/servers/:id/auto-messages — Save auto-messages config for a server */
+    app.post('/api/panel/servers/:id/auto-messages', requireTier('admin'), rateLimit(10000, 5), (req, res) => {
+      try {
+        const id = req.params.id as string;
+        const {
+          enableWelcomeMsg,
+          enableWelcomeFile,
+          enableAutoMsgLink,
+          enableAutoMsgPromo,
+          linkText,
+          promoText,
+          discordLink,
+        } = req.body as {
+          enableWelcomeMsg?: unknown;
+          enableWelcomeFile?: unknown;
+          enableAutoMsgLink?: unknown;
+          enableAutoMsgPromo?: unknown;
+          linkText?: unknown;
+          promoText?: unknown;
+          discordLink?: unknown;
+        };
 
-        if (rconCfg) {
-          promises.push(
-            _testRconAuth(rconCfg.host, rconCfg.port || 27015, rconCfg.password || '', 10000).then((r) => {
-              result.rcon = r;
-            }),
-          );
+        const data = {
+          enableWelcomeMsg: !!enableWelcomeMsg,
+          enableWelcomeFile: !!enableWelcomeFile,
+          enableAutoMsgLink: !!enableAutoMsgLink,
+          enableAutoMsgPromo: !!enableAutoMsgPromo,
+          linkText: typeof linkText === 'string' ? linkText.trim() : '',
+          promoText: typeof promoText === 'string' ? promoText.trim() : '',
+          discordLink: typeof discordLink === 'string' ? discordLink.trim() : '',
+        };
+
+        if (!configRepo) {
+          sendError(res, API_ERRORS.NO_DATABASE, 503, 'Config database not available');
+          return;
         }
-        if (sftpCfg) {
-          promises.push(
-            _testSftpAuth(sftpCfg, 10000).then((r) => {
-              result.sftp = r;
-            }),
-          );
+        const scope = `server:${id}`;
+        if (id !== 'primary' && !configRepo.get(scope)) {
+          sendError(res, API_ERRORS.SERVER_NOT_FOUND, 404);
+          return;
         }
-
-        await Promise.all(promises);
-        sendOk(res, result);
+        configRepo.update(scope, { autoMessages: data });
+        sendOk(res, { saved: true, requiresRestart: true });
       } catch (err: unknown) {
         sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
       }
     });
 
-    /** GET /api/panel/servers/:id — Get server detail (passwords masked) */
-    app.get('/api/panel/servers/:id', requireTier('admin'), rateLimit(10000, 10), (req, res) => {
+    // ── Panel: Database backups (snapshots of the bot's own SQLite files) ──
+    const dbBackupJson = (b: { dbId: string; name: string; createdAt: Date; bytes: number; compressed: boolean }) => ({
+      dbId: b.dbId,
+      name: b.name,
+      createdAt: b.createdAt.toISOString(),
+      bytes: b.bytes,
+      compressed: b.compressed,
+    });
+
+    /** GET /api/panel/db-backups — snapshots, the last run and any queued restore */
+    app.get('/api/panel/db-backups', requireTier('admin'), rateLimit(10000, 10), (_req, res) => {
+      const list = dbBackups.list();
+      if (!list.ok) return res.json({ enabled: false, backups: [] });
       try {
-        const id = req.params.id as string;
+        const lastRun = dbBackups.lastRun;
+        res.json({
+          enabled: true,
+          backups: list.value.map(dbBackupJson),
+          lastRun: lastRun ? { ...lastRun, created: lastRun.created.map(dbBackupJson) } : null,
+          pendingRestore: dbBackups.pendingRestore,
+        });
+      } catch (err: unknown) {
+        sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
+      }
+    });
 
-        if (id === 'primary') {
-          const def: Record<string, unknown> = {
-            id: 'primary',
-            name: config.serverName || 'Primary Server',
-            isPrimary: true,
-            enabled: true,
-            rcon: {
-              host: config.rconHost || '',
-              port: config.rconPort || 27015,
-              password: { hasValue: !!config.rconPassword },
-            },
-            sftp: {
-              host: config.sftpHost || '',
-              port: config.sftpPort || 22,
-              user: config.sftpUser || '',
-              password: { hasValue: !!config.sftpPassword },
-              privateKeyPath: { hasValue: !!config.sftpPrivateKeyPath },
-            },
-            paths: {
-              logPath: config.sftpLogPath || '',
-              connectLogPath: config.sftpConnectLogPath || '',
-              idMapPath: config.sftpIdMapPath || '',
-              savePath: config.sftpSavePath || '',
-              settingsPath: config.sftpSettingsPath || '',
-              welcomePath: config.sftpWelcomePath || '',
-            },
-            botTimezone: config.botTimezone || 'UTC',
-            logTimezone: config.logTimezone || 'UTC',
-          };
-          const statusCache = this._getCached('status', 'primary', 30000) as Record<string, unknown> | null;
-          if (statusCache) {
-            def.status = statusCache.serverState || 'unknown';
-            def.players = { current: statusCache.onlineCount || 0, max: statusCache.maxPlayers || null };
-          } else {
-            def.status = rcon.connected ? 'running' : 'offline';
-            def.players = { current: 0, max: null };
-          }
-          sendOk(res, { server: def });
+    /** POST /api/panel/db-backups — snapshot every database now */
+    app.post('/api/panel/db-backups', requireTier('admin'), rateLimit(60000, 3), async (_req, res) => {
+      if (!dbBackups.isActive()) {
+        sendError(res, API_ERRORS.DB_BACKUPS_DISABLED, 400);
+        return;
+      }
+      try {
+        const result = await dbBackups.runBackup('manual');
+        if (!result.ok) {
+          sendError(res, API_ERRORS.DB_BACKUP_REJECTED, 409, { reason: result.code });
           return;
         }
+        sendOk(res, {
+          result: { ...result.value, created: result.value.created.map(dbBackupJson) },
+        });
+      } catch (err: unknown) {
+        sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
+      }
+    });
 
-        // Managed server
-        const raw = configRepo?.get(`server:${id}`);
-        if (!raw) {
-          sendError(res, API_ERRORS.SERVER_NOT_FOUND, 404);
+    /** POST /api/panel/db-backups/verify — unpack a snapshot and run an integrity check on it */
+    app.post('/api/panel/db-backups/verify', requireTier('admin'), rateLimit(30000, 3), async (req, res) => {
+      if (!dbBackups.isActive()) {
+        sendError(res, API_ERRORS.DB_BACKUPS_DISABLED, 400);
+        return;
+      }
+      try {
+        const { dbId, name } = (req.body ?? {}) as { dbId?: unknown; name?: unknown };
+        const result = await dbBackups.verify(
+          typeof dbId === 'string' ? dbId : '',
+          typeof name === 'string' ? name : '',
+        );
+        if (!result.ok) {
+          sendError(res, API_ERRORS.DB_BACKUP_REJECTED, 400, { reason: result.code });
           return;
         }
+        sendOk(res, { result: result.value });
+      } catch (err: unknown) {
+        sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
+      }
+    });
 
-        const masked = _maskServerDef(raw);
-        const inst = this._multiServerManager?.getInstance(id);
-        masked.status = inst?.running ? 'running' : 'stopped';
-        const srvCache = this._getCached('status', id, 30000) as Record<string, unknown> | null;
-        if (srvCache) {
-          masked.players = { current: srvCache.onlineCount || 0, max: srvCache.maxPlayers || null };
-        } else {
-          masked.players = { current: 0, max: null };
-        }
-
-        sendOk(res, { server: masked });
+    // ── Panel: Storage & data retention ──
+    /** GET /api/panel/storage — database size per table plus the retention policies */
+    app.get('/api/panel/storage', requireTier('admin'), rateLimit(10000, 5), (req, res) => {
+      const srv = req.srv;
+      if (!srv.db) {
+        sendError(res, API_ERRORS.DATABASE_NOT_AVAILABLE, 404);
+        return;
+      }
+      try {
+        res.json({
+          ...dataRetention.report(srv.db),
+          retention: {
+            enabled: dataRetention.isActive(),
+            policies: dataRetention.policies,
+            lastRun: dataRetention.lastRuns.find((r) => r.serverId === srv.serverId) ?? null,
+          },
+        });
       } catch (err: unknown) {
         sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
       }
     });
 
-    /** PATCH /api/panel/servers/:id — Update server settings (partial) */
-    app.patch('/api/panel/servers/:id', requireTier('admin'), rateLimit(10000, 5), async (req, res) => {
+    /** GET /api/panel/data-retention/preview — dry run: rows each policy would archive, delete or thin */
+    app.get('/api/panel/data-retention/preview', requireTier('admin'), rateLimit(10000, 5), (req, res) => {
+      const srv = req.srv;
+      if (!srv.db) {
+        sendError(res, API_ERRORS.DATABASE_NOT_AVAILABLE, 404);
+        return;
+      }
       try {
-        const id = req.params.id as string;
-        const updates = req.body as Record<string, unknown> | null;
-        if (!updates || typeof updates !== 'object' || Array.isArray(updates)) {
-          sendError(res, API_ERRORS.MISSING_CHANGES_OBJECT, 400);
+        const plan = dataRetention.preview(srv.db);
+        if (!plan.ok) {
+          sendError(res, API_ERRORS.DATA_RETENTION_DISABLED, 400);
           return;
         }
+        res.json({ plan: plan.value });
+      } catch (err: unknown) {
+        sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
+      }
+    });
 
-        if (id === 'primary') {
-          if (configRepo) {
-            const patch: Record<string, unknown> = { ...updates };
-            // Empty-string sensitive fields = "keep existing"
-            if (patch.rcon) {
-              const rcon = { ...(patch.rcon as Record<string, unknown>) };
-              if (rcon.password === '') delete rcon.password;
-              patch.rcon = rcon;
-            }
-            if (patch.sftp) {
-              const sftp = { ...(patch.sftp as Record<string, unknown>) };
-              if (sftp.password === '') delete sftp.password;
-              if (sftp.privateKeyPath === '') delete sftp.privateKeyPath;
-              patch.sftp = sftp;
-            }
-            configRepo.update('server:primary', patch);
-          }
-          const restartRequired = !!(updates.rcon || updates.sftp || updates.paths);
-          sendOk(res, { restartRequired });
+    /** POST /api/panel/data-retention/run — apply the policies to this server's database now */
+    app.post('/api/panel/data-retention/run', requireTier('admin'), rateLimit(60000, 2), async (req, res) => {
+      const srv = req.srv;
+      if (!srv.db) {
+        sendError(res, API_ERRORS.DATABASE_NOT_AVAILABLE, 404);
+        return;
+      }
+      try {
+        const run = await dataRetention.apply(srv.serverId, srv.db);
+        if (!run.ok) {
+          if (run.code === 'busy') sendError(res, API_ERRORS.DATA_RETENTION_BUSY, 409);
+          else sendError(res, API_ERRORS.DATA_RETENTION_DISABLED, 400);
           return;
         }
+        sendOk(res, { run: run.value });
+      } catch (err: unknown) {
+        sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
+      }
+    });
 
-        // Managed server
-        if (!configRepo) {
-          sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500);
+    // ── Panel: Save editor (offline player / world fixes) ──
+    const saveTransportFor = (req: express.Request, res: express.Response) => {
+      const transport = createSaveTransport(req.srv);
+      if (!transport) sendError(res, API_ERRORS.SAVE_EDITOR_UNAVAILABLE, 400);
+      return transport;
+    };
+    const sendSaveEditError = (res: express.Response, result: { code: SaveEditorError; detail?: string }) => {
+      const status =
+        result.code === 'busy' || result.code === 'server_running' || result.code === 'stale_target'
+          ? 409
+          : result.code === 'download_failed' || result.code === 'upload_failed' || result.code === 'upload_mismatch'
+            ? 502
+            : 400;
+      sendError(res, API_ERRORS.SAVE_EDIT_REJECTED, status, { reason: result.code, detail: result.detail ?? '' });
+    };
+
+    /** GET /api/panel/save-editor — players, structures and vehicles in the current save, plus local backups */
+    app.get('/api/panel/save-editor', requireTier('admin'), rateLimit(10000, 3), async (req, res) => {
+      const transport = saveTransportFor(req, res);
+      if (!transport) return;
+      try {
+        const [summary, serverState] = await Promise.all([saveEditor.summary(transport), transport.serverState()]);
+        if (!summary.ok) {
+          sendSaveEditError(res, summary);
           return;
         }
-        const existing: Record<string, unknown> = configRepo.get(`server:${id}`) ?? {};
-        if (!Object.keys(existing).length) {
-          sendError(res, API_ERRORS.SERVER_NOT_FOUND, 404);
+        const names = req.srv.playerNameMap;
+        res.json({
+          transport: transport.kind,
+          path: transport.path,
+          serverState,
+          save: {
+            ...summary.value,
+            players: summary.value.players.map((p) => ({ ...p, name: names[p.steamId] ?? '' })),
+          },
+          backups: saveEditor.listBackups(saveEditBackupDir(req.srv.dataDir)),
+        });
+      } catch (err: unknown) {
+        sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
+      }
+    });
+
+    /** POST /api/panel/save-editor/preview — dry run: the changes a list of edits would make */
+    app.post('/api/panel/save-editor/preview', requireTier('admin'), rateLimit(10000, 5), async (req, res) => {
+      const edits = parseSaveEdits((req.body as { edits?: unknown } | undefined)?.edits);
+      if (!edits.ok) {
+        sendSaveEditError(res, edits);
+        return;
+      }
+      const transport = saveTransportFor(req, res);
+      if (!transport) return;
+      try {
+        const result = await saveEditor.preview(transport, edits.value);
+        if (!result.ok) {
+          sendSaveEditError(res, result);
           return;
         }
+        sendOk(res, { preview: result.value });
+      } catch (err: unknown) {
+        sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
+      }
+    });
 
-        // Deep-merge sub-objects; empty-string sensitive fields = keep existing
-        const patch: Record<string, unknown> = { ...updates };
-        if (patch.rcon) {
-          const existRcon = (existing.rcon as Record<string, unknown> | undefined) ?? {};
-          const rcon: Record<string, unknown> = { ...existRcon, ...(patch.rcon as Record<string, unknown>) };
-          if (rcon.password === '') rcon.password = existRcon.password ?? '';
-          patch.rcon = rcon;
-        }
-        if (patch.sftp) {
-          const existSftp = (existing.sftp as Record<string, unknown> | undefined) ?? {};
-          const sftp: Record<string, unknown> = { ...existSftp, ...(patch.sftp as Record<string, unknown>) };
-          if (sftp.password === '') sftp.password = existSftp.password ?? '';
-          if (sftp.privateKeyPath === '') sftp.privateKeyPath = existSftp.privateKeyPath ?? '';
-          patch.sftp = sftp;
-        }
-        if (patch.panel) {
-          const existPanel = (existing.panel as Record<string, unknown> | undefined) ?? {};
-          const panel: Record<string, unknown> = { ...existPanel, ...(patch.panel as Record<string, unknown>) };
-          if (panel.apiKey === '') panel.apiKey = existPanel.apiKey ?? '';
-          patch.panel = panel;
-        }
-        if (patch.channels) {
-          patch.channels = {
-            ...(existing.channels ?? {}),
-            ...(patch.channels as Record<string, unknown>),
-          };
-        }
-        if (patch.paths) {
-          patch.paths = {
-            ...(existing.paths ?? {}),
-            ...(patch.paths as Record<string, unknown>),
-          };
+    /** POST /api/panel/save-editor/apply — back up the save, write the edits and verify the upload */
+    app.post('/api/panel/save-editor/apply', requireTier('admin'), rateLimit(60000, 3), async (req, res) => {
+      const body = (req.body ?? {}) as { edits?: unknown; confirmRunning?: unknown };
+      const edits = parseSaveEdits(body.edits);
+      if (!edits.ok) {
+        sendSaveEditError(res, edits);
+        return;
+      }
+      const transport = saveTransportFor(req, res);
+      if (!transport) return;
+      try {
+        const result = await saveEditor.apply(transport, edits.value, {
+          backupDir: saveEditBackupDir(req.srv.dataDir),
+          confirmRunning: body.confirmRunning === true,
+        });
+        if (!result.ok) {
+          sendSaveEditError(res, result);
+          return;
         }
+        sendOk(res, { result: result.value });
+      } catch (err: unknown) {
+        sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
+      }
+    });
 
-        configRepo.update(`server:${id}`, patch);
-
-        // Hot-reload running instance if applicable
-        if (this._multiServerManager?.getInstance(id)?.running) {
-          try {
-            await this._multiServerManager.updateServer(id, patch);
-          } catch (hotReloadErr: unknown) {
-            console.warn(
-              '[WebMap] Hot-reload for server %s failed, will apply on next start:',
-              id,
-              errMsg(hotReloadErr),
-            );
-          }
+    /** POST /api/panel/save-editor/restore — put a save-editor backup back in place */
+    app.post('/api/panel/save-editor/restore', requireTier('admin'), rateLimit(60000, 3), async (req, res) => {
+      const body = (req.body ?? {}) as { name?: unknown; confirmRunning?: unknown };
+      const transport = saveTransportFor(req, res);
+      if (!transport) return;
+      try {
+        const result = await saveEditor.restore(transport, typeof body.name === 'string' ? body.name : '', {
+          backupDir: saveEditBackupDir(req.srv.dataDir),
+          confirmRunning: body.confirmRunning === true,
+        });
+        if (!result.ok) {
+          sendSaveEditError(res, result);
+          return;
         }
-
-        const restartRequired = !!(updates.rcon || updates.sftp || updates.paths);
-        sendOk(res, { restartRequired });
+        sendOk(res, { result: result.value });
       } catch (err: unknown) {
         sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
       }
-    });
+    });
+
+    // ── Panel: Inventory rollback ──
+    /**
+     * Validate a rollback request and work out what to give back: the plan
+     * for `snapshotId` and the selected lines.  Sends the error and returns
+     * null when the request cannot go ahead.
+     */
+    const rollbackFor = (
+      req: express.Request,
+      res: express.Response,
+      body: { snapshotId?: unknown; items?: unknown },
+    ) => {
+      const steamId = req.params.steamId as string;
+      if (!/^\d{17}$/.test(steamId)) {
+        sendError(res, API_ERRORS.INVALID_STEAM_ID_FORMAT, 400);
+        return null;
+      }
+      if (!req.srv.db) {
+        sendError(res, API_ERRORS.DATABASE_NOT_AVAILABLE, 404);
+        return null;
+      }
+      const snapshotId = typeof body.snapshotId === 'number' ? body.snapshotId : parseInt(String(body.snapshotId), 10);
+      if (!Number.isInteger(snapshotId) || snapshotId <= 0) {
+        sendError(res, API_ERRORS.INVALID_SNAPSHOT_ID, 400);
+        return null;
+      }
+      const plan = planRollback(req.srv.db, steamId, snapshotId);
+      if (!plan.ok) {
+        sendError(res, API_ERRORS.SNAPSHOT_NOT_FOUND, 404);
+        return null;
+      }
+      const lines = selectRollbackLines(plan.value, body.items);
+      if (!lines.ok) {
+        sendError(res, API_ERRORS.ROLLBACK_REJECTED, 400, { reason: lines.code, detail: lines.detail ?? '' });
+        return null;
+      }
+      return { steamId, plan: plan.value, lines: lines.value };
+    };
+
+    /** Save edits restoring `lines` into the player's free slots in the current save. */
+    const rollbackEditsFor = async (
+      res: express.Response,
+      transport: SaveTransport,
+      steamId: string,
+      lines: RollbackLine[],
+    ) => {
+      const summary = await saveEditor.summary(transport);
+      if (!summary.ok) {
+        sendSaveEditError(res, summary);
+        return null;
+      }
+      const player = summary.value.players.find((p) => p.steamId === steamId);
+      if (!player) {
+        sendError(res, API_ERRORS.ROLLBACK_REJECTED, 404, { reason: 'player_not_in_save', detail: steamId });
+        return null;
+      }
+      const staged = rollbackSaveEdits(steamId, player.slots, lines);
+      if (!staged.edits.length) {
+        sendError(res, API_ERRORS.ROLLBACK_REJECTED, 409, { reason: 'no_free_slots', detail: '' });
+        return null;
+      }
+      return staged;
+    };
 
-    /** DELETE /api/panel/servers/:id — Remove a managed server */
-    app.delete('/api/panel/servers/:id', requireTier('admin'), rateLimit(10000, 3), async (req, res) => {
+    /**
+     * GET /api/panel/players/:steamId/rollback?snapshot= — restore points for
+     * a player and, for the chosen snapshot, the inventory delta and RCON script
+     */
+    app.get('/api/panel/players/:steamId/rollback', requireTier('admin'), rateLimit(10000, 5), (req, res) => {
+      const steamId = req.params.steamId as string;
+      if (!/^\d{17}$/.test(steamId)) {
+        sendError(res, API_ERRORS.INVALID_STEAM_ID_FORMAT, 400);
+        return;
+      }
+      if (!req.srv.db) {
+        sendError(res, API_ERRORS.DATABASE_NOT_AVAILABLE, 404);
+        return;
+      }
       try {
-        const id = req.params.id as string;
-        if (id === 'primary') {
-          sendError(res, API_ERRORS.CANNOT_DELETE_PRIMARY, 403);
-          return;
-        }
-        if (req.query.confirm !== 'true') {
-          sendError(res, API_ERRORS.CONFIRM_REQUIRED, 400);
+        const snapshots = req.srv.db.timeline.getPlayerTimelineSnapshots(steamId, 200);
+        const name = this._resolveServerPlayerName(req.srv, steamId) ?? '';
+        if (req.query.snapshot === undefined) {
+          res.json({ steamId, name, snapshots, giveCommand: GIVE_COMMAND, plan: null, commands: [] });
           return;
         }
-
-        if (configRepo) {
-          const existing = configRepo.get(`server:${id}`);
-          if (!existing) {
-            sendError(res, API_ERRORS.SERVER_NOT_FOUND, 404);
-            return;
-          }
-        }
-
-        if (this._multiServerManager) {
-          try {
-            await this._multiServerManager.removeServer(id);
-          } catch (removeErr: unknown) {
-            console.warn('[WebMap] removeServer(%s) cleanup warning:', id, errMsg(removeErr));
-          }
-        }
-        if (configRepo) {
-          configRepo.delete(`server:${id}`);
-        }
-
-        sendOk(res);
+        const ctx = rollbackFor(req, res, { snapshotId: req.query.snapshot });
+        if (!ctx) return;
+        res.json({
+          steamId,
+          name,
+          snapshots,
+          giveCommand: GIVE_COMMAND,
+          pending: pendingRollback(req.srv.db, steamId),
+          plan: ctx.plan,
+          commands: rollbackCommands(steamId, ctx.lines),
+        });
       } catch (err: unknown) {
         sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
       }
     });
 
-    /** POST /api/panel/servers/:id/actions/:action — Lifecycle control (start/stop/restart) */
-    app.post('/api/panel/servers/:id/actions/:action', requireTier('admin'), rateLimit(10000, 5), async (req, res) => {
-      try {
-        const id = req.params.id as string;
-        const action = req.params.action as string;
-        if (id === 'primary') {
-          sendError(res, API_ERRORS.CANNOT_CONTROL_PRIMARY, 400);
-          return;
-        }
-        if (!['start', 'stop', 'restart'].includes(action)) {
-          sendError(res, API_ERRORS.INVALID_LIFECYCLE_ACTION, 400);
-          return;
-        }
-        if (!this._multiServerManager) {
-          sendError(res, API_ERRORS.MULTI_SERVER_NOT_AVAILABLE, 500);
-          return;
+    /** POST /api/panel/players/:steamId/rollback/stage — the save edits a restore would make, as a dry run */
+    app.post(
+      '/api/panel/players/:steamId/rollback/stage',
+      requireTier('admin'),
+      rateLimit(10000, 5),
+      async (req, res) => {
+        const body = (req.body ?? {}) as { snapshotId?: unknown; items?: unknown };
+        const ctx = rollbackFor(req, res, body);
+        if (!ctx) return;
+        const transport = saveTransportFor(req, res);
+        if (!transport) return;
+        try {
+          const staged = await rollbackEditsFor(res, transport, ctx.steamId, ctx.lines);
+          if (!staged) return;
+          const preview = await saveEditor.preview(transport, staged.edits);
+          if (!preview.ok) {
+            sendSaveEditError(res, preview);
+            return;
+          }
+          sendOk(res, { staged: { ...staged, changes: preview.value.changes } });
+        } catch (err: unknown) {
+          sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
         }
+      },
+    );
 
-        // Verify server definition exists
-        const def = configRepo?.get(`server:${id}`);
-        if (!def) {
-          sendError(res, API_ERRORS.SERVER_NOT_FOUND, 404);
-          return;
-        }
+    /**
+     * POST /api/panel/players/:steamId/rollback — give the selected items back,
+     * over RCON (player online) or as a save edit (server offline)
+     */
+    app.post('/api/panel/players/:steamId/rollback', requireTier('admin'), rateLimit(60000, 3), async (req, res) => {
+      const body = (req.body ?? {}) as {
+        snapshotId?: unknown;
+        items?: unknown;
+        mode?: unknown;
+        confirmRunning?: unknown;
+      };
+      if (body.mode !== 'rcon' && body.mode !== 'save') {
+        sendError(res, API_ERRORS.INVALID_ACTION, 400, { action: typeof body.mode === 'string' ? body.mode : '' });
+        return;
+      }
+      const ctx = rollbackFor(req, res, body);
+      if (!ctx) return;
+      const { steamId, lines } = ctx;
+      const db = req.srv.db;
+      if (!db) return;
 
-        const inst = this._multiServerManager.getInstance(id);
+      // The plan only reflects a restore after the next save sync — refuse to give the same items twice
+      const pending = pendingRollback(db, steamId);
+      if (pending) {
+        sendError(res, API_ERRORS.ROLLBACK_REJECTED, 409, { reason: 'already_applied', detail: pending.at });
+        return;
+      }
+      const applied: AppliedRollback = {
+        snapshotId: ctx.plan.snapshot.id,
+        mode: body.mode,
+        at: new Date().toISOString(),
+        by: req.session.username || req.session.discordId || 'admin',
+      };
 
-        if (action === 'start') {
-          if (inst?.running) {
-            sendError(res, API_ERRORS.SERVER_ALREADY_IN_STATE, 409);
+      if (body.mode === 'save') {
+        const transport = saveTransportFor(req, res);
+        if (!transport) return;
+        recordRollback(db, steamId, applied);
+        try {
+          const staged = await rollbackEditsFor(res, transport, steamId, lines);
+          if (!staged) {
+            recordRollback(db, steamId, null);
             return;
           }
-          await this._multiServerManager.startServer(id);
-          sendOk(res, { status: 'running' });
-          return;
-        }
-
-        if (action === 'stop') {
-          if (!inst?.running) {
-            sendError(res, API_ERRORS.SERVER_ALREADY_IN_STATE, 409);
+          const result = await saveEditor.apply(transport, staged.edits, {
+            backupDir: saveEditBackupDir(req.srv.dataDir),
+            confirmRunning: body.confirmRunning === true,
+          });
+          if (!result.ok) {
+            recordRollback(db, steamId, null);
+            sendSaveEditError(res, result);
             return;
           }
-          await this._multiServerManager.stopServer(id);
-          sendOk(res, { status: 'stopped' });
-          return;
+          sendOk(res, { result: { mode: 'save', ...result.value, unplaced: staged.unplaced } });
+        } catch (err: unknown) {
+          recordRollback(db, steamId, null);
+          sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
         }
+        return;
+      }
 
-        // restart
-        if (inst?.running) {
-          await this._multiServerManager.stopServer(id);
+      // RCON: items can only be given to a connected player
+      try {
+        const online = await req.srv.getPlayerList();
+        if (!online.players.some((p) => p.steamId === steamId)) {
+          sendError(res, API_ERRORS.ROLLBACK_REJECTED, 409, { reason: 'player_offline', detail: steamId });
+          return;
         }
-        await this._multiServerManager.startServer(id);
-        sendOk(res, { status: 'running' });
       } catch (err: unknown) {
-        sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
+        sendError(res, API_ERRORS.ROLLBACK_REJECTED, 502, { reason: 'rcon_failed', detail: safeError(err) });
+        return;
+      }
+      // Recorded before the first give so a second click cannot slip in while this one runs
+      const raced = pendingRollback(db, steamId);
+      if (raced) {
+        sendError(res, API_ERRORS.ROLLBACK_REJECTED, 409, { reason: 'already_applied', detail: raced.at });
+        return;
+      }
+      recordRollback(db, steamId, applied);
+      const sent: Array<{ command: string; response: string }> = [];
+      for (const command of rollbackCommands(steamId, lines)) {
+        try {
+          sent.push({ command, response: await req.srv.rcon.send(command) });
+        } catch (err: unknown) {
+          // Nothing given yet — the restore can be retried straight away
+          if (sent.length === 0) recordRollback(db, steamId, null);
+          // Stop at the first failure — the admin needs to know exactly what was already given
+          sendError(res, API_ERRORS.ROLLBACK_REJECTED, 502, { reason: 'rcon_failed', detail: safeError(err), sent });
+          return;
+        }
       }
+      sendOk(res, { result: { mode: 'rcon', sent } });
     });
 
-    // ── Panel: Settings Schema ──
-    /** GET /api/panel/settings-schema — Return game settings category definitions */
-
-    app.get('/api/panel/settings-schema', requireTier('admin'), (_req, res) => {
-      res.json({ categories: GAME_SETTINGS_CATEGORIES });
+    // ── Panel: Admin audit log ──
+    /** GET /api/panel/audit — newest entries first, filtered by actor / action / result / time */
+    app.get('/api/panel/audit', requireTier('admin'), rateLimit(10000, 10), (req, res) => {
+      const filter = parseAuditFilter(req.query);
+      const beforeId = parseInt(typeof req.query.before === 'string' ? req.query.before : '', 10);
+      const limit = parseInt(typeof req.query.limit === 'string' ? req.query.limit : '', 10);
+      const list = adminAudit.list({
+        ...filter,
+        beforeId: beforeId > 0 ? beforeId : undefined,
+        limit: limit > 0 ? Math.min(limit, 200) : 100,
+      });
+      const actions = adminAudit.actions();
+      if (!list.ok || !actions.ok) {
+        sendError(res, API_ERRORS.AUDIT_LOG_UNAVAILABLE, 503);
+        return;
+      }
+      res.json({ entries: list.value, actions: actions.value });
     });
 
-    // ── Panel: Per-Server Auto-Messages ──
-    /** GET /api/panel/servers/:id/auto-messages — Read auto-messages config for a server */
-    app.get('/api/panel/servers/:id/auto-messages', requireTier('admin'), rateLimit(10000, 10), (req, res) => {
+    /** GET /api/panel/audit/verify — recompute the hash chain and report the first broken entry */
+    app.get('/api/panel/audit/verify', requireTier('admin'), rateLimit(30000, 3), (_req, res) => {
       try {
-        const id = req.params.id as string;
-        const defaults = {
-          enableWelcomeMsg: true,
-          enableWelcomeFile: false,
-          enableAutoMsgLink: true,
-          enableAutoMsgPromo: true,
-          linkText: '',
-          promoText: '',
-          discordLink: '',
-        };
-        if (!configRepo) {
-          sendError(res, API_ERRORS.NO_DATABASE, 503, 'Config database not available');
+        const result = adminAudit.verify();
+        if (!result.ok) {
+          sendError(res, API_ERRORS.AUDIT_LOG_UNAVAILABLE, 503);
           return;
         }
-        const scope = `server:${id}`;
-        if (id !== 'primary' && !configRepo.get(scope)) {
-          sendError(res, API_ERRORS.SERVER_NOT_FOUND, 404);
-          return;
-        }
-        const serverData = configRepo.get(scope) || {};
-        const stored = serverData.autoMessages || null;
-        const data = Object.assign({}, defaults, stored || {});
-        sendOk(res, data);
+        res.json(result.value);
       } catch (err: unknown) {
         sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
       }
     });
 
-    /** POST /api/panel/servers/:id/auto-messages — Save auto-messages config for a server */
-    app.post('/api/panel/servers/:id/auto-messages', requireTier('admin'), rateLimit(10000, 5), (req, res) => {
-      try {
-        const id = req.params.id as string;
-        const {
-          enableWelcomeMsg,
-          enableWelcomeFile,
-          enableAutoMsgLink,
-          enableAutoMsgPromo,
-          linkText,
-          promoText,
-          discordLink,
-        } = req.body as {
-          enableWelcomeMsg?: unknown;
-          enableWelcomeFile?: unknown;
-          enableAutoMsgLink?: unknown;
-          enableAutoMsgPromo?: unknown;
-          linkText?: unknown;
-          promoText?: unknown;
-          discordLink?: unknown;
-        };
-
-        const data = {
-          enableWelcomeMsg: !!enableWelcomeMsg,
-          enableWelcomeFile: !!enableWelcomeFile,
-          enableAutoMsgLink: !!enableAutoMsgLink,
-          enableAutoMsgPromo: !!enableAutoMsgPromo,
-          linkText: typeof linkText === 'string' ? linkText.trim() : '',
-          promoText: typeof promoText === 'string' ? promoText.trim() : '',
-          discordLink: typeof discordLink === 'string' ? discordLink.trim() : '',
-        };
-
-        if (!configRepo) {
-          sendError(res, API_ERRORS.NO_DATABASE, 503, 'Config database not available');
-          return;
-        }
-        const scope = `server:${id}`;
-        if (id !== 'primary' && !configRepo.get(scope)) {
-          sendError(res, API_ERRORS.SERVER_NOT_FOUND, 404);
-          return;
-        }
-        configRepo.update(scope, { autoMessages: data });
-        sendOk(res, { saved: true, requiresRestart: true });
-      } catch (err: unknown) {
-        sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
+    /** GET /api/panel/audit/export?format=json|csv — the filtered entries with their hashes */
+    app.get('/api/panel/audit/export', requireTier('admin'), rateLimit(60000, 3), (req, res) => {
+      const list = adminAudit.list({ ...parseAuditFilter(req.query), limit: AUDIT_EXPORT_LIMIT });
+      if (!list.ok) {
+        sendError(res, API_ERRORS.AUDIT_LOG_UNAVAILABLE, 503);
+        return;
+      }
+      const stamp = new Date().toISOString().slice(0, 10);
+      if (req.query.format === 'csv') {
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="admin-audit-${stamp}.csv"`);
+        res.send(auditCsv(list.value));
+        return;
       }
+      res.setHeader('Content-Disposition', `attachment; filename="admin-audit-${stamp}.json"`);
+      res.json({
+        format: 'humanitz-admin-audit',
+        version: 1,
+        exportedAt: new Date().toISOString(),
+        entries: list.value,
+      });
     });
 
-    // ── Panel: Bot actions (restart, reimport, factory reset, env sync) ──
+    // ── Panel: Bot actions (restart, reimport, factory reset, season reset, restore, env sync) ──
     /** POST /api/panel/bot-actions/:action — Bot lifecycle control */
     app.post('/api/panel/bot-actions/:action', requireTier('admin'), rateLimit(30000, 3), (req, res) => {
       try {
         const action = req.params.action as string;
-        const validActions = ['restart', 'reimport', 'factory_reset', 'env_sync'];
+        const validActions = ['restart', 'reimport', 'factory_reset', 'season_reset', 'restore_backup', 'env_sync'];
         if (!validActions.includes(action)) {
           sendError(res, API_ERRORS.INVALID_BOT_ACTION, 400);
           return;
@@ -5599,6 +7171,24 @@ class WebMapServer {
             result = this._botControl.factoryReset(meta);
             break;
           }
+          case 'season_reset': {
+            const { confirm, name } = req.body as { confirm?: string; name?: string };
+            if (confirm !== 'RESET') {
+              sendError(res, API_ERRORS.CONFIRM_SEASON_RESET_REQUIRED, 400);
+              return;
+            }
+            result = this._botControl.seasonReset(meta, { name: typeof name === 'string' ? name : null });
+            break;
+          }
+          case 'restore_backup': {
+            const { confirm, dbId, name } = req.body as { confirm?: string; dbId?: unknown; name?: unknown };
+            if (confirm !== 'RESTORE' || typeof dbId !== 'string' || typeof name !== 'string') {
+              sendError(res, API_ERRORS.CONFIRM_RESTORE_REQUIRED, 400);
+              return;
+            }
+            result = this._botControl.restoreBackup(meta, { dbId, name });
+            break;
+          }
           case 'env_sync':
             result = this._botControl.envSync();
             break;
@@ -5610,6 +7200,18 @@ class WebMapServer {
           sendError(res, API_ERRORS.BOT_ACTION_PENDING, 409);
           return;
         }
+        if ((err as NodeJS.ErrnoException).code === 'SEASON_RESET_UNAVAILABLE') {
+          sendError(res, API_ERRORS.SEASON_RESET_UNAVAILABLE, 400);
+          return;
+        }
+        if ((err as NodeJS.ErrnoException).code === 'RESTORE_UNAVAILABLE') {
+          sendError(res, API_ERRORS.RESTORE_UNAVAILABLE, 400);
+          return;
+        }
+        if ((err as NodeJS.ErrnoException).code === 'DB_BACKUP_REJECTED') {
+          sendError(res, API_ERRORS.DB_BACKUP_REJECTED, 400, { reason: (err as { reason?: string }).reason ?? '' });
+          return;
+        }
         sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
       }
     });
@@ -5629,14 +7231,18 @@ class WebMapServer {
       }
     });
 
-    /** GET /api/timeline/snapshots?from=&to=&limit= — snapshot list (metadata only) */
+    /** GET /api/timeline/snapshots?from=&to=&tier=&limit= — snapshot list (metadata only) */
     app.get('/api/timeline/snapshots', requireTier('survivor'), rateLimit(10000, 10), (req, res) => {
       if (!req.srv.db) return res.json([]);
       try {
-        const { from, to, limit } = req.query;
+        const { from, to, tier, limit } = req.query;
         let snapshots;
         if (from && to) {
-          snapshots = req.srv.db.timeline.getTimelineSnapshotRange(from as string, to as string);
+          snapshots = req.srv.db.timeline.getTimelineSnapshotRange(
+            from as string,
+            to as string,
+            parseTimelineTier(tier),
+          );
         } else {
           snapshots = req.srv.db.timeline.getTimelineSnapshots(parseInt(limit as string, 10) || 50);
         }
@@ -5646,6 +7252,42 @@ class WebMapServer {
       }
     });
 
+    /**
+     * GET /api/timeline/export?from=&to=&tier= — playback clip as a JSON bundle:
+     * every snapshot in the range with its entities, in world coordinates.
+     */
+    app.get('/api/timeline/export', requireTier('survivor'), rateLimit(60000, 3), (req, res) => {
+      if (!req.srv.db) {
+        sendError(res, API_ERRORS.DATABASE_NOT_AVAILABLE, 404);
+        return;
+      }
+      try {
+        const { from, to } = req.query;
+        if (typeof from !== 'string' || typeof to !== 'string' || !from || !to) {
+          sendError(res, API_ERRORS.FROM_AND_TO_REQUIRED, 400);
+          return;
+        }
+        const tier = parseTimelineTier(req.query.tier);
+        const count = req.srv.db.timeline.countTimelineSnapshotRange(from, to, tier);
+        if (count > MAX_CLIP_FRAMES) {
+          sendError(res, API_ERRORS.TIMELINE_CLIP_TOO_LARGE, 400, { count, max: MAX_CLIP_FRAMES });
+          return;
+        }
+        res.json({
+          format: 'humanitz-timeline-clip',
+          version: 1,
+          serverId: req.srv.serverId,
+          exportedAt: new Date().toISOString(),
+          from,
+          to,
+          tier,
+          frames: req.srv.db.timeline.getTimelineClip(from, to, tier),
+        });
+      } catch (err: unknown) {
+        sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
+      }
+    });
+
     /** GET /api/timeline/snapshot/:id — full snapshot data (all entities with map coords) */
     app.get('/api/timeline/snapshot/:id', requireTier('survivor'), rateLimit(10000, 15), (req, res) => {
       if (!req.srv.db) {
@@ -5767,6 +7409,41 @@ class WebMapServer {
       }
     });
 
+    /**
+     * GET /api/timeline/heatmap/:layer?hours=|from=&to=&grid=&cause= — aggregated heatmap cells.
+     * Layers: presence, deaths, zombies, pvp, raids, builds, loot. Window defaults to the last 24h.
+     */
+    app.get('/api/timeline/heatmap/:layer', requireTier('mod'), rateLimit(10000, 10), (req, res) => {
+      if (!req.srv.db) {
+        sendError(res, API_ERRORS.DATABASE_NOT_AVAILABLE, 404);
+        return;
+      }
+      try {
+        const { from, to, hours, grid, cause } = req.query;
+        const end = to ? parseDbTimestampUtc(to) : new Date();
+        const windowHours = Math.min(Math.max(parseFloat(typeof hours === 'string' ? hours : '') || 24, 1), 24 * 90);
+        const start = from ? parseDbTimestampUtc(from) : end && new Date(end.getTime() - windowHours * 3_600_000);
+        if (!start || !end) {
+          sendError(res, API_ERRORS.HEATMAP_REJECTED, 400, { reason: 'invalid_window' });
+          return;
+        }
+        const result = buildHeatmap(req.srv.db, req.params.layer as string, {
+          from: start,
+          to: end,
+          bounds: this._worldBounds,
+          grid: clampGrid(grid),
+          cause: typeof cause === 'string' ? cause : null,
+        });
+        if (!result.ok) {
+          sendError(res, API_ERRORS.HEATMAP_REJECTED, 400, { reason: result.code });
+          return;
+        }
+        res.json(result.value);
+      } catch (err: unknown) {
+        sendError(res, API_ERRORS.INTERNAL_SERVER_ERROR, 500, safeError(err));
+      }
+    });
+
     /** GET /api/timeline/deaths/stats — death cause breakdown */
     app.get('/api/timeline/deaths/stats', requireTier('survivor'), rateLimit(10000, 10), (req, res) => {
       if (!req.srv.db) return res.json([]);
@@ -6248,7 +7925,11 @@ class WebMapServer {
         /* db unavailable */
       }
     }
+    const previous = this._responseCache.get(`status:${srv.serverId || 'primary'}`);
     this._setCache('status', srv.serverId, result);
+    if (!previous || JSON.stringify(previous.data) !== JSON.stringify(result)) {
+      liveEvents.publish(srv.serverId, 'status', result);
+    }
   }
 
   /** Build and cache stats data for a single server. */
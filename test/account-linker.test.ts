@@ -0,0 +1,193 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import _database from '../src/db/database.js';
+const HumanitZDB = _database as any;
+
+import * as _account_linker from '../src/modules/account-linker.js';
+const { AccountLinker } = _account_linker as any;
+
+const ALICE = '76561198000000001';
+const BOB = '76561198000000002';
+
+const CONFIG = { linkCodeTtl: 10, linkedRoleId: '', guildId: '', locale: 'en' };
+
+const T0 = new Date('2026-10-18T12:00:00Z');
+
+function minutesFrom(base: Date, minutes: number) {
+  return new Date(base.getTime() + minutes * 60_000);
+}
+
+/** Fake guild whose members track a single role set each. */
+function makeGuild(roleId: string, initialHolders: string[] = []) {
+  const members = new Map<string, any>();
+  const roleMembers = new Map<string, any>();
+  function member(id: string) {
+    let m = members.get(id);
+    if (!m) {
+      const roles = new Set<string>();
+      m = {
+        id,
+        roles: {
+          cache: { has: (r: string) => roles.has(r) },
+          add: (r: string) => {
+            roles.add(r);
+            roleMembers.set(id, m);
+            return Promise.resolve();
+          },
+          remove: (r: string) => {
+            roles.delete(r);
+            roleMembers.delete(id);
+            return Promise.resolve();
+          },
+        },
+      };
+      members.set(id, m);
+    }
+    return m;
+  }
+  for (const id of initialHolders) void member(id).roles.add(roleId);
+  const guild = {
+    members: { fetch: (id: string) => Promise.resolve(member(id)) },
+    roles: { cache: { get: (r: string) => (r === roleId ? { members: roleMembers } : undefined) } },
+  };
+  return { client: { guilds: { cache: { get: () => guild } } }, hasRole: (id: string) => roleMembers.has(id) };
+}
+
+describe('AccountLinker', () => {
+  let db: any;
+  let linker: any;
+  let messages: string[];
+  let logIds: Record<string, string>;
+
+  function start(extra: Record<string, unknown> = {}) {
+    linker.start({
+      db,
+      config: CONFIG,
+      sendAdminMessage: (msg: string) => {
+        messages.push(msg);
+        return Promise.resolve();
+      },
+      resolveSteamId: (name: string) => logIds[name] ?? name,
+      ...extra,
+    });
+  }
+
+  beforeEach(() => {
+    db = new HumanitZDB({ memory: true, label: 'link-test' });
+    db.init();
+    db.player.registerAlias(BOB, 'Bob', 'idmap');
+    messages = [];
+    logIds = { Alice: ALICE };
+    linker = new AccountLinker();
+    start();
+  });
+
+  afterEach(() => {
+    linker.stop();
+    db.close();
+  });
+
+  function code(discordId = 'd1', name = 'alice#1') {
+    const res = linker.createCode(discordId, name, T0);
+    assert.equal(res.ok, true, res.code);
+    return res.value.code as string;
+  }
+
+  describe('codes', () => {
+    it('issues readable codes and replaces a previous one for the same user', async () => {
+      const first = code();
+      assert.match(first, /^[A-HJKMNP-Z2-9]{6}$/);
+      const second = code();
+      assert.notEqual(first, second);
+      assert.equal(await linker.onChat('Alice', first, T0), false);
+      assert.equal(await linker.onChat('Alice', second, T0), true);
+      assert.equal(linker.getSteamId('d1'), ALICE);
+    });
+
+    it('accepts !link and any case, and ignores ordinary chat', async () => {
+      const c = code();
+      assert.equal(await linker.onChat('Alice', 'hello everyone', T0), false);
+      assert.equal(await linker.onChat('Alice', `!link ${c.toLowerCase()}`, T0), true);
+      assert.equal(linker.getSteamId('d1'), ALICE);
+      assert.match(messages[0] ?? '', /^Alice<FO>, your character is now linked to Discord user alice#1\.<\/>$/);
+    });
+
+    it('expires codes after LINK_CODE_TTL and only redeems them once', async () => {
+      const c = code();
+      assert.equal(await linker.onChat('Alice', c, minutesFrom(T0, 10)), false);
+      const d = code();
+      assert.equal(await linker.onChat('Alice', d, minutesFrom(T0, 1)), true);
+      assert.equal(await linker.onChat('Alice', d, minutesFrom(T0, 2)), false);
+    });
+
+    it('keeps the code when the speaker cannot be resolved yet', async () => {
+      const c = code();
+      assert.equal(await linker.onChat('Stranger', c, T0), true);
+      assert.equal(linker.getSteamId('d1'), null);
+      assert.match(messages[0] ?? '', /could not be identified/);
+      logIds.Stranger = ALICE;
+      assert.equal(await linker.onChat('Stranger', c, T0), true);
+      assert.equal(linker.getSteamId('d1'), ALICE);
+    });
+
+    it('falls back to the alias table when LogWatcher has no match', async () => {
+      assert.equal(await linker.onChat('Bob', code('d2', 'bob'), T0), true);
+      assert.equal(linker.getSteamId('d2'), BOB);
+      assert.equal(linker.getLinkBySteamId(BOB).discord_name, 'bob');
+    });
+
+    it('refuses to issue codes while stopped', () => {
+      linker.stop();
+      assert.equal(linker.createCode('d1', '', T0).code, 'disabled');
+    });
+  });
+
+  describe('links', () => {
+    it('keeps both sides one-to-one when a character is relinked', async () => {
+      await linker.onChat('Alice', code('d1'), T0);
+      await linker.onChat('Alice', code('d2'), T0);
+      assert.equal(linker.getSteamId('d1'), null);
+      assert.equal(linker.getSteamId('d2'), ALICE);
+
+      await linker.onChat('Bob', code('d2'), T0);
+      assert.equal(linker.getSteamId('d2'), BOB);
+      assert.equal(linker.getLinkBySteamId(ALICE), null);
+      assert.equal(db.accountLinks.count(), 1);
+    });
+
+    it('unlinks and reports missing links', async () => {
+      await linker.onChat('Bob', code('d2', 'bob'), T0);
+      const res = await linker.unlink('d2');
+      assert.equal(res.ok, true);
+      assert.equal(res.value.player_name, 'Bob');
+      assert.equal((await linker.unlink('d2')).code, 'not_linked');
+    });
+  });
+
+  describe('linked role', () => {
+    it('grants on link, moves on relink and revokes on unlink', async () => {
+      const fake = makeGuild('role1');
+      start({ client: fake.client, config: { ...CONFIG, guildId: 'g1', linkedRoleId: 'role1' } });
+
+      await linker.onChat('Alice', code('d1'), T0);
+      assert.equal(fake.hasRole('d1'), true);
+      await linker.onChat('Alice', code('d2'), T0);
+      assert.equal(fake.hasRole('d1'), false);
+      assert.equal(fake.hasRole('d2'), true);
+      await linker.unlink('d2');
+      assert.equal(fake.hasRole('d2'), false);
+    });
+
+    it('reconciles role holders with stored links', async () => {
+      db.accountLinks.link('d1', ALICE, 'alice');
+      const fake = makeGuild('role1', ['stale']);
+      start({ client: fake.client, config: { ...CONFIG, guildId: 'g1', linkedRoleId: 'role1' } });
+
+      assert.deepEqual(await linker.syncRoles(), { added: 1, removed: 1 });
+      assert.equal(fake.hasRole('d1'), true);
+      assert.equal(fake.hasRole('stale'), false);
+      assert.deepEqual(await linker.syncRoles(), { added: 0, removed: 0 });
+    });
+  });
+});
@@ -0,0 +1,288 @@
+/**
+ * Tests for the admin audit log — the hash chain and its verification,
+ * parameter redaction, the panel request middleware and the audit API.
+ */
+
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+
+import _database from '../src/db/database.js';
+const HumanitZDB = _database as any;
+
+import * as _repo from '../src/db/repositories/audit-repository.js';
+const { AUDIT_GENESIS, auditHash }: any = _repo;
+
+import * as _mod from '../src/modules/admin-audit.js';
+const { AdminAudit, redactParams, sessionFingerprint }: any = _mod;
+const adminAudit = (_mod as any).default;
+
+import * as _trail from '../src/web-map/audit-trail.js';
+const { auditAction, auditTrail }: any = _trail;
+
+import _webMapServer from '../src/web-map/server.js';
+const WebMapServer = _webMapServer as any;
+
+import * as _route_helpers from './helpers/route-helpers.js';
+const { extractHandler } = _route_helpers as any;
+
+const ADMIN = { userId: '111', username: 'alice', displayName: 'Alice', tier: 'admin', tierLevel: 3 };
+
+function entry(overrides: Record<string, unknown> = {}) {
+  return {
+    source: 'panel',
+    actorId: '111',
+    actorName: 'Alice',
+    tier: 'admin',
+    action: 'kick',
+    result: 'ok',
+    ...overrides,
+  };
+}
+
+describe('AuditRepository', () => {
+  let db: any;
+
+  beforeEach(() => {
+    db = new HumanitZDB({ memory: true, label: 'AuditTest' });
+    db.init();
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  it('chains each entry to the previous hash', () => {
+    const first = db.audit.append(entry({ params: { steamId: '7656' } }));
+    const second = db.audit.append(entry({ action: 'ban', createdAt: new Date('2026-03-01T10:00:00Z') }));
+    assert.equal(first.prev_hash, AUDIT_GENESIS);
+    assert.equal(second.prev_hash, first.hash);
+    assert.equal(second.created_at, '2026-03-01 10:00:00');
+    assert.equal(auditHash(second.prev_hash, second), second.hash);
+    assert.deepEqual(db.audit.verify(), { ok: true, checked: 2, brokenAt: null, reason: null });
+  });
+
+  it('detects an edited row', () => {
+    db.audit.append(entry());
+    const target = db.audit.append(entry({ action: 'rcon', params: { command: 'kick Bob' } }));
+    db.audit.append(entry());
+    db.db.prepare("UPDATE admin_audit SET params = '{}' WHERE id = ?").run(target.id);
+    assert.deepEqual(db.audit.verify(), { ok: false, checked: 1, brokenAt: target.id, reason: 'hash' });
+  });
+
+  it('detects a removed row', () => {
+    db.audit.append(entry());
+    const removed = db.audit.append(entry());
+    const next = db.audit.append(entry());
+    db.db.prepare('DELETE FROM admin_audit WHERE id = ?').run(removed.id);
+    assert.deepEqual(db.audit.verify(), { ok: false, checked: 1, brokenAt: next.id, reason: 'link' });
+  });
+
+  it('filters newest first and pages backwards', () => {
+    db.audit.append(entry({ action: 'kick', createdAt: new Date('2026-03-01T10:00:00Z') }));
+    db.audit.append(entry({ action: 'rcon', actorId: '222', actorName: 'Bob', result: 'denied' }));
+    const last = db.audit.append(entry({ action: 'rcon' }));
+
+    assert.deepEqual(
+      db.audit.list({ action: 'rcon' }).map((r: any) => r.id),
+      [last.id, last.id - 1],
+    );
+    assert.equal(db.audit.list({ actor: 'bo' })[0].actor_id, '222');
+    assert.equal(db.audit.list({ result: 'denied' }).length, 1);
+    assert.equal(db.audit.list({ to: '2026-03-02 00:00:00' }).length, 1);
+    assert.deepEqual(
+      db.audit.list({ beforeId: last.id, limit: 1 }).map((r: any) => r.id),
+      [last.id - 1],
+    );
+    assert.deepEqual(db.audit.actions(), ['kick', 'rcon']);
+  });
+});
+
+describe('AdminAudit', () => {
+  it('redacts secrets and truncates long values', () => {
+    const out = redactParams({
+      changes: { RCON_PASSWORD: 'hunter2', DISCORD_TOKEN: 'x', PANEL_API_KEY: 'y', SERVER_NAME: 'Z' },
+      sql: 'x'.repeat(600),
+    });
+    assert.deepEqual(out.changes, {
+      RCON_PASSWORD: '[redacted]',
+      DISCORD_TOKEN: '[redacted]',
+      PANEL_API_KEY: '[redacted]',
+      SERVER_NAME: 'Z',
+    });
+    assert.equal(out.sql.length, 501);
+  });
+
+  it('fingerprints sessions without storing the ID', () => {
+    const fp = sessionFingerprint('abc123');
+    assert.equal(fp.length, 12);
+    assert.notEqual(fp, 'abc123');
+    assert.equal(sessionFingerprint(undefined), '');
+  });
+
+  it('records redacted entries and Discord commands', () => {
+    const db = new HumanitZDB({ memory: true, label: 'AuditModuleTest' });
+    db.init();
+    const mod = new AdminAudit();
+    assert.deepEqual(mod.record(entry()), { ok: false, code: 'disabled' });
+
+    mod.start({ db, config: { auditChannelId: undefined, locale: 'en' } });
+    const saved = mod.record(entry({ action: 'bot_config', params: { changes: { RCON_PASSWORD: 'hunter2' } } }));
+    assert.equal(saved.ok, true);
+    assert.equal(saved.value.params, '{"changes":{"RCON_PASSWORD":"[redacted]"}}');
+
+    mod.recordInteraction({ user: { id: '999', username: 'mod' } }, 'rcon', { command: 'wipe' }, 'denied', 'blocked');
+    const [latest] = mod.list().value;
+    assert.equal(latest.source, 'discord');
+    assert.equal(latest.actor_name, 'mod');
+    assert.equal(mod.verify().value.ok, true);
+    mod.stop();
+    db.close();
+  });
+});
+
+describe('auditTrail middleware', () => {
+  function run(req: Record<string, unknown>, status: number, body: unknown) {
+    const recorded: any[] = [];
+    const res: any = new EventEmitter();
+    res.statusCode = 200;
+    res.json = (payload: unknown) => payload;
+    let nextCalled = false;
+    auditTrail((e: unknown) => recorded.push(e))(
+      {
+        method: 'POST',
+        originalUrl: '/api/panel/rcon?server=primary',
+        params: {},
+        body: {},
+        session: { user: ADMIN },
+        sessionID: 'sess-1',
+        srv: { serverId: 'srv_2' },
+        ...req,
+      },
+      res,
+      () => {
+        nextCalled = true;
+      },
+    );
+    assert.equal(nextCalled, true);
+    res.statusCode = status;
+    if (body !== undefined) res.json(body);
+    res.emit('finish');
+    return recorded;
+  }
+
+  it('names actions by their route', () => {
+    assert.equal(auditAction('POST', '/api/panel/anticheat/flags/:id/review'), 'anticheat_review');
+    assert.equal(auditAction('DELETE', '/api/panel/webhooks/:id'), 'DELETE /api/panel/webhooks/:id');
+  });
+
+  it('records the actor, server, params and outcome', () => {
+    const [e] = run({ route: { path: '/api/panel/rcon' }, body: { command: 'kick Bob', server: 'srv_2' } }, 200, {
+      ok: true,
+    });
+    assert.equal(e.action, 'rcon');
+    assert.equal(e.actorId, '111');
+    assert.equal(e.actorName, 'Alice');
+    assert.equal(e.tier, 'admin');
+    assert.equal(e.serverId, 'srv_2');
+    assert.equal(e.session, sessionFingerprint('sess-1'));
+    assert.deepEqual(e.params, { command: 'kick Bob' });
+    assert.equal(e.result, 'ok');
+  });
+
+  it('records the tier requireTier scoped to the server', () => {
+    const [e] = run({ tier: 'survivor' }, 403, { error: 'Requires admin access or higher' });
+    assert.equal(e.tier, 'survivor');
+  });
+
+  it('marks refusals and failures', () => {
+    assert.equal(run({}, 403, { error: 'Requires admin access or higher' })[0].result, 'denied');
+    const [failed] = run({ route: { path: '/api/panel/db/query' } }, 400, { ok: false, code: 'ONLY_SELECT_ALLOWED' });
+    assert.equal(failed.result, 'error');
+    assert.equal(failed.detail, 'ONLY_SELECT_ALLOWED');
+    assert.equal(failed.action, 'db_query');
+  });
+
+  it('ignores reads and anonymous requests', () => {
+    assert.deepEqual(run({ method: 'GET' }, 200, {}), []);
+    assert.deepEqual(run({ session: {} }, 401, {}), []);
+  });
+});
+
+describe('GET /api/panel/audit*', () => {
+  const server = new WebMapServer({ channels: { cache: new Map() } }, {});
+  const GET = (routePath: string) => extractHandler(server._app, 'get', routePath);
+  let db: any;
+
+  function mockRes() {
+    const res: any = {
+      statusCode: 200,
+      headers: {} as Record<string, string>,
+      body: null,
+      status(code: number) {
+        res.statusCode = code;
+        return res;
+      },
+      json(data: unknown) {
+        res.body = data;
+      },
+      send(data: unknown) {
+        res.body = data;
+      },
+      setHeader(name: string, value: string) {
+        res.headers[name] = value;
+        return res;
+      },
+    };
+    return res;
+  }
+
+  before(() => {
+    db = new HumanitZDB({ memory: true, label: 'AuditApiTest' });
+    db.init();
+  });
+
+  after(() => {
+    adminAudit.stop();
+    db.close();
+  });
+
+  it('reports the log unavailable before start', () => {
+    const res = mockRes();
+    GET('/api/panel/audit')({ query: {} }, res);
+    assert.equal(res.statusCode, 503);
+    assert.equal(res.body.code, 'AUDIT_LOG_UNAVAILABLE');
+  });
+
+  it('lists, verifies and exports entries', () => {
+    adminAudit.start({ db, config: { auditChannelId: undefined, locale: 'en' } });
+    adminAudit.record(entry({ action: 'kick', params: { steamId: '7656' } }));
+    adminAudit.record(entry({ action: 'rcon', params: { command: 'say "hi", all' }, result: 'error' }));
+
+    const list = mockRes();
+    GET('/api/panel/audit')({ query: { result: 'error', limit: '5' } }, list);
+    assert.deepEqual(
+      list.body.entries.map((e: any) => e.action),
+      ['rcon'],
+    );
+    assert.deepEqual(list.body.actions, ['kick', 'rcon']);
+
+    const verify = mockRes();
+    GET('/api/panel/audit/verify')({ query: {} }, verify);
+    assert.equal(verify.body.ok, true);
+    assert.equal(verify.body.checked, 2);
+
+    const json = mockRes();
+    GET('/api/panel/audit/export')({ query: {} }, json);
+    assert.equal(json.body.format, 'humanitz-admin-audit');
+    assert.equal(json.body.entries.length, 2);
+
+    const csv = mockRes();
+    GET('/api/panel/audit/export')({ query: { format: 'csv', action: 'rcon' } }, csv);
+    assert.match(csv.headers['Content-Type'], /text\/csv/);
+    const lines = csv.body.split('\n');
+    assert.equal(lines[0].split(',')[0], 'id');
+    assert.ok(lines[1].includes(',"{""command"":""say \\""hi\\"", all""}",'), 'quoted CSV cell');
+    assert.equal(lines.length, 2);
+  });
+});
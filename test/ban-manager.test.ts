@@ -0,0 +1,246 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import _database from '../src/db/database.js';
+const HumanitZDB = _database as any;
+
+import * as _ban_manager from '../src/modules/ban-manager.js';
+const { BanManager, parseBanList } = _ban_manager as any;
+
+const ALICE = '76561198000000001';
+const BOB = '76561198000000002';
+const CAROL = '76561198000000003';
+
+const CONFIG = { banPropagate: false, banSyncInterval: 15 };
+
+const ADMIN = { id: 'admin-1', name: 'Admin' };
+const T0 = new Date('2026-10-18T12:00:00Z');
+
+function minutesFrom(base: Date, minutes: number) {
+  return new Date(base.getTime() + minutes * 60_000);
+}
+
+/** Fake game server with an in-memory native ban list. */
+function makeServer(id: string) {
+  const list = new Set<string>();
+  const commands: string[] = [];
+  let down = false;
+  return {
+    list,
+    commands,
+    setDown(v: boolean) {
+      down = v;
+    },
+    target: {
+      id,
+      name: `Server ${id}`,
+      send(command: string) {
+        commands.push(command);
+        if (down) return Promise.reject(new Error('RCON not connected'));
+        const [cmd, arg = ''] = command.split(' ');
+        if (cmd === 'ban') list.add(arg);
+        else if (cmd === 'unban') list.delete(arg);
+        else if (cmd === 'fetchbanned') return Promise.resolve([...list].map((s) => `Banned: ${s}`).join('\n'));
+        return Promise.resolve('OK');
+      },
+    },
+  };
+}
+
+describe('parseBanList', () => {
+  it('extracts 17-digit SteamIDs from any layout', () => {
+    assert.deepEqual([...parseBanList(`Banned players:\n${ALICE}\nBob (${BOB})`)].sort(), [ALICE, BOB]);
+    assert.equal(parseBanList(null).size, 0);
+  });
+});
+
+describe('BanManager', () => {
+  let db: any;
+  let bans: any;
+  let primary: ReturnType<typeof makeServer>;
+  let eu: ReturnType<typeof makeServer>;
+  let us: ReturnType<typeof makeServer>;
+
+  function start(config: Record<string, unknown> = {}) {
+    bans.start({
+      db,
+      config: { ...CONFIG, ...config },
+      getTargets: () => [primary.target, eu.target, us.target],
+      autoTick: false,
+    });
+  }
+
+  function flag(steamId: string, detector = 'speed_hack') {
+    return Number(db.antiCheat.insertAcFlag({ steam_id: steamId, detector, severity: 'high' }));
+  }
+
+  beforeEach(() => {
+    db = new HumanitZDB({ memory: true, label: 'ban-test' });
+    db.init();
+    db.player.registerAlias(BOB, 'Bob', 'idmap');
+    primary = makeServer('primary');
+    eu = makeServer('eu');
+    us = makeServer('us');
+    bans = new BanManager({ label: 'BAN-TEST' });
+    start();
+  });
+
+  afterEach(() => {
+    bans.stop();
+    db.close();
+  });
+
+  describe('ban', () => {
+    it('bans on the primary server only by default', async () => {
+      const res = await bans.ban(ALICE, ADMIN, { reason: 'Duping' }, T0);
+      assert.equal(res.ok, true);
+      assert.equal(res.value.ban.status, 'active');
+      assert.equal(res.value.ban.reason, 'Duping');
+      assert.equal(res.value.ban.banned_by_name, 'Admin');
+      assert.deepEqual(res.value.ban.servers, ['primary']);
+      assert.ok(primary.list.has(ALICE));
+      assert.equal(eu.list.has(ALICE), false);
+    });
+
+    it('propagates to every server with BAN_PROPAGATE or an explicit selection', async () => {
+      start({ banPropagate: true });
+      await bans.ban(ALICE, ADMIN, {}, T0);
+      assert.ok(primary.list.has(ALICE) && eu.list.has(ALICE) && us.list.has(ALICE));
+
+      const res = await bans.ban(CAROL, ADMIN, { servers: ['eu', 'us'] }, T0);
+      assert.deepEqual(res.value.ban.servers, ['eu', 'us']);
+      assert.equal(primary.list.has(CAROL), false);
+    });
+
+    it('resolves player names and rejects unknown players', async () => {
+      const res = await bans.ban('Bob', ADMIN, {}, T0);
+      assert.equal(res.value.ban.steam_id, BOB);
+      assert.equal(res.value.ban.player_name, 'Bob');
+      assert.equal((await bans.ban('Nobody', ADMIN)).code, 'unknown_player');
+      assert.equal((await bans.ban('1234', ADMIN)).code, 'invalid_steam_id');
+    });
+
+    it('refuses a second active ban', async () => {
+      await bans.ban(ALICE, ADMIN, {}, T0);
+      assert.equal((await bans.ban(ALICE, ADMIN)).code, 'already_banned');
+    });
+
+    it('links anticheat flags of the banned player as evidence', async () => {
+      const own = flag(ALICE);
+      const other = flag(BOB);
+      assert.equal((await bans.ban(ALICE, ADMIN, { evidence: [other] })).code, 'invalid_evidence');
+
+      const res = await bans.ban(ALICE, ADMIN, { evidence: [own, own] }, T0);
+      assert.equal(res.value.ban.evidence.length, 1);
+      assert.equal(res.value.ban.evidence[0].id, own);
+      assert.equal(res.value.ban.evidence[0].detector, 'speed_hack');
+    });
+
+    it('still records the ban when a server is unreachable', async () => {
+      eu.setDown(true);
+      const res = await bans.ban(ALICE, ADMIN, { servers: ['primary', 'eu'] }, T0);
+      assert.equal(res.ok, true);
+      assert.deepEqual(
+        res.value.pushes.map((p: any) => [p.serverId, p.ok]),
+        [
+          ['primary', true],
+          ['eu', false],
+        ],
+      );
+    });
+  });
+
+  describe('unban / expiry', () => {
+    it('unbans on every server the ban was pushed to', async () => {
+      await bans.ban(ALICE, ADMIN, { servers: ['primary', 'us'] }, T0);
+      const res = await bans.unban(ALICE, ADMIN, 'Appeal accepted', minutesFrom(T0, 5));
+      assert.equal(res.ok, true);
+      assert.equal(res.value.ban.status, 'lifted');
+      assert.equal(res.value.ban.lift_reason, 'Appeal accepted');
+      assert.equal(res.value.ban.lifted_by_name, 'Admin');
+      assert.equal(primary.list.has(ALICE), false);
+      assert.equal(us.list.has(ALICE), false);
+      assert.equal(eu.commands.length, 0);
+      assert.equal((await bans.unban(ALICE, ADMIN)).code, 'not_banned');
+    });
+
+    it('lifts temporary bans once they expire', async () => {
+      await bans.ban(ALICE, ADMIN, { durationMinutes: 60 }, T0);
+      await bans.ban(BOB, ADMIN, {}, T0);
+      assert.equal(await bans.liftExpired(minutesFrom(T0, 30)), 0);
+      assert.equal(await bans.liftExpired(minutesFrom(T0, 61)), 1);
+      assert.equal(bans.getActiveBan(ALICE), null);
+      assert.ok(bans.getActiveBan(BOB));
+      assert.equal(primary.list.has(ALICE), false);
+
+      const [ended] = bans.getRecent();
+      assert.equal(ended.status, 'expired');
+      assert.equal(ended.lifted_by_name, 'Ban Sync');
+    });
+
+    it('keeps the full history per player', async () => {
+      await bans.ban(ALICE, ADMIN, { reason: 'first' }, T0);
+      await bans.unban(ALICE, ADMIN);
+      await bans.ban(ALICE, ADMIN, { reason: 'second' }, T0);
+      assert.deepEqual(
+        bans.getHistory(ALICE).map((b: any) => [b.reason, b.status]),
+        [
+          ['second', 'active'],
+          ['first', 'lifted'],
+        ],
+      );
+    });
+  });
+
+  describe('notes', () => {
+    it('updates notes and evidence', async () => {
+      const { value } = await bans.ban(ALICE, ADMIN, {}, T0);
+      const id = flag(ALICE, 'teleportation');
+      const res = bans.updateNotes(value.ban.id, 'Seen on stream', [id]);
+      assert.equal(res.ok, true);
+      assert.equal(res.value.notes, 'Seen on stream');
+      assert.equal(res.value.evidence[0].detector, 'teleportation');
+      assert.equal(bans.updateNotes(value.ban.id, '', [flag(BOB)]).code, 'invalid_evidence');
+      assert.equal(bans.updateNotes(999, '', []).code, 'not_found');
+    });
+  });
+
+  describe('sync', () => {
+    it('re-bans active bans missing from a server', async () => {
+      await bans.ban(ALICE, ADMIN, { servers: ['primary', 'eu'] }, T0);
+      eu.list.delete(ALICE);
+      const summary = await bans.sync();
+      assert.deepEqual(summary, { checked: 3, added: 1, removed: 0, imported: 0, failed: [] });
+      assert.ok(eu.list.has(ALICE));
+      assert.equal(us.list.has(ALICE), false);
+    });
+
+    it('unbans players the bot already unbanned', async () => {
+      await bans.ban(ALICE, ADMIN, {}, T0);
+      await bans.unban(ALICE, ADMIN);
+      primary.list.add(ALICE);
+      const summary = await bans.sync();
+      assert.equal(summary.removed, 1);
+      assert.equal(primary.list.has(ALICE), false);
+    });
+
+    it('imports console bans and extends registry bans to new servers', async () => {
+      await bans.ban(ALICE, ADMIN, {}, T0);
+      us.list.add(ALICE);
+      eu.list.add(CAROL);
+      const summary = await bans.sync();
+      assert.equal(summary.imported, 2);
+      assert.deepEqual(bans.getActiveBan(ALICE).servers, ['primary', 'us']);
+      const imported = bans.getActiveBan(CAROL);
+      assert.deepEqual(imported.servers, ['eu']);
+      assert.equal(imported.banned_by_name, 'Ban Sync');
+    });
+
+    it('reports unreachable servers', async () => {
+      us.setDown(true);
+      const summary = await bans.sync();
+      assert.equal(summary.checked, 2);
+      assert.deepEqual(summary.failed, ['us']);
+    });
+  });
+});
@@ -139,6 +139,70 @@ describe('BotControlService', () => {
     });
   });
 
+  // ── seasonReset ────────────────────────────────────────────
+
+  describe('seasonReset', () => {
+    let scheduled: any[];
+
+    beforeEach(() => {
+      scheduled = [];
+      svc = new BotControlService({ exit: exitSpy, scheduleSeasonRollover: (opts: any) => scheduled.push(opts) });
+    });
+
+    describeExitAction('seasonReset', 'season_reset');
+
+    it('schedules the rollover with the next season name and requester', () => {
+      svc.seasonReset({ source: 'web', user: 'admin' }, { name: 'Season 4' });
+      assert.deepEqual(scheduled, [{ name: 'Season 4', requestedBy: 'admin' }]);
+      assert.equal(process.env.NUKE_BOT, undefined, 'Should not trigger a factory reset');
+    });
+
+    it('releases the pending lock when scheduling fails', () => {
+      svc = new BotControlService({
+        exit: exitSpy,
+        scheduleSeasonRollover: () => {
+          throw new Error('db closed');
+        },
+      });
+      assert.throws(() => svc.seasonReset({ source: 'test' }), /db closed/);
+      assert.equal(svc.pendingAction, null);
+    });
+
+    it('throws SEASON_RESET_UNAVAILABLE without a scheduler', () => {
+      svc = new BotControlService({ exit: exitSpy });
+      assert.throws(
+        () => svc.seasonReset({ source: 'test' }),
+        (err: any) => err.code === 'SEASON_RESET_UNAVAILABLE',
+      );
+    });
+  });
+
+  // ── restoreBackup ──────────────────────────────────────────
+
+  describe('restoreBackup', () => {
+    let scheduled: any[];
+
+    beforeEach(() => {
+      scheduled = [];
+      svc = new BotControlService({ exit: exitSpy, scheduleRestore: (opts: any) => scheduled.push(opts) });
+    });
+
+    describeExitAction('restoreBackup', 'restore_backup');
+
+    it('queues the snapshot with the requester', () => {
+      svc.restoreBackup({ source: 'web', user: 'admin' }, { dbId: 'primary', name: 'humanitz-20260309-100000.db.gz' });
+      assert.deepEqual(scheduled, [{ dbId: 'primary', name: 'humanitz-20260309-100000.db.gz', requestedBy: 'admin' }]);
+    });
+
+    it('throws RESTORE_UNAVAILABLE without a scheduler', () => {
+      svc = new BotControlService({ exit: exitSpy });
+      assert.throws(
+        () => svc.restoreBackup({ source: 'test' }, { dbId: 'primary', name: 'x.db' }),
+        (err: any) => err.code === 'RESTORE_UNAVAILABLE',
+      );
+    });
+  });
+
   // ── reimport ───────────────────────────────────────────────
 
   describe('reimport', () => {
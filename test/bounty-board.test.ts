@@ -0,0 +1,201 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import _database from '../src/db/database.js';
+const HumanitZDB = _database as any;
+
+import * as _bounty_board from '../src/modules/bounty-board.js';
+const { BountyBoard } = _bounty_board as any;
+
+const ALICE = '76561198000000001';
+const BOB = '76561198000000002';
+const CAROL = '76561198000000003';
+
+const baseConfig = {
+  bountyMinAmount: 50,
+  bountyExpiryHours: 72,
+  bountyStreakThreshold: 3,
+  bountyStreakReward: 100,
+  locale: 'en',
+};
+
+describe('BountyBoard', () => {
+  let db: any;
+  let board: any;
+  let messages: string[];
+  let embeds: any[];
+
+  beforeEach(() => {
+    db = new HumanitZDB({ memory: true, label: 'bounty-test' });
+    db.init();
+    db.player.registerAlias(ALICE, 'Alice', 'idmap');
+    db.player.registerAlias(BOB, 'Bob', 'idmap');
+    db.player.registerAlias(CAROL, 'Carol', 'idmap');
+
+    messages = [];
+    embeds = [];
+    board = new BountyBoard();
+    board.start({
+      db,
+      config: baseConfig,
+      logWatcher: {
+        sendToThread: (embed: any) => {
+          embeds.push(embed);
+          return Promise.resolve();
+        },
+      },
+      sendAdminMessage: (msg: string) => {
+        messages.push(msg);
+        return Promise.resolve();
+      },
+    });
+  });
+
+  afterEach(() => {
+    board.stop();
+    db.close();
+  });
+
+  describe('place', () => {
+    it('debits a player-funded bounty and records the transaction', () => {
+      db.economy.adjustCredits(ALICE, 500, 'admin_grant');
+      const result = board.place({ target: 'Bob', amount: 200, placedBy: ALICE, placedByName: 'Alice' });
+
+      assert.equal(result.ok, true);
+      assert.equal(result.value.target_steam_id, BOB);
+      assert.equal(result.value.reward_credits, 200);
+      assert.equal(db.economy.getBalance(ALICE), 300);
+
+      const tx = db.economy.getTransactions(ALICE);
+      assert.equal(tx[0].type, 'bounty_place');
+      assert.equal(tx[0].amount, -200);
+      assert.equal(tx[0].balance_after, 300);
+      assert.equal(messages.length, 1, 'Should announce in-game');
+      assert.equal(embeds.length, 1, 'Should post to the activity thread');
+    });
+
+    it('rejects an unfunded bounty without leaving a row behind', () => {
+      db.economy.adjustCredits(ALICE, 100, 'admin_grant');
+      const result = board.place({ target: 'Bob', amount: 200, placedBy: ALICE });
+
+      assert.deepEqual(result, { ok: false, code: 'insufficient_funds' });
+      assert.equal(board.getActiveBounties().length, 0);
+      assert.equal(db.economy.getBalance(ALICE), 100);
+    });
+
+    it('validates target, self-targeting and minimum amount', () => {
+      assert.equal(board.place({ target: 'Nobody', amount: 100 }).code, 'unknown_target');
+      assert.equal(board.place({ target: 'Alice', amount: 100, placedBy: ALICE }).code, 'self_target');
+      assert.equal(board.place({ target: 'Bob', amount: 10 }).code, 'min_amount');
+    });
+
+    it('reports disabled when the board is stopped', () => {
+      board.stop();
+      assert.equal(board.place({ target: 'Bob', amount: 100 }).code, 'disabled');
+    });
+  });
+
+  describe('claims', () => {
+    it('pays every active bounty on the victim to the killer', () => {
+      board.place({ target: 'Bob', amount: 100 });
+      board.place({ target: 'Bob', amount: 150 });
+
+      const claims = board.onPvpKill('Carol', 'Bob');
+
+      assert.equal(claims.length, 2);
+      assert.equal(db.economy.getBalance(CAROL), 250);
+      assert.equal(board.getActiveBounties().length, 0);
+      assert.equal(board.getRecentClaims()[0].claimed_by, CAROL);
+
+      const tx = db.economy.getTransactions(CAROL);
+      assert.equal(tx.length, 2);
+      assert.ok(tx.every((t: any) => t.type === 'bounty_reward'));
+      assert.equal(tx[0].balance_after, 250);
+    });
+
+    it('does not let the placer collect their own bounty', () => {
+      db.economy.adjustCredits(ALICE, 500, 'admin_grant');
+      board.place({ target: 'Bob', amount: 100, placedBy: ALICE });
+
+      const claims = board.onPvpKill('Alice', 'Bob');
+
+      assert.equal(claims.length, 0);
+      assert.equal(board.getActiveBounties().length, 1);
+    });
+
+    it('does not pay out between clanmates', () => {
+      db.clan.upsertClan('Wolves', [
+        { steamId: BOB, name: 'Bob', rank: 'Leader' },
+        { steamId: CAROL, name: 'Carol', rank: 'Member' },
+      ]);
+      board.place({ target: 'Bob', amount: 100 });
+
+      assert.equal(board.onPvpKill('Carol', 'Bob').length, 0);
+      assert.equal(db.economy.getBalance(CAROL), 0);
+    });
+  });
+
+  describe('kill streaks', () => {
+    it('raises a server-funded bounty when the threshold is reached', () => {
+      board.onPvpKill('Alice', 'Bob');
+      board.onPvpKill('Alice', 'Carol');
+      assert.equal(board.getActiveBounties().length, 0);
+
+      board.onPvpKill('Alice', 'Bob');
+
+      assert.equal(board.getStreak(ALICE), 3);
+      const active = board.getActiveBounties();
+      assert.equal(active.length, 1);
+      assert.equal(active[0].target_steam_id, ALICE);
+      assert.equal(active[0].reason, 'kill_streak');
+      assert.equal(active[0].reward_credits, 100);
+      assert.equal(active[0].placed_by, null);
+    });
+
+    it('resets on death and persists to bot_state', () => {
+      board.onPvpKill('Alice', 'Bob');
+      board.onPvpKill('Alice', 'Carol');
+      assert.deepEqual(db.botState.getStateJSON(BountyBoard.STATE_KEY), { [ALICE]: 2 });
+
+      board.onPlayerDeath(ALICE);
+
+      assert.equal(board.getStreak(ALICE), 0);
+      assert.deepEqual(db.botState.getStateJSON(BountyBoard.STATE_KEY), {});
+    });
+
+    it('ends the victim streak when they are killed', () => {
+      board.onPvpKill('Alice', 'Bob');
+      board.onPvpKill('Bob', 'Alice');
+
+      assert.equal(board.getStreak(ALICE), 0);
+      assert.equal(board.getStreak(BOB), 1);
+    });
+  });
+
+  describe('cancel and expiry', () => {
+    it('refunds the placer on cancel and only allows the owner', () => {
+      db.economy.adjustCredits(ALICE, 500, 'admin_grant');
+      const placed = board.place({ target: 'Bob', amount: 200, placedBy: ALICE });
+
+      assert.equal(board.cancel(placed.value.id, { requestedBy: CAROL }).code, 'not_owner');
+
+      const result = board.cancel(placed.value.id, { requestedBy: ALICE });
+      assert.equal(result.ok, true);
+      assert.equal(db.economy.getBalance(ALICE), 500);
+      assert.equal(db.economy.getTransactions(ALICE)[0].type, 'bounty_refund');
+      assert.equal(board.cancel(placed.value.id, { isAdmin: true }).code, 'not_found');
+    });
+
+    it('expires overdue bounties and refunds them', () => {
+      db.economy.adjustCredits(ALICE, 500, 'admin_grant');
+      board.place({ target: 'Bob', amount: 200, placedBy: ALICE });
+
+      assert.equal(board.expireBounties(new Date()), 0);
+      const expired = board.expireBounties(new Date(Date.now() + 73 * 3600000));
+
+      assert.equal(expired, 1);
+      assert.equal(board.getActiveBounties().length, 0);
+      assert.equal(db.economy.getBalance(ALICE), 500);
+    });
+  });
+});
@@ -0,0 +1,214 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import _database from '../src/db/database.js';
+const HumanitZDB = _database as any;
+
+import _chat_relay from '../src/modules/chat-relay.js';
+const ChatRelay = _chat_relay as any;
+
+import * as _chat_commands from '../src/modules/chat-commands.js';
+const { ChatCommandRouter, parseCustomCommands, _formatMinutes } = _chat_commands as any;
+
+const ALICE = '76561198000000001';
+const BOB = '76561198000000002';
+
+function makeConfig(overrides: Record<string, unknown> = {}) {
+  return {
+    enableChatCommands: true,
+    chatCommandPrefix: '!',
+    chatCommandCooldown: 30,
+    chatCommandAdminIds: [],
+    serverRules: [],
+    chatCustomCommands: [],
+    discordInviteLink: '',
+    serverName: 'Test Server',
+    botLocale: 'en',
+    ...overrides,
+  };
+}
+
+/** Fake RCON: `Players` lists Alice and Bob, every other command is recorded. */
+function makeRcon() {
+  const sent: string[] = [];
+  return {
+    sent,
+    send: async (cmd: string) => {
+      sent.push(cmd);
+      return '';
+    },
+    sendCached: async () => `Alice (${ALICE})\nBob (${BOB})`,
+  };
+}
+
+describe('ChatCommandRouter', () => {
+  let db: any;
+  let rcon: any;
+
+  function makeRouter(config: Record<string, unknown> = {}, deps: Record<string, unknown> = {}) {
+    return new ChatCommandRouter({
+      config: makeConfig(config),
+      rcon,
+      db,
+      playtime: { getPlaytime: () => null },
+      ...deps,
+    });
+  }
+
+  beforeEach(() => {
+    db = new HumanitZDB({ memory: true, label: 'chat-cmd-test' });
+    db.init();
+    const insert = db.db.prepare('INSERT INTO players (steam_id, name) VALUES (?, ?)');
+    insert.run(ALICE, 'Alice');
+    insert.run(BOB, 'Bob');
+    db.db
+      .prepare('UPDATE players SET lifetime_kills = ?, log_deaths = ?, lifetime_days_survived = ? WHERE steam_id = ?')
+      .run(120, 4, 9, ALICE);
+    db.db.prepare('UPDATE players SET lifetime_kills = ? WHERE steam_id = ?').run(30, BOB);
+    rcon = makeRcon();
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  it('ignores ordinary chat, unknown commands and !admin', async () => {
+    const router = makeRouter();
+    assert.equal(await router.handle('Alice', 'hello there'), false);
+    assert.equal(await router.handle('Alice', '!nope'), false);
+    assert.equal(await router.handle('Alice', '!admin help me'), false);
+    assert.deepEqual(rcon.sent, []);
+  });
+
+  it('answers !stats for the speaker and for a named player', async () => {
+    const router = makeRouter({ chatCommandCooldown: 0 });
+    assert.equal(await router.handle('Alice', '!stats'), true);
+    assert.match(rcon.sent[0], /^admin <\/>Alice<FO>, Alice — Kills: 120 \| Deaths: 4/);
+
+    await router.handle('Alice', '!STATS Bob');
+    assert.match(rcon.sent[1], /Bob — Kills: 30/);
+  });
+
+  it('lists the leaderboard for !top', async () => {
+    const router = makeRouter();
+    await router.handle('Alice', '!top kills');
+    assert.match(rcon.sent[0], /Top kills: 1\. Alice \(120\) {2}2\. Bob \(30\)/);
+    await router.handle('Bob', '!top bogus');
+    assert.match(rcon.sent[1], /usage: !top \[kills\|playtime\|pvp\|days\]/);
+  });
+
+  it('applies per-player cooldowns and lets admins bypass them', async () => {
+    const router = makeRouter({ chatCommandAdminIds: BOB });
+    await router.handle('Alice', '!stats');
+    assert.equal(await router.handle('Alice', '!stats'), true, 'Cooldown still consumes the command');
+    assert.equal(rcon.sent.length, 1);
+
+    await router.handle('Bob', '!stats');
+    await router.handle('Bob', '!stats');
+    assert.equal(rcon.sent.length, 3);
+  });
+
+  it('enforces admin-only permissions by SteamID', async () => {
+    const router = makeRouter({ chatCommandAdminIds: [BOB] });
+    router.register({ name: 'secret', permission: 'admin', run: () => 'classified' });
+
+    await router.handle('Alice', '!secret');
+    assert.match(rcon.sent[0], /!secret is for server admins only/);
+    await router.handle('Bob', '!secret');
+    assert.match(rcon.sent[1], /classified/);
+    assert.ok(!router.listCommands(false).includes('secret'));
+  });
+
+  it('reports PvP and restart timing from the schedulers', async () => {
+    const router = makeRouter(
+      {},
+      {
+        getPvpScheduler: () => ({ _minutesUntilNextTransition: () => ({ minutesUntil: 135, targetPvp: true }) }),
+        getServerScheduler: () => ({
+          getStatus: () => ({ active: true, nextRestart: '06:00', minutesUntilRestart: 45, timezone: 'UTC' }),
+        }),
+      },
+    );
+    await router.handle('Alice', '!pvp');
+    assert.match(rcon.sent[0], /PvP starts in 2h 15m/);
+    await router.handle('Alice', '!restart');
+    assert.match(rcon.sent[1], /next restart at 06:00 \(UTC\) — in 45m/);
+
+    const idle = makeRouter();
+    await idle.handle('Bob', '!pvp');
+    assert.match(rcon.sent[2], /no PvP schedule/);
+  });
+
+  it('sends !rules as one line per rule', async () => {
+    const router = makeRouter({ serverRules: 'No griefing|Be nice' });
+    await router.handle('Alice', '!rules');
+    assert.deepEqual(rcon.sent.slice(1), ['admin <FO>1. No griefing', 'admin <FO>2. Be nice']);
+  });
+
+  it('serves custom text commands with placeholders', async () => {
+    const router = makeRouter({
+      discordInviteLink: 'https://discord.gg/abc',
+      chatCustomCommands: [{ name: 'vote', response: 'Vote for {server}, {player}! {discord}', cooldown: 0 }],
+    });
+    await router.handle('Alice', '!vote');
+    await router.handle('Alice', '!vote');
+    assert.equal(rcon.sent.length, 2);
+    assert.match(rcon.sent[0], /Vote for Test Server, Alice! https:\/\/discord\.gg\/abc/);
+    assert.ok(router.listCommands().includes('vote'));
+  });
+
+  it('does nothing when disabled', async () => {
+    const router = makeRouter({ enableChatCommands: false });
+    assert.equal(await router.handle('Alice', '!stats'), false);
+    assert.deepEqual(rcon.sent, []);
+  });
+});
+
+describe('ChatRelay command routing', () => {
+  it('hands player chat lines to the router and skips everything else', async () => {
+    const handled: string[][] = [];
+    const relay = new ChatRelay({ on: () => {}, removeListener: () => {} } as any, {
+      config: makeConfig({ adminAlertChannelIds: [] }),
+      rcon: {
+        send: async () =>
+          'Player Left (<PN>Carl</>)\n<PN>Alice:</>!stats\nPlayer Joined (<PN>Bob</>)\n<SP>Admin: </>!stats',
+      },
+      commands: {
+        handle: async (name: string, text: string) => {
+          handled.push([name, text]);
+          return true;
+        },
+      },
+    });
+    relay._headless = true;
+    relay._lastLines = ['Player Left (<PN>Carl</>)'];
+
+    await relay._pollChat();
+    assert.deepEqual(handled, [['Alice', '!stats']]);
+  });
+});
+
+describe('parseCustomCommands', () => {
+  it('normalises names and rejects built-in, reserved and duplicate names', () => {
+    const ok = parseCustomCommands([{ name: '!Vote', response: ' hi\nthere ', permission: 'admin' }]);
+    assert.deepEqual(ok.value, [{ name: 'vote', response: 'hi there', permission: 'admin', cooldown: null }]);
+
+    assert.equal(parseCustomCommands([{ name: 'stats', response: 'x' }]).code, 'reserved');
+    assert.equal(parseCustomCommands([{ name: 'admin', response: 'x' }]).code, 'reserved');
+    assert.equal(parseCustomCommands([{ name: 'has space', response: 'x' }]).code, 'invalid_name');
+    assert.equal(parseCustomCommands([{ name: 'a', response: '' }]).code, 'invalid_response');
+    const dup = parseCustomCommands([
+      { name: 'a', response: 'x' },
+      { name: 'A', response: 'y' },
+    ]);
+    assert.equal(dup.code, 'duplicate');
+    assert.equal(dup.index, 1);
+    assert.equal(parseCustomCommands('nope').code, 'invalid');
+  });
+
+  it('formats minute spans compactly', () => {
+    assert.equal(_formatMinutes(7), '7m');
+    assert.equal(_formatMinutes(65), '1h 05m');
+    assert.equal(_formatMinutes(1500), '1d 1h');
+  });
+});
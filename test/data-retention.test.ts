@@ -0,0 +1,184 @@
+/**
+ * Tests for data retention — policy parsing, archiving expired rows to
+ * gzipped JSON lines, timeline thinning, dry-run previews and table sizes.
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+
+import _database from '../src/db/database.js';
+const HumanitZDB = _database as any;
+
+import * as _mod from '../src/modules/data-retention.js';
+const { DataRetention, parseRetentionPolicies }: any = _mod;
+
+const NOW = new Date('2026-03-20T12:00:00Z');
+const POLICY = 'timeline=downsample:7, chat=archive:30, activity=delete:30, anticheat_flags=archive:30';
+
+describe('parseRetentionPolicies', () => {
+  it('reads family=mode:days and skips anything malformed', () => {
+    assert.deepEqual(
+      parseRetentionPolicies(
+        'timeline=downsample:14, chat=ARCHIVE:90, chat=delete:60, activity=downsample:5, x=delete:1, fingerprint_events=delete:0, junk',
+      ),
+      [
+        { family: 'timeline', mode: 'downsample', days: 14 },
+        { family: 'chat', mode: 'delete', days: 60 },
+      ],
+    );
+  });
+});
+
+describe('DataRetention', () => {
+  let db: any;
+  let tmp: string;
+  let mod: any;
+
+  function seed() {
+    const h = db.db;
+    h.exec(
+      'DELETE FROM timeline_snapshots; DELETE FROM chat_log; DELETE FROM activity_log; DELETE FROM anticheat_flags',
+    );
+    const snap = h.prepare('INSERT INTO timeline_snapshots (game_day, created_at, tier) VALUES (?, ?, ?)');
+    const player = h.prepare("INSERT INTO timeline_players (snapshot_id, steam_id, name) VALUES (?, '7656', 'Bob')");
+    // Two hours a month ago, the first snapshot of each a keyframe, plus one recent snapshot
+    for (const [day, at, tier] of [
+      [1, '2026-02-20 10:00:00', 2],
+      [1, '2026-02-20 10:20:00', 0],
+      [1, '2026-02-20 10:40:00', 0],
+      [2, '2026-02-20 11:05:00', 1],
+      [2, '2026-02-20 11:30:00', 0],
+      [3, '2026-03-20 11:00:00', 2],
+    ] as const) {
+      player.run(snap.run(day, at, tier).lastInsertRowid);
+    }
+    const chat = h.prepare(
+      "INSERT INTO chat_log (type, player_name, message, created_at) VALUES ('player', 'Bob', ?, ?)",
+    );
+    chat.run('old', '2026-01-01 00:00:00');
+    chat.run('older', '2025-12-01 00:00:00');
+    chat.run('new', '2026-03-19 00:00:00');
+    const activity = h.prepare("INSERT INTO activity_log (type, created_at) VALUES ('player_connect', ?)");
+    activity.run('2026-01-01 00:00:00');
+    activity.run('2026-03-19 00:00:00');
+    const flag = h.prepare(
+      "INSERT INTO anticheat_flags (steam_id, detector, status, created_at) VALUES ('7656', 'speed_hack', ?, ?)",
+    );
+    flag.run('open', '2025-12-01 00:00:00');
+    flag.run('dismissed', '2025-12-01 00:00:00');
+  }
+
+  before(() => {
+    db = new HumanitZDB({ memory: true, label: 'RetentionTest' });
+    db.init();
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'retention-test-'));
+  });
+
+  after(() => {
+    mod.stop();
+    db.close();
+    fs.rmSync(tmp, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    seed();
+    mod = new DataRetention();
+    mod.start({
+      config: { dataRetention: POLICY },
+      archiveDir: tmp,
+      getTargets: () => [{ id: 'primary', db }],
+      autoTick: false,
+    });
+  });
+
+  it('previews what each policy would do without touching rows', () => {
+    const plan = mod.preview(db, NOW);
+    assert.equal(plan.ok, true);
+    const byFamily = Object.fromEntries(plan.value.map((p: any) => [p.family, p]));
+    assert.equal(byFamily.timeline.affected, 3, 'all but the hourly keyframes');
+    assert.equal(byFamily.chat.affected, 2);
+    assert.equal(byFamily.chat.oldest, '2025-12-01 00:00:00');
+    assert.equal(byFamily.anticheat_flags.affected, 1, 'open flags never expire');
+    assert.equal(db.retention.countRows('timeline'), 6);
+  });
+
+  it('archives, deletes and thins on the daily tick', async () => {
+    const runs = await mod.tick(NOW);
+    assert.equal(runs.length, 1);
+    assert.equal(await mod.tick(new Date(NOW.getTime() + 60 * 60_000)), null, 'once a day');
+
+    const h = db.db;
+    assert.deepEqual(
+      h
+        .prepare('SELECT created_at FROM timeline_snapshots ORDER BY id')
+        .all()
+        .map((r: any) => r.created_at),
+      ['2026-02-20 10:00:00', '2026-02-20 11:05:00', '2026-03-20 11:00:00'],
+    );
+    assert.equal(h.prepare('SELECT COUNT(*) AS c FROM timeline_players').get().c, 3, 'children cascade');
+    assert.deepEqual(
+      h
+        .prepare('SELECT message FROM chat_log')
+        .all()
+        .map((r: any) => r.message),
+      ['new'],
+    );
+    assert.equal(h.prepare('SELECT COUNT(*) AS c FROM activity_log').get().c, 1);
+    assert.equal(h.prepare('SELECT status FROM anticheat_flags').get().status, 'open');
+
+    const chat = runs[0].families.find((f: any) => f.family === 'chat');
+    assert.equal(chat.archive, path.join(tmp, 'primary', 'chat', 'chat-20260320-120000.jsonl.gz'));
+    const lines = zlib
+      .gunzipSync(fs.readFileSync(chat.archive))
+      .toString()
+      .trim()
+      .split('\n')
+      .map((l) => JSON.parse(l));
+    assert.deepEqual(
+      lines.map((l: any) => l.message),
+      ['old', 'older'],
+    );
+    assert.equal(runs[0].families.find((f: any) => f.family === 'activity').archive, null);
+    assert.equal(mod.lastRuns[0].serverId, 'primary');
+  });
+
+  it('archives timeline snapshots with their child rows', async () => {
+    mod.start({ config: { dataRetention: 'timeline=archive:7' }, archiveDir: tmp, autoTick: false });
+    const run = await mod.apply('srv_2', db, NOW);
+    const timeline = run.value.families.find(Boolean);
+    assert.equal(timeline.affected, 5);
+    const [first] = zlib
+      .gunzipSync(fs.readFileSync(timeline.archive))
+      .toString()
+      .trim()
+      .split('\n')
+      .map((l) => JSON.parse(l));
+    assert.equal(first.children.timeline_players[0].name, 'Bob');
+    assert.match(timeline.archive, /srv_2/);
+  });
+
+  it('hands families it manages over from the legacy purges', () => {
+    assert.equal(mod.manages('timeline'), true);
+    assert.equal(mod.manages('item_movements'), false);
+    mod.stop();
+    assert.equal(mod.manages('timeline'), false);
+  });
+
+  it('reports table sizes largest first', () => {
+    const report = mod.report(db);
+    assert.ok(report.fileBytes > 0);
+    assert.ok(report.tables.some((t: any) => t.table === 'chat_log'));
+    assert.ok(!report.tables.some((t: any) => t.table.startsWith('idx_')), 'indexes fold into their table');
+    assert.ok(report.tables[0].bytes >= report.tables[report.tables.length - 1].bytes);
+  });
+
+  it('reports disabled before start', async () => {
+    const idle = new DataRetention();
+    assert.deepEqual(idle.preview(db, NOW), { ok: false, code: 'disabled' });
+    assert.deepEqual(await idle.apply('primary', db, NOW), { ok: false, code: 'disabled' });
+  });
+});
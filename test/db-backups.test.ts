@@ -0,0 +1,184 @@
+/**
+ * Tests for database backups — online snapshots with integrity checks,
+ * gzip, grandfather-father-son retention and the queued restore.
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import Database from 'better-sqlite3';
+
+import * as _backup from '../src/db/db-backup.js';
+const {
+  applyPendingRestore,
+  backupDatabase,
+  checkIntegrity,
+  databasePath,
+  discoverDatabases,
+  getPendingRestore,
+  listBackups,
+  selectRetained,
+  verifyBackup,
+}: any = _backup;
+
+import * as _mod from '../src/modules/db-backups.js';
+const { DbBackups }: any = _mod;
+
+const CONFIG = {
+  dbBackupInterval: 60,
+  dbBackupKeepHourly: 2,
+  dbBackupKeepDaily: 2,
+  dbBackupKeepWeekly: 1,
+  dbBackupCompress: true,
+  adminAlertChannelIds: [],
+  adminChannelId: undefined,
+  locale: 'en',
+};
+
+function makeDb(file: string, rows: string[]) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.exec('CREATE TABLE IF NOT EXISTS t (v TEXT)');
+  const insert = db.prepare('INSERT INTO t (v) VALUES (?)');
+  for (const r of rows) insert.run(r);
+  return db;
+}
+
+function readRows(file: string): string[] {
+  const db = new Database(file, { readonly: true });
+  try {
+    return (db.prepare('SELECT v FROM t ORDER BY rowid').all() as Array<{ v: string }>).map((r) => r.v);
+  } finally {
+    db.close();
+  }
+}
+
+const at = (iso: string) => new Date(`${iso}Z`);
+const fake = (iso: string) => ({
+  dbId: 'primary',
+  name: iso,
+  path: iso,
+  createdAt: at(iso),
+  bytes: 1,
+  compressed: false,
+});
+
+describe('db-backup retention', () => {
+  it('keeps the newest snapshot per hour, day and week', () => {
+    const backups = [
+      '2026-03-09T12:30:00', // Monday — newest
+      '2026-03-09T12:10:00', // same hour
+      '2026-03-09T11:00:00',
+      '2026-03-09T10:00:00',
+      '2026-03-08T23:00:00', // Sunday — previous week
+      '2026-03-08T09:00:00',
+      '2026-03-07T09:00:00',
+    ].map(fake);
+    const keep = selectRetained(backups, { hourly: 2, daily: 2, weekly: 2 });
+    assert.deepEqual([...keep].sort(), ['2026-03-08T23:00:00', '2026-03-09T11:00:00', '2026-03-09T12:30:00']);
+    assert.deepEqual([...selectRetained(backups, { hourly: 0, daily: 0, weekly: 0 })], ['2026-03-09T12:30:00']);
+  });
+});
+
+describe('DbBackups', () => {
+  let tmp: string;
+  let dataDir: string;
+  let backupDir: string;
+  let primary: any;
+  let server: any;
+  let mod: any;
+
+  before(() => {
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'db-backups-test-'));
+    dataDir = path.join(tmp, 'data');
+    backupDir = path.join(tmp, 'backups');
+    primary = makeDb(databasePath(dataDir, 'primary'), ['a', 'b']);
+    server = makeDb(databasePath(dataDir, 'srv_1'), ['x']);
+  });
+
+  after(() => {
+    mod.stop();
+    primary.close();
+    server.close();
+    fs.rmSync(tmp, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    mod = new DbBackups();
+    mod.start({ config: CONFIG, dataDir, backupDir, autoTick: false });
+  });
+
+  it('finds the primary and per-server databases', () => {
+    assert.deepEqual(
+      discoverDatabases(dataDir).map((d: any) => d.id),
+      ['primary', 'srv_1'],
+    );
+  });
+
+  it('snapshots every database on schedule, verified and gzipped', async () => {
+    const run = await mod.tick(at('2026-03-09T10:00:00'));
+    assert.deepEqual(
+      run.created.map((f: any) => f.name),
+      ['humanitz-20260309-100000.db.gz', 'humanitz-20260309-100000.db.gz'],
+    );
+    assert.deepEqual(run.failed, []);
+    assert.equal(await mod.tick(at('2026-03-09T10:30:00')), null, 'not due inside the interval');
+
+    const snapshot = listBackups(backupDir, 'primary').find(Boolean);
+    assert.equal(snapshot.compressed, true);
+    assert.deepEqual(await verifyBackup(snapshot), { ok: true, result: 'ok' });
+
+    fs.writeFileSync(path.join(backupDir, 'primary', 'humanitz-20260309-090000.db'), 'not a database');
+    const broken = await mod.verify('primary', 'humanitz-20260309-090000.db');
+    assert.equal(broken.ok, true);
+    assert.equal(broken.value.ok, false);
+    assert.deepEqual(await mod.verify('primary', '../../etc/passwd'), { ok: false, code: 'not_found' });
+  });
+
+  it('quick-checks or fully checks a database file', async () => {
+    const file = databasePath(dataDir, 'primary');
+    assert.deepEqual(await checkIntegrity(file, 'quick'), { ok: true, result: 'ok' });
+    assert.deepEqual(await checkIntegrity(file), { ok: true, result: 'ok' });
+  });
+
+  it('prunes snapshots the retention policy no longer keeps', async () => {
+    for (const iso of ['2026-03-09T11:00:00', '2026-03-09T12:00:00', '2026-03-09T13:00:00']) {
+      await mod.runBackup('manual', at(iso));
+    }
+    assert.deepEqual(
+      listBackups(backupDir, 'srv_1').map((b: any) => b.name),
+      ['humanitz-20260309-130000.db.gz', 'humanitz-20260309-120000.db.gz'],
+    );
+    assert.equal(mod.lastRun.trigger, 'manual');
+  });
+
+  it('queues a restore and applies it at the next start', async () => {
+    assert.deepEqual(mod.requestRestore('primary', 'nope.db.gz', 'admin'), { ok: false, code: 'not_found' });
+    const queued = mod.requestRestore('primary', 'humanitz-20260309-130000.db.gz', 'admin');
+    assert.equal(queued.ok, true);
+    assert.equal(getPendingRestore(backupDir).requestedBy, 'admin');
+
+    primary.prepare('INSERT INTO t (v) VALUES (?)').run('after');
+    primary.close();
+    const restored = await applyPendingRestore(dataDir, backupDir);
+    assert.equal(restored.backup.name, 'humanitz-20260309-130000.db.gz');
+    assert.deepEqual(readRows(databasePath(dataDir, 'primary')), ['a', 'b']);
+    assert.deepEqual(readRows(restored.previous), ['a', 'b', 'after']);
+    assert.equal(getPendingRestore(backupDir), null);
+    assert.equal(await applyPendingRestore(dataDir, backupDir), null);
+    primary = new Database(databasePath(dataDir, 'primary'));
+  });
+
+  it('reports disabled before start', async () => {
+    const idle = new DbBackups();
+    assert.deepEqual(idle.list(), { ok: false, code: 'disabled' });
+    assert.deepEqual(await idle.runBackup(), { ok: false, code: 'disabled' });
+    assert.equal(
+      await backupDatabase({ id: 'primary', path: path.join(tmp, 'missing.db') }, backupDir).catch(() => 'threw'),
+      'threw',
+    );
+  });
+});
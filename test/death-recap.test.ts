@@ -0,0 +1,205 @@
+/**
+ * Tests for death recaps — recap capture at death, backpack location from
+ * save syncs, the unlocated fallback after the wait, and /deaths paging.
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import _database from '../src/db/database.js';
+const HumanitZDB = _database as any;
+
+import * as _recap from '../src/modules/death-recap.js';
+const { DeathRecaps, summariseItems, deathMapUrl, buildDeathRecapEmbed }: any = _recap;
+
+const VICTIM = '76561198000000001';
+const CONFIG = { deathRecapMode: 'dm', deathRecapWait: 5, webMapPublicUrl: 'https://panel.example', locale: 'en' };
+const NOW = new Date('2026-03-01T12:00:00Z');
+
+describe('death recap helpers', () => {
+  it('merges inventories into item totals, largest stack first', () => {
+    assert.deepEqual(
+      summariseItems(
+        [
+          { item: 'Nails', amount: 20 },
+          { item: 'Axe', amount: 1 },
+        ],
+        [{ item: 'Nails', amount: 5 }],
+        null,
+      ),
+      [
+        { item: 'Nails', amount: 25 },
+        { item: 'Axe', amount: 1 },
+      ],
+    );
+  });
+
+  it('links to the panel map focused on a position', () => {
+    assert.equal(deathMapUrl('', 1, 2, 'Bob'), '');
+    assert.equal(
+      deathMapUrl('https://panel.example', 1234.4, -5.6, 'Bob B'),
+      'https://panel.example/?focus=1234%2C-6&label=Bob+B',
+    );
+  });
+});
+
+describe('DeathRecaps', () => {
+  let db: typeof HumanitZDB;
+  let mod: any;
+  let sent: Array<{ to: string; embed: any }>;
+  let posted: any[];
+
+  const client = {
+    users: {
+      fetch: async (id: string) => ({
+        send: async (payload: any) => {
+          sent.push({ to: id, embed: payload.embeds[0].toJSON() });
+        },
+      }),
+    },
+  };
+
+  function die(name = 'Victim', steamId = VICTIM) {
+    return db.deathCause.insertDeathCause({
+      victimName: name,
+      victimSteamId: steamId,
+      causeType: 'zombie',
+      causeName: 'Runner',
+      damageTotal: 80,
+      damageBreakdown: [
+        { source: 'Runner', type: 'zombie', damage: 60, hits: 3 },
+        { source: 'Wolf', type: 'animal', damage: 20, hits: 1 },
+      ],
+    });
+  }
+
+  before(() => {
+    db = new HumanitZDB({ memory: true, label: 'DeathRecapTest' });
+    db.init();
+    db.accountLinks.link('d-victim', VICTIM, 'victim');
+    db.player.upsertPlayer(VICTIM, {
+      name: 'Victim',
+      x: 50_000,
+      y: 60_000,
+      z: 100,
+      inventory: [
+        { item: 'Nails', amount: 40 },
+        { item: 'Rifle', amount: 1 },
+      ],
+      equipment: [{ item: 'Backpack', amount: 1 }],
+    });
+  });
+
+  after(() => {
+    mod.stop();
+    if (db) db.close();
+  });
+
+  beforeEach(() => {
+    sent = [];
+    posted = [];
+    db.worldObject.replaceWorldDrops([
+      { type: 'backpack', x: 50_100, y: 60_100, z: 100, items: [{ item: 'Rifle', amount: 1 }] },
+    ]);
+    mod = new DeathRecaps();
+    mod.start({
+      db,
+      client,
+      config: CONFIG,
+      postToThread: async (embed: any) => {
+        posted.push(embed.toJSON());
+      },
+      autoTick: false,
+    });
+  });
+
+  it('stores the last position and carried items at death', () => {
+    const id = die();
+    assert.equal(mod.onDeath('Victim', NOW), id);
+    assert.equal(mod.onDeath('Victim', NOW), null, 'a repeated death line does not recap twice');
+    assert.equal(mod.pendingRecaps, 1);
+
+    const recap = mod.getRecap(id);
+    assert.equal(recap.hasRecap, true);
+    assert.equal(recap.body, null);
+    assert.deepEqual(recap.last, { x: 50_000, y: 60_000 });
+    assert.deepEqual(
+      recap.items.map((i: any) => i.item),
+      ['Nails', 'Backpack', 'Rifle'],
+    );
+    assert.equal(recap.damage[0].source, 'Runner');
+  });
+
+  it('locates the new backpack on the next save and DMs the linked player', async () => {
+    const id = die();
+    mod.onDeath('Victim', NOW);
+    assert.equal(await mod.onSaveSync(), 0, 'the old backpack was already on the ground');
+
+    db.worldObject.replaceWorldDrops([
+      { type: 'backpack', x: 50_100, y: 60_100, z: 100, items: [{ item: 'Rifle', amount: 1 }] },
+      { type: 'backpack', x: 90_000, y: 10_000, z: 100, items: [{ item: 'Stick', amount: 1 }] },
+      { type: 'backpack', x: 52_000, y: 61_000, z: 90, items: [{ item: 'Nails', amount: 40 }] },
+    ]);
+    assert.equal(await mod.onSaveSync(), 1);
+    assert.equal(mod.pendingRecaps, 0);
+    assert.deepEqual(mod.getRecap(id).body, { x: 52_000, y: 61_000, z: 90 });
+    assert.deepEqual(mod.getRecap(id).items, [{ item: 'Nails', amount: 40 }]);
+
+    assert.deepEqual(
+      sent.map((s) => s.to),
+      ['d-victim'],
+    );
+    const embed = sent.map((s) => s.embed).find(Boolean);
+    assert.match(embed.title, /Victim/);
+    assert.match(JSON.stringify(embed.fields), /focus=52000%2C61000/);
+    assert.deepEqual(posted, []);
+  });
+
+  it('sends the recap with the last position once the wait runs out', async () => {
+    mod.start({
+      db,
+      client,
+      config: { ...CONFIG, deathRecapMode: 'both' },
+      postToThread: async (e: any) => posted.push(e),
+      autoTick: false,
+    });
+    const id = die();
+    mod.onDeath('Victim', NOW);
+    assert.equal(await mod.tick(new Date(NOW.getTime() + 4 * 60_000)), 0);
+    assert.equal(await mod.tick(new Date(NOW.getTime() + 5 * 60_000)), 1);
+    assert.equal(sent.length, 1);
+    assert.equal(posted.length, 1);
+    assert.equal(db.deathCause.getDeath(id).notified, 2);
+    assert.equal(mod.getRecap(id).body, null);
+  });
+
+  it('hides the body and items unless asked to show them', () => {
+    const id = die();
+    mod.onDeath('Victim', NOW);
+    const recap = mod.getRecap(id);
+    const hidden = buildDeathRecapEmbed(recap, 'en').toJSON();
+    assert.equal(hidden.fields.length, 1);
+    const shown = buildDeathRecapEmbed(recap, 'en', { showBody: true }).toJSON();
+    assert.equal(shown.fields.length, 3);
+  });
+
+  it('pages through a player history newest first', () => {
+    const total = db.deathCause.countDeathHistory(VICTIM, 'Victim');
+    const first = mod.getHistory('Victim', 0);
+    assert.equal(first.ok, true);
+    assert.equal(first.value.total, total);
+    assert.equal(first.value.page, 0);
+    const last = mod.getHistory(VICTIM, 999);
+    assert.equal(last.value.page, total - 1);
+    assert.ok(last.value.recap.id < first.value.recap.id);
+    assert.deepEqual(mod.getHistory('Nobody'), { ok: false, code: 'not_found' });
+  });
+
+  it('reports disabled without a database', () => {
+    const idle = new DeathRecaps();
+    idle.start({ autoTick: false });
+    assert.equal(idle.isActive(), false);
+    assert.equal(idle.onDeath('Victim', NOW), null);
+    assert.deepEqual(idle.getHistory('Victim'), { ok: false, code: 'disabled' });
+  });
+});
@@ -0,0 +1,200 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import _database from '../src/db/database.js';
+const HumanitZDB = _database as any;
+
+import * as _economy from '../src/modules/economy.js';
+const { Economy } = _economy as any;
+
+import * as _milestone_tracker from '../src/modules/milestone-tracker.js';
+const { MilestoneTracker } = _milestone_tracker as any;
+
+const ALICE = '76561198000000001';
+const BOB = '76561198000000002';
+
+const CONFIG = {
+  economyKillReward: 2,
+  economySurvivalDayReward: 10,
+  economyPlaytimeMilestoneReward: 100,
+  economyQuestReward: 50,
+  economyMaxTransfer: 500,
+  locale: 'en',
+};
+
+function makeAccumulate(kills: Record<string, number>, days: Record<string, number> = {}) {
+  return {
+    targetDate: '2026-10-18',
+    deltas: {
+      killDeltas: Object.entries(kills).map(([steamId, n]) => ({ steamId, name: steamId, delta: { zeeksKilled: n } })),
+      survivalDeltas: Object.entries(days).map(([steamId, n]) => ({
+        steamId,
+        name: steamId,
+        delta: { daysSurvived: n },
+      })),
+    },
+  };
+}
+
+function setQuests(db: any, steamId: string, flags: boolean[]) {
+  db.db.prepare('UPDATE players SET quest_spawner_done = ? WHERE steam_id = ?').run(JSON.stringify(flags), steamId);
+}
+
+describe('Economy', () => {
+  let db: any;
+  let economy: any;
+
+  beforeEach(() => {
+    db = new HumanitZDB({ memory: true, label: 'economy-test' });
+    db.init();
+    const insert = db.db.prepare('INSERT INTO players (steam_id, name) VALUES (?, ?)');
+    insert.run(ALICE, 'Alice');
+    insert.run(BOB, 'Bob');
+    db.player.registerAlias(ALICE, 'Alice', 'test');
+    db.player.registerAlias(BOB, 'Bob', 'test');
+
+    economy = new Economy();
+    economy.start({ db, config: { ...CONFIG } });
+  });
+
+  afterEach(() => {
+    economy.stop();
+    db.close();
+  });
+
+  it('pays kill and survival-day rewards from accumulate deltas', () => {
+    economy.onKillDeltas(makeAccumulate({ [ALICE]: 15, [BOB]: 0 }, { [ALICE]: 2 }));
+    assert.equal(db.economy.getBalance(ALICE), 15 * 2 + 2 * 10);
+    assert.equal(db.economy.getBalance(BOB), 0);
+
+    const types = db.economy.getTransactions(ALICE).map((tx: any) => tx.type);
+    assert.deepEqual(types.sort(), ['kill_reward', 'survival_reward']);
+  });
+
+  it('pays playtime milestones only', () => {
+    economy.onMilestone({ kind: 'playtime', steamId: BOB, name: 'Bob', threshold: 6 * 3600000 });
+    economy.onMilestone({ kind: 'kills', steamId: BOB, name: 'Bob', threshold: 100 });
+    const tx = db.economy.getTransactions(BOB);
+    assert.equal(tx.length, 1);
+    assert.equal(tx[0].type, 'milestone_reward');
+    assert.equal(tx[0].related_id, 'playtime_6h');
+    assert.equal(tx[0].balance_after, 100);
+  });
+
+  it('receives milestones from MilestoneTracker after the first-run backfill', async () => {
+    const events: any[] = [];
+    const tracker = new MilestoneTracker({ channels: { cache: new Map() } } as any, {
+      db,
+      config: { logChannelId: '' },
+      onMilestone: (e: any) => events.push(e),
+    });
+    db.db.prepare('UPDATE players SET playtime_seconds = ? WHERE steam_id = ?').run(3700, ALICE);
+    await tracker.check();
+    assert.deepEqual(events, [], 'Backfilled milestones must not be reported');
+
+    db.db.prepare('UPDATE players SET playtime_seconds = ? WHERE steam_id = ?').run(6 * 3600 + 5, ALICE);
+    await tracker.check();
+    assert.deepEqual(events, [{ kind: 'playtime', steamId: ALICE, name: 'Alice', threshold: 6 * 3600000 }]);
+  });
+
+  it('baselines quests on the first sync and pays only new completions', () => {
+    setQuests(db, ALICE, [true, true, false]);
+    assert.equal(economy.onSaveSync(), 0);
+    assert.equal(db.economy.getBalance(ALICE), 0);
+
+    setQuests(db, ALICE, [true, true, true]);
+    setQuests(db, BOB, [true]);
+    assert.equal(economy.onSaveSync(), 100);
+    assert.equal(db.economy.getBalance(ALICE), 50);
+    assert.equal(db.economy.getBalance(BOB), 50);
+    assert.equal(economy.onSaveSync(), 0, 'Same progress pays nothing twice');
+
+    const row = db.db.prepare('SELECT quests_completed FROM hmz_players WHERE steam_id = ?').get(ALICE);
+    assert.equal(row.quests_completed, 1);
+
+    // A reset character lowers the baseline without paying or clawing back
+    setQuests(db, ALICE, [false]);
+    economy.onSaveSync();
+    setQuests(db, ALICE, [true]);
+    assert.equal(economy.onSaveSync(), 50);
+  });
+
+  it('transfers credits between players with both legs in the ledger', () => {
+    db.economy.adjustCredits(ALICE, 300, 'admin_grant');
+    const result = economy.pay(ALICE, 'bob', 120);
+    assert.equal(result.ok, true);
+    assert.equal(result.value.from.balance, 180);
+    assert.equal(result.value.to.balance, 120);
+
+    const [bobTx] = db.economy.getTransactions(BOB);
+    assert.equal(bobTx.type, 'transfer');
+    assert.equal(bobTx.related_id, ALICE);
+    assert.equal(bobTx.actor, ALICE);
+
+    assert.equal(economy.pay(ALICE, 'Bob', 1000).code, 'max_transfer');
+    assert.equal(economy.pay(ALICE, 'Bob', 200).code, 'insufficient_funds');
+    assert.equal(db.economy.getBalance(ALICE), 180, 'Failed transfer writes nothing');
+    assert.equal(economy.pay(ALICE, 'Alice', 5).code, 'self_transfer');
+    assert.equal(economy.pay(ALICE, 'Nobody', 5).code, 'unknown_player');
+    assert.equal(economy.pay(ALICE, 'Bob', 0).code, 'invalid_amount');
+  });
+
+  it('records admin grants and deductions with actor and reason', () => {
+    assert.equal(
+      economy.adjust({ target: 'Alice', amount: 50, reason: ' ', actor: 'web:admin' }).code,
+      'reason_required',
+    );
+
+    const grant = economy.adjust({ target: 'Alice', amount: 250, reason: 'Event prize', actor: 'web:admin' });
+    assert.equal(grant.value.balance, 250);
+    const deduct = economy.adjust({ target: ALICE, amount: -100, reason: 'Exploit', actor: 'web:mod' });
+    assert.equal(deduct.value.balance, 150);
+    assert.equal(
+      economy.adjust({ target: 'Alice', amount: -1000, reason: 'x', actor: 'a' }).code,
+      'insufficient_funds',
+    );
+
+    const audit = economy.listTransactions({ type: 'admin_deduct' });
+    assert.equal(audit.length, 1);
+    assert.equal(audit[0].name, 'Alice');
+    assert.equal(audit[0].actor, 'web:mod');
+    assert.equal(audit[0].description, 'Exploit');
+    assert.equal(audit[0].balance_after, 150);
+
+    const page = economy.listTransactions({ beforeId: deduct.value.transactionId, limit: 1 });
+    assert.equal(page[0].id, grant.value.transactionId);
+  });
+
+  it('ranks wallets and totals the economy', () => {
+    db.economy.adjustCredits(ALICE, 40, 'admin_grant');
+    db.economy.adjustCredits(BOB, 90, 'admin_grant');
+    const board = economy.getLeaderboard();
+    assert.deepEqual(
+      board.map((r: any) => [r.name, r.credits]),
+      [
+        ['Bob', 90],
+        ['Alice', 40],
+      ],
+    );
+    assert.deepEqual(economy.getTotals(), { accounts: 2, circulating: 130, lifetime: 130 });
+    assert.equal(economy.getWallet('Bob').value.balance, 90);
+  });
+
+  it('answers !wallet and !pay for the chat router', async () => {
+    db.economy.adjustCredits(ALICE, 100, 'admin_grant');
+    const [wallet, pay] = economy.chatCommands();
+    const ctx = (args: string[]) => ({ name: 'Alice', steamId: ALICE, args, isAdmin: false });
+
+    assert.equal(await wallet.run(ctx([])), 'Alice has 100 credits.');
+    assert.equal(await pay.run(ctx(['Bob', '25'])), 'sent 25 credits to Bob. You have 75 left.');
+    assert.equal(await pay.run(ctx(['Bob'])), 'usage: !pay <player> <amount>');
+    assert.equal(await pay.run(ctx(['Bob', '9999'])), 'transfers are limited to 500 credits.');
+  });
+
+  it('does nothing when stopped', () => {
+    economy.stop();
+    economy.onKillDeltas(makeAccumulate({ [ALICE]: 10 }));
+    assert.equal(db.economy.getBalance(ALICE), 0);
+    assert.equal(economy.pay(ALICE, 'Bob', 1).code, 'disabled');
+  });
+});
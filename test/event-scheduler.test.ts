@@ -0,0 +1,218 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import _database from '../src/db/database.js';
+const HumanitZDB = _database as any;
+
+import * as _event_scheduler from '../src/modules/event-scheduler.js';
+const { EventScheduler } = _event_scheduler as any;
+
+const ALICE = '76561198000000001';
+const BOB = '76561198000000002';
+const CAROL = '76561198000000003';
+
+const CONFIG = {
+  eventDefaultDuration: 60,
+  eventDefaultRewards: [500, 250, 100],
+  locale: 'en',
+};
+
+const T0 = new Date('2026-10-18T12:00:00Z');
+
+function minutesFrom(base: Date, minutes: number) {
+  return new Date(base.getTime() + minutes * 60_000);
+}
+
+function makeAccumulate(kills: Record<string, number>) {
+  return {
+    targetDate: '2026-10-18',
+    deltas: {
+      killDeltas: Object.entries(kills).map(([steamId, n]) => ({ steamId, name: steamId, delta: { zeeksKilled: n } })),
+      survivalDeltas: [],
+    },
+  };
+}
+
+describe('EventScheduler', () => {
+  let db: any;
+  let events: any;
+  let messages: string[];
+  let embeds: any[];
+
+  beforeEach(() => {
+    db = new HumanitZDB({ memory: true, label: 'event-test' });
+    db.init();
+    db.player.registerAlias(ALICE, 'Alice', 'idmap');
+    db.player.registerAlias(BOB, 'Bob', 'idmap');
+    db.player.registerAlias(CAROL, 'Carol', 'idmap');
+
+    messages = [];
+    embeds = [];
+    events = new EventScheduler();
+    events.start({
+      db,
+      config: CONFIG,
+      autoTick: false,
+      logWatcher: {
+        sendToThread: (embed: any) => {
+          embeds.push(embed);
+          return Promise.resolve();
+        },
+      },
+      sendAdminMessage: (msg: string) => {
+        messages.push(msg);
+        return Promise.resolve();
+      },
+    });
+  });
+
+  afterEach(() => {
+    events.stop();
+    db.close();
+  });
+
+  function schedule(overrides: Record<string, unknown> = {}) {
+    const res = events.schedule(
+      { type: 'horde_night', name: 'Horde Night', scheduledAt: minutesFrom(T0, 15), ...overrides },
+      T0,
+    );
+    assert.equal(res.ok, true, res.code);
+    return res.value;
+  }
+
+  describe('scheduling', () => {
+    it('stores defaults for duration and rewards and announces in Discord', () => {
+      const ev = schedule();
+      assert.equal(ev.status, 'scheduled');
+      assert.equal(ev.durationMinutes, 60);
+      assert.deepEqual(ev.rewards.places, [500, 250, 100]);
+      assert.equal(ev.scoring, 'zombie_kills');
+      assert.equal(embeds.length, 1);
+      assert.equal(messages.length, 0);
+      assert.equal(events.getUpcoming().length, 1);
+    });
+
+    it('rejects invalid requests', () => {
+      const at = minutesFrom(T0, 15);
+      assert.equal(events.schedule({ type: 'picnic', name: 'x', scheduledAt: at }, T0).code, 'invalid_type');
+      assert.equal(events.schedule({ type: 'custom', name: '  ', scheduledAt: at }, T0).code, 'invalid_name');
+      assert.equal(
+        events.schedule({ type: 'custom', name: 'x', scheduledAt: minutesFrom(T0, -10) }, T0).code,
+        'invalid_time',
+      );
+      assert.equal(
+        events.schedule({ type: 'custom', name: 'x', scheduledAt: at, durationMinutes: 0 }, T0).code,
+        'invalid_duration',
+      );
+      assert.equal(
+        events.schedule({ type: 'custom', name: 'x', scheduledAt: at, rewards: [100, -5] }, T0).code,
+        'invalid_rewards',
+      );
+      assert.equal(events.schedule({ type: 'assassination', name: 'x', scheduledAt: at }, T0).code, 'unknown_target');
+      assert.equal(events.getUpcoming().length, 0);
+    });
+  });
+
+  describe('countdown and lifecycle', () => {
+    it('walks the warning ladder once per step, then starts and completes', () => {
+      const ev = schedule();
+
+      events.tick(minutesFrom(T0, 1)); // 14 min out — nothing yet
+      assert.equal(messages.length, 0);
+
+      events.tick(minutesFrom(T0, 5)); // 10 min
+      events.tick(minutesFrom(T0, 5.2)); // still 10 — no repeat
+      events.tick(minutesFrom(T0, 11)); // 4 min → the 5-minute step
+      events.tick(minutesFrom(T0, 14)); // 1 min
+      assert.equal(messages.length, 3);
+      assert.match(messages[0] ?? '', /starts in 10 minutes/);
+      assert.match(messages[1] ?? '', /starts in 4 minutes/);
+      assert.match(messages[2] ?? '', /starts in 1 minute —/);
+
+      events.tick(minutesFrom(T0, 15));
+      assert.equal(events.getEvent(ev.id).status, 'active');
+      assert.match(messages[3] ?? '', /EVENT STARTED/);
+
+      events.tick(minutesFrom(T0, 74));
+      assert.equal(events.getEvent(ev.id).status, 'active');
+      events.tick(minutesFrom(T0, 75));
+      assert.equal(events.getEvent(ev.id).status, 'completed');
+      assert.match(messages.at(-1) ?? '', /no winners/);
+    });
+
+    it('pays the top places from zombie kills and records the results', () => {
+      const ev = schedule({ rewards: [300, 100] });
+      assert.equal(events.startNow(ev.id, T0).ok, true);
+
+      events.onKillDeltas(makeAccumulate({ [ALICE]: 12, [BOB]: 30, [CAROL]: 4 }));
+      events.onKillDeltas(makeAccumulate({ [ALICE]: 3 }));
+
+      const res = events.end(ev.id, minutesFrom(T0, 20));
+      assert.equal(res.ok, true);
+      assert.deepEqual(
+        res.value.winners.map((w: any) => [w.name, w.score, w.credits]),
+        [
+          ['Bob', 30, 300],
+          ['Alice', 15, 100],
+          ['Carol', 4, 0],
+        ],
+      );
+      assert.equal(db.economy.getBalance(BOB), 300);
+      assert.equal(db.economy.getBalance(ALICE), 100);
+      assert.equal(db.economy.getBalance(CAROL), 0);
+
+      const stored = events.getEvent(ev.id);
+      assert.equal(stored.status, 'completed');
+      assert.equal(stored.rewards.paid.length, 3);
+      assert.equal(events.end(ev.id).code, 'wrong_status');
+    });
+
+    it('cancels without paying and only warns players who heard the countdown', () => {
+      const quiet = schedule();
+      assert.equal(events.cancel(quiet.id).ok, true);
+      assert.equal(messages.length, 0);
+
+      const warned = schedule({ name: 'Second' });
+      events.tick(minutesFrom(T0, 13));
+      assert.equal(messages.length, 1);
+      assert.equal(events.cancel(warned.id).ok, true);
+      assert.match(messages[1] ?? '', /cancelled/);
+      assert.equal(events.cancel(warned.id).code, 'wrong_status');
+      assert.equal(events.getRecent().length, 2);
+    });
+  });
+
+  describe('pvp scoring', () => {
+    it('counts kills and deaths for pvp_kills events', () => {
+      const ev = schedule({ type: 'supply_drop', name: 'Drop' });
+      events.startNow(ev.id, T0);
+
+      events.onPvpKill('Alice', 'Bob');
+      events.onPvpKill('Alice', 'Carol');
+      events.onPvpKill('Bob', 'Alice');
+      events.onPvpKill('Alice', 'Alice');
+
+      const scores = events.getScores(ev.id);
+      const alice = scores.find((s: any) => s.steam_id === ALICE);
+      assert.equal(alice.score, 2);
+      assert.equal(alice.kills, 2);
+      assert.equal(alice.deaths, 1);
+      assert.equal(scores[0].steam_id, ALICE);
+    });
+
+    it('ends an assassination as soon as the target falls', () => {
+      const ev = schedule({ type: 'assassination', name: 'Contract', target: 'Carol', rewards: [1000] });
+      assert.equal(ev.target_steam_id, CAROL);
+      events.startNow(ev.id, T0);
+
+      events.onPvpKill('Alice', 'Bob');
+      assert.equal(events.getEvent(ev.id).status, 'active');
+
+      events.onPvpKill('Bob', 'Carol', minutesFrom(T0, 3));
+      const done = events.getEvent(ev.id);
+      assert.equal(done.status, 'completed');
+      assert.equal(done.rewards.paid[0].steamId, BOB);
+      assert.equal(db.economy.getBalance(BOB), 1000);
+    });
+  });
+});
@@ -0,0 +1,340 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import _database from '../src/db/database.js';
+const HumanitZDB = _database as any;
+
+import * as _faction_manager from '../src/modules/faction-manager.js';
+const { FactionManager, pointInPolygon } = _faction_manager as any;
+const factionManager = (_faction_manager as any).default;
+
+import _webMapServer from '../src/web-map/server.js';
+const WebMapServer = _webMapServer as any;
+
+import * as _route_helpers from './helpers/route-helpers.js';
+const { extractHandler } = _route_helpers as any;
+
+const ALICE = '76561198000000001';
+const BOB = '76561198000000002';
+const CAROL = '76561198000000003';
+
+const baseConfig = {
+  factionCapturePoints: 25,
+  factionCaptureThreshold: 50,
+  factionWarKillPoints: 10,
+  factionWarCapturePoints: 50,
+  locale: 'en',
+};
+
+function at(steamId: string, x: number, y: number, online = 1) {
+  return { steamId, name: steamId, online, x, y };
+}
+
+describe('FactionManager', () => {
+  let db: any;
+  let factions: any;
+  let messages: string[];
+  let embeds: any[];
+
+  beforeEach(() => {
+    db = new HumanitZDB({ memory: true, label: 'faction-test' });
+    db.init();
+    db.player.registerAlias(ALICE, 'Alice', 'idmap');
+    db.player.registerAlias(BOB, 'Bob', 'idmap');
+    db.player.registerAlias(CAROL, 'Carol', 'idmap');
+
+    messages = [];
+    embeds = [];
+    factions = new FactionManager();
+    factions.start({
+      db,
+      config: baseConfig,
+      logWatcher: {
+        sendToThread: (embed: any) => {
+          embeds.push(embed);
+          return Promise.resolve();
+        },
+      },
+      sendAdminMessage: (msg: string) => {
+        messages.push(msg);
+        return Promise.resolve();
+      },
+    });
+  });
+
+  afterEach(() => {
+    factions.stop();
+    db.close();
+  });
+
+  describe('membership', () => {
+    it('seeds the default factions on first start', () => {
+      const ids = factions.getStandings().map((f: any) => f.id);
+      assert.deepEqual(ids.sort(), ['drifters', 'reapers', 'wardens']);
+    });
+
+    it('joins, switches and leaves while keeping member counts in sync', () => {
+      assert.equal(factions.join('Alice', 'reapers').ok, true);
+      assert.equal(db.faction.getFaction('reapers').member_count, 1);
+
+      const moved = factions.join('Alice', 'Wardens');
+      assert.equal(moved.ok, true);
+      assert.equal(moved.value.previousFactionId, 'reapers');
+      assert.equal(db.faction.getFaction('reapers').member_count, 0);
+      assert.equal(db.faction.getFaction('wardens').member_count, 1);
+
+      assert.equal(factions.leave('Alice').ok, true);
+      assert.equal(db.faction.getPlayerFaction(ALICE), null);
+      assert.equal(db.faction.getFaction('wardens').member_count, 0);
+    });
+
+    it('rejects unknown players, unknown factions and no-op changes', () => {
+      assert.equal(factions.join('Nobody', 'reapers').code, 'unknown_player');
+      assert.equal(factions.join('Alice', 'pirates').code, 'unknown_faction');
+      factions.join('Alice', 'reapers');
+      assert.equal(factions.join('Alice', 'reapers').code, 'already_member');
+      assert.equal(factions.leave('Bob').code, 'not_member');
+    });
+
+    it('reports disabled when stopped', () => {
+      factions.stop();
+      assert.equal(factions.join('Alice', 'reapers').code, 'disabled');
+    });
+  });
+
+  describe('territory capture', () => {
+    beforeEach(() => {
+      factions.join('Alice', 'reapers');
+      factions.join('Bob', 'wardens');
+      factions.saveTerritory({ id: 'depot', name: 'Fuel Depot', centerX: 0, centerY: 0, radius: 1000 });
+    });
+
+    it('captures a zone once the threshold is reached', () => {
+      assert.deepEqual(factions.onSnapshot([at(ALICE, 100, 100)]), []);
+      const events = factions.onSnapshot([at(ALICE, 100, 100)]);
+
+      assert.equal(events.length, 1);
+      assert.equal(events[0].factionId, 'reapers');
+      const depot = db.faction.getTerritory('depot');
+      assert.equal(depot.controlling_faction, 'reapers');
+      assert.equal(depot.control_score_reapers, 50);
+      assert.equal(db.faction.getFaction('reapers').territories_held, 1);
+      assert.equal(db.faction.getMembers('reapers')[0].territories_captured, 1);
+      assert.equal(messages.length > 0, true, 'Should announce in-game');
+      assert.equal(embeds.length, 1, 'Should post to the activity thread');
+    });
+
+    it('ignores offline players and players outside the zone', () => {
+      factions.onSnapshot([at(ALICE, 100, 100, 0), at(BOB, 5000, 5000)]);
+      const depot = db.faction.getTerritory('depot');
+      assert.equal(depot.control_score_reapers, 0);
+      assert.equal(depot.control_score_wardens, 0);
+    });
+
+    it('freezes contested zones', () => {
+      factions.onSnapshot([at(ALICE, 100, 100)]);
+      factions.onSnapshot([at(ALICE, 100, 100), at(BOB, -100, -100)]);
+      assert.equal(db.faction.getTerritory('depot').control_score_reapers, 25);
+      assert.equal(db.faction.getTerritory('depot').control_score_wardens, 0);
+    });
+
+    it('drains the holder before a rival can capture', () => {
+      factions.onSnapshot([at(ALICE, 0, 0)]);
+      factions.onSnapshot([at(ALICE, 0, 0)]);
+
+      assert.deepEqual(factions.onSnapshot([at(BOB, 0, 0)]), []);
+      assert.equal(db.faction.getTerritory('depot').controlling_faction, 'reapers');
+
+      const taken = factions.onSnapshot([at(BOB, 0, 0)]);
+      assert.equal(taken[0].factionId, 'wardens');
+      assert.equal(taken[0].previousFactionId, 'reapers');
+      assert.equal(db.faction.getFaction('reapers').territories_held, 0);
+      assert.equal(db.faction.getFaction('wardens').territories_held, 1);
+    });
+
+    it('goes neutral when the holder is drained before the rival reaches the threshold', () => {
+      factions.onSnapshot([at(ALICE, 0, 0)]);
+      factions.onSnapshot([at(ALICE, 0, 0)]);
+      db.faction.setTerritoryScores('depot', { reapers: 25, wardens: 0, drifters: 0 });
+
+      const events = factions.onSnapshot([at(BOB, 0, 0)]);
+      assert.equal(events[0].factionId, null);
+      assert.equal(events[0].previousFactionId, 'reapers');
+      assert.equal(db.faction.getTerritory('depot').controlling_faction, null);
+    });
+
+    it('uses the polygon instead of the radius when one is drawn', () => {
+      factions.saveTerritory({
+        id: 'depot',
+        name: 'Fuel Depot',
+        centerX: 0,
+        centerY: 0,
+        radius: 1000,
+        polygon: [
+          [0, 0],
+          [500, 0],
+          [500, 500],
+          [0, 500],
+        ],
+      });
+      factions.onSnapshot([at(ALICE, -100, -100)]);
+      assert.equal(db.faction.getTerritory('depot').control_score_reapers, 0);
+      factions.onSnapshot([at(ALICE, 250, 250)]);
+      assert.equal(db.faction.getTerritory('depot').control_score_reapers, 25);
+    });
+
+    it('validates territory input', () => {
+      assert.equal(
+        factions.saveTerritory({ id: 'Bad Id!', name: 'X', centerX: 0, centerY: 0 }).code,
+        'invalid_territory',
+      );
+      assert.equal(
+        factions.saveTerritory({ id: 'ok', name: 'X', centerX: Number.NaN, centerY: 0 }).code,
+        'invalid_territory',
+      );
+      assert.equal(factions.deleteTerritory('missing').code, 'not_found');
+      assert.equal(factions.deleteTerritory('depot').ok, true);
+    });
+  });
+
+  describe('kills and war scoring', () => {
+    beforeEach(() => {
+      factions.join('Alice', 'reapers');
+      factions.join('Bob', 'wardens');
+      factions.join('Carol', 'reapers');
+    });
+
+    it('aggregates cross-faction PvP kills per faction and player', () => {
+      assert.equal(factions.onPvpKill('Alice', 'Bob'), true);
+      factions.onPlayerDeath(BOB);
+
+      assert.equal(db.faction.getFaction('reapers').total_kills, 1);
+      assert.equal(db.faction.getFaction('wardens').total_deaths, 1);
+      const alice = db.faction.getMembers('reapers').find((m: any) => m.steam_id === ALICE);
+      assert.equal(alice.pvp_kills_faction, 1);
+      assert.equal(db.faction.getMembers('wardens')[0].deaths_faction, 1);
+    });
+
+    it('does not count friendly fire as a faction kill', () => {
+      assert.equal(factions.onPvpKill('Alice', 'Carol'), false);
+      const alice = db.faction.getMembers('reapers').find((m: any) => m.steam_id === ALICE);
+      assert.equal(alice.pvp_kills_faction, 0);
+    });
+
+    it('scores kills and captures into the active territory war', () => {
+      db.db
+        .prepare(
+          "INSERT INTO hmz_events (type, name, status, started_at) VALUES ('territory_war', 'War', 'active', datetime('now'))",
+        )
+        .run();
+      factions.saveTerritory({ id: 'depot', name: 'Fuel Depot', centerX: 0, centerY: 0, radius: 1000 });
+
+      factions.onPvpKill('Alice', 'Bob');
+      factions.onPvpKill('Alice', 'Bob');
+      factions.onSnapshot([at(ALICE, 0, 0)]);
+      factions.onSnapshot([at(ALICE, 0, 0)]);
+
+      const rows = db.db.prepare('SELECT * FROM hmz_event_scores ORDER BY steam_id').all();
+      assert.equal(rows.length, 2);
+      assert.equal(rows[0].steam_id, ALICE);
+      assert.equal(rows[0].kills, 2);
+      assert.equal(rows[0].captures, 1);
+      assert.equal(rows[0].score, 2 * 10 + 50);
+      assert.equal(rows[1].deaths, 2);
+    });
+
+    it('folds KillTracker zombie kills into faction totals', () => {
+      factions.onKillDeltas({
+        deltas: {
+          killDeltas: [
+            { steamId: ALICE, name: 'Alice', delta: { zeeksKilled: 12 } },
+            { steamId: CAROL, name: 'Carol', delta: { zeeksKilled: 3 } },
+            { steamId: BOB, name: 'Bob', delta: { headshots: 2 } },
+          ],
+        },
+        targetDate: '2026-01-01',
+      });
+      assert.equal(db.faction.getFaction('reapers').total_kills, 15);
+      assert.equal(db.faction.getFaction('wardens').total_kills, 0);
+    });
+  });
+
+  describe('pointInPolygon', () => {
+    it('handles concave shapes', () => {
+      const ell = [
+        [0, 0],
+        [10, 0],
+        [10, 2],
+        [2, 2],
+        [2, 10],
+        [0, 10],
+      ];
+      assert.equal(pointInPolygon(1, 9, ell), true);
+      assert.equal(pointInPolygon(9, 1, ell), true);
+      assert.equal(pointInPolygon(5, 5, ell), false);
+    });
+  });
+});
+
+describe('/api/panel/factions/me routes', () => {
+  const server = new WebMapServer({ channels: { cache: new Map() } }, {});
+  const JOIN = extractHandler(server._app, 'post', '/api/panel/factions/me');
+  const LEAVE = extractHandler(server._app, 'post', '/api/panel/factions/me/leave');
+  let db: any;
+
+  function mockRes() {
+    const res: any = {
+      statusCode: 200,
+      body: null,
+      status(code: number) {
+        res.statusCode = code;
+        return res;
+      },
+      json(data: unknown) {
+        res.body = data;
+      },
+    };
+    return res;
+  }
+
+  function req(steamId: string | null, body: Record<string, unknown> = {}) {
+    return { srv: { isPrimary: true }, session: { user: { steamId } }, body };
+  }
+
+  beforeEach(() => {
+    db = new HumanitZDB({ memory: true, label: 'faction-route-test' });
+    db.init();
+    db.player.registerAlias(ALICE, 'Alice', 'idmap');
+    factionManager.start({
+      db,
+      config: baseConfig,
+      logWatcher: { sendToThread: () => Promise.resolve() },
+      sendAdminMessage: () => Promise.resolve(),
+    });
+  });
+
+  afterEach(() => {
+    factionManager.stop();
+    db.close();
+  });
+
+  it('joins and leaves with the caller linked character', () => {
+    const joined = mockRes();
+    JOIN(req(ALICE, { faction: 'reapers' }), joined);
+    assert.equal(joined.statusCode, 200);
+    assert.equal(db.faction.getPlayerFaction(ALICE), 'reapers');
+
+    const left = mockRes();
+    LEAVE(req(ALICE), left);
+    assert.equal(left.statusCode, 200);
+    assert.equal(db.faction.getPlayerFaction(ALICE), null);
+  });
+
+  it('rejects callers without a linked character', () => {
+    const res = mockRes();
+    JOIN(req(null, { faction: 'reapers' }), res);
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.code, 'ACCOUNT_NOT_LINKED');
+    assert.equal(db.faction.getFaction('reapers').member_count, 0);
+  });
+});
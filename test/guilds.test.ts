@@ -0,0 +1,408 @@
+/**
+ * Tests for multi-guild support — guilds.json parsing, per-server feed
+ * targets, guild locale defaults, feed mirroring and tiers across guilds.
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+import * as _guilds from '../src/config/guilds.js';
+const { normalizeGuildDef, loadGuilds, reloadGuilds, getGuild, guildIds, followsServer, guildTargets }: any = _guilds;
+
+import * as _mirror from '../src/modules/guild-mirror.js';
+const { GuildMirror, createGuildMirror }: any = _mirror;
+
+import * as _i18n from '../src/i18n/index.js';
+const { getLocale }: any = _i18n;
+
+import * as _auth from '../src/web-map/auth.js';
+const { resolveGuildsTier, tierForServer, requireTier }: any = _auth;
+
+import _chatRelay from '../src/modules/chat-relay.js';
+const ChatRelay = _chatRelay as any;
+
+import _serverStatus from '../src/modules/server-status.js';
+const ServerStatus = _serverStatus as any;
+
+import { EmbedBuilder } from 'discord.js';
+import * as _factories from './helpers/factories.js';
+const { mockConfig } = _factories as any;
+
+const PRIMARY = '100000000000000001';
+const CN = '100000000000000002';
+const EU = '100000000000000003';
+const CN_CHAT = '200000000000000001';
+const CN_LOG = '200000000000000002';
+const CN_SRV2_CHAT = '200000000000000003';
+const EU_CHAT = '200000000000000004';
+
+function def(overrides: Record<string, unknown>) {
+  const result = normalizeGuildDef({ id: CN, ...overrides });
+  assert.equal(result.ok, true);
+  return result.value;
+}
+
+/** Text channel double: records sends, hands out threads by name. */
+function fakeChannel(id: string) {
+  const channel: any = {
+    id,
+    sent: [] as unknown[],
+    threadList: new Map<string, any>(),
+    async send(payload: unknown) {
+      channel.sent.push(payload);
+      return {
+        id: `msg-${String(channel.sent.length)}`,
+        async startThread({ name }: { name: string }) {
+          const thread = fakeChannel(`${id}-thread-${String(channel.threadList.size)}`);
+          thread.name = name;
+          channel.threadList.set(thread.id, thread);
+          return thread;
+        },
+      };
+    },
+    threads: {
+      fetchActive: async () => ({ threads: channel.threadList }),
+      fetchArchived: async () => ({ threads: new Map() }),
+    },
+  };
+  return channel;
+}
+
+function fakeClient(channels: Record<string, any>) {
+  return {
+    channels: {
+      fetch: async (id: string) => {
+        if (!channels[id]) throw new Error('Unknown Channel');
+        return channels[id];
+      },
+    },
+  };
+}
+
+describe('guild config', () => {
+  after(() => reloadGuilds([]));
+
+  it('normalizes an entry and drops malformed IDs', () => {
+    const result = normalizeGuildDef({
+      id: CN,
+      name: 'CN',
+      locale: ' zh-CN ',
+      servers: ['primary', 'srv_2', 7],
+      channels: { chat: CN_CHAT, log: 'not-a-snowflake', bogus: CN_LOG },
+      serverChannels: { srv_2: { chat: CN_SRV2_CHAT } },
+      roles: { admin: ['300000000000000001', 'x'], mod: 'nope' },
+    });
+    assert.equal(result.ok, true);
+    assert.deepEqual(result.value, {
+      id: CN,
+      name: 'CN',
+      locale: 'zh-CN',
+      servers: ['primary', 'srv_2'],
+      channels: { chat: CN_CHAT },
+      serverChannels: { srv_2: { chat: CN_SRV2_CHAT } },
+      roles: { admin: ['300000000000000001'], mod: [], survivor: [] },
+    });
+  });
+
+  it('rejects entries without a valid guild ID', () => {
+    assert.equal(normalizeGuildDef({ name: 'x' }).ok, false);
+    assert.equal(normalizeGuildDef({ id: '123' }).ok, false);
+    assert.equal(normalizeGuildDef(null).ok, false);
+  });
+
+  it('defaults to following every server with no roles', () => {
+    const g = def({});
+    assert.equal(g.servers, null);
+    assert.equal(g.roles, null);
+    assert.equal(followsServer(g, 'srv_anything'), true);
+    assert.equal(followsServer(def({ servers: ['*'] }), 'srv_x'), true);
+    assert.equal(followsServer(def({ servers: ['primary'] }), 'srv_x'), false);
+  });
+
+  it('loads guilds.json, skipping bad and duplicate entries', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'guilds-'));
+    const file = path.join(dir, 'guilds.json');
+    try {
+      fs.writeFileSync(file, JSON.stringify([{ id: CN }, { id: 'bad' }, { id: CN, name: 'dup' }, { id: EU }]));
+      assert.deepEqual(
+        loadGuilds(file).map((g: any) => g.id),
+        [CN, EU],
+      );
+      fs.writeFileSync(file, '{"id":1}');
+      assert.deepEqual(loadGuilds(file), []);
+      assert.deepEqual(loadGuilds(path.join(dir, 'missing.json')), []);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('lists the primary guild first without duplicates', () => {
+    reloadGuilds([def({ id: PRIMARY }), def({ id: CN })]);
+    assert.deepEqual(guildIds(PRIMARY), [PRIMARY, CN]);
+    assert.deepEqual(guildIds(''), [PRIMARY, CN]);
+    assert.equal(getGuild(CN).id, CN);
+    assert.equal(getGuild('nope'), null);
+  });
+
+  it('routes feeds to every following guild, with per-server overrides', () => {
+    reloadGuilds([
+      def({
+        id: CN,
+        locale: 'zh-CN',
+        channels: { chat: CN_CHAT, log: CN_LOG },
+        serverChannels: { srv_2: { chat: CN_SRV2_CHAT } },
+      }),
+      def({ id: EU, servers: ['primary'], channels: { chat: EU_CHAT } }),
+    ]);
+    assert.deepEqual(guildTargets('primary', 'chat'), [
+      { guildId: CN, channelId: CN_CHAT, locale: 'zh-CN' },
+      { guildId: EU, channelId: EU_CHAT, locale: '' },
+    ]);
+    assert.deepEqual(guildTargets('srv_2', 'chat'), [{ guildId: CN, channelId: CN_SRV2_CHAT, locale: 'zh-CN' }]);
+    assert.deepEqual(
+      guildTargets('srv_2', 'log').map((t: any) => t.channelId),
+      [CN_LOG],
+    );
+    assert.deepEqual(guildTargets('primary', 'serverStatus'), []);
+  });
+});
+
+describe('guild locale defaults', () => {
+  before(() => reloadGuilds([def({ id: CN, locale: 'zh-CN' }), def({ id: EU, locale: 'xx' })]));
+  after(() => reloadGuilds([]));
+
+  it('uses the guild locale over the server locale', () => {
+    assert.equal(getLocale({ guildId: CN, serverConfig: { locale: 'en' } }), 'zh-CN');
+  });
+
+  it('lets an explicit locale win', () => {
+    assert.equal(getLocale({ locale: 'zh-TW', guildId: CN }), 'zh-TW');
+  });
+
+  it('falls back when the guild has no supported locale', () => {
+    assert.equal(getLocale({ guildId: EU, serverConfig: { locale: 'zh-TW' } }), 'zh-TW');
+    assert.equal(getLocale({ guildId: 'unknown', serverConfig: { locale: 'zh-TW' } }), 'zh-TW');
+  });
+});
+
+describe('GuildMirror', () => {
+  let channels: Record<string, any>;
+  let client: any;
+
+  beforeEach(() => {
+    reloadGuilds([
+      def({ id: CN, locale: 'zh-CN', channels: { chat: CN_CHAT } }),
+      def({ id: EU, locale: 'en', channels: { chat: EU_CHAT } }),
+    ]);
+    channels = { [CN_CHAT]: fakeChannel(CN_CHAT), [EU_CHAT]: fakeChannel(EU_CHAT) };
+    client = fakeClient(channels);
+  });
+  after(() => reloadGuilds([]));
+
+  it('is not created when no guild follows the feed', () => {
+    assert.equal(createGuildMirror(client, 'primary', 'log'), null);
+  });
+
+  it('sends to every target, building payloads in each guild locale', async () => {
+    const mirror = createGuildMirror(client, 'primary', 'chat');
+    assert.equal(mirror.size, 2);
+    const sent = await mirror.send((locale: string) => `hello ${locale}`);
+    assert.equal(sent.length, 2);
+    assert.deepEqual(channels[CN_CHAT].sent, ['hello zh-CN']);
+    assert.deepEqual(channels[EU_CHAT].sent, ['hello en']);
+  });
+
+  it('keeps going when one target fails', async () => {
+    client = fakeClient({ [CN_CHAT]: channels[CN_CHAT] });
+    const mirror = createGuildMirror(client, 'primary', 'chat');
+    const sent = await mirror.send('line');
+    assert.equal(sent.length, 1);
+    assert.deepEqual(channels[CN_CHAT].sent, ['line']);
+  });
+
+  it('posts into one localized daily thread per target and day', async () => {
+    let today = '2026-10-01';
+    const mirror = createGuildMirror(client, 'primary', 'chat', {
+      threads: {
+        getToday: () => today,
+        name: (locale: string) => `Chat ${today} ${locale}`,
+        description: () => 'desc',
+      },
+    });
+    await mirror.send('a');
+    await mirror.send('b');
+    const cn = channels[CN_CHAT];
+    assert.equal(cn.sent.length, 1, 'one starter message');
+    const [thread] = [...cn.threadList.values()];
+    assert.equal(thread.name, 'Chat 2026-10-01 zh-CN');
+    assert.deepEqual(thread.sent, ['a', 'b']);
+
+    today = '2026-10-02';
+    await mirror.send('c');
+    assert.equal(cn.threadList.size, 2);
+    assert.deepEqual([...cn.threadList.values()][1].sent, ['c']);
+  });
+
+  it('reuses an existing thread with today’s name', async () => {
+    const existing = fakeChannel('existing');
+    existing.name = 'Daily';
+    channels[CN_CHAT].threadList.set('existing', existing);
+    const mirror = new GuildMirror(client, [{ guildId: CN, channelId: CN_CHAT, locale: 'zh-CN' }], {
+      threads: { getToday: () => 'd', name: () => 'Daily', description: () => '' },
+    });
+    await mirror.send('x');
+    assert.deepEqual(existing.sent, ['x']);
+    assert.equal(channels[CN_CHAT].sent.length, 0);
+  });
+
+  it('recognizes messages in target channels and their threads', () => {
+    const mirror = createGuildMirror(client, 'primary', 'chat');
+    assert.equal(mirror.owns(CN_CHAT), true);
+    assert.equal(mirror.owns('999', EU_CHAT), true);
+    assert.equal(mirror.owns('999', '998'), false);
+  });
+});
+
+describe('ChatRelay guild mirroring', () => {
+  before(() => reloadGuilds([def({ id: CN, locale: 'zh-CN', channels: { chat: CN_CHAT } })]));
+  after(() => reloadGuilds([]));
+
+  function relay(sent: string[]) {
+    return new ChatRelay(fakeClient({ [CN_CHAT]: fakeChannel(CN_CHAT) }), {
+      rcon: { send: async (cmd: string) => (sent.push(cmd), '') },
+      config: { useChatThreads: false, getToday: () => 'd' },
+    });
+  }
+
+  function message(channelId: string, parentId: string | null) {
+    return {
+      author: { bot: false, username: 'Wei', displayName: 'Wei' },
+      member: null,
+      channelId,
+      channel: { isThread: () => !!parentId, parentId },
+      content: 'ni hao',
+      react: async () => {},
+    };
+  }
+
+  it('relays messages posted in a mirror channel or its threads in-game', async () => {
+    const sent: string[] = [];
+    const r = relay(sent);
+    await r._onMessage(message(CN_CHAT, null));
+    await r._onMessage(message('555', CN_CHAT));
+    assert.equal(sent.length, 2);
+    const [first = ''] = sent;
+    assert.ok(first.includes('Wei') && first.includes('ni hao'));
+  });
+
+  it('ignores channels no guild mirrors', async () => {
+    const sent: string[] = [];
+    await relay(sent)._onMessage(message('555', '556'));
+    assert.equal(sent.length, 0);
+  });
+});
+
+describe('ServerStatus guild mirroring', () => {
+  before(() => reloadGuilds([def({ id: CN, locale: 'zh-CN', channels: { serverStatus: CN_CHAT } })]));
+  after(() => reloadGuilds([]));
+
+  it('edits each mirror message with an embed built in the guild locale', async () => {
+    const config = mockConfig({ locale: 'en' });
+    const status = new ServerStatus(fakeClient({ [CN_CHAT]: fakeChannel(CN_CHAT) }), { config });
+    const edits: unknown[] = [];
+    status._mirrorMessages.set(CN_CHAT, {
+      message: { id: 'm1', edit: async (p: unknown) => edits.push(p) },
+      key: null,
+    });
+
+    const locales: string[] = [];
+    const build = (view: any) => {
+      locales.push(getLocale({ serverConfig: view._config }));
+      return new EmbedBuilder().setTitle('status');
+    };
+    await status._updateMirrors(build);
+    await status._updateMirrors(build);
+
+    assert.deepEqual(locales, ['zh-CN', 'zh-CN']);
+    assert.equal(edits.length, 1, 'unchanged embed is not edited again');
+    assert.equal(config.locale, 'en');
+  });
+});
+
+describe('resolveGuildsTier', () => {
+  const primary = { guildId: PRIMARY, adminRoles: ['a1'], modRoles: ['m1'], survivorRoles: ['s1'] };
+  const cn = { guildId: CN, adminRoles: ['a2'], modRoles: ['m2'], survivorRoles: [] };
+
+  it('takes the highest tier across guilds', () => {
+    const result = resolveGuildsTier([
+      { guild: primary, member: { roles: ['s1'], permissions: '0' } },
+      { guild: cn, member: { roles: ['m2'], permissions: '0' } },
+    ]);
+    assert.deepEqual(result, {
+      tier: 'mod',
+      inGuild: true,
+      roles: ['s1', 'm2'],
+      guildTiers: { [PRIMARY]: 'survivor', [CN]: 'mod' },
+    });
+  });
+
+  it('counts membership of a secondary guild alone', () => {
+    const result = resolveGuildsTier([
+      { guild: primary, member: null },
+      { guild: cn, member: { roles: [], permissions: '0' } },
+    ]);
+    assert.equal(result.tier, 'survivor');
+    assert.equal(result.inGuild, true);
+  });
+
+  it('is public outside every guild', () => {
+    assert.deepEqual(resolveGuildsTier([{ guild: primary, member: null }]), {
+      tier: 'public',
+      inGuild: false,
+      roles: [],
+      guildTiers: { [PRIMARY]: 'public' },
+    });
+  });
+});
+
+describe('per-server panel tiers', () => {
+  before(() => reloadGuilds([def({ id: CN, servers: ['srv_cn'] })]));
+  after(() => reloadGuilds([]));
+
+  const guildTiers = { [PRIMARY]: 'survivor', [CN]: 'admin' };
+
+  it('only counts guilds that follow the server', () => {
+    assert.equal(tierForServer(guildTiers, 'srv_cn'), 'admin');
+    assert.equal(tierForServer(guildTiers, 'primary'), 'survivor');
+    assert.equal(tierForServer({ [CN]: 'admin' }, 'primary'), 'public');
+  });
+
+  function guard(serverId: string) {
+    const req: any = {
+      path: '/api/admin/ban',
+      tier: 'admin',
+      tierLevel: 3,
+      srv: { serverId },
+      session: { user: { tier: 'admin', inGuild: true, guildTiers } },
+    };
+    let status = 0;
+    let passed = false;
+    const res = {
+      status: (code: number) => ((status = code), res),
+      json: () => res,
+    };
+    requireTier('admin')(req, res, () => (passed = true));
+    return { passed, status, req };
+  }
+
+  it("lets a guild's admins administer its own servers only", () => {
+    assert.equal(guard('srv_cn').passed, true);
+    const denied = guard('primary');
+    assert.equal(denied.passed, false);
+    assert.equal(denied.status, 403);
+    assert.equal(denied.req.tier, 'survivor');
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Tests for heatmap analytics — grid binning, layer sources, position resolution.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import _database from '../src/db/database.js';
+const HumanitZDB = _database as any;
+
+import * as _heatmap from '../src/tracking/heatmap.js';
+const { buildHeatmap, clampGrid, cellOf, worldGrid, HEATMAP_DEFAULT_GRID } = _heatmap as any;
+
+const BOUNDS = { xMin: 0, xMax: 16000, yMin: 0, yMax: 16000 };
+// grid 16 → 1000 world units per cell, 256 Leaflet units per cell
+const GRID = 16;
+const FROM = new Date('2026-03-01T00:00:00Z');
+const TO = new Date('2026-03-02T00:00:00Z');
+
+let db: typeof HumanitZDB;
+
+function snapshot(at: string, players: any[], ai: any[] = []) {
+  const id = db.timeline.insertTimelineSnapshot({ snapshot: { onlineCount: players.length }, players, ai });
+  db.db.prepare('UPDATE timeline_snapshots SET created_at = ? WHERE id = ?').run(at, id);
+}
+
+function death(steamId: string, cause: string, at: string, x: number | null = null, y: number | null = null) {
+  db.db
+    .prepare(
+      'INSERT INTO death_causes (victim_name, victim_steam_id, cause_type, pos_x, pos_y, created_at) VALUES (?, ?, ?, ?, ?, ?)',
+    )
+    .run(steamId, steamId, cause, x, y, at);
+}
+
+function activity(type: string, steamId: string, at: string) {
+  db.db
+    .prepare('INSERT INTO activity_log (type, category, actor, steam_id, created_at) VALUES (?, ?, ?, ?, ?)')
+    .run(type, 'test', steamId, steamId, at);
+}
+
+function build(layer: string, extra: Record<string, unknown> = {}) {
+  return buildHeatmap(db, layer, { from: FROM, to: TO, bounds: BOUNDS, grid: GRID, ...extra });
+}
+
+before(() => {
+  db = new HumanitZDB({ memory: true, label: 'HeatmapTest' });
+  db.init();
+
+  const alice = { steamId: 'A', name: 'Alice', online: 1, x: 1500, y: 2500 };
+  const bob = { steamId: 'B', name: 'Bob', online: 1, x: 9500, y: 9500 };
+  const carol = { steamId: 'C', name: 'Carol', online: 0, x: 500, y: 500 };
+  const zombie = (x: number, y: number) => ({ aiType: 'Zombie', category: 'zombie', x, y });
+  snapshot('2026-03-01 10:00:00', [alice, bob, carol], [zombie(1200, 2200), zombie(1300, 2300), zombie(5000, 5000)]);
+  snapshot('2026-03-01 10:05:00', [alice, { ...bob, x: 0, y: 0 }], [zombie(1200, 2200)]);
+  // Outside the window
+  snapshot('2026-02-20 10:00:00', [alice], [zombie(1200, 2200)]);
+
+  death('A', 'zombie', '2026-03-01 10:02:00');
+  death('B', 'player', '2026-03-01 10:01:00', 9100, 9100);
+  death('C', 'zombie', '2026-03-01 12:00:00');
+  death('A', 'animal', '2026-02-20 10:00:00');
+
+  activity('player_build', 'A', '2026-03-01 10:04:00');
+  activity('raid_damage', 'B', '2026-03-01 10:03:00');
+  activity('player_build', 'B', '2026-03-01 20:00:00');
+});
+
+after(() => {
+  if (db) db.close();
+});
+
+describe('Heatmap helpers', () => {
+  it('clamps grid sizes', () => {
+    assert.equal(clampGrid(undefined), HEATMAP_DEFAULT_GRID);
+    assert.equal(clampGrid('junk'), HEATMAP_DEFAULT_GRID);
+    assert.equal(clampGrid(4), 16);
+    assert.equal(clampGrid('1000'), 256);
+    assert.equal(clampGrid(100), 100);
+  });
+
+  it('maps world positions to grid cells', () => {
+    const grid = worldGrid(BOUNDS, GRID);
+    assert.deepEqual(cellOf(1500, 2500, grid, GRID), { gx: 1, gy: 2 });
+    assert.equal(cellOf(-1, 10, grid, GRID), null);
+    assert.equal(cellOf(16000, 10, grid, GRID), null);
+  });
+});
+
+describe('buildHeatmap', () => {
+  it('rejects unknown layers, bad windows and misplaced causes', () => {
+    assert.deepEqual(build('nope'), { ok: false, code: 'invalid_layer' });
+    assert.deepEqual(build('presence', { from: TO, to: FROM }), { ok: false, code: 'invalid_window' });
+    assert.deepEqual(build('deaths', { cause: 'meteor' }), { ok: false, code: 'invalid_cause' });
+    assert.deepEqual(build('presence', { cause: 'zombie' }), { ok: false, code: 'invalid_cause' });
+  });
+
+  it('bins online player samples in the window, skipping offline and unset positions', () => {
+    const r = build('presence');
+    assert.ok(r.ok);
+    const hm = r.value;
+    assert.equal(hm.snapshots, 2);
+    assert.equal(hm.cellSize, 256);
+    assert.equal(hm.total, 3);
+    assert.equal(hm.max, 2);
+    const alice = hm.cells.find((c: any) => c.weight === 2);
+    assert.deepEqual(alice, { lat: 1.5 * 256, lng: 2.5 * 256, weight: 2 });
+  });
+
+  it('averages zombie density per snapshot', () => {
+    const r = build('zombies');
+    assert.ok(r.ok);
+    const weights = r.value.cells.map((c: any) => c.weight).sort();
+    assert.deepEqual(weights, [0.5, 1.5]);
+  });
+
+  it('places deaths from their own position or the nearest timeline sample', () => {
+    const r = build('deaths');
+    assert.ok(r.ok);
+    const hm = r.value;
+    assert.equal(hm.total, 2);
+    // Carol died two hours after the last sample
+    assert.equal(hm.unresolved, 1);
+    assert.deepEqual(hm.causes, { zombie: 1, player: 1 });
+    assert.ok(hm.cells.some((c: any) => c.lat === 9.5 * 256 && c.lng === 9.5 * 256));
+  });
+
+  it('filters deaths by cause and builds the pvp layer', () => {
+    const zombies = build('deaths', { cause: 'zombie' });
+    assert.ok(zombies.ok);
+    assert.equal(zombies.value.total, 1);
+    assert.deepEqual(zombies.value.causes, { zombie: 1 });
+
+    const pvp = build('pvp');
+    assert.ok(pvp.ok);
+    assert.equal(pvp.value.total, 1);
+    assert.equal(pvp.value.causes, undefined);
+  });
+
+  it('resolves activity positions from the timeline', () => {
+    const builds = build('builds');
+    assert.ok(builds.ok);
+    assert.equal(builds.value.total, 1);
+    assert.equal(builds.value.unresolved, 1);
+
+    // Bob's closest sample (10:05) is at (0, 0), which is not a real position — 10:00 is used instead
+    const raids = build('raids');
+    assert.ok(raids.ok);
+    assert.deepEqual(raids.value.cells, [{ lat: 9.5 * 256, lng: 9.5 * 256, weight: 1 }]);
+  });
+});
@@ -0,0 +1,487 @@
+/**
+ * Tests for inventory rollback — point-in-time holdings from the item
+ * tracker, the rollback plan, RCON script, save edits and panel routes.
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import _database from '../src/db/database.js';
+const HumanitZDB = _database as any;
+
+import * as _mod from '../src/tracking/inventory-rollback.js';
+const {
+  holdingsAt,
+  planRollback,
+  selectRollbackLines,
+  rollbackCommands,
+  rollbackSaveEdits,
+  pendingRollback,
+  recordRollback,
+  GIVE_COMMAND,
+}: any = _mod;
+
+import _webMapServer from '../src/web-map/server.js';
+const WebMapServer = _webMapServer as any;
+
+import * as _route_helpers from './helpers/route-helpers.js';
+const { extractHandler } = _route_helpers as any;
+
+const STEAM = '76561198000000001';
+const OTHER = '76561198000000002';
+const SNAP_AT = '2026-01-01 12:00:00';
+
+let db: typeof HumanitZDB;
+let snapshotId: number;
+
+/**
+ * Player history around the 12:00 snapshot:
+ *   AK47    held, moved to a chest at 13:00          → missing 1
+ *   Knife   held, lost at 13:30                      → missing 1
+ *   Pistol  held throughout                          → unchanged
+ *   Axe     first seen at 14:00                      → gained 1
+ *   Bandage 3 stacks of 5, 2 stacks moved out at 13:00 → missing 10
+ */
+function seed() {
+  const h = db.db;
+  const instance = h.prepare(
+    `INSERT INTO item_instances (fingerprint, item, durability, location_type, location_id, location_slot, amount, first_seen, last_seen, lost, lost_at)
+     VALUES (?, ?, ?, ?, ?, ?, 1, ?, ?, ?, ?)`,
+  );
+  const ak = instance.run(
+    'fp-ak',
+    'AK47',
+    0.8,
+    'container',
+    'Chest_1',
+    '',
+    '2026-01-01 09:00:00',
+    '2026-01-02 00:00:00',
+    0,
+    null,
+  ).lastInsertRowid;
+  instance.run(
+    'fp-knife',
+    'Knife',
+    0.4,
+    'player',
+    STEAM,
+    'inventory',
+    '2026-01-01 09:00:00',
+    '2026-01-01 13:30:00',
+    1,
+    '2026-01-01 13:30:00',
+  );
+  instance.run(
+    'fp-pistol',
+    'Pistol',
+    1,
+    'player',
+    STEAM,
+    'equipment',
+    '2026-01-01 09:00:00',
+    '2026-01-02 00:00:00',
+    0,
+    null,
+  );
+  instance.run('fp-axe', 'Axe', 1, 'player', STEAM, 'inventory', '2026-01-01 14:00:00', '2026-01-02 00:00:00', 0, null);
+  instance.run(
+    'fp-other',
+    'Shotgun',
+    1,
+    'player',
+    OTHER,
+    'inventory',
+    '2026-01-01 09:00:00',
+    '2026-01-02 00:00:00',
+    0,
+    null,
+  );
+
+  const group = h.prepare(
+    `INSERT INTO item_groups (fingerprint, item, durability, location_type, location_id, location_slot, quantity, stack_size, first_seen, last_seen)
+     VALUES (?, ?, 0, ?, ?, ?, ?, 5, '2026-01-01 09:00:00', '2026-01-02 00:00:00')`,
+  );
+  group.run('fp-bandage', 'Bandage', 'player', STEAM, 'inventory', 1);
+  const chest = group.run('fp-bandage', 'Bandage', 'container', 'Chest_1', '', 2).lastInsertRowid;
+
+  const move = h.prepare(
+    `INSERT INTO item_movements (instance_id, group_id, move_type, item, from_type, from_id, from_slot, to_type, to_id, to_slot, amount, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+  );
+  move.run(
+    ak,
+    null,
+    'move',
+    'AK47',
+    'player',
+    STEAM,
+    'inventory',
+    'container',
+    'Chest_1',
+    '',
+    1,
+    '2026-01-01 13:00:00',
+  );
+  move.run(
+    null,
+    chest,
+    'group_transfer',
+    'Bandage',
+    'player',
+    STEAM,
+    'inventory',
+    'container',
+    'Chest_1',
+    '',
+    2,
+    '2026-01-01 13:00:00',
+  );
+
+  snapshotId = Number(
+    h.prepare('INSERT INTO timeline_snapshots (game_day, created_at) VALUES (?, ?)').run(12, SNAP_AT).lastInsertRowid,
+  );
+  h.prepare('INSERT INTO timeline_players (snapshot_id, steam_id, name, online) VALUES (?, ?, ?, 1)').run(
+    snapshotId,
+    STEAM,
+    'Alice',
+  );
+}
+
+before(() => {
+  db = new HumanitZDB({ memory: true, label: 'RollbackTest' });
+  db.init();
+  seed();
+});
+
+after(() => {
+  if (db) db.close();
+});
+
+function line(plan: any, item: string) {
+  return plan.lines.find((l: any) => l.item === item);
+}
+
+// ─── Holdings and plan ──────────────────────────────────────────────────────
+
+describe('holdingsAt', () => {
+  it('places instances by their custody chain and undoes group transfers', () => {
+    const held = holdingsAt(db, STEAM, SNAP_AT);
+    const items = held.map((s: any) => s.item).sort();
+    assert.deepEqual(items, ['AK47', 'Bandage', 'Bandage', 'Bandage', 'Knife', 'Pistol']);
+    assert.equal(held.find((s: any) => s.item === 'AK47').slot, 'inventory');
+  });
+
+  it('counts a stack that left entirely once', () => {
+    // Whole Water group moved to a chest at 13:00: the tracker marks the source
+    // lost with its quantity unchanged and records the transfer on the chest group
+    const THIRD = '76561198000000003';
+    const h = db.db;
+    const group = h.prepare(
+      `INSERT INTO item_groups (fingerprint, item, durability, location_type, location_id, location_slot, quantity, stack_size, first_seen, last_seen, lost, lost_at)
+       VALUES ('fp-water', 'Water', 0, ?, ?, ?, 2, 1, '2026-01-01 09:00:00', ?, ?, ?)`,
+    );
+    group.run('player', THIRD, 'backpack', '2026-01-01 13:00:00', 1, '2026-01-01 13:00:00');
+    const chest = group.run('container', 'Chest_2', '', '2026-01-02 00:00:00', 0, null).lastInsertRowid;
+    h.prepare(
+      `INSERT INTO item_movements (group_id, move_type, item, from_type, from_id, from_slot, to_type, to_id, to_slot, amount, created_at)
+       VALUES (?, 'group_transfer', 'Water', 'player', ?, 'backpack', 'container', 'Chest_2', '', 2, '2026-01-01 13:00:00')`,
+    ).run(chest, THIRD);
+
+    assert.deepEqual(
+      holdingsAt(db, THIRD, SNAP_AT).map((s: any) => s.item),
+      ['Water', 'Water'],
+    );
+    assert.deepEqual(holdingsAt(db, THIRD, '2026-01-01 14:00:00'), []);
+  });
+
+  it('ignores other players', () => {
+    const held = holdingsAt(db, OTHER, SNAP_AT);
+    assert.deepEqual(
+      held.map((s: any) => s.item),
+      ['Shotgun'],
+    );
+  });
+});
+
+describe('planRollback', () => {
+  it('lists what changed since the snapshot, most missing first', () => {
+    const result = planRollback(db, STEAM, snapshotId);
+    assert.equal(result.ok, true);
+    const plan = result.value;
+    assert.equal(plan.snapshot.gameDay, 12);
+    assert.equal(plan.snapshot.createdAt, SNAP_AT);
+    assert.deepEqual(
+      plan.lines.map((l: any) => [l.item, l.before, l.now, l.missing]),
+      [
+        ['Bandage', 15, 5, 10],
+        ['AK47', 1, 0, 1],
+        ['Knife', 1, 0, 1],
+        ['Axe', 0, 1, 0],
+      ],
+    );
+    assert.deepEqual(line(plan, 'Bandage').stacks, [
+      { amount: 5, durability: 0 },
+      { amount: 5, durability: 0 },
+    ]);
+    assert.deepEqual(line(plan, 'AK47').stacks, [{ amount: 1, durability: 0.8 }]);
+  });
+
+  it('rejects an unknown snapshot', () => {
+    assert.deepEqual(planRollback(db, STEAM, 9999), { ok: false, code: 'snapshot_not_found' });
+  });
+});
+
+describe('selectRollbackLines', () => {
+  const plan = () => planRollback(db, STEAM, snapshotId).value;
+
+  it('defaults to every restorable missing line', () => {
+    const result = selectRollbackLines(plan(), undefined);
+    assert.deepEqual(
+      result.value.map((l: any) => l.item),
+      ['Bandage', 'AK47', 'Knife'],
+    );
+  });
+
+  it('caps a reviewed line at the amount chosen', () => {
+    const result = selectRollbackLines(plan(), [{ item: 'Bandage', amount: 7 }]);
+    assert.equal(result.ok, true);
+    assert.equal(result.value[0].missing, 7);
+    assert.deepEqual(result.value[0].stacks, [
+      { amount: 5, durability: 0 },
+      { amount: 2, durability: 0 },
+    ]);
+  });
+
+  it('rejects amounts over what is missing, unknown and duplicate items', () => {
+    for (const raw of [
+      [{ item: 'Bandage', amount: 11 }],
+      [{ item: 'Bandage', amount: 0 }],
+      [{ item: 'Axe', amount: 1 }],
+      [
+        { item: 'Knife', amount: 1 },
+        { item: 'Knife', amount: 1 },
+      ],
+      'Knife',
+    ]) {
+      assert.equal(selectRollbackLines(plan(), raw).code, 'invalid_items', JSON.stringify(raw));
+    }
+    assert.equal(selectRollbackLines(plan(), []).code, 'nothing_to_restore');
+  });
+
+  it('never selects RowNames that are unsafe to send', () => {
+    const p = plan();
+    p.lines.push({ item: 'Bad Item;quit', before: 1, now: 0, missing: 1, restorable: false, stacks: [] });
+    assert.ok(!selectRollbackLines(p, undefined).value.some((l: any) => l.item === 'Bad Item;quit'));
+    assert.equal(selectRollbackLines(p, [{ item: 'Bad Item;quit', amount: 1 }]).code, 'invalid_items');
+  });
+});
+
+// ─── Restore output ─────────────────────────────────────────────────────────
+
+describe('rollbackCommands / rollbackSaveEdits', () => {
+  const lines = () => selectRollbackLines(planRollback(db, STEAM, snapshotId).value, undefined).value;
+
+  it('gives one command per line', () => {
+    assert.deepEqual(rollbackCommands(STEAM, lines()), [
+      `${GIVE_COMMAND} ${STEAM} Bandage 10`,
+      `${GIVE_COMMAND} ${STEAM} AK47 1`,
+      `${GIVE_COMMAND} ${STEAM} Knife 1`,
+    ]);
+  });
+
+  it('fills free inventory slots, then backpack, and reports what does not fit', () => {
+    const slots = {
+      inventory: [
+        { slot: 0, item: 'Pistol', amount: 1, durability: 1 },
+        { slot: 1, item: 'None', amount: 0, durability: 0 },
+      ],
+      equipment: [{ slot: 0, item: '', amount: 0, durability: 0 }],
+      quickslots: [],
+      backpack: [
+        { slot: 0, item: '', amount: 0, durability: 0 },
+        { slot: 1, item: 'Water', amount: 1, durability: 0 },
+      ],
+    };
+    const { edits, unplaced } = rollbackSaveEdits(STEAM, slots, lines());
+    assert.deepEqual(edits, [
+      { op: 'set_player_slot', steamId: STEAM, container: 'inventory', slot: 1, item: 'Bandage', amount: 5 },
+      { op: 'set_player_slot', steamId: STEAM, container: 'backpack', slot: 0, item: 'Bandage', amount: 5 },
+    ]);
+    assert.deepEqual(unplaced, [
+      { item: 'AK47', amount: 1 },
+      { item: 'Knife', amount: 1 },
+    ]);
+  });
+});
+
+// ─── Routes ─────────────────────────────────────────────────────────────────
+
+describe('/api/panel/players/:steamId/rollback routes', () => {
+  const server = new WebMapServer({ channels: { cache: new Map() } }, {});
+  const GET = extractHandler(server._app, 'get', '/api/panel/players/:steamId/rollback');
+  const postHandler = extractHandler(server._app, 'post', '/api/panel/players/:steamId/rollback');
+  const POST = (req: any, res: any) => postHandler({ session: { username: 'admin' }, ...req }, res);
+
+  beforeEach(() => {
+    recordRollback(db, STEAM, null);
+  });
+
+  function mockRes() {
+    const res: any = {
+      statusCode: 200,
+      body: null,
+      status(code: number) {
+        res.statusCode = code;
+        return res;
+      },
+      json(data: unknown) {
+        res.body = data;
+      },
+    };
+    return res;
+  }
+
+  function srv(opts: { online?: boolean; failAt?: number } = {}) {
+    const sent: string[] = [];
+    return {
+      sent,
+      config: {},
+      panelApi: null,
+      dataDir: '',
+      db,
+      playerNameMap: { [STEAM]: 'Alice' },
+      getPlayerList: async () => ({ players: opts.online === false ? [] : [{ name: 'Alice', steamId: STEAM }] }),
+      rcon: {
+        send: async (cmd: string) => {
+          if (opts.failAt === sent.length) throw new Error('RCON timeout');
+          sent.push(cmd);
+          return 'ok';
+        },
+      },
+    };
+  }
+
+  it('GET lists the player restore points', async () => {
+    const res = mockRes();
+    await GET({ srv: srv(), params: { steamId: STEAM }, query: {} }, res);
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.name, 'Alice');
+    assert.deepEqual(
+      res.body.snapshots.map((s: any) => s.id),
+      [snapshotId],
+    );
+    assert.equal(res.body.plan, null);
+  });
+
+  it('GET with a snapshot returns the plan and RCON script', async () => {
+    const res = mockRes();
+    await GET({ srv: srv(), params: { steamId: STEAM }, query: { snapshot: String(snapshotId) } }, res);
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.plan.lines.length, 4);
+    assert.equal(res.body.commands.length, 3);
+  });
+
+  it('GET validates the Steam ID and snapshot', async () => {
+    const bad = mockRes();
+    await GET({ srv: srv(), params: { steamId: 'abc' }, query: {} }, bad);
+    assert.equal(bad.statusCode, 400);
+    assert.equal(bad.body.code, 'INVALID_STEAM_ID_FORMAT');
+
+    const missing = mockRes();
+    await GET({ srv: srv(), params: { steamId: STEAM }, query: { snapshot: '9999' } }, missing);
+    assert.equal(missing.statusCode, 404);
+    assert.equal(missing.body.code, 'SNAPSHOT_NOT_FOUND');
+  });
+
+  it('POST gives the reviewed items over RCON', async () => {
+    const ctx = srv();
+    const res = mockRes();
+    await POST(
+      {
+        srv: ctx,
+        params: { steamId: STEAM },
+        body: { snapshotId, mode: 'rcon', items: [{ item: 'Knife', amount: 1 }] },
+      },
+      res,
+    );
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(ctx.sent, [`${GIVE_COMMAND} ${STEAM} Knife 1`]);
+    assert.equal(res.body.result.sent[0].response, 'ok');
+  });
+
+  it('POST refuses to give the same restore again until a save sync has run', async () => {
+    const body = { snapshotId, mode: 'rcon', items: [{ item: 'Knife', amount: 1 }] };
+    await POST({ srv: srv(), params: { steamId: STEAM }, body }, mockRes());
+    assert.equal(pendingRollback(db, STEAM).snapshotId, snapshotId);
+
+    const again = srv();
+    const res = mockRes();
+    await POST({ srv: again, params: { steamId: STEAM }, body }, res);
+    assert.equal(res.statusCode, 409);
+    assert.equal(res.body.details.reason, 'already_applied');
+    assert.deepEqual(again.sent, []);
+
+    const view = mockRes();
+    await GET({ srv: srv(), params: { steamId: STEAM }, query: { snapshot: String(snapshotId) } }, view);
+    assert.equal(view.body.pending.mode, 'rcon');
+
+    db.meta.setMeta('last_save_sync', new Date(Date.now() + 1000).toISOString());
+    assert.equal(pendingRollback(db, STEAM), null);
+    const synced = srv();
+    await POST({ srv: synced, params: { steamId: STEAM }, body }, mockRes());
+    assert.equal(synced.sent.length, 1);
+    db.meta.setMeta('last_save_sync', null);
+  });
+
+  it('POST can be retried when the first give failed', async () => {
+    await POST({ srv: srv({ failAt: 0 }), params: { steamId: STEAM }, body: { snapshotId, mode: 'rcon' } }, mockRes());
+    assert.equal(pendingRollback(db, STEAM), null);
+  });
+
+  it('POST refuses RCON for an offline player', async () => {
+    const ctx = srv({ online: false });
+    const res = mockRes();
+    await POST({ srv: ctx, params: { steamId: STEAM }, body: { snapshotId, mode: 'rcon' } }, res);
+    assert.equal(res.statusCode, 409);
+    assert.equal(res.body.details.reason, 'player_offline');
+    assert.deepEqual(ctx.sent, []);
+  });
+
+  it('POST stops at the first RCON failure and reports what was sent', async () => {
+    const ctx = srv({ failAt: 1 });
+    const res = mockRes();
+    await POST({ srv: ctx, params: { steamId: STEAM }, body: { snapshotId, mode: 'rcon' } }, res);
+    assert.equal(res.statusCode, 502);
+    assert.equal(res.body.details.reason, 'rcon_failed');
+    assert.equal(res.body.details.sent.length, 1);
+    assert.deepEqual(ctx.sent, [`${GIVE_COMMAND} ${STEAM} Bandage 10`]);
+  });
+
+  it('POST rejects a bad selection or mode', async () => {
+    const items = mockRes();
+    await POST(
+      {
+        srv: srv(),
+        params: { steamId: STEAM },
+        body: { snapshotId, mode: 'rcon', items: [{ item: 'Axe', amount: 1 }] },
+      },
+      items,
+    );
+    assert.equal(items.statusCode, 400);
+    assert.equal(items.body.code, 'ROLLBACK_REJECTED');
+    assert.equal(items.body.details.reason, 'invalid_items');
+
+    const mode = mockRes();
+    await POST({ srv: srv(), params: { steamId: STEAM }, body: { snapshotId, mode: 'mail' } }, mode);
+    assert.equal(mode.statusCode, 400);
+    assert.equal(mode.body.code, 'INVALID_ACTION');
+  });
+
+  it('POST save mode needs a save transport', async () => {
+    const res = mockRes();
+    await POST({ srv: srv(), params: { steamId: STEAM }, body: { snapshotId, mode: 'save' } }, res);
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.code, 'SAVE_EDITOR_UNAVAILABLE');
+  });
+});
@@ -1390,7 +1390,7 @@ describe('Item Tracker', () => {
       assert.ok(indexNames('item_groups').includes('idx_item_grp_active_location_sort'));
       assert.ok(indexNames('item_movements').includes('idx_item_mov_instance'));
       assert.ok(indexNames('item_movements').includes('idx_item_mov_group'));
-      assert.equal(db._getMeta('schema_version'), '23');
+      assert.equal(db._getMeta('schema_version'), '35');
     });
 
     it('repairs legacy item_movements instance_id NOT NULL during migration', () => {
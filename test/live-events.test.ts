@@ -0,0 +1,144 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import * as _live_events from '../src/web-map/live-events.js';
+const { LiveEvents, parseTopics, formatSse } = _live_events as any;
+
+const SURVIVOR = 1;
+const MOD = 2;
+const ADMIN = 3;
+
+/** Fake HTTP response that records what an SSE stream writes. */
+function makeRes() {
+  const chunks: string[] = [];
+  return {
+    chunks,
+    status: 0,
+    headers: {} as Record<string, string>,
+    writeHead(status: number, headers: Record<string, string>) {
+      this.status = status;
+      this.headers = headers;
+    },
+    write(chunk: string) {
+      chunks.push(chunk);
+      return true;
+    },
+  };
+}
+
+describe('parseTopics', () => {
+  it('grants every topic the tier allows when none are requested', () => {
+    assert.deepEqual(parseTopics(undefined, SURVIVOR), ['players', 'activity', 'chat', 'status']);
+    assert.deepEqual(parseTopics('', MOD), ['players', 'positions', 'activity', 'chat', 'status']);
+  });
+
+  it('drops unknown topics and topics above the tier', () => {
+    assert.deepEqual(parseTopics('chat, positions,bogus', SURVIVOR), ['chat']);
+    assert.deepEqual(parseTopics('chat,positions', MOD), ['positions', 'chat']);
+    assert.deepEqual(parseTopics('positions', 0), []);
+  });
+});
+
+describe('formatSse', () => {
+  it('writes id, event name and a JSON data line', () => {
+    const text = formatSse({ id: 7, serverId: 'eu', topic: 'chat', data: { message: 'hi' }, ts: 'T' });
+    assert.equal(text, 'id: 7\nevent: chat\ndata: {"serverId":"eu","data":{"message":"hi"},"ts":"T"}\n\n');
+  });
+});
+
+describe('LiveEvents', () => {
+  let hub: any;
+  const cleanups: Array<() => void> = [];
+
+  beforeEach(() => {
+    hub = new LiveEvents();
+  });
+
+  afterEach(() => {
+    while (cleanups.length) cleanups.pop()?.();
+  });
+
+  function collect(serverId: string, topics: string[], tierLevel: number) {
+    const seen: any[] = [];
+    cleanups.push(hub.subscribe({ serverId, topics, tierLevel }, (e: any) => seen.push(e)));
+    return seen;
+  }
+
+  it('delivers events per server and topic', () => {
+    const primaryChat = collect('primary', ['chat'], SURVIVOR);
+    const euAll = collect('eu', ['chat', 'players'], SURVIVOR);
+
+    hub.publish('primary', 'chat', { message: 'hello' });
+    hub.publish('eu', 'players', { event: 'join', name: 'Alice' });
+    hub.publish('eu', 'activity', { type: 'player_build' });
+
+    assert.deepEqual(
+      primaryChat.map((e) => e.data),
+      [{ message: 'hello' }],
+    );
+    assert.deepEqual(
+      euAll.map((e) => [e.topic, e.data.name]),
+      [['players', 'Alice']],
+    );
+    assert.ok(euAll[0].id > primaryChat[0].id, 'ids increase across servers');
+  });
+
+  it('keeps module status events for admins', () => {
+    const survivor = collect('primary', ['status'], SURVIVOR);
+    const admin = collect('primary', ['status'], ADMIN);
+
+    hub.publish('primary', 'status', { onlineCount: 3 });
+    hub.publishModuleStatus('primary', 'Webhooks', '🟢 Active');
+
+    assert.equal(survivor.length, 1);
+    assert.deepEqual(
+      admin.map((e) => e.data),
+      [{ onlineCount: 3 }, { module: 'Webhooks', status: '🟢 Active' }],
+    );
+  });
+
+  it('stops delivering after unsubscribe', () => {
+    const seen: any[] = [];
+    const off = hub.subscribe({ serverId: 'primary', topics: ['chat'], tierLevel: SURVIVOR }, (e: any) => seen.push(e));
+    assert.equal(hub.subscriberCount(), 1);
+    off();
+    hub.publish('primary', 'chat', {});
+    assert.equal(seen.length, 0);
+    assert.equal(hub.subscriberCount(), 0);
+  });
+
+  describe('openStream', () => {
+    it('writes SSE headers, a ready event and matching events', () => {
+      const res = makeRes();
+      const close = hub.openStream(res, { serverId: 'primary', topics: ['chat'], tierLevel: SURVIVOR });
+      cleanups.push(close);
+
+      assert.equal(res.status, 200);
+      assert.match(res.headers['Content-Type'] ?? '', /^text\/event-stream/);
+      assert.match(res.chunks[0] ?? '', /event: ready\ndata: {"serverId":"primary","topics":\["chat"\]}/);
+
+      hub.publish('primary', 'chat', { message: 'hi' });
+      hub.publish('primary', 'players', { event: 'join' });
+      hub.publish('eu', 'chat', { message: 'elsewhere' });
+      assert.equal(res.chunks.length, 2);
+      assert.match(res.chunks[1] ?? '', /^id: \d+\nevent: chat\ndata: .*"message":"hi"/);
+
+      close();
+      close();
+      hub.publish('primary', 'chat', { message: 'after close' });
+      assert.equal(res.chunks.length, 2);
+      assert.equal(hub.subscriberCount(), 0);
+    });
+
+    it('sends comment heartbeats until closed', async () => {
+      const res = makeRes();
+      const close = hub.openStream(res, { serverId: 'primary', topics: ['chat'], tierLevel: SURVIVOR }, 5);
+      await new Promise((r) => setTimeout(r, 30));
+      close();
+      const pings = res.chunks.filter((c) => c === ': ping\n\n').length;
+      assert.ok(pings >= 1, `expected heartbeats, got ${String(pings)}`);
+      await new Promise((r) => setTimeout(r, 20));
+      assert.equal(res.chunks.filter((c) => c === ': ping\n\n').length, pings);
+    });
+  });
+});
@@ -541,12 +541,35 @@ describe('LogWatcher death cause logging', () => {
       causeName: '',
       causeRaw: '',
       damageTotal: 0,
+      damageBreakdown: [],
     });
     assert.equal(warnings.length, 1);
     const warning = warnings[0] ?? '';
     assert.match(warning, /Failed to log death cause:/);
     assert.match(warning, /death cause DB down/);
   });
+
+  it('records a per-source damage breakdown of the kill window', () => {
+    const { lw, deathCauseRows } = createDeathWatcher();
+    const at = (hhmmss: string) => new Date(`2026-01-01T${hhmmss}Z`);
+
+    lw._recordDeathCauseDamage('Alice', 'BP_Wolf_C_1', 30, at('11:58:00'));
+    lw._recordDeathCauseDamage('Alice', 'BP_ZombieRunner_C_2', 12, at('12:00:00'));
+    lw._recordDeathCauseDamage('Alice', 'BP_Wolf_C_1', 20.5, at('12:00:10'));
+    lw._recordDeathCauseDamage('Alice', 'BP_ZombieRunner_C_2', 8, at('12:00:20'));
+    lw._onDeath('Alice', at('12:00:30'));
+
+    assert.deepEqual(
+      deathCauseRows.map((r) => r.damageBreakdown),
+      [
+        [
+          { source: 'Wolf', type: 'animal', damage: 20.5, hits: 1 },
+          { source: 'Runner', type: 'zombie', damage: 20, hits: 2 },
+        ],
+      ],
+    );
+    assert.equal(lw._takeDamageBreakdown('Alice', at('12:00:40')).length, 0, 'the next life starts fresh');
+  });
 });
 
 describe('simplifyBlueprintName', () => {
@@ -0,0 +1,373 @@
+/**
+ * Tests for the structured logger — transport registry, category levels,
+ * file rotation/retention, syslog formatting and the batched HTTP sink.
+ */
+
+import { describe, it, before, after, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import dgram from 'node:dgram';
+import net from 'node:net';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import zlib from 'node:zlib';
+
+import * as _logger from '../src/logger/index.js';
+const {
+  initLogger,
+  shutdownLogger,
+  flushLogger,
+  createStructuredLogger,
+  registerTransport,
+  unregisterTransport,
+  createTransport,
+  buildLoggerConfig,
+  parseCategoryLevels,
+  RotatingFileTransport,
+  SyslogTransport,
+  formatRfc5424,
+  HttpTransport,
+} = _logger as any;
+
+function entry(message: string, timestamp = '2026-03-01T10:00:00.000Z', extra: Record<string, unknown> = {}) {
+  return { timestamp, level: 'info', category: 'TEST', message, ...extra };
+}
+
+let tmp: string;
+
+before(() => {
+  tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'hmz-logger-'));
+});
+
+after(() => {
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+function dir(name: string): string {
+  const d = path.join(tmp, name);
+  fs.mkdirSync(d, { recursive: true });
+  return d;
+}
+
+describe('Logger registry and category levels', () => {
+  const seen: any[] = [];
+
+  before(() => {
+    registerTransport('memory', () => ({ write: (e: any) => seen.push(e) }));
+  });
+
+  after(() => {
+    shutdownLogger();
+    unregisterTransport('memory');
+  });
+
+  afterEach(() => {
+    seen.length = 0;
+  });
+
+  it('routes entries through registered transports with per-category levels', () => {
+    initLogger({
+      level: 'warn',
+      categoryLevels: { RCON: 'error', 'db*': 'debug', 'DB CACHE': 'warn' },
+      transports: [{ type: 'memory' }],
+    });
+    createStructuredLogger('RCON').warn('hidden');
+    createStructuredLogger('RCON').error('shown');
+    createStructuredLogger('DB Writer').debug('debug shown');
+    createStructuredLogger('DB Cache').info('hidden by exact rule');
+    createStructuredLogger('Other').info('hidden by global level');
+    createStructuredLogger('Other').warn('global shown', { a: 1 });
+    assert.deepEqual(
+      seen.map((e) => e.message),
+      ['shown', 'debug shown', 'global shown'],
+    );
+    assert.deepEqual(seen[2].data, { a: 1 });
+  });
+
+  it('applies per-transport levels and skips broken transports', () => {
+    initLogger({
+      level: 'debug',
+      transports: [{ type: 'memory', level: 'warn' }, { type: 'nope' }, { type: 'syslog' }],
+    });
+    const log = createStructuredLogger('X');
+    log.info('dropped');
+    log.error('kept');
+    assert.deepEqual(
+      seen.map((e) => e.message),
+      ['kept'],
+    );
+  });
+
+  it('rejects unknown transport types', () => {
+    assert.throws(() => createTransport({ type: 'carrier-pigeon' }, { logDir: tmp }), /unknown log transport/);
+  });
+});
+
+describe('Logger config', () => {
+  const base = {
+    logLevel: 'INFO',
+    logCategoryLevels: 'RCON=warn, DB*=debug, bogus, X=loud',
+    logTransports: 'console, file, file, syslog, http',
+    logDir: '',
+    logRotateInterval: 'hourly',
+    logRotateSizeMb: 5,
+    logRetentionDays: 7,
+    logMaxFiles: 0,
+    logCompress: true,
+    logSyslogHost: 'logs.local',
+    logSyslogPort: 6514,
+    logSyslogProtocol: 'TCP',
+    logSyslogFacility: 'local3',
+    logSyslogLevel: 'warn',
+    logHttpUrl: 'https://sink.local/in',
+    logHttpToken: 'secret',
+    logHttpBatchSize: 50,
+    logHttpFlushInterval: 2,
+    logHttpLevel: '',
+  };
+
+  it('parses category levels, ignoring malformed pairs', () => {
+    assert.deepEqual(parseCategoryLevels(base.logCategoryLevels), { RCON: 'warn', 'DB*': 'debug' });
+  });
+
+  it('builds transport specs from settings', () => {
+    const cfg = buildLoggerConfig(base);
+    assert.equal(cfg.level, 'info');
+    assert.equal(cfg.logDir, undefined);
+    assert.deepEqual(
+      cfg.transports.map((t: any) => t.type),
+      ['console', 'file', 'syslog', 'http'],
+    );
+    assert.deepEqual(cfg.transports[1].options, {
+      interval: 'hourly',
+      maxSizeBytes: 5 * 1024 * 1024,
+      retentionDays: 7,
+      maxFiles: 0,
+      compress: true,
+    });
+    assert.equal(cfg.transports[2].level, 'warn');
+    assert.equal(cfg.transports[2].options.protocol, 'tcp');
+    assert.equal(cfg.transports[3].level, undefined);
+    assert.equal(cfg.transports[3].options.flushIntervalMs, 2000);
+  });
+});
+
+describe('RotatingFileTransport', () => {
+  it('rolls over by size into numbered files', async () => {
+    const d = dir('size');
+    const t = new RotatingFileTransport({ dir: d, fileName: 'bot.jsonl', interval: 'none', maxSizeBytes: 200 });
+    for (let i = 0; i < 6; i++) t.write(entry(`line ${String(i)} `.padEnd(80, 'x')));
+    t.close();
+    await t.flush();
+    const files = fs.readdirSync(d).sort();
+    assert.deepEqual(files, ['bot.1.jsonl', 'bot.2.jsonl', 'bot.jsonl']);
+    const lines = fs.readFileSync(path.join(d, 'bot.1.jsonl'), 'utf8').trim().split('\n');
+    assert.equal(lines.length, 2);
+    assert.equal(JSON.parse(lines[0] ?? '{}').message.slice(0, 6), 'line 0');
+  });
+
+  it('starts a new dated file per period and gzips the finished one', async () => {
+    const d = dir('dated');
+    const t = new RotatingFileTransport({ dir: d, fileName: 'app-%DATE%.jsonl', compress: true });
+    t.write(entry('day one', '2026-03-01T23:59:00.000Z'));
+    t.write(entry('day two', '2026-03-02T00:01:00.000Z'));
+    await t.flush();
+    t.close();
+    assert.deepEqual(fs.readdirSync(d).sort(), ['app-2026-03-01.jsonl.gz', 'app-2026-03-02.jsonl']);
+    const text = zlib.gunzipSync(fs.readFileSync(path.join(d, 'app-2026-03-01.jsonl.gz'))).toString('utf8');
+    assert.match(text, /"message":"day one"/);
+  });
+
+  it('renames fixed-name files by period', async () => {
+    const d = dir('fixed');
+    const t = new RotatingFileTransport({ dir: d, fileName: 'bot.jsonl', interval: 'hourly' });
+    t.write(entry('a', '2026-03-01T10:00:00.000Z'));
+    t.write(entry('b', '2026-03-01T11:00:00.000Z'));
+    t.close();
+    await t.flush();
+    assert.deepEqual(fs.readdirSync(d).sort(), ['bot-2026-03-01-10.1.jsonl', 'bot.jsonl']);
+  });
+
+  it('prunes rotated files past retention and max count, leaving unrelated files', async () => {
+    const d = dir('retention');
+    const old = Date.now() / 1000 - 10 * 86400;
+    for (const name of ['2026-01-01.jsonl.gz', '2026-01-02.jsonl', '2026-01-03.jsonl', 'notes.txt']) {
+      fs.writeFileSync(path.join(d, name), 'x\n');
+      fs.utimesSync(path.join(d, name), old, old);
+    }
+    fs.writeFileSync(path.join(d, '2026-02-27.jsonl'), 'x\n');
+    fs.writeFileSync(path.join(d, '2026-02-28.jsonl'), 'x\n');
+    const t = new RotatingFileTransport({ dir: d, fileName: '%DATE%.jsonl', retentionDays: 5, maxFiles: 1 });
+    await t.flush();
+    t.close();
+    const files = fs.readdirSync(d).sort();
+    assert.equal(files.length, 2);
+    assert.ok(files.includes('notes.txt'));
+  });
+});
+
+describe('Syslog transport', () => {
+  it('formats RFC 5424 messages', () => {
+    const line = formatRfc5424(
+      entry('player joined', '2026-03-01T10:00:00.000Z', { level: 'warn', category: 'LOG WATCHER', data: { id: 1 } }),
+      { facility: 16, hostname: 'box', appName: 'bot', pid: 42 },
+    );
+    assert.equal(line, '<132>1 2026-03-01T10:00:00.000Z box bot 42 LOGWATCHER - player joined {"id":1}');
+  });
+
+  it('sends datagrams over UDP', async () => {
+    const server = dgram.createSocket('udp4');
+    await new Promise<void>((resolve) => server.bind(0, '127.0.0.1', resolve));
+    const received = new Promise<string>((resolve) => {
+      server.once('message', (msg) => {
+        resolve(msg.toString());
+      });
+    });
+    const t = new SyslogTransport({ host: '127.0.0.1', port: server.address().port, facility: 'user', appName: 'bot' });
+    t.write(entry('hello', '2026-03-01T10:00:00.000Z', { level: 'error' }));
+    const timeout = new Promise<string>((r) => {
+      setTimeout(() => {
+        r('timeout');
+      }, 2000);
+    });
+    const msg = await Promise.race([received, timeout]);
+    t.close();
+    server.close();
+    assert.match(msg, /^<11>1 2026-03-01T10:00:00.000Z \S+ bot \d+ TEST - hello$/);
+  });
+});
+
+describe('Syslog transport over TCP', () => {
+  it('queues until connected and frames messages with octet counting', async () => {
+    const chunks: string[] = [];
+    const server = net.createServer((sock) => {
+      sock.on('data', (d) => chunks.push(d.toString()));
+    });
+    await new Promise<void>((resolve) => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address() as net.AddressInfo;
+    const t = new SyslogTransport({ host: '127.0.0.1', port, protocol: 'tcp', appName: 'bot' });
+    t.write(entry('one'));
+    t.write(entry('two'));
+    for (let i = 0; i < 100 && !chunks.join('').includes(' two'); i++) {
+      await new Promise((r) => setTimeout(r, 20));
+    }
+    t.close();
+    server.close();
+    // Octet counting: "<length> <message>" back to back
+    const stream = Buffer.from(chunks.join(''));
+    const messages: string[] = [];
+    let offset = 0;
+    while (offset < stream.length) {
+      const space = stream.indexOf(' ', offset);
+      const len = Number(stream.subarray(offset, space).toString());
+      messages.push(stream.subarray(space + 1, space + 1 + len).toString());
+      offset = space + 1 + len;
+    }
+    assert.equal(messages.length, 2);
+    assert.match(messages[0] ?? '', /^<134>1 .* bot \d+ TEST - one$/);
+    assert.match(messages[1] ?? '', / - two$/);
+  });
+});
+
+describe('HttpTransport', () => {
+  function fakeFetch(statuses: number[]) {
+    const calls: Array<{ url: string; init: any }> = [];
+    const fn = (url: string, init: any) => {
+      calls.push({ url, init });
+      const status = statuses.length ? (statuses.shift() ?? 200) : 200;
+      return Promise.resolve({ ok: status >= 200 && status < 300, status });
+    };
+    return { calls, fn };
+  }
+
+  it('posts ndjson batches with the configured headers', async () => {
+    const f = fakeFetch([]);
+    const t = new HttpTransport({
+      url: 'http://sink',
+      headers: { Authorization: 'Bearer x' },
+      batchSize: 2,
+      fetchImpl: f.fn,
+    });
+    t.write(entry('a'));
+    t.write(entry('b'));
+    t.write(entry('c'));
+    await t.flush();
+    t.close();
+    assert.equal(f.calls.length, 2);
+    const first = f.calls[0];
+    assert.ok(first);
+    assert.equal(first.init.headers['Content-Type'], 'application/x-ndjson');
+    assert.equal(first.init.headers.Authorization, 'Bearer x');
+    const lines = String(first.init.body).trim().split('\n');
+    assert.deepEqual(
+      lines.map((l) => JSON.parse(l).message),
+      ['a', 'b'],
+    );
+  });
+
+  it('retries failed batches after backoff and drops rejected ones', async () => {
+    const f = fakeFetch([503, 200, 400]);
+    const t = new HttpTransport({ url: 'http://sink', format: 'json', batchSize: 10, fetchImpl: f.fn });
+    t.write(entry('a'));
+    await t.flush();
+    assert.equal(f.calls.length, 1, 'stops after a failed attempt');
+    await t.flush();
+    assert.equal(f.calls.length, 2);
+    assert.deepEqual(
+      JSON.parse(String(f.calls[1]?.init.body)).map((e: any) => e.message),
+      ['a'],
+    );
+
+    t.write(entry('bad'));
+    await t.flush();
+    await t.flush();
+    assert.equal(f.calls.length, 3, 'a 400 is not retried');
+    t.close();
+  });
+
+  it('keeps the newest entries when the buffer overflows', async () => {
+    const bodies: string[] = [];
+    let release: () => void = () => undefined;
+    const gate = new Promise<void>((r) => (release = r));
+    const fetchImpl = async (_url: string, init: any) => {
+      bodies.push(String(init.body));
+      await gate;
+      return { ok: true, status: 200 };
+    };
+    const t = new HttpTransport({ url: 'http://sink', batchSize: 10, maxBuffer: 20, fetchImpl });
+    const quiet = mock.method(process.stderr, 'write', () => true);
+    try {
+      // The first 10 go out at once; the request hangs while 140 more arrive
+      for (let i = 0; i < 150; i++) t.write(entry(String(i)));
+    } finally {
+      quiet.mock.restore();
+    }
+    assert.equal(t.droppedCount, 120);
+    release();
+    await t.flush();
+    t.close();
+    assert.equal(bodies.length, 3);
+    assert.equal(JSON.parse(bodies[1]?.split('\n')[0] ?? '{}').message, '130');
+  });
+});
+
+describe('flushLogger', () => {
+  it('waits for transports that buffer', async () => {
+    let flushed = false;
+    registerTransport('slow', () => ({
+      write: () => undefined,
+      flush: () =>
+        new Promise<void>((r) =>
+          setTimeout(() => {
+            flushed = true;
+            r();
+          }, 10),
+        ),
+    }));
+    initLogger({ transports: [{ type: 'slow' }] });
+    await flushLogger();
+    shutdownLogger();
+    unregisterTransport('slow');
+    assert.ok(flushed);
+  });
+});
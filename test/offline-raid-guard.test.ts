@@ -0,0 +1,179 @@
+/**
+ * Tests for offline raid protection — presence and grace checks, case
+ * flags with evidence, and warn → kick → ban escalation.
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import _database from '../src/db/database.js';
+const HumanitZDB = _database as any;
+
+import * as _guard from '../src/modules/offline-raid-guard.js';
+const { OfflineRaidGuard, OFFLINE_RAID_DETECTOR }: any = _guard;
+
+const OWNER = '76561198000000001';
+const CLANMATE = '76561198000000002';
+const LONER = '76561198000000003';
+const RAIDER = '76561198000000009';
+const CONFIG = {
+  offlineRaidGrace: 15,
+  offlineRaidWarn: true,
+  offlineRaidKickAfter: 2,
+  offlineRaidBanAfter: 3,
+  offlineRaidBanDuration: 60,
+  offlineRaidStrikeDays: 30,
+  adminAlertChannelIds: [],
+  adminChannelId: undefined,
+  locale: 'en',
+};
+
+describe('OfflineRaidGuard', () => {
+  let db: typeof HumanitZDB;
+  let guard: any;
+  let presence: { onlinePlayers: Set<string>; initialised: boolean };
+  let messages: string[];
+  let commands: string[];
+  let bans: Array<{ steamId: string; opts: any }>;
+  const NOW = new Date();
+  const minutesAgo = (m: number) => new Date(NOW.getTime() - m * 60_000);
+
+  const hit = (owner: string, extra: Record<string, unknown> = {}) => ({
+    attacker: 'Raider',
+    attackerSteamId: RAIDER,
+    ownerSteamId: owner,
+    building: 'Wooden Wall',
+    destroyed: false,
+    timestamp: NOW,
+    ...extra,
+  });
+
+  before(() => {
+    db = new HumanitZDB({ memory: true, label: 'OfflineRaidTest' });
+    db.init();
+    db.clan.upsertClan('Wolves', [
+      { steamId: OWNER, name: 'Owner', rank: 'Leader' },
+      { steamId: CLANMATE, name: 'Mate', rank: 'Member' },
+    ]);
+  });
+
+  after(() => {
+    guard.stop();
+    if (db) db.close();
+  });
+
+  function startGuard() {
+    guard.start({
+      db,
+      config: CONFIG,
+      presence,
+      sendCommand: async (c: string) => {
+        commands.push(c);
+        return '';
+      },
+      sendAdminMessage: async (m: string) => {
+        messages.push(m);
+      },
+      bans: {
+        isActive: () => true,
+        ban: async (steamId: string, _actor: unknown, opts: any) => {
+          bans.push({ steamId, opts });
+          return { ok: true, value: {} };
+        },
+      },
+      autoTick: false,
+      now: minutesAgo(60),
+    });
+  }
+
+  beforeEach(() => {
+    presence = { onlinePlayers: new Set(), initialised: true };
+    messages = [];
+    commands = [];
+    bans = [];
+    guard = new OfflineRaidGuard();
+    startGuard();
+  });
+
+  it('ignores raids while an owner or clanmate is online or inside the grace window', async () => {
+    presence.onlinePlayers.add(CLANMATE);
+    assert.equal(await guard.recordHit(hit(OWNER), NOW), null);
+    presence.onlinePlayers.clear();
+    guard.onPlayerLeft(CLANMATE, minutesAgo(5));
+    assert.equal(await guard.recordHit(hit(OWNER), NOW), null);
+    presence.initialised = false;
+    guard.onPlayerLeft(CLANMATE, minutesAgo(30));
+    assert.equal(await guard.recordHit(hit(OWNER), NOW), null);
+    presence.initialised = true;
+    assert.equal(await guard.recordHit(hit(OWNER, { timestamp: minutesAgo(20) }), NOW), null);
+    assert.equal(await guard.recordHit(hit(OWNER, { attackerSteamId: CLANMATE }), NOW), null);
+    assert.equal(db.antiCheat.countAllAcFlags(), 0);
+  });
+
+  it('opens a case with evidence and warns the raider on the first strike', async () => {
+    guard.onPlayerLeft(OWNER, minutesAgo(30));
+    db.activityLog.insertActivitiesAt([
+      { type: 'raid_damage', category: 'raid', steamId: RAIDER, targetSteamId: OWNER, createdAt: NOW.toISOString() },
+      { type: 'raid_damage', category: 'raid', steamId: RAIDER, targetSteamId: CLANMATE, createdAt: NOW.toISOString() },
+    ]);
+
+    const c = await guard.recordHit(hit(OWNER), NOW);
+    assert.equal(c.strike, 1);
+    assert.equal(c.clanName, 'Wolves');
+    assert.deepEqual(c.actions, ['warned']);
+    assert.equal(messages.length, 1);
+    assert.match(messages.join('\n'), /Raider.*strike 1/);
+    assert.deepEqual(commands, []);
+    assert.equal(c.members.find((m: any) => m.steamId === OWNER).lastOnline, minutesAgo(30).toISOString());
+
+    assert.equal(await guard.recordHit(hit(CLANMATE, { destroyed: true, building: 'Door' }), NOW), null);
+    guard.tick(NOW);
+    const flag = db.antiCheat.getAcFlagsByDetector(OFFLINE_RAID_DETECTOR, 'open', 10)[0];
+    assert.equal(flag.id, c.flagId);
+    assert.equal(flag.steam_id, RAIDER);
+    assert.equal(flag.severity, 'medium');
+    assert.equal(flag.details.hits, 2);
+    assert.equal(flag.details.destroyed, 1);
+    assert.deepEqual(flag.details.buildings, { 'Wooden Wall': 1, Door: 1 });
+    assert.equal(flag.evidence.length, 2);
+    assert.equal(flag.evidence[0].table, 'activity_log');
+
+    guard.tick(new Date(NOW.getTime() + 16 * 60_000));
+    assert.equal(guard.openCases, 0);
+  });
+
+  it('kicks on the second strike and bans with the cases as evidence on the third', async () => {
+    const second = await guard.recordHit(hit(LONER), NOW);
+    assert.equal(second.strike, 2);
+    assert.deepEqual(second.actions, ['warned', 'kicked']);
+    assert.deepEqual(commands, [`kick ${RAIDER}`]);
+    assert.equal(db.antiCheat.getAcFlagsBySteam(RAIDER).find((f: any) => f.id === second.flagId).severity, 'high');
+
+    const third = await guard.recordHit(hit(LONER, { timestamp: minutesAgo(-1) }), minutesAgo(-20));
+    assert.equal(third, null, 'a hit inside the case window joins the open case');
+
+    // A fresh start forgets the open case, so the next hit is a new one
+    startGuard();
+    const banned = await guard.recordHit(hit(LONER), NOW);
+    assert.equal(banned.strike, 3);
+    assert.deepEqual(banned.actions, ['warned', 'banned']);
+    assert.deepEqual(
+      bans.map((b) => [b.steamId, b.opts.durationMinutes, b.opts.evidence.length]),
+      [[RAIDER, 60, 3]],
+    );
+  });
+
+  it('does not count dismissed cases as strikes', async () => {
+    for (const f of db.antiCheat.getAcFlagsBySteam(RAIDER)) db.antiCheat.updateAcFlagStatus(f.id, 'dismissed', 'admin');
+    const c = await guard.recordHit(hit(LONER), NOW);
+    assert.equal(c.strike, 1);
+    assert.deepEqual(commands, []);
+  });
+
+  it('stays inactive without presence tracking', async () => {
+    const idle = new OfflineRaidGuard();
+    idle.start({ db, autoTick: false });
+    assert.equal(idle.isActive(), false);
+    assert.equal(await idle.recordHit(hit(LONER), NOW), null);
+  });
+});
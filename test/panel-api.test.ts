@@ -391,6 +391,45 @@ describe('writeFile', () => {
   });
 });
 
+describe('uploadFile', () => {
+  let originalFetch: typeof global.fetch;
+  beforeEach(() => {
+    originalFetch = global.fetch;
+  });
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  it('posts the raw bytes as an octet stream', async () => {
+    let capturedUrl: string | undefined, capturedBody: unknown, capturedHeaders: Record<string, string> | undefined;
+    (global as unknown as Record<string, unknown>).fetch = async (
+      url: string,
+      opts: { body: unknown; headers: Record<string, string> },
+    ) => {
+      capturedUrl = url;
+      capturedBody = opts.body;
+      capturedHeaders = opts.headers;
+      return mockResponse('', { status: 204 });
+    };
+
+    const api = makeApi();
+    await api.uploadFile('/Saved/Save_DedicatedSaveMP.sav', Buffer.from([0, 1, 255]));
+    assert.ok(capturedUrl);
+    assert.ok(capturedUrl.includes('files/write?file=' + encodeURIComponent('/Saved/Save_DedicatedSaveMP.sav')));
+    assert.deepEqual([...(capturedBody as Uint8Array)], [0, 1, 255]);
+    assert.ok(capturedHeaders);
+    assert.equal(capturedHeaders['Content-Type'], 'application/octet-stream');
+  });
+
+  it('throws on non-ok response', async () => {
+    (global as unknown as Record<string, unknown>).fetch = async () =>
+      mockResponse('', { status: 413, statusText: 'Payload Too Large' });
+
+    const api = makeApi();
+    await assert.rejects(() => api.uploadFile('/test.sav', Buffer.alloc(1)), /Panel file upload 413/);
+  });
+});
+
 // ══════════════════════════════════════════════════════════════
 // getWebsocketAuth
 // ══════════════════════════════════════════════════════════════
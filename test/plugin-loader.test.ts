@@ -0,0 +1,219 @@
+/**
+ * Tests for the bot plugin loader — discovery, API version checks, config
+ * validation, migrations, event hooks, slash commands and teardown.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+import _database from '../src/db/database.js';
+const HumanitZDB = _database as any;
+
+import * as _discovery from '../src/plugins/plugin-discovery.js';
+const { discoverPlugins, parsePluginList }: any = _discovery;
+
+import * as _mod from '../src/plugins/plugin-loader.js';
+const { PluginLoader, resolvePluginConfig, pluginSchemaKey }: any = _mod;
+
+import RuntimeModuleRegistry from '../src/config/runtime-module-registry.js';
+
+import _webMapServer from '../src/web-map/server.js';
+const WebMapServer = _webMapServer as any;
+
+import * as _route_helpers from './helpers/route-helpers.js';
+const { extractHandler } = _route_helpers as any;
+
+const GREETER = `
+const seen = (globalThis.__greeter = { logs: [], started: 0, stopped: 0, tornDown: 0, host: null });
+export default {
+  name: 'greeter',
+  version: '1.2.0',
+  apiVersion: 1,
+  config: {
+    GREETER_TEST_MODE: { type: 'enum', options: ['dm', 'channel'], default: 'dm' },
+    GREETER_TEST_LIMIT: { type: 'int' },
+  },
+  migrations: [
+    { version: 2, up: (db) => db.exec('ALTER TABLE greeter_seen ADD COLUMN name TEXT') },
+    { version: 1, up: (db) => db.exec('CREATE TABLE greeter_seen (steam_id TEXT PRIMARY KEY)') },
+  ],
+  commands: [
+    { data: { name: 'greet', toJSON: () => ({ name: 'greet' }) }, execute: async () => { throw new Error('boom'); } },
+    { data: { name: 'rcon', toJSON: () => ({ name: 'rcon' }) }, execute: async () => {} },
+  ],
+  async setup(host) {
+    seen.host = host;
+    host.on('log', (e) => { seen.logs.push(e.type); if (e.type === 'bad') throw new Error('bad event'); });
+    await host.registerModule('ticker', { start: () => { seen.started++; }, stop: () => { seen.stopped++; } });
+    host.registerWeb({ name: 'greeter', js: ['/plugins/greeter.js'] });
+  },
+  teardown() { seen.tornDown++; },
+};
+`;
+
+function writePlugin(root: string, folder: string, pkg: Record<string, unknown>, source?: string) {
+  const dir = path.join(root, folder);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, 'package.json'), JSON.stringify({ type: 'module', ...pkg }));
+  if (source !== undefined) fs.writeFileSync(path.join(dir, 'index.js'), source);
+  return dir;
+}
+
+describe('resolvePluginConfig', () => {
+  const declared = {
+    PLUGIN_MODE: { type: 'enum', options: ['a', 'b'], default: 'a' },
+    PLUGIN_POLL: { type: 'interval', min: 5000 },
+    PLUGIN_CHANNEL: { type: 'snowflake', required: true },
+  };
+
+  it('applies defaults and the bot validators', () => {
+    const result = resolvePluginConfig(declared, { PLUGIN_POLL: '1000', PLUGIN_CHANNEL: '123456789012345678' });
+    assert.equal(result.ok, true);
+    assert.equal(result.value.PLUGIN_MODE, 'a');
+    assert.equal(result.value.PLUGIN_POLL, 5000);
+    assert.equal(result.warnings.length, 1);
+  });
+
+  it('rejects missing required keys and invalid values', () => {
+    assert.deepEqual(resolvePluginConfig(declared, {}), { ok: false, error: 'PLUGIN_CHANNEL is required' });
+    const bad = resolvePluginConfig(declared, { PLUGIN_MODE: 'c', PLUGIN_CHANNEL: '123456789012345678' });
+    assert.equal(bad.ok, false);
+    assert.match(bad.error, /^PLUGIN_MODE: /);
+  });
+});
+
+describe('PluginLoader', () => {
+  let root: string;
+  let db: any;
+  let loader: any;
+  const web: any[] = [];
+  const registry = new RuntimeModuleRegistry();
+
+  before(async () => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'hmz-plugins-'));
+    writePlugin(root, 'greeter', { name: 'greeter', humanitzPlugin: { apiVersion: 1 } }, GREETER);
+    fs.mkdirSync(path.join(root, 'greeter', 'locales'));
+    fs.writeFileSync(path.join(root, 'greeter', 'locales', 'en.json'), JSON.stringify({ hello: 'Hi {{name}}' }));
+    writePlugin(root, 'legacy', { name: 'legacy', humanitzPlugin: { apiVersion: 0 } }, 'throw new Error("ran");');
+    writePlugin(root, 'muted', { name: 'muted', humanitzPlugin: { apiVersion: 1 } }, 'throw new Error("ran");');
+    writePlugin(
+      root,
+      'broken',
+      { name: 'broken', humanitzPlugin: { apiVersion: 1 } },
+      `export default { name: 'broken', apiVersion: 1, setup(host) { host.on('log', () => { globalThis.__brokenHeard = true; }); throw new Error('no setup'); } };`,
+    );
+    writePlugin(root, 'helpers', { name: 'shared-helpers' });
+
+    db = new HumanitZDB({ memory: true, label: 'PluginTest' });
+    db.init();
+    loader = new PluginLoader();
+    process.env.GREETER_TEST_LIMIT = '5';
+    const ready = await loader.discover({ dir: root, config: { pluginsDir: '', disabledPlugins: 'muted' } });
+    assert.equal(ready, 2);
+  });
+
+  after(async () => {
+    await loader.stop();
+    db.close();
+    delete process.env.GREETER_TEST_LIMIT;
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('reports incompatible and disabled packages without importing them', () => {
+    const byName = Object.fromEntries(loader.health().map((h: any) => [h.name, h]));
+    assert.equal(byName.legacy.state, 'incompatible');
+    assert.match(byName.legacy.error, /plugin API 0/);
+    assert.equal(byName.muted.state, 'disabled');
+    assert.equal(byName['shared-helpers'], undefined);
+  });
+
+  it('adds plugin commands without overriding built-ins', () => {
+    const commands = loader.commands(new Set(['rcon']));
+    assert.deepEqual(
+      commands.map((c: any) => c.data.name),
+      ['greet'],
+    );
+  });
+
+  it('migrates, configures and sets up plugins', async () => {
+    await loader.start({ db, webServer: { registerPlugin: (p: unknown) => web.push(p) }, registry });
+    const seen = (globalThis as any).__greeter;
+
+    assert.equal(db.meta.getMeta(pluginSchemaKey('greeter')), '2');
+    db.db.prepare('INSERT INTO greeter_seen (steam_id, name) VALUES (?, ?)').run('7656', 'Bob');
+    assert.deepEqual(seen.host.config, { GREETER_TEST_MODE: 'dm', GREETER_TEST_LIMIT: 5 });
+    assert.equal(seen.host.t('hello', 'en', { name: 'Bob' }), 'Hi Bob');
+    assert.equal(seen.started, 1);
+    assert.equal(registry.isRunning('plugin:greeter:ticker'), true, 'modules live in the shared registry');
+    assert.equal(web[0].name, 'greeter');
+
+    const byName = Object.fromEntries(loader.health().map((h: any) => [h.name, h]));
+    assert.equal(byName.greeter.state, 'active');
+    assert.deepEqual(byName.greeter.modules, ['ticker']);
+    assert.equal(byName.broken.state, 'failed');
+    assert.equal(byName.broken.error, 'Setup: no setup');
+  });
+
+  it('delivers events and counts handler and command errors', async () => {
+    const seen = (globalThis as any).__greeter;
+    loader.emit('log', { type: 'player_connect' });
+    loader.emit('log', { type: 'bad' });
+    assert.deepEqual(seen.logs, ['player_connect', 'bad']);
+    assert.equal((globalThis as any).__brokenHeard, undefined, 'failed plugin listeners are removed');
+
+    const [greet] = loader.commands(new Set());
+    await assert.rejects(() => greet.execute({}), /boom/);
+    const greeter = loader.health().find((h: any) => h.name === 'greeter');
+    assert.equal(greeter.errors, 2);
+    assert.equal(greeter.error, '/greet: boom');
+  });
+
+  it('tears plugins down and unsubscribes them', async () => {
+    const seen = (globalThis as any).__greeter;
+    await loader.stop();
+    assert.equal(seen.tornDown, 1);
+    assert.equal(seen.stopped, 1);
+    assert.equal(registry.hasModule('plugin:greeter:ticker'), false);
+    loader.emit('log', { type: 'after_stop' });
+    assert.equal(seen.logs.includes('after_stop'), false);
+    assert.equal(loader.health().find((h: any) => h.name === 'greeter').state, 'loaded');
+  });
+
+  it('skips migrations already applied on restart', async () => {
+    await loader.start({ db });
+    assert.equal(loader.health().find((h: any) => h.name === 'greeter').state, 'active');
+    assert.equal(registry.isRunning('plugin:greeter:ticker'), true, 'the module id is free again after stop');
+    assert.equal(db.db.prepare('SELECT name FROM greeter_seen').get().name, 'Bob');
+  });
+});
+
+describe('plugin discovery', () => {
+  it('handles a missing folder and duplicate names', async () => {
+    assert.deepEqual(await discoverPlugins(path.join(os.tmpdir(), 'hmz-no-such-plugins')), []);
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'hmz-plugins-dup-'));
+    const source = `export default { name: 'twin', apiVersion: 1, setup() {} };`;
+    writePlugin(root, 'a', { humanitzPlugin: { apiVersion: 1 } }, source);
+    writePlugin(root, 'b', { humanitzPlugin: { apiVersion: 1 } }, source);
+    const found = await discoverPlugins(root);
+    assert.deepEqual(
+      found.map((p: any) => p.state),
+      ['loaded', 'failed'],
+    );
+    fs.rmSync(root, { recursive: true, force: true });
+    assert.deepEqual([...parsePluginList(' a, ,b ')], ['a', 'b']);
+  });
+});
+
+describe('GET /api/status/modules', () => {
+  it('includes plugin health', () => {
+    const server = new WebMapServer({ channels: { cache: new Map() } }, {});
+    const handler = extractHandler(server._app, 'get', '/api/status/modules');
+    let body: any = null;
+    handler({}, { json: (data: unknown) => (body = data) });
+    assert.deepEqual(body.modules, {});
+    assert.ok(Array.isArray(body.plugins));
+  });
+});
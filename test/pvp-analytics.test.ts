@@ -0,0 +1,232 @@
+/**
+ * Tests for PvP analytics — engagement grouping, fight persistence, player
+ * reports, rivalries and the fight list.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import _database from '../src/db/database.js';
+const HumanitZDB = _database as any;
+
+import * as _engagements from '../src/tracking/pvp-engagements.js';
+const { PvpEngagementTracker }: any = _engagements;
+
+import * as _pvp from '../src/modules/pvp-analytics.js';
+const { buildPlayerReport, buildRivalries, listFights, resolvePvpPlayer, kdRatio, clampPvpDays, PvpAnalytics } =
+  _pvp as any;
+
+const WINDOW = 60_000;
+const at = (hhmm: string) => new Date(`2026-03-01T${hhmm}:00Z`);
+
+describe('PvpEngagementTracker', () => {
+  it('credits the killer, assists within the window and plain attackers', () => {
+    const tracker = new PvpEngagementTracker(() => WINDOW);
+    tracker.recordHit('Victim', 'Early', 10, at('10:00'));
+    tracker.recordHit('Victim', 'Helper', 20, at('10:01'));
+    tracker.recordHit('Victim', 'Killer', 30, at('10:02'), 'AK-47');
+    tracker.recordHit('Victim', 'killer', 5, at('10:02'));
+
+    const fight = tracker.finish('victim', at('10:02'), 'Killer');
+    assert.equal(fight.outcome, 'kill');
+    assert.equal(fight.killer, 'killer');
+    assert.equal(fight.weapon, 'AK-47');
+    assert.equal(fight.totalDamage, 65);
+    assert.equal(fight.hits, 4);
+    assert.equal(fight.endedAt - fight.startedAt, 2 * WINDOW);
+    assert.deepEqual(
+      fight.attackers.map((a: any) => [a.name, a.role, a.damage]),
+      [
+        ['killer', 'killer', 35],
+        ['Helper', 'assist', 20],
+        ['Early', 'attacker', 10],
+      ],
+    );
+    assert.equal(tracker.size, 0);
+  });
+
+  it('closes the previous fight as disengaged when a hit comes after the window', () => {
+    const tracker = new PvpEngagementTracker(() => WINDOW);
+    assert.equal(tracker.recordHit('V', 'A', 10, at('10:00')), null);
+    const closed = tracker.recordHit('V', 'B', 10, at('10:05'));
+    assert.equal(closed.outcome, 'disengaged');
+    assert.equal(closed.killer, null);
+    assert.deepEqual(
+      closed.attackers.map((a: any) => a.role),
+      ['attacker'],
+    );
+    assert.equal(tracker.size, 1);
+  });
+
+  it('treats a death without a killer, or long after the last hit, as disengaged', () => {
+    const tracker = new PvpEngagementTracker(() => WINDOW);
+    tracker.recordHit('V', 'A', 10, at('10:00'));
+    assert.equal(tracker.finish('V', at('10:10'), 'A').outcome, 'disengaged');
+    tracker.recordHit('V', 'A', 10, at('10:00'));
+    assert.equal(tracker.finish('V', at('10:00'), null).outcome, 'disengaged');
+    assert.equal(tracker.finish('Nobody', at('10:00'), 'A'), null);
+  });
+
+  it('expires idle fights', () => {
+    const tracker = new PvpEngagementTracker(() => WINDOW);
+    tracker.recordHit('V1', 'A', 10, at('10:00'));
+    tracker.recordHit('V2', 'A', 10, at('10:05'));
+    const closed = tracker.expireBefore(at('10:03').getTime());
+    assert.deepEqual(
+      closed.map((f: any) => f.victim),
+      ['V1'],
+    );
+    assert.equal(tracker.size, 1);
+    assert.equal(tracker.expireBefore(Infinity).length, 1);
+  });
+});
+
+describe('PvP analytics queries', () => {
+  const NOW = new Date('2026-03-03T12:00:00Z');
+  let db: typeof HumanitZDB;
+
+  function fight(
+    victim: [string, string],
+    killer: [string, string] | null,
+    endedAt: string,
+    attackers: Array<[string, string, string, number]>,
+    extra: Record<string, unknown> = {},
+  ) {
+    return db.pvp.insertFight({
+      victimName: victim[0],
+      victimSteamId: victim[1],
+      killerName: killer?.[0],
+      killerSteamId: killer?.[1],
+      outcome: killer ? 'kill' : 'disengaged',
+      startedAt: endedAt,
+      endedAt,
+      durationSec: 30,
+      totalDamage: attackers.reduce((s, a) => s + a[3], 0),
+      hits: attackers.length,
+      participants: attackers.map(([name, steamId, role, damage]) => ({
+        attackerName: name,
+        attackerSteamId: steamId,
+        role,
+        damage,
+        hits: 1,
+        firstHitAt: endedAt,
+        lastHitAt: endedAt,
+      })),
+      ...extra,
+    });
+  }
+
+  const ALICE: [string, string] = ['Alice', '76561198000000001'];
+  const BOB: [string, string] = ['Bob', '76561198000000002'];
+  const CAROL: [string, string] = ['Carol', ''];
+
+  before(() => {
+    db = new HumanitZDB({ memory: true, label: 'PvpTest' });
+    db.init();
+    fight(
+      BOB,
+      ALICE,
+      '2026-03-01 10:00:00',
+      [
+        [...ALICE, 'killer', 80],
+        [...CAROL, 'assist', 20],
+      ],
+      {
+        weapon: 'AK-47',
+        posX: 1000,
+        posY: 2000,
+      },
+    );
+    fight(BOB, ALICE, '2026-03-02 10:00:00', [[...ALICE, 'killer', 100]], { weapon: 'AK-47' });
+    fight(ALICE, BOB, '2026-03-02 11:00:00', [[...BOB, 'killer', 90]]);
+    fight(CAROL, null, '2026-03-03 09:00:00', [[...ALICE, 'attacker', 15]]);
+    // Outside a 7-day window
+    fight(ALICE, BOB, '2026-02-01 10:00:00', [[...BOB, 'killer', 50]]);
+  });
+
+  after(() => {
+    if (db) db.close();
+  });
+
+  it('stores fights with their participants', () => {
+    const row = db.pvp.getFight(1);
+    assert.equal(row.victim_name, 'Bob');
+    assert.equal(row.killer_steam_id, ALICE[1]);
+    assert.equal(row.pos_x, 1000);
+    const parts = db.pvp.getParticipants([1]);
+    assert.deepEqual(
+      parts.map((p: any) => [p.attacker_name, p.role]),
+      [
+        ['Alice', 'killer'],
+        ['Carol', 'assist'],
+      ],
+    );
+  });
+
+  it('builds a player report with totals, opponents and a K/D series', () => {
+    const result = buildPlayerReport(db, ALICE[1], { days: 7, now: NOW });
+    assert.equal(result.ok, true);
+    const r = result.value;
+    assert.equal(r.totals.kills, 2);
+    assert.equal(r.totals.deaths, 1);
+    assert.equal(r.totals.kd, 2);
+    assert.equal(r.totals.damage_dealt, 195);
+    assert.equal(r.totals.damage_taken, 90);
+    assert.equal(r.totals.fights, 4);
+    assert.equal(r.nemesis.opponent_name, 'Bob');
+    assert.equal(r.favouriteVictim.opponent_name, 'Bob');
+    assert.deepEqual(r.weapons, [{ weapon: 'AK-47', kills: 2 }]);
+    assert.equal(r.series.length, 7);
+    const mar2 = r.series.find((p: any) => p.day === '2026-03-02');
+    assert.deepEqual(mar2, { day: '2026-03-02', kills: 1, deaths: 1, kd: 2 });
+  });
+
+  it('counts assists for name-only players', () => {
+    const key = resolvePvpPlayer(db, 'carol');
+    assert.deepEqual(key, { steamId: '', name: 'carol' });
+    const r = buildPlayerReport(db, 'carol', { days: 7, now: NOW }).value;
+    assert.equal(r.totals.assists, 1);
+    assert.equal(r.totals.deaths, 0);
+    assert.equal(resolvePvpPlayer(db, 'Nobody'), null);
+    assert.deepEqual(buildPlayerReport(db, 'Nobody'), { ok: false, code: 'unknown_player' });
+  });
+
+  it('lists rivalries where both sides have a kill', () => {
+    const rivals = buildRivalries(db, { days: 7, now: NOW });
+    assert.equal(rivals.length, 1);
+    const r = rivals[0];
+    const byName = { [r.player_a]: r.a_kills, [r.player_b]: r.b_kills };
+    assert.deepEqual(byName, { Alice: 2, Bob: 1 });
+    assert.equal(r.total, 3);
+  });
+
+  it('pages fights newest first with participants and filters', () => {
+    const page = listFights(db, { days: 7, limit: 2, now: NOW });
+    assert.equal(page.total, 4);
+    assert.deepEqual(
+      page.fights.map((f: any) => f.ended_at),
+      ['2026-03-03 09:00:00', '2026-03-02 11:00:00'],
+    );
+    assert.equal(page.fights[0].participants[0].attacker_name, 'Alice');
+
+    const kills = listFights(db, { days: 7, outcome: 'kill', player: { steamId: BOB[1], name: 'Bob' }, now: NOW });
+    assert.equal(kills.total, 3);
+    assert.equal(listFights(db, { days: 7, offset: 3, now: NOW }).fights.length, 1);
+  });
+
+  it('module reports disabled without a database', () => {
+    const mod = new PvpAnalytics();
+    assert.deepEqual(mod.playerReport('Alice'), { ok: false, code: 'disabled' });
+    mod.start({ db });
+    assert.equal(mod.isActive(), true);
+    assert.equal(mod.rivalries(30).ok, true);
+  });
+
+  it('computes K/D and clamps windows', () => {
+    assert.equal(kdRatio(3, 0), 3);
+    assert.equal(kdRatio(2, 3), 0.67);
+    assert.equal(clampPvpDays('9999'), 365);
+    assert.equal(clampPvpDays('abc'), 30);
+    assert.equal(clampPvpDays(0, 7), 7);
+  });
+});
@@ -0,0 +1,198 @@
+/**
+ * Tests for raid alerts — first-hit DMs, cooldown and opt-out, post-raid
+ * reports with save-diff marks and container losses, and report ownership.
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import _database from '../src/db/database.js';
+const HumanitZDB = _database as any;
+
+import * as _raid from '../src/modules/raid-alerts.js';
+const { RaidAlerts, baseCentre, renderRaidSnippet }: any = _raid;
+
+const OWNER = '76561198000000001';
+const CLANMATE = '76561198000000002';
+const RAIDER = '76561198000000009';
+const CONFIG = { raidAlertClan: true, raidAlertCooldown: 10, raidReportDelay: 10, locale: 'en' };
+
+const at = (hhmm: string) => new Date(`2026-03-01T${hhmm}:00Z`);
+const hit = (hhmm: string, extra: Record<string, unknown> = {}) => ({
+  attacker: 'Raider',
+  attackerSteamId: RAIDER,
+  ownerSteamId: OWNER,
+  building: 'Wooden Wall',
+  destroyed: false,
+  timestamp: at(hhmm),
+  ...extra,
+});
+
+describe('raid snippet helpers', () => {
+  it('picks the structure with the most neighbours as the base centre', () => {
+    const centre = baseCentre([
+      { x: 0, y: 0 },
+      { x: 100, y: 0 },
+      { x: 0, y: 100 },
+      { x: 90_000, y: 90_000 },
+    ]);
+    assert.deepEqual(centre, { x: 0, y: 0, state: 'intact' });
+    assert.equal(baseCentre([]), null);
+  });
+
+  it('draws north up with the worst state winning a cell', () => {
+    const grid = renderRaidSnippet(
+      { x: 0, y: 0 },
+      [
+        { x: 0, y: 0, state: 'intact' },
+        { x: 0, y: 0, state: 'destroyed' },
+        { x: 4000, y: -4000, state: 'damaged' },
+        { x: 99_999, y: 0, state: 'destroyed' },
+      ],
+      5000,
+      5,
+    ).split('\n');
+    assert.equal(grid.length, 5);
+    assert.equal(grid[0], '🟧⬛⬛⬛⬛');
+    assert.equal(grid[2], '⬛⬛🟥⬛⬛');
+  });
+});
+
+describe('RaidAlerts', () => {
+  let db: typeof HumanitZDB;
+  let mod: any;
+  let sent: Array<{ to: string; title: string }>;
+
+  const client = {
+    users: {
+      fetch: async (id: string) => ({
+        send: async (payload: any) => {
+          sent.push({ to: id, title: payload.embeds[0].data.title });
+        },
+      }),
+    },
+  };
+
+  before(() => {
+    db = new HumanitZDB({ memory: true, label: 'RaidTest' });
+    db.init();
+    db.accountLinks.link('d-owner', OWNER, 'owner');
+    db.accountLinks.link('d-mate', CLANMATE, 'mate');
+    db.clan.upsertClan('Wolves', [
+      { steamId: OWNER, name: 'Owner', rank: 'Leader' },
+      { steamId: CLANMATE, name: 'Mate', rank: 'Member' },
+    ]);
+  });
+
+  after(() => {
+    mod.stop();
+    if (db) db.close();
+  });
+
+  beforeEach(() => {
+    sent = [];
+    mod = new RaidAlerts();
+    mod.start({ db, client, config: CONFIG, autoTick: false });
+  });
+
+  it('alerts the owner and clanmates on the first hit only', async () => {
+    assert.equal(await mod.recordHit(hit('10:00'), at('10:00')), 2);
+    assert.deepEqual(sent.map((s) => s.to).sort(), ['d-mate', 'd-owner']);
+    assert.equal(await mod.recordHit(hit('10:01', { ownerSteamId: CLANMATE }), at('10:01')), 0);
+    assert.equal(mod.openRaids, 1);
+  });
+
+  it('rate limits alerts for a new raid inside the cooldown', async () => {
+    mod.start({ db, client, config: { ...CONFIG, raidAlertCooldown: 30 }, autoTick: false });
+    await mod.recordHit(hit('10:00'), at('10:00'));
+    await mod.tick(at('10:11'));
+    sent = [];
+    assert.equal(await mod.recordHit(hit('10:15'), at('10:15')), 0);
+    assert.equal(await mod.tick(at('10:30')), 1);
+    assert.deepEqual(
+      sent.map((s) => s.title),
+      ['🚨 Raid report — Wolves', '🚨 Raid report — Wolves'],
+    );
+  });
+
+  it('skips users who opted out', async () => {
+    assert.deepEqual(mod.setOptOut('d-mate', true), { ok: true, value: true });
+    assert.equal(mod.isOptedOut('d-mate'), true);
+    assert.equal(await mod.recordHit(hit('10:00'), at('10:00')), 1);
+    assert.deepEqual(
+      sent.map((s) => s.to),
+      ['d-owner'],
+    );
+    mod.setOptOut('d-mate', false);
+  });
+
+  it('stores a report with structures, attackers, map and items lost', async () => {
+    db.db
+      .prepare(
+        `INSERT INTO item_movements (item, from_type, from_id, to_type, to_id, amount, attributed_steam_id, attributed_name, pos_x, pos_y, created_at)
+         VALUES (?, ?, 'c1', 'player', ?, ?, ?, ?, ?, ?, ?)`,
+      )
+      .run('Nails', 'container', RAIDER, 40, RAIDER, 'Raider', 90_000, 90_000, '2026-03-01 12:05:00');
+    const insert = db.db.prepare(
+      `INSERT INTO item_movements (item, from_type, from_id, to_type, to_id, amount, attributed_steam_id, attributed_name, pos_x, pos_y, created_at)
+       VALUES (?, 'container', 'c2', 'player', ?, ?, ?, ?, 1000, 1000, ?)`,
+    );
+    // Unknown looter inside the base box counts; the owner's own withdrawal does not.
+    insert.run('Rifle', 'x', 1, '', '', '2026-03-01 12:06:00');
+    insert.run('Beans', OWNER, 3, OWNER, 'Owner', '2026-03-01 12:06:00');
+    // Before the raid window
+    insert.run('Axe', 'x', 1, '', '', '2026-03-01 08:00:00');
+
+    await mod.recordHit(hit('12:00'), at('12:00'));
+    await mod.recordHit(hit('12:04', { building: 'Door', destroyed: true }), at('12:04'));
+    mod.onSaveSync([
+      { type: 'structure_destroyed', steam_id: OWNER, x: 1000, y: 1000 },
+      { type: 'structure_damaged', steam_id: CLANMATE, x: '3500', y: '900' },
+      { type: 'player_moved', steam_id: OWNER, x: 0, y: 0 },
+    ]);
+    assert.equal(await mod.tick(at('12:10')), 0);
+    sent = [];
+    assert.equal(await mod.tick(at('12:14')), 1);
+    assert.equal(mod.openRaids, 0);
+
+    const list = mod.getReportsFor('d-owner');
+    assert.equal(list.ok, true);
+    const report = list.value[0];
+    assert.equal(report.clan_name, 'Wolves');
+    assert.equal(report.hits, 2);
+    assert.equal(report.destroyed, 1);
+    assert.equal(report.started_at, '2026-03-01 12:00:00');
+    assert.equal(report.ended_at, '2026-03-01 12:04:00');
+    assert.equal(report.notified, 2);
+    assert.deepEqual(report.structures, [
+      { name: 'Door', damaged: 0, destroyed: 1 },
+      { name: 'Wooden Wall', damaged: 1, destroyed: 0 },
+    ]);
+    assert.deepEqual(report.attackers, [{ name: 'Raider', steamId: RAIDER, hits: 2, destroyed: 1 }]);
+    assert.deepEqual(report.itemsLost, [
+      { item: 'Nails', amount: 40, takenBy: 'Raider' },
+      { item: 'Rifle', amount: 1, takenBy: '' },
+    ]);
+    assert.equal(report.pos_x, 1000);
+    assert.equal(report.pos_y, 1000);
+    assert.ok(report.snippet.includes('🟥'));
+    assert.ok(report.snippet.includes('🟧'));
+    assert.equal(sent.length, 2);
+  });
+
+  it('only shows reports to the owner or their clan', () => {
+    const id = mod.getReportsFor('d-owner').value[0].id;
+    assert.equal(mod.getReportFor('d-mate', id).ok, true);
+    db.accountLinks.link('d-other', RAIDER, 'raider');
+    assert.deepEqual(mod.getReportFor('d-other', id), { ok: false, code: 'not_found' });
+    assert.deepEqual(mod.getReportFor('d-nobody', id), { ok: false, code: 'not_linked' });
+    assert.deepEqual(mod.getReportsFor('d-other'), { ok: true, value: [] });
+  });
+
+  it('reports disabled without a database', () => {
+    const idle = new RaidAlerts();
+    assert.equal(idle.isActive(), false);
+    assert.deepEqual(idle.setOptOut('d-owner', true), { ok: false, code: 'disabled' });
+    assert.deepEqual(idle.getReportsFor('d-owner'), { ok: false, code: 'disabled' });
+  });
+});
@@ -227,6 +227,24 @@ describe('RuntimeModuleRegistry', () => {
     assert.equal(current, null);
   });
 
+  it('unregisters a module so its id can be reused', async () => {
+    const registry = new RuntimeModuleRegistry();
+    const events: string[] = [];
+
+    registry.registerModule('plugin:greeter:ticker', {
+      stop() {
+        events.push('stop');
+      },
+    });
+    await registry.start('plugin:greeter:ticker');
+    await registry.unregisterModule('plugin:greeter:ticker');
+
+    assert.deepEqual(events, ['stop']);
+    assert.equal(registry.hasModule('plugin:greeter:ticker'), false);
+    registry.registerModule('plugin:greeter:ticker', {});
+    assert.equal(registry.isRunning('plugin:greeter:ticker'), false);
+  });
+
   it('cleans an owner without requiring a registered module', async () => {
     const registry = new RuntimeModuleRegistry();
     const events: string[] = [];
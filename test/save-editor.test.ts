@@ -0,0 +1,646 @@
+/**
+ * Tests for the save editor — the lossless GVAS writer, offline save edits
+ * (teleport, slots, structure removal, vehicle repair), the backup / upload
+ * flow and the panel routes.
+ */
+
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+import * as _writer from '../src/parsers/gvas-writer.js';
+const {
+  parseGvasDocument,
+  serializeGvasDocument,
+  findChild,
+  getValue,
+  setValue,
+  arrayLength,
+  arrayValues,
+  removeArrayElement,
+}: any = _writer;
+
+import * as _edits from '../src/parsers/save-edits.js';
+const { parseSaveEdits, applySaveEdits, summarizeSave }: any = _edits;
+
+import * as _save_parser from '../src/parsers/save-parser.js';
+const { parseSave }: any = _save_parser;
+
+import * as _mod from '../src/modules/save-editor.js';
+const { SaveEditor, createSaveTransport, saveEditBackupDir, BACKUPS_KEEP }: any = _mod;
+
+import _webMapServer from '../src/web-map/server.js';
+const WebMapServer = _webMapServer as any;
+
+import * as _route_helpers from './helpers/route-helpers.js';
+const { extractHandler } = _route_helpers as any;
+
+// ─── GVAS builders ──────────────────────────────────────────────────────────
+
+const STEAM_A = '76561198000000001';
+const STEAM_B = '76561198000000002';
+
+function writeFString(str: string): Buffer {
+  if (str === '') return Buffer.alloc(4);
+  const encoded = Buffer.from(str + '\0', 'utf8');
+  const buf = Buffer.alloc(4);
+  buf.writeInt32LE(encoded.length);
+  return Buffer.concat([buf, encoded]);
+}
+
+function writeU8(val: number): Buffer {
+  return Buffer.from([val]);
+}
+function writeI32(val: number): Buffer {
+  const b = Buffer.alloc(4);
+  b.writeInt32LE(val);
+  return b;
+}
+function writeI64(val: number): Buffer {
+  const b = Buffer.alloc(8);
+  b.writeBigInt64LE(BigInt(val));
+  return b;
+}
+function writeF32(val: number): Buffer {
+  const b = Buffer.alloc(4);
+  b.writeFloatLE(val);
+  return b;
+}
+
+function buildGvasHeader(): Buffer {
+  return Buffer.concat([
+    Buffer.from('GVAS'),
+    Buffer.alloc(8), // save + package version
+    Buffer.alloc(6), // engine version
+    Buffer.alloc(4), // build
+    writeFString(''),
+    Buffer.alloc(8), // custom version format + count
+    writeFString(''), // save class
+  ]);
+}
+
+function buildSimple(name: string, type: string, payload: Buffer): Buffer {
+  return Buffer.concat([writeFString(name), writeFString(type), writeI64(payload.length), writeU8(0), payload]);
+}
+
+const strProp = (name: string, value: string) => buildSimple(name, 'StrProperty', writeFString(value));
+const nameProp = (name: string, value: string) => buildSimple(name, 'NameProperty', writeFString(value));
+const intProp = (name: string, value: number) => buildSimple(name, 'IntProperty', writeI32(value));
+const floatProp = (name: string, value: number) => buildSimple(name, 'FloatProperty', writeF32(value));
+
+function structProp(name: string, structType: string, parts: Buffer[]): Buffer {
+  const content = Buffer.concat(parts);
+  return Buffer.concat([
+    writeFString(name),
+    writeFString('StructProperty'),
+    writeI64(content.length),
+    writeFString(structType),
+    Buffer.alloc(16),
+    writeU8(0),
+    content,
+  ]);
+}
+
+function transformProp(name: string, x: number, y: number, z: number): Buffer {
+  return structProp(name, 'Transform', [
+    structProp('Translation', 'Vector', [writeF32(x), writeF32(y), writeF32(z)]),
+    structProp('Rotation', 'Quat', [writeF32(0), writeF32(0), writeF32(0), writeF32(1)]),
+    writeFString('None'),
+  ]);
+}
+
+function arrayProp(name: string, innerType: string, count: number, items: Buffer[]): Buffer {
+  const payload = Buffer.concat([writeI32(count), ...items]);
+  return Buffer.concat([
+    writeFString(name),
+    writeFString('ArrayProperty'),
+    writeI64(payload.length),
+    writeFString(innerType),
+    writeU8(0),
+    payload,
+  ]);
+}
+
+const strArray = (name: string, values: string[]) =>
+  arrayProp(name, 'StrProperty', values.length, values.map(writeFString));
+const floatArray = (name: string, values: number[]) =>
+  arrayProp(name, 'FloatProperty', values.length, values.map(writeF32));
+
+function structArray(name: string, structType: string, elements: Buffer[][]): Buffer {
+  const body = Buffer.concat(elements.map((parts) => Buffer.concat([...parts, writeFString('None')])));
+  return arrayProp(name, 'StructProperty', elements.length, [
+    writeFString(name),
+    writeFString('StructProperty'),
+    writeI64(body.length),
+    writeFString(structType),
+    Buffer.alloc(16),
+    writeU8(0),
+    body,
+  ]);
+}
+
+function slot(item: string, amount: number, durability: number): Buffer[] {
+  return [
+    structProp('Item', 'DataTableRowHandle', [nameProp('RowName', item), writeFString('None')]),
+    intProp('Amount', amount),
+    floatProp('Durability', durability),
+  ];
+}
+
+/** A small save: one player with an inventory, three structures and one car. */
+function buildSave(): Buffer {
+  return Buffer.concat([
+    buildGvasHeader(),
+    strArray('BuildActorClass', ['BP_Wall_C', 'BP_Door_C', 'BP_Chest_C']),
+    floatArray('BuildingCurrentHealth', [100, 50, 25]),
+    floatArray('BuildingMaxHealth', [100, 100, 100]),
+    strArray('BuildingStr', [STEAM_A, '', STEAM_A]),
+    structArray('Cars', 'S_Cars', [
+      [
+        strProp('Class', 'BP_Pickup_C'),
+        floatProp('Health', 120),
+        floatProp('MaxHealth', 400),
+        floatProp('Fuel', 3),
+        transformProp('Transform', 1000, 2000, 300),
+      ],
+    ]),
+    strProp('SteamID', STEAM_A),
+    transformProp('PlayerTransform', 100, 200, 30),
+    structArray('PlayerInventory', 'S_Slots', [slot('Bandage', 2, 1), slot('Axe', 1, 0.5)]),
+    writeFString('None'),
+    Buffer.alloc(4),
+  ]);
+}
+
+// ─── GVAS writer ────────────────────────────────────────────────────────────
+
+describe('gvas-writer', () => {
+  it('serializes an unmodified save byte for byte', () => {
+    const buf = buildSave();
+    const doc = parseGvasDocument(buf);
+    assert.ok(serializeGvasDocument(doc).equals(buf));
+    assert.equal(doc.trailer.length, 4);
+  });
+
+  it('expands structs and struct arrays into nodes', () => {
+    const doc = parseGvasDocument(buildSave());
+    const transform = findChild(doc.properties, 'PlayerTransform');
+    assert.deepEqual(getValue(findChild(transform.children, 'Translation')), { x: 100, y: 200, z: 30 });
+    const inventory = findChild(doc.properties, 'PlayerInventory');
+    assert.equal(inventory.array.structType, 'S_Slots');
+    assert.equal(arrayLength(inventory), 2);
+    assert.deepEqual(arrayValues(findChild(doc.properties, 'BuildActorClass')), [
+      'BP_Wall_C',
+      'BP_Door_C',
+      'BP_Chest_C',
+    ]);
+  });
+
+  it('rewrites sizes when a value changes length', () => {
+    const doc = parseGvasDocument(buildSave());
+    const inventory = findChild(doc.properties, 'PlayerInventory');
+    const row = findChild(findChild(inventory.array.items[0], 'Item').children, 'RowName');
+    setValue(row, 'WaterBottle_Long_Name');
+    const out = serializeGvasDocument(doc);
+    const reread = parseGvasDocument(out);
+    const again = findChild(
+      findChild(findChild(reread.properties, 'PlayerInventory').array.items[0], 'Item').children,
+      'RowName',
+    );
+    assert.equal(getValue(again), 'WaterBottle_Long_Name');
+    assert.ok(serializeGvasDocument(reread).equals(out));
+  });
+
+  it('removes primitive array elements and refuses unsupported setters', () => {
+    const doc = parseGvasDocument(buildSave());
+    const health = findChild(doc.properties, 'BuildingCurrentHealth');
+    assert.equal(removeArrayElement(health, 1), true);
+    assert.deepEqual(arrayValues(health), [100, 25]);
+    assert.equal(removeArrayElement(health, 5), false);
+    assert.throws(() => {
+      setValue(findChild(doc.properties, 'SteamID'), 5);
+    }, /Cannot set StrProperty SteamID/);
+  });
+
+  it('throws on non-GVAS input', () => {
+    assert.throws(() => parseGvasDocument(Buffer.from('not a save at all')));
+  });
+});
+
+// ─── Save edits ─────────────────────────────────────────────────────────────
+
+describe('parseSaveEdits', () => {
+  it('accepts each operation', () => {
+    const result = parseSaveEdits([
+      { op: 'teleport_player', steamId: STEAM_A, x: 1, y: 2, z: 3 },
+      {
+        op: 'set_player_slot',
+        steamId: STEAM_A,
+        container: 'inventory',
+        slot: 0,
+        item: 'Bandage',
+        amount: 5,
+        durability: 1,
+      },
+      { op: 'remove_structure', index: 1, actorClass: 'BP_Door_C' },
+      { op: 'reset_vehicle', index: 0, actorClass: 'BP_Pickup_C', fuel: 20 },
+    ]);
+    assert.equal(result.ok, true);
+    assert.equal(result.value.length, 4);
+    assert.equal(result.value[3].fuel, 20);
+  });
+
+  it('rejects empty, oversized and malformed lists', () => {
+    assert.equal(parseSaveEdits([]).ok, false);
+    assert.equal(parseSaveEdits('edits').ok, false);
+    assert.equal(
+      parseSaveEdits(Array.from({ length: 51 }, () => ({ op: 'remove_structure', index: 0, actorClass: 'A' }))).ok,
+      false,
+    );
+    const bad = [
+      { op: 'teleport_player', steamId: '123', x: 1, y: 2, z: 3 },
+      { op: 'teleport_player', steamId: STEAM_A, x: 1e9, y: 2, z: 3 },
+      { op: 'set_player_slot', steamId: STEAM_A, container: 'bank', slot: 0, item: 'Axe', amount: 1 },
+      { op: 'set_player_slot', steamId: STEAM_A, container: 'inventory', slot: 0, item: '../x', amount: 1 },
+      { op: 'set_player_slot', steamId: STEAM_A, container: 'inventory', slot: 0, item: 'Axe', amount: -1 },
+      { op: 'remove_structure', index: 1.5, actorClass: 'BP_Door_C' },
+      { op: 'reset_vehicle', index: 0, actorClass: 'BP_Pickup_C', fuel: -1 },
+      { op: 'drop_table' },
+    ];
+    for (const edit of bad) {
+      const result = parseSaveEdits([edit]);
+      assert.equal(result.ok, false, JSON.stringify(edit));
+      assert.equal(result.code, 'invalid_edit');
+    }
+  });
+});
+
+describe('summarizeSave', () => {
+  it('lists players with slots, structures and vehicles', () => {
+    const result = summarizeSave(buildSave());
+    assert.equal(result.ok, true);
+    const { players, structures, vehicles } = result.value;
+    assert.equal(players.length, 1);
+    assert.equal(players[0].steamId, STEAM_A);
+    assert.deepEqual(players[0].slots.inventory, [
+      { slot: 0, item: 'Bandage', amount: 2, durability: 1 },
+      { slot: 1, item: 'Axe', amount: 1, durability: 0.5 },
+    ]);
+    assert.deepEqual(
+      structures.map((s: any) => [s.index, s.actorClass, s.ownerSteamId]),
+      [
+        [0, 'BP_Wall_C', STEAM_A],
+        [1, 'BP_Door_C', ''],
+        [2, 'BP_Chest_C', STEAM_A],
+      ],
+    );
+    assert.equal(vehicles[0].actorClass, 'BP_Pickup_C');
+    assert.equal(vehicles[0].fuel, 3);
+  });
+
+  it('refuses saves it cannot read', () => {
+    const result = summarizeSave(Buffer.from('garbage'));
+    assert.equal(result.ok, false);
+    assert.equal(result.code, 'unsupported_save');
+  });
+});
+
+describe('applySaveEdits', () => {
+  it('teleports a player and leaves the input untouched', () => {
+    const buf = buildSave();
+    const copy = Buffer.from(buf);
+    const result = applySaveEdits(buf, [{ op: 'teleport_player', steamId: STEAM_A, x: -5000.5, y: 123.25, z: 900 }]);
+    assert.equal(result.ok, true);
+    assert.ok(buf.equals(copy));
+    const p = parseSave(result.value.buffer).players.get(STEAM_A);
+    assert.ok(Math.abs(p.x - -5000.5) < 0.01);
+    assert.ok(Math.abs(p.y - 123.25) < 0.01);
+    assert.equal(result.value.changes[0].field, 'PlayerTransform.Translation');
+    assert.deepEqual(result.value.changes[0].before, { x: 100, y: 200, z: 30 });
+  });
+
+  it('sets an inventory slot', () => {
+    const result = applySaveEdits(buildSave(), [
+      {
+        op: 'set_player_slot',
+        steamId: STEAM_A,
+        container: 'inventory',
+        slot: 1,
+        item: 'Crowbar',
+        amount: 3,
+        durability: 0.75,
+      },
+    ]);
+    assert.equal(result.ok, true);
+    const summary = summarizeSave(result.value.buffer).value;
+    assert.deepEqual(summary.players[0].slots.inventory[1], { slot: 1, item: 'Crowbar', amount: 3, durability: 0.75 });
+    assert.deepEqual(result.value.changes[0].before, { item: 'Axe', amount: 1, durability: 0.5 });
+  });
+
+  it('removes structures from every parallel array', () => {
+    const result = applySaveEdits(buildSave(), [
+      { op: 'remove_structure', index: 0, actorClass: 'BP_Wall_C' },
+      { op: 'remove_structure', index: 2, actorClass: 'BP_Chest_C' },
+    ]);
+    assert.equal(result.ok, true);
+    const { structures } = parseSave(result.value.buffer);
+    assert.equal(structures.length, 1);
+    assert.equal(structures[0].actorClass, 'BP_Door_C');
+    assert.equal(structures[0].currentHealth, 50);
+    assert.equal(structures[0].ownerSteamId, '');
+    assert.match(
+      result.value.changes[0].field,
+      /BuildActorClass, BuildingCurrentHealth, BuildingMaxHealth, BuildingStr/,
+    );
+  });
+
+  it('repairs and refuels a vehicle', () => {
+    const result = applySaveEdits(buildSave(), [
+      { op: 'reset_vehicle', index: 0, actorClass: 'BP_Pickup_C', fuel: 40 },
+    ]);
+    assert.equal(result.ok, true);
+    const car = parseSave(result.value.buffer).vehicles[0];
+    assert.equal(car.health, 400);
+    assert.equal(car.fuel, 40);
+    assert.deepEqual(
+      result.value.changes.map((c: any) => [c.field, c.before, c.after]),
+      [
+        ['Health', 120, 400],
+        ['Fuel', 3, 40],
+      ],
+    );
+  });
+
+  it('rejects stale and unknown targets', () => {
+    const cases: Array<[unknown, string]> = [
+      [{ op: 'remove_structure', index: 1, actorClass: 'BP_Wall_C' }, 'stale_target'],
+      [{ op: 'remove_structure', index: 9, actorClass: 'BP_Wall_C' }, 'not_found'],
+      [{ op: 'reset_vehicle', index: 0, actorClass: 'BP_Truck_C' }, 'stale_target'],
+      [{ op: 'teleport_player', steamId: STEAM_B, x: 0, y: 0, z: 0 }, 'player_not_found'],
+      [
+        { op: 'set_player_slot', steamId: STEAM_A, container: 'backpack', slot: 0, item: 'Axe', amount: 1 },
+        'not_found',
+      ],
+      [
+        { op: 'set_player_slot', steamId: STEAM_A, container: 'inventory', slot: 7, item: 'Axe', amount: 1 },
+        'not_found',
+      ],
+    ];
+    for (const [edit, code] of cases) {
+      const result = applySaveEdits(buildSave(), [edit]);
+      assert.equal(result.ok, false, JSON.stringify(edit));
+      assert.equal(result.code, code, JSON.stringify(edit));
+    }
+  });
+
+  it('rejects removing the same structure twice', () => {
+    const edit = { op: 'remove_structure', index: 0, actorClass: 'BP_Wall_C' };
+    const result = applySaveEdits(buildSave(), [edit, edit]);
+    assert.equal(result.ok, false);
+    assert.equal(result.code, 'invalid_edit');
+  });
+});
+
+// ─── SaveEditor ─────────────────────────────────────────────────────────────
+
+function fakeTransport(initial: Buffer, opts: { state?: string | null; corrupt?: boolean } = {}) {
+  const t = {
+    kind: 'panel',
+    path: '/HumanitZServer/Saved/SaveGames/SaveList/Default/Save_DedicatedSaveMP.sav',
+    current: initial,
+    uploads: 0,
+    download: async () => t.current,
+    upload: async (buf: Buffer) => {
+      t.uploads++;
+      t.current = opts.corrupt ? buf.subarray(0, buf.length - 1) : Buffer.from(buf);
+    },
+    serverState: async () => (opts.state === undefined ? 'offline' : opts.state),
+  };
+  return t;
+}
+
+describe('SaveEditor', () => {
+  let dir: string;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'save-editor-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('previews without writing', async () => {
+    const transport = fakeTransport(buildSave());
+    const result = await new SaveEditor({ label: 'SaveEditTest' }).preview(transport, [
+      { op: 'reset_vehicle', index: 0, actorClass: 'BP_Pickup_C' },
+    ]);
+    assert.equal(result.ok, true);
+    assert.equal(result.value.changes.length, 1);
+    assert.equal(transport.uploads, 0);
+  });
+
+  it('backs up, uploads and verifies an edit, then restores the backup', async () => {
+    const original = buildSave();
+    const transport = fakeTransport(original);
+    const editor = new SaveEditor({ label: 'SaveEditTest' });
+    const applied = await editor.apply(transport, [{ op: 'reset_vehicle', index: 0, actorClass: 'BP_Pickup_C' }], {
+      backupDir: dir,
+    });
+    assert.equal(applied.ok, true);
+    assert.equal(transport.uploads, 1);
+    assert.ok(fs.readFileSync(path.join(dir, applied.value.backup)).equals(original));
+    assert.equal(parseSave(transport.current).vehicles[0].health, 400);
+
+    const restored = await editor.restore(transport, applied.value.backup, { backupDir: dir });
+    assert.equal(restored.ok, true);
+    assert.ok(transport.current.equals(original));
+    assert.equal(editor.listBackups(dir).length, 2);
+    assert.match(restored.value.backup, /-restore\.sav$/);
+  });
+
+  it('refuses to write while the server is not offline unless confirmed', async () => {
+    const transport = fakeTransport(buildSave(), { state: 'running' });
+    const editor = new SaveEditor({ label: 'SaveEditTest' });
+    const edits = [{ op: 'reset_vehicle', index: 0, actorClass: 'BP_Pickup_C' }];
+    const refused = await editor.apply(transport, edits, { backupDir: dir });
+    assert.equal(refused.ok, false);
+    assert.equal(refused.code, 'server_running');
+    assert.equal(refused.detail, 'running');
+    assert.equal(transport.uploads, 0);
+    assert.equal(editor.listBackups(dir).length, 0);
+
+    const forced = await editor.apply(transport, edits, { backupDir: dir, confirmRunning: true });
+    assert.equal(forced.ok, true);
+  });
+
+  it('reports an upload that does not read back', async () => {
+    const transport = fakeTransport(buildSave(), { corrupt: true });
+    const result = await new SaveEditor({ label: 'SaveEditTest' }).apply(
+      transport,
+      [{ op: 'reset_vehicle', index: 0, actorClass: 'BP_Pickup_C' }],
+      { backupDir: dir },
+    );
+    assert.equal(result.ok, false);
+    assert.equal(result.code, 'upload_mismatch');
+    assert.ok(fs.existsSync(path.join(dir, result.detail)));
+  });
+
+  it('rejects unknown backup names', async () => {
+    const result = await new SaveEditor({ label: 'SaveEditTest' }).restore(fakeTransport(buildSave()), '../save.sav', {
+      backupDir: dir,
+    });
+    assert.equal(result.code, 'backup_not_found');
+  });
+
+  it('keeps the newest BACKUPS_KEEP backups', async () => {
+    for (let i = 0; i < (BACKUPS_KEEP as number) + 2; i++) {
+      fs.writeFileSync(path.join(dir, `save-2026-01-01T00-00-${String(i).padStart(2, '0')}-000Z-edit.sav`), 'x');
+    }
+    const result = await new SaveEditor({ label: 'SaveEditTest' }).apply(
+      fakeTransport(buildSave()),
+      [{ op: 'reset_vehicle', index: 0, actorClass: 'BP_Pickup_C' }],
+      { backupDir: dir },
+    );
+    assert.equal(result.ok, true);
+    const names = fs.readdirSync(dir);
+    assert.equal(names.length, BACKUPS_KEEP);
+    assert.ok(names.includes(result.value.backup));
+    assert.ok(!names.includes('save-2026-01-01T00-00-00-000Z-edit.sav'));
+  });
+});
+
+describe('createSaveTransport', () => {
+  const panelApi = {
+    available: true,
+    downloadFile: async () => Buffer.from('save'),
+    uploadFile: async () => {},
+    getResources: async () => ({ state: 'offline' }),
+  };
+
+  it('needs a save path and SFTP or the panel API', () => {
+    assert.equal(createSaveTransport({ config: { sftpSavePath: '' }, panelApi }), null);
+    assert.equal(createSaveTransport({ config: { sftpSavePath: '/s.sav' }, panelApi: null }), null);
+  });
+
+  it('prefers SFTP and falls back to the panel file API', async () => {
+    const sftp = createSaveTransport({ config: { sftpSavePath: '/s.sav', sftpHost: 'h', sftpUser: 'u' }, panelApi });
+    assert.equal(sftp.kind, 'sftp');
+    const panel = createSaveTransport({ config: { sftpSavePath: '/s.sav' }, panelApi });
+    assert.equal(panel.kind, 'panel');
+    assert.equal((await panel.download()).toString(), 'save');
+    assert.equal(await panel.serverState(), 'offline');
+  });
+});
+
+// ─── Routes ─────────────────────────────────────────────────────────────────
+
+describe('/api/panel/save-editor routes', () => {
+  const server = new WebMapServer({ channels: { cache: new Map() } }, {});
+  const GET = (routePath: string) => extractHandler(server._app, 'get', routePath);
+  const POST = (routePath: string) => extractHandler(server._app, 'post', routePath);
+  let dir: string;
+  let save: Buffer;
+  let state: string;
+
+  function mockRes() {
+    const res: any = {
+      statusCode: 200,
+      body: null,
+      status(code: number) {
+        res.statusCode = code;
+        return res;
+      },
+      json(data: unknown) {
+        res.body = data;
+      },
+    };
+    return res;
+  }
+
+  function srv(withPanel = true) {
+    return {
+      config: { sftpSavePath: '/Save_DedicatedSaveMP.sav' },
+      panelApi: withPanel
+        ? {
+            available: true,
+            downloadFile: async () => save,
+            uploadFile: async (_p: string, buf: Buffer) => {
+              save = Buffer.from(buf);
+            },
+            getResources: async () => ({ state }),
+          }
+        : null,
+      dataDir: dir,
+      playerNameMap: { [STEAM_A]: 'Alice' },
+    };
+  }
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'save-editor-routes-'));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    save = buildSave();
+    state = 'offline';
+  });
+
+  it('GET returns the save summary with player names', async () => {
+    const res = mockRes();
+    await GET('/api/panel/save-editor')({ srv: srv(), query: {} }, res);
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.transport, 'panel');
+    assert.equal(res.body.serverState, 'offline');
+    assert.equal(res.body.save.players[0].name, 'Alice');
+    assert.equal(res.body.save.structures.length, 3);
+    assert.deepEqual(res.body.backups, []);
+  });
+
+  it('GET reports a server without a save transport', async () => {
+    const res = mockRes();
+    await GET('/api/panel/save-editor')({ srv: srv(false), query: {} }, res);
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.code, 'SAVE_EDITOR_UNAVAILABLE');
+  });
+
+  it('preview validates the edit list', async () => {
+    const res = mockRes();
+    await POST('/api/panel/save-editor/preview')({ srv: srv(), body: { edits: [{ op: 'nope' }] } }, res);
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.details.reason, 'invalid_edit');
+  });
+
+  it('apply writes the save and maps refusals to 409', async () => {
+    const edits = [{ op: 'remove_structure', index: 1, actorClass: 'BP_Door_C' }];
+    state = 'running';
+    const refused = mockRes();
+    await POST('/api/panel/save-editor/apply')({ srv: srv(), body: { edits } }, refused);
+    assert.equal(refused.statusCode, 409);
+    assert.equal(refused.body.details.reason, 'server_running');
+
+    const res = mockRes();
+    await POST('/api/panel/save-editor/apply')({ srv: srv(), body: { edits, confirmRunning: true } }, res);
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.result.changes.length, 1);
+    assert.equal(parseSave(save).structures.length, 2);
+    assert.ok(fs.existsSync(path.join(saveEditBackupDir(dir), res.body.result.backup)));
+
+    const stale = mockRes();
+    await POST('/api/panel/save-editor/apply')({ srv: srv(), body: { edits, confirmRunning: true } }, stale);
+    assert.equal(stale.statusCode, 409);
+    assert.equal(stale.body.details.reason, 'stale_target');
+  });
+
+  it('restore rejects unknown backups', async () => {
+    const res = mockRes();
+    await POST('/api/panel/save-editor/restore')({ srv: srv(), body: { name: 'nope.sav' } }, res);
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.details.reason, 'backup_not_found');
+  });
+});
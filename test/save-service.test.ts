@@ -185,6 +185,7 @@ function makePipeline(db = makeDb(), overrides: Partial<SaveSyncPipelineDeps> =
     },
     shouldFetchClanData: () => false,
     fetchClanData: async () => [],
+    isRetentionManaged: () => false,
     ...overrides,
   };
   return {
@@ -466,6 +467,19 @@ describe('SaveSyncPipeline syncFromCache', () => {
     assert.equal(activityPurgeCount(), 2);
   });
 
+  it('leaves activity and item movements to data retention when it manages them', async () => {
+    const db = makeDb();
+    const pipelineHarness = makePipeline(db, { isRetentionManaged: () => true });
+
+    pipelineHarness.setSyncCount(100);
+    await pipelineHarness.pipeline.syncParsedData(makeParsedSave(), []);
+    assert.equal(
+      db.calls.some((call: string) => call.startsWith('purgeOldActivity:')),
+      false,
+    );
+    assert.ok(db.calls.includes('purgeOldItemTrackerData:-7 days:-7 days:'));
+  });
+
   it('uses the consolidated FK-safe item tracker purge only on maintenance sync intervals', async () => {
     const db = makeDb();
     const pipelineHarness = makePipeline(db);
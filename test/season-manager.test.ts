@@ -0,0 +1,125 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import _database from '../src/db/database.js';
+const HumanitZDB = _database as any;
+
+import * as _season_manager from '../src/modules/season-manager.js';
+const { SeasonManager } = _season_manager as any;
+
+const ALICE = '76561198000000001';
+const BOB = '76561198000000002';
+
+function setStats(db: any, steamId: string, stats: Record<string, number>) {
+  const cols = Object.keys(stats);
+  db.db
+    .prepare(`UPDATE players SET ${cols.map((c) => `${c} = ?`).join(', ')} WHERE steam_id = ?`)
+    .run(...cols.map((c) => stats[c]), steamId);
+}
+
+function getPlayer(db: any, steamId: string) {
+  return db.db.prepare('SELECT * FROM players WHERE steam_id = ?').get(steamId);
+}
+
+describe('SeasonManager', () => {
+  let db: any;
+  let seasons: any;
+
+  beforeEach(() => {
+    db = new HumanitZDB({ memory: true, label: 'season-test' });
+    db.init();
+    const insert = db.db.prepare('INSERT INTO players (steam_id, name) VALUES (?, ?)');
+    insert.run(ALICE, 'Alice');
+    insert.run(BOB, 'Bob');
+    setStats(db, ALICE, { lifetime_kills: 120, log_deaths: 4, log_pvp_kills: 2, playtime_seconds: 7200 });
+    setStats(db, BOB, { lifetime_kills: 30, log_builds: 9, playtime_seconds: 1800, session_count: 3 });
+
+    seasons = new SeasonManager();
+    seasons.init(db);
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  it('opens a first season on init', () => {
+    const list = seasons.listSeasons();
+    assert.equal(list.length, 1);
+    assert.equal(list[0].name, 'Season 1');
+    assert.equal(list[0].current, true);
+  });
+
+  it('archives stats, resets per-season counters and keeps identity', () => {
+    db.botState.setStateJSON('kill_tracker', { players: { [ALICE]: { cumulative: { zeeksKilled: 50 } } } });
+    db.botState.setStateJSON('weekly_baseline', { weekStart: '2026-01-01' });
+
+    const result = seasons.rollover('Season 2');
+    assert.equal(result.archived.name, 'Season 1');
+    assert.equal(result.current.name, 'Season 2');
+    assert.equal(result.players, 2);
+
+    const alice = getPlayer(db, ALICE);
+    assert.equal(alice.name, 'Alice');
+    assert.equal(alice.lifetime_kills, 0);
+    assert.equal(alice.log_deaths, 0);
+    assert.equal(alice.playtime_seconds, 0);
+    assert.equal(db.botState.getState('kill_tracker'), null);
+    assert.equal(db.botState.getState('weekly_baseline'), null);
+
+    const archived = db.season.getArchivedStats(result.archived.id);
+    const archivedAlice = archived.find((r: any) => r.steam_id === ALICE);
+    assert.equal(archivedAlice.kills, 120);
+    assert.equal(archivedAlice.pvp_kills, 2);
+    assert.deepEqual(JSON.parse(archivedAlice.kill_tracker), { cumulative: { zeeksKilled: 50 } });
+
+    const summary = seasons.getSummary(result.archived.id);
+    assert.equal(summary.leaderboards.kills[0].steam_id, ALICE);
+    assert.equal(summary.totals.total_kills, 150);
+  });
+
+  it('serves current, previous-season and lifetime scopes', () => {
+    const { archived } = seasons.rollover();
+    setStats(db, ALICE, { lifetime_kills: 15, playtime_seconds: 600 });
+
+    const current = seasons.getStats('current');
+    assert.equal(current.value.scope, 'current');
+    assert.equal(current.value.players.find((p: any) => p.steam_id === ALICE).kills, 15);
+
+    const previous = seasons.getStats(archived.id);
+    assert.equal(previous.value.scope, 'season');
+    assert.equal(previous.value.players.find((p: any) => p.steam_id === ALICE).kills, 120);
+    assert.equal(seasons.getStats('season 1').value.season.id, archived.id, 'Should resolve by name');
+
+    const lifetime = seasons.getPlayerStats(ALICE, 'lifetime');
+    assert.equal(lifetime.kills, 135);
+    assert.equal(lifetime.playtime_seconds, 7800);
+    assert.equal(lifetime.name, 'Alice');
+
+    assert.equal(seasons.getStats('missing').code, 'not_found');
+  });
+
+  it('applies a scheduled rollover once and clears the marker', () => {
+    assert.equal(seasons.applyPendingRollover(), null);
+
+    assert.equal(seasons.scheduleRollover({ name: 'Winter', requestedBy: 'admin' }).ok, true);
+    assert.equal(seasons.scheduleRollover({ name: 'Again' }).code, 'already_pending');
+
+    const result = seasons.applyPendingRollover();
+    assert.equal(result.current.name, 'Winter');
+    assert.equal(seasons.getPendingRollover(), null);
+    assert.equal(seasons.applyPendingRollover(), null);
+    assert.equal(seasons.listSeasons().length, 2);
+  });
+
+  it('gives seasons that start on the same day distinct ids', () => {
+    seasons.rollover();
+    seasons.rollover();
+    const ids = seasons.listSeasons().map((s: any) => s.id);
+    assert.equal(new Set(ids).size, 3);
+    assert.equal(seasons.listSeasons().filter((s: any) => s.current).length, 1);
+  });
+
+  it('rejects over-long season names', () => {
+    assert.equal(seasons.scheduleRollover({ name: 'x'.repeat(65) }).code, 'invalid_name');
+  });
+});
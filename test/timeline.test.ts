@@ -11,6 +11,9 @@ const HumanitZDB = _database as any;
 import _snapshot_service from '../src/tracking/snapshot-service.js';
 const SnapshotService = _snapshot_service as any;
 
+import * as _timeline from '../src/db/repositories/timeline-repository.js';
+const { tierForSpan }: any = _timeline;
+
 import * as _schema from '../src/db/schema.js';
 const { SCHEMA_VERSION, ALL_TABLES } = _schema as any;
 
@@ -26,8 +29,8 @@ after(() => {
 });
 
 describe('Schema v11 — Timeline tables', () => {
-  it('schema version is 23', () => {
-    assert.equal(SCHEMA_VERSION, 23);
+  it('schema version is 35', () => {
+    assert.equal(SCHEMA_VERSION, 35);
   });
 
   it('ALL_TABLES includes timeline table definitions', () => {
@@ -727,3 +730,122 @@ describe('SnapshotService throttling', () => {
     assert.equal(svc._lastSnapshotAt, lastAt);
   });
 });
+
+describe('Timeline keyframe tiers', () => {
+  let tierDb: typeof HumanitZDB;
+  const DAY = 24 * 60 * 60_000;
+
+  function seed(rows: Array<[string, number]>) {
+    const h = tierDb.db;
+    h.exec('DELETE FROM timeline_snapshots');
+    const insert = h.prepare("INSERT INTO timeline_snapshots (created_at, tier) VALUES (datetime('now', ?), ?)");
+    for (const [age, tier] of rows) insert.run(age, tier);
+  }
+
+  const tiers = () =>
+    tierDb.db
+      .prepare('SELECT tier FROM timeline_snapshots ORDER BY created_at')
+      .all()
+      .map((r: any) => r.tier);
+
+  before(() => {
+    tierDb = new HumanitZDB({ memory: true, label: 'TierTest' });
+    tierDb.init();
+  });
+
+  after(() => {
+    tierDb.close();
+  });
+
+  it('stores the first snapshot of a day as a daily keyframe', () => {
+    const first = tierDb.timeline.insertTimelineSnapshot({ snapshot: { gameDay: 1 } });
+    const second = tierDb.timeline.insertTimelineSnapshot({ snapshot: { gameDay: 1 } });
+    assert.equal(tierDb.timeline.getTimelineSnapshotFull(first).snapshot.tier, 2);
+    assert.notEqual(tierDb.timeline.getTimelineSnapshotFull(second).snapshot.tier, 2);
+  });
+
+  it('thins full snapshots after a day and hourly keyframes after a month', () => {
+    seed([
+      ['-400 days', 2],
+      ['-40 days', 1],
+      ['-10 days', 1],
+      ['-2 days', 0],
+      ['-1 hours', 0],
+    ]);
+    const result = tierDb.timeline.thinTimeline(24, 30);
+    assert.equal(result.changes, 2);
+    assert.deepEqual(tiers(), [2, 1, 0]);
+  });
+
+  it('filters ranges and clips by tier', () => {
+    seed([
+      ['-3 hours', 2],
+      ['-2 hours', 1],
+      ['-1 hours', 0],
+    ]);
+    const bounds = tierDb.timeline.getTimelineBounds();
+    const range = (tier: number) =>
+      tierDb.timeline.getTimelineSnapshotRange(bounds.earliest, bounds.latest, tier).map((r: any) => r.tier);
+    assert.deepEqual(range(0), [2, 1, 0]);
+    assert.deepEqual(range(1), [2, 1]);
+    assert.equal(tierDb.timeline.countTimelineSnapshotRange(bounds.earliest, bounds.latest, 2), 1);
+
+    const clip = tierDb.timeline.getTimelineClip(bounds.earliest, bounds.latest, 1);
+    assert.equal(clip.length, 2);
+    assert.ok(Array.isArray(clip[0].players));
+  });
+
+  it('picks a coarser tier for longer spans', () => {
+    assert.equal(tierForSpan(6 * 60 * 60_000), 0);
+    assert.equal(tierForSpan(14 * DAY), 1);
+    assert.equal(tierForSpan(365 * DAY), 2);
+  });
+
+  it('SnapshotService thins to keyframes and applies the age cap', async () => {
+    seed([
+      ['-400 days', 2],
+      ['-2 days', 0],
+    ]);
+    const svc = new SnapshotService(tierDb, { retentionDays: 0 });
+    await svc._pruneOldData();
+    assert.deepEqual(tiers(), [2]);
+
+    await new SnapshotService(tierDb, { retentionDays: 100 })._pruneOldData();
+    assert.deepEqual(tiers(), []);
+  });
+
+  it('SnapshotService leaves full-resolution thinning and the age cap to retention when it owns the timeline', async () => {
+    seed([
+      ['-400 days', 2],
+      ['-40 days', 1],
+      ['-10 days', 1],
+      ['-2 days', 0],
+    ]);
+    await new SnapshotService(tierDb, { retentionDays: 100, retentionManaged: () => true })._pruneOldData();
+    assert.deepEqual(tiers(), [2, 1, 0], 'hourly keyframes past the window still thin to daily');
+  });
+
+  it('thins in limited batches', () => {
+    seed([
+      ['-3 days', 0],
+      ['-2 days', 0],
+      ['-1 hours', 0],
+    ]);
+    assert.equal(tierDb.timeline.thinTimeline(24, 30, 1).changes, 1);
+    assert.equal(tierDb.timeline.thinTimeline(24, 30, 1).changes, 1);
+    assert.equal(tierDb.timeline.thinTimeline(24, 30, 1).changes, 0);
+    assert.deepEqual(tiers(), [0]);
+  });
+
+  it('backfills tiers when migrating from v33', () => {
+    const h = tierDb.db;
+    h.exec('DELETE FROM timeline_snapshots');
+    const insert = h.prepare('INSERT INTO timeline_snapshots (created_at) VALUES (?)');
+    for (const at of ['2026-03-01 10:05:00', '2026-03-01 10:45:00', '2026-03-01 11:10:00', '2026-03-02 00:30:00']) {
+      insert.run(at);
+    }
+    tierDb._setMeta('schema_version', '33');
+    tierDb._applySchema();
+    assert.deepEqual(tiers(), [2, 0, 1, 2]);
+  });
+});
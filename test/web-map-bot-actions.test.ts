@@ -83,6 +83,12 @@ function mockBotControl(overrides: Record<string, unknown> = {}) {
     factoryReset(meta: unknown) {
       return { action: 'factory_reset', scheduledAt: '2026-03-26T00:00:00.000Z', ...(meta as object) };
     },
+    seasonReset(meta: unknown) {
+      return { action: 'season_reset', scheduledAt: '2026-03-26T00:00:00.000Z', ...(meta as object) };
+    },
+    restoreBackup(meta: unknown) {
+      return { action: 'restore_backup', scheduledAt: '2026-03-26T00:00:00.000Z', ...(meta as object) };
+    },
     envSync() {
       return { action: 'env_sync', needed: false };
     },
@@ -229,6 +235,108 @@ describe('POST /api/panel/bot-actions/:action', () => {
     });
   });
 
+  // ── season_reset ───────────────────────────────────────────
+
+  describe('season_reset', () => {
+    it('returns 400 when confirm !== "RESET"', async () => {
+      _server.setBotControl(mockBotControl());
+      const req = mockReq({ params: { action: 'season_reset' }, body: { confirm: 'NUKE' } });
+      const res = mockRes();
+      await handler(req, res);
+      assert.equal(res._status, 400);
+      assert.equal((res._json as Record<string, unknown>).code, API_ERRORS.CONFIRM_SEASON_RESET_REQUIRED);
+    });
+
+    it('calls botControl.seasonReset with the next season name', async () => {
+      let captured: unknown[] = [];
+      _server.setBotControl(
+        mockBotControl({
+          seasonReset(meta: unknown, opts: unknown) {
+            captured = [meta, opts];
+            return { action: 'season_reset', scheduledAt: '2026-03-26T00:00:00.000Z' };
+          },
+        }),
+      );
+      const req = mockReq({ params: { action: 'season_reset' }, body: { confirm: 'RESET', name: 'Season 5' } });
+      const res = mockRes();
+      await handler(req, res);
+      assert.deepEqual(captured, [{ source: 'web', user: 'TestAdmin' }, { name: 'Season 5' }]);
+      assert.equal((res._json as Record<string, unknown>).action, 'season_reset');
+    });
+
+    it('returns 400 when season reset is not wired up', async () => {
+      _server.setBotControl(
+        mockBotControl({
+          seasonReset() {
+            const err = new Error('Season reset is not available') as Error & { code: string };
+            err.code = 'SEASON_RESET_UNAVAILABLE';
+            throw err;
+          },
+        }),
+      );
+      const req = mockReq({ params: { action: 'season_reset' }, body: { confirm: 'RESET' } });
+      const res = mockRes();
+      await handler(req, res);
+      assert.equal(res._status, 400);
+      assert.equal((res._json as Record<string, unknown>).code, API_ERRORS.SEASON_RESET_UNAVAILABLE);
+    });
+  });
+
+  // ── restore_backup ─────────────────────────────────────────
+
+  describe('restore_backup', () => {
+    it('returns 400 without confirm "RESTORE" and a snapshot', async () => {
+      _server.setBotControl(mockBotControl());
+      for (const body of [{ confirm: 'NUKE', dbId: 'primary', name: 'a.db' }, { confirm: 'RESTORE' }]) {
+        const res = mockRes();
+        await handler(mockReq({ params: { action: 'restore_backup' }, body }), res);
+        assert.equal(res._status, 400);
+        assert.equal((res._json as Record<string, unknown>).code, API_ERRORS.CONFIRM_RESTORE_REQUIRED);
+      }
+    });
+
+    it('calls botControl.restoreBackup with the snapshot', async () => {
+      let captured: unknown[] = [];
+      _server.setBotControl(
+        mockBotControl({
+          restoreBackup(meta: unknown, opts: unknown) {
+            captured = [meta, opts];
+            return { action: 'restore_backup', scheduledAt: '2026-03-26T00:00:00.000Z' };
+          },
+        }),
+      );
+      const req = mockReq({
+        params: { action: 'restore_backup' },
+        body: { confirm: 'RESTORE', dbId: 'primary', name: 'humanitz-20260309-100000.db.gz' },
+      });
+      const res = mockRes();
+      await handler(req, res);
+      assert.deepEqual(captured, [
+        { source: 'web', user: 'TestAdmin' },
+        { dbId: 'primary', name: 'humanitz-20260309-100000.db.gz' },
+      ]);
+      assert.equal((res._json as Record<string, unknown>).action, 'restore_backup');
+    });
+
+    it('returns 400 when the snapshot is rejected', async () => {
+      _server.setBotControl(
+        mockBotControl({
+          restoreBackup() {
+            throw Object.assign(new Error('Restore rejected'), { code: 'DB_BACKUP_REJECTED', reason: 'not_found' });
+          },
+        }),
+      );
+      const req = mockReq({
+        params: { action: 'restore_backup' },
+        body: { confirm: 'RESTORE', dbId: 'primary', name: 'gone.db' },
+      });
+      const res = mockRes();
+      await handler(req, res);
+      assert.equal(res._status, 400);
+      assert.equal((res._json as Record<string, unknown>).code, API_ERRORS.DB_BACKUP_REJECTED);
+    });
+  });
+
   // ── env_sync ───────────────────────────────────────────────
 
   describe('env_sync', () => {
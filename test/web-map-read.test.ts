@@ -1379,6 +1379,70 @@ describe('Web Map Read Endpoints', () => {
       assert.equal(calledTo, '2026-01-31');
       assert.deepEqual(res.body, [{ id: 3 }]);
     });
+
+    it('passes the keyframe tier to the range query', () => {
+      const tiers: unknown[] = [];
+      const db = makeMockDb({
+        timeline: {
+          getTimelineSnapshotRange: (_from: string, _to: string, tier: number) => {
+            tiers.push(tier);
+            return [];
+          },
+        },
+      });
+
+      const handler = GET('/api/timeline/snapshots');
+      for (const tier of ['2', '7', undefined]) {
+        handler({ srv: makeSrv({ db }), query: { from: '2026-01-01', to: '2026-03-01', tier } }, mockRes());
+      }
+
+      assert.deepEqual(tiers, [2, 0, 0]);
+    });
+  });
+
+  // ── GET /api/timeline/export ─────────────────────────────
+
+  describe('GET /api/timeline/export', () => {
+    it('bundles every frame in the range', () => {
+      const frames = [{ snapshot: { id: 1 }, players: [] }];
+      const db = makeMockDb({
+        timeline: { countTimelineSnapshotRange: () => 1, getTimelineClip: () => frames },
+      });
+
+      const handler = GET('/api/timeline/export');
+      const res = mockRes();
+      handler({ srv: makeSrv({ db }), query: { from: '2026-01-01', to: '2026-01-31', tier: '1' } }, res);
+
+      const body = res.body as Record<string, unknown>;
+      assert.equal(body.format, 'humanitz-timeline-clip');
+      assert.equal(body.tier, 1);
+      assert.deepEqual(body.frames, frames);
+    });
+
+    it('rejects clips over the frame limit', () => {
+      const db = makeMockDb({
+        timeline: {
+          countTimelineSnapshotRange: () => 5000,
+          getTimelineClip: () => assert.fail('should not load frames'),
+        },
+      });
+
+      const handler = GET('/api/timeline/export');
+      const res = mockRes();
+      handler({ srv: makeSrv({ db }), query: { from: '2026-01-01', to: '2026-12-31' } }, res);
+
+      assert.equal(res.statusCode, 400);
+      assert.equal((res.body as Record<string, unknown>).code, 'TIMELINE_CLIP_TOO_LARGE');
+    });
+
+    it('requires from and to', () => {
+      const handler = GET('/api/timeline/export');
+      const res = mockRes();
+      handler({ srv: makeSrv({ db: makeMockDb() }), query: { from: '2026-01-01' } }, res);
+
+      assert.equal(res.statusCode, 400);
+      assert.equal((res.body as Record<string, unknown>).code, 'FROM_AND_TO_REQUIRED');
+    });
   });
 
   // ── GET /api/timeline/snapshot/:id ───────────────────────
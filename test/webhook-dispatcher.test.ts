@@ -0,0 +1,334 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import _database from '../src/db/database.js';
+const HumanitZDB = _database as any;
+
+import * as _webhook_dispatcher from '../src/modules/webhook-dispatcher.js';
+const { WebhookDispatcher, signPayload, retryDelayMs, fromLogEvent } = _webhook_dispatcher as any;
+
+const CONFIG = { webhookMaxAttempts: 3, webhookTimeout: 5 };
+const T0 = new Date('2026-10-18T12:00:00Z');
+
+function secondsFrom(base: Date, seconds: number) {
+  return new Date(base.getTime() + seconds * 1000);
+}
+
+/** Fake HTTP client that records requests and answers with a queue of statuses. */
+function makeFetch() {
+  const requests: Array<{ url: string; headers: Record<string, string>; body: string }> = [];
+  const statuses: Array<number | Error> = [];
+  return {
+    requests,
+    respond(...next: Array<number | Error>) {
+      statuses.push(...next);
+    },
+    fetch(url: string, init: RequestInit) {
+      requests.push({
+        url,
+        headers: init.headers as Record<string, string>,
+        body: typeof init.body === 'string' ? init.body : '',
+      });
+      const next = statuses.shift() ?? 200;
+      if (next instanceof Error) return Promise.reject(next);
+      return Promise.resolve({ ok: next >= 200 && next < 300, status: next });
+    },
+  };
+}
+
+describe('signPayload / retryDelayMs', () => {
+  it('signs "<timestamp>.<body>" with HMAC-SHA256', () => {
+    const sig = signPayload('secret', 1700000000, '{"a":1}');
+    assert.match(sig, /^sha256=[0-9a-f]{64}$/);
+    assert.notEqual(sig, signPayload('secret', 1700000001, '{"a":1}'));
+    assert.notEqual(sig, signPayload('other', 1700000000, '{"a":1}'));
+  });
+
+  it('doubles the delay per attempt up to six hours', () => {
+    assert.equal(retryDelayMs(1), 30_000);
+    assert.equal(retryDelayMs(2), 60_000);
+    assert.equal(retryDelayMs(4), 240_000);
+    assert.equal(retryDelayMs(30), 6 * 60 * 60_000);
+  });
+});
+
+describe('fromLogEvent', () => {
+  it('maps PvP deaths with the killer as target', () => {
+    const mapped = fromLogEvent({
+      type: 'player_death_pvp',
+      actorName: 'Victim',
+      targetName: 'Killer',
+      details: { damage: 120 },
+    });
+    assert.deepEqual(mapped, { event: 'player.pvp_kill', data: { killer: 'Killer', victim: 'Victim', damage: 120 } });
+  });
+
+  it('maps raids, builds, deaths and anticheat flags', () => {
+    assert.equal(fromLogEvent({ type: 'raid_damage', details: { destroyed: true } }).data.destroyed, true);
+    assert.equal(fromLogEvent({ type: 'player_build', item: 'Wall' }).event, 'player.build');
+    assert.equal(fromLogEvent({ type: 'player_death', item: 'Zombie' }).data.cause, 'Zombie');
+    assert.equal(fromLogEvent({ type: 'anticheat_flag', item: 'Speed hack' }).event, 'anticheat.flag');
+  });
+
+  it('ignores everything else', () => {
+    assert.equal(fromLogEvent({ type: 'container_loot' }), null);
+  });
+});
+
+describe('WebhookDispatcher', () => {
+  let db: any;
+  let hooks: any;
+  let http: ReturnType<typeof makeFetch>;
+
+  function create(events: string[] = ['player.join'], url = 'https://example.com/hook') {
+    const res = hooks.createWebhook({ url, events }, 'admin', T0);
+    assert.equal(res.ok, true);
+    return res.value;
+  }
+
+  beforeEach(() => {
+    db = new HumanitZDB({ memory: true, label: 'webhook-test' });
+    db.init();
+    http = makeFetch();
+    hooks = new WebhookDispatcher({ label: 'WEBHOOK-TEST' });
+    hooks.start({
+      db,
+      config: CONFIG,
+      fetch: (url: string, init: RequestInit) => http.fetch(url, init),
+      autoTick: false,
+    });
+  });
+
+  afterEach(() => {
+    hooks.stop();
+    db.close();
+  });
+
+  describe('endpoints', () => {
+    it('returns the secret once and only a hint afterwards', () => {
+      const { webhook, secret } = create();
+      assert.match(secret, /^[0-9a-f]{48}$/);
+      assert.equal(webhook.secret_hint, `…${secret.slice(-4)}`);
+      assert.equal(webhook.secret, undefined);
+      assert.deepEqual(hooks.getWebhooks()[0].events, ['player.join']);
+      assert.equal(hooks.getWebhooks()[0].enabled, true);
+    });
+
+    it('validates URLs and event names', () => {
+      assert.equal(hooks.createWebhook({ url: 'ftp://x', events: ['*'] }, 'admin').code, 'invalid_url');
+      assert.equal(hooks.createWebhook({ url: 'not a url', events: ['*'] }, 'admin').code, 'invalid_url');
+      assert.equal(hooks.createWebhook({ url: 'https://x.test', events: [] }, 'admin').code, 'invalid_events');
+      assert.equal(hooks.createWebhook({ url: 'https://x.test', events: ['nope'] }, 'admin').code, 'invalid_events');
+    });
+
+    it('updates and deletes endpoints with their deliveries', () => {
+      const { webhook } = create();
+      const updated = hooks.updateWebhook(webhook.id, { events: ['*'], enabled: false });
+      assert.deepEqual(updated.value.events, ['*']);
+      assert.equal(updated.value.enabled, false);
+      assert.equal(updated.value.url, 'https://example.com/hook');
+
+      hooks.sendTest(webhook.id, T0);
+      assert.equal(hooks.deleteWebhook(webhook.id).ok, true);
+      assert.equal(hooks.getDeliveries(webhook.id).length, 0);
+      assert.equal(hooks.deleteWebhook(webhook.id).code, 'not_found');
+    });
+
+    it('is disabled until started', () => {
+      hooks.stop();
+      assert.equal(hooks.createWebhook({ url: 'https://x.test', events: ['*'] }, 'admin').code, 'disabled');
+      assert.equal(hooks.emit('player.join', {}), 0);
+    });
+  });
+
+  describe('emit / deliver', () => {
+    it('queues only for enabled, subscribed endpoints', () => {
+      create(['player.join']);
+      create(['*'], 'https://example.com/all');
+      const { webhook: off } = create(['player.join'], 'https://example.com/off');
+      hooks.updateWebhook(off.id, { enabled: false });
+      create(['chat.message'], 'https://example.com/chat');
+
+      assert.equal(hooks.emit('player.join', { player: 'Alice' }, T0), 2);
+      assert.equal(db.webhooks.countPending(), 2);
+    });
+
+    it('POSTs a signed JSON body and marks it delivered', async () => {
+      const { webhook, secret } = create();
+      hooks.emit('player.join', { player: 'Alice', steamId: '76561198000000001' }, T0);
+      assert.equal(await hooks.tick(T0), 1);
+
+      const [req] = http.requests;
+      assert.ok(req);
+      assert.equal(req.url, 'https://example.com/hook');
+      assert.equal(req.headers['X-Webhook-Event'], 'player.join');
+      const timestamp = Number(req.headers['X-Webhook-Timestamp']);
+      assert.equal(timestamp, Math.floor(T0.getTime() / 1000));
+      assert.equal(req.headers['X-Webhook-Signature'], signPayload(secret, timestamp, req.body));
+
+      const body = JSON.parse(req.body);
+      assert.equal(body.event, 'player.join');
+      assert.equal(body.timestamp, T0.toISOString());
+      assert.deepEqual(body.data, { player: 'Alice', steamId: '76561198000000001' });
+
+      const [delivery] = hooks.getDeliveries(webhook.id);
+      assert.equal(delivery.status, 'delivered');
+      assert.equal(delivery.attempts, 1);
+      assert.equal(delivery.response_status, 200);
+    });
+
+    it('retries with backoff and gives up after WEBHOOK_MAX_ATTEMPTS', async () => {
+      const { webhook } = create();
+      http.respond(500, new Error('ECONNREFUSED'), 502);
+      hooks.emit('player.join', {}, T0);
+
+      assert.equal(await hooks.tick(T0), 0);
+      let [delivery] = hooks.getDeliveries(webhook.id);
+      assert.equal(delivery.status, 'pending');
+      assert.equal(delivery.last_error, 'HTTP 500');
+
+      assert.equal(await hooks.tick(secondsFrom(T0, 10)), 0, 'waits for the backoff');
+      assert.equal(http.requests.length, 1);
+
+      await hooks.tick(secondsFrom(T0, 30));
+      [delivery] = hooks.getDeliveries(webhook.id);
+      assert.equal(delivery.attempts, 2);
+      assert.equal(delivery.last_error, 'ECONNREFUSED');
+
+      await hooks.tick(secondsFrom(T0, 90));
+      [delivery] = hooks.getDeliveries(webhook.id);
+      assert.equal(delivery.status, 'failed');
+      assert.equal(delivery.attempts, 3);
+      assert.equal(delivery.response_status, 502);
+
+      await hooks.tick(secondsFrom(T0, 86_400));
+      assert.equal(http.requests.length, 3);
+    });
+
+    it('retries failed deliveries by hand', async () => {
+      const { webhook } = create();
+      http.respond(500, 500, 500);
+      hooks.emit('player.join', {}, T0);
+      await hooks.tick(T0);
+      await hooks.tick(secondsFrom(T0, 30));
+      await hooks.tick(secondsFrom(T0, 90));
+      const [failed] = hooks.getDeliveries(webhook.id);
+      assert.equal(failed.status, 'failed');
+
+      const res = hooks.retryDelivery(failed.id, secondsFrom(T0, 100));
+      assert.equal(res.value.status, 'pending');
+      assert.equal(res.value.attempts, 0);
+      await hooks.tick(secondsFrom(T0, 100));
+      assert.equal(hooks.getDeliveries(webhook.id)[0].status, 'delivered');
+      assert.equal(hooks.retryDelivery(failed.id).code, 'not_failed');
+      assert.equal(hooks.retryDelivery(999).code, 'not_found');
+    });
+
+    it('holds deliveries of disabled endpoints until re-enabled', async () => {
+      const { webhook } = create();
+      hooks.emit('player.join', {}, T0);
+      hooks.updateWebhook(webhook.id, { enabled: false });
+      assert.equal(await hooks.tick(T0), 0);
+      assert.equal(http.requests.length, 0);
+      hooks.updateWebhook(webhook.id, { enabled: true });
+      assert.equal(await hooks.tick(T0), 1);
+    });
+
+    it('delivers to endpoints concurrently, one request at a time each', async () => {
+      create(['player.join'], 'https://slow.test/hook');
+      create(['player.join'], 'https://fast.test/hook');
+      hooks.emit('player.join', { n: 1 }, T0);
+      hooks.emit('player.join', { n: 2 }, T0);
+
+      const order: string[] = [];
+      let inFlightSlow = 0;
+      let maxInFlightSlow = 0;
+      let releaseSlow: () => void = () => {};
+      hooks.start({
+        db,
+        config: CONFIG,
+        fetch: (url: string) => {
+          order.push(url);
+          if (!url.startsWith('https://slow.test')) return Promise.resolve({ ok: true, status: 200 });
+          inFlightSlow++;
+          maxInFlightSlow = Math.max(maxInFlightSlow, inFlightSlow);
+          return new Promise((resolve) => {
+            releaseSlow = () => {
+              inFlightSlow--;
+              resolve({ ok: true, status: 200 });
+            };
+          });
+        },
+        autoTick: false,
+      });
+
+      const ticking = hooks.tick(T0);
+      await new Promise((resolve) => setImmediate(resolve));
+      assert.equal(order.filter((u) => u.startsWith('https://fast.test')).length, 2, 'fast endpoint is not held up');
+      releaseSlow();
+      await new Promise((resolve) => setImmediate(resolve));
+      releaseSlow();
+      assert.equal(await ticking, 4);
+      assert.equal(maxInFlightSlow, 1);
+    });
+
+    it('leaves the rest of an endpoint queue for the next tick after a failure', async () => {
+      create();
+      hooks.emit('player.join', { n: 1 }, T0);
+      hooks.emit('player.join', { n: 2 }, T0);
+      http.respond(new Error('connect ECONNREFUSED'));
+      assert.equal(await hooks.tick(T0), 0);
+      assert.equal(http.requests.length, 1);
+      assert.equal(db.webhooks.countPending(), 2);
+
+      assert.equal(await hooks.tick(T0), 1, 'the untried delivery goes out next tick');
+      assert.equal(await hooks.tick(secondsFrom(T0, 30)), 1, 'the failed one after its backoff');
+    });
+
+    it('keeps delivering to healthy endpoints behind a dead endpoint backlog', async () => {
+      create(['player.join'], 'https://dead.test/hook');
+      for (let i = 0; i < 60; i++) hooks.emit('player.join', { n: i }, T0);
+      create(['chat.message'], 'https://ok.test/hook');
+      hooks.emit('chat.message', {}, secondsFrom(T0, 1));
+
+      hooks.start({
+        db,
+        config: CONFIG,
+        fetch: (url: string) =>
+          url.startsWith('https://dead.test')
+            ? Promise.reject(new Error('connect ECONNREFUSED'))
+            : Promise.resolve({ ok: true, status: 200 }),
+        autoTick: false,
+      });
+      assert.equal(await hooks.tick(secondsFrom(T0, 1)), 1, 'the healthy endpoint is not starved');
+      assert.equal(db.webhooks.countPending(), 60);
+    });
+
+    it('sends test pings regardless of subscriptions', async () => {
+      const { webhook } = create(['chat.message']);
+      const res = hooks.sendTest(webhook.id, T0);
+      assert.equal(res.ok, true);
+      await hooks.tick(T0);
+      assert.equal(http.requests[0]?.headers['X-Webhook-Event'], 'webhook.test');
+      assert.equal(hooks.sendTest(999).code, 'not_found');
+    });
+
+    it('survives a restart with the queue intact', async () => {
+      create();
+      http.respond(503);
+      hooks.emit('player.join', {}, T0);
+      await hooks.tick(T0);
+      hooks.stop();
+
+      const restarted = new WebhookDispatcher({ label: 'WEBHOOK-TEST-2' });
+      restarted.start({
+        db,
+        config: CONFIG,
+        fetch: (url: string, init: RequestInit) => http.fetch(url, init),
+        autoTick: false,
+      });
+      assert.equal(await restarted.tick(secondsFrom(T0, 30)), 1);
+      restarted.stop();
+    });
+  });
+});
@@ -0,0 +1,281 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import _database from '../src/db/database.js';
+const HumanitZDB = _database as any;
+
+import * as _whitelist_manager from '../src/modules/whitelist-manager.js';
+const { WhitelistManager, parseWhitelist } = _whitelist_manager as any;
+
+const ALICE = '76561198000000001';
+const BOB = '76561198000000002';
+const CAROL = '76561198000000003';
+
+const CONFIG = {
+  whitelistChannelId: '',
+  whitelistServers: [] as string[],
+  whitelistQuestions: ['How did you find us?'],
+  whitelistTrialDays: 7,
+  whitelistReconcileInterval: 15,
+  locale: 'en',
+};
+
+const MOD = { id: 'mod-1', name: 'Mod' };
+const T0 = new Date('2026-10-18T12:00:00Z');
+
+function daysFrom(base: Date, days: number) {
+  return new Date(base.getTime() + days * 86_400_000);
+}
+
+/** Fake game server with an in-memory native whitelist. */
+function makeServer(id: string, initial: string[] = []) {
+  const list = new Set<string>(initial);
+  const commands: string[] = [];
+  let down = false;
+  return {
+    list,
+    commands,
+    setDown(v: boolean) {
+      down = v;
+    },
+    target: {
+      id,
+      name: `Server ${id}`,
+      send(command: string) {
+        commands.push(command);
+        if (down) return Promise.reject(new Error('RCON not connected'));
+        const [cmd, arg = ''] = command.split(' ');
+        if (cmd === 'whitelist') list.add(arg);
+        else if (cmd === 'removewhitelist') list.delete(arg);
+        else if (cmd === 'fetchwhitelist') return Promise.resolve([...list].map((s) => `Whitelisted: ${s}`).join('\n'));
+        return Promise.resolve('OK');
+      },
+    },
+  };
+}
+
+describe('parseWhitelist', () => {
+  it('extracts 17-digit SteamIDs from any layout', () => {
+    const ids = parseWhitelist(`Whitelist:\n${ALICE}\nBob (${BOB})\n12345`);
+    assert.deepEqual([...ids].sort(), [ALICE, BOB]);
+  });
+
+  it('handles empty output', () => {
+    assert.equal(parseWhitelist('').size, 0);
+    assert.equal(parseWhitelist(null).size, 0);
+  });
+});
+
+describe('WhitelistManager', () => {
+  let db: any;
+  let wl: any;
+  let primary: ReturnType<typeof makeServer>;
+  let second: ReturnType<typeof makeServer>;
+
+  function start(config: Record<string, unknown> = {}) {
+    wl.start({
+      db,
+      config: { ...CONFIG, ...config },
+      getTargets: () => [primary.target, second.target],
+      autoTick: false,
+    });
+  }
+
+  function apply(steamId = ALICE, discordId = 'user-a') {
+    return wl.apply({
+      discordId,
+      discordName: 'alice',
+      steamId,
+      answers: [{ question: 'How did you find us?', answer: '  A friend  ' }],
+    });
+  }
+
+  beforeEach(() => {
+    db = new HumanitZDB({ memory: true, label: 'whitelist-test' });
+    db.init();
+    db.player.registerAlias(BOB, 'Bob', 'idmap');
+    primary = makeServer('primary');
+    second = makeServer('eu');
+    wl = new WhitelistManager({ label: 'WL-TEST' });
+    start();
+  });
+
+  afterEach(() => {
+    wl.stop();
+    db.close();
+  });
+
+  describe('apply', () => {
+    it('stores a pending application with trimmed answers', async () => {
+      const res = await apply();
+      assert.equal(res.ok, true);
+      assert.equal(res.value.status, 'pending');
+      assert.equal(res.value.steam_id, ALICE);
+      assert.deepEqual(res.value.answers, [{ question: 'How did you find us?', answer: 'A friend' }]);
+      assert.equal(wl.getPending().length, 1);
+      assert.equal(wl.getHistory(10, ALICE)[0].action, 'applied');
+    });
+
+    it('rejects malformed SteamIDs and duplicates', async () => {
+      assert.equal((await apply('1234')).code, 'invalid_steam_id');
+      await apply();
+      assert.equal((await apply()).code, 'already_pending');
+    });
+
+    it('rejects players already on the whitelist', async () => {
+      await wl.addMember(ALICE, MOD);
+      assert.equal((await apply()).code, 'already_whitelisted');
+    });
+
+    it('is disabled until started', async () => {
+      wl.stop();
+      assert.equal((await apply()).code, 'disabled');
+    });
+  });
+
+  describe('approve / deny', () => {
+    it('approval whitelists on every server and records the reviewer', async () => {
+      const { value: app } = await apply();
+      const res = await wl.approve(app.id, MOD, {}, T0);
+      assert.equal(res.ok, true);
+      assert.equal(res.value.application.status, 'approved');
+      assert.equal(res.value.application.reviewed_by_name, 'Mod');
+      assert.deepEqual(res.value.member.servers, ['primary', 'eu']);
+      assert.equal(res.value.member.expires_at, null);
+      assert.ok(primary.list.has(ALICE));
+      assert.ok(second.list.has(ALICE));
+
+      const approved = wl.getHistory(10, ALICE).find((h: any) => h.action === 'approved');
+      assert.equal(approved.actor_name, 'Mod');
+      assert.equal((await wl.approve(app.id, MOD)).code, 'wrong_status');
+    });
+
+    it('honours WHITELIST_SERVERS and per-approval server selection', async () => {
+      start({ whitelistServers: ['eu'] });
+      const { value: app } = await apply();
+      await wl.approve(app.id, MOD, {}, T0);
+      assert.equal(primary.list.has(ALICE), false);
+      assert.ok(second.list.has(ALICE));
+
+      const { value: other } = await apply(CAROL, 'user-c');
+      const res = await wl.approve(other.id, MOD, { servers: ['primary'] }, T0);
+      assert.deepEqual(res.value.member.servers, ['primary']);
+    });
+
+    it('an unreachable server does not fail the approval', async () => {
+      second.setDown(true);
+      const { value: app } = await apply();
+      const res = await wl.approve(app.id, MOD, {}, T0);
+      assert.equal(res.ok, true);
+      assert.deepEqual(
+        res.value.pushes.map((p: any) => [p.serverId, p.ok]),
+        [
+          ['primary', true],
+          ['eu', false],
+        ],
+      );
+      assert.match(wl.getHistory(10, ALICE)[0].details, /failed on eu/);
+    });
+
+    it('trial approvals expire and are removed from the servers', async () => {
+      const { value: app } = await apply();
+      const res = await wl.approve(app.id, MOD, { trialDays: 3 }, T0);
+      assert.ok(res.value.member.expires_at);
+
+      assert.equal(await wl.expireDue(daysFrom(T0, 2)), 0);
+      assert.equal(await wl.expireDue(daysFrom(T0, 4)), 1);
+      assert.equal(wl.getMember(ALICE), null);
+      assert.equal(primary.list.has(ALICE), false);
+      assert.equal(second.list.has(ALICE), false);
+      const expired = wl.getHistory(10, ALICE)[0];
+      assert.equal(expired.action, 'expired');
+      assert.equal(expired.actor_name, 'Reconciler');
+    });
+
+    it('deny keeps the player off the servers and stores the note', async () => {
+      const { value: app } = await apply();
+      const res = await wl.deny(app.id, MOD, 'Read the rules first', T0);
+      assert.equal(res.ok, true);
+      assert.equal(res.value.status, 'denied');
+      assert.equal(res.value.review_note, 'Read the rules first');
+      assert.equal(primary.commands.length, 0);
+      assert.equal((await wl.deny(app.id, MOD)).code, 'wrong_status');
+      assert.equal((await wl.deny(999, MOD)).code, 'not_found');
+    });
+  });
+
+  describe('members', () => {
+    it('adds by player name and removes from every server', async () => {
+      const res = await wl.addMember('Bob', MOD);
+      assert.equal(res.ok, true);
+      assert.equal(res.value.member.steam_id, BOB);
+      assert.equal(res.value.member.player_name, 'Bob');
+      assert.ok(primary.list.has(BOB));
+
+      const removed = await wl.removeMember(BOB, MOD);
+      assert.equal(removed.ok, true);
+      assert.equal(primary.list.has(BOB), false);
+      assert.equal(second.list.has(BOB), false);
+      assert.equal((await wl.removeMember(BOB, MOD)).code, 'not_member');
+    });
+
+    it('rejects unknown players', async () => {
+      assert.equal((await wl.addMember('Nobody', MOD)).code, 'unknown_player');
+    });
+  });
+
+  describe('reconcile', () => {
+    it('re-adds members missing from a server', async () => {
+      await wl.addMember(ALICE, MOD);
+      second.list.delete(ALICE);
+      const summary = await wl.reconcile();
+      assert.deepEqual(summary, { checked: 2, added: 1, removed: 0, imported: 0, failed: [] });
+      assert.ok(second.list.has(ALICE));
+      const repaired = wl.getHistory(10, ALICE)[0];
+      assert.equal(repaired.action, 'repaired');
+      assert.equal(repaired.server_id, 'eu');
+    });
+
+    it('removes entries the bot took away again', async () => {
+      await wl.addMember(ALICE, MOD);
+      await wl.removeMember(ALICE, MOD);
+      primary.list.add(ALICE);
+      const summary = await wl.reconcile();
+      assert.equal(summary.removed, 1);
+      assert.equal(primary.list.has(ALICE), false);
+      assert.equal(wl.getMember(ALICE), null);
+    });
+
+    it('imports entries added by hand in the console', async () => {
+      primary.list.add(CAROL);
+      const summary = await wl.reconcile();
+      assert.equal(summary.imported, 1);
+      const member = wl.getMember(CAROL);
+      assert.deepEqual(member.servers, ['primary']);
+      assert.equal(member.added_by_name, 'Reconciler');
+      assert.equal(second.list.has(CAROL), false);
+    });
+
+    it('reports unreachable servers without touching the DB', async () => {
+      await wl.addMember(ALICE, MOD);
+      second.setDown(true);
+      const summary = await wl.reconcile();
+      assert.equal(summary.checked, 1);
+      assert.deepEqual(summary.failed, ['eu']);
+      assert.deepEqual(wl.getMember(ALICE).servers, ['primary', 'eu']);
+    });
+
+    it('tick expires trials and reconciles on the configured interval', async () => {
+      const { value: app } = await apply();
+      await wl.approve(app.id, MOD, { trialDays: 1 }, T0);
+      primary.list.add(CAROL);
+      await wl.tick(daysFrom(T0, 2));
+      assert.equal(wl.getMember(ALICE), null);
+      assert.ok(wl.getMember(CAROL));
+
+      primary.list.add(BOB);
+      await wl.tick(new Date(daysFrom(T0, 2).getTime() + 60_000));
+      assert.equal(wl.getMember(BOB), null, 'reconcile waits for the interval');
+    });
+  });
+});